@@ -0,0 +1,30 @@
+/**
+  * Gains applied to the input channels to get each output channel, `matrix[outChannel][inChannel]`
+  */
+export declare type MixingMatrix = number[][];
+/**
+  * Mixing matrix used when only the number of output channels is given:
+  * - same number of channels: channels are kept as is
+  * - mono to any: the channel is copied in every output channel
+  * - stereo to mono: average of both channels
+  * - 5.1 to stereo: ITU-R BS.775 coefficients, the LFE channel is dropped
+  * - 5.1 to mono: 5.1 to stereo then stereo to mono
+  * Other combinations need an explicit `mixingMatrix` or `channelMap`.
+  */
+export declare const defaultMixingMatrix: (inChannels: number, outChannels: number) => MixingMatrix;
+/**
+  * Convert a channel map to a mixing matrix
+  * @param channelMap for each output channel, the index of the input channel it is copied from or -1 for silence
+  */
+export declare const channelMapToMatrix: (channelMap: number[], inChannels: number) => MixingMatrix;
+export declare const assertMixingMatrix: (matrix: MixingMatrix, inChannels: number) => MixingMatrix;
+export declare const isIdentityMatrix: (matrix: MixingMatrix) => boolean;
+/**
+  * Mix interleaved float samples from `input` with `matrix[0].length` channels into `output` with `matrix.length` channels
+  */
+export declare const mixInterleaved: (matrix: MixingMatrix, input: Float32Array, output: Float32Array) => void;
+/**
+  * Mix planar float samples, one array per input channel, into `output`, one array per output channel
+  * @param framesCount number of frames to mix, arrays can be longer
+  */
+export declare const mixPlanar: (matrix: MixingMatrix, input: Float32Array[], output: Float32Array[], framesCount: number) => void;
@@ -0,0 +1,106 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.mixPlanar = exports.mixInterleaved = exports.isIdentityMatrix = exports.assertMixingMatrix = exports.channelMapToMatrix = exports.defaultMixingMatrix = void 0;
+const errors_1 = require("./errors");
+// -3dB, used by ITU-R BS.775 for the center and surround channels
+const MINUS_3DB = Math.SQRT1_2;
+// 5.1 channels are expected in the WAV/SMPTE order: front left, front right, center, LFE, surround left, surround right
+// the LFE channel is dropped as it is usually not included in downmixes
+const DOWNMIX_5_1_TO_STEREO = [
+    [1, 0, MINUS_3DB, 0, MINUS_3DB, 0],
+    [0, 1, MINUS_3DB, 0, 0, MINUS_3DB],
+];
+const DOWNMIX_STEREO_TO_MONO = [
+    [0.5, 0.5],
+];
+/**
+  * Mixing matrix used when only the number of output channels is given:
+  * - same number of channels: channels are kept as is
+  * - mono to any: the channel is copied in every output channel
+  * - stereo to mono: average of both channels
+  * - 5.1 to stereo: ITU-R BS.775 coefficients, the LFE channel is dropped
+  * - 5.1 to mono: 5.1 to stereo then stereo to mono
+  * Other combinations need an explicit `mixingMatrix` or `channelMap`.
+  */
+exports.defaultMixingMatrix = (inChannels, outChannels) => {
+    if (inChannels === outChannels) {
+        return Array.from({ length: outChannels }, (_, outChannel) => Array.from({ length: inChannels }, (__, inChannel) => (inChannel === outChannel ? 1 : 0)));
+    }
+    if (inChannels === 1) {
+        return Array.from({ length: outChannels }, () => [1]);
+    }
+    if (inChannels === 2 && outChannels === 1) {
+        return DOWNMIX_STEREO_TO_MONO;
+    }
+    if (inChannels === 6 && outChannels === 2) {
+        return DOWNMIX_5_1_TO_STEREO;
+    }
+    if (inChannels === 6 && outChannels === 1) {
+        return [DOWNMIX_5_1_TO_STEREO[0].map((gain, inChannel) => (gain + DOWNMIX_5_1_TO_STEREO[1][inChannel]) / 2)];
+    }
+    throw new errors_1.SpeexResamplerInvalidArgError(`No default mixing from ${inChannels} to ${outChannels} channels, use the mixingMatrix or channelMap option`);
+};
+/**
+  * Convert a channel map to a mixing matrix
+  * @param channelMap for each output channel, the index of the input channel it is copied from or -1 for silence
+  */
+exports.channelMapToMatrix = (channelMap, inChannels) => {
+    if (channelMap.length === 0) {
+        throw new errors_1.SpeexResamplerInvalidArgError('Channel map should have at least one output channel');
+    }
+    return channelMap.map((inChannel) => {
+        if (!Number.isInteger(inChannel) || inChannel < -1 || inChannel >= inChannels) {
+            throw new errors_1.SpeexResamplerInvalidArgError(`Invalid channel map entry ${inChannel}, should be -1 or an input channel between 0 and ${inChannels - 1}`);
+        }
+        return Array.from({ length: inChannels }, (_, i) => (i === inChannel ? 1 : 0));
+    });
+};
+exports.assertMixingMatrix = (matrix, inChannels) => {
+    if (matrix.length === 0) {
+        throw new errors_1.SpeexResamplerInvalidArgError('Mixing matrix should have at least one output channel');
+    }
+    if (matrix.some((gains) => gains.length !== inChannels || gains.some((gain) => typeof gain !== 'number' || !Number.isFinite(gain)))) {
+        throw new errors_1.SpeexResamplerInvalidArgError(`Mixing matrix should have one row of ${inChannels} gains per output channel`);
+    }
+    return matrix;
+};
+exports.isIdentityMatrix = (matrix) => matrix.every((gains, outChannel) => (gains.length === matrix.length && gains.every((gain, inChannel) => gain === (inChannel === outChannel ? 1 : 0))));
+/**
+  * Mix interleaved float samples from `input` with `matrix[0].length` channels into `output` with `matrix.length` channels
+  */
+exports.mixInterleaved = (matrix, input, output) => {
+    const outChannels = matrix.length;
+    const inChannels = matrix[0].length;
+    const framesCount = input.length / inChannels;
+    for (let frame = 0; frame < framesCount; frame++) {
+        const inOffset = frame * inChannels;
+        for (let outChannel = 0; outChannel < outChannels; outChannel++) {
+            const gains = matrix[outChannel];
+            let sample = 0;
+            for (let inChannel = 0; inChannel < inChannels; inChannel++) {
+                sample += gains[inChannel] * input[inOffset + inChannel];
+            }
+            output[frame * outChannels + outChannel] = sample;
+        }
+    }
+};
+/**
+  * Mix planar float samples, one array per input channel, into `output`, one array per output channel
+  * @param framesCount number of frames to mix, arrays can be longer
+  */
+exports.mixPlanar = (matrix, input, output, framesCount) => {
+    matrix.forEach((gains, outChannel) => {
+        const outSamples = output[outChannel];
+        outSamples.fill(0, 0, framesCount);
+        gains.forEach((gain, inChannel) => {
+            if (gain === 0) {
+                return;
+            }
+            const inSamples = input[inChannel];
+            for (let i = 0; i < framesCount; i++) {
+                outSamples[i] += gain * inSamples[i];
+            }
+        });
+    });
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY2hhbm5lbHMuanMiLCJzb3VyY2VSb290IjoiLyIsInNvdXJjZXMiOlsiY2hhbm5lbHMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7O0FBQUEscUNBQXlEO0FBT3pELGtFQUFrRTtBQUNsRSxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDO0FBRS9CLHdIQUF3SDtBQUN4SCx3RUFBd0U7QUFDeEUsTUFBTSxxQkFBcUIsR0FBaUI7SUFDMUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLENBQUMsQ0FBQztJQUNsQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDO0NBQ25DLENBQUM7QUFFRixNQUFNLHNCQUFzQixHQUFpQjtJQUMzQyxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUM7Q0FDWCxDQUFDO0FBRUY7Ozs7Ozs7O0lBUUk7QUFDUyxRQUFBLG1CQUFtQixHQUFHLENBQUMsVUFBa0IsRUFBRSxXQUFtQixFQUFnQixFQUFFO0lBQzNGLElBQUksVUFBVSxLQUFLLFdBQVcsRUFBRTtRQUM5QixPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBQyxNQUFNLEVBQUUsV0FBVyxFQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsVUFBVSxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUMsTUFBTSxFQUFFLFVBQVUsRUFBQyxFQUFFLENBQUMsRUFBRSxFQUFFLFNBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQyxTQUFTLEtBQUssVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztLQUN0SjtJQUNELElBQUksVUFBVSxLQUFLLENBQUMsRUFBRTtRQUNwQixPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBQyxNQUFNLEVBQUUsV0FBVyxFQUFDLEVBQUUsR0FBRyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQ3JEO0lBQ0QsSUFBSSxVQUFVLEtBQUssQ0FBQyxJQUFJLFdBQVcsS0FBSyxDQUFDLEVBQUU7UUFDekMsT0FBTyxzQkFBc0IsQ0FBQztLQUMvQjtJQUNELElBQUksVUFBVSxLQUFLLENBQUMsSUFBSSxXQUFXLEtBQUssQ0FBQyxFQUFFO1FBQ3pDLE9BQU8scUJBQXFCLENBQUM7S0FDOUI7SUFDRCxJQUFJLFVBQVUsS0FBSyxDQUFDLElBQUksV0FBVyxLQUFLLENBQUMsRUFBRTtRQUN6QyxPQUFPLENBQUMscUJBQXFCLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLFNBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEdBQUcscUJBQXFCLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQzlHO0lBQ0QsTUFBTSxJQUFJLHNDQUE2QixDQUFDLDBCQUEwQixVQUFVLE9BQU8sV0FBVyxzREFBc0QsQ0FBQyxDQUFDO0FBQ3hKLENBQUMsQ0FBQTtBQUVEOzs7SUFHSTtBQUNTLFFBQUEsa0JBQWtCLEdBQUcsQ0FBQyxVQUFvQixFQUFFLFVBQWtCLEVBQWdCLEVBQUU7SUFDM0YsSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtRQUMzQixNQUFNLElBQUksc0NBQTZCLENBQUMscURBQXFELENBQUMsQ0FBQztLQUNoRztJQUNELE9BQU8sVUFBVSxDQUFDLEdBQUcsQ0FBQyxDQUFDLFNBQVMsRUFBRSxFQUFFO1FBQ2xDLElBQUksQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxJQUFJLFNBQVMsR0FBRyxDQUFDLENBQUMsSUFBSSxTQUFTLElBQUksVUFBVSxFQUFFO1lBQzdFLE1BQU0sSUFBSSxzQ0FBNkIsQ0FBQyw2QkFBNkIsU0FBUyxvREFBb0QsVUFBVSxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUM7U0FDcko7UUFDRCxPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBQyxNQUFNLEVBQUUsVUFBVSxFQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUMvRSxDQUFDLENBQUMsQ0FBQztBQUNMLENBQUMsQ0FBQTtBQUVZLFFBQUEsa0JBQWtCLEdBQUcsQ0FBQyxNQUFvQixFQUFFLFVBQWtCLEVBQUUsRUFBRTtJQUM3RSxJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO1FBQ3ZCLE1BQU0sSUFBSSxzQ0FBNkIsQ0FBQyx1REFBdUQsQ0FBQyxDQUFDO0tBQ2xHO0lBQ0QsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsTUFBTSxLQUFLLFVBQVUsSUFBSSxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxPQUFPLElBQUksS0FBSyxRQUFRLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRTtRQUNuSSxNQUFNLElBQUksc0NBQTZCLENBQUMsd0NBQXdDLFVBQVUsMkJBQTJCLENBQUMsQ0FBQztLQUN4SDtJQUNELE9BQU8sTUFBTSxDQUFDO0FBQ2hCLENBQUMsQ0FBQTtBQUVZLFFBQUEsZ0JBQWdCLEdBQUcsQ0FBQyxNQUFvQixFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsS0FBSyxFQUFFLFVBQVUsRUFBRSxFQUFFLENBQUMsQ0FDNUYsS0FBSyxDQUFDLE1BQU0sS0FBSyxNQUFNLENBQUMsTUFBTSxJQUFJLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLEVBQUUsU0FBUyxFQUFFLEVBQUUsQ0FBQyxJQUFJLEtBQUssQ0FBQyxTQUFTLEtBQUssVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQ2hILENBQUMsQ0FBQztBQUVIOztJQUVJO0FBQ1MsUUFBQSxjQUFjLEdBQUcsQ0FBQyxNQUFvQixFQUFFLEtBQW1CLEVBQUUsTUFBb0IsRUFBRSxFQUFFO0lBQ2hHLE1BQU0sV0FBVyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUM7SUFDbEMsTUFBTSxVQUFVLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQztJQUNwQyxNQUFNLFdBQVcsR0FBRyxLQUFLLENBQUMsTUFBTSxHQUFHLFVBQVUsQ0FBQztJQUM5QyxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsV0FBVyxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ2hELE1BQU0sUUFBUSxHQUFHLEtBQUssR0FBRyxVQUFVLENBQUM7UUFDcEMsS0FBSyxJQUFJLFVBQVUsR0FBRyxDQUFDLEVBQUUsVUFBVSxHQUFHLFdBQVcsRUFBRSxVQUFVLEVBQUUsRUFBRTtZQUMvRCxNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsVUFBVSxDQUFDLENBQUM7WUFDakMsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDO1lBQ2YsS0FBSyxJQUFJLFNBQVMsR0FBRyxDQUFDLEVBQUUsU0FBUyxHQUFHLFVBQVUsRUFBRSxTQUFTLEVBQUUsRUFBRTtnQkFDM0QsTUFBTSxJQUFJLEtBQUssQ0FBQyxTQUFTLENBQUMsR0FBRyxLQUFLLENBQUMsUUFBUSxHQUFHLFNBQVMsQ0FBQyxDQUFDO2FBQzFEO1lBQ0QsTUFBTSxDQUFDLEtBQUssR0FBRyxXQUFXLEdBQUcsVUFBVSxDQUFDLEdBQUcsTUFBTSxDQUFDO1NBQ25EO0tBQ0Y7QUFDSCxDQUFDLENBQUE7QUFFRDs7O0lBR0k7QUFDUyxRQUFBLFNBQVMsR0FBRyxDQUFDLE1BQW9CLEVBQUUsS0FBcUIsRUFBRSxNQUFzQixFQUFFLFdBQW1CLEVBQUUsRUFBRTtJQUNwSCxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsS0FBSyxFQUFFLFVBQVUsRUFBRSxFQUFFO1FBQ25DLE1BQU0sVUFBVSxHQUFHLE1BQU0sQ0FBQyxVQUFVLENBQUMsQ0FBQztRQUN0QyxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsV0FBVyxDQUFDLENBQUM7UUFDbkMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksRUFBRSxTQUFTLEVBQUUsRUFBRTtZQUNoQyxJQUFJLElBQUksS0FBSyxDQUFDLEVBQUU7Z0JBQ2QsT0FBTzthQUNSO1lBQ0QsTUFBTSxTQUFTLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1lBQ25DLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxXQUFXLEVBQUUsQ0FBQyxFQUFFLEVBQUU7Z0JBQ3BDLFVBQVUsQ0FBQyxDQUFDLENBQUMsSUFBSSxJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDO2FBQ3RDO1FBQ0gsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDLENBQUMsQ0FBQztBQUNMLENBQUMsQ0FBQSIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yIH0gZnJvbSAnLi9lcnJvcnMnO1xuXG4vKipcbiAgKiBHYWlucyBhcHBsaWVkIHRvIHRoZSBpbnB1dCBjaGFubmVscyB0byBnZXQgZWFjaCBvdXRwdXQgY2hhbm5lbCwgYG1hdHJpeFtvdXRDaGFubmVsXVtpbkNoYW5uZWxdYFxuICAqL1xuZXhwb3J0IHR5cGUgTWl4aW5nTWF0cml4ID0gbnVtYmVyW11bXTtcblxuLy8gLTNkQiwgdXNlZCBieSBJVFUtUiBCUy43NzUgZm9yIHRoZSBjZW50ZXIgYW5kIHN1cnJvdW5kIGNoYW5uZWxzXG5jb25zdCBNSU5VU18zREIgPSBNYXRoLlNRUlQxXzI7XG5cbi8vIDUuMSBjaGFubmVscyBhcmUgZXhwZWN0ZWQgaW4gdGhlIFdBVi9TTVBURSBvcmRlcjogZnJvbnQgbGVmdCwgZnJvbnQgcmlnaHQsIGNlbnRlciwgTEZFLCBzdXJyb3VuZCBsZWZ0LCBzdXJyb3VuZCByaWdodFxuLy8gdGhlIExGRSBjaGFubmVsIGlzIGRyb3BwZWQgYXMgaXQgaXMgdXN1YWxseSBub3QgaW5jbHVkZWQgaW4gZG93bm1peGVzXG5jb25zdCBET1dOTUlYXzVfMV9UT19TVEVSRU86IE1peGluZ01hdHJpeCA9IFtcbiAgWzEsIDAsIE1JTlVTXzNEQiwgMCwgTUlOVVNfM0RCLCAwXSxcbiAgWzAsIDEsIE1JTlVTXzNEQiwgMCwgMCwgTUlOVVNfM0RCXSxcbl07XG5cbmNvbnN0IERPV05NSVhfU1RFUkVPX1RPX01PTk86IE1peGluZ01hdHJpeCA9IFtcbiAgWzAuNSwgMC41XSxcbl07XG5cbi8qKlxuICAqIE1peGluZyBtYXRyaXggdXNlZCB3aGVuIG9ubHkgdGhlIG51bWJlciBvZiBvdXRwdXQgY2hhbm5lbHMgaXMgZ2l2ZW46XG4gICogLSBzYW1lIG51bWJlciBvZiBjaGFubmVsczogY2hhbm5lbHMgYXJlIGtlcHQgYXMgaXNcbiAgKiAtIG1vbm8gdG8gYW55OiB0aGUgY2hhbm5lbCBpcyBjb3BpZWQgaW4gZXZlcnkgb3V0cHV0IGNoYW5uZWxcbiAgKiAtIHN0ZXJlbyB0byBtb25vOiBhdmVyYWdlIG9mIGJvdGggY2hhbm5lbHNcbiAgKiAtIDUuMSB0byBzdGVyZW86IElUVS1SIEJTLjc3NSBjb2VmZmljaWVudHMsIHRoZSBMRkUgY2hhbm5lbCBpcyBkcm9wcGVkXG4gICogLSA1LjEgdG8gbW9ubzogNS4xIHRvIHN0ZXJlbyB0aGVuIHN0ZXJlbyB0byBtb25vXG4gICogT3RoZXIgY29tYmluYXRpb25zIG5lZWQgYW4gZXhwbGljaXQgYG1peGluZ01hdHJpeGAgb3IgYGNoYW5uZWxNYXBgLlxuICAqL1xuZXhwb3J0IGNvbnN0IGRlZmF1bHRNaXhpbmdNYXRyaXggPSAoaW5DaGFubmVsczogbnVtYmVyLCBvdXRDaGFubmVsczogbnVtYmVyKTogTWl4aW5nTWF0cml4ID0+IHtcbiAgaWYgKGluQ2hhbm5lbHMgPT09IG91dENoYW5uZWxzKSB7XG4gICAgcmV0dXJuIEFycmF5LmZyb20oe2xlbmd0aDogb3V0Q2hhbm5lbHN9LCAoXywgb3V0Q2hhbm5lbCkgPT4gQXJyYXkuZnJvbSh7bGVuZ3RoOiBpbkNoYW5uZWxzfSwgKF9fLCBpbkNoYW5uZWwpID0+IChpbkNoYW5uZWwgPT09IG91dENoYW5uZWwgPyAxIDogMCkpKTtcbiAgfVxuICBpZiAoaW5DaGFubmVscyA9PT0gMSkge1xuICAgIHJldHVybiBBcnJheS5mcm9tKHtsZW5ndGg6IG91dENoYW5uZWxzfSwgKCkgPT4gWzFdKTtcbiAgfVxuICBpZiAoaW5DaGFubmVscyA9PT0gMiAmJiBvdXRDaGFubmVscyA9PT0gMSkge1xuICAgIHJldHVybiBET1dOTUlYX1NURVJFT19UT19NT05PO1xuICB9XG4gIGlmIChpbkNoYW5uZWxzID09PSA2ICYmIG91dENoYW5uZWxzID09PSAyKSB7XG4gICAgcmV0dXJuIERPV05NSVhfNV8xX1RPX1NURVJFTztcbiAgfVxuICBpZiAoaW5DaGFubmVscyA9PT0gNiAmJiBvdXRDaGFubmVscyA9PT0gMSkge1xuICAgIHJldHVybiBbRE9XTk1JWF81XzFfVE9fU1RFUkVPWzBdLm1hcCgoZ2FpbiwgaW5DaGFubmVsKSA9PiAoZ2FpbiArIERPV05NSVhfNV8xX1RPX1NURVJFT1sxXVtpbkNoYW5uZWxdKSAvIDIpXTtcbiAgfVxuICB0aHJvdyBuZXcgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IoYE5vIGRlZmF1bHQgbWl4aW5nIGZyb20gJHtpbkNoYW5uZWxzfSB0byAke291dENoYW5uZWxzfSBjaGFubmVscywgdXNlIHRoZSBtaXhpbmdNYXRyaXggb3IgY2hhbm5lbE1hcCBvcHRpb25gKTtcbn1cblxuLyoqXG4gICogQ29udmVydCBhIGNoYW5uZWwgbWFwIHRvIGEgbWl4aW5nIG1hdHJpeFxuICAqIEBwYXJhbSBjaGFubmVsTWFwIGZvciBlYWNoIG91dHB1dCBjaGFubmVsLCB0aGUgaW5kZXggb2YgdGhlIGlucHV0IGNoYW5uZWwgaXQgaXMgY29waWVkIGZyb20gb3IgLTEgZm9yIHNpbGVuY2VcbiAgKi9cbmV4cG9ydCBjb25zdCBjaGFubmVsTWFwVG9NYXRyaXggPSAoY2hhbm5lbE1hcDogbnVtYmVyW10sIGluQ2hhbm5lbHM6IG51bWJlcik6IE1peGluZ01hdHJpeCA9PiB7XG4gIGlmIChjaGFubmVsTWFwLmxlbmd0aCA9PT0gMCkge1xuICAgIHRocm93IG5ldyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvcignQ2hhbm5lbCBtYXAgc2hvdWxkIGhhdmUgYXQgbGVhc3Qgb25lIG91dHB1dCBjaGFubmVsJyk7XG4gIH1cbiAgcmV0dXJuIGNoYW5uZWxNYXAubWFwKChpbkNoYW5uZWwpID0+IHtcbiAgICBpZiAoIU51bWJlci5pc0ludGVnZXIoaW5DaGFubmVsKSB8fCBpbkNoYW5uZWwgPCAtMSB8fCBpbkNoYW5uZWwgPj0gaW5DaGFubmVscykge1xuICAgICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKGBJbnZhbGlkIGNoYW5uZWwgbWFwIGVudHJ5ICR7aW5DaGFubmVsfSwgc2hvdWxkIGJlIC0xIG9yIGFuIGlucHV0IGNoYW5uZWwgYmV0d2VlbiAwIGFuZCAke2luQ2hhbm5lbHMgLSAxfWApO1xuICAgIH1cbiAgICByZXR1cm4gQXJyYXkuZnJvbSh7bGVuZ3RoOiBpbkNoYW5uZWxzfSwgKF8sIGkpID0+IChpID09PSBpbkNoYW5uZWwgPyAxIDogMCkpO1xuICB9KTtcbn1cblxuZXhwb3J0IGNvbnN0IGFzc2VydE1peGluZ01hdHJpeCA9IChtYXRyaXg6IE1peGluZ01hdHJpeCwgaW5DaGFubmVsczogbnVtYmVyKSA9PiB7XG4gIGlmIChtYXRyaXgubGVuZ3RoID09PSAwKSB7XG4gICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKCdNaXhpbmcgbWF0cml4IHNob3VsZCBoYXZlIGF0IGxlYXN0IG9uZSBvdXRwdXQgY2hhbm5lbCcpO1xuICB9XG4gIGlmIChtYXRyaXguc29tZSgoZ2FpbnMpID0+IGdhaW5zLmxlbmd0aCAhPT0gaW5DaGFubmVscyB8fCBnYWlucy5zb21lKChnYWluKSA9PiB0eXBlb2YgZ2FpbiAhPT0gJ251bWJlcicgfHwgIU51bWJlci5pc0Zpbml0ZShnYWluKSkpKSB7XG4gICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKGBNaXhpbmcgbWF0cml4IHNob3VsZCBoYXZlIG9uZSByb3cgb2YgJHtpbkNoYW5uZWxzfSBnYWlucyBwZXIgb3V0cHV0IGNoYW5uZWxgKTtcbiAgfVxuICByZXR1cm4gbWF0cml4O1xufVxuXG5leHBvcnQgY29uc3QgaXNJZGVudGl0eU1hdHJpeCA9IChtYXRyaXg6IE1peGluZ01hdHJpeCkgPT4gbWF0cml4LmV2ZXJ5KChnYWlucywgb3V0Q2hhbm5lbCkgPT4gKFxuICBnYWlucy5sZW5ndGggPT09IG1hdHJpeC5sZW5ndGggJiYgZ2FpbnMuZXZlcnkoKGdhaW4sIGluQ2hhbm5lbCkgPT4gZ2FpbiA9PT0gKGluQ2hhbm5lbCA9PT0gb3V0Q2hhbm5lbCA/IDEgOiAwKSlcbikpO1xuXG4vKipcbiAgKiBNaXggaW50ZXJsZWF2ZWQgZmxvYXQgc2FtcGxlcyBmcm9tIGBpbnB1dGAgd2l0aCBgbWF0cml4WzBdLmxlbmd0aGAgY2hhbm5lbHMgaW50byBgb3V0cHV0YCB3aXRoIGBtYXRyaXgubGVuZ3RoYCBjaGFubmVsc1xuICAqL1xuZXhwb3J0IGNvbnN0IG1peEludGVybGVhdmVkID0gKG1hdHJpeDogTWl4aW5nTWF0cml4LCBpbnB1dDogRmxvYXQzMkFycmF5LCBvdXRwdXQ6IEZsb2F0MzJBcnJheSkgPT4ge1xuICBjb25zdCBvdXRDaGFubmVscyA9IG1hdHJpeC5sZW5ndGg7XG4gIGNvbnN0IGluQ2hhbm5lbHMgPSBtYXRyaXhbMF0ubGVuZ3RoO1xuICBjb25zdCBmcmFtZXNDb3VudCA9IGlucHV0Lmxlbmd0aCAvIGluQ2hhbm5lbHM7XG4gIGZvciAobGV0IGZyYW1lID0gMDsgZnJhbWUgPCBmcmFtZXNDb3VudDsgZnJhbWUrKykge1xuICAgIGNvbnN0IGluT2Zmc2V0ID0gZnJhbWUgKiBpbkNoYW5uZWxzO1xuICAgIGZvciAobGV0IG91dENoYW5uZWwgPSAwOyBvdXRDaGFubmVsIDwgb3V0Q2hhbm5lbHM7IG91dENoYW5uZWwrKykge1xuICAgICAgY29uc3QgZ2FpbnMgPSBtYXRyaXhbb3V0Q2hhbm5lbF07XG4gICAgICBsZXQgc2FtcGxlID0gMDtcbiAgICAgIGZvciAobGV0IGluQ2hhbm5lbCA9IDA7IGluQ2hhbm5lbCA8IGluQ2hhbm5lbHM7IGluQ2hhbm5lbCsrKSB7XG4gICAgICAgIHNhbXBsZSArPSBnYWluc1tpbkNoYW5uZWxdICogaW5wdXRbaW5PZmZzZXQgKyBpbkNoYW5uZWxdO1xuICAgICAgfVxuICAgICAgb3V0cHV0W2ZyYW1lICogb3V0Q2hhbm5lbHMgKyBvdXRDaGFubmVsXSA9IHNhbXBsZTtcbiAgICB9XG4gIH1cbn1cblxuLyoqXG4gICogTWl4IHBsYW5hciBmbG9hdCBzYW1wbGVzLCBvbmUgYXJyYXkgcGVyIGlucHV0IGNoYW5uZWwsIGludG8gYG91dHB1dGAsIG9uZSBhcnJheSBwZXIgb3V0cHV0IGNoYW5uZWxcbiAgKiBAcGFyYW0gZnJhbWVzQ291bnQgbnVtYmVyIG9mIGZyYW1lcyB0byBtaXgsIGFycmF5cyBjYW4gYmUgbG9uZ2VyXG4gICovXG5leHBvcnQgY29uc3QgbWl4UGxhbmFyID0gKG1hdHJpeDogTWl4aW5nTWF0cml4LCBpbnB1dDogRmxvYXQzMkFycmF5W10sIG91dHB1dDogRmxvYXQzMkFycmF5W10sIGZyYW1lc0NvdW50OiBudW1iZXIpID0+IHtcbiAgbWF0cml4LmZvckVhY2goKGdhaW5zLCBvdXRDaGFubmVsKSA9PiB7XG4gICAgY29uc3Qgb3V0U2FtcGxlcyA9IG91dHB1dFtvdXRDaGFubmVsXTtcbiAgICBvdXRTYW1wbGVzLmZpbGwoMCwgMCwgZnJhbWVzQ291bnQpO1xuICAgIGdhaW5zLmZvckVhY2goKGdhaW4sIGluQ2hhbm5lbCkgPT4ge1xuICAgICAgaWYgKGdhaW4gPT09IDApIHtcbiAgICAgICAgcmV0dXJuO1xuICAgICAgfVxuICAgICAgY29uc3QgaW5TYW1wbGVzID0gaW5wdXRbaW5DaGFubmVsXTtcbiAgICAgIGZvciAobGV0IGkgPSAwOyBpIDwgZnJhbWVzQ291bnQ7IGkrKykge1xuICAgICAgICBvdXRTYW1wbGVzW2ldICs9IGdhaW4gKiBpblNhbXBsZXNbaV07XG4gICAgICB9XG4gICAgfSk7XG4gIH0pO1xufVxuIl19
\ No newline at end of file
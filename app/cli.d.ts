@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+import { SampleFormat } from './formats';
+export interface CliOptions {
+    inRate?: number;
+    outRate: number;
+    channels: number;
+    outChannels?: number;
+    quality: number;
+    format: SampleFormat;
+    outFormat?: SampleFormat;
+    batch: boolean;
+    outDir?: string;
+    jobs: number;
+    quiet: boolean;
+    paths: string[];
+}
+export declare const parseArgs: (argv: string[]) => CliOptions | null;
+/**
+  * Directory before the first wildcard of a glob pattern, the batch mode keeps the directories below it in --out-dir
+  */
+export declare const globBaseDir: (pattern: string) => string;
+/**
+  * Find the files matching a glob pattern, supports `*`, `?` and `**` for any number of directories
+  */
+export declare const glob: (pattern: string) => string[];
+export declare const main: (argv: string[]) => Promise<void>;
@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    Object.defineProperty(o, k2, { enumerable: true, get: function() { return m[k]; } });
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.main = exports.glob = exports.globBaseDir = exports.parseArgs = void 0;
+const fs_1 = require("fs");
+const stream_1 = require("stream");
+const worker_threads_1 = require("worker_threads");
+const perf_hooks_1 = require("perf_hooks");
+const os_1 = require("os");
+const path_1 = __importDefault(require("path"));
+const buffer_1 = require("buffer");
+const index_1 = __importStar(require("./index"));
+const formats_1 = require("./formats");
+const wav_1 = require("./wav");
+const USAGE = `Usage: speex-resample [options] [input] [output]
+       speex-resample [options] --batch <glob...> --out-dir <dir>
+
+Resample a raw PCM or WAV file, input and output default to stdin and stdout ("-").
+WAV files are detected automatically, their header gives the input rate, channels and format.
+
+Options:
+  --in-rate <hz>       input rate, required for raw PCM
+  --out-rate <hz>      output rate, required
+  --channels <n>       number of channels of raw PCM, default to 1
+  --out-channels <n>   number of channels of the output, default to the input channels
+  --quality <0-10>     resampling quality, default to 7
+  --format <format>    sample format of raw PCM input: s16, s24, s32 or f32, default to s16
+  --out-format <fmt>   sample format of the output, default to the input format
+  --batch              resample every file matching the glob patterns into --out-dir
+  --out-dir <dir>      output directory of the batch mode, keeping the directories below the patterns
+  --jobs <n>           number of files resampled in parallel in batch mode, default to the number of CPUs
+  --quiet              don't print progress and summary
+  --help               show this help
+`;
+// sox/ffmpeg style names of the sample formats
+const FORMAT_ALIASES = {
+    s16: 'int16',
+    s24: 'int24',
+    s32: 'int32',
+    f32: 'float32',
+};
+class UsageError extends Error {
+}
+const parseFormat = (format) => formats_1.assertSampleFormat(FORMAT_ALIASES[format] || format);
+// rates, channels and jobs are positive integers, the quality is between 0 and 10
+const parseInteger = (name, value, range = [1, Infinity]) => {
+    const number = Number(value);
+    const [min, max] = range;
+    if (value === undefined || value.trim() === '' || !Number.isInteger(number) || number < min || number > max) {
+        throw new UsageError(max === Infinity ? `${name} should be a positive integer` : `${name} should be an integer between ${min} and ${max}`);
+    }
+    return number;
+};
+exports.parseArgs = (argv) => {
+    const options = {
+        channels: 1,
+        quality: 7,
+        format: 'int16',
+        batch: false,
+        jobs: os_1.cpus().length,
+        quiet: false,
+        paths: [],
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--help':
+            case '-h':
+                return null;
+            case '--in-rate':
+                options.inRate = parseInteger(arg, argv[++i]);
+                break;
+            case '--out-rate':
+                options.outRate = parseInteger(arg, argv[++i]);
+                break;
+            case '--channels':
+                options.channels = parseInteger(arg, argv[++i]);
+                break;
+            case '--out-channels':
+                options.outChannels = parseInteger(arg, argv[++i]);
+                break;
+            case '--quality':
+                options.quality = parseInteger(arg, argv[++i], [0, 10]);
+                break;
+            case '--format':
+                options.format = parseFormat(argv[++i]);
+                break;
+            case '--out-format':
+                options.outFormat = parseFormat(argv[++i]);
+                break;
+            case '--batch':
+                options.batch = true;
+                break;
+            case '--out-dir':
+                options.outDir = argv[++i];
+                break;
+            case '--jobs':
+                options.jobs = parseInteger(arg, argv[++i]);
+                break;
+            case '--quiet':
+                options.quiet = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new UsageError(`Unknown option ${arg}`);
+                }
+                options.paths.push(arg);
+        }
+    }
+    if (!options.outRate) {
+        throw new UsageError('--out-rate is required');
+    }
+    if (options.batch && (!options.outDir || options.paths.length === 0)) {
+        throw new UsageError('--batch needs at least one glob pattern and --out-dir');
+    }
+    if (!options.batch && options.paths.length > 2) {
+        throw new UsageError('Too many arguments, use --batch to resample multiple files');
+    }
+    return options;
+};
+const globToRegExp = (pattern) => new RegExp('^' + pattern
+    .split(/(\*\*\/|\*|\?)/)
+    .map((part) => {
+    if (part === '**/') {
+        return '(?:.*/)?';
+    }
+    if (part === '*') {
+        return '[^/]*';
+    }
+    if (part === '?') {
+        return '[^/]';
+    }
+    return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+})
+    .join('') + '$');
+const listFiles = (dir) => fs_1.readdirSync(dir).flatMap((name) => {
+    const file = path_1.default.join(dir, name);
+    return fs_1.statSync(file).isDirectory() ? listFiles(file) : [file];
+});
+/**
+  * Directory before the first wildcard of a glob pattern, the batch mode keeps the directories below it in --out-dir
+  */
+exports.globBaseDir = (pattern) => {
+    const segments = pattern.split(path_1.default.sep).join('/').split('/');
+    const firstWildcardIndex = segments.findIndex((segment) => /[*?]/.test(segment));
+    if (firstWildcardIndex === -1) {
+        return path_1.default.dirname(pattern);
+    }
+    // an empty first segment is the root of an absolute pattern
+    return segments.slice(0, firstWildcardIndex).join('/') || (firstWildcardIndex > 0 ? '/' : '.');
+};
+/**
+  * Find the files matching a glob pattern, supports `*`, `?` and `**` for any number of directories
+  */
+exports.glob = (pattern) => {
+    if (!/[*?]/.test(pattern)) {
+        return [pattern];
+    }
+    const regexp = globToRegExp(pattern.split(path_1.default.sep).join('/'));
+    return listFiles(exports.globBaseDir(pattern))
+        .filter((file) => regexp.test(path_1.default.relative('.', file).split(path_1.default.sep).join('/')) || regexp.test(file.split(path_1.default.sep).join('/')))
+        .sort();
+};
+// Read the first chunk of the stream and put it back to detect the file type
+const peekFirstChunk = (stream) => new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+        cleanup();
+        stream.pause();
+        stream.unshift(chunk);
+        resolve(chunk);
+    };
+    const onEnd = () => {
+        cleanup();
+        resolve(buffer_1.Buffer.alloc(0));
+    };
+    const cleanup = () => {
+        stream.removeListener('data', onData);
+        stream.removeListener('end', onEnd);
+        stream.removeListener('error', reject);
+    };
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('error', reject);
+});
+const formatDuration = (seconds) => `${seconds.toFixed(2)}s`;
+const createTransform = (options, head) => {
+    if (head.toString('ascii', 0, 4) === 'RIFF') {
+        return new index_1.WavResamplerTransform(options.outRate, options.quality, { format: options.outFormat, outChannels: options.outChannels });
+    }
+    if (!options.inRate) {
+        throw new UsageError('--in-rate is required for raw PCM input');
+    }
+    return new index_1.SpeexResamplerTransform(options.channels, options.inRate, options.outRate, options.quality, {
+        inFormat: options.format,
+        outFormat: options.outFormat || options.format,
+        outChannels: options.outChannels,
+    });
+};
+// Size of the input file, checked before opening any stream so that a missing input doesn't create an empty output
+const inputSizeOf = (input) => {
+    if (input === '-') {
+        return null;
+    }
+    let stats;
+    try {
+        stats = fs_1.statSync(input);
+    }
+    catch (e) {
+        throw new Error(e.code === 'ENOENT' ? `${input}: no such file` : `${input}: ${e.message}`);
+    }
+    if (stats.isDirectory()) {
+        throw new Error(`${input} is a directory`);
+    }
+    return stats.size;
+};
+const resampleFile = async (options, input, output, onProgress) => {
+    await index_1.default.initPromise;
+    const start = perf_hooks_1.performance.now();
+    const inputSize = inputSizeOf(input);
+    const inputStream = input === '-' ? process.stdin : fs_1.createReadStream(input);
+    let transform;
+    try {
+        const head = await peekFirstChunk(inputStream);
+        transform = createTransform(options, head);
+    }
+    catch (e) {
+        if (inputStream !== process.stdin) {
+            inputStream.destroy();
+        }
+        throw e;
+    }
+    // only opened once the input is known to be valid so that an existing output file is not truncated on errors,
+    // its errors are handled by the pipeline
+    const outputStream = output === '-' ? process.stdout : fs_1.createWriteStream(output);
+    let inputBytes = 0;
+    let outputBytes = 0;
+    inputStream.on('data', (d) => {
+        inputBytes += d.length;
+        if (onProgress && inputSize) {
+            onProgress(inputBytes / inputSize);
+        }
+    });
+    transform.on('data', (d) => outputBytes += d.length);
+    await new Promise((resolve, reject) => {
+        // pipeline uses transform.pipe so WavResamplerTransform can patch the header of the output file
+        stream_1.pipeline(inputStream, transform, outputStream, (err) => err ? reject(err) : resolve());
+    });
+    const wavTransform = transform instanceof index_1.WavResamplerTransform ? transform : null;
+    const inputHeaderLength = wavTransform ? wavTransform.inputHeader.dataOffset : 0;
+    // the output header can differ from the input one (format, skipped chunks)
+    const outputHeaderLength = wavTransform ? wav_1.createWavHeader(wavTransform.outputFormat).length : 0;
+    const inBytesPerFrame = transform.channels * formats_1.BYTES_PER_SAMPLE[transform.resampler.inFormat];
+    const outBytesPerFrame = transform.resampler.outChannels * formats_1.BYTES_PER_SAMPLE[transform.resampler.outFormat];
+    return {
+        input,
+        output,
+        inputDuration: (inputBytes - inputHeaderLength) / inBytesPerFrame / transform.inRate,
+        outputDuration: (outputBytes - outputHeaderLength) / outBytesPerFrame / transform.outRate,
+        elapsed: (perf_hooks_1.performance.now() - start) / 1000,
+    };
+};
+const printSummary = (summary) => {
+    process.stderr.write(`${summary.input} -> ${summary.output}: ${formatDuration(summary.inputDuration)} resampled to ` +
+        `${formatDuration(summary.outputDuration)} in ${formatDuration(summary.elapsed)} ` +
+        `(${(summary.inputDuration / summary.elapsed).toFixed(1)}x realtime)\n`);
+};
+// Each batch file is resampled in its own worker thread with its own WASM instance
+const resampleInWorker = (options, input, output) => new Promise((resolve, reject) => {
+    const worker = new worker_threads_1.Worker(__filename, { workerData: { options, input, output } });
+    worker.once('message', ({ summary, error }) => error ? reject(new Error(`${input}: ${error}`)) : resolve(summary));
+    worker.once('error', reject);
+    worker.once('exit', (code) => code !== 0 && reject(new Error(`Worker stopped with exit code ${code}`)));
+});
+// Output path of each batch input, keeping its directories below the pattern base dir so that files with the same
+// name in different directories don't overwrite each other
+const batchOutputs = (patterns, outDir) => {
+    const outputs = new Map();
+    const inputsByOutput = new Map();
+    for (const pattern of patterns) {
+        const baseDir = exports.globBaseDir(pattern);
+        for (const input of exports.glob(pattern)) {
+            if (outputs.has(input)) {
+                continue;
+            }
+            const output = path_1.default.join(outDir, path_1.default.relative(baseDir, input));
+            if (inputsByOutput.has(output)) {
+                throw new UsageError(`${inputsByOutput.get(output)} and ${input} would both be resampled to ${output}`);
+            }
+            outputs.set(input, output);
+            inputsByOutput.set(output, input);
+        }
+    }
+    return outputs;
+};
+const runBatch = async (options) => {
+    const outputs = batchOutputs(options.paths, options.outDir);
+    const inputs = Array.from(outputs.keys());
+    if (inputs.length === 0) {
+        throw new UsageError('No file matching the batch patterns');
+    }
+    for (const output of outputs.values()) {
+        fs_1.mkdirSync(path_1.default.dirname(output), { recursive: true });
+    }
+    const start = perf_hooks_1.performance.now();
+    let nextIndex = 0;
+    let doneCount = 0;
+    let totalDuration = 0;
+    const runNext = async () => {
+        while (nextIndex < inputs.length) {
+            const input = inputs[nextIndex++];
+            const summary = await resampleInWorker(options, input, outputs.get(input));
+            doneCount++;
+            totalDuration += summary.inputDuration;
+            if (!options.quiet) {
+                process.stderr.write(`[${doneCount}/${inputs.length}] `);
+                printSummary(summary);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(options.jobs, inputs.length) }, runNext));
+    if (!options.quiet) {
+        const elapsed = (perf_hooks_1.performance.now() - start) / 1000;
+        process.stderr.write(`${inputs.length} files, ${formatDuration(totalDuration)} of audio resampled in ${formatDuration(elapsed)}\n`);
+    }
+};
+const runSingle = async (options) => {
+    const [input = '-', output = '-'] = options.paths;
+    const showProgress = !options.quiet && process.stderr.isTTY;
+    const summary = await resampleFile(options, input, output, showProgress ? (progress) => {
+        process.stderr.write(`\r${Math.floor(progress * 100)}%`);
+    } : undefined);
+    if (showProgress) {
+        process.stderr.write('\r');
+    }
+    if (!options.quiet) {
+        printSummary(summary);
+    }
+};
+exports.main = async (argv) => {
+    try {
+        const options = exports.parseArgs(argv);
+        if (!options) {
+            process.stdout.write(USAGE);
+            return;
+        }
+        await (options.batch ? runBatch(options) : runSingle(options));
+    }
+    catch (e) {
+        process.stderr.write(`speex-resample: ${e.message}\n`);
+        if (e instanceof UsageError) {
+            process.stderr.write(USAGE);
+        }
+        process.exitCode = 1;
+    }
+};
+if (!worker_threads_1.isMainThread && worker_threads_1.workerData && worker_threads_1.workerData.options) {
+    resampleFile(worker_threads_1.workerData.options, worker_threads_1.workerData.input, worker_threads_1.workerData.output).then((summary) => worker_threads_1.parentPort.postMessage({ summary }), (e) => worker_threads_1.parentPort.postMessage({ error: e.message }));
+}
+else if (require.main === module) {
+    exports.main(process.argv.slice(2));
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY2xpLmpzIiwic291cmNlUm9vdCI6Ii8iLCJzb3VyY2VzIjpbImNsaS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUNBLDJCQUFrRztBQUNsRyxtQ0FBc0Q7QUFDdEQsbURBQThFO0FBQzlFLDJDQUF5QztBQUN6QywyQkFBMEI7QUFDMUIsZ0RBQXdCO0FBQ3hCLG1DQUErQjtBQUMvQixpREFBeUY7QUFDekYsdUNBQStFO0FBQy9FLCtCQUF3QztBQUV4QyxNQUFNLEtBQUssR0FBRzs7Ozs7Ozs7Ozs7Ozs7Ozs7OztDQW1CYixDQUFDO0FBRUYsK0NBQStDO0FBQy9DLE1BQU0sY0FBYyxHQUFvQztJQUN0RCxHQUFHLEVBQUUsT0FBTztJQUNaLEdBQUcsRUFBRSxPQUFPO0lBQ1osR0FBRyxFQUFFLE9BQU87SUFDWixHQUFHLEVBQUUsU0FBUztDQUNmLENBQUM7QUEwQkYsTUFBTSxVQUFXLFNBQVEsS0FBSztDQUFHO0FBRWpDLE1BQU0sV0FBVyxHQUFHLENBQUMsTUFBYyxFQUFFLEVBQUUsQ0FBQyw0QkFBa0IsQ0FBQyxjQUFjLENBQUMsTUFBTSxDQUFDLElBQUksTUFBTSxDQUFDLENBQUM7QUFFN0Ysa0ZBQWtGO0FBQ2xGLE1BQU0sWUFBWSxHQUFHLENBQUMsSUFBWSxFQUFFLEtBQWEsRUFBRSxRQUEwQixDQUFDLENBQUMsRUFBRSxRQUFRLENBQUMsRUFBRSxFQUFFO0lBQzVGLE1BQU0sTUFBTSxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUM3QixNQUFNLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQztJQUN6QixJQUFJLEtBQUssS0FBSyxTQUFTLElBQUksS0FBSyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLElBQUksTUFBTSxHQUFHLEdBQUcsSUFBSSxNQUFNLEdBQUcsR0FBRyxFQUFFO1FBQzNHLE1BQU0sSUFBSSxVQUFVLENBQUMsR0FBRyxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFJLCtCQUErQixDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksaUNBQWlDLEdBQUcsUUFBUSxHQUFHLEVBQUUsQ0FBQyxDQUFDO0tBQzVJO0lBQ0QsT0FBTyxNQUFNLENBQUM7QUFDaEIsQ0FBQyxDQUFBO0FBRVksUUFBQSxTQUFTLEdBQUcsQ0FBQyxJQUFjLEVBQXFCLEVBQUU7SUFDN0QsTUFBTSxPQUFPLEdBQXdCO1FBQ25DLFFBQVEsRUFBRSxDQUFDO1FBQ1gsT0FBTyxFQUFFLENBQUM7UUFDVixNQUFNLEVBQUUsT0FBTztRQUNmLEtBQUssRUFBRSxLQUFLO1FBQ1osSUFBSSxFQUFFLFNBQUksRUFBRSxDQUFDLE1BQU07UUFDbkIsS0FBSyxFQUFFLEtBQUs7UUFDWixLQUFLLEVBQUUsRUFBRTtLQUNWLENBQUM7SUFDRixLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDLEVBQUUsRUFBRTtRQUNwQyxNQUFNLEdBQUcsR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDcEIsUUFBUSxHQUFHLEVBQUU7WUFDWCxLQUFLLFFBQVEsQ0FBQztZQUNkLEtBQUssSUFBSTtnQkFDUCxPQUFPLElBQUksQ0FBQztZQUNkLEtBQUssV0FBVztnQkFDZCxPQUFPLENBQUMsTUFBTSxHQUFHLFlBQVksQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDOUMsTUFBTTtZQUNSLEtBQUssWUFBWTtnQkFDZixPQUFPLENBQUMsT0FBTyxHQUFHLFlBQVksQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDL0MsTUFBTTtZQUNSLEtBQUssWUFBWTtnQkFDZixPQUFPLENBQUMsUUFBUSxHQUFHLFlBQVksQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDaEQsTUFBTTtZQUNSLEtBQUssZ0JBQWdCO2dCQUNuQixPQUFPLENBQUMsV0FBVyxHQUFHLFlBQVksQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDbkQsTUFBTTtZQUNSLEtBQUssV0FBVztnQkFDZCxPQUFPLENBQUMsT0FBTyxHQUFHLFlBQVksQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztnQkFDeEQsTUFBTTtZQUNSLEtBQUssVUFBVTtnQkFDYixPQUFPLENBQUMsTUFBTSxHQUFHLFdBQVcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUN4QyxNQUFNO1lBQ1IsS0FBSyxjQUFjO2dCQUNqQixPQUFPLENBQUMsU0FBUyxHQUFHLFdBQVcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUMzQyxNQUFNO1lBQ1IsS0FBSyxTQUFTO2dCQUNaLE9BQU8sQ0FBQyxLQUFLLEdBQUcsSUFBSSxDQUFDO2dCQUNyQixNQUFNO1lBQ1IsS0FBSyxXQUFXO2dCQUNkLE9BQU8sQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7Z0JBQzNCLE1BQU07WUFDUixLQUFLLFFBQVE7Z0JBQ1gsT0FBTyxDQUFDLElBQUksR0FBRyxZQUFZLENBQUMsR0FBRyxFQUFFLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQzVDLE1BQU07WUFDUixLQUFLLFNBQVM7Z0JBQ1osT0FBTyxDQUFDLEtBQUssR0FBRyxJQUFJLENBQUM7Z0JBQ3JCLE1BQU07WUFDUjtnQkFDRSxJQUFJLEdBQUcsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLEVBQUU7b0JBQ3hCLE1BQU0sSUFBSSxVQUFVLENBQUMsa0JBQWtCLEdBQUcsRUFBRSxDQUFDLENBQUM7aUJBQy9DO2dCQUNELE9BQU8sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQzNCO0tBQ0Y7SUFDRCxJQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRTtRQUNwQixNQUFNLElBQUksVUFBVSxDQUFDLHdCQUF3QixDQUFDLENBQUM7S0FDaEQ7SUFDRCxJQUFJLE9BQU8sQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxNQUFNLElBQUksT0FBTyxDQUFDLEtBQUssQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDLEVBQUU7UUFDcEUsTUFBTSxJQUFJLFVBQVUsQ0FBQyx1REFBdUQsQ0FBQyxDQUFDO0tBQy9FO0lBQ0QsSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLElBQUksT0FBTyxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1FBQzlDLE1BQU0sSUFBSSxVQUFVLENBQUMsNERBQTRELENBQUMsQ0FBQztLQUNwRjtJQUNELE9BQU8sT0FBcUIsQ0FBQztBQUMvQixDQUFDLENBQUE7QUFFRCxNQUFNLFlBQVksR0FBRyxDQUFDLE9BQWUsRUFBRSxFQUFFLENBQUMsSUFBSSxNQUFNLENBQUMsR0FBRyxHQUFHLE9BQU87S0FDL0QsS0FBSyxDQUFDLGdCQUFnQixDQUFDO0tBQ3ZCLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxFQUFFO0lBQ1osSUFBSSxJQUFJLEtBQUssS0FBSyxFQUFFO1FBQ2xCLE9BQU8sVUFBVSxDQUFDO0tBQ25CO0lBQ0QsSUFBSSxJQUFJLEtBQUssR0FBRyxFQUFFO1FBQ2hCLE9BQU8sT0FBTyxDQUFDO0tBQ2hCO0lBQ0QsSUFBSSxJQUFJLEtBQUssR0FBRyxFQUFFO1FBQ2hCLE9BQU8sTUFBTSxDQUFDO0tBQ2Y7SUFDRCxPQUFPLElBQUksQ0FBQyxPQUFPLENBQUMsbUJBQW1CLEVBQUUsTUFBTSxDQUFDLENBQUM7QUFDbkQsQ0FBQyxDQUFDO0tBQ0QsSUFBSSxDQUFDLEVBQUUsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO0FBRW5CLE1BQU0sU0FBUyxHQUFHLENBQUMsR0FBVyxFQUFZLEVBQUUsQ0FBQyxnQkFBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksRUFBRSxFQUFFO0lBQzdFLE1BQU0sSUFBSSxHQUFHLGNBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLElBQUksQ0FBQyxDQUFDO0lBQ2xDLE9BQU8sYUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUM7QUFDakUsQ0FBQyxDQUFDLENBQUM7QUFFSDs7SUFFSTtBQUNTLFFBQUEsV0FBVyxHQUFHLENBQUMsT0FBZSxFQUFFLEVBQUU7SUFDN0MsTUFBTSxRQUFRLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxjQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUM5RCxNQUFNLGtCQUFrQixHQUFHLFFBQVEsQ0FBQyxTQUFTLENBQUMsQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztJQUNqRixJQUFJLGtCQUFrQixLQUFLLENBQUMsQ0FBQyxFQUFFO1FBQzdCLE9BQU8sY0FBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQztLQUM5QjtJQUNELDREQUE0RDtJQUM1RCxPQUFPLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLGtCQUFrQixDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsa0JBQWtCLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0FBQ2pHLENBQUMsQ0FBQTtBQUVEOztJQUVJO0FBQ1MsUUFBQSxJQUFJLEdBQUcsQ0FBQyxPQUFlLEVBQUUsRUFBRTtJQUN0QyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRTtRQUN6QixPQUFPLENBQUMsT0FBTyxDQUFDLENBQUM7S0FDbEI7SUFDRCxNQUFNLE1BQU0sR0FBRyxZQUFZLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxjQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDL0QsT0FBTyxTQUFTLENBQUMsbUJBQVcsQ0FBQyxPQUFPLENBQUMsQ0FBQztTQUNuQyxNQUFNLENBQUMsQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsY0FBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLENBQUMsS0FBSyxDQUFDLGNBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsY0FBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1NBQ2hJLElBQUksRUFBRSxDQUFDO0FBQ1osQ0FBQyxDQUFBO0FBRUQsNkVBQTZFO0FBQzdFLE1BQU0sY0FBYyxHQUFHLENBQUMsTUFBZ0IsRUFBRSxFQUFFLENBQUMsSUFBSSxPQUFPLENBQVMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7SUFDbkYsTUFBTSxNQUFNLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRTtRQUMvQixPQUFPLEVBQUUsQ0FBQztRQUNWLE1BQU0sQ0FBQyxLQUFLLEVBQUUsQ0FBQztRQUNmLE1BQU0sQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDdEIsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ2pCLENBQUMsQ0FBQztJQUNGLE1BQU0sS0FBSyxHQUFHLEdBQUcsRUFBRTtRQUNqQixPQUFPLEVBQUUsQ0FBQztRQUNWLE9BQU8sQ0FBQyxlQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDM0IsQ0FBQyxDQUFDO0lBQ0YsTUFBTSxPQUFPLEdBQUcsR0FBRyxFQUFFO1FBQ25CLE1BQU0sQ0FBQyxjQUFjLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1FBQ3RDLE1BQU0sQ0FBQyxjQUFjLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQ3BDLE1BQU0sQ0FBQyxjQUFjLENBQUMsT0FBTyxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBQ3pDLENBQUMsQ0FBQztJQUNGLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBQzFCLE1BQU0sQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQ3hCLE1BQU0sQ0FBQyxFQUFFLENBQUMsT0FBTyxFQUFFLE1BQU0sQ0FBQyxDQUFDO0FBQzdCLENBQUMsQ0FBQyxDQUFDO0FBRUgsTUFBTSxjQUFjLEdBQUcsQ0FBQyxPQUFlLEVBQUUsRUFBRSxDQUFDLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDO0FBRXJFLE1BQU0sZUFBZSxHQUFHLENBQUMsT0FBbUIsRUFBRSxJQUFZLEVBQTJCLEVBQUU7SUFDckYsSUFBSSxJQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssTUFBTSxFQUFFO1FBQzNDLE9BQU8sSUFBSSw2QkFBcUIsQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLE9BQU8sQ0FBQyxPQUFPLEVBQUUsRUFBQyxNQUFNLEVBQUUsT0FBTyxDQUFDLFNBQVMsRUFBRSxXQUFXLEVBQUUsT0FBTyxDQUFDLFdBQVcsRUFBQyxDQUFDLENBQUM7S0FDbkk7SUFDRCxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRTtRQUNuQixNQUFNLElBQUksVUFBVSxDQUFDLHlDQUF5QyxDQUFDLENBQUM7S0FDakU7SUFDRCxPQUFPLElBQUksK0JBQXVCLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUMsTUFBTSxFQUFFLE9BQU8sQ0FBQyxPQUFPLEVBQUUsT0FBTyxDQUFDLE9BQU8sRUFBRTtRQUNyRyxRQUFRLEVBQUUsT0FBTyxDQUFDLE1BQU07UUFDeEIsU0FBUyxFQUFFLE9BQU8sQ0FBQyxTQUFTLElBQUksT0FBTyxDQUFDLE1BQU07UUFDOUMsV0FBVyxFQUFFLE9BQU8sQ0FBQyxXQUFXO0tBQ2pDLENBQUMsQ0FBQztBQUNMLENBQUMsQ0FBQTtBQUVELG1IQUFtSDtBQUNuSCxNQUFNLFdBQVcsR0FBRyxDQUFDLEtBQWEsRUFBRSxFQUFFO0lBQ3BDLElBQUksS0FBSyxLQUFLLEdBQUcsRUFBRTtRQUNqQixPQUFPLElBQUksQ0FBQztLQUNiO0lBQ0QsSUFBSSxLQUFZLENBQUM7SUFDakIsSUFBSTtRQUNGLEtBQUssR0FBRyxhQUFRLENBQUMsS0FBSyxDQUFDLENBQUM7S0FDekI7SUFBQyxPQUFPLENBQUMsRUFBRTtRQUNWLE1BQU0sSUFBSSxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLEdBQUcsS0FBSyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsR0FBRyxLQUFLLEtBQUssQ0FBQyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7S0FDNUY7SUFDRCxJQUFJLEtBQUssQ0FBQyxXQUFXLEVBQUUsRUFBRTtRQUN2QixNQUFNLElBQUksS0FBSyxDQUFDLEdBQUcsS0FBSyxpQkFBaUIsQ0FBQyxDQUFDO0tBQzVDO0lBQ0QsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDO0FBQ3BCLENBQUMsQ0FBQTtBQUVELE1BQU0sWUFBWSxHQUFHLEtBQUssRUFBRSxPQUFtQixFQUFFLEtBQWEsRUFBRSxNQUFjLEVBQUUsVUFBdUMsRUFBNEIsRUFBRTtJQUNuSixNQUFNLGVBQWMsQ0FBQyxXQUFXLENBQUM7SUFDakMsTUFBTSxLQUFLLEdBQUcsd0JBQVcsQ0FBQyxHQUFHLEVBQUUsQ0FBQztJQUNoQyxNQUFNLFNBQVMsR0FBRyxXQUFXLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDckMsTUFBTSxXQUFXLEdBQWEsS0FBSyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMscUJBQWdCLENBQUMsS0FBSyxDQUFDLENBQUM7SUFFdEYsSUFBSSxTQUFrQyxDQUFDO0lBQ3ZDLElBQUk7UUFDRixNQUFNLElBQUksR0FBRyxNQUFNLGNBQWMsQ0FBQyxXQUFXLENBQUMsQ0FBQztRQUMvQyxTQUFTLEdBQUcsZUFBZSxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsQ0FBQztLQUM1QztJQUFDLE9BQU8sQ0FBQyxFQUFFO1FBQ1YsSUFBSSxXQUFXLEtBQUssT0FBTyxDQUFDLEtBQUssRUFBRTtZQUNqQyxXQUFXLENBQUMsT0FBTyxFQUFFLENBQUM7U0FDdkI7UUFDRCxNQUFNLENBQUMsQ0FBQztLQUNUO0lBQ0QsOEdBQThHO0lBQzlHLHlDQUF5QztJQUN6QyxNQUFNLFlBQVksR0FBYSxNQUFNLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxzQkFBaUIsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUUzRixJQUFJLFVBQVUsR0FBRyxDQUFDLENBQUM7SUFDbkIsSUFBSSxXQUFXLEdBQUcsQ0FBQyxDQUFDO0lBQ3BCLFdBQVcsQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUU7UUFDM0IsVUFBVSxJQUFJLENBQUMsQ0FBQyxNQUFNLENBQUM7UUFDdkIsSUFBSSxVQUFVLElBQUksU0FBUyxFQUFFO1lBQzNCLFVBQVUsQ0FBQyxVQUFVLEdBQUcsU0FBUyxDQUFDLENBQUM7U0FDcEM7SUFDSCxDQUFDLENBQUMsQ0FBQztJQUNILFNBQVMsQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxXQUFXLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBRXJELE1BQU0sSUFBSSxPQUFPLENBQU8sQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDMUMsZ0dBQWdHO1FBQ2hHLGlCQUFRLENBQUMsV0FBVyxFQUFFLFNBQVMsRUFBRSxZQUFZLEVBQUUsQ0FBQyxHQUFHLEVBQUUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0lBQ3pGLENBQUMsQ0FBQyxDQUFDO0lBRUgsTUFBTSxZQUFZLEdBQUcsU0FBUyxZQUFZLDZCQUFxQixDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUNuRixNQUFNLGlCQUFpQixHQUFHLFlBQVksQ0FBQyxDQUFDLENBQUMsWUFBWSxDQUFDLFdBQVcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNqRiwyRUFBMkU7SUFDM0UsTUFBTSxrQkFBa0IsR0FBRyxZQUFZLENBQUMsQ0FBQyxDQUFDLHFCQUFlLENBQUMsWUFBWSxDQUFDLFlBQVksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2hHLE1BQU0sZUFBZSxHQUFHLFNBQVMsQ0FBQyxRQUFRLEdBQUcsMEJBQWdCLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUM1RixNQUFNLGdCQUFnQixHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsV0FBVyxHQUFHLDBCQUFnQixDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDM0csT0FBTztRQUNMLEtBQUs7UUFDTCxNQUFNO1FBQ04sYUFBYSxFQUFFLENBQUMsVUFBVSxHQUFHLGlCQUFpQixDQUFDLEdBQUcsZUFBZSxHQUFHLFNBQVMsQ0FBQyxNQUFNO1FBQ3BGLGNBQWMsRUFBRSxDQUFDLFdBQVcsR0FBRyxrQkFBa0IsQ0FBQyxHQUFHLGdCQUFnQixHQUFHLFNBQVMsQ0FBQyxPQUFPO1FBQ3pGLE9BQU8sRUFBRSxDQUFDLHdCQUFXLENBQUMsR0FBRyxFQUFFLEdBQUcsS0FBSyxDQUFDLEdBQUcsSUFBSTtLQUM1QyxDQUFDO0FBQ0osQ0FBQyxDQUFBO0FBRUQsTUFBTSxZQUFZLEdBQUcsQ0FBQyxPQUF3QixFQUFFLEVBQUU7SUFDaEQsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQ2xCLEdBQUcsT0FBTyxDQUFDLEtBQUssT0FBTyxPQUFPLENBQUMsTUFBTSxLQUFLLGNBQWMsQ0FBQyxPQUFPLENBQUMsYUFBYSxDQUFDLGdCQUFnQjtRQUMvRixHQUFHLGNBQWMsQ0FBQyxPQUFPLENBQUMsY0FBYyxDQUFDLE9BQU8sY0FBYyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsR0FBRztRQUNsRixJQUFJLENBQUMsT0FBTyxDQUFDLGFBQWEsR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxlQUFlLENBQ3hFLENBQUM7QUFDSixDQUFDLENBQUE7QUFFRCxtRkFBbUY7QUFDbkYsTUFBTSxnQkFBZ0IsR0FBRyxDQUFDLE9BQW1CLEVBQUUsS0FBYSxFQUFFLE1BQWMsRUFBRSxFQUFFLENBQUMsSUFBSSxPQUFPLENBQWtCLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO0lBQ2hJLE1BQU0sTUFBTSxHQUFHLElBQUksdUJBQU0sQ0FBQyxVQUFVLEVBQUUsRUFBQyxVQUFVLEVBQUUsRUFBQyxPQUFPLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBQyxFQUFDLENBQUMsQ0FBQztJQUM5RSxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxDQUFDLEVBQUMsT0FBTyxFQUFFLEtBQUssRUFBQyxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLEtBQUssQ0FBQyxHQUFHLEtBQUssS0FBSyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO0lBQ2pILE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBQzdCLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxJQUFJLEtBQUssQ0FBQyxJQUFJLE1BQU0sQ0FBQyxJQUFJLEtBQUssQ0FBQyxpQ0FBaUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7QUFDMUcsQ0FBQyxDQUFDLENBQUM7QUFFSCxrSEFBa0g7QUFDbEgsMkRBQTJEO0FBQzNELE1BQU0sWUFBWSxHQUFHLENBQUMsUUFBa0IsRUFBRSxNQUFjLEVBQUUsRUFBRTtJQUMxRCxNQUFNLE9BQU8sR0FBRyxJQUFJLEdBQUcsRUFBa0IsQ0FBQztJQUMxQyxNQUFNLGNBQWMsR0FBRyxJQUFJLEdBQUcsRUFBa0IsQ0FBQztJQUNqRCxLQUFLLE1BQU0sT0FBTyxJQUFJLFFBQVEsRUFBRTtRQUM5QixNQUFNLE9BQU8sR0FBRyxtQkFBVyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3JDLEtBQUssTUFBTSxLQUFLLElBQUksWUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFO1lBQ2pDLElBQUksT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRTtnQkFDdEIsU0FBUzthQUNWO1lBQ0QsTUFBTSxNQUFNLEdBQUcsY0FBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsY0FBSSxDQUFDLFFBQVEsQ0FBQyxPQUFPLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQztZQUNoRSxJQUFJLGNBQWMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUU7Z0JBQzlCLE1BQU0sSUFBSSxVQUFVLENBQUMsR0FBRyxjQUFjLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxRQUFRLEtBQUssK0JBQStCLE1BQU0sRUFBRSxDQUFDLENBQUM7YUFDekc7WUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLEtBQUssRUFBRSxNQUFNLENBQUMsQ0FBQztZQUMzQixjQUFjLENBQUMsR0FBRyxDQUFDLE1BQU0sRUFBRSxLQUFLLENBQUMsQ0FBQztTQUNuQztLQUNGO0lBQ0QsT0FBTyxPQUFPLENBQUM7QUFDakIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxRQUFRLEdBQUcsS0FBSyxFQUFFLE9BQW1CLEVBQUUsRUFBRTtJQUM3QyxNQUFNLE9BQU8sR0FBRyxZQUFZLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDNUQsTUFBTSxNQUFNLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUMxQyxJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO1FBQ3ZCLE1BQU0sSUFBSSxVQUFVLENBQUMscUNBQXFDLENBQUMsQ0FBQztLQUM3RDtJQUNELEtBQUssTUFBTSxNQUFNLElBQUksT0FBTyxDQUFDLE1BQU0sRUFBRSxFQUFFO1FBQ3JDLGNBQVMsQ0FBQyxjQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxFQUFFLEVBQUMsU0FBUyxFQUFFLElBQUksRUFBQyxDQUFDLENBQUM7S0FDcEQ7SUFDRCxNQUFNLEtBQUssR0FBRyx3QkFBVyxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ2hDLElBQUksU0FBUyxHQUFHLENBQUMsQ0FBQztJQUNsQixJQUFJLFNBQVMsR0FBRyxDQUFDLENBQUM7SUFDbEIsSUFBSSxhQUFhLEdBQUcsQ0FBQyxDQUFDO0lBQ3RCLE1BQU0sT0FBTyxHQUFHLEtBQUssSUFBSSxFQUFFO1FBQ3pCLE9BQU8sU0FBUyxHQUFHLE1BQU0sQ0FBQyxNQUFNLEVBQUU7WUFDaEMsTUFBTSxLQUFLLEdBQUcsTUFBTSxDQUFDLFNBQVMsRUFBRSxDQUFDLENBQUM7WUFDbEMsTUFBTSxPQUFPLEdBQUcsTUFBTSxnQkFBZ0IsQ0FBQyxPQUFPLEVBQUUsS0FBSyxFQUFFLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztZQUMzRSxTQUFTLEVBQUUsQ0FBQztZQUNaLGFBQWEsSUFBSSxPQUFPLENBQUMsYUFBYSxDQUFDO1lBQ3ZDLElBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFO2dCQUNsQixPQUFPLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxJQUFJLFNBQVMsSUFBSSxNQUFNLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQztnQkFDekQsWUFBWSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2FBQ3ZCO1NBQ0Y7SUFDSCxDQUFDLENBQUM7SUFDRixNQUFNLE9BQU8sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFDLE1BQU0sRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFDLEVBQUUsT0FBTyxDQUFDLENBQUMsQ0FBQztJQUN4RixJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRTtRQUNsQixNQUFNLE9BQU8sR0FBRyxDQUFDLHdCQUFXLENBQUMsR0FBRyxFQUFFLEdBQUcsS0FBSyxDQUFDLEdBQUcsSUFBSSxDQUFDO1FBQ25ELE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsTUFBTSxDQUFDLE1BQU0sV0FBVyxjQUFjLENBQUMsYUFBYSxDQUFDLDBCQUEwQixjQUFjLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDO0tBQ3JJO0FBQ0gsQ0FBQyxDQUFBO0FBRUQsTUFBTSxTQUFTLEdBQUcsS0FBSyxFQUFFLE9BQW1CLEVBQUUsRUFBRTtJQUM5QyxNQUFNLENBQUMsS0FBSyxHQUFHLEdBQUcsRUFBRSxNQUFNLEdBQUcsR0FBRyxDQUFDLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQztJQUNsRCxNQUFNLFlBQVksR0FBRyxDQUFDLE9BQU8sQ0FBQyxLQUFLLElBQUksT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUM7SUFDNUQsTUFBTSxPQUFPLEdBQUcsTUFBTSxZQUFZLENBQUMsT0FBTyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsRUFBRSxFQUFFO1FBQ3JGLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssSUFBSSxDQUFDLEtBQUssQ0FBQyxRQUFRLEdBQUcsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzNELENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDZixJQUFJLFlBQVksRUFBRTtRQUNoQixPQUFPLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztLQUM1QjtJQUNELElBQUksQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFO1FBQ2xCLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQztLQUN2QjtBQUNILENBQUMsQ0FBQTtBQUVZLFFBQUEsSUFBSSxHQUFHLEtBQUssRUFBRSxJQUFjLEVBQUUsRUFBRTtJQUMzQyxJQUFJO1FBQ0YsTUFBTSxPQUFPLEdBQUcsaUJBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNoQyxJQUFJLENBQUMsT0FBTyxFQUFFO1lBQ1osT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDNUIsT0FBTztTQUNSO1FBQ0QsTUFBTSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7S0FDaEU7SUFBQyxPQUFPLENBQUMsRUFBRTtRQUNWLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLG1CQUFtQixDQUFDLENBQUMsT0FBTyxJQUFJLENBQUMsQ0FBQztRQUN2RCxJQUFJLENBQUMsWUFBWSxVQUFVLEVBQUU7WUFDM0IsT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7U0FDN0I7UUFDRCxPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztLQUN0QjtBQUNILENBQUMsQ0FBQTtBQUVELElBQUksQ0FBQyw2QkFBWSxJQUFJLDJCQUFVLElBQUksMkJBQVUsQ0FBQyxPQUFPLEVBQUU7SUFDckQsWUFBWSxDQUFDLDJCQUFVLENBQUMsT0FBTyxFQUFFLDJCQUFVLENBQUMsS0FBSyxFQUFFLDJCQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxDQUN4RSxDQUFDLE9BQU8sRUFBRSxFQUFFLENBQUMsMkJBQVUsQ0FBQyxXQUFXLENBQUMsRUFBQyxPQUFPLEVBQUMsQ0FBQyxFQUM5QyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsMkJBQVUsQ0FBQyxXQUFXLENBQUMsRUFBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLE9BQU8sRUFBQyxDQUFDLENBQ2xELENBQUM7Q0FDSDtLQUFNLElBQUksT0FBTyxDQUFDLElBQUksS0FBSyxNQUFNLEVBQUU7SUFDbEMsWUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7Q0FDN0IiLCJzb3VyY2VzQ29udGVudCI6WyIjIS91c3IvYmluL2VudiBub2RlXG5pbXBvcnQgeyBjcmVhdGVSZWFkU3RyZWFtLCBjcmVhdGVXcml0ZVN0cmVhbSwgcmVhZGRpclN5bmMsIHN0YXRTeW5jLCBta2RpclN5bmMsIFN0YXRzIH0gZnJvbSAnZnMnO1xuaW1wb3J0IHsgUmVhZGFibGUsIFdyaXRhYmxlLCBwaXBlbGluZSB9IGZyb20gJ3N0cmVhbSc7XG5pbXBvcnQgeyBXb3JrZXIsIGlzTWFpblRocmVhZCwgcGFyZW50UG9ydCwgd29ya2VyRGF0YSB9IGZyb20gJ3dvcmtlcl90aHJlYWRzJztcbmltcG9ydCB7IHBlcmZvcm1hbmNlIH0gZnJvbSAncGVyZl9ob29rcyc7XG5pbXBvcnQgeyBjcHVzIH0gZnJvbSAnb3MnO1xuaW1wb3J0IHBhdGggZnJvbSAncGF0aCc7XG5pbXBvcnQgeyBCdWZmZXIgfSBmcm9tICdidWZmZXInXG5pbXBvcnQgU3BlZXhSZXNhbXBsZXIsIHsgU3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm0sIFdhdlJlc2FtcGxlclRyYW5zZm9ybSB9IGZyb20gJy4vaW5kZXgnO1xuaW1wb3J0IHsgU2FtcGxlRm9ybWF0LCBCWVRFU19QRVJfU0FNUExFLCBhc3NlcnRTYW1wbGVGb3JtYXQgfSBmcm9tICcuL2Zvcm1hdHMnO1xuaW1wb3J0IHsgY3JlYXRlV2F2SGVhZGVyIH0gZnJvbSAnLi93YXYnO1xuXG5jb25zdCBVU0FHRSA9IGBVc2FnZTogc3BlZXgtcmVzYW1wbGUgW29wdGlvbnNdIFtpbnB1dF0gW291dHB1dF1cbiAgICAgICBzcGVleC1yZXNhbXBsZSBbb3B0aW9uc10gLS1iYXRjaCA8Z2xvYi4uLj4gLS1vdXQtZGlyIDxkaXI+XG5cblJlc2FtcGxlIGEgcmF3IFBDTSBvciBXQVYgZmlsZSwgaW5wdXQgYW5kIG91dHB1dCBkZWZhdWx0IHRvIHN0ZGluIGFuZCBzdGRvdXQgKFwiLVwiKS5cbldBViBmaWxlcyBhcmUgZGV0ZWN0ZWQgYXV0b21hdGljYWxseSwgdGhlaXIgaGVhZGVyIGdpdmVzIHRoZSBpbnB1dCByYXRlLCBjaGFubmVscyBhbmQgZm9ybWF0LlxuXG5PcHRpb25zOlxuICAtLWluLXJhdGUgPGh6PiAgICAgICBpbnB1dCByYXRlLCByZXF1aXJlZCBmb3IgcmF3IFBDTVxuICAtLW91dC1yYXRlIDxoej4gICAgICBvdXRwdXQgcmF0ZSwgcmVxdWlyZWRcbiAgLS1jaGFubmVscyA8bj4gICAgICAgbnVtYmVyIG9mIGNoYW5uZWxzIG9mIHJhdyBQQ00sIGRlZmF1bHQgdG8gMVxuICAtLW91dC1jaGFubmVscyA8bj4gICBudW1iZXIgb2YgY2hhbm5lbHMgb2YgdGhlIG91dHB1dCwgZGVmYXVsdCB0byB0aGUgaW5wdXQgY2hhbm5lbHNcbiAgLS1xdWFsaXR5IDwwLTEwPiAgICAgcmVzYW1wbGluZyBxdWFsaXR5LCBkZWZhdWx0IHRvIDdcbiAgLS1mb3JtYXQgPGZvcm1hdD4gICAgc2FtcGxlIGZvcm1hdCBvZiByYXcgUENNIGlucHV0OiBzMTYsIHMyNCwgczMyIG9yIGYzMiwgZGVmYXVsdCB0byBzMTZcbiAgLS1vdXQtZm9ybWF0IDxmbXQ+ICAgc2FtcGxlIGZvcm1hdCBvZiB0aGUgb3V0cHV0LCBkZWZhdWx0IHRvIHRoZSBpbnB1dCBmb3JtYXRcbiAgLS1iYXRjaCAgICAgICAgICAgICAgcmVzYW1wbGUgZXZlcnkgZmlsZSBtYXRjaGluZyB0aGUgZ2xvYiBwYXR0ZXJucyBpbnRvIC0tb3V0LWRpclxuICAtLW91dC1kaXIgPGRpcj4gICAgICBvdXRwdXQgZGlyZWN0b3J5IG9mIHRoZSBiYXRjaCBtb2RlLCBrZWVwaW5nIHRoZSBkaXJlY3RvcmllcyBiZWxvdyB0aGUgcGF0dGVybnNcbiAgLS1qb2JzIDxuPiAgICAgICAgICAgbnVtYmVyIG9mIGZpbGVzIHJlc2FtcGxlZCBpbiBwYXJhbGxlbCBpbiBiYXRjaCBtb2RlLCBkZWZhdWx0IHRvIHRoZSBudW1iZXIgb2YgQ1BVc1xuICAtLXF1aWV0ICAgICAgICAgICAgICBkb24ndCBwcmludCBwcm9ncmVzcyBhbmQgc3VtbWFyeVxuICAtLWhlbHAgICAgICAgICAgICAgICBzaG93IHRoaXMgaGVscFxuYDtcblxuLy8gc294L2ZmbXBlZyBzdHlsZSBuYW1lcyBvZiB0aGUgc2FtcGxlIGZvcm1hdHNcbmNvbnN0IEZPUk1BVF9BTElBU0VTOiB7W2FsaWFzOiBzdHJpbmddOiBTYW1wbGVGb3JtYXR9ID0ge1xuICBzMTY6ICdpbnQxNicsXG4gIHMyNDogJ2ludDI0JyxcbiAgczMyOiAnaW50MzInLFxuICBmMzI6ICdmbG9hdDMyJyxcbn07XG5cbmV4cG9ydCBpbnRlcmZhY2UgQ2xpT3B0aW9ucyB7XG4gIGluUmF0ZT86IG51bWJlcjtcbiAgb3V0UmF0ZTogbnVtYmVyO1xuICBjaGFubmVsczogbnVtYmVyO1xuICBvdXRDaGFubmVscz86IG51bWJlcjtcbiAgcXVhbGl0eTogbnVtYmVyO1xuICBmb3JtYXQ6IFNhbXBsZUZvcm1hdDtcbiAgb3V0Rm9ybWF0PzogU2FtcGxlRm9ybWF0O1xuICBiYXRjaDogYm9vbGVhbjtcbiAgb3V0RGlyPzogc3RyaW5nO1xuICBqb2JzOiBudW1iZXI7XG4gIHF1aWV0OiBib29sZWFuO1xuICAvLyBpbnB1dCBhbmQgb3V0cHV0IHBhdGhzLCBvciBnbG9iIHBhdHRlcm5zIGluIGJhdGNoIG1vZGVcbiAgcGF0aHM6IHN0cmluZ1tdO1xufVxuXG5pbnRlcmZhY2UgUmVzYW1wbGVTdW1tYXJ5IHtcbiAgaW5wdXQ6IHN0cmluZztcbiAgb3V0cHV0OiBzdHJpbmc7XG4gIGlucHV0RHVyYXRpb246IG51bWJlcjtcbiAgb3V0cHV0RHVyYXRpb246IG51bWJlcjtcbiAgZWxhcHNlZDogbnVtYmVyO1xufVxuXG5jbGFzcyBVc2FnZUVycm9yIGV4dGVuZHMgRXJyb3Ige31cblxuY29uc3QgcGFyc2VGb3JtYXQgPSAoZm9ybWF0OiBzdHJpbmcpID0+IGFzc2VydFNhbXBsZUZvcm1hdChGT1JNQVRfQUxJQVNFU1tmb3JtYXRdIHx8IGZvcm1hdCk7XG5cbi8vIHJhdGVzLCBjaGFubmVscyBhbmQgam9icyBhcmUgcG9zaXRpdmUgaW50ZWdlcnMsIHRoZSBxdWFsaXR5IGlzIGJldHdlZW4gMCBhbmQgMTBcbmNvbnN0IHBhcnNlSW50ZWdlciA9IChuYW1lOiBzdHJpbmcsIHZhbHVlOiBzdHJpbmcsIHJhbmdlOiBbbnVtYmVyLCBudW1iZXJdID0gWzEsIEluZmluaXR5XSkgPT4ge1xuICBjb25zdCBudW1iZXIgPSBOdW1iZXIodmFsdWUpO1xuICBjb25zdCBbbWluLCBtYXhdID0gcmFuZ2U7XG4gIGlmICh2YWx1ZSA9PT0gdW5kZWZpbmVkIHx8IHZhbHVlLnRyaW0oKSA9PT0gJycgfHwgIU51bWJlci5pc0ludGVnZXIobnVtYmVyKSB8fCBudW1iZXIgPCBtaW4gfHwgbnVtYmVyID4gbWF4KSB7XG4gICAgdGhyb3cgbmV3IFVzYWdlRXJyb3IobWF4ID09PSBJbmZpbml0eSA/IGAke25hbWV9IHNob3VsZCBiZSBhIHBvc2l0aXZlIGludGVnZXJgIDogYCR7bmFtZX0gc2hvdWxkIGJlIGFuIGludGVnZXIgYmV0d2VlbiAke21pbn0gYW5kICR7bWF4fWApO1xuICB9XG4gIHJldHVybiBudW1iZXI7XG59XG5cbmV4cG9ydCBjb25zdCBwYXJzZUFyZ3MgPSAoYXJndjogc3RyaW5nW10pOiBDbGlPcHRpb25zIHwgbnVsbCA9PiB7XG4gIGNvbnN0IG9wdGlvbnM6IFBhcnRpYWw8Q2xpT3B0aW9ucz4gPSB7XG4gICAgY2hhbm5lbHM6IDEsXG4gICAgcXVhbGl0eTogNyxcbiAgICBmb3JtYXQ6ICdpbnQxNicsXG4gICAgYmF0Y2g6IGZhbHNlLFxuICAgIGpvYnM6IGNwdXMoKS5sZW5ndGgsXG4gICAgcXVpZXQ6IGZhbHNlLFxuICAgIHBhdGhzOiBbXSxcbiAgfTtcbiAgZm9yIChsZXQgaSA9IDA7IGkgPCBhcmd2Lmxlbmd0aDsgaSsrKSB7XG4gICAgY29uc3QgYXJnID0gYXJndltpXTtcbiAgICBzd2l0Y2ggKGFyZykge1xuICAgICAgY2FzZSAnLS1oZWxwJzpcbiAgICAgIGNhc2UgJy1oJzpcbiAgICAgICAgcmV0dXJuIG51bGw7XG4gICAgICBjYXNlICctLWluLXJhdGUnOlxuICAgICAgICBvcHRpb25zLmluUmF0ZSA9IHBhcnNlSW50ZWdlcihhcmcsIGFyZ3ZbKytpXSk7XG4gICAgICAgIGJyZWFrO1xuICAgICAgY2FzZSAnLS1vdXQtcmF0ZSc6XG4gICAgICAgIG9wdGlvbnMub3V0UmF0ZSA9IHBhcnNlSW50ZWdlcihhcmcsIGFyZ3ZbKytpXSk7XG4gICAgICAgIGJyZWFrO1xuICAgICAgY2FzZSAnLS1jaGFubmVscyc6XG4gICAgICAgIG9wdGlvbnMuY2hhbm5lbHMgPSBwYXJzZUludGVnZXIoYXJnLCBhcmd2WysraV0pO1xuICAgICAgICBicmVhaztcbiAgICAgIGNhc2UgJy0tb3V0LWNoYW5uZWxzJzpcbiAgICAgICAgb3B0aW9ucy5vdXRDaGFubmVscyA9IHBhcnNlSW50ZWdlcihhcmcsIGFyZ3ZbKytpXSk7XG4gICAgICAgIGJyZWFrO1xuICAgICAgY2FzZSAnLS1xdWFsaXR5JzpcbiAgICAgICAgb3B0aW9ucy5xdWFsaXR5ID0gcGFyc2VJbnRlZ2VyKGFyZywgYXJndlsrK2ldLCBbMCwgMTBdKTtcbiAgICAgICAgYnJlYWs7XG4gICAgICBjYXNlICctLWZvcm1hdCc6XG4gICAgICAgIG9wdGlvbnMuZm9ybWF0ID0gcGFyc2VGb3JtYXQoYXJndlsrK2ldKTtcbiAgICAgICAgYnJlYWs7XG4gICAgICBjYXNlICctLW91dC1mb3JtYXQnOlxuICAgICAgICBvcHRpb25zLm91dEZvcm1hdCA9IHBhcnNlRm9ybWF0KGFyZ3ZbKytpXSk7XG4gICAgICAgIGJyZWFrO1xuICAgICAgY2FzZSAnLS1iYXRjaCc6XG4gICAgICAgIG9wdGlvbnMuYmF0Y2ggPSB0cnVlO1xuICAgICAgICBicmVhaztcbiAgICAgIGNhc2UgJy0tb3V0LWRpcic6XG4gICAgICAgIG9wdGlvbnMub3V0RGlyID0gYXJndlsrK2ldO1xuICAgICAgICBicmVhaztcbiAgICAgIGNhc2UgJy0tam9icyc6XG4gICAgICAgIG9wdGlvbnMuam9icyA9IHBhcnNlSW50ZWdlcihhcmcsIGFyZ3ZbKytpXSk7XG4gICAgICAgIGJyZWFrO1xuICAgICAgY2FzZSAnLS1xdWlldCc6XG4gICAgICAgIG9wdGlvbnMucXVpZXQgPSB0cnVlO1xuICAgICAgICBicmVhaztcbiAgICAgIGRlZmF1bHQ6XG4gICAgICAgIGlmIChhcmcuc3RhcnRzV2l0aCgnLS0nKSkge1xuICAgICAgICAgIHRocm93IG5ldyBVc2FnZUVycm9yKGBVbmtub3duIG9wdGlvbiAke2FyZ31gKTtcbiAgICAgICAgfVxuICAgICAgICBvcHRpb25zLnBhdGhzLnB1c2goYXJnKTtcbiAgICB9XG4gIH1cbiAgaWYgKCFvcHRpb25zLm91dFJhdGUpIHtcbiAgICB0aHJvdyBuZXcgVXNhZ2VFcnJvcignLS1vdXQtcmF0ZSBpcyByZXF1aXJlZCcpO1xuICB9XG4gIGlmIChvcHRpb25zLmJhdGNoICYmICghb3B0aW9ucy5vdXREaXIgfHwgb3B0aW9ucy5wYXRocy5sZW5ndGggPT09IDApKSB7XG4gICAgdGhyb3cgbmV3IFVzYWdlRXJyb3IoJy0tYmF0Y2ggbmVlZHMgYXQgbGVhc3Qgb25lIGdsb2IgcGF0dGVybiBhbmQgLS1vdXQtZGlyJyk7XG4gIH1cbiAgaWYgKCFvcHRpb25zLmJhdGNoICYmIG9wdGlvbnMucGF0aHMubGVuZ3RoID4gMikge1xuICAgIHRocm93IG5ldyBVc2FnZUVycm9yKCdUb28gbWFueSBhcmd1bWVudHMsIHVzZSAtLWJhdGNoIHRvIHJlc2FtcGxlIG11bHRpcGxlIGZpbGVzJyk7XG4gIH1cbiAgcmV0dXJuIG9wdGlvbnMgYXMgQ2xpT3B0aW9ucztcbn1cblxuY29uc3QgZ2xvYlRvUmVnRXhwID0gKHBhdHRlcm46IHN0cmluZykgPT4gbmV3IFJlZ0V4cCgnXicgKyBwYXR0ZXJuXG4gIC5zcGxpdCgvKFxcKlxcKlxcL3xcXCp8XFw/KS8pXG4gIC5tYXAoKHBhcnQpID0+IHtcbiAgICBpZiAocGFydCA9PT0gJyoqLycpIHtcbiAgICAgIHJldHVybiAnKD86LiovKT8nO1xuICAgIH1cbiAgICBpZiAocGFydCA9PT0gJyonKSB7XG4gICAgICByZXR1cm4gJ1teL10qJztcbiAgICB9XG4gICAgaWYgKHBhcnQgPT09ICc/Jykge1xuICAgICAgcmV0dXJuICdbXi9dJztcbiAgICB9XG4gICAgcmV0dXJuIHBhcnQucmVwbGFjZSgvWy4rXiR7fSgpfFtcXF1cXFxcXS9nLCAnXFxcXCQmJyk7XG4gIH0pXG4gIC5qb2luKCcnKSArICckJyk7XG5cbmNvbnN0IGxpc3RGaWxlcyA9IChkaXI6IHN0cmluZyk6IHN0cmluZ1tdID0+IHJlYWRkaXJTeW5jKGRpcikuZmxhdE1hcCgobmFtZSkgPT4ge1xuICBjb25zdCBmaWxlID0gcGF0aC5qb2luKGRpciwgbmFtZSk7XG4gIHJldHVybiBzdGF0U3luYyhmaWxlKS5pc0RpcmVjdG9yeSgpID8gbGlzdEZpbGVzKGZpbGUpIDogW2ZpbGVdO1xufSk7XG5cbi8qKlxuICAqIERpcmVjdG9yeSBiZWZvcmUgdGhlIGZpcnN0IHdpbGRjYXJkIG9mIGEgZ2xvYiBwYXR0ZXJuLCB0aGUgYmF0Y2ggbW9kZSBrZWVwcyB0aGUgZGlyZWN0b3JpZXMgYmVsb3cgaXQgaW4gLS1vdXQtZGlyXG4gICovXG5leHBvcnQgY29uc3QgZ2xvYkJhc2VEaXIgPSAocGF0dGVybjogc3RyaW5nKSA9PiB7XG4gIGNvbnN0IHNlZ21lbnRzID0gcGF0dGVybi5zcGxpdChwYXRoLnNlcCkuam9pbignLycpLnNwbGl0KCcvJyk7XG4gIGNvbnN0IGZpcnN0V2lsZGNhcmRJbmRleCA9IHNlZ21lbnRzLmZpbmRJbmRleCgoc2VnbWVudCkgPT4gL1sqP10vLnRlc3Qoc2VnbWVudCkpO1xuICBpZiAoZmlyc3RXaWxkY2FyZEluZGV4ID09PSAtMSkge1xuICAgIHJldHVybiBwYXRoLmRpcm5hbWUocGF0dGVybik7XG4gIH1cbiAgLy8gYW4gZW1wdHkgZmlyc3Qgc2VnbWVudCBpcyB0aGUgcm9vdCBvZiBhbiBhYnNvbHV0ZSBwYXR0ZXJuXG4gIHJldHVybiBzZWdtZW50cy5zbGljZSgwLCBmaXJzdFdpbGRjYXJkSW5kZXgpLmpvaW4oJy8nKSB8fCAoZmlyc3RXaWxkY2FyZEluZGV4ID4gMCA/ICcvJyA6ICcuJyk7XG59XG5cbi8qKlxuICAqIEZpbmQgdGhlIGZpbGVzIG1hdGNoaW5nIGEgZ2xvYiBwYXR0ZXJuLCBzdXBwb3J0cyBgKmAsIGA/YCBhbmQgYCoqYCBmb3IgYW55IG51bWJlciBvZiBkaXJlY3Rvcmllc1xuICAqL1xuZXhwb3J0IGNvbnN0IGdsb2IgPSAocGF0dGVybjogc3RyaW5nKSA9PiB7XG4gIGlmICghL1sqP10vLnRlc3QocGF0dGVybikpIHtcbiAgICByZXR1cm4gW3BhdHRlcm5dO1xuICB9XG4gIGNvbnN0IHJlZ2V4cCA9IGdsb2JUb1JlZ0V4cChwYXR0ZXJuLnNwbGl0KHBhdGguc2VwKS5qb2luKCcvJykpO1xuICByZXR1cm4gbGlzdEZpbGVzKGdsb2JCYXNlRGlyKHBhdHRlcm4pKVxuICAgIC5maWx0ZXIoKGZpbGUpID0+IHJlZ2V4cC50ZXN0KHBhdGgucmVsYXRpdmUoJy4nLCBmaWxlKS5zcGxpdChwYXRoLnNlcCkuam9pbignLycpKSB8fCByZWdleHAudGVzdChmaWxlLnNwbGl0KHBhdGguc2VwKS5qb2luKCcvJykpKVxuICAgIC5zb3J0KCk7XG59XG5cbi8vIFJlYWQgdGhlIGZpcnN0IGNodW5rIG9mIHRoZSBzdHJlYW0gYW5kIHB1dCBpdCBiYWNrIHRvIGRldGVjdCB0aGUgZmlsZSB0eXBlXG5jb25zdCBwZWVrRmlyc3RDaHVuayA9IChzdHJlYW06IFJlYWRhYmxlKSA9PiBuZXcgUHJvbWlzZTxCdWZmZXI+KChyZXNvbHZlLCByZWplY3QpID0+IHtcbiAgY29uc3Qgb25EYXRhID0gKGNodW5rOiBCdWZmZXIpID0+IHtcbiAgICBjbGVhbnVwKCk7XG4gICAgc3RyZWFtLnBhdXNlKCk7XG4gICAgc3RyZWFtLnVuc2hpZnQoY2h1bmspO1xuICAgIHJlc29sdmUoY2h1bmspO1xuICB9O1xuICBjb25zdCBvbkVuZCA9ICgpID0+IHtcbiAgICBjbGVhbnVwKCk7XG4gICAgcmVzb2x2ZShCdWZmZXIuYWxsb2MoMCkpO1xuICB9O1xuICBjb25zdCBjbGVhbnVwID0gKCkgPT4ge1xuICAgIHN0cmVhbS5yZW1vdmVMaXN0ZW5lcignZGF0YScsIG9uRGF0YSk7XG4gICAgc3RyZWFtLnJlbW92ZUxpc3RlbmVyKCdlbmQnLCBvbkVuZCk7XG4gICAgc3RyZWFtLnJlbW92ZUxpc3RlbmVyKCdlcnJvcicsIHJlamVjdCk7XG4gIH07XG4gIHN0cmVhbS5vbignZGF0YScsIG9uRGF0YSk7XG4gIHN0cmVhbS5vbignZW5kJywgb25FbmQpO1xuICBzdHJlYW0ub24oJ2Vycm9yJywgcmVqZWN0KTtcbn0pO1xuXG5jb25zdCBmb3JtYXREdXJhdGlvbiA9IChzZWNvbmRzOiBudW1iZXIpID0+IGAke3NlY29uZHMudG9GaXhlZCgyKX1zYDtcblxuY29uc3QgY3JlYXRlVHJhbnNmb3JtID0gKG9wdGlvbnM6IENsaU9wdGlvbnMsIGhlYWQ6IEJ1ZmZlcik6IFNwZWV4UmVzYW1wbGVyVHJhbnNmb3JtID0+IHtcbiAgaWYgKGhlYWQudG9TdHJpbmcoJ2FzY2lpJywgMCwgNCkgPT09ICdSSUZGJykge1xuICAgIHJldHVybiBuZXcgV2F2UmVzYW1wbGVyVHJhbnNmb3JtKG9wdGlvbnMub3V0UmF0ZSwgb3B0aW9ucy5xdWFsaXR5LCB7Zm9ybWF0OiBvcHRpb25zLm91dEZvcm1hdCwgb3V0Q2hhbm5lbHM6IG9wdGlvbnMub3V0Q2hhbm5lbHN9KTtcbiAgfVxuICBpZiAoIW9wdGlvbnMuaW5SYXRlKSB7XG4gICAgdGhyb3cgbmV3IFVzYWdlRXJyb3IoJy0taW4tcmF0ZSBpcyByZXF1aXJlZCBmb3IgcmF3IFBDTSBpbnB1dCcpO1xuICB9XG4gIHJldHVybiBuZXcgU3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm0ob3B0aW9ucy5jaGFubmVscywgb3B0aW9ucy5pblJhdGUsIG9wdGlvbnMub3V0UmF0ZSwgb3B0aW9ucy5xdWFsaXR5LCB7XG4gICAgaW5Gb3JtYXQ6IG9wdGlvbnMuZm9ybWF0LFxuICAgIG91dEZvcm1hdDogb3B0aW9ucy5vdXRGb3JtYXQgfHwgb3B0aW9ucy5mb3JtYXQsXG4gICAgb3V0Q2hhbm5lbHM6IG9wdGlvbnMub3V0Q2hhbm5lbHMsXG4gIH0pO1xufVxuXG4vLyBTaXplIG9mIHRoZSBpbnB1dCBmaWxlLCBjaGVja2VkIGJlZm9yZSBvcGVuaW5nIGFueSBzdHJlYW0gc28gdGhhdCBhIG1pc3NpbmcgaW5wdXQgZG9lc24ndCBjcmVhdGUgYW4gZW1wdHkgb3V0cHV0XG5jb25zdCBpbnB1dFNpemVPZiA9IChpbnB1dDogc3RyaW5nKSA9PiB7XG4gIGlmIChpbnB1dCA9PT0gJy0nKSB7XG4gICAgcmV0dXJuIG51bGw7XG4gIH1cbiAgbGV0IHN0YXRzOiBTdGF0cztcbiAgdHJ5IHtcbiAgICBzdGF0cyA9IHN0YXRTeW5jKGlucHV0KTtcbiAgfSBjYXRjaCAoZSkge1xuICAgIHRocm93IG5ldyBFcnJvcihlLmNvZGUgPT09ICdFTk9FTlQnID8gYCR7aW5wdXR9OiBubyBzdWNoIGZpbGVgIDogYCR7aW5wdXR9OiAke2UubWVzc2FnZX1gKTtcbiAgfVxuICBpZiAoc3RhdHMuaXNEaXJlY3RvcnkoKSkge1xuICAgIHRocm93IG5ldyBFcnJvcihgJHtpbnB1dH0gaXMgYSBkaXJlY3RvcnlgKTtcbiAgfVxuICByZXR1cm4gc3RhdHMuc2l6ZTtcbn1cblxuY29uc3QgcmVzYW1wbGVGaWxlID0gYXN5bmMgKG9wdGlvbnM6IENsaU9wdGlvbnMsIGlucHV0OiBzdHJpbmcsIG91dHB1dDogc3RyaW5nLCBvblByb2dyZXNzPzogKHByb2dyZXNzOiBudW1iZXIpID0+IHZvaWQpOiBQcm9taXNlPFJlc2FtcGxlU3VtbWFyeT4gPT4ge1xuICBhd2FpdCBTcGVleFJlc2FtcGxlci5pbml0UHJvbWlzZTtcbiAgY29uc3Qgc3RhcnQgPSBwZXJmb3JtYW5jZS5ub3coKTtcbiAgY29uc3QgaW5wdXRTaXplID0gaW5wdXRTaXplT2YoaW5wdXQpO1xuICBjb25zdCBpbnB1dFN0cmVhbTogUmVhZGFibGUgPSBpbnB1dCA9PT0gJy0nID8gcHJvY2Vzcy5zdGRpbiA6IGNyZWF0ZVJlYWRTdHJlYW0oaW5wdXQpO1xuXG4gIGxldCB0cmFuc2Zvcm06IFNwZWV4UmVzYW1wbGVyVHJhbnNmb3JtO1xuICB0cnkge1xuICAgIGNvbnN0IGhlYWQgPSBhd2FpdCBwZWVrRmlyc3RDaHVuayhpbnB1dFN0cmVhbSk7XG4gICAgdHJhbnNmb3JtID0gY3JlYXRlVHJhbnNmb3JtKG9wdGlvbnMsIGhlYWQpO1xuICB9IGNhdGNoIChlKSB7XG4gICAgaWYgKGlucHV0U3RyZWFtICE9PSBwcm9jZXNzLnN0ZGluKSB7XG4gICAgICBpbnB1dFN0cmVhbS5kZXN0cm95KCk7XG4gICAgfVxuICAgIHRocm93IGU7XG4gIH1cbiAgLy8gb25seSBvcGVuZWQgb25jZSB0aGUgaW5wdXQgaXMga25vd24gdG8gYmUgdmFsaWQgc28gdGhhdCBhbiBleGlzdGluZyBvdXRwdXQgZmlsZSBpcyBub3QgdHJ1bmNhdGVkIG9uIGVycm9ycyxcbiAgLy8gaXRzIGVycm9ycyBhcmUgaGFuZGxlZCBieSB0aGUgcGlwZWxpbmVcbiAgY29uc3Qgb3V0cHV0U3RyZWFtOiBXcml0YWJsZSA9IG91dHB1dCA9PT0gJy0nID8gcHJvY2Vzcy5zdGRvdXQgOiBjcmVhdGVXcml0ZVN0cmVhbShvdXRwdXQpO1xuXG4gIGxldCBpbnB1dEJ5dGVzID0gMDtcbiAgbGV0IG91dHB1dEJ5dGVzID0gMDtcbiAgaW5wdXRTdHJlYW0ub24oJ2RhdGEnLCAoZCkgPT4ge1xuICAgIGlucHV0Qnl0ZXMgKz0gZC5sZW5ndGg7XG4gICAgaWYgKG9uUHJvZ3Jlc3MgJiYgaW5wdXRTaXplKSB7XG4gICAgICBvblByb2dyZXNzKGlucHV0Qnl0ZXMgLyBpbnB1dFNpemUpO1xuICAgIH1cbiAgfSk7XG4gIHRyYW5zZm9ybS5vbignZGF0YScsIChkKSA9PiBvdXRwdXRCeXRlcyArPSBkLmxlbmd0aCk7XG5cbiAgYXdhaXQgbmV3IFByb21pc2U8dm9pZD4oKHJlc29sdmUsIHJlamVjdCkgPT4ge1xuICAgIC8vIHBpcGVsaW5lIHVzZXMgdHJhbnNmb3JtLnBpcGUgc28gV2F2UmVzYW1wbGVyVHJhbnNmb3JtIGNhbiBwYXRjaCB0aGUgaGVhZGVyIG9mIHRoZSBvdXRwdXQgZmlsZVxuICAgIHBpcGVsaW5lKGlucHV0U3RyZWFtLCB0cmFuc2Zvcm0sIG91dHB1dFN0cmVhbSwgKGVycikgPT4gZXJyID8gcmVqZWN0KGVycikgOiByZXNvbHZlKCkpO1xuICB9KTtcblxuICBjb25zdCB3YXZUcmFuc2Zvcm0gPSB0cmFuc2Zvcm0gaW5zdGFuY2VvZiBXYXZSZXNhbXBsZXJUcmFuc2Zvcm0gPyB0cmFuc2Zvcm0gOiBudWxsO1xuICBjb25zdCBpbnB1dEhlYWRlckxlbmd0aCA9IHdhdlRyYW5zZm9ybSA/IHdhdlRyYW5zZm9ybS5pbnB1dEhlYWRlci5kYXRhT2Zmc2V0IDogMDtcbiAgLy8gdGhlIG91dHB1dCBoZWFkZXIgY2FuIGRpZmZlciBmcm9tIHRoZSBpbnB1dCBvbmUgKGZvcm1hdCwgc2tpcHBlZCBjaHVua3MpXG4gIGNvbnN0IG91dHB1dEhlYWRlckxlbmd0aCA9IHdhdlRyYW5zZm9ybSA/IGNyZWF0ZVdhdkhlYWRlcih3YXZUcmFuc2Zvcm0ub3V0cHV0Rm9ybWF0KS5sZW5ndGggOiAwO1xuICBjb25zdCBpbkJ5dGVzUGVyRnJhbWUgPSB0cmFuc2Zvcm0uY2hhbm5lbHMgKiBCWVRFU19QRVJfU0FNUExFW3RyYW5zZm9ybS5yZXNhbXBsZXIuaW5Gb3JtYXRdO1xuICBjb25zdCBvdXRCeXRlc1BlckZyYW1lID0gdHJhbnNmb3JtLnJlc2FtcGxlci5vdXRDaGFubmVscyAqIEJZVEVTX1BFUl9TQU1QTEVbdHJhbnNmb3JtLnJlc2FtcGxlci5vdXRGb3JtYXRdO1xuICByZXR1cm4ge1xuICAgIGlucHV0LFxuICAgIG91dHB1dCxcbiAgICBpbnB1dER1cmF0aW9uOiAoaW5wdXRCeXRlcyAtIGlucHV0SGVhZGVyTGVuZ3RoKSAvIGluQnl0ZXNQZXJGcmFtZSAvIHRyYW5zZm9ybS5pblJhdGUsXG4gICAgb3V0cHV0RHVyYXRpb246IChvdXRwdXRCeXRlcyAtIG91dHB1dEhlYWRlckxlbmd0aCkgLyBvdXRCeXRlc1BlckZyYW1lIC8gdHJhbnNmb3JtLm91dFJhdGUsXG4gICAgZWxhcHNlZDogKHBlcmZvcm1hbmNlLm5vdygpIC0gc3RhcnQpIC8gMTAwMCxcbiAgfTtcbn1cblxuY29uc3QgcHJpbnRTdW1tYXJ5ID0gKHN1bW1hcnk6IFJlc2FtcGxlU3VtbWFyeSkgPT4ge1xuICBwcm9jZXNzLnN0ZGVyci53cml0ZShcbiAgICBgJHtzdW1tYXJ5LmlucHV0fSAtPiAke3N1bW1hcnkub3V0cHV0fTogJHtmb3JtYXREdXJhdGlvbihzdW1tYXJ5LmlucHV0RHVyYXRpb24pfSByZXNhbXBsZWQgdG8gYCArXG4gICAgYCR7Zm9ybWF0RHVyYXRpb24oc3VtbWFyeS5vdXRwdXREdXJhdGlvbil9IGluICR7Zm9ybWF0RHVyYXRpb24oc3VtbWFyeS5lbGFwc2VkKX0gYCArXG4gICAgYCgkeyhzdW1tYXJ5LmlucHV0RHVyYXRpb24gLyBzdW1tYXJ5LmVsYXBzZWQpLnRvRml4ZWQoMSl9eCByZWFsdGltZSlcXG5gXG4gICk7XG59XG5cbi8vIEVhY2ggYmF0Y2ggZmlsZSBpcyByZXNhbXBsZWQgaW4gaXRzIG93biB3b3JrZXIgdGhyZWFkIHdpdGggaXRzIG93biBXQVNNIGluc3RhbmNlXG5jb25zdCByZXNhbXBsZUluV29ya2VyID0gKG9wdGlvbnM6IENsaU9wdGlvbnMsIGlucHV0OiBzdHJpbmcsIG91dHB1dDogc3RyaW5nKSA9PiBuZXcgUHJvbWlzZTxSZXNhbXBsZVN1bW1hcnk+KChyZXNvbHZlLCByZWplY3QpID0+IHtcbiAgY29uc3Qgd29ya2VyID0gbmV3IFdvcmtlcihfX2ZpbGVuYW1lLCB7d29ya2VyRGF0YToge29wdGlvbnMsIGlucHV0LCBvdXRwdXR9fSk7XG4gIHdvcmtlci5vbmNlKCdtZXNzYWdlJywgKHtzdW1tYXJ5LCBlcnJvcn0pID0+IGVycm9yID8gcmVqZWN0KG5ldyBFcnJvcihgJHtpbnB1dH06ICR7ZXJyb3J9YCkpIDogcmVzb2x2ZShzdW1tYXJ5KSk7XG4gIHdvcmtlci5vbmNlKCdlcnJvcicsIHJlamVjdCk7XG4gIHdvcmtlci5vbmNlKCdleGl0JywgKGNvZGUpID0+IGNvZGUgIT09IDAgJiYgcmVqZWN0KG5ldyBFcnJvcihgV29ya2VyIHN0b3BwZWQgd2l0aCBleGl0IGNvZGUgJHtjb2RlfWApKSk7XG59KTtcblxuLy8gT3V0cHV0IHBhdGggb2YgZWFjaCBiYXRjaCBpbnB1dCwga2VlcGluZyBpdHMgZGlyZWN0b3JpZXMgYmVsb3cgdGhlIHBhdHRlcm4gYmFzZSBkaXIgc28gdGhhdCBmaWxlcyB3aXRoIHRoZSBzYW1lXG4vLyBuYW1lIGluIGRpZmZlcmVudCBkaXJlY3RvcmllcyBkb24ndCBvdmVyd3JpdGUgZWFjaCBvdGhlclxuY29uc3QgYmF0Y2hPdXRwdXRzID0gKHBhdHRlcm5zOiBzdHJpbmdbXSwgb3V0RGlyOiBzdHJpbmcpID0+IHtcbiAgY29uc3Qgb3V0cHV0cyA9IG5ldyBNYXA8c3RyaW5nLCBzdHJpbmc+KCk7XG4gIGNvbnN0IGlucHV0c0J5T3V0cHV0ID0gbmV3IE1hcDxzdHJpbmcsIHN0cmluZz4oKTtcbiAgZm9yIChjb25zdCBwYXR0ZXJuIG9mIHBhdHRlcm5zKSB7XG4gICAgY29uc3QgYmFzZURpciA9IGdsb2JCYXNlRGlyKHBhdHRlcm4pO1xuICAgIGZvciAoY29uc3QgaW5wdXQgb2YgZ2xvYihwYXR0ZXJuKSkge1xuICAgICAgaWYgKG91dHB1dHMuaGFzKGlucHV0KSkge1xuICAgICAgICBjb250aW51ZTtcbiAgICAgIH1cbiAgICAgIGNvbnN0IG91dHB1dCA9IHBhdGguam9pbihvdXREaXIsIHBhdGgucmVsYXRpdmUoYmFzZURpciwgaW5wdXQpKTtcbiAgICAgIGlmIChpbnB1dHNCeU91dHB1dC5oYXMob3V0cHV0KSkge1xuICAgICAgICB0aHJvdyBuZXcgVXNhZ2VFcnJvcihgJHtpbnB1dHNCeU91dHB1dC5nZXQob3V0cHV0KX0gYW5kICR7aW5wdXR9IHdvdWxkIGJvdGggYmUgcmVzYW1wbGVkIHRvICR7b3V0cHV0fWApO1xuICAgICAgfVxuICAgICAgb3V0cHV0cy5zZXQoaW5wdXQsIG91dHB1dCk7XG4gICAgICBpbnB1dHNCeU91dHB1dC5zZXQob3V0cHV0LCBpbnB1dCk7XG4gICAgfVxuICB9XG4gIHJldHVybiBvdXRwdXRzO1xufVxuXG5jb25zdCBydW5CYXRjaCA9IGFzeW5jIChvcHRpb25zOiBDbGlPcHRpb25zKSA9PiB7XG4gIGNvbnN0IG91dHB1dHMgPSBiYXRjaE91dHB1dHMob3B0aW9ucy5wYXRocywgb3B0aW9ucy5vdXREaXIpO1xuICBjb25zdCBpbnB1dHMgPSBBcnJheS5mcm9tKG91dHB1dHMua2V5cygpKTtcbiAgaWYgKGlucHV0cy5sZW5ndGggPT09IDApIHtcbiAgICB0aHJvdyBuZXcgVXNhZ2VFcnJvcignTm8gZmlsZSBtYXRjaGluZyB0aGUgYmF0Y2ggcGF0dGVybnMnKTtcbiAgfVxuICBmb3IgKGNvbnN0IG91dHB1dCBvZiBvdXRwdXRzLnZhbHVlcygpKSB7XG4gICAgbWtkaXJTeW5jKHBhdGguZGlybmFtZShvdXRwdXQpLCB7cmVjdXJzaXZlOiB0cnVlfSk7XG4gIH1cbiAgY29uc3Qgc3RhcnQgPSBwZXJmb3JtYW5jZS5ub3coKTtcbiAgbGV0IG5leHRJbmRleCA9IDA7XG4gIGxldCBkb25lQ291bnQgPSAwO1xuICBsZXQgdG90YWxEdXJhdGlvbiA9IDA7XG4gIGNvbnN0IHJ1bk5leHQgPSBhc3luYyAoKSA9PiB7XG4gICAgd2hpbGUgKG5leHRJbmRleCA8IGlucHV0cy5sZW5ndGgpIHtcbiAgICAgIGNvbnN0IGlucHV0ID0gaW5wdXRzW25leHRJbmRleCsrXTtcbiAgICAgIGNvbnN0IHN1bW1hcnkgPSBhd2FpdCByZXNhbXBsZUluV29ya2VyKG9wdGlvbnMsIGlucHV0LCBvdXRwdXRzLmdldChpbnB1dCkpO1xuICAgICAgZG9uZUNvdW50Kys7XG4gICAgICB0b3RhbER1cmF0aW9uICs9IHN1bW1hcnkuaW5wdXREdXJhdGlvbjtcbiAgICAgIGlmICghb3B0aW9ucy5xdWlldCkge1xuICAgICAgICBwcm9jZXNzLnN0ZGVyci53cml0ZShgWyR7ZG9uZUNvdW50fS8ke2lucHV0cy5sZW5ndGh9XSBgKTtcbiAgICAgICAgcHJpbnRTdW1tYXJ5KHN1bW1hcnkpO1xuICAgICAgfVxuICAgIH1cbiAgfTtcbiAgYXdhaXQgUHJvbWlzZS5hbGwoQXJyYXkuZnJvbSh7bGVuZ3RoOiBNYXRoLm1pbihvcHRpb25zLmpvYnMsIGlucHV0cy5sZW5ndGgpfSwgcnVuTmV4dCkpO1xuICBpZiAoIW9wdGlvbnMucXVpZXQpIHtcbiAgICBjb25zdCBlbGFwc2VkID0gKHBlcmZvcm1hbmNlLm5vdygpIC0gc3RhcnQpIC8gMTAwMDtcbiAgICBwcm9jZXNzLnN0ZGVyci53cml0ZShgJHtpbnB1dHMubGVuZ3RofSBmaWxlcywgJHtmb3JtYXREdXJhdGlvbih0b3RhbER1cmF0aW9uKX0gb2YgYXVkaW8gcmVzYW1wbGVkIGluICR7Zm9ybWF0RHVyYXRpb24oZWxhcHNlZCl9XFxuYCk7XG4gIH1cbn1cblxuY29uc3QgcnVuU2luZ2xlID0gYXN5bmMgKG9wdGlvbnM6IENsaU9wdGlvbnMpID0+IHtcbiAgY29uc3QgW2lucHV0ID0gJy0nLCBvdXRwdXQgPSAnLSddID0gb3B0aW9ucy5wYXRocztcbiAgY29uc3Qgc2hvd1Byb2dyZXNzID0gIW9wdGlvbnMucXVpZXQgJiYgcHJvY2Vzcy5zdGRlcnIuaXNUVFk7XG4gIGNvbnN0IHN1bW1hcnkgPSBhd2FpdCByZXNhbXBsZUZpbGUob3B0aW9ucywgaW5wdXQsIG91dHB1dCwgc2hvd1Byb2dyZXNzID8gKHByb2dyZXNzKSA9PiB7XG4gICAgcHJvY2Vzcy5zdGRlcnIud3JpdGUoYFxcciR7TWF0aC5mbG9vcihwcm9ncmVzcyAqIDEwMCl9JWApO1xuICB9IDogdW5kZWZpbmVkKTtcbiAgaWYgKHNob3dQcm9ncmVzcykge1xuICAgIHByb2Nlc3Muc3RkZXJyLndyaXRlKCdcXHInKTtcbiAgfVxuICBpZiAoIW9wdGlvbnMucXVpZXQpIHtcbiAgICBwcmludFN1bW1hcnkoc3VtbWFyeSk7XG4gIH1cbn1cblxuZXhwb3J0IGNvbnN0IG1haW4gPSBhc3luYyAoYXJndjogc3RyaW5nW10pID0+IHtcbiAgdHJ5IHtcbiAgICBjb25zdCBvcHRpb25zID0gcGFyc2VBcmdzKGFyZ3YpO1xuICAgIGlmICghb3B0aW9ucykge1xuICAgICAgcHJvY2Vzcy5zdGRvdXQud3JpdGUoVVNBR0UpO1xuICAgICAgcmV0dXJuO1xuICAgIH1cbiAgICBhd2FpdCAob3B0aW9ucy5iYXRjaCA/IHJ1bkJhdGNoKG9wdGlvbnMpIDogcnVuU2luZ2xlKG9wdGlvbnMpKTtcbiAgfSBjYXRjaCAoZSkge1xuICAgIHByb2Nlc3Muc3RkZXJyLndyaXRlKGBzcGVleC1yZXNhbXBsZTogJHtlLm1lc3NhZ2V9XFxuYCk7XG4gICAgaWYgKGUgaW5zdGFuY2VvZiBVc2FnZUVycm9yKSB7XG4gICAgICBwcm9jZXNzLnN0ZGVyci53cml0ZShVU0FHRSk7XG4gICAgfVxuICAgIHByb2Nlc3MuZXhpdENvZGUgPSAxO1xuICB9XG59XG5cbmlmICghaXNNYWluVGhyZWFkICYmIHdvcmtlckRhdGEgJiYgd29ya2VyRGF0YS5vcHRpb25zKSB7XG4gIHJlc2FtcGxlRmlsZSh3b3JrZXJEYXRhLm9wdGlvbnMsIHdvcmtlckRhdGEuaW5wdXQsIHdvcmtlckRhdGEub3V0cHV0KS50aGVuKFxuICAgIChzdW1tYXJ5KSA9PiBwYXJlbnRQb3J0LnBvc3RNZXNzYWdlKHtzdW1tYXJ5fSksXG4gICAgKGUpID0+IHBhcmVudFBvcnQucG9zdE1lc3NhZ2Uoe2Vycm9yOiBlLm1lc3NhZ2V9KSxcbiAgKTtcbn0gZWxzZSBpZiAocmVxdWlyZS5tYWluID09PSBtb2R1bGUpIHtcbiAgbWFpbihwcm9jZXNzLmFyZ3Yuc2xpY2UoMikpO1xufVxuIl19
\ No newline at end of file
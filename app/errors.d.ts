@@ -0,0 +1,40 @@
+export declare const RESAMPLER_ERR_SUCCESS = 0;
+export declare const RESAMPLER_ERR_ALLOC_FAILED = 1;
+export declare const RESAMPLER_ERR_BAD_STATE = 2;
+export declare const RESAMPLER_ERR_INVALID_ARG = 3;
+export declare const RESAMPLER_ERR_PTR_OVERLAP = 4;
+export declare const RESAMPLER_ERR_OVERFLOW = 5;
+/**
+  * Base class of the errors thrown by the resampler
+  */
+export declare class SpeexResamplerError extends Error {
+    code: number | null;
+    /**
+      * @param code RESAMPLER_ERR_* code of speex_resampler.h matching the error, null if it doesn't come from speex
+      */
+    constructor(message: string, code?: number | null);
+}
+/** Speex could not allocate its memory */
+export declare class SpeexResamplerAllocError extends SpeexResamplerError {
+    constructor(message: string);
+}
+/** The resampler is not usable in its current state: WASM module not ready yet or resampler destroyed */
+export declare class SpeexResamplerBadStateError extends SpeexResamplerError {
+    constructor(message: string);
+}
+/** An argument or option is invalid: channels, rates, quality, formats, misaligned chunks, arrays too small... */
+export declare class SpeexResamplerInvalidArgError extends SpeexResamplerError {
+    constructor(message: string);
+}
+/** The input and output buffers given to speex overlap */
+export declare class SpeexResamplerPtrOverlapError extends SpeexResamplerError {
+    constructor(message: string);
+}
+/** The rates or ratio are too large for the speex integer arithmetic */
+export declare class SpeexResamplerOverflowError extends SpeexResamplerError {
+    constructor(message: string);
+}
+/**
+  * Error matching a RESAMPLER_ERR_* code returned by speex
+  */
+export declare const errorFromCode: (code: number, message: string) => SpeexResamplerError;
@@ -0,0 +1,74 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.errorFromCode = exports.SpeexResamplerOverflowError = exports.SpeexResamplerPtrOverlapError = exports.SpeexResamplerInvalidArgError = exports.SpeexResamplerBadStateError = exports.SpeexResamplerAllocError = exports.SpeexResamplerError = exports.RESAMPLER_ERR_OVERFLOW = exports.RESAMPLER_ERR_PTR_OVERLAP = exports.RESAMPLER_ERR_INVALID_ARG = exports.RESAMPLER_ERR_BAD_STATE = exports.RESAMPLER_ERR_ALLOC_FAILED = exports.RESAMPLER_ERR_SUCCESS = void 0;
+// error codes of speex_resampler.h
+exports.RESAMPLER_ERR_SUCCESS = 0;
+exports.RESAMPLER_ERR_ALLOC_FAILED = 1;
+exports.RESAMPLER_ERR_BAD_STATE = 2;
+exports.RESAMPLER_ERR_INVALID_ARG = 3;
+exports.RESAMPLER_ERR_PTR_OVERLAP = 4;
+exports.RESAMPLER_ERR_OVERFLOW = 5;
+/**
+  * Base class of the errors thrown by the resampler
+  */
+class SpeexResamplerError extends Error {
+    /**
+      * @param code RESAMPLER_ERR_* code of speex_resampler.h matching the error, null if it doesn't come from speex
+      */
+    constructor(message, code = null) {
+        super(message);
+        this.code = code;
+        this.name = new.target.name;
+    }
+}
+exports.SpeexResamplerError = SpeexResamplerError;
+/** Speex could not allocate its memory */
+class SpeexResamplerAllocError extends SpeexResamplerError {
+    constructor(message) {
+        super(message, exports.RESAMPLER_ERR_ALLOC_FAILED);
+    }
+}
+exports.SpeexResamplerAllocError = SpeexResamplerAllocError;
+/** The resampler is not usable in its current state: WASM module not ready yet or resampler destroyed */
+class SpeexResamplerBadStateError extends SpeexResamplerError {
+    constructor(message) {
+        super(message, exports.RESAMPLER_ERR_BAD_STATE);
+    }
+}
+exports.SpeexResamplerBadStateError = SpeexResamplerBadStateError;
+/** An argument or option is invalid: channels, rates, quality, formats, misaligned chunks, arrays too small... */
+class SpeexResamplerInvalidArgError extends SpeexResamplerError {
+    constructor(message) {
+        super(message, exports.RESAMPLER_ERR_INVALID_ARG);
+    }
+}
+exports.SpeexResamplerInvalidArgError = SpeexResamplerInvalidArgError;
+/** The input and output buffers given to speex overlap */
+class SpeexResamplerPtrOverlapError extends SpeexResamplerError {
+    constructor(message) {
+        super(message, exports.RESAMPLER_ERR_PTR_OVERLAP);
+    }
+}
+exports.SpeexResamplerPtrOverlapError = SpeexResamplerPtrOverlapError;
+/** The rates or ratio are too large for the speex integer arithmetic */
+class SpeexResamplerOverflowError extends SpeexResamplerError {
+    constructor(message) {
+        super(message, exports.RESAMPLER_ERR_OVERFLOW);
+    }
+}
+exports.SpeexResamplerOverflowError = SpeexResamplerOverflowError;
+const ERROR_CLASSES = {
+    [exports.RESAMPLER_ERR_ALLOC_FAILED]: SpeexResamplerAllocError,
+    [exports.RESAMPLER_ERR_BAD_STATE]: SpeexResamplerBadStateError,
+    [exports.RESAMPLER_ERR_INVALID_ARG]: SpeexResamplerInvalidArgError,
+    [exports.RESAMPLER_ERR_PTR_OVERLAP]: SpeexResamplerPtrOverlapError,
+    [exports.RESAMPLER_ERR_OVERFLOW]: SpeexResamplerOverflowError,
+};
+/**
+  * Error matching a RESAMPLER_ERR_* code returned by speex
+  */
+exports.errorFromCode = (code, message) => {
+    const ErrorClass = ERROR_CLASSES[code];
+    return ErrorClass ? new ErrorClass(message) : new SpeexResamplerError(message, code);
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXJyb3JzLmpzIiwic291cmNlUm9vdCI6Ii8iLCJzb3VyY2VzIjpbImVycm9ycy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSxtQ0FBbUM7QUFDdEIsUUFBQSxxQkFBcUIsR0FBRyxDQUFDLENBQUM7QUFDMUIsUUFBQSwwQkFBMEIsR0FBRyxDQUFDLENBQUM7QUFDL0IsUUFBQSx1QkFBdUIsR0FBRyxDQUFDLENBQUM7QUFDNUIsUUFBQSx5QkFBeUIsR0FBRyxDQUFDLENBQUM7QUFDOUIsUUFBQSx5QkFBeUIsR0FBRyxDQUFDLENBQUM7QUFDOUIsUUFBQSxzQkFBc0IsR0FBRyxDQUFDLENBQUM7QUFFeEM7O0lBRUk7QUFDSixNQUFhLG1CQUFvQixTQUFRLEtBQUs7SUFDNUM7O1FBRUk7SUFDSixZQUFZLE9BQWUsRUFBUyxPQUFzQixJQUFJO1FBQzVELEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQztRQURtQixTQUFJLEdBQUosSUFBSSxDQUFzQjtRQUU1RCxJQUFJLENBQUMsSUFBSSxHQUFHLEdBQUcsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDO0lBQzlCLENBQUM7Q0FDRjtBQVJELGtEQVFDO0FBRUQsMENBQTBDO0FBQzFDLE1BQWEsd0JBQXlCLFNBQVEsbUJBQW1CO0lBQy9ELFlBQVksT0FBZTtRQUN6QixLQUFLLENBQUMsT0FBTyxFQUFFLGtDQUEwQixDQUFDLENBQUM7SUFDN0MsQ0FBQztDQUNGO0FBSkQsNERBSUM7QUFFRCx5R0FBeUc7QUFDekcsTUFBYSwyQkFBNEIsU0FBUSxtQkFBbUI7SUFDbEUsWUFBWSxPQUFlO1FBQ3pCLEtBQUssQ0FBQyxPQUFPLEVBQUUsK0JBQXVCLENBQUMsQ0FBQztJQUMxQyxDQUFDO0NBQ0Y7QUFKRCxrRUFJQztBQUVELGtIQUFrSDtBQUNsSCxNQUFhLDZCQUE4QixTQUFRLG1CQUFtQjtJQUNwRSxZQUFZLE9BQWU7UUFDekIsS0FBSyxDQUFDLE9BQU8sRUFBRSxpQ0FBeUIsQ0FBQyxDQUFDO0lBQzVDLENBQUM7Q0FDRjtBQUpELHNFQUlDO0FBRUQsMERBQTBEO0FBQzFELE1BQWEsNkJBQThCLFNBQVEsbUJBQW1CO0lBQ3BFLFlBQVksT0FBZTtRQUN6QixLQUFLLENBQUMsT0FBTyxFQUFFLGlDQUF5QixDQUFDLENBQUM7SUFDNUMsQ0FBQztDQUNGO0FBSkQsc0VBSUM7QUFFRCx3RUFBd0U7QUFDeEUsTUFBYSwyQkFBNEIsU0FBUSxtQkFBbUI7SUFDbEUsWUFBWSxPQUFlO1FBQ3pCLEtBQUssQ0FBQyxPQUFPLEVBQUUsOEJBQXNCLENBQUMsQ0FBQztJQUN6QyxDQUFDO0NBQ0Y7QUFKRCxrRUFJQztBQUVELE1BQU0sYUFBYSxHQUFtRTtJQUNwRixDQUFDLGtDQUEwQixDQUFDLEVBQUUsd0JBQXdCO0lBQ3RELENBQUMsK0JBQXVCLENBQUMsRUFBRSwyQkFBMkI7SUFDdEQsQ0FBQyxpQ0FBeUIsQ0FBQyxFQUFFLDZCQUE2QjtJQUMxRCxDQUFDLGlDQUF5QixDQUFDLEVBQUUsNkJBQTZCO0lBQzFELENBQUMsOEJBQXNCLENBQUMsRUFBRSwyQkFBMkI7Q0FDdEQsQ0FBQztBQUVGOztJQUVJO0FBQ1MsUUFBQSxhQUFhLEdBQUcsQ0FBQyxJQUFZLEVBQUUsT0FBZSxFQUF1QixFQUFFO0lBQ2xGLE1BQU0sVUFBVSxHQUFHLGFBQWEsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUN2QyxPQUFPLFVBQVUsQ0FBQyxDQUFDLENBQUMsSUFBSSxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksbUJBQW1CLENBQUMsT0FBTyxFQUFFLElBQUksQ0FBQyxDQUFDO0FBQ3ZGLENBQUMsQ0FBQSIsInNvdXJjZXNDb250ZW50IjpbIi8vIGVycm9yIGNvZGVzIG9mIHNwZWV4X3Jlc2FtcGxlci5oXG5leHBvcnQgY29uc3QgUkVTQU1QTEVSX0VSUl9TVUNDRVNTID0gMDtcbmV4cG9ydCBjb25zdCBSRVNBTVBMRVJfRVJSX0FMTE9DX0ZBSUxFRCA9IDE7XG5leHBvcnQgY29uc3QgUkVTQU1QTEVSX0VSUl9CQURfU1RBVEUgPSAyO1xuZXhwb3J0IGNvbnN0IFJFU0FNUExFUl9FUlJfSU5WQUxJRF9BUkcgPSAzO1xuZXhwb3J0IGNvbnN0IFJFU0FNUExFUl9FUlJfUFRSX09WRVJMQVAgPSA0O1xuZXhwb3J0IGNvbnN0IFJFU0FNUExFUl9FUlJfT1ZFUkZMT1cgPSA1O1xuXG4vKipcbiAgKiBCYXNlIGNsYXNzIG9mIHRoZSBlcnJvcnMgdGhyb3duIGJ5IHRoZSByZXNhbXBsZXJcbiAgKi9cbmV4cG9ydCBjbGFzcyBTcGVleFJlc2FtcGxlckVycm9yIGV4dGVuZHMgRXJyb3Ige1xuICAvKipcbiAgICAqIEBwYXJhbSBjb2RlIFJFU0FNUExFUl9FUlJfKiBjb2RlIG9mIHNwZWV4X3Jlc2FtcGxlci5oIG1hdGNoaW5nIHRoZSBlcnJvciwgbnVsbCBpZiBpdCBkb2Vzbid0IGNvbWUgZnJvbSBzcGVleFxuICAgICovXG4gIGNvbnN0cnVjdG9yKG1lc3NhZ2U6IHN0cmluZywgcHVibGljIGNvZGU6IG51bWJlciB8IG51bGwgPSBudWxsKSB7XG4gICAgc3VwZXIobWVzc2FnZSk7XG4gICAgdGhpcy5uYW1lID0gbmV3LnRhcmdldC5uYW1lO1xuICB9XG59XG5cbi8qKiBTcGVleCBjb3VsZCBub3QgYWxsb2NhdGUgaXRzIG1lbW9yeSAqL1xuZXhwb3J0IGNsYXNzIFNwZWV4UmVzYW1wbGVyQWxsb2NFcnJvciBleHRlbmRzIFNwZWV4UmVzYW1wbGVyRXJyb3Ige1xuICBjb25zdHJ1Y3RvcihtZXNzYWdlOiBzdHJpbmcpIHtcbiAgICBzdXBlcihtZXNzYWdlLCBSRVNBTVBMRVJfRVJSX0FMTE9DX0ZBSUxFRCk7XG4gIH1cbn1cblxuLyoqIFRoZSByZXNhbXBsZXIgaXMgbm90IHVzYWJsZSBpbiBpdHMgY3VycmVudCBzdGF0ZTogV0FTTSBtb2R1bGUgbm90IHJlYWR5IHlldCBvciByZXNhbXBsZXIgZGVzdHJveWVkICovXG5leHBvcnQgY2xhc3MgU3BlZXhSZXNhbXBsZXJCYWRTdGF0ZUVycm9yIGV4dGVuZHMgU3BlZXhSZXNhbXBsZXJFcnJvciB7XG4gIGNvbnN0cnVjdG9yKG1lc3NhZ2U6IHN0cmluZykge1xuICAgIHN1cGVyKG1lc3NhZ2UsIFJFU0FNUExFUl9FUlJfQkFEX1NUQVRFKTtcbiAgfVxufVxuXG4vKiogQW4gYXJndW1lbnQgb3Igb3B0aW9uIGlzIGludmFsaWQ6IGNoYW5uZWxzLCByYXRlcywgcXVhbGl0eSwgZm9ybWF0cywgbWlzYWxpZ25lZCBjaHVua3MsIGFycmF5cyB0b28gc21hbGwuLi4gKi9cbmV4cG9ydCBjbGFzcyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciBleHRlbmRzIFNwZWV4UmVzYW1wbGVyRXJyb3Ige1xuICBjb25zdHJ1Y3RvcihtZXNzYWdlOiBzdHJpbmcpIHtcbiAgICBzdXBlcihtZXNzYWdlLCBSRVNBTVBMRVJfRVJSX0lOVkFMSURfQVJHKTtcbiAgfVxufVxuXG4vKiogVGhlIGlucHV0IGFuZCBvdXRwdXQgYnVmZmVycyBnaXZlbiB0byBzcGVleCBvdmVybGFwICovXG5leHBvcnQgY2xhc3MgU3BlZXhSZXNhbXBsZXJQdHJPdmVybGFwRXJyb3IgZXh0ZW5kcyBTcGVleFJlc2FtcGxlckVycm9yIHtcbiAgY29uc3RydWN0b3IobWVzc2FnZTogc3RyaW5nKSB7XG4gICAgc3VwZXIobWVzc2FnZSwgUkVTQU1QTEVSX0VSUl9QVFJfT1ZFUkxBUCk7XG4gIH1cbn1cblxuLyoqIFRoZSByYXRlcyBvciByYXRpbyBhcmUgdG9vIGxhcmdlIGZvciB0aGUgc3BlZXggaW50ZWdlciBhcml0aG1ldGljICovXG5leHBvcnQgY2xhc3MgU3BlZXhSZXNhbXBsZXJPdmVyZmxvd0Vycm9yIGV4dGVuZHMgU3BlZXhSZXNhbXBsZXJFcnJvciB7XG4gIGNvbnN0cnVjdG9yKG1lc3NhZ2U6IHN0cmluZykge1xuICAgIHN1cGVyKG1lc3NhZ2UsIFJFU0FNUExFUl9FUlJfT1ZFUkZMT1cpO1xuICB9XG59XG5cbmNvbnN0IEVSUk9SX0NMQVNTRVM6IHtbY29kZTogbnVtYmVyXTogbmV3IChtZXNzYWdlOiBzdHJpbmcpID0+IFNwZWV4UmVzYW1wbGVyRXJyb3J9ID0ge1xuICBbUkVTQU1QTEVSX0VSUl9BTExPQ19GQUlMRURdOiBTcGVleFJlc2FtcGxlckFsbG9jRXJyb3IsXG4gIFtSRVNBTVBMRVJfRVJSX0JBRF9TVEFURV06IFNwZWV4UmVzYW1wbGVyQmFkU3RhdGVFcnJvcixcbiAgW1JFU0FNUExFUl9FUlJfSU5WQUxJRF9BUkddOiBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvcixcbiAgW1JFU0FNUExFUl9FUlJfUFRSX09WRVJMQVBdOiBTcGVleFJlc2FtcGxlclB0ck92ZXJsYXBFcnJvcixcbiAgW1JFU0FNUExFUl9FUlJfT1ZFUkZMT1ddOiBTcGVleFJlc2FtcGxlck92ZXJmbG93RXJyb3IsXG59O1xuXG4vKipcbiAgKiBFcnJvciBtYXRjaGluZyBhIFJFU0FNUExFUl9FUlJfKiBjb2RlIHJldHVybmVkIGJ5IHNwZWV4XG4gICovXG5leHBvcnQgY29uc3QgZXJyb3JGcm9tQ29kZSA9IChjb2RlOiBudW1iZXIsIG1lc3NhZ2U6IHN0cmluZyk6IFNwZWV4UmVzYW1wbGVyRXJyb3IgPT4ge1xuICBjb25zdCBFcnJvckNsYXNzID0gRVJST1JfQ0xBU1NFU1tjb2RlXTtcbiAgcmV0dXJuIEVycm9yQ2xhc3MgPyBuZXcgRXJyb3JDbGFzcyhtZXNzYWdlKSA6IG5ldyBTcGVleFJlc2FtcGxlckVycm9yKG1lc3NhZ2UsIGNvZGUpO1xufVxuIl19
\ No newline at end of file
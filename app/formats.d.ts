@@ -0,0 +1,33 @@
+/// <reference types="node" />
+import { Buffer } from 'buffer';
+/**
+  * Sample encoding of interleaved PCM data, always little-endian
+  * - int16: signed 16 bits integer
+  * - int24: signed 24 bits integer packed in 3 bytes
+  * - int32: signed 32 bits integer
+  * - float32: 32 bits float between -1 and 1
+  */
+export declare type SampleFormat = 'int16' | 'int24' | 'int32' | 'float32';
+export declare const BYTES_PER_SAMPLE: {
+    [format in SampleFormat]: number;
+};
+export declare const assertSampleFormat: (format: any) => SampleFormat;
+/**
+  * Decode PCM samples in `format` from `input` into `output` as floats between -1 and 1
+  */
+export declare const decodeSamples: (input: Uint8Array, format: SampleFormat, output: Float32Array) => void;
+/**
+  * Encode floats between -1 and 1 from `input` into `output` as PCM samples in `format`, out of range values are clipped
+  */
+export declare const encodeSamples: (input: Float32Array, output: Uint8Array, format: SampleFormat) => void;
+/**
+  * Buffer sharing the memory of an ArrayBuffer or a typed array
+  */
+export declare const toBuffer: (chunk: ArrayBuffer | ArrayBufferView) => Buffer;
+/**
+  * Speex needs chunks aligned to the frame size (sample size times the number of channels),
+  * the extraneous bytes are kept to be prepended to the next chunk
+  * @param remainder extraneous bytes kept from the previous chunk
+  * @returns the aligned part of remainder + chunk and the new remainder
+  */
+export declare const alignChunk: (remainder: Buffer, chunk: Buffer, frameLength: number) => [Buffer, Buffer];
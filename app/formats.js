@@ -0,0 +1,107 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.alignChunk = exports.toBuffer = exports.encodeSamples = exports.decodeSamples = exports.assertSampleFormat = exports.BYTES_PER_SAMPLE = void 0;
+const buffer_1 = require("buffer");
+const errors_1 = require("./errors");
+exports.BYTES_PER_SAMPLE = {
+    int16: 2,
+    int24: 3,
+    int32: 4,
+    float32: 4,
+};
+const EMPTY_REMAINDER = buffer_1.Buffer.alloc(0);
+const INT_SCALE = {
+    int16: 0x8000,
+    int24: 0x800000,
+    int32: 0x80000000,
+};
+exports.assertSampleFormat = (format) => {
+    if (!Object.prototype.hasOwnProperty.call(exports.BYTES_PER_SAMPLE, format)) {
+        throw new errors_1.SpeexResamplerInvalidArgError(`Unsupported sample format ${format}, should be one of ${Object.keys(exports.BYTES_PER_SAMPLE).join(', ')}`);
+    }
+    return format;
+};
+const clamp = (value, min, max) => value < min ? min : (value > max ? max : value);
+/**
+  * Decode PCM samples in `format` from `input` into `output` as floats between -1 and 1
+  */
+exports.decodeSamples = (input, format, output) => {
+    const view = new DataView(input.buffer, input.byteOffset, input.byteLength);
+    const samplesCount = input.byteLength / exports.BYTES_PER_SAMPLE[format];
+    switch (format) {
+        case 'int16':
+            for (let i = 0; i < samplesCount; i++) {
+                output[i] = view.getInt16(i * 2, true) / INT_SCALE.int16;
+            }
+            break;
+        case 'int24':
+            for (let i = 0; i < samplesCount; i++) {
+                // reading the low 16 bits unsigned and the high 8 bits signed to keep the sign of the 24 bits integer
+                output[i] = (view.getUint16(i * 3, true) | (view.getInt8(i * 3 + 2) << 16)) / INT_SCALE.int24;
+            }
+            break;
+        case 'int32':
+            for (let i = 0; i < samplesCount; i++) {
+                output[i] = view.getInt32(i * 4, true) / INT_SCALE.int32;
+            }
+            break;
+        case 'float32':
+            for (let i = 0; i < samplesCount; i++) {
+                output[i] = view.getFloat32(i * 4, true);
+            }
+            break;
+    }
+};
+/**
+  * Encode floats between -1 and 1 from `input` into `output` as PCM samples in `format`, out of range values are clipped
+  */
+exports.encodeSamples = (input, output, format) => {
+    const view = new DataView(output.buffer, output.byteOffset, output.byteLength);
+    switch (format) {
+        case 'int16':
+            for (let i = 0; i < input.length; i++) {
+                view.setInt16(i * 2, clamp(Math.round(input[i] * INT_SCALE.int16), -INT_SCALE.int16, INT_SCALE.int16 - 1), true);
+            }
+            break;
+        case 'int24':
+            for (let i = 0; i < input.length; i++) {
+                const sample = clamp(Math.round(input[i] * INT_SCALE.int24), -INT_SCALE.int24, INT_SCALE.int24 - 1);
+                view.setUint16(i * 3, sample & 0xFFFF, true);
+                view.setInt8(i * 3 + 2, sample >> 16);
+            }
+            break;
+        case 'int32':
+            for (let i = 0; i < input.length; i++) {
+                view.setInt32(i * 4, clamp(Math.round(input[i] * INT_SCALE.int32), -INT_SCALE.int32, INT_SCALE.int32 - 1), true);
+            }
+            break;
+        case 'float32':
+            for (let i = 0; i < input.length; i++) {
+                view.setFloat32(i * 4, input[i], true);
+            }
+            break;
+    }
+};
+/**
+  * Buffer sharing the memory of an ArrayBuffer or a typed array
+  */
+exports.toBuffer = (chunk) => (ArrayBuffer.isView(chunk) ? buffer_1.Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength) : buffer_1.Buffer.from(chunk));
+/**
+  * Speex needs chunks aligned to the frame size (sample size times the number of channels),
+  * the extraneous bytes are kept to be prepended to the next chunk
+  * @param remainder extraneous bytes kept from the previous chunk
+  * @returns the aligned part of remainder + chunk and the new remainder
+  */
+exports.alignChunk = (remainder, chunk, frameLength) => {
+    const chunkToProcess = remainder.length > 0 ? buffer_1.Buffer.concat([remainder, chunk]) : chunk;
+    const extraneousBytesCount = chunkToProcess.length % frameLength;
+    if (extraneousBytesCount === 0) {
+        return [chunkToProcess, EMPTY_REMAINDER];
+    }
+    return [
+        chunkToProcess.slice(0, chunkToProcess.length - extraneousBytesCount),
+        // copying as the chunk memory can be reused by its producer
+        buffer_1.Buffer.from(chunkToProcess.slice(chunkToProcess.length - extraneousBytesCount)),
+    ];
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZm9ybWF0cy5qcyIsInNvdXJjZVJvb3QiOiIvIiwic291cmNlcyI6WyJmb3JtYXRzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQUFBLG1DQUErQjtBQUMvQixxQ0FBeUQ7QUFXNUMsUUFBQSxnQkFBZ0IsR0FBdUM7SUFDbEUsS0FBSyxFQUFFLENBQUM7SUFDUixLQUFLLEVBQUUsQ0FBQztJQUNSLEtBQUssRUFBRSxDQUFDO0lBQ1IsT0FBTyxFQUFFLENBQUM7Q0FDWCxDQUFDO0FBRUYsTUFBTSxlQUFlLEdBQUcsZUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUV4QyxNQUFNLFNBQVMsR0FBRztJQUNoQixLQUFLLEVBQUUsTUFBTTtJQUNiLEtBQUssRUFBRSxRQUFRO0lBQ2YsS0FBSyxFQUFFLFVBQVU7Q0FDbEIsQ0FBQztBQUVXLFFBQUEsa0JBQWtCLEdBQUcsQ0FBQyxNQUFXLEVBQWdCLEVBQUU7SUFDOUQsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyx3QkFBZ0IsRUFBRSxNQUFNLENBQUMsRUFBRTtRQUNuRSxNQUFNLElBQUksc0NBQTZCLENBQUMsNkJBQTZCLE1BQU0sc0JBQXNCLE1BQU0sQ0FBQyxJQUFJLENBQUMsd0JBQWdCLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0tBQzlJO0lBQ0QsT0FBTyxNQUFNLENBQUM7QUFDaEIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxLQUFLLEdBQUcsQ0FBQyxLQUFhLEVBQUUsR0FBVyxFQUFFLEdBQVcsRUFBRSxFQUFFLENBQUMsS0FBSyxHQUFHLEdBQUcsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUM7QUFFM0c7O0lBRUk7QUFDUyxRQUFBLGFBQWEsR0FBRyxDQUFDLEtBQWlCLEVBQUUsTUFBb0IsRUFBRSxNQUFvQixFQUFFLEVBQUU7SUFDN0YsTUFBTSxJQUFJLEdBQUcsSUFBSSxRQUFRLENBQUMsS0FBSyxDQUFDLE1BQU0sRUFBRSxLQUFLLENBQUMsVUFBVSxFQUFFLEtBQUssQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUM1RSxNQUFNLFlBQVksR0FBRyxLQUFLLENBQUMsVUFBVSxHQUFHLHdCQUFnQixDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ2pFLFFBQVEsTUFBTSxFQUFFO1FBQ2QsS0FBSyxPQUFPO1lBQ1YsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFlBQVksRUFBRSxDQUFDLEVBQUUsRUFBRTtnQkFDckMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxJQUFJLENBQUMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDO2FBQzFEO1lBQ0QsTUFBTTtRQUNSLEtBQUssT0FBTztZQUNWLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxZQUFZLEVBQUUsQ0FBQyxFQUFFLEVBQUU7Z0JBQ3JDLHNHQUFzRztnQkFDdEcsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLEtBQUssQ0FBQzthQUMvRjtZQUNELE1BQU07UUFDUixLQUFLLE9BQU87WUFDVixLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsWUFBWSxFQUFFLENBQUMsRUFBRSxFQUFFO2dCQUNyQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxFQUFFLElBQUksQ0FBQyxHQUFHLFNBQVMsQ0FBQyxLQUFLLENBQUM7YUFDMUQ7WUFDRCxNQUFNO1FBQ1IsS0FBSyxTQUFTO1lBQ1osS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFlBQVksRUFBRSxDQUFDLEVBQUUsRUFBRTtnQkFDckMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQzthQUMxQztZQUNELE1BQU07S0FDVDtBQUNILENBQUMsQ0FBQTtBQUVEOztJQUVJO0FBQ1MsUUFBQSxhQUFhLEdBQUcsQ0FBQyxLQUFtQixFQUFFLE1BQWtCLEVBQUUsTUFBb0IsRUFBRSxFQUFFO0lBQzdGLE1BQU0sSUFBSSxHQUFHLElBQUksUUFBUSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLFVBQVUsRUFBRSxNQUFNLENBQUMsVUFBVSxDQUFDLENBQUM7SUFDL0UsUUFBUSxNQUFNLEVBQUU7UUFDZCxLQUFLLE9BQU87WUFDVixLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsS0FBSyxDQUFDLE1BQU0sRUFBRSxDQUFDLEVBQUUsRUFBRTtnQkFDckMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLFNBQVMsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUM7YUFDbEg7WUFDRCxNQUFNO1FBQ1IsS0FBSyxPQUFPO1lBQ1YsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7Z0JBQ3JDLE1BQU0sTUFBTSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLFNBQVMsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7Z0JBQ3BHLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxNQUFNLEdBQUcsTUFBTSxFQUFFLElBQUksQ0FBQyxDQUFDO2dCQUM3QyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLE1BQU0sSUFBSSxFQUFFLENBQUMsQ0FBQzthQUN2QztZQUNELE1BQU07UUFDUixLQUFLLE9BQU87WUFDVixLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsS0FBSyxDQUFDLE1BQU0sRUFBRSxDQUFDLEVBQUUsRUFBRTtnQkFDckMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLFNBQVMsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUM7YUFDbEg7WUFDRCxNQUFNO1FBQ1IsS0FBSyxTQUFTO1lBQ1osS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7Z0JBQ3JDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUM7YUFDeEM7WUFDRCxNQUFNO0tBQ1Q7QUFDSCxDQUFDLENBQUE7QUFFRDs7SUFFSTtBQUNTLFFBQUEsUUFBUSxHQUFHLENBQUMsS0FBb0MsRUFBRSxFQUFFLENBQUMsQ0FDaEUsV0FBVyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsZUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxFQUFFLEtBQUssQ0FBQyxVQUFVLEVBQUUsS0FBSyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxlQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUMvRyxDQUFDO0FBRUY7Ozs7O0lBS0k7QUFDUyxRQUFBLFVBQVUsR0FBRyxDQUFDLFNBQWlCLEVBQUUsS0FBYSxFQUFFLFdBQW1CLEVBQW9CLEVBQUU7SUFDcEcsTUFBTSxjQUFjLEdBQUcsU0FBUyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLGVBQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDO0lBQ3hGLE1BQU0sb0JBQW9CLEdBQUcsY0FBYyxDQUFDLE1BQU0sR0FBRyxXQUFXLENBQUM7SUFDakUsSUFBSSxvQkFBb0IsS0FBSyxDQUFDLEVBQUU7UUFDOUIsT0FBTyxDQUFDLGNBQWMsRUFBRSxlQUFlLENBQUMsQ0FBQztLQUMxQztJQUNELE9BQU87UUFDTCxjQUFjLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxjQUFjLENBQUMsTUFBTSxHQUFHLG9CQUFvQixDQUFDO1FBQ3JFLDREQUE0RDtRQUM1RCxlQUFNLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxLQUFLLENBQUMsY0FBYyxDQUFDLE1BQU0sR0FBRyxvQkFBb0IsQ0FBQyxDQUFDO0tBQ2hGLENBQUM7QUFDSixDQUFDLENBQUEiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBCdWZmZXIgfSBmcm9tICdidWZmZXInXG5pbXBvcnQgeyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciB9IGZyb20gJy4vZXJyb3JzJztcblxuLyoqXG4gICogU2FtcGxlIGVuY29kaW5nIG9mIGludGVybGVhdmVkIFBDTSBkYXRhLCBhbHdheXMgbGl0dGxlLWVuZGlhblxuICAqIC0gaW50MTY6IHNpZ25lZCAxNiBiaXRzIGludGVnZXJcbiAgKiAtIGludDI0OiBzaWduZWQgMjQgYml0cyBpbnRlZ2VyIHBhY2tlZCBpbiAzIGJ5dGVzXG4gICogLSBpbnQzMjogc2lnbmVkIDMyIGJpdHMgaW50ZWdlclxuICAqIC0gZmxvYXQzMjogMzIgYml0cyBmbG9hdCBiZXR3ZWVuIC0xIGFuZCAxXG4gICovXG5leHBvcnQgdHlwZSBTYW1wbGVGb3JtYXQgPSAnaW50MTYnIHwgJ2ludDI0JyB8ICdpbnQzMicgfCAnZmxvYXQzMic7XG5cbmV4cG9ydCBjb25zdCBCWVRFU19QRVJfU0FNUExFOiB7W2Zvcm1hdCBpbiBTYW1wbGVGb3JtYXRdOiBudW1iZXJ9ID0ge1xuICBpbnQxNjogMixcbiAgaW50MjQ6IDMsXG4gIGludDMyOiA0LFxuICBmbG9hdDMyOiA0LFxufTtcblxuY29uc3QgRU1QVFlfUkVNQUlOREVSID0gQnVmZmVyLmFsbG9jKDApO1xuXG5jb25zdCBJTlRfU0NBTEUgPSB7XG4gIGludDE2OiAweDgwMDAsXG4gIGludDI0OiAweDgwMDAwMCxcbiAgaW50MzI6IDB4ODAwMDAwMDAsXG59O1xuXG5leHBvcnQgY29uc3QgYXNzZXJ0U2FtcGxlRm9ybWF0ID0gKGZvcm1hdDogYW55KTogU2FtcGxlRm9ybWF0ID0+IHtcbiAgaWYgKCFPYmplY3QucHJvdG90eXBlLmhhc093blByb3BlcnR5LmNhbGwoQllURVNfUEVSX1NBTVBMRSwgZm9ybWF0KSkge1xuICAgIHRocm93IG5ldyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvcihgVW5zdXBwb3J0ZWQgc2FtcGxlIGZvcm1hdCAke2Zvcm1hdH0sIHNob3VsZCBiZSBvbmUgb2YgJHtPYmplY3Qua2V5cyhCWVRFU19QRVJfU0FNUExFKS5qb2luKCcsICcpfWApO1xuICB9XG4gIHJldHVybiBmb3JtYXQ7XG59XG5cbmNvbnN0IGNsYW1wID0gKHZhbHVlOiBudW1iZXIsIG1pbjogbnVtYmVyLCBtYXg6IG51bWJlcikgPT4gdmFsdWUgPCBtaW4gPyBtaW4gOiAodmFsdWUgPiBtYXggPyBtYXggOiB2YWx1ZSk7XG5cbi8qKlxuICAqIERlY29kZSBQQ00gc2FtcGxlcyBpbiBgZm9ybWF0YCBmcm9tIGBpbnB1dGAgaW50byBgb3V0cHV0YCBhcyBmbG9hdHMgYmV0d2VlbiAtMSBhbmQgMVxuICAqL1xuZXhwb3J0IGNvbnN0IGRlY29kZVNhbXBsZXMgPSAoaW5wdXQ6IFVpbnQ4QXJyYXksIGZvcm1hdDogU2FtcGxlRm9ybWF0LCBvdXRwdXQ6IEZsb2F0MzJBcnJheSkgPT4ge1xuICBjb25zdCB2aWV3ID0gbmV3IERhdGFWaWV3KGlucHV0LmJ1ZmZlciwgaW5wdXQuYnl0ZU9mZnNldCwgaW5wdXQuYnl0ZUxlbmd0aCk7XG4gIGNvbnN0IHNhbXBsZXNDb3VudCA9IGlucHV0LmJ5dGVMZW5ndGggLyBCWVRFU19QRVJfU0FNUExFW2Zvcm1hdF07XG4gIHN3aXRjaCAoZm9ybWF0KSB7XG4gICAgY2FzZSAnaW50MTYnOlxuICAgICAgZm9yIChsZXQgaSA9IDA7IGkgPCBzYW1wbGVzQ291bnQ7IGkrKykge1xuICAgICAgICBvdXRwdXRbaV0gPSB2aWV3LmdldEludDE2KGkgKiAyLCB0cnVlKSAvIElOVF9TQ0FMRS5pbnQxNjtcbiAgICAgIH1cbiAgICAgIGJyZWFrO1xuICAgIGNhc2UgJ2ludDI0JzpcbiAgICAgIGZvciAobGV0IGkgPSAwOyBpIDwgc2FtcGxlc0NvdW50OyBpKyspIHtcbiAgICAgICAgLy8gcmVhZGluZyB0aGUgbG93IDE2IGJpdHMgdW5zaWduZWQgYW5kIHRoZSBoaWdoIDggYml0cyBzaWduZWQgdG8ga2VlcCB0aGUgc2lnbiBvZiB0aGUgMjQgYml0cyBpbnRlZ2VyXG4gICAgICAgIG91dHB1dFtpXSA9ICh2aWV3LmdldFVpbnQxNihpICogMywgdHJ1ZSkgfCAodmlldy5nZXRJbnQ4KGkgKiAzICsgMikgPDwgMTYpKSAvIElOVF9TQ0FMRS5pbnQyNDtcbiAgICAgIH1cbiAgICAgIGJyZWFrO1xuICAgIGNhc2UgJ2ludDMyJzpcbiAgICAgIGZvciAobGV0IGkgPSAwOyBpIDwgc2FtcGxlc0NvdW50OyBpKyspIHtcbiAgICAgICAgb3V0cHV0W2ldID0gdmlldy5nZXRJbnQzMihpICogNCwgdHJ1ZSkgLyBJTlRfU0NBTEUuaW50MzI7XG4gICAgICB9XG4gICAgICBicmVhaztcbiAgICBjYXNlICdmbG9hdDMyJzpcbiAgICAgIGZvciAobGV0IGkgPSAwOyBpIDwgc2FtcGxlc0NvdW50OyBpKyspIHtcbiAgICAgICAgb3V0cHV0W2ldID0gdmlldy5nZXRGbG9hdDMyKGkgKiA0LCB0cnVlKTtcbiAgICAgIH1cbiAgICAgIGJyZWFrO1xuICB9XG59XG5cbi8qKlxuICAqIEVuY29kZSBmbG9hdHMgYmV0d2VlbiAtMSBhbmQgMSBmcm9tIGBpbnB1dGAgaW50byBgb3V0cHV0YCBhcyBQQ00gc2FtcGxlcyBpbiBgZm9ybWF0YCwgb3V0IG9mIHJhbmdlIHZhbHVlcyBhcmUgY2xpcHBlZFxuICAqL1xuZXhwb3J0IGNvbnN0IGVuY29kZVNhbXBsZXMgPSAoaW5wdXQ6IEZsb2F0MzJBcnJheSwgb3V0cHV0OiBVaW50OEFycmF5LCBmb3JtYXQ6IFNhbXBsZUZvcm1hdCkgPT4ge1xuICBjb25zdCB2aWV3ID0gbmV3IERhdGFWaWV3KG91dHB1dC5idWZmZXIsIG91dHB1dC5ieXRlT2Zmc2V0LCBvdXRwdXQuYnl0ZUxlbmd0aCk7XG4gIHN3aXRjaCAoZm9ybWF0KSB7XG4gICAgY2FzZSAnaW50MTYnOlxuICAgICAgZm9yIChsZXQgaSA9IDA7IGkgPCBpbnB1dC5sZW5ndGg7IGkrKykge1xuICAgICAgICB2aWV3LnNldEludDE2KGkgKiAyLCBjbGFtcChNYXRoLnJvdW5kKGlucHV0W2ldICogSU5UX1NDQUxFLmludDE2KSwgLUlOVF9TQ0FMRS5pbnQxNiwgSU5UX1NDQUxFLmludDE2IC0gMSksIHRydWUpO1xuICAgICAgfVxuICAgICAgYnJlYWs7XG4gICAgY2FzZSAnaW50MjQnOlxuICAgICAgZm9yIChsZXQgaSA9IDA7IGkgPCBpbnB1dC5sZW5ndGg7IGkrKykge1xuICAgICAgICBjb25zdCBzYW1wbGUgPSBjbGFtcChNYXRoLnJvdW5kKGlucHV0W2ldICogSU5UX1NDQUxFLmludDI0KSwgLUlOVF9TQ0FMRS5pbnQyNCwgSU5UX1NDQUxFLmludDI0IC0gMSk7XG4gICAgICAgIHZpZXcuc2V0VWludDE2KGkgKiAzLCBzYW1wbGUgJiAweEZGRkYsIHRydWUpO1xuICAgICAgICB2aWV3LnNldEludDgoaSAqIDMgKyAyLCBzYW1wbGUgPj4gMTYpO1xuICAgICAgfVxuICAgICAgYnJlYWs7XG4gICAgY2FzZSAnaW50MzInOlxuICAgICAgZm9yIChsZXQgaSA9IDA7IGkgPCBpbnB1dC5sZW5ndGg7IGkrKykge1xuICAgICAgICB2aWV3LnNldEludDMyKGkgKiA0LCBjbGFtcChNYXRoLnJvdW5kKGlucHV0W2ldICogSU5UX1NDQUxFLmludDMyKSwgLUlOVF9TQ0FMRS5pbnQzMiwgSU5UX1NDQUxFLmludDMyIC0gMSksIHRydWUpO1xuICAgICAgfVxuICAgICAgYnJlYWs7XG4gICAgY2FzZSAnZmxvYXQzMic6XG4gICAgICBmb3IgKGxldCBpID0gMDsgaSA8IGlucHV0Lmxlbmd0aDsgaSsrKSB7XG4gICAgICAgIHZpZXcuc2V0RmxvYXQzMihpICogNCwgaW5wdXRbaV0sIHRydWUpO1xuICAgICAgfVxuICAgICAgYnJlYWs7XG4gIH1cbn1cblxuLyoqXG4gICogQnVmZmVyIHNoYXJpbmcgdGhlIG1lbW9yeSBvZiBhbiBBcnJheUJ1ZmZlciBvciBhIHR5cGVkIGFycmF5XG4gICovXG5leHBvcnQgY29uc3QgdG9CdWZmZXIgPSAoY2h1bms6IEFycmF5QnVmZmVyIHwgQXJyYXlCdWZmZXJWaWV3KSA9PiAoXG4gIEFycmF5QnVmZmVyLmlzVmlldyhjaHVuaykgPyBCdWZmZXIuZnJvbShjaHVuay5idWZmZXIsIGNodW5rLmJ5dGVPZmZzZXQsIGNodW5rLmJ5dGVMZW5ndGgpIDogQnVmZmVyLmZyb20oY2h1bmspXG4pO1xuXG4vKipcbiAgKiBTcGVleCBuZWVkcyBjaHVua3MgYWxpZ25lZCB0byB0aGUgZnJhbWUgc2l6ZSAoc2FtcGxlIHNpemUgdGltZXMgdGhlIG51bWJlciBvZiBjaGFubmVscyksXG4gICogdGhlIGV4dHJhbmVvdXMgYnl0ZXMgYXJlIGtlcHQgdG8gYmUgcHJlcGVuZGVkIHRvIHRoZSBuZXh0IGNodW5rXG4gICogQHBhcmFtIHJlbWFpbmRlciBleHRyYW5lb3VzIGJ5dGVzIGtlcHQgZnJvbSB0aGUgcHJldmlvdXMgY2h1bmtcbiAgKiBAcmV0dXJucyB0aGUgYWxpZ25lZCBwYXJ0IG9mIHJlbWFpbmRlciArIGNodW5rIGFuZCB0aGUgbmV3IHJlbWFpbmRlclxuICAqL1xuZXhwb3J0IGNvbnN0IGFsaWduQ2h1bmsgPSAocmVtYWluZGVyOiBCdWZmZXIsIGNodW5rOiBCdWZmZXIsIGZyYW1lTGVuZ3RoOiBudW1iZXIpOiBbQnVmZmVyLCBCdWZmZXJdID0+IHtcbiAgY29uc3QgY2h1bmtUb1Byb2Nlc3MgPSByZW1haW5kZXIubGVuZ3RoID4gMCA/IEJ1ZmZlci5jb25jYXQoW3JlbWFpbmRlciwgY2h1bmtdKSA6IGNodW5rO1xuICBjb25zdCBleHRyYW5lb3VzQnl0ZXNDb3VudCA9IGNodW5rVG9Qcm9jZXNzLmxlbmd0aCAlIGZyYW1lTGVuZ3RoO1xuICBpZiAoZXh0cmFuZW91c0J5dGVzQ291bnQgPT09IDApIHtcbiAgICByZXR1cm4gW2NodW5rVG9Qcm9jZXNzLCBFTVBUWV9SRU1BSU5ERVJdO1xuICB9XG4gIHJldHVybiBbXG4gICAgY2h1bmtUb1Byb2Nlc3Muc2xpY2UoMCwgY2h1bmtUb1Byb2Nlc3MubGVuZ3RoIC0gZXh0cmFuZW91c0J5dGVzQ291bnQpLFxuICAgIC8vIGNvcHlpbmcgYXMgdGhlIGNodW5rIG1lbW9yeSBjYW4gYmUgcmV1c2VkIGJ5IGl0cyBwcm9kdWNlclxuICAgIEJ1ZmZlci5mcm9tKGNodW5rVG9Qcm9jZXNzLnNsaWNlKGNodW5rVG9Qcm9jZXNzLmxlbmd0aCAtIGV4dHJhbmVvdXNCeXRlc0NvdW50KSksXG4gIF07XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,28 @@
+/// <reference types="node" />
+import { SpeexResamplerOptions } from './resampler';
+export interface ResampleOptions extends SpeexResamplerOptions {
+    channels: number;
+    inRate: number;
+    outRate: number;
+    /** number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality */
+    quality?: number;
+}
+declare type ResampleInput = ArrayBuffer | ArrayBufferView;
+/**
+  * Resample a whole audio buffer, the WASM module is initialized if needed and the end of the audio is flushed.
+  * An incomplete frame at the end of the input is dropped.
+  * @param input interleaved PCM data in the input sample format
+  * @param options channels, rates, quality, sample formats (default to float32) and latency compensation (default to true)
+  * @returns interleaved PCM data in the output sample format
+  */
+export declare const resampleBuffer: (input: ResampleInput, options: ResampleOptions) => Promise<Buffer>;
+/**
+  * Resample the chunks of an iterable, like a NodeJS Readable, a ReadableStream or a file handle `readableWebStream()`.
+  * Chunks don't need to be aligned on frames and the end of the audio is flushed once the input ends.
+  * The resampler is released when the input ends or when the iteration is stopped.
+  * @param input sync or async iterable of interleaved PCM data in the input sample format
+  * @param options channels, rates, quality, sample formats (default to float32) and latency compensation (default to true)
+  * @returns async iterable of interleaved PCM data in the output sample format
+  */
+export declare function resampleIterable(input: AsyncIterable<ResampleInput> | Iterable<ResampleInput>, options: ResampleOptions): AsyncGenerator<Buffer>;
+export {};
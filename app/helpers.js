@@ -0,0 +1,86 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    Object.defineProperty(o, k2, { enumerable: true, get: function() { return m[k]; } });
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.resampleIterable = exports.resampleBuffer = void 0;
+const buffer_1 = require("buffer");
+const resampler_1 = __importStar(require("./resampler"));
+const formats_1 = require("./formats");
+// latency is compensated by default so that the output is aligned with the input
+const createResampler = async (options) => {
+    await resampler_1.default.initPromise;
+    return new resampler_1.default(options.channels, options.inRate, options.outRate, options.quality, {
+        compensateLatency: true,
+        ...options,
+        // the returned chunks are owned by the caller
+        returnView: false,
+    });
+};
+const frameLengthOf = (resampler) => resampler.channels * formats_1.BYTES_PER_SAMPLE[resampler.inFormat];
+/**
+  * Resample a whole audio buffer, the WASM module is initialized if needed and the end of the audio is flushed.
+  * An incomplete frame at the end of the input is dropped.
+  * @param input interleaved PCM data in the input sample format
+  * @param options channels, rates, quality, sample formats (default to float32) and latency compensation (default to true)
+  * @returns interleaved PCM data in the output sample format
+  */
+exports.resampleBuffer = async (input, options) => {
+    const resampler = await createResampler(options);
+    try {
+        const [chunkToProcess] = formats_1.alignChunk(resampler_1.EMPTY_BUFFER, formats_1.toBuffer(input), frameLengthOf(resampler));
+        return buffer_1.Buffer.concat([resampler.processChunk(chunkToProcess), resampler.flush()]);
+    }
+    finally {
+        resampler.destroy();
+    }
+};
+/**
+  * Resample the chunks of an iterable, like a NodeJS Readable, a ReadableStream or a file handle `readableWebStream()`.
+  * Chunks don't need to be aligned on frames and the end of the audio is flushed once the input ends.
+  * The resampler is released when the input ends or when the iteration is stopped.
+  * @param input sync or async iterable of interleaved PCM data in the input sample format
+  * @param options channels, rates, quality, sample formats (default to float32) and latency compensation (default to true)
+  * @returns async iterable of interleaved PCM data in the output sample format
+  */
+async function* resampleIterable(input, options) {
+    const resampler = await createResampler(options);
+    const frameLength = frameLengthOf(resampler);
+    let alignementBuffer = resampler_1.EMPTY_BUFFER;
+    try {
+        for await (const chunk of input) {
+            const [chunkToProcess, remainder] = formats_1.alignChunk(alignementBuffer, formats_1.toBuffer(chunk), frameLength);
+            alignementBuffer = remainder;
+            const res = resampler.processChunk(chunkToProcess);
+            if (res.length > 0) {
+                yield res;
+            }
+        }
+        // an incomplete frame left in the alignment buffer cannot be resampled so it is dropped
+        const tail = resampler.flush();
+        if (tail.length > 0) {
+            yield tail;
+        }
+    }
+    finally {
+        resampler.destroy();
+    }
+}
+exports.resampleIterable = resampleIterable;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaGVscGVycy5qcyIsInNvdXJjZVJvb3QiOiIvIiwic291cmNlcyI6WyJoZWxwZXJzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7QUFBQSxtQ0FBK0I7QUFDL0IseURBQWtGO0FBQ2xGLHVDQUFtRTtBQVluRSxpRkFBaUY7QUFDakYsTUFBTSxlQUFlLEdBQUcsS0FBSyxFQUFFLE9BQXdCLEVBQUUsRUFBRTtJQUN6RCxNQUFNLG1CQUFjLENBQUMsV0FBVyxDQUFDO0lBQ2pDLE9BQU8sSUFBSSxtQkFBYyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLE1BQU0sRUFBRSxPQUFPLENBQUMsT0FBTyxFQUFFLE9BQU8sQ0FBQyxPQUFPLEVBQUU7UUFDNUYsaUJBQWlCLEVBQUUsSUFBSTtRQUN2QixHQUFHLE9BQU87UUFDViw4Q0FBOEM7UUFDOUMsVUFBVSxFQUFFLEtBQUs7S0FDbEIsQ0FBQyxDQUFDO0FBQ0wsQ0FBQyxDQUFBO0FBRUQsTUFBTSxhQUFhLEdBQUcsQ0FBQyxTQUF5QixFQUFFLEVBQUUsQ0FBQyxTQUFTLENBQUMsUUFBUSxHQUFHLDBCQUFnQixDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsQ0FBQztBQUUvRzs7Ozs7O0lBTUk7QUFDUyxRQUFBLGNBQWMsR0FBRyxLQUFLLEVBQUUsS0FBb0IsRUFBRSxPQUF3QixFQUFFLEVBQUU7SUFDckYsTUFBTSxTQUFTLEdBQUcsTUFBTSxlQUFlLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDakQsSUFBSTtRQUNGLE1BQU0sQ0FBQyxjQUFjLENBQUMsR0FBRyxvQkFBVSxDQUFDLHdCQUFZLEVBQUUsa0JBQVEsQ0FBQyxLQUFLLENBQUMsRUFBRSxhQUFhLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztRQUM3RixPQUFPLGVBQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLENBQUMsWUFBWSxDQUFDLGNBQWMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUM7S0FDbkY7WUFBUztRQUNSLFNBQVMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztLQUNyQjtBQUNILENBQUMsQ0FBQTtBQUVEOzs7Ozs7O0lBT0k7QUFDRyxLQUFLLFNBQVMsQ0FBQyxDQUFDLGdCQUFnQixDQUFDLEtBQTZELEVBQUUsT0FBd0I7SUFDN0gsTUFBTSxTQUFTLEdBQUcsTUFBTSxlQUFlLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDakQsTUFBTSxXQUFXLEdBQUcsYUFBYSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQzdDLElBQUksZ0JBQWdCLEdBQUcsd0JBQVksQ0FBQztJQUNwQyxJQUFJO1FBQ0YsSUFBSSxLQUFLLEVBQUUsTUFBTSxLQUFLLElBQUksS0FBSyxFQUFFO1lBQy9CLE1BQU0sQ0FBQyxjQUFjLEVBQUUsU0FBUyxDQUFDLEdBQUcsb0JBQVUsQ0FBQyxnQkFBZ0IsRUFBRSxrQkFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFLFdBQVcsQ0FBQyxDQUFDO1lBQy9GLGdCQUFnQixHQUFHLFNBQVMsQ0FBQztZQUM3QixNQUFNLEdBQUcsR0FBRyxTQUFTLENBQUMsWUFBWSxDQUFDLGNBQWMsQ0FBQyxDQUFDO1lBQ25ELElBQUksR0FBRyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7Z0JBQ2xCLE1BQU0sR0FBRyxDQUFDO2FBQ1g7U0FDRjtRQUNELHdGQUF3RjtRQUN4RixNQUFNLElBQUksR0FBRyxTQUFTLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDL0IsSUFBSSxJQUFJLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtZQUNuQixNQUFNLElBQUksQ0FBQztTQUNaO0tBQ0Y7WUFBUztRQUNSLFNBQVMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztLQUNyQjtBQUNILENBQUM7QUFyQkQsNENBcUJDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgQnVmZmVyIH0gZnJvbSAnYnVmZmVyJ1xuaW1wb3J0IFNwZWV4UmVzYW1wbGVyLCB7IFNwZWV4UmVzYW1wbGVyT3B0aW9ucywgRU1QVFlfQlVGRkVSIH0gZnJvbSAnLi9yZXNhbXBsZXInO1xuaW1wb3J0IHsgQllURVNfUEVSX1NBTVBMRSwgYWxpZ25DaHVuaywgdG9CdWZmZXIgfSBmcm9tICcuL2Zvcm1hdHMnO1xuXG5leHBvcnQgaW50ZXJmYWNlIFJlc2FtcGxlT3B0aW9ucyBleHRlbmRzIFNwZWV4UmVzYW1wbGVyT3B0aW9ucyB7XG4gIGNoYW5uZWxzOiBudW1iZXI7XG4gIGluUmF0ZTogbnVtYmVyO1xuICBvdXRSYXRlOiBudW1iZXI7XG4gIC8qKiBudW1iZXIgZnJvbSAxIHRvIDEwLCBkZWZhdWx0IHRvIDcsIDEgaXMgZmFzdCBidXQgb2YgYmFkIHF1YWxpdHksIDEwIGlzIHNsb3cgYnV0IGJlc3QgcXVhbGl0eSAqL1xuICBxdWFsaXR5PzogbnVtYmVyO1xufVxuXG50eXBlIFJlc2FtcGxlSW5wdXQgPSBBcnJheUJ1ZmZlciB8IEFycmF5QnVmZmVyVmlldztcblxuLy8gbGF0ZW5jeSBpcyBjb21wZW5zYXRlZCBieSBkZWZhdWx0IHNvIHRoYXQgdGhlIG91dHB1dCBpcyBhbGlnbmVkIHdpdGggdGhlIGlucHV0XG5jb25zdCBjcmVhdGVSZXNhbXBsZXIgPSBhc3luYyAob3B0aW9uczogUmVzYW1wbGVPcHRpb25zKSA9PiB7XG4gIGF3YWl0IFNwZWV4UmVzYW1wbGVyLmluaXRQcm9taXNlO1xuICByZXR1cm4gbmV3IFNwZWV4UmVzYW1wbGVyKG9wdGlvbnMuY2hhbm5lbHMsIG9wdGlvbnMuaW5SYXRlLCBvcHRpb25zLm91dFJhdGUsIG9wdGlvbnMucXVhbGl0eSwge1xuICAgIGNvbXBlbnNhdGVMYXRlbmN5OiB0cnVlLFxuICAgIC4uLm9wdGlvbnMsXG4gICAgLy8gdGhlIHJldHVybmVkIGNodW5rcyBhcmUgb3duZWQgYnkgdGhlIGNhbGxlclxuICAgIHJldHVyblZpZXc6IGZhbHNlLFxuICB9KTtcbn1cblxuY29uc3QgZnJhbWVMZW5ndGhPZiA9IChyZXNhbXBsZXI6IFNwZWV4UmVzYW1wbGVyKSA9PiByZXNhbXBsZXIuY2hhbm5lbHMgKiBCWVRFU19QRVJfU0FNUExFW3Jlc2FtcGxlci5pbkZvcm1hdF07XG5cbi8qKlxuICAqIFJlc2FtcGxlIGEgd2hvbGUgYXVkaW8gYnVmZmVyLCB0aGUgV0FTTSBtb2R1bGUgaXMgaW5pdGlhbGl6ZWQgaWYgbmVlZGVkIGFuZCB0aGUgZW5kIG9mIHRoZSBhdWRpbyBpcyBmbHVzaGVkLlxuICAqIEFuIGluY29tcGxldGUgZnJhbWUgYXQgdGhlIGVuZCBvZiB0aGUgaW5wdXQgaXMgZHJvcHBlZC5cbiAgKiBAcGFyYW0gaW5wdXQgaW50ZXJsZWF2ZWQgUENNIGRhdGEgaW4gdGhlIGlucHV0IHNhbXBsZSBmb3JtYXRcbiAgKiBAcGFyYW0gb3B0aW9ucyBjaGFubmVscywgcmF0ZXMsIHF1YWxpdHksIHNhbXBsZSBmb3JtYXRzIChkZWZhdWx0IHRvIGZsb2F0MzIpIGFuZCBsYXRlbmN5IGNvbXBlbnNhdGlvbiAoZGVmYXVsdCB0byB0cnVlKVxuICAqIEByZXR1cm5zIGludGVybGVhdmVkIFBDTSBkYXRhIGluIHRoZSBvdXRwdXQgc2FtcGxlIGZvcm1hdFxuICAqL1xuZXhwb3J0IGNvbnN0IHJlc2FtcGxlQnVmZmVyID0gYXN5bmMgKGlucHV0OiBSZXNhbXBsZUlucHV0LCBvcHRpb25zOiBSZXNhbXBsZU9wdGlvbnMpID0+IHtcbiAgY29uc3QgcmVzYW1wbGVyID0gYXdhaXQgY3JlYXRlUmVzYW1wbGVyKG9wdGlvbnMpO1xuICB0cnkge1xuICAgIGNvbnN0IFtjaHVua1RvUHJvY2Vzc10gPSBhbGlnbkNodW5rKEVNUFRZX0JVRkZFUiwgdG9CdWZmZXIoaW5wdXQpLCBmcmFtZUxlbmd0aE9mKHJlc2FtcGxlcikpO1xuICAgIHJldHVybiBCdWZmZXIuY29uY2F0KFtyZXNhbXBsZXIucHJvY2Vzc0NodW5rKGNodW5rVG9Qcm9jZXNzKSwgcmVzYW1wbGVyLmZsdXNoKCldKTtcbiAgfSBmaW5hbGx5IHtcbiAgICByZXNhbXBsZXIuZGVzdHJveSgpO1xuICB9XG59XG5cbi8qKlxuICAqIFJlc2FtcGxlIHRoZSBjaHVua3Mgb2YgYW4gaXRlcmFibGUsIGxpa2UgYSBOb2RlSlMgUmVhZGFibGUsIGEgUmVhZGFibGVTdHJlYW0gb3IgYSBmaWxlIGhhbmRsZSBgcmVhZGFibGVXZWJTdHJlYW0oKWAuXG4gICogQ2h1bmtzIGRvbid0IG5lZWQgdG8gYmUgYWxpZ25lZCBvbiBmcmFtZXMgYW5kIHRoZSBlbmQgb2YgdGhlIGF1ZGlvIGlzIGZsdXNoZWQgb25jZSB0aGUgaW5wdXQgZW5kcy5cbiAgKiBUaGUgcmVzYW1wbGVyIGlzIHJlbGVhc2VkIHdoZW4gdGhlIGlucHV0IGVuZHMgb3Igd2hlbiB0aGUgaXRlcmF0aW9uIGlzIHN0b3BwZWQuXG4gICogQHBhcmFtIGlucHV0IHN5bmMgb3IgYXN5bmMgaXRlcmFibGUgb2YgaW50ZXJsZWF2ZWQgUENNIGRhdGEgaW4gdGhlIGlucHV0IHNhbXBsZSBmb3JtYXRcbiAgKiBAcGFyYW0gb3B0aW9ucyBjaGFubmVscywgcmF0ZXMsIHF1YWxpdHksIHNhbXBsZSBmb3JtYXRzIChkZWZhdWx0IHRvIGZsb2F0MzIpIGFuZCBsYXRlbmN5IGNvbXBlbnNhdGlvbiAoZGVmYXVsdCB0byB0cnVlKVxuICAqIEByZXR1cm5zIGFzeW5jIGl0ZXJhYmxlIG9mIGludGVybGVhdmVkIFBDTSBkYXRhIGluIHRoZSBvdXRwdXQgc2FtcGxlIGZvcm1hdFxuICAqL1xuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uKiByZXNhbXBsZUl0ZXJhYmxlKGlucHV0OiBBc3luY0l0ZXJhYmxlPFJlc2FtcGxlSW5wdXQ+IHwgSXRlcmFibGU8UmVzYW1wbGVJbnB1dD4sIG9wdGlvbnM6IFJlc2FtcGxlT3B0aW9ucyk6IEFzeW5jR2VuZXJhdG9yPEJ1ZmZlcj4ge1xuICBjb25zdCByZXNhbXBsZXIgPSBhd2FpdCBjcmVhdGVSZXNhbXBsZXIob3B0aW9ucyk7XG4gIGNvbnN0IGZyYW1lTGVuZ3RoID0gZnJhbWVMZW5ndGhPZihyZXNhbXBsZXIpO1xuICBsZXQgYWxpZ25lbWVudEJ1ZmZlciA9IEVNUFRZX0JVRkZFUjtcbiAgdHJ5IHtcbiAgICBmb3IgYXdhaXQgKGNvbnN0IGNodW5rIG9mIGlucHV0KSB7XG4gICAgICBjb25zdCBbY2h1bmtUb1Byb2Nlc3MsIHJlbWFpbmRlcl0gPSBhbGlnbkNodW5rKGFsaWduZW1lbnRCdWZmZXIsIHRvQnVmZmVyKGNodW5rKSwgZnJhbWVMZW5ndGgpO1xuICAgICAgYWxpZ25lbWVudEJ1ZmZlciA9IHJlbWFpbmRlcjtcbiAgICAgIGNvbnN0IHJlcyA9IHJlc2FtcGxlci5wcm9jZXNzQ2h1bmsoY2h1bmtUb1Byb2Nlc3MpO1xuICAgICAgaWYgKHJlcy5sZW5ndGggPiAwKSB7XG4gICAgICAgIHlpZWxkIHJlcztcbiAgICAgIH1cbiAgICB9XG4gICAgLy8gYW4gaW5jb21wbGV0ZSBmcmFtZSBsZWZ0IGluIHRoZSBhbGlnbm1lbnQgYnVmZmVyIGNhbm5vdCBiZSByZXNhbXBsZWQgc28gaXQgaXMgZHJvcHBlZFxuICAgIGNvbnN0IHRhaWwgPSByZXNhbXBsZXIuZmx1c2goKTtcbiAgICBpZiAodGFpbC5sZW5ndGggPiAwKSB7XG4gICAgICB5aWVsZCB0YWlsO1xuICAgIH1cbiAgfSBmaW5hbGx5IHtcbiAgICByZXNhbXBsZXIuZGVzdHJveSgpO1xuICB9XG59XG4iXX0=
\ No newline at end of file
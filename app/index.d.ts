@@ -1,31 +1,49 @@
 /// <reference types="node" />
 import { Transform } from 'stream';
-declare class SpeexResampler {
-    channels: any;
-    inRate: any;
-    outRate: any;
-    quality: number;
-    _resamplerPtr: number;
-    _inBufferPtr: number;
-    _inBufferSize: number;
-    _outBufferPtr: number;
-    _outBufferSize: number;
-    _inLengthPtr: number;
-    _outLengthPtr: number;
-    static initPromise: Promise<any>;
-    /**
-      * Create an SpeexResampler tranform stream.
-      * @param channels Number of channels, minimum is 1, no maximum
-      * @param inRate frequency in Hz for the input chunk
-      * @param outRate frequency in Hz for the target chunk
-      * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+import { WriteStream } from 'fs';
+import { Buffer } from 'buffer';
+import SpeexResampler, { SpeexResamplerOptions, MixingMatrix, approximateRatio } from './resampler';
+import { SampleFormat } from './formats';
+import { WavFormat, WavHeader, parseWavHeader, createWavHeader } from './wav';
+export { SampleFormat, SpeexResamplerOptions, MixingMatrix, WavFormat, WavHeader, parseWavHeader, createWavHeader, approximateRatio };
+export { ResamplerPool, ResamplerPoolStream, ResamplerPoolOptions, ResamplerPoolJobOptions } from './pool';
+export { ResampleOptions, resampleBuffer, resampleIterable } from './helpers';
+export { SpeexResamplerError, SpeexResamplerAllocError, SpeexResamplerBadStateError, SpeexResamplerInvalidArgError, SpeexResamplerPtrOverlapError, SpeexResamplerOverflowError, } from './errors';
+export interface SpeexResamplerTransformOptions extends SpeexResamplerOptions {
+    /**
+      * number of frames (samples per channel) in each output chunk, for example 960 for 20ms at 48kHz
+      * when set, the stream is in object mode and outputs SpeexResamplerFrame objects
+      */
+    frameSize?: number;
+    /** when frameSize is set, fill the last frame with silence up to frameSize when the stream ends, default to true */
+    padLastFrame?: boolean;
+    /**
+      * output SpeexResamplerFrame objects with the position of each chunk in the input and output streams, default to false
+      * it is always the case when frameSize is set
       */
-    constructor(channels: any, inRate: any, outRate: any, quality?: number);
+    positions?: boolean;
     /**
-      * Resample a chunk of audio.
-      * @param chunk interleaved PCM data in float32
+      * playback speed factor (varispeed), 2 plays twice as fast with half the output duration and a higher pitch, default to 1
+      * can also be a function called for each chunk with the input position (in frames) of the chunk returning the speed,
+      * speed changes are ramped over the chunk
       */
-    processChunk(chunk: Buffer): Buffer;
+    speed?: SpeedOption;
+}
+export declare type SpeedOption = number | ((inputPosition: number) => number);
+/**
+  * Object pushed by SpeexResamplerTransform when `frameSize` or `positions` is set
+  */
+export interface SpeexResamplerFrame {
+    /** interleaved PCM data in the output sample format */
+    data: Buffer;
+    /** number of frames (samples per channel) in data, only less than frameSize for the last frame when padLastFrame is false */
+    frames: number;
+    /** index in the output stream of the first frame (sample per channel) of data */
+    sampleIndex: number;
+    /** time in milliseconds of the first frame of data from the start of the output stream */
+    timestamp: number;
+    /** position in the input stream of the first frame of data, can be fractional, see SpeexResampler.outputPositionToInput */
+    inputPosition: number;
 }
 export declare class SpeexResamplerTransform extends Transform {
     channels: any;
@@ -34,14 +52,94 @@ export declare class SpeexResamplerTransform extends Transform {
     quality: number;
     resampler: SpeexResampler;
     _alignementBuffer: Buffer;
+    frameSize: number | null;
+    padLastFrame: boolean;
+    positions: boolean;
+    _pendingOutput: Buffer;
+    _outSampleIndex: number;
+    _outTimestamp: number;
+    _speed: SpeedOption | null;
+    _currentSpeed: number;
     /**
       * Create an SpeexResampler instance.
       * @param channels Number of channels, minimum is 1, no maximum
       * @param inRate frequency in Hz for the input chunk
       * @param outRate frequency in Hz for the target chunk
       * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+      * @param options sample formats of the input and output chunks (default to float32), latency compensation, channels mixing
+      *                size and positions of the output frames and playback speed
+      */
+    constructor(channels: any, inRate: any, outRate: any, quality?: number, options?: SpeexResamplerTransformOptions);
+    _transform(chunk: any, encoding: any, callback: any): void;
+    _applySpeed(speed: number): void;
+    _processVarispeed(chunk: Buffer): Buffer;
+    /**
+      * Push the resampled data as SpeexResamplerFrame objects if needed
+      * @returns the data to give to the transform callback, undefined if already pushed
+      */
+    _toOutput(res: Buffer, isLast?: boolean): Buffer | undefined;
+    _pushFrame(data: Buffer, frameLength: number): void;
+    /**
+      * Wait for the WASM module to be ready and create a SpeexResamplerTransform, see constructor for the arguments
+      */
+    static create(channels: number, inRate: number, outRate: number, quality?: number, options?: SpeexResamplerTransformOptions): Promise<SpeexResamplerTransform>;
+    /**
+      * Change the input and output rates of the resampler, see SpeexResampler.setRate
+      */
+    setRate(inRate: number, outRate: number): void;
+    /**
+      * Change the resampling ratio to an arbitrary fraction, see SpeexResampler.setRateFrac, this stops the varispeed
+      */
+    setRateFrac(ratioNum: number, ratioDen: number, inRate?: any, outRate?: any): void;
+    /**
+      * Change the playback speed factor or function, the change is ramped over the next chunk, see the speed option
+      */
+    setSpeed(speed: SpeedOption): void;
+    /**
+      * Change the resampling quality, see SpeexResampler.setQuality
+      */
+    setQuality(quality: number): void;
+    _flush(callback: any): void;
+    _destroy(err: any, callback: any): void;
+}
+export interface WavResamplerTransformOptions {
+    /** sample format of the output file, default to the format of the input file */
+    format?: SampleFormat;
+    /** skip the leading filter delay so that the output is aligned with the input timeline, default to false */
+    compensateLatency?: boolean;
+    /** number of channels of the output file, default to the number of channels of the input file */
+    outChannels?: number;
+}
+/**
+  * Transform stream resampling a RIFF/WAVE file, the channels, input rate and sample format are read from the input header.
+  * The sizes in the output header cannot be known before the end of the stream so they are written as unknown (0xFFFFFFFF),
+  * they are patched once finished when piped to a file write stream. For other destinations, `header` contains the final
+  * header once the stream ended.
+  */
+export declare class WavResamplerTransform extends SpeexResamplerTransform {
+    /** header of the input file, null until it has been received */
+    inputHeader: WavHeader | null;
+    /** header of the output file with the right sizes, null until the stream ended */
+    header: Buffer | null;
+    wavOptions: WavResamplerTransformOptions;
+    _headerBuffer: Buffer;
+    _remainingDataLength: number | null;
+    _outDataLength: number;
+    /**
+      * Create a WavResamplerTransform instance.
+      * @param outRate frequency in Hz for the output file
+      * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+      * @param options sample format and channels of the output file (default to the input ones) and latency compensation
       */
-    constructor(channels: any, inRate: any, outRate: any, quality?: number);
+    constructor(outRate: number, quality?: number, options?: WavResamplerTransformOptions);
+    get outputFormat(): WavFormat;
+    _initFromHeader(header: WavHeader): void;
+    _countingCallback(callback: any): (err: any, res?: Buffer) => void;
     _transform(chunk: any, encoding: any, callback: any): void;
+    _flush(callback: any): void;
+    pipe<T extends NodeJS.WritableStream>(destination: T, options?: {
+        end?: boolean;
+    }): T;
+    _patchHeader(destination: WriteStream): void;
 }
 export default SpeexResampler;
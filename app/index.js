@@ -1,134 +1,353 @@
 "use strict";
-/// <reference types="emscripten" />
-var __importDefault = (this && this.__importDefault) || function (mod) {
-    return (mod && mod.__esModule) ? mod : { "default": mod };
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    Object.defineProperty(o, k2, { enumerable: true, get: function() { return m[k]; } });
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.SpeexResamplerTransform = void 0;
+exports.WavResamplerTransform = exports.SpeexResamplerTransform = exports.approximateRatio = exports.createWavHeader = exports.parseWavHeader = void 0;
 const stream_1 = require("stream");
-const speex_wasm_1 = __importDefault(require("./speex_wasm"));
+const fs_1 = require("fs");
 const buffer_1 = require("buffer");
-let speexModule;
-let globalModulePromise = speex_wasm_1.default().then((s) => speexModule = s);
-class SpeexResampler {
+const resampler_1 = __importStar(require("./resampler"));
+Object.defineProperty(exports, "approximateRatio", { enumerable: true, get: function () { return resampler_1.approximateRatio; } });
+const formats_1 = require("./formats");
+const wav_1 = require("./wav");
+Object.defineProperty(exports, "parseWavHeader", { enumerable: true, get: function () { return wav_1.parseWavHeader; } });
+Object.defineProperty(exports, "createWavHeader", { enumerable: true, get: function () { return wav_1.createWavHeader; } });
+const errors_1 = require("./errors");
+var pool_1 = require("./pool");
+Object.defineProperty(exports, "ResamplerPool", { enumerable: true, get: function () { return pool_1.ResamplerPool; } });
+Object.defineProperty(exports, "ResamplerPoolStream", { enumerable: true, get: function () { return pool_1.ResamplerPoolStream; } });
+var helpers_1 = require("./helpers");
+Object.defineProperty(exports, "resampleBuffer", { enumerable: true, get: function () { return helpers_1.resampleBuffer; } });
+Object.defineProperty(exports, "resampleIterable", { enumerable: true, get: function () { return helpers_1.resampleIterable; } });
+var errors_2 = require("./errors");
+Object.defineProperty(exports, "SpeexResamplerError", { enumerable: true, get: function () { return errors_2.SpeexResamplerError; } });
+Object.defineProperty(exports, "SpeexResamplerAllocError", { enumerable: true, get: function () { return errors_2.SpeexResamplerAllocError; } });
+Object.defineProperty(exports, "SpeexResamplerBadStateError", { enumerable: true, get: function () { return errors_2.SpeexResamplerBadStateError; } });
+Object.defineProperty(exports, "SpeexResamplerInvalidArgError", { enumerable: true, get: function () { return errors_2.SpeexResamplerInvalidArgError; } });
+Object.defineProperty(exports, "SpeexResamplerPtrOverlapError", { enumerable: true, get: function () { return errors_2.SpeexResamplerPtrOverlapError; } });
+Object.defineProperty(exports, "SpeexResamplerOverflowError", { enumerable: true, get: function () { return errors_2.SpeexResamplerOverflowError; } });
+// duration in seconds of the steps used to ramp the ratio when the speed changes
+const VARISPEED_STEP_DURATION = 0.01;
+class SpeexResamplerTransform extends stream_1.Transform {
     /**
-      * Create an SpeexResampler tranform stream.
+      * Create an SpeexResampler instance.
       * @param channels Number of channels, minimum is 1, no maximum
       * @param inRate frequency in Hz for the input chunk
       * @param outRate frequency in Hz for the target chunk
       * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+      * @param options sample formats of the input and output chunks (default to float32), latency compensation, channels mixing
+      *                size and positions of the output frames and playback speed
       */
-    constructor(channels, inRate, outRate, quality = 7) {
+    constructor(channels, inRate, outRate, quality = 7, options = {}) {
+        super({ readableObjectMode: !!options.frameSize || !!options.positions });
         this.channels = channels;
         this.inRate = inRate;
         this.outRate = outRate;
         this.quality = quality;
-        this._inBufferPtr = -1;
-        this._inBufferSize = -1;
-        this._outBufferPtr = -1;
-        this._outBufferSize = -1;
-        this._inLengthPtr = -1;
-        this._outLengthPtr = -1;
+        // resampled data waiting for frameSize to be reached
+        this._pendingOutput = resampler_1.EMPTY_BUFFER;
+        this._outSampleIndex = 0;
+        this._outTimestamp = 0;
+        this._currentSpeed = 1;
+        // chunks pushed in the stream are kept until they are consumed so they cannot be views on reused memory
+        this.resampler = new resampler_1.default(channels, inRate, outRate, quality, { ...options, returnView: false });
+        this.channels = channels;
+        this._alignementBuffer = resampler_1.EMPTY_BUFFER;
+        if (options.frameSize !== undefined && (!Number.isInteger(options.frameSize) || options.frameSize <= 0)) {
+            throw new errors_1.SpeexResamplerInvalidArgError('frameSize should be a positive integer');
+        }
+        this.frameSize = options.frameSize || null;
+        this.padLastFrame = options.padLastFrame !== false;
+        this.positions = !!options.frameSize || !!options.positions;
+        this._speed = options.speed === undefined ? null : options.speed;
+        if (typeof this._speed === 'number') {
+            this._applySpeed(this._speed);
+        }
+    }
+    _transform(chunk, encoding, callback) {
+        // Speex needs a buffer aligned to the sample size times the number of channels
+        // so we keep the extraneous bytes in a buffer for next chunk
+        const [chunkToProcess, remainder] = formats_1.alignChunk(this._alignementBuffer, chunk, this.channels * formats_1.BYTES_PER_SAMPLE[this.resampler.inFormat]);
+        this._alignementBuffer = remainder;
+        try {
+            const res = this._speed === null ? this.resampler.processChunk(chunkToProcess) : this._processVarispeed(chunkToProcess);
+            callback(null, this._toOutput(res));
+        }
+        catch (e) {
+            callback(e);
+        }
+    }
+    _applySpeed(speed) {
+        if (typeof speed !== 'number' || !(speed > 0) || !Number.isFinite(speed)) {
+            throw new errors_1.SpeexResamplerInvalidArgError(`speed should be a positive number, got ${speed}`);
+        }
+        const [ratioNum, ratioDen] = resampler_1.approximateRatio(this.inRate * speed / this.outRate);
+        this.resampler.setRateFrac(ratioNum, ratioDen, this.inRate, this.outRate);
+        this._currentSpeed = speed;
+    }
+    // the chunk is resampled in steps of VARISPEED_STEP_DURATION with the speed moving linearly to the target one
+    _processVarispeed(chunk) {
+        const targetSpeed = typeof this._speed === 'function' ? this._speed(this.resampler.inputFramesConsumed) : this._speed;
+        if (targetSpeed === this._currentSpeed) {
+            return this.resampler.processChunk(chunk);
+        }
+        const frameLength = this.channels * formats_1.BYTES_PER_SAMPLE[this.resampler.inFormat];
+        const stepLength = Math.max(1, Math.round(this.inRate * VARISPEED_STEP_DURATION)) * frameLength;
+        const stepsCount = Math.max(1, Math.ceil(chunk.length / stepLength));
+        const startSpeed = this._currentSpeed;
+        const chunks = [];
+        for (let step = 0; step < stepsCount; step++) {
+            this._applySpeed(step === stepsCount - 1 ? targetSpeed : startSpeed + (targetSpeed - startSpeed) * (step + 1) / stepsCount);
+            chunks.push(this.resampler.processChunk(chunk.slice(step * stepLength, (step + 1) * stepLength)));
+        }
+        return buffer_1.Buffer.concat(chunks);
     }
     /**
-      * Resample a chunk of audio.
-      * @param chunk interleaved PCM data in float32
+      * Push the resampled data as SpeexResamplerFrame objects if needed
+      * @returns the data to give to the transform callback, undefined if already pushed
       */
-    processChunk(chunk) {
-        if (!speexModule) {
-            throw new Error('You need to wait for SpeexResampler.initPromise before calling this method');
-        }
-        // We check that we have as many chunks for each channel and that the last chunk is full (2 bytes)
-        if (chunk.length % (this.channels * Float32Array.BYTES_PER_ELEMENT) !== 0) {
-            throw new Error('Chunk length should be a multiple of channels * 2 bytes');
-        }
-        if (!this._resamplerPtr) {
-            const errPtr = speexModule._malloc(4);
-            this._resamplerPtr = speexModule._speex_resampler_init(this.channels, this.inRate, this.outRate, this.quality, errPtr);
-            const errNum = speexModule.getValue(errPtr, 'i32');
-            if (errNum !== 0) {
-                throw new Error(speexModule.AsciiToString(speexModule._speex_resampler_strerror(errNum)));
-            }
-            this._inLengthPtr = speexModule._malloc(Uint32Array.BYTES_PER_ELEMENT);
-            this._outLengthPtr = speexModule._malloc(Uint32Array.BYTES_PER_ELEMENT);
+    _toOutput(res, isLast = false) {
+        const frameLength = this.resampler.outChannels * formats_1.BYTES_PER_SAMPLE[this.resampler.outFormat];
+        if (!this.positions) {
+            return res;
         }
-        // Resizing the input buffer in the WASM memory space to match what we need
-        if (this._inBufferSize < chunk.length) {
-            if (this._inBufferPtr !== -1) {
-                speexModule._free(this._inBufferPtr);
+        if (!this.frameSize) {
+            if (res.length > 0) {
+                this._pushFrame(res, frameLength);
             }
-            this._inBufferPtr = speexModule._malloc(chunk.length);
-            this._inBufferSize = chunk.length;
-        }
-        // Resizing the output buffer in the WASM memory space to match what we need
-        const outBufferLengthTarget = Math.ceil(chunk.length * this.outRate / this.inRate);
-        if (this._outBufferSize < outBufferLengthTarget) {
-            if (this._outBufferPtr !== -1) {
-                speexModule._free(this._outBufferPtr);
-            }
-            this._outBufferPtr = speexModule._malloc(outBufferLengthTarget);
-            this._outBufferSize = outBufferLengthTarget;
-        }
-        // number of samples per channel in input buffer
-        speexModule.setValue(this._inLengthPtr, chunk.length / this.channels / Float32Array.BYTES_PER_ELEMENT, 'i32');
-        // Copying the info from the input Buffer in the WASM memory space
-        speexModule.HEAPU8.set(chunk, this._inBufferPtr);
-        // number of samples per channels available in output buffer
-        speexModule.setValue(this._outLengthPtr, this._outBufferSize / this.channels / Float32Array.BYTES_PER_ELEMENT, 'i32');
-        const errNum = speexModule._speex_resampler_process_interleaved_float(this._resamplerPtr, this._inBufferPtr, this._inLengthPtr, this._outBufferPtr, this._outLengthPtr);
-        if (errNum !== 0) {
-            throw new Error(speexModule.AsciiToString(speexModule._speex_resampler_strerror(errNum)));
-        }
-        const outSamplesPerChannelsWritten = speexModule.getValue(this._outLengthPtr, 'i32');
-        // we are copying the info in a new buffer here, we could just pass a buffer pointing to the same memory space if needed
-        return buffer_1.Buffer.from(speexModule.HEAPU8.slice(this._outBufferPtr, this._outBufferPtr + outSamplesPerChannelsWritten * this.channels * Float32Array.BYTES_PER_ELEMENT).buffer);
+            return;
+        }
+        const output = this._pendingOutput.length > 0 ? buffer_1.Buffer.concat([this._pendingOutput, res]) : res;
+        let offset = 0;
+        for (; output.length - offset >= this.frameSize * frameLength; offset += this.frameSize * frameLength) {
+            this._pushFrame(output.slice(offset, offset + this.frameSize * frameLength), frameLength);
+        }
+        // copying to not keep the whole output in memory
+        this._pendingOutput = offset < output.length ? buffer_1.Buffer.from(output.slice(offset)) : resampler_1.EMPTY_BUFFER;
+        if (isLast && this._pendingOutput.length > 0) {
+            const lastFrame = this.padLastFrame
+                // silence is only zeros in every sample format
+                ? buffer_1.Buffer.concat([this._pendingOutput, buffer_1.Buffer.alloc(this.frameSize * frameLength - this._pendingOutput.length)])
+                : this._pendingOutput;
+            this._pushFrame(lastFrame, frameLength);
+            this._pendingOutput = resampler_1.EMPTY_BUFFER;
+        }
+    }
+    _pushFrame(data, frameLength) {
+        const frame = {
+            data,
+            frames: data.length / frameLength,
+            sampleIndex: this._outSampleIndex,
+            timestamp: this._outTimestamp,
+            inputPosition: this.resampler.outputPositionToInput(this._outSampleIndex),
+        };
+        this._outSampleIndex += frame.frames;
+        // incremented frame by frame as the output rate can change in the middle of the stream
+        this._outTimestamp += frame.frames / this.outRate * 1000;
+        this.push(frame);
     }
-}
-SpeexResampler.initPromise = globalModulePromise;
-const EMPTY_BUFFER = buffer_1.Buffer.alloc(0);
-class SpeexResamplerTransform extends stream_1.Transform {
     /**
-      * Create an SpeexResampler instance.
-      * @param channels Number of channels, minimum is 1, no maximum
-      * @param inRate frequency in Hz for the input chunk
-      * @param outRate frequency in Hz for the target chunk
-      * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+      * Wait for the WASM module to be ready and create a SpeexResamplerTransform, see constructor for the arguments
       */
-    constructor(channels, inRate, outRate, quality = 7) {
-        super();
-        this.channels = channels;
+    static async create(channels, inRate, outRate, quality = 7, options = {}) {
+        await resampler_1.default.initPromise;
+        return new SpeexResamplerTransform(channels, inRate, outRate, quality, options);
+    }
+    /**
+      * Change the input and output rates of the resampler, see SpeexResampler.setRate
+      */
+    setRate(inRate, outRate) {
+        this.resampler.setRate(inRate, outRate);
         this.inRate = inRate;
         this.outRate = outRate;
-        this.quality = quality;
-        this.resampler = new SpeexResampler(channels, inRate, outRate, quality);
-        this.channels = channels;
-        this._alignementBuffer = EMPTY_BUFFER;
+        if (this._speed !== null) {
+            // the speed is kept with the new rates
+            this._applySpeed(this._currentSpeed);
+        }
     }
-    _transform(chunk, encoding, callback) {
-        let chunkToProcess = chunk;
-        if (this._alignementBuffer.length > 0) {
-            chunkToProcess = buffer_1.Buffer.concat([
-                this._alignementBuffer,
-                chunk,
-            ]);
-            this._alignementBuffer = EMPTY_BUFFER;
-        }
-        // Speex needs a buffer aligned to 16bits times the number of channels
-        // so we keep the extraneous bytes in a buffer for next chunk
-        const extraneousBytesCount = chunkToProcess.length % (this.channels * Uint16Array.BYTES_PER_ELEMENT);
-        if (extraneousBytesCount !== 0) {
-            this._alignementBuffer = buffer_1.Buffer.from(chunkToProcess.slice(chunkToProcess.length - extraneousBytesCount));
-            chunkToProcess = chunkToProcess.slice(0, chunkToProcess.length - extraneousBytesCount);
+    /**
+      * Change the resampling ratio to an arbitrary fraction, see SpeexResampler.setRateFrac, this stops the varispeed
+      */
+    setRateFrac(ratioNum, ratioDen, inRate = this.inRate, outRate = this.outRate) {
+        this.resampler.setRateFrac(ratioNum, ratioDen, inRate, outRate);
+        this.inRate = inRate;
+        this.outRate = outRate;
+        this._speed = null;
+        this._currentSpeed = 1;
+    }
+    /**
+      * Change the playback speed factor or function, the change is ramped over the next chunk, see the speed option
+      */
+    setSpeed(speed) {
+        if (typeof speed !== 'function' && (typeof speed !== 'number' || !(speed > 0) || !Number.isFinite(speed))) {
+            throw new errors_1.SpeexResamplerInvalidArgError(`speed should be a positive number or a function, got ${speed}`);
         }
+        this._speed = speed;
+    }
+    /**
+      * Change the resampling quality, see SpeexResampler.setQuality
+      */
+    setQuality(quality) {
+        this.resampler.setQuality(quality);
+        this.quality = quality;
+    }
+    _flush(callback) {
+        // an incomplete frame left in the alignment buffer cannot be resampled so it is dropped
+        this._alignementBuffer = resampler_1.EMPTY_BUFFER;
         try {
-            const res = this.resampler.processChunk(chunkToProcess);
+            const res = this._toOutput(this.resampler.flush(), true);
+            // nothing will be written after this so we can release the WASM memory right away
+            this.resampler.destroy();
             callback(null, res);
         }
         catch (e) {
             callback(e);
         }
     }
+    _destroy(err, callback) {
+        this.resampler.destroy();
+        callback(err);
+    }
 }
 exports.SpeexResamplerTransform = SpeexResamplerTransform;
-exports.default = SpeexResampler;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLyIsInNvdXJjZXMiOlsiaW5kZXgudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IjtBQUFBLG9DQUFvQzs7Ozs7O0FBRXBDLG1DQUFtQztBQUNuQyw4REFBcUM7QUFDckMsbUNBQStCO0FBZS9CLElBQUksV0FBd0MsQ0FBQztBQUM3QyxJQUFJLG1CQUFtQixHQUFHLG9CQUFTLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLFdBQVcsR0FBRyxDQUFDLENBQUMsQ0FBQztBQUVuRSxNQUFNLGNBQWM7SUFZbEI7Ozs7OztRQU1JO0lBQ0osWUFDUyxRQUFRLEVBQ1IsTUFBTSxFQUNOLE9BQU8sRUFDUCxVQUFVLENBQUM7UUFIWCxhQUFRLEdBQVIsUUFBUSxDQUFBO1FBQ1IsV0FBTSxHQUFOLE1BQU0sQ0FBQTtRQUNOLFlBQU8sR0FBUCxPQUFPLENBQUE7UUFDUCxZQUFPLEdBQVAsT0FBTyxDQUFJO1FBckJwQixpQkFBWSxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ2xCLGtCQUFhLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDbkIsa0JBQWEsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNuQixtQkFBYyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBRXBCLGlCQUFZLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDbEIsa0JBQWEsR0FBRyxDQUFDLENBQUMsQ0FBQztJQWVJLENBQUM7SUFFeEI7OztRQUdJO0lBQ0osWUFBWSxDQUFDLEtBQWE7UUFDeEIsSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNoQixNQUFNLElBQUksS0FBSyxDQUFDLDRFQUE0RSxDQUFDLENBQUM7U0FDL0Y7UUFDRCxrR0FBa0c7UUFDbEcsSUFBSSxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSSxDQUFDLFFBQVEsR0FBRyxZQUFZLENBQUMsaUJBQWlCLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDekUsTUFBTSxJQUFJLEtBQUssQ0FBQyx5REFBeUQsQ0FBQyxDQUFDO1NBQzVFO1FBRUQsSUFBSSxDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUU7WUFDdkIsTUFBTSxNQUFNLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN0QyxJQUFJLENBQUMsYUFBYSxHQUFHLFdBQVcsQ0FBQyxxQkFBcUIsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLElBQUksQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsT0FBTyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQ3ZILE1BQU0sTUFBTSxHQUFHLFdBQVcsQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFLEtBQUssQ0FBQyxDQUFDO1lBQ25ELElBQUksTUFBTSxLQUFLLENBQUMsRUFBRTtnQkFDaEIsTUFBTSxJQUFJLEtBQUssQ0FBQyxXQUFXLENBQUMsYUFBYSxDQUFDLFdBQVcsQ0FBQyx5QkFBeUIsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7YUFDM0Y7WUFDRCxJQUFJLENBQUMsWUFBWSxHQUFHLFdBQVcsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLGlCQUFpQixDQUFDLENBQUM7WUFDdkUsSUFBSSxDQUFDLGFBQWEsR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1NBQ3pFO1FBRUQsMkVBQTJFO1FBQzNFLElBQUksSUFBSSxDQUFDLGFBQWEsR0FBRyxLQUFLLENBQUMsTUFBTSxFQUFFO1lBQ3JDLElBQUksSUFBSSxDQUFDLFlBQVksS0FBSyxDQUFDLENBQUMsRUFBRTtnQkFDNUIsV0FBVyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUM7YUFDdEM7WUFDRCxJQUFJLENBQUMsWUFBWSxHQUFHLFdBQVcsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ3RELElBQUksQ0FBQyxhQUFhLEdBQUcsS0FBSyxDQUFDLE1BQU0sQ0FBQztTQUNuQztRQUVELDRFQUE0RTtRQUM1RSxNQUFNLHFCQUFxQixHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUMsT0FBTyxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUNuRixJQUFJLElBQUksQ0FBQyxjQUFjLEdBQUcscUJBQXFCLEVBQUU7WUFDL0MsSUFBSSxJQUFJLENBQUMsYUFBYSxLQUFLLENBQUMsQ0FBQyxFQUFFO2dCQUM3QixXQUFXLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQzthQUN2QztZQUNELElBQUksQ0FBQyxhQUFhLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO1lBQ2hFLElBQUksQ0FBQyxjQUFjLEdBQUcscUJBQXFCLENBQUM7U0FDN0M7UUFFRCxnREFBZ0Q7UUFDaEQsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsWUFBWSxFQUFFLEtBQUssQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDLFFBQVEsR0FBRyxZQUFZLENBQUMsaUJBQWlCLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDOUcsa0VBQWtFO1FBQ2xFLFdBQVcsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUM7UUFFakQsNERBQTREO1FBQzVELFdBQVcsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLGFBQWEsRUFBRSxJQUFJLENBQUMsY0FBYyxHQUFHLElBQUksQ0FBQyxRQUFRLEdBQUcsWUFBWSxDQUFDLGlCQUFpQixFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQ3RILE1BQU0sTUFBTSxHQUFHLFdBQVcsQ0FBQywwQ0FBMEMsQ0FDbkUsSUFBSSxDQUFDLGFBQWEsRUFDbEIsSUFBSSxDQUFDLFlBQVksRUFDakIsSUFBSSxDQUFDLFlBQVksRUFDakIsSUFBSSxDQUFDLGFBQWEsRUFDbEIsSUFBSSxDQUFDLGFBQWEsQ0FDbkIsQ0FBQztRQUVGLElBQUksTUFBTSxLQUFLLENBQUMsRUFBRTtZQUNoQixNQUFNLElBQUksS0FBSyxDQUFDLFdBQVcsQ0FBQyxhQUFhLENBQUMsV0FBVyxDQUFDLHlCQUF5QixDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUMzRjtRQUVELE1BQU0sNEJBQTRCLEdBQUcsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsYUFBYSxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBRXJGLHdIQUF3SDtRQUN4SCxPQUFPLGVBQU0sQ0FBQyxJQUFJLENBQ2hCLFdBQVcsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUN0QixJQUFJLENBQUMsYUFBYSxFQUNsQixJQUFJLENBQUMsYUFBYSxHQUFHLDRCQUE0QixHQUFHLElBQUksQ0FBQyxRQUFRLEdBQUcsWUFBWSxDQUFDLGlCQUFpQixDQUNuRyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ2QsQ0FBQzs7QUFyRk0sMEJBQVcsR0FBRyxtQkFBbUMsQ0FBQztBQXdGM0QsTUFBTSxZQUFZLEdBQUcsZUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUVyQyxNQUFhLHVCQUF3QixTQUFRLGtCQUFTO0lBSXBEOzs7Ozs7UUFNSTtJQUNKLFlBQW1CLFFBQVEsRUFBUyxNQUFNLEVBQVMsT0FBTyxFQUFTLFVBQVUsQ0FBQztRQUM1RSxLQUFLLEVBQUUsQ0FBQztRQURTLGFBQVEsR0FBUixRQUFRLENBQUE7UUFBUyxXQUFNLEdBQU4sTUFBTSxDQUFBO1FBQVMsWUFBTyxHQUFQLE9BQU8sQ0FBQTtRQUFTLFlBQU8sR0FBUCxPQUFPLENBQUk7UUFFNUUsSUFBSSxDQUFDLFNBQVMsR0FBRyxJQUFJLGNBQWMsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQztRQUN4RSxJQUFJLENBQUMsUUFBUSxHQUFHLFFBQVEsQ0FBQztRQUN6QixJQUFJLENBQUMsaUJBQWlCLEdBQUcsWUFBWSxDQUFDO0lBQ3hDLENBQUM7SUFFRCxVQUFVLENBQUMsS0FBSyxFQUFFLFFBQVEsRUFBRSxRQUFRO1FBQ2xDLElBQUksY0FBYyxHQUFXLEtBQUssQ0FBQztRQUNuQyxJQUFJLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ3JDLGNBQWMsR0FBRyxlQUFNLENBQUMsTUFBTSxDQUFDO2dCQUM3QixJQUFJLENBQUMsaUJBQWlCO2dCQUN0QixLQUFLO2FBQ04sQ0FBQyxDQUFDO1lBQ0gsSUFBSSxDQUFDLGlCQUFpQixHQUFHLFlBQVksQ0FBQztTQUN2QztRQUNELHNFQUFzRTtRQUN0RSw2REFBNkQ7UUFDN0QsTUFBTSxvQkFBb0IsR0FBRyxjQUFjLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSSxDQUFDLFFBQVEsR0FBRyxXQUFXLENBQUMsaUJBQWlCLENBQUMsQ0FBQztRQUNyRyxJQUFJLG9CQUFvQixLQUFLLENBQUMsRUFBRTtZQUM5QixJQUFJLENBQUMsaUJBQWlCLEdBQUcsZUFBTSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsS0FBSyxDQUFDLGNBQWMsQ0FBQyxNQUFNLEdBQUcsb0JBQW9CLENBQUMsQ0FBQyxDQUFDO1lBQ3pHLGNBQWMsR0FBRyxjQUFjLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxjQUFjLENBQUMsTUFBTSxHQUFHLG9CQUFvQixDQUFDLENBQUM7U0FDeEY7UUFDRCxJQUFJO1lBQ0YsTUFBTSxHQUFHLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsY0FBYyxDQUFDLENBQUM7WUFDeEQsUUFBUSxDQUFDLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQztTQUNyQjtRQUFDLE9BQU8sQ0FBQyxFQUFFO1lBQ1YsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ2I7SUFDSCxDQUFDO0NBQ0Y7QUF6Q0QsMERBeUNDO0FBRUQsa0JBQWUsY0FBYyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLy8vIDxyZWZlcmVuY2UgdHlwZXM9XCJlbXNjcmlwdGVuXCIgLz5cblxuaW1wb3J0IHsgVHJhbnNmb3JtIH0gZnJvbSAnc3RyZWFtJztcbmltcG9ydCBTcGVleFdhc20gZnJvbSAnLi9zcGVleF93YXNtJztcbmltcG9ydCB7IEJ1ZmZlciB9IGZyb20gJ2J1ZmZlcidcblxuaW50ZXJmYWNlIEVtc2NyaXB0ZW5Nb2R1bGVPcHVzRW5jb2RlciBleHRlbmRzIEVtc2NyaXB0ZW5Nb2R1bGUge1xuICBfc3BlZXhfcmVzYW1wbGVyX2luaXQobmJDaGFubmVsczogbnVtYmVyLCBpblJhdGU6IG51bWJlciwgb3V0UmF0ZTogbnVtYmVyLCBxdWFsaXR5OiBudW1iZXIsIGVyclBvaW50ZXI6IG51bWJlcik6IG51bWJlcjtcbiAgX3NwZWV4X3Jlc2FtcGxlcl9kZXN0cm95KHJlc2FtcGxlclB0cjogbnVtYmVyKTogdm9pZDtcbiAgX3NwZWV4X3Jlc2FtcGxlcl9nZXRfcmF0ZShyZXNhbXBsZXJQdHI6IG51bWJlciwgaW5SYXRlUHRyOiBudW1iZXIsIG91dFJhdGVQdHI6IG51bWJlcik7XG4gIF9zcGVleF9yZXNhbXBsZXJfcHJvY2Vzc19pbnRlcmxlYXZlZF9pbnQocmVzYW1wbGVyUHRyOiBudW1iZXIsIGluQnVmZmVyUHRyOiBudW1iZXIsIGluTGVuUHRyOiBudW1iZXIsIG91dEJ1ZmZlclB0cjogbnVtYmVyLCBvdXRMZW5QdHI6IG51bWJlcik6IG51bWJlcjtcbiAgX3NwZWV4X3Jlc2FtcGxlcl9wcm9jZXNzX2ludGVybGVhdmVkX2Zsb2F0KHJlc2FtcGxlclB0cjogbnVtYmVyLCBpbkJ1ZmZlclB0cjogbnVtYmVyLCBpbkxlblB0cjogbnVtYmVyLCBvdXRCdWZmZXJQdHI6IG51bWJlciwgb3V0TGVuUHRyOiBudW1iZXIpOiBudW1iZXI7XG4gIF9zcGVleF9yZXNhbXBsZXJfc3RyZXJyb3IoZXJyOiBudW1iZXIpOiBudW1iZXI7XG5cbiAgZ2V0VmFsdWUocHRyOiBudW1iZXIsIHR5cGU6IHN0cmluZyk6IGFueTtcbiAgc2V0VmFsdWUocHRyOiBudW1iZXIsIHZhbHVlOiBhbnksIHR5cGU6IHN0cmluZyk6IGFueTtcbiAgQXNjaWlUb1N0cmluZyhwdHI6IG51bWJlcik6IHN0cmluZztcbn1cblxubGV0IHNwZWV4TW9kdWxlOiBFbXNjcmlwdGVuTW9kdWxlT3B1c0VuY29kZXI7XG5sZXQgZ2xvYmFsTW9kdWxlUHJvbWlzZSA9IFNwZWV4V2FzbSgpLnRoZW4oKHMpID0+IHNwZWV4TW9kdWxlID0gcyk7XG5cbmNsYXNzIFNwZWV4UmVzYW1wbGVyIHtcbiAgX3Jlc2FtcGxlclB0cjogbnVtYmVyO1xuICBfaW5CdWZmZXJQdHIgPSAtMTtcbiAgX2luQnVmZmVyU2l6ZSA9IC0xO1xuICBfb3V0QnVmZmVyUHRyID0gLTE7XG4gIF9vdXRCdWZmZXJTaXplID0gLTE7XG5cbiAgX2luTGVuZ3RoUHRyID0gLTE7XG4gIF9vdXRMZW5ndGhQdHIgPSAtMTtcblxuICBzdGF0aWMgaW5pdFByb21pc2UgPSBnbG9iYWxNb2R1bGVQcm9taXNlIGFzIFByb21pc2U8YW55PjtcblxuICAvKipcbiAgICAqIENyZWF0ZSBhbiBTcGVleFJlc2FtcGxlciB0cmFuZm9ybSBzdHJlYW0uXG4gICAgKiBAcGFyYW0gY2hhbm5lbHMgTnVtYmVyIG9mIGNoYW5uZWxzLCBtaW5pbXVtIGlzIDEsIG5vIG1heGltdW1cbiAgICAqIEBwYXJhbSBpblJhdGUgZnJlcXVlbmN5IGluIEh6IGZvciB0aGUgaW5wdXQgY2h1bmtcbiAgICAqIEBwYXJhbSBvdXRSYXRlIGZyZXF1ZW5jeSBpbiBIeiBmb3IgdGhlIHRhcmdldCBjaHVua1xuICAgICogQHBhcmFtIHF1YWxpdHkgbnVtYmVyIGZyb20gMSB0byAxMCwgZGVmYXVsdCB0byA3LCAxIGlzIGZhc3QgYnV0IG9mIGJhZCBxdWFsaXR5LCAxMCBpcyBzbG93IGJ1dCBiZXN0IHF1YWxpdHlcbiAgICAqL1xuICBjb25zdHJ1Y3RvcihcbiAgICBwdWJsaWMgY2hhbm5lbHMsXG4gICAgcHVibGljIGluUmF0ZSxcbiAgICBwdWJsaWMgb3V0UmF0ZSxcbiAgICBwdWJsaWMgcXVhbGl0eSA9IDcpIHt9XG5cbiAgLyoqXG4gICAgKiBSZXNhbXBsZSBhIGNodW5rIG9mIGF1ZGlvLlxuICAgICogQHBhcmFtIGNodW5rIGludGVybGVhdmVkIFBDTSBkYXRhIGluIGZsb2F0MzJcbiAgICAqL1xuICBwcm9jZXNzQ2h1bmsoY2h1bms6IEJ1ZmZlcikge1xuICAgIGlmICghc3BlZXhNb2R1bGUpIHtcbiAgICAgIHRocm93IG5ldyBFcnJvcignWW91IG5lZWQgdG8gd2FpdCBmb3IgU3BlZXhSZXNhbXBsZXIuaW5pdFByb21pc2UgYmVmb3JlIGNhbGxpbmcgdGhpcyBtZXRob2QnKTtcbiAgICB9XG4gICAgLy8gV2UgY2hlY2sgdGhhdCB3ZSBoYXZlIGFzIG1hbnkgY2h1bmtzIGZvciBlYWNoIGNoYW5uZWwgYW5kIHRoYXQgdGhlIGxhc3QgY2h1bmsgaXMgZnVsbCAoMiBieXRlcylcbiAgICBpZiAoY2h1bmsubGVuZ3RoICUgKHRoaXMuY2hhbm5lbHMgKiBGbG9hdDMyQXJyYXkuQllURVNfUEVSX0VMRU1FTlQpICE9PSAwKSB7XG4gICAgICB0aHJvdyBuZXcgRXJyb3IoJ0NodW5rIGxlbmd0aCBzaG91bGQgYmUgYSBtdWx0aXBsZSBvZiBjaGFubmVscyAqIDIgYnl0ZXMnKTtcbiAgICB9XG5cbiAgICBpZiAoIXRoaXMuX3Jlc2FtcGxlclB0cikge1xuICAgICAgY29uc3QgZXJyUHRyID0gc3BlZXhNb2R1bGUuX21hbGxvYyg0KTtcbiAgICAgIHRoaXMuX3Jlc2FtcGxlclB0ciA9IHNwZWV4TW9kdWxlLl9zcGVleF9yZXNhbXBsZXJfaW5pdCh0aGlzLmNoYW5uZWxzLCB0aGlzLmluUmF0ZSwgdGhpcy5vdXRSYXRlLCB0aGlzLnF1YWxpdHksIGVyclB0cik7XG4gICAgICBjb25zdCBlcnJOdW0gPSBzcGVleE1vZHVsZS5nZXRWYWx1ZShlcnJQdHIsICdpMzInKTtcbiAgICAgIGlmIChlcnJOdW0gIT09IDApIHtcbiAgICAgICAgdGhyb3cgbmV3IEVycm9yKHNwZWV4TW9kdWxlLkFzY2lpVG9TdHJpbmcoc3BlZXhNb2R1bGUuX3NwZWV4X3Jlc2FtcGxlcl9zdHJlcnJvcihlcnJOdW0pKSk7XG4gICAgICB9XG4gICAgICB0aGlzLl9pbkxlbmd0aFB0ciA9IHNwZWV4TW9kdWxlLl9tYWxsb2MoVWludDMyQXJyYXkuQllURVNfUEVSX0VMRU1FTlQpO1xuICAgICAgdGhpcy5fb3V0TGVuZ3RoUHRyID0gc3BlZXhNb2R1bGUuX21hbGxvYyhVaW50MzJBcnJheS5CWVRFU19QRVJfRUxFTUVOVCk7XG4gICAgfVxuXG4gICAgLy8gUmVzaXppbmcgdGhlIGlucHV0IGJ1ZmZlciBpbiB0aGUgV0FTTSBtZW1vcnkgc3BhY2UgdG8gbWF0Y2ggd2hhdCB3ZSBuZWVkXG4gICAgaWYgKHRoaXMuX2luQnVmZmVyU2l6ZSA8IGNodW5rLmxlbmd0aCkge1xuICAgICAgaWYgKHRoaXMuX2luQnVmZmVyUHRyICE9PSAtMSkge1xuICAgICAgICBzcGVleE1vZHVsZS5fZnJlZSh0aGlzLl9pbkJ1ZmZlclB0cik7XG4gICAgICB9XG4gICAgICB0aGlzLl9pbkJ1ZmZlclB0ciA9IHNwZWV4TW9kdWxlLl9tYWxsb2MoY2h1bmsubGVuZ3RoKTtcbiAgICAgIHRoaXMuX2luQnVmZmVyU2l6ZSA9IGNodW5rLmxlbmd0aDtcbiAgICB9XG5cbiAgICAvLyBSZXNpemluZyB0aGUgb3V0cHV0IGJ1ZmZlciBpbiB0aGUgV0FTTSBtZW1vcnkgc3BhY2UgdG8gbWF0Y2ggd2hhdCB3ZSBuZWVkXG4gICAgY29uc3Qgb3V0QnVmZmVyTGVuZ3RoVGFyZ2V0ID0gTWF0aC5jZWlsKGNodW5rLmxlbmd0aCAqIHRoaXMub3V0UmF0ZSAvIHRoaXMuaW5SYXRlKTtcbiAgICBpZiAodGhpcy5fb3V0QnVmZmVyU2l6ZSA8IG91dEJ1ZmZlckxlbmd0aFRhcmdldCkge1xuICAgICAgaWYgKHRoaXMuX291dEJ1ZmZlclB0ciAhPT0gLTEpIHtcbiAgICAgICAgc3BlZXhNb2R1bGUuX2ZyZWUodGhpcy5fb3V0QnVmZmVyUHRyKTtcbiAgICAgIH1cbiAgICAgIHRoaXMuX291dEJ1ZmZlclB0ciA9IHNwZWV4TW9kdWxlLl9tYWxsb2Mob3V0QnVmZmVyTGVuZ3RoVGFyZ2V0KTtcbiAgICAgIHRoaXMuX291dEJ1ZmZlclNpemUgPSBvdXRCdWZmZXJMZW5ndGhUYXJnZXQ7XG4gICAgfVxuXG4gICAgLy8gbnVtYmVyIG9mIHNhbXBsZXMgcGVyIGNoYW5uZWwgaW4gaW5wdXQgYnVmZmVyXG4gICAgc3BlZXhNb2R1bGUuc2V0VmFsdWUodGhpcy5faW5MZW5ndGhQdHIsIGNodW5rLmxlbmd0aCAvIHRoaXMuY2hhbm5lbHMgLyBGbG9hdDMyQXJyYXkuQllURVNfUEVSX0VMRU1FTlQsICdpMzInKTtcbiAgICAvLyBDb3B5aW5nIHRoZSBpbmZvIGZyb20gdGhlIGlucHV0IEJ1ZmZlciBpbiB0aGUgV0FTTSBtZW1vcnkgc3BhY2VcbiAgICBzcGVleE1vZHVsZS5IRUFQVTguc2V0KGNodW5rLCB0aGlzLl9pbkJ1ZmZlclB0cik7XG5cbiAgICAvLyBudW1iZXIgb2Ygc2FtcGxlcyBwZXIgY2hhbm5lbHMgYXZhaWxhYmxlIGluIG91dHB1dCBidWZmZXJcbiAgICBzcGVleE1vZHVsZS5zZXRWYWx1ZSh0aGlzLl9vdXRMZW5ndGhQdHIsIHRoaXMuX291dEJ1ZmZlclNpemUgLyB0aGlzLmNoYW5uZWxzIC8gRmxvYXQzMkFycmF5LkJZVEVTX1BFUl9FTEVNRU5ULCAnaTMyJyk7XG4gICAgY29uc3QgZXJyTnVtID0gc3BlZXhNb2R1bGUuX3NwZWV4X3Jlc2FtcGxlcl9wcm9jZXNzX2ludGVybGVhdmVkX2Zsb2F0KFxuICAgICAgdGhpcy5fcmVzYW1wbGVyUHRyLFxuICAgICAgdGhpcy5faW5CdWZmZXJQdHIsXG4gICAgICB0aGlzLl9pbkxlbmd0aFB0cixcbiAgICAgIHRoaXMuX291dEJ1ZmZlclB0cixcbiAgICAgIHRoaXMuX291dExlbmd0aFB0cixcbiAgICApO1xuXG4gICAgaWYgKGVyck51bSAhPT0gMCkge1xuICAgICAgdGhyb3cgbmV3IEVycm9yKHNwZWV4TW9kdWxlLkFzY2lpVG9TdHJpbmcoc3BlZXhNb2R1bGUuX3NwZWV4X3Jlc2FtcGxlcl9zdHJlcnJvcihlcnJOdW0pKSk7XG4gICAgfVxuXG4gICAgY29uc3Qgb3V0U2FtcGxlc1BlckNoYW5uZWxzV3JpdHRlbiA9IHNwZWV4TW9kdWxlLmdldFZhbHVlKHRoaXMuX291dExlbmd0aFB0ciwgJ2kzMicpO1xuXG4gICAgLy8gd2UgYXJlIGNvcHlpbmcgdGhlIGluZm8gaW4gYSBuZXcgYnVmZmVyIGhlcmUsIHdlIGNvdWxkIGp1c3QgcGFzcyBhIGJ1ZmZlciBwb2ludGluZyB0byB0aGUgc2FtZSBtZW1vcnkgc3BhY2UgaWYgbmVlZGVkXG4gICAgcmV0dXJuIEJ1ZmZlci5mcm9tKFxuICAgICAgc3BlZXhNb2R1bGUuSEVBUFU4LnNsaWNlKFxuICAgICAgICB0aGlzLl9vdXRCdWZmZXJQdHIsXG4gICAgICAgIHRoaXMuX291dEJ1ZmZlclB0ciArIG91dFNhbXBsZXNQZXJDaGFubmVsc1dyaXR0ZW4gKiB0aGlzLmNoYW5uZWxzICogRmxvYXQzMkFycmF5LkJZVEVTX1BFUl9FTEVNRU5UXG4gICAgICApLmJ1ZmZlcik7XG4gIH1cbn1cblxuY29uc3QgRU1QVFlfQlVGRkVSID0gQnVmZmVyLmFsbG9jKDApO1xuXG5leHBvcnQgY2xhc3MgU3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm0gZXh0ZW5kcyBUcmFuc2Zvcm0ge1xuICByZXNhbXBsZXI6IFNwZWV4UmVzYW1wbGVyO1xuICBfYWxpZ25lbWVudEJ1ZmZlcjogQnVmZmVyO1xuXG4gIC8qKlxuICAgICogQ3JlYXRlIGFuIFNwZWV4UmVzYW1wbGVyIGluc3RhbmNlLlxuICAgICogQHBhcmFtIGNoYW5uZWxzIE51bWJlciBvZiBjaGFubmVscywgbWluaW11bSBpcyAxLCBubyBtYXhpbXVtXG4gICAgKiBAcGFyYW0gaW5SYXRlIGZyZXF1ZW5jeSBpbiBIeiBmb3IgdGhlIGlucHV0IGNodW5rXG4gICAgKiBAcGFyYW0gb3V0UmF0ZSBmcmVxdWVuY3kgaW4gSHogZm9yIHRoZSB0YXJnZXQgY2h1bmtcbiAgICAqIEBwYXJhbSBxdWFsaXR5IG51bWJlciBmcm9tIDEgdG8gMTAsIGRlZmF1bHQgdG8gNywgMSBpcyBmYXN0IGJ1dCBvZiBiYWQgcXVhbGl0eSwgMTAgaXMgc2xvdyBidXQgYmVzdCBxdWFsaXR5XG4gICAgKi9cbiAgY29uc3RydWN0b3IocHVibGljIGNoYW5uZWxzLCBwdWJsaWMgaW5SYXRlLCBwdWJsaWMgb3V0UmF0ZSwgcHVibGljIHF1YWxpdHkgPSA3KSB7XG4gICAgc3VwZXIoKTtcbiAgICB0aGlzLnJlc2FtcGxlciA9IG5ldyBTcGVleFJlc2FtcGxlcihjaGFubmVscywgaW5SYXRlLCBvdXRSYXRlLCBxdWFsaXR5KTtcbiAgICB0aGlzLmNoYW5uZWxzID0gY2hhbm5lbHM7XG4gICAgdGhpcy5fYWxpZ25lbWVudEJ1ZmZlciA9IEVNUFRZX0JVRkZFUjtcbiAgfVxuXG4gIF90cmFuc2Zvcm0oY2h1bmssIGVuY29kaW5nLCBjYWxsYmFjaykge1xuICAgIGxldCBjaHVua1RvUHJvY2VzczogQnVmZmVyID0gY2h1bms7XG4gICAgaWYgKHRoaXMuX2FsaWduZW1lbnRCdWZmZXIubGVuZ3RoID4gMCkge1xuICAgICAgY2h1bmtUb1Byb2Nlc3MgPSBCdWZmZXIuY29uY2F0KFtcbiAgICAgICAgdGhpcy5fYWxpZ25lbWVudEJ1ZmZlcixcbiAgICAgICAgY2h1bmssXG4gICAgICBdKTtcbiAgICAgIHRoaXMuX2FsaWduZW1lbnRCdWZmZXIgPSBFTVBUWV9CVUZGRVI7XG4gICAgfVxuICAgIC8vIFNwZWV4IG5lZWRzIGEgYnVmZmVyIGFsaWduZWQgdG8gMTZiaXRzIHRpbWVzIHRoZSBudW1iZXIgb2YgY2hhbm5lbHNcbiAgICAvLyBzbyB3ZSBrZWVwIHRoZSBleHRyYW5lb3VzIGJ5dGVzIGluIGEgYnVmZmVyIGZvciBuZXh0IGNodW5rXG4gICAgY29uc3QgZXh0cmFuZW91c0J5dGVzQ291bnQgPSBjaHVua1RvUHJvY2Vzcy5sZW5ndGggJSAodGhpcy5jaGFubmVscyAqIFVpbnQxNkFycmF5LkJZVEVTX1BFUl9FTEVNRU5UKTtcbiAgICBpZiAoZXh0cmFuZW91c0J5dGVzQ291bnQgIT09IDApIHtcbiAgICAgIHRoaXMuX2FsaWduZW1lbnRCdWZmZXIgPSBCdWZmZXIuZnJvbShjaHVua1RvUHJvY2Vzcy5zbGljZShjaHVua1RvUHJvY2Vzcy5sZW5ndGggLSBleHRyYW5lb3VzQnl0ZXNDb3VudCkpO1xuICAgICAgY2h1bmtUb1Byb2Nlc3MgPSBjaHVua1RvUHJvY2Vzcy5zbGljZSgwLCBjaHVua1RvUHJvY2Vzcy5sZW5ndGggLSBleHRyYW5lb3VzQnl0ZXNDb3VudCk7XG4gICAgfVxuICAgIHRyeSB7XG4gICAgICBjb25zdCByZXMgPSB0aGlzLnJlc2FtcGxlci5wcm9jZXNzQ2h1bmsoY2h1bmtUb1Byb2Nlc3MpO1xuICAgICAgY2FsbGJhY2sobnVsbCwgcmVzKTtcbiAgICB9IGNhdGNoIChlKSB7XG4gICAgICBjYWxsYmFjayhlKTtcbiAgICB9XG4gIH1cbn1cblxuZXhwb3J0IGRlZmF1bHQgU3BlZXhSZXNhbXBsZXI7XG4iXX0=
\ No newline at end of file
+/**
+  * Transform stream resampling a RIFF/WAVE file, the channels, input rate and sample format are read from the input header.
+  * The sizes in the output header cannot be known before the end of the stream so they are written as unknown (0xFFFFFFFF),
+  * they are patched once finished when piped to a file write stream. For other destinations, `header` contains the final
+  * header once the stream ended.
+  */
+class WavResamplerTransform extends SpeexResamplerTransform {
+    /**
+      * Create a WavResamplerTransform instance.
+      * @param outRate frequency in Hz for the output file
+      * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+      * @param options sample format and channels of the output file (default to the input ones) and latency compensation
+      */
+    constructor(outRate, quality = 7, options = {}) {
+        // the resampler is created again with the right parameters once the input header has been parsed
+        super(1, outRate, outRate, quality);
+        /** header of the input file, null until it has been received */
+        this.inputHeader = null;
+        /** header of the output file with the right sizes, null until the stream ended */
+        this.header = null;
+        this._headerBuffer = resampler_1.EMPTY_BUFFER;
+        // length of the input data chunk still to be received, null if the input doesn't specify it
+        this._remainingDataLength = null;
+        this._outDataLength = 0;
+        this.wavOptions = options;
+    }
+    get outputFormat() {
+        return {
+            format: this.resampler.outFormat,
+            channels: this.resampler.outChannels,
+            sampleRate: this.outRate,
+            // the speaker positions are only kept when the channels are not mixed
+            channelMask: this.inputHeader && this.resampler.outChannels === this.channels ? this.inputHeader.channelMask : undefined,
+        };
+    }
+    _initFromHeader(header) {
+        this.inputHeader = header;
+        this.channels = header.channels;
+        this.inRate = header.sampleRate;
+        this.resampler.destroy();
+        this.resampler = new resampler_1.default(header.channels, header.sampleRate, this.outRate, this.quality, {
+            inFormat: header.format,
+            outFormat: this.wavOptions.format || header.format,
+            compensateLatency: this.wavOptions.compensateLatency,
+            outChannels: this.wavOptions.outChannels,
+        });
+        this._remainingDataLength = header.dataLength;
+    }
+    // counting the resampled bytes to write the final header
+    _countingCallback(callback) {
+        return (err, res) => {
+            if (res) {
+                this._outDataLength += res.length;
+            }
+            callback(err, res);
+        };
+    }
+    _transform(chunk, encoding, callback) {
+        let data = chunk;
+        if (!this.inputHeader) {
+            this._headerBuffer = buffer_1.Buffer.concat([this._headerBuffer, chunk]);
+            let header;
+            try {
+                header = wav_1.parseWavHeader(this._headerBuffer);
+                if (!header) {
+                    callback();
+                    return;
+                }
+                // the resampler parameters are only validated here as they depend on the input file
+                this._initFromHeader(header);
+                this.push(wav_1.createWavHeader(this.outputFormat));
+            }
+            catch (e) {
+                callback(e);
+                return;
+            }
+            data = this._headerBuffer.slice(header.dataOffset);
+            this._headerBuffer = resampler_1.EMPTY_BUFFER;
+        }
+        if (this._remainingDataLength !== null) {
+            // chunks after the data chunk (metadata) are ignored
+            data = data.slice(0, this._remainingDataLength);
+            this._remainingDataLength -= data.length;
+        }
+        if (data.length === 0) {
+            callback();
+            return;
+        }
+        super._transform(data, encoding, this._countingCallback(callback));
+    }
+    _flush(callback) {
+        if (!this.inputHeader) {
+            callback(new errors_1.SpeexResamplerInvalidArgError('Input ended before the end of the WAV header'));
+            return;
+        }
+        super._flush(this._countingCallback((err, res) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            this.header = wav_1.createWavHeader(this.outputFormat, this._outDataLength);
+            // the data chunk needs to be padded to an even length
+            callback(null, this._outDataLength % 2 ? buffer_1.Buffer.concat([res, buffer_1.Buffer.alloc(1)]) : res);
+        }));
+    }
+    pipe(destination, options) {
+        if (destination instanceof fs_1.WriteStream) {
+            // finish is emitted once everything has been written but before the file is closed
+            destination.once('finish', () => this._patchHeader(destination));
+        }
+        return super.pipe(destination, options);
+    }
+    _patchHeader(destination) {
+        const { fd, flags } = destination;
+        // files opened in append mode cannot be written at their start
+        if (!this.header || typeof fd !== 'number' || String(flags).includes('a')) {
+            return;
+        }
+        fs_1.writeSync(fd, this.header, 0, this.header.length, 0);
+    }
+}
+exports.WavResamplerTransform = WavResamplerTransform;
+exports.default = resampler_1.default;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLyIsInNvdXJjZXMiOlsiaW5kZXgudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUFBLG1DQUFtQztBQUNuQywyQkFBNEM7QUFDNUMsbUNBQStCO0FBQy9CLHlEQUFrSDtBQUtDLGlHQUx2Qyw0QkFBZ0IsT0FLdUM7QUFKbkksdUNBQXVFO0FBQ3ZFLCtCQUE4RTtBQUdJLCtGQUhuRCxvQkFBYyxPQUdtRDtBQUFFLGdHQUhuRCxxQkFBZSxPQUdtRDtBQUZqSCxxQ0FBeUQ7QUFHekQsK0JBQTJHO0FBQWxHLHFHQUFBLGFBQWEsT0FBQTtBQUFFLDJHQUFBLG1CQUFtQixPQUFBO0FBQzNDLHFDQUE4RTtBQUFwRCx5R0FBQSxjQUFjLE9BQUE7QUFBRSwyR0FBQSxnQkFBZ0IsT0FBQTtBQUMxRCxtQ0FPa0I7QUFOaEIsNkdBQUEsbUJBQW1CLE9BQUE7QUFDbkIsa0hBQUEsd0JBQXdCLE9BQUE7QUFDeEIscUhBQUEsMkJBQTJCLE9BQUE7QUFDM0IsdUhBQUEsNkJBQTZCLE9BQUE7QUFDN0IsdUhBQUEsNkJBQTZCLE9BQUE7QUFDN0IscUhBQUEsMkJBQTJCLE9BQUE7QUEwQjdCLGlGQUFpRjtBQUNqRixNQUFNLHVCQUF1QixHQUFHLElBQUksQ0FBQztBQWtCckMsTUFBYSx1QkFBd0IsU0FBUSxrQkFBUztJQWVwRDs7Ozs7Ozs7UUFRSTtJQUNKLFlBQW1CLFFBQVEsRUFBUyxNQUFNLEVBQVMsT0FBTyxFQUFTLFVBQVUsQ0FBQyxFQUFFLFVBQTBDLEVBQUU7UUFDMUgsS0FBSyxDQUFDLEVBQUMsa0JBQWtCLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxTQUFTLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUMsQ0FBQyxDQUFDO1FBRHZELGFBQVEsR0FBUixRQUFRLENBQUE7UUFBUyxXQUFNLEdBQU4sTUFBTSxDQUFBO1FBQVMsWUFBTyxHQUFQLE9BQU8sQ0FBQTtRQUFTLFlBQU8sR0FBUCxPQUFPLENBQUk7UUFqQjlFLHFEQUFxRDtRQUNyRCxtQkFBYyxHQUFHLHdCQUFZLENBQUM7UUFDOUIsb0JBQWUsR0FBRyxDQUFDLENBQUM7UUFDcEIsa0JBQWEsR0FBRyxDQUFDLENBQUM7UUFHbEIsa0JBQWEsR0FBRyxDQUFDLENBQUM7UUFhaEIsd0dBQXdHO1FBQ3hHLElBQUksQ0FBQyxTQUFTLEdBQUcsSUFBSSxtQkFBYyxDQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxFQUFDLEdBQUcsT0FBTyxFQUFFLFVBQVUsRUFBRSxLQUFLLEVBQUMsQ0FBQyxDQUFDO1FBQ3pHLElBQUksQ0FBQyxRQUFRLEdBQUcsUUFBUSxDQUFDO1FBQ3pCLElBQUksQ0FBQyxpQkFBaUIsR0FBRyx3QkFBWSxDQUFDO1FBQ3RDLElBQUksT0FBTyxDQUFDLFNBQVMsS0FBSyxTQUFTLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxTQUFTLElBQUksQ0FBQyxDQUFDLEVBQUU7WUFDdkcsTUFBTSxJQUFJLHNDQUE2QixDQUFDLHdDQUF3QyxDQUFDLENBQUM7U0FDbkY7UUFDRCxJQUFJLENBQUMsU0FBUyxHQUFHLE9BQU8sQ0FBQyxTQUFTLElBQUksSUFBSSxDQUFDO1FBQzNDLElBQUksQ0FBQyxZQUFZLEdBQUcsT0FBTyxDQUFDLFlBQVksS0FBSyxLQUFLLENBQUM7UUFDbkQsSUFBSSxDQUFDLFNBQVMsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLFNBQVMsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQztRQUM1RCxJQUFJLENBQUMsTUFBTSxHQUFHLE9BQU8sQ0FBQyxLQUFLLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUM7UUFDakUsSUFBSSxPQUFPLElBQUksQ0FBQyxNQUFNLEtBQUssUUFBUSxFQUFFO1lBQ25DLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1NBQy9CO0lBQ0gsQ0FBQztJQUVELFVBQVUsQ0FBQyxLQUFLLEVBQUUsUUFBUSxFQUFFLFFBQVE7UUFDbEMsK0VBQStFO1FBQy9FLDZEQUE2RDtRQUM3RCxNQUFNLENBQUMsY0FBYyxFQUFFLFNBQVMsQ0FBQyxHQUFHLG9CQUFVLENBQUMsSUFBSSxDQUFDLGlCQUFpQixFQUFFLEtBQUssRUFBRSxJQUFJLENBQUMsUUFBUSxHQUFHLDBCQUFnQixDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztRQUN6SSxJQUFJLENBQUMsaUJBQWlCLEdBQUcsU0FBUyxDQUFDO1FBQ25DLElBQUk7WUFDRixNQUFNLEdBQUcsR0FBRyxJQUFJLENBQUMsTUFBTSxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxjQUFjLENBQUMsQ0FBQztZQUN4SCxRQUFRLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztTQUNyQztRQUFDLE9BQU8sQ0FBQyxFQUFFO1lBQ1YsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ2I7SUFDSCxDQUFDO0lBRUQsV0FBVyxDQUFDLEtBQWE7UUFDdkIsSUFBSSxPQUFPLEtBQUssS0FBSyxRQUFRLElBQUksQ0FBQyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDeEUsTUFBTSxJQUFJLHNDQUE2QixDQUFDLDBDQUEwQyxLQUFLLEVBQUUsQ0FBQyxDQUFDO1NBQzVGO1FBQ0QsTUFBTSxDQUFDLFFBQVEsRUFBRSxRQUFRLENBQUMsR0FBRyw0QkFBZ0IsQ0FBQyxJQUFJLENBQUMsTUFBTSxHQUFHLEtBQUssR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDbEYsSUFBSSxDQUFDLFNBQVMsQ0FBQyxXQUFXLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxJQUFJLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUMxRSxJQUFJLENBQUMsYUFBYSxHQUFHLEtBQUssQ0FBQztJQUM3QixDQUFDO0lBRUQsOEdBQThHO0lBQzlHLGlCQUFpQixDQUFDLEtBQWE7UUFDN0IsTUFBTSxXQUFXLEdBQUcsT0FBTyxJQUFJLENBQUMsTUFBTSxLQUFLLFVBQVUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLG1CQUFtQixDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUM7UUFDdEgsSUFBSSxXQUFXLEtBQUssSUFBSSxDQUFDLGFBQWEsRUFBRTtZQUN0QyxPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO1NBQzNDO1FBQ0QsTUFBTSxXQUFXLEdBQUcsSUFBSSxDQUFDLFFBQVEsR0FBRywwQkFBZ0IsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQzlFLE1BQU0sVUFBVSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sR0FBRyx1QkFBdUIsQ0FBQyxDQUFDLEdBQUcsV0FBVyxDQUFDO1FBQ2hHLE1BQU0sVUFBVSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDO1FBQ3JFLE1BQU0sVUFBVSxHQUFHLElBQUksQ0FBQyxhQUFhLENBQUM7UUFDdEMsTUFBTSxNQUFNLEdBQWEsRUFBRSxDQUFDO1FBQzVCLEtBQUssSUFBSSxJQUFJLEdBQUcsQ0FBQyxFQUFFLElBQUksR0FBRyxVQUFVLEVBQUUsSUFBSSxFQUFFLEVBQUU7WUFDNUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxJQUFJLEtBQUssVUFBVSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxVQUFVLEdBQUcsQ0FBQyxXQUFXLEdBQUcsVUFBVSxDQUFDLEdBQUcsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLENBQUM7WUFDNUgsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLElBQUksR0FBRyxVQUFVLEVBQUUsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ25HO1FBQ0QsT0FBTyxlQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQy9CLENBQUM7SUFFRDs7O1FBR0k7SUFDSixTQUFTLENBQUMsR0FBVyxFQUFFLE1BQU0sR0FBRyxLQUFLO1FBQ25DLE1BQU0sV0FBVyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxHQUFHLDBCQUFnQixDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDNUYsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUU7WUFDbkIsT0FBTyxHQUFHLENBQUM7U0FDWjtRQUNELElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFO1lBQ25CLElBQUksR0FBRyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7Z0JBQ2xCLElBQUksQ0FBQyxVQUFVLENBQUMsR0FBRyxFQUFFLFdBQVcsQ0FBQyxDQUFDO2FBQ25DO1lBQ0QsT0FBTztTQUNSO1FBQ0QsTUFBTSxNQUFNLEdBQUcsSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxlQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxDQUFDLGNBQWMsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUM7UUFDaEcsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDO1FBQ2YsT0FBTyxNQUFNLENBQUMsTUFBTSxHQUFHLE1BQU0sSUFBSSxJQUFJLENBQUMsU0FBUyxHQUFHLFdBQVcsRUFBRSxNQUFNLElBQUksSUFBSSxDQUFDLFNBQVMsR0FBRyxXQUFXLEVBQUU7WUFDckcsSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLE1BQU0sRUFBRSxNQUFNLEdBQUcsSUFBSSxDQUFDLFNBQVMsR0FBRyxXQUFXLENBQUMsRUFBRSxXQUFXLENBQUMsQ0FBQztTQUMzRjtRQUNELGlEQUFpRDtRQUNqRCxJQUFJLENBQUMsY0FBYyxHQUFHLE1BQU0sR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxlQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsd0JBQVksQ0FBQztRQUNoRyxJQUFJLE1BQU0sSUFBSSxJQUFJLENBQUMsY0FBYyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7WUFDNUMsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLFlBQVk7Z0JBQ2pDLCtDQUErQztnQkFDL0MsQ0FBQyxDQUFDLGVBQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxJQUFJLENBQUMsY0FBYyxFQUFFLGVBQU0sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLFNBQVMsR0FBRyxXQUFXLEdBQUcsSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO2dCQUMvRyxDQUFDLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQztZQUN4QixJQUFJLENBQUMsVUFBVSxDQUFDLFNBQVMsRUFBRSxXQUFXLENBQUMsQ0FBQztZQUN4QyxJQUFJLENBQUMsY0FBYyxHQUFHLHdCQUFZLENBQUM7U0FDcEM7SUFDSCxDQUFDO0lBRUQsVUFBVSxDQUFDLElBQVksRUFBRSxXQUFtQjtRQUMxQyxNQUFNLEtBQUssR0FBd0I7WUFDakMsSUFBSTtZQUNKLE1BQU0sRUFBRSxJQUFJLENBQUMsTUFBTSxHQUFHLFdBQVc7WUFDakMsV0FBVyxFQUFFLElBQUksQ0FBQyxlQUFlO1lBQ2pDLFNBQVMsRUFBRSxJQUFJLENBQUMsYUFBYTtZQUM3QixhQUFhLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxxQkFBcUIsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDO1NBQzFFLENBQUM7UUFDRixJQUFJLENBQUMsZUFBZSxJQUFJLEtBQUssQ0FBQyxNQUFNLENBQUM7UUFDckMsdUZBQXVGO1FBQ3ZGLElBQUksQ0FBQyxhQUFhLElBQUksS0FBSyxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUMsT0FBTyxHQUFHLElBQUksQ0FBQztRQUN6RCxJQUFJLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ25CLENBQUM7SUFFRDs7UUFFSTtJQUNKLE1BQU0sQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLFFBQWdCLEVBQUUsTUFBYyxFQUFFLE9BQWUsRUFBRSxPQUFPLEdBQUcsQ0FBQyxFQUFFLFVBQTBDLEVBQUU7UUFDOUgsTUFBTSxtQkFBYyxDQUFDLFdBQVcsQ0FBQztRQUNqQyxPQUFPLElBQUksdUJBQXVCLENBQUMsUUFBUSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQ2xGLENBQUM7SUFFRDs7UUFFSTtJQUNKLE9BQU8sQ0FBQyxNQUFjLEVBQUUsT0FBZTtRQUNyQyxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDeEMsSUFBSSxDQUFDLE1BQU0sR0FBRyxNQUFNLENBQUM7UUFDckIsSUFBSSxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUM7UUFDdkIsSUFBSSxJQUFJLENBQUMsTUFBTSxLQUFLLElBQUksRUFBRTtZQUN4Qix1Q0FBdUM7WUFDdkMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUM7U0FDdEM7SUFDSCxDQUFDO0lBRUQ7O1FBRUk7SUFDSixXQUFXLENBQUMsUUFBZ0IsRUFBRSxRQUFnQixFQUFFLE1BQU0sR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLE9BQU8sR0FBRyxJQUFJLENBQUMsT0FBTztRQUMxRixJQUFJLENBQUMsU0FBUyxDQUFDLFdBQVcsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxPQUFPLENBQUMsQ0FBQztRQUNoRSxJQUFJLENBQUMsTUFBTSxHQUFHLE1BQU0sQ0FBQztRQUNyQixJQUFJLENBQUMsT0FBTyxHQUFHLE9BQU8sQ0FBQztRQUN2QixJQUFJLENBQUMsTUFBTSxHQUFHLElBQUksQ0FBQztRQUNuQixJQUFJLENBQUMsYUFBYSxHQUFHLENBQUMsQ0FBQztJQUN6QixDQUFDO0lBRUQ7O1FBRUk7SUFDSixRQUFRLENBQUMsS0FBa0I7UUFDekIsSUFBSSxPQUFPLEtBQUssS0FBSyxVQUFVLElBQUksQ0FBQyxPQUFPLEtBQUssS0FBSyxRQUFRLElBQUksQ0FBQyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRTtZQUN6RyxNQUFNLElBQUksc0NBQTZCLENBQUMsd0RBQXdELEtBQUssRUFBRSxDQUFDLENBQUM7U0FDMUc7UUFDRCxJQUFJLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQztJQUN0QixDQUFDO0lBRUQ7O1FBRUk7SUFDSixVQUFVLENBQUMsT0FBZTtRQUN4QixJQUFJLENBQUMsU0FBUyxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNuQyxJQUFJLENBQUMsT0FBTyxHQUFHLE9BQU8sQ0FBQztJQUN6QixDQUFDO0lBRUQsTUFBTSxDQUFDLFFBQVE7UUFDYix3RkFBd0Y7UUFDeEYsSUFBSSxDQUFDLGlCQUFpQixHQUFHLHdCQUFZLENBQUM7UUFDdEMsSUFBSTtZQUNGLE1BQU0sR0FBRyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxLQUFLLEVBQUUsRUFBRSxJQUFJLENBQUMsQ0FBQztZQUN6RCxrRkFBa0Y7WUFDbEYsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztZQUN6QixRQUFRLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1NBQ3JCO1FBQUMsT0FBTyxDQUFDLEVBQUU7WUFDVixRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDYjtJQUNILENBQUM7SUFFRCxRQUFRLENBQUMsR0FBRyxFQUFFLFFBQVE7UUFDcEIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztRQUN6QixRQUFRLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDaEIsQ0FBQztDQUNGO0FBbk1ELDBEQW1NQztBQVdEOzs7OztJQUtJO0FBQ0osTUFBYSxxQkFBc0IsU0FBUSx1QkFBdUI7SUFZaEU7Ozs7O1FBS0k7SUFDSixZQUFZLE9BQWUsRUFBRSxPQUFPLEdBQUcsQ0FBQyxFQUFFLFVBQXdDLEVBQUU7UUFDbEYsaUdBQWlHO1FBQ2pHLEtBQUssQ0FBQyxDQUFDLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQztRQW5CdEMsZ0VBQWdFO1FBQ2hFLGdCQUFXLEdBQXFCLElBQUksQ0FBQztRQUNyQyxrRkFBa0Y7UUFDbEYsV0FBTSxHQUFrQixJQUFJLENBQUM7UUFHN0Isa0JBQWEsR0FBRyx3QkFBWSxDQUFDO1FBQzdCLDRGQUE0RjtRQUM1Rix5QkFBb0IsR0FBa0IsSUFBSSxDQUFDO1FBQzNDLG1CQUFjLEdBQUcsQ0FBQyxDQUFDO1FBV2pCLElBQUksQ0FBQyxVQUFVLEdBQUcsT0FBTyxDQUFDO0lBQzVCLENBQUM7SUFFRCxJQUFJLFlBQVk7UUFDZCxPQUFPO1lBQ0wsTUFBTSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsU0FBUztZQUNoQyxRQUFRLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxXQUFXO1lBQ3BDLFVBQVUsRUFBRSxJQUFJLENBQUMsT0FBTztZQUN4QixzRUFBc0U7WUFDdEUsV0FBVyxFQUFFLElBQUksQ0FBQyxXQUFXLElBQUksSUFBSSxDQUFDLFNBQVMsQ0FBQyxXQUFXLEtBQUssSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLFNBQVM7U0FDekgsQ0FBQztJQUNKLENBQUM7SUFFRCxlQUFlLENBQUMsTUFBaUI7UUFDL0IsSUFBSSxDQUFDLFdBQVcsR0FBRyxNQUFNLENBQUM7UUFDMUIsSUFBSSxDQUFDLFFBQVEsR0FBRyxNQUFNLENBQUMsUUFBUSxDQUFDO1FBQ2hDLElBQUksQ0FBQyxNQUFNLEdBQUcsTUFBTSxDQUFDLFVBQVUsQ0FBQztRQUNoQyxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sRUFBRSxDQUFDO1FBQ3pCLElBQUksQ0FBQyxTQUFTLEdBQUcsSUFBSSxtQkFBYyxDQUFDLE1BQU0sQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDLFVBQVUsRUFBRSxJQUFJLENBQUMsT0FBTyxFQUFFLElBQUksQ0FBQyxPQUFPLEVBQUU7WUFDbEcsUUFBUSxFQUFFLE1BQU0sQ0FBQyxNQUFNO1lBQ3ZCLFNBQVMsRUFBRSxJQUFJLENBQUMsVUFBVSxDQUFDLE1BQU0sSUFBSSxNQUFNLENBQUMsTUFBTTtZQUNsRCxpQkFBaUIsRUFBRSxJQUFJLENBQUMsVUFBVSxDQUFDLGlCQUFpQjtZQUNwRCxXQUFXLEVBQUUsSUFBSSxDQUFDLFVBQVUsQ0FBQyxXQUFXO1NBQ3pDLENBQUMsQ0FBQztRQUNILElBQUksQ0FBQyxvQkFBb0IsR0FBRyxNQUFNLENBQUMsVUFBVSxDQUFDO0lBQ2hELENBQUM7SUFFRCx5REFBeUQ7SUFDekQsaUJBQWlCLENBQUMsUUFBUTtRQUN4QixPQUFPLENBQUMsR0FBRyxFQUFFLEdBQVksRUFBRSxFQUFFO1lBQzNCLElBQUksR0FBRyxFQUFFO2dCQUNQLElBQUksQ0FBQyxjQUFjLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQzthQUNuQztZQUNELFFBQVEsQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUM7UUFDckIsQ0FBQyxDQUFDO0lBQ0osQ0FBQztJQUVELFVBQVUsQ0FBQyxLQUFLLEVBQUUsUUFBUSxFQUFFLFFBQVE7UUFDbEMsSUFBSSxJQUFJLEdBQVcsS0FBSyxDQUFDO1FBQ3pCLElBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFO1lBQ3JCLElBQUksQ0FBQyxhQUFhLEdBQUcsZUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQztZQUNoRSxJQUFJLE1BQXdCLENBQUM7WUFDN0IsSUFBSTtnQkFDRixNQUFNLEdBQUcsb0JBQWMsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUM7Z0JBQzVDLElBQUksQ0FBQyxNQUFNLEVBQUU7b0JBQ1gsUUFBUSxFQUFFLENBQUM7b0JBQ1gsT0FBTztpQkFDUjtnQkFDRCxvRkFBb0Y7Z0JBQ3BGLElBQUksQ0FBQyxlQUFlLENBQUMsTUFBTSxDQUFDLENBQUM7Z0JBQzdCLElBQUksQ0FBQyxJQUFJLENBQUMscUJBQWUsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQzthQUMvQztZQUFDLE9BQU8sQ0FBQyxFQUFFO2dCQUNWLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDWixPQUFPO2FBQ1I7WUFDRCxJQUFJLEdBQUcsSUFBSSxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1lBQ25ELElBQUksQ0FBQyxhQUFhLEdBQUcsd0JBQVksQ0FBQztTQUNuQztRQUNELElBQUksSUFBSSxDQUFDLG9CQUFvQixLQUFLLElBQUksRUFBRTtZQUN0QyxxREFBcUQ7WUFDckQsSUFBSSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxvQkFBb0IsQ0FBQyxDQUFDO1lBQ2hELElBQUksQ0FBQyxvQkFBb0IsSUFBSSxJQUFJLENBQUMsTUFBTSxDQUFDO1NBQzFDO1FBQ0QsSUFBSSxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUNyQixRQUFRLEVBQUUsQ0FBQztZQUNYLE9BQU87U0FDUjtRQUNELEtBQUssQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLFFBQVEsRUFBRSxJQUFJLENBQUMsaUJBQWlCLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztJQUNyRSxDQUFDO0lBRUQsTUFBTSxDQUFDLFFBQVE7UUFDYixJQUFJLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNyQixRQUFRLENBQUMsSUFBSSxzQ0FBNkIsQ0FBQyw4Q0FBOEMsQ0FBQyxDQUFDLENBQUM7WUFDNUYsT0FBTztTQUNSO1FBQ0QsS0FBSyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxHQUFHLEVBQUUsR0FBWSxFQUFFLEVBQUU7WUFDeEQsSUFBSSxHQUFHLEVBQUU7Z0JBQ1AsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUNkLE9BQU87YUFDUjtZQUNELElBQUksQ0FBQyxNQUFNLEdBQUcscUJBQWUsQ0FBQyxJQUFJLENBQUMsWUFBWSxFQUFFLElBQUksQ0FBQyxjQUFjLENBQUMsQ0FBQztZQUN0RSxzREFBc0Q7WUFDdEQsUUFBUSxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsY0FBYyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsZUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsRUFBRSxlQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDeEYsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNOLENBQUM7SUFFRCxJQUFJLENBQWtDLFdBQWMsRUFBRSxPQUE0QjtRQUNoRixJQUFJLFdBQVcsWUFBWSxnQkFBVyxFQUFFO1lBQ3RDLG1GQUFtRjtZQUNuRixXQUFXLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUM7U0FDbEU7UUFDRCxPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQzFDLENBQUM7SUFFRCxZQUFZLENBQUMsV0FBd0I7UUFDbkMsTUFBTSxFQUFDLEVBQUUsRUFBRSxLQUFLLEVBQUMsR0FBRyxXQUFrQixDQUFDO1FBQ3ZDLCtEQUErRDtRQUMvRCxJQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sSUFBSSxPQUFPLEVBQUUsS0FBSyxRQUFRLElBQUksTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsRUFBRTtZQUN6RSxPQUFPO1NBQ1I7UUFDRCxjQUFTLENBQUMsRUFBRSxFQUFFLElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ3ZELENBQUM7Q0FDRjtBQTNIRCxzREEySEM7QUFFRCxrQkFBZSxtQkFBYyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgVHJhbnNmb3JtIH0gZnJvbSAnc3RyZWFtJztcbmltcG9ydCB7IFdyaXRlU3RyZWFtLCB3cml0ZVN5bmMgfSBmcm9tICdmcyc7XG5pbXBvcnQgeyBCdWZmZXIgfSBmcm9tICdidWZmZXInXG5pbXBvcnQgU3BlZXhSZXNhbXBsZXIsIHsgU3BlZXhSZXNhbXBsZXJPcHRpb25zLCBNaXhpbmdNYXRyaXgsIEVNUFRZX0JVRkZFUiwgYXBwcm94aW1hdGVSYXRpbyB9IGZyb20gJy4vcmVzYW1wbGVyJztcbmltcG9ydCB7IFNhbXBsZUZvcm1hdCwgQllURVNfUEVSX1NBTVBMRSwgYWxpZ25DaHVuayB9IGZyb20gJy4vZm9ybWF0cyc7XG5pbXBvcnQgeyBXYXZGb3JtYXQsIFdhdkhlYWRlciwgcGFyc2VXYXZIZWFkZXIsIGNyZWF0ZVdhdkhlYWRlciB9IGZyb20gJy4vd2F2JztcbmltcG9ydCB7IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yIH0gZnJvbSAnLi9lcnJvcnMnO1xuXG5leHBvcnQgeyBTYW1wbGVGb3JtYXQsIFNwZWV4UmVzYW1wbGVyT3B0aW9ucywgTWl4aW5nTWF0cml4LCBXYXZGb3JtYXQsIFdhdkhlYWRlciwgcGFyc2VXYXZIZWFkZXIsIGNyZWF0ZVdhdkhlYWRlciwgYXBwcm94aW1hdGVSYXRpbyB9O1xuZXhwb3J0IHsgUmVzYW1wbGVyUG9vbCwgUmVzYW1wbGVyUG9vbFN0cmVhbSwgUmVzYW1wbGVyUG9vbE9wdGlvbnMsIFJlc2FtcGxlclBvb2xKb2JPcHRpb25zIH0gZnJvbSAnLi9wb29sJztcbmV4cG9ydCB7IFJlc2FtcGxlT3B0aW9ucywgcmVzYW1wbGVCdWZmZXIsIHJlc2FtcGxlSXRlcmFibGUgfSBmcm9tICcuL2hlbHBlcnMnO1xuZXhwb3J0IHtcbiAgU3BlZXhSZXNhbXBsZXJFcnJvcixcbiAgU3BlZXhSZXNhbXBsZXJBbGxvY0Vycm9yLFxuICBTcGVleFJlc2FtcGxlckJhZFN0YXRlRXJyb3IsXG4gIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLFxuICBTcGVleFJlc2FtcGxlclB0ck92ZXJsYXBFcnJvcixcbiAgU3BlZXhSZXNhbXBsZXJPdmVyZmxvd0Vycm9yLFxufSBmcm9tICcuL2Vycm9ycyc7XG5cbmV4cG9ydCBpbnRlcmZhY2UgU3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm1PcHRpb25zIGV4dGVuZHMgU3BlZXhSZXNhbXBsZXJPcHRpb25zIHtcbiAgLyoqXG4gICAgKiBudW1iZXIgb2YgZnJhbWVzIChzYW1wbGVzIHBlciBjaGFubmVsKSBpbiBlYWNoIG91dHB1dCBjaHVuaywgZm9yIGV4YW1wbGUgOTYwIGZvciAyMG1zIGF0IDQ4a0h6XG4gICAgKiB3aGVuIHNldCwgdGhlIHN0cmVhbSBpcyBpbiBvYmplY3QgbW9kZSBhbmQgb3V0cHV0cyBTcGVleFJlc2FtcGxlckZyYW1lIG9iamVjdHNcbiAgICAqL1xuICBmcmFtZVNpemU/OiBudW1iZXI7XG4gIC8qKiB3aGVuIGZyYW1lU2l6ZSBpcyBzZXQsIGZpbGwgdGhlIGxhc3QgZnJhbWUgd2l0aCBzaWxlbmNlIHVwIHRvIGZyYW1lU2l6ZSB3aGVuIHRoZSBzdHJlYW0gZW5kcywgZGVmYXVsdCB0byB0cnVlICovXG4gIHBhZExhc3RGcmFtZT86IGJvb2xlYW47XG4gIC8qKlxuICAgICogb3V0cHV0IFNwZWV4UmVzYW1wbGVyRnJhbWUgb2JqZWN0cyB3aXRoIHRoZSBwb3NpdGlvbiBvZiBlYWNoIGNodW5rIGluIHRoZSBpbnB1dCBhbmQgb3V0cHV0IHN0cmVhbXMsIGRlZmF1bHQgdG8gZmFsc2VcbiAgICAqIGl0IGlzIGFsd2F5cyB0aGUgY2FzZSB3aGVuIGZyYW1lU2l6ZSBpcyBzZXRcbiAgICAqL1xuICBwb3NpdGlvbnM/OiBib29sZWFuO1xuICAvKipcbiAgICAqIHBsYXliYWNrIHNwZWVkIGZhY3RvciAodmFyaXNwZWVkKSwgMiBwbGF5cyB0d2ljZSBhcyBmYXN0IHdpdGggaGFsZiB0aGUgb3V0cHV0IGR1cmF0aW9uIGFuZCBhIGhpZ2hlciBwaXRjaCwgZGVmYXVsdCB0byAxXG4gICAgKiBjYW4gYWxzbyBiZSBhIGZ1bmN0aW9uIGNhbGxlZCBmb3IgZWFjaCBjaHVuayB3aXRoIHRoZSBpbnB1dCBwb3NpdGlvbiAoaW4gZnJhbWVzKSBvZiB0aGUgY2h1bmsgcmV0dXJuaW5nIHRoZSBzcGVlZCxcbiAgICAqIHNwZWVkIGNoYW5nZXMgYXJlIHJhbXBlZCBvdmVyIHRoZSBjaHVua1xuICAgICovXG4gIHNwZWVkPzogU3BlZWRPcHRpb247XG59XG5cbmV4cG9ydCB0eXBlIFNwZWVkT3B0aW9uID0gbnVtYmVyIHwgKChpbnB1dFBvc2l0aW9uOiBudW1iZXIpID0+IG51bWJlcik7XG5cbi8vIGR1cmF0aW9uIGluIHNlY29uZHMgb2YgdGhlIHN0ZXBzIHVzZWQgdG8gcmFtcCB0aGUgcmF0aW8gd2hlbiB0aGUgc3BlZWQgY2hhbmdlc1xuY29uc3QgVkFSSVNQRUVEX1NURVBfRFVSQVRJT04gPSAwLjAxO1xuXG4vKipcbiAgKiBPYmplY3QgcHVzaGVkIGJ5IFNwZWV4UmVzYW1wbGVyVHJhbnNmb3JtIHdoZW4gYGZyYW1lU2l6ZWAgb3IgYHBvc2l0aW9uc2AgaXMgc2V0XG4gICovXG5leHBvcnQgaW50ZXJmYWNlIFNwZWV4UmVzYW1wbGVyRnJhbWUge1xuICAvKiogaW50ZXJsZWF2ZWQgUENNIGRhdGEgaW4gdGhlIG91dHB1dCBzYW1wbGUgZm9ybWF0ICovXG4gIGRhdGE6IEJ1ZmZlcjtcbiAgLyoqIG51bWJlciBvZiBmcmFtZXMgKHNhbXBsZXMgcGVyIGNoYW5uZWwpIGluIGRhdGEsIG9ubHkgbGVzcyB0aGFuIGZyYW1lU2l6ZSBmb3IgdGhlIGxhc3QgZnJhbWUgd2hlbiBwYWRMYXN0RnJhbWUgaXMgZmFsc2UgKi9cbiAgZnJhbWVzOiBudW1iZXI7XG4gIC8qKiBpbmRleCBpbiB0aGUgb3V0cHV0IHN0cmVhbSBvZiB0aGUgZmlyc3QgZnJhbWUgKHNhbXBsZSBwZXIgY2hhbm5lbCkgb2YgZGF0YSAqL1xuICBzYW1wbGVJbmRleDogbnVtYmVyO1xuICAvKiogdGltZSBpbiBtaWxsaXNlY29uZHMgb2YgdGhlIGZpcnN0IGZyYW1lIG9mIGRhdGEgZnJvbSB0aGUgc3RhcnQgb2YgdGhlIG91dHB1dCBzdHJlYW0gKi9cbiAgdGltZXN0YW1wOiBudW1iZXI7XG4gIC8qKiBwb3NpdGlvbiBpbiB0aGUgaW5wdXQgc3RyZWFtIG9mIHRoZSBmaXJzdCBmcmFtZSBvZiBkYXRhLCBjYW4gYmUgZnJhY3Rpb25hbCwgc2VlIFNwZWV4UmVzYW1wbGVyLm91dHB1dFBvc2l0aW9uVG9JbnB1dCAqL1xuICBpbnB1dFBvc2l0aW9uOiBudW1iZXI7XG59XG5cbmV4cG9ydCBjbGFzcyBTcGVleFJlc2FtcGxlclRyYW5zZm9ybSBleHRlbmRzIFRyYW5zZm9ybSB7XG4gIHJlc2FtcGxlcjogU3BlZXhSZXNhbXBsZXI7XG4gIF9hbGlnbmVtZW50QnVmZmVyOiBCdWZmZXI7XG5cbiAgZnJhbWVTaXplOiBudW1iZXIgfCBudWxsO1xuICBwYWRMYXN0RnJhbWU6IGJvb2xlYW47XG4gIHBvc2l0aW9uczogYm9vbGVhbjtcbiAgLy8gcmVzYW1wbGVkIGRhdGEgd2FpdGluZyBmb3IgZnJhbWVTaXplIHRvIGJlIHJlYWNoZWRcbiAgX3BlbmRpbmdPdXRwdXQgPSBFTVBUWV9CVUZGRVI7XG4gIF9vdXRTYW1wbGVJbmRleCA9IDA7XG4gIF9vdXRUaW1lc3RhbXAgPSAwO1xuICAvLyBwbGF5YmFjayBzcGVlZCBmYWN0b3Igb3IgZnVuY3Rpb24gZ2l2aW5nIGl0IGZvciBlYWNoIGNodW5rLCBudWxsIHdoZW4gdmFyaXNwZWVkIGlzIG5vdCB1c2VkXG4gIF9zcGVlZDogU3BlZWRPcHRpb24gfCBudWxsO1xuICBfY3VycmVudFNwZWVkID0gMTtcblxuICAvKipcbiAgICAqIENyZWF0ZSBhbiBTcGVleFJlc2FtcGxlciBpbnN0YW5jZS5cbiAgICAqIEBwYXJhbSBjaGFubmVscyBOdW1iZXIgb2YgY2hhbm5lbHMsIG1pbmltdW0gaXMgMSwgbm8gbWF4aW11bVxuICAgICogQHBhcmFtIGluUmF0ZSBmcmVxdWVuY3kgaW4gSHogZm9yIHRoZSBpbnB1dCBjaHVua1xuICAgICogQHBhcmFtIG91dFJhdGUgZnJlcXVlbmN5IGluIEh6IGZvciB0aGUgdGFyZ2V0IGNodW5rXG4gICAgKiBAcGFyYW0gcXVhbGl0eSBudW1iZXIgZnJvbSAxIHRvIDEwLCBkZWZhdWx0IHRvIDcsIDEgaXMgZmFzdCBidXQgb2YgYmFkIHF1YWxpdHksIDEwIGlzIHNsb3cgYnV0IGJlc3QgcXVhbGl0eVxuICAgICogQHBhcmFtIG9wdGlvbnMgc2FtcGxlIGZvcm1hdHMgb2YgdGhlIGlucHV0IGFuZCBvdXRwdXQgY2h1bmtzIChkZWZhdWx0IHRvIGZsb2F0MzIpLCBsYXRlbmN5IGNvbXBlbnNhdGlvbiwgY2hhbm5lbHMgbWl4aW5nXG4gICAgKiAgICAgICAgICAgICAgICBzaXplIGFuZCBwb3NpdGlvbnMgb2YgdGhlIG91dHB1dCBmcmFtZXMgYW5kIHBsYXliYWNrIHNwZWVkXG4gICAgKi9cbiAgY29uc3RydWN0b3IocHVibGljIGNoYW5uZWxzLCBwdWJsaWMgaW5SYXRlLCBwdWJsaWMgb3V0UmF0ZSwgcHVibGljIHF1YWxpdHkgPSA3LCBvcHRpb25zOiBTcGVleFJlc2FtcGxlclRyYW5zZm9ybU9wdGlvbnMgPSB7fSkge1xuICAgIHN1cGVyKHtyZWFkYWJsZU9iamVjdE1vZGU6ICEhb3B0aW9ucy5mcmFtZVNpemUgfHwgISFvcHRpb25zLnBvc2l0aW9uc30pO1xuICAgIC8vIGNodW5rcyBwdXNoZWQgaW4gdGhlIHN0cmVhbSBhcmUga2VwdCB1bnRpbCB0aGV5IGFyZSBjb25zdW1lZCBzbyB0aGV5IGNhbm5vdCBiZSB2aWV3cyBvbiByZXVzZWQgbWVtb3J5XG4gICAgdGhpcy5yZXNhbXBsZXIgPSBuZXcgU3BlZXhSZXNhbXBsZXIoY2hhbm5lbHMsIGluUmF0ZSwgb3V0UmF0ZSwgcXVhbGl0eSwgey4uLm9wdGlvbnMsIHJldHVyblZpZXc6IGZhbHNlfSk7XG4gICAgdGhpcy5jaGFubmVscyA9IGNoYW5uZWxzO1xuICAgIHRoaXMuX2FsaWduZW1lbnRCdWZmZXIgPSBFTVBUWV9CVUZGRVI7XG4gICAgaWYgKG9wdGlvbnMuZnJhbWVTaXplICE9PSB1bmRlZmluZWQgJiYgKCFOdW1iZXIuaXNJbnRlZ2VyKG9wdGlvbnMuZnJhbWVTaXplKSB8fCBvcHRpb25zLmZyYW1lU2l6ZSA8PSAwKSkge1xuICAgICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKCdmcmFtZVNpemUgc2hvdWxkIGJlIGEgcG9zaXRpdmUgaW50ZWdlcicpO1xuICAgIH1cbiAgICB0aGlzLmZyYW1lU2l6ZSA9IG9wdGlvbnMuZnJhbWVTaXplIHx8IG51bGw7XG4gICAgdGhpcy5wYWRMYXN0RnJhbWUgPSBvcHRpb25zLnBhZExhc3RGcmFtZSAhPT0gZmFsc2U7XG4gICAgdGhpcy5wb3NpdGlvbnMgPSAhIW9wdGlvbnMuZnJhbWVTaXplIHx8ICEhb3B0aW9ucy5wb3NpdGlvbnM7XG4gICAgdGhpcy5fc3BlZWQgPSBvcHRpb25zLnNwZWVkID09PSB1bmRlZmluZWQgPyBudWxsIDogb3B0aW9ucy5zcGVlZDtcbiAgICBpZiAodHlwZW9mIHRoaXMuX3NwZWVkID09PSAnbnVtYmVyJykge1xuICAgICAgdGhpcy5fYXBwbHlTcGVlZCh0aGlzLl9zcGVlZCk7XG4gICAgfVxuICB9XG5cbiAgX3RyYW5zZm9ybShjaHVuaywgZW5jb2RpbmcsIGNhbGxiYWNrKSB7XG4gICAgLy8gU3BlZXggbmVlZHMgYSBidWZmZXIgYWxpZ25lZCB0byB0aGUgc2FtcGxlIHNpemUgdGltZXMgdGhlIG51bWJlciBvZiBjaGFubmVsc1xuICAgIC8vIHNvIHdlIGtlZXAgdGhlIGV4dHJhbmVvdXMgYnl0ZXMgaW4gYSBidWZmZXIgZm9yIG5leHQgY2h1bmtcbiAgICBjb25zdCBbY2h1bmtUb1Byb2Nlc3MsIHJlbWFpbmRlcl0gPSBhbGlnbkNodW5rKHRoaXMuX2FsaWduZW1lbnRCdWZmZXIsIGNodW5rLCB0aGlzLmNoYW5uZWxzICogQllURVNfUEVSX1NBTVBMRVt0aGlzLnJlc2FtcGxlci5pbkZvcm1hdF0pO1xuICAgIHRoaXMuX2FsaWduZW1lbnRCdWZmZXIgPSByZW1haW5kZXI7XG4gICAgdHJ5IHtcbiAgICAgIGNvbnN0IHJlcyA9IHRoaXMuX3NwZWVkID09PSBudWxsID8gdGhpcy5yZXNhbXBsZXIucHJvY2Vzc0NodW5rKGNodW5rVG9Qcm9jZXNzKSA6IHRoaXMuX3Byb2Nlc3NWYXJpc3BlZWQoY2h1bmtUb1Byb2Nlc3MpO1xuICAgICAgY2FsbGJhY2sobnVsbCwgdGhpcy5fdG9PdXRwdXQocmVzKSk7XG4gICAgfSBjYXRjaCAoZSkge1xuICAgICAgY2FsbGJhY2soZSk7XG4gICAgfVxuICB9XG5cbiAgX2FwcGx5U3BlZWQoc3BlZWQ6IG51bWJlcikge1xuICAgIGlmICh0eXBlb2Ygc3BlZWQgIT09ICdudW1iZXInIHx8ICEoc3BlZWQgPiAwKSB8fCAhTnVtYmVyLmlzRmluaXRlKHNwZWVkKSkge1xuICAgICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKGBzcGVlZCBzaG91bGQgYmUgYSBwb3NpdGl2ZSBudW1iZXIsIGdvdCAke3NwZWVkfWApO1xuICAgIH1cbiAgICBjb25zdCBbcmF0aW9OdW0sIHJhdGlvRGVuXSA9IGFwcHJveGltYXRlUmF0aW8odGhpcy5pblJhdGUgKiBzcGVlZCAvIHRoaXMub3V0UmF0ZSk7XG4gICAgdGhpcy5yZXNhbXBsZXIuc2V0UmF0ZUZyYWMocmF0aW9OdW0sIHJhdGlvRGVuLCB0aGlzLmluUmF0ZSwgdGhpcy5vdXRSYXRlKTtcbiAgICB0aGlzLl9jdXJyZW50U3BlZWQgPSBzcGVlZDtcbiAgfVxuXG4gIC8vIHRoZSBjaHVuayBpcyByZXNhbXBsZWQgaW4gc3RlcHMgb2YgVkFSSVNQRUVEX1NURVBfRFVSQVRJT04gd2l0aCB0aGUgc3BlZWQgbW92aW5nIGxpbmVhcmx5IHRvIHRoZSB0YXJnZXQgb25lXG4gIF9wcm9jZXNzVmFyaXNwZWVkKGNodW5rOiBCdWZmZXIpIHtcbiAgICBjb25zdCB0YXJnZXRTcGVlZCA9IHR5cGVvZiB0aGlzLl9zcGVlZCA9PT0gJ2Z1bmN0aW9uJyA/IHRoaXMuX3NwZWVkKHRoaXMucmVzYW1wbGVyLmlucHV0RnJhbWVzQ29uc3VtZWQpIDogdGhpcy5fc3BlZWQ7XG4gICAgaWYgKHRhcmdldFNwZWVkID09PSB0aGlzLl9jdXJyZW50U3BlZWQpIHtcbiAgICAgIHJldHVybiB0aGlzLnJlc2FtcGxlci5wcm9jZXNzQ2h1bmsoY2h1bmspO1xuICAgIH1cbiAgICBjb25zdCBmcmFtZUxlbmd0aCA9IHRoaXMuY2hhbm5lbHMgKiBCWVRFU19QRVJfU0FNUExFW3RoaXMucmVzYW1wbGVyLmluRm9ybWF0XTtcbiAgICBjb25zdCBzdGVwTGVuZ3RoID0gTWF0aC5tYXgoMSwgTWF0aC5yb3VuZCh0aGlzLmluUmF0ZSAqIFZBUklTUEVFRF9TVEVQX0RVUkFUSU9OKSkgKiBmcmFtZUxlbmd0aDtcbiAgICBjb25zdCBzdGVwc0NvdW50ID0gTWF0aC5tYXgoMSwgTWF0aC5jZWlsKGNodW5rLmxlbmd0aCAvIHN0ZXBMZW5ndGgpKTtcbiAgICBjb25zdCBzdGFydFNwZWVkID0gdGhpcy5fY3VycmVudFNwZWVkO1xuICAgIGNvbnN0IGNodW5rczogQnVmZmVyW10gPSBbXTtcbiAgICBmb3IgKGxldCBzdGVwID0gMDsgc3RlcCA8IHN0ZXBzQ291bnQ7IHN0ZXArKykge1xuICAgICAgdGhpcy5fYXBwbHlTcGVlZChzdGVwID09PSBzdGVwc0NvdW50IC0gMSA/IHRhcmdldFNwZWVkIDogc3RhcnRTcGVlZCArICh0YXJnZXRTcGVlZCAtIHN0YXJ0U3BlZWQpICogKHN0ZXAgKyAxKSAvIHN0ZXBzQ291bnQpO1xuICAgICAgY2h1bmtzLnB1c2godGhpcy5yZXNhbXBsZXIucHJvY2Vzc0NodW5rKGNodW5rLnNsaWNlKHN0ZXAgKiBzdGVwTGVuZ3RoLCAoc3RlcCArIDEpICogc3RlcExlbmd0aCkpKTtcbiAgICB9XG4gICAgcmV0dXJuIEJ1ZmZlci5jb25jYXQoY2h1bmtzKTtcbiAgfVxuXG4gIC8qKlxuICAgICogUHVzaCB0aGUgcmVzYW1wbGVkIGRhdGEgYXMgU3BlZXhSZXNhbXBsZXJGcmFtZSBvYmplY3RzIGlmIG5lZWRlZFxuICAgICogQHJldHVybnMgdGhlIGRhdGEgdG8gZ2l2ZSB0byB0aGUgdHJhbnNmb3JtIGNhbGxiYWNrLCB1bmRlZmluZWQgaWYgYWxyZWFkeSBwdXNoZWRcbiAgICAqL1xuICBfdG9PdXRwdXQocmVzOiBCdWZmZXIsIGlzTGFzdCA9IGZhbHNlKTogQnVmZmVyIHwgdW5kZWZpbmVkIHtcbiAgICBjb25zdCBmcmFtZUxlbmd0aCA9IHRoaXMucmVzYW1wbGVyLm91dENoYW5uZWxzICogQllURVNfUEVSX1NBTVBMRVt0aGlzLnJlc2FtcGxlci5vdXRGb3JtYXRdO1xuICAgIGlmICghdGhpcy5wb3NpdGlvbnMpIHtcbiAgICAgIHJldHVybiByZXM7XG4gICAgfVxuICAgIGlmICghdGhpcy5mcmFtZVNpemUpIHtcbiAgICAgIGlmIChyZXMubGVuZ3RoID4gMCkge1xuICAgICAgICB0aGlzLl9wdXNoRnJhbWUocmVzLCBmcmFtZUxlbmd0aCk7XG4gICAgICB9XG4gICAgICByZXR1cm47XG4gICAgfVxuICAgIGNvbnN0IG91dHB1dCA9IHRoaXMuX3BlbmRpbmdPdXRwdXQubGVuZ3RoID4gMCA/IEJ1ZmZlci5jb25jYXQoW3RoaXMuX3BlbmRpbmdPdXRwdXQsIHJlc10pIDogcmVzO1xuICAgIGxldCBvZmZzZXQgPSAwO1xuICAgIGZvciAoOyBvdXRwdXQubGVuZ3RoIC0gb2Zmc2V0ID49IHRoaXMuZnJhbWVTaXplICogZnJhbWVMZW5ndGg7IG9mZnNldCArPSB0aGlzLmZyYW1lU2l6ZSAqIGZyYW1lTGVuZ3RoKSB7XG4gICAgICB0aGlzLl9wdXNoRnJhbWUob3V0cHV0LnNsaWNlKG9mZnNldCwgb2Zmc2V0ICsgdGhpcy5mcmFtZVNpemUgKiBmcmFtZUxlbmd0aCksIGZyYW1lTGVuZ3RoKTtcbiAgICB9XG4gICAgLy8gY29weWluZyB0byBub3Qga2VlcCB0aGUgd2hvbGUgb3V0cHV0IGluIG1lbW9yeVxuICAgIHRoaXMuX3BlbmRpbmdPdXRwdXQgPSBvZmZzZXQgPCBvdXRwdXQubGVuZ3RoID8gQnVmZmVyLmZyb20ob3V0cHV0LnNsaWNlKG9mZnNldCkpIDogRU1QVFlfQlVGRkVSO1xuICAgIGlmIChpc0xhc3QgJiYgdGhpcy5fcGVuZGluZ091dHB1dC5sZW5ndGggPiAwKSB7XG4gICAgICBjb25zdCBsYXN0RnJhbWUgPSB0aGlzLnBhZExhc3RGcmFtZVxuICAgICAgICAvLyBzaWxlbmNlIGlzIG9ubHkgemVyb3MgaW4gZXZlcnkgc2FtcGxlIGZvcm1hdFxuICAgICAgICA/IEJ1ZmZlci5jb25jYXQoW3RoaXMuX3BlbmRpbmdPdXRwdXQsIEJ1ZmZlci5hbGxvYyh0aGlzLmZyYW1lU2l6ZSAqIGZyYW1lTGVuZ3RoIC0gdGhpcy5fcGVuZGluZ091dHB1dC5sZW5ndGgpXSlcbiAgICAgICAgOiB0aGlzLl9wZW5kaW5nT3V0cHV0O1xuICAgICAgdGhpcy5fcHVzaEZyYW1lKGxhc3RGcmFtZSwgZnJhbWVMZW5ndGgpO1xuICAgICAgdGhpcy5fcGVuZGluZ091dHB1dCA9IEVNUFRZX0JVRkZFUjtcbiAgICB9XG4gIH1cblxuICBfcHVzaEZyYW1lKGRhdGE6IEJ1ZmZlciwgZnJhbWVMZW5ndGg6IG51bWJlcikge1xuICAgIGNvbnN0IGZyYW1lOiBTcGVleFJlc2FtcGxlckZyYW1lID0ge1xuICAgICAgZGF0YSxcbiAgICAgIGZyYW1lczogZGF0YS5sZW5ndGggLyBmcmFtZUxlbmd0aCxcbiAgICAgIHNhbXBsZUluZGV4OiB0aGlzLl9vdXRTYW1wbGVJbmRleCxcbiAgICAgIHRpbWVzdGFtcDogdGhpcy5fb3V0VGltZXN0YW1wLFxuICAgICAgaW5wdXRQb3NpdGlvbjogdGhpcy5yZXNhbXBsZXIub3V0cHV0UG9zaXRpb25Ub0lucHV0KHRoaXMuX291dFNhbXBsZUluZGV4KSxcbiAgICB9O1xuICAgIHRoaXMuX291dFNhbXBsZUluZGV4ICs9IGZyYW1lLmZyYW1lcztcbiAgICAvLyBpbmNyZW1lbnRlZCBmcmFtZSBieSBmcmFtZSBhcyB0aGUgb3V0cHV0IHJhdGUgY2FuIGNoYW5nZSBpbiB0aGUgbWlkZGxlIG9mIHRoZSBzdHJlYW1cbiAgICB0aGlzLl9vdXRUaW1lc3RhbXAgKz0gZnJhbWUuZnJhbWVzIC8gdGhpcy5vdXRSYXRlICogMTAwMDtcbiAgICB0aGlzLnB1c2goZnJhbWUpO1xuICB9XG5cbiAgLyoqXG4gICAgKiBXYWl0IGZvciB0aGUgV0FTTSBtb2R1bGUgdG8gYmUgcmVhZHkgYW5kIGNyZWF0ZSBhIFNwZWV4UmVzYW1wbGVyVHJhbnNmb3JtLCBzZWUgY29uc3RydWN0b3IgZm9yIHRoZSBhcmd1bWVudHNcbiAgICAqL1xuICBzdGF0aWMgYXN5bmMgY3JlYXRlKGNoYW5uZWxzOiBudW1iZXIsIGluUmF0ZTogbnVtYmVyLCBvdXRSYXRlOiBudW1iZXIsIHF1YWxpdHkgPSA3LCBvcHRpb25zOiBTcGVleFJlc2FtcGxlclRyYW5zZm9ybU9wdGlvbnMgPSB7fSkge1xuICAgIGF3YWl0IFNwZWV4UmVzYW1wbGVyLmluaXRQcm9taXNlO1xuICAgIHJldHVybiBuZXcgU3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm0oY2hhbm5lbHMsIGluUmF0ZSwgb3V0UmF0ZSwgcXVhbGl0eSwgb3B0aW9ucyk7XG4gIH1cblxuICAvKipcbiAgICAqIENoYW5nZSB0aGUgaW5wdXQgYW5kIG91dHB1dCByYXRlcyBvZiB0aGUgcmVzYW1wbGVyLCBzZWUgU3BlZXhSZXNhbXBsZXIuc2V0UmF0ZVxuICAgICovXG4gIHNldFJhdGUoaW5SYXRlOiBudW1iZXIsIG91dFJhdGU6IG51bWJlcikge1xuICAgIHRoaXMucmVzYW1wbGVyLnNldFJhdGUoaW5SYXRlLCBvdXRSYXRlKTtcbiAgICB0aGlzLmluUmF0ZSA9IGluUmF0ZTtcbiAgICB0aGlzLm91dFJhdGUgPSBvdXRSYXRlO1xuICAgIGlmICh0aGlzLl9zcGVlZCAhPT0gbnVsbCkge1xuICAgICAgLy8gdGhlIHNwZWVkIGlzIGtlcHQgd2l0aCB0aGUgbmV3IHJhdGVzXG4gICAgICB0aGlzLl9hcHBseVNwZWVkKHRoaXMuX2N1cnJlbnRTcGVlZCk7XG4gICAgfVxuICB9XG5cbiAgLyoqXG4gICAgKiBDaGFuZ2UgdGhlIHJlc2FtcGxpbmcgcmF0aW8gdG8gYW4gYXJiaXRyYXJ5IGZyYWN0aW9uLCBzZWUgU3BlZXhSZXNhbXBsZXIuc2V0UmF0ZUZyYWMsIHRoaXMgc3RvcHMgdGhlIHZhcmlzcGVlZFxuICAgICovXG4gIHNldFJhdGVGcmFjKHJhdGlvTnVtOiBudW1iZXIsIHJhdGlvRGVuOiBudW1iZXIsIGluUmF0ZSA9IHRoaXMuaW5SYXRlLCBvdXRSYXRlID0gdGhpcy5vdXRSYXRlKSB7XG4gICAgdGhpcy5yZXNhbXBsZXIuc2V0UmF0ZUZyYWMocmF0aW9OdW0sIHJhdGlvRGVuLCBpblJhdGUsIG91dFJhdGUpO1xuICAgIHRoaXMuaW5SYXRlID0gaW5SYXRlO1xuICAgIHRoaXMub3V0UmF0ZSA9IG91dFJhdGU7XG4gICAgdGhpcy5fc3BlZWQgPSBudWxsO1xuICAgIHRoaXMuX2N1cnJlbnRTcGVlZCA9IDE7XG4gIH1cblxuICAvKipcbiAgICAqIENoYW5nZSB0aGUgcGxheWJhY2sgc3BlZWQgZmFjdG9yIG9yIGZ1bmN0aW9uLCB0aGUgY2hhbmdlIGlzIHJhbXBlZCBvdmVyIHRoZSBuZXh0IGNodW5rLCBzZWUgdGhlIHNwZWVkIG9wdGlvblxuICAgICovXG4gIHNldFNwZWVkKHNwZWVkOiBTcGVlZE9wdGlvbikge1xuICAgIGlmICh0eXBlb2Ygc3BlZWQgIT09ICdmdW5jdGlvbicgJiYgKHR5cGVvZiBzcGVlZCAhPT0gJ251bWJlcicgfHwgIShzcGVlZCA+IDApIHx8ICFOdW1iZXIuaXNGaW5pdGUoc3BlZWQpKSkge1xuICAgICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKGBzcGVlZCBzaG91bGQgYmUgYSBwb3NpdGl2ZSBudW1iZXIgb3IgYSBmdW5jdGlvbiwgZ290ICR7c3BlZWR9YCk7XG4gICAgfVxuICAgIHRoaXMuX3NwZWVkID0gc3BlZWQ7XG4gIH1cblxuICAvKipcbiAgICAqIENoYW5nZSB0aGUgcmVzYW1wbGluZyBxdWFsaXR5LCBzZWUgU3BlZXhSZXNhbXBsZXIuc2V0UXVhbGl0eVxuICAgICovXG4gIHNldFF1YWxpdHkocXVhbGl0eTogbnVtYmVyKSB7XG4gICAgdGhpcy5yZXNhbXBsZXIuc2V0UXVhbGl0eShxdWFsaXR5KTtcbiAgICB0aGlzLnF1YWxpdHkgPSBxdWFsaXR5O1xuICB9XG5cbiAgX2ZsdXNoKGNhbGxiYWNrKSB7XG4gICAgLy8gYW4gaW5jb21wbGV0ZSBmcmFtZSBsZWZ0IGluIHRoZSBhbGlnbm1lbnQgYnVmZmVyIGNhbm5vdCBiZSByZXNhbXBsZWQgc28gaXQgaXMgZHJvcHBlZFxuICAgIHRoaXMuX2FsaWduZW1lbnRCdWZmZXIgPSBFTVBUWV9CVUZGRVI7XG4gICAgdHJ5IHtcbiAgICAgIGNvbnN0IHJlcyA9IHRoaXMuX3RvT3V0cHV0KHRoaXMucmVzYW1wbGVyLmZsdXNoKCksIHRydWUpO1xuICAgICAgLy8gbm90aGluZyB3aWxsIGJlIHdyaXR0ZW4gYWZ0ZXIgdGhpcyBzbyB3ZSBjYW4gcmVsZWFzZSB0aGUgV0FTTSBtZW1vcnkgcmlnaHQgYXdheVxuICAgICAgdGhpcy5yZXNhbXBsZXIuZGVzdHJveSgpO1xuICAgICAgY2FsbGJhY2sobnVsbCwgcmVzKTtcbiAgICB9IGNhdGNoIChlKSB7XG4gICAgICBjYWxsYmFjayhlKTtcbiAgICB9XG4gIH1cblxuICBfZGVzdHJveShlcnIsIGNhbGxiYWNrKSB7XG4gICAgdGhpcy5yZXNhbXBsZXIuZGVzdHJveSgpO1xuICAgIGNhbGxiYWNrKGVycik7XG4gIH1cbn1cblxuZXhwb3J0IGludGVyZmFjZSBXYXZSZXNhbXBsZXJUcmFuc2Zvcm1PcHRpb25zIHtcbiAgLyoqIHNhbXBsZSBmb3JtYXQgb2YgdGhlIG91dHB1dCBmaWxlLCBkZWZhdWx0IHRvIHRoZSBmb3JtYXQgb2YgdGhlIGlucHV0IGZpbGUgKi9cbiAgZm9ybWF0PzogU2FtcGxlRm9ybWF0O1xuICAvKiogc2tpcCB0aGUgbGVhZGluZyBmaWx0ZXIgZGVsYXkgc28gdGhhdCB0aGUgb3V0cHV0IGlzIGFsaWduZWQgd2l0aCB0aGUgaW5wdXQgdGltZWxpbmUsIGRlZmF1bHQgdG8gZmFsc2UgKi9cbiAgY29tcGVuc2F0ZUxhdGVuY3k/OiBib29sZWFuO1xuICAvKiogbnVtYmVyIG9mIGNoYW5uZWxzIG9mIHRoZSBvdXRwdXQgZmlsZSwgZGVmYXVsdCB0byB0aGUgbnVtYmVyIG9mIGNoYW5uZWxzIG9mIHRoZSBpbnB1dCBmaWxlICovXG4gIG91dENoYW5uZWxzPzogbnVtYmVyO1xufVxuXG4vKipcbiAgKiBUcmFuc2Zvcm0gc3RyZWFtIHJlc2FtcGxpbmcgYSBSSUZGL1dBVkUgZmlsZSwgdGhlIGNoYW5uZWxzLCBpbnB1dCByYXRlIGFuZCBzYW1wbGUgZm9ybWF0IGFyZSByZWFkIGZyb20gdGhlIGlucHV0IGhlYWRlci5cbiAgKiBUaGUgc2l6ZXMgaW4gdGhlIG91dHB1dCBoZWFkZXIgY2Fubm90IGJlIGtub3duIGJlZm9yZSB0aGUgZW5kIG9mIHRoZSBzdHJlYW0gc28gdGhleSBhcmUgd3JpdHRlbiBhcyB1bmtub3duICgweEZGRkZGRkZGKSxcbiAgKiB0aGV5IGFyZSBwYXRjaGVkIG9uY2UgZmluaXNoZWQgd2hlbiBwaXBlZCB0byBhIGZpbGUgd3JpdGUgc3RyZWFtLiBGb3Igb3RoZXIgZGVzdGluYXRpb25zLCBgaGVhZGVyYCBjb250YWlucyB0aGUgZmluYWxcbiAgKiBoZWFkZXIgb25jZSB0aGUgc3RyZWFtIGVuZGVkLlxuICAqL1xuZXhwb3J0IGNsYXNzIFdhdlJlc2FtcGxlclRyYW5zZm9ybSBleHRlbmRzIFNwZWV4UmVzYW1wbGVyVHJhbnNmb3JtIHtcbiAgLyoqIGhlYWRlciBvZiB0aGUgaW5wdXQgZmlsZSwgbnVsbCB1bnRpbCBpdCBoYXMgYmVlbiByZWNlaXZlZCAqL1xuICBpbnB1dEhlYWRlcjogV2F2SGVhZGVyIHwgbnVsbCA9IG51bGw7XG4gIC8qKiBoZWFkZXIgb2YgdGhlIG91dHB1dCBmaWxlIHdpdGggdGhlIHJpZ2h0IHNpemVzLCBudWxsIHVudGlsIHRoZSBzdHJlYW0gZW5kZWQgKi9cbiAgaGVhZGVyOiBCdWZmZXIgfCBudWxsID0gbnVsbDtcbiAgd2F2T3B0aW9uczogV2F2UmVzYW1wbGVyVHJhbnNmb3JtT3B0aW9ucztcblxuICBfaGVhZGVyQnVmZmVyID0gRU1QVFlfQlVGRkVSO1xuICAvLyBsZW5ndGggb2YgdGhlIGlucHV0IGRhdGEgY2h1bmsgc3RpbGwgdG8gYmUgcmVjZWl2ZWQsIG51bGwgaWYgdGhlIGlucHV0IGRvZXNuJ3Qgc3BlY2lmeSBpdFxuICBfcmVtYWluaW5nRGF0YUxlbmd0aDogbnVtYmVyIHwgbnVsbCA9IG51bGw7XG4gIF9vdXREYXRhTGVuZ3RoID0gMDtcblxuICAvKipcbiAgICAqIENyZWF0ZSBhIFdhdlJlc2FtcGxlclRyYW5zZm9ybSBpbnN0YW5jZS5cbiAgICAqIEBwYXJhbSBvdXRSYXRlIGZyZXF1ZW5jeSBpbiBIeiBmb3IgdGhlIG91dHB1dCBmaWxlXG4gICAgKiBAcGFyYW0gcXVhbGl0eSBudW1iZXIgZnJvbSAxIHRvIDEwLCBkZWZhdWx0IHRvIDcsIDEgaXMgZmFzdCBidXQgb2YgYmFkIHF1YWxpdHksIDEwIGlzIHNsb3cgYnV0IGJlc3QgcXVhbGl0eVxuICAgICogQHBhcmFtIG9wdGlvbnMgc2FtcGxlIGZvcm1hdCBhbmQgY2hhbm5lbHMgb2YgdGhlIG91dHB1dCBmaWxlIChkZWZhdWx0IHRvIHRoZSBpbnB1dCBvbmVzKSBhbmQgbGF0ZW5jeSBjb21wZW5zYXRpb25cbiAgICAqL1xuICBjb25zdHJ1Y3RvcihvdXRSYXRlOiBudW1iZXIsIHF1YWxpdHkgPSA3LCBvcHRpb25zOiBXYXZSZXNhbXBsZXJUcmFuc2Zvcm1PcHRpb25zID0ge30pIHtcbiAgICAvLyB0aGUgcmVzYW1wbGVyIGlzIGNyZWF0ZWQgYWdhaW4gd2l0aCB0aGUgcmlnaHQgcGFyYW1ldGVycyBvbmNlIHRoZSBpbnB1dCBoZWFkZXIgaGFzIGJlZW4gcGFyc2VkXG4gICAgc3VwZXIoMSwgb3V0UmF0ZSwgb3V0UmF0ZSwgcXVhbGl0eSk7XG4gICAgdGhpcy53YXZPcHRpb25zID0gb3B0aW9ucztcbiAgfVxuXG4gIGdldCBvdXRwdXRGb3JtYXQoKTogV2F2Rm9ybWF0IHtcbiAgICByZXR1cm4ge1xuICAgICAgZm9ybWF0OiB0aGlzLnJlc2FtcGxlci5vdXRGb3JtYXQsXG4gICAgICBjaGFubmVsczogdGhpcy5yZXNhbXBsZXIub3V0Q2hhbm5lbHMsXG4gICAgICBzYW1wbGVSYXRlOiB0aGlzLm91dFJhdGUsXG4gICAgICAvLyB0aGUgc3BlYWtlciBwb3NpdGlvbnMgYXJlIG9ubHkga2VwdCB3aGVuIHRoZSBjaGFubmVscyBhcmUgbm90IG1peGVkXG4gICAgICBjaGFubmVsTWFzazogdGhpcy5pbnB1dEhlYWRlciAmJiB0aGlzLnJlc2FtcGxlci5vdXRDaGFubmVscyA9PT0gdGhpcy5jaGFubmVscyA/IHRoaXMuaW5wdXRIZWFkZXIuY2hhbm5lbE1hc2sgOiB1bmRlZmluZWQsXG4gICAgfTtcbiAgfVxuXG4gIF9pbml0RnJvbUhlYWRlcihoZWFkZXI6IFdhdkhlYWRlcikge1xuICAgIHRoaXMuaW5wdXRIZWFkZXIgPSBoZWFkZXI7XG4gICAgdGhpcy5jaGFubmVscyA9IGhlYWRlci5jaGFubmVscztcbiAgICB0aGlzLmluUmF0ZSA9IGhlYWRlci5zYW1wbGVSYXRlO1xuICAgIHRoaXMucmVzYW1wbGVyLmRlc3Ryb3koKTtcbiAgICB0aGlzLnJlc2FtcGxlciA9IG5ldyBTcGVleFJlc2FtcGxlcihoZWFkZXIuY2hhbm5lbHMsIGhlYWRlci5zYW1wbGVSYXRlLCB0aGlzLm91dFJhdGUsIHRoaXMucXVhbGl0eSwge1xuICAgICAgaW5Gb3JtYXQ6IGhlYWRlci5mb3JtYXQsXG4gICAgICBvdXRGb3JtYXQ6IHRoaXMud2F2T3B0aW9ucy5mb3JtYXQgfHwgaGVhZGVyLmZvcm1hdCxcbiAgICAgIGNvbXBlbnNhdGVMYXRlbmN5OiB0aGlzLndhdk9wdGlvbnMuY29tcGVuc2F0ZUxhdGVuY3ksXG4gICAgICBvdXRDaGFubmVsczogdGhpcy53YXZPcHRpb25zLm91dENoYW5uZWxzLFxuICAgIH0pO1xuICAgIHRoaXMuX3JlbWFpbmluZ0RhdGFMZW5ndGggPSBoZWFkZXIuZGF0YUxlbmd0aDtcbiAgfVxuXG4gIC8vIGNvdW50aW5nIHRoZSByZXNhbXBsZWQgYnl0ZXMgdG8gd3JpdGUgdGhlIGZpbmFsIGhlYWRlclxuICBfY291bnRpbmdDYWxsYmFjayhjYWxsYmFjaykge1xuICAgIHJldHVybiAoZXJyLCByZXM/OiBCdWZmZXIpID0+IHtcbiAgICAgIGlmIChyZXMpIHtcbiAgICAgICAgdGhpcy5fb3V0RGF0YUxlbmd0aCArPSByZXMubGVuZ3RoO1xuICAgICAgfVxuICAgICAgY2FsbGJhY2soZXJyLCByZXMpO1xuICAgIH07XG4gIH1cblxuICBfdHJhbnNmb3JtKGNodW5rLCBlbmNvZGluZywgY2FsbGJhY2spIHtcbiAgICBsZXQgZGF0YTogQnVmZmVyID0gY2h1bms7XG4gICAgaWYgKCF0aGlzLmlucHV0SGVhZGVyKSB7XG4gICAgICB0aGlzLl9oZWFkZXJCdWZmZXIgPSBCdWZmZXIuY29uY2F0KFt0aGlzLl9oZWFkZXJCdWZmZXIsIGNodW5rXSk7XG4gICAgICBsZXQgaGVhZGVyOiBXYXZIZWFkZXIgfCBudWxsO1xuICAgICAgdHJ5IHtcbiAgICAgICAgaGVhZGVyID0gcGFyc2VXYXZIZWFkZXIodGhpcy5faGVhZGVyQnVmZmVyKTtcbiAgICAgICAgaWYgKCFoZWFkZXIpIHtcbiAgICAgICAgICBjYWxsYmFjaygpO1xuICAgICAgICAgIHJldHVybjtcbiAgICAgICAgfVxuICAgICAgICAvLyB0aGUgcmVzYW1wbGVyIHBhcmFtZXRlcnMgYXJlIG9ubHkgdmFsaWRhdGVkIGhlcmUgYXMgdGhleSBkZXBlbmQgb24gdGhlIGlucHV0IGZpbGVcbiAgICAgICAgdGhpcy5faW5pdEZyb21IZWFkZXIoaGVhZGVyKTtcbiAgICAgICAgdGhpcy5wdXNoKGNyZWF0ZVdhdkhlYWRlcih0aGlzLm91dHB1dEZvcm1hdCkpO1xuICAgICAgfSBjYXRjaCAoZSkge1xuICAgICAgICBjYWxsYmFjayhlKTtcbiAgICAgICAgcmV0dXJuO1xuICAgICAgfVxuICAgICAgZGF0YSA9IHRoaXMuX2hlYWRlckJ1ZmZlci5zbGljZShoZWFkZXIuZGF0YU9mZnNldCk7XG4gICAgICB0aGlzLl9oZWFkZXJCdWZmZXIgPSBFTVBUWV9CVUZGRVI7XG4gICAgfVxuICAgIGlmICh0aGlzLl9yZW1haW5pbmdEYXRhTGVuZ3RoICE9PSBudWxsKSB7XG4gICAgICAvLyBjaHVua3MgYWZ0ZXIgdGhlIGRhdGEgY2h1bmsgKG1ldGFkYXRhKSBhcmUgaWdub3JlZFxuICAgICAgZGF0YSA9IGRhdGEuc2xpY2UoMCwgdGhpcy5fcmVtYWluaW5nRGF0YUxlbmd0aCk7XG4gICAgICB0aGlzLl9yZW1haW5pbmdEYXRhTGVuZ3RoIC09IGRhdGEubGVuZ3RoO1xuICAgIH1cbiAgICBpZiAoZGF0YS5sZW5ndGggPT09IDApIHtcbiAgICAgIGNhbGxiYWNrKCk7XG4gICAgICByZXR1cm47XG4gICAgfVxuICAgIHN1cGVyLl90cmFuc2Zvcm0oZGF0YSwgZW5jb2RpbmcsIHRoaXMuX2NvdW50aW5nQ2FsbGJhY2soY2FsbGJhY2spKTtcbiAgfVxuXG4gIF9mbHVzaChjYWxsYmFjaykge1xuICAgIGlmICghdGhpcy5pbnB1dEhlYWRlcikge1xuICAgICAgY2FsbGJhY2sobmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKCdJbnB1dCBlbmRlZCBiZWZvcmUgdGhlIGVuZCBvZiB0aGUgV0FWIGhlYWRlcicpKTtcbiAgICAgIHJldHVybjtcbiAgICB9XG4gICAgc3VwZXIuX2ZsdXNoKHRoaXMuX2NvdW50aW5nQ2FsbGJhY2soKGVyciwgcmVzPzogQnVmZmVyKSA9PiB7XG4gICAgICBpZiAoZXJyKSB7XG4gICAgICAgIGNhbGxiYWNrKGVycik7XG4gICAgICAgIHJldHVybjtcbiAgICAgIH1cbiAgICAgIHRoaXMuaGVhZGVyID0gY3JlYXRlV2F2SGVhZGVyKHRoaXMub3V0cHV0Rm9ybWF0LCB0aGlzLl9vdXREYXRhTGVuZ3RoKTtcbiAgICAgIC8vIHRoZSBkYXRhIGNodW5rIG5lZWRzIHRvIGJlIHBhZGRlZCB0byBhbiBldmVuIGxlbmd0aFxuICAgICAgY2FsbGJhY2sobnVsbCwgdGhpcy5fb3V0RGF0YUxlbmd0aCAlIDIgPyBCdWZmZXIuY29uY2F0KFtyZXMsIEJ1ZmZlci5hbGxvYygxKV0pIDogcmVzKTtcbiAgICB9KSk7XG4gIH1cblxuICBwaXBlPFQgZXh0ZW5kcyBOb2RlSlMuV3JpdGFibGVTdHJlYW0+KGRlc3RpbmF0aW9uOiBULCBvcHRpb25zPzogeyBlbmQ/OiBib29sZWFuOyB9KTogVCB7XG4gICAgaWYgKGRlc3RpbmF0aW9uIGluc3RhbmNlb2YgV3JpdGVTdHJlYW0pIHtcbiAgICAgIC8vIGZpbmlzaCBpcyBlbWl0dGVkIG9uY2UgZXZlcnl0aGluZyBoYXMgYmVlbiB3cml0dGVuIGJ1dCBiZWZvcmUgdGhlIGZpbGUgaXMgY2xvc2VkXG4gICAgICBkZXN0aW5hdGlvbi5vbmNlKCdmaW5pc2gnLCAoKSA9PiB0aGlzLl9wYXRjaEhlYWRlcihkZXN0aW5hdGlvbikpO1xuICAgIH1cbiAgICByZXR1cm4gc3VwZXIucGlwZShkZXN0aW5hdGlvbiwgb3B0aW9ucyk7XG4gIH1cblxuICBfcGF0Y2hIZWFkZXIoZGVzdGluYXRpb246IFdyaXRlU3RyZWFtKSB7XG4gICAgY29uc3Qge2ZkLCBmbGFnc30gPSBkZXN0aW5hdGlvbiBhcyBhbnk7XG4gICAgLy8gZmlsZXMgb3BlbmVkIGluIGFwcGVuZCBtb2RlIGNhbm5vdCBiZSB3cml0dGVuIGF0IHRoZWlyIHN0YXJ0XG4gICAgaWYgKCF0aGlzLmhlYWRlciB8fCB0eXBlb2YgZmQgIT09ICdudW1iZXInIHx8IFN0cmluZyhmbGFncykuaW5jbHVkZXMoJ2EnKSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cbiAgICB3cml0ZVN5bmMoZmQsIHRoaXMuaGVhZGVyLCAwLCB0aGlzLmhlYWRlci5sZW5ndGgsIDApO1xuICB9XG59XG5cbmV4cG9ydCBkZWZhdWx0IFNwZWV4UmVzYW1wbGVyO1xuIl19
\ No newline at end of file
@@ -0,0 +1,66 @@
+/// <reference types="node" />
+import { Worker } from 'worker_threads';
+import { Transform } from 'stream';
+import { PoolRequest, ResamplerPoolJobOptions } from './poolProtocol';
+export { ResamplerPoolJobOptions };
+export interface ResamplerPoolOptions {
+    /** number of worker threads, default to the number of CPUs */
+    size?: number;
+}
+interface PendingRequest {
+    resolve: (data?: Buffer) => void;
+    reject: (err: Error) => void;
+}
+interface PoolWorker {
+    worker: Worker;
+    pending: Map<number, PendingRequest>;
+    inFlight: Set<Promise<void>>;
+    load: number;
+}
+declare type PoolRequestWithoutId = PoolRequest extends infer R ? R extends any ? Omit<R, 'requestId'> : never : never;
+/**
+  * Pool of worker threads resampling audio, each one with its own WASM module instance.
+  * Input data is transferred to the workers, the Buffers given to the pool are not usable after this
+  * unless they are a view on a larger ArrayBuffer (in this case they are copied).
+  */
+export declare class ResamplerPool {
+    size: number;
+    _workers: PoolWorker[];
+    _nextRequestId: number;
+    _nextSessionId: number;
+    _closed: boolean;
+    constructor(options?: ResamplerPoolOptions);
+    _spawnWorker(): PoolWorker;
+    _leastBusyWorker(): PoolWorker;
+    _request(poolWorker: PoolWorker, request: PoolRequestWithoutId): Promise<Buffer | undefined>;
+    /**
+      * Resample a whole audio buffer in a worker, the end of the audio is flushed
+      * @param data interleaved PCM data in the input sample format
+      * @returns interleaved PCM data in the output sample format
+      */
+    resample(data: Uint8Array, options: ResamplerPoolJobOptions): Promise<Buffer>;
+    /**
+      * Create a transform stream resampling its input in a worker, the same worker is used until the stream ends
+      */
+    createStream(options: ResamplerPoolJobOptions): ResamplerPoolStream;
+    /**
+      * Stop accepting new jobs, wait for the running ones and stop the workers, streams should be ended before
+      */
+    close(): Promise<void>;
+}
+/**
+  * Transform stream resampling its input in a worker of a ResamplerPool.
+  * Only one chunk is sent to the worker at a time so backpressure is propagated to the writer.
+  */
+export declare class ResamplerPoolStream extends Transform {
+    pool: ResamplerPool;
+    _poolWorker: PoolWorker;
+    sessionId: number;
+    _opened: Promise<any>;
+    _finished: boolean;
+    constructor(pool: ResamplerPool, _poolWorker: PoolWorker, sessionId: number, options: ResamplerPoolJobOptions);
+    _release(): void;
+    _transform(chunk: Buffer, encoding: any, callback: any): void;
+    _flush(callback: any): void;
+    _destroy(err: any, callback: any): void;
+}
@@ -0,0 +1,168 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ResamplerPoolStream = exports.ResamplerPool = void 0;
+const worker_threads_1 = require("worker_threads");
+const stream_1 = require("stream");
+const os_1 = require("os");
+const path_1 = __importDefault(require("path"));
+const buffer_1 = require("buffer");
+const poolProtocol_1 = require("./poolProtocol");
+const errors_1 = require("./errors");
+const toBuffer = (data) => data && buffer_1.Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+// create the error thrown in the worker again, with its SpeexResamplerError subclass when it has a speex code
+const toError = ({ message, name, code }) => {
+    if (code !== null) {
+        return errors_1.errorFromCode(code, message);
+    }
+    const error = name === errors_1.SpeexResamplerError.name ? new errors_1.SpeexResamplerError(message) : new Error(message);
+    error.name = name;
+    return error;
+};
+/**
+  * Pool of worker threads resampling audio, each one with its own WASM module instance.
+  * Input data is transferred to the workers, the Buffers given to the pool are not usable after this
+  * unless they are a view on a larger ArrayBuffer (in this case they are copied).
+  */
+class ResamplerPool {
+    constructor(options = {}) {
+        this._workers = [];
+        this._nextRequestId = 0;
+        this._nextSessionId = 0;
+        this._closed = false;
+        this.size = options.size || os_1.cpus().length;
+        for (let i = 0; i < this.size; i++) {
+            this._workers.push(this._spawnWorker());
+        }
+    }
+    _spawnWorker() {
+        const poolWorker = {
+            worker: new worker_threads_1.Worker(path_1.default.join(__dirname, 'poolWorker.js')),
+            pending: new Map(),
+            inFlight: new Set(),
+            load: 0,
+        };
+        poolWorker.worker.on('message', ({ requestId, data, error }) => {
+            const request = poolWorker.pending.get(requestId);
+            poolWorker.pending.delete(requestId);
+            if (error) {
+                request.reject(toError(error));
+            }
+            else {
+                request.resolve(toBuffer(data));
+            }
+        });
+        // a crashed worker is replaced, the requests it was handling are rejected
+        poolWorker.worker.on('error', (err) => {
+            poolWorker.pending.forEach(({ reject }) => reject(err));
+            poolWorker.pending.clear();
+            const index = this._workers.indexOf(poolWorker);
+            if (index !== -1 && !this._closed) {
+                this._workers[index] = this._spawnWorker();
+            }
+        });
+        return poolWorker;
+    }
+    _leastBusyWorker() {
+        if (this._closed) {
+            throw new errors_1.SpeexResamplerBadStateError('This ResamplerPool has been closed');
+        }
+        return this._workers.reduce((leastBusy, poolWorker) => poolWorker.load < leastBusy.load ? poolWorker : leastBusy);
+    }
+    _request(poolWorker, request) {
+        const requestId = this._nextRequestId++;
+        const response = new Promise((resolve, reject) => {
+            poolWorker.pending.set(requestId, { resolve, reject });
+            const transferList = 'data' in request ? [request.data.buffer] : [];
+            poolWorker.worker.postMessage({ ...request, requestId }, transferList);
+        });
+        const settled = response.then(() => { }, () => { }).then(() => {
+            poolWorker.inFlight.delete(settled);
+        });
+        poolWorker.inFlight.add(settled);
+        return response;
+    }
+    /**
+      * Resample a whole audio buffer in a worker, the end of the audio is flushed
+      * @param data interleaved PCM data in the input sample format
+      * @returns interleaved PCM data in the output sample format
+      */
+    async resample(data, options) {
+        const poolWorker = this._leastBusyWorker();
+        poolWorker.load++;
+        try {
+            return await this._request(poolWorker, { type: 'resample', options, data: poolProtocol_1.toTransferable(data) });
+        }
+        finally {
+            poolWorker.load--;
+        }
+    }
+    /**
+      * Create a transform stream resampling its input in a worker, the same worker is used until the stream ends
+      */
+    createStream(options) {
+        const poolWorker = this._leastBusyWorker();
+        return new ResamplerPoolStream(this, poolWorker, this._nextSessionId++, options);
+    }
+    /**
+      * Stop accepting new jobs, wait for the running ones and stop the workers, streams should be ended before
+      */
+    async close() {
+        this._closed = true;
+        await Promise.all(this._workers.map(async (poolWorker) => {
+            await Promise.all(Array.from(poolWorker.inFlight));
+            await poolWorker.worker.terminate();
+        }));
+    }
+}
+exports.ResamplerPool = ResamplerPool;
+/**
+  * Transform stream resampling its input in a worker of a ResamplerPool.
+  * Only one chunk is sent to the worker at a time so backpressure is propagated to the writer.
+  */
+class ResamplerPoolStream extends stream_1.Transform {
+    constructor(pool, _poolWorker, sessionId, options) {
+        super();
+        this.pool = pool;
+        this._poolWorker = _poolWorker;
+        this.sessionId = sessionId;
+        this._finished = false;
+        _poolWorker.load++;
+        this._opened = pool._request(_poolWorker, { type: 'open', sessionId, options });
+        // the error is reported on the first write
+        this._opened.catch(() => { });
+    }
+    _release() {
+        if (!this._finished) {
+            this._finished = true;
+            this._poolWorker.load--;
+        }
+    }
+    _transform(chunk, encoding, callback) {
+        this._opened
+            .then(() => this.pool._request(this._poolWorker, { type: 'process', sessionId: this.sessionId, data: poolProtocol_1.toTransferable(chunk) }))
+            .then((res) => callback(null, res), callback);
+    }
+    _flush(callback) {
+        this._opened
+            .then(() => this.pool._request(this._poolWorker, { type: 'flush', sessionId: this.sessionId }))
+            .then((res) => {
+            this._release();
+            callback(null, res);
+        }, (err) => {
+            this._release();
+            callback(err);
+        });
+    }
+    _destroy(err, callback) {
+        if (!this._finished) {
+            this._release();
+            this.pool._request(this._poolWorker, { type: 'close', sessionId: this.sessionId }).catch(() => { });
+        }
+        callback(err);
+    }
+}
+exports.ResamplerPoolStream = ResamplerPoolStream;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicG9vbC5qcyIsInNvdXJjZVJvb3QiOiIvIiwic291cmNlcyI6WyJwb29sLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7OztBQUFBLG1EQUF3QztBQUN4QyxtQ0FBbUM7QUFDbkMsMkJBQTBCO0FBQzFCLGdEQUF3QjtBQUN4QixtQ0FBK0I7QUFDL0IsaURBQStHO0FBQy9HLHFDQUEyRjtBQTBCM0YsTUFBTSxRQUFRLEdBQUcsQ0FBQyxJQUFpQixFQUFFLEVBQUUsQ0FBQyxJQUFJLElBQUksZUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxVQUFVLEVBQUUsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO0FBRTNHLDhHQUE4RztBQUM5RyxNQUFNLE9BQU8sR0FBRyxDQUFDLEVBQUMsT0FBTyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQVksRUFBUyxFQUFFO0lBQzFELElBQUksSUFBSSxLQUFLLElBQUksRUFBRTtRQUNqQixPQUFPLHNCQUFhLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDO0tBQ3JDO0lBQ0QsTUFBTSxLQUFLLEdBQUcsSUFBSSxLQUFLLDRCQUFtQixDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSw0QkFBbUIsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDeEcsS0FBSyxDQUFDLElBQUksR0FBRyxJQUFJLENBQUM7SUFDbEIsT0FBTyxLQUFLLENBQUM7QUFDZixDQUFDLENBQUE7QUFFRDs7OztJQUlJO0FBQ0osTUFBYSxhQUFhO0lBT3hCLFlBQVksVUFBZ0MsRUFBRTtRQUw5QyxhQUFRLEdBQWlCLEVBQUUsQ0FBQztRQUM1QixtQkFBYyxHQUFHLENBQUMsQ0FBQztRQUNuQixtQkFBYyxHQUFHLENBQUMsQ0FBQztRQUNuQixZQUFPLEdBQUcsS0FBSyxDQUFDO1FBR2QsSUFBSSxDQUFDLElBQUksR0FBRyxPQUFPLENBQUMsSUFBSSxJQUFJLFNBQUksRUFBRSxDQUFDLE1BQU0sQ0FBQztRQUMxQyxLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUNsQyxJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsWUFBWSxFQUFFLENBQUMsQ0FBQztTQUN6QztJQUNILENBQUM7SUFFRCxZQUFZO1FBQ1YsTUFBTSxVQUFVLEdBQWU7WUFDN0IsTUFBTSxFQUFFLElBQUksdUJBQU0sQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxlQUFlLENBQUMsQ0FBQztZQUN6RCxPQUFPLEVBQUUsSUFBSSxHQUFHLEVBQUU7WUFDbEIsUUFBUSxFQUFFLElBQUksR0FBRyxFQUFFO1lBQ25CLElBQUksRUFBRSxDQUFDO1NBQ1IsQ0FBQztRQUNGLFVBQVUsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLFNBQVMsRUFBRSxDQUFDLEVBQUMsU0FBUyxFQUFFLElBQUksRUFBRSxLQUFLLEVBQWUsRUFBRSxFQUFFO1lBQ3pFLE1BQU0sT0FBTyxHQUFHLFVBQVUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1lBQ2xELFVBQVUsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDO1lBQ3JDLElBQUksS0FBSyxFQUFFO2dCQUNULE9BQU8sQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7YUFDaEM7aUJBQU07Z0JBQ0wsT0FBTyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQzthQUNqQztRQUNILENBQUMsQ0FBQyxDQUFDO1FBQ0gsMEVBQTBFO1FBQzFFLFVBQVUsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxDQUFDLEdBQUcsRUFBRSxFQUFFO1lBQ3BDLFVBQVUsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBQyxNQUFNLEVBQUMsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDdEQsVUFBVSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQztZQUMzQixNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQztZQUNoRCxJQUFJLEtBQUssS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLEVBQUU7Z0JBQ2pDLElBQUksQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLEdBQUcsSUFBSSxDQUFDLFlBQVksRUFBRSxDQUFDO2FBQzVDO1FBQ0gsQ0FBQyxDQUFDLENBQUM7UUFDSCxPQUFPLFVBQVUsQ0FBQztJQUNwQixDQUFDO0lBRUQsZ0JBQWdCO1FBQ2QsSUFBSSxJQUFJLENBQUMsT0FBTyxFQUFFO1lBQ2hCLE1BQU0sSUFBSSxvQ0FBMkIsQ0FBQyxvQ0FBb0MsQ0FBQyxDQUFDO1NBQzdFO1FBQ0QsT0FBTyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLFNBQVMsRUFBRSxVQUFVLEVBQUUsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLEdBQUcsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUNwSCxDQUFDO0lBRUQsUUFBUSxDQUFDLFVBQXNCLEVBQUUsT0FBNkI7UUFDNUQsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLGNBQWMsRUFBRSxDQUFDO1FBQ3hDLE1BQU0sUUFBUSxHQUFHLElBQUksT0FBTyxDQUFxQixDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtZQUNuRSxVQUFVLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLEVBQUUsRUFBQyxPQUFPLEVBQUUsTUFBTSxFQUFDLENBQUMsQ0FBQztZQUNyRCxNQUFNLFlBQVksR0FBRyxNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztZQUNwRSxVQUFVLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxFQUFDLEdBQUcsT0FBTyxFQUFFLFNBQVMsRUFBQyxFQUFFLFlBQTZCLENBQUMsQ0FBQztRQUN4RixDQUFDLENBQUMsQ0FBQztRQUNILE1BQU0sT0FBTyxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLEdBQUUsQ0FBQyxFQUFFLEdBQUcsRUFBRSxHQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUU7WUFDMUQsVUFBVSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDdEMsQ0FBQyxDQUFDLENBQUM7UUFDSCxVQUFVLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNqQyxPQUFPLFFBQVEsQ0FBQztJQUNsQixDQUFDO0lBRUQ7Ozs7UUFJSTtJQUNKLEtBQUssQ0FBQyxRQUFRLENBQUMsSUFBZ0IsRUFBRSxPQUFnQztRQUMvRCxNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsZ0JBQWdCLEVBQUUsQ0FBQztRQUMzQyxVQUFVLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDbEIsSUFBSTtZQUNGLE9BQU8sTUFBTSxJQUFJLENBQUMsUUFBUSxDQUFDLFVBQVUsRUFBRSxFQUFDLElBQUksRUFBRSxVQUFVLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSw2QkFBYyxDQUFDLElBQUksQ0FBQyxFQUFDLENBQUMsQ0FBQztTQUNqRztnQkFBUztZQUNSLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQztTQUNuQjtJQUNILENBQUM7SUFFRDs7UUFFSTtJQUNKLFlBQVksQ0FBQyxPQUFnQztRQUMzQyxNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsZ0JBQWdCLEVBQUUsQ0FBQztRQUMzQyxPQUFPLElBQUksbUJBQW1CLENBQUMsSUFBSSxFQUFFLFVBQVUsRUFBRSxJQUFJLENBQUMsY0FBYyxFQUFFLEVBQUUsT0FBTyxDQUFDLENBQUM7SUFDbkYsQ0FBQztJQUVEOztRQUVJO0lBQ0osS0FBSyxDQUFDLEtBQUs7UUFDVCxJQUFJLENBQUMsT0FBTyxHQUFHLElBQUksQ0FBQztRQUNwQixNQUFNLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLFVBQVUsRUFBRSxFQUFFO1lBQ3ZELE1BQU0sT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO1lBQ25ELE1BQU0sVUFBVSxDQUFDLE1BQU0sQ0FBQyxTQUFTLEVBQUUsQ0FBQztRQUN0QyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ04sQ0FBQztDQUNGO0FBaEdELHNDQWdHQztBQUVEOzs7SUFHSTtBQUNKLE1BQWEsbUJBQW9CLFNBQVEsa0JBQVM7SUFJaEQsWUFBbUIsSUFBbUIsRUFBUyxXQUF1QixFQUFTLFNBQWlCLEVBQUUsT0FBZ0M7UUFDaEksS0FBSyxFQUFFLENBQUM7UUFEUyxTQUFJLEdBQUosSUFBSSxDQUFlO1FBQVMsZ0JBQVcsR0FBWCxXQUFXLENBQVk7UUFBUyxjQUFTLEdBQVQsU0FBUyxDQUFRO1FBRmhHLGNBQVMsR0FBRyxLQUFLLENBQUM7UUFJaEIsV0FBVyxDQUFDLElBQUksRUFBRSxDQUFDO1FBQ25CLElBQUksQ0FBQyxPQUFPLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxXQUFXLEVBQUUsRUFBQyxJQUFJLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxPQUFPLEVBQUMsQ0FBQyxDQUFDO1FBQzlFLDJDQUEyQztRQUMzQyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsR0FBRSxDQUFDLENBQUMsQ0FBQztJQUMvQixDQUFDO0lBRUQsUUFBUTtRQUNOLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFO1lBQ25CLElBQUksQ0FBQyxTQUFTLEdBQUcsSUFBSSxDQUFDO1lBQ3RCLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLENBQUM7U0FDekI7SUFDSCxDQUFDO0lBRUQsVUFBVSxDQUFDLEtBQWEsRUFBRSxRQUFRLEVBQUUsUUFBUTtRQUMxQyxJQUFJLENBQUMsT0FBTzthQUNULElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLEVBQUMsSUFBSSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsSUFBSSxDQUFDLFNBQVMsRUFBRSxJQUFJLEVBQUUsNkJBQWMsQ0FBQyxLQUFLLENBQUMsRUFBQyxDQUFDLENBQUM7YUFDM0gsSUFBSSxDQUFDLENBQUMsR0FBRyxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDO0lBQ2xELENBQUM7SUFFRCxNQUFNLENBQUMsUUFBUTtRQUNiLElBQUksQ0FBQyxPQUFPO2FBQ1QsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsRUFBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxJQUFJLENBQUMsU0FBUyxFQUFDLENBQUMsQ0FBQzthQUM1RixJQUFJLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRTtZQUNaLElBQUksQ0FBQyxRQUFRLEVBQUUsQ0FBQztZQUNoQixRQUFRLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBQ3RCLENBQUMsRUFBRSxDQUFDLEdBQUcsRUFBRSxFQUFFO1lBQ1QsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDO1lBQ2hCLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNoQixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUM7SUFFRCxRQUFRLENBQUMsR0FBRyxFQUFFLFFBQVE7UUFDcEIsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUU7WUFDbkIsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDO1lBQ2hCLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsRUFBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxJQUFJLENBQUMsU0FBUyxFQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxFQUFFLEdBQUUsQ0FBQyxDQUFDLENBQUM7U0FDbEc7UUFDRCxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDaEIsQ0FBQztDQUNGO0FBNUNELGtEQTRDQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7IFdvcmtlciB9IGZyb20gJ3dvcmtlcl90aHJlYWRzJztcbmltcG9ydCB7IFRyYW5zZm9ybSB9IGZyb20gJ3N0cmVhbSc7XG5pbXBvcnQgeyBjcHVzIH0gZnJvbSAnb3MnO1xuaW1wb3J0IHBhdGggZnJvbSAncGF0aCc7XG5pbXBvcnQgeyBCdWZmZXIgfSBmcm9tICdidWZmZXInXG5pbXBvcnQgeyBQb29sUmVxdWVzdCwgUG9vbFJlc3BvbnNlLCBQb29sRXJyb3IsIFJlc2FtcGxlclBvb2xKb2JPcHRpb25zLCB0b1RyYW5zZmVyYWJsZSB9IGZyb20gJy4vcG9vbFByb3RvY29sJztcbmltcG9ydCB7IFNwZWV4UmVzYW1wbGVyRXJyb3IsIFNwZWV4UmVzYW1wbGVyQmFkU3RhdGVFcnJvciwgZXJyb3JGcm9tQ29kZSB9IGZyb20gJy4vZXJyb3JzJztcblxuZXhwb3J0IHsgUmVzYW1wbGVyUG9vbEpvYk9wdGlvbnMgfTtcblxuZXhwb3J0IGludGVyZmFjZSBSZXNhbXBsZXJQb29sT3B0aW9ucyB7XG4gIC8qKiBudW1iZXIgb2Ygd29ya2VyIHRocmVhZHMsIGRlZmF1bHQgdG8gdGhlIG51bWJlciBvZiBDUFVzICovXG4gIHNpemU/OiBudW1iZXI7XG59XG5cbmludGVyZmFjZSBQZW5kaW5nUmVxdWVzdCB7XG4gIHJlc29sdmU6IChkYXRhPzogQnVmZmVyKSA9PiB2b2lkO1xuICByZWplY3Q6IChlcnI6IEVycm9yKSA9PiB2b2lkO1xufVxuXG5pbnRlcmZhY2UgUG9vbFdvcmtlciB7XG4gIHdvcmtlcjogV29ya2VyO1xuICBwZW5kaW5nOiBNYXA8bnVtYmVyLCBQZW5kaW5nUmVxdWVzdD47XG4gIC8vIHNldHRsZWQgd2l0aG91dCBlcnJvciBvciB2YWx1ZSB3aGVuIHRoZSByZXF1ZXN0IGlzIGRvbmUsIHVzZWQgdG8gd2FpdCBmb3IgdGhlbSB3aGVuIGNsb3NpbmdcbiAgaW5GbGlnaHQ6IFNldDxQcm9taXNlPHZvaWQ+PjtcbiAgLy8gbnVtYmVyIG9mIGpvYnMgYW5kIHN0cmVhbXMgdXNpbmcgdGhpcyB3b3JrZXIsIHVzZWQgdG8gcGljayB0aGUgbGVhc3QgYnVzeSBvbmVcbiAgbG9hZDogbnVtYmVyO1xufVxuXG4vLyBQb29sUmVxdWVzdCB3aXRob3V0IHJlcXVlc3RJZCwgaXQgaXMgYWRkZWQgYnkgX3JlcXVlc3RcbnR5cGUgUG9vbFJlcXVlc3RXaXRob3V0SWQgPSBQb29sUmVxdWVzdCBleHRlbmRzIGluZmVyIFIgPyBSIGV4dGVuZHMgYW55ID8gT21pdDxSLCAncmVxdWVzdElkJz4gOiBuZXZlciA6IG5ldmVyO1xuXG5jb25zdCB0b0J1ZmZlciA9IChkYXRhPzogVWludDhBcnJheSkgPT4gZGF0YSAmJiBCdWZmZXIuZnJvbShkYXRhLmJ1ZmZlciwgZGF0YS5ieXRlT2Zmc2V0LCBkYXRhLmJ5dGVMZW5ndGgpO1xuXG4vLyBjcmVhdGUgdGhlIGVycm9yIHRocm93biBpbiB0aGUgd29ya2VyIGFnYWluLCB3aXRoIGl0cyBTcGVleFJlc2FtcGxlckVycm9yIHN1YmNsYXNzIHdoZW4gaXQgaGFzIGEgc3BlZXggY29kZVxuY29uc3QgdG9FcnJvciA9ICh7bWVzc2FnZSwgbmFtZSwgY29kZX06IFBvb2xFcnJvcik6IEVycm9yID0+IHtcbiAgaWYgKGNvZGUgIT09IG51bGwpIHtcbiAgICByZXR1cm4gZXJyb3JGcm9tQ29kZShjb2RlLCBtZXNzYWdlKTtcbiAgfVxuICBjb25zdCBlcnJvciA9IG5hbWUgPT09IFNwZWV4UmVzYW1wbGVyRXJyb3IubmFtZSA/IG5ldyBTcGVleFJlc2FtcGxlckVycm9yKG1lc3NhZ2UpIDogbmV3IEVycm9yKG1lc3NhZ2UpO1xuICBlcnJvci5uYW1lID0gbmFtZTtcbiAgcmV0dXJuIGVycm9yO1xufVxuXG4vKipcbiAgKiBQb29sIG9mIHdvcmtlciB0aHJlYWRzIHJlc2FtcGxpbmcgYXVkaW8sIGVhY2ggb25lIHdpdGggaXRzIG93biBXQVNNIG1vZHVsZSBpbnN0YW5jZS5cbiAgKiBJbnB1dCBkYXRhIGlzIHRyYW5zZmVycmVkIHRvIHRoZSB3b3JrZXJzLCB0aGUgQnVmZmVycyBnaXZlbiB0byB0aGUgcG9vbCBhcmUgbm90IHVzYWJsZSBhZnRlciB0aGlzXG4gICogdW5sZXNzIHRoZXkgYXJlIGEgdmlldyBvbiBhIGxhcmdlciBBcnJheUJ1ZmZlciAoaW4gdGhpcyBjYXNlIHRoZXkgYXJlIGNvcGllZCkuXG4gICovXG5leHBvcnQgY2xhc3MgUmVzYW1wbGVyUG9vbCB7XG4gIHNpemU6IG51bWJlcjtcbiAgX3dvcmtlcnM6IFBvb2xXb3JrZXJbXSA9IFtdO1xuICBfbmV4dFJlcXVlc3RJZCA9IDA7XG4gIF9uZXh0U2Vzc2lvbklkID0gMDtcbiAgX2Nsb3NlZCA9IGZhbHNlO1xuXG4gIGNvbnN0cnVjdG9yKG9wdGlvbnM6IFJlc2FtcGxlclBvb2xPcHRpb25zID0ge30pIHtcbiAgICB0aGlzLnNpemUgPSBvcHRpb25zLnNpemUgfHwgY3B1cygpLmxlbmd0aDtcbiAgICBmb3IgKGxldCBpID0gMDsgaSA8IHRoaXMuc2l6ZTsgaSsrKSB7XG4gICAgICB0aGlzLl93b3JrZXJzLnB1c2godGhpcy5fc3Bhd25Xb3JrZXIoKSk7XG4gICAgfVxuICB9XG5cbiAgX3NwYXduV29ya2VyKCk6IFBvb2xXb3JrZXIge1xuICAgIGNvbnN0IHBvb2xXb3JrZXI6IFBvb2xXb3JrZXIgPSB7XG4gICAgICB3b3JrZXI6IG5ldyBXb3JrZXIocGF0aC5qb2luKF9fZGlybmFtZSwgJ3Bvb2xXb3JrZXIuanMnKSksXG4gICAgICBwZW5kaW5nOiBuZXcgTWFwKCksXG4gICAgICBpbkZsaWdodDogbmV3IFNldCgpLFxuICAgICAgbG9hZDogMCxcbiAgICB9O1xuICAgIHBvb2xXb3JrZXIud29ya2VyLm9uKCdtZXNzYWdlJywgKHtyZXF1ZXN0SWQsIGRhdGEsIGVycm9yfTogUG9vbFJlc3BvbnNlKSA9PiB7XG4gICAgICBjb25zdCByZXF1ZXN0ID0gcG9vbFdvcmtlci5wZW5kaW5nLmdldChyZXF1ZXN0SWQpO1xuICAgICAgcG9vbFdvcmtlci5wZW5kaW5nLmRlbGV0ZShyZXF1ZXN0SWQpO1xuICAgICAgaWYgKGVycm9yKSB7XG4gICAgICAgIHJlcXVlc3QucmVqZWN0KHRvRXJyb3IoZXJyb3IpKTtcbiAgICAgIH0gZWxzZSB7XG4gICAgICAgIHJlcXVlc3QucmVzb2x2ZSh0b0J1ZmZlcihkYXRhKSk7XG4gICAgICB9XG4gICAgfSk7XG4gICAgLy8gYSBjcmFzaGVkIHdvcmtlciBpcyByZXBsYWNlZCwgdGhlIHJlcXVlc3RzIGl0IHdhcyBoYW5kbGluZyBhcmUgcmVqZWN0ZWRcbiAgICBwb29sV29ya2VyLndvcmtlci5vbignZXJyb3InLCAoZXJyKSA9PiB7XG4gICAgICBwb29sV29ya2VyLnBlbmRpbmcuZm9yRWFjaCgoe3JlamVjdH0pID0+IHJlamVjdChlcnIpKTtcbiAgICAgIHBvb2xXb3JrZXIucGVuZGluZy5jbGVhcigpO1xuICAgICAgY29uc3QgaW5kZXggPSB0aGlzLl93b3JrZXJzLmluZGV4T2YocG9vbFdvcmtlcik7XG4gICAgICBpZiAoaW5kZXggIT09IC0xICYmICF0aGlzLl9jbG9zZWQpIHtcbiAgICAgICAgdGhpcy5fd29ya2Vyc1tpbmRleF0gPSB0aGlzLl9zcGF3bldvcmtlcigpO1xuICAgICAgfVxuICAgIH0pO1xuICAgIHJldHVybiBwb29sV29ya2VyO1xuICB9XG5cbiAgX2xlYXN0QnVzeVdvcmtlcigpIHtcbiAgICBpZiAodGhpcy5fY2xvc2VkKSB7XG4gICAgICB0aHJvdyBuZXcgU3BlZXhSZXNhbXBsZXJCYWRTdGF0ZUVycm9yKCdUaGlzIFJlc2FtcGxlclBvb2wgaGFzIGJlZW4gY2xvc2VkJyk7XG4gICAgfVxuICAgIHJldHVybiB0aGlzLl93b3JrZXJzLnJlZHVjZSgobGVhc3RCdXN5LCBwb29sV29ya2VyKSA9PiBwb29sV29ya2VyLmxvYWQgPCBsZWFzdEJ1c3kubG9hZCA/IHBvb2xXb3JrZXIgOiBsZWFzdEJ1c3kpO1xuICB9XG5cbiAgX3JlcXVlc3QocG9vbFdvcmtlcjogUG9vbFdvcmtlciwgcmVxdWVzdDogUG9vbFJlcXVlc3RXaXRob3V0SWQpOiBQcm9taXNlPEJ1ZmZlciB8IHVuZGVmaW5lZD4ge1xuICAgIGNvbnN0IHJlcXVlc3RJZCA9IHRoaXMuX25leHRSZXF1ZXN0SWQrKztcbiAgICBjb25zdCByZXNwb25zZSA9IG5ldyBQcm9taXNlPEJ1ZmZlciB8IHVuZGVmaW5lZD4oKHJlc29sdmUsIHJlamVjdCkgPT4ge1xuICAgICAgcG9vbFdvcmtlci5wZW5kaW5nLnNldChyZXF1ZXN0SWQsIHtyZXNvbHZlLCByZWplY3R9KTtcbiAgICAgIGNvbnN0IHRyYW5zZmVyTGlzdCA9ICdkYXRhJyBpbiByZXF1ZXN0ID8gW3JlcXVlc3QuZGF0YS5idWZmZXJdIDogW107XG4gICAgICBwb29sV29ya2VyLndvcmtlci5wb3N0TWVzc2FnZSh7Li4ucmVxdWVzdCwgcmVxdWVzdElkfSwgdHJhbnNmZXJMaXN0IGFzIEFycmF5QnVmZmVyW10pO1xuICAgIH0pO1xuICAgIGNvbnN0IHNldHRsZWQgPSByZXNwb25zZS50aGVuKCgpID0+IHt9LCAoKSA9PiB7fSkudGhlbigoKSA9PiB7XG4gICAgICBwb29sV29ya2VyLmluRmxpZ2h0LmRlbGV0ZShzZXR0bGVkKTtcbiAgICB9KTtcbiAgICBwb29sV29ya2VyLmluRmxpZ2h0LmFkZChzZXR0bGVkKTtcbiAgICByZXR1cm4gcmVzcG9uc2U7XG4gIH1cblxuICAvKipcbiAgICAqIFJlc2FtcGxlIGEgd2hvbGUgYXVkaW8gYnVmZmVyIGluIGEgd29ya2VyLCB0aGUgZW5kIG9mIHRoZSBhdWRpbyBpcyBmbHVzaGVkXG4gICAgKiBAcGFyYW0gZGF0YSBpbnRlcmxlYXZlZCBQQ00gZGF0YSBpbiB0aGUgaW5wdXQgc2FtcGxlIGZvcm1hdFxuICAgICogQHJldHVybnMgaW50ZXJsZWF2ZWQgUENNIGRhdGEgaW4gdGhlIG91dHB1dCBzYW1wbGUgZm9ybWF0XG4gICAgKi9cbiAgYXN5bmMgcmVzYW1wbGUoZGF0YTogVWludDhBcnJheSwgb3B0aW9uczogUmVzYW1wbGVyUG9vbEpvYk9wdGlvbnMpOiBQcm9taXNlPEJ1ZmZlcj4ge1xuICAgIGNvbnN0IHBvb2xXb3JrZXIgPSB0aGlzLl9sZWFzdEJ1c3lXb3JrZXIoKTtcbiAgICBwb29sV29ya2VyLmxvYWQrKztcbiAgICB0cnkge1xuICAgICAgcmV0dXJuIGF3YWl0IHRoaXMuX3JlcXVlc3QocG9vbFdvcmtlciwge3R5cGU6ICdyZXNhbXBsZScsIG9wdGlvbnMsIGRhdGE6IHRvVHJhbnNmZXJhYmxlKGRhdGEpfSk7XG4gICAgfSBmaW5hbGx5IHtcbiAgICAgIHBvb2xXb3JrZXIubG9hZC0tO1xuICAgIH1cbiAgfVxuXG4gIC8qKlxuICAgICogQ3JlYXRlIGEgdHJhbnNmb3JtIHN0cmVhbSByZXNhbXBsaW5nIGl0cyBpbnB1dCBpbiBhIHdvcmtlciwgdGhlIHNhbWUgd29ya2VyIGlzIHVzZWQgdW50aWwgdGhlIHN0cmVhbSBlbmRzXG4gICAgKi9cbiAgY3JlYXRlU3RyZWFtKG9wdGlvbnM6IFJlc2FtcGxlclBvb2xKb2JPcHRpb25zKSB7XG4gICAgY29uc3QgcG9vbFdvcmtlciA9IHRoaXMuX2xlYXN0QnVzeVdvcmtlcigpO1xuICAgIHJldHVybiBuZXcgUmVzYW1wbGVyUG9vbFN0cmVhbSh0aGlzLCBwb29sV29ya2VyLCB0aGlzLl9uZXh0U2Vzc2lvbklkKyssIG9wdGlvbnMpO1xuICB9XG5cbiAgLyoqXG4gICAgKiBTdG9wIGFjY2VwdGluZyBuZXcgam9icywgd2FpdCBmb3IgdGhlIHJ1bm5pbmcgb25lcyBhbmQgc3RvcCB0aGUgd29ya2Vycywgc3RyZWFtcyBzaG91bGQgYmUgZW5kZWQgYmVmb3JlXG4gICAgKi9cbiAgYXN5bmMgY2xvc2UoKSB7XG4gICAgdGhpcy5fY2xvc2VkID0gdHJ1ZTtcbiAgICBhd2FpdCBQcm9taXNlLmFsbCh0aGlzLl93b3JrZXJzLm1hcChhc3luYyAocG9vbFdvcmtlcikgPT4ge1xuICAgICAgYXdhaXQgUHJvbWlzZS5hbGwoQXJyYXkuZnJvbShwb29sV29ya2VyLmluRmxpZ2h0KSk7XG4gICAgICBhd2FpdCBwb29sV29ya2VyLndvcmtlci50ZXJtaW5hdGUoKTtcbiAgICB9KSk7XG4gIH1cbn1cblxuLyoqXG4gICogVHJhbnNmb3JtIHN0cmVhbSByZXNhbXBsaW5nIGl0cyBpbnB1dCBpbiBhIHdvcmtlciBvZiBhIFJlc2FtcGxlclBvb2wuXG4gICogT25seSBvbmUgY2h1bmsgaXMgc2VudCB0byB0aGUgd29ya2VyIGF0IGEgdGltZSBzbyBiYWNrcHJlc3N1cmUgaXMgcHJvcGFnYXRlZCB0byB0aGUgd3JpdGVyLlxuICAqL1xuZXhwb3J0IGNsYXNzIFJlc2FtcGxlclBvb2xTdHJlYW0gZXh0ZW5kcyBUcmFuc2Zvcm0ge1xuICBfb3BlbmVkOiBQcm9taXNlPGFueT47XG4gIF9maW5pc2hlZCA9IGZhbHNlO1xuXG4gIGNvbnN0cnVjdG9yKHB1YmxpYyBwb29sOiBSZXNhbXBsZXJQb29sLCBwdWJsaWMgX3Bvb2xXb3JrZXI6IFBvb2xXb3JrZXIsIHB1YmxpYyBzZXNzaW9uSWQ6IG51bWJlciwgb3B0aW9uczogUmVzYW1wbGVyUG9vbEpvYk9wdGlvbnMpIHtcbiAgICBzdXBlcigpO1xuICAgIF9wb29sV29ya2VyLmxvYWQrKztcbiAgICB0aGlzLl9vcGVuZWQgPSBwb29sLl9yZXF1ZXN0KF9wb29sV29ya2VyLCB7dHlwZTogJ29wZW4nLCBzZXNzaW9uSWQsIG9wdGlvbnN9KTtcbiAgICAvLyB0aGUgZXJyb3IgaXMgcmVwb3J0ZWQgb24gdGhlIGZpcnN0IHdyaXRlXG4gICAgdGhpcy5fb3BlbmVkLmNhdGNoKCgpID0+IHt9KTtcbiAgfVxuXG4gIF9yZWxlYXNlKCkge1xuICAgIGlmICghdGhpcy5fZmluaXNoZWQpIHtcbiAgICAgIHRoaXMuX2ZpbmlzaGVkID0gdHJ1ZTtcbiAgICAgIHRoaXMuX3Bvb2xXb3JrZXIubG9hZC0tO1xuICAgIH1cbiAgfVxuXG4gIF90cmFuc2Zvcm0oY2h1bms6IEJ1ZmZlciwgZW5jb2RpbmcsIGNhbGxiYWNrKSB7XG4gICAgdGhpcy5fb3BlbmVkXG4gICAgICAudGhlbigoKSA9PiB0aGlzLnBvb2wuX3JlcXVlc3QodGhpcy5fcG9vbFdvcmtlciwge3R5cGU6ICdwcm9jZXNzJywgc2Vzc2lvbklkOiB0aGlzLnNlc3Npb25JZCwgZGF0YTogdG9UcmFuc2ZlcmFibGUoY2h1bmspfSkpXG4gICAgICAudGhlbigocmVzKSA9PiBjYWxsYmFjayhudWxsLCByZXMpLCBjYWxsYmFjayk7XG4gIH1cblxuICBfZmx1c2goY2FsbGJhY2spIHtcbiAgICB0aGlzLl9vcGVuZWRcbiAgICAgIC50aGVuKCgpID0+IHRoaXMucG9vbC5fcmVxdWVzdCh0aGlzLl9wb29sV29ya2VyLCB7dHlwZTogJ2ZsdXNoJywgc2Vzc2lvbklkOiB0aGlzLnNlc3Npb25JZH0pKVxuICAgICAgLnRoZW4oKHJlcykgPT4ge1xuICAgICAgICB0aGlzLl9yZWxlYXNlKCk7XG4gICAgICAgIGNhbGxiYWNrKG51bGwsIHJlcyk7XG4gICAgICB9LCAoZXJyKSA9PiB7XG4gICAgICAgIHRoaXMuX3JlbGVhc2UoKTtcbiAgICAgICAgY2FsbGJhY2soZXJyKTtcbiAgICAgIH0pO1xuICB9XG5cbiAgX2Rlc3Ryb3koZXJyLCBjYWxsYmFjaykge1xuICAgIGlmICghdGhpcy5fZmluaXNoZWQpIHtcbiAgICAgIHRoaXMuX3JlbGVhc2UoKTtcbiAgICAgIHRoaXMucG9vbC5fcmVxdWVzdCh0aGlzLl9wb29sV29ya2VyLCB7dHlwZTogJ2Nsb3NlJywgc2Vzc2lvbklkOiB0aGlzLnNlc3Npb25JZH0pLmNhdGNoKCgpID0+IHt9KTtcbiAgICB9XG4gICAgY2FsbGJhY2soZXJyKTtcbiAgfVxufVxuIl19
\ No newline at end of file
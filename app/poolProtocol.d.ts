@@ -0,0 +1,47 @@
+import { SpeexResamplerOptions } from './resampler';
+export interface ResamplerPoolJobOptions extends SpeexResamplerOptions {
+    /** Number of channels, minimum is 1, no maximum */
+    channels: number;
+    /** frequency in Hz for the input chunk */
+    inRate: number;
+    /** frequency in Hz for the target chunk */
+    outRate: number;
+    /** number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality */
+    quality?: number;
+}
+export declare type PoolRequest = {
+    requestId: number;
+} & ({
+    type: 'resample';
+    options: ResamplerPoolJobOptions;
+    data: Uint8Array;
+} | {
+    type: 'open';
+    sessionId: number;
+    options: ResamplerPoolJobOptions;
+} | {
+    type: 'process';
+    sessionId: number;
+    data: Uint8Array;
+} | {
+    type: 'flush';
+    sessionId: number;
+} | {
+    type: 'close';
+    sessionId: number;
+});
+export interface PoolError {
+    message: string;
+    name: string;
+    code: number | null;
+}
+export interface PoolResponse {
+    requestId: number;
+    data?: Uint8Array;
+    error?: PoolError;
+}
+/**
+  * Get a Uint8Array owning its whole ArrayBuffer so that it can be transferred to another thread,
+  * the data is copied only when it's a view on a larger ArrayBuffer (like pooled Buffers)
+  */
+export declare const toTransferable: (data: Uint8Array) => Uint8Array;
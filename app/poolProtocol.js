@@ -0,0 +1,14 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.toTransferable = void 0;
+/**
+  * Get a Uint8Array owning its whole ArrayBuffer so that it can be transferred to another thread,
+  * the data is copied only when it's a view on a larger ArrayBuffer (like pooled Buffers)
+  */
+exports.toTransferable = (data) => {
+    if (data.byteOffset === 0 && data.byteLength === data.buffer.byteLength && data.buffer instanceof ArrayBuffer) {
+        return new Uint8Array(data.buffer);
+    }
+    return new Uint8Array(data);
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicG9vbFByb3RvY29sLmpzIiwic291cmNlUm9vdCI6Ii8iLCJzb3VyY2VzIjpbInBvb2xQcm90b2NvbC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFtQ0E7OztJQUdJO0FBQ1MsUUFBQSxjQUFjLEdBQUcsQ0FBQyxJQUFnQixFQUFFLEVBQUU7SUFDakQsSUFBSSxJQUFJLENBQUMsVUFBVSxLQUFLLENBQUMsSUFBSSxJQUFJLENBQUMsVUFBVSxLQUFLLElBQUksQ0FBQyxNQUFNLENBQUMsVUFBVSxJQUFJLElBQUksQ0FBQyxNQUFNLFlBQVksV0FBVyxFQUFFO1FBQzdHLE9BQU8sSUFBSSxVQUFVLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQ3BDO0lBQ0QsT0FBTyxJQUFJLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQztBQUM5QixDQUFDLENBQUEiLCJzb3VyY2VzQ29udGVudCI6WyJpbXBvcnQgeyBTcGVleFJlc2FtcGxlck9wdGlvbnMgfSBmcm9tICcuL3Jlc2FtcGxlcic7XG5cbmV4cG9ydCBpbnRlcmZhY2UgUmVzYW1wbGVyUG9vbEpvYk9wdGlvbnMgZXh0ZW5kcyBTcGVleFJlc2FtcGxlck9wdGlvbnMge1xuICAvKiogTnVtYmVyIG9mIGNoYW5uZWxzLCBtaW5pbXVtIGlzIDEsIG5vIG1heGltdW0gKi9cbiAgY2hhbm5lbHM6IG51bWJlcjtcbiAgLyoqIGZyZXF1ZW5jeSBpbiBIeiBmb3IgdGhlIGlucHV0IGNodW5rICovXG4gIGluUmF0ZTogbnVtYmVyO1xuICAvKiogZnJlcXVlbmN5IGluIEh6IGZvciB0aGUgdGFyZ2V0IGNodW5rICovXG4gIG91dFJhdGU6IG51bWJlcjtcbiAgLyoqIG51bWJlciBmcm9tIDEgdG8gMTAsIGRlZmF1bHQgdG8gNywgMSBpcyBmYXN0IGJ1dCBvZiBiYWQgcXVhbGl0eSwgMTAgaXMgc2xvdyBidXQgYmVzdCBxdWFsaXR5ICovXG4gIHF1YWxpdHk/OiBudW1iZXI7XG59XG5cbi8vIE1lc3NhZ2VzIGV4Y2hhbmdlZCBiZXR3ZWVuIHRoZSBwb29sIGFuZCBpdHMgd29ya2Vyc1xuZXhwb3J0IHR5cGUgUG9vbFJlcXVlc3QgPSB7IHJlcXVlc3RJZDogbnVtYmVyIH0gJiAoXG4gIHsgdHlwZTogJ3Jlc2FtcGxlJywgb3B0aW9uczogUmVzYW1wbGVyUG9vbEpvYk9wdGlvbnMsIGRhdGE6IFVpbnQ4QXJyYXkgfSB8XG4gIHsgdHlwZTogJ29wZW4nLCBzZXNzaW9uSWQ6IG51bWJlciwgb3B0aW9uczogUmVzYW1wbGVyUG9vbEpvYk9wdGlvbnMgfSB8XG4gIHsgdHlwZTogJ3Byb2Nlc3MnLCBzZXNzaW9uSWQ6IG51bWJlciwgZGF0YTogVWludDhBcnJheSB9IHxcbiAgeyB0eXBlOiAnZmx1c2gnLCBzZXNzaW9uSWQ6IG51bWJlciB9IHxcbiAgeyB0eXBlOiAnY2xvc2UnLCBzZXNzaW9uSWQ6IG51bWJlciB9XG4pO1xuXG4vLyBFcnJvcnMgY2Fubm90IGJlIGNsb25lZCB3aXRoIHRoZWlyIGNsYXNzLCB0aGV5IGFyZSBzZW50IHdpdGggdGhlIGZpZWxkcyBuZWVkZWQgdG8gY3JlYXRlIHRoZW0gYWdhaW5cbmV4cG9ydCBpbnRlcmZhY2UgUG9vbEVycm9yIHtcbiAgbWVzc2FnZTogc3RyaW5nO1xuICBuYW1lOiBzdHJpbmc7XG4gIGNvZGU6IG51bWJlciB8IG51bGw7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgUG9vbFJlc3BvbnNlIHtcbiAgcmVxdWVzdElkOiBudW1iZXI7XG4gIGRhdGE/OiBVaW50OEFycmF5O1xuICBlcnJvcj86IFBvb2xFcnJvcjtcbn1cblxuLyoqXG4gICogR2V0IGEgVWludDhBcnJheSBvd25pbmcgaXRzIHdob2xlIEFycmF5QnVmZmVyIHNvIHRoYXQgaXQgY2FuIGJlIHRyYW5zZmVycmVkIHRvIGFub3RoZXIgdGhyZWFkLFxuICAqIHRoZSBkYXRhIGlzIGNvcGllZCBvbmx5IHdoZW4gaXQncyBhIHZpZXcgb24gYSBsYXJnZXIgQXJyYXlCdWZmZXIgKGxpa2UgcG9vbGVkIEJ1ZmZlcnMpXG4gICovXG5leHBvcnQgY29uc3QgdG9UcmFuc2ZlcmFibGUgPSAoZGF0YTogVWludDhBcnJheSkgPT4ge1xuICBpZiAoZGF0YS5ieXRlT2Zmc2V0ID09PSAwICYmIGRhdGEuYnl0ZUxlbmd0aCA9PT0gZGF0YS5idWZmZXIuYnl0ZUxlbmd0aCAmJiBkYXRhLmJ1ZmZlciBpbnN0YW5jZW9mIEFycmF5QnVmZmVyKSB7XG4gICAgcmV0dXJuIG5ldyBVaW50OEFycmF5KGRhdGEuYnVmZmVyKTtcbiAgfVxuICByZXR1cm4gbmV3IFVpbnQ4QXJyYXkoZGF0YSk7XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,79 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const worker_threads_1 = require("worker_threads");
+const buffer_1 = require("buffer");
+const resampler_1 = __importDefault(require("./resampler"));
+const errors_1 = require("./errors");
+const formats_1 = require("./formats");
+const poolProtocol_1 = require("./poolProtocol");
+// Each worker has its own WASM module instance, the main thread one is not shared
+resampler_1.default.initSync();
+const sessions = new Map();
+const createResampler = (options) => new resampler_1.default(options.channels, options.inRate, options.outRate, options.quality, options);
+const processAligned = (session, data) => {
+    const { resampler } = session;
+    const [chunkToProcess, remainder] = formats_1.alignChunk(session.alignementBuffer, data, resampler.channels * formats_1.BYTES_PER_SAMPLE[resampler.inFormat]);
+    session.alignementBuffer = remainder;
+    return resampler.processChunk(chunkToProcess);
+};
+const closeSession = (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (session) {
+        session.resampler.destroy();
+        sessions.delete(sessionId);
+    }
+};
+const handleRequest = (request) => {
+    switch (request.type) {
+        case 'resample': {
+            const resampler = createResampler(request.options);
+            try {
+                const data = buffer_1.Buffer.from(request.data.buffer, request.data.byteOffset, request.data.byteLength);
+                return buffer_1.Buffer.concat([resampler.processChunk(data), resampler.flush()]);
+            }
+            finally {
+                resampler.destroy();
+            }
+        }
+        case 'open':
+            sessions.set(request.sessionId, { resampler: createResampler(request.options), alignementBuffer: buffer_1.Buffer.alloc(0) });
+            return;
+        case 'process': {
+            const session = sessions.get(request.sessionId);
+            if (!session) {
+                throw new errors_1.SpeexResamplerBadStateError(`Unknown session ${request.sessionId}`);
+            }
+            return processAligned(session, buffer_1.Buffer.from(request.data.buffer, request.data.byteOffset, request.data.byteLength));
+        }
+        case 'flush': {
+            const session = sessions.get(request.sessionId);
+            if (!session) {
+                throw new errors_1.SpeexResamplerBadStateError(`Unknown session ${request.sessionId}`);
+            }
+            try {
+                return session.resampler.flush();
+            }
+            finally {
+                closeSession(request.sessionId);
+            }
+        }
+        case 'close':
+            closeSession(request.sessionId);
+            return;
+    }
+};
+worker_threads_1.parentPort.on('message', (request) => {
+    try {
+        const res = handleRequest(request);
+        const data = res && poolProtocol_1.toTransferable(res);
+        worker_threads_1.parentPort.postMessage({ requestId: request.requestId, data }, data ? [data.buffer] : []);
+    }
+    catch (e) {
+        const code = typeof e.code === 'number' ? e.code : null;
+        worker_threads_1.parentPort.postMessage({ requestId: request.requestId, error: { message: e.message, name: e.name, code } });
+    }
+});
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicG9vbFdvcmtlci5qcyIsInNvdXJjZVJvb3QiOiIvIiwic291cmNlcyI6WyJwb29sV29ya2VyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7O0FBQUEsbURBQTRDO0FBQzVDLG1DQUErQjtBQUMvQiw0REFBeUM7QUFDekMscUNBQXVEO0FBQ3ZELHVDQUF5RDtBQUN6RCxpREFBb0c7QUFFcEcsa0ZBQWtGO0FBQ2xGLG1CQUFjLENBQUMsUUFBUSxFQUFFLENBQUM7QUFPMUIsTUFBTSxRQUFRLEdBQUcsSUFBSSxHQUFHLEVBQW1CLENBQUM7QUFFNUMsTUFBTSxlQUFlLEdBQUcsQ0FBQyxPQUFnQyxFQUFFLEVBQUUsQ0FBQyxJQUFJLG1CQUFjLENBQzlFLE9BQU8sQ0FBQyxRQUFRLEVBQ2hCLE9BQU8sQ0FBQyxNQUFNLEVBQ2QsT0FBTyxDQUFDLE9BQU8sRUFDZixPQUFPLENBQUMsT0FBTyxFQUNmLE9BQU8sQ0FDUixDQUFDO0FBRUYsTUFBTSxjQUFjLEdBQUcsQ0FBQyxPQUFnQixFQUFFLElBQVksRUFBRSxFQUFFO0lBQ3hELE1BQU0sRUFBQyxTQUFTLEVBQUMsR0FBRyxPQUFPLENBQUM7SUFDNUIsTUFBTSxDQUFDLGNBQWMsRUFBRSxTQUFTLENBQUMsR0FBRyxvQkFBVSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsRUFBRSxJQUFJLEVBQUUsU0FBUyxDQUFDLFFBQVEsR0FBRywwQkFBZ0IsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztJQUMxSSxPQUFPLENBQUMsZ0JBQWdCLEdBQUcsU0FBUyxDQUFDO0lBQ3JDLE9BQU8sU0FBUyxDQUFDLFlBQVksQ0FBQyxjQUFjLENBQUMsQ0FBQztBQUNoRCxDQUFDLENBQUE7QUFFRCxNQUFNLFlBQVksR0FBRyxDQUFDLFNBQWlCLEVBQUUsRUFBRTtJQUN6QyxNQUFNLE9BQU8sR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQ3hDLElBQUksT0FBTyxFQUFFO1FBQ1gsT0FBTyxDQUFDLFNBQVMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztRQUM1QixRQUFRLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0tBQzVCO0FBQ0gsQ0FBQyxDQUFBO0FBRUQsTUFBTSxhQUFhLEdBQUcsQ0FBQyxPQUFvQixFQUFzQixFQUFFO0lBQ2pFLFFBQVEsT0FBTyxDQUFDLElBQUksRUFBRTtRQUNwQixLQUFLLFVBQVUsQ0FBQyxDQUFDO1lBQ2YsTUFBTSxTQUFTLEdBQUcsZUFBZSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUNuRCxJQUFJO2dCQUNGLE1BQU0sSUFBSSxHQUFHLGVBQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsT0FBTyxDQUFDLElBQUksQ0FBQyxVQUFVLEVBQUUsT0FBTyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztnQkFDaEcsT0FBTyxlQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsU0FBUyxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsRUFBRSxTQUFTLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDO2FBQ3pFO29CQUFTO2dCQUNSLFNBQVMsQ0FBQyxPQUFPLEVBQUUsQ0FBQzthQUNyQjtTQUNGO1FBQ0QsS0FBSyxNQUFNO1lBQ1QsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLEVBQUMsU0FBUyxFQUFFLGVBQWUsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsZ0JBQWdCLEVBQUUsZUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFBQyxDQUFDLENBQUM7WUFDbEgsT0FBTztRQUNULEtBQUssU0FBUyxDQUFDLENBQUM7WUFDZCxNQUFNLE9BQU8sR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztZQUNoRCxJQUFJLENBQUMsT0FBTyxFQUFFO2dCQUNaLE1BQU0sSUFBSSxvQ0FBMkIsQ0FBQyxtQkFBbUIsT0FBTyxDQUFDLFNBQVMsRUFBRSxDQUFDLENBQUM7YUFDL0U7WUFDRCxPQUFPLGNBQWMsQ0FBQyxPQUFPLEVBQUUsZUFBTSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxPQUFPLENBQUMsSUFBSSxDQUFDLFVBQVUsRUFBRSxPQUFPLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7U0FDcEg7UUFDRCxLQUFLLE9BQU8sQ0FBQyxDQUFDO1lBQ1osTUFBTSxPQUFPLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDaEQsSUFBSSxDQUFDLE9BQU8sRUFBRTtnQkFDWixNQUFNLElBQUksb0NBQTJCLENBQUMsbUJBQW1CLE9BQU8sQ0FBQyxTQUFTLEVBQUUsQ0FBQyxDQUFDO2FBQy9FO1lBQ0QsSUFBSTtnQkFDRixPQUFPLE9BQU8sQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLENBQUM7YUFDbEM7b0JBQVM7Z0JBQ1IsWUFBWSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQzthQUNqQztTQUNGO1FBQ0QsS0FBSyxPQUFPO1lBQ1YsWUFBWSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztZQUNoQyxPQUFPO0tBQ1Y7QUFDSCxDQUFDLENBQUE7QUFFRCwyQkFBVSxDQUFDLEVBQUUsQ0FBQyxTQUFTLEVBQUUsQ0FBQyxPQUFvQixFQUFFLEVBQUU7SUFDaEQsSUFBSTtRQUNGLE1BQU0sR0FBRyxHQUFHLGFBQWEsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNuQyxNQUFNLElBQUksR0FBRyxHQUFHLElBQUksNkJBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUN4QywyQkFBVSxDQUFDLFdBQVcsQ0FBQyxFQUFDLFNBQVMsRUFBRSxPQUFPLENBQUMsU0FBUyxFQUFFLElBQUksRUFBaUIsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQztLQUN6RztJQUFDLE9BQU8sQ0FBQyxFQUFFO1FBQ1YsTUFBTSxJQUFJLEdBQUcsT0FBTyxDQUFDLENBQUMsSUFBSSxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO1FBQ3hELDJCQUFVLENBQUMsV0FBVyxDQUFDLEVBQUMsU0FBUyxFQUFFLE9BQU8sQ0FBQyxTQUFTLEVBQUUsS0FBSyxFQUFFLEVBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxPQUFPLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsSUFBSSxFQUFDLEVBQWlCLENBQUMsQ0FBQztLQUN6SDtBQUNILENBQUMsQ0FBQyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgcGFyZW50UG9ydCB9IGZyb20gJ3dvcmtlcl90aHJlYWRzJztcbmltcG9ydCB7IEJ1ZmZlciB9IGZyb20gJ2J1ZmZlcidcbmltcG9ydCBTcGVleFJlc2FtcGxlciBmcm9tICcuL3Jlc2FtcGxlcic7XG5pbXBvcnQgeyBTcGVleFJlc2FtcGxlckJhZFN0YXRlRXJyb3IgfSBmcm9tICcuL2Vycm9ycyc7XG5pbXBvcnQgeyBCWVRFU19QRVJfU0FNUExFLCBhbGlnbkNodW5rIH0gZnJvbSAnLi9mb3JtYXRzJztcbmltcG9ydCB7IFBvb2xSZXF1ZXN0LCBQb29sUmVzcG9uc2UsIFJlc2FtcGxlclBvb2xKb2JPcHRpb25zLCB0b1RyYW5zZmVyYWJsZSB9IGZyb20gJy4vcG9vbFByb3RvY29sJztcblxuLy8gRWFjaCB3b3JrZXIgaGFzIGl0cyBvd24gV0FTTSBtb2R1bGUgaW5zdGFuY2UsIHRoZSBtYWluIHRocmVhZCBvbmUgaXMgbm90IHNoYXJlZFxuU3BlZXhSZXNhbXBsZXIuaW5pdFN5bmMoKTtcblxuaW50ZXJmYWNlIFNlc3Npb24ge1xuICByZXNhbXBsZXI6IFNwZWV4UmVzYW1wbGVyO1xuICBhbGlnbmVtZW50QnVmZmVyOiBCdWZmZXI7XG59XG5cbmNvbnN0IHNlc3Npb25zID0gbmV3IE1hcDxudW1iZXIsIFNlc3Npb24+KCk7XG5cbmNvbnN0IGNyZWF0ZVJlc2FtcGxlciA9IChvcHRpb25zOiBSZXNhbXBsZXJQb29sSm9iT3B0aW9ucykgPT4gbmV3IFNwZWV4UmVzYW1wbGVyKFxuICBvcHRpb25zLmNoYW5uZWxzLFxuICBvcHRpb25zLmluUmF0ZSxcbiAgb3B0aW9ucy5vdXRSYXRlLFxuICBvcHRpb25zLnF1YWxpdHksXG4gIG9wdGlvbnMsXG4pO1xuXG5jb25zdCBwcm9jZXNzQWxpZ25lZCA9IChzZXNzaW9uOiBTZXNzaW9uLCBkYXRhOiBCdWZmZXIpID0+IHtcbiAgY29uc3Qge3Jlc2FtcGxlcn0gPSBzZXNzaW9uO1xuICBjb25zdCBbY2h1bmtUb1Byb2Nlc3MsIHJlbWFpbmRlcl0gPSBhbGlnbkNodW5rKHNlc3Npb24uYWxpZ25lbWVudEJ1ZmZlciwgZGF0YSwgcmVzYW1wbGVyLmNoYW5uZWxzICogQllURVNfUEVSX1NBTVBMRVtyZXNhbXBsZXIuaW5Gb3JtYXRdKTtcbiAgc2Vzc2lvbi5hbGlnbmVtZW50QnVmZmVyID0gcmVtYWluZGVyO1xuICByZXR1cm4gcmVzYW1wbGVyLnByb2Nlc3NDaHVuayhjaHVua1RvUHJvY2Vzcyk7XG59XG5cbmNvbnN0IGNsb3NlU2Vzc2lvbiA9IChzZXNzaW9uSWQ6IG51bWJlcikgPT4ge1xuICBjb25zdCBzZXNzaW9uID0gc2Vzc2lvbnMuZ2V0KHNlc3Npb25JZCk7XG4gIGlmIChzZXNzaW9uKSB7XG4gICAgc2Vzc2lvbi5yZXNhbXBsZXIuZGVzdHJveSgpO1xuICAgIHNlc3Npb25zLmRlbGV0ZShzZXNzaW9uSWQpO1xuICB9XG59XG5cbmNvbnN0IGhhbmRsZVJlcXVlc3QgPSAocmVxdWVzdDogUG9vbFJlcXVlc3QpOiBCdWZmZXIgfCB1bmRlZmluZWQgPT4ge1xuICBzd2l0Y2ggKHJlcXVlc3QudHlwZSkge1xuICAgIGNhc2UgJ3Jlc2FtcGxlJzoge1xuICAgICAgY29uc3QgcmVzYW1wbGVyID0gY3JlYXRlUmVzYW1wbGVyKHJlcXVlc3Qub3B0aW9ucyk7XG4gICAgICB0cnkge1xuICAgICAgICBjb25zdCBkYXRhID0gQnVmZmVyLmZyb20ocmVxdWVzdC5kYXRhLmJ1ZmZlciwgcmVxdWVzdC5kYXRhLmJ5dGVPZmZzZXQsIHJlcXVlc3QuZGF0YS5ieXRlTGVuZ3RoKTtcbiAgICAgICAgcmV0dXJuIEJ1ZmZlci5jb25jYXQoW3Jlc2FtcGxlci5wcm9jZXNzQ2h1bmsoZGF0YSksIHJlc2FtcGxlci5mbHVzaCgpXSk7XG4gICAgICB9IGZpbmFsbHkge1xuICAgICAgICByZXNhbXBsZXIuZGVzdHJveSgpO1xuICAgICAgfVxuICAgIH1cbiAgICBjYXNlICdvcGVuJzpcbiAgICAgIHNlc3Npb25zLnNldChyZXF1ZXN0LnNlc3Npb25JZCwge3Jlc2FtcGxlcjogY3JlYXRlUmVzYW1wbGVyKHJlcXVlc3Qub3B0aW9ucyksIGFsaWduZW1lbnRCdWZmZXI6IEJ1ZmZlci5hbGxvYygwKX0pO1xuICAgICAgcmV0dXJuO1xuICAgIGNhc2UgJ3Byb2Nlc3MnOiB7XG4gICAgICBjb25zdCBzZXNzaW9uID0gc2Vzc2lvbnMuZ2V0KHJlcXVlc3Quc2Vzc2lvbklkKTtcbiAgICAgIGlmICghc2Vzc2lvbikge1xuICAgICAgICB0aHJvdyBuZXcgU3BlZXhSZXNhbXBsZXJCYWRTdGF0ZUVycm9yKGBVbmtub3duIHNlc3Npb24gJHtyZXF1ZXN0LnNlc3Npb25JZH1gKTtcbiAgICAgIH1cbiAgICAgIHJldHVybiBwcm9jZXNzQWxpZ25lZChzZXNzaW9uLCBCdWZmZXIuZnJvbShyZXF1ZXN0LmRhdGEuYnVmZmVyLCByZXF1ZXN0LmRhdGEuYnl0ZU9mZnNldCwgcmVxdWVzdC5kYXRhLmJ5dGVMZW5ndGgpKTtcbiAgICB9XG4gICAgY2FzZSAnZmx1c2gnOiB7XG4gICAgICBjb25zdCBzZXNzaW9uID0gc2Vzc2lvbnMuZ2V0KHJlcXVlc3Quc2Vzc2lvbklkKTtcbiAgICAgIGlmICghc2Vzc2lvbikge1xuICAgICAgICB0aHJvdyBuZXcgU3BlZXhSZXNhbXBsZXJCYWRTdGF0ZUVycm9yKGBVbmtub3duIHNlc3Npb24gJHtyZXF1ZXN0LnNlc3Npb25JZH1gKTtcbiAgICAgIH1cbiAgICAgIHRyeSB7XG4gICAgICAgIHJldHVybiBzZXNzaW9uLnJlc2FtcGxlci5mbHVzaCgpO1xuICAgICAgfSBmaW5hbGx5IHtcbiAgICAgICAgY2xvc2VTZXNzaW9uKHJlcXVlc3Quc2Vzc2lvbklkKTtcbiAgICAgIH1cbiAgICB9XG4gICAgY2FzZSAnY2xvc2UnOlxuICAgICAgY2xvc2VTZXNzaW9uKHJlcXVlc3Quc2Vzc2lvbklkKTtcbiAgICAgIHJldHVybjtcbiAgfVxufVxuXG5wYXJlbnRQb3J0Lm9uKCdtZXNzYWdlJywgKHJlcXVlc3Q6IFBvb2xSZXF1ZXN0KSA9PiB7XG4gIHRyeSB7XG4gICAgY29uc3QgcmVzID0gaGFuZGxlUmVxdWVzdChyZXF1ZXN0KTtcbiAgICBjb25zdCBkYXRhID0gcmVzICYmIHRvVHJhbnNmZXJhYmxlKHJlcyk7XG4gICAgcGFyZW50UG9ydC5wb3N0TWVzc2FnZSh7cmVxdWVzdElkOiByZXF1ZXN0LnJlcXVlc3RJZCwgZGF0YX0gYXMgUG9vbFJlc3BvbnNlLCBkYXRhID8gW2RhdGEuYnVmZmVyXSA6IFtdKTtcbiAgfSBjYXRjaCAoZSkge1xuICAgIGNvbnN0IGNvZGUgPSB0eXBlb2YgZS5jb2RlID09PSAnbnVtYmVyJyA/IGUuY29kZSA6IG51bGw7XG4gICAgcGFyZW50UG9ydC5wb3N0TWVzc2FnZSh7cmVxdWVzdElkOiByZXF1ZXN0LnJlcXVlc3RJZCwgZXJyb3I6IHttZXNzYWdlOiBlLm1lc3NhZ2UsIG5hbWU6IGUubmFtZSwgY29kZX19IGFzIFBvb2xSZXNwb25zZSk7XG4gIH1cbn0pO1xuIl19
\ No newline at end of file
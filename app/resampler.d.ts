@@ -0,0 +1,253 @@
+/// <reference types="node" />
+import { SampleFormat } from './formats';
+import { MixingMatrix } from './channels';
+export { SampleFormat, MixingMatrix };
+export interface SpeexResamplerOptions {
+    /** sample format of the input and output chunks, default to float32 */
+    format?: SampleFormat;
+    /** sample format of the input chunks, overrides `format` */
+    inFormat?: SampleFormat;
+    /** sample format of the output chunks, overrides `format` */
+    outFormat?: SampleFormat;
+    /** skip the leading filter delay so that the output is aligned with the input timeline, default to false */
+    compensateLatency?: boolean;
+    /**
+      * processChunk returns a view on memory owned by the resampler instead of a new Buffer, default to false
+      * the view is only valid until the next call to the resampler
+      */
+    returnView?: boolean;
+    /** number of channels of the output, default to the number of input channels, see defaultMixingMatrix for the mixing used */
+    outChannels?: number;
+    /** for each output channel, the index of the input channel it is copied from or -1 for silence, overrides outChannels */
+    channelMap?: number[];
+    /** gains applied to the input channels to get each output channel, `mixingMatrix[outChannel][inChannel]`, overrides channelMap */
+    mixingMatrix?: MixingMatrix;
+}
+export declare const EMPTY_BUFFER: Buffer;
+export declare const MAX_RATIO_DENOMINATOR = 65535;
+/**
+  * Closest fraction to `value` with a denominator up to `maxDenominator`, computed with continued fractions
+  * @returns numerator and denominator
+  */
+export declare const approximateRatio: (value: number, maxDenominator?: number) => [number, number];
+export declare class SpeexResampler {
+    channels: any;
+    inRate: any;
+    outRate: any;
+    quality: number;
+    _resamplerPtr: number;
+    _inBufferPtr: number;
+    _inBufferSize: number;
+    _outBufferPtr: number;
+    _outBufferSize: number;
+    _inLengthPtr: number;
+    _outLengthPtr: number;
+    _ratioNum: number;
+    _ratioDen: number;
+    _inFramesCount: number;
+    _outFramesCount: number;
+    _expectedOutFramesCount: number;
+    _latencyShift: number;
+    _destroyed: boolean;
+    inFormat: SampleFormat;
+    outFormat: SampleFormat;
+    compensateLatency: boolean;
+    returnView: boolean;
+    _outViewBuffer: Buffer;
+    outChannels: number;
+    _mixingMatrix: MixingMatrix | null;
+    _mixBeforeResampling: boolean;
+    _resamplerChannels: number;
+    _mixBuffer: Float32Array;
+    /**
+      * Resolved once the WASM module has been compiled, the compilation starts the first time it is accessed
+      */
+    static get initPromise(): Promise<any>;
+    /**
+      * Compile and instantiate the WASM module synchronously, after this the resampler can be used without waiting for initPromise.
+      * Browsers limit the size of modules compiled synchronously on the main thread, prefer initPromise there.
+      */
+    static initSync(): void;
+    /**
+      * Wait for the WASM module to be ready and create a SpeexResampler, see constructor for the arguments
+      */
+    static create(channels: number, inRate: number, outRate: number, quality?: number, options?: SpeexResamplerOptions): Promise<SpeexResampler>;
+    /**
+      * Create a resampler with an arbitrary input to output ratio, for example to correct a clock drift from the start
+      * @param ratioNum numerator of the input to output ratio
+      * @param ratioDen denominator of the input to output ratio
+      * @param inRate nominal frequency in Hz for the input chunk, used for the positions and the flush
+      * @param outRate nominal frequency in Hz for the target chunk, used for the positions and the flush
+      * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+      * @param options see constructor
+      */
+    static fromRatio(channels: number, ratioNum: number, ratioDen: number, inRate: number, outRate: number, quality?: number, options?: SpeexResamplerOptions): SpeexResampler;
+    /**
+      * Create an SpeexResampler tranform stream.
+      * @param channels Number of channels, minimum is 1, no maximum
+      * @param inRate frequency in Hz for the input chunk
+      * @param outRate frequency in Hz for the target chunk
+      * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+      * @param options sample formats of the input and output chunks (default to float32), latency compensation and channels mixing
+      */
+    constructor(channels: any, inRate: any, outRate: any, quality?: number, options?: SpeexResamplerOptions);
+    _initMixing(options: SpeexResamplerOptions): void;
+    get _mixAfterResampling(): boolean;
+    _mixBufferOf(samplesCount: number): Float32Array;
+    _assertNotDestroyed(): void;
+    _initResampler(): void;
+    _registerAllocations(): void;
+    /**
+      * Release all the WASM memory used by this resampler, calling any method after this will throw.
+      * Calling it multiple times is a no-op.
+      */
+    destroy(): void;
+    /**
+      * Change the input and output rates without resetting the filter, can be used in the middle of a stream
+      * @param inRate frequency in Hz for the input chunk
+      * @param outRate frequency in Hz for the target chunk
+      */
+    setRate(inRate: number, outRate: number): void;
+    /**
+      * Change the resampling ratio to an arbitrary fraction without resetting the filter, can be used in the middle of a stream
+      * to correct a clock drift
+      * @param ratioNum numerator of the input to output ratio
+      * @param ratioDen denominator of the input to output ratio
+      * @param inRate nominal frequency in Hz for the input chunk, only used to choose the filter cutoff
+      * @param outRate nominal frequency in Hz for the target chunk, only used to choose the filter cutoff
+      */
+    setRateFrac(ratioNum: number, ratioDen: number, inRate?: any, outRate?: any): void;
+    _throwOnSetError(errNum: number): void;
+    /**
+      * Input to output ratio used by speex, reduced to its lowest terms
+      */
+    get ratio(): {
+        ratioNum: number;
+        ratioDen: number;
+    };
+    /**
+      * Change the resampling quality without resetting the filter, can be used in the middle of a stream
+      * @param quality number from 1 to 10, 1 is fast but of bad quality, 10 is slow but best quality
+      */
+    setQuality(quality: number): void;
+    /**
+      * Number of input frames (samples per channel) the resampler needs before the matching output is produced
+      */
+    get inputLatency(): number;
+    /**
+      * Number of output frames (samples per channel) of delay added by the resampler filter,
+      * this delay is removed from the output when `compensateLatency` is set
+      */
+    get outputLatency(): number;
+    get _streamLatency(): number;
+    /**
+      * Number of input frames (samples per channel) consumed since the resampler was created, the silence pushed by flush is not counted
+      */
+    get inputFramesConsumed(): number;
+    /**
+      * Number of output frames (samples per channel) returned since the resampler was created
+      */
+    get outputFramesProduced(): number;
+    /**
+      * Position in the output stream of the input frame at `position`, the filter latency is included unless `compensateLatency` is set.
+      * Computed from the frames resampled until now so it follows the rate changes, positions far from the current one
+      * use the current ratio.
+      * @param position index of a frame (sample per channel) in the input stream
+      * @returns index of the matching frame in the output stream, can be fractional
+      */
+    inputPositionToOutput(position: number): number;
+    /**
+      * Position in the input stream of the output frame at `position`, inverse of inputPositionToOutput
+      * @param position index of a frame (sample per channel) in the output stream
+      * @returns index of the matching frame in the input stream, can be fractional and negative for the leading filter delay
+      */
+    outputPositionToInput(position: number): number;
+    /**
+      * Resize the input and output buffers in the WASM memory space to match what we need for `inFramesCount` frames,
+      * both buffers are large enough for all the resampled channels, interleaved or one after the other
+      * @returns number of frames per channel available in the output buffer
+      */
+    _resizeBuffers(inFramesCount: number, bytesPerSample: number): number;
+    /**
+      * Maximum number of frames speex can output for `inFramesCount` input frames: one more frame than the ratio gives
+      * as the filter phase can be ahead of the ratio after a rate change, and the input frames kept by speex when
+      * setQuality shortened the filter (its "magic samples") are resampled before the new input
+      */
+    _maxOutFramesCount(inFramesCount: number): number;
+    _countFrames(inFramesCount: number, outFramesCount: number): void;
+    get _useIntPath(): boolean;
+    get _wasmBytesPerSample(): number;
+    get _isOutputNative(): boolean;
+    _assertChunkAligned(chunk: ArrayBufferView): void;
+    /**
+      * Resample interleaved input, the result is left in the WASM output buffer in the WASM sample format
+      * @returns number of frames written in the output buffer
+      */
+    _processInterleaved(chunk: Uint8Array): any;
+    /**
+      * Float samples of the last resampled frames with the output channels, mixed if needed after resampling.
+      * Only valid until the next call to the resampler.
+      */
+    _resampledSamples(outFramesCount: number): Float32Array;
+    /**
+      * Resample a chunk of audio.
+      * @param chunk interleaved PCM data in the input sample format, can be a Buffer or any typed array
+      * @returns interleaved PCM data in the output sample format, a view valid until the next call if `returnView` is set
+      */
+    processChunk(chunk: ArrayBufferView): Buffer;
+    /**
+      * Resample a chunk of audio into an array you own instead of allocating a new Buffer for the output.
+      * @param chunk interleaved PCM data in the input sample format, can be a Buffer or any typed array
+      * @param output Buffer or typed array receiving the interleaved PCM data in the output sample format, it needs
+      *               to be large enough for (ceil(input frames * outRate / inRate) + 1) frames, more right after setQuality
+      *               lowered the quality
+      * @returns number of frames (samples per channel) written in `output`
+      */
+    processInto(chunk: ArrayBufferView, output: ArrayBufferView): any;
+    /**
+      * Push silence through the resampler until the total output matches the input duration, plus the leading filter delay
+      * when it is not compensated so that the end of the input is not cut off.
+      * @param processSilence resample `inFramesCount` frames of silence and keep at most `maxOutFramesCount` frames, returns the number of frames kept
+      */
+    _drainTail(processSilence: (inFramesCount: number, maxOutFramesCount: number) => number): void;
+    /**
+      * Drain the samples still kept in the resampler filter at the end of the stream.
+      * Silence is pushed through the resampler until the total output matches the input duration plus `outputLatency`
+      * (only the input duration with `compensateLatency`), after this call, the resampler shouldn't be used for the same stream anymore.
+      * @returns interleaved PCM data in the output sample format
+      */
+    flush(): Buffer;
+    /**
+      * Clear the filter history and the positions to start a new stream, for example after a seek, without reallocating
+      * the WASM memory. The rates, ratio and quality are kept.
+      */
+    reset(): void;
+    _resetMem(): void;
+    /**
+      * Capture the state of the resampler: rates, ratio, quality, positions and filter history.
+      * The snapshot is an opaque buffer that can be stored or sent to another worker or process and given to restore
+      * to continue the stream with an identical output.
+      */
+    snapshot(): Buffer;
+    /**
+      * Continue the stream captured by snapshot, the resampler needs to be created with the same number of channels
+      * and mixing options. The rates, ratio and quality of the snapshot replace the current ones.
+      * @param snapshot buffer returned by snapshot, possibly by another instance in another worker or process
+      */
+    restore(snapshot: ArrayBuffer | ArrayBufferView): void;
+    /**
+      * Resample non-interleaved audio, one Float32Array per channel.
+      * Planar data is always in float32, the input and output formats are only used by processChunk.
+      * @param input one Float32Array per input channel, all with the same length
+      * @param output optional Float32Array per output channel to write the resampled audio into, they need to be large enough
+      *               for the resampled audio (ceil(input length * outRate / inRate) + 1, more right after setQuality lowered the quality)
+      * @returns one Float32Array per output channel with the resampled audio, views on `output` if provided
+      */
+    processPlanar(input: Float32Array[], output?: Float32Array[]): Float32Array[];
+    /**
+      * Drain the samples still kept in the resampler filter at the end of a planar stream, see flush
+      * @returns one Float32Array per output channel with the end of the resampled audio
+      */
+    flushPlanar(): Float32Array[];
+}
+export default SpeexResampler;
@@ -0,0 +1,878 @@
+"use strict";
+/// <reference types="emscripten" />
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SpeexResampler = exports.approximateRatio = exports.MAX_RATIO_DENOMINATOR = exports.EMPTY_BUFFER = void 0;
+const speex_wasm_1 = __importDefault(require("./speex_wasm"));
+const speex_wasm_binary_1 = __importDefault(require("./speex_wasm_binary"));
+const buffer_1 = require("buffer");
+const formats_1 = require("./formats");
+const errors_1 = require("./errors");
+const channels_1 = require("./channels");
+let speexModule;
+exports.EMPTY_BUFFER = buffer_1.Buffer.alloc(0);
+const MAX_FLUSH_ITERATIONS = 4;
+// The WASM binary is embedded as base64 in its own module and instantiated by us instead of the emscripten glue code
+// so that the same build works in NodeJS, browsers, workers and AudioWorklets (which have no fetch or atob)
+// and so that it can be compiled synchronously with initSync
+const instantiateWasmAsync = (imports, successCallback) => {
+    WebAssembly.instantiate(buffer_1.Buffer.from(speex_wasm_binary_1.default, 'base64'), imports)
+        .then(({ instance, module }) => successCallback(instance, module));
+    // empty exports tells emscripten that the instantiation is asynchronous
+    return {};
+};
+const instantiateWasmSync = (imports, successCallback) => {
+    const module = new WebAssembly.Module(buffer_1.Buffer.from(speex_wasm_binary_1.default, 'base64'));
+    const instance = new WebAssembly.Instance(module, imports);
+    successCallback(instance, module);
+    return instance.exports;
+};
+let globalModulePromise;
+// the async instantiation is only started when initPromise is first used so that the pool workers and worklets which
+// call initSync don't instantiate the module twice, if initSync is called while it is pending we keep the first module
+// as resamplers already created are using its memory
+const loadModule = () => {
+    if (!globalModulePromise) {
+        globalModulePromise = speexModule ? Promise.resolve(speexModule) : speex_wasm_1.default({ instantiateWasm: instantiateWasmAsync }).then((s) => {
+            speexModule = speexModule || s;
+            return speexModule;
+        });
+    }
+    return globalModulePromise;
+};
+const toUint8Array = (view) => (view instanceof Uint8Array ? view : new Uint8Array(view.buffer, view.byteOffset, view.byteLength));
+const throwOnError = (errNum) => {
+    if (errNum !== errors_1.RESAMPLER_ERR_SUCCESS) {
+        throw errors_1.errorFromCode(errNum, speexModule.AsciiToString(speexModule._speex_resampler_strerror(errNum)));
+    }
+};
+// speex uses unsigned 32 bits integers for the channels, rates and ratio
+const MAX_UINT32 = 0xFFFFFFFF;
+const MAX_QUALITY = 10;
+const assertPositiveInteger = (name, value) => {
+    if (!Number.isInteger(value) || value <= 0 || value > MAX_UINT32) {
+        throw new errors_1.SpeexResamplerInvalidArgError(`${name} should be a positive integer, got ${value}`);
+    }
+};
+// speex multiplies the fractional position of its filter (lower than the old ratio denominator) by the new denominator
+// when the ratio changes, both denominators need to be small enough for this to fit in an unsigned 32 bits integer
+exports.MAX_RATIO_DENOMINATOR = 0xFFFF;
+/**
+  * Closest fraction to `value` with a denominator up to `maxDenominator`, computed with continued fractions
+  * @returns numerator and denominator
+  */
+exports.approximateRatio = (value, maxDenominator = exports.MAX_RATIO_DENOMINATOR) => {
+    if (!(value > 0) || !Number.isFinite(value)) {
+        throw new errors_1.SpeexResamplerInvalidArgError(`Ratio should be a positive number, got ${value}`);
+    }
+    // previous and current convergents
+    let [prevNum, num, prevDen, den] = [0, 1, 1, 0];
+    let remainder = value;
+    for (;;) {
+        const integerPart = Math.floor(remainder);
+        const nextNum = integerPart * num + prevNum;
+        const nextDen = integerPart * den + prevDen;
+        if (nextDen > maxDenominator || nextNum > MAX_UINT32) {
+            break;
+        }
+        [prevNum, num, prevDen, den] = [num, nextNum, den, nextDen];
+        if (remainder - integerPart < 1e-12) {
+            break;
+        }
+        remainder = 1 / (remainder - integerPart);
+    }
+    if (num === 0 || den === 0) {
+        throw new errors_1.SpeexResamplerInvalidArgError(`Ratio ${value} cannot be represented with a denominator up to ${maxDenominator}`);
+    }
+    return [num, den];
+};
+const assertQuality = (quality) => {
+    if (!Number.isInteger(quality) || quality < 0 || quality > MAX_QUALITY) {
+        throw new errors_1.SpeexResamplerInvalidArgError(`quality should be an integer between 0 and ${MAX_QUALITY}, got ${quality}`);
+    }
+};
+// offsets in 32 bits words of the SpeexResamplerState_ fields of deps/speex/resample.c read by the resampler or
+// saved in the snapshots, every field of the struct is 4 bytes long in wasm32
+const STATE_IN_RATE = 0;
+const STATE_OUT_RATE = 1;
+const STATE_NUM_RATE = 2;
+const STATE_DEN_RATE = 3;
+const STATE_QUALITY = 4;
+const STATE_FILT_LEN = 6;
+const STATE_MEM_ALLOC_SIZE = 7;
+const STATE_STARTED = 14;
+const STATE_LAST_SAMPLE = 15;
+const STATE_SAMP_FRAC_NUM = 16;
+const STATE_MAGIC_SAMPLES = 17;
+const STATE_MEM = 18;
+// "SPXR" in little endian, followed by the version of the snapshot layout
+const SNAPSHOT_MAGIC = 0x52585053;
+const SNAPSHOT_VERSION = 1;
+// magic, version, channels, filter length, ratio, rates, quality and started flag as uint32 then the frames counts
+// and the latency shift as float64
+const SNAPSHOT_COUNTS_OFFSET = 10 * 4;
+const SNAPSHOT_HEADER_LENGTH = SNAPSHOT_COUNTS_OFFSET + 4 * 8;
+// last sample, fractional position and magic samples count of each channel
+const SNAPSHOT_CHANNEL_LENGTH = 3 * 4;
+const releaseAllocations = ({ resamplerPtr, pointers }) => {
+    speexModule._speex_resampler_destroy(resamplerPtr);
+    pointers.filter((ptr) => ptr !== -1).forEach((ptr) => speexModule._free(ptr));
+};
+// Safety net releasing the WASM memory of resamplers garbage collected without calling destroy()
+// FinalizationRegistry is not available on older runtimes, in this case destroy() needs to be called explicitly
+const FinalizationRegistryImpl = globalThis.FinalizationRegistry;
+const finalizationRegistry = FinalizationRegistryImpl ? new FinalizationRegistryImpl(releaseAllocations) : null;
+// Symbol.dispose is used by the `using` declarations and is not available on every runtime yet
+const disposeSymbol = Symbol.dispose || Symbol.for('Symbol.dispose');
+class SpeexResampler {
+    /**
+      * Create an SpeexResampler tranform stream.
+      * @param channels Number of channels, minimum is 1, no maximum
+      * @param inRate frequency in Hz for the input chunk
+      * @param outRate frequency in Hz for the target chunk
+      * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+      * @param options sample formats of the input and output chunks (default to float32), latency compensation and channels mixing
+      */
+    constructor(channels, inRate, outRate, quality = 7, options = {}) {
+        this.channels = channels;
+        this.inRate = inRate;
+        this.outRate = outRate;
+        this.quality = quality;
+        this._inBufferPtr = -1;
+        this._inBufferSize = -1;
+        this._outBufferPtr = -1;
+        this._outBufferSize = -1;
+        this._inLengthPtr = -1;
+        this._outLengthPtr = -1;
+        // number of frames (samples per channel) consumed and returned by the resampler, used to compute how much is left to flush
+        // and to convert positions between the input and output streams
+        this._inFramesCount = 0;
+        this._outFramesCount = 0;
+        // frames that should have been returned for the input given until now, not rounded as the ratio can change between chunks
+        this._expectedOutFramesCount = 0;
+        // speex keeps the delay of the stream when setQuality changes the filter length in the middle of a stream, this is
+        // the difference between this delay and outputLatency, in output frames
+        this._latencyShift = 0;
+        this._destroyed = false;
+        // reused to return converted samples when returnView is set
+        this._outViewBuffer = exports.EMPTY_BUFFER;
+        // interleaved float samples before or after mixing
+        this._mixBuffer = new Float32Array(0);
+        assertPositiveInteger('channels', channels);
+        assertPositiveInteger('inRate', inRate);
+        assertPositiveInteger('outRate', outRate);
+        assertQuality(quality);
+        this.inFormat = formats_1.assertSampleFormat(options.inFormat || options.format || 'float32');
+        this.outFormat = formats_1.assertSampleFormat(options.outFormat || options.format || 'float32');
+        this.compensateLatency = !!options.compensateLatency;
+        this.returnView = !!options.returnView;
+        this._ratioNum = inRate;
+        this._ratioDen = outRate;
+        this._initMixing(options);
+    }
+    /**
+      * Resolved once the WASM module has been compiled, the compilation starts the first time it is accessed
+      */
+    static get initPromise() {
+        return loadModule();
+    }
+    /**
+      * Compile and instantiate the WASM module synchronously, after this the resampler can be used without waiting for initPromise.
+      * Browsers limit the size of modules compiled synchronously on the main thread, prefer initPromise there.
+      */
+    static initSync() {
+        if (speexModule) {
+            return;
+        }
+        const moduleArg = { instantiateWasm: instantiateWasmSync };
+        // the promise is resolved asynchronously but the exports and memory views are set on moduleArg as soon as the
+        // synchronous instantiation calls back, the only step left is running the static constructors and there are none
+        speex_wasm_1.default(moduleArg);
+        if (!moduleArg._speex_resampler_init || !moduleArg.HEAPU8) {
+            throw new errors_1.SpeexResamplerError('Could not initialize the WASM module synchronously');
+        }
+        speexModule = moduleArg;
+    }
+    /**
+      * Wait for the WASM module to be ready and create a SpeexResampler, see constructor for the arguments
+      */
+    static async create(channels, inRate, outRate, quality = 7, options = {}) {
+        await SpeexResampler.initPromise;
+        return new SpeexResampler(channels, inRate, outRate, quality, options);
+    }
+    /**
+      * Create a resampler with an arbitrary input to output ratio, for example to correct a clock drift from the start
+      * @param ratioNum numerator of the input to output ratio
+      * @param ratioDen denominator of the input to output ratio
+      * @param inRate nominal frequency in Hz for the input chunk, used for the positions and the flush
+      * @param outRate nominal frequency in Hz for the target chunk, used for the positions and the flush
+      * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+      * @param options see constructor
+      */
+    static fromRatio(channels, ratioNum, ratioDen, inRate, outRate, quality = 7, options = {}) {
+        const resampler = new SpeexResampler(channels, inRate, outRate, quality, options);
+        // the speex resampler is created lazily with speex_resampler_init_frac and this ratio
+        resampler.setRateFrac(ratioNum, ratioDen, inRate, outRate);
+        return resampler;
+    }
+    _initMixing(options) {
+        let matrix;
+        if (options.mixingMatrix) {
+            matrix = channels_1.assertMixingMatrix(options.mixingMatrix, this.channels);
+        }
+        else if (options.channelMap) {
+            matrix = channels_1.channelMapToMatrix(options.channelMap, this.channels);
+        }
+        else {
+            matrix = channels_1.defaultMixingMatrix(this.channels, options.outChannels || this.channels);
+        }
+        if (options.outChannels && options.outChannels !== matrix.length) {
+            throw new errors_1.SpeexResamplerInvalidArgError(`outChannels is ${options.outChannels} but the mixing gives ${matrix.length} channels`);
+        }
+        this.outChannels = matrix.length;
+        this._mixingMatrix = channels_1.isIdentityMatrix(matrix) ? null : matrix;
+        // when downmixing, the dropped channels are never resampled, when upmixing, the copies are made after resampling
+        // with the same number of channels, the mixing is done on the side with fewer frames
+        this._mixBeforeResampling = !!this._mixingMatrix && (this.outChannels < this.channels || (this.outChannels === this.channels && this.inRate <= this.outRate));
+        this._resamplerChannels = this._mixBeforeResampling ? this.outChannels : this.channels;
+    }
+    get _mixAfterResampling() {
+        return !!this._mixingMatrix && !this._mixBeforeResampling;
+    }
+    _mixBufferOf(samplesCount) {
+        if (this._mixBuffer.length < samplesCount) {
+            this._mixBuffer = new Float32Array(samplesCount);
+        }
+        return this._mixBuffer.subarray(0, samplesCount);
+    }
+    _assertNotDestroyed() {
+        if (this._destroyed) {
+            throw new errors_1.SpeexResamplerBadStateError('This SpeexResampler has been destroyed and cannot be used anymore');
+        }
+    }
+    _initResampler() {
+        this._assertNotDestroyed();
+        if (!speexModule) {
+            throw new errors_1.SpeexResamplerBadStateError('You need to wait for SpeexResampler.initPromise or call SpeexResampler.initSync before calling this method');
+        }
+        if (this._resamplerPtr) {
+            return;
+        }
+        const errPtr = speexModule._malloc(4);
+        // the ratio is inRate / outRate unless set with fromRatio or setRateFrac before the first chunk
+        this._resamplerPtr = speexModule._speex_resampler_init_frac(this._resamplerChannels, this._ratioNum, this._ratioDen, this.inRate, this.outRate, this.quality, errPtr);
+        const errNum = speexModule.getValue(errPtr, 'i32');
+        speexModule._free(errPtr);
+        throwOnError(errNum);
+        this._inLengthPtr = speexModule._malloc(Uint32Array.BYTES_PER_ELEMENT);
+        this._outLengthPtr = speexModule._malloc(Uint32Array.BYTES_PER_ELEMENT);
+        this._registerAllocations();
+        if (this.compensateLatency) {
+            // the filter starts with its history filled with zeros, skipping them removes the leading delay from the output
+            speexModule._speex_resampler_skip_zeros(this._resamplerPtr);
+        }
+    }
+    _registerAllocations() {
+        if (!finalizationRegistry) {
+            return;
+        }
+        // the held value cannot reference this instance so we register a new copy of the pointers every time they change
+        finalizationRegistry.unregister(this);
+        finalizationRegistry.register(this, {
+            resamplerPtr: this._resamplerPtr,
+            pointers: [this._inLengthPtr, this._outLengthPtr, this._inBufferPtr, this._outBufferPtr],
+        }, this);
+    }
+    /**
+      * Release all the WASM memory used by this resampler, calling any method after this will throw.
+      * Calling it multiple times is a no-op.
+      */
+    destroy() {
+        if (this._destroyed) {
+            return;
+        }
+        this._destroyed = true;
+        if (!this._resamplerPtr) {
+            return;
+        }
+        if (finalizationRegistry) {
+            finalizationRegistry.unregister(this);
+        }
+        releaseAllocations({
+            resamplerPtr: this._resamplerPtr,
+            pointers: [this._inLengthPtr, this._outLengthPtr, this._inBufferPtr, this._outBufferPtr],
+        });
+        this._resamplerPtr = 0;
+        this._inLengthPtr = -1;
+        this._outLengthPtr = -1;
+        this._inBufferPtr = -1;
+        this._inBufferSize = -1;
+        this._outBufferPtr = -1;
+        this._outBufferSize = -1;
+    }
+    [disposeSymbol]() {
+        this.destroy();
+    }
+    /**
+      * Change the input and output rates without resetting the filter, can be used in the middle of a stream
+      * @param inRate frequency in Hz for the input chunk
+      * @param outRate frequency in Hz for the target chunk
+      */
+    setRate(inRate, outRate) {
+        this._assertNotDestroyed();
+        assertPositiveInteger('inRate', inRate);
+        assertPositiveInteger('outRate', outRate);
+        if (this._resamplerPtr) {
+            this._throwOnSetError(speexModule._speex_resampler_set_rate(this._resamplerPtr, inRate, outRate));
+        }
+        this.inRate = inRate;
+        this.outRate = outRate;
+        this._ratioNum = inRate;
+        this._ratioDen = outRate;
+    }
+    /**
+      * Change the resampling ratio to an arbitrary fraction without resetting the filter, can be used in the middle of a stream
+      * to correct a clock drift
+      * @param ratioNum numerator of the input to output ratio
+      * @param ratioDen denominator of the input to output ratio
+      * @param inRate nominal frequency in Hz for the input chunk, only used to choose the filter cutoff
+      * @param outRate nominal frequency in Hz for the target chunk, only used to choose the filter cutoff
+      */
+    setRateFrac(ratioNum, ratioDen, inRate = this.inRate, outRate = this.outRate) {
+        this._assertNotDestroyed();
+        assertPositiveInteger('ratioNum', ratioNum);
+        assertPositiveInteger('ratioDen', ratioDen);
+        assertPositiveInteger('inRate', inRate);
+        assertPositiveInteger('outRate', outRate);
+        if (this._resamplerPtr) {
+            this._throwOnSetError(speexModule._speex_resampler_set_rate_frac(this._resamplerPtr, ratioNum, ratioDen, inRate, outRate));
+        }
+        this.inRate = inRate;
+        this.outRate = outRate;
+        this._ratioNum = ratioNum;
+        this._ratioDen = ratioDen;
+    }
+    // speex can fail after it already changed some of its settings (an overflow while scaling the fractional
+    // position or an allocation failure of the new filter), the fields are read back so that they keep matching it
+    _throwOnSetError(errNum) {
+        if (errNum === errors_1.RESAMPLER_ERR_SUCCESS) {
+            return;
+        }
+        const stateIndex = this._resamplerPtr >> 2;
+        this.inRate = speexModule.HEAPU32[stateIndex + STATE_IN_RATE];
+        this.outRate = speexModule.HEAPU32[stateIndex + STATE_OUT_RATE];
+        this._ratioNum = speexModule.HEAPU32[stateIndex + STATE_NUM_RATE];
+        this._ratioDen = speexModule.HEAPU32[stateIndex + STATE_DEN_RATE];
+        this.quality = speexModule.HEAPU32[stateIndex + STATE_QUALITY];
+        throwOnError(errNum);
+    }
+    /**
+      * Input to output ratio used by speex, reduced to its lowest terms
+      */
+    get ratio() {
+        this._initResampler();
+        // the length pointers are only used while processing so they can receive the ratio
+        speexModule._speex_resampler_get_ratio(this._resamplerPtr, this._inLengthPtr, this._outLengthPtr);
+        return {
+            ratioNum: speexModule.getValue(this._inLengthPtr, 'i32') >>> 0,
+            ratioDen: speexModule.getValue(this._outLengthPtr, 'i32') >>> 0,
+        };
+    }
+    /**
+      * Change the resampling quality without resetting the filter, can be used in the middle of a stream
+      * @param quality number from 1 to 10, 1 is fast but of bad quality, 10 is slow but best quality
+      */
+    setQuality(quality) {
+        this._assertNotDestroyed();
+        assertQuality(quality);
+        if (this._resamplerPtr) {
+            const latency = speexModule._speex_resampler_get_output_latency(this._resamplerPtr);
+            this._throwOnSetError(speexModule._speex_resampler_set_quality(this._resamplerPtr, quality));
+            // before the first chunk, speex clears the filter history instead of keeping the delay
+            if (speexModule.HEAPU32[(this._resamplerPtr >> 2) + STATE_STARTED]) {
+                this._latencyShift += latency - speexModule._speex_resampler_get_output_latency(this._resamplerPtr);
+            }
+        }
+        this.quality = quality;
+    }
+    /**
+      * Number of input frames (samples per channel) the resampler needs before the matching output is produced
+      */
+    get inputLatency() {
+        this._initResampler();
+        return speexModule._speex_resampler_get_input_latency(this._resamplerPtr);
+    }
+    /**
+      * Number of output frames (samples per channel) of delay added by the resampler filter,
+      * this delay is removed from the output when `compensateLatency` is set
+      */
+    get outputLatency() {
+        this._initResampler();
+        return speexModule._speex_resampler_get_output_latency(this._resamplerPtr);
+    }
+    // delay of the output stream in output frames, only the changes of filter length are kept when `compensateLatency` is set
+    get _streamLatency() {
+        return (this.compensateLatency ? 0 : this.outputLatency) + this._latencyShift;
+    }
+    /**
+      * Number of input frames (samples per channel) consumed since the resampler was created, the silence pushed by flush is not counted
+      */
+    get inputFramesConsumed() {
+        return this._inFramesCount;
+    }
+    /**
+      * Number of output frames (samples per channel) returned since the resampler was created
+      */
+    get outputFramesProduced() {
+        return this._outFramesCount;
+    }
+    /**
+      * Position in the output stream of the input frame at `position`, the filter latency is included unless `compensateLatency` is set.
+      * Computed from the frames resampled until now so it follows the rate changes, positions far from the current one
+      * use the current ratio.
+      * @param position index of a frame (sample per channel) in the input stream
+      * @returns index of the matching frame in the output stream, can be fractional
+      */
+    inputPositionToOutput(position) {
+        return this._expectedOutFramesCount + (position - this._inFramesCount) * this._ratioDen / this._ratioNum + this._streamLatency;
+    }
+    /**
+      * Position in the input stream of the output frame at `position`, inverse of inputPositionToOutput
+      * @param position index of a frame (sample per channel) in the output stream
+      * @returns index of the matching frame in the input stream, can be fractional and negative for the leading filter delay
+      */
+    outputPositionToInput(position) {
+        return this._inFramesCount + (position - this._streamLatency - this._expectedOutFramesCount) * this._ratioNum / this._ratioDen;
+    }
+    /**
+      * Resize the input and output buffers in the WASM memory space to match what we need for `inFramesCount` frames,
+      * both buffers are large enough for all the resampled channels, interleaved or one after the other
+      * @returns number of frames per channel available in the output buffer
+      */
+    _resizeBuffers(inFramesCount, bytesPerSample) {
+        const inBufferLengthTarget = inFramesCount * this._resamplerChannels * bytesPerSample;
+        if (this._inBufferSize < inBufferLengthTarget) {
+            if (this._inBufferPtr !== -1) {
+                speexModule._free(this._inBufferPtr);
+            }
+            this._inBufferPtr = speexModule._malloc(inBufferLengthTarget);
+            this._inBufferSize = inBufferLengthTarget;
+            this._registerAllocations();
+        }
+        const outBufferLengthTarget = this._maxOutFramesCount(inFramesCount) * this._resamplerChannels * bytesPerSample;
+        if (this._outBufferSize < outBufferLengthTarget) {
+            if (this._outBufferPtr !== -1) {
+                speexModule._free(this._outBufferPtr);
+            }
+            this._outBufferPtr = speexModule._malloc(outBufferLengthTarget);
+            this._outBufferSize = outBufferLengthTarget;
+            this._registerAllocations();
+        }
+        return Math.floor(this._outBufferSize / this._resamplerChannels / bytesPerSample);
+    }
+    /**
+      * Maximum number of frames speex can output for `inFramesCount` input frames: one more frame than the ratio gives
+      * as the filter phase can be ahead of the ratio after a rate change, and the input frames kept by speex when
+      * setQuality shortened the filter (its "magic samples") are resampled before the new input
+      */
+    _maxOutFramesCount(inFramesCount) {
+        let magicSamplesCount = 0;
+        if (this._resamplerPtr) {
+            const heap = speexModule.HEAPU32;
+            const magicSamplesPtr = heap[(this._resamplerPtr >> 2) + STATE_MAGIC_SAMPLES] >> 2;
+            for (let channel = 0; channel < this._resamplerChannels; channel++) {
+                magicSamplesCount = Math.max(magicSamplesCount, heap[magicSamplesPtr + channel]);
+            }
+        }
+        return Math.ceil((inFramesCount + magicSamplesCount) * this._ratioDen / this._ratioNum) + 1;
+    }
+    _countFrames(inFramesCount, outFramesCount) {
+        this._inFramesCount += inFramesCount;
+        this._outFramesCount += outFramesCount;
+        this._expectedOutFramesCount += inFramesCount * this._ratioDen / this._ratioNum;
+    }
+    // int16 to int16 is handled natively by speex, every other combination is resampled as float32
+    // and converted from/to the requested format when copying from/to the WASM memory space
+    // channels are mixed as float32 so mixing also uses the float32 path
+    get _useIntPath() {
+        return this.inFormat === 'int16' && this.outFormat === 'int16' && !this._mixingMatrix;
+    }
+    get _wasmBytesPerSample() {
+        return this._useIntPath ? Int16Array.BYTES_PER_ELEMENT : Float32Array.BYTES_PER_ELEMENT;
+    }
+    // true when the resampled samples in the WASM output buffer are already in the output format
+    get _isOutputNative() {
+        return !this._mixAfterResampling && (this._useIntPath || this.outFormat === 'float32');
+    }
+    _assertChunkAligned(chunk) {
+        const inBytesPerSample = formats_1.BYTES_PER_SAMPLE[this.inFormat];
+        // We check that we have as many chunks for each channel and that the last chunk is full
+        if (chunk.byteLength % (this.channels * inBytesPerSample) !== 0) {
+            throw new errors_1.SpeexResamplerInvalidArgError(`Chunk length should be a multiple of ${this.channels} channels * ${inBytesPerSample} bytes per ${this.inFormat} sample, got ${chunk.byteLength} bytes`);
+        }
+    }
+    /**
+      * Resample interleaved input, the result is left in the WASM output buffer in the WASM sample format
+      * @returns number of frames written in the output buffer
+      */
+    _processInterleaved(chunk) {
+        const useIntPath = this._useIntPath;
+        const inFramesCount = chunk.length / formats_1.BYTES_PER_SAMPLE[this.inFormat] / this.channels;
+        const outBufferFramesCount = this._resizeBuffers(inFramesCount, this._wasmBytesPerSample);
+        // number of samples per channel in input buffer
+        speexModule.setValue(this._inLengthPtr, inFramesCount, 'i32');
+        // Copying the info from the input Buffer in the WASM memory space
+        const inSamples = speexModule.HEAPF32.subarray(this._inBufferPtr >> 2, (this._inBufferPtr >> 2) + inFramesCount * this._resamplerChannels);
+        if (this._mixBeforeResampling) {
+            const decoded = this._mixBufferOf(inFramesCount * this.channels);
+            formats_1.decodeSamples(chunk, this.inFormat, decoded);
+            channels_1.mixInterleaved(this._mixingMatrix, decoded, inSamples);
+        }
+        else if (useIntPath || this.inFormat === 'float32') {
+            speexModule.HEAPU8.set(chunk, this._inBufferPtr);
+        }
+        else {
+            formats_1.decodeSamples(chunk, this.inFormat, inSamples);
+        }
+        // number of samples per channels available in output buffer
+        speexModule.setValue(this._outLengthPtr, outBufferFramesCount, 'i32');
+        const processFn = useIntPath ? speexModule._speex_resampler_process_interleaved_int : speexModule._speex_resampler_process_interleaved_float;
+        const errNum = processFn(this._resamplerPtr, this._inBufferPtr, this._inLengthPtr, this._outBufferPtr, this._outLengthPtr);
+        throwOnError(errNum);
+        // speex writes back the number of frames it consumed and produced
+        const outSamplesPerChannelsWritten = speexModule.getValue(this._outLengthPtr, 'i32');
+        this._countFrames(speexModule.getValue(this._inLengthPtr, 'i32'), outSamplesPerChannelsWritten);
+        return outSamplesPerChannelsWritten;
+    }
+    /**
+      * Float samples of the last resampled frames with the output channels, mixed if needed after resampling.
+      * Only valid until the next call to the resampler.
+      */
+    _resampledSamples(outFramesCount) {
+        const resampled = speexModule.HEAPF32.subarray(this._outBufferPtr >> 2, (this._outBufferPtr >> 2) + outFramesCount * this._resamplerChannels);
+        if (!this._mixAfterResampling) {
+            return resampled;
+        }
+        const mixed = this._mixBufferOf(outFramesCount * this.outChannels);
+        channels_1.mixInterleaved(this._mixingMatrix, resampled, mixed);
+        return mixed;
+    }
+    /**
+      * Resample a chunk of audio.
+      * @param chunk interleaved PCM data in the input sample format, can be a Buffer or any typed array
+      * @returns interleaved PCM data in the output sample format, a view valid until the next call if `returnView` is set
+      */
+    processChunk(chunk) {
+        this._initResampler();
+        this._assertChunkAligned(chunk);
+        const outFramesCount = this._processInterleaved(toUint8Array(chunk));
+        const outSamplesCount = outFramesCount * this.outChannels;
+        if (this._isOutputNative) {
+            const outBytesCount = outSamplesCount * this._wasmBytesPerSample;
+            if (this.returnView) {
+                return buffer_1.Buffer.from(speexModule.HEAPU8.buffer, this._outBufferPtr, outBytesCount);
+            }
+            // we are copying the info in a new buffer here, use returnView to get a buffer pointing to the same memory space
+            return buffer_1.Buffer.from(speexModule.HEAPU8.slice(this._outBufferPtr, this._outBufferPtr + outBytesCount).buffer);
+        }
+        const outBytesCount = outSamplesCount * formats_1.BYTES_PER_SAMPLE[this.outFormat];
+        let res;
+        if (this.returnView) {
+            if (this._outViewBuffer.length < outBytesCount) {
+                this._outViewBuffer = buffer_1.Buffer.alloc(outBytesCount);
+            }
+            res = this._outViewBuffer.slice(0, outBytesCount);
+        }
+        else {
+            res = buffer_1.Buffer.alloc(outBytesCount);
+        }
+        formats_1.encodeSamples(this._resampledSamples(outFramesCount), res, this.outFormat);
+        return res;
+    }
+    /**
+      * Resample a chunk of audio into an array you own instead of allocating a new Buffer for the output.
+      * @param chunk interleaved PCM data in the input sample format, can be a Buffer or any typed array
+      * @param output Buffer or typed array receiving the interleaved PCM data in the output sample format, it needs
+      *               to be large enough for (ceil(input frames * outRate / inRate) + 1) frames, more right after setQuality
+      *               lowered the quality
+      * @returns number of frames (samples per channel) written in `output`
+      */
+    processInto(chunk, output) {
+        this._initResampler();
+        this._assertChunkAligned(chunk);
+        const inFramesCount = chunk.byteLength / formats_1.BYTES_PER_SAMPLE[this.inFormat] / this.channels;
+        const maxOutBytesCount = this._maxOutFramesCount(inFramesCount) * this.outChannels * formats_1.BYTES_PER_SAMPLE[this.outFormat];
+        if (output.byteLength < maxOutBytesCount) {
+            throw new errors_1.SpeexResamplerInvalidArgError(`Output is too small, ${maxOutBytesCount} bytes needed, got ${output.byteLength}`);
+        }
+        const outFramesCount = this._processInterleaved(toUint8Array(chunk));
+        if (this._isOutputNative) {
+            toUint8Array(output).set(speexModule.HEAPU8.subarray(this._outBufferPtr, this._outBufferPtr + outFramesCount * this.outChannels * this._wasmBytesPerSample));
+        }
+        else {
+            formats_1.encodeSamples(this._resampledSamples(outFramesCount), toUint8Array(output), this.outFormat);
+        }
+        return outFramesCount;
+    }
+    /**
+      * Push silence through the resampler until the total output matches the input duration, plus the leading filter delay
+      * when it is not compensated so that the end of the input is not cut off.
+      * @param processSilence resample `inFramesCount` frames of silence and keep at most `maxOutFramesCount` frames, returns the number of frames kept
+      */
+    _drainTail(processSilence) {
+        const expectedOutFramesCount = Math.round(this._expectedOutFramesCount) + this._streamLatency;
+        const inFramesCount = this._inFramesCount;
+        const unroundedExpectedOutFramesCount = this._expectedOutFramesCount;
+        // input latency is the number of input frames needed to get the filter tail out
+        const silenceFramesCount = Math.max(1, speexModule._speex_resampler_get_input_latency(this._resamplerPtr));
+        let missingFramesCount = expectedOutFramesCount - this._outFramesCount;
+        // the filter has a fractional delay so we loop in case a single pass doesn't output enough frames
+        for (let i = 0; i < MAX_FLUSH_ITERATIONS && missingFramesCount > 0; i++) {
+            missingFramesCount -= processSilence(silenceFramesCount, missingFramesCount);
+        }
+        // the silence is not part of the stream so we don't count it
+        this._inFramesCount = inFramesCount;
+        this._expectedOutFramesCount = unroundedExpectedOutFramesCount;
+        this._outFramesCount = expectedOutFramesCount - missingFramesCount;
+    }
+    /**
+      * Drain the samples still kept in the resampler filter at the end of the stream.
+      * Silence is pushed through the resampler until the total output matches the input duration plus `outputLatency`
+      * (only the input duration with `compensateLatency`), after this call, the resampler shouldn't be used for the same stream anymore.
+      * @returns interleaved PCM data in the output sample format
+      */
+    flush() {
+        this._assertNotDestroyed();
+        if (!this._resamplerPtr) {
+            return exports.EMPTY_BUFFER;
+        }
+        const inBytesPerFrame = this.channels * formats_1.BYTES_PER_SAMPLE[this.inFormat];
+        const outBytesPerFrame = this.outChannels * formats_1.BYTES_PER_SAMPLE[this.outFormat];
+        const chunks = [];
+        this._drainTail((inFramesCount, maxOutFramesCount) => {
+            const res = this.processChunk(buffer_1.Buffer.alloc(inFramesCount * inBytesPerFrame));
+            const framesCount = Math.min(res.length / outBytesPerFrame, maxOutFramesCount);
+            // copying as res can be overwritten by the next call when returnView is set
+            chunks.push(buffer_1.Buffer.from(res.slice(0, framesCount * outBytesPerFrame)));
+            return framesCount;
+        });
+        return buffer_1.Buffer.concat(chunks);
+    }
+    /**
+      * Clear the filter history and the positions to start a new stream, for example after a seek, without reallocating
+      * the WASM memory. The rates, ratio and quality are kept.
+      */
+    reset() {
+        this._assertNotDestroyed();
+        this._inFramesCount = 0;
+        this._outFramesCount = 0;
+        this._expectedOutFramesCount = 0;
+        this._latencyShift = 0;
+        if (!this._resamplerPtr) {
+            return;
+        }
+        this._resetMem();
+        if (this.compensateLatency) {
+            speexModule._speex_resampler_skip_zeros(this._resamplerPtr);
+        }
+    }
+    _resetMem() {
+        throwOnError(speexModule._speex_resampler_reset_mem(this._resamplerPtr));
+        // speex only clears the first nb_channels*(filt_len-1) floats but each channel history starts every mem_alloc_size
+        // floats, the history of the other channels would be kept
+        const heap = speexModule.HEAPU32;
+        const statePtr = this._resamplerPtr >> 2;
+        const memPtr = heap[statePtr + STATE_MEM] >> 2;
+        speexModule.HEAPF32.fill(0, memPtr, memPtr + this._resamplerChannels * heap[statePtr + STATE_MEM_ALLOC_SIZE]);
+    }
+    /**
+      * Capture the state of the resampler: rates, ratio, quality, positions and filter history.
+      * The snapshot is an opaque buffer that can be stored or sent to another worker or process and given to restore
+      * to continue the stream with an identical output.
+      */
+    snapshot() {
+        this._initResampler();
+        const heap = speexModule.HEAPU32;
+        const statePtr = this._resamplerPtr >> 2;
+        const channels = this._resamplerChannels;
+        const filtLen = heap[statePtr + STATE_FILT_LEN];
+        const perChannel = (field) => Array.from({ length: channels }, (_, channel) => heap[(heap[statePtr + field] >> 2) + channel]);
+        const lastSamples = perChannel(STATE_LAST_SAMPLE);
+        const sampFracNums = perChannel(STATE_SAMP_FRAC_NUM);
+        const magicSamples = perChannel(STATE_MAGIC_SAMPLES);
+        // each channel keeps the filter history followed by the magic samples left by a filter length change
+        const memLengths = magicSamples.map((count) => filtLen - 1 + count);
+        const snapshot = buffer_1.Buffer.alloc(SNAPSHOT_HEADER_LENGTH + channels * SNAPSHOT_CHANNEL_LENGTH + memLengths.reduce((sum, length) => sum + length, 0) * 4);
+        let offset = 0;
+        for (const value of [SNAPSHOT_MAGIC, SNAPSHOT_VERSION, channels, filtLen, this._ratioNum, this._ratioDen, this.inRate, this.outRate, this.quality, heap[statePtr + STATE_STARTED]]) {
+            offset = snapshot.writeUInt32LE(value, offset);
+        }
+        for (const value of [this._inFramesCount, this._outFramesCount, this._expectedOutFramesCount, this._latencyShift]) {
+            offset = snapshot.writeDoubleLE(value, offset);
+        }
+        for (let channel = 0; channel < channels; channel++) {
+            offset = snapshot.writeInt32LE(lastSamples[channel] | 0, offset);
+            offset = snapshot.writeUInt32LE(sampFracNums[channel], offset);
+            offset = snapshot.writeUInt32LE(magicSamples[channel], offset);
+        }
+        const memPtr = heap[statePtr + STATE_MEM] >> 2;
+        const memAllocSize = heap[statePtr + STATE_MEM_ALLOC_SIZE];
+        memLengths.forEach((length, channel) => {
+            const mem = speexModule.HEAPF32.subarray(memPtr + channel * memAllocSize, memPtr + channel * memAllocSize + length);
+            for (const sample of mem) {
+                offset = snapshot.writeFloatLE(sample, offset);
+            }
+        });
+        return snapshot;
+    }
+    /**
+      * Continue the stream captured by snapshot, the resampler needs to be created with the same number of channels
+      * and mixing options. The rates, ratio and quality of the snapshot replace the current ones.
+      * @param snapshot buffer returned by snapshot, possibly by another instance in another worker or process
+      */
+    restore(snapshot) {
+        this._assertNotDestroyed();
+        const data = formats_1.toBuffer(snapshot);
+        if (data.length < SNAPSHOT_HEADER_LENGTH || data.readUInt32LE(0) !== SNAPSHOT_MAGIC) {
+            throw new errors_1.SpeexResamplerInvalidArgError('Invalid resampler snapshot');
+        }
+        const [version, channels, filtLen, ratioNum, ratioDen, inRate, outRate, quality, started] = Array.from({ length: 9 }, (_, i) => data.readUInt32LE((i + 1) * 4));
+        if (version !== SNAPSHOT_VERSION) {
+            throw new errors_1.SpeexResamplerInvalidArgError(`Unsupported resampler snapshot version ${version}`);
+        }
+        if (channels !== this._resamplerChannels) {
+            throw new errors_1.SpeexResamplerInvalidArgError(`Snapshot of a resampler with ${channels} channels, expected ${this._resamplerChannels}`);
+        }
+        const memOffset = SNAPSHOT_HEADER_LENGTH + channels * SNAPSHOT_CHANNEL_LENGTH;
+        const memLengths = data.length < memOffset ? [] : Array.from({ length: channels }, (_, channel) => (filtLen - 1 + data.readUInt32LE(SNAPSHOT_HEADER_LENGTH + channel * SNAPSHOT_CHANNEL_LENGTH + 8)));
+        if (data.length !== memOffset + memLengths.reduce((sum, length) => sum + length, 0) * 4 || memLengths.length !== channels) {
+            throw new errors_1.SpeexResamplerInvalidArgError('Invalid resampler snapshot length');
+        }
+        this.setQuality(quality);
+        this.setRateFrac(ratioNum, ratioDen, inRate, outRate);
+        this._initResampler();
+        this._resetMem();
+        const heap = speexModule.HEAPU32;
+        const statePtr = this._resamplerPtr >> 2;
+        const memAllocSize = heap[statePtr + STATE_MEM_ALLOC_SIZE];
+        if (heap[statePtr + STATE_FILT_LEN] !== filtLen || memLengths.some((length) => length > memAllocSize)) {
+            throw new errors_1.SpeexResamplerBadStateError('Snapshot filter not matching this resampler, it was probably taken with another version of the module');
+        }
+        heap[statePtr + STATE_STARTED] = started;
+        this._inFramesCount = data.readDoubleLE(SNAPSHOT_COUNTS_OFFSET);
+        this._outFramesCount = data.readDoubleLE(SNAPSHOT_COUNTS_OFFSET + 8);
+        this._expectedOutFramesCount = data.readDoubleLE(SNAPSHOT_COUNTS_OFFSET + 16);
+        this._latencyShift = data.readDoubleLE(SNAPSHOT_COUNTS_OFFSET + 24);
+        let offset = SNAPSHOT_HEADER_LENGTH;
+        for (let channel = 0; channel < channels; channel++) {
+            speexModule.HEAP32[(heap[statePtr + STATE_LAST_SAMPLE] >> 2) + channel] = data.readInt32LE(offset);
+            heap[(heap[statePtr + STATE_SAMP_FRAC_NUM] >> 2) + channel] = data.readUInt32LE(offset + 4);
+            heap[(heap[statePtr + STATE_MAGIC_SAMPLES] >> 2) + channel] = data.readUInt32LE(offset + 8);
+            offset += SNAPSHOT_CHANNEL_LENGTH;
+        }
+        const memPtr = heap[statePtr + STATE_MEM] >> 2;
+        memLengths.forEach((length, channel) => {
+            const mem = speexModule.HEAPF32.subarray(memPtr + channel * memAllocSize, memPtr + channel * memAllocSize + length);
+            for (let i = 0; i < length; i++, offset += 4) {
+                mem[i] = data.readFloatLE(offset);
+            }
+        });
+    }
+    /**
+      * Resample non-interleaved audio, one Float32Array per channel.
+      * Planar data is always in float32, the input and output formats are only used by processChunk.
+      * @param input one Float32Array per input channel, all with the same length
+      * @param output optional Float32Array per output channel to write the resampled audio into, they need to be large enough
+      *               for the resampled audio (ceil(input length * outRate / inRate) + 1, more right after setQuality lowered the quality)
+      * @returns one Float32Array per output channel with the resampled audio, views on `output` if provided
+      */
+    processPlanar(input, output) {
+        this._initResampler();
+        if (input.length !== this.channels) {
+            throw new errors_1.SpeexResamplerInvalidArgError(`Expected ${this.channels} channels, got ${input.length}`);
+        }
+        if (output && output.length !== this.outChannels) {
+            throw new errors_1.SpeexResamplerInvalidArgError(`Expected ${this.outChannels} output channels, got ${output.length}`);
+        }
+        const inFramesCount = input[0].length;
+        if (input.some((channel) => channel.length !== inFramesCount)) {
+            throw new errors_1.SpeexResamplerInvalidArgError('All channels should have the same length');
+        }
+        const maxOutFramesCount = this._maxOutFramesCount(inFramesCount);
+        if (output && output.some((channel) => channel.length < maxOutFramesCount)) {
+            throw new errors_1.SpeexResamplerInvalidArgError(`Output channels are too small, ${maxOutFramesCount} frames needed`);
+        }
+        const outBufferFramesCount = this._resizeBuffers(inFramesCount, Float32Array.BYTES_PER_ELEMENT);
+        // channels are resampled one after the other, each one in its own section of the WASM buffers
+        const inChannels = Array.from({ length: this._resamplerChannels }, (_, channel) => {
+            const inChannelOffset = (this._inBufferPtr >> 2) + channel * inFramesCount;
+            return speexModule.HEAPF32.subarray(inChannelOffset, inChannelOffset + inFramesCount);
+        });
+        if (this._mixBeforeResampling) {
+            channels_1.mixPlanar(this._mixingMatrix, input, inChannels, inFramesCount);
+        }
+        else {
+            inChannels.forEach((inChannel, channel) => inChannel.set(input[channel]));
+        }
+        let consumedFramesCount = 0;
+        let outFramesCount = 0;
+        for (let channel = 0; channel < this._resamplerChannels; channel++) {
+            const inChannelPtr = this._inBufferPtr + channel * inFramesCount * Float32Array.BYTES_PER_ELEMENT;
+            const outChannelPtr = this._outBufferPtr + channel * outBufferFramesCount * Float32Array.BYTES_PER_ELEMENT;
+            speexModule.setValue(this._inLengthPtr, inFramesCount, 'i32');
+            speexModule.setValue(this._outLengthPtr, outBufferFramesCount, 'i32');
+            throwOnError(speexModule._speex_resampler_process_float(this._resamplerPtr, channel, inChannelPtr, this._inLengthPtr, outChannelPtr, this._outLengthPtr));
+            // every channel has the same state so they all consume and output the same number of frames
+            consumedFramesCount = speexModule.getValue(this._inLengthPtr, 'i32');
+            outFramesCount = speexModule.getValue(this._outLengthPtr, 'i32');
+        }
+        this._countFrames(consumedFramesCount, outFramesCount);
+        const resampled = Array.from({ length: this._resamplerChannels }, (_, channel) => {
+            const outChannelOffset = (this._outBufferPtr >> 2) + channel * outBufferFramesCount;
+            return speexModule.HEAPF32.subarray(outChannelOffset, outChannelOffset + outFramesCount);
+        });
+        if (this._mixAfterResampling) {
+            const mixed = output || Array.from({ length: this.outChannels }, () => new Float32Array(outFramesCount));
+            channels_1.mixPlanar(this._mixingMatrix, resampled, mixed, outFramesCount);
+            return mixed.map((channel) => channel.subarray(0, outFramesCount));
+        }
+        return resampled.map((channel, index) => {
+            if (output) {
+                output[index].set(channel);
+                return output[index].subarray(0, outFramesCount);
+            }
+            return channel.slice();
+        });
+    }
+    /**
+      * Drain the samples still kept in the resampler filter at the end of a planar stream, see flush
+      * @returns one Float32Array per output channel with the end of the resampled audio
+      */
+    flushPlanar() {
+        this._assertNotDestroyed();
+        const chunks = [];
+        if (this._resamplerPtr) {
+            this._drainTail((inFramesCount, maxOutFramesCount) => {
+                const silence = new Float32Array(inFramesCount);
+                const res = this.processPlanar(Array.from({ length: this.channels }, () => silence));
+                const framesCount = Math.min(res[0].length, maxOutFramesCount);
+                chunks.push(res.map((channel) => channel.subarray(0, framesCount)));
+                return framesCount;
+            });
+        }
+        return Array.from({ length: this.outChannels }, (_, channel) => {
+            const res = new Float32Array(chunks.reduce((length, chunk) => length + chunk[channel].length, 0));
+            let offset = 0;
+            for (const chunk of chunks) {
+                res.set(chunk[channel], offset);
+                offset += chunk[channel].length;
+            }
+            return res;
+        });
+    }
+}
+exports.SpeexResampler = SpeexResampler;
+exports.default = SpeexResampler;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVzYW1wbGVyLmpzIiwic291cmNlUm9vdCI6Ii8iLCJzb3VyY2VzIjpbInJlc2FtcGxlci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiO0FBQUEsb0NBQW9DOzs7Ozs7QUFFcEMsOERBQXFDO0FBQ3JDLDRFQUFrRDtBQUNsRCxtQ0FBK0I7QUFDL0IsdUNBQXVIO0FBQ3ZILHFDQU1rQjtBQUNsQix5Q0FBb0o7QUFtRHBKLElBQUksV0FBd0MsQ0FBQztBQUVoQyxRQUFBLFlBQVksR0FBRyxlQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQzVDLE1BQU0sb0JBQW9CLEdBQUcsQ0FBQyxDQUFDO0FBRS9CLHFIQUFxSDtBQUNySCw0R0FBNEc7QUFDNUcsNkRBQTZEO0FBQzdELE1BQU0sb0JBQW9CLEdBQUcsQ0FBQyxPQUFPLEVBQUUsZUFBZSxFQUFFLEVBQUU7SUFDeEQsV0FBVyxDQUFDLFdBQVcsQ0FBQyxlQUFNLENBQUMsSUFBSSxDQUFDLDJCQUFlLEVBQUUsUUFBUSxDQUFDLEVBQUUsT0FBTyxDQUFDO1NBQ3JFLElBQUksQ0FBQyxDQUFDLEVBQUMsUUFBUSxFQUFFLE1BQU0sRUFBQyxFQUFFLEVBQUUsQ0FBQyxlQUFlLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFDbkUsd0VBQXdFO0lBQ3hFLE9BQU8sRUFBRSxDQUFDO0FBQ1osQ0FBQyxDQUFBO0FBRUQsTUFBTSxtQkFBbUIsR0FBRyxDQUFDLE9BQU8sRUFBRSxlQUFlLEVBQUUsRUFBRTtJQUN2RCxNQUFNLE1BQU0sR0FBRyxJQUFJLFdBQVcsQ0FBQyxNQUFNLENBQUMsZUFBTSxDQUFDLElBQUksQ0FBQywyQkFBZSxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUM7SUFDOUUsTUFBTSxRQUFRLEdBQUcsSUFBSSxXQUFXLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRSxPQUFPLENBQUMsQ0FBQztJQUMzRCxlQUFlLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBQ2xDLE9BQU8sUUFBUSxDQUFDLE9BQU8sQ0FBQztBQUMxQixDQUFDLENBQUE7QUFFRCxJQUFJLG1CQUF5RCxDQUFDO0FBRTlELHFIQUFxSDtBQUNySCx1SEFBdUg7QUFDdkgscURBQXFEO0FBQ3JELE1BQU0sVUFBVSxHQUFHLEdBQUcsRUFBRTtJQUN0QixJQUFJLENBQUMsbUJBQW1CLEVBQUU7UUFDeEIsbUJBQW1CLEdBQUcsV0FBVyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxvQkFBUyxDQUFDLEVBQUMsZUFBZSxFQUFFLG9CQUFvQixFQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUE4QixFQUFFLEVBQUU7WUFDNUosV0FBVyxHQUFHLFdBQVcsSUFBSSxDQUFDLENBQUM7WUFDL0IsT0FBTyxXQUFXLENBQUM7UUFDckIsQ0FBQyxDQUFDLENBQUM7S0FDSjtJQUNELE9BQU8sbUJBQW1CLENBQUM7QUFDN0IsQ0FBQyxDQUFBO0FBUUQsTUFBTSxZQUFZLEdBQUcsQ0FBQyxJQUFxQixFQUFFLEVBQUUsQ0FBQyxDQUM5QyxJQUFJLFlBQVksVUFBVSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksVUFBVSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLFVBQVUsRUFBRSxJQUFJLENBQUMsVUFBVSxDQUFDLENBQ2xHLENBQUM7QUFFRixNQUFNLFlBQVksR0FBRyxDQUFDLE1BQWMsRUFBRSxFQUFFO0lBQ3RDLElBQUksTUFBTSxLQUFLLDhCQUFxQixFQUFFO1FBQ3BDLE1BQU0sc0JBQWEsQ0FBQyxNQUFNLEVBQUUsV0FBVyxDQUFDLGFBQWEsQ0FBQyxXQUFXLENBQUMseUJBQXlCLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQ3ZHO0FBQ0gsQ0FBQyxDQUFBO0FBRUQseUVBQXlFO0FBQ3pFLE1BQU0sVUFBVSxHQUFHLFVBQVUsQ0FBQztBQUM5QixNQUFNLFdBQVcsR0FBRyxFQUFFLENBQUM7QUFFdkIsTUFBTSxxQkFBcUIsR0FBRyxDQUFDLElBQVksRUFBRSxLQUFVLEVBQUUsRUFBRTtJQUN6RCxJQUFJLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxJQUFJLEtBQUssR0FBRyxVQUFVLEVBQUU7UUFDaEUsTUFBTSxJQUFJLHNDQUE2QixDQUFDLEdBQUcsSUFBSSxzQ0FBc0MsS0FBSyxFQUFFLENBQUMsQ0FBQztLQUMvRjtBQUNILENBQUMsQ0FBQTtBQUVELHVIQUF1SDtBQUN2SCxtSEFBbUg7QUFDdEcsUUFBQSxxQkFBcUIsR0FBRyxNQUFNLENBQUM7QUFFNUM7OztJQUdJO0FBQ1MsUUFBQSxnQkFBZ0IsR0FBRyxDQUFDLEtBQWEsRUFBRSxjQUFjLEdBQUcsNkJBQXFCLEVBQW9CLEVBQUU7SUFDMUcsSUFBSSxDQUFDLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsRUFBRTtRQUMzQyxNQUFNLElBQUksc0NBQTZCLENBQUMsMENBQTBDLEtBQUssRUFBRSxDQUFDLENBQUM7S0FDNUY7SUFDRCxtQ0FBbUM7SUFDbkMsSUFBSSxDQUFDLE9BQU8sRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDaEQsSUFBSSxTQUFTLEdBQUcsS0FBSyxDQUFDO0lBQ3RCLFNBQVM7UUFDUCxNQUFNLFdBQVcsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBQzFDLE1BQU0sT0FBTyxHQUFHLFdBQVcsR0FBRyxHQUFHLEdBQUcsT0FBTyxDQUFDO1FBQzVDLE1BQU0sT0FBTyxHQUFHLFdBQVcsR0FBRyxHQUFHLEdBQUcsT0FBTyxDQUFDO1FBQzVDLElBQUksT0FBTyxHQUFHLGNBQWMsSUFBSSxPQUFPLEdBQUcsVUFBVSxFQUFFO1lBQ3BELE1BQU07U0FDUDtRQUNELENBQUMsT0FBTyxFQUFFLEdBQUcsRUFBRSxPQUFPLEVBQUUsR0FBRyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsT0FBTyxFQUFFLEdBQUcsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUM1RCxJQUFJLFNBQVMsR0FBRyxXQUFXLEdBQUcsS0FBSyxFQUFFO1lBQ25DLE1BQU07U0FDUDtRQUNELFNBQVMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxTQUFTLEdBQUcsV0FBVyxDQUFDLENBQUM7S0FDM0M7SUFDRCxJQUFJLEdBQUcsS0FBSyxDQUFDLElBQUksR0FBRyxLQUFLLENBQUMsRUFBRTtRQUMxQixNQUFNLElBQUksc0NBQTZCLENBQUMsU0FBUyxLQUFLLG1EQUFtRCxjQUFjLEVBQUUsQ0FBQyxDQUFDO0tBQzVIO0lBQ0QsT0FBTyxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQztBQUNwQixDQUFDLENBQUE7QUFFRCxNQUFNLGFBQWEsR0FBRyxDQUFDLE9BQVksRUFBRSxFQUFFO0lBQ3JDLElBQUksQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxJQUFJLE9BQU8sR0FBRyxDQUFDLElBQUksT0FBTyxHQUFHLFdBQVcsRUFBRTtRQUN0RSxNQUFNLElBQUksc0NBQTZCLENBQUMsOENBQThDLFdBQVcsU0FBUyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0tBQ3RIO0FBQ0gsQ0FBQyxDQUFBO0FBRUQsZ0hBQWdIO0FBQ2hILDhFQUE4RTtBQUM5RSxNQUFNLGFBQWEsR0FBRyxDQUFDLENBQUM7QUFDeEIsTUFBTSxjQUFjLEdBQUcsQ0FBQyxDQUFDO0FBQ3pCLE1BQU0sY0FBYyxHQUFHLENBQUMsQ0FBQztBQUN6QixNQUFNLGNBQWMsR0FBRyxDQUFDLENBQUM7QUFDekIsTUFBTSxhQUFhLEdBQUcsQ0FBQyxDQUFDO0FBQ3hCLE1BQU0sY0FBYyxHQUFHLENBQUMsQ0FBQztBQUN6QixNQUFNLG9CQUFvQixHQUFHLENBQUMsQ0FBQztBQUMvQixNQUFNLGFBQWEsR0FBRyxFQUFFLENBQUM7QUFDekIsTUFBTSxpQkFBaUIsR0FBRyxFQUFFLENBQUM7QUFDN0IsTUFBTSxtQkFBbUIsR0FBRyxFQUFFLENBQUM7QUFDL0IsTUFBTSxtQkFBbUIsR0FBRyxFQUFFLENBQUM7QUFDL0IsTUFBTSxTQUFTLEdBQUcsRUFBRSxDQUFDO0FBRXJCLDBFQUEwRTtBQUMxRSxNQUFNLGNBQWMsR0FBRyxVQUFVLENBQUM7QUFDbEMsTUFBTSxnQkFBZ0IsR0FBRyxDQUFDLENBQUM7QUFDM0IsbUhBQW1IO0FBQ25ILG1DQUFtQztBQUNuQyxNQUFNLHNCQUFzQixHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUM7QUFDdEMsTUFBTSxzQkFBc0IsR0FBRyxzQkFBc0IsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0FBQzlELDJFQUEyRTtBQUMzRSxNQUFNLHVCQUF1QixHQUFHLENBQUMsR0FBRyxDQUFDLENBQUM7QUFFdEMsTUFBTSxrQkFBa0IsR0FBRyxDQUFDLEVBQUMsWUFBWSxFQUFFLFFBQVEsRUFBa0IsRUFBRSxFQUFFO0lBQ3ZFLFdBQVcsQ0FBQyx3QkFBd0IsQ0FBQyxZQUFZLENBQUMsQ0FBQztJQUNuRCxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLEVBQUUsQ0FBQyxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxDQUFDLFdBQVcsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztBQUNoRixDQUFDLENBQUE7QUFFRCxpR0FBaUc7QUFDakcsZ0hBQWdIO0FBQ2hILE1BQU0sd0JBQXdCLEdBQUksVUFBa0IsQ0FBQyxvQkFBb0IsQ0FBQztBQUMxRSxNQUFNLG9CQUFvQixHQUFHLHdCQUF3QixDQUFDLENBQUMsQ0FBQyxJQUFJLHdCQUF3QixDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztBQUNoSCwrRkFBK0Y7QUFDL0YsTUFBTSxhQUFhLEdBQVksTUFBYyxDQUFDLE9BQU8sSUFBSSxNQUFNLENBQUMsR0FBRyxDQUFDLGdCQUFnQixDQUFDLENBQUM7QUFFdEYsTUFBYSxjQUFjO0lBb0d6Qjs7Ozs7OztRQU9JO0lBQ0osWUFDUyxRQUFRLEVBQ1IsTUFBTSxFQUNOLE9BQU8sRUFDUCxVQUFVLENBQUMsRUFDbEIsVUFBaUMsRUFBRTtRQUo1QixhQUFRLEdBQVIsUUFBUSxDQUFBO1FBQ1IsV0FBTSxHQUFOLE1BQU0sQ0FBQTtRQUNOLFlBQU8sR0FBUCxPQUFPLENBQUE7UUFDUCxZQUFPLEdBQVAsT0FBTyxDQUFJO1FBOUdwQixpQkFBWSxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ2xCLGtCQUFhLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDbkIsa0JBQWEsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNuQixtQkFBYyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBRXBCLGlCQUFZLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDbEIsa0JBQWEsR0FBRyxDQUFDLENBQUMsQ0FBQztRQU1uQiwySEFBMkg7UUFDM0gsZ0VBQWdFO1FBQ2hFLG1CQUFjLEdBQUcsQ0FBQyxDQUFDO1FBQ25CLG9CQUFlLEdBQUcsQ0FBQyxDQUFDO1FBQ3BCLDBIQUEwSDtRQUMxSCw0QkFBdUIsR0FBRyxDQUFDLENBQUM7UUFDNUIsbUhBQW1IO1FBQ25ILHdFQUF3RTtRQUN4RSxrQkFBYSxHQUFHLENBQUMsQ0FBQztRQUVsQixlQUFVLEdBQUcsS0FBSyxDQUFDO1FBTW5CLDREQUE0RDtRQUM1RCxtQkFBYyxHQUFHLG9CQUFZLENBQUM7UUFTOUIsbURBQW1EO1FBQ25ELGVBQVUsR0FBRyxJQUFJLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQztRQXlFL0IscUJBQXFCLENBQUMsVUFBVSxFQUFFLFFBQVEsQ0FBQyxDQUFDO1FBQzVDLHFCQUFxQixDQUFDLFFBQVEsRUFBRSxNQUFNLENBQUMsQ0FBQztRQUN4QyxxQkFBcUIsQ0FBQyxTQUFTLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDMUMsYUFBYSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3ZCLElBQUksQ0FBQyxRQUFRLEdBQUcsNEJBQWtCLENBQUMsT0FBTyxDQUFDLFFBQVEsSUFBSSxPQUFPLENBQUMsTUFBTSxJQUFJLFNBQVMsQ0FBQyxDQUFDO1FBQ3BGLElBQUksQ0FBQyxTQUFTLEdBQUcsNEJBQWtCLENBQUMsT0FBTyxDQUFDLFNBQVMsSUFBSSxPQUFPLENBQUMsTUFBTSxJQUFJLFNBQVMsQ0FBQyxDQUFDO1FBQ3RGLElBQUksQ0FBQyxpQkFBaUIsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLGlCQUFpQixDQUFDO1FBQ3JELElBQUksQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUM7UUFDdkMsSUFBSSxDQUFDLFNBQVMsR0FBRyxNQUFNLENBQUM7UUFDeEIsSUFBSSxDQUFDLFNBQVMsR0FBRyxPQUFPLENBQUM7UUFDekIsSUFBSSxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUM1QixDQUFDO0lBbEZEOztRQUVJO0lBQ0osTUFBTSxLQUFLLFdBQVc7UUFDcEIsT0FBTyxVQUFVLEVBQUUsQ0FBQztJQUN0QixDQUFDO0lBRUQ7OztRQUdJO0lBQ0osTUFBTSxDQUFDLFFBQVE7UUFDYixJQUFJLFdBQVcsRUFBRTtZQUNmLE9BQU87U0FDUjtRQUNELE1BQU0sU0FBUyxHQUFHLEVBQUMsZUFBZSxFQUFFLG1CQUFtQixFQUFRLENBQUM7UUFDaEUsOEdBQThHO1FBQzlHLGlIQUFpSDtRQUNqSCxvQkFBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBQ3JCLElBQUksQ0FBQyxTQUFTLENBQUMscUJBQXFCLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxFQUFFO1lBQ3pELE1BQU0sSUFBSSw0QkFBbUIsQ0FBQyxvREFBb0QsQ0FBQyxDQUFDO1NBQ3JGO1FBQ0QsV0FBVyxHQUFHLFNBQVMsQ0FBQztJQUMxQixDQUFDO0lBRUQ7O1FBRUk7SUFDSixNQUFNLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxRQUFnQixFQUFFLE1BQWMsRUFBRSxPQUFlLEVBQUUsT0FBTyxHQUFHLENBQUMsRUFBRSxVQUFpQyxFQUFFO1FBQ3JILE1BQU0sY0FBYyxDQUFDLFdBQVcsQ0FBQztRQUNqQyxPQUFPLElBQUksY0FBYyxDQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQztJQUN6RSxDQUFDO0lBRUQ7Ozs7Ozs7O1FBUUk7SUFDSixNQUFNLENBQUMsU0FBUyxDQUNkLFFBQWdCLEVBQ2hCLFFBQWdCLEVBQ2hCLFFBQWdCLEVBQ2hCLE1BQWMsRUFDZCxPQUFlLEVBQ2YsT0FBTyxHQUFHLENBQUMsRUFDWCxVQUFpQyxFQUFFO1FBRW5DLE1BQU0sU0FBUyxHQUFHLElBQUksY0FBYyxDQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQztRQUNsRixzRkFBc0Y7UUFDdEYsU0FBUyxDQUFDLFdBQVcsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxPQUFPLENBQUMsQ0FBQztRQUMzRCxPQUFPLFNBQVMsQ0FBQztJQUNuQixDQUFDO0lBNkJELFdBQVcsQ0FBQyxPQUE4QjtRQUN4QyxJQUFJLE1BQW9CLENBQUM7UUFDekIsSUFBSSxPQUFPLENBQUMsWUFBWSxFQUFFO1lBQ3hCLE1BQU0sR0FBRyw2QkFBa0IsQ0FBQyxPQUFPLENBQUMsWUFBWSxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztTQUNsRTthQUFNLElBQUksT0FBTyxDQUFDLFVBQVUsRUFBRTtZQUM3QixNQUFNLEdBQUcsNkJBQWtCLENBQUMsT0FBTyxDQUFDLFVBQVUsRUFBRSxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7U0FDaEU7YUFBTTtZQUNMLE1BQU0sR0FBRyw4QkFBbUIsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLE9BQU8sQ0FBQyxXQUFXLElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1NBQ25GO1FBQ0QsSUFBSSxPQUFPLENBQUMsV0FBVyxJQUFJLE9BQU8sQ0FBQyxXQUFXLEtBQUssTUFBTSxDQUFDLE1BQU0sRUFBRTtZQUNoRSxNQUFNLElBQUksc0NBQTZCLENBQUMsa0JBQWtCLE9BQU8sQ0FBQyxXQUFXLHlCQUF5QixNQUFNLENBQUMsTUFBTSxXQUFXLENBQUMsQ0FBQztTQUNqSTtRQUNELElBQUksQ0FBQyxXQUFXLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQztRQUNqQyxJQUFJLENBQUMsYUFBYSxHQUFHLDJCQUFnQixDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQztRQUM5RCxpSEFBaUg7UUFDakgscUZBQXFGO1FBQ3JGLElBQUksQ0FBQyxvQkFBb0IsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLGFBQWEsSUFBSSxDQUNsRCxJQUFJLENBQUMsV0FBVyxHQUFHLElBQUksQ0FBQyxRQUFRLElBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxLQUFLLElBQUksQ0FBQyxRQUFRLElBQUksSUFBSSxDQUFDLE1BQU0sSUFBSSxJQUFJLENBQUMsT0FBTyxDQUFDLENBQ3hHLENBQUM7UUFDRixJQUFJLENBQUMsa0JBQWtCLEdBQUcsSUFBSSxDQUFDLG9CQUFvQixDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDO0lBQ3pGLENBQUM7SUFFRCxJQUFJLG1CQUFtQjtRQUNyQixPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsYUFBYSxJQUFJLENBQUMsSUFBSSxDQUFDLG9CQUFvQixDQUFDO0lBQzVELENBQUM7SUFFRCxZQUFZLENBQUMsWUFBb0I7UUFDL0IsSUFBSSxJQUFJLENBQUMsVUFBVSxDQUFDLE1BQU0sR0FBRyxZQUFZLEVBQUU7WUFDekMsSUFBSSxDQUFDLFVBQVUsR0FBRyxJQUFJLFlBQVksQ0FBQyxZQUFZLENBQUMsQ0FBQztTQUNsRDtRQUNELE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFLFlBQVksQ0FBQyxDQUFDO0lBQ25ELENBQUM7SUFFRCxtQkFBbUI7UUFDakIsSUFBSSxJQUFJLENBQUMsVUFBVSxFQUFFO1lBQ25CLE1BQU0sSUFBSSxvQ0FBMkIsQ0FBQyxtRUFBbUUsQ0FBQyxDQUFDO1NBQzVHO0lBQ0gsQ0FBQztJQUVELGNBQWM7UUFDWixJQUFJLENBQUMsbUJBQW1CLEVBQUUsQ0FBQztRQUMzQixJQUFJLENBQUMsV0FBVyxFQUFFO1lBQ2hCLE1BQU0sSUFBSSxvQ0FBMkIsQ0FBQyw0R0FBNEcsQ0FBQyxDQUFDO1NBQ3JKO1FBQ0QsSUFBSSxJQUFJLENBQUMsYUFBYSxFQUFFO1lBQ3RCLE9BQU87U0FDUjtRQUNELE1BQU0sTUFBTSxHQUFHLFdBQVcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdEMsZ0dBQWdHO1FBQ2hHLElBQUksQ0FBQyxhQUFhLEdBQUcsV0FBVyxDQUFDLDBCQUEwQixDQUN6RCxJQUFJLENBQUMsa0JBQWtCLEVBQ3ZCLElBQUksQ0FBQyxTQUFTLEVBQ2QsSUFBSSxDQUFDLFNBQVMsRUFDZCxJQUFJLENBQUMsTUFBTSxFQUNYLElBQUksQ0FBQyxPQUFPLEVBQ1osSUFBSSxDQUFDLE9BQU8sRUFDWixNQUFNLENBQ1AsQ0FBQztRQUNGLE1BQU0sTUFBTSxHQUFHLFdBQVcsQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQ25ELFdBQVcsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDMUIsWUFBWSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3JCLElBQUksQ0FBQyxZQUFZLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxXQUFXLENBQUMsaUJBQWlCLENBQUMsQ0FBQztRQUN2RSxJQUFJLENBQUMsYUFBYSxHQUFHLFdBQVcsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLGlCQUFpQixDQUFDLENBQUM7UUFDeEUsSUFBSSxDQUFDLG9CQUFvQixFQUFFLENBQUM7UUFDNUIsSUFBSSxJQUFJLENBQUMsaUJBQWlCLEVBQUU7WUFDMUIsZ0hBQWdIO1lBQ2hILFdBQVcsQ0FBQywyQkFBMkIsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUM7U0FDN0Q7SUFDSCxDQUFDO0lBRUQsb0JBQW9CO1FBQ2xCLElBQUksQ0FBQyxvQkFBb0IsRUFBRTtZQUN6QixPQUFPO1NBQ1I7UUFDRCxpSEFBaUg7UUFDakgsb0JBQW9CLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3RDLG9CQUFvQixDQUFDLFFBQVEsQ0FBQyxJQUFJLEVBQUU7WUFDbEMsWUFBWSxFQUFFLElBQUksQ0FBQyxhQUFhO1lBQ2hDLFFBQVEsRUFBRSxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsSUFBSSxDQUFDLGFBQWEsRUFBRSxJQUFJLENBQUMsWUFBWSxFQUFFLElBQUksQ0FBQyxhQUFhLENBQUM7U0FDdEUsRUFBRSxJQUFJLENBQUMsQ0FBQztJQUM5QixDQUFDO0lBRUQ7OztRQUdJO0lBQ0osT0FBTztRQUNMLElBQUksSUFBSSxDQUFDLFVBQVUsRUFBRTtZQUNuQixPQUFPO1NBQ1I7UUFDRCxJQUFJLENBQUMsVUFBVSxHQUFHLElBQUksQ0FBQztRQUN2QixJQUFJLENBQUMsSUFBSSxDQUFDLGFBQWEsRUFBRTtZQUN2QixPQUFPO1NBQ1I7UUFDRCxJQUFJLG9CQUFvQixFQUFFO1lBQ3hCLG9CQUFvQixDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUN2QztRQUNELGtCQUFrQixDQUFDO1lBQ2pCLFlBQVksRUFBRSxJQUFJLENBQUMsYUFBYTtZQUNoQyxRQUFRLEVBQUUsQ0FBQyxJQUFJLENBQUMsWUFBWSxFQUFFLElBQUksQ0FBQyxhQUFhLEVBQUUsSUFBSSxDQUFDLFlBQVksRUFBRSxJQUFJLENBQUMsYUFBYSxDQUFDO1NBQ3pGLENBQUMsQ0FBQztRQUNILElBQUksQ0FBQyxhQUFhLEdBQUcsQ0FBQyxDQUFDO1FBQ3ZCLElBQUksQ0FBQyxZQUFZLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDdkIsSUFBSSxDQUFDLGFBQWEsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUN4QixJQUFJLENBQUMsWUFBWSxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ3ZCLElBQUksQ0FBQyxhQUFhLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDeEIsSUFBSSxDQUFDLGFBQWEsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUN4QixJQUFJLENBQUMsY0FBYyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQzNCLENBQUM7SUFFRCxDQUFDLGFBQWEsQ0FBQztRQUNiLElBQUksQ0FBQyxPQUFPLEVBQUUsQ0FBQztJQUNqQixDQUFDO0lBRUQ7Ozs7UUFJSTtJQUNKLE9BQU8sQ0FBQyxNQUFjLEVBQUUsT0FBZTtRQUNyQyxJQUFJLENBQUMsbUJBQW1CLEVBQUUsQ0FBQztRQUMzQixxQkFBcUIsQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDeEMscUJBQXFCLENBQUMsU0FBUyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQzFDLElBQUksSUFBSSxDQUFDLGFBQWEsRUFBRTtZQUN0QixJQUFJLENBQUMsZ0JBQWdCLENBQUMsV0FBVyxDQUFDLHlCQUF5QixDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUUsTUFBTSxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7U0FDbkc7UUFDRCxJQUFJLENBQUMsTUFBTSxHQUFHLE1BQU0sQ0FBQztRQUNyQixJQUFJLENBQUMsT0FBTyxHQUFHLE9BQU8sQ0FBQztRQUN2QixJQUFJLENBQUMsU0FBUyxHQUFHLE1BQU0sQ0FBQztRQUN4QixJQUFJLENBQUMsU0FBUyxHQUFHLE9BQU8sQ0FBQztJQUMzQixDQUFDO0lBRUQ7Ozs7Ozs7UUFPSTtJQUNKLFdBQVcsQ0FBQyxRQUFnQixFQUFFLFFBQWdCLEVBQUUsTUFBTSxHQUFHLElBQUksQ0FBQyxNQUFNLEVBQUUsT0FBTyxHQUFHLElBQUksQ0FBQyxPQUFPO1FBQzFGLElBQUksQ0FBQyxtQkFBbUIsRUFBRSxDQUFDO1FBQzNCLHFCQUFxQixDQUFDLFVBQVUsRUFBRSxRQUFRLENBQUMsQ0FBQztRQUM1QyxxQkFBcUIsQ0FBQyxVQUFVLEVBQUUsUUFBUSxDQUFDLENBQUM7UUFDNUMscUJBQXFCLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDO1FBQ3hDLHFCQUFxQixDQUFDLFNBQVMsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUMxQyxJQUFJLElBQUksQ0FBQyxhQUFhLEVBQUU7WUFDdEIsSUFBSSxDQUFDLGdCQUFnQixDQUFDLFdBQVcsQ0FBQyw4QkFBOEIsQ0FBQyxJQUFJLENBQUMsYUFBYSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7U0FDNUg7UUFDRCxJQUFJLENBQUMsTUFBTSxHQUFHLE1BQU0sQ0FBQztRQUNyQixJQUFJLENBQUMsT0FBTyxHQUFHLE9BQU8sQ0FBQztRQUN2QixJQUFJLENBQUMsU0FBUyxHQUFHLFFBQVEsQ0FBQztRQUMxQixJQUFJLENBQUMsU0FBUyxHQUFHLFFBQVEsQ0FBQztJQUM1QixDQUFDO0lBRUQseUdBQXlHO0lBQ3pHLCtHQUErRztJQUMvRyxnQkFBZ0IsQ0FBQyxNQUFjO1FBQzdCLElBQUksTUFBTSxLQUFLLDhCQUFxQixFQUFFO1lBQ3BDLE9BQU87U0FDUjtRQUNELE1BQU0sVUFBVSxHQUFHLElBQUksQ0FBQyxhQUFhLElBQUksQ0FBQyxDQUFDO1FBQzNDLElBQUksQ0FBQyxNQUFNLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxVQUFVLEdBQUcsYUFBYSxDQUFDLENBQUM7UUFDOUQsSUFBSSxDQUFDLE9BQU8sR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDLFVBQVUsR0FBRyxjQUFjLENBQUMsQ0FBQztRQUNoRSxJQUFJLENBQUMsU0FBUyxHQUFHLFdBQVcsQ0FBQyxPQUFPLENBQUMsVUFBVSxHQUFHLGNBQWMsQ0FBQyxDQUFDO1FBQ2xFLElBQUksQ0FBQyxTQUFTLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxVQUFVLEdBQUcsY0FBYyxDQUFDLENBQUM7UUFDbEUsSUFBSSxDQUFDLE9BQU8sR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDLFVBQVUsR0FBRyxhQUFhLENBQUMsQ0FBQztRQUMvRCxZQUFZLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDdkIsQ0FBQztJQUVEOztRQUVJO0lBQ0osSUFBSSxLQUFLO1FBQ1AsSUFBSSxDQUFDLGNBQWMsRUFBRSxDQUFDO1FBQ3RCLG1GQUFtRjtRQUNuRixXQUFXLENBQUMsMEJBQTBCLENBQUMsSUFBSSxDQUFDLGFBQWEsRUFBRSxJQUFJLENBQUMsWUFBWSxFQUFFLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQztRQUNsRyxPQUFPO1lBQ0wsUUFBUSxFQUFFLFdBQVcsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFlBQVksRUFBRSxLQUFLLENBQUMsS0FBSyxDQUFDO1lBQzlELFFBQVEsRUFBRSxXQUFXLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUUsS0FBSyxDQUFDLEtBQUssQ0FBQztTQUNoRSxDQUFDO0lBQ0osQ0FBQztJQUVEOzs7UUFHSTtJQUNKLFVBQVUsQ0FBQyxPQUFlO1FBQ3hCLElBQUksQ0FBQyxtQkFBbUIsRUFBRSxDQUFDO1FBQzNCLGFBQWEsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUN2QixJQUFJLElBQUksQ0FBQyxhQUFhLEVBQUU7WUFDdEIsTUFBTSxPQUFPLEdBQUcsV0FBVyxDQUFDLG1DQUFtQyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQztZQUNwRixJQUFJLENBQUMsZ0JBQWdCLENBQUMsV0FBVyxDQUFDLDRCQUE0QixDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUUsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUM3Rix1RkFBdUY7WUFDdkYsSUFBSSxXQUFXLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLGFBQWEsSUFBSSxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUMsRUFBRTtnQkFDbEUsSUFBSSxDQUFDLGFBQWEsSUFBSSxPQUFPLEdBQUcsV0FBVyxDQUFDLG1DQUFtQyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQzthQUNyRztTQUNGO1FBQ0QsSUFBSSxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUM7SUFDekIsQ0FBQztJQUVEOztRQUVJO0lBQ0osSUFBSSxZQUFZO1FBQ2QsSUFBSSxDQUFDLGNBQWMsRUFBRSxDQUFDO1FBQ3RCLE9BQU8sV0FBVyxDQUFDLGtDQUFrQyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQztJQUM1RSxDQUFDO0lBRUQ7OztRQUdJO0lBQ0osSUFBSSxhQUFhO1FBQ2YsSUFBSSxDQUFDLGNBQWMsRUFBRSxDQUFDO1FBQ3RCLE9BQU8sV0FBVyxDQUFDLG1DQUFtQyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQztJQUM3RSxDQUFDO0lBRUQsMEhBQTBIO0lBQzFILElBQUksY0FBYztRQUNoQixPQUFPLENBQUMsSUFBSSxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsR0FBRyxJQUFJLENBQUMsYUFBYSxDQUFDO0lBQ2hGLENBQUM7SUFFRDs7UUFFSTtJQUNKLElBQUksbUJBQW1CO1FBQ3JCLE9BQU8sSUFBSSxDQUFDLGNBQWMsQ0FBQztJQUM3QixDQUFDO0lBRUQ7O1FBRUk7SUFDSixJQUFJLG9CQUFvQjtRQUN0QixPQUFPLElBQUksQ0FBQyxlQUFlLENBQUM7SUFDOUIsQ0FBQztJQUVEOzs7Ozs7UUFNSTtJQUNKLHFCQUFxQixDQUFDLFFBQWdCO1FBQ3BDLE9BQU8sSUFBSSxDQUFDLHVCQUF1QixHQUFHLENBQUMsUUFBUSxHQUFHLElBQUksQ0FBQyxjQUFjLENBQUMsR0FBRyxJQUFJLENBQUMsU0FBUyxHQUFHLElBQUksQ0FBQyxTQUFTLEdBQUcsSUFBSSxDQUFDLGNBQWMsQ0FBQztJQUNqSSxDQUFDO0lBRUQ7Ozs7UUFJSTtJQUNKLHFCQUFxQixDQUFDLFFBQWdCO1FBQ3BDLE9BQU8sSUFBSSxDQUFDLGNBQWMsR0FBRyxDQUFDLFFBQVEsR0FBRyxJQUFJLENBQUMsY0FBYyxHQUFHLElBQUksQ0FBQyx1QkFBdUIsQ0FBQyxHQUFHLElBQUksQ0FBQyxTQUFTLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQztJQUNqSSxDQUFDO0lBRUQ7Ozs7UUFJSTtJQUNKLGNBQWMsQ0FBQyxhQUFxQixFQUFFLGNBQXNCO1FBQzFELE1BQU0sb0JBQW9CLEdBQUcsYUFBYSxHQUFHLElBQUksQ0FBQyxrQkFBa0IsR0FBRyxjQUFjLENBQUM7UUFDdEYsSUFBSSxJQUFJLENBQUMsYUFBYSxHQUFHLG9CQUFvQixFQUFFO1lBQzdDLElBQUksSUFBSSxDQUFDLFlBQVksS0FBSyxDQUFDLENBQUMsRUFBRTtnQkFDNUIsV0FBVyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUM7YUFDdEM7WUFDRCxJQUFJLENBQUMsWUFBWSxHQUFHLFdBQVcsQ0FBQyxPQUFPLENBQUMsb0JBQW9CLENBQUMsQ0FBQztZQUM5RCxJQUFJLENBQUMsYUFBYSxHQUFHLG9CQUFvQixDQUFDO1lBQzFDLElBQUksQ0FBQyxvQkFBb0IsRUFBRSxDQUFDO1NBQzdCO1FBRUQsTUFBTSxxQkFBcUIsR0FBRyxJQUFJLENBQUMsa0JBQWtCLENBQUMsYUFBYSxDQUFDLEdBQUcsSUFBSSxDQUFDLGtCQUFrQixHQUFHLGNBQWMsQ0FBQztRQUNoSCxJQUFJLElBQUksQ0FBQyxjQUFjLEdBQUcscUJBQXFCLEVBQUU7WUFDL0MsSUFBSSxJQUFJLENBQUMsYUFBYSxLQUFLLENBQUMsQ0FBQyxFQUFFO2dCQUM3QixXQUFXLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQzthQUN2QztZQUNELElBQUksQ0FBQyxhQUFhLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO1lBQ2hFLElBQUksQ0FBQyxjQUFjLEdBQUcscUJBQXFCLENBQUM7WUFDNUMsSUFBSSxDQUFDLG9CQUFvQixFQUFFLENBQUM7U0FDN0I7UUFDRCxPQUFPLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLGNBQWMsR0FBRyxJQUFJLENBQUMsa0JBQWtCLEdBQUcsY0FBYyxDQUFDLENBQUM7SUFDcEYsQ0FBQztJQUVEOzs7O1FBSUk7SUFDSixrQkFBa0IsQ0FBQyxhQUFxQjtRQUN0QyxJQUFJLGlCQUFpQixHQUFHLENBQUMsQ0FBQztRQUMxQixJQUFJLElBQUksQ0FBQyxhQUFhLEVBQUU7WUFDdEIsTUFBTSxJQUFJLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQztZQUNqQyxNQUFNLGVBQWUsR0FBRyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsYUFBYSxJQUFJLENBQUMsQ0FBQyxHQUFHLG1CQUFtQixDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ25GLEtBQUssSUFBSSxPQUFPLEdBQUcsQ0FBQyxFQUFFLE9BQU8sR0FBRyxJQUFJLENBQUMsa0JBQWtCLEVBQUUsT0FBTyxFQUFFLEVBQUU7Z0JBQ2xFLGlCQUFpQixHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsaUJBQWlCLEVBQUUsSUFBSSxDQUFDLGVBQWUsR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDO2FBQ2xGO1NBQ0Y7UUFDRCxPQUFPLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxhQUFhLEdBQUcsaUJBQWlCLENBQUMsR0FBRyxJQUFJLENBQUMsU0FBUyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDOUYsQ0FBQztJQUVELFlBQVksQ0FBQyxhQUFxQixFQUFFLGNBQXNCO1FBQ3hELElBQUksQ0FBQyxjQUFjLElBQUksYUFBYSxDQUFDO1FBQ3JDLElBQUksQ0FBQyxlQUFlLElBQUksY0FBYyxDQUFDO1FBQ3ZDLElBQUksQ0FBQyx1QkFBdUIsSUFBSSxhQUFhLEdBQUcsSUFBSSxDQUFDLFNBQVMsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDO0lBQ2xGLENBQUM7SUFFRCwrRkFBK0Y7SUFDL0Ysd0ZBQXdGO0lBQ3hGLHFFQUFxRTtJQUNyRSxJQUFJLFdBQVc7UUFDYixPQUFPLElBQUksQ0FBQyxRQUFRLEtBQUssT0FBTyxJQUFJLElBQUksQ0FBQyxTQUFTLEtBQUssT0FBTyxJQUFJLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQztJQUN4RixDQUFDO0lBRUQsSUFBSSxtQkFBbUI7UUFDckIsT0FBTyxJQUFJLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxpQkFBaUIsQ0FBQztJQUMxRixDQUFDO0lBRUQsNkZBQTZGO0lBQzdGLElBQUksZUFBZTtRQUNqQixPQUFPLENBQUMsSUFBSSxDQUFDLG1CQUFtQixJQUFJLENBQUMsSUFBSSxDQUFDLFdBQVcsSUFBSSxJQUFJLENBQUMsU0FBUyxLQUFLLFNBQVMsQ0FBQyxDQUFDO0lBQ3pGLENBQUM7SUFFRCxtQkFBbUIsQ0FBQyxLQUFzQjtRQUN4QyxNQUFNLGdCQUFnQixHQUFHLDBCQUFnQixDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUN6RCx3RkFBd0Y7UUFDeEYsSUFBSSxLQUFLLENBQUMsVUFBVSxHQUFHLENBQUMsSUFBSSxDQUFDLFFBQVEsR0FBRyxnQkFBZ0IsQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUMvRCxNQUFNLElBQUksc0NBQTZCLENBQ3JDLHdDQUF3QyxJQUFJLENBQUMsUUFBUSxlQUFlLGdCQUFnQixjQUFjLElBQUksQ0FBQyxRQUFRLGdCQUFnQixLQUFLLENBQUMsVUFBVSxRQUFRLENBQ3hKLENBQUM7U0FDSDtJQUNILENBQUM7SUFFRDs7O1FBR0k7SUFDSixtQkFBbUIsQ0FBQyxLQUFpQjtRQUNuQyxNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDO1FBQ3BDLE1BQU0sYUFBYSxHQUFHLEtBQUssQ0FBQyxNQUFNLEdBQUcsMEJBQWdCLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUM7UUFDckYsTUFBTSxvQkFBb0IsR0FBRyxJQUFJLENBQUMsY0FBYyxDQUFDLGFBQWEsRUFBRSxJQUFJLENBQUMsbUJBQW1CLENBQUMsQ0FBQztRQUUxRixnREFBZ0Q7UUFDaEQsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsWUFBWSxFQUFFLGFBQWEsRUFBRSxLQUFLLENBQUMsQ0FBQztRQUM5RCxrRUFBa0U7UUFDbEUsTUFBTSxTQUFTLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFlBQVksSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsWUFBWSxJQUFJLENBQUMsQ0FBQyxHQUFHLGFBQWEsR0FBRyxJQUFJLENBQUMsa0JBQWtCLENBQUMsQ0FBQztRQUMzSSxJQUFJLElBQUksQ0FBQyxvQkFBb0IsRUFBRTtZQUM3QixNQUFNLE9BQU8sR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLGFBQWEsR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDakUsdUJBQWEsQ0FBQyxLQUFLLEVBQUUsSUFBSSxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUMsQ0FBQztZQUM3Qyx5QkFBYyxDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUUsT0FBTyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1NBQ3hEO2FBQU0sSUFBSSxVQUFVLElBQUksSUFBSSxDQUFDLFFBQVEsS0FBSyxTQUFTLEVBQUU7WUFDcEQsV0FBVyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxFQUFFLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQztTQUNsRDthQUFNO1lBQ0wsdUJBQWEsQ0FBQyxLQUFLLEVBQUUsSUFBSSxDQUFDLFFBQVEsRUFBRSxTQUFTLENBQUMsQ0FBQztTQUNoRDtRQUVELDREQUE0RDtRQUM1RCxXQUFXLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUUsb0JBQW9CLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDdEUsTUFBTSxTQUFTLEdBQUcsVUFBVSxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsd0NBQXdDLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQywwQ0FBMEMsQ0FBQztRQUM3SSxNQUFNLE1BQU0sR0FBRyxTQUFTLENBQ3RCLElBQUksQ0FBQyxhQUFhLEVBQ2xCLElBQUksQ0FBQyxZQUFZLEVBQ2pCLElBQUksQ0FBQyxZQUFZLEVBQ2pCLElBQUksQ0FBQyxhQUFhLEVBQ2xCLElBQUksQ0FBQyxhQUFhLENBQ25CLENBQUM7UUFFRixZQUFZLENBQUMsTUFBTSxDQUFDLENBQUM7UUFFckIsa0VBQWtFO1FBQ2xFLE1BQU0sNEJBQTRCLEdBQUcsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsYUFBYSxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQ3JGLElBQUksQ0FBQyxZQUFZLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsWUFBWSxFQUFFLEtBQUssQ0FBQyxFQUFFLDRCQUE0QixDQUFDLENBQUM7UUFDaEcsT0FBTyw0QkFBNEIsQ0FBQztJQUN0QyxDQUFDO0lBRUQ7OztRQUdJO0lBQ0osaUJBQWlCLENBQUMsY0FBc0I7UUFDdEMsTUFBTSxTQUFTLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLGFBQWEsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsYUFBYSxJQUFJLENBQUMsQ0FBQyxHQUFHLGNBQWMsR0FBRyxJQUFJLENBQUMsa0JBQWtCLENBQUMsQ0FBQztRQUM5SSxJQUFJLENBQUMsSUFBSSxDQUFDLG1CQUFtQixFQUFFO1lBQzdCLE9BQU8sU0FBUyxDQUFDO1NBQ2xCO1FBQ0QsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxjQUFjLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBQyxDQUFDO1FBQ25FLHlCQUFjLENBQUMsSUFBSSxDQUFDLGFBQWEsRUFBRSxTQUFTLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDckQsT0FBTyxLQUFLLENBQUM7SUFDZixDQUFDO0lBRUQ7Ozs7UUFJSTtJQUNKLFlBQVksQ0FBQyxLQUFzQjtRQUNqQyxJQUFJLENBQUMsY0FBYyxFQUFFLENBQUM7UUFDdEIsSUFBSSxDQUFDLG1CQUFtQixDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ2hDLE1BQU0sY0FBYyxHQUFHLElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNyRSxNQUFNLGVBQWUsR0FBRyxjQUFjLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBQztRQUUxRCxJQUFJLElBQUksQ0FBQyxlQUFlLEVBQUU7WUFDeEIsTUFBTSxhQUFhLEdBQUcsZUFBZSxHQUFHLElBQUksQ0FBQyxtQkFBbUIsQ0FBQztZQUNqRSxJQUFJLElBQUksQ0FBQyxVQUFVLEVBQUU7Z0JBQ25CLE9BQU8sZUFBTSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDLE1BQU0sRUFBRSxJQUFJLENBQUMsYUFBYSxFQUFFLGFBQWEsQ0FBQyxDQUFDO2FBQ2xGO1lBQ0QsaUhBQWlIO1lBQ2pILE9BQU8sZUFBTSxDQUFDLElBQUksQ0FDaEIsV0FBVyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQ3RCLElBQUksQ0FBQyxhQUFhLEVBQ2xCLElBQUksQ0FBQyxhQUFhLEdBQUcsYUFBYSxDQUNuQyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1NBQ2I7UUFDRCxNQUFNLGFBQWEsR0FBRyxlQUFlLEdBQUcsMEJBQWdCLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBQ3pFLElBQUksR0FBVyxDQUFDO1FBQ2hCLElBQUksSUFBSSxDQUFDLFVBQVUsRUFBRTtZQUNuQixJQUFJLElBQUksQ0FBQyxjQUFjLENBQUMsTUFBTSxHQUFHLGFBQWEsRUFBRTtnQkFDOUMsSUFBSSxDQUFDLGNBQWMsR0FBRyxlQUFNLENBQUMsS0FBSyxDQUFDLGFBQWEsQ0FBQyxDQUFDO2FBQ25EO1lBQ0QsR0FBRyxHQUFHLElBQUksQ0FBQyxjQUFjLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxhQUFhLENBQUMsQ0FBQztTQUNuRDthQUFNO1lBQ0wsR0FBRyxHQUFHLGVBQU0sQ0FBQyxLQUFLLENBQUMsYUFBYSxDQUFDLENBQUM7U0FDbkM7UUFDRCx1QkFBYSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxjQUFjLENBQUMsRUFBRSxHQUFHLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBQzNFLE9BQU8sR0FBRyxDQUFDO0lBQ2IsQ0FBQztJQUVEOzs7Ozs7O1FBT0k7SUFDSixXQUFXLENBQUMsS0FBc0IsRUFBRSxNQUF1QjtRQUN6RCxJQUFJLENBQUMsY0FBYyxFQUFFLENBQUM7UUFDdEIsSUFBSSxDQUFDLG1CQUFtQixDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ2hDLE1BQU0sYUFBYSxHQUFHLEtBQUssQ0FBQyxVQUFVLEdBQUcsMEJBQWdCLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUM7UUFDekYsTUFBTSxnQkFBZ0IsR0FBRyxJQUFJLENBQUMsa0JBQWtCLENBQUMsYUFBYSxDQUFDLEdBQUcsSUFBSSxDQUFDLFdBQVcsR0FBRywwQkFBZ0IsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDdEgsSUFBSSxNQUFNLENBQUMsVUFBVSxHQUFHLGdCQUFnQixFQUFFO1lBQ3hDLE1BQU0sSUFBSSxzQ0FBNkIsQ0FBQyx3QkFBd0IsZ0JBQWdCLHNCQUFzQixNQUFNLENBQUMsVUFBVSxFQUFFLENBQUMsQ0FBQztTQUM1SDtRQUNELE1BQU0sY0FBYyxHQUFHLElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUVyRSxJQUFJLElBQUksQ0FBQyxlQUFlLEVBQUU7WUFDeEIsWUFBWSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsYUFBYSxFQUFFLElBQUksQ0FBQyxhQUFhLEdBQUcsY0FBYyxHQUFHLElBQUksQ0FBQyxXQUFXLEdBQUcsSUFBSSxDQUFDLG1CQUFtQixDQUFDLENBQUMsQ0FBQztTQUM5SjthQUFNO1lBQ0wsdUJBQWEsQ0FBQyxJQUFJLENBQUMsaUJBQWlCLENBQUMsY0FBYyxDQUFDLEVBQUUsWUFBWSxDQUFDLE1BQU0sQ0FBQyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUM3RjtRQUNELE9BQU8sY0FBYyxDQUFDO0lBQ3hCLENBQUM7SUFFRDs7OztRQUlJO0lBQ0osVUFBVSxDQUFDLGNBQTRFO1FBQ3JGLE1BQU0sc0JBQXNCLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsdUJBQXVCLENBQUMsR0FBRyxJQUFJLENBQUMsY0FBYyxDQUFDO1FBQzlGLE1BQU0sYUFBYSxHQUFHLElBQUksQ0FBQyxjQUFjLENBQUM7UUFDMUMsTUFBTSwrQkFBK0IsR0FBRyxJQUFJLENBQUMsdUJBQXVCLENBQUM7UUFDckUsZ0ZBQWdGO1FBQ2hGLE1BQU0sa0JBQWtCLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsV0FBVyxDQUFDLGtDQUFrQyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDO1FBQzNHLElBQUksa0JBQWtCLEdBQUcsc0JBQXNCLEdBQUcsSUFBSSxDQUFDLGVBQWUsQ0FBQztRQUN2RSxrR0FBa0c7UUFDbEcsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLG9CQUFvQixJQUFJLGtCQUFrQixHQUFHLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUN2RSxrQkFBa0IsSUFBSSxjQUFjLENBQUMsa0JBQWtCLEVBQUUsa0JBQWtCLENBQUMsQ0FBQztTQUM5RTtRQUNELDZEQUE2RDtRQUM3RCxJQUFJLENBQUMsY0FBYyxHQUFHLGFBQWEsQ0FBQztRQUNwQyxJQUFJLENBQUMsdUJBQXVCLEdBQUcsK0JBQStCLENBQUM7UUFDL0QsSUFBSSxDQUFDLGVBQWUsR0FBRyxzQkFBc0IsR0FBRyxrQkFBa0IsQ0FBQztJQUNyRSxDQUFDO0lBRUQ7Ozs7O1FBS0k7SUFDSixLQUFLO1FBQ0gsSUFBSSxDQUFDLG1CQUFtQixFQUFFLENBQUM7UUFDM0IsSUFBSSxDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUU7WUFDdkIsT0FBTyxvQkFBWSxDQUFDO1NBQ3JCO1FBQ0QsTUFBTSxlQUFlLEdBQUcsSUFBSSxDQUFDLFFBQVEsR0FBRywwQkFBZ0IsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDeEUsTUFBTSxnQkFBZ0IsR0FBRyxJQUFJLENBQUMsV0FBVyxHQUFHLDBCQUFnQixDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUM3RSxNQUFNLE1BQU0sR0FBYSxFQUFFLENBQUM7UUFDNUIsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLGFBQWEsRUFBRSxpQkFBaUIsRUFBRSxFQUFFO1lBQ25ELE1BQU0sR0FBRyxHQUFHLElBQUksQ0FBQyxZQUFZLENBQUMsZUFBTSxDQUFDLEtBQUssQ0FBQyxhQUFhLEdBQUcsZUFBZSxDQUFDLENBQUMsQ0FBQztZQUM3RSxNQUFNLFdBQVcsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxNQUFNLEdBQUcsZ0JBQWdCLEVBQUUsaUJBQWlCLENBQUMsQ0FBQztZQUMvRSw0RUFBNEU7WUFDNUUsTUFBTSxDQUFDLElBQUksQ0FBQyxlQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLFdBQVcsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN2RSxPQUFPLFdBQVcsQ0FBQztRQUNyQixDQUFDLENBQUMsQ0FBQztRQUNILE9BQU8sZUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUMvQixDQUFDO0lBRUQ7OztRQUdJO0lBQ0osS0FBSztRQUNILElBQUksQ0FBQyxtQkFBbUIsRUFBRSxDQUFDO1FBQzNCLElBQUksQ0FBQyxjQUFjLEdBQUcsQ0FBQyxDQUFDO1FBQ3hCLElBQUksQ0FBQyxlQUFlLEdBQUcsQ0FBQyxDQUFDO1FBQ3pCLElBQUksQ0FBQyx1QkFBdUIsR0FBRyxDQUFDLENBQUM7UUFDakMsSUFBSSxDQUFDLGFBQWEsR0FBRyxDQUFDLENBQUM7UUFDdkIsSUFBSSxDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUU7WUFDdkIsT0FBTztTQUNSO1FBQ0QsSUFBSSxDQUFDLFNBQVMsRUFBRSxDQUFDO1FBQ2pCLElBQUksSUFBSSxDQUFDLGlCQUFpQixFQUFFO1lBQzFCLFdBQVcsQ0FBQywyQkFBMkIsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUM7U0FDN0Q7SUFDSCxDQUFDO0lBRUQsU0FBUztRQUNQLFlBQVksQ0FBQyxXQUFXLENBQUMsMEJBQTBCLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUM7UUFDekUsbUhBQW1IO1FBQ25ILDBEQUEwRDtRQUMxRCxNQUFNLElBQUksR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDO1FBQ2pDLE1BQU0sUUFBUSxHQUFHLElBQUksQ0FBQyxhQUFhLElBQUksQ0FBQyxDQUFDO1FBQ3pDLE1BQU0sTUFBTSxHQUFHLElBQUksQ0FBQyxRQUFRLEdBQUcsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQy9DLFdBQVcsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsRUFBRSxNQUFNLEVBQUUsTUFBTSxHQUFHLElBQUksQ0FBQyxrQkFBa0IsR0FBRyxJQUFJLENBQUMsUUFBUSxHQUFHLG9CQUFvQixDQUFDLENBQUMsQ0FBQztJQUNoSCxDQUFDO0lBRUQ7Ozs7UUFJSTtJQUNKLFFBQVE7UUFDTixJQUFJLENBQUMsY0FBYyxFQUFFLENBQUM7UUFDdEIsTUFBTSxJQUFJLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQztRQUNqQyxNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsYUFBYSxJQUFJLENBQUMsQ0FBQztRQUN6QyxNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsa0JBQWtCLENBQUM7UUFDekMsTUFBTSxPQUFPLEdBQUcsSUFBSSxDQUFDLFFBQVEsR0FBRyxjQUFjLENBQUMsQ0FBQztRQUNoRCxNQUFNLFVBQVUsR0FBRyxDQUFDLEtBQWEsRUFBRSxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFDLE1BQU0sRUFBRSxRQUFRLEVBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxRQUFRLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLENBQUMsQ0FBQztRQUNwSSxNQUFNLFdBQVcsR0FBRyxVQUFVLENBQUMsaUJBQWlCLENBQUMsQ0FBQztRQUNsRCxNQUFNLFlBQVksR0FBRyxVQUFVLENBQUMsbUJBQW1CLENBQUMsQ0FBQztRQUNyRCxNQUFNLFlBQVksR0FBRyxVQUFVLENBQUMsbUJBQW1CLENBQUMsQ0FBQztRQUNyRCxxR0FBcUc7UUFDckcsTUFBTSxVQUFVLEdBQUcsWUFBWSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsT0FBTyxHQUFHLENBQUMsR0FBRyxLQUFLLENBQUMsQ0FBQztRQUVwRSxNQUFNLFFBQVEsR0FBRyxlQUFNLENBQUMsS0FBSyxDQUFDLHNCQUFzQixHQUFHLFFBQVEsR0FBRyx1QkFBdUIsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsR0FBRyxHQUFHLE1BQU0sRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNySixJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUM7UUFDZixLQUFLLE1BQU0sS0FBSyxJQUFJLENBQUMsY0FBYyxFQUFFLGdCQUFnQixFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsSUFBSSxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsT0FBTyxFQUFFLElBQUksQ0FBQyxRQUFRLEdBQUcsYUFBYSxDQUFDLENBQUMsRUFBRTtZQUNsTCxNQUFNLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyxLQUFLLEVBQUUsTUFBTSxDQUFDLENBQUM7U0FDaEQ7UUFDRCxLQUFLLE1BQU0sS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFDLGNBQWMsRUFBRSxJQUFJLENBQUMsZUFBZSxFQUFFLElBQUksQ0FBQyx1QkFBdUIsRUFBRSxJQUFJLENBQUMsYUFBYSxDQUFDLEVBQUU7WUFDakgsTUFBTSxHQUFHLFFBQVEsQ0FBQyxhQUFhLENBQUMsS0FBSyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1NBQ2hEO1FBQ0QsS0FBSyxJQUFJLE9BQU8sR0FBRyxDQUFDLEVBQUUsT0FBTyxHQUFHLFFBQVEsRUFBRSxPQUFPLEVBQUUsRUFBRTtZQUNuRCxNQUFNLEdBQUcsUUFBUSxDQUFDLFlBQVksQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1lBQ2pFLE1BQU0sR0FBRyxRQUFRLENBQUMsYUFBYSxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQztZQUMvRCxNQUFNLEdBQUcsUUFBUSxDQUFDLGFBQWEsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUM7U0FDaEU7UUFDRCxNQUFNLE1BQU0sR0FBRyxJQUFJLENBQUMsUUFBUSxHQUFHLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUMvQyxNQUFNLFlBQVksR0FBRyxJQUFJLENBQUMsUUFBUSxHQUFHLG9CQUFvQixDQUFDLENBQUM7UUFDM0QsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLE1BQU0sRUFBRSxPQUFPLEVBQUUsRUFBRTtZQUNyQyxNQUFNLEdBQUcsR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsT0FBTyxHQUFHLFlBQVksRUFBRSxNQUFNLEdBQUcsT0FBTyxHQUFHLFlBQVksR0FBRyxNQUFNLENBQUMsQ0FBQztZQUNwSCxLQUFLLE1BQU0sTUFBTSxJQUFJLEdBQUcsRUFBRTtnQkFDeEIsTUFBTSxHQUFHLFFBQVEsQ0FBQyxZQUFZLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxDQUFDO2FBQ2hEO1FBQ0gsQ0FBQyxDQUFDLENBQUM7UUFDSCxPQUFPLFFBQVEsQ0FBQztJQUNsQixDQUFDO0lBRUQ7Ozs7UUFJSTtJQUNKLE9BQU8sQ0FBQyxRQUF1QztRQUM3QyxJQUFJLENBQUMsbUJBQW1CLEVBQUUsQ0FBQztRQUMzQixNQUFNLElBQUksR0FBRyxrQkFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQ2hDLElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxzQkFBc0IsSUFBSSxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxLQUFLLGNBQWMsRUFBRTtZQUNuRixNQUFNLElBQUksc0NBQTZCLENBQUMsNEJBQTRCLENBQUMsQ0FBQztTQUN2RTtRQUNELE1BQU0sQ0FBQyxPQUFPLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBQyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBQyxNQUFNLEVBQUUsQ0FBQyxFQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDOUosSUFBSSxPQUFPLEtBQUssZ0JBQWdCLEVBQUU7WUFDaEMsTUFBTSxJQUFJLHNDQUE2QixDQUFDLDBDQUEwQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO1NBQzlGO1FBQ0QsSUFBSSxRQUFRLEtBQUssSUFBSSxDQUFDLGtCQUFrQixFQUFFO1lBQ3hDLE1BQU0sSUFBSSxzQ0FBNkIsQ0FBQyxnQ0FBZ0MsUUFBUSx1QkFBdUIsSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUMsQ0FBQztTQUNuSTtRQUNELE1BQU0sU0FBUyxHQUFHLHNCQUFzQixHQUFHLFFBQVEsR0FBRyx1QkFBdUIsQ0FBQztRQUM5RSxNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUMsTUFBTSxFQUFFLFFBQVEsRUFBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLE9BQU8sRUFBRSxFQUFFLENBQUMsQ0FDL0YsT0FBTyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLHNCQUFzQixHQUFHLE9BQU8sR0FBRyx1QkFBdUIsR0FBRyxDQUFDLENBQUMsQ0FDaEcsQ0FBQyxDQUFDO1FBQ0gsSUFBSSxJQUFJLENBQUMsTUFBTSxLQUFLLFNBQVMsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsR0FBRyxHQUFHLE1BQU0sRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksVUFBVSxDQUFDLE1BQU0sS0FBSyxRQUFRLEVBQUU7WUFDekgsTUFBTSxJQUFJLHNDQUE2QixDQUFDLG1DQUFtQyxDQUFDLENBQUM7U0FDOUU7UUFFRCxJQUFJLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3pCLElBQUksQ0FBQyxXQUFXLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDdEQsSUFBSSxDQUFDLGNBQWMsRUFBRSxDQUFDO1FBQ3RCLElBQUksQ0FBQyxTQUFTLEVBQUUsQ0FBQztRQUNqQixNQUFNLElBQUksR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDO1FBQ2pDLE1BQU0sUUFBUSxHQUFHLElBQUksQ0FBQyxhQUFhLElBQUksQ0FBQyxDQUFDO1FBQ3pDLE1BQU0sWUFBWSxHQUFHLElBQUksQ0FBQyxRQUFRLEdBQUcsb0JBQW9CLENBQUMsQ0FBQztRQUMzRCxJQUFJLElBQUksQ0FBQyxRQUFRLEdBQUcsY0FBYyxDQUFDLEtBQUssT0FBTyxJQUFJLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLE1BQU0sR0FBRyxZQUFZLENBQUMsRUFBRTtZQUNyRyxNQUFNLElBQUksb0NBQTJCLENBQUMsdUdBQXVHLENBQUMsQ0FBQztTQUNoSjtRQUNELElBQUksQ0FBQyxRQUFRLEdBQUcsYUFBYSxDQUFDLEdBQUcsT0FBTyxDQUFDO1FBQ3pDLElBQUksQ0FBQyxjQUFjLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDO1FBQ2hFLElBQUksQ0FBQyxlQUFlLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxzQkFBc0IsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNyRSxJQUFJLENBQUMsdUJBQXVCLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxzQkFBc0IsR0FBRyxFQUFFLENBQUMsQ0FBQztRQUM5RSxJQUFJLENBQUMsYUFBYSxHQUFHLElBQUksQ0FBQyxZQUFZLENBQUMsc0JBQXNCLEdBQUcsRUFBRSxDQUFDLENBQUM7UUFDcEUsSUFBSSxNQUFNLEdBQUcsc0JBQXNCLENBQUM7UUFDcEMsS0FBSyxJQUFJLE9BQU8sR0FBRyxDQUFDLEVBQUUsT0FBTyxHQUFHLFFBQVEsRUFBRSxPQUFPLEVBQUUsRUFBRTtZQUNuRCxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxDQUFDLFFBQVEsR0FBRyxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxHQUFHLElBQUksQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUM7WUFDbkcsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLFFBQVEsR0FBRyxtQkFBbUIsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxHQUFHLElBQUksQ0FBQyxZQUFZLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBQzVGLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxRQUFRLEdBQUcsbUJBQW1CLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztZQUM1RixNQUFNLElBQUksdUJBQXVCLENBQUM7U0FDbkM7UUFDRCxNQUFNLE1BQU0sR0FBRyxJQUFJLENBQUMsUUFBUSxHQUFHLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUMvQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUMsTUFBTSxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQ3JDLE1BQU0sR0FBRyxHQUFHLFdBQVcsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxPQUFPLEdBQUcsWUFBWSxFQUFFLE1BQU0sR0FBRyxPQUFPLEdBQUcsWUFBWSxHQUFHLE1BQU0sQ0FBQyxDQUFDO1lBQ3BILEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUUsTUFBTSxJQUFJLENBQUMsRUFBRTtnQkFDNUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUM7YUFDbkM7UUFDSCxDQUFDLENBQUMsQ0FBQztJQUNMLENBQUM7SUFFRDs7Ozs7OztRQU9JO0lBQ0osYUFBYSxDQUFDLEtBQXFCLEVBQUUsTUFBdUI7UUFDMUQsSUFBSSxDQUFDLGNBQWMsRUFBRSxDQUFDO1FBQ3RCLElBQUksS0FBSyxDQUFDLE1BQU0sS0FBSyxJQUFJLENBQUMsUUFBUSxFQUFFO1lBQ2xDLE1BQU0sSUFBSSxzQ0FBNkIsQ0FBQyxZQUFZLElBQUksQ0FBQyxRQUFRLGtCQUFrQixLQUFLLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQztTQUNwRztRQUNELElBQUksTUFBTSxJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNoRCxNQUFNLElBQUksc0NBQTZCLENBQUMsWUFBWSxJQUFJLENBQUMsV0FBVyx5QkFBeUIsTUFBTSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUM7U0FDL0c7UUFDRCxNQUFNLGFBQWEsR0FBRyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO1FBQ3RDLElBQUksS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLE9BQU8sRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLE1BQU0sS0FBSyxhQUFhLENBQUMsRUFBRTtZQUM3RCxNQUFNLElBQUksc0NBQTZCLENBQUMsMENBQTBDLENBQUMsQ0FBQztTQUNyRjtRQUNELE1BQU0saUJBQWlCLEdBQUcsSUFBSSxDQUFDLGtCQUFrQixDQUFDLGFBQWEsQ0FBQyxDQUFDO1FBQ2pFLElBQUksTUFBTSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsaUJBQWlCLENBQUMsRUFBRTtZQUMxRSxNQUFNLElBQUksc0NBQTZCLENBQUMsa0NBQWtDLGlCQUFpQixnQkFBZ0IsQ0FBQyxDQUFDO1NBQzlHO1FBQ0QsTUFBTSxvQkFBb0IsR0FBRyxJQUFJLENBQUMsY0FBYyxDQUFDLGFBQWEsRUFBRSxZQUFZLENBQUMsaUJBQWlCLENBQUMsQ0FBQztRQUVoRyw4RkFBOEY7UUFDOUYsTUFBTSxVQUFVLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFDLE1BQU0sRUFBRSxJQUFJLENBQUMsa0JBQWtCLEVBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsRUFBRTtZQUM5RSxNQUFNLGVBQWUsR0FBRyxDQUFDLElBQUksQ0FBQyxZQUFZLElBQUksQ0FBQyxDQUFDLEdBQUcsT0FBTyxHQUFHLGFBQWEsQ0FBQztZQUMzRSxPQUFPLFdBQVcsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLGVBQWUsRUFBRSxlQUFlLEdBQUcsYUFBYSxDQUFDLENBQUM7UUFDeEYsQ0FBQyxDQUFDLENBQUM7UUFDSCxJQUFJLElBQUksQ0FBQyxvQkFBb0IsRUFBRTtZQUM3QixvQkFBUyxDQUFDLElBQUksQ0FBQyxhQUFhLEVBQUUsS0FBSyxFQUFFLFVBQVUsRUFBRSxhQUFhLENBQUMsQ0FBQztTQUNqRTthQUFNO1lBQ0wsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLFNBQVMsRUFBRSxPQUFPLEVBQUUsRUFBRSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUMzRTtRQUVELElBQUksbUJBQW1CLEdBQUcsQ0FBQyxDQUFDO1FBQzVCLElBQUksY0FBYyxHQUFHLENBQUMsQ0FBQztRQUN2QixLQUFLLElBQUksT0FBTyxHQUFHLENBQUMsRUFBRSxPQUFPLEdBQUcsSUFBSSxDQUFDLGtCQUFrQixFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQ2xFLE1BQU0sWUFBWSxHQUFHLElBQUksQ0FBQyxZQUFZLEdBQUcsT0FBTyxHQUFHLGFBQWEsR0FBRyxZQUFZLENBQUMsaUJBQWlCLENBQUM7WUFDbEcsTUFBTSxhQUFhLEdBQUcsSUFBSSxDQUFDLGFBQWEsR0FBRyxPQUFPLEdBQUcsb0JBQW9CLEdBQUcsWUFBWSxDQUFDLGlCQUFpQixDQUFDO1lBQzNHLFdBQVcsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFlBQVksRUFBRSxhQUFhLEVBQUUsS0FBSyxDQUFDLENBQUM7WUFDOUQsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsYUFBYSxFQUFFLG9CQUFvQixFQUFFLEtBQUssQ0FBQyxDQUFDO1lBQ3RFLFlBQVksQ0FBQyxXQUFXLENBQUMsOEJBQThCLENBQ3JELElBQUksQ0FBQyxhQUFhLEVBQ2xCLE9BQU8sRUFDUCxZQUFZLEVBQ1osSUFBSSxDQUFDLFlBQVksRUFDakIsYUFBYSxFQUNiLElBQUksQ0FBQyxhQUFhLENBQ25CLENBQUMsQ0FBQztZQUNILDRGQUE0RjtZQUM1RixtQkFBbUIsR0FBRyxXQUFXLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsS0FBSyxDQUFDLENBQUM7WUFDckUsY0FBYyxHQUFHLFdBQVcsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLGFBQWEsRUFBRSxLQUFLLENBQUMsQ0FBQztTQUNsRTtRQUNELElBQUksQ0FBQyxZQUFZLENBQUMsbUJBQW1CLEVBQUUsY0FBYyxDQUFDLENBQUM7UUFFdkQsTUFBTSxTQUFTLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFDLE1BQU0sRUFBRSxJQUFJLENBQUMsa0JBQWtCLEVBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsRUFBRTtZQUM3RSxNQUFNLGdCQUFnQixHQUFHLENBQUMsSUFBSSxDQUFDLGFBQWEsSUFBSSxDQUFDLENBQUMsR0FBRyxPQUFPLEdBQUcsb0JBQW9CLENBQUM7WUFDcEYsT0FBTyxXQUFXLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxnQkFBZ0IsRUFBRSxnQkFBZ0IsR0FBRyxjQUFjLENBQUMsQ0FBQztRQUMzRixDQUFDLENBQUMsQ0FBQztRQUNILElBQUksSUFBSSxDQUFDLG1CQUFtQixFQUFFO1lBQzVCLE1BQU0sS0FBSyxHQUFHLE1BQU0sSUFBSSxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxXQUFXLEVBQUMsRUFBRSxHQUFHLEVBQUUsQ0FBQyxJQUFJLFlBQVksQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDO1lBQ3ZHLG9CQUFTLENBQUMsSUFBSSxDQUFDLGFBQWEsRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLGNBQWMsQ0FBQyxDQUFDO1lBQ2hFLE9BQU8sS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE9BQU8sRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsY0FBYyxDQUFDLENBQUMsQ0FBQztTQUNwRTtRQUNELE9BQU8sU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE9BQU8sRUFBRSxLQUFLLEVBQUUsRUFBRTtZQUN0QyxJQUFJLE1BQU0sRUFBRTtnQkFDVixNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUMzQixPQUFPLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFLGNBQWMsQ0FBQyxDQUFDO2FBQ2xEO1lBQ0QsT0FBTyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDekIsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDO0lBRUQ7OztRQUdJO0lBQ0osV0FBVztRQUNULElBQUksQ0FBQyxtQkFBbUIsRUFBRSxDQUFDO1FBQzNCLE1BQU0sTUFBTSxHQUFxQixFQUFFLENBQUM7UUFDcEMsSUFBSSxJQUFJLENBQUMsYUFBYSxFQUFFO1lBQ3RCLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxhQUFhLEVBQUUsaUJBQWlCLEVBQUUsRUFBRTtnQkFDbkQsTUFBTSxPQUFPLEdBQUcsSUFBSSxZQUFZLENBQUMsYUFBYSxDQUFDLENBQUM7Z0JBQ2hELE1BQU0sR0FBRyxHQUFHLElBQUksQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFDLE1BQU0sRUFBRSxJQUFJLENBQUMsUUFBUSxFQUFDLEVBQUUsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztnQkFDbkYsTUFBTSxXQUFXLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFLGlCQUFpQixDQUFDLENBQUM7Z0JBQy9ELE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE9BQU8sRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUNwRSxPQUFPLFdBQVcsQ0FBQztZQUNyQixDQUFDLENBQUMsQ0FBQztTQUNKO1FBQ0QsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxXQUFXLEVBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsRUFBRTtZQUMzRCxNQUFNLEdBQUcsR0FBRyxJQUFJLFlBQVksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNsRyxJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUM7WUFDZixLQUFLLE1BQU0sS0FBSyxJQUFJLE1BQU0sRUFBRTtnQkFDMUIsR0FBRyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUM7Z0JBQ2hDLE1BQU0sSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsTUFBTSxDQUFDO2FBQ2pDO1lBQ0QsT0FBTyxHQUFHLENBQUM7UUFDYixDQUFDLENBQUMsQ0FBQztJQUNMLENBQUM7Q0FDRjtBQXgxQkQsd0NBdzFCQztBQUVELGtCQUFlLGNBQWMsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8vLyA8cmVmZXJlbmNlIHR5cGVzPVwiZW1zY3JpcHRlblwiIC8+XG5cbmltcG9ydCBTcGVleFdhc20gZnJvbSAnLi9zcGVleF93YXNtJztcbmltcG9ydCBzcGVleFdhc21CaW5hcnkgZnJvbSAnLi9zcGVleF93YXNtX2JpbmFyeSc7XG5pbXBvcnQgeyBCdWZmZXIgfSBmcm9tICdidWZmZXInXG5pbXBvcnQgeyBTYW1wbGVGb3JtYXQsIEJZVEVTX1BFUl9TQU1QTEUsIGFzc2VydFNhbXBsZUZvcm1hdCwgZGVjb2RlU2FtcGxlcywgZW5jb2RlU2FtcGxlcywgdG9CdWZmZXIgfSBmcm9tICcuL2Zvcm1hdHMnO1xuaW1wb3J0IHtcbiAgU3BlZXhSZXNhbXBsZXJFcnJvcixcbiAgU3BlZXhSZXNhbXBsZXJCYWRTdGF0ZUVycm9yLFxuICBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvcixcbiAgUkVTQU1QTEVSX0VSUl9TVUNDRVNTLFxuICBlcnJvckZyb21Db2RlLFxufSBmcm9tICcuL2Vycm9ycyc7XG5pbXBvcnQgeyBNaXhpbmdNYXRyaXgsIGRlZmF1bHRNaXhpbmdNYXRyaXgsIGNoYW5uZWxNYXBUb01hdHJpeCwgYXNzZXJ0TWl4aW5nTWF0cml4LCBpc0lkZW50aXR5TWF0cml4LCBtaXhJbnRlcmxlYXZlZCwgbWl4UGxhbmFyIH0gZnJvbSAnLi9jaGFubmVscyc7XG5cbmV4cG9ydCB7IFNhbXBsZUZvcm1hdCwgTWl4aW5nTWF0cml4IH07XG5cbmV4cG9ydCBpbnRlcmZhY2UgU3BlZXhSZXNhbXBsZXJPcHRpb25zIHtcbiAgLyoqIHNhbXBsZSBmb3JtYXQgb2YgdGhlIGlucHV0IGFuZCBvdXRwdXQgY2h1bmtzLCBkZWZhdWx0IHRvIGZsb2F0MzIgKi9cbiAgZm9ybWF0PzogU2FtcGxlRm9ybWF0O1xuICAvKiogc2FtcGxlIGZvcm1hdCBvZiB0aGUgaW5wdXQgY2h1bmtzLCBvdmVycmlkZXMgYGZvcm1hdGAgKi9cbiAgaW5Gb3JtYXQ/OiBTYW1wbGVGb3JtYXQ7XG4gIC8qKiBzYW1wbGUgZm9ybWF0IG9mIHRoZSBvdXRwdXQgY2h1bmtzLCBvdmVycmlkZXMgYGZvcm1hdGAgKi9cbiAgb3V0Rm9ybWF0PzogU2FtcGxlRm9ybWF0O1xuICAvKiogc2tpcCB0aGUgbGVhZGluZyBmaWx0ZXIgZGVsYXkgc28gdGhhdCB0aGUgb3V0cHV0IGlzIGFsaWduZWQgd2l0aCB0aGUgaW5wdXQgdGltZWxpbmUsIGRlZmF1bHQgdG8gZmFsc2UgKi9cbiAgY29tcGVuc2F0ZUxhdGVuY3k/OiBib29sZWFuO1xuICAvKipcbiAgICAqIHByb2Nlc3NDaHVuayByZXR1cm5zIGEgdmlldyBvbiBtZW1vcnkgb3duZWQgYnkgdGhlIHJlc2FtcGxlciBpbnN0ZWFkIG9mIGEgbmV3IEJ1ZmZlciwgZGVmYXVsdCB0byBmYWxzZVxuICAgICogdGhlIHZpZXcgaXMgb25seSB2YWxpZCB1bnRpbCB0aGUgbmV4dCBjYWxsIHRvIHRoZSByZXNhbXBsZXJcbiAgICAqL1xuICByZXR1cm5WaWV3PzogYm9vbGVhbjtcbiAgLyoqIG51bWJlciBvZiBjaGFubmVscyBvZiB0aGUgb3V0cHV0LCBkZWZhdWx0IHRvIHRoZSBudW1iZXIgb2YgaW5wdXQgY2hhbm5lbHMsIHNlZSBkZWZhdWx0TWl4aW5nTWF0cml4IGZvciB0aGUgbWl4aW5nIHVzZWQgKi9cbiAgb3V0Q2hhbm5lbHM/OiBudW1iZXI7XG4gIC8qKiBmb3IgZWFjaCBvdXRwdXQgY2hhbm5lbCwgdGhlIGluZGV4IG9mIHRoZSBpbnB1dCBjaGFubmVsIGl0IGlzIGNvcGllZCBmcm9tIG9yIC0xIGZvciBzaWxlbmNlLCBvdmVycmlkZXMgb3V0Q2hhbm5lbHMgKi9cbiAgY2hhbm5lbE1hcD86IG51bWJlcltdO1xuICAvKiogZ2FpbnMgYXBwbGllZCB0byB0aGUgaW5wdXQgY2hhbm5lbHMgdG8gZ2V0IGVhY2ggb3V0cHV0IGNoYW5uZWwsIGBtaXhpbmdNYXRyaXhbb3V0Q2hhbm5lbF1baW5DaGFubmVsXWAsIG92ZXJyaWRlcyBjaGFubmVsTWFwICovXG4gIG1peGluZ01hdHJpeD86IE1peGluZ01hdHJpeDtcbn1cblxuaW50ZXJmYWNlIEVtc2NyaXB0ZW5Nb2R1bGVPcHVzRW5jb2RlciBleHRlbmRzIEVtc2NyaXB0ZW5Nb2R1bGUge1xuICBfc3BlZXhfcmVzYW1wbGVyX2luaXQobmJDaGFubmVsczogbnVtYmVyLCBpblJhdGU6IG51bWJlciwgb3V0UmF0ZTogbnVtYmVyLCBxdWFsaXR5OiBudW1iZXIsIGVyclBvaW50ZXI6IG51bWJlcik6IG51bWJlcjtcbiAgX3NwZWV4X3Jlc2FtcGxlcl9pbml0X2ZyYWMoXG4gICAgbmJDaGFubmVsczogbnVtYmVyLCByYXRpb051bTogbnVtYmVyLCByYXRpb0RlbjogbnVtYmVyLCBpblJhdGU6IG51bWJlciwgb3V0UmF0ZTogbnVtYmVyLCBxdWFsaXR5OiBudW1iZXIsIGVyclBvaW50ZXI6IG51bWJlclxuICApOiBudW1iZXI7XG4gIF9zcGVleF9yZXNhbXBsZXJfZGVzdHJveShyZXNhbXBsZXJQdHI6IG51bWJlcik6IHZvaWQ7XG4gIF9zcGVleF9yZXNhbXBsZXJfZ2V0X3JhdGUocmVzYW1wbGVyUHRyOiBudW1iZXIsIGluUmF0ZVB0cjogbnVtYmVyLCBvdXRSYXRlUHRyOiBudW1iZXIpO1xuICBfc3BlZXhfcmVzYW1wbGVyX2dldF9yYXRpbyhyZXNhbXBsZXJQdHI6IG51bWJlciwgcmF0aW9OdW1QdHI6IG51bWJlciwgcmF0aW9EZW5QdHI6IG51bWJlcik7XG4gIF9zcGVleF9yZXNhbXBsZXJfc2V0X3JhdGUocmVzYW1wbGVyUHRyOiBudW1iZXIsIGluUmF0ZTogbnVtYmVyLCBvdXRSYXRlOiBudW1iZXIpOiBudW1iZXI7XG4gIF9zcGVleF9yZXNhbXBsZXJfc2V0X3JhdGVfZnJhYyhyZXNhbXBsZXJQdHI6IG51bWJlciwgcmF0aW9OdW06IG51bWJlciwgcmF0aW9EZW46IG51bWJlciwgaW5SYXRlOiBudW1iZXIsIG91dFJhdGU6IG51bWJlcik6IG51bWJlcjtcbiAgX3NwZWV4X3Jlc2FtcGxlcl9zZXRfcXVhbGl0eShyZXNhbXBsZXJQdHI6IG51bWJlciwgcXVhbGl0eTogbnVtYmVyKTogbnVtYmVyO1xuICBfc3BlZXhfcmVzYW1wbGVyX3Byb2Nlc3NfZmxvYXQocmVzYW1wbGVyUHRyOiBudW1iZXIsIGNoYW5uZWxJbmRleDogbnVtYmVyLCBpbkJ1ZmZlclB0cjogbnVtYmVyLCBpbkxlblB0cjogbnVtYmVyLCBvdXRCdWZmZXJQdHI6IG51bWJlciwgb3V0TGVuUHRyOiBudW1iZXIpOiBudW1iZXI7XG4gIF9zcGVleF9yZXNhbXBsZXJfcHJvY2Vzc19pbnRlcmxlYXZlZF9pbnQocmVzYW1wbGVyUHRyOiBudW1iZXIsIGluQnVmZmVyUHRyOiBudW1iZXIsIGluTGVuUHRyOiBudW1iZXIsIG91dEJ1ZmZlclB0cjogbnVtYmVyLCBvdXRMZW5QdHI6IG51bWJlcik6IG51bWJlcjtcbiAgX3NwZWV4X3Jlc2FtcGxlcl9wcm9jZXNzX2ludGVybGVhdmVkX2Zsb2F0KHJlc2FtcGxlclB0cjogbnVtYmVyLCBpbkJ1ZmZlclB0cjogbnVtYmVyLCBpbkxlblB0cjogbnVtYmVyLCBvdXRCdWZmZXJQdHI6IG51bWJlciwgb3V0TGVuUHRyOiBudW1iZXIpOiBudW1iZXI7XG4gIF9zcGVleF9yZXNhbXBsZXJfZ2V0X2lucHV0X2xhdGVuY3kocmVzYW1wbGVyUHRyOiBudW1iZXIpOiBudW1iZXI7XG4gIF9zcGVleF9yZXNhbXBsZXJfZ2V0X291dHB1dF9sYXRlbmN5KHJlc2FtcGxlclB0cjogbnVtYmVyKTogbnVtYmVyO1xuICBfc3BlZXhfcmVzYW1wbGVyX3NraXBfemVyb3MocmVzYW1wbGVyUHRyOiBudW1iZXIpOiBudW1iZXI7XG4gIF9zcGVleF9yZXNhbXBsZXJfcmVzZXRfbWVtKHJlc2FtcGxlclB0cjogbnVtYmVyKTogbnVtYmVyO1xuICBfc3BlZXhfcmVzYW1wbGVyX3N0cmVycm9yKGVycjogbnVtYmVyKTogbnVtYmVyO1xuXG4gIGdldFZhbHVlKHB0cjogbnVtYmVyLCB0eXBlOiBzdHJpbmcpOiBhbnk7XG4gIHNldFZhbHVlKHB0cjogbnVtYmVyLCB2YWx1ZTogYW55LCB0eXBlOiBzdHJpbmcpOiBhbnk7XG4gIEFzY2lpVG9TdHJpbmcocHRyOiBudW1iZXIpOiBzdHJpbmc7XG59XG5cbmxldCBzcGVleE1vZHVsZTogRW1zY3JpcHRlbk1vZHVsZU9wdXNFbmNvZGVyO1xuXG5leHBvcnQgY29uc3QgRU1QVFlfQlVGRkVSID0gQnVmZmVyLmFsbG9jKDApO1xuY29uc3QgTUFYX0ZMVVNIX0lURVJBVElPTlMgPSA0O1xuXG4vLyBUaGUgV0FTTSBiaW5hcnkgaXMgZW1iZWRkZWQgYXMgYmFzZTY0IGluIGl0cyBvd24gbW9kdWxlIGFuZCBpbnN0YW50aWF0ZWQgYnkgdXMgaW5zdGVhZCBvZiB0aGUgZW1zY3JpcHRlbiBnbHVlIGNvZGVcbi8vIHNvIHRoYXQgdGhlIHNhbWUgYnVpbGQgd29ya3MgaW4gTm9kZUpTLCBicm93c2Vycywgd29ya2VycyBhbmQgQXVkaW9Xb3JrbGV0cyAod2hpY2ggaGF2ZSBubyBmZXRjaCBvciBhdG9iKVxuLy8gYW5kIHNvIHRoYXQgaXQgY2FuIGJlIGNvbXBpbGVkIHN5bmNocm9ub3VzbHkgd2l0aCBpbml0U3luY1xuY29uc3QgaW5zdGFudGlhdGVXYXNtQXN5bmMgPSAoaW1wb3J0cywgc3VjY2Vzc0NhbGxiYWNrKSA9PiB7XG4gIFdlYkFzc2VtYmx5Lmluc3RhbnRpYXRlKEJ1ZmZlci5mcm9tKHNwZWV4V2FzbUJpbmFyeSwgJ2Jhc2U2NCcpLCBpbXBvcnRzKVxuICAgIC50aGVuKCh7aW5zdGFuY2UsIG1vZHVsZX0pID0+IHN1Y2Nlc3NDYWxsYmFjayhpbnN0YW5jZSwgbW9kdWxlKSk7XG4gIC8vIGVtcHR5IGV4cG9ydHMgdGVsbHMgZW1zY3JpcHRlbiB0aGF0IHRoZSBpbnN0YW50aWF0aW9uIGlzIGFzeW5jaHJvbm91c1xuICByZXR1cm4ge307XG59XG5cbmNvbnN0IGluc3RhbnRpYXRlV2FzbVN5bmMgPSAoaW1wb3J0cywgc3VjY2Vzc0NhbGxiYWNrKSA9PiB7XG4gIGNvbnN0IG1vZHVsZSA9IG5ldyBXZWJBc3NlbWJseS5Nb2R1bGUoQnVmZmVyLmZyb20oc3BlZXhXYXNtQmluYXJ5LCAnYmFzZTY0JykpO1xuICBjb25zdCBpbnN0YW5jZSA9IG5ldyBXZWJBc3NlbWJseS5JbnN0YW5jZShtb2R1bGUsIGltcG9ydHMpO1xuICBzdWNjZXNzQ2FsbGJhY2soaW5zdGFuY2UsIG1vZHVsZSk7XG4gIHJldHVybiBpbnN0YW5jZS5leHBvcnRzO1xufVxuXG5sZXQgZ2xvYmFsTW9kdWxlUHJvbWlzZTogUHJvbWlzZTxFbXNjcmlwdGVuTW9kdWxlT3B1c0VuY29kZXI+O1xuXG4vLyB0aGUgYXN5bmMgaW5zdGFudGlhdGlvbiBpcyBvbmx5IHN0YXJ0ZWQgd2hlbiBpbml0UHJvbWlzZSBpcyBmaXJzdCB1c2VkIHNvIHRoYXQgdGhlIHBvb2wgd29ya2VycyBhbmQgd29ya2xldHMgd2hpY2hcbi8vIGNhbGwgaW5pdFN5bmMgZG9uJ3QgaW5zdGFudGlhdGUgdGhlIG1vZHVsZSB0d2ljZSwgaWYgaW5pdFN5bmMgaXMgY2FsbGVkIHdoaWxlIGl0IGlzIHBlbmRpbmcgd2Uga2VlcCB0aGUgZmlyc3QgbW9kdWxlXG4vLyBhcyByZXNhbXBsZXJzIGFscmVhZHkgY3JlYXRlZCBhcmUgdXNpbmcgaXRzIG1lbW9yeVxuY29uc3QgbG9hZE1vZHVsZSA9ICgpID0+IHtcbiAgaWYgKCFnbG9iYWxNb2R1bGVQcm9taXNlKSB7XG4gICAgZ2xvYmFsTW9kdWxlUHJvbWlzZSA9IHNwZWV4TW9kdWxlID8gUHJvbWlzZS5yZXNvbHZlKHNwZWV4TW9kdWxlKSA6IFNwZWV4V2FzbSh7aW5zdGFudGlhdGVXYXNtOiBpbnN0YW50aWF0ZVdhc21Bc3luY30pLnRoZW4oKHM6IEVtc2NyaXB0ZW5Nb2R1bGVPcHVzRW5jb2RlcikgPT4ge1xuICAgICAgc3BlZXhNb2R1bGUgPSBzcGVleE1vZHVsZSB8fCBzO1xuICAgICAgcmV0dXJuIHNwZWV4TW9kdWxlO1xuICAgIH0pO1xuICB9XG4gIHJldHVybiBnbG9iYWxNb2R1bGVQcm9taXNlO1xufVxuXG5pbnRlcmZhY2UgV2FzbUFsbG9jYXRpb25zIHtcbiAgcmVzYW1wbGVyUHRyOiBudW1iZXI7XG4gIC8vIHBvaW50ZXJzIGFsbG9jYXRlZCB3aXRoIG1hbGxvY1xuICBwb2ludGVyczogbnVtYmVyW107XG59XG5cbmNvbnN0IHRvVWludDhBcnJheSA9ICh2aWV3OiBBcnJheUJ1ZmZlclZpZXcpID0+IChcbiAgdmlldyBpbnN0YW5jZW9mIFVpbnQ4QXJyYXkgPyB2aWV3IDogbmV3IFVpbnQ4QXJyYXkodmlldy5idWZmZXIsIHZpZXcuYnl0ZU9mZnNldCwgdmlldy5ieXRlTGVuZ3RoKVxuKTtcblxuY29uc3QgdGhyb3dPbkVycm9yID0gKGVyck51bTogbnVtYmVyKSA9PiB7XG4gIGlmIChlcnJOdW0gIT09IFJFU0FNUExFUl9FUlJfU1VDQ0VTUykge1xuICAgIHRocm93IGVycm9yRnJvbUNvZGUoZXJyTnVtLCBzcGVleE1vZHVsZS5Bc2NpaVRvU3RyaW5nKHNwZWV4TW9kdWxlLl9zcGVleF9yZXNhbXBsZXJfc3RyZXJyb3IoZXJyTnVtKSkpO1xuICB9XG59XG5cbi8vIHNwZWV4IHVzZXMgdW5zaWduZWQgMzIgYml0cyBpbnRlZ2VycyBmb3IgdGhlIGNoYW5uZWxzLCByYXRlcyBhbmQgcmF0aW9cbmNvbnN0IE1BWF9VSU5UMzIgPSAweEZGRkZGRkZGO1xuY29uc3QgTUFYX1FVQUxJVFkgPSAxMDtcblxuY29uc3QgYXNzZXJ0UG9zaXRpdmVJbnRlZ2VyID0gKG5hbWU6IHN0cmluZywgdmFsdWU6IGFueSkgPT4ge1xuICBpZiAoIU51bWJlci5pc0ludGVnZXIodmFsdWUpIHx8IHZhbHVlIDw9IDAgfHwgdmFsdWUgPiBNQVhfVUlOVDMyKSB7XG4gICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKGAke25hbWV9IHNob3VsZCBiZSBhIHBvc2l0aXZlIGludGVnZXIsIGdvdCAke3ZhbHVlfWApO1xuICB9XG59XG5cbi8vIHNwZWV4IG11bHRpcGxpZXMgdGhlIGZyYWN0aW9uYWwgcG9zaXRpb24gb2YgaXRzIGZpbHRlciAobG93ZXIgdGhhbiB0aGUgb2xkIHJhdGlvIGRlbm9taW5hdG9yKSBieSB0aGUgbmV3IGRlbm9taW5hdG9yXG4vLyB3aGVuIHRoZSByYXRpbyBjaGFuZ2VzLCBib3RoIGRlbm9taW5hdG9ycyBuZWVkIHRvIGJlIHNtYWxsIGVub3VnaCBmb3IgdGhpcyB0byBmaXQgaW4gYW4gdW5zaWduZWQgMzIgYml0cyBpbnRlZ2VyXG5leHBvcnQgY29uc3QgTUFYX1JBVElPX0RFTk9NSU5BVE9SID0gMHhGRkZGO1xuXG4vKipcbiAgKiBDbG9zZXN0IGZyYWN0aW9uIHRvIGB2YWx1ZWAgd2l0aCBhIGRlbm9taW5hdG9yIHVwIHRvIGBtYXhEZW5vbWluYXRvcmAsIGNvbXB1dGVkIHdpdGggY29udGludWVkIGZyYWN0aW9uc1xuICAqIEByZXR1cm5zIG51bWVyYXRvciBhbmQgZGVub21pbmF0b3JcbiAgKi9cbmV4cG9ydCBjb25zdCBhcHByb3hpbWF0ZVJhdGlvID0gKHZhbHVlOiBudW1iZXIsIG1heERlbm9taW5hdG9yID0gTUFYX1JBVElPX0RFTk9NSU5BVE9SKTogW251bWJlciwgbnVtYmVyXSA9PiB7XG4gIGlmICghKHZhbHVlID4gMCkgfHwgIU51bWJlci5pc0Zpbml0ZSh2YWx1ZSkpIHtcbiAgICB0aHJvdyBuZXcgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IoYFJhdGlvIHNob3VsZCBiZSBhIHBvc2l0aXZlIG51bWJlciwgZ290ICR7dmFsdWV9YCk7XG4gIH1cbiAgLy8gcHJldmlvdXMgYW5kIGN1cnJlbnQgY29udmVyZ2VudHNcbiAgbGV0IFtwcmV2TnVtLCBudW0sIHByZXZEZW4sIGRlbl0gPSBbMCwgMSwgMSwgMF07XG4gIGxldCByZW1haW5kZXIgPSB2YWx1ZTtcbiAgZm9yICg7Oykge1xuICAgIGNvbnN0IGludGVnZXJQYXJ0ID0gTWF0aC5mbG9vcihyZW1haW5kZXIpO1xuICAgIGNvbnN0IG5leHROdW0gPSBpbnRlZ2VyUGFydCAqIG51bSArIHByZXZOdW07XG4gICAgY29uc3QgbmV4dERlbiA9IGludGVnZXJQYXJ0ICogZGVuICsgcHJldkRlbjtcbiAgICBpZiAobmV4dERlbiA+IG1heERlbm9taW5hdG9yIHx8IG5leHROdW0gPiBNQVhfVUlOVDMyKSB7XG4gICAgICBicmVhaztcbiAgICB9XG4gICAgW3ByZXZOdW0sIG51bSwgcHJldkRlbiwgZGVuXSA9IFtudW0sIG5leHROdW0sIGRlbiwgbmV4dERlbl07XG4gICAgaWYgKHJlbWFpbmRlciAtIGludGVnZXJQYXJ0IDwgMWUtMTIpIHtcbiAgICAgIGJyZWFrO1xuICAgIH1cbiAgICByZW1haW5kZXIgPSAxIC8gKHJlbWFpbmRlciAtIGludGVnZXJQYXJ0KTtcbiAgfVxuICBpZiAobnVtID09PSAwIHx8IGRlbiA9PT0gMCkge1xuICAgIHRocm93IG5ldyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvcihgUmF0aW8gJHt2YWx1ZX0gY2Fubm90IGJlIHJlcHJlc2VudGVkIHdpdGggYSBkZW5vbWluYXRvciB1cCB0byAke21heERlbm9taW5hdG9yfWApO1xuICB9XG4gIHJldHVybiBbbnVtLCBkZW5dO1xufVxuXG5jb25zdCBhc3NlcnRRdWFsaXR5ID0gKHF1YWxpdHk6IGFueSkgPT4ge1xuICBpZiAoIU51bWJlci5pc0ludGVnZXIocXVhbGl0eSkgfHwgcXVhbGl0eSA8IDAgfHwgcXVhbGl0eSA+IE1BWF9RVUFMSVRZKSB7XG4gICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKGBxdWFsaXR5IHNob3VsZCBiZSBhbiBpbnRlZ2VyIGJldHdlZW4gMCBhbmQgJHtNQVhfUVVBTElUWX0sIGdvdCAke3F1YWxpdHl9YCk7XG4gIH1cbn1cblxuLy8gb2Zmc2V0cyBpbiAzMiBiaXRzIHdvcmRzIG9mIHRoZSBTcGVleFJlc2FtcGxlclN0YXRlXyBmaWVsZHMgb2YgZGVwcy9zcGVleC9yZXNhbXBsZS5jIHJlYWQgYnkgdGhlIHJlc2FtcGxlciBvclxuLy8gc2F2ZWQgaW4gdGhlIHNuYXBzaG90cywgZXZlcnkgZmllbGQgb2YgdGhlIHN0cnVjdCBpcyA0IGJ5dGVzIGxvbmcgaW4gd2FzbTMyXG5jb25zdCBTVEFURV9JTl9SQVRFID0gMDtcbmNvbnN0IFNUQVRFX09VVF9SQVRFID0gMTtcbmNvbnN0IFNUQVRFX05VTV9SQVRFID0gMjtcbmNvbnN0IFNUQVRFX0RFTl9SQVRFID0gMztcbmNvbnN0IFNUQVRFX1FVQUxJVFkgPSA0O1xuY29uc3QgU1RBVEVfRklMVF9MRU4gPSA2O1xuY29uc3QgU1RBVEVfTUVNX0FMTE9DX1NJWkUgPSA3O1xuY29uc3QgU1RBVEVfU1RBUlRFRCA9IDE0O1xuY29uc3QgU1RBVEVfTEFTVF9TQU1QTEUgPSAxNTtcbmNvbnN0IFNUQVRFX1NBTVBfRlJBQ19OVU0gPSAxNjtcbmNvbnN0IFNUQVRFX01BR0lDX1NBTVBMRVMgPSAxNztcbmNvbnN0IFNUQVRFX01FTSA9IDE4O1xuXG4vLyBcIlNQWFJcIiBpbiBsaXR0bGUgZW5kaWFuLCBmb2xsb3dlZCBieSB0aGUgdmVyc2lvbiBvZiB0aGUgc25hcHNob3QgbGF5b3V0XG5jb25zdCBTTkFQU0hPVF9NQUdJQyA9IDB4NTI1ODUwNTM7XG5jb25zdCBTTkFQU0hPVF9WRVJTSU9OID0gMTtcbi8vIG1hZ2ljLCB2ZXJzaW9uLCBjaGFubmVscywgZmlsdGVyIGxlbmd0aCwgcmF0aW8sIHJhdGVzLCBxdWFsaXR5IGFuZCBzdGFydGVkIGZsYWcgYXMgdWludDMyIHRoZW4gdGhlIGZyYW1lcyBjb3VudHNcbi8vIGFuZCB0aGUgbGF0ZW5jeSBzaGlmdCBhcyBmbG9hdDY0XG5jb25zdCBTTkFQU0hPVF9DT1VOVFNfT0ZGU0VUID0gMTAgKiA0O1xuY29uc3QgU05BUFNIT1RfSEVBREVSX0xFTkdUSCA9IFNOQVBTSE9UX0NPVU5UU19PRkZTRVQgKyA0ICogODtcbi8vIGxhc3Qgc2FtcGxlLCBmcmFjdGlvbmFsIHBvc2l0aW9uIGFuZCBtYWdpYyBzYW1wbGVzIGNvdW50IG9mIGVhY2ggY2hhbm5lbFxuY29uc3QgU05BUFNIT1RfQ0hBTk5FTF9MRU5HVEggPSAzICogNDtcblxuY29uc3QgcmVsZWFzZUFsbG9jYXRpb25zID0gKHtyZXNhbXBsZXJQdHIsIHBvaW50ZXJzfTogV2FzbUFsbG9jYXRpb25zKSA9PiB7XG4gIHNwZWV4TW9kdWxlLl9zcGVleF9yZXNhbXBsZXJfZGVzdHJveShyZXNhbXBsZXJQdHIpO1xuICBwb2ludGVycy5maWx0ZXIoKHB0cikgPT4gcHRyICE9PSAtMSkuZm9yRWFjaCgocHRyKSA9PiBzcGVleE1vZHVsZS5fZnJlZShwdHIpKTtcbn1cblxuLy8gU2FmZXR5IG5ldCByZWxlYXNpbmcgdGhlIFdBU00gbWVtb3J5IG9mIHJlc2FtcGxlcnMgZ2FyYmFnZSBjb2xsZWN0ZWQgd2l0aG91dCBjYWxsaW5nIGRlc3Ryb3koKVxuLy8gRmluYWxpemF0aW9uUmVnaXN0cnkgaXMgbm90IGF2YWlsYWJsZSBvbiBvbGRlciBydW50aW1lcywgaW4gdGhpcyBjYXNlIGRlc3Ryb3koKSBuZWVkcyB0byBiZSBjYWxsZWQgZXhwbGljaXRseVxuY29uc3QgRmluYWxpemF0aW9uUmVnaXN0cnlJbXBsID0gKGdsb2JhbFRoaXMgYXMgYW55KS5GaW5hbGl6YXRpb25SZWdpc3RyeTtcbmNvbnN0IGZpbmFsaXphdGlvblJlZ2lzdHJ5ID0gRmluYWxpemF0aW9uUmVnaXN0cnlJbXBsID8gbmV3IEZpbmFsaXphdGlvblJlZ2lzdHJ5SW1wbChyZWxlYXNlQWxsb2NhdGlvbnMpIDogbnVsbDtcbi8vIFN5bWJvbC5kaXNwb3NlIGlzIHVzZWQgYnkgdGhlIGB1c2luZ2AgZGVjbGFyYXRpb25zIGFuZCBpcyBub3QgYXZhaWxhYmxlIG9uIGV2ZXJ5IHJ1bnRpbWUgeWV0XG5jb25zdCBkaXNwb3NlU3ltYm9sOiBzeW1ib2wgPSAoU3ltYm9sIGFzIGFueSkuZGlzcG9zZSB8fCBTeW1ib2wuZm9yKCdTeW1ib2wuZGlzcG9zZScpO1xuXG5leHBvcnQgY2xhc3MgU3BlZXhSZXNhbXBsZXIge1xuICBfcmVzYW1wbGVyUHRyOiBudW1iZXI7XG4gIF9pbkJ1ZmZlclB0ciA9IC0xO1xuICBfaW5CdWZmZXJTaXplID0gLTE7XG4gIF9vdXRCdWZmZXJQdHIgPSAtMTtcbiAgX291dEJ1ZmZlclNpemUgPSAtMTtcblxuICBfaW5MZW5ndGhQdHIgPSAtMTtcbiAgX291dExlbmd0aFB0ciA9IC0xO1xuXG4gIC8vIGlucHV0IHRvIG91dHB1dCByYXRpbyB1c2VkIGJ5IHNwZWV4LCBjYW4gZGlmZmVyIGZyb20gaW5SYXRlL291dFJhdGUgd2hlbiBzZXQgd2l0aCBzZXRSYXRlRnJhY1xuICBfcmF0aW9OdW06IG51bWJlcjtcbiAgX3JhdGlvRGVuOiBudW1iZXI7XG5cbiAgLy8gbnVtYmVyIG9mIGZyYW1lcyAoc2FtcGxlcyBwZXIgY2hhbm5lbCkgY29uc3VtZWQgYW5kIHJldHVybmVkIGJ5IHRoZSByZXNhbXBsZXIsIHVzZWQgdG8gY29tcHV0ZSBob3cgbXVjaCBpcyBsZWZ0IHRvIGZsdXNoXG4gIC8vIGFuZCB0byBjb252ZXJ0IHBvc2l0aW9ucyBiZXR3ZWVuIHRoZSBpbnB1dCBhbmQgb3V0cHV0IHN0cmVhbXNcbiAgX2luRnJhbWVzQ291bnQgPSAwO1xuICBfb3V0RnJhbWVzQ291bnQgPSAwO1xuICAvLyBmcmFtZXMgdGhhdCBzaG91bGQgaGF2ZSBiZWVuIHJldHVybmVkIGZvciB0aGUgaW5wdXQgZ2l2ZW4gdW50aWwgbm93LCBub3Qgcm91bmRlZCBhcyB0aGUgcmF0aW8gY2FuIGNoYW5nZSBiZXR3ZWVuIGNodW5rc1xuICBfZXhwZWN0ZWRPdXRGcmFtZXNDb3VudCA9IDA7XG4gIC8vIHNwZWV4IGtlZXBzIHRoZSBkZWxheSBvZiB0aGUgc3RyZWFtIHdoZW4gc2V0UXVhbGl0eSBjaGFuZ2VzIHRoZSBmaWx0ZXIgbGVuZ3RoIGluIHRoZSBtaWRkbGUgb2YgYSBzdHJlYW0sIHRoaXMgaXNcbiAgLy8gdGhlIGRpZmZlcmVuY2UgYmV0d2VlbiB0aGlzIGRlbGF5IGFuZCBvdXRwdXRMYXRlbmN5LCBpbiBvdXRwdXQgZnJhbWVzXG4gIF9sYXRlbmN5U2hpZnQgPSAwO1xuXG4gIF9kZXN0cm95ZWQgPSBmYWxzZTtcblxuICBpbkZvcm1hdDogU2FtcGxlRm9ybWF0O1xuICBvdXRGb3JtYXQ6IFNhbXBsZUZvcm1hdDtcbiAgY29tcGVuc2F0ZUxhdGVuY3k6IGJvb2xlYW47XG4gIHJldHVyblZpZXc6IGJvb2xlYW47XG4gIC8vIHJldXNlZCB0byByZXR1cm4gY29udmVydGVkIHNhbXBsZXMgd2hlbiByZXR1cm5WaWV3IGlzIHNldFxuICBfb3V0Vmlld0J1ZmZlciA9IEVNUFRZX0JVRkZFUjtcblxuICBvdXRDaGFubmVsczogbnVtYmVyO1xuICAvLyBudWxsIHdoZW4gdGhlIG91dHB1dCBjaGFubmVscyBhcmUgdGhlIGlucHV0IGNoYW5uZWxzXG4gIF9taXhpbmdNYXRyaXg6IE1peGluZ01hdHJpeCB8IG51bGw7XG4gIC8vIGNoYW5uZWxzIGFyZSBtaXhlZCBiZWZvcmUgcmVzYW1wbGluZyB3aGVuIGl0IHJlZHVjZXMgdGhlIG51bWJlciBvZiBjaGFubmVscyB0byByZXNhbXBsZSwgYWZ0ZXIgb3RoZXJ3aXNlXG4gIF9taXhCZWZvcmVSZXNhbXBsaW5nOiBib29sZWFuO1xuICAvLyBudW1iZXIgb2YgY2hhbm5lbHMgZ29pbmcgdGhyb3VnaCB0aGUgc3BlZXggcmVzYW1wbGVyXG4gIF9yZXNhbXBsZXJDaGFubmVsczogbnVtYmVyO1xuICAvLyBpbnRlcmxlYXZlZCBmbG9hdCBzYW1wbGVzIGJlZm9yZSBvciBhZnRlciBtaXhpbmdcbiAgX21peEJ1ZmZlciA9IG5ldyBGbG9hdDMyQXJyYXkoMCk7XG5cbiAgLyoqXG4gICAgKiBSZXNvbHZlZCBvbmNlIHRoZSBXQVNNIG1vZHVsZSBoYXMgYmVlbiBjb21waWxlZCwgdGhlIGNvbXBpbGF0aW9uIHN0YXJ0cyB0aGUgZmlyc3QgdGltZSBpdCBpcyBhY2Nlc3NlZFxuICAgICovXG4gIHN0YXRpYyBnZXQgaW5pdFByb21pc2UoKTogUHJvbWlzZTxhbnk+IHtcbiAgICByZXR1cm4gbG9hZE1vZHVsZSgpO1xuICB9XG5cbiAgLyoqXG4gICAgKiBDb21waWxlIGFuZCBpbnN0YW50aWF0ZSB0aGUgV0FTTSBtb2R1bGUgc3luY2hyb25vdXNseSwgYWZ0ZXIgdGhpcyB0aGUgcmVzYW1wbGVyIGNhbiBiZSB1c2VkIHdpdGhvdXQgd2FpdGluZyBmb3IgaW5pdFByb21pc2UuXG4gICAgKiBCcm93c2VycyBsaW1pdCB0aGUgc2l6ZSBvZiBtb2R1bGVzIGNvbXBpbGVkIHN5bmNocm9ub3VzbHkgb24gdGhlIG1haW4gdGhyZWFkLCBwcmVmZXIgaW5pdFByb21pc2UgdGhlcmUuXG4gICAgKi9cbiAgc3RhdGljIGluaXRTeW5jKCkge1xuICAgIGlmIChzcGVleE1vZHVsZSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cbiAgICBjb25zdCBtb2R1bGVBcmcgPSB7aW5zdGFudGlhdGVXYXNtOiBpbnN0YW50aWF0ZVdhc21TeW5jfSBhcyBhbnk7XG4gICAgLy8gdGhlIHByb21pc2UgaXMgcmVzb2x2ZWQgYXN5bmNocm9ub3VzbHkgYnV0IHRoZSBleHBvcnRzIGFuZCBtZW1vcnkgdmlld3MgYXJlIHNldCBvbiBtb2R1bGVBcmcgYXMgc29vbiBhcyB0aGVcbiAgICAvLyBzeW5jaHJvbm91cyBpbnN0YW50aWF0aW9uIGNhbGxzIGJhY2ssIHRoZSBvbmx5IHN0ZXAgbGVmdCBpcyBydW5uaW5nIHRoZSBzdGF0aWMgY29uc3RydWN0b3JzIGFuZCB0aGVyZSBhcmUgbm9uZVxuICAgIFNwZWV4V2FzbShtb2R1bGVBcmcpO1xuICAgIGlmICghbW9kdWxlQXJnLl9zcGVleF9yZXNhbXBsZXJfaW5pdCB8fCAhbW9kdWxlQXJnLkhFQVBVOCkge1xuICAgICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVyRXJyb3IoJ0NvdWxkIG5vdCBpbml0aWFsaXplIHRoZSBXQVNNIG1vZHVsZSBzeW5jaHJvbm91c2x5Jyk7XG4gICAgfVxuICAgIHNwZWV4TW9kdWxlID0gbW9kdWxlQXJnO1xuICB9XG5cbiAgLyoqXG4gICAgKiBXYWl0IGZvciB0aGUgV0FTTSBtb2R1bGUgdG8gYmUgcmVhZHkgYW5kIGNyZWF0ZSBhIFNwZWV4UmVzYW1wbGVyLCBzZWUgY29uc3RydWN0b3IgZm9yIHRoZSBhcmd1bWVudHNcbiAgICAqL1xuICBzdGF0aWMgYXN5bmMgY3JlYXRlKGNoYW5uZWxzOiBudW1iZXIsIGluUmF0ZTogbnVtYmVyLCBvdXRSYXRlOiBudW1iZXIsIHF1YWxpdHkgPSA3LCBvcHRpb25zOiBTcGVleFJlc2FtcGxlck9wdGlvbnMgPSB7fSkge1xuICAgIGF3YWl0IFNwZWV4UmVzYW1wbGVyLmluaXRQcm9taXNlO1xuICAgIHJldHVybiBuZXcgU3BlZXhSZXNhbXBsZXIoY2hhbm5lbHMsIGluUmF0ZSwgb3V0UmF0ZSwgcXVhbGl0eSwgb3B0aW9ucyk7XG4gIH1cblxuICAvKipcbiAgICAqIENyZWF0ZSBhIHJlc2FtcGxlciB3aXRoIGFuIGFyYml0cmFyeSBpbnB1dCB0byBvdXRwdXQgcmF0aW8sIGZvciBleGFtcGxlIHRvIGNvcnJlY3QgYSBjbG9jayBkcmlmdCBmcm9tIHRoZSBzdGFydFxuICAgICogQHBhcmFtIHJhdGlvTnVtIG51bWVyYXRvciBvZiB0aGUgaW5wdXQgdG8gb3V0cHV0IHJhdGlvXG4gICAgKiBAcGFyYW0gcmF0aW9EZW4gZGVub21pbmF0b3Igb2YgdGhlIGlucHV0IHRvIG91dHB1dCByYXRpb1xuICAgICogQHBhcmFtIGluUmF0ZSBub21pbmFsIGZyZXF1ZW5jeSBpbiBIeiBmb3IgdGhlIGlucHV0IGNodW5rLCB1c2VkIGZvciB0aGUgcG9zaXRpb25zIGFuZCB0aGUgZmx1c2hcbiAgICAqIEBwYXJhbSBvdXRSYXRlIG5vbWluYWwgZnJlcXVlbmN5IGluIEh6IGZvciB0aGUgdGFyZ2V0IGNodW5rLCB1c2VkIGZvciB0aGUgcG9zaXRpb25zIGFuZCB0aGUgZmx1c2hcbiAgICAqIEBwYXJhbSBxdWFsaXR5IG51bWJlciBmcm9tIDEgdG8gMTAsIGRlZmF1bHQgdG8gNywgMSBpcyBmYXN0IGJ1dCBvZiBiYWQgcXVhbGl0eSwgMTAgaXMgc2xvdyBidXQgYmVzdCBxdWFsaXR5XG4gICAgKiBAcGFyYW0gb3B0aW9ucyBzZWUgY29uc3RydWN0b3JcbiAgICAqL1xuICBzdGF0aWMgZnJvbVJhdGlvKFxuICAgIGNoYW5uZWxzOiBudW1iZXIsXG4gICAgcmF0aW9OdW06IG51bWJlcixcbiAgICByYXRpb0RlbjogbnVtYmVyLFxuICAgIGluUmF0ZTogbnVtYmVyLFxuICAgIG91dFJhdGU6IG51bWJlcixcbiAgICBxdWFsaXR5ID0gNyxcbiAgICBvcHRpb25zOiBTcGVleFJlc2FtcGxlck9wdGlvbnMgPSB7fSxcbiAgKSB7XG4gICAgY29uc3QgcmVzYW1wbGVyID0gbmV3IFNwZWV4UmVzYW1wbGVyKGNoYW5uZWxzLCBpblJhdGUsIG91dFJhdGUsIHF1YWxpdHksIG9wdGlvbnMpO1xuICAgIC8vIHRoZSBzcGVleCByZXNhbXBsZXIgaXMgY3JlYXRlZCBsYXppbHkgd2l0aCBzcGVleF9yZXNhbXBsZXJfaW5pdF9mcmFjIGFuZCB0aGlzIHJhdGlvXG4gICAgcmVzYW1wbGVyLnNldFJhdGVGcmFjKHJhdGlvTnVtLCByYXRpb0RlbiwgaW5SYXRlLCBvdXRSYXRlKTtcbiAgICByZXR1cm4gcmVzYW1wbGVyO1xuICB9XG5cbiAgLyoqXG4gICAgKiBDcmVhdGUgYW4gU3BlZXhSZXNhbXBsZXIgdHJhbmZvcm0gc3RyZWFtLlxuICAgICogQHBhcmFtIGNoYW5uZWxzIE51bWJlciBvZiBjaGFubmVscywgbWluaW11bSBpcyAxLCBubyBtYXhpbXVtXG4gICAgKiBAcGFyYW0gaW5SYXRlIGZyZXF1ZW5jeSBpbiBIeiBmb3IgdGhlIGlucHV0IGNodW5rXG4gICAgKiBAcGFyYW0gb3V0UmF0ZSBmcmVxdWVuY3kgaW4gSHogZm9yIHRoZSB0YXJnZXQgY2h1bmtcbiAgICAqIEBwYXJhbSBxdWFsaXR5IG51bWJlciBmcm9tIDEgdG8gMTAsIGRlZmF1bHQgdG8gNywgMSBpcyBmYXN0IGJ1dCBvZiBiYWQgcXVhbGl0eSwgMTAgaXMgc2xvdyBidXQgYmVzdCBxdWFsaXR5XG4gICAgKiBAcGFyYW0gb3B0aW9ucyBzYW1wbGUgZm9ybWF0cyBvZiB0aGUgaW5wdXQgYW5kIG91dHB1dCBjaHVua3MgKGRlZmF1bHQgdG8gZmxvYXQzMiksIGxhdGVuY3kgY29tcGVuc2F0aW9uIGFuZCBjaGFubmVscyBtaXhpbmdcbiAgICAqL1xuICBjb25zdHJ1Y3RvcihcbiAgICBwdWJsaWMgY2hhbm5lbHMsXG4gICAgcHVibGljIGluUmF0ZSxcbiAgICBwdWJsaWMgb3V0UmF0ZSxcbiAgICBwdWJsaWMgcXVhbGl0eSA9IDcsXG4gICAgb3B0aW9uczogU3BlZXhSZXNhbXBsZXJPcHRpb25zID0ge30pIHtcbiAgICBhc3NlcnRQb3NpdGl2ZUludGVnZXIoJ2NoYW5uZWxzJywgY2hhbm5lbHMpO1xuICAgIGFzc2VydFBvc2l0aXZlSW50ZWdlcignaW5SYXRlJywgaW5SYXRlKTtcbiAgICBhc3NlcnRQb3NpdGl2ZUludGVnZXIoJ291dFJhdGUnLCBvdXRSYXRlKTtcbiAgICBhc3NlcnRRdWFsaXR5KHF1YWxpdHkpO1xuICAgIHRoaXMuaW5Gb3JtYXQgPSBhc3NlcnRTYW1wbGVGb3JtYXQob3B0aW9ucy5pbkZvcm1hdCB8fCBvcHRpb25zLmZvcm1hdCB8fCAnZmxvYXQzMicpO1xuICAgIHRoaXMub3V0Rm9ybWF0ID0gYXNzZXJ0U2FtcGxlRm9ybWF0KG9wdGlvbnMub3V0Rm9ybWF0IHx8IG9wdGlvbnMuZm9ybWF0IHx8ICdmbG9hdDMyJyk7XG4gICAgdGhpcy5jb21wZW5zYXRlTGF0ZW5jeSA9ICEhb3B0aW9ucy5jb21wZW5zYXRlTGF0ZW5jeTtcbiAgICB0aGlzLnJldHVyblZpZXcgPSAhIW9wdGlvbnMucmV0dXJuVmlldztcbiAgICB0aGlzLl9yYXRpb051bSA9IGluUmF0ZTtcbiAgICB0aGlzLl9yYXRpb0RlbiA9IG91dFJhdGU7XG4gICAgdGhpcy5faW5pdE1peGluZyhvcHRpb25zKTtcbiAgfVxuXG4gIF9pbml0TWl4aW5nKG9wdGlvbnM6IFNwZWV4UmVzYW1wbGVyT3B0aW9ucykge1xuICAgIGxldCBtYXRyaXg6IE1peGluZ01hdHJpeDtcbiAgICBpZiAob3B0aW9ucy5taXhpbmdNYXRyaXgpIHtcbiAgICAgIG1hdHJpeCA9IGFzc2VydE1peGluZ01hdHJpeChvcHRpb25zLm1peGluZ01hdHJpeCwgdGhpcy5jaGFubmVscyk7XG4gICAgfSBlbHNlIGlmIChvcHRpb25zLmNoYW5uZWxNYXApIHtcbiAgICAgIG1hdHJpeCA9IGNoYW5uZWxNYXBUb01hdHJpeChvcHRpb25zLmNoYW5uZWxNYXAsIHRoaXMuY2hhbm5lbHMpO1xuICAgIH0gZWxzZSB7XG4gICAgICBtYXRyaXggPSBkZWZhdWx0TWl4aW5nTWF0cml4KHRoaXMuY2hhbm5lbHMsIG9wdGlvbnMub3V0Q2hhbm5lbHMgfHwgdGhpcy5jaGFubmVscyk7XG4gICAgfVxuICAgIGlmIChvcHRpb25zLm91dENoYW5uZWxzICYmIG9wdGlvbnMub3V0Q2hhbm5lbHMgIT09IG1hdHJpeC5sZW5ndGgpIHtcbiAgICAgIHRocm93IG5ldyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvcihgb3V0Q2hhbm5lbHMgaXMgJHtvcHRpb25zLm91dENoYW5uZWxzfSBidXQgdGhlIG1peGluZyBnaXZlcyAke21hdHJpeC5sZW5ndGh9IGNoYW5uZWxzYCk7XG4gICAgfVxuICAgIHRoaXMub3V0Q2hhbm5lbHMgPSBtYXRyaXgubGVuZ3RoO1xuICAgIHRoaXMuX21peGluZ01hdHJpeCA9IGlzSWRlbnRpdHlNYXRyaXgobWF0cml4KSA/IG51bGwgOiBtYXRyaXg7XG4gICAgLy8gd2hlbiBkb3dubWl4aW5nLCB0aGUgZHJvcHBlZCBjaGFubmVscyBhcmUgbmV2ZXIgcmVzYW1wbGVkLCB3aGVuIHVwbWl4aW5nLCB0aGUgY29waWVzIGFyZSBtYWRlIGFmdGVyIHJlc2FtcGxpbmdcbiAgICAvLyB3aXRoIHRoZSBzYW1lIG51bWJlciBvZiBjaGFubmVscywgdGhlIG1peGluZyBpcyBkb25lIG9uIHRoZSBzaWRlIHdpdGggZmV3ZXIgZnJhbWVzXG4gICAgdGhpcy5fbWl4QmVmb3JlUmVzYW1wbGluZyA9ICEhdGhpcy5fbWl4aW5nTWF0cml4ICYmIChcbiAgICAgIHRoaXMub3V0Q2hhbm5lbHMgPCB0aGlzLmNoYW5uZWxzIHx8ICh0aGlzLm91dENoYW5uZWxzID09PSB0aGlzLmNoYW5uZWxzICYmIHRoaXMuaW5SYXRlIDw9IHRoaXMub3V0UmF0ZSlcbiAgICApO1xuICAgIHRoaXMuX3Jlc2FtcGxlckNoYW5uZWxzID0gdGhpcy5fbWl4QmVmb3JlUmVzYW1wbGluZyA/IHRoaXMub3V0Q2hhbm5lbHMgOiB0aGlzLmNoYW5uZWxzO1xuICB9XG5cbiAgZ2V0IF9taXhBZnRlclJlc2FtcGxpbmcoKSB7XG4gICAgcmV0dXJuICEhdGhpcy5fbWl4aW5nTWF0cml4ICYmICF0aGlzLl9taXhCZWZvcmVSZXNhbXBsaW5nO1xuICB9XG5cbiAgX21peEJ1ZmZlck9mKHNhbXBsZXNDb3VudDogbnVtYmVyKSB7XG4gICAgaWYgKHRoaXMuX21peEJ1ZmZlci5sZW5ndGggPCBzYW1wbGVzQ291bnQpIHtcbiAgICAgIHRoaXMuX21peEJ1ZmZlciA9IG5ldyBGbG9hdDMyQXJyYXkoc2FtcGxlc0NvdW50KTtcbiAgICB9XG4gICAgcmV0dXJuIHRoaXMuX21peEJ1ZmZlci5zdWJhcnJheSgwLCBzYW1wbGVzQ291bnQpO1xuICB9XG5cbiAgX2Fzc2VydE5vdERlc3Ryb3llZCgpIHtcbiAgICBpZiAodGhpcy5fZGVzdHJveWVkKSB7XG4gICAgICB0aHJvdyBuZXcgU3BlZXhSZXNhbXBsZXJCYWRTdGF0ZUVycm9yKCdUaGlzIFNwZWV4UmVzYW1wbGVyIGhhcyBiZWVuIGRlc3Ryb3llZCBhbmQgY2Fubm90IGJlIHVzZWQgYW55bW9yZScpO1xuICAgIH1cbiAgfVxuXG4gIF9pbml0UmVzYW1wbGVyKCkge1xuICAgIHRoaXMuX2Fzc2VydE5vdERlc3Ryb3llZCgpO1xuICAgIGlmICghc3BlZXhNb2R1bGUpIHtcbiAgICAgIHRocm93IG5ldyBTcGVleFJlc2FtcGxlckJhZFN0YXRlRXJyb3IoJ1lvdSBuZWVkIHRvIHdhaXQgZm9yIFNwZWV4UmVzYW1wbGVyLmluaXRQcm9taXNlIG9yIGNhbGwgU3BlZXhSZXNhbXBsZXIuaW5pdFN5bmMgYmVmb3JlIGNhbGxpbmcgdGhpcyBtZXRob2QnKTtcbiAgICB9XG4gICAgaWYgKHRoaXMuX3Jlc2FtcGxlclB0cikge1xuICAgICAgcmV0dXJuO1xuICAgIH1cbiAgICBjb25zdCBlcnJQdHIgPSBzcGVleE1vZHVsZS5fbWFsbG9jKDQpO1xuICAgIC8vIHRoZSByYXRpbyBpcyBpblJhdGUgLyBvdXRSYXRlIHVubGVzcyBzZXQgd2l0aCBmcm9tUmF0aW8gb3Igc2V0UmF0ZUZyYWMgYmVmb3JlIHRoZSBmaXJzdCBjaHVua1xuICAgIHRoaXMuX3Jlc2FtcGxlclB0ciA9IHNwZWV4TW9kdWxlLl9zcGVleF9yZXNhbXBsZXJfaW5pdF9mcmFjKFxuICAgICAgdGhpcy5fcmVzYW1wbGVyQ2hhbm5lbHMsXG4gICAgICB0aGlzLl9yYXRpb051bSxcbiAgICAgIHRoaXMuX3JhdGlvRGVuLFxuICAgICAgdGhpcy5pblJhdGUsXG4gICAgICB0aGlzLm91dFJhdGUsXG4gICAgICB0aGlzLnF1YWxpdHksXG4gICAgICBlcnJQdHIsXG4gICAgKTtcbiAgICBjb25zdCBlcnJOdW0gPSBzcGVleE1vZHVsZS5nZXRWYWx1ZShlcnJQdHIsICdpMzInKTtcbiAgICBzcGVleE1vZHVsZS5fZnJlZShlcnJQdHIpO1xuICAgIHRocm93T25FcnJvcihlcnJOdW0pO1xuICAgIHRoaXMuX2luTGVuZ3RoUHRyID0gc3BlZXhNb2R1bGUuX21hbGxvYyhVaW50MzJBcnJheS5CWVRFU19QRVJfRUxFTUVOVCk7XG4gICAgdGhpcy5fb3V0TGVuZ3RoUHRyID0gc3BlZXhNb2R1bGUuX21hbGxvYyhVaW50MzJBcnJheS5CWVRFU19QRVJfRUxFTUVOVCk7XG4gICAgdGhpcy5fcmVnaXN0ZXJBbGxvY2F0aW9ucygpO1xuICAgIGlmICh0aGlzLmNvbXBlbnNhdGVMYXRlbmN5KSB7XG4gICAgICAvLyB0aGUgZmlsdGVyIHN0YXJ0cyB3aXRoIGl0cyBoaXN0b3J5IGZpbGxlZCB3aXRoIHplcm9zLCBza2lwcGluZyB0aGVtIHJlbW92ZXMgdGhlIGxlYWRpbmcgZGVsYXkgZnJvbSB0aGUgb3V0cHV0XG4gICAgICBzcGVleE1vZHVsZS5fc3BlZXhfcmVzYW1wbGVyX3NraXBfemVyb3ModGhpcy5fcmVzYW1wbGVyUHRyKTtcbiAgICB9XG4gIH1cblxuICBfcmVnaXN0ZXJBbGxvY2F0aW9ucygpIHtcbiAgICBpZiAoIWZpbmFsaXphdGlvblJlZ2lzdHJ5KSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuICAgIC8vIHRoZSBoZWxkIHZhbHVlIGNhbm5vdCByZWZlcmVuY2UgdGhpcyBpbnN0YW5jZSBzbyB3ZSByZWdpc3RlciBhIG5ldyBjb3B5IG9mIHRoZSBwb2ludGVycyBldmVyeSB0aW1lIHRoZXkgY2hhbmdlXG4gICAgZmluYWxpemF0aW9uUmVnaXN0cnkudW5yZWdpc3Rlcih0aGlzKTtcbiAgICBmaW5hbGl6YXRpb25SZWdpc3RyeS5yZWdpc3Rlcih0aGlzLCB7XG4gICAgICByZXNhbXBsZXJQdHI6IHRoaXMuX3Jlc2FtcGxlclB0cixcbiAgICAgIHBvaW50ZXJzOiBbdGhpcy5faW5MZW5ndGhQdHIsIHRoaXMuX291dExlbmd0aFB0ciwgdGhpcy5faW5CdWZmZXJQdHIsIHRoaXMuX291dEJ1ZmZlclB0cl0sXG4gICAgfSBhcyBXYXNtQWxsb2NhdGlvbnMsIHRoaXMpO1xuICB9XG5cbiAgLyoqXG4gICAgKiBSZWxlYXNlIGFsbCB0aGUgV0FTTSBtZW1vcnkgdXNlZCBieSB0aGlzIHJlc2FtcGxlciwgY2FsbGluZyBhbnkgbWV0aG9kIGFmdGVyIHRoaXMgd2lsbCB0aHJvdy5cbiAgICAqIENhbGxpbmcgaXQgbXVsdGlwbGUgdGltZXMgaXMgYSBuby1vcC5cbiAgICAqL1xuICBkZXN0cm95KCkge1xuICAgIGlmICh0aGlzLl9kZXN0cm95ZWQpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG4gICAgdGhpcy5fZGVzdHJveWVkID0gdHJ1ZTtcbiAgICBpZiAoIXRoaXMuX3Jlc2FtcGxlclB0cikge1xuICAgICAgcmV0dXJuO1xuICAgIH1cbiAgICBpZiAoZmluYWxpemF0aW9uUmVnaXN0cnkpIHtcbiAgICAgIGZpbmFsaXphdGlvblJlZ2lzdHJ5LnVucmVnaXN0ZXIodGhpcyk7XG4gICAgfVxuICAgIHJlbGVhc2VBbGxvY2F0aW9ucyh7XG4gICAgICByZXNhbXBsZXJQdHI6IHRoaXMuX3Jlc2FtcGxlclB0cixcbiAgICAgIHBvaW50ZXJzOiBbdGhpcy5faW5MZW5ndGhQdHIsIHRoaXMuX291dExlbmd0aFB0ciwgdGhpcy5faW5CdWZmZXJQdHIsIHRoaXMuX291dEJ1ZmZlclB0cl0sXG4gICAgfSk7XG4gICAgdGhpcy5fcmVzYW1wbGVyUHRyID0gMDtcbiAgICB0aGlzLl9pbkxlbmd0aFB0ciA9IC0xO1xuICAgIHRoaXMuX291dExlbmd0aFB0ciA9IC0xO1xuICAgIHRoaXMuX2luQnVmZmVyUHRyID0gLTE7XG4gICAgdGhpcy5faW5CdWZmZXJTaXplID0gLTE7XG4gICAgdGhpcy5fb3V0QnVmZmVyUHRyID0gLTE7XG4gICAgdGhpcy5fb3V0QnVmZmVyU2l6ZSA9IC0xO1xuICB9XG5cbiAgW2Rpc3Bvc2VTeW1ib2xdKCkge1xuICAgIHRoaXMuZGVzdHJveSgpO1xuICB9XG5cbiAgLyoqXG4gICAgKiBDaGFuZ2UgdGhlIGlucHV0IGFuZCBvdXRwdXQgcmF0ZXMgd2l0aG91dCByZXNldHRpbmcgdGhlIGZpbHRlciwgY2FuIGJlIHVzZWQgaW4gdGhlIG1pZGRsZSBvZiBhIHN0cmVhbVxuICAgICogQHBhcmFtIGluUmF0ZSBmcmVxdWVuY3kgaW4gSHogZm9yIHRoZSBpbnB1dCBjaHVua1xuICAgICogQHBhcmFtIG91dFJhdGUgZnJlcXVlbmN5IGluIEh6IGZvciB0aGUgdGFyZ2V0IGNodW5rXG4gICAgKi9cbiAgc2V0UmF0ZShpblJhdGU6IG51bWJlciwgb3V0UmF0ZTogbnVtYmVyKSB7XG4gICAgdGhpcy5fYXNzZXJ0Tm90RGVzdHJveWVkKCk7XG4gICAgYXNzZXJ0UG9zaXRpdmVJbnRlZ2VyKCdpblJhdGUnLCBpblJhdGUpO1xuICAgIGFzc2VydFBvc2l0aXZlSW50ZWdlcignb3V0UmF0ZScsIG91dFJhdGUpO1xuICAgIGlmICh0aGlzLl9yZXNhbXBsZXJQdHIpIHtcbiAgICAgIHRoaXMuX3Rocm93T25TZXRFcnJvcihzcGVleE1vZHVsZS5fc3BlZXhfcmVzYW1wbGVyX3NldF9yYXRlKHRoaXMuX3Jlc2FtcGxlclB0ciwgaW5SYXRlLCBvdXRSYXRlKSk7XG4gICAgfVxuICAgIHRoaXMuaW5SYXRlID0gaW5SYXRlO1xuICAgIHRoaXMub3V0UmF0ZSA9IG91dFJhdGU7XG4gICAgdGhpcy5fcmF0aW9OdW0gPSBpblJhdGU7XG4gICAgdGhpcy5fcmF0aW9EZW4gPSBvdXRSYXRlO1xuICB9XG5cbiAgLyoqXG4gICAgKiBDaGFuZ2UgdGhlIHJlc2FtcGxpbmcgcmF0aW8gdG8gYW4gYXJiaXRyYXJ5IGZyYWN0aW9uIHdpdGhvdXQgcmVzZXR0aW5nIHRoZSBmaWx0ZXIsIGNhbiBiZSB1c2VkIGluIHRoZSBtaWRkbGUgb2YgYSBzdHJlYW1cbiAgICAqIHRvIGNvcnJlY3QgYSBjbG9jayBkcmlmdFxuICAgICogQHBhcmFtIHJhdGlvTnVtIG51bWVyYXRvciBvZiB0aGUgaW5wdXQgdG8gb3V0cHV0IHJhdGlvXG4gICAgKiBAcGFyYW0gcmF0aW9EZW4gZGVub21pbmF0b3Igb2YgdGhlIGlucHV0IHRvIG91dHB1dCByYXRpb1xuICAgICogQHBhcmFtIGluUmF0ZSBub21pbmFsIGZyZXF1ZW5jeSBpbiBIeiBmb3IgdGhlIGlucHV0IGNodW5rLCBvbmx5IHVzZWQgdG8gY2hvb3NlIHRoZSBmaWx0ZXIgY3V0b2ZmXG4gICAgKiBAcGFyYW0gb3V0UmF0ZSBub21pbmFsIGZyZXF1ZW5jeSBpbiBIeiBmb3IgdGhlIHRhcmdldCBjaHVuaywgb25seSB1c2VkIHRvIGNob29zZSB0aGUgZmlsdGVyIGN1dG9mZlxuICAgICovXG4gIHNldFJhdGVGcmFjKHJhdGlvTnVtOiBudW1iZXIsIHJhdGlvRGVuOiBudW1iZXIsIGluUmF0ZSA9IHRoaXMuaW5SYXRlLCBvdXRSYXRlID0gdGhpcy5vdXRSYXRlKSB7XG4gICAgdGhpcy5fYXNzZXJ0Tm90RGVzdHJveWVkKCk7XG4gICAgYXNzZXJ0UG9zaXRpdmVJbnRlZ2VyKCdyYXRpb051bScsIHJhdGlvTnVtKTtcbiAgICBhc3NlcnRQb3NpdGl2ZUludGVnZXIoJ3JhdGlvRGVuJywgcmF0aW9EZW4pO1xuICAgIGFzc2VydFBvc2l0aXZlSW50ZWdlcignaW5SYXRlJywgaW5SYXRlKTtcbiAgICBhc3NlcnRQb3NpdGl2ZUludGVnZXIoJ291dFJhdGUnLCBvdXRSYXRlKTtcbiAgICBpZiAodGhpcy5fcmVzYW1wbGVyUHRyKSB7XG4gICAgICB0aGlzLl90aHJvd09uU2V0RXJyb3Ioc3BlZXhNb2R1bGUuX3NwZWV4X3Jlc2FtcGxlcl9zZXRfcmF0ZV9mcmFjKHRoaXMuX3Jlc2FtcGxlclB0ciwgcmF0aW9OdW0sIHJhdGlvRGVuLCBpblJhdGUsIG91dFJhdGUpKTtcbiAgICB9XG4gICAgdGhpcy5pblJhdGUgPSBpblJhdGU7XG4gICAgdGhpcy5vdXRSYXRlID0gb3V0UmF0ZTtcbiAgICB0aGlzLl9yYXRpb051bSA9IHJhdGlvTnVtO1xuICAgIHRoaXMuX3JhdGlvRGVuID0gcmF0aW9EZW47XG4gIH1cblxuICAvLyBzcGVleCBjYW4gZmFpbCBhZnRlciBpdCBhbHJlYWR5IGNoYW5nZWQgc29tZSBvZiBpdHMgc2V0dGluZ3MgKGFuIG92ZXJmbG93IHdoaWxlIHNjYWxpbmcgdGhlIGZyYWN0aW9uYWxcbiAgLy8gcG9zaXRpb24gb3IgYW4gYWxsb2NhdGlvbiBmYWlsdXJlIG9mIHRoZSBuZXcgZmlsdGVyKSwgdGhlIGZpZWxkcyBhcmUgcmVhZCBiYWNrIHNvIHRoYXQgdGhleSBrZWVwIG1hdGNoaW5nIGl0XG4gIF90aHJvd09uU2V0RXJyb3IoZXJyTnVtOiBudW1iZXIpIHtcbiAgICBpZiAoZXJyTnVtID09PSBSRVNBTVBMRVJfRVJSX1NVQ0NFU1MpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG4gICAgY29uc3Qgc3RhdGVJbmRleCA9IHRoaXMuX3Jlc2FtcGxlclB0ciA+PiAyO1xuICAgIHRoaXMuaW5SYXRlID0gc3BlZXhNb2R1bGUuSEVBUFUzMltzdGF0ZUluZGV4ICsgU1RBVEVfSU5fUkFURV07XG4gICAgdGhpcy5vdXRSYXRlID0gc3BlZXhNb2R1bGUuSEVBUFUzMltzdGF0ZUluZGV4ICsgU1RBVEVfT1VUX1JBVEVdO1xuICAgIHRoaXMuX3JhdGlvTnVtID0gc3BlZXhNb2R1bGUuSEVBUFUzMltzdGF0ZUluZGV4ICsgU1RBVEVfTlVNX1JBVEVdO1xuICAgIHRoaXMuX3JhdGlvRGVuID0gc3BlZXhNb2R1bGUuSEVBUFUzMltzdGF0ZUluZGV4ICsgU1RBVEVfREVOX1JBVEVdO1xuICAgIHRoaXMucXVhbGl0eSA9IHNwZWV4TW9kdWxlLkhFQVBVMzJbc3RhdGVJbmRleCArIFNUQVRFX1FVQUxJVFldO1xuICAgIHRocm93T25FcnJvcihlcnJOdW0pO1xuICB9XG5cbiAgLyoqXG4gICAgKiBJbnB1dCB0byBvdXRwdXQgcmF0aW8gdXNlZCBieSBzcGVleCwgcmVkdWNlZCB0byBpdHMgbG93ZXN0IHRlcm1zXG4gICAgKi9cbiAgZ2V0IHJhdGlvKCk6IHsgcmF0aW9OdW06IG51bWJlciwgcmF0aW9EZW46IG51bWJlciB9IHtcbiAgICB0aGlzLl9pbml0UmVzYW1wbGVyKCk7XG4gICAgLy8gdGhlIGxlbmd0aCBwb2ludGVycyBhcmUgb25seSB1c2VkIHdoaWxlIHByb2Nlc3Npbmcgc28gdGhleSBjYW4gcmVjZWl2ZSB0aGUgcmF0aW9cbiAgICBzcGVleE1vZHVsZS5fc3BlZXhfcmVzYW1wbGVyX2dldF9yYXRpbyh0aGlzLl9yZXNhbXBsZXJQdHIsIHRoaXMuX2luTGVuZ3RoUHRyLCB0aGlzLl9vdXRMZW5ndGhQdHIpO1xuICAgIHJldHVybiB7XG4gICAgICByYXRpb051bTogc3BlZXhNb2R1bGUuZ2V0VmFsdWUodGhpcy5faW5MZW5ndGhQdHIsICdpMzInKSA+Pj4gMCxcbiAgICAgIHJhdGlvRGVuOiBzcGVleE1vZHVsZS5nZXRWYWx1ZSh0aGlzLl9vdXRMZW5ndGhQdHIsICdpMzInKSA+Pj4gMCxcbiAgICB9O1xuICB9XG5cbiAgLyoqXG4gICAgKiBDaGFuZ2UgdGhlIHJlc2FtcGxpbmcgcXVhbGl0eSB3aXRob3V0IHJlc2V0dGluZyB0aGUgZmlsdGVyLCBjYW4gYmUgdXNlZCBpbiB0aGUgbWlkZGxlIG9mIGEgc3RyZWFtXG4gICAgKiBAcGFyYW0gcXVhbGl0eSBudW1iZXIgZnJvbSAxIHRvIDEwLCAxIGlzIGZhc3QgYnV0IG9mIGJhZCBxdWFsaXR5LCAxMCBpcyBzbG93IGJ1dCBiZXN0IHF1YWxpdHlcbiAgICAqL1xuICBzZXRRdWFsaXR5KHF1YWxpdHk6IG51bWJlcikge1xuICAgIHRoaXMuX2Fzc2VydE5vdERlc3Ryb3llZCgpO1xuICAgIGFzc2VydFF1YWxpdHkocXVhbGl0eSk7XG4gICAgaWYgKHRoaXMuX3Jlc2FtcGxlclB0cikge1xuICAgICAgY29uc3QgbGF0ZW5jeSA9IHNwZWV4TW9kdWxlLl9zcGVleF9yZXNhbXBsZXJfZ2V0X291dHB1dF9sYXRlbmN5KHRoaXMuX3Jlc2FtcGxlclB0cik7XG4gICAgICB0aGlzLl90aHJvd09uU2V0RXJyb3Ioc3BlZXhNb2R1bGUuX3NwZWV4X3Jlc2FtcGxlcl9zZXRfcXVhbGl0eSh0aGlzLl9yZXNhbXBsZXJQdHIsIHF1YWxpdHkpKTtcbiAgICAgIC8vIGJlZm9yZSB0aGUgZmlyc3QgY2h1bmssIHNwZWV4IGNsZWFycyB0aGUgZmlsdGVyIGhpc3RvcnkgaW5zdGVhZCBvZiBrZWVwaW5nIHRoZSBkZWxheVxuICAgICAgaWYgKHNwZWV4TW9kdWxlLkhFQVBVMzJbKHRoaXMuX3Jlc2FtcGxlclB0ciA+PiAyKSArIFNUQVRFX1NUQVJURURdKSB7XG4gICAgICAgIHRoaXMuX2xhdGVuY3lTaGlmdCArPSBsYXRlbmN5IC0gc3BlZXhNb2R1bGUuX3NwZWV4X3Jlc2FtcGxlcl9nZXRfb3V0cHV0X2xhdGVuY3kodGhpcy5fcmVzYW1wbGVyUHRyKTtcbiAgICAgIH1cbiAgICB9XG4gICAgdGhpcy5xdWFsaXR5ID0gcXVhbGl0eTtcbiAgfVxuXG4gIC8qKlxuICAgICogTnVtYmVyIG9mIGlucHV0IGZyYW1lcyAoc2FtcGxlcyBwZXIgY2hhbm5lbCkgdGhlIHJlc2FtcGxlciBuZWVkcyBiZWZvcmUgdGhlIG1hdGNoaW5nIG91dHB1dCBpcyBwcm9kdWNlZFxuICAgICovXG4gIGdldCBpbnB1dExhdGVuY3koKTogbnVtYmVyIHtcbiAgICB0aGlzLl9pbml0UmVzYW1wbGVyKCk7XG4gICAgcmV0dXJuIHNwZWV4TW9kdWxlLl9zcGVleF9yZXNhbXBsZXJfZ2V0X2lucHV0X2xhdGVuY3kodGhpcy5fcmVzYW1wbGVyUHRyKTtcbiAgfVxuXG4gIC8qKlxuICAgICogTnVtYmVyIG9mIG91dHB1dCBmcmFtZXMgKHNhbXBsZXMgcGVyIGNoYW5uZWwpIG9mIGRlbGF5IGFkZGVkIGJ5IHRoZSByZXNhbXBsZXIgZmlsdGVyLFxuICAgICogdGhpcyBkZWxheSBpcyByZW1vdmVkIGZyb20gdGhlIG91dHB1dCB3aGVuIGBjb21wZW5zYXRlTGF0ZW5jeWAgaXMgc2V0XG4gICAgKi9cbiAgZ2V0IG91dHB1dExhdGVuY3koKTogbnVtYmVyIHtcbiAgICB0aGlzLl9pbml0UmVzYW1wbGVyKCk7XG4gICAgcmV0dXJuIHNwZWV4TW9kdWxlLl9zcGVleF9yZXNhbXBsZXJfZ2V0X291dHB1dF9sYXRlbmN5KHRoaXMuX3Jlc2FtcGxlclB0cik7XG4gIH1cblxuICAvLyBkZWxheSBvZiB0aGUgb3V0cHV0IHN0cmVhbSBpbiBvdXRwdXQgZnJhbWVzLCBvbmx5IHRoZSBjaGFuZ2VzIG9mIGZpbHRlciBsZW5ndGggYXJlIGtlcHQgd2hlbiBgY29tcGVuc2F0ZUxhdGVuY3lgIGlzIHNldFxuICBnZXQgX3N0cmVhbUxhdGVuY3koKSB7XG4gICAgcmV0dXJuICh0aGlzLmNvbXBlbnNhdGVMYXRlbmN5ID8gMCA6IHRoaXMub3V0cHV0TGF0ZW5jeSkgKyB0aGlzLl9sYXRlbmN5U2hpZnQ7XG4gIH1cblxuICAvKipcbiAgICAqIE51bWJlciBvZiBpbnB1dCBmcmFtZXMgKHNhbXBsZXMgcGVyIGNoYW5uZWwpIGNvbnN1bWVkIHNpbmNlIHRoZSByZXNhbXBsZXIgd2FzIGNyZWF0ZWQsIHRoZSBzaWxlbmNlIHB1c2hlZCBieSBmbHVzaCBpcyBub3QgY291bnRlZFxuICAgICovXG4gIGdldCBpbnB1dEZyYW1lc0NvbnN1bWVkKCkge1xuICAgIHJldHVybiB0aGlzLl9pbkZyYW1lc0NvdW50O1xuICB9XG5cbiAgLyoqXG4gICAgKiBOdW1iZXIgb2Ygb3V0cHV0IGZyYW1lcyAoc2FtcGxlcyBwZXIgY2hhbm5lbCkgcmV0dXJuZWQgc2luY2UgdGhlIHJlc2FtcGxlciB3YXMgY3JlYXRlZFxuICAgICovXG4gIGdldCBvdXRwdXRGcmFtZXNQcm9kdWNlZCgpIHtcbiAgICByZXR1cm4gdGhpcy5fb3V0RnJhbWVzQ291bnQ7XG4gIH1cblxuICAvKipcbiAgICAqIFBvc2l0aW9uIGluIHRoZSBvdXRwdXQgc3RyZWFtIG9mIHRoZSBpbnB1dCBmcmFtZSBhdCBgcG9zaXRpb25gLCB0aGUgZmlsdGVyIGxhdGVuY3kgaXMgaW5jbHVkZWQgdW5sZXNzIGBjb21wZW5zYXRlTGF0ZW5jeWAgaXMgc2V0LlxuICAgICogQ29tcHV0ZWQgZnJvbSB0aGUgZnJhbWVzIHJlc2FtcGxlZCB1bnRpbCBub3cgc28gaXQgZm9sbG93cyB0aGUgcmF0ZSBjaGFuZ2VzLCBwb3NpdGlvbnMgZmFyIGZyb20gdGhlIGN1cnJlbnQgb25lXG4gICAgKiB1c2UgdGhlIGN1cnJlbnQgcmF0aW8uXG4gICAgKiBAcGFyYW0gcG9zaXRpb24gaW5kZXggb2YgYSBmcmFtZSAoc2FtcGxlIHBlciBjaGFubmVsKSBpbiB0aGUgaW5wdXQgc3RyZWFtXG4gICAgKiBAcmV0dXJucyBpbmRleCBvZiB0aGUgbWF0Y2hpbmcgZnJhbWUgaW4gdGhlIG91dHB1dCBzdHJlYW0sIGNhbiBiZSBmcmFjdGlvbmFsXG4gICAgKi9cbiAgaW5wdXRQb3NpdGlvblRvT3V0cHV0KHBvc2l0aW9uOiBudW1iZXIpIHtcbiAgICByZXR1cm4gdGhpcy5fZXhwZWN0ZWRPdXRGcmFtZXNDb3VudCArIChwb3NpdGlvbiAtIHRoaXMuX2luRnJhbWVzQ291bnQpICogdGhpcy5fcmF0aW9EZW4gLyB0aGlzLl9yYXRpb051bSArIHRoaXMuX3N0cmVhbUxhdGVuY3k7XG4gIH1cblxuICAvKipcbiAgICAqIFBvc2l0aW9uIGluIHRoZSBpbnB1dCBzdHJlYW0gb2YgdGhlIG91dHB1dCBmcmFtZSBhdCBgcG9zaXRpb25gLCBpbnZlcnNlIG9mIGlucHV0UG9zaXRpb25Ub091dHB1dFxuICAgICogQHBhcmFtIHBvc2l0aW9uIGluZGV4IG9mIGEgZnJhbWUgKHNhbXBsZSBwZXIgY2hhbm5lbCkgaW4gdGhlIG91dHB1dCBzdHJlYW1cbiAgICAqIEByZXR1cm5zIGluZGV4IG9mIHRoZSBtYXRjaGluZyBmcmFtZSBpbiB0aGUgaW5wdXQgc3RyZWFtLCBjYW4gYmUgZnJhY3Rpb25hbCBhbmQgbmVnYXRpdmUgZm9yIHRoZSBsZWFkaW5nIGZpbHRlciBkZWxheVxuICAgICovXG4gIG91dHB1dFBvc2l0aW9uVG9JbnB1dChwb3NpdGlvbjogbnVtYmVyKSB7XG4gICAgcmV0dXJuIHRoaXMuX2luRnJhbWVzQ291bnQgKyAocG9zaXRpb24gLSB0aGlzLl9zdHJlYW1MYXRlbmN5IC0gdGhpcy5fZXhwZWN0ZWRPdXRGcmFtZXNDb3VudCkgKiB0aGlzLl9yYXRpb051bSAvIHRoaXMuX3JhdGlvRGVuO1xuICB9XG5cbiAgLyoqXG4gICAgKiBSZXNpemUgdGhlIGlucHV0IGFuZCBvdXRwdXQgYnVmZmVycyBpbiB0aGUgV0FTTSBtZW1vcnkgc3BhY2UgdG8gbWF0Y2ggd2hhdCB3ZSBuZWVkIGZvciBgaW5GcmFtZXNDb3VudGAgZnJhbWVzLFxuICAgICogYm90aCBidWZmZXJzIGFyZSBsYXJnZSBlbm91Z2ggZm9yIGFsbCB0aGUgcmVzYW1wbGVkIGNoYW5uZWxzLCBpbnRlcmxlYXZlZCBvciBvbmUgYWZ0ZXIgdGhlIG90aGVyXG4gICAgKiBAcmV0dXJucyBudW1iZXIgb2YgZnJhbWVzIHBlciBjaGFubmVsIGF2YWlsYWJsZSBpbiB0aGUgb3V0cHV0IGJ1ZmZlclxuICAgICovXG4gIF9yZXNpemVCdWZmZXJzKGluRnJhbWVzQ291bnQ6IG51bWJlciwgYnl0ZXNQZXJTYW1wbGU6IG51bWJlcikge1xuICAgIGNvbnN0IGluQnVmZmVyTGVuZ3RoVGFyZ2V0ID0gaW5GcmFtZXNDb3VudCAqIHRoaXMuX3Jlc2FtcGxlckNoYW5uZWxzICogYnl0ZXNQZXJTYW1wbGU7XG4gICAgaWYgKHRoaXMuX2luQnVmZmVyU2l6ZSA8IGluQnVmZmVyTGVuZ3RoVGFyZ2V0KSB7XG4gICAgICBpZiAodGhpcy5faW5CdWZmZXJQdHIgIT09IC0xKSB7XG4gICAgICAgIHNwZWV4TW9kdWxlLl9mcmVlKHRoaXMuX2luQnVmZmVyUHRyKTtcbiAgICAgIH1cbiAgICAgIHRoaXMuX2luQnVmZmVyUHRyID0gc3BlZXhNb2R1bGUuX21hbGxvYyhpbkJ1ZmZlckxlbmd0aFRhcmdldCk7XG4gICAgICB0aGlzLl9pbkJ1ZmZlclNpemUgPSBpbkJ1ZmZlckxlbmd0aFRhcmdldDtcbiAgICAgIHRoaXMuX3JlZ2lzdGVyQWxsb2NhdGlvbnMoKTtcbiAgICB9XG5cbiAgICBjb25zdCBvdXRCdWZmZXJMZW5ndGhUYXJnZXQgPSB0aGlzLl9tYXhPdXRGcmFtZXNDb3VudChpbkZyYW1lc0NvdW50KSAqIHRoaXMuX3Jlc2FtcGxlckNoYW5uZWxzICogYnl0ZXNQZXJTYW1wbGU7XG4gICAgaWYgKHRoaXMuX291dEJ1ZmZlclNpemUgPCBvdXRCdWZmZXJMZW5ndGhUYXJnZXQpIHtcbiAgICAgIGlmICh0aGlzLl9vdXRCdWZmZXJQdHIgIT09IC0xKSB7XG4gICAgICAgIHNwZWV4TW9kdWxlLl9mcmVlKHRoaXMuX291dEJ1ZmZlclB0cik7XG4gICAgICB9XG4gICAgICB0aGlzLl9vdXRCdWZmZXJQdHIgPSBzcGVleE1vZHVsZS5fbWFsbG9jKG91dEJ1ZmZlckxlbmd0aFRhcmdldCk7XG4gICAgICB0aGlzLl9vdXRCdWZmZXJTaXplID0gb3V0QnVmZmVyTGVuZ3RoVGFyZ2V0O1xuICAgICAgdGhpcy5fcmVnaXN0ZXJBbGxvY2F0aW9ucygpO1xuICAgIH1cbiAgICByZXR1cm4gTWF0aC5mbG9vcih0aGlzLl9vdXRCdWZmZXJTaXplIC8gdGhpcy5fcmVzYW1wbGVyQ2hhbm5lbHMgLyBieXRlc1BlclNhbXBsZSk7XG4gIH1cblxuICAvKipcbiAgICAqIE1heGltdW0gbnVtYmVyIG9mIGZyYW1lcyBzcGVleCBjYW4gb3V0cHV0IGZvciBgaW5GcmFtZXNDb3VudGAgaW5wdXQgZnJhbWVzOiBvbmUgbW9yZSBmcmFtZSB0aGFuIHRoZSByYXRpbyBnaXZlc1xuICAgICogYXMgdGhlIGZpbHRlciBwaGFzZSBjYW4gYmUgYWhlYWQgb2YgdGhlIHJhdGlvIGFmdGVyIGEgcmF0ZSBjaGFuZ2UsIGFuZCB0aGUgaW5wdXQgZnJhbWVzIGtlcHQgYnkgc3BlZXggd2hlblxuICAgICogc2V0UXVhbGl0eSBzaG9ydGVuZWQgdGhlIGZpbHRlciAoaXRzIFwibWFnaWMgc2FtcGxlc1wiKSBhcmUgcmVzYW1wbGVkIGJlZm9yZSB0aGUgbmV3IGlucHV0XG4gICAgKi9cbiAgX21heE91dEZyYW1lc0NvdW50KGluRnJhbWVzQ291bnQ6IG51bWJlcikge1xuICAgIGxldCBtYWdpY1NhbXBsZXNDb3VudCA9IDA7XG4gICAgaWYgKHRoaXMuX3Jlc2FtcGxlclB0cikge1xuICAgICAgY29uc3QgaGVhcCA9IHNwZWV4TW9kdWxlLkhFQVBVMzI7XG4gICAgICBjb25zdCBtYWdpY1NhbXBsZXNQdHIgPSBoZWFwWyh0aGlzLl9yZXNhbXBsZXJQdHIgPj4gMikgKyBTVEFURV9NQUdJQ19TQU1QTEVTXSA+PiAyO1xuICAgICAgZm9yIChsZXQgY2hhbm5lbCA9IDA7IGNoYW5uZWwgPCB0aGlzLl9yZXNhbXBsZXJDaGFubmVsczsgY2hhbm5lbCsrKSB7XG4gICAgICAgIG1hZ2ljU2FtcGxlc0NvdW50ID0gTWF0aC5tYXgobWFnaWNTYW1wbGVzQ291bnQsIGhlYXBbbWFnaWNTYW1wbGVzUHRyICsgY2hhbm5lbF0pO1xuICAgICAgfVxuICAgIH1cbiAgICByZXR1cm4gTWF0aC5jZWlsKChpbkZyYW1lc0NvdW50ICsgbWFnaWNTYW1wbGVzQ291bnQpICogdGhpcy5fcmF0aW9EZW4gLyB0aGlzLl9yYXRpb051bSkgKyAxO1xuICB9XG5cbiAgX2NvdW50RnJhbWVzKGluRnJhbWVzQ291bnQ6IG51bWJlciwgb3V0RnJhbWVzQ291bnQ6IG51bWJlcikge1xuICAgIHRoaXMuX2luRnJhbWVzQ291bnQgKz0gaW5GcmFtZXNDb3VudDtcbiAgICB0aGlzLl9vdXRGcmFtZXNDb3VudCArPSBvdXRGcmFtZXNDb3VudDtcbiAgICB0aGlzLl9leHBlY3RlZE91dEZyYW1lc0NvdW50ICs9IGluRnJhbWVzQ291bnQgKiB0aGlzLl9yYXRpb0RlbiAvIHRoaXMuX3JhdGlvTnVtO1xuICB9XG5cbiAgLy8gaW50MTYgdG8gaW50MTYgaXMgaGFuZGxlZCBuYXRpdmVseSBieSBzcGVleCwgZXZlcnkgb3RoZXIgY29tYmluYXRpb24gaXMgcmVzYW1wbGVkIGFzIGZsb2F0MzJcbiAgLy8gYW5kIGNvbnZlcnRlZCBmcm9tL3RvIHRoZSByZXF1ZXN0ZWQgZm9ybWF0IHdoZW4gY29weWluZyBmcm9tL3RvIHRoZSBXQVNNIG1lbW9yeSBzcGFjZVxuICAvLyBjaGFubmVscyBhcmUgbWl4ZWQgYXMgZmxvYXQzMiBzbyBtaXhpbmcgYWxzbyB1c2VzIHRoZSBmbG9hdDMyIHBhdGhcbiAgZ2V0IF91c2VJbnRQYXRoKCkge1xuICAgIHJldHVybiB0aGlzLmluRm9ybWF0ID09PSAnaW50MTYnICYmIHRoaXMub3V0Rm9ybWF0ID09PSAnaW50MTYnICYmICF0aGlzLl9taXhpbmdNYXRyaXg7XG4gIH1cblxuICBnZXQgX3dhc21CeXRlc1BlclNhbXBsZSgpIHtcbiAgICByZXR1cm4gdGhpcy5fdXNlSW50UGF0aCA/IEludDE2QXJyYXkuQllURVNfUEVSX0VMRU1FTlQgOiBGbG9hdDMyQXJyYXkuQllURVNfUEVSX0VMRU1FTlQ7XG4gIH1cblxuICAvLyB0cnVlIHdoZW4gdGhlIHJlc2FtcGxlZCBzYW1wbGVzIGluIHRoZSBXQVNNIG91dHB1dCBidWZmZXIgYXJlIGFscmVhZHkgaW4gdGhlIG91dHB1dCBmb3JtYXRcbiAgZ2V0IF9pc091dHB1dE5hdGl2ZSgpIHtcbiAgICByZXR1cm4gIXRoaXMuX21peEFmdGVyUmVzYW1wbGluZyAmJiAodGhpcy5fdXNlSW50UGF0aCB8fCB0aGlzLm91dEZvcm1hdCA9PT0gJ2Zsb2F0MzInKTtcbiAgfVxuXG4gIF9hc3NlcnRDaHVua0FsaWduZWQoY2h1bms6IEFycmF5QnVmZmVyVmlldykge1xuICAgIGNvbnN0IGluQnl0ZXNQZXJTYW1wbGUgPSBCWVRFU19QRVJfU0FNUExFW3RoaXMuaW5Gb3JtYXRdO1xuICAgIC8vIFdlIGNoZWNrIHRoYXQgd2UgaGF2ZSBhcyBtYW55IGNodW5rcyBmb3IgZWFjaCBjaGFubmVsIGFuZCB0aGF0IHRoZSBsYXN0IGNodW5rIGlzIGZ1bGxcbiAgICBpZiAoY2h1bmsuYnl0ZUxlbmd0aCAlICh0aGlzLmNoYW5uZWxzICogaW5CeXRlc1BlclNhbXBsZSkgIT09IDApIHtcbiAgICAgIHRocm93IG5ldyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvcihcbiAgICAgICAgYENodW5rIGxlbmd0aCBzaG91bGQgYmUgYSBtdWx0aXBsZSBvZiAke3RoaXMuY2hhbm5lbHN9IGNoYW5uZWxzICogJHtpbkJ5dGVzUGVyU2FtcGxlfSBieXRlcyBwZXIgJHt0aGlzLmluRm9ybWF0fSBzYW1wbGUsIGdvdCAke2NodW5rLmJ5dGVMZW5ndGh9IGJ5dGVzYFxuICAgICAgKTtcbiAgICB9XG4gIH1cblxuICAvKipcbiAgICAqIFJlc2FtcGxlIGludGVybGVhdmVkIGlucHV0LCB0aGUgcmVzdWx0IGlzIGxlZnQgaW4gdGhlIFdBU00gb3V0cHV0IGJ1ZmZlciBpbiB0aGUgV0FTTSBzYW1wbGUgZm9ybWF0XG4gICAgKiBAcmV0dXJucyBudW1iZXIgb2YgZnJhbWVzIHdyaXR0ZW4gaW4gdGhlIG91dHB1dCBidWZmZXJcbiAgICAqL1xuICBfcHJvY2Vzc0ludGVybGVhdmVkKGNodW5rOiBVaW50OEFycmF5KSB7XG4gICAgY29uc3QgdXNlSW50UGF0aCA9IHRoaXMuX3VzZUludFBhdGg7XG4gICAgY29uc3QgaW5GcmFtZXNDb3VudCA9IGNodW5rLmxlbmd0aCAvIEJZVEVTX1BFUl9TQU1QTEVbdGhpcy5pbkZvcm1hdF0gLyB0aGlzLmNoYW5uZWxzO1xuICAgIGNvbnN0IG91dEJ1ZmZlckZyYW1lc0NvdW50ID0gdGhpcy5fcmVzaXplQnVmZmVycyhpbkZyYW1lc0NvdW50LCB0aGlzLl93YXNtQnl0ZXNQZXJTYW1wbGUpO1xuXG4gICAgLy8gbnVtYmVyIG9mIHNhbXBsZXMgcGVyIGNoYW5uZWwgaW4gaW5wdXQgYnVmZmVyXG4gICAgc3BlZXhNb2R1bGUuc2V0VmFsdWUodGhpcy5faW5MZW5ndGhQdHIsIGluRnJhbWVzQ291bnQsICdpMzInKTtcbiAgICAvLyBDb3B5aW5nIHRoZSBpbmZvIGZyb20gdGhlIGlucHV0IEJ1ZmZlciBpbiB0aGUgV0FTTSBtZW1vcnkgc3BhY2VcbiAgICBjb25zdCBpblNhbXBsZXMgPSBzcGVleE1vZHVsZS5IRUFQRjMyLnN1YmFycmF5KHRoaXMuX2luQnVmZmVyUHRyID4+IDIsICh0aGlzLl9pbkJ1ZmZlclB0ciA+PiAyKSArIGluRnJhbWVzQ291bnQgKiB0aGlzLl9yZXNhbXBsZXJDaGFubmVscyk7XG4gICAgaWYgKHRoaXMuX21peEJlZm9yZVJlc2FtcGxpbmcpIHtcbiAgICAgIGNvbnN0IGRlY29kZWQgPSB0aGlzLl9taXhCdWZmZXJPZihpbkZyYW1lc0NvdW50ICogdGhpcy5jaGFubmVscyk7XG4gICAgICBkZWNvZGVTYW1wbGVzKGNodW5rLCB0aGlzLmluRm9ybWF0LCBkZWNvZGVkKTtcbiAgICAgIG1peEludGVybGVhdmVkKHRoaXMuX21peGluZ01hdHJpeCwgZGVjb2RlZCwgaW5TYW1wbGVzKTtcbiAgICB9IGVsc2UgaWYgKHVzZUludFBhdGggfHwgdGhpcy5pbkZvcm1hdCA9PT0gJ2Zsb2F0MzInKSB7XG4gICAgICBzcGVleE1vZHVsZS5IRUFQVTguc2V0KGNodW5rLCB0aGlzLl9pbkJ1ZmZlclB0cik7XG4gICAgfSBlbHNlIHtcbiAgICAgIGRlY29kZVNhbXBsZXMoY2h1bmssIHRoaXMuaW5Gb3JtYXQsIGluU2FtcGxlcyk7XG4gICAgfVxuXG4gICAgLy8gbnVtYmVyIG9mIHNhbXBsZXMgcGVyIGNoYW5uZWxzIGF2YWlsYWJsZSBpbiBvdXRwdXQgYnVmZmVyXG4gICAgc3BlZXhNb2R1bGUuc2V0VmFsdWUodGhpcy5fb3V0TGVuZ3RoUHRyLCBvdXRCdWZmZXJGcmFtZXNDb3VudCwgJ2kzMicpO1xuICAgIGNvbnN0IHByb2Nlc3NGbiA9IHVzZUludFBhdGggPyBzcGVleE1vZHVsZS5fc3BlZXhfcmVzYW1wbGVyX3Byb2Nlc3NfaW50ZXJsZWF2ZWRfaW50IDogc3BlZXhNb2R1bGUuX3NwZWV4X3Jlc2FtcGxlcl9wcm9jZXNzX2ludGVybGVhdmVkX2Zsb2F0O1xuICAgIGNvbnN0IGVyck51bSA9IHByb2Nlc3NGbihcbiAgICAgIHRoaXMuX3Jlc2FtcGxlclB0cixcbiAgICAgIHRoaXMuX2luQnVmZmVyUHRyLFxuICAgICAgdGhpcy5faW5MZW5ndGhQdHIsXG4gICAgICB0aGlzLl9vdXRCdWZmZXJQdHIsXG4gICAgICB0aGlzLl9vdXRMZW5ndGhQdHIsXG4gICAgKTtcblxuICAgIHRocm93T25FcnJvcihlcnJOdW0pO1xuXG4gICAgLy8gc3BlZXggd3JpdGVzIGJhY2sgdGhlIG51bWJlciBvZiBmcmFtZXMgaXQgY29uc3VtZWQgYW5kIHByb2R1Y2VkXG4gICAgY29uc3Qgb3V0U2FtcGxlc1BlckNoYW5uZWxzV3JpdHRlbiA9IHNwZWV4TW9kdWxlLmdldFZhbHVlKHRoaXMuX291dExlbmd0aFB0ciwgJ2kzMicpO1xuICAgIHRoaXMuX2NvdW50RnJhbWVzKHNwZWV4TW9kdWxlLmdldFZhbHVlKHRoaXMuX2luTGVuZ3RoUHRyLCAnaTMyJyksIG91dFNhbXBsZXNQZXJDaGFubmVsc1dyaXR0ZW4pO1xuICAgIHJldHVybiBvdXRTYW1wbGVzUGVyQ2hhbm5lbHNXcml0dGVuO1xuICB9XG5cbiAgLyoqXG4gICAgKiBGbG9hdCBzYW1wbGVzIG9mIHRoZSBsYXN0IHJlc2FtcGxlZCBmcmFtZXMgd2l0aCB0aGUgb3V0cHV0IGNoYW5uZWxzLCBtaXhlZCBpZiBuZWVkZWQgYWZ0ZXIgcmVzYW1wbGluZy5cbiAgICAqIE9ubHkgdmFsaWQgdW50aWwgdGhlIG5leHQgY2FsbCB0byB0aGUgcmVzYW1wbGVyLlxuICAgICovXG4gIF9yZXNhbXBsZWRTYW1wbGVzKG91dEZyYW1lc0NvdW50OiBudW1iZXIpIHtcbiAgICBjb25zdCByZXNhbXBsZWQgPSBzcGVleE1vZHVsZS5IRUFQRjMyLnN1YmFycmF5KHRoaXMuX291dEJ1ZmZlclB0ciA+PiAyLCAodGhpcy5fb3V0QnVmZmVyUHRyID4+IDIpICsgb3V0RnJhbWVzQ291bnQgKiB0aGlzLl9yZXNhbXBsZXJDaGFubmVscyk7XG4gICAgaWYgKCF0aGlzLl9taXhBZnRlclJlc2FtcGxpbmcpIHtcbiAgICAgIHJldHVybiByZXNhbXBsZWQ7XG4gICAgfVxuICAgIGNvbnN0IG1peGVkID0gdGhpcy5fbWl4QnVmZmVyT2Yob3V0RnJhbWVzQ291bnQgKiB0aGlzLm91dENoYW5uZWxzKTtcbiAgICBtaXhJbnRlcmxlYXZlZCh0aGlzLl9taXhpbmdNYXRyaXgsIHJlc2FtcGxlZCwgbWl4ZWQpO1xuICAgIHJldHVybiBtaXhlZDtcbiAgfVxuXG4gIC8qKlxuICAgICogUmVzYW1wbGUgYSBjaHVuayBvZiBhdWRpby5cbiAgICAqIEBwYXJhbSBjaHVuayBpbnRlcmxlYXZlZCBQQ00gZGF0YSBpbiB0aGUgaW5wdXQgc2FtcGxlIGZvcm1hdCwgY2FuIGJlIGEgQnVmZmVyIG9yIGFueSB0eXBlZCBhcnJheVxuICAgICogQHJldHVybnMgaW50ZXJsZWF2ZWQgUENNIGRhdGEgaW4gdGhlIG91dHB1dCBzYW1wbGUgZm9ybWF0LCBhIHZpZXcgdmFsaWQgdW50aWwgdGhlIG5leHQgY2FsbCBpZiBgcmV0dXJuVmlld2AgaXMgc2V0XG4gICAgKi9cbiAgcHJvY2Vzc0NodW5rKGNodW5rOiBBcnJheUJ1ZmZlclZpZXcpIHtcbiAgICB0aGlzLl9pbml0UmVzYW1wbGVyKCk7XG4gICAgdGhpcy5fYXNzZXJ0Q2h1bmtBbGlnbmVkKGNodW5rKTtcbiAgICBjb25zdCBvdXRGcmFtZXNDb3VudCA9IHRoaXMuX3Byb2Nlc3NJbnRlcmxlYXZlZCh0b1VpbnQ4QXJyYXkoY2h1bmspKTtcbiAgICBjb25zdCBvdXRTYW1wbGVzQ291bnQgPSBvdXRGcmFtZXNDb3VudCAqIHRoaXMub3V0Q2hhbm5lbHM7XG5cbiAgICBpZiAodGhpcy5faXNPdXRwdXROYXRpdmUpIHtcbiAgICAgIGNvbnN0IG91dEJ5dGVzQ291bnQgPSBvdXRTYW1wbGVzQ291bnQgKiB0aGlzLl93YXNtQnl0ZXNQZXJTYW1wbGU7XG4gICAgICBpZiAodGhpcy5yZXR1cm5WaWV3KSB7XG4gICAgICAgIHJldHVybiBCdWZmZXIuZnJvbShzcGVleE1vZHVsZS5IRUFQVTguYnVmZmVyLCB0aGlzLl9vdXRCdWZmZXJQdHIsIG91dEJ5dGVzQ291bnQpO1xuICAgICAgfVxuICAgICAgLy8gd2UgYXJlIGNvcHlpbmcgdGhlIGluZm8gaW4gYSBuZXcgYnVmZmVyIGhlcmUsIHVzZSByZXR1cm5WaWV3IHRvIGdldCBhIGJ1ZmZlciBwb2ludGluZyB0byB0aGUgc2FtZSBtZW1vcnkgc3BhY2VcbiAgICAgIHJldHVybiBCdWZmZXIuZnJvbShcbiAgICAgICAgc3BlZXhNb2R1bGUuSEVBUFU4LnNsaWNlKFxuICAgICAgICAgIHRoaXMuX291dEJ1ZmZlclB0cixcbiAgICAgICAgICB0aGlzLl9vdXRCdWZmZXJQdHIgKyBvdXRCeXRlc0NvdW50XG4gICAgICAgICkuYnVmZmVyKTtcbiAgICB9XG4gICAgY29uc3Qgb3V0Qnl0ZXNDb3VudCA9IG91dFNhbXBsZXNDb3VudCAqIEJZVEVTX1BFUl9TQU1QTEVbdGhpcy5vdXRGb3JtYXRdO1xuICAgIGxldCByZXM6IEJ1ZmZlcjtcbiAgICBpZiAodGhpcy5yZXR1cm5WaWV3KSB7XG4gICAgICBpZiAodGhpcy5fb3V0Vmlld0J1ZmZlci5sZW5ndGggPCBvdXRCeXRlc0NvdW50KSB7XG4gICAgICAgIHRoaXMuX291dFZpZXdCdWZmZXIgPSBCdWZmZXIuYWxsb2Mob3V0Qnl0ZXNDb3VudCk7XG4gICAgICB9XG4gICAgICByZXMgPSB0aGlzLl9vdXRWaWV3QnVmZmVyLnNsaWNlKDAsIG91dEJ5dGVzQ291bnQpO1xuICAgIH0gZWxzZSB7XG4gICAgICByZXMgPSBCdWZmZXIuYWxsb2Mob3V0Qnl0ZXNDb3VudCk7XG4gICAgfVxuICAgIGVuY29kZVNhbXBsZXModGhpcy5fcmVzYW1wbGVkU2FtcGxlcyhvdXRGcmFtZXNDb3VudCksIHJlcywgdGhpcy5vdXRGb3JtYXQpO1xuICAgIHJldHVybiByZXM7XG4gIH1cblxuICAvKipcbiAgICAqIFJlc2FtcGxlIGEgY2h1bmsgb2YgYXVkaW8gaW50byBhbiBhcnJheSB5b3Ugb3duIGluc3RlYWQgb2YgYWxsb2NhdGluZyBhIG5ldyBCdWZmZXIgZm9yIHRoZSBvdXRwdXQuXG4gICAgKiBAcGFyYW0gY2h1bmsgaW50ZXJsZWF2ZWQgUENNIGRhdGEgaW4gdGhlIGlucHV0IHNhbXBsZSBmb3JtYXQsIGNhbiBiZSBhIEJ1ZmZlciBvciBhbnkgdHlwZWQgYXJyYXlcbiAgICAqIEBwYXJhbSBvdXRwdXQgQnVmZmVyIG9yIHR5cGVkIGFycmF5IHJlY2VpdmluZyB0aGUgaW50ZXJsZWF2ZWQgUENNIGRhdGEgaW4gdGhlIG91dHB1dCBzYW1wbGUgZm9ybWF0LCBpdCBuZWVkc1xuICAgICogICAgICAgICAgICAgICB0byBiZSBsYXJnZSBlbm91Z2ggZm9yIChjZWlsKGlucHV0IGZyYW1lcyAqIG91dFJhdGUgLyBpblJhdGUpICsgMSkgZnJhbWVzLCBtb3JlIHJpZ2h0IGFmdGVyIHNldFF1YWxpdHlcbiAgICAqICAgICAgICAgICAgICAgbG93ZXJlZCB0aGUgcXVhbGl0eVxuICAgICogQHJldHVybnMgbnVtYmVyIG9mIGZyYW1lcyAoc2FtcGxlcyBwZXIgY2hhbm5lbCkgd3JpdHRlbiBpbiBgb3V0cHV0YFxuICAgICovXG4gIHByb2Nlc3NJbnRvKGNodW5rOiBBcnJheUJ1ZmZlclZpZXcsIG91dHB1dDogQXJyYXlCdWZmZXJWaWV3KSB7XG4gICAgdGhpcy5faW5pdFJlc2FtcGxlcigpO1xuICAgIHRoaXMuX2Fzc2VydENodW5rQWxpZ25lZChjaHVuayk7XG4gICAgY29uc3QgaW5GcmFtZXNDb3VudCA9IGNodW5rLmJ5dGVMZW5ndGggLyBCWVRFU19QRVJfU0FNUExFW3RoaXMuaW5Gb3JtYXRdIC8gdGhpcy5jaGFubmVscztcbiAgICBjb25zdCBtYXhPdXRCeXRlc0NvdW50ID0gdGhpcy5fbWF4T3V0RnJhbWVzQ291bnQoaW5GcmFtZXNDb3VudCkgKiB0aGlzLm91dENoYW5uZWxzICogQllURVNfUEVSX1NBTVBMRVt0aGlzLm91dEZvcm1hdF07XG4gICAgaWYgKG91dHB1dC5ieXRlTGVuZ3RoIDwgbWF4T3V0Qnl0ZXNDb3VudCkge1xuICAgICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKGBPdXRwdXQgaXMgdG9vIHNtYWxsLCAke21heE91dEJ5dGVzQ291bnR9IGJ5dGVzIG5lZWRlZCwgZ290ICR7b3V0cHV0LmJ5dGVMZW5ndGh9YCk7XG4gICAgfVxuICAgIGNvbnN0IG91dEZyYW1lc0NvdW50ID0gdGhpcy5fcHJvY2Vzc0ludGVybGVhdmVkKHRvVWludDhBcnJheShjaHVuaykpO1xuXG4gICAgaWYgKHRoaXMuX2lzT3V0cHV0TmF0aXZlKSB7XG4gICAgICB0b1VpbnQ4QXJyYXkob3V0cHV0KS5zZXQoc3BlZXhNb2R1bGUuSEVBUFU4LnN1YmFycmF5KHRoaXMuX291dEJ1ZmZlclB0ciwgdGhpcy5fb3V0QnVmZmVyUHRyICsgb3V0RnJhbWVzQ291bnQgKiB0aGlzLm91dENoYW5uZWxzICogdGhpcy5fd2FzbUJ5dGVzUGVyU2FtcGxlKSk7XG4gICAgfSBlbHNlIHtcbiAgICAgIGVuY29kZVNhbXBsZXModGhpcy5fcmVzYW1wbGVkU2FtcGxlcyhvdXRGcmFtZXNDb3VudCksIHRvVWludDhBcnJheShvdXRwdXQpLCB0aGlzLm91dEZvcm1hdCk7XG4gICAgfVxuICAgIHJldHVybiBvdXRGcmFtZXNDb3VudDtcbiAgfVxuXG4gIC8qKlxuICAgICogUHVzaCBzaWxlbmNlIHRocm91Z2ggdGhlIHJlc2FtcGxlciB1bnRpbCB0aGUgdG90YWwgb3V0cHV0IG1hdGNoZXMgdGhlIGlucHV0IGR1cmF0aW9uLCBwbHVzIHRoZSBsZWFkaW5nIGZpbHRlciBkZWxheVxuICAgICogd2hlbiBpdCBpcyBub3QgY29tcGVuc2F0ZWQgc28gdGhhdCB0aGUgZW5kIG9mIHRoZSBpbnB1dCBpcyBub3QgY3V0IG9mZi5cbiAgICAqIEBwYXJhbSBwcm9jZXNzU2lsZW5jZSByZXNhbXBsZSBgaW5GcmFtZXNDb3VudGAgZnJhbWVzIG9mIHNpbGVuY2UgYW5kIGtlZXAgYXQgbW9zdCBgbWF4T3V0RnJhbWVzQ291bnRgIGZyYW1lcywgcmV0dXJucyB0aGUgbnVtYmVyIG9mIGZyYW1lcyBrZXB0XG4gICAgKi9cbiAgX2RyYWluVGFpbChwcm9jZXNzU2lsZW5jZTogKGluRnJhbWVzQ291bnQ6IG51bWJlciwgbWF4T3V0RnJhbWVzQ291bnQ6IG51bWJlcikgPT4gbnVtYmVyKSB7XG4gICAgY29uc3QgZXhwZWN0ZWRPdXRGcmFtZXNDb3VudCA9IE1hdGgucm91bmQodGhpcy5fZXhwZWN0ZWRPdXRGcmFtZXNDb3VudCkgKyB0aGlzLl9zdHJlYW1MYXRlbmN5O1xuICAgIGNvbnN0IGluRnJhbWVzQ291bnQgPSB0aGlzLl9pbkZyYW1lc0NvdW50O1xuICAgIGNvbnN0IHVucm91bmRlZEV4cGVjdGVkT3V0RnJhbWVzQ291bnQgPSB0aGlzLl9leHBlY3RlZE91dEZyYW1lc0NvdW50O1xuICAgIC8vIGlucHV0IGxhdGVuY3kgaXMgdGhlIG51bWJlciBvZiBpbnB1dCBmcmFtZXMgbmVlZGVkIHRvIGdldCB0aGUgZmlsdGVyIHRhaWwgb3V0XG4gICAgY29uc3Qgc2lsZW5jZUZyYW1lc0NvdW50ID0gTWF0aC5tYXgoMSwgc3BlZXhNb2R1bGUuX3NwZWV4X3Jlc2FtcGxlcl9nZXRfaW5wdXRfbGF0ZW5jeSh0aGlzLl9yZXNhbXBsZXJQdHIpKTtcbiAgICBsZXQgbWlzc2luZ0ZyYW1lc0NvdW50ID0gZXhwZWN0ZWRPdXRGcmFtZXNDb3VudCAtIHRoaXMuX291dEZyYW1lc0NvdW50O1xuICAgIC8vIHRoZSBmaWx0ZXIgaGFzIGEgZnJhY3Rpb25hbCBkZWxheSBzbyB3ZSBsb29wIGluIGNhc2UgYSBzaW5nbGUgcGFzcyBkb2Vzbid0IG91dHB1dCBlbm91Z2ggZnJhbWVzXG4gICAgZm9yIChsZXQgaSA9IDA7IGkgPCBNQVhfRkxVU0hfSVRFUkFUSU9OUyAmJiBtaXNzaW5nRnJhbWVzQ291bnQgPiAwOyBpKyspIHtcbiAgICAgIG1pc3NpbmdGcmFtZXNDb3VudCAtPSBwcm9jZXNzU2lsZW5jZShzaWxlbmNlRnJhbWVzQ291bnQsIG1pc3NpbmdGcmFtZXNDb3VudCk7XG4gICAgfVxuICAgIC8vIHRoZSBzaWxlbmNlIGlzIG5vdCBwYXJ0IG9mIHRoZSBzdHJlYW0gc28gd2UgZG9uJ3QgY291bnQgaXRcbiAgICB0aGlzLl9pbkZyYW1lc0NvdW50ID0gaW5GcmFtZXNDb3VudDtcbiAgICB0aGlzLl9leHBlY3RlZE91dEZyYW1lc0NvdW50ID0gdW5yb3VuZGVkRXhwZWN0ZWRPdXRGcmFtZXNDb3VudDtcbiAgICB0aGlzLl9vdXRGcmFtZXNDb3VudCA9IGV4cGVjdGVkT3V0RnJhbWVzQ291bnQgLSBtaXNzaW5nRnJhbWVzQ291bnQ7XG4gIH1cblxuICAvKipcbiAgICAqIERyYWluIHRoZSBzYW1wbGVzIHN0aWxsIGtlcHQgaW4gdGhlIHJlc2FtcGxlciBmaWx0ZXIgYXQgdGhlIGVuZCBvZiB0aGUgc3RyZWFtLlxuICAgICogU2lsZW5jZSBpcyBwdXNoZWQgdGhyb3VnaCB0aGUgcmVzYW1wbGVyIHVudGlsIHRoZSB0b3RhbCBvdXRwdXQgbWF0Y2hlcyB0aGUgaW5wdXQgZHVyYXRpb24gcGx1cyBgb3V0cHV0TGF0ZW5jeWBcbiAgICAqIChvbmx5IHRoZSBpbnB1dCBkdXJhdGlvbiB3aXRoIGBjb21wZW5zYXRlTGF0ZW5jeWApLCBhZnRlciB0aGlzIGNhbGwsIHRoZSByZXNhbXBsZXIgc2hvdWxkbid0IGJlIHVzZWQgZm9yIHRoZSBzYW1lIHN0cmVhbSBhbnltb3JlLlxuICAgICogQHJldHVybnMgaW50ZXJsZWF2ZWQgUENNIGRhdGEgaW4gdGhlIG91dHB1dCBzYW1wbGUgZm9ybWF0XG4gICAgKi9cbiAgZmx1c2goKSB7XG4gICAgdGhpcy5fYXNzZXJ0Tm90RGVzdHJveWVkKCk7XG4gICAgaWYgKCF0aGlzLl9yZXNhbXBsZXJQdHIpIHtcbiAgICAgIHJldHVybiBFTVBUWV9CVUZGRVI7XG4gICAgfVxuICAgIGNvbnN0IGluQnl0ZXNQZXJGcmFtZSA9IHRoaXMuY2hhbm5lbHMgKiBCWVRFU19QRVJfU0FNUExFW3RoaXMuaW5Gb3JtYXRdO1xuICAgIGNvbnN0IG91dEJ5dGVzUGVyRnJhbWUgPSB0aGlzLm91dENoYW5uZWxzICogQllURVNfUEVSX1NBTVBMRVt0aGlzLm91dEZvcm1hdF07XG4gICAgY29uc3QgY2h1bmtzOiBCdWZmZXJbXSA9IFtdO1xuICAgIHRoaXMuX2RyYWluVGFpbCgoaW5GcmFtZXNDb3VudCwgbWF4T3V0RnJhbWVzQ291bnQpID0+IHtcbiAgICAgIGNvbnN0IHJlcyA9IHRoaXMucHJvY2Vzc0NodW5rKEJ1ZmZlci5hbGxvYyhpbkZyYW1lc0NvdW50ICogaW5CeXRlc1BlckZyYW1lKSk7XG4gICAgICBjb25zdCBmcmFtZXNDb3VudCA9IE1hdGgubWluKHJlcy5sZW5ndGggLyBvdXRCeXRlc1BlckZyYW1lLCBtYXhPdXRGcmFtZXNDb3VudCk7XG4gICAgICAvLyBjb3B5aW5nIGFzIHJlcyBjYW4gYmUgb3ZlcndyaXR0ZW4gYnkgdGhlIG5leHQgY2FsbCB3aGVuIHJldHVyblZpZXcgaXMgc2V0XG4gICAgICBjaHVua3MucHVzaChCdWZmZXIuZnJvbShyZXMuc2xpY2UoMCwgZnJhbWVzQ291bnQgKiBvdXRCeXRlc1BlckZyYW1lKSkpO1xuICAgICAgcmV0dXJuIGZyYW1lc0NvdW50O1xuICAgIH0pO1xuICAgIHJldHVybiBCdWZmZXIuY29uY2F0KGNodW5rcyk7XG4gIH1cblxuICAvKipcbiAgICAqIENsZWFyIHRoZSBmaWx0ZXIgaGlzdG9yeSBhbmQgdGhlIHBvc2l0aW9ucyB0byBzdGFydCBhIG5ldyBzdHJlYW0sIGZvciBleGFtcGxlIGFmdGVyIGEgc2Vlaywgd2l0aG91dCByZWFsbG9jYXRpbmdcbiAgICAqIHRoZSBXQVNNIG1lbW9yeS4gVGhlIHJhdGVzLCByYXRpbyBhbmQgcXVhbGl0eSBhcmUga2VwdC5cbiAgICAqL1xuICByZXNldCgpIHtcbiAgICB0aGlzLl9hc3NlcnROb3REZXN0cm95ZWQoKTtcbiAgICB0aGlzLl9pbkZyYW1lc0NvdW50ID0gMDtcbiAgICB0aGlzLl9vdXRGcmFtZXNDb3VudCA9IDA7XG4gICAgdGhpcy5fZXhwZWN0ZWRPdXRGcmFtZXNDb3VudCA9IDA7XG4gICAgdGhpcy5fbGF0ZW5jeVNoaWZ0ID0gMDtcbiAgICBpZiAoIXRoaXMuX3Jlc2FtcGxlclB0cikge1xuICAgICAgcmV0dXJuO1xuICAgIH1cbiAgICB0aGlzLl9yZXNldE1lbSgpO1xuICAgIGlmICh0aGlzLmNvbXBlbnNhdGVMYXRlbmN5KSB7XG4gICAgICBzcGVleE1vZHVsZS5fc3BlZXhfcmVzYW1wbGVyX3NraXBfemVyb3ModGhpcy5fcmVzYW1wbGVyUHRyKTtcbiAgICB9XG4gIH1cblxuICBfcmVzZXRNZW0oKSB7XG4gICAgdGhyb3dPbkVycm9yKHNwZWV4TW9kdWxlLl9zcGVleF9yZXNhbXBsZXJfcmVzZXRfbWVtKHRoaXMuX3Jlc2FtcGxlclB0cikpO1xuICAgIC8vIHNwZWV4IG9ubHkgY2xlYXJzIHRoZSBmaXJzdCBuYl9jaGFubmVscyooZmlsdF9sZW4tMSkgZmxvYXRzIGJ1dCBlYWNoIGNoYW5uZWwgaGlzdG9yeSBzdGFydHMgZXZlcnkgbWVtX2FsbG9jX3NpemVcbiAgICAvLyBmbG9hdHMsIHRoZSBoaXN0b3J5IG9mIHRoZSBvdGhlciBjaGFubmVscyB3b3VsZCBiZSBrZXB0XG4gICAgY29uc3QgaGVhcCA9IHNwZWV4TW9kdWxlLkhFQVBVMzI7XG4gICAgY29uc3Qgc3RhdGVQdHIgPSB0aGlzLl9yZXNhbXBsZXJQdHIgPj4gMjtcbiAgICBjb25zdCBtZW1QdHIgPSBoZWFwW3N0YXRlUHRyICsgU1RBVEVfTUVNXSA+PiAyO1xuICAgIHNwZWV4TW9kdWxlLkhFQVBGMzIuZmlsbCgwLCBtZW1QdHIsIG1lbVB0ciArIHRoaXMuX3Jlc2FtcGxlckNoYW5uZWxzICogaGVhcFtzdGF0ZVB0ciArIFNUQVRFX01FTV9BTExPQ19TSVpFXSk7XG4gIH1cblxuICAvKipcbiAgICAqIENhcHR1cmUgdGhlIHN0YXRlIG9mIHRoZSByZXNhbXBsZXI6IHJhdGVzLCByYXRpbywgcXVhbGl0eSwgcG9zaXRpb25zIGFuZCBmaWx0ZXIgaGlzdG9yeS5cbiAgICAqIFRoZSBzbmFwc2hvdCBpcyBhbiBvcGFxdWUgYnVmZmVyIHRoYXQgY2FuIGJlIHN0b3JlZCBvciBzZW50IHRvIGFub3RoZXIgd29ya2VyIG9yIHByb2Nlc3MgYW5kIGdpdmVuIHRvIHJlc3RvcmVcbiAgICAqIHRvIGNvbnRpbnVlIHRoZSBzdHJlYW0gd2l0aCBhbiBpZGVudGljYWwgb3V0cHV0LlxuICAgICovXG4gIHNuYXBzaG90KCkge1xuICAgIHRoaXMuX2luaXRSZXNhbXBsZXIoKTtcbiAgICBjb25zdCBoZWFwID0gc3BlZXhNb2R1bGUuSEVBUFUzMjtcbiAgICBjb25zdCBzdGF0ZVB0ciA9IHRoaXMuX3Jlc2FtcGxlclB0ciA+PiAyO1xuICAgIGNvbnN0IGNoYW5uZWxzID0gdGhpcy5fcmVzYW1wbGVyQ2hhbm5lbHM7XG4gICAgY29uc3QgZmlsdExlbiA9IGhlYXBbc3RhdGVQdHIgKyBTVEFURV9GSUxUX0xFTl07XG4gICAgY29uc3QgcGVyQ2hhbm5lbCA9IChmaWVsZDogbnVtYmVyKSA9PiBBcnJheS5mcm9tKHtsZW5ndGg6IGNoYW5uZWxzfSwgKF8sIGNoYW5uZWwpID0+IGhlYXBbKGhlYXBbc3RhdGVQdHIgKyBmaWVsZF0gPj4gMikgKyBjaGFubmVsXSk7XG4gICAgY29uc3QgbGFzdFNhbXBsZXMgPSBwZXJDaGFubmVsKFNUQVRFX0xBU1RfU0FNUExFKTtcbiAgICBjb25zdCBzYW1wRnJhY051bXMgPSBwZXJDaGFubmVsKFNUQVRFX1NBTVBfRlJBQ19OVU0pO1xuICAgIGNvbnN0IG1hZ2ljU2FtcGxlcyA9IHBlckNoYW5uZWwoU1RBVEVfTUFHSUNfU0FNUExFUyk7XG4gICAgLy8gZWFjaCBjaGFubmVsIGtlZXBzIHRoZSBmaWx0ZXIgaGlzdG9yeSBmb2xsb3dlZCBieSB0aGUgbWFnaWMgc2FtcGxlcyBsZWZ0IGJ5IGEgZmlsdGVyIGxlbmd0aCBjaGFuZ2VcbiAgICBjb25zdCBtZW1MZW5ndGhzID0gbWFnaWNTYW1wbGVzLm1hcCgoY291bnQpID0+IGZpbHRMZW4gLSAxICsgY291bnQpO1xuXG4gICAgY29uc3Qgc25hcHNob3QgPSBCdWZmZXIuYWxsb2MoU05BUFNIT1RfSEVBREVSX0xFTkdUSCArIGNoYW5uZWxzICogU05BUFNIT1RfQ0hBTk5FTF9MRU5HVEggKyBtZW1MZW5ndGhzLnJlZHVjZSgoc3VtLCBsZW5ndGgpID0+IHN1bSArIGxlbmd0aCwgMCkgKiA0KTtcbiAgICBsZXQgb2Zmc2V0ID0gMDtcbiAgICBmb3IgKGNvbnN0IHZhbHVlIG9mIFtTTkFQU0hPVF9NQUdJQywgU05BUFNIT1RfVkVSU0lPTiwgY2hhbm5lbHMsIGZpbHRMZW4sIHRoaXMuX3JhdGlvTnVtLCB0aGlzLl9yYXRpb0RlbiwgdGhpcy5pblJhdGUsIHRoaXMub3V0UmF0ZSwgdGhpcy5xdWFsaXR5LCBoZWFwW3N0YXRlUHRyICsgU1RBVEVfU1RBUlRFRF1dKSB7XG4gICAgICBvZmZzZXQgPSBzbmFwc2hvdC53cml0ZVVJbnQzMkxFKHZhbHVlLCBvZmZzZXQpO1xuICAgIH1cbiAgICBmb3IgKGNvbnN0IHZhbHVlIG9mIFt0aGlzLl9pbkZyYW1lc0NvdW50LCB0aGlzLl9vdXRGcmFtZXNDb3VudCwgdGhpcy5fZXhwZWN0ZWRPdXRGcmFtZXNDb3VudCwgdGhpcy5fbGF0ZW5jeVNoaWZ0XSkge1xuICAgICAgb2Zmc2V0ID0gc25hcHNob3Qud3JpdGVEb3VibGVMRSh2YWx1ZSwgb2Zmc2V0KTtcbiAgICB9XG4gICAgZm9yIChsZXQgY2hhbm5lbCA9IDA7IGNoYW5uZWwgPCBjaGFubmVsczsgY2hhbm5lbCsrKSB7XG4gICAgICBvZmZzZXQgPSBzbmFwc2hvdC53cml0ZUludDMyTEUobGFzdFNhbXBsZXNbY2hhbm5lbF0gfCAwLCBvZmZzZXQpO1xuICAgICAgb2Zmc2V0ID0gc25hcHNob3Qud3JpdGVVSW50MzJMRShzYW1wRnJhY051bXNbY2hhbm5lbF0sIG9mZnNldCk7XG4gICAgICBvZmZzZXQgPSBzbmFwc2hvdC53cml0ZVVJbnQzMkxFKG1hZ2ljU2FtcGxlc1tjaGFubmVsXSwgb2Zmc2V0KTtcbiAgICB9XG4gICAgY29uc3QgbWVtUHRyID0gaGVhcFtzdGF0ZVB0ciArIFNUQVRFX01FTV0gPj4gMjtcbiAgICBjb25zdCBtZW1BbGxvY1NpemUgPSBoZWFwW3N0YXRlUHRyICsgU1RBVEVfTUVNX0FMTE9DX1NJWkVdO1xuICAgIG1lbUxlbmd0aHMuZm9yRWFjaCgobGVuZ3RoLCBjaGFubmVsKSA9PiB7XG4gICAgICBjb25zdCBtZW0gPSBzcGVleE1vZHVsZS5IRUFQRjMyLnN1YmFycmF5KG1lbVB0ciArIGNoYW5uZWwgKiBtZW1BbGxvY1NpemUsIG1lbVB0ciArIGNoYW5uZWwgKiBtZW1BbGxvY1NpemUgKyBsZW5ndGgpO1xuICAgICAgZm9yIChjb25zdCBzYW1wbGUgb2YgbWVtKSB7XG4gICAgICAgIG9mZnNldCA9IHNuYXBzaG90LndyaXRlRmxvYXRMRShzYW1wbGUsIG9mZnNldCk7XG4gICAgICB9XG4gICAgfSk7XG4gICAgcmV0dXJuIHNuYXBzaG90O1xuICB9XG5cbiAgLyoqXG4gICAgKiBDb250aW51ZSB0aGUgc3RyZWFtIGNhcHR1cmVkIGJ5IHNuYXBzaG90LCB0aGUgcmVzYW1wbGVyIG5lZWRzIHRvIGJlIGNyZWF0ZWQgd2l0aCB0aGUgc2FtZSBudW1iZXIgb2YgY2hhbm5lbHNcbiAgICAqIGFuZCBtaXhpbmcgb3B0aW9ucy4gVGhlIHJhdGVzLCByYXRpbyBhbmQgcXVhbGl0eSBvZiB0aGUgc25hcHNob3QgcmVwbGFjZSB0aGUgY3VycmVudCBvbmVzLlxuICAgICogQHBhcmFtIHNuYXBzaG90IGJ1ZmZlciByZXR1cm5lZCBieSBzbmFwc2hvdCwgcG9zc2libHkgYnkgYW5vdGhlciBpbnN0YW5jZSBpbiBhbm90aGVyIHdvcmtlciBvciBwcm9jZXNzXG4gICAgKi9cbiAgcmVzdG9yZShzbmFwc2hvdDogQXJyYXlCdWZmZXIgfCBBcnJheUJ1ZmZlclZpZXcpIHtcbiAgICB0aGlzLl9hc3NlcnROb3REZXN0cm95ZWQoKTtcbiAgICBjb25zdCBkYXRhID0gdG9CdWZmZXIoc25hcHNob3QpO1xuICAgIGlmIChkYXRhLmxlbmd0aCA8IFNOQVBTSE9UX0hFQURFUl9MRU5HVEggfHwgZGF0YS5yZWFkVUludDMyTEUoMCkgIT09IFNOQVBTSE9UX01BR0lDKSB7XG4gICAgICB0aHJvdyBuZXcgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IoJ0ludmFsaWQgcmVzYW1wbGVyIHNuYXBzaG90Jyk7XG4gICAgfVxuICAgIGNvbnN0IFt2ZXJzaW9uLCBjaGFubmVscywgZmlsdExlbiwgcmF0aW9OdW0sIHJhdGlvRGVuLCBpblJhdGUsIG91dFJhdGUsIHF1YWxpdHksIHN0YXJ0ZWRdID0gQXJyYXkuZnJvbSh7bGVuZ3RoOiA5fSwgKF8sIGkpID0+IGRhdGEucmVhZFVJbnQzMkxFKChpICsgMSkgKiA0KSk7XG4gICAgaWYgKHZlcnNpb24gIT09IFNOQVBTSE9UX1ZFUlNJT04pIHtcbiAgICAgIHRocm93IG5ldyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvcihgVW5zdXBwb3J0ZWQgcmVzYW1wbGVyIHNuYXBzaG90IHZlcnNpb24gJHt2ZXJzaW9ufWApO1xuICAgIH1cbiAgICBpZiAoY2hhbm5lbHMgIT09IHRoaXMuX3Jlc2FtcGxlckNoYW5uZWxzKSB7XG4gICAgICB0aHJvdyBuZXcgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IoYFNuYXBzaG90IG9mIGEgcmVzYW1wbGVyIHdpdGggJHtjaGFubmVsc30gY2hhbm5lbHMsIGV4cGVjdGVkICR7dGhpcy5fcmVzYW1wbGVyQ2hhbm5lbHN9YCk7XG4gICAgfVxuICAgIGNvbnN0IG1lbU9mZnNldCA9IFNOQVBTSE9UX0hFQURFUl9MRU5HVEggKyBjaGFubmVscyAqIFNOQVBTSE9UX0NIQU5ORUxfTEVOR1RIO1xuICAgIGNvbnN0IG1lbUxlbmd0aHMgPSBkYXRhLmxlbmd0aCA8IG1lbU9mZnNldCA/IFtdIDogQXJyYXkuZnJvbSh7bGVuZ3RoOiBjaGFubmVsc30sIChfLCBjaGFubmVsKSA9PiAoXG4gICAgICBmaWx0TGVuIC0gMSArIGRhdGEucmVhZFVJbnQzMkxFKFNOQVBTSE9UX0hFQURFUl9MRU5HVEggKyBjaGFubmVsICogU05BUFNIT1RfQ0hBTk5FTF9MRU5HVEggKyA4KVxuICAgICkpO1xuICAgIGlmIChkYXRhLmxlbmd0aCAhPT0gbWVtT2Zmc2V0ICsgbWVtTGVuZ3Rocy5yZWR1Y2UoKHN1bSwgbGVuZ3RoKSA9PiBzdW0gKyBsZW5ndGgsIDApICogNCB8fCBtZW1MZW5ndGhzLmxlbmd0aCAhPT0gY2hhbm5lbHMpIHtcbiAgICAgIHRocm93IG5ldyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvcignSW52YWxpZCByZXNhbXBsZXIgc25hcHNob3QgbGVuZ3RoJyk7XG4gICAgfVxuXG4gICAgdGhpcy5zZXRRdWFsaXR5KHF1YWxpdHkpO1xuICAgIHRoaXMuc2V0UmF0ZUZyYWMocmF0aW9OdW0sIHJhdGlvRGVuLCBpblJhdGUsIG91dFJhdGUpO1xuICAgIHRoaXMuX2luaXRSZXNhbXBsZXIoKTtcbiAgICB0aGlzLl9yZXNldE1lbSgpO1xuICAgIGNvbnN0IGhlYXAgPSBzcGVleE1vZHVsZS5IRUFQVTMyO1xuICAgIGNvbnN0IHN0YXRlUHRyID0gdGhpcy5fcmVzYW1wbGVyUHRyID4+IDI7XG4gICAgY29uc3QgbWVtQWxsb2NTaXplID0gaGVhcFtzdGF0ZVB0ciArIFNUQVRFX01FTV9BTExPQ19TSVpFXTtcbiAgICBpZiAoaGVhcFtzdGF0ZVB0ciArIFNUQVRFX0ZJTFRfTEVOXSAhPT0gZmlsdExlbiB8fCBtZW1MZW5ndGhzLnNvbWUoKGxlbmd0aCkgPT4gbGVuZ3RoID4gbWVtQWxsb2NTaXplKSkge1xuICAgICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVyQmFkU3RhdGVFcnJvcignU25hcHNob3QgZmlsdGVyIG5vdCBtYXRjaGluZyB0aGlzIHJlc2FtcGxlciwgaXQgd2FzIHByb2JhYmx5IHRha2VuIHdpdGggYW5vdGhlciB2ZXJzaW9uIG9mIHRoZSBtb2R1bGUnKTtcbiAgICB9XG4gICAgaGVhcFtzdGF0ZVB0ciArIFNUQVRFX1NUQVJURURdID0gc3RhcnRlZDtcbiAgICB0aGlzLl9pbkZyYW1lc0NvdW50ID0gZGF0YS5yZWFkRG91YmxlTEUoU05BUFNIT1RfQ09VTlRTX09GRlNFVCk7XG4gICAgdGhpcy5fb3V0RnJhbWVzQ291bnQgPSBkYXRhLnJlYWREb3VibGVMRShTTkFQU0hPVF9DT1VOVFNfT0ZGU0VUICsgOCk7XG4gICAgdGhpcy5fZXhwZWN0ZWRPdXRGcmFtZXNDb3VudCA9IGRhdGEucmVhZERvdWJsZUxFKFNOQVBTSE9UX0NPVU5UU19PRkZTRVQgKyAxNik7XG4gICAgdGhpcy5fbGF0ZW5jeVNoaWZ0ID0gZGF0YS5yZWFkRG91YmxlTEUoU05BUFNIT1RfQ09VTlRTX09GRlNFVCArIDI0KTtcbiAgICBsZXQgb2Zmc2V0ID0gU05BUFNIT1RfSEVBREVSX0xFTkdUSDtcbiAgICBmb3IgKGxldCBjaGFubmVsID0gMDsgY2hhbm5lbCA8IGNoYW5uZWxzOyBjaGFubmVsKyspIHtcbiAgICAgIHNwZWV4TW9kdWxlLkhFQVAzMlsoaGVhcFtzdGF0ZVB0ciArIFNUQVRFX0xBU1RfU0FNUExFXSA+PiAyKSArIGNoYW5uZWxdID0gZGF0YS5yZWFkSW50MzJMRShvZmZzZXQpO1xuICAgICAgaGVhcFsoaGVhcFtzdGF0ZVB0ciArIFNUQVRFX1NBTVBfRlJBQ19OVU1dID4+IDIpICsgY2hhbm5lbF0gPSBkYXRhLnJlYWRVSW50MzJMRShvZmZzZXQgKyA0KTtcbiAgICAgIGhlYXBbKGhlYXBbc3RhdGVQdHIgKyBTVEFURV9NQUdJQ19TQU1QTEVTXSA+PiAyKSArIGNoYW5uZWxdID0gZGF0YS5yZWFkVUludDMyTEUob2Zmc2V0ICsgOCk7XG4gICAgICBvZmZzZXQgKz0gU05BUFNIT1RfQ0hBTk5FTF9MRU5HVEg7XG4gICAgfVxuICAgIGNvbnN0IG1lbVB0ciA9IGhlYXBbc3RhdGVQdHIgKyBTVEFURV9NRU1dID4+IDI7XG4gICAgbWVtTGVuZ3Rocy5mb3JFYWNoKChsZW5ndGgsIGNoYW5uZWwpID0+IHtcbiAgICAgIGNvbnN0IG1lbSA9IHNwZWV4TW9kdWxlLkhFQVBGMzIuc3ViYXJyYXkobWVtUHRyICsgY2hhbm5lbCAqIG1lbUFsbG9jU2l6ZSwgbWVtUHRyICsgY2hhbm5lbCAqIG1lbUFsbG9jU2l6ZSArIGxlbmd0aCk7XG4gICAgICBmb3IgKGxldCBpID0gMDsgaSA8IGxlbmd0aDsgaSsrLCBvZmZzZXQgKz0gNCkge1xuICAgICAgICBtZW1baV0gPSBkYXRhLnJlYWRGbG9hdExFKG9mZnNldCk7XG4gICAgICB9XG4gICAgfSk7XG4gIH1cblxuICAvKipcbiAgICAqIFJlc2FtcGxlIG5vbi1pbnRlcmxlYXZlZCBhdWRpbywgb25lIEZsb2F0MzJBcnJheSBwZXIgY2hhbm5lbC5cbiAgICAqIFBsYW5hciBkYXRhIGlzIGFsd2F5cyBpbiBmbG9hdDMyLCB0aGUgaW5wdXQgYW5kIG91dHB1dCBmb3JtYXRzIGFyZSBvbmx5IHVzZWQgYnkgcHJvY2Vzc0NodW5rLlxuICAgICogQHBhcmFtIGlucHV0IG9uZSBGbG9hdDMyQXJyYXkgcGVyIGlucHV0IGNoYW5uZWwsIGFsbCB3aXRoIHRoZSBzYW1lIGxlbmd0aFxuICAgICogQHBhcmFtIG91dHB1dCBvcHRpb25hbCBGbG9hdDMyQXJyYXkgcGVyIG91dHB1dCBjaGFubmVsIHRvIHdyaXRlIHRoZSByZXNhbXBsZWQgYXVkaW8gaW50bywgdGhleSBuZWVkIHRvIGJlIGxhcmdlIGVub3VnaFxuICAgICogICAgICAgICAgICAgICBmb3IgdGhlIHJlc2FtcGxlZCBhdWRpbyAoY2VpbChpbnB1dCBsZW5ndGggKiBvdXRSYXRlIC8gaW5SYXRlKSArIDEsIG1vcmUgcmlnaHQgYWZ0ZXIgc2V0UXVhbGl0eSBsb3dlcmVkIHRoZSBxdWFsaXR5KVxuICAgICogQHJldHVybnMgb25lIEZsb2F0MzJBcnJheSBwZXIgb3V0cHV0IGNoYW5uZWwgd2l0aCB0aGUgcmVzYW1wbGVkIGF1ZGlvLCB2aWV3cyBvbiBgb3V0cHV0YCBpZiBwcm92aWRlZFxuICAgICovXG4gIHByb2Nlc3NQbGFuYXIoaW5wdXQ6IEZsb2F0MzJBcnJheVtdLCBvdXRwdXQ/OiBGbG9hdDMyQXJyYXlbXSk6IEZsb2F0MzJBcnJheVtdIHtcbiAgICB0aGlzLl9pbml0UmVzYW1wbGVyKCk7XG4gICAgaWYgKGlucHV0Lmxlbmd0aCAhPT0gdGhpcy5jaGFubmVscykge1xuICAgICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKGBFeHBlY3RlZCAke3RoaXMuY2hhbm5lbHN9IGNoYW5uZWxzLCBnb3QgJHtpbnB1dC5sZW5ndGh9YCk7XG4gICAgfVxuICAgIGlmIChvdXRwdXQgJiYgb3V0cHV0Lmxlbmd0aCAhPT0gdGhpcy5vdXRDaGFubmVscykge1xuICAgICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKGBFeHBlY3RlZCAke3RoaXMub3V0Q2hhbm5lbHN9IG91dHB1dCBjaGFubmVscywgZ290ICR7b3V0cHV0Lmxlbmd0aH1gKTtcbiAgICB9XG4gICAgY29uc3QgaW5GcmFtZXNDb3VudCA9IGlucHV0WzBdLmxlbmd0aDtcbiAgICBpZiAoaW5wdXQuc29tZSgoY2hhbm5lbCkgPT4gY2hhbm5lbC5sZW5ndGggIT09IGluRnJhbWVzQ291bnQpKSB7XG4gICAgICB0aHJvdyBuZXcgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IoJ0FsbCBjaGFubmVscyBzaG91bGQgaGF2ZSB0aGUgc2FtZSBsZW5ndGgnKTtcbiAgICB9XG4gICAgY29uc3QgbWF4T3V0RnJhbWVzQ291bnQgPSB0aGlzLl9tYXhPdXRGcmFtZXNDb3VudChpbkZyYW1lc0NvdW50KTtcbiAgICBpZiAob3V0cHV0ICYmIG91dHB1dC5zb21lKChjaGFubmVsKSA9PiBjaGFubmVsLmxlbmd0aCA8IG1heE91dEZyYW1lc0NvdW50KSkge1xuICAgICAgdGhyb3cgbmV3IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yKGBPdXRwdXQgY2hhbm5lbHMgYXJlIHRvbyBzbWFsbCwgJHttYXhPdXRGcmFtZXNDb3VudH0gZnJhbWVzIG5lZWRlZGApO1xuICAgIH1cbiAgICBjb25zdCBvdXRCdWZmZXJGcmFtZXNDb3VudCA9IHRoaXMuX3Jlc2l6ZUJ1ZmZlcnMoaW5GcmFtZXNDb3VudCwgRmxvYXQzMkFycmF5LkJZVEVTX1BFUl9FTEVNRU5UKTtcblxuICAgIC8vIGNoYW5uZWxzIGFyZSByZXNhbXBsZWQgb25lIGFmdGVyIHRoZSBvdGhlciwgZWFjaCBvbmUgaW4gaXRzIG93biBzZWN0aW9uIG9mIHRoZSBXQVNNIGJ1ZmZlcnNcbiAgICBjb25zdCBpbkNoYW5uZWxzID0gQXJyYXkuZnJvbSh7bGVuZ3RoOiB0aGlzLl9yZXNhbXBsZXJDaGFubmVsc30sIChfLCBjaGFubmVsKSA9PiB7XG4gICAgICBjb25zdCBpbkNoYW5uZWxPZmZzZXQgPSAodGhpcy5faW5CdWZmZXJQdHIgPj4gMikgKyBjaGFubmVsICogaW5GcmFtZXNDb3VudDtcbiAgICAgIHJldHVybiBzcGVleE1vZHVsZS5IRUFQRjMyLnN1YmFycmF5KGluQ2hhbm5lbE9mZnNldCwgaW5DaGFubmVsT2Zmc2V0ICsgaW5GcmFtZXNDb3VudCk7XG4gICAgfSk7XG4gICAgaWYgKHRoaXMuX21peEJlZm9yZVJlc2FtcGxpbmcpIHtcbiAgICAgIG1peFBsYW5hcih0aGlzLl9taXhpbmdNYXRyaXgsIGlucHV0LCBpbkNoYW5uZWxzLCBpbkZyYW1lc0NvdW50KTtcbiAgICB9IGVsc2Uge1xuICAgICAgaW5DaGFubmVscy5mb3JFYWNoKChpbkNoYW5uZWwsIGNoYW5uZWwpID0+IGluQ2hhbm5lbC5zZXQoaW5wdXRbY2hhbm5lbF0pKTtcbiAgICB9XG5cbiAgICBsZXQgY29uc3VtZWRGcmFtZXNDb3VudCA9IDA7XG4gICAgbGV0IG91dEZyYW1lc0NvdW50ID0gMDtcbiAgICBmb3IgKGxldCBjaGFubmVsID0gMDsgY2hhbm5lbCA8IHRoaXMuX3Jlc2FtcGxlckNoYW5uZWxzOyBjaGFubmVsKyspIHtcbiAgICAgIGNvbnN0IGluQ2hhbm5lbFB0ciA9IHRoaXMuX2luQnVmZmVyUHRyICsgY2hhbm5lbCAqIGluRnJhbWVzQ291bnQgKiBGbG9hdDMyQXJyYXkuQllURVNfUEVSX0VMRU1FTlQ7XG4gICAgICBjb25zdCBvdXRDaGFubmVsUHRyID0gdGhpcy5fb3V0QnVmZmVyUHRyICsgY2hhbm5lbCAqIG91dEJ1ZmZlckZyYW1lc0NvdW50ICogRmxvYXQzMkFycmF5LkJZVEVTX1BFUl9FTEVNRU5UO1xuICAgICAgc3BlZXhNb2R1bGUuc2V0VmFsdWUodGhpcy5faW5MZW5ndGhQdHIsIGluRnJhbWVzQ291bnQsICdpMzInKTtcbiAgICAgIHNwZWV4TW9kdWxlLnNldFZhbHVlKHRoaXMuX291dExlbmd0aFB0ciwgb3V0QnVmZmVyRnJhbWVzQ291bnQsICdpMzInKTtcbiAgICAgIHRocm93T25FcnJvcihzcGVleE1vZHVsZS5fc3BlZXhfcmVzYW1wbGVyX3Byb2Nlc3NfZmxvYXQoXG4gICAgICAgIHRoaXMuX3Jlc2FtcGxlclB0cixcbiAgICAgICAgY2hhbm5lbCxcbiAgICAgICAgaW5DaGFubmVsUHRyLFxuICAgICAgICB0aGlzLl9pbkxlbmd0aFB0cixcbiAgICAgICAgb3V0Q2hhbm5lbFB0cixcbiAgICAgICAgdGhpcy5fb3V0TGVuZ3RoUHRyLFxuICAgICAgKSk7XG4gICAgICAvLyBldmVyeSBjaGFubmVsIGhhcyB0aGUgc2FtZSBzdGF0ZSBzbyB0aGV5IGFsbCBjb25zdW1lIGFuZCBvdXRwdXQgdGhlIHNhbWUgbnVtYmVyIG9mIGZyYW1lc1xuICAgICAgY29uc3VtZWRGcmFtZXNDb3VudCA9IHNwZWV4TW9kdWxlLmdldFZhbHVlKHRoaXMuX2luTGVuZ3RoUHRyLCAnaTMyJyk7XG4gICAgICBvdXRGcmFtZXNDb3VudCA9IHNwZWV4TW9kdWxlLmdldFZhbHVlKHRoaXMuX291dExlbmd0aFB0ciwgJ2kzMicpO1xuICAgIH1cbiAgICB0aGlzLl9jb3VudEZyYW1lcyhjb25zdW1lZEZyYW1lc0NvdW50LCBvdXRGcmFtZXNDb3VudCk7XG5cbiAgICBjb25zdCByZXNhbXBsZWQgPSBBcnJheS5mcm9tKHtsZW5ndGg6IHRoaXMuX3Jlc2FtcGxlckNoYW5uZWxzfSwgKF8sIGNoYW5uZWwpID0+IHtcbiAgICAgIGNvbnN0IG91dENoYW5uZWxPZmZzZXQgPSAodGhpcy5fb3V0QnVmZmVyUHRyID4+IDIpICsgY2hhbm5lbCAqIG91dEJ1ZmZlckZyYW1lc0NvdW50O1xuICAgICAgcmV0dXJuIHNwZWV4TW9kdWxlLkhFQVBGMzIuc3ViYXJyYXkob3V0Q2hhbm5lbE9mZnNldCwgb3V0Q2hhbm5lbE9mZnNldCArIG91dEZyYW1lc0NvdW50KTtcbiAgICB9KTtcbiAgICBpZiAodGhpcy5fbWl4QWZ0ZXJSZXNhbXBsaW5nKSB7XG4gICAgICBjb25zdCBtaXhlZCA9IG91dHB1dCB8fCBBcnJheS5mcm9tKHtsZW5ndGg6IHRoaXMub3V0Q2hhbm5lbHN9LCAoKSA9PiBuZXcgRmxvYXQzMkFycmF5KG91dEZyYW1lc0NvdW50KSk7XG4gICAgICBtaXhQbGFuYXIodGhpcy5fbWl4aW5nTWF0cml4LCByZXNhbXBsZWQsIG1peGVkLCBvdXRGcmFtZXNDb3VudCk7XG4gICAgICByZXR1cm4gbWl4ZWQubWFwKChjaGFubmVsKSA9PiBjaGFubmVsLnN1YmFycmF5KDAsIG91dEZyYW1lc0NvdW50KSk7XG4gICAgfVxuICAgIHJldHVybiByZXNhbXBsZWQubWFwKChjaGFubmVsLCBpbmRleCkgPT4ge1xuICAgICAgaWYgKG91dHB1dCkge1xuICAgICAgICBvdXRwdXRbaW5kZXhdLnNldChjaGFubmVsKTtcbiAgICAgICAgcmV0dXJuIG91dHB1dFtpbmRleF0uc3ViYXJyYXkoMCwgb3V0RnJhbWVzQ291bnQpO1xuICAgICAgfVxuICAgICAgcmV0dXJuIGNoYW5uZWwuc2xpY2UoKTtcbiAgICB9KTtcbiAgfVxuXG4gIC8qKlxuICAgICogRHJhaW4gdGhlIHNhbXBsZXMgc3RpbGwga2VwdCBpbiB0aGUgcmVzYW1wbGVyIGZpbHRlciBhdCB0aGUgZW5kIG9mIGEgcGxhbmFyIHN0cmVhbSwgc2VlIGZsdXNoXG4gICAgKiBAcmV0dXJucyBvbmUgRmxvYXQzMkFycmF5IHBlciBvdXRwdXQgY2hhbm5lbCB3aXRoIHRoZSBlbmQgb2YgdGhlIHJlc2FtcGxlZCBhdWRpb1xuICAgICovXG4gIGZsdXNoUGxhbmFyKCk6IEZsb2F0MzJBcnJheVtdIHtcbiAgICB0aGlzLl9hc3NlcnROb3REZXN0cm95ZWQoKTtcbiAgICBjb25zdCBjaHVua3M6IEZsb2F0MzJBcnJheVtdW10gPSBbXTtcbiAgICBpZiAodGhpcy5fcmVzYW1wbGVyUHRyKSB7XG4gICAgICB0aGlzLl9kcmFpblRhaWwoKGluRnJhbWVzQ291bnQsIG1heE91dEZyYW1lc0NvdW50KSA9PiB7XG4gICAgICAgIGNvbnN0IHNpbGVuY2UgPSBuZXcgRmxvYXQzMkFycmF5KGluRnJhbWVzQ291bnQpO1xuICAgICAgICBjb25zdCByZXMgPSB0aGlzLnByb2Nlc3NQbGFuYXIoQXJyYXkuZnJvbSh7bGVuZ3RoOiB0aGlzLmNoYW5uZWxzfSwgKCkgPT4gc2lsZW5jZSkpO1xuICAgICAgICBjb25zdCBmcmFtZXNDb3VudCA9IE1hdGgubWluKHJlc1swXS5sZW5ndGgsIG1heE91dEZyYW1lc0NvdW50KTtcbiAgICAgICAgY2h1bmtzLnB1c2gocmVzLm1hcCgoY2hhbm5lbCkgPT4gY2hhbm5lbC5zdWJhcnJheSgwLCBmcmFtZXNDb3VudCkpKTtcbiAgICAgICAgcmV0dXJuIGZyYW1lc0NvdW50O1xuICAgICAgfSk7XG4gICAgfVxuICAgIHJldHVybiBBcnJheS5mcm9tKHtsZW5ndGg6IHRoaXMub3V0Q2hhbm5lbHN9LCAoXywgY2hhbm5lbCkgPT4ge1xuICAgICAgY29uc3QgcmVzID0gbmV3IEZsb2F0MzJBcnJheShjaHVua3MucmVkdWNlKChsZW5ndGgsIGNodW5rKSA9PiBsZW5ndGggKyBjaHVua1tjaGFubmVsXS5sZW5ndGgsIDApKTtcbiAgICAgIGxldCBvZmZzZXQgPSAwO1xuICAgICAgZm9yIChjb25zdCBjaHVuayBvZiBjaHVua3MpIHtcbiAgICAgICAgcmVzLnNldChjaHVua1tjaGFubmVsXSwgb2Zmc2V0KTtcbiAgICAgICAgb2Zmc2V0ICs9IGNodW5rW2NoYW5uZWxdLmxlbmd0aDtcbiAgICAgIH1cbiAgICAgIHJldHVybiByZXM7XG4gICAgfSk7XG4gIH1cbn1cblxuZXhwb3J0IGRlZmF1bHQgU3BlZXhSZXNhbXBsZXI7XG4iXX0=
\ No newline at end of file
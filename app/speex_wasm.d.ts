@@ -1,2 +1,5 @@
-export default Speex;
-declare function Speex(moduleArg?: {}): any;
+export = Speex;
+declare function Speex(moduleArg?: {}): Promise<{}>;
+declare namespace Speex {
+    export { Speex as default };
+}
@@ -1,201 +1,170 @@
-"use strict";
-Object.defineProperty(exports, "__esModule", { value: true });
 var Speex = (() => {
-    var _scriptDir = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : undefined;
-    return (function (moduleArg = {}) {
+    var _scriptName = typeof document !== "undefined" && document.currentScript ? document.currentScript.src : undefined;
+    return async function (moduleArg = {}) {
+        var moduleRtn;
+        var _globalThis$process, _globalThis$process2;
+        function _defineProperty(e, r, t) { return (r = _toPropertyKey(r)) in e ? Object.defineProperty(e, r, { value: t, enumerable: !0, configurable: !0, writable: !0 }) : e[r] = t, e; }
+        function _toPropertyKey(t) { var i = _toPrimitive(t, "string"); return "symbol" == typeof i ? i : i + ""; }
+        function _toPrimitive(t, r) { if ("object" != typeof t || !t)
+            return t; var e = t[Symbol.toPrimitive]; if (void 0 !== e) {
+            var i = e.call(t, r || "default");
+            if ("object" != typeof i)
+                return i;
+            throw new TypeError("@@toPrimitive must return a primitive value.");
+        } return ("string" === r ? String : Number)(t); }
         var Module = moduleArg;
-        var readyPromiseResolve, readyPromiseReject;
-        Module["ready"] = new Promise(((resolve, reject) => { readyPromiseResolve = resolve; readyPromiseReject = reject; }));
-        var moduleOverrides = Object.assign({}, Module);
+        var ENVIRONMENT_IS_WEB = !!globalThis.window;
+        var ENVIRONMENT_IS_WORKER = !!globalThis.WorkerGlobalScope;
+        var ENVIRONMENT_IS_NODE = ((_globalThis$process = globalThis.process) === null || _globalThis$process === void 0 || (_globalThis$process = _globalThis$process.versions) === null || _globalThis$process === void 0 ? void 0 : _globalThis$process.node) && ((_globalThis$process2 = globalThis.process) === null || _globalThis$process2 === void 0 ? void 0 : _globalThis$process2.type) != "renderer";
         var arguments_ = [];
         var thisProgram = "./this.program";
         var quit_ = (status, toThrow) => { throw toThrow; };
-        var ENVIRONMENT_IS_WEB = true;
-        var ENVIRONMENT_IS_WORKER = false;
+        if (typeof __filename != "undefined") {
+            _scriptName = __filename;
+        }
+        else if (ENVIRONMENT_IS_WORKER) {
+            _scriptName = self.location.href;
+        }
         var scriptDirectory = "";
         function locateFile(path) { if (Module["locateFile"]) {
             return Module["locateFile"](path, scriptDirectory);
         } return scriptDirectory + path; }
-        var read_, readAsync, readBinary, setWindowTitle;
-        if (ENVIRONMENT_IS_WEB || ENVIRONMENT_IS_WORKER) {
-            if (ENVIRONMENT_IS_WORKER) {
-                scriptDirectory = self.location.href;
-            }
-            else if (typeof document != "undefined" && document.currentScript) {
-                scriptDirectory = document.currentScript.src;
+        var readAsync, readBinary;
+        if (ENVIRONMENT_IS_NODE) {
+            var fs = require("node:fs");
+            scriptDirectory = __dirname + "/";
+            readBinary = filename => { filename = isFileURI(filename) ? new URL(filename) : filename; var ret = fs.readFileSync(filename); return ret; };
+            readAsync = async function (filename) { let binary = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : true; filename = isFileURI(filename) ? new URL(filename) : filename; var ret = fs.readFileSync(filename, binary ? undefined : "utf8"); return ret; };
+            if (process.argv.length > 1) {
+                thisProgram = process.argv[1].replace(/\\/g, "/");
             }
-            if (_scriptDir) {
-                scriptDirectory = _scriptDir;
-            }
-            if (scriptDirectory.indexOf("blob:") !== 0) {
-                scriptDirectory = scriptDirectory.substr(0, scriptDirectory.replace(/[?#].*/, "").lastIndexOf("/") + 1);
-            }
-            else {
-                scriptDirectory = "";
+            arguments_ = process.argv.slice(2);
+            quit_ = (status, toThrow) => { process.exitCode = status; throw toThrow; };
+        }
+        else if (ENVIRONMENT_IS_WEB || ENVIRONMENT_IS_WORKER) {
+            try {
+                scriptDirectory = new URL(".", _scriptName).href;
             }
+            catch { }
             {
-                read_ = url => { try {
-                    var xhr = new XMLHttpRequest;
-                    xhr.open("GET", url, false);
-                    xhr.send(null);
-                    return xhr.responseText;
-                }
-                catch (err) {
-                    var data = tryParseAsDataURI(url);
-                    if (data) {
-                        return intArrayToString(data);
-                    }
-                    throw err;
-                } };
                 if (ENVIRONMENT_IS_WORKER) {
-                    readBinary = url => { try {
-                        var xhr = new XMLHttpRequest;
-                        xhr.open("GET", url, false);
-                        xhr.responseType = "arraybuffer";
-                        xhr.send(null);
-                        return new Uint8Array(xhr.response);
-                    }
-                    catch (err) {
-                        var data = tryParseAsDataURI(url);
-                        if (data) {
-                            return data;
-                        }
-                        throw err;
-                    } };
+                    readBinary = url => { var xhr = new XMLHttpRequest; xhr.open("GET", url, false); xhr.responseType = "arraybuffer"; xhr.send(null); return new Uint8Array(xhr.response); };
                 }
-                readAsync = (url, onload, onerror) => { var xhr = new XMLHttpRequest; xhr.open("GET", url, true); xhr.responseType = "arraybuffer"; xhr.onload = () => { if (xhr.status == 200 || xhr.status == 0 && xhr.response) {
-                    onload(xhr.response);
-                    return;
-                } var data = tryParseAsDataURI(url); if (data) {
-                    onload(data.buffer);
-                    return;
-                } onerror(); }; xhr.onerror = onerror; xhr.send(null); };
+                readAsync = async (url) => { if (isFileURI(url)) {
+                    return new Promise((resolve, reject) => { var xhr = new XMLHttpRequest; xhr.open("GET", url, true); xhr.responseType = "arraybuffer"; xhr.onload = () => { if (xhr.status == 200 || xhr.status == 0 && xhr.response) {
+                        resolve(xhr.response);
+                        return;
+                    } reject(xhr.status); }; xhr.onerror = reject; xhr.send(null); });
+                } var response = await fetch(url, { credentials: "same-origin" }); if (response.ok) {
+                    return response.arrayBuffer();
+                } throw new Error(response.status + " : " + response.url); };
             }
-            setWindowTitle = title => document.title = title;
         }
         else { }
-        var out = Module["print"] || console.log.bind(console);
-        var err = Module["printErr"] || console.error.bind(console);
-        Object.assign(Module, moduleOverrides);
-        moduleOverrides = null;
-        if (Module["arguments"])
-            arguments_ = Module["arguments"];
-        if (Module["thisProgram"])
-            thisProgram = Module["thisProgram"];
-        if (Module["quit"])
-            quit_ = Module["quit"];
+        var out = console.log.bind(console);
+        var err = console.error.bind(console);
         var wasmBinary;
-        if (Module["wasmBinary"])
-            wasmBinary = Module["wasmBinary"];
-        var noExitRuntime = Module["noExitRuntime"] || true;
-        if (typeof WebAssembly != "object") {
-            abort("no native wasm support detected");
-        }
-        var wasmMemory;
         var ABORT = false;
-        var EXITSTATUS;
-        var HEAP8, HEAPU8, HEAP16, HEAPU16, HEAP32, HEAPU32, HEAPF32, HEAPF64;
-        function updateMemoryViews() { var b = wasmMemory.buffer; Module["HEAP8"] = HEAP8 = new Int8Array(b); Module["HEAP16"] = HEAP16 = new Int16Array(b); Module["HEAP32"] = HEAP32 = new Int32Array(b); Module["HEAPU8"] = HEAPU8 = new Uint8Array(b); Module["HEAPU16"] = HEAPU16 = new Uint16Array(b); Module["HEAPU32"] = HEAPU32 = new Uint32Array(b); Module["HEAPF32"] = HEAPF32 = new Float32Array(b); Module["HEAPF64"] = HEAPF64 = new Float64Array(b); }
-        var wasmTable;
-        var __ATPRERUN__ = [];
-        var __ATINIT__ = [];
-        var __ATPOSTRUN__ = [];
+        var isFileURI = filename => filename.startsWith("file://");
+        class EmscriptenEH {
+        }
+        class EmscriptenSjLj extends EmscriptenEH {
+        }
+        var readyPromiseResolve, readyPromiseReject;
         var runtimeInitialized = false;
+        function updateMemoryViews() { var b = wasmMemory.buffer; HEAP8 = new Int8Array(b); HEAP16 = new Int16Array(b); Module["HEAPU8"] = HEAPU8 = new Uint8Array(b); HEAPU16 = new Uint16Array(b); Module["HEAP32"] = HEAP32 = new Int32Array(b); Module["HEAPU32"] = HEAPU32 = new Uint32Array(b); Module["HEAPF32"] = HEAPF32 = new Float32Array(b); HEAPF64 = new Float64Array(b); }
         function preRun() { if (Module["preRun"]) {
             if (typeof Module["preRun"] == "function")
                 Module["preRun"] = [Module["preRun"]];
             while (Module["preRun"].length) {
                 addOnPreRun(Module["preRun"].shift());
             }
-        } callRuntimeCallbacks(__ATPRERUN__); }
-        function initRuntime() { runtimeInitialized = true; callRuntimeCallbacks(__ATINIT__); }
+        } callRuntimeCallbacks(onPreRuns); }
+        function initRuntime() { runtimeInitialized = true; wasmExports["c"](); }
         function postRun() { if (Module["postRun"]) {
             if (typeof Module["postRun"] == "function")
                 Module["postRun"] = [Module["postRun"]];
             while (Module["postRun"].length) {
                 addOnPostRun(Module["postRun"].shift());
             }
-        } callRuntimeCallbacks(__ATPOSTRUN__); }
-        function addOnPreRun(cb) { __ATPRERUN__.unshift(cb); }
-        function addOnInit(cb) { __ATINIT__.unshift(cb); }
-        function addOnPostRun(cb) { __ATPOSTRUN__.unshift(cb); }
-        var runDependencies = 0;
-        var runDependencyWatcher = null;
-        var dependenciesFulfilled = null;
-        function addRunDependency(id) { runDependencies++; if (Module["monitorRunDependencies"]) {
-            Module["monitorRunDependencies"](runDependencies);
-        } }
-        function removeRunDependency(id) { runDependencies--; if (Module["monitorRunDependencies"]) {
-            Module["monitorRunDependencies"](runDependencies);
-        } if (runDependencies == 0) {
-            if (runDependencyWatcher !== null) {
-                clearInterval(runDependencyWatcher);
-                runDependencyWatcher = null;
-            }
-            if (dependenciesFulfilled) {
-                var callback = dependenciesFulfilled;
-                dependenciesFulfilled = null;
-                callback();
-            }
-        } }
-        function abort(what) { if (Module["onAbort"]) {
-            Module["onAbort"](what);
-        } what = "Aborted(" + what + ")"; err(what); ABORT = true; EXITSTATUS = 1; what += ". Build with -sASSERTIONS for more info."; var e = new WebAssembly.RuntimeError(what); readyPromiseReject(e); throw e; }
-        var dataURIPrefix = "data:application/octet-stream;base64,";
-        function isDataURI(filename) { return filename.startsWith(dataURIPrefix); }
+        } callRuntimeCallbacks(onPostRuns); }
+        function abort(what) { var _Module$onAbort, _readyPromiseReject; (_Module$onAbort = Module["onAbort"]) === null || _Module$onAbort === void 0 || _Module$onAbort.call(Module, what); what = "Aborted(".concat(what, ")"); err(what); ABORT = true; what += ". Build with -sASSERTIONS for more info."; var e = new WebAssembly.RuntimeError(what); (_readyPromiseReject = readyPromiseReject) === null || _readyPromiseReject === void 0 || _readyPromiseReject(e); throw e; }
         var wasmBinaryFile;
-        wasmBinaryFile = "data:application/octet-stream;base64,AGFzbQEAAAABUg1gBn9/f39/fwF/YAF/AX9gA39/fwBgAX8AYAJ/fwBgBX9/f39/AX9gAnx/AXxgA3x8fwF8YAAAYAZ/f39/f38AYAJ/fwF/YAF8AXxgAnx8AXwCDQIBYQFhAAIBYQFiAAEDGRgDAQQBAQYHCAkECgELDAMAAAAAAAECBQUEBQFwAQYGBQcBAcACgIACBggBfwFB8LAECwcpCgFjAgABZAAJAWUAGQFmAAIBZwAQAWgAGAFpABcBagAWAWsBAAFsAAYJCwEAQQELBRUUExIRCsuoARjSCwEHfwJAIABFDQAgAEEIayICIABBBGsoAgAiAUF4cSIAaiEFAkAgAUEBcQ0AIAFBA3FFDQEgAiACKAIAIgFrIgJBiC0oAgBJDQEgACABaiEAAkACQEGMLSgCACACRwRAIAFB/wFNBEAgAUEDdiEEIAIoAgwiASACKAIIIgNGBEBB+CxB+CwoAgBBfiAEd3E2AgAMBQsgAyABNgIMIAEgAzYCCAwECyACKAIYIQYgAiACKAIMIgFHBEAgAigCCCIDIAE2AgwgASADNgIIDAMLIAJBFGoiBCgCACIDRQRAIAIoAhAiA0UNAiACQRBqIQQLA0AgBCEHIAMiAUEUaiIEKAIAIgMNACABQRBqIQQgASgCECIDDQALIAdBADYCAAwCCyAFKAIEIgFBA3FBA0cNAkGALSAANgIAIAUgAUF+cTYCBCACIABBAXI2AgQgBSAANgIADwtBACEBCyAGRQ0AAkAgAigCHCIDQQJ0QagvaiIEKAIAIAJGBEAgBCABNgIAIAENAUH8LEH8LCgCAEF+IAN3cTYCAAwCCyAGQRBBFCAGKAIQIAJGG2ogATYCACABRQ0BCyABIAY2AhggAigCECIDBEAgASADNgIQIAMgATYCGAsgAigCFCIDRQ0AIAEgAzYCFCADIAE2AhgLIAIgBU8NACAFKAIEIgFBAXFFDQACQAJAAkACQCABQQJxRQRAQZAtKAIAIAVGBEBBkC0gAjYCAEGELUGELSgCACAAaiIANgIAIAIgAEEBcjYCBCACQYwtKAIARw0GQYAtQQA2AgBBjC1BADYCAA8LQYwtKAIAIAVGBEBBjC0gAjYCAEGALUGALSgCACAAaiIANgIAIAIgAEEBcjYCBCAAIAJqIAA2AgAPCyABQXhxIABqIQAgAUH/AU0EQCABQQN2IQQgBSgCDCIBIAUoAggiA0YEQEH4LEH4LCgCAEF+IAR3cTYCAAwFCyADIAE2AgwgASADNgIIDAQLIAUoAhghBiAFIAUoAgwiAUcEQEGILSgCABogBSgCCCIDIAE2AgwgASADNgIIDAMLIAVBFGoiBCgCACIDRQRAIAUoAhAiA0UNAiAFQRBqIQQLA0AgBCEHIAMiAUEUaiIEKAIAIgMNACABQRBqIQQgASgCECIDDQALIAdBADYCAAwCCyAFIAFBfnE2AgQgAiAAQQFyNgIEIAAgAmogADYCAAwDC0EAIQELIAZFDQACQCAFKAIcIgNBAnRBqC9qIgQoAgAgBUYEQCAEIAE2AgAgAQ0BQfwsQfwsKAIAQX4gA3dxNgIADAILIAZBEEEUIAYoAhAgBUYbaiABNgIAIAFFDQELIAEgBjYCGCAFKAIQIgMEQCABIAM2AhAgAyABNgIYCyAFKAIUIgNFDQAgASADNgIUIAMgATYCGAsgAiAAQQFyNgIEIAAgAmogADYCACACQYwtKAIARw0AQYAtIAA2AgAPCyAAQf8BTQRAIABBeHFBoC1qIQECf0H4LCgCACIDQQEgAEEDdnQiAHFFBEBB+CwgACADcjYCACABDAELIAEoAggLIQAgASACNgIIIAAgAjYCDCACIAE2AgwgAiAANgIIDwtBHyEDIABB////B00EQCAAQSYgAEEIdmciAWt2QQFxIAFBAXRrQT5qIQMLIAIgAzYCHCACQgA3AhAgA0ECdEGoL2ohAQJAAkACQEH8LCgCACIEQQEgA3QiB3FFBEBB/CwgBCAHcjYCACABIAI2AgAgAiABNgIYDAELIABBGSADQQF2a0EAIANBH0cbdCEDIAEoAgAhAQNAIAEiBCgCBEF4cSAARg0CIANBHXYhASADQQF0IQMgBCABQQRxaiIHQRBqKAIAIgENAAsgByACNgIQIAIgBDYCGAsgAiACNgIMIAIgAjYCCAwBCyAEKAIIIgAgAjYCDCAEIAI2AgggAkEANgIYIAIgBDYCDCACIAA2AggLQZgtQZgtKAIAQQFrIgBBfyAAGzYCAAsLTwECf0HwLCgCACIBIABBB2pBeHEiAmohAAJAIAJBACAAIAFNGw0AIAA/AEEQdEsEQCAAEAFFDQELQfAsIAA2AgAgAQ8LQfQsQTA2AgBBfwvWAgEBfwJAIAFFDQAgAEEAOgAAIAAgAWoiAkEBa0EAOgAAIAFBA0kNACAAQQA6AAIgAEEAOgABIAJBA2tBADoAACACQQJrQQA6AAAgAUEHSQ0AIABBADoAAyACQQRrQQA6AAAgAUEJSQ0AIABBACAAa0EDcSICaiIAQQA2AgAgACABIAJrQXxxIgJqIgFBBGtBADYCACACQQlJDQAgAEEANgIIIABBADYCBCABQQhrQQA2AgAgAUEMa0EANgIAIAJBGUkNACAAQQA2AhggAEEANgIUIABBADYCECAAQQA2AgwgAUEQa0EANgIAIAFBFGtBADYCACABQRhrQQA2AgAgAUEca0EANgIAIAIgAEEEcUEYciICayIBQSBJDQAgACACaiEAA0AgAEIANwMYIABCADcDECAAQgA3AwggAEIANwMAIABBIGohACABQSBrIgFBH0sNAAsLC1MCAX8BfgJAAn9BACAARQ0AGiAArSICpyIBIABBAXJBgIAESQ0AGkF/IAEgAkIgiKcbCyIBEAYiAEUNACAAQQRrLQAAQQNxRQ0AIAAgARAECyAAC5woAQt/IwBBEGsiCyQAAkACQAJAAkACQAJAAkACQAJAAkACQAJAAkACQCAAQfQBTQRAQfgsKAIAIgZBECAAQQtqQXhxIABBC0kbIgVBA3YiAHYiAUEDcQRAAkAgAUF/c0EBcSAAaiICQQN0IgFBoC1qIgAgAUGoLWooAgAiASgCCCIERgRAQfgsIAZBfiACd3E2AgAMAQsgBCAANgIMIAAgBDYCCAsgAUEIaiEAIAEgAkEDdCICQQNyNgIEIAEgAmoiASABKAIEQQFyNgIEDA8LIAVBgC0oAgAiB00NASABBEACQEECIAB0IgJBACACa3IgASAAdHEiAEEAIABrcWgiAUEDdCIAQaAtaiICIABBqC1qKAIAIgAoAggiBEYEQEH4LCAGQX4gAXdxIgY2AgAMAQsgBCACNgIMIAIgBDYCCAsgACAFQQNyNgIEIAAgBWoiCCABQQN0IgEgBWsiBEEBcjYCBCAAIAFqIAQ2AgAgBwRAIAdBeHFBoC1qIQFBjC0oAgAhAgJ/IAZBASAHQQN2dCIDcUUEQEH4LCADIAZyNgIAIAEMAQsgASgCCAshAyABIAI2AgggAyACNgIMIAIgATYCDCACIAM2AggLIABBCGohAEGMLSAINgIAQYAtIAQ2AgAMDwtB/CwoAgAiCkUNASAKQQAgCmtxaEECdEGoL2ooAgAiAigCBEF4cSAFayEDIAIhAQNAAkAgASgCECIARQRAIAEoAhQiAEUNAQsgACgCBEF4cSAFayIBIAMgASADSSIBGyEDIAAgAiABGyECIAAhAQwBCwsgAigCGCEJIAIgAigCDCIERwRAQYgtKAIAGiACKAIIIgAgBDYCDCAEIAA2AggMDgsgAkEUaiIBKAIAIgBFBEAgAigCECIARQ0DIAJBEGohAQsDQCABIQggACIEQRRqIgEoAgAiAA0AIARBEGohASAEKAIQIgANAAsgCEEANgIADA0LQX8hBSAAQb9/Sw0AIABBC2oiAEF4cSEFQfwsKAIAIghFDQBBACAFayEDAkACQAJAAn9BACAFQYACSQ0AGkEfIAVB////B0sNABogBUEmIABBCHZnIgBrdkEBcSAAQQF0a0E+agsiB0ECdEGoL2ooAgAiAUUEQEEAIQAMAQtBACEAIAVBGSAHQQF2a0EAIAdBH0cbdCECA0ACQCABKAIEQXhxIAVrIgYgA08NACABIQQgBiIDDQBBACEDIAEhAAwDCyAAIAEoAhQiBiAGIAEgAkEddkEEcWooAhAiAUYbIAAgBhshACACQQF0IQIgAQ0ACwsgACAEckUEQEEAIQRBAiAHdCIAQQAgAGtyIAhxIgBFDQMgAEEAIABrcWhBAnRBqC9qKAIAIQALIABFDQELA0AgACgCBEF4cSAFayICIANJIQEgAiADIAEbIQMgACAEIAEbIQQgACgCECIBBH8gAQUgACgCFAsiAA0ACwsgBEUNACADQYAtKAIAIAVrTw0AIAQoAhghByAEIAQoAgwiAkcEQEGILSgCABogBCgCCCIAIAI2AgwgAiAANgIIDAwLIARBFGoiASgCACIARQRAIAQoAhAiAEUNAyAEQRBqIQELA0AgASEGIAAiAkEUaiIBKAIAIgANACACQRBqIQEgAigCECIADQALIAZBADYCAAwLCyAFQYAtKAIAIgRNBEBBjC0oAgAhAAJAIAQgBWsiAUEQTwRAIAAgBWoiAiABQQFyNgIEIAAgBGogATYCACAAIAVBA3I2AgQMAQsgACAEQQNyNgIEIAAgBGoiASABKAIEQQFyNgIEQQAhAkEAIQELQYAtIAE2AgBBjC0gAjYCACAAQQhqIQAMDQsgBUGELSgCACICSQRAQYQtIAIgBWsiATYCAEGQLUGQLSgCACIAIAVqIgI2AgAgAiABQQFyNgIEIAAgBUEDcjYCBCAAQQhqIQAMDQtBACEAIAVBL2oiAwJ/QdAwKAIABEBB2DAoAgAMAQtB3DBCfzcCAEHUMEKAoICAgIAENwIAQdAwIAtBDGpBcHFB2KrVqgVzNgIAQeQwQQA2AgBBtDBBADYCAEGAIAsiAWoiBkEAIAFrIghxIgEgBU0NDEGwMCgCACIEBEBBqDAoAgAiByABaiIJIAdNDQ0gBCAJSQ0NCwJAQbQwLQAAQQRxRQRAAkACQAJAAkBBkC0oAgAiBARAQbgwIQADQCAEIAAoAgAiB08EQCAHIAAoAgRqIARLDQMLIAAoAggiAA0ACwtBABADIgJBf0YNAyABIQZB1DAoAgAiAEEBayIEIAJxBEAgASACayACIARqQQAgAGtxaiEGCyAFIAZPDQNBsDAoAgAiAARAQagwKAIAIgQgBmoiCCAETQ0EIAAgCEkNBAsgBhADIgAgAkcNAQwFCyAGIAJrIAhxIgYQAyICIAAoAgAgACgCBGpGDQEgAiEACyAAQX9GDQEgBUEwaiAGTQRAIAAhAgwEC0HYMCgCACICIAMgBmtqQQAgAmtxIgIQA0F/Rg0BIAIgBmohBiAAIQIMAwsgAkF/Rw0CC0G0MEG0MCgCAEEEcjYCAAsgARADIQJBABADIQAgAkF/Rg0FIABBf0YNBSAAIAJNDQUgACACayIGIAVBKGpNDQULQagwQagwKAIAIAZqIgA2AgBBrDAoAgAgAEkEQEGsMCAANgIACwJAQZAtKAIAIgMEQEG4MCEAA0AgAiAAKAIAIgEgACgCBCIEakYNAiAAKAIIIgANAAsMBAtBiC0oAgAiAEEAIAAgAk0bRQRAQYgtIAI2AgALQQAhAEG8MCAGNgIAQbgwIAI2AgBBmC1BfzYCAEGcLUHQMCgCADYCAEHEMEEANgIAA0AgAEEDdCIBQagtaiABQaAtaiIENgIAIAFBrC1qIAQ2AgAgAEEBaiIAQSBHDQALQYQtIAZBKGsiAEF4IAJrQQdxQQAgAkEIakEHcRsiAWsiBDYCAEGQLSABIAJqIgE2AgAgASAEQQFyNgIEIAAgAmpBKDYCBEGULUHgMCgCADYCAAwECyACIANNDQIgASADSw0CIAAoAgxBCHENAiAAIAQgBmo2AgRBkC0gA0F4IANrQQdxQQAgA0EIakEHcRsiAGoiATYCAEGELUGELSgCACAGaiICIABrIgA2AgAgASAAQQFyNgIEIAIgA2pBKDYCBEGULUHgMCgCADYCAAwDC0EAIQQMCgtBACECDAgLQYgtKAIAIAJLBEBBiC0gAjYCAAsgAiAGaiEBQbgwIQACQAJAAkADQCABIAAoAgBHBEAgACgCCCIADQEMAgsLIAAtAAxBCHFFDQELQbgwIQADQCADIAAoAgAiAU8EQCABIAAoAgRqIgQgA0sNAwsgACgCCCEADAALAAsgACACNgIAIAAgACgCBCAGajYCBCACQXggAmtBB3FBACACQQhqQQdxG2oiByAFQQNyNgIEIAFBeCABa0EHcUEAIAFBCGpBB3EbaiIGIAUgB2oiBWshACADIAZGBEBBkC0gBTYCAEGELUGELSgCACAAaiIANgIAIAUgAEEBcjYCBAwIC0GMLSgCACAGRgRAQYwtIAU2AgBBgC1BgC0oAgAgAGoiADYCACAFIABBAXI2AgQgACAFaiAANgIADAgLIAYoAgQiA0EDcUEBRw0GIANBeHEhCSADQf8BTQRAIAYoAgwiASAGKAIIIgJGBEBB+CxB+CwoAgBBfiADQQN2d3E2AgAMBwsgAiABNgIMIAEgAjYCCAwGCyAGKAIYIQggBiAGKAIMIgJHBEAgBigCCCIBIAI2AgwgAiABNgIIDAULIAZBFGoiASgCACIDRQRAIAYoAhAiA0UNBCAGQRBqIQELA0AgASEEIAMiAkEUaiIBKAIAIgMNACACQRBqIQEgAigCECIDDQALIARBADYCAAwEC0GELSAGQShrIgBBeCACa0EHcUEAIAJBCGpBB3EbIgFrIgg2AgBBkC0gASACaiIBNgIAIAEgCEEBcjYCBCAAIAJqQSg2AgRBlC1B4DAoAgA2AgAgAyAEQScgBGtBB3FBACAEQSdrQQdxG2pBL2siACAAIANBEGpJGyIBQRs2AgQgAUHAMCkCADcCECABQbgwKQIANwIIQcAwIAFBCGo2AgBBvDAgBjYCAEG4MCACNgIAQcQwQQA2AgAgAUEYaiEAA0AgAEEHNgIEIABBCGohAiAAQQRqIQAgAiAESQ0ACyABIANGDQAgASABKAIEQX5xNgIEIAMgASADayICQQFyNgIEIAEgAjYCACACQf8BTQRAIAJBeHFBoC1qIQACf0H4LCgCACIBQQEgAkEDdnQiAnFFBEBB+CwgASACcjYCACAADAELIAAoAggLIQEgACADNgIIIAEgAzYCDCADIAA2AgwgAyABNgIIDAELQR8hACACQf///wdNBEAgAkEmIAJBCHZnIgBrdkEBcSAAQQF0a0E+aiEACyADIAA2AhwgA0IANwIQIABBAnRBqC9qIQECQAJAQfwsKAIAIgRBASAAdCIGcUUEQEH8LCAEIAZyNgIAIAEgAzYCAAwBCyACQRkgAEEBdmtBACAAQR9HG3QhACABKAIAIQQDQCAEIgEoAgRBeHEgAkYNAiAAQR12IQQgAEEBdCEAIAEgBEEEcWoiBigCECIEDQALIAYgAzYCEAsgAyABNgIYIAMgAzYCDCADIAM2AggMAQsgASgCCCIAIAM2AgwgASADNgIIIANBADYCGCADIAE2AgwgAyAANgIIC0GELSgCACIAIAVNDQBBhC0gACAFayIBNgIAQZAtQZAtKAIAIgAgBWoiAjYCACACIAFBAXI2AgQgACAFQQNyNgIEIABBCGohAAwIC0H0LEEwNgIAQQAhAAwHC0EAIQILIAhFDQACQCAGKAIcIgFBAnRBqC9qIgQoAgAgBkYEQCAEIAI2AgAgAg0BQfwsQfwsKAIAQX4gAXdxNgIADAILIAhBEEEUIAgoAhAgBkYbaiACNgIAIAJFDQELIAIgCDYCGCAGKAIQIgEEQCACIAE2AhAgASACNgIYCyAGKAIUIgFFDQAgAiABNgIUIAEgAjYCGAsgACAJaiEAIAYgCWoiBigCBCEDCyAGIANBfnE2AgQgBSAAQQFyNgIEIAAgBWogADYCACAAQf8BTQRAIABBeHFBoC1qIQECf0H4LCgCACICQQEgAEEDdnQiAHFFBEBB+CwgACACcjYCACABDAELIAEoAggLIQAgASAFNgIIIAAgBTYCDCAFIAE2AgwgBSAANgIIDAELQR8hAyAAQf///wdNBEAgAEEmIABBCHZnIgFrdkEBcSABQQF0a0E+aiEDCyAFIAM2AhwgBUIANwIQIANBAnRBqC9qIQECQAJAQfwsKAIAIgJBASADdCIEcUUEQEH8LCACIARyNgIAIAEgBTYCAAwBCyAAQRkgA0EBdmtBACADQR9HG3QhAyABKAIAIQIDQCACIgEoAgRBeHEgAEYNAiADQR12IQIgA0EBdCEDIAEgAkEEcWoiBCgCECICDQALIAQgBTYCEAsgBSABNgIYIAUgBTYCDCAFIAU2AggMAQsgASgCCCIAIAU2AgwgASAFNgIIIAVBADYCGCAFIAE2AgwgBSAANgIICyAHQQhqIQAMAgsCQCAHRQ0AAkAgBCgCHCIAQQJ0QagvaiIBKAIAIARGBEAgASACNgIAIAINAUH8LCAIQX4gAHdxIgg2AgAMAgsgB0EQQRQgBygCECAERhtqIAI2AgAgAkUNAQsgAiAHNgIYIAQoAhAiAARAIAIgADYCECAAIAI2AhgLIAQoAhQiAEUNACACIAA2AhQgACACNgIYCwJAIANBD00EQCAEIAMgBWoiAEEDcjYCBCAAIARqIgAgACgCBEEBcjYCBAwBCyAEIAVBA3I2AgQgBCAFaiICIANBAXI2AgQgAiADaiADNgIAIANB/wFNBEAgA0F4cUGgLWohAAJ/QfgsKAIAIgFBASADQQN2dCIDcUUEQEH4LCABIANyNgIAIAAMAQsgACgCCAshASAAIAI2AgggASACNgIMIAIgADYCDCACIAE2AggMAQtBHyEAIANB////B00EQCADQSYgA0EIdmciAGt2QQFxIABBAXRrQT5qIQALIAIgADYCHCACQgA3AhAgAEECdEGoL2ohAQJAAkAgCEEBIAB0IgZxRQRAQfwsIAYgCHI2AgAgASACNgIADAELIANBGSAAQQF2a0EAIABBH0cbdCEAIAEoAgAhBQNAIAUiASgCBEF4cSADRg0CIABBHXYhBiAAQQF0IQAgASAGQQRxaiIGKAIQIgUNAAsgBiACNgIQCyACIAE2AhggAiACNgIMIAIgAjYCCAwBCyABKAIIIgAgAjYCDCABIAI2AgggAkEANgIYIAIgATYCDCACIAA2AggLIARBCGohAAwBCwJAIAlFDQACQCACKAIcIgBBAnRBqC9qIgEoAgAgAkYEQCABIAQ2AgAgBA0BQfwsIApBfiAAd3E2AgAMAgsgCUEQQRQgCSgCECACRhtqIAQ2AgAgBEUNAQsgBCAJNgIYIAIoAhAiAARAIAQgADYCECAAIAQ2AhgLIAIoAhQiAEUNACAEIAA2AhQgACAENgIYCwJAIANBD00EQCACIAMgBWoiAEEDcjYCBCAAIAJqIgAgACgCBEEBcjYCBAwBCyACIAVBA3I2AgQgAiAFaiIEIANBAXI2AgQgAyAEaiADNgIAIAcEQCAHQXhxQaAtaiEAQYwtKAIAIQECf0EBIAdBA3Z0IgUgBnFFBEBB+CwgBSAGcjYCACAADAELIAAoAggLIQYgACABNgIIIAYgATYCDCABIAA2AgwgASAGNgIIC0GMLSAENgIAQYAtIAM2AgALIAJBCGohAAsgC0EQaiQAIAALqAEAAkAgAUGACE4EQCAARAAAAAAAAOB/oiEAIAFB/w9JBEAgAUH/B2shAQwCCyAARAAAAAAAAOB/oiEAQf0XIAEgAUH9F04bQf4PayEBDAELIAFBgXhKDQAgAEQAAAAAAABgA6IhACABQbhwSwRAIAFByQdqIQEMAQsgAEQAAAAAAABgA6IhAEHwaCABIAFB8GhMG0GSD2ohAQsgACABQf8Haq1CNIa/oguZAQEDfCAAIACiIgMgAyADoqIgA0R81c9aOtnlPaJE65wriublWr6goiADIANEff6xV+Mdxz6iRNVhwRmgASq/oKJEpvgQERERgT+goCEFIAMgAKIhBCACRQRAIAQgAyAFokRJVVVVVVXFv6CiIACgDwsgACADIAFEAAAAAAAA4D+iIAUgBKKhoiABoSAERElVVVVVVcU/oqChCwMAAQuFDQERfyMAQRBrIgwkACAMIAQ2AgwgACgCGCERIAAoAhwhECAAKAJIIQ4gACgCWCESIAUoAgAhCCADKAIAIRMCQCABQQJ0IhUgACgCRGooAgAEQCAIIRYjAEEQayILJAAgCyAINgIMIAsgAUECdCIEIAAoAkRqKAIANgIIIAwoAgwhBiAAQQE2AjggACgCGCENIAAgASAAKAJIIAAoAhwgAWxBAnRqIgcgC0EIaiAGIAtBDGogACgCVBEAACEJIAAoAjwgBGoiCCgCACIGIAsoAggiBEgEQCALIAY2AgggBiEECyALIAk2AgwgCCAIKAIAIARrNgIAIAsoAgghBAJAIA1BAkgNACANQQFrIghBA3EhCUEAIQYgDUECa0EDTwRAIAhBfHEhFEEAIQgDQCAHIAZBAnRqIAcgBCAGakECdGoqAgA4AgAgByAGQQFyIgpBAnRqIAcgBCAKakECdGoqAgA4AgAgByAGQQJyIgpBAnRqIAcgBCAKakECdGoqAgA4AgAgByAGQQNyIgpBAnRqIAcgBCAKakECdGoqAgA4AgAgBkEEaiEGIAhBBGoiCCAURw0ACwsgCUUNAANAIAcgBkECdGogByAEIAZqQQJ0aioCADgCACAGQQFqIQYgD0EBaiIPIAlHDQALCyAAKAJEIAFBAnRqIgYgBigCACIPIARrIhQ2AgACQCAEIA9GDQAgDUEBayENQQAhCCALKAIIIQlBACEGIA8gBEF/c2pBA08EQCAUQXxxIQ9BACEEA0AgByAGIA1qIgpBAnRqIAcgCSAKakECdGoqAgA4AgAgByANIAZBAXJqIgpBAnRqIAcgCSAKakECdGoqAgA4AgAgByANIAZBAnJqIgpBAnRqIAcgCSAKakECdGoqAgA4AgAgByANIAZBA3JqIgpBAnRqIAcgCSAKakECdGoqAgA4AgAgBkEEaiEGIARBBGoiBCAPRw0ACwsgFEEDcSIERQ0AA0AgByAGIA1qIg9BAnRqIAcgCSAPakECdGoqAgA4AgAgBkEBaiEGIAhBAWoiCCAERw0ACwsgDCAMKAIMIAsoAgwiBCAAKAJcbEECdGo2AgwgC0EQaiQAIBYgBGshCCAAKAJEIBVqKAIADQELIBNFDQAgCEUNACAQIBFBAWsiC2shDyAOIAEgEGwiBEECdGohDSAEIBFqQQJ0IA5qQQRrIRQgDCgCDCERA0AgDCATIA8gDyATSxsiBzYCCCAMIAg2AgQCQCACBEAgB0UNAUEAIQlBACEEIAdBBE8EQCAHQXxxIRBBACEGA0AgDSAEIAtqQQJ0aiACIAQgEmxBAnRqKgIAOAIAIA0gBEEBciIOIAtqQQJ0aiACIA4gEmxBAnRqKgIAOAIAIA0gBEECciIOIAtqQQJ0aiACIA4gEmxBAnRqKgIAOAIAIA0gBEEDciIOIAtqQQJ0aiACIA4gEmxBAnRqKgIAOAIAIARBBGohBCAGQQRqIgYgEEcNAAsLIAdBA3EiBkUNAQNAIA0gBCALakECdGogAiAEIBJsQQJ0aioCADgCACAEQQFqIQQgCUEBaiIJIAZHDQALDAELIAdFDQAgFCAHQQJ0EAQLIABBATYCOCAAKAIYIQkgACABIAAoAkggACgCHCABbEECdGoiByAMQQhqIBEgDEEEaiAAKAJUEQAAIQ4gACgCPCABQQJ0aiIQKAIAIgQgDCgCCCIGSARAIAwgBDYCCCAEIQYLIAwgDjYCBCAQIBAoAgAgBms2AgAgDCgCCCIGIQQgCUECTgRAIAlBAWsiFUEDcSEQQQAhDkEAIQQgCUECa0EDTwRAIBVBfHEhFUEAIQkDQCAHIARBAnRqIAcgBCAGakECdGoqAgA4AgAgByAEQQFyIgpBAnRqIAcgBiAKakECdGoqAgA4AgAgByAEQQJyIgpBAnRqIAcgBiAKakECdGoqAgA4AgAgByAEQQNyIgpBAnRqIAcgBiAKakECdGoqAgA4AgAgBEEEaiEEIAlBBGoiCSAVRw0ACwsgEARAA0AgByAEQQJ0aiAHIAQgBmpBAnRqKgIAOAIAIARBAWohBCAOQQFqIg4gEEcNAAsLIAwoAgghBAsgCCAMKAIEIgdrIQggEyAGayITRQ0BIAIgBCASbEECdGpBACACGyECIBEgACgCXCAHbEECdGohESAIDQALCyADIAMoAgAgE2s2AgAgBSAFKAIAIAhrNgIAIAAoAlQaIAxBEGokAAuVCwEGfyAAIAFqIQUCQAJAIAAoAgQiAkEBcQ0AIAJBA3FFDQEgACgCACICIAFqIQECQAJAAkAgACACayIAQYwtKAIARwRAIAJB/wFNBEAgAkEDdiEEIAAoAggiAyAAKAIMIgJHDQJB+CxB+CwoAgBBfiAEd3E2AgAMBQsgACgCGCEGIAAgACgCDCICRwRAQYgtKAIAGiAAKAIIIgMgAjYCDCACIAM2AggMBAsgAEEUaiIEKAIAIgNFBEAgACgCECIDRQ0DIABBEGohBAsDQCAEIQcgAyICQRRqIgQoAgAiAw0AIAJBEGohBCACKAIQIgMNAAsgB0EANgIADAMLIAUoAgQiAkEDcUEDRw0DQYAtIAE2AgAgBSACQX5xNgIEIAAgAUEBcjYCBCAFIAE2AgAPCyADIAI2AgwgAiADNgIIDAILQQAhAgsgBkUNAAJAIAAoAhwiA0ECdEGoL2oiBCgCACAARgRAIAQgAjYCACACDQFB/CxB/CwoAgBBfiADd3E2AgAMAgsgBkEQQRQgBigCECAARhtqIAI2AgAgAkUNAQsgAiAGNgIYIAAoAhAiAwRAIAIgAzYCECADIAI2AhgLIAAoAhQiA0UNACACIAM2AhQgAyACNgIYCwJAAkACQAJAIAUoAgQiAkECcUUEQEGQLSgCACAFRgRAQZAtIAA2AgBBhC1BhC0oAgAgAWoiATYCACAAIAFBAXI2AgQgAEGMLSgCAEcNBkGALUEANgIAQYwtQQA2AgAPC0GMLSgCACAFRgRAQYwtIAA2AgBBgC1BgC0oAgAgAWoiATYCACAAIAFBAXI2AgQgACABaiABNgIADwsgAkF4cSABaiEBIAJB/wFNBEAgAkEDdiEEIAUoAgwiAiAFKAIIIgNGBEBB+CxB+CwoAgBBfiAEd3E2AgAMBQsgAyACNgIMIAIgAzYCCAwECyAFKAIYIQYgBSAFKAIMIgJHBEBBiC0oAgAaIAUoAggiAyACNgIMIAIgAzYCCAwDCyAFQRRqIgQoAgAiA0UEQCAFKAIQIgNFDQIgBUEQaiEECwNAIAQhByADIgJBFGoiBCgCACIDDQAgAkEQaiEEIAIoAhAiAw0ACyAHQQA2AgAMAgsgBSACQX5xNgIEIAAgAUEBcjYCBCAAIAFqIAE2AgAMAwtBACECCyAGRQ0AAkAgBSgCHCIDQQJ0QagvaiIEKAIAIAVGBEAgBCACNgIAIAINAUH8LEH8LCgCAEF+IAN3cTYCAAwCCyAGQRBBFCAGKAIQIAVGG2ogAjYCACACRQ0BCyACIAY2AhggBSgCECIDBEAgAiADNgIQIAMgAjYCGAsgBSgCFCIDRQ0AIAIgAzYCFCADIAI2AhgLIAAgAUEBcjYCBCAAIAFqIAE2AgAgAEGMLSgCAEcNAEGALSABNgIADwsgAUH/AU0EQCABQXhxQaAtaiECAn9B+CwoAgAiA0EBIAFBA3Z0IgFxRQRAQfgsIAEgA3I2AgAgAgwBCyACKAIICyEBIAIgADYCCCABIAA2AgwgACACNgIMIAAgATYCCA8LQR8hAyABQf///wdNBEAgAUEmIAFBCHZnIgJrdkEBcSACQQF0a0E+aiEDCyAAIAM2AhwgAEIANwIQIANBAnRBqC9qIQICQAJAQfwsKAIAIgRBASADdCIHcUUEQEH8LCAEIAdyNgIAIAIgADYCACAAIAI2AhgMAQsgAUEZIANBAXZrQQAgA0EfRxt0IQMgAigCACECA0AgAiIEKAIEQXhxIAFGDQIgA0EddiECIANBAXQhAyAEIAJBBHFqIgdBEGooAgAiAg0ACyAHIAA2AhAgACAENgIYCyAAIAA2AgwgACAANgIIDwsgBCgCCCIBIAA2AgwgBCAANgIIIABBADYCGCAAIAQ2AgwgACABNgIICwvPCwELfyAARQRAIAEQBg8LIAFBQE8EQEH0LEEwNgIAQQAPCwJ/QRAgAUELakF4cSABQQtJGyEGIABBCGsiAygCBCIIQXhxIQQCQCAIQQNxRQRAQQAgBkGAAkkNAhogBkEEaiAETQRAIAMhAiAEIAZrQdgwKAIAQQF0TQ0CC0EADAILIAMgBGohBwJAIAQgBk8EQCAEIAZrIgJBEEkNASADIAhBAXEgBnJBAnI2AgQgAyAGaiIEIAJBA3I2AgQgByAHKAIEQQFyNgIEIAQgAhALDAELQZAtKAIAIAdGBEBBhC0oAgAgBGoiBCAGTQ0CIAMgCEEBcSAGckECcjYCBCADIAZqIgIgBCAGayIEQQFyNgIEQYQtIAQ2AgBBkC0gAjYCAAwBC0GMLSgCACAHRgRAQYAtKAIAIARqIgQgBkkNAgJAIAQgBmsiAkEQTwRAIAMgCEEBcSAGckECcjYCBCADIAZqIgUgAkEBcjYCBCADIARqIgQgAjYCACAEIAQoAgRBfnE2AgQMAQsgAyAIQQFxIARyQQJyNgIEIAMgBGoiAiACKAIEQQFyNgIEQQAhAgtBjC0gBTYCAEGALSACNgIADAELIAcoAgQiBUECcQ0BIAVBeHEgBGoiCSAGSQ0BIAkgBmshCwJAIAVB/wFNBEAgBygCDCICIAcoAggiBEYEQEH4LEH4LCgCAEF+IAVBA3Z3cTYCAAwCCyAEIAI2AgwgAiAENgIIDAELIAcoAhghCgJAIAcgBygCDCIERwRAQYgtKAIAGiAHKAIIIgIgBDYCDCAEIAI2AggMAQsCQCAHQRRqIgIoAgAiBUUEQCAHKAIQIgVFDQEgB0EQaiECCwNAIAIhDCAFIgRBFGoiAigCACIFDQAgBEEQaiECIAQoAhAiBQ0ACyAMQQA2AgAMAQtBACEECyAKRQ0AAkAgBygCHCICQQJ0QagvaiIFKAIAIAdGBEAgBSAENgIAIAQNAUH8LEH8LCgCAEF+IAJ3cTYCAAwCCyAKQRBBFCAKKAIQIAdGG2ogBDYCACAERQ0BCyAEIAo2AhggBygCECICBEAgBCACNgIQIAIgBDYCGAsgBygCFCICRQ0AIAQgAjYCFCACIAQ2AhgLIAtBD00EQCADIAhBAXEgCXJBAnI2AgQgAyAJaiICIAIoAgRBAXI2AgQMAQsgAyAIQQFxIAZyQQJyNgIEIAMgBmoiAiALQQNyNgIEIAMgCWoiBCAEKAIEQQFyNgIEIAIgCxALCyADIQILIAILIgIEQCACQQhqDwsgARAGIgRFBEBBAA8LIAQhAgJAQXxBeCAAIgNBBGsoAgAiBUEDcRsgBUF4cWoiBSABIAEgBUsbIgVBgARPBEAgAiADIAUQAAwBCyACIAVqIQECQCACIANzQQNxRQRAAkAgAkEDcUUNACAFRQ0AA0AgAiADLQAAOgAAIANBAWohAyACQQFqIgJBA3FFDQEgASACSw0ACwsCQCABQXxxIgVBwABJDQAgAiAFQUBqIgxLDQADQCACIAMoAgA2AgAgAiADKAIENgIEIAIgAygCCDYCCCACIAMoAgw2AgwgAiADKAIQNgIQIAIgAygCFDYCFCACIAMoAhg2AhggAiADKAIcNgIcIAIgAygCIDYCICACIAMoAiQ2AiQgAiADKAIoNgIoIAIgAygCLDYCLCACIAMoAjA2AjAgAiADKAI0NgI0IAIgAygCODYCOCACIAMoAjw2AjwgA0FAayEDIAJBQGsiAiAMTQ0ACwsgAiAFTw0BA0AgAiADKAIANgIAIANBBGohAyACQQRqIgIgBUkNAAsMAQsgAUEESQ0AIAIgAUEEayIFSw0AA0AgAiADLQAAOgAAIAIgAy0AAToAASACIAMtAAI6AAIgAiADLQADOgADIANBBGohAyACQQRqIgIgBU0NAAsLIAEgAksEQANAIAIgAy0AADoAACADQQFqIQMgAkEBaiICIAFHDQALCwsgABACIAQLixYDFX8JfAZ9IAAgACgCCCIBIAAoAgwiAm4iBTYCJCAAIAAoAhBBFGwiA0G0CWooAgAiBjYCMCAAKAIYIQ0gACADQbAJaigCACIENgIYIAAgASACIAVsazYCKCAAKAIcIRACQAJAAkACQCABIAJLBEAgACADQbgJaioCACACs5QgAbOVOAIsIAQgBCACbiIDIAJsayIEQX8gAW4iBUsNAiADIAVLDQIgASADbCIDIAEgBGwgAm4iBEF/c0sNAiAAIAMgBGpBAWtBeHFBCGoiBDYCGEEBIAYgAkEBdCABSSIDdiACQQJ0IAFJIgV2IAJBA3QgAUkiCXYgAkEEdCABSSIHdiIBIAFBAU0bIQYCQCAFDQAgAUUNACADDQAgCQ0AIAdFDQILIAAgBjYCMAwBCyAAIANBvAlqKgIAOAIsCwJAIAIgBGwiASAEIAZsQQhqIgNNBEBBASEFQf////8BIAJuIARPDQELQQAhBSADIQFB9////wEgBm4gBEkNAQsgASAAKAJQSwRAIAAoAkwgAUECdBAMIgNFDQEgACABNgJQIAAgAzYCTAsCQCAFRQRAIAAoAhAhAiAAKAIYIgEgACgCMCIDbEEEaiIEQX1OBEAgAbciGUQAAAAAAADgP6IhGiABQQF2syEiIAAoAkwhBSADsyEjQXwhASACQRRsQcAJaigCACEJA0AgACoCLCEgIAFBAnQgBWoCfSAgIAGyICOVICKTIiG7IhaZIhdEje21oPfGsD5jDQAaQwAAAAAgFyAaZA0AGiAhICCUIR8gCSgCAAJ/IBYgFqAgGaO2iyAJKAIEspQiIY4iJItDAAAAT10EQCAkqAwBC0GAgICAeAsiBkEDdGoiAysDCCEbIAMrAwAhHCADKwMQIRggAysDGCEWIB+7RBgtRFT7IQlAoiIXEA4gILuiIBejIBYgISAGspMiH7siFkSVqGdVVVXFv6IgHyAfIB+UIh+UuyIXRJWoZ1VVVcU/oqAiHaIgGCAXRAAAAAAAAOC/oiAfu0QAAAAAAADgP6IiGCAWoKAiHqIgHCAXRJWoZ1VVVcW/oiAWRLUrTFVVVdW/oiAYoKAiFqIgG0QAAAAAAADwPyAdoSAeoSAWoaKgoKCitgs4AhAgAUEBaiIBIARHDQALCyACQQlOBEAgAEEBNgJUDAILIABBAjYCVAwBCwJAIAAoAgwiBUUNACAAKAIYIgZBfm0hByAGRQ0AIAa3IhlEAAAAAAAA4D+iIRogBbMhIiAAKAJMIQhBACEJIAAoAhBBFGxBwAlqKAIAIQwDQCAGIAlsIQogCbMgIpUhI0EAIQEDQCAAKgIsISACfSAgIAEiA0EBaiIBIAdqsiAjkyIhuyIWmSIXRI3ttaD3xrA+Yw0AGkMAAAAAIBcgGmQNABogISAglCEfIAwoAgACfyAWIBagIBmjtosgDCgCBLKUIiGOIiSLQwAAAE9dBEAgJKgMAQtBgICAgHgLIgJBA3RqIgQrAwghGyAEKwMAIRwgBCsDECEYIAQrAxghFiAfu0QYLURU+yEJQKIiFxAOICC7oiAXoyAWICEgArKTIh+7IhZElahnVVVVxb+iIB8gHyAflCIflLsiF0SVqGdVVVXFP6KgIh2iIBggF0QAAAAAAADgv6IgH7tEAAAAAAAA4D+iIhggFqCgIh6iIBwgF0SVqGdVVVXFv6IgFkS1K0xVVVXVv6IgGKCgIhaiIBtEAAAAAAAA8D8gHaEgHqEgFqGioKCgorYLIR8gCCADIApqQQJ0aiAfOAIAIAEgBkcNAAsgCUEBaiIJIAVHDQALCyAAKAIQQQlOBEAgAEEDNgJUDAELIABBBDYCVAsgACgCGCAAKAIgakEBayIDIAAoAhwiAUsEQEH/////ASAAKAIUIgFuIANJDQEgACgCSCABIANsQQJ0EAwiAUUNASAAIAM2AhwgACABNgJIIAMhAQsgACgCOEUEQCABIAAoAhRsIgFFBEBBAA8LIAAoAkggAUECdBAEQQAPCyAAKAIYIgMgDU0NASAAKAIUIgNFBEBBAA8LIA1BAmshDiANQQFrIREgA0ECdEEEayESIAAoAkQhE0EAIQkDQCATIANBAWsiA0ECdCIUaiIIKAIAIgZBAXQhCwJAIAYgEWoiAUUNACADIBBsIQQgACgCHCADbCEFIAAoAkghAiABQQFxBEAgAiABQQFrIgEgBmogBWpBAnRqIAIgASAEakECdGoqAgA4AgALIA5BACAGa0YNAANAIAIgAUEBayIHIAZqIAVqQQJ0aiACIAQgB2pBAnRqKgIAOAIAIAIgAUECayIBIAZqIAVqQQJ0aiACIAEgBGpBAnRqKgIAOAIAIAENAAsLIBIgCUECdGshDyAGBEAgACgCSCAAKAIcIA9saiAGQQJ0EAQLIAhBADYCAAJAIAAoAhgiAiALIA1qIgdLBEACQCAHQQFrIghFDQAgAkECayEMIAdBAmshCiAAKAIcIANsIQFBACEFIAAoAkghBkEAIAtrIA5HBEAgCEF+cSEVQQAhBEEAIQsDQCAGIAUgDGogAWpBAnRqIAYgBSAKaiABakECdGoqAgA4AgAgBiAMIARBf3MiBWogAWpBAnRqIAYgBSAKaiABakECdGoqAgA4AgAgBEF+cyEFIARBAmohBCALQQJqIgsgFUcNAAsLIAhBAXFFDQAgBiAFIAxqIAFqQQJ0aiAGIAUgCmogAWpBAnRqKgIAOAIACyAIIAJBAWsiAUkEQCAAKAJIIAAoAhwgD2xqIAEgCGtBAnQQBAsgACgCPCAUaiIBIAEoAgAgAiAHa0EBdmo2AgAMAQsgCCAHIAJrQQF2IgQ2AgAgBCAAKAIYaiIHQQFrIghFDQAgACgCHCADbCEFIAAoAkghAkEAIQZBACEBIAdBAmtBA08EQCAIQXxxIQxBACEHA0AgAiABIAVqIgpBAnRqIAIgBCAKakECdGoqAgA4AgAgAiAFIAFBAXJqIgpBAnRqIAIgBCAKakECdGoqAgA4AgAgAiAFIAFBAnJqIgpBAnRqIAIgBCAKakECdGoqAgA4AgAgAiAFIAFBA3JqIgpBAnRqIAIgBCAKakECdGoqAgA4AgAgAUEEaiEBIAdBBGoiByAMRw0ACwsgCEEDcSIHRQ0AA0AgAiABIAVqIghBAnRqIAIgBCAIakECdGoqAgA4AgAgAUEBaiEBIAZBAWoiBiAHRw0ACwsgCUEBaiEJIAMNAAtBAA8LIAAgDTYCGCAAQQU2AlRBASEBDAELQQAhASADIA1PDQAgACgCFEUNACAAKAJEIQxBACEDA0AgDCADQQJ0aiIJKAIAIQcgCSANIAAoAhhrQQF2IgQ2AgACQCAEIAdqIgogACgCGCIOakEBayIIRQ0AIAAoAhwgA2whBSAAKAJIIQJBACEGIAcgDmogBGpBAmtBA08EQCAIQXxxIQ5BACEHA0AgAiABIAVqIgtBAnRqIAIgBCALakECdGoqAgA4AgAgAiAFIAFBAXJqIgtBAnRqIAIgBCALakECdGoqAgA4AgAgAiAFIAFBAnJqIgtBAnRqIAIgBCALakECdGoqAgA4AgAgAiAFIAFBA3JqIgtBAnRqIAIgBCALakECdGoqAgA4AgAgAUEEaiEBIAdBBGoiByAORw0ACwsgCEEDcSIHRQ0AA0AgAiABIAVqIghBAnRqIAIgBCAIakECdGoqAgA4AgAgAUEBaiEBIAZBAWoiBiAHRw0ACwsgCSAKNgIAQQAhASADQQFqIgMgACgCFEkNAAsLIAEL6RkDFX8EfAF+IwBBEGsiBCQAAkAgAL1CIIinQf////8HcSIBQfvDpP8DTQRAIAFBgIDA8gNJDQEgAEQAAAAAAAAAAEEAEAghAAwBCyABQYCAwP8HTwRAIAAgAKEhAAwBCyMAQTBrIggkAAJAAkACQCAAvSIaQiCIpyIBQf////8HcSIGQfrUvYAETQRAIAFB//8/cUH7wyRGDQEgBkH8souABE0EQCAaQgBZBEAgBCAARAAAQFT7Ifm/oCIARDFjYhphtNC9oCIWOQMAIAQgACAWoUQxY2IaYbTQvaA5AwhBASECDAULIAQgAEQAAEBU+yH5P6AiAEQxY2IaYbTQPaAiFjkDACAEIAAgFqFEMWNiGmG00D2gOQMIQX8hAgwECyAaQgBZBEAgBCAARAAAQFT7IQnAoCIARDFjYhphtOC9oCIWOQMAIAQgACAWoUQxY2IaYbTgvaA5AwhBAiECDAQLIAQgAEQAAEBU+yEJQKAiAEQxY2IaYbTgPaAiFjkDACAEIAAgFqFEMWNiGmG04D2gOQMIQX4hAgwDCyAGQbuM8YAETQRAIAZBvPvXgARNBEAgBkH8ssuABEYNAiAaQgBZBEAgBCAARAAAMH982RLAoCIARMqUk6eRDum9oCIWOQMAIAQgACAWoUTKlJOnkQ7pvaA5AwhBAyECDAULIAQgAEQAADB/fNkSQKAiAETKlJOnkQ7pPaAiFjkDACAEIAAgFqFEypSTp5EO6T2gOQMIQX0hAgwECyAGQfvD5IAERg0BIBpCAFkEQCAEIABEAABAVPshGcCgIgBEMWNiGmG08L2gIhY5AwAgBCAAIBahRDFjYhphtPC9oDkDCEEEIQIMBAsgBCAARAAAQFT7IRlAoCIARDFjYhphtPA9oCIWOQMAIAQgACAWoUQxY2IaYbTwPaA5AwhBfCECDAMLIAZB+sPkiQRLDQELIAAgAESDyMltMF/kP6JEAAAAAAAAOEOgRAAAAAAAADjDoCIYRAAAQFT7Ifm/oqAiFiAYRDFjYhphtNA9oiIZoSIXRBgtRFT7Iem/YyEBAn8gGJlEAAAAAAAA4EFjBEAgGKoMAQtBgICAgHgLIQICQCABBEAgAkEBayECIBhEAAAAAAAA8L+gIhhEMWNiGmG00D2iIRkgACAYRAAAQFT7Ifm/oqAhFgwBCyAXRBgtRFT7Iek/ZEUNACACQQFqIQIgGEQAAAAAAADwP6AiGEQxY2IaYbTQPaIhGSAAIBhEAABAVPsh+b+ioCEWCyAEIBYgGaEiFzkDAAJAIAZBFHYiASAXvUI0iKdB/w9xa0ERSA0AIAQgFiAYRAAAYBphtNA9oiIXoSIAIBhEc3ADLooZozuiIBYgAKEgF6GhIhmhIhc5AwAgASAXvUI0iKdB/w9xa0EySARAIAAhFgwBCyAEIAAgGEQAAAAuihmjO6IiF6EiFiAYRMFJICWag3s5oiAAIBahIBehoSIZoSIXOQMACyAEIBYgF6EgGaE5AwgMAQsgBkGAgMD/B08EQCAEIAAgAKEiADkDACAEIAA5AwgMAQsgGkL/////////B4NCgICAgICAgLDBAIS/IRdBASEBA0AgCEEQaiACQQN0agJ/IBeZRAAAAAAAAOBBYwRAIBeqDAELQYCAgIB4C7ciADkDACAXIAChRAAAAAAAAHBBoiEXQQEhAiABIQNBACEBIAMNAAsgCCAXOQMgQQIhAgNAIAIiAUEBayECIAhBEGogAUEDdGorAwBEAAAAAAAAAABhDQALIAhBEGohD0EAIQMjAEGwBGsiBSQAIAZBFHZBlghrIgJBA2tBGG0iBkEAIAZBAEobIhBBaGwgAmohBkHUFigCACIJIAFBAWoiCkEBayIHakEATgRAIAkgCmohAiAQIAdrIQEDQCAFQcACaiADQQN0aiABQQBIBHxEAAAAAAAAAAAFIAFBAnRB4BZqKAIAtws5AwAgAUEBaiEBIANBAWoiAyACRw0ACwsgBkEYayELQQAhAiAJQQAgCUEAShshAyAKQQBMIQwDQAJAIAwEQEQAAAAAAAAAACEADAELIAIgB2ohDkEAIQFEAAAAAAAAAAAhAANAIA8gAUEDdGorAwAgBUHAAmogDiABa0EDdGorAwCiIACgIQAgAUEBaiIBIApHDQALCyAFIAJBA3RqIAA5AwAgAiADRiEBIAJBAWohAiABRQ0AC0EvIAZrIRJBMCAGayEOIAZBGWshEyAJIQICQANAIAUgAkEDdGorAwAhAEEAIQEgAiEDIAJBAEwiDUUEQANAIAVB4ANqIAFBAnRqAn8CfyAARAAAAAAAAHA+oiIWmUQAAAAAAADgQWMEQCAWqgwBC0GAgICAeAu3IhZEAAAAAAAAcMGiIACgIgCZRAAAAAAAAOBBYwRAIACqDAELQYCAgIB4CzYCACAFIANBAWsiA0EDdGorAwAgFqAhACABQQFqIgEgAkcNAAsLAn8gACALEAciACAARAAAAAAAAMA/opxEAAAAAAAAIMCioCIAmUQAAAAAAADgQWMEQCAAqgwBC0GAgICAeAshByAAIAe3oSEAAkACQAJAAn8gC0EATCIURQRAIAJBAnQgBWoiASABKALcAyIBIAEgDnUiASAOdGsiAzYC3AMgASAHaiEHIAMgEnUMAQsgCw0BIAJBAnQgBWooAtwDQRd1CyIMQQBMDQIMAQtBAiEMIABEAAAAAAAA4D9mDQBBACEMDAELQQAhAUEAIQMgDUUEQANAIAVB4ANqIAFBAnRqIhUoAgAhDUH///8HIRECfwJAIAMNAEGAgIAIIREgDQ0AQQAMAQsgFSARIA1rNgIAQQELIQMgAUEBaiIBIAJHDQALCwJAIBQNAEH///8DIQECQAJAIBMOAgEAAgtB////ASEBCyACQQJ0IAVqIg0gDSgC3AMgAXE2AtwDCyAHQQFqIQcgDEECRw0ARAAAAAAAAPA/IAChIQBBAiEMIANFDQAgAEQAAAAAAADwPyALEAehIQALIABEAAAAAAAAAABhBEBBACEDAkAgCSACIgFODQADQCAFQeADaiABQQFrIgFBAnRqKAIAIANyIQMgASAJSg0ACyADRQ0AIAshBgNAIAZBGGshBiAFQeADaiACQQFrIgJBAnRqKAIARQ0ACwwDC0EBIQEDQCABIgNBAWohASAFQeADaiAJIANrQQJ0aigCAEUNAAsgAiADaiEDA0AgBUHAAmogAiAKaiIHQQN0aiACQQFqIgIgEGpBAnRB4BZqKAIAtzkDAEEAIQFEAAAAAAAAAAAhACAKQQBKBEADQCAPIAFBA3RqKwMAIAVBwAJqIAcgAWtBA3RqKwMAoiAAoCEAIAFBAWoiASAKRw0ACwsgBSACQQN0aiAAOQMAIAIgA0gNAAsgAyECDAELCwJAIABBGCAGaxAHIgBEAAAAAAAAcEFmBEAgBUHgA2ogAkECdGoCfwJ/IABEAAAAAAAAcD6iIhaZRAAAAAAAAOBBYwRAIBaqDAELQYCAgIB4CyIBt0QAAAAAAABwwaIgAKAiAJlEAAAAAAAA4EFjBEAgAKoMAQtBgICAgHgLNgIAIAJBAWohAgwBCwJ/IACZRAAAAAAAAOBBYwRAIACqDAELQYCAgIB4CyEBIAshBgsgBUHgA2ogAkECdGogATYCAAtEAAAAAAAA8D8gBhAHIQACQCACQQBIDQAgAiEBA0AgBSABIgNBA3RqIAAgBUHgA2ogAUECdGooAgC3ojkDACABQQFrIQEgAEQAAAAAAABwPqIhACADDQALIAJBAEgNACACIQMDQEQAAAAAAAAAACEAQQAhASAJIAIgA2siBiAGIAlKGyILQQBOBEADQCABQQN0QbAsaisDACAFIAEgA2pBA3RqKwMAoiAAoCEAIAEgC0chCiABQQFqIQEgCg0ACwsgBUGgAWogBkEDdGogADkDACADQQBKIQEgA0EBayEDIAENAAsLRAAAAAAAAAAAIQAgAkEATgRAIAIhAQNAIAEiA0EBayEBIAAgBUGgAWogA0EDdGorAwCgIQAgAw0ACwsgCCAAmiAAIAwbOQMAIAUrA6ABIAChIQBBASEBIAJBAEoEQANAIAAgBUGgAWogAUEDdGorAwCgIQAgASACRyEDIAFBAWohASADDQALCyAIIACaIAAgDBs5AwggBUGwBGokACAHQQdxIQIgCCsDACEAIBpCAFMEQCAEIACaOQMAIAQgCCsDCJo5AwhBACACayECDAELIAQgADkDACAEIAgrAwg5AwgLIAhBMGokAAJAAkACQAJAIAJBA3EOAwABAgMLIAQrAwAgBCsDCEEBEAghAAwDCyAEKwMAIAQrAwgQDyEADAILIAQrAwAgBCsDCEEBEAiaIQAMAQsgBCsDACAEKwMIEA+aIQALIARBEGokACAAC5IBAQN8RAAAAAAAAPA/IAAgAKIiAkQAAAAAAADgP6IiA6EiBEQAAAAAAADwPyAEoSADoSACIAIgAiACRJAVyxmgAfo+okR3UcEWbMFWv6CiRExVVVVVVaU/oKIgAiACoiIDIAOiIAIgAkTUOIi+6fqovaJExLG0vZ7uIT6gokStUpyAT36SvqCioKIgACABoqGgoAspACAAKAJIEAIgACgCTBACIAAoAjwQAiAAKAJEEAIgACgCQBACIAAQAgvCAQEHfyABQQJ0IgYgACgCQGoiBygCACECQQAhAQJAIAAoAjwgBmoiCCgCACIGIAMoAgAiCU4NACAAKAIMIQMgACgCKCEKIAAoAiQhCyAAKAJcIQwgBSgCACIAQQAgAEEAShshAANAIAAgAUYEQCAAIQEMAgsgBCABIAxsQQJ0akEANgIAIAIgCmoiAiADQQAgAiADTyIFG2shAiABQQFqIQEgBiALaiAFaiIGIAlIDQALCyAIIAY2AgAgByACNgIAIAELmQQCE38BfSABQQJ0IgYgACgCQGoiFCgCACEHQQAhAQJAIAAoAjwgBmoiFSgCACIGIAMoAgAiDU4NACAAKAIMIQsgACgCKCEOIAAoAiQhDyAAKAJcIRAgBSgCACIDQQAgA0EAShshAyAAKAIYIgxBAEwEQANAIAEgA0YEQCADIQEMAwsgBCABIBBsQQJ0akEANgIAIAcgDmoiACALQQAgACALTyIAG2shByABQQFqIQEgBiAPaiAAaiIGIA1IDQAMAgsACyAAKAJMIRYgDEF8cSEXIAxBA3EhESAMQQRJIRgDQCABIANGBEAgAyEBDAILIAIgBkECdGohBSAWIAcgDGxBAnRqIQlDAAAAACEZQQAhEkEAIQBBACETIBhFBEADQCAJIABBAnQiCEEMciIKaioCACAFIApqKgIAlCAJIAhBCHIiCmoqAgAgBSAKaioCAJQgCSAIQQRyIgpqKgIAIAUgCmoqAgCUIAggCWoqAgAgBSAIaioCAJQgGZKSkpIhGSAAQQRqIQAgE0EEaiITIBdHDQALCyARBEADQCAJIABBAnQiCGoqAgAgBSAIaioCAJQgGZIhGSAAQQFqIQAgEkEBaiISIBFHDQALCyAEIAEgEGxBAnRqIBk4AgAgByAOaiIAIAtBACAAIAtPIgAbayEHIAFBAWohASAGIA9qIABqIgYgDUgNAAsLIBUgBjYCACAUIAc2AgAgAQv3AwIOfwR8IAFBAnQiBiAAKAJAaiIRKAIAIQdBACEBAkAgACgCPCAGaiISKAIAIgYgAygCACIMTg0AIAAoAgwhCSAAKAIoIQ0gACgCJCEOIAAoAlwhDyAFKAIAIgNBACADQQBKGyEDIAAoAhgiEEEASgRAIAAoAkwhEwNAIAEgA0YEQCADIQEMAwsgAiAGQQJ0aiEAIBMgByAQbEECdGohCkEAIQVEAAAAAAAAAAAhFEQAAAAAAAAAACEVRAAAAAAAAAAAIRZEAAAAAAAAAAAhFwNAIBcgCiAFQQJ0IghqKgIAIAAgCGoqAgCUu6AhFyAUIAogCEEMciILaioCACAAIAtqKgIAlLugIRQgFSAKIAhBCHIiC2oqAgAgACALaioCAJS7oCEVIBYgCiAIQQRyIghqKgIAIAAgCGoqAgCUu6AhFiAFQQRqIgUgEEgNAAsgBCABIA9sQQJ0aiAXIBagIBWgIBSgtjgCACAHIA1qIgAgCUEAIAAgCU8iABtrIQcgAUEBaiEBIAYgDmogAGoiBiAMSA0ACwwBCwNAIAEgA0YEQCADIQEMAgsgBCABIA9sQQJ0akEANgIAIAcgDWoiACAJQQAgACAJTyIAG2shByABQQFqIQEgBiAOaiAAaiIGIAxIDQALCyASIAY2AgAgESAHNgIAIAELhQQCCX0QfyABQQJ0IgEgACgCQGoiEygCACEQAkAgACgCPCABaiIUKAIAIhEgAygCACIVTg0AIAAoAighFiAAKAIkIRcgACgCXCEYIAUoAgAiAUEAIAFBAEobIQMgACgCDCIFsyEMIAAoAhgiGUEATCEaA0AgAyAPRgRAIAMhDwwCCyAAKAIwIhsgEGwiASABIAVuIhwgBWxrsyAMlSEGAkAgGgRAQwAAAAAhCUMAAAAAIQpDAAAAACELQwAAAAAhBwwBCyACIBFBAnRqIR0gACgCTCEeQQAhAUMAAAAAIQdDAAAAACELQwAAAAAhCkMAAAAAIQkDQCAdIAFBAnRqKgIAIgggAUEBaiIBIBtsIBxrQQJ0IB5qIhIqAhSUIAeSIQcgCCASKgIQlCALkiELIAggEioCDJQgCpIhCiAIIBIqAgiUIAmSIQkgASAZRw0ACwsgBCAPIBhsQQJ0aiAGQzuqqr6UIAZDAAAAP5QgBpQiCJIgBiAGIAZDiqsqPpSUlCINkyIOIAeURAAAAAAAAPA/IAZDiqsqvpQgDZIiB7uhIAggBpIgCCAGlJMiBruhIA67obYgC5QgByAJlCAGIAqUkpKSOAIAIBAgFmoiASAFQQAgASAFTyIBG2shECAPQQFqIQ8gESAXaiABaiIRIBVIDQALCyAUIBE2AgAgEyAQNgIAIA8LrQQDBH0QfwZ8IAFBAnQiASAAKAJAaiIOKAIAIQsCQCAAKAI8IAFqIg8oAgAiDCADKAIAIhBODQAgACgCKCERIAAoAiQhEiAAKAJcIRMgBSgCACIBQQAgAUEAShshAyAAKAIMIgWzIQggACgCGCIUQQBMIRUDQCADIApGBEAgAyEKDAILIAAoAjAiFiALbCIBIAEgBW4iFyAFbGuzIAiVIQYCQCAVBEBEAAAAAAAAAAAhG0QAAAAAAAAAACEcRAAAAAAAAAAAIR1EAAAAAAAAAAAhGgwBCyACIAxBAnRqIRggACgCTCEZQQAhAUQAAAAAAAAAACEaRAAAAAAAAAAAIR1EAAAAAAAAAAAhHEQAAAAAAAAAACEbA0AgGiAYIAFBAnRqKgIAIgcgAUEBaiIBIBZsIBdrQQJ0IBlqIg0qAhSUu6AhGiAdIAcgDSoCEJS7oCEdIBwgByANKgIMlLugIRwgGyAHIA0qAgiUu6AhGyABIBRHDQALCyAEIAogE2xBAnRqIAZDO6qqvpQgBkMAAAA/lCAGlCIHkiAGIAYgBkOKqyo+lJSUIgmTuyIeIBqiRAAAAAAAAPA/IAZDiqsqvpQgCZK7IhqhIAcgBpIgByAGlJO7Ih+hIB6htrsgHaIgGiAboiAcIB+ioKCgtjgCACALIBFqIgEgBUEAIAEgBU8iARtrIQsgCkEBaiEKIAwgEmogAWoiDCAQSA0ACwsgDyAMNgIAIA4gCzYCACAKCyEBAX9BvQghASAAQQRNBH8gAEECdEGwFmooAgAFQb0ICwsWACABIAAoAgA2AgAgAiAAKAIENgIAC8sBAQZ/IAAoAlwhCCACKAIAIQYgBCgCACEHIAAgACgCFCIFNgJcIAAoAlghCSAAIAU2AlgCQCAFRQ0AQQAhBSABRQRAA0AgBCAHNgIAIAIgBjYCACAAIAVBACACIAMgBUECdGogBBAKIAVBAWoiBSAAKAIUSQ0ADAILAAsDQCAEIAc2AgAgAiAGNgIAIAAgBSABIAVBAnQiCmogAiADIApqIAQQCiAFQQFqIgUgACgCFEkNAAsLIAAgCDYCXCAAIAk2AlggACgCVEEFRgvYBAEFfwJ/AkACQAJAIABFDQAgAUUNACACRQ0AIANBC0kNAQsgBEUNASAEQQM2AgBBAAwCC0HgABAFIgVFBEBBACEFIARFDQEgBEEBNgIAQQAMAgsgBUGAgID8AzYCLCAFQX82AhAgBUKBgICAEDcCWCAFIAA2AhQgBUGgATYCICAFIABBAnQiBhAFIgc2AjxBACEAAkAgB0UNACAFIAYQBSIINgJEIAhFDQAgBSAGEAUiBjYCQCAIIQAgBkUNACAFIAM2AhAgAiEAAkAgAUUNACACRQ0AAkAgBSgCACABRw0AIAUoAgQgAEcNACAFKAIIIAFHDQAgBSgCDCACRg0BCyAFIAA2AgQgBSABNgIAIAUoAgwhCSABIQAgAiEDA0AgACADIgBwIgMNAAsgBSACIABuNgIMIAUgASAAbjYCCAJAIAlFDQAgBSgCFEUNACAFKAJAIQhBACEDA0AgCCADQQJ0aiIHKAIAIgAgACAJbiIBIAlsayICQX8gBSgCDCIGbiIASw0CIAAgAUkNAiABIAZsIgEgAiAGbCAJbiIAQX9zSw0CIAcgACABaiIBNgIAIAEgBSgCDCIATwRAIAcgAEEBazYCAAsgA0EBaiIDIAUoAhRJDQALCyAFKAI0RQ0AIAUQDRoLAkAgBRANIgBFBEAgBUEBNgI0DAELIAUoAkgQAiAFKAJMEAIgBSgCPBACIAUoAkQQAiAFKAJAEAIgBRACQQAhBQsgBEUNASAEIAA2AgAgBQwCCyAEBEAgBEEBNgIACyAHEAIgABACIAUQAkEAIQULIAULCwvoJAYAQYAIC6YBSW52YWxpZCBhcmd1bWVudC4AU3VjY2Vzcy4ASW5wdXQgYW5kIG91dHB1dCBidWZmZXJzIG92ZXJsYXAuAFVua25vd24gZXJyb3IuIEJhZCBlcnJvciBjb2RlIG9yIHN0cmFuZ2UgdmVyc2lvbiBtaXNtYXRjaC4AQmFkIHJlc2FtcGxlciBzdGF0ZS4ATWVtb3J5IGFsbG9jYXRpb24gZmFpbGVkLgBBsAkL0AgIAAAABAAAAOF6VD/2KFw/jAUAABAAAAAEAAAAmplZP65HYT+MBQAAIAAAAAQAAADBymE/w/VoP4wFAAAwAAAACAAAALgeZT+DwGo/lAUAAEAAAAAIAAAAqMZrP9ejcD+UBQAAUAAAABAAAAAxCGw/16NwP5wFAABgAAAAEAAAANejcD+F63E/nAUAAIAAAAAQAAAAMzNzPzMzcz+cBQAAoAAAABAAAACPwnU/j8J1P5wFAADAAAAAIAAAANnOdz/Zznc/pAUAAAABAAAgAAAAmpl5P5qZeT+kBQAAsAUAACAAAADQBgAAIAAAAPAHAAAgAAAAEAkAAEAAAAAAAAAAJZHguiDq7z8AAAAAAADwPyWR4Log6u8/3ksrz82o7z9aH/+a5jzvP1XPF7Xap+4/vqBk9qLr7T/XkG46uArtP4voz2UHCOw/td5vtOPm6j9YAHQU96rpPyJyVTQxWOg/UMWuabXy5j9Y5LYByH7lP5RFJ2y7AOQ/RytKS9184j+po+NqZPfgP6qpl6W+6N4/FsR6gkjv2z9LZsyPhQnZPz/p4VfuPdY/wmpufT+S0z+gvqdqaQvRPytyXzkIW80/J5liL5D3yD+hB8qvF/HEP8pirICMSsE/IsW+bFQKvD9hhQCFH0G2P4/ecB+5NbE/Q4TJnk7DqT8he3vfEXiiP/NHKOi855g/We0O5+l1jj8hAg6hSs1+PwAAAAAAAAAAwVNMzh7i7z8AAAAAAADwP8FTTM4e4u8/z0LImg2J7z8MbeeYf/buP4gSLXk8Le4/mk30twwx7T+1sMC6ngbsP8yZDhlms+o/3Hksx3U96T9RqyK7VqvnP5U2yU3cA+Y/davnpPdN5D93AJvei5DiPxOB6h9E0uA/xgDD0dky3j9TPgRVo9faP9kIYcE/ndc/qGoG4Z+M1D9uJH0YKa3RP1rvefZDCc4/GwBgK1cuyT9RlmsbkM7EP4vsWq3Z68A/6dYpXn4Kuz/fF/rUby61PwYNgUwAOLA/yr1E5fQvqD+mFfjtmHihP0v1U9J5Q5g/lM+f9I0BkD8Abjc9/6iDP95pGUbNmXU/4IWMy+EoYz/8qfHSTWJAPwAAAAAAAAAAuaajkCLa7z8AAAAAAADwP7mmo5Ai2u8/hQsW2ntp7z9ERs1417DuPyZTw4bAtO0/M9ouXVZ77D+pzhc5EwzrP6nqcSGHb+k/cuaRHgqv5z/W0WnEadTlP8CnpBSV6eM/OaAA5Ur44T/qgxvfzQngP1Vq1TJCTdw/Q13e+5+s2D8PWvbBhT7VPx8F28pDDdI/oGc3IxhBzj+Mi3rz4frIP/CuSIb7TMQ/dOMnH8w3wD/uYYrNIm+5PztOVcoAirM/6GEuyuhXrT8kM80qInmlP7tpbfnMgp4/Iix0b4/vlD8+Ed0W2YyLP13CX5umMoE/UAiy2AUHdD+ByCq+BBtlP9zuq5Ov21I/G8qaom1GNz8AQZASC7IEyFEM0oT07z8AAAAAAADwP8hRDNKE9O8/9pUH6SnS7z/a08TxMpnvP9T9ENkPSu8/fp+7blvl7j9hwT+d2WvuPx3X8SV13u0/an9v7Dw+7T/J6jXBYIzsP3ckRQEuyus/Hrx+2gv56j860L80dxrqP/UlI4D+L+k/8kBDgz076D8OB1Pe2D3nP/fyr6N5OeY/TMjFIMkv5T/OuHiRbCLkP/+ZWhkBE+M/L5wx7RcD4j9j2QbNMvTgP01ahnKBz98/zY9k+zW+3T8VxjeQBbfbP+AHrag9vNk/YDMKk/PP1z/zHfzEAfTVP0qFZ/gFKtQ/5808FGBz0j+NyjQ3MtHQP9jRevDBiM4/ryd4Eiqbyz/ISJPeedrIP7XPWyMfR8Y/PVdCFB/hwz+1zQFAHajBP026kLvGNr8/LgwmONRzuz9mkgUKxAS4P4BUFsd55rQ/YkhOJm4Vsj+kFYSXhRuvP+yy6yCnlqo/l6hBRZOTpj8+eC/vWAmjP9XnrEfI3Z8/bM9NFzl2mj/08djo/8mVPw8LtaZ5x5E/VRds+h67jD/+pLEosveGPzy3lup+JYI/pfu1zFROfD9nH1R3n8J1PwXEfxU7dXA/dH+znJ1vaD/T8PMAksBhP/dS2/qnI1k/P8Gs7XlAUT/xQgCR+sJGP3uyzVM+gDw/JlGSIvCPMD/HVG5gehQhP32Jfzcgqws/8WjjiLX45D4AAAAAAAAAABIEAACNBAAAeAQAAAAEAAAbBABB0BYL1xUDAAAABAAAAAQAAAAGAAAAg/miAERObgD8KRUA0VcnAN009QBi28AAPJmVAEGQQwBjUf4Au96rALdhxQA6biQA0k1CAEkG4AAJ6i4AHJLRAOsd/gApsRwA6D6nAPU1ggBEuy4AnOmEALQmcABBfl8A1pE5AFODOQCc9DkAi1+EACj5vQD4HzsA3v+XAA+YBQARL+8AClqLAG0fbQDPfjYACcsnAEZPtwCeZj8ALepfALondQDl68cAPXvxAPc5BwCSUooA+2vqAB+xXwAIXY0AMANWAHv8RgDwq2sAILzPADb0mgDjqR0AXmGRAAgb5gCFmWUAoBRfAI1AaACA2P8AJ3NNAAYGMQDKVhUAyahzAHviYABrjMAAGcRHAM1nwwAJ6NwAWYMqAIt2xACmHJYARK/dABlX0QClPgUABQf/ADN+PwDCMugAmE/eALt9MgAmPcMAHmvvAJ/4XgA1HzoAf/LKAPGHHQB8kCEAaiR8ANVu+gAwLXcAFTtDALUUxgDDGZ0ArcTCACxNQQAMAF0Ahn1GAONxLQCbxpoAM2IAALTSfAC0p5cAN1XVANc+9gCjEBgATXb8AGSdKgBw16sAY3z4AHqwVwAXFecAwElWADvW2QCnhDgAJCPLANaKdwBaVCMAAB+5APEKGwAZzt8AnzH/AGYeagCZV2EArPtHAH5/2AAiZbcAMuiJAOa/YADvxM0AbDYJAF0/1AAW3tcAWDveAN6bkgDSIigAKIboAOJYTQDGyjIACOMWAOB9ywAXwFAA8x2nABjgWwAuEzQAgxJiAINIAQD1jlsArbB/AB7p8gBISkMAEGfTAKrd2ACuX0IAamHOAAoopADTmbQABqbyAFx3fwCjwoMAYTyIAIpzeACvjFoAb9e9AC2mYwD0v8sAjYHvACbBZwBVykUAytk2ACio0gDCYY0AEsl3AAQmFAASRpsAxFnEAMjFRABNspEAABfzANRDrQApSeUA/dUQAAC+/AAelMwAcM7uABM+9QDs8YAAs+fDAMf4KACTBZQAwXE+AC4JswALRfMAiBKcAKsgewAutZ8AR5LCAHsyLwAMVW0AcqeQAGvnHwAxy5YAeRZKAEF54gD034kA6JSXAOLmhACZMZcAiO1rAF9fNgC7/Q4ASJq0AGekbABxckIAjV0yAJ8VuAC85QkAjTElAPd0OQAwBRwADQwBAEsIaAAs7lgAR6qQAHTnAgC91iQA932mAG5IcgCfFu8AjpSmALSR9gDRU1EAzwryACCYMwD1S34AsmNoAN0+XwBAXQMAhYl/AFVSKQA3ZMAAbdgQADJIMgBbTHUATnHUAEVUbgALCcEAKvVpABRm1QAnB50AXQRQALQ72wDqdsUAh/kXAElrfQAdJ7oAlmkpAMbMrACtFFQAkOJqAIjZiQAsclAABKS+AHcHlADzMHAAAPwnAOpxqABmwkkAZOA9AJfdgwCjP5cAQ5T9AA2GjAAxQd4AkjmdAN1wjAAXt+cACN87ABU3KwBcgKAAWoCTABARkgAP6NgAbICvANv/SwA4kA8AWRh2AGKlFQBhy7sAx4m5ABBAvQDS8gQASXUnAOu29gDbIrsAChSqAIkmLwBkg3YACTszAA6UGgBROqoAHaPCAK/trgBcJhIAbcJNAC16nADAVpcAAz+DAAnw9gArQIwAbTGZADm0BwAMIBUA2MNbAPWSxADGrUsATsqlAKc3zQDmqTYAq5KUAN1CaAAZY94AdozvAGiLUgD82zcArqGrAN8VMQAArqEADPvaAGRNZgDtBbcAKWUwAFdWvwBH/zoAavm5AHW+8wAok98Aq4AwAGaM9gAEyxUA+iIGANnkHQA9s6QAVxuPADbNCQBOQukAE76kADMjtQDwqhoAT2WoANLBpQALPw8AW3jNACP5dgB7iwQAiRdyAMamUwBvbuIA7+sAAJtKWADE2rcAqma6AHbPzwDRAh0AsfEtAIyZwQDDrXcAhkjaAPddoADGgPQArPAvAN3smgA/XLwA0N5tAJDHHwAq27YAoyU6AACvmgCtU5MAtlcEACkttABLgH4A2genAHaqDgB7WaEAFhIqANy3LQD65f0Aidv+AIm+/QDkdmwABqn8AD6AcACFbhUA/Yf/ACg+BwBhZzMAKhiGAE296gCz568Aj21uAJVnOQAxv1sAhNdIADDfFgDHLUMAJWE1AMlwzgAwy7gAv2z9AKQAogAFbOQAWt2gACFvRwBiEtIAuVyEAHBhSQBrVuAAmVIBAFBVNwAe1bcAM/HEABNuXwBdMOQAhS6pAB2ywwChMjYACLekAOqx1AAW9yEAj2nkACf/dwAMA4AAjUAtAE/NoAAgpZkAs6LTAC9dCgC0+UIAEdrLAH2+0ACb28EAqxe9AMqigQAIalwALlUXACcAVQB/FPAA4QeGABQLZACWQY0Ah77eANr9KgBrJbYAe4k0AAXz/gC5v54AaGpPAEoqqABPxFoALfi8ANdamAD0x5UADU2NACA6pgCkV18AFD+xAIA4lQDMIAEAcd2GAMnetgC/YPUATWURAAEHawCMsKwAssDQAFFVSAAe+w4AlXLDAKMGOwDAQDUABtx7AOBFzABOKfoA1srIAOjzQQB8ZN4Am2TYANm+MQCkl8MAd1jUAGnjxQDw2hMAujo8AEYYRgBVdV8A0r31AG6SxgCsLl0ADkTtABw+QgBhxIcAKf3pAOfW8wAifMoAb5E1AAjgxQD/140AbmriALD9xgCTCMEAfF10AGutsgDNbp0APnJ7AMYRagD3z6kAKXPfALXJugC3AFEA4rINAHS6JADlfWAAdNiKAA0VLACBGAwAfmaUAAEpFgCfenYA/f2+AFZF7wDZfjYA7NkTAIu6uQDEl/wAMagnAPFuwwCUxTYA2KhWALSotQDPzA4AEoktAG9XNAAsVokAmc7jANYguQBrXqoAPiqcABFfzAD9C0oA4fT7AI47bQDihiwA6dSEAPy0qQDv7tEALjXJAC85YQA4IUQAG9nIAIH8CgD7SmoALxzYAFO0hABOmYwAVCLMACpV3ADAxtYACxmWABpwuABplWQAJlpgAD9S7gB/EQ8A9LURAPzL9QA0vC0ANLzuAOhdzADdXmAAZ46bAJIz7wDJF7gAYVibAOFXvABRg8YA2D4QAN1xSAAtHN0ArxihACEsRgBZ89cA2XqYAJ5UwABPhvoAVgb8AOV5rgCJIjYAOK0iAGeT3ABV6KoAgiY4AMrnmwBRDaQAmTOxAKnXDgBpBUgAZbLwAH+IpwCITJcA+dE2ACGSswB7gkoAmM8hAECf3ADcR1UA4XQ6AGfrQgD+nd8AXtRfAHtnpAC6rHoAVfaiACuIIwBBulUAWW4IACEqhgA5R4MAiePmAOWe1ABJ+0AA/1bpABwPygDFWYoAlPorANPBxQAPxc8A21quAEfFhgCFQ2IAIYY7ACx5lAAQYYcAKkx7AIAsGgBDvxIAiCaQAHg8iQCoxOQA5dt7AMQ6wgAm9OoA92eKAA2SvwBloysAPZOxAL18CwCkUdwAJ91jAGnh3QCalBkAqCmVAGjOKAAJ7bQARJ8gAE6YygBwgmMAfnwjAA+5MgCn9Y4AFFbnACHxCAC1nSoAb35NAKUZUQC1+asAgt/WAJbdYQAWNgIAxDqfAIOioQBy7W0AOY16AIK4qQBrMlwARidbAAA07QDSAHcA/PRVAAFZTQDgcYAAQbMsCz1A+yH5PwAAAAAtRHQ+AAAAgJhG+DwAAABgUcx4OwAAAICDG/A5AAAAQCAlejgAAACAIoLjNgAAAAAd82k1AEHwLAsDcBgB";
-        if (!isDataURI(wasmBinaryFile)) {
-            wasmBinaryFile = locateFile(wasmBinaryFile);
-        }
+        function findWasmBinary() { return locateFile("speex_wasm.wasm"); }
         function getBinarySync(file) { if (file == wasmBinaryFile && wasmBinary) {
             return new Uint8Array(wasmBinary);
-        } var binary = tryParseAsDataURI(file); if (binary) {
-            return binary;
         } if (readBinary) {
             return readBinary(file);
         } throw "both async and sync fetching of the wasm failed"; }
-        function getBinaryPromise(binaryFile) { return Promise.resolve().then((() => getBinarySync(binaryFile))); }
-        function instantiateArrayBuffer(binaryFile, imports, receiver) { return getBinaryPromise(binaryFile).then((binary => WebAssembly.instantiate(binary, imports))).then((instance => instance)).then(receiver, (reason => { err("failed to asynchronously prepare wasm: " + reason); abort(reason); })); }
-        function instantiateAsync(binary, binaryFile, imports, callback) { return instantiateArrayBuffer(binaryFile, imports, callback); }
-        function createWasm() { var info = { "a": wasmImports }; function receiveInstance(instance, module) { var exports = instance.exports; Module["asm"] = exports; wasmMemory = Module["asm"]["c"]; updateMemoryViews(); wasmTable = Module["asm"]["k"]; addOnInit(Module["asm"]["d"]); removeRunDependency("wasm-instantiate"); return exports; } addRunDependency("wasm-instantiate"); function receiveInstantiationResult(result) { receiveInstance(result["instance"]); } if (Module["instantiateWasm"]) {
+        async function getWasmBinary(binaryFile) { if (!wasmBinary) {
+            try {
+                var response = await readAsync(binaryFile);
+                return new Uint8Array(response);
+            }
+            catch { }
+        } return getBinarySync(binaryFile); }
+        async function instantiateArrayBuffer(binaryFile, imports) { try {
+            var binary = await getWasmBinary(binaryFile);
+            var instance = await WebAssembly.instantiate(binary, imports);
+            return instance;
+        }
+        catch (reason) {
+            err("failed to asynchronously prepare wasm: ".concat(reason));
+            abort(reason);
+        } }
+        async function instantiateAsync(binary, binaryFile, imports) { if (!binary && WebAssembly.instantiateStreaming && !isFileURI(binaryFile) && !ENVIRONMENT_IS_NODE) {
             try {
-                return Module["instantiateWasm"](info, receiveInstance);
+                var response = fetch(binaryFile, { credentials: "same-origin" });
+                var instantiationResult = await WebAssembly.instantiateStreaming(response, imports);
+                return instantiationResult;
             }
-            catch (e) {
-                err("Module.instantiateWasm callback failed with error: " + e);
-                readyPromiseReject(e);
+            catch (reason) {
+                err("wasm streaming compile failed: ".concat(reason));
+                err("falling back to ArrayBuffer instantiation");
             }
-        } instantiateAsync(wasmBinary, wasmBinaryFile, info, receiveInstantiationResult).catch(readyPromiseReject); return {}; }
+        } return instantiateArrayBuffer(binaryFile, imports); }
+        function getWasmImports() { var imports = { a: wasmImports }; return imports; }
+        async function createWasm() { function receiveInstance(instance, module) { wasmExports = instance.exports; assignWasmExports(wasmExports); updateMemoryViews(); return wasmExports; } function receiveInstantiationResult(result) { return receiveInstance(result["instance"]); } var info = getWasmImports(); if (Module["instantiateWasm"]) {
+            return new Promise((resolve, reject) => { Module["instantiateWasm"](info, (inst, mod) => { resolve(receiveInstance(inst, mod)); }); });
+        } wasmBinaryFile !== null && wasmBinaryFile !== void 0 ? wasmBinaryFile : wasmBinaryFile = findWasmBinary(); var result = await instantiateAsync(wasmBinary, wasmBinaryFile, info); var exports = receiveInstantiationResult(result); return exports; }
+        class ExitStatus {
+            constructor(status) { _defineProperty(this, "name", "ExitStatus"); this.message = "Program terminated with exit(".concat(status, ")"); this.status = status; }
+        }
+        var HEAP16;
+        var HEAP32;
+        var HEAP8;
+        var HEAPF32;
+        var HEAPF64;
+        var HEAPU16;
+        var HEAPU32;
+        var HEAPU8;
         var callRuntimeCallbacks = callbacks => { while (callbacks.length > 0) {
             callbacks.shift()(Module);
         } };
-        function getValue(ptr, type = "i8") { if (type.endsWith("*"))
+        var onPostRuns = [];
+        var addOnPostRun = cb => onPostRuns.push(cb);
+        var onPreRuns = [];
+        var addOnPreRun = cb => onPreRuns.push(cb);
+        function getValue(ptr) { let type = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : "i8"; if (type.endsWith("*"))
             type = "*"; switch (type) {
-            case "i1": return HEAP8[ptr >> 0];
-            case "i8": return HEAP8[ptr >> 0];
+            case "i1": return HEAP8[ptr];
+            case "i8": return HEAP8[ptr];
             case "i16": return HEAP16[ptr >> 1];
             case "i32": return HEAP32[ptr >> 2];
             case "i64": abort("to do getValue(i64) use WASM_BIGINT");
             case "float": return HEAPF32[ptr >> 2];
             case "double": return HEAPF64[ptr >> 3];
             case "*": return HEAPU32[ptr >> 2];
-            default: abort(`invalid type for getValue: ${type}`);
+            default: abort("invalid type for getValue: ".concat(type));
         } }
-        function intArrayToString(array) { var ret = []; for (var i = 0; i < array.length; i++) {
-            var chr = array[i];
-            if (chr > 255) {
-                chr &= 255;
-            }
-            ret.push(String.fromCharCode(chr));
-        } return ret.join(""); }
-        function setValue(ptr, value, type = "i8") { if (type.endsWith("*"))
+        var noExitRuntime = true;
+        function setValue(ptr, value) { let type = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : "i8"; if (type.endsWith("*"))
             type = "*"; switch (type) {
             case "i1":
-                HEAP8[ptr >> 0] = value;
+                HEAP8[ptr] = value;
                 break;
             case "i8":
-                HEAP8[ptr >> 0] = value;
+                HEAP8[ptr] = value;
                 break;
             case "i16":
                 HEAP16[ptr >> 1] = value;
@@ -213,11 +182,11 @@ var Speex = (() => {
             case "*":
                 HEAPU32[ptr >> 2] = value;
                 break;
-            default: abort(`invalid type for setValue: ${type}`);
+            default: abort("invalid type for setValue: ".concat(type));
         } }
-        var _emscripten_memcpy_big = (dest, src, num) => HEAPU8.copyWithin(dest, src, src + num);
         var getHeapMax = () => 2147483648;
-        var growMemory = size => { var b = wasmMemory.buffer; var pages = size - b.byteLength + 65535 >>> 16; try {
+        var alignMemory = (size, alignment) => Math.ceil(size / alignment) * alignment;
+        var growMemory = size => { var oldHeapSize = wasmMemory.buffer.byteLength; var pages = (size - oldHeapSize + 65535) / 65536 | 0; try {
             wasmMemory.grow(pages);
             updateMemoryViews();
             return 1;
@@ -225,77 +194,73 @@ var Speex = (() => {
         catch (e) { } };
         var _emscripten_resize_heap = requestedSize => { var oldSize = HEAPU8.length; requestedSize >>>= 0; var maxHeapSize = getHeapMax(); if (requestedSize > maxHeapSize) {
             return false;
-        } var alignUp = (x, multiple) => x + (multiple - x % multiple) % multiple; for (var cutDown = 1; cutDown <= 4; cutDown *= 2) {
+        } for (var cutDown = 1; cutDown <= 4; cutDown *= 2) {
             var overGrownHeapSize = oldSize * (1 + .2 / cutDown);
             overGrownHeapSize = Math.min(overGrownHeapSize, requestedSize + 100663296);
-            var newSize = Math.min(maxHeapSize, alignUp(Math.max(requestedSize, overGrownHeapSize), 65536));
+            var newSize = Math.min(maxHeapSize, alignMemory(Math.max(requestedSize, overGrownHeapSize), 65536));
             var replacement = growMemory(newSize);
             if (replacement) {
                 return true;
             }
         } return false; };
         var AsciiToString = ptr => { var str = ""; while (1) {
-            var ch = HEAPU8[ptr++ >> 0];
+            var ch = HEAPU8[ptr++];
             if (!ch)
                 return str;
             str += String.fromCharCode(ch);
         } };
-        var wasmImports = { a: _emscripten_memcpy_big, b: _emscripten_resize_heap };
-        var asm = createWasm();
-        var ___wasm_call_ctors = function () { return (___wasm_call_ctors = Module["asm"]["d"]).apply(null, arguments); };
-        var _speex_resampler_init = Module["_speex_resampler_init"] = function () { return (_speex_resampler_init = Module["_speex_resampler_init"] = Module["asm"]["e"]).apply(null, arguments); };
-        var _free = Module["_free"] = function () { return (_free = Module["_free"] = Module["asm"]["f"]).apply(null, arguments); };
-        var _speex_resampler_destroy = Module["_speex_resampler_destroy"] = function () { return (_speex_resampler_destroy = Module["_speex_resampler_destroy"] = Module["asm"]["g"]).apply(null, arguments); };
-        var _speex_resampler_process_interleaved_float = Module["_speex_resampler_process_interleaved_float"] = function () { return (_speex_resampler_process_interleaved_float = Module["_speex_resampler_process_interleaved_float"] = Module["asm"]["h"]).apply(null, arguments); };
-        var _speex_resampler_get_rate = Module["_speex_resampler_get_rate"] = function () { return (_speex_resampler_get_rate = Module["_speex_resampler_get_rate"] = Module["asm"]["i"]).apply(null, arguments); };
-        var _speex_resampler_strerror = Module["_speex_resampler_strerror"] = function () { return (_speex_resampler_strerror = Module["_speex_resampler_strerror"] = Module["asm"]["j"]).apply(null, arguments); };
-        var ___errno_location = function () { return (___errno_location = Module["asm"]["__errno_location"]).apply(null, arguments); };
-        var _malloc = Module["_malloc"] = function () { return (_malloc = Module["_malloc"] = Module["asm"]["l"]).apply(null, arguments); };
-        function intArrayFromBase64(s) { try {
-            var decoded = atob(s);
-            var bytes = new Uint8Array(decoded.length);
-            for (var i = 0; i < decoded.length; ++i) {
-                bytes[i] = decoded.charCodeAt(i);
+        {
+            if (Module["noExitRuntime"])
+                noExitRuntime = Module["noExitRuntime"];
+            if (Module["print"])
+                out = Module["print"];
+            if (Module["printErr"])
+                err = Module["printErr"];
+            if (Module["wasmBinary"])
+                wasmBinary = Module["wasmBinary"];
+            if (Module["arguments"])
+                arguments_ = Module["arguments"];
+            if (Module["thisProgram"])
+                thisProgram = Module["thisProgram"];
+            if (Module["preInit"]) {
+                if (typeof Module["preInit"] == "function")
+                    Module["preInit"] = [Module["preInit"]];
+                while (Module["preInit"].length > 0) {
+                    Module["preInit"].shift()();
+                }
             }
-            return bytes;
         }
-        catch (_) {
-            throw new Error("Converting base64 string to bytes failed.");
-        } }
-        function tryParseAsDataURI(filename) { if (!isDataURI(filename)) {
-            return;
-        } return intArrayFromBase64(filename.slice(dataURIPrefix.length)); }
         Module["setValue"] = setValue;
         Module["getValue"] = getValue;
         Module["AsciiToString"] = AsciiToString;
-        var calledRun;
-        dependenciesFulfilled = function runCaller() { if (!calledRun)
-            run(); if (!calledRun)
-            dependenciesFulfilled = runCaller; };
-        function run() { if (runDependencies > 0) {
-            return;
-        } preRun(); if (runDependencies > 0) {
-            return;
-        } function doRun() { if (calledRun)
-            return; calledRun = true; Module["calledRun"] = true; if (ABORT)
-            return; initRuntime(); readyPromiseResolve(Module); if (Module["onRuntimeInitialized"])
-            Module["onRuntimeInitialized"](); postRun(); } if (Module["setStatus"]) {
+        var _speex_resampler_init, _speex_resampler_init_frac, _speex_resampler_set_rate_frac, _free, _speex_resampler_set_quality, _speex_resampler_destroy, _speex_resampler_process_float, _speex_resampler_process_interleaved_float, _speex_resampler_process_interleaved_int, _speex_resampler_set_rate, _speex_resampler_get_rate, _speex_resampler_get_ratio, _speex_resampler_get_input_latency, _speex_resampler_get_output_latency, _speex_resampler_skip_zeros, _speex_resampler_reset_mem, _speex_resampler_strerror, _malloc, memory, __indirect_function_table, wasmMemory;
+        function assignWasmExports(wasmExports) { _speex_resampler_init = Module["_speex_resampler_init"] = wasmExports["d"]; _speex_resampler_init_frac = Module["_speex_resampler_init_frac"] = wasmExports["e"]; _speex_resampler_set_rate_frac = Module["_speex_resampler_set_rate_frac"] = wasmExports["f"]; _free = Module["_free"] = wasmExports["g"]; _speex_resampler_set_quality = Module["_speex_resampler_set_quality"] = wasmExports["h"]; _speex_resampler_destroy = Module["_speex_resampler_destroy"] = wasmExports["i"]; _speex_resampler_process_float = Module["_speex_resampler_process_float"] = wasmExports["j"]; _speex_resampler_process_interleaved_float = Module["_speex_resampler_process_interleaved_float"] = wasmExports["k"]; _speex_resampler_process_interleaved_int = Module["_speex_resampler_process_interleaved_int"] = wasmExports["l"]; _speex_resampler_set_rate = Module["_speex_resampler_set_rate"] = wasmExports["m"]; _speex_resampler_get_rate = Module["_speex_resampler_get_rate"] = wasmExports["n"]; _speex_resampler_get_ratio = Module["_speex_resampler_get_ratio"] = wasmExports["o"]; _speex_resampler_get_input_latency = Module["_speex_resampler_get_input_latency"] = wasmExports["p"]; _speex_resampler_get_output_latency = Module["_speex_resampler_get_output_latency"] = wasmExports["q"]; _speex_resampler_skip_zeros = Module["_speex_resampler_skip_zeros"] = wasmExports["r"]; _speex_resampler_reset_mem = Module["_speex_resampler_reset_mem"] = wasmExports["s"]; _speex_resampler_strerror = Module["_speex_resampler_strerror"] = wasmExports["t"]; _malloc = Module["_malloc"] = wasmExports["u"]; memory = wasmMemory = wasmExports["b"]; __indirect_function_table = wasmExports["__indirect_function_table"]; }
+        var wasmImports = { a: _emscripten_resize_heap };
+        function run() { preRun(); function doRun() { var _readyPromiseResolve, _Module$onRuntimeInit; Module["calledRun"] = true; if (ABORT)
+            return; initRuntime(); (_readyPromiseResolve = readyPromiseResolve) === null || _readyPromiseResolve === void 0 || _readyPromiseResolve(Module); (_Module$onRuntimeInit = Module["onRuntimeInitialized"]) === null || _Module$onRuntimeInit === void 0 || _Module$onRuntimeInit.call(Module); postRun(); } if (Module["setStatus"]) {
             Module["setStatus"]("Running...");
-            setTimeout((function () { setTimeout((function () { Module["setStatus"](""); }), 1); doRun(); }), 1);
+            setTimeout(() => { setTimeout(() => Module["setStatus"](""), 1); doRun(); }, 1);
         }
         else {
             doRun();
         } }
-        if (Module["preInit"]) {
-            if (typeof Module["preInit"] == "function")
-                Module["preInit"] = [Module["preInit"]];
-            while (Module["preInit"].length > 0) {
-                Module["preInit"].pop()();
-            }
-        }
+        var wasmExports;
+        wasmExports = await (createWasm());
         run();
-        return moduleArg.ready;
-    });
+        if (runtimeInitialized) {
+            moduleRtn = Module;
+        }
+        else {
+            moduleRtn = new Promise((resolve, reject) => { readyPromiseResolve = resolve; readyPromiseReject = reject; });
+        }
+        ;
+        return moduleRtn;
+    };
 })();
-exports.default = Speex;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3BlZXhfd2FzbS5qcyIsInNvdXJjZVJvb3QiOiIvIiwic291cmNlcyI6WyJzcGVleF93YXNtLmpzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBQ0EsSUFBSSxLQUFLLEdBQUcsQ0FBQyxHQUFHLEVBQUU7SUFDaEIsSUFBSSxVQUFVLEdBQUcsT0FBTyxRQUFRLEtBQUssV0FBVyxJQUFJLFFBQVEsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxhQUFhLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7SUFFcEgsT0FBTyxDQUNULFVBQVMsU0FBUyxHQUFHLEVBQUU7UUFFdkIsSUFBSSxNQUFNLEdBQUMsU0FBUyxDQUFDO1FBQUEsSUFBSSxtQkFBbUIsRUFBQyxrQkFBa0IsQ0FBQztRQUFBLE1BQU0sQ0FBQyxPQUFPLENBQUMsR0FBQyxJQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUMsT0FBTyxFQUFDLE1BQU0sRUFBQyxFQUFFLEdBQUMsbUJBQW1CLEdBQUMsT0FBTyxDQUFDLENBQUEsa0JBQWtCLEdBQUMsTUFBTSxDQUFBLENBQUEsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUFBLElBQUksZUFBZSxHQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQUEsSUFBSSxVQUFVLEdBQUMsRUFBRSxDQUFDO1FBQUEsSUFBSSxXQUFXLEdBQUMsZ0JBQWdCLENBQUM7UUFBQSxJQUFJLEtBQUssR0FBQyxDQUFDLE1BQU0sRUFBQyxPQUFPLEVBQUMsRUFBRSxHQUFDLE1BQU0sT0FBTyxDQUFBLENBQUEsQ0FBQyxDQUFDO1FBQUEsSUFBSSxrQkFBa0IsR0FBQyxJQUFJLENBQUM7UUFBQSxJQUFJLHFCQUFxQixHQUFDLEtBQUssQ0FBQztRQUFBLElBQUksZUFBZSxHQUFDLEVBQUUsQ0FBQztRQUFBLFNBQVMsVUFBVSxDQUFDLElBQUksSUFBRSxJQUFHLE1BQU0sQ0FBQyxZQUFZLENBQUMsRUFBQztZQUFDLE9BQU8sTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFDLElBQUksRUFBQyxlQUFlLENBQUMsQ0FBQTtTQUFDLENBQUEsT0FBTyxlQUFlLEdBQUMsSUFBSSxDQUFBLENBQUEsQ0FBQztRQUFBLElBQUksS0FBSyxFQUFDLFNBQVMsRUFBQyxVQUFVLEVBQUMsY0FBYyxDQUFDO1FBQUEsSUFBRyxrQkFBa0IsSUFBRSxxQkFBcUIsRUFBQztZQUFDLElBQUcscUJBQXFCLEVBQUM7Z0JBQUMsZUFBZSxHQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFBO2FBQUM7aUJBQUssSUFBRyxPQUFPLFFBQVEsSUFBRSxXQUFXLElBQUUsUUFBUSxDQUFDLGFBQWEsRUFBQztnQkFBQyxlQUFlLEdBQUMsUUFBUSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUE7YUFBQztZQUFBLElBQUcsVUFBVSxFQUFDO2dCQUFDLGVBQWUsR0FBQyxVQUFVLENBQUE7YUFBQztZQUFBLElBQUcsZUFBZSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsS0FBRyxDQUFDLEVBQUM7Z0JBQUMsZUFBZSxHQUFDLGVBQWUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxFQUFDLGVBQWUsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFDLEVBQUUsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsR0FBQyxDQUFDLENBQUMsQ0FBQTthQUFDO2lCQUFJO2dCQUFDLGVBQWUsR0FBQyxFQUFFLENBQUE7YUFBQztZQUFBO2dCQUFDLEtBQUssR0FBQyxHQUFHLENBQUEsRUFBRSxHQUFDLElBQUc7b0JBQUMsSUFBSSxHQUFHLEdBQUMsSUFBSSxjQUFjLENBQUM7b0JBQUEsR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLEVBQUMsR0FBRyxFQUFDLEtBQUssQ0FBQyxDQUFDO29CQUFBLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7b0JBQUEsT0FBTyxHQUFHLENBQUMsWUFBWSxDQUFBO2lCQUFDO2dCQUFBLE9BQU0sR0FBRyxFQUFDO29CQUFDLElBQUksSUFBSSxHQUFDLGlCQUFpQixDQUFDLEdBQUcsQ0FBQyxDQUFDO29CQUFBLElBQUcsSUFBSSxFQUFDO3dCQUFDLE9BQU8sZ0JBQWdCLENBQUMsSUFBSSxDQUFDLENBQUE7cUJBQUM7b0JBQUEsTUFBTSxHQUFHLENBQUE7aUJBQUMsQ0FBQSxDQUFDLENBQUM7Z0JBQUEsSUFBRyxxQkFBcUIsRUFBQztvQkFBQyxVQUFVLEdBQUMsR0FBRyxDQUFBLEVBQUUsR0FBQyxJQUFHO3dCQUFDLElBQUksR0FBRyxHQUFDLElBQUksY0FBYyxDQUFDO3dCQUFBLEdBQUcsQ0FBQyxJQUFJLENBQUMsS0FBSyxFQUFDLEdBQUcsRUFBQyxLQUFLLENBQUMsQ0FBQzt3QkFBQSxHQUFHLENBQUMsWUFBWSxHQUFDLGFBQWEsQ0FBQzt3QkFBQSxHQUFHLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO3dCQUFBLE9BQU8sSUFBSSxVQUFVLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFBO3FCQUFDO29CQUFBLE9BQU0sR0FBRyxFQUFDO3dCQUFDLElBQUksSUFBSSxHQUFDLGlCQUFpQixDQUFDLEdBQUcsQ0FBQyxDQUFDO3dCQUFBLElBQUcsSUFBSSxFQUFDOzRCQUFDLE9BQU8sSUFBSSxDQUFBO3lCQUFDO3dCQUFBLE1BQU0sR0FBRyxDQUFBO3FCQUFDLENBQUEsQ0FBQyxDQUFBO2lCQUFDO2dCQUFBLFNBQVMsR0FBQyxDQUFDLEdBQUcsRUFBQyxNQUFNLEVBQUMsT0FBTyxFQUFDLEVBQUUsR0FBQyxJQUFJLEdBQUcsR0FBQyxJQUFJLGNBQWMsQ0FBQyxDQUFBLEdBQUcsQ0FBQyxJQUFJLENBQUMsS0FBSyxFQUFDLEdBQUcsRUFBQyxJQUFJLENBQUMsQ0FBQyxDQUFBLEdBQUcsQ0FBQyxZQUFZLEdBQUMsYUFBYSxDQUFDLENBQUEsR0FBRyxDQUFDLE1BQU0sR0FBQyxHQUFFLEVBQUUsR0FBQyxJQUFHLEdBQUcsQ0FBQyxNQUFNLElBQUUsR0FBRyxJQUFFLEdBQUcsQ0FBQyxNQUFNLElBQUUsQ0FBQyxJQUFFLEdBQUcsQ0FBQyxRQUFRLEVBQUM7b0JBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQztvQkFBQSxPQUFNO2lCQUFDLENBQUEsSUFBSSxJQUFJLEdBQUMsaUJBQWlCLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQSxJQUFHLElBQUksRUFBQztvQkFBQyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO29CQUFBLE9BQU07aUJBQUMsQ0FBQSxPQUFPLEVBQUUsQ0FBQSxDQUFBLENBQUMsQ0FBQyxDQUFBLEdBQUcsQ0FBQyxPQUFPLEdBQUMsT0FBTyxDQUFDLENBQUEsR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQSxDQUFBLENBQUMsQ0FBQTthQUFDO1lBQUEsY0FBYyxHQUFDLEtBQUssQ0FBQSxFQUFFLENBQUEsUUFBUSxDQUFDLEtBQUssR0FBQyxLQUFLLENBQUE7U0FBQzthQUFJLEdBQUU7UUFBQSxJQUFJLEdBQUcsR0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLElBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7UUFBQSxJQUFJLEdBQUcsR0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLElBQUUsT0FBTyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7UUFBQSxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sRUFBQyxlQUFlLENBQUMsQ0FBQztRQUFBLGVBQWUsR0FBQyxJQUFJLENBQUM7UUFBQSxJQUFHLE1BQU0sQ0FBQyxXQUFXLENBQUM7WUFBQyxVQUFVLEdBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxDQUFDO1FBQUEsSUFBRyxNQUFNLENBQUMsYUFBYSxDQUFDO1lBQUMsV0FBVyxHQUFDLE1BQU0sQ0FBQyxhQUFhLENBQUMsQ0FBQztRQUFBLElBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQztZQUFDLEtBQUssR0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUM7UUFBQSxJQUFJLFVBQVUsQ0FBQztRQUFBLElBQUcsTUFBTSxDQUFDLFlBQVksQ0FBQztZQUFDLFVBQVUsR0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUM7UUFBQSxJQUFJLGFBQWEsR0FBQyxNQUFNLENBQUMsZUFBZSxDQUFDLElBQUUsSUFBSSxDQUFDO1FBQUEsSUFBRyxPQUFPLFdBQVcsSUFBRSxRQUFRLEVBQUM7WUFBQyxLQUFLLENBQUMsaUNBQWlDLENBQUMsQ0FBQTtTQUFDO1FBQUEsSUFBSSxVQUFVLENBQUM7UUFBQSxJQUFJLEtBQUssR0FBQyxLQUFLLENBQUM7UUFBQSxJQUFJLFVBQVUsQ0FBQztRQUFBLElBQUksS0FBSyxFQUFDLE1BQU0sRUFBQyxNQUFNLEVBQUMsT0FBTyxFQUFDLE1BQU0sRUFBQyxPQUFPLEVBQUMsT0FBTyxFQUFDLE9BQU8sQ0FBQztRQUFBLFNBQVMsaUJBQWlCLEtBQUcsSUFBSSxDQUFDLEdBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFBLE1BQU0sQ0FBQyxPQUFPLENBQUMsR0FBQyxLQUFLLEdBQUMsSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQSxNQUFNLENBQUMsUUFBUSxDQUFDLEdBQUMsTUFBTSxHQUFDLElBQUksVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUEsTUFBTSxDQUFDLFFBQVEsQ0FBQyxHQUFDLE1BQU0sR0FBQyxJQUFJLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFBLE1BQU0sQ0FBQyxRQUFRLENBQUMsR0FBQyxNQUFNLEdBQUMsSUFBSSxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQSxNQUFNLENBQUMsU0FBUyxDQUFDLEdBQUMsT0FBTyxHQUFDLElBQUksV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUEsTUFBTSxDQUFDLFNBQVMsQ0FBQyxHQUFDLE9BQU8sR0FBQyxJQUFJLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFBLE1BQU0sQ0FBQyxTQUFTLENBQUMsR0FBQyxPQUFPLEdBQUMsSUFBSSxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQSxNQUFNLENBQUMsU0FBUyxDQUFDLEdBQUMsT0FBTyxHQUFDLElBQUksWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFBLENBQUEsQ0FBQztRQUFBLElBQUksU0FBUyxDQUFDO1FBQUEsSUFBSSxZQUFZLEdBQUMsRUFBRSxDQUFDO1FBQUEsSUFBSSxVQUFVLEdBQUMsRUFBRSxDQUFDO1FBQUEsSUFBSSxhQUFhLEdBQUMsRUFBRSxDQUFDO1FBQUEsSUFBSSxrQkFBa0IsR0FBQyxLQUFLLENBQUM7UUFBQSxTQUFTLE1BQU0sS0FBRyxJQUFHLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBQztZQUFDLElBQUcsT0FBTyxNQUFNLENBQUMsUUFBUSxDQUFDLElBQUUsVUFBVTtnQkFBQyxNQUFNLENBQUMsUUFBUSxDQUFDLEdBQUMsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztZQUFBLE9BQU0sTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLE1BQU0sRUFBQztnQkFBQyxXQUFXLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUE7YUFBQztTQUFDLENBQUEsb0JBQW9CLENBQUMsWUFBWSxDQUFDLENBQUEsQ0FBQSxDQUFDO1FBQUEsU0FBUyxXQUFXLEtBQUcsa0JBQWtCLEdBQUMsSUFBSSxDQUFDLENBQUEsb0JBQW9CLENBQUMsVUFBVSxDQUFDLENBQUEsQ0FBQSxDQUFDO1FBQUEsU0FBUyxPQUFPLEtBQUcsSUFBRyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUM7WUFBQyxJQUFHLE9BQU8sTUFBTSxDQUFDLFNBQVMsQ0FBQyxJQUFFLFVBQVU7Z0JBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxHQUFDLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7WUFBQSxPQUFNLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLEVBQUM7Z0JBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFBO2FBQUM7U0FBQyxDQUFBLG9CQUFvQixDQUFDLGFBQWEsQ0FBQyxDQUFBLENBQUEsQ0FBQztRQUFBLFNBQVMsV0FBVyxDQUFDLEVBQUUsSUFBRSxZQUFZLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFBLENBQUEsQ0FBQztRQUFBLFNBQVMsU0FBUyxDQUFDLEVBQUUsSUFBRSxVQUFVLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFBLENBQUEsQ0FBQztRQUFBLFNBQVMsWUFBWSxDQUFDLEVBQUUsSUFBRSxhQUFhLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFBLENBQUEsQ0FBQztRQUFBLElBQUksZUFBZSxHQUFDLENBQUMsQ0FBQztRQUFBLElBQUksb0JBQW9CLEdBQUMsSUFBSSxDQUFDO1FBQUEsSUFBSSxxQkFBcUIsR0FBQyxJQUFJLENBQUM7UUFBQSxTQUFTLGdCQUFnQixDQUFDLEVBQUUsSUFBRSxlQUFlLEVBQUUsQ0FBQyxDQUFBLElBQUcsTUFBTSxDQUFDLHdCQUF3QixDQUFDLEVBQUM7WUFBQyxNQUFNLENBQUMsd0JBQXdCLENBQUMsQ0FBQyxlQUFlLENBQUMsQ0FBQTtTQUFDLENBQUEsQ0FBQztRQUFBLFNBQVMsbUJBQW1CLENBQUMsRUFBRSxJQUFFLGVBQWUsRUFBRSxDQUFDLENBQUEsSUFBRyxNQUFNLENBQUMsd0JBQXdCLENBQUMsRUFBQztZQUFDLE1BQU0sQ0FBQyx3QkFBd0IsQ0FBQyxDQUFDLGVBQWUsQ0FBQyxDQUFBO1NBQUMsQ0FBQSxJQUFHLGVBQWUsSUFBRSxDQUFDLEVBQUM7WUFBQyxJQUFHLG9CQUFvQixLQUFHLElBQUksRUFBQztnQkFBQyxhQUFhLENBQUMsb0JBQW9CLENBQUMsQ0FBQztnQkFBQSxvQkFBb0IsR0FBQyxJQUFJLENBQUE7YUFBQztZQUFBLElBQUcscUJBQXFCLEVBQUM7Z0JBQUMsSUFBSSxRQUFRLEdBQUMscUJBQXFCLENBQUM7Z0JBQUEscUJBQXFCLEdBQUMsSUFBSSxDQUFDO2dCQUFBLFFBQVEsRUFBRSxDQUFBO2FBQUM7U0FBQyxDQUFBLENBQUM7UUFBQSxTQUFTLEtBQUssQ0FBQyxJQUFJLElBQUUsSUFBRyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUM7WUFBQyxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUE7U0FBQyxDQUFBLElBQUksR0FBQyxVQUFVLEdBQUMsSUFBSSxHQUFDLEdBQUcsQ0FBQyxDQUFBLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFBLEtBQUssR0FBQyxJQUFJLENBQUMsQ0FBQSxVQUFVLEdBQUMsQ0FBQyxDQUFDLENBQUEsSUFBSSxJQUFFLDBDQUEwQyxDQUFDLENBQUEsSUFBSSxDQUFDLEdBQUMsSUFBSSxXQUFXLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUEsa0JBQWtCLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQSxNQUFNLENBQUMsQ0FBQSxDQUFBLENBQUM7UUFBQSxJQUFJLGFBQWEsR0FBQyx1Q0FBdUMsQ0FBQztRQUFBLFNBQVMsU0FBUyxDQUFDLFFBQVEsSUFBRSxPQUFPLFFBQVEsQ0FBQyxVQUFVLENBQUMsYUFBYSxDQUFDLENBQUEsQ0FBQSxDQUFDO1FBQUEsSUFBSSxjQUFjLENBQUM7UUFBQSxjQUFjLEdBQUMsK2psQ0FBK2psQyxDQUFDO1FBQUEsSUFBRyxDQUFDLFNBQVMsQ0FBQyxjQUFjLENBQUMsRUFBQztZQUFDLGNBQWMsR0FBQyxVQUFVLENBQUMsY0FBYyxDQUFDLENBQUE7U0FBQztRQUFBLFNBQVMsYUFBYSxDQUFDLElBQUksSUFBRSxJQUFHLElBQUksSUFBRSxjQUFjLElBQUUsVUFBVSxFQUFDO1lBQUMsT0FBTyxJQUFJLFVBQVUsQ0FBQyxVQUFVLENBQUMsQ0FBQTtTQUFDLENBQUEsSUFBSSxNQUFNLEdBQUMsaUJBQWlCLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQSxJQUFHLE1BQU0sRUFBQztZQUFDLE9BQU8sTUFBTSxDQUFBO1NBQUMsQ0FBQSxJQUFHLFVBQVUsRUFBQztZQUFDLE9BQU8sVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFBO1NBQUMsQ0FBQSxNQUFLLGlEQUFpRCxDQUFBLENBQUEsQ0FBQztRQUFBLFNBQVMsZ0JBQWdCLENBQUMsVUFBVSxJQUFFLE9BQU8sT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUUsRUFBRSxDQUFBLGFBQWEsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUEsQ0FBQSxDQUFDO1FBQUEsU0FBUyxzQkFBc0IsQ0FBQyxVQUFVLEVBQUMsT0FBTyxFQUFDLFFBQVEsSUFBRSxPQUFPLGdCQUFnQixDQUFDLFVBQVUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQSxFQUFFLENBQUEsV0FBVyxDQUFDLFdBQVcsQ0FBQyxNQUFNLEVBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLFFBQVEsQ0FBQSxFQUFFLENBQUEsUUFBUSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFDLENBQUMsTUFBTSxDQUFBLEVBQUUsR0FBQyxHQUFHLENBQUMseUNBQXlDLEdBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQSxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUEsQ0FBQSxDQUFDLENBQUMsQ0FBQyxDQUFBLENBQUEsQ0FBQztRQUFBLFNBQVMsZ0JBQWdCLENBQUMsTUFBTSxFQUFDLFVBQVUsRUFBQyxPQUFPLEVBQUMsUUFBUSxJQUFFLE9BQU8sc0JBQXNCLENBQUMsVUFBVSxFQUFDLE9BQU8sRUFBQyxRQUFRLENBQUMsQ0FBQSxDQUFBLENBQUM7UUFBQSxTQUFTLFVBQVUsS0FBRyxJQUFJLElBQUksR0FBQyxFQUFDLEdBQUcsRUFBQyxXQUFXLEVBQUMsQ0FBQyxDQUFBLFNBQVMsZUFBZSxDQUFDLFFBQVEsRUFBQyxNQUFNLElBQUUsSUFBSSxPQUFPLEdBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFBLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBQyxPQUFPLENBQUMsQ0FBQSxVQUFVLEdBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUEsaUJBQWlCLEVBQUUsQ0FBQyxDQUFBLFNBQVMsR0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQSxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQSxtQkFBbUIsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLENBQUEsT0FBTyxPQUFPLENBQUEsQ0FBQSxDQUFDLENBQUEsZ0JBQWdCLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxDQUFBLFNBQVMsMEJBQTBCLENBQUMsTUFBTSxJQUFFLGVBQWUsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQSxDQUFBLENBQUMsQ0FBQSxJQUFHLE1BQU0sQ0FBQyxpQkFBaUIsQ0FBQyxFQUFDO1lBQUMsSUFBRztnQkFBQyxPQUFPLE1BQU0sQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLElBQUksRUFBQyxlQUFlLENBQUMsQ0FBQTthQUFDO1lBQUEsT0FBTSxDQUFDLEVBQUM7Z0JBQUMsR0FBRyxDQUFDLHFEQUFxRCxHQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUFBLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxDQUFBO2FBQUM7U0FBQyxDQUFBLGdCQUFnQixDQUFDLFVBQVUsRUFBQyxjQUFjLEVBQUMsSUFBSSxFQUFDLDBCQUEwQixDQUFDLENBQUMsS0FBSyxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQSxPQUFNLEVBQUUsQ0FBQSxDQUFBLENBQUM7UUFBQSxJQUFJLG9CQUFvQixHQUFDLFNBQVMsQ0FBQSxFQUFFLEdBQUMsT0FBTSxTQUFTLENBQUMsTUFBTSxHQUFDLENBQUMsRUFBQztZQUFDLFNBQVMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxNQUFNLENBQUMsQ0FBQTtTQUFDLENBQUEsQ0FBQyxDQUFDO1FBQUEsU0FBUyxRQUFRLENBQUMsR0FBRyxFQUFDLElBQUksR0FBQyxJQUFJLElBQUUsSUFBRyxJQUFJLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQztZQUFDLElBQUksR0FBQyxHQUFHLENBQUMsQ0FBQSxRQUFPLElBQUksRUFBQztZQUFDLEtBQUksSUFBSSxDQUFDLENBQUEsT0FBTyxLQUFLLENBQUMsR0FBRyxJQUFFLENBQUMsQ0FBQyxDQUFDO1lBQUEsS0FBSSxJQUFJLENBQUMsQ0FBQSxPQUFPLEtBQUssQ0FBQyxHQUFHLElBQUUsQ0FBQyxDQUFDLENBQUM7WUFBQSxLQUFJLEtBQUssQ0FBQyxDQUFBLE9BQU8sTUFBTSxDQUFDLEdBQUcsSUFBRSxDQUFDLENBQUMsQ0FBQztZQUFBLEtBQUksS0FBSyxDQUFDLENBQUEsT0FBTyxNQUFNLENBQUMsR0FBRyxJQUFFLENBQUMsQ0FBQyxDQUFDO1lBQUEsS0FBSSxLQUFLLENBQUMsQ0FBQSxLQUFLLENBQUMscUNBQXFDLENBQUMsQ0FBQztZQUFBLEtBQUksT0FBTyxDQUFDLENBQUEsT0FBTyxPQUFPLENBQUMsR0FBRyxJQUFFLENBQUMsQ0FBQyxDQUFDO1lBQUEsS0FBSSxRQUFRLENBQUMsQ0FBQSxPQUFPLE9BQU8sQ0FBQyxHQUFHLElBQUUsQ0FBQyxDQUFDLENBQUM7WUFBQSxLQUFJLEdBQUcsQ0FBQyxDQUFBLE9BQU8sT0FBTyxDQUFDLEdBQUcsSUFBRSxDQUFDLENBQUMsQ0FBQztZQUFBLE9BQU8sQ0FBQyxDQUFBLEtBQUssQ0FBQyw4QkFBOEIsSUFBSSxFQUFFLENBQUMsQ0FBQTtTQUFDLENBQUEsQ0FBQztRQUFBLFNBQVMsZ0JBQWdCLENBQUMsS0FBSyxJQUFFLElBQUksR0FBRyxHQUFDLEVBQUUsQ0FBQyxDQUFBLEtBQUksSUFBSSxDQUFDLEdBQUMsQ0FBQyxFQUFDLENBQUMsR0FBQyxLQUFLLENBQUMsTUFBTSxFQUFDLENBQUMsRUFBRSxFQUFDO1lBQUMsSUFBSSxHQUFHLEdBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQUEsSUFBRyxHQUFHLEdBQUMsR0FBRyxFQUFDO2dCQUFDLEdBQUcsSUFBRSxHQUFHLENBQUE7YUFBQztZQUFBLEdBQUcsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBO1NBQUMsQ0FBQSxPQUFPLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUEsQ0FBQSxDQUFDO1FBQUEsU0FBUyxRQUFRLENBQUMsR0FBRyxFQUFDLEtBQUssRUFBQyxJQUFJLEdBQUMsSUFBSSxJQUFFLElBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUM7WUFBQyxJQUFJLEdBQUMsR0FBRyxDQUFDLENBQUEsUUFBTyxJQUFJLEVBQUM7WUFBQyxLQUFJLElBQUk7Z0JBQUMsS0FBSyxDQUFDLEdBQUcsSUFBRSxDQUFDLENBQUMsR0FBQyxLQUFLLENBQUM7Z0JBQUEsTUFBTTtZQUFBLEtBQUksSUFBSTtnQkFBQyxLQUFLLENBQUMsR0FBRyxJQUFFLENBQUMsQ0FBQyxHQUFDLEtBQUssQ0FBQztnQkFBQSxNQUFNO1lBQUEsS0FBSSxLQUFLO2dCQUFDLE1BQU0sQ0FBQyxHQUFHLElBQUUsQ0FBQyxDQUFDLEdBQUMsS0FBSyxDQUFDO2dCQUFBLE1BQU07WUFBQSxLQUFJLEtBQUs7Z0JBQUMsTUFBTSxDQUFDLEdBQUcsSUFBRSxDQUFDLENBQUMsR0FBQyxLQUFLLENBQUM7Z0JBQUEsTUFBTTtZQUFBLEtBQUksS0FBSyxDQUFDLENBQUEsS0FBSyxDQUFDLHFDQUFxQyxDQUFDLENBQUM7WUFBQSxLQUFJLE9BQU87Z0JBQUMsT0FBTyxDQUFDLEdBQUcsSUFBRSxDQUFDLENBQUMsR0FBQyxLQUFLLENBQUM7Z0JBQUEsTUFBTTtZQUFBLEtBQUksUUFBUTtnQkFBQyxPQUFPLENBQUMsR0FBRyxJQUFFLENBQUMsQ0FBQyxHQUFDLEtBQUssQ0FBQztnQkFBQSxNQUFNO1lBQUEsS0FBSSxHQUFHO2dCQUFDLE9BQU8sQ0FBQyxHQUFHLElBQUUsQ0FBQyxDQUFDLEdBQUMsS0FBSyxDQUFDO2dCQUFBLE1BQU07WUFBQSxPQUFPLENBQUMsQ0FBQSxLQUFLLENBQUMsOEJBQThCLElBQUksRUFBRSxDQUFDLENBQUE7U0FBQyxDQUFBLENBQUM7UUFBQSxJQUFJLHNCQUFzQixHQUFDLENBQUMsSUFBSSxFQUFDLEdBQUcsRUFBQyxHQUFHLEVBQUMsRUFBRSxDQUFBLE1BQU0sQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFDLEdBQUcsRUFBQyxHQUFHLEdBQUMsR0FBRyxDQUFDLENBQUM7UUFBQSxJQUFJLFVBQVUsR0FBQyxHQUFFLEVBQUUsQ0FBQSxVQUFVLENBQUM7UUFBQSxJQUFJLFVBQVUsR0FBQyxJQUFJLENBQUEsRUFBRSxHQUFDLElBQUksQ0FBQyxHQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQSxJQUFJLEtBQUssR0FBQyxJQUFJLEdBQUMsQ0FBQyxDQUFDLFVBQVUsR0FBQyxLQUFLLEtBQUcsRUFBRSxDQUFDLENBQUEsSUFBRztZQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7WUFBQSxpQkFBaUIsRUFBRSxDQUFDO1lBQUEsT0FBTyxDQUFDLENBQUE7U0FBQztRQUFBLE9BQU0sQ0FBQyxFQUFDLEdBQUUsQ0FBQSxDQUFDLENBQUM7UUFBQSxJQUFJLHVCQUF1QixHQUFDLGFBQWEsQ0FBQSxFQUFFLEdBQUMsSUFBSSxPQUFPLEdBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFBLGFBQWEsTUFBSSxDQUFDLENBQUMsQ0FBQSxJQUFJLFdBQVcsR0FBQyxVQUFVLEVBQUUsQ0FBQyxDQUFBLElBQUcsYUFBYSxHQUFDLFdBQVcsRUFBQztZQUFDLE9BQU8sS0FBSyxDQUFBO1NBQUMsQ0FBQSxJQUFJLE9BQU8sR0FBQyxDQUFDLENBQUMsRUFBQyxRQUFRLEVBQUMsRUFBRSxDQUFBLENBQUMsR0FBQyxDQUFDLFFBQVEsR0FBQyxDQUFDLEdBQUMsUUFBUSxDQUFDLEdBQUMsUUFBUSxDQUFDLENBQUEsS0FBSSxJQUFJLE9BQU8sR0FBQyxDQUFDLEVBQUMsT0FBTyxJQUFFLENBQUMsRUFBQyxPQUFPLElBQUUsQ0FBQyxFQUFDO1lBQUMsSUFBSSxpQkFBaUIsR0FBQyxPQUFPLEdBQUMsQ0FBQyxDQUFDLEdBQUMsRUFBRSxHQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQUEsaUJBQWlCLEdBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsRUFBQyxhQUFhLEdBQUMsU0FBUyxDQUFDLENBQUM7WUFBQSxJQUFJLE9BQU8sR0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxhQUFhLEVBQUMsaUJBQWlCLENBQUMsRUFBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQUEsSUFBSSxXQUFXLEdBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQUEsSUFBRyxXQUFXLEVBQUM7Z0JBQUMsT0FBTyxJQUFJLENBQUE7YUFBQztTQUFDLENBQUEsT0FBTyxLQUFLLENBQUEsQ0FBQSxDQUFDLENBQUM7UUFBQSxJQUFJLGFBQWEsR0FBQyxHQUFHLENBQUEsRUFBRSxHQUFDLElBQUksR0FBRyxHQUFDLEVBQUUsQ0FBQyxDQUFBLE9BQU0sQ0FBQyxFQUFDO1lBQUMsSUFBSSxFQUFFLEdBQUMsTUFBTSxDQUFDLEdBQUcsRUFBRSxJQUFFLENBQUMsQ0FBQyxDQUFDO1lBQUEsSUFBRyxDQUFDLEVBQUU7Z0JBQUMsT0FBTyxHQUFHLENBQUM7WUFBQSxHQUFHLElBQUUsTUFBTSxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUMsQ0FBQTtTQUFDLENBQUEsQ0FBQyxDQUFDO1FBQUEsSUFBSSxXQUFXLEdBQUMsRUFBQyxDQUFDLEVBQUMsc0JBQXNCLEVBQUMsQ0FBQyxFQUFDLHVCQUF1QixFQUFDLENBQUM7UUFBQSxJQUFJLEdBQUcsR0FBQyxVQUFVLEVBQUUsQ0FBQztRQUFBLElBQUksa0JBQWtCLEdBQUMsY0FBVyxPQUFNLENBQUMsa0JBQWtCLEdBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksRUFBQyxTQUFTLENBQUMsQ0FBQSxDQUFBLENBQUMsQ0FBQztRQUFBLElBQUkscUJBQXFCLEdBQUMsTUFBTSxDQUFDLHVCQUF1QixDQUFDLEdBQUMsY0FBVyxPQUFNLENBQUMscUJBQXFCLEdBQUMsTUFBTSxDQUFDLHVCQUF1QixDQUFDLEdBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksRUFBQyxTQUFTLENBQUMsQ0FBQSxDQUFBLENBQUMsQ0FBQztRQUFBLElBQUksS0FBSyxHQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsR0FBQyxjQUFXLE9BQU0sQ0FBQyxLQUFLLEdBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxHQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUMsU0FBUyxDQUFDLENBQUEsQ0FBQSxDQUFDLENBQUM7UUFBQSxJQUFJLHdCQUF3QixHQUFDLE1BQU0sQ0FBQywwQkFBMEIsQ0FBQyxHQUFDLGNBQVcsT0FBTSxDQUFDLHdCQUF3QixHQUFDLE1BQU0sQ0FBQywwQkFBMEIsQ0FBQyxHQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUMsU0FBUyxDQUFDLENBQUEsQ0FBQSxDQUFDLENBQUM7UUFBQSxJQUFJLDBDQUEwQyxHQUFDLE1BQU0sQ0FBQyw0Q0FBNEMsQ0FBQyxHQUFDLGNBQVcsT0FBTSxDQUFDLDBDQUEwQyxHQUFDLE1BQU0sQ0FBQyw0Q0FBNEMsQ0FBQyxHQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUMsU0FBUyxDQUFDLENBQUEsQ0FBQSxDQUFDLENBQUM7UUFBQSxJQUFJLHlCQUF5QixHQUFDLE1BQU0sQ0FBQywyQkFBMkIsQ0FBQyxHQUFDLGNBQVcsT0FBTSxDQUFDLHlCQUF5QixHQUFDLE1BQU0sQ0FBQywyQkFBMkIsQ0FBQyxHQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUMsU0FBUyxDQUFDLENBQUEsQ0FBQSxDQUFDLENBQUM7UUFBQSxJQUFJLHlCQUF5QixHQUFDLE1BQU0sQ0FBQywyQkFBMkIsQ0FBQyxHQUFDLGNBQVcsT0FBTSxDQUFDLHlCQUF5QixHQUFDLE1BQU0sQ0FBQywyQkFBMkIsQ0FBQyxHQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUMsU0FBUyxDQUFDLENBQUEsQ0FBQSxDQUFDLENBQUM7UUFBQSxJQUFJLGlCQUFpQixHQUFDLGNBQVcsT0FBTSxDQUFDLGlCQUFpQixHQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksRUFBQyxTQUFTLENBQUMsQ0FBQSxDQUFBLENBQUMsQ0FBQztRQUFBLElBQUksT0FBTyxHQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsR0FBQyxjQUFXLE9BQU0sQ0FBQyxPQUFPLEdBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxHQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUMsU0FBUyxDQUFDLENBQUEsQ0FBQSxDQUFDLENBQUM7UUFBQSxTQUFTLGtCQUFrQixDQUFDLENBQUMsSUFBRSxJQUFHO1lBQUMsSUFBSSxPQUFPLEdBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQUEsSUFBSSxLQUFLLEdBQUMsSUFBSSxVQUFVLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQUEsS0FBSSxJQUFJLENBQUMsR0FBQyxDQUFDLEVBQUMsQ0FBQyxHQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUMsRUFBRSxDQUFDLEVBQUM7Z0JBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUE7YUFBQztZQUFBLE9BQU8sS0FBSyxDQUFBO1NBQUM7UUFBQSxPQUFNLENBQUMsRUFBQztZQUFDLE1BQU0sSUFBSSxLQUFLLENBQUMsMkNBQTJDLENBQUMsQ0FBQTtTQUFDLENBQUEsQ0FBQztRQUFBLFNBQVMsaUJBQWlCLENBQUMsUUFBUSxJQUFFLElBQUcsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLEVBQUM7WUFBQyxPQUFNO1NBQUMsQ0FBQSxPQUFPLGtCQUFrQixDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsYUFBYSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUEsQ0FBQSxDQUFDO1FBQUEsTUFBTSxDQUFDLFVBQVUsQ0FBQyxHQUFDLFFBQVEsQ0FBQztRQUFBLE1BQU0sQ0FBQyxVQUFVLENBQUMsR0FBQyxRQUFRLENBQUM7UUFBQSxNQUFNLENBQUMsZUFBZSxDQUFDLEdBQUMsYUFBYSxDQUFDO1FBQUEsSUFBSSxTQUFTLENBQUM7UUFBQSxxQkFBcUIsR0FBQyxTQUFTLFNBQVMsS0FBRyxJQUFHLENBQUMsU0FBUztZQUFDLEdBQUcsRUFBRSxDQUFDLENBQUEsSUFBRyxDQUFDLFNBQVM7WUFBQyxxQkFBcUIsR0FBQyxTQUFTLENBQUEsQ0FBQSxDQUFDLENBQUM7UUFBQSxTQUFTLEdBQUcsS0FBRyxJQUFHLGVBQWUsR0FBQyxDQUFDLEVBQUM7WUFBQyxPQUFNO1NBQUMsQ0FBQSxNQUFNLEVBQUUsQ0FBQyxDQUFBLElBQUcsZUFBZSxHQUFDLENBQUMsRUFBQztZQUFDLE9BQU07U0FBQyxDQUFBLFNBQVMsS0FBSyxLQUFHLElBQUcsU0FBUztZQUFDLE9BQU8sQ0FBQSxTQUFTLEdBQUMsSUFBSSxDQUFDLENBQUEsTUFBTSxDQUFDLFdBQVcsQ0FBQyxHQUFDLElBQUksQ0FBQyxDQUFBLElBQUcsS0FBSztZQUFDLE9BQU8sQ0FBQSxXQUFXLEVBQUUsQ0FBQyxDQUFBLG1CQUFtQixDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUEsSUFBRyxNQUFNLENBQUMsc0JBQXNCLENBQUM7WUFBQyxNQUFNLENBQUMsc0JBQXNCLENBQUMsRUFBRSxDQUFDLENBQUEsT0FBTyxFQUFFLENBQUEsQ0FBQSxDQUFDLENBQUEsSUFBRyxNQUFNLENBQUMsV0FBVyxDQUFDLEVBQUM7WUFBQyxNQUFNLENBQUMsV0FBVyxDQUFDLENBQUMsWUFBWSxDQUFDLENBQUM7WUFBQSxVQUFVLENBQUMsQ0FBQyxjQUFXLFVBQVUsQ0FBQyxDQUFDLGNBQVcsTUFBTSxDQUFDLFdBQVcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFBLENBQUEsQ0FBQyxDQUFDLEVBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQSxLQUFLLEVBQUUsQ0FBQSxDQUFBLENBQUMsQ0FBQyxFQUFDLENBQUMsQ0FBQyxDQUFBO1NBQUM7YUFBSTtZQUFDLEtBQUssRUFBRSxDQUFBO1NBQUMsQ0FBQSxDQUFDO1FBQUEsSUFBRyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUM7WUFBQyxJQUFHLE9BQU8sTUFBTSxDQUFDLFNBQVMsQ0FBQyxJQUFFLFVBQVU7Z0JBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxHQUFDLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7WUFBQSxPQUFNLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLEdBQUMsQ0FBQyxFQUFDO2dCQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxDQUFBO2FBQUM7U0FBQztRQUFBLEdBQUcsRUFBRSxDQUFDO1FBR2x2NkMsT0FBTyxTQUFTLENBQUMsS0FBSyxDQUFBO0lBQ3hCLENBQUMsQ0FFQSxDQUFDO0FBQ0YsQ0FBQyxDQUFDLEVBQUUsQ0FBQztBQUNMLGtCQUFlLEtBQUssQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIlxudmFyIFNwZWV4ID0gKCgpID0+IHtcbiAgdmFyIF9zY3JpcHREaXIgPSB0eXBlb2YgZG9jdW1lbnQgIT09ICd1bmRlZmluZWQnICYmIGRvY3VtZW50LmN1cnJlbnRTY3JpcHQgPyBkb2N1bWVudC5jdXJyZW50U2NyaXB0LnNyYyA6IHVuZGVmaW5lZDtcbiAgXG4gIHJldHVybiAoXG5mdW5jdGlvbihtb2R1bGVBcmcgPSB7fSkge1xuXG52YXIgTW9kdWxlPW1vZHVsZUFyZzt2YXIgcmVhZHlQcm9taXNlUmVzb2x2ZSxyZWFkeVByb21pc2VSZWplY3Q7TW9kdWxlW1wicmVhZHlcIl09bmV3IFByb21pc2UoKChyZXNvbHZlLHJlamVjdCk9PntyZWFkeVByb21pc2VSZXNvbHZlPXJlc29sdmU7cmVhZHlQcm9taXNlUmVqZWN0PXJlamVjdH0pKTt2YXIgbW9kdWxlT3ZlcnJpZGVzPU9iamVjdC5hc3NpZ24oe30sTW9kdWxlKTt2YXIgYXJndW1lbnRzXz1bXTt2YXIgdGhpc1Byb2dyYW09XCIuL3RoaXMucHJvZ3JhbVwiO3ZhciBxdWl0Xz0oc3RhdHVzLHRvVGhyb3cpPT57dGhyb3cgdG9UaHJvd307dmFyIEVOVklST05NRU5UX0lTX1dFQj10cnVlO3ZhciBFTlZJUk9OTUVOVF9JU19XT1JLRVI9ZmFsc2U7dmFyIHNjcmlwdERpcmVjdG9yeT1cIlwiO2Z1bmN0aW9uIGxvY2F0ZUZpbGUocGF0aCl7aWYoTW9kdWxlW1wibG9jYXRlRmlsZVwiXSl7cmV0dXJuIE1vZHVsZVtcImxvY2F0ZUZpbGVcIl0ocGF0aCxzY3JpcHREaXJlY3RvcnkpfXJldHVybiBzY3JpcHREaXJlY3RvcnkrcGF0aH12YXIgcmVhZF8scmVhZEFzeW5jLHJlYWRCaW5hcnksc2V0V2luZG93VGl0bGU7aWYoRU5WSVJPTk1FTlRfSVNfV0VCfHxFTlZJUk9OTUVOVF9JU19XT1JLRVIpe2lmKEVOVklST05NRU5UX0lTX1dPUktFUil7c2NyaXB0RGlyZWN0b3J5PXNlbGYubG9jYXRpb24uaHJlZn1lbHNlIGlmKHR5cGVvZiBkb2N1bWVudCE9XCJ1bmRlZmluZWRcIiYmZG9jdW1lbnQuY3VycmVudFNjcmlwdCl7c2NyaXB0RGlyZWN0b3J5PWRvY3VtZW50LmN1cnJlbnRTY3JpcHQuc3JjfWlmKF9zY3JpcHREaXIpe3NjcmlwdERpcmVjdG9yeT1fc2NyaXB0RGlyfWlmKHNjcmlwdERpcmVjdG9yeS5pbmRleE9mKFwiYmxvYjpcIikhPT0wKXtzY3JpcHREaXJlY3Rvcnk9c2NyaXB0RGlyZWN0b3J5LnN1YnN0cigwLHNjcmlwdERpcmVjdG9yeS5yZXBsYWNlKC9bPyNdLiovLFwiXCIpLmxhc3RJbmRleE9mKFwiL1wiKSsxKX1lbHNle3NjcmlwdERpcmVjdG9yeT1cIlwifXtyZWFkXz11cmw9Pnt0cnl7dmFyIHhocj1uZXcgWE1MSHR0cFJlcXVlc3Q7eGhyLm9wZW4oXCJHRVRcIix1cmwsZmFsc2UpO3hoci5zZW5kKG51bGwpO3JldHVybiB4aHIucmVzcG9uc2VUZXh0fWNhdGNoKGVycil7dmFyIGRhdGE9dHJ5UGFyc2VBc0RhdGFVUkkodXJsKTtpZihkYXRhKXtyZXR1cm4gaW50QXJyYXlUb1N0cmluZyhkYXRhKX10aHJvdyBlcnJ9fTtpZihFTlZJUk9OTUVOVF9JU19XT1JLRVIpe3JlYWRCaW5hcnk9dXJsPT57dHJ5e3ZhciB4aHI9bmV3IFhNTEh0dHBSZXF1ZXN0O3hoci5vcGVuKFwiR0VUXCIsdXJsLGZhbHNlKTt4aHIucmVzcG9uc2VUeXBlPVwiYXJyYXlidWZmZXJcIjt4aHIuc2VuZChudWxsKTtyZXR1cm4gbmV3IFVpbnQ4QXJyYXkoeGhyLnJlc3BvbnNlKX1jYXRjaChlcnIpe3ZhciBkYXRhPXRyeVBhcnNlQXNEYXRhVVJJKHVybCk7aWYoZGF0YSl7cmV0dXJuIGRhdGF9dGhyb3cgZXJyfX19cmVhZEFzeW5jPSh1cmwsb25sb2FkLG9uZXJyb3IpPT57dmFyIHhocj1uZXcgWE1MSHR0cFJlcXVlc3Q7eGhyLm9wZW4oXCJHRVRcIix1cmwsdHJ1ZSk7eGhyLnJlc3BvbnNlVHlwZT1cImFycmF5YnVmZmVyXCI7eGhyLm9ubG9hZD0oKT0+e2lmKHhoci5zdGF0dXM9PTIwMHx8eGhyLnN0YXR1cz09MCYmeGhyLnJlc3BvbnNlKXtvbmxvYWQoeGhyLnJlc3BvbnNlKTtyZXR1cm59dmFyIGRhdGE9dHJ5UGFyc2VBc0RhdGFVUkkodXJsKTtpZihkYXRhKXtvbmxvYWQoZGF0YS5idWZmZXIpO3JldHVybn1vbmVycm9yKCl9O3hoci5vbmVycm9yPW9uZXJyb3I7eGhyLnNlbmQobnVsbCl9fXNldFdpbmRvd1RpdGxlPXRpdGxlPT5kb2N1bWVudC50aXRsZT10aXRsZX1lbHNle312YXIgb3V0PU1vZHVsZVtcInByaW50XCJdfHxjb25zb2xlLmxvZy5iaW5kKGNvbnNvbGUpO3ZhciBlcnI9TW9kdWxlW1wicHJpbnRFcnJcIl18fGNvbnNvbGUuZXJyb3IuYmluZChjb25zb2xlKTtPYmplY3QuYXNzaWduKE1vZHVsZSxtb2R1bGVPdmVycmlkZXMpO21vZHVsZU92ZXJyaWRlcz1udWxsO2lmKE1vZHVsZVtcImFyZ3VtZW50c1wiXSlhcmd1bWVudHNfPU1vZHVsZVtcImFyZ3VtZW50c1wiXTtpZihNb2R1bGVbXCJ0aGlzUHJvZ3JhbVwiXSl0aGlzUHJvZ3JhbT1Nb2R1bGVbXCJ0aGlzUHJvZ3JhbVwiXTtpZihNb2R1bGVbXCJxdWl0XCJdKXF1aXRfPU1vZHVsZVtcInF1aXRcIl07dmFyIHdhc21CaW5hcnk7aWYoTW9kdWxlW1wid2FzbUJpbmFyeVwiXSl3YXNtQmluYXJ5PU1vZHVsZVtcIndhc21CaW5hcnlcIl07dmFyIG5vRXhpdFJ1bnRpbWU9TW9kdWxlW1wibm9FeGl0UnVudGltZVwiXXx8dHJ1ZTtpZih0eXBlb2YgV2ViQXNzZW1ibHkhPVwib2JqZWN0XCIpe2Fib3J0KFwibm8gbmF0aXZlIHdhc20gc3VwcG9ydCBkZXRlY3RlZFwiKX12YXIgd2FzbU1lbW9yeTt2YXIgQUJPUlQ9ZmFsc2U7dmFyIEVYSVRTVEFUVVM7dmFyIEhFQVA4LEhFQVBVOCxIRUFQMTYsSEVBUFUxNixIRUFQMzIsSEVBUFUzMixIRUFQRjMyLEhFQVBGNjQ7ZnVuY3Rpb24gdXBkYXRlTWVtb3J5Vmlld3MoKXt2YXIgYj13YXNtTWVtb3J5LmJ1ZmZlcjtNb2R1bGVbXCJIRUFQOFwiXT1IRUFQOD1uZXcgSW50OEFycmF5KGIpO01vZHVsZVtcIkhFQVAxNlwiXT1IRUFQMTY9bmV3IEludDE2QXJyYXkoYik7TW9kdWxlW1wiSEVBUDMyXCJdPUhFQVAzMj1uZXcgSW50MzJBcnJheShiKTtNb2R1bGVbXCJIRUFQVThcIl09SEVBUFU4PW5ldyBVaW50OEFycmF5KGIpO01vZHVsZVtcIkhFQVBVMTZcIl09SEVBUFUxNj1uZXcgVWludDE2QXJyYXkoYik7TW9kdWxlW1wiSEVBUFUzMlwiXT1IRUFQVTMyPW5ldyBVaW50MzJBcnJheShiKTtNb2R1bGVbXCJIRUFQRjMyXCJdPUhFQVBGMzI9bmV3IEZsb2F0MzJBcnJheShiKTtNb2R1bGVbXCJIRUFQRjY0XCJdPUhFQVBGNjQ9bmV3IEZsb2F0NjRBcnJheShiKX12YXIgd2FzbVRhYmxlO3ZhciBfX0FUUFJFUlVOX189W107dmFyIF9fQVRJTklUX189W107dmFyIF9fQVRQT1NUUlVOX189W107dmFyIHJ1bnRpbWVJbml0aWFsaXplZD1mYWxzZTtmdW5jdGlvbiBwcmVSdW4oKXtpZihNb2R1bGVbXCJwcmVSdW5cIl0pe2lmKHR5cGVvZiBNb2R1bGVbXCJwcmVSdW5cIl09PVwiZnVuY3Rpb25cIilNb2R1bGVbXCJwcmVSdW5cIl09W01vZHVsZVtcInByZVJ1blwiXV07d2hpbGUoTW9kdWxlW1wicHJlUnVuXCJdLmxlbmd0aCl7YWRkT25QcmVSdW4oTW9kdWxlW1wicHJlUnVuXCJdLnNoaWZ0KCkpfX1jYWxsUnVudGltZUNhbGxiYWNrcyhfX0FUUFJFUlVOX18pfWZ1bmN0aW9uIGluaXRSdW50aW1lKCl7cnVudGltZUluaXRpYWxpemVkPXRydWU7Y2FsbFJ1bnRpbWVDYWxsYmFja3MoX19BVElOSVRfXyl9ZnVuY3Rpb24gcG9zdFJ1bigpe2lmKE1vZHVsZVtcInBvc3RSdW5cIl0pe2lmKHR5cGVvZiBNb2R1bGVbXCJwb3N0UnVuXCJdPT1cImZ1bmN0aW9uXCIpTW9kdWxlW1wicG9zdFJ1blwiXT1bTW9kdWxlW1wicG9zdFJ1blwiXV07d2hpbGUoTW9kdWxlW1wicG9zdFJ1blwiXS5sZW5ndGgpe2FkZE9uUG9zdFJ1bihNb2R1bGVbXCJwb3N0UnVuXCJdLnNoaWZ0KCkpfX1jYWxsUnVudGltZUNhbGxiYWNrcyhfX0FUUE9TVFJVTl9fKX1mdW5jdGlvbiBhZGRPblByZVJ1bihjYil7X19BVFBSRVJVTl9fLnVuc2hpZnQoY2IpfWZ1bmN0aW9uIGFkZE9uSW5pdChjYil7X19BVElOSVRfXy51bnNoaWZ0KGNiKX1mdW5jdGlvbiBhZGRPblBvc3RSdW4oY2Ipe19fQVRQT1NUUlVOX18udW5zaGlmdChjYil9dmFyIHJ1bkRlcGVuZGVuY2llcz0wO3ZhciBydW5EZXBlbmRlbmN5V2F0Y2hlcj1udWxsO3ZhciBkZXBlbmRlbmNpZXNGdWxmaWxsZWQ9bnVsbDtmdW5jdGlvbiBhZGRSdW5EZXBlbmRlbmN5KGlkKXtydW5EZXBlbmRlbmNpZXMrKztpZihNb2R1bGVbXCJtb25pdG9yUnVuRGVwZW5kZW5jaWVzXCJdKXtNb2R1bGVbXCJtb25pdG9yUnVuRGVwZW5kZW5jaWVzXCJdKHJ1bkRlcGVuZGVuY2llcyl9fWZ1bmN0aW9uIHJlbW92ZVJ1bkRlcGVuZGVuY3koaWQpe3J1bkRlcGVuZGVuY2llcy0tO2lmKE1vZHVsZVtcIm1vbml0b3JSdW5EZXBlbmRlbmNpZXNcIl0pe01vZHVsZVtcIm1vbml0b3JSdW5EZXBlbmRlbmNpZXNcIl0ocnVuRGVwZW5kZW5jaWVzKX1pZihydW5EZXBlbmRlbmNpZXM9PTApe2lmKHJ1bkRlcGVuZGVuY3lXYXRjaGVyIT09bnVsbCl7Y2xlYXJJbnRlcnZhbChydW5EZXBlbmRlbmN5V2F0Y2hlcik7cnVuRGVwZW5kZW5jeVdhdGNoZXI9bnVsbH1pZihkZXBlbmRlbmNpZXNGdWxmaWxsZWQpe3ZhciBjYWxsYmFjaz1kZXBlbmRlbmNpZXNGdWxmaWxsZWQ7ZGVwZW5kZW5jaWVzRnVsZmlsbGVkPW51bGw7Y2FsbGJhY2soKX19fWZ1bmN0aW9uIGFib3J0KHdoYXQpe2lmKE1vZHVsZVtcIm9uQWJvcnRcIl0pe01vZHVsZVtcIm9uQWJvcnRcIl0od2hhdCl9d2hhdD1cIkFib3J0ZWQoXCIrd2hhdCtcIilcIjtlcnIod2hhdCk7QUJPUlQ9dHJ1ZTtFWElUU1RBVFVTPTE7d2hhdCs9XCIuIEJ1aWxkIHdpdGggLXNBU1NFUlRJT05TIGZvciBtb3JlIGluZm8uXCI7dmFyIGU9bmV3IFdlYkFzc2VtYmx5LlJ1bnRpbWVFcnJvcih3aGF0KTtyZWFkeVByb21pc2VSZWplY3QoZSk7dGhyb3cgZX12YXIgZGF0YVVSSVByZWZpeD1cImRhdGE6YXBwbGljYXRpb24vb2N0ZXQtc3RyZWFtO2Jhc2U2NCxcIjtmdW5jdGlvbiBpc0RhdGFVUkkoZmlsZW5hbWUpe3JldHVybiBmaWxlbmFtZS5zdGFydHNXaXRoKGRhdGFVUklQcmVmaXgpfXZhciB3YXNtQmluYXJ5RmlsZTt3YXNtQmluYXJ5RmlsZT1cImRhdGE6YXBwbGljYXRpb24vb2N0ZXQtc3RyZWFtO2Jhc2U2NCxBR0Z6YlFFQUFBQUJVZzFnQm45L2YzOS9md0YvWUFGL0FYOWdBMzkvZndCZ0FYOEFZQUovZndCZ0JYOS9mMzkvQVg5Z0FueC9BWHhnQTN4OGZ3RjhZQUFBWUFaL2YzOS9mMzhBWUFKL2Z3Ri9ZQUY4QVh4Z0FueDhBWHdDRFFJQllRRmhBQUlCWVFGaUFBRURHUmdEQVFRQkFRWUhDQWtFQ2dFTERBTUFBQUFBQUFFQ0JRVUVCUUZ3QVFZR0JRY0JBY0FDZ0lBQ0JnZ0Jmd0ZCOExBRUN3Y3BDZ0ZqQWdBQlpBQUpBV1VBR1FGbUFBSUJad0FRQVdnQUdBRnBBQmNCYWdBV0FXc0JBQUZzQUFZSkN3RUFRUUVMQlJVVUV4SVJDc3VvQVJqU0N3RUhmd0pBSUFCRkRRQWdBRUVJYXlJQ0lBQkJCR3NvQWdBaUFVRjRjU0lBYWlFRkFrQWdBVUVCY1EwQUlBRkJBM0ZGRFFFZ0FpQUNLQUlBSWdGcklnSkJpQzBvQWdCSkRRRWdBQ0FCYWlFQUFrQUNRRUdNTFNnQ0FDQUNSd1JBSUFGQi93Rk5CRUFnQVVFRGRpRUVJQUlvQWd3aUFTQUNLQUlJSWdOR0JFQkIrQ3hCK0N3b0FnQkJmaUFFZDNFMkFnQU1CUXNnQXlBQk5nSU1JQUVnQXpZQ0NBd0VDeUFDS0FJWUlRWWdBaUFDS0FJTUlnRkhCRUFnQWlnQ0NDSURJQUUyQWd3Z0FTQUROZ0lJREFNTElBSkJGR29pQkNnQ0FDSURSUVJBSUFJb0FoQWlBMFVOQWlBQ1FSQnFJUVFMQTBBZ0JDRUhJQU1pQVVFVWFpSUVLQUlBSWdNTkFDQUJRUkJxSVFRZ0FTZ0NFQ0lERFFBTElBZEJBRFlDQUF3Q0N5QUZLQUlFSWdGQkEzRkJBMGNOQWtHQUxTQUFOZ0lBSUFVZ0FVRitjVFlDQkNBQ0lBQkJBWEkyQWdRZ0JTQUFOZ0lBRHd0QkFDRUJDeUFHUlEwQUFrQWdBaWdDSENJRFFRSjBRYWd2YWlJRUtBSUFJQUpHQkVBZ0JDQUJOZ0lBSUFFTkFVSDhMRUg4TENnQ0FFRitJQU4zY1RZQ0FBd0NDeUFHUVJCQkZDQUdLQUlRSUFKR0cyb2dBVFlDQUNBQlJRMEJDeUFCSUFZMkFoZ2dBaWdDRUNJREJFQWdBU0FETmdJUUlBTWdBVFlDR0FzZ0FpZ0NGQ0lEUlEwQUlBRWdBellDRkNBRElBRTJBaGdMSUFJZ0JVOE5BQ0FGS0FJRUlnRkJBWEZGRFFBQ1FBSkFBa0FDUUNBQlFRSnhSUVJBUVpBdEtBSUFJQVZHQkVCQmtDMGdBallDQUVHRUxVR0VMU2dDQUNBQWFpSUFOZ0lBSUFJZ0FFRUJjallDQkNBQ1FZd3RLQUlBUncwR1FZQXRRUUEyQWdCQmpDMUJBRFlDQUE4TFFZd3RLQUlBSUFWR0JFQkJqQzBnQWpZQ0FFR0FMVUdBTFNnQ0FDQUFhaUlBTmdJQUlBSWdBRUVCY2pZQ0JDQUFJQUpxSUFBMkFnQVBDeUFCUVhoeElBQnFJUUFnQVVIL0FVMEVRQ0FCUVFOMklRUWdCU2dDRENJQklBVW9BZ2dpQTBZRVFFSDRMRUg0TENnQ0FFRitJQVIzY1RZQ0FBd0ZDeUFESUFFMkFnd2dBU0FETmdJSURBUUxJQVVvQWhnaEJpQUZJQVVvQWd3aUFVY0VRRUdJTFNnQ0FCb2dCU2dDQ0NJRElBRTJBZ3dnQVNBRE5nSUlEQU1MSUFWQkZHb2lCQ2dDQUNJRFJRUkFJQVVvQWhBaUEwVU5BaUFGUVJCcUlRUUxBMEFnQkNFSElBTWlBVUVVYWlJRUtBSUFJZ01OQUNBQlFSQnFJUVFnQVNnQ0VDSUREUUFMSUFkQkFEWUNBQXdDQ3lBRklBRkJmbkUyQWdRZ0FpQUFRUUZ5TmdJRUlBQWdBbW9nQURZQ0FBd0RDMEVBSVFFTElBWkZEUUFDUUNBRktBSWNJZ05CQW5SQnFDOXFJZ1FvQWdBZ0JVWUVRQ0FFSUFFMkFnQWdBUTBCUWZ3c1Fmd3NLQUlBUVg0Z0EzZHhOZ0lBREFJTElBWkJFRUVVSUFZb0FoQWdCVVliYWlBQk5nSUFJQUZGRFFFTElBRWdCallDR0NBRktBSVFJZ01FUUNBQklBTTJBaEFnQXlBQk5nSVlDeUFGS0FJVUlnTkZEUUFnQVNBRE5nSVVJQU1nQVRZQ0dBc2dBaUFBUVFGeU5nSUVJQUFnQW1vZ0FEWUNBQ0FDUVl3dEtBSUFSdzBBUVlBdElBQTJBZ0FQQ3lBQVFmOEJUUVJBSUFCQmVIRkJvQzFxSVFFQ2YwSDRMQ2dDQUNJRFFRRWdBRUVEZG5RaUFIRkZCRUJCK0N3Z0FDQURjallDQUNBQkRBRUxJQUVvQWdnTElRQWdBU0FDTmdJSUlBQWdBallDRENBQ0lBRTJBZ3dnQWlBQU5nSUlEd3RCSHlFRElBQkIvLy8vQjAwRVFDQUFRU1lnQUVFSWRtY2lBV3QyUVFGeElBRkJBWFJyUVQ1cUlRTUxJQUlnQXpZQ0hDQUNRZ0EzQWhBZ0EwRUNkRUdvTDJvaEFRSkFBa0FDUUVIOExDZ0NBQ0lFUVFFZ0EzUWlCM0ZGQkVCQi9Dd2dCQ0FIY2pZQ0FDQUJJQUkyQWdBZ0FpQUJOZ0lZREFFTElBQkJHU0FEUVFGMmEwRUFJQU5CSDBjYmRDRURJQUVvQWdBaEFRTkFJQUVpQkNnQ0JFRjRjU0FBUmcwQ0lBTkJIWFloQVNBRFFRRjBJUU1nQkNBQlFRUnhhaUlIUVJCcUtBSUFJZ0VOQUFzZ0J5QUNOZ0lRSUFJZ0JEWUNHQXNnQWlBQ05nSU1JQUlnQWpZQ0NBd0JDeUFFS0FJSUlnQWdBallDRENBRUlBSTJBZ2dnQWtFQU5nSVlJQUlnQkRZQ0RDQUNJQUEyQWdnTFFaZ3RRWmd0S0FJQVFRRnJJZ0JCZnlBQUd6WUNBQXNMVHdFQ2YwSHdMQ2dDQUNJQklBQkJCMnBCZUhFaUFtb2hBQUpBSUFKQkFDQUFJQUZOR3cwQUlBQS9BRUVRZEVzRVFDQUFFQUZGRFFFTFFmQXNJQUEyQWdBZ0FROExRZlFzUVRBMkFnQkJmd3ZXQWdFQmZ3SkFJQUZGRFFBZ0FFRUFPZ0FBSUFBZ0FXb2lBa0VCYTBFQU9nQUFJQUZCQTBrTkFDQUFRUUE2QUFJZ0FFRUFPZ0FCSUFKQkEydEJBRG9BQUNBQ1FRSnJRUUE2QUFBZ0FVRUhTUTBBSUFCQkFEb0FBeUFDUVFSclFRQTZBQUFnQVVFSlNRMEFJQUJCQUNBQWEwRURjU0lDYWlJQVFRQTJBZ0FnQUNBQklBSnJRWHh4SWdKcUlnRkJCR3RCQURZQ0FDQUNRUWxKRFFBZ0FFRUFOZ0lJSUFCQkFEWUNCQ0FCUVFoclFRQTJBZ0FnQVVFTWEwRUFOZ0lBSUFKQkdVa05BQ0FBUVFBMkFoZ2dBRUVBTmdJVUlBQkJBRFlDRUNBQVFRQTJBZ3dnQVVFUWEwRUFOZ0lBSUFGQkZHdEJBRFlDQUNBQlFSaHJRUUEyQWdBZ0FVRWNhMEVBTmdJQUlBSWdBRUVFY1VFWWNpSUNheUlCUVNCSkRRQWdBQ0FDYWlFQUEwQWdBRUlBTndNWUlBQkNBRGNERUNBQVFnQTNBd2dnQUVJQU53TUFJQUJCSUdvaEFDQUJRU0JySWdGQkgwc05BQXNMQzFNQ0FYOEJmZ0pBQW45QkFDQUFSUTBBR2lBQXJTSUNweUlCSUFCQkFYSkJnSUFFU1EwQUdrRi9JQUVnQWtJZ2lLY2JDeUlCRUFZaUFFVU5BQ0FBUVFSckxRQUFRUU54UlEwQUlBQWdBUkFFQ3lBQUM1d29BUXQvSXdCQkVHc2lDeVFBQWtBQ1FBSkFBa0FDUUFKQUFrQUNRQUpBQWtBQ1FBSkFBa0FDUUNBQVFmUUJUUVJBUWZnc0tBSUFJZ1pCRUNBQVFRdHFRWGh4SUFCQkMwa2JJZ1ZCQTNZaUFIWWlBVUVEY1FSQUFrQWdBVUYvYzBFQmNTQUFhaUlDUVFOMElnRkJvQzFxSWdBZ0FVR29MV29vQWdBaUFTZ0NDQ0lFUmdSQVFmZ3NJQVpCZmlBQ2QzRTJBZ0FNQVFzZ0JDQUFOZ0lNSUFBZ0JEWUNDQXNnQVVFSWFpRUFJQUVnQWtFRGRDSUNRUU55TmdJRUlBRWdBbW9pQVNBQktBSUVRUUZ5TmdJRURBOExJQVZCZ0Mwb0FnQWlCMDBOQVNBQkJFQUNRRUVDSUFCMElnSkJBQ0FDYTNJZ0FTQUFkSEVpQUVFQUlBQnJjV2dpQVVFRGRDSUFRYUF0YWlJQ0lBQkJxQzFxS0FJQUlnQW9BZ2dpQkVZRVFFSDRMQ0FHUVg0Z0FYZHhJZ1kyQWdBTUFRc2dCQ0FDTmdJTUlBSWdCRFlDQ0FzZ0FDQUZRUU55TmdJRUlBQWdCV29pQ0NBQlFRTjBJZ0VnQldzaUJFRUJjallDQkNBQUlBRnFJQVEyQWdBZ0J3UkFJQWRCZUhGQm9DMXFJUUZCakMwb0FnQWhBZ0ovSUFaQkFTQUhRUU4yZENJRGNVVUVRRUg0TENBRElBWnlOZ0lBSUFFTUFRc2dBU2dDQ0FzaEF5QUJJQUkyQWdnZ0F5QUNOZ0lNSUFJZ0FUWUNEQ0FDSUFNMkFnZ0xJQUJCQ0dvaEFFR01MU0FJTmdJQVFZQXRJQVEyQWdBTUR3dEIvQ3dvQWdBaUNrVU5BU0FLUVFBZ0NtdHhhRUVDZEVHb0wyb29BZ0FpQWlnQ0JFRjRjU0FGYXlFRElBSWhBUU5BQWtBZ0FTZ0NFQ0lBUlFSQUlBRW9BaFFpQUVVTkFRc2dBQ2dDQkVGNGNTQUZheUlCSUFNZ0FTQURTU0lCR3lFRElBQWdBaUFCR3lFQ0lBQWhBUXdCQ3dzZ0FpZ0NHQ0VKSUFJZ0FpZ0NEQ0lFUndSQVFZZ3RLQUlBR2lBQ0tBSUlJZ0FnQkRZQ0RDQUVJQUEyQWdnTURnc2dBa0VVYWlJQktBSUFJZ0JGQkVBZ0FpZ0NFQ0lBUlEwRElBSkJFR29oQVFzRFFDQUJJUWdnQUNJRVFSUnFJZ0VvQWdBaUFBMEFJQVJCRUdvaEFTQUVLQUlRSWdBTkFBc2dDRUVBTmdJQURBMExRWDhoQlNBQVFiOS9TdzBBSUFCQkMyb2lBRUY0Y1NFRlFmd3NLQUlBSWdoRkRRQkJBQ0FGYXlFREFrQUNRQUpBQW45QkFDQUZRWUFDU1EwQUdrRWZJQVZCLy8vL0Iwc05BQm9nQlVFbUlBQkJDSFpuSWdCcmRrRUJjU0FBUVFGMGEwRSthZ3NpQjBFQ2RFR29MMm9vQWdBaUFVVUVRRUVBSVFBTUFRdEJBQ0VBSUFWQkdTQUhRUUYyYTBFQUlBZEJIMGNiZENFQ0EwQUNRQ0FCS0FJRVFYaHhJQVZySWdZZ0EwOE5BQ0FCSVFRZ0JpSUREUUJCQUNFRElBRWhBQXdEQ3lBQUlBRW9BaFFpQmlBR0lBRWdBa0VkZGtFRWNXb29BaEFpQVVZYklBQWdCaHNoQUNBQ1FRRjBJUUlnQVEwQUN3c2dBQ0FFY2tVRVFFRUFJUVJCQWlBSGRDSUFRUUFnQUd0eUlBaHhJZ0JGRFFNZ0FFRUFJQUJyY1doQkFuUkJxQzlxS0FJQUlRQUxJQUJGRFFFTEEwQWdBQ2dDQkVGNGNTQUZheUlDSUFOSklRRWdBaUFESUFFYklRTWdBQ0FFSUFFYklRUWdBQ2dDRUNJQkJIOGdBUVVnQUNnQ0ZBc2lBQTBBQ3dzZ0JFVU5BQ0FEUVlBdEtBSUFJQVZyVHcwQUlBUW9BaGdoQnlBRUlBUW9BZ3dpQWtjRVFFR0lMU2dDQUJvZ0JDZ0NDQ0lBSUFJMkFnd2dBaUFBTmdJSURBd0xJQVJCRkdvaUFTZ0NBQ0lBUlFSQUlBUW9BaEFpQUVVTkF5QUVRUkJxSVFFTEEwQWdBU0VHSUFBaUFrRVVhaUlCS0FJQUlnQU5BQ0FDUVJCcUlRRWdBaWdDRUNJQURRQUxJQVpCQURZQ0FBd0xDeUFGUVlBdEtBSUFJZ1JOQkVCQmpDMG9BZ0FoQUFKQUlBUWdCV3NpQVVFUVR3UkFJQUFnQldvaUFpQUJRUUZ5TmdJRUlBQWdCR29nQVRZQ0FDQUFJQVZCQTNJMkFnUU1BUXNnQUNBRVFRTnlOZ0lFSUFBZ0JHb2lBU0FCS0FJRVFRRnlOZ0lFUVFBaEFrRUFJUUVMUVlBdElBRTJBZ0JCakMwZ0FqWUNBQ0FBUVFocUlRQU1EUXNnQlVHRUxTZ0NBQ0lDU1FSQVFZUXRJQUlnQldzaUFUWUNBRUdRTFVHUUxTZ0NBQ0lBSUFWcUlnSTJBZ0FnQWlBQlFRRnlOZ0lFSUFBZ0JVRURjallDQkNBQVFRaHFJUUFNRFF0QkFDRUFJQVZCTDJvaUF3Si9RZEF3S0FJQUJFQkIyREFvQWdBTUFRdEIzREJDZnpjQ0FFSFVNRUtBb0lDQWdJQUVOd0lBUWRBd0lBdEJER3BCY0hGQjJLclZxZ1Z6TmdJQVFlUXdRUUEyQWdCQnREQkJBRFlDQUVHQUlBc2lBV29pQmtFQUlBRnJJZ2h4SWdFZ0JVME5ERUd3TUNnQ0FDSUVCRUJCcURBb0FnQWlCeUFCYWlJSklBZE5EUTBnQkNBSlNRME5Dd0pBUWJRd0xRQUFRUVJ4UlFSQUFrQUNRQUpBQWtCQmtDMG9BZ0FpQkFSQVFiZ3dJUUFEUUNBRUlBQW9BZ0FpQjA4RVFDQUhJQUFvQWdScUlBUkxEUU1MSUFBb0FnZ2lBQTBBQ3d0QkFCQURJZ0pCZjBZTkF5QUJJUVpCMURBb0FnQWlBRUVCYXlJRUlBSnhCRUFnQVNBQ2F5QUNJQVJxUVFBZ0FHdHhhaUVHQ3lBRklBWlBEUU5Cc0RBb0FnQWlBQVJBUWFnd0tBSUFJZ1FnQm1vaUNDQUVUUTBFSUFBZ0NFa05CQXNnQmhBRElnQWdBa2NOQVF3RkN5QUdJQUpySUFoeElnWVFBeUlDSUFBb0FnQWdBQ2dDQkdwR0RRRWdBaUVBQ3lBQVFYOUdEUUVnQlVFd2FpQUdUUVJBSUFBaEFnd0VDMEhZTUNnQ0FDSUNJQU1nQm10cVFRQWdBbXR4SWdJUUEwRi9SZzBCSUFJZ0Jtb2hCaUFBSVFJTUF3c2dBa0YvUncwQ0MwRzBNRUcwTUNnQ0FFRUVjallDQUFzZ0FSQURJUUpCQUJBRElRQWdBa0YvUmcwRklBQkJmMFlOQlNBQUlBSk5EUVVnQUNBQ2F5SUdJQVZCS0dwTkRRVUxRYWd3UWFnd0tBSUFJQVpxSWdBMkFnQkJyREFvQWdBZ0FFa0VRRUdzTUNBQU5nSUFDd0pBUVpBdEtBSUFJZ01FUUVHNE1DRUFBMEFnQWlBQUtBSUFJZ0VnQUNnQ0JDSUVha1lOQWlBQUtBSUlJZ0FOQUFzTUJBdEJpQzBvQWdBaUFFRUFJQUFnQWswYlJRUkFRWWd0SUFJMkFnQUxRUUFoQUVHOE1DQUdOZ0lBUWJnd0lBSTJBZ0JCbUMxQmZ6WUNBRUdjTFVIUU1DZ0NBRFlDQUVIRU1FRUFOZ0lBQTBBZ0FFRURkQ0lCUWFndGFpQUJRYUF0YWlJRU5nSUFJQUZCckMxcUlBUTJBZ0FnQUVFQmFpSUFRU0JIRFFBTFFZUXRJQVpCS0dzaUFFRjRJQUpyUVFkeFFRQWdBa0VJYWtFSGNSc2lBV3NpQkRZQ0FFR1FMU0FCSUFKcUlnRTJBZ0FnQVNBRVFRRnlOZ0lFSUFBZ0FtcEJLRFlDQkVHVUxVSGdNQ2dDQURZQ0FBd0VDeUFDSUFOTkRRSWdBU0FEU3cwQ0lBQW9BZ3hCQ0hFTkFpQUFJQVFnQm1vMkFnUkJrQzBnQTBGNElBTnJRUWR4UVFBZ0EwRUlha0VIY1JzaUFHb2lBVFlDQUVHRUxVR0VMU2dDQUNBR2FpSUNJQUJySWdBMkFnQWdBU0FBUVFGeU5nSUVJQUlnQTJwQktEWUNCRUdVTFVIZ01DZ0NBRFlDQUF3REMwRUFJUVFNQ2d0QkFDRUNEQWdMUVlndEtBSUFJQUpMQkVCQmlDMGdBallDQUFzZ0FpQUdhaUVCUWJnd0lRQUNRQUpBQWtBRFFDQUJJQUFvQWdCSEJFQWdBQ2dDQ0NJQURRRU1BZ3NMSUFBdEFBeEJDSEZGRFFFTFFiZ3dJUUFEUUNBRElBQW9BZ0FpQVU4RVFDQUJJQUFvQWdScUlnUWdBMHNOQXdzZ0FDZ0NDQ0VBREFBTEFBc2dBQ0FDTmdJQUlBQWdBQ2dDQkNBR2FqWUNCQ0FDUVhnZ0FtdEJCM0ZCQUNBQ1FRaHFRUWR4RzJvaUJ5QUZRUU55TmdJRUlBRkJlQ0FCYTBFSGNVRUFJQUZCQ0dwQkIzRWJhaUlHSUFVZ0Iyb2lCV3NoQUNBRElBWkdCRUJCa0MwZ0JUWUNBRUdFTFVHRUxTZ0NBQ0FBYWlJQU5nSUFJQVVnQUVFQmNqWUNCQXdJQzBHTUxTZ0NBQ0FHUmdSQVFZd3RJQVUyQWdCQmdDMUJnQzBvQWdBZ0FHb2lBRFlDQUNBRklBQkJBWEkyQWdRZ0FDQUZhaUFBTmdJQURBZ0xJQVlvQWdRaUEwRURjVUVCUncwR0lBTkJlSEVoQ1NBRFFmOEJUUVJBSUFZb0Fnd2lBU0FHS0FJSUlnSkdCRUJCK0N4QitDd29BZ0JCZmlBRFFRTjJkM0UyQWdBTUJ3c2dBaUFCTmdJTUlBRWdBallDQ0F3R0N5QUdLQUlZSVFnZ0JpQUdLQUlNSWdKSEJFQWdCaWdDQ0NJQklBSTJBZ3dnQWlBQk5nSUlEQVVMSUFaQkZHb2lBU2dDQUNJRFJRUkFJQVlvQWhBaUEwVU5CQ0FHUVJCcUlRRUxBMEFnQVNFRUlBTWlBa0VVYWlJQktBSUFJZ01OQUNBQ1FSQnFJUUVnQWlnQ0VDSUREUUFMSUFSQkFEWUNBQXdFQzBHRUxTQUdRU2hySWdCQmVDQUNhMEVIY1VFQUlBSkJDR3BCQjNFYklnRnJJZ2cyQWdCQmtDMGdBU0FDYWlJQk5nSUFJQUVnQ0VFQmNqWUNCQ0FBSUFKcVFTZzJBZ1JCbEMxQjREQW9BZ0EyQWdBZ0F5QUVRU2NnQkd0QkIzRkJBQ0FFUVNkclFRZHhHMnBCTDJzaUFDQUFJQU5CRUdwSkd5SUJRUnMyQWdRZ0FVSEFNQ2tDQURjQ0VDQUJRYmd3S1FJQU53SUlRY0F3SUFGQkNHbzJBZ0JCdkRBZ0JqWUNBRUc0TUNBQ05nSUFRY1F3UVFBMkFnQWdBVUVZYWlFQUEwQWdBRUVITmdJRUlBQkJDR29oQWlBQVFRUnFJUUFnQWlBRVNRMEFDeUFCSUFOR0RRQWdBU0FCS0FJRVFYNXhOZ0lFSUFNZ0FTQURheUlDUVFGeU5nSUVJQUVnQWpZQ0FDQUNRZjhCVFFSQUlBSkJlSEZCb0MxcUlRQUNmMEg0TENnQ0FDSUJRUUVnQWtFRGRuUWlBbkZGQkVCQitDd2dBU0FDY2pZQ0FDQUFEQUVMSUFBb0FnZ0xJUUVnQUNBRE5nSUlJQUVnQXpZQ0RDQURJQUEyQWd3Z0F5QUJOZ0lJREFFTFFSOGhBQ0FDUWYvLy93ZE5CRUFnQWtFbUlBSkJDSFpuSWdCcmRrRUJjU0FBUVFGMGEwRSthaUVBQ3lBRElBQTJBaHdnQTBJQU53SVFJQUJCQW5SQnFDOXFJUUVDUUFKQVFmd3NLQUlBSWdSQkFTQUFkQ0lHY1VVRVFFSDhMQ0FFSUFaeU5nSUFJQUVnQXpZQ0FBd0JDeUFDUVJrZ0FFRUJkbXRCQUNBQVFSOUhHM1FoQUNBQktBSUFJUVFEUUNBRUlnRW9BZ1JCZUhFZ0FrWU5BaUFBUVIxMklRUWdBRUVCZENFQUlBRWdCRUVFY1dvaUJpZ0NFQ0lFRFFBTElBWWdBellDRUFzZ0F5QUJOZ0lZSUFNZ0F6WUNEQ0FESUFNMkFnZ01BUXNnQVNnQ0NDSUFJQU0yQWd3Z0FTQUROZ0lJSUFOQkFEWUNHQ0FESUFFMkFnd2dBeUFBTmdJSUMwR0VMU2dDQUNJQUlBVk5EUUJCaEMwZ0FDQUZheUlCTmdJQVFaQXRRWkF0S0FJQUlnQWdCV29pQWpZQ0FDQUNJQUZCQVhJMkFnUWdBQ0FGUVFOeU5nSUVJQUJCQ0dvaEFBd0lDMEgwTEVFd05nSUFRUUFoQUF3SEMwRUFJUUlMSUFoRkRRQUNRQ0FHS0FJY0lnRkJBblJCcUM5cUlnUW9BZ0FnQmtZRVFDQUVJQUkyQWdBZ0FnMEJRZndzUWZ3c0tBSUFRWDRnQVhkeE5nSUFEQUlMSUFoQkVFRVVJQWdvQWhBZ0JrWWJhaUFDTmdJQUlBSkZEUUVMSUFJZ0NEWUNHQ0FHS0FJUUlnRUVRQ0FDSUFFMkFoQWdBU0FDTmdJWUN5QUdLQUlVSWdGRkRRQWdBaUFCTmdJVUlBRWdBallDR0FzZ0FDQUphaUVBSUFZZ0NXb2lCaWdDQkNFREN5QUdJQU5CZm5FMkFnUWdCU0FBUVFGeU5nSUVJQUFnQldvZ0FEWUNBQ0FBUWY4QlRRUkFJQUJCZUhGQm9DMXFJUUVDZjBINExDZ0NBQ0lDUVFFZ0FFRURkblFpQUhGRkJFQkIrQ3dnQUNBQ2NqWUNBQ0FCREFFTElBRW9BZ2dMSVFBZ0FTQUZOZ0lJSUFBZ0JUWUNEQ0FGSUFFMkFnd2dCU0FBTmdJSURBRUxRUjhoQXlBQVFmLy8vd2ROQkVBZ0FFRW1JQUJCQ0habklnRnJka0VCY1NBQlFRRjBhMEUrYWlFREN5QUZJQU0yQWh3Z0JVSUFOd0lRSUFOQkFuUkJxQzlxSVFFQ1FBSkFRZndzS0FJQUlnSkJBU0FEZENJRWNVVUVRRUg4TENBQ0lBUnlOZ0lBSUFFZ0JUWUNBQXdCQ3lBQVFSa2dBMEVCZG10QkFDQURRUjlIRzNRaEF5QUJLQUlBSVFJRFFDQUNJZ0VvQWdSQmVIRWdBRVlOQWlBRFFSMTJJUUlnQTBFQmRDRURJQUVnQWtFRWNXb2lCQ2dDRUNJQ0RRQUxJQVFnQlRZQ0VBc2dCU0FCTmdJWUlBVWdCVFlDRENBRklBVTJBZ2dNQVFzZ0FTZ0NDQ0lBSUFVMkFnd2dBU0FGTmdJSUlBVkJBRFlDR0NBRklBRTJBZ3dnQlNBQU5nSUlDeUFIUVFocUlRQU1BZ3NDUUNBSFJRMEFBa0FnQkNnQ0hDSUFRUUowUWFndmFpSUJLQUlBSUFSR0JFQWdBU0FDTmdJQUlBSU5BVUg4TENBSVFYNGdBSGR4SWdnMkFnQU1BZ3NnQjBFUVFSUWdCeWdDRUNBRVJodHFJQUkyQWdBZ0FrVU5BUXNnQWlBSE5nSVlJQVFvQWhBaUFBUkFJQUlnQURZQ0VDQUFJQUkyQWhnTElBUW9BaFFpQUVVTkFDQUNJQUEyQWhRZ0FDQUNOZ0lZQ3dKQUlBTkJEMDBFUUNBRUlBTWdCV29pQUVFRGNqWUNCQ0FBSUFScUlnQWdBQ2dDQkVFQmNqWUNCQXdCQ3lBRUlBVkJBM0kyQWdRZ0JDQUZhaUlDSUFOQkFYSTJBZ1FnQWlBRGFpQUROZ0lBSUFOQi93Rk5CRUFnQTBGNGNVR2dMV29oQUFKL1FmZ3NLQUlBSWdGQkFTQURRUU4yZENJRGNVVUVRRUg0TENBQklBTnlOZ0lBSUFBTUFRc2dBQ2dDQ0FzaEFTQUFJQUkyQWdnZ0FTQUNOZ0lNSUFJZ0FEWUNEQ0FDSUFFMkFnZ01BUXRCSHlFQUlBTkIvLy8vQjAwRVFDQURRU1lnQTBFSWRtY2lBR3QyUVFGeElBQkJBWFJyUVQ1cUlRQUxJQUlnQURZQ0hDQUNRZ0EzQWhBZ0FFRUNkRUdvTDJvaEFRSkFBa0FnQ0VFQklBQjBJZ1p4UlFSQVFmd3NJQVlnQ0hJMkFnQWdBU0FDTmdJQURBRUxJQU5CR1NBQVFRRjJhMEVBSUFCQkgwY2JkQ0VBSUFFb0FnQWhCUU5BSUFVaUFTZ0NCRUY0Y1NBRFJnMENJQUJCSFhZaEJpQUFRUUYwSVFBZ0FTQUdRUVJ4YWlJR0tBSVFJZ1VOQUFzZ0JpQUNOZ0lRQ3lBQ0lBRTJBaGdnQWlBQ05nSU1JQUlnQWpZQ0NBd0JDeUFCS0FJSUlnQWdBallDRENBQklBSTJBZ2dnQWtFQU5nSVlJQUlnQVRZQ0RDQUNJQUEyQWdnTElBUkJDR29oQUF3QkN3SkFJQWxGRFFBQ1FDQUNLQUljSWdCQkFuUkJxQzlxSWdFb0FnQWdBa1lFUUNBQklBUTJBZ0FnQkEwQlFmd3NJQXBCZmlBQWQzRTJBZ0FNQWdzZ0NVRVFRUlFnQ1NnQ0VDQUNSaHRxSUFRMkFnQWdCRVVOQVFzZ0JDQUpOZ0lZSUFJb0FoQWlBQVJBSUFRZ0FEWUNFQ0FBSUFRMkFoZ0xJQUlvQWhRaUFFVU5BQ0FFSUFBMkFoUWdBQ0FFTmdJWUN3SkFJQU5CRDAwRVFDQUNJQU1nQldvaUFFRURjallDQkNBQUlBSnFJZ0FnQUNnQ0JFRUJjallDQkF3QkN5QUNJQVZCQTNJMkFnUWdBaUFGYWlJRUlBTkJBWEkyQWdRZ0F5QUVhaUFETmdJQUlBY0VRQ0FIUVhoeFFhQXRhaUVBUVl3dEtBSUFJUUVDZjBFQklBZEJBM1owSWdVZ0JuRkZCRUJCK0N3Z0JTQUdjallDQUNBQURBRUxJQUFvQWdnTElRWWdBQ0FCTmdJSUlBWWdBVFlDRENBQklBQTJBZ3dnQVNBR05nSUlDMEdNTFNBRU5nSUFRWUF0SUFNMkFnQUxJQUpCQ0dvaEFBc2dDMEVRYWlRQUlBQUxxQUVBQWtBZ0FVR0FDRTRFUUNBQVJBQUFBQUFBQU9CL29pRUFJQUZCL3c5SkJFQWdBVUgvQjJzaEFRd0NDeUFBUkFBQUFBQUFBT0Ivb2lFQVFmMFhJQUVnQVVIOUYwNGJRZjRQYXlFQkRBRUxJQUZCZ1hoS0RRQWdBRVFBQUFBQUFBQmdBNkloQUNBQlFiaHdTd1JBSUFGQnlRZHFJUUVNQVFzZ0FFUUFBQUFBQUFCZ0E2SWhBRUh3YUNBQklBRkI4R2hNRzBHU0Qyb2hBUXNnQUNBQlFmOEhhcTFDTklhL29ndVpBUUVEZkNBQUlBQ2lJZ01nQXlBRG9xSWdBMFI4MWM5YU90bmxQYUpFNjV3cml1YmxXcjZnb2lBRElBTkVmZjZ4VitNZHh6NmlSTlZod1JtZ0FTcS9vS0pFcHZnUUVSRVJnVCtnb0NFRklBTWdBS0loQkNBQ1JRUkFJQVFnQXlBRm9rUkpWVlZWVlZYRnY2Q2lJQUNnRHdzZ0FDQURJQUZFQUFBQUFBQUE0RCtpSUFVZ0JLS2hvaUFCb1NBRVJFbFZWVlZWVmNVL29xQ2hDd01BQVF1RkRRRVJmeU1BUVJCcklnd2tBQ0FNSUFRMkFnd2dBQ2dDR0NFUklBQW9BaHdoRUNBQUtBSklJUTRnQUNnQ1dDRVNJQVVvQWdBaENDQURLQUlBSVJNQ1FDQUJRUUowSWhVZ0FDZ0NSR29vQWdBRVFDQUlJUllqQUVFUWF5SUxKQUFnQ3lBSU5nSU1JQXNnQVVFQ2RDSUVJQUFvQWtScUtBSUFOZ0lJSUF3b0Fnd2hCaUFBUVFFMkFqZ2dBQ2dDR0NFTklBQWdBU0FBS0FKSUlBQW9BaHdnQVd4QkFuUnFJZ2NnQzBFSWFpQUdJQXRCREdvZ0FDZ0NWQkVBQUNFSklBQW9BandnQkdvaUNDZ0NBQ0lHSUFzb0FnZ2lCRWdFUUNBTElBWTJBZ2dnQmlFRUN5QUxJQWsyQWd3Z0NDQUlLQUlBSUFSck5nSUFJQXNvQWdnaEJBSkFJQTFCQWtnTkFDQU5RUUZySWdoQkEzRWhDVUVBSVFZZ0RVRUNhMEVEVHdSQUlBaEJmSEVoRkVFQUlRZ0RRQ0FISUFaQkFuUnFJQWNnQkNBR2FrRUNkR29xQWdBNEFnQWdCeUFHUVFGeUlncEJBblJxSUFjZ0JDQUtha0VDZEdvcUFnQTRBZ0FnQnlBR1FRSnlJZ3BCQW5ScUlBY2dCQ0FLYWtFQ2RHb3FBZ0E0QWdBZ0J5QUdRUU55SWdwQkFuUnFJQWNnQkNBS2FrRUNkR29xQWdBNEFnQWdCa0VFYWlFR0lBaEJCR29pQ0NBVVJ3MEFDd3NnQ1VVTkFBTkFJQWNnQmtFQ2RHb2dCeUFFSUFacVFRSjBhaW9DQURnQ0FDQUdRUUZxSVFZZ0QwRUJhaUlQSUFsSERRQUxDeUFBS0FKRUlBRkJBblJxSWdZZ0JpZ0NBQ0lQSUFSckloUTJBZ0FDUUNBRUlBOUdEUUFnRFVFQmF5RU5RUUFoQ0NBTEtBSUlJUWxCQUNFR0lBOGdCRUYvYzJwQkEwOEVRQ0FVUVh4eElROUJBQ0VFQTBBZ0J5QUdJQTFxSWdwQkFuUnFJQWNnQ1NBS2FrRUNkR29xQWdBNEFnQWdCeUFOSUFaQkFYSnFJZ3BCQW5ScUlBY2dDU0FLYWtFQ2RHb3FBZ0E0QWdBZ0J5QU5JQVpCQW5KcUlncEJBblJxSUFjZ0NTQUtha0VDZEdvcUFnQTRBZ0FnQnlBTklBWkJBM0pxSWdwQkFuUnFJQWNnQ1NBS2FrRUNkR29xQWdBNEFnQWdCa0VFYWlFR0lBUkJCR29pQkNBUFJ3MEFDd3NnRkVFRGNTSUVSUTBBQTBBZ0J5QUdJQTFxSWc5QkFuUnFJQWNnQ1NBUGFrRUNkR29xQWdBNEFnQWdCa0VCYWlFR0lBaEJBV29pQ0NBRVJ3MEFDd3NnRENBTUtBSU1JQXNvQWd3aUJDQUFLQUpjYkVFQ2RHbzJBZ3dnQzBFUWFpUUFJQllnQkdzaENDQUFLQUpFSUJWcUtBSUFEUUVMSUJORkRRQWdDRVVOQUNBUUlCRkJBV3NpQzJzaER5QU9JQUVnRUd3aUJFRUNkR29oRFNBRUlCRnFRUUowSUE1cVFRUnJJUlFnRENnQ0RDRVJBMEFnRENBVElBOGdEeUFUU3hzaUJ6WUNDQ0FNSUFnMkFnUUNRQ0FDQkVBZ0IwVU5BVUVBSVFsQkFDRUVJQWRCQkU4RVFDQUhRWHh4SVJCQkFDRUdBMEFnRFNBRUlBdHFRUUowYWlBQ0lBUWdFbXhCQW5ScUtnSUFPQUlBSUEwZ0JFRUJjaUlPSUF0cVFRSjBhaUFDSUE0Z0VteEJBblJxS2dJQU9BSUFJQTBnQkVFQ2NpSU9JQXRxUVFKMGFpQUNJQTRnRW14QkFuUnFLZ0lBT0FJQUlBMGdCRUVEY2lJT0lBdHFRUUowYWlBQ0lBNGdFbXhCQW5ScUtnSUFPQUlBSUFSQkJHb2hCQ0FHUVFScUlnWWdFRWNOQUFzTElBZEJBM0VpQmtVTkFRTkFJQTBnQkNBTGFrRUNkR29nQWlBRUlCSnNRUUowYWlvQ0FEZ0NBQ0FFUVFGcUlRUWdDVUVCYWlJSklBWkhEUUFMREFFTElBZEZEUUFnRkNBSFFRSjBFQVFMSUFCQkFUWUNPQ0FBS0FJWUlRa2dBQ0FCSUFBb0FrZ2dBQ2dDSENBQmJFRUNkR29pQnlBTVFRaHFJQkVnREVFRWFpQUFLQUpVRVFBQUlRNGdBQ2dDUENBQlFRSjBhaUlRS0FJQUlnUWdEQ2dDQ0NJR1NBUkFJQXdnQkRZQ0NDQUVJUVlMSUF3Z0RqWUNCQ0FRSUJBb0FnQWdCbXMyQWdBZ0RDZ0NDQ0lHSVFRZ0NVRUNUZ1JBSUFsQkFXc2lGVUVEY1NFUVFRQWhEa0VBSVFRZ0NVRUNhMEVEVHdSQUlCVkJmSEVoRlVFQUlRa0RRQ0FISUFSQkFuUnFJQWNnQkNBR2FrRUNkR29xQWdBNEFnQWdCeUFFUVFGeUlncEJBblJxSUFjZ0JpQUtha0VDZEdvcUFnQTRBZ0FnQnlBRVFRSnlJZ3BCQW5ScUlBY2dCaUFLYWtFQ2RHb3FBZ0E0QWdBZ0J5QUVRUU55SWdwQkFuUnFJQWNnQmlBS2FrRUNkR29xQWdBNEFnQWdCRUVFYWlFRUlBbEJCR29pQ1NBVlJ3MEFDd3NnRUFSQUEwQWdCeUFFUVFKMGFpQUhJQVFnQm1wQkFuUnFLZ0lBT0FJQUlBUkJBV29oQkNBT1FRRnFJZzRnRUVjTkFBc0xJQXdvQWdnaEJBc2dDQ0FNS0FJRUlnZHJJUWdnRXlBR2F5SVRSUTBCSUFJZ0JDQVNiRUVDZEdwQkFDQUNHeUVDSUJFZ0FDZ0NYQ0FIYkVFQ2RHb2hFU0FJRFFBTEN5QURJQU1vQWdBZ0UyczJBZ0FnQlNBRktBSUFJQWhyTmdJQUlBQW9BbFFhSUF4QkVHb2tBQXVWQ3dFR2Z5QUFJQUZxSVFVQ1FBSkFJQUFvQWdRaUFrRUJjUTBBSUFKQkEzRkZEUUVnQUNnQ0FDSUNJQUZxSVFFQ1FBSkFBa0FnQUNBQ2F5SUFRWXd0S0FJQVJ3UkFJQUpCL3dGTkJFQWdBa0VEZGlFRUlBQW9BZ2dpQXlBQUtBSU1JZ0pIRFFKQitDeEIrQ3dvQWdCQmZpQUVkM0UyQWdBTUJRc2dBQ2dDR0NFR0lBQWdBQ2dDRENJQ1J3UkFRWWd0S0FJQUdpQUFLQUlJSWdNZ0FqWUNEQ0FDSUFNMkFnZ01CQXNnQUVFVWFpSUVLQUlBSWdORkJFQWdBQ2dDRUNJRFJRMERJQUJCRUdvaEJBc0RRQ0FFSVFjZ0F5SUNRUlJxSWdRb0FnQWlBdzBBSUFKQkVHb2hCQ0FDS0FJUUlnTU5BQXNnQjBFQU5nSUFEQU1MSUFVb0FnUWlBa0VEY1VFRFJ3MERRWUF0SUFFMkFnQWdCU0FDUVg1eE5nSUVJQUFnQVVFQmNqWUNCQ0FGSUFFMkFnQVBDeUFESUFJMkFnd2dBaUFETmdJSURBSUxRUUFoQWdzZ0JrVU5BQUpBSUFBb0Fod2lBMEVDZEVHb0wyb2lCQ2dDQUNBQVJnUkFJQVFnQWpZQ0FDQUNEUUZCL0N4Qi9Dd29BZ0JCZmlBRGQzRTJBZ0FNQWdzZ0JrRVFRUlFnQmlnQ0VDQUFSaHRxSUFJMkFnQWdBa1VOQVFzZ0FpQUdOZ0lZSUFBb0FoQWlBd1JBSUFJZ0F6WUNFQ0FESUFJMkFoZ0xJQUFvQWhRaUEwVU5BQ0FDSUFNMkFoUWdBeUFDTmdJWUN3SkFBa0FDUUFKQUlBVW9BZ1FpQWtFQ2NVVUVRRUdRTFNnQ0FDQUZSZ1JBUVpBdElBQTJBZ0JCaEMxQmhDMG9BZ0FnQVdvaUFUWUNBQ0FBSUFGQkFYSTJBZ1FnQUVHTUxTZ0NBRWNOQmtHQUxVRUFOZ0lBUVl3dFFRQTJBZ0FQQzBHTUxTZ0NBQ0FGUmdSQVFZd3RJQUEyQWdCQmdDMUJnQzBvQWdBZ0FXb2lBVFlDQUNBQUlBRkJBWEkyQWdRZ0FDQUJhaUFCTmdJQUR3c2dBa0Y0Y1NBQmFpRUJJQUpCL3dGTkJFQWdBa0VEZGlFRUlBVW9BZ3dpQWlBRktBSUlJZ05HQkVCQitDeEIrQ3dvQWdCQmZpQUVkM0UyQWdBTUJRc2dBeUFDTmdJTUlBSWdBellDQ0F3RUN5QUZLQUlZSVFZZ0JTQUZLQUlNSWdKSEJFQkJpQzBvQWdBYUlBVW9BZ2dpQXlBQ05nSU1JQUlnQXpZQ0NBd0RDeUFGUVJScUlnUW9BZ0FpQTBVRVFDQUZLQUlRSWdORkRRSWdCVUVRYWlFRUN3TkFJQVFoQnlBRElnSkJGR29pQkNnQ0FDSUREUUFnQWtFUWFpRUVJQUlvQWhBaUF3MEFDeUFIUVFBMkFnQU1BZ3NnQlNBQ1FYNXhOZ0lFSUFBZ0FVRUJjallDQkNBQUlBRnFJQUUyQWdBTUF3dEJBQ0VDQ3lBR1JRMEFBa0FnQlNnQ0hDSURRUUowUWFndmFpSUVLQUlBSUFWR0JFQWdCQ0FDTmdJQUlBSU5BVUg4TEVIOExDZ0NBRUYrSUFOM2NUWUNBQXdDQ3lBR1FSQkJGQ0FHS0FJUUlBVkdHMm9nQWpZQ0FDQUNSUTBCQ3lBQ0lBWTJBaGdnQlNnQ0VDSURCRUFnQWlBRE5nSVFJQU1nQWpZQ0dBc2dCU2dDRkNJRFJRMEFJQUlnQXpZQ0ZDQURJQUkyQWhnTElBQWdBVUVCY2pZQ0JDQUFJQUZxSUFFMkFnQWdBRUdNTFNnQ0FFY05BRUdBTFNBQk5nSUFEd3NnQVVIL0FVMEVRQ0FCUVhoeFFhQXRhaUVDQW45QitDd29BZ0FpQTBFQklBRkJBM1owSWdGeFJRUkFRZmdzSUFFZ0EzSTJBZ0FnQWd3QkN5QUNLQUlJQ3lFQklBSWdBRFlDQ0NBQklBQTJBZ3dnQUNBQ05nSU1JQUFnQVRZQ0NBOExRUjhoQXlBQlFmLy8vd2ROQkVBZ0FVRW1JQUZCQ0habklnSnJka0VCY1NBQ1FRRjBhMEUrYWlFREN5QUFJQU0yQWh3Z0FFSUFOd0lRSUFOQkFuUkJxQzlxSVFJQ1FBSkFRZndzS0FJQUlnUkJBU0FEZENJSGNVVUVRRUg4TENBRUlBZHlOZ0lBSUFJZ0FEWUNBQ0FBSUFJMkFoZ01BUXNnQVVFWklBTkJBWFpyUVFBZ0EwRWZSeHQwSVFNZ0FpZ0NBQ0VDQTBBZ0FpSUVLQUlFUVhoeElBRkdEUUlnQTBFZGRpRUNJQU5CQVhRaEF5QUVJQUpCQkhGcUlnZEJFR29vQWdBaUFnMEFDeUFISUFBMkFoQWdBQ0FFTmdJWUN5QUFJQUEyQWd3Z0FDQUFOZ0lJRHdzZ0JDZ0NDQ0lCSUFBMkFnd2dCQ0FBTmdJSUlBQkJBRFlDR0NBQUlBUTJBZ3dnQUNBQk5nSUlDd3ZQQ3dFTGZ5QUFSUVJBSUFFUUJnOExJQUZCUUU4RVFFSDBMRUV3TmdJQVFRQVBDd0ovUVJBZ0FVRUxha0Y0Y1NBQlFRdEpHeUVHSUFCQkNHc2lBeWdDQkNJSVFYaHhJUVFDUUNBSVFRTnhSUVJBUVFBZ0JrR0FBa2tOQWhvZ0JrRUVhaUFFVFFSQUlBTWhBaUFFSUFaclFkZ3dLQUlBUVFGMFRRMENDMEVBREFJTElBTWdCR29oQndKQUlBUWdCazhFUUNBRUlBWnJJZ0pCRUVrTkFTQURJQWhCQVhFZ0JuSkJBbkkyQWdRZ0F5QUdhaUlFSUFKQkEzSTJBZ1FnQnlBSEtBSUVRUUZ5TmdJRUlBUWdBaEFMREFFTFFaQXRLQUlBSUFkR0JFQkJoQzBvQWdBZ0JHb2lCQ0FHVFEwQ0lBTWdDRUVCY1NBR2NrRUNjallDQkNBRElBWnFJZ0lnQkNBR2F5SUVRUUZ5TmdJRVFZUXRJQVEyQWdCQmtDMGdBallDQUF3QkMwR01MU2dDQUNBSFJnUkFRWUF0S0FJQUlBUnFJZ1FnQmtrTkFnSkFJQVFnQm1zaUFrRVFUd1JBSUFNZ0NFRUJjU0FHY2tFQ2NqWUNCQ0FESUFacUlnVWdBa0VCY2pZQ0JDQURJQVJxSWdRZ0FqWUNBQ0FFSUFRb0FnUkJmbkUyQWdRTUFRc2dBeUFJUVFGeElBUnlRUUp5TmdJRUlBTWdCR29pQWlBQ0tBSUVRUUZ5TmdJRVFRQWhBZ3RCakMwZ0JUWUNBRUdBTFNBQ05nSUFEQUVMSUFjb0FnUWlCVUVDY1EwQklBVkJlSEVnQkdvaUNTQUdTUTBCSUFrZ0Jtc2hDd0pBSUFWQi93Rk5CRUFnQnlnQ0RDSUNJQWNvQWdnaUJFWUVRRUg0TEVINExDZ0NBRUYrSUFWQkEzWjNjVFlDQUF3Q0N5QUVJQUkyQWd3Z0FpQUVOZ0lJREFFTElBY29BaGdoQ2dKQUlBY2dCeWdDRENJRVJ3UkFRWWd0S0FJQUdpQUhLQUlJSWdJZ0JEWUNEQ0FFSUFJMkFnZ01BUXNDUUNBSFFSUnFJZ0lvQWdBaUJVVUVRQ0FIS0FJUUlnVkZEUUVnQjBFUWFpRUNDd05BSUFJaERDQUZJZ1JCRkdvaUFpZ0NBQ0lGRFFBZ0JFRVFhaUVDSUFRb0FoQWlCUTBBQ3lBTVFRQTJBZ0FNQVF0QkFDRUVDeUFLUlEwQUFrQWdCeWdDSENJQ1FRSjBRYWd2YWlJRktBSUFJQWRHQkVBZ0JTQUVOZ0lBSUFRTkFVSDhMRUg4TENnQ0FFRitJQUozY1RZQ0FBd0NDeUFLUVJCQkZDQUtLQUlRSUFkR0cyb2dCRFlDQUNBRVJRMEJDeUFFSUFvMkFoZ2dCeWdDRUNJQ0JFQWdCQ0FDTmdJUUlBSWdCRFlDR0FzZ0J5Z0NGQ0lDUlEwQUlBUWdBallDRkNBQ0lBUTJBaGdMSUF0QkQwMEVRQ0FESUFoQkFYRWdDWEpCQW5JMkFnUWdBeUFKYWlJQ0lBSW9BZ1JCQVhJMkFnUU1BUXNnQXlBSVFRRnhJQVp5UVFKeU5nSUVJQU1nQm1vaUFpQUxRUU55TmdJRUlBTWdDV29pQkNBRUtBSUVRUUZ5TmdJRUlBSWdDeEFMQ3lBRElRSUxJQUlMSWdJRVFDQUNRUWhxRHdzZ0FSQUdJZ1JGQkVCQkFBOExJQVFoQWdKQVFYeEJlQ0FBSWdOQkJHc29BZ0FpQlVFRGNSc2dCVUY0Y1dvaUJTQUJJQUVnQlVzYklnVkJnQVJQQkVBZ0FpQURJQVVRQUF3QkN5QUNJQVZxSVFFQ1FDQUNJQU56UVFOeFJRUkFBa0FnQWtFRGNVVU5BQ0FGUlEwQUEwQWdBaUFETFFBQU9nQUFJQU5CQVdvaEF5QUNRUUZxSWdKQkEzRkZEUUVnQVNBQ1N3MEFDd3NDUUNBQlFYeHhJZ1ZCd0FCSkRRQWdBaUFGUVVCcUlneExEUUFEUUNBQ0lBTW9BZ0EyQWdBZ0FpQURLQUlFTmdJRUlBSWdBeWdDQ0RZQ0NDQUNJQU1vQWd3MkFnd2dBaUFES0FJUU5nSVFJQUlnQXlnQ0ZEWUNGQ0FDSUFNb0FoZzJBaGdnQWlBREtBSWNOZ0ljSUFJZ0F5Z0NJRFlDSUNBQ0lBTW9BaVEyQWlRZ0FpQURLQUlvTmdJb0lBSWdBeWdDTERZQ0xDQUNJQU1vQWpBMkFqQWdBaUFES0FJME5nSTBJQUlnQXlnQ09EWUNPQ0FDSUFNb0FqdzJBandnQTBGQWF5RURJQUpCUUdzaUFpQU1UUTBBQ3dzZ0FpQUZUdzBCQTBBZ0FpQURLQUlBTmdJQUlBTkJCR29oQXlBQ1FRUnFJZ0lnQlVrTkFBc01BUXNnQVVFRVNRMEFJQUlnQVVFRWF5SUZTdzBBQTBBZ0FpQURMUUFBT2dBQUlBSWdBeTBBQVRvQUFTQUNJQU10QUFJNkFBSWdBaUFETFFBRE9nQURJQU5CQkdvaEF5QUNRUVJxSWdJZ0JVME5BQXNMSUFFZ0Frc0VRQU5BSUFJZ0F5MEFBRG9BQUNBRFFRRnFJUU1nQWtFQmFpSUNJQUZIRFFBTEN3c2dBQkFDSUFRTGl4WURGWDhKZkFaOUlBQWdBQ2dDQ0NJQklBQW9BZ3dpQW00aUJUWUNKQ0FBSUFBb0FoQkJGR3dpQTBHMENXb29BZ0FpQmpZQ01DQUFLQUlZSVEwZ0FDQURRYkFKYWlnQ0FDSUVOZ0lZSUFBZ0FTQUNJQVZzYXpZQ0tDQUFLQUljSVJBQ1FBSkFBa0FDUUNBQklBSkxCRUFnQUNBRFFiZ0phaW9DQUNBQ3M1UWdBYk9WT0FJc0lBUWdCQ0FDYmlJRElBSnNheUlFUVg4Z0FXNGlCVXNOQWlBRElBVkxEUUlnQVNBRGJDSURJQUVnQkd3Z0FtNGlCRUYvYzBzTkFpQUFJQU1nQkdwQkFXdEJlSEZCQ0dvaUJEWUNHRUVCSUFZZ0FrRUJkQ0FCU1NJRGRpQUNRUUowSUFGSklnVjJJQUpCQTNRZ0FVa2lDWFlnQWtFRWRDQUJTU0lIZGlJQklBRkJBVTBiSVFZQ1FDQUZEUUFnQVVVTkFDQUREUUFnQ1EwQUlBZEZEUUlMSUFBZ0JqWUNNQXdCQ3lBQUlBTkJ2QWxxS2dJQU9BSXNDd0pBSUFJZ0JHd2lBU0FFSUFac1FRaHFJZ05OQkVCQkFTRUZRZi8vLy84QklBSnVJQVJQRFFFTFFRQWhCU0FESVFGQjkvLy8vd0VnQm00Z0JFa05BUXNnQVNBQUtBSlFTd1JBSUFBb0Frd2dBVUVDZEJBTUlnTkZEUUVnQUNBQk5nSlFJQUFnQXpZQ1RBc0NRQ0FGUlFSQUlBQW9BaEFoQWlBQUtBSVlJZ0VnQUNnQ01DSURiRUVFYWlJRVFYMU9CRUFnQWJjaUdVUUFBQUFBQUFEZ1A2SWhHaUFCUVFGMnN5RWlJQUFvQWt3aEJTQURzeUVqUVh3aEFTQUNRUlJzUWNBSmFpZ0NBQ0VKQTBBZ0FDb0NMQ0VnSUFGQkFuUWdCV29DZlNBZ0lBR3lJQ09WSUNLVElpRzdJaGFaSWhkRWplMjFvUGZHc0Q1akRRQWFRd0FBQUFBZ0Z5QWFaQTBBR2lBaElDQ1VJUjhnQ1NnQ0FBSi9JQllnRnFBZ0dhTzJpeUFKS0FJRXNwUWlJWTRpSkl0REFBQUFUMTBFUUNBa3FBd0JDMEdBZ0lDQWVBc2lCa0VEZEdvaUF5c0RDQ0ViSUFNckF3QWhIQ0FES3dNUUlSZ2dBeXNER0NFV0lCKzdSQmd0UkZUN0lRbEFvaUlYRUE0Z0lMdWlJQmVqSUJZZ0lTQUdzcE1pSDdzaUZrU1ZxR2RWVlZYRnY2SWdIeUFmSUIrVUloK1V1eUlYUkpXb1oxVlZWY1Uvb3FBaUhhSWdHQ0FYUkFBQUFBQUFBT0Mvb2lBZnUwUUFBQUFBQUFEZ1A2SWlHQ0FXb0tBaUhxSWdIQ0FYUkpXb1oxVlZWY1cvb2lBV1JMVXJURlZWVmRXL29pQVlvS0FpRnFJZ0cwUUFBQUFBQUFEd1B5QWRvU0Flb1NBV29hS2dvS0NpdGdzNEFoQWdBVUVCYWlJQklBUkhEUUFMQ3lBQ1FRbE9CRUFnQUVFQk5nSlVEQUlMSUFCQkFqWUNWQXdCQ3dKQUlBQW9BZ3dpQlVVTkFDQUFLQUlZSWdaQmZtMGhCeUFHUlEwQUlBYTNJaGxFQUFBQUFBQUE0RCtpSVJvZ0JiTWhJaUFBS0FKTUlRaEJBQ0VKSUFBb0FoQkJGR3hCd0FscUtBSUFJUXdEUUNBR0lBbHNJUW9nQ2JNZ0lwVWhJMEVBSVFFRFFDQUFLZ0lzSVNBQ2ZTQWdJQUVpQTBFQmFpSUJJQWRxc2lBamt5SWh1eUlXbVNJWFJJM3R0YUQzeHJBK1l3MEFHa01BQUFBQUlCY2dHbVFOQUJvZ0lTQWdsQ0VmSUF3b0FnQUNmeUFXSUJhZ0lCbWp0b3NnRENnQ0JMS1VJaUdPSWlTTFF3QUFBRTlkQkVBZ0pLZ01BUXRCZ0lDQWdIZ0xJZ0pCQTNScUlnUXJBd2doR3lBRUt3TUFJUndnQkNzREVDRVlJQVFyQXhnaEZpQWZ1MFFZTFVSVSt5RUpRS0lpRnhBT0lDQzdvaUFYb3lBV0lDRWdBcktUSWgrN0loWkVsYWhuVlZWVnhiK2lJQjhnSHlBZmxDSWZsTHNpRjBTVnFHZFZWVlhGUDZLZ0loMmlJQmdnRjBRQUFBQUFBQURndjZJZ0g3dEVBQUFBQUFBQTREK2lJaGdnRnFDZ0loNmlJQndnRjBTVnFHZFZWVlhGdjZJZ0ZrUzFLMHhWVlZYVnY2SWdHS0NnSWhhaUlCdEVBQUFBQUFBQThEOGdIYUVnSHFFZ0ZxR2lvS0Nnb3JZTElSOGdDQ0FESUFwcVFRSjBhaUFmT0FJQUlBRWdCa2NOQUFzZ0NVRUJhaUlKSUFWSERRQUxDeUFBS0FJUVFRbE9CRUFnQUVFRE5nSlVEQUVMSUFCQkJEWUNWQXNnQUNnQ0dDQUFLQUlnYWtFQmF5SURJQUFvQWh3aUFVc0VRRUgvLy8vL0FTQUFLQUlVSWdGdUlBTkpEUUVnQUNnQ1NDQUJJQU5zUVFKMEVBd2lBVVVOQVNBQUlBTTJBaHdnQUNBQk5nSklJQU1oQVFzZ0FDZ0NPRVVFUUNBQklBQW9BaFJzSWdGRkJFQkJBQThMSUFBb0FrZ2dBVUVDZEJBRVFRQVBDeUFBS0FJWUlnTWdEVTBOQVNBQUtBSVVJZ05GQkVCQkFBOExJQTFCQW1zaERpQU5RUUZySVJFZ0EwRUNkRUVFYXlFU0lBQW9Ba1FoRTBFQUlRa0RRQ0FUSUFOQkFXc2lBMEVDZENJVWFpSUlLQUlBSWdaQkFYUWhDd0pBSUFZZ0VXb2lBVVVOQUNBRElCQnNJUVFnQUNnQ0hDQURiQ0VGSUFBb0FrZ2hBaUFCUVFGeEJFQWdBaUFCUVFGcklnRWdCbW9nQldwQkFuUnFJQUlnQVNBRWFrRUNkR29xQWdBNEFnQUxJQTVCQUNBR2EwWU5BQU5BSUFJZ0FVRUJheUlISUFacUlBVnFRUUowYWlBQ0lBUWdCMnBCQW5ScUtnSUFPQUlBSUFJZ0FVRUNheUlCSUFacUlBVnFRUUowYWlBQ0lBRWdCR3BCQW5ScUtnSUFPQUlBSUFFTkFBc0xJQklnQ1VFQ2RHc2hEeUFHQkVBZ0FDZ0NTQ0FBS0FJY0lBOXNhaUFHUVFKMEVBUUxJQWhCQURZQ0FBSkFJQUFvQWhnaUFpQUxJQTFxSWdkTEJFQUNRQ0FIUVFGcklnaEZEUUFnQWtFQ2F5RU1JQWRCQW1zaENpQUFLQUljSUFOc0lRRkJBQ0VGSUFBb0FrZ2hCa0VBSUF0cklBNUhCRUFnQ0VGK2NTRVZRUUFoQkVFQUlRc0RRQ0FHSUFVZ0RHb2dBV3BCQW5ScUlBWWdCU0FLYWlBQmFrRUNkR29xQWdBNEFnQWdCaUFNSUFSQmYzTWlCV29nQVdwQkFuUnFJQVlnQlNBS2FpQUJha0VDZEdvcUFnQTRBZ0FnQkVGK2N5RUZJQVJCQW1vaEJDQUxRUUpxSWdzZ0ZVY05BQXNMSUFoQkFYRkZEUUFnQmlBRklBeHFJQUZxUVFKMGFpQUdJQVVnQ21vZ0FXcEJBblJxS2dJQU9BSUFDeUFJSUFKQkFXc2lBVWtFUUNBQUtBSklJQUFvQWh3Z0QyeHFJQUVnQ0d0QkFuUVFCQXNnQUNnQ1BDQVVhaUlCSUFFb0FnQWdBaUFIYTBFQmRtbzJBZ0FNQVFzZ0NDQUhJQUpyUVFGMklnUTJBZ0FnQkNBQUtBSVlhaUlIUVFGcklnaEZEUUFnQUNnQ0hDQURiQ0VGSUFBb0FrZ2hBa0VBSVFaQkFDRUJJQWRCQW10QkEwOEVRQ0FJUVh4eElReEJBQ0VIQTBBZ0FpQUJJQVZxSWdwQkFuUnFJQUlnQkNBS2FrRUNkR29xQWdBNEFnQWdBaUFGSUFGQkFYSnFJZ3BCQW5ScUlBSWdCQ0FLYWtFQ2RHb3FBZ0E0QWdBZ0FpQUZJQUZCQW5KcUlncEJBblJxSUFJZ0JDQUtha0VDZEdvcUFnQTRBZ0FnQWlBRklBRkJBM0pxSWdwQkFuUnFJQUlnQkNBS2FrRUNkR29xQWdBNEFnQWdBVUVFYWlFQklBZEJCR29pQnlBTVJ3MEFDd3NnQ0VFRGNTSUhSUTBBQTBBZ0FpQUJJQVZxSWdoQkFuUnFJQUlnQkNBSWFrRUNkR29xQWdBNEFnQWdBVUVCYWlFQklBWkJBV29pQmlBSFJ3MEFDd3NnQ1VFQmFpRUpJQU1OQUF0QkFBOExJQUFnRFRZQ0dDQUFRUVUyQWxSQkFTRUJEQUVMUVFBaEFTQURJQTFQRFFBZ0FDZ0NGRVVOQUNBQUtBSkVJUXhCQUNFREEwQWdEQ0FEUVFKMGFpSUpLQUlBSVFjZ0NTQU5JQUFvQWhoclFRRjJJZ1EyQWdBQ1FDQUVJQWRxSWdvZ0FDZ0NHQ0lPYWtFQmF5SUlSUTBBSUFBb0Fod2dBMndoQlNBQUtBSklJUUpCQUNFR0lBY2dEbW9nQkdwQkFtdEJBMDhFUUNBSVFYeHhJUTVCQUNFSEEwQWdBaUFCSUFWcUlndEJBblJxSUFJZ0JDQUxha0VDZEdvcUFnQTRBZ0FnQWlBRklBRkJBWEpxSWd0QkFuUnFJQUlnQkNBTGFrRUNkR29xQWdBNEFnQWdBaUFGSUFGQkFuSnFJZ3RCQW5ScUlBSWdCQ0FMYWtFQ2RHb3FBZ0E0QWdBZ0FpQUZJQUZCQTNKcUlndEJBblJxSUFJZ0JDQUxha0VDZEdvcUFnQTRBZ0FnQVVFRWFpRUJJQWRCQkdvaUJ5QU9SdzBBQ3dzZ0NFRURjU0lIUlEwQUEwQWdBaUFCSUFWcUlnaEJBblJxSUFJZ0JDQUlha0VDZEdvcUFnQTRBZ0FnQVVFQmFpRUJJQVpCQVdvaUJpQUhSdzBBQ3dzZ0NTQUtOZ0lBUVFBaEFTQURRUUZxSWdNZ0FDZ0NGRWtOQUFzTElBRUw2UmtERlg4RWZBRitJd0JCRUdzaUJDUUFBa0FnQUwxQ0lJaW5RZi8vLy84SGNTSUJRZnZEcFA4RFRRUkFJQUZCZ0lEQThnTkpEUUVnQUVRQUFBQUFBQUFBQUVFQUVBZ2hBQXdCQ3lBQlFZQ0F3UDhIVHdSQUlBQWdBS0VoQUF3QkN5TUFRVEJySWdna0FBSkFBa0FDUUNBQXZTSWFRaUNJcHlJQlFmLy8vLzhIY1NJR1FmclV2WUFFVFFSQUlBRkIvLzgvY1VIN3d5UkdEUUVnQmtIOHNvdUFCRTBFUUNBYVFnQlpCRUFnQkNBQVJBQUFRRlQ3SWZtL29DSUFSREZqWWhwaHROQzlvQ0lXT1FNQUlBUWdBQ0FXb1VReFkySWFZYlRRdmFBNUF3aEJBU0VDREFVTElBUWdBRVFBQUVCVSt5SDVQNkFpQUVReFkySWFZYlRRUGFBaUZqa0RBQ0FFSUFBZ0ZxRkVNV05pR21HMDBEMmdPUU1JUVg4aEFnd0VDeUFhUWdCWkJFQWdCQ0FBUkFBQVFGVDdJUW5Bb0NJQVJERmpZaHBodE9DOW9DSVdPUU1BSUFRZ0FDQVdvVVF4WTJJYVliVGd2YUE1QXdoQkFpRUNEQVFMSUFRZ0FFUUFBRUJVK3lFSlFLQWlBRVF4WTJJYVliVGdQYUFpRmprREFDQUVJQUFnRnFGRU1XTmlHbUcwNEQyZ09RTUlRWDRoQWd3REN5QUdRYnVNOFlBRVRRUkFJQVpCdlB2WGdBUk5CRUFnQmtIOHNzdUFCRVlOQWlBYVFnQlpCRUFnQkNBQVJBQUFNSDk4MlJMQW9DSUFSTXFVazZlUkR1bTlvQ0lXT1FNQUlBUWdBQ0FXb1VUS2xKT25rUTdwdmFBNUF3aEJBeUVDREFVTElBUWdBRVFBQURCL2ZOa1NRS0FpQUVUS2xKT25rUTdwUGFBaUZqa0RBQ0FFSUFBZ0ZxRkV5cFNUcDVFTzZUMmdPUU1JUVgwaEFnd0VDeUFHUWZ2RDVJQUVSZzBCSUJwQ0FGa0VRQ0FFSUFCRUFBQkFWUHNoR2NDZ0lnQkVNV05pR21HMDhMMmdJaFk1QXdBZ0JDQUFJQmFoUkRGallocGh0UEM5b0RrRENFRUVJUUlNQkFzZ0JDQUFSQUFBUUZUN0lSbEFvQ0lBUkRGallocGh0UEE5b0NJV09RTUFJQVFnQUNBV29VUXhZMklhWWJUd1BhQTVBd2hCZkNFQ0RBTUxJQVpCK3NQa2lRUkxEUUVMSUFBZ0FFU0R5TWx0TUYva1A2SkVBQUFBQUFBQU9FT2dSQUFBQUFBQUFEakRvQ0lZUkFBQVFGVDdJZm0vb3FBaUZpQVlSREZqWWhwaHROQTlvaUlab1NJWFJCZ3RSRlQ3SWVtL1l5RUJBbjhnR0psRUFBQUFBQUFBNEVGakJFQWdHS29NQVF0QmdJQ0FnSGdMSVFJQ1FDQUJCRUFnQWtFQmF5RUNJQmhFQUFBQUFBQUE4TCtnSWhoRU1XTmlHbUcwMEQyaUlSa2dBQ0FZUkFBQVFGVDdJZm0vb3FBaEZnd0JDeUFYUkJndFJGVDdJZWsvWkVVTkFDQUNRUUZxSVFJZ0dFUUFBQUFBQUFEd1A2QWlHRVF4WTJJYVliVFFQYUloR1NBQUlCaEVBQUJBVlBzaCtiK2lvQ0VXQ3lBRUlCWWdHYUVpRnprREFBSkFJQVpCRkhZaUFTQVh2VUkwaUtkQi93OXhhMEVSU0EwQUlBUWdGaUFZUkFBQVlCcGh0TkE5b2lJWG9TSUFJQmhFYzNBRExvb1pvenVpSUJZZ0FLRWdGNkdoSWhtaEloYzVBd0FnQVNBWHZVSTBpS2RCL3c5eGEwRXlTQVJBSUFBaEZnd0JDeUFFSUFBZ0dFUUFBQUF1aWhtak82SWlGNkVpRmlBWVJNRkpJQ1dhZzNzNW9pQUFJQmFoSUJlaG9TSVpvU0lYT1FNQUN5QUVJQllnRjZFZ0dhRTVBd2dNQVFzZ0JrR0FnTUQvQjA4RVFDQUVJQUFnQUtFaUFEa0RBQ0FFSUFBNUF3Z01BUXNnR2tMLy8vLy8vLy8vQjROQ2dJQ0FnSUNBZ0xEQkFJUy9JUmRCQVNFQkEwQWdDRUVRYWlBQ1FRTjBhZ0ovSUJlWlJBQUFBQUFBQU9CQll3UkFJQmVxREFFTFFZQ0FnSUI0QzdjaUFEa0RBQ0FYSUFDaFJBQUFBQUFBQUhCQm9pRVhRUUVoQWlBQklRTkJBQ0VCSUFNTkFBc2dDQ0FYT1FNZ1FRSWhBZ05BSUFJaUFVRUJheUVDSUFoQkVHb2dBVUVEZEdvckF3QkVBQUFBQUFBQUFBQmhEUUFMSUFoQkVHb2hEMEVBSVFNakFFR3dCR3NpQlNRQUlBWkJGSFpCbGdocklnSkJBMnRCR0cwaUJrRUFJQVpCQUVvYkloQkJhR3dnQW1vaEJrSFVGaWdDQUNJSklBRkJBV29pQ2tFQmF5SUhha0VBVGdSQUlBa2dDbW9oQWlBUUlBZHJJUUVEUUNBRlFjQUNhaUFEUVFOMGFpQUJRUUJJQkh4RUFBQUFBQUFBQUFBRklBRkJBblJCNEJacUtBSUF0d3M1QXdBZ0FVRUJhaUVCSUFOQkFXb2lBeUFDUncwQUN3c2dCa0VZYXlFTFFRQWhBaUFKUVFBZ0NVRUFTaHNoQXlBS1FRQk1JUXdEUUFKQUlBd0VRRVFBQUFBQUFBQUFBQ0VBREFFTElBSWdCMm9oRGtFQUlRRkVBQUFBQUFBQUFBQWhBQU5BSUE4Z0FVRURkR29yQXdBZ0JVSEFBbW9nRGlBQmEwRURkR29yQXdDaUlBQ2dJUUFnQVVFQmFpSUJJQXBIRFFBTEN5QUZJQUpCQTNScUlBQTVBd0FnQWlBRFJpRUJJQUpCQVdvaEFpQUJSUTBBQzBFdklBWnJJUkpCTUNBR2F5RU9JQVpCR1dzaEV5QUpJUUlDUUFOQUlBVWdBa0VEZEdvckF3QWhBRUVBSVFFZ0FpRURJQUpCQUV3aURVVUVRQU5BSUFWQjRBTnFJQUZCQW5ScUFuOENmeUFBUkFBQUFBQUFBSEErb2lJV21VUUFBQUFBQUFEZ1FXTUVRQ0FXcWd3QkMwR0FnSUNBZUF1M0loWkVBQUFBQUFBQWNNR2lJQUNnSWdDWlJBQUFBQUFBQU9CQll3UkFJQUNxREFFTFFZQ0FnSUI0Q3pZQ0FDQUZJQU5CQVdzaUEwRURkR29yQXdBZ0ZxQWhBQ0FCUVFGcUlnRWdBa2NOQUFzTEFuOGdBQ0FMRUFjaUFDQUFSQUFBQUFBQUFNQS9vcHhFQUFBQUFBQUFJTUNpb0NJQW1VUUFBQUFBQUFEZ1FXTUVRQ0FBcWd3QkMwR0FnSUNBZUFzaEJ5QUFJQWUzb1NFQUFrQUNRQUpBQW44Z0MwRUFUQ0lVUlFSQUlBSkJBblFnQldvaUFTQUJLQUxjQXlJQklBRWdEblVpQVNBT2RHc2lBellDM0FNZ0FTQUhhaUVISUFNZ0VuVU1BUXNnQ3cwQklBSkJBblFnQldvb0F0d0RRUmQxQ3lJTVFRQk1EUUlNQVF0QkFpRU1JQUJFQUFBQUFBQUE0RDltRFFCQkFDRU1EQUVMUVFBaEFVRUFJUU1nRFVVRVFBTkFJQVZCNEFOcUlBRkJBblJxSWhVb0FnQWhEVUgvLy84SElSRUNmd0pBSUFNTkFFR0FnSUFJSVJFZ0RRMEFRUUFNQVFzZ0ZTQVJJQTFyTmdJQVFRRUxJUU1nQVVFQmFpSUJJQUpIRFFBTEN3SkFJQlFOQUVILy8vOERJUUVDUUFKQUlCTU9BZ0VBQWd0Qi8vLy9BU0VCQ3lBQ1FRSjBJQVZxSWcwZ0RTZ0MzQU1nQVhFMkF0d0RDeUFIUVFGcUlRY2dERUVDUncwQVJBQUFBQUFBQVBBL0lBQ2hJUUJCQWlFTUlBTkZEUUFnQUVRQUFBQUFBQUR3UHlBTEVBZWhJUUFMSUFCRUFBQUFBQUFBQUFCaEJFQkJBQ0VEQWtBZ0NTQUNJZ0ZPRFFBRFFDQUZRZUFEYWlBQlFRRnJJZ0ZCQW5ScUtBSUFJQU55SVFNZ0FTQUpTZzBBQ3lBRFJRMEFJQXNoQmdOQUlBWkJHR3NoQmlBRlFlQURhaUFDUVFGcklnSkJBblJxS0FJQVJRMEFDd3dEQzBFQklRRURRQ0FCSWdOQkFXb2hBU0FGUWVBRGFpQUpJQU5yUVFKMGFpZ0NBRVVOQUFzZ0FpQURhaUVEQTBBZ0JVSEFBbW9nQWlBS2FpSUhRUU4wYWlBQ1FRRnFJZ0lnRUdwQkFuUkI0QlpxS0FJQXR6a0RBRUVBSVFGRUFBQUFBQUFBQUFBaEFDQUtRUUJLQkVBRFFDQVBJQUZCQTNScUt3TUFJQVZCd0FKcUlBY2dBV3RCQTNScUt3TUFvaUFBb0NFQUlBRkJBV29pQVNBS1J3MEFDd3NnQlNBQ1FRTjBhaUFBT1FNQUlBSWdBMGdOQUFzZ0F5RUNEQUVMQ3dKQUlBQkJHQ0FHYXhBSElnQkVBQUFBQUFBQWNFRm1CRUFnQlVIZ0Eyb2dBa0VDZEdvQ2Z3Si9JQUJFQUFBQUFBQUFjRDZpSWhhWlJBQUFBQUFBQU9CQll3UkFJQmFxREFFTFFZQ0FnSUI0Q3lJQnQwUUFBQUFBQUFCd3dhSWdBS0FpQUpsRUFBQUFBQUFBNEVGakJFQWdBS29NQVF0QmdJQ0FnSGdMTmdJQUlBSkJBV29oQWd3QkN3Si9JQUNaUkFBQUFBQUFBT0JCWXdSQUlBQ3FEQUVMUVlDQWdJQjRDeUVCSUFzaEJnc2dCVUhnQTJvZ0FrRUNkR29nQVRZQ0FBdEVBQUFBQUFBQThEOGdCaEFISVFBQ1FDQUNRUUJJRFFBZ0FpRUJBMEFnQlNBQklnTkJBM1JxSUFBZ0JVSGdBMm9nQVVFQ2RHb29BZ0Mzb2prREFDQUJRUUZySVFFZ0FFUUFBQUFBQUFCd1BxSWhBQ0FERFFBTElBSkJBRWdOQUNBQ0lRTURRRVFBQUFBQUFBQUFBQ0VBUVFBaEFTQUpJQUlnQTJzaUJpQUdJQWxLR3lJTFFRQk9CRUFEUUNBQlFRTjBRYkFzYWlzREFDQUZJQUVnQTJwQkEzUnFLd01Bb2lBQW9DRUFJQUVnQzBjaENpQUJRUUZxSVFFZ0NnMEFDd3NnQlVHZ0FXb2dCa0VEZEdvZ0FEa0RBQ0FEUVFCS0lRRWdBMEVCYXlFRElBRU5BQXNMUkFBQUFBQUFBQUFBSVFBZ0FrRUFUZ1JBSUFJaEFRTkFJQUVpQTBFQmF5RUJJQUFnQlVHZ0FXb2dBMEVEZEdvckF3Q2dJUUFnQXcwQUN3c2dDQ0FBbWlBQUlBd2JPUU1BSUFVckE2QUJJQUNoSVFCQkFTRUJJQUpCQUVvRVFBTkFJQUFnQlVHZ0FXb2dBVUVEZEdvckF3Q2dJUUFnQVNBQ1J5RURJQUZCQVdvaEFTQUREUUFMQ3lBSUlBQ2FJQUFnREJzNUF3Z2dCVUd3Qkdva0FDQUhRUWR4SVFJZ0NDc0RBQ0VBSUJwQ0FGTUVRQ0FFSUFDYU9RTUFJQVFnQ0NzRENKbzVBd2hCQUNBQ2F5RUNEQUVMSUFRZ0FEa0RBQ0FFSUFnckF3ZzVBd2dMSUFoQk1Hb2tBQUpBQWtBQ1FBSkFJQUpCQTNFT0F3QUJBZ01MSUFRckF3QWdCQ3NEQ0VFQkVBZ2hBQXdEQ3lBRUt3TUFJQVFyQXdnUUR5RUFEQUlMSUFRckF3QWdCQ3NEQ0VFQkVBaWFJUUFNQVFzZ0JDc0RBQ0FFS3dNSUVBK2FJUUFMSUFSQkVHb2tBQ0FBQzVJQkFRTjhSQUFBQUFBQUFQQS9JQUFnQUtJaUFrUUFBQUFBQUFEZ1A2SWlBNkVpQkVRQUFBQUFBQUR3UHlBRW9TQURvU0FDSUFJZ0FpQUNSSkFWeXhtZ0Fmbytva1IzVWNFV2JNRld2NkNpUkV4VlZWVlZWYVUvb0tJZ0FpQUNvaUlESUFPaUlBSWdBa1RVT0lpKzZmcW92YUpFeExHMHZaN3VJVDZnb2tTdFVweUFUMzZTdnFDaW9LSWdBQ0FCb3FHZ29Bc3BBQ0FBS0FKSUVBSWdBQ2dDVEJBQ0lBQW9BandRQWlBQUtBSkVFQUlnQUNnQ1FCQUNJQUFRQWd2Q0FRRUhmeUFCUVFKMElnWWdBQ2dDUUdvaUJ5Z0NBQ0VDUVFBaEFRSkFJQUFvQWp3Z0Jtb2lDQ2dDQUNJR0lBTW9BZ0FpQ1U0TkFDQUFLQUlNSVFNZ0FDZ0NLQ0VLSUFBb0FpUWhDeUFBS0FKY0lRd2dCU2dDQUNJQVFRQWdBRUVBU2hzaEFBTkFJQUFnQVVZRVFDQUFJUUVNQWdzZ0JDQUJJQXhzUVFKMGFrRUFOZ0lBSUFJZ0Ntb2lBaUFEUVFBZ0FpQURUeUlGRzJzaEFpQUJRUUZxSVFFZ0JpQUxhaUFGYWlJR0lBbElEUUFMQ3lBSUlBWTJBZ0FnQnlBQ05nSUFJQUVMbVFRQ0UzOEJmU0FCUVFKMElnWWdBQ2dDUUdvaUZDZ0NBQ0VIUVFBaEFRSkFJQUFvQWp3Z0Jtb2lGU2dDQUNJR0lBTW9BZ0FpRFU0TkFDQUFLQUlNSVFzZ0FDZ0NLQ0VPSUFBb0FpUWhEeUFBS0FKY0lSQWdCU2dDQUNJRFFRQWdBMEVBU2hzaEF5QUFLQUlZSWd4QkFFd0VRQU5BSUFFZ0EwWUVRQ0FESVFFTUF3c2dCQ0FCSUJCc1FRSjBha0VBTmdJQUlBY2dEbW9pQUNBTFFRQWdBQ0FMVHlJQUcyc2hCeUFCUVFGcUlRRWdCaUFQYWlBQWFpSUdJQTFJRFFBTUFnc0FDeUFBS0FKTUlSWWdERUY4Y1NFWElBeEJBM0VoRVNBTVFRUkpJUmdEUUNBQklBTkdCRUFnQXlFQkRBSUxJQUlnQmtFQ2RHb2hCU0FXSUFjZ0RHeEJBblJxSVFsREFBQUFBQ0VaUVFBaEVrRUFJUUJCQUNFVElCaEZCRUFEUUNBSklBQkJBblFpQ0VFTWNpSUthaW9DQUNBRklBcHFLZ0lBbENBSklBaEJDSElpQ21vcUFnQWdCU0FLYWlvQ0FKUWdDU0FJUVFSeUlncHFLZ0lBSUFVZ0Ntb3FBZ0NVSUFnZ0NXb3FBZ0FnQlNBSWFpb0NBSlFnR1pLU2twSWhHU0FBUVFScUlRQWdFMEVFYWlJVElCZEhEUUFMQ3lBUkJFQURRQ0FKSUFCQkFuUWlDR29xQWdBZ0JTQUlhaW9DQUpRZ0daSWhHU0FBUVFGcUlRQWdFa0VCYWlJU0lCRkhEUUFMQ3lBRUlBRWdFR3hCQW5ScUlCazRBZ0FnQnlBT2FpSUFJQXRCQUNBQUlBdFBJZ0FiYXlFSElBRkJBV29oQVNBR0lBOXFJQUJxSWdZZ0RVZ05BQXNMSUJVZ0JqWUNBQ0FVSUFjMkFnQWdBUXYzQXdJT2Z3UjhJQUZCQW5RaUJpQUFLQUpBYWlJUktBSUFJUWRCQUNFQkFrQWdBQ2dDUENBR2FpSVNLQUlBSWdZZ0F5Z0NBQ0lNVGcwQUlBQW9BZ3doQ1NBQUtBSW9JUTBnQUNnQ0pDRU9JQUFvQWx3aER5QUZLQUlBSWdOQkFDQURRUUJLR3lFRElBQW9BaGdpRUVFQVNnUkFJQUFvQWt3aEV3TkFJQUVnQTBZRVFDQURJUUVNQXdzZ0FpQUdRUUowYWlFQUlCTWdCeUFRYkVFQ2RHb2hDa0VBSVFWRUFBQUFBQUFBQUFBaEZFUUFBQUFBQUFBQUFDRVZSQUFBQUFBQUFBQUFJUlpFQUFBQUFBQUFBQUFoRndOQUlCY2dDaUFGUVFKMElnaHFLZ0lBSUFBZ0NHb3FBZ0NVdTZBaEZ5QVVJQW9nQ0VFTWNpSUxhaW9DQUNBQUlBdHFLZ0lBbEx1Z0lSUWdGU0FLSUFoQkNISWlDMm9xQWdBZ0FDQUxhaW9DQUpTN29DRVZJQllnQ2lBSVFRUnlJZ2hxS2dJQUlBQWdDR29xQWdDVXU2QWhGaUFGUVFScUlnVWdFRWdOQUFzZ0JDQUJJQTlzUVFKMGFpQVhJQmFnSUJXZ0lCU2d0amdDQUNBSElBMXFJZ0FnQ1VFQUlBQWdDVThpQUJ0cklRY2dBVUVCYWlFQklBWWdEbW9nQUdvaUJpQU1TQTBBQ3d3QkN3TkFJQUVnQTBZRVFDQURJUUVNQWdzZ0JDQUJJQTlzUVFKMGFrRUFOZ0lBSUFjZ0RXb2lBQ0FKUVFBZ0FDQUpUeUlBRzJzaEJ5QUJRUUZxSVFFZ0JpQU9haUFBYWlJR0lBeElEUUFMQ3lBU0lBWTJBZ0FnRVNBSE5nSUFJQUVMaFFRQ0NYMFFmeUFCUVFKMElnRWdBQ2dDUUdvaUV5Z0NBQ0VRQWtBZ0FDZ0NQQ0FCYWlJVUtBSUFJaEVnQXlnQ0FDSVZUZzBBSUFBb0FpZ2hGaUFBS0FJa0lSY2dBQ2dDWENFWUlBVW9BZ0FpQVVFQUlBRkJBRW9iSVFNZ0FDZ0NEQ0lGc3lFTUlBQW9BaGdpR1VFQVRDRWFBMEFnQXlBUFJnUkFJQU1oRHd3Q0N5QUFLQUl3SWhzZ0VHd2lBU0FCSUFWdUlod2dCV3hyc3lBTWxTRUdBa0FnR2dSQVF3QUFBQUFoQ1VNQUFBQUFJUXBEQUFBQUFDRUxRd0FBQUFBaEJ3d0JDeUFDSUJGQkFuUnFJUjBnQUNnQ1RDRWVRUUFoQVVNQUFBQUFJUWREQUFBQUFDRUxRd0FBQUFBaENrTUFBQUFBSVFrRFFDQWRJQUZCQW5ScUtnSUFJZ2dnQVVFQmFpSUJJQnRzSUJ4clFRSjBJQjVxSWhJcUFoU1VJQWVTSVFjZ0NDQVNLZ0lRbENBTGtpRUxJQWdnRWlvQ0RKUWdDcEloQ2lBSUlCSXFBZ2lVSUFtU0lRa2dBU0FaUncwQUN3c2dCQ0FQSUJoc1FRSjBhaUFHUXp1cXFyNlVJQVpEQUFBQVA1UWdCcFFpQ0pJZ0JpQUdJQVpEaXFzcVBwU1VsQ0lOa3lJT0lBZVVSQUFBQUFBQUFQQS9JQVpEaXFzcXZwUWdEWklpQjd1aElBZ2dCcElnQ0NBR2xKTWlCcnVoSUE2N29iWWdDNVFnQnlBSmxDQUdJQXFVa3BLU09BSUFJQkFnRm1vaUFTQUZRUUFnQVNBRlR5SUJHMnNoRUNBUFFRRnFJUThnRVNBWGFpQUJhaUlSSUJWSURRQUxDeUFVSUJFMkFnQWdFeUFRTmdJQUlBOExyUVFEQkgwUWZ3WjhJQUZCQW5RaUFTQUFLQUpBYWlJT0tBSUFJUXNDUUNBQUtBSThJQUZxSWc4b0FnQWlEQ0FES0FJQUloQk9EUUFnQUNnQ0tDRVJJQUFvQWlRaEVpQUFLQUpjSVJNZ0JTZ0NBQ0lCUVFBZ0FVRUFTaHNoQXlBQUtBSU1JZ1d6SVFnZ0FDZ0NHQ0lVUVFCTUlSVURRQ0FESUFwR0JFQWdBeUVLREFJTElBQW9BakFpRmlBTGJDSUJJQUVnQlc0aUZ5QUZiR3V6SUFpVklRWUNRQ0FWQkVCRUFBQUFBQUFBQUFBaEcwUUFBQUFBQUFBQUFDRWNSQUFBQUFBQUFBQUFJUjFFQUFBQUFBQUFBQUFoR2d3QkN5QUNJQXhCQW5ScUlSZ2dBQ2dDVENFWlFRQWhBVVFBQUFBQUFBQUFBQ0VhUkFBQUFBQUFBQUFBSVIxRUFBQUFBQUFBQUFBaEhFUUFBQUFBQUFBQUFDRWJBMEFnR2lBWUlBRkJBblJxS2dJQUlnY2dBVUVCYWlJQklCWnNJQmRyUVFKMElCbHFJZzBxQWhTVXU2QWhHaUFkSUFjZ0RTb0NFSlM3b0NFZElCd2dCeUFOS2dJTWxMdWdJUndnR3lBSElBMHFBZ2lVdTZBaEd5QUJJQlJIRFFBTEN5QUVJQW9nRTJ4QkFuUnFJQVpETzZxcXZwUWdCa01BQUFBL2xDQUdsQ0lIa2lBR0lBWWdCa09LcXlvK2xKU1VJZ21UdXlJZUlCcWlSQUFBQUFBQUFQQS9JQVpEaXFzcXZwUWdDWks3SWhxaElBY2dCcElnQnlBR2xKTzdJaCtoSUI2aHRyc2dIYUlnR2lBYm9pQWNJQitpb0tDZ3RqZ0NBQ0FMSUJGcUlnRWdCVUVBSUFFZ0JVOGlBUnRySVFzZ0NrRUJhaUVLSUF3Z0Vtb2dBV29pRENBUVNBMEFDd3NnRHlBTU5nSUFJQTRnQ3pZQ0FDQUtDeUVCQVg5QnZRZ2hBU0FBUVFSTkJIOGdBRUVDZEVHd0Ztb29BZ0FGUWIwSUN3c1dBQ0FCSUFBb0FnQTJBZ0FnQWlBQUtBSUVOZ0lBQzhzQkFRWi9JQUFvQWx3aENDQUNLQUlBSVFZZ0JDZ0NBQ0VISUFBZ0FDZ0NGQ0lGTmdKY0lBQW9BbGdoQ1NBQUlBVTJBbGdDUUNBRlJRMEFRUUFoQlNBQlJRUkFBMEFnQkNBSE5nSUFJQUlnQmpZQ0FDQUFJQVZCQUNBQ0lBTWdCVUVDZEdvZ0JCQUtJQVZCQVdvaUJTQUFLQUlVU1EwQURBSUxBQXNEUUNBRUlBYzJBZ0FnQWlBR05nSUFJQUFnQlNBQklBVkJBblFpQ21vZ0FpQURJQXBxSUFRUUNpQUZRUUZxSWdVZ0FDZ0NGRWtOQUFzTElBQWdDRFlDWENBQUlBazJBbGdnQUNnQ1ZFRUZSZ3ZZQkFFRmZ3Si9Ba0FDUUFKQUlBQkZEUUFnQVVVTkFDQUNSUTBBSUFOQkMwa05BUXNnQkVVTkFTQUVRUU0yQWdCQkFBd0NDMEhnQUJBRklnVkZCRUJCQUNFRklBUkZEUUVnQkVFQk5nSUFRUUFNQWdzZ0JVR0FnSUQ4QXpZQ0xDQUZRWDgyQWhBZ0JVS0JnSUNBRURjQ1dDQUZJQUEyQWhRZ0JVR2dBVFlDSUNBRklBQkJBblFpQmhBRklnYzJBanhCQUNFQUFrQWdCMFVOQUNBRklBWVFCU0lJTmdKRUlBaEZEUUFnQlNBR0VBVWlCallDUUNBSUlRQWdCa1VOQUNBRklBTTJBaEFnQWlFQUFrQWdBVVVOQUNBQ1JRMEFBa0FnQlNnQ0FDQUJSdzBBSUFVb0FnUWdBRWNOQUNBRktBSUlJQUZIRFFBZ0JTZ0NEQ0FDUmcwQkN5QUZJQUEyQWdRZ0JTQUJOZ0lBSUFVb0Fnd2hDU0FCSVFBZ0FpRURBMEFnQUNBRElnQndJZ01OQUFzZ0JTQUNJQUJ1TmdJTUlBVWdBU0FBYmpZQ0NBSkFJQWxGRFFBZ0JTZ0NGRVVOQUNBRktBSkFJUWhCQUNFREEwQWdDQ0FEUVFKMGFpSUhLQUlBSWdBZ0FDQUpiaUlCSUFsc2F5SUNRWDhnQlNnQ0RDSUdiaUlBU3cwQ0lBQWdBVWtOQWlBQklBWnNJZ0VnQWlBR2JDQUpiaUlBUVg5elN3MENJQWNnQUNBQmFpSUJOZ0lBSUFFZ0JTZ0NEQ0lBVHdSQUlBY2dBRUVCYXpZQ0FBc2dBMEVCYWlJRElBVW9BaFJKRFFBTEN5QUZLQUkwUlEwQUlBVVFEUm9MQWtBZ0JSQU5JZ0JGQkVBZ0JVRUJOZ0kwREFFTElBVW9Ba2dRQWlBRktBSk1FQUlnQlNnQ1BCQUNJQVVvQWtRUUFpQUZLQUpBRUFJZ0JSQUNRUUFoQlFzZ0JFVU5BU0FFSUFBMkFnQWdCUXdDQ3lBRUJFQWdCRUVCTmdJQUN5QUhFQUlnQUJBQ0lBVVFBa0VBSVFVTElBVUxDd3ZvSkFZQVFZQUlDNllCU1c1MllXeHBaQ0JoY21kMWJXVnVkQzRBVTNWalkyVnpjeTRBU1c1d2RYUWdZVzVrSUc5MWRIQjFkQ0JpZFdabVpYSnpJRzkyWlhKc1lYQXVBRlZ1YTI1dmQyNGdaWEp5YjNJdUlFSmhaQ0JsY25KdmNpQmpiMlJsSUc5eUlITjBjbUZ1WjJVZ2RtVnljMmx2YmlCdGFYTnRZWFJqYUM0QVFtRmtJSEpsYzJGdGNHeGxjaUJ6ZEdGMFpTNEFUV1Z0YjNKNUlHRnNiRzlqWVhScGIyNGdabUZwYkdWa0xnQkJzQWtMMEFnSUFBQUFCQUFBQU9GNlZELzJLRncvakFVQUFCQUFBQUFFQUFBQW1wbFpQNjVIWVQrTUJRQUFJQUFBQUFRQUFBREJ5bUUvdy9Wb1A0d0ZBQUF3QUFBQUNBQUFBTGdlWlQrRHdHby9sQVVBQUVBQUFBQUlBQUFBcU1aclA5ZWpjRCtVQlFBQVVBQUFBQkFBQUFBeENHdy8xNk53UDV3RkFBQmdBQUFBRUFBQUFOZWpjRCtGNjNFL25BVUFBSUFBQUFBUUFBQUFNek56UHpNemN6K2NCUUFBb0FBQUFCQUFBQUNQd25VL2o4SjFQNXdGQUFEQUFBQUFJQUFBQU5uT2R6L1p6bmMvcEFVQUFBQUJBQUFnQUFBQW1wbDVQNXFaZVQra0JRQUFzQVVBQUNBQUFBRFFCZ0FBSUFBQUFQQUhBQUFnQUFBQUVBa0FBRUFBQUFBQUFBQUFKWkhndWlEcTd6OEFBQUFBQUFEd1B5V1I0TG9nNnU4LzNrc3J6ODJvN3o5YUgvK2E1anp2UDFYUEY3WGFwKzQvdnFCazlxTHI3VC9Ya0c0NnVBcnRQNHZvejJVSENPdy90ZDV2dE9QbTZqOVlBSFFVOTZycFB5SnlWVFF4V09nL1VNV3VhYlh5NWo5WTVMWUJ5SDdsUDVSRkoyeTdBT1EvUnl0S1M5MTg0aitwbytOcVpQZmdQNnFwbDZXKzZONC9Gc1I2Z2tqdjJ6OUxac3lQaFFuWlB6L3A0VmZ1UGRZL3dtcHVmVCtTMHorZ3ZxZHFhUXZSUHl0eVh6a0lXODAvSjVsaUw1RDN5RCtoQjhxdkYvSEVQOHBpcklDTVNzRS9Jc1crYkZRS3ZEOWhoUUNGSDBHMlA0L2VjQis1TmJFL1E0VEpuazdEcVQ4aGUzdmZFWGlpUC9OSEtPaTg1NWcvV2UwTzUrbDFqajhoQWc2aFNzMStQd0FBQUFBQUFBQUF3Vk5Nemg3aTd6OEFBQUFBQUFEd1A4RlRUTTRlNHU4L3owTEltZzJKN3o4TWJlZVlmL2J1UDRnU0xYazhMZTQvbWszMHR3d3g3VCsxc01DNm5nYnNQOHlaRGhsbXMrby8zSGtzeDNVOTZUOVJxeUs3VnF2blA1VTJ5VTNjQStZL2Rhdm5wUGRONUQ5M0FKdmVpNURpUHhPQjZoOUUwdUEveGdERDBka3kzajlUUGdSVm85ZmFQOWtJWWNFL25kYy9xR29HNForTTFEOXVKSDBZS2EzUlAxcnZlZlpEQ2M0L0d3QmdLMWN1eVQ5Umxtc2JrTTdFUDR2c1dxM1o2OEEvNmRZcFhuNEt1ei9mRi9yVWJ5NjFQd1lOZ1V3QU9MQS95cjFFNWZRdnFEK21GZmp0bUhpaFAwdjFVOUo1UTVnL2xNK2Y5STBCa0Q4QWJqYzkvNmlEUDk1cEdVYk5tWFUvNElXTXkrRW9Zei84cWZIU1RXSkFQd0FBQUFBQUFBQUF1YWFqa0NMYTd6OEFBQUFBQUFEd1A3bW1vNUFpMnU4L2hRc1cybnRwN3o5RVJzMTQxN0R1UHlaVHc0YkF0TzAvTTlvdVhWWjc3RCtwemhjNUV3enJQNm5xY1NHSGIray9jdWFSSGdxdjV6L1cwV25FYWRUbFA4Q25wQlNWNmVNL09hQUE1VXI0NFQvcWd4dmZ6UW5nUDFWcTFUSkNUZHcvUTEzZSs1K3MyRDhQV3ZiQmhUN1ZQeDhGMjhwRERkSS9vR2MzSXhoQnpqK01pM3J6NGZySVAvQ3VTSWI3VE1RL2RPTW5IOHczd0QvdVlZck5JbSs1UHp0T1Zjb0Fpck0vNkdFdXl1aFhyVDhrTTgwcUlubWxQN3RwYmZuTWdwNC9JaXgwYjQvdmxEOCtFZDBXMll5TFAxM0NYNXVtTW9FL1VBaXkyQVVIZEQrQnlDcStCQnRsUDl6dXE1T3YyMUkvRzhxYW9tMUdOejhBUVpBU0M3SUV5RkVNMG9UMDd6OEFBQUFBQUFEd1A4aFJETktFOU84LzlwVUg2U25TN3ovYTA4VHhNcG52UDlUOUVOa1BTdTgvZnArN2Jsdmw3ajlod1QrZDJXdnVQeDNYOFNWMTN1MC9hbjl2N0R3KzdUL0o2alhCWUl6c1AzY2tSUUV1eXVzL0hyeCsyZ3Y1Nmo4NjBMODBkeHJxUC9VbEk0RCtMK2svOGtCRGd6MDc2RDhPQjFQZTJEM25QL2Z5cjZONU9lWS9UTWpGSU1rdjVUL091SGlSYkNMa1AvK1pXaGtCRStNL0w1d3g3UmNENGo5ajJRYk5NdlRnUDAxYWhuS0J6OTgvelk5ayt6VyszVDhWeGplUUJiZmJQK0FIcmFnOXZOay9ZRE1Lay9QUDF6L3pIZnpFQWZUVlAwcUZaL2dGS3RRLzU4MDhGR0J6MGorTnlqUTNNdEhRUDlqUmV2REJpTTQvcnlkNEVpcWJ5ei9JU0pQZWVkcklQN1hQV3lNZlI4WS9QVmRDRkIvaHd6KzF6UUZBSGFqQlAwMjZrTHZHTnI4L0xnd21PTlJ6dXo5bWtnVUt4QVM0UDRCVUZzZDU1clEvWWtoT0ptNFZzaitrRllTWGhSdXZQK3l5NnlDbmxxby9sNmhCUlpPVHBqOCtlQy92V0FtalA5WG5yRWZJM1o4L2JNOU5GemwybWovMDhkam8vOG1WUHc4THRhWjV4NUUvVlJkcytoNjdqRC8rcExFb3N2ZUdQenkzbHVwK0pZSS9wZnUxekZST2ZEOW5IMVIzbjhKMVB3WEVmeFU3ZFhBL2RIK3puSjF2YUQvVDhQTUFrc0JoUC9kUzIvcW5JMWsvUDhHczdYbEFVVC94UWdDUitzSkdQM3V5elZNK2dEdy9KbEdTSXZDUE1EL0hWRzVnZWhRaFAzMkpmemNncXdzLzhXamppTFg0NUQ0QUFBQUFBQUFBQUJJRUFBQ05CQUFBZUFRQUFBQUVBQUFiQkFCQjBCWUwxeFVEQUFBQUJBQUFBQVFBQUFBR0FBQUFnL21pQUVST2JnRDhLUlVBMFZjbkFOMDA5UUJpMjhBQVBKbVZBRUdRUXdCalVmNEF1OTZyQUxkaHhRQTZiaVFBMGsxQ0FFa0c0QUFKNmk0QUhKTFJBT3NkL2dBcHNSd0E2RDZuQVBVMWdnQkV1eTRBbk9tRUFMUW1jQUJCZmw4QTFwRTVBRk9ET1FDYzlEa0FpMStFQUNqNXZRRDRIenNBM3YrWEFBK1lCUUFSTCs4QUNscUxBRzBmYlFEUGZqWUFDY3NuQUVaUHR3Q2VaajhBTGVwZkFMb25kUURsNjhjQVBYdnhBUGM1QndDU1Vvb0ErMnZxQUIreFh3QUlYWTBBTUFOV0FIdjhSZ0R3cTJzQUlMelBBRGIwbWdEanFSMEFYbUdSQUFnYjVnQ0ZtV1VBb0JSZkFJMUFhQUNBMlA4QUozTk5BQVlHTVFES1ZoVUF5YWh6QUh2aVlBQnJqTUFBR2NSSEFNMW53d0FKNk53QVdZTXFBSXQyeEFDbUhKWUFSSy9kQUJsWDBRQ2xQZ1VBQlFmL0FETitQd0RDTXVnQW1FL2VBTHQ5TWdBbVBjTUFIbXZ2QUovNFhnQTFIem9BZi9MS0FQR0hIUUI4a0NFQWFpUjhBTlZ1K2dBd0xYY0FGVHREQUxVVXhnRERHWjBBcmNUQ0FDeE5RUUFNQUYwQWhuMUdBT054TFFDYnhwb0FNMklBQUxUU2ZBQzBwNWNBTjFYVkFOYys5Z0NqRUJnQVRYYjhBR1NkS2dCdzE2c0FZM3o0QUhxd1Z3QVhGZWNBd0VsV0FEdlcyUUNuaERnQUpDUExBTmFLZHdCYVZDTUFBQis1QVBFS0d3QVp6dDhBbnpIL0FHWWVhZ0NaVjJFQXJQdEhBSDUvMkFBaVpiY0FNdWlKQU9hL1lBRHZ4TTBBYkRZSkFGMC8xQUFXM3RjQVdEdmVBTjZia2dEU0lpZ0FLSWJvQU9KWVRRREd5aklBQ09NV0FPQjl5d0FYd0ZBQTh4Mm5BQmpnV3dBdUV6UUFneEppQUlOSUFRRDFqbHNBcmJCL0FCN3A4Z0JJU2tNQUVHZlRBS3JkMkFDdVgwSUFhbUhPQUFvb3BBRFRtYlFBQnFieUFGeDNmd0Nqd29NQVlUeUlBSXB6ZUFDdmpGb0FiOWU5QUMybVl3RDB2OHNBallIdkFDYkJad0JWeWtVQXl0azJBQ2lvMGdEQ1lZMEFFc2wzQUFRbUZBQVNScHNBeEZuRUFNakZSQUJOc3BFQUFCZnpBTlJEclFBcFNlVUEvZFVRQUFDKy9BQWVsTXdBY003dUFCTSs5UURzOFlBQXMrZkRBTWY0S0FDVEJaUUF3WEUrQUM0SnN3QUxSZk1BaUJLY0FLc2dld0F1dFo4QVI1TENBSHN5THdBTVZXMEFjcWVRQUd2bkh3QXh5NVlBZVJaS0FFRjU0Z0QwMzRrQTZKU1hBT0xtaEFDWk1aY0FpTzFyQUY5Zk5nQzcvUTRBU0pxMEFHZWtiQUJ4Y2tJQWpWMHlBSjhWdUFDODVRa0FqVEVsQVBkME9RQXdCUndBRFF3QkFFc0lhQUFzN2xnQVI2cVFBSFRuQWdDOTFpUUE5MzJtQUc1SWNnQ2ZGdThBanBTbUFMU1I5Z0RSVTFFQXp3cnlBQ0NZTXdEMVMzNEFzbU5vQU4wK1h3QkFYUU1BaFlsL0FGVlNLUUEzWk1BQWJkZ1FBREpJTWdCYlRIVUFUbkhVQUVWVWJnQUxDY0VBS3ZWcEFCUm0xUUFuQjUwQVhRUlFBTFE3MndEcWRzVUFoL2tYQUVscmZRQWRKN29BbG1rcEFNYk1yQUN0RkZRQWtPSnFBSWpaaVFBc2NsQUFCS1MrQUhjSGxBRHpNSEFBQVB3bkFPcHhxQUJtd2trQVpPQTlBSmZkZ3dDalA1Y0FRNVQ5QUEyR2pBQXhRZDRBa2ptZEFOMXdqQUFYdCtjQUNOODdBQlUzS3dCY2dLQUFXb0NUQUJBUmtnQVA2TmdBYklDdkFOdi9Td0E0a0E4QVdSaDJBR0tsRlFCaHk3c0F4NG01QUJCQXZRRFM4Z1FBU1hVbkFPdTI5Z0RiSXJzQUNoU3FBSWttTHdCa2czWUFDVHN6QUE2VUdnQlJPcW9BSGFQQ0FLL3RyZ0JjSmhJQWJjSk5BQzE2bkFEQVZwY0FBeitEQUFudzlnQXJRSXdBYlRHWkFEbTBCd0FNSUJVQTJNTmJBUFdTeEFER3JVc0FUc3FsQUtjM3pRRG1xVFlBcTVLVUFOMUNhQUFaWTk0QWRvenZBR2lMVWdEODJ6Y0FycUdyQU44Vk1RQUFycUVBRFB2YUFHUk5aZ0R0QmJjQUtXVXdBRmRXdndCSC96b0Fhdm01QUhXKzh3QW9rOThBcTRBd0FHYU05Z0FFeXhVQStpSUdBTm5rSFFBOXM2UUFWeHVQQURiTkNRQk9RdWtBRTc2a0FETWp0UUR3cWhvQVQyV29BTkxCcFFBTFB3OEFXM2pOQUNQNWRnQjdpd1FBaVJkeUFNYW1Vd0J2YnVJQTcrc0FBSnRLV0FERTJyY0FxbWE2QUhiUHp3RFJBaDBBc2ZFdEFJeVp3UUREclhjQWhramFBUGRkb0FER2dQUUFyUEF2QU4zc21nQS9YTHdBME41dEFKREhId0FxMjdZQW95VTZBQUN2bWdDdFU1TUF0bGNFQUNrdHRBQkxnSDRBMmdlbkFIYXFEZ0I3V2FFQUZoSXFBTnkzTFFENjVmMEFpZHYrQUltKy9RRGtkbXdBQnFuOEFENkFjQUNGYmhVQS9ZZi9BQ2crQndCaFp6TUFLaGlHQUUyOTZnQ3o1NjhBajIxdUFKVm5PUUF4djFzQWhOZElBRERmRmdESExVTUFKV0UxQU1sd3pnQXd5N2dBdjJ6OUFLUUFvZ0FGYk9RQVd0MmdBQ0Z2UndCaUV0SUF1VnlFQUhCaFNRQnJWdUFBbVZJQkFGQlZOd0FlMWJjQU0vSEVBQk51WHdCZE1PUUFoUzZwQUIyeXd3Q2hNallBQ0xla0FPcXgxQUFXOXlFQWoybmtBQ2YvZHdBTUE0QUFqVUF0QUUvTm9BQWdwWmtBczZMVEFDOWRDZ0MwK1VJQUVkckxBSDIrMEFDYjI4RUFxeGU5QU1xaWdRQUlhbHdBTGxVWEFDY0FWUUIvRlBBQTRRZUdBQlFMWkFDV1FZMEFoNzdlQU5yOUtnQnJKYllBZTRrMEFBWHovZ0M1djU0QWFHcFBBRW9xcUFCUHhGb0FMZmk4QU5kYW1BRDB4NVVBRFUyTkFDQTZwZ0NrVjE4QUZEK3hBSUE0bFFETUlBRUFjZDJHQU1uZXRnQy9ZUFVBVFdVUkFBRUhhd0NNc0t3QXNzRFFBRkZWU0FBZSt3NEFsWExEQUtNR093REFRRFVBQnR4N0FPQkZ6QUJPS2ZvQTFzcklBT2p6UVFCOFpONEFtMlRZQU5tK01RQ2tsOE1BZDFqVUFHbmp4UUR3MmhNQXVqbzhBRVlZUmdCVmRWOEEwcjMxQUc2U3hnQ3NMbDBBRGtUdEFCdytRZ0JoeEljQUtmM3BBT2ZXOHdBaWZNb0FiNUUxQUFqZ3hRRC8xNDBBYm1yaUFMRDl4Z0NUQ01FQWZGMTBBR3V0c2dETmJwMEFQbko3QU1ZUmFnRDN6NmtBS1hQZkFMWEp1Z0MzQUZFQTRySU5BSFM2SkFEbGZXQUFkTmlLQUEwVkxBQ0JHQXdBZm1hVUFBRXBGZ0NmZW5ZQS9mMitBRlpGN3dEWmZqWUE3TmtUQUl1NnVRREVsL3dBTWFnbkFQRnV3d0NVeFRZQTJLaFdBTFNvdFFEUHpBNEFFb2t0QUc5WE5BQXNWb2tBbWM3akFOWWd1UUJyWHFvQVBpcWNBQkZmekFEOUMwb0E0ZlQ3QUk0N2JRRGloaXdBNmRTRUFQeTBxUUR2N3RFQUxqWEpBQzg1WVFBNElVUUFHOW5JQUlIOENnRDdTbW9BTHh6WUFGTzBoQUJPbVl3QVZDTE1BQ3BWM0FEQXh0WUFDeG1XQUJwd3VBQnBsV1FBSmxwZ0FEOVM3Z0IvRVE4QTlMVVJBUHpMOVFBMHZDMEFOTHp1QU9oZHpBRGRYbUFBWjQ2YkFKSXo3d0RKRjdnQVlWaWJBT0ZYdkFCUmc4WUEyRDRRQU4xeFNBQXRITjBBcnhpaEFDRXNSZ0JaODljQTJYcVlBSjVVd0FCUGh2b0FWZ2I4QU9WNXJnQ0pJallBT0swaUFHZVQzQUJWNktvQWdpWTRBTXJubXdCUkRhUUFtVE94QUtuWERnQnBCVWdBWmJMd0FIK0lwd0NJVEpjQStkRTJBQ0dTc3dCN2drb0FtTThoQUVDZjNBRGNSMVVBNFhRNkFHZnJRZ0QrbmQ4QVh0UmZBSHRucEFDNnJIb0FWZmFpQUN1SUl3QkJ1bFVBV1c0SUFDRXFoZ0E1UjRNQWllUG1BT1dlMUFCSiswQUEvMWJwQUJ3UHlnREZXWW9BbFBvckFOUEJ4UUFQeGM4QTIxcXVBRWZGaGdDRlEySUFJWVk3QUN4NWxBQVFZWWNBS2t4N0FJQXNHZ0JEdnhJQWlDYVFBSGc4aVFDb3hPUUE1ZHQ3QU1RNndnQW05T29BOTJlS0FBMlN2d0Jsb3lzQVBaT3hBTDE4Q3dDa1Vkd0FKOTFqQUduaDNRQ2FsQmtBcUNtVkFHak9LQUFKN2JRQVJKOGdBRTZZeWdCd2dtTUFmbndqQUErNU1nQ245WTRBRkZibkFDSHhDQUMxblNvQWIzNU5BS1VaVVFDMSthc0FndC9XQUpiZFlRQVdOZ0lBeERxZkFJT2lvUUJ5N1cwQU9ZMTZBSUs0cVFCck1sd0FSaWRiQUFBMDdRRFNBSGNBL1BSVkFBRlpUUURnY1lBQVFiTXNDejFBK3lINVB3QUFBQUF0UkhRK0FBQUFnSmhHK0R3QUFBQmdVY3g0T3dBQUFJQ0RHL0E1QUFBQVFDQWxlamdBQUFDQUlvTGpOZ0FBQUFBZDgyazFBRUh3TEFzRGNCZ0JcIjtpZighaXNEYXRhVVJJKHdhc21CaW5hcnlGaWxlKSl7d2FzbUJpbmFyeUZpbGU9bG9jYXRlRmlsZSh3YXNtQmluYXJ5RmlsZSl9ZnVuY3Rpb24gZ2V0QmluYXJ5U3luYyhmaWxlKXtpZihmaWxlPT13YXNtQmluYXJ5RmlsZSYmd2FzbUJpbmFyeSl7cmV0dXJuIG5ldyBVaW50OEFycmF5KHdhc21CaW5hcnkpfXZhciBiaW5hcnk9dHJ5UGFyc2VBc0RhdGFVUkkoZmlsZSk7aWYoYmluYXJ5KXtyZXR1cm4gYmluYXJ5fWlmKHJlYWRCaW5hcnkpe3JldHVybiByZWFkQmluYXJ5KGZpbGUpfXRocm93XCJib3RoIGFzeW5jIGFuZCBzeW5jIGZldGNoaW5nIG9mIHRoZSB3YXNtIGZhaWxlZFwifWZ1bmN0aW9uIGdldEJpbmFyeVByb21pc2UoYmluYXJ5RmlsZSl7cmV0dXJuIFByb21pc2UucmVzb2x2ZSgpLnRoZW4oKCgpPT5nZXRCaW5hcnlTeW5jKGJpbmFyeUZpbGUpKSl9ZnVuY3Rpb24gaW5zdGFudGlhdGVBcnJheUJ1ZmZlcihiaW5hcnlGaWxlLGltcG9ydHMscmVjZWl2ZXIpe3JldHVybiBnZXRCaW5hcnlQcm9taXNlKGJpbmFyeUZpbGUpLnRoZW4oKGJpbmFyeT0+V2ViQXNzZW1ibHkuaW5zdGFudGlhdGUoYmluYXJ5LGltcG9ydHMpKSkudGhlbigoaW5zdGFuY2U9Pmluc3RhbmNlKSkudGhlbihyZWNlaXZlciwocmVhc29uPT57ZXJyKFwiZmFpbGVkIHRvIGFzeW5jaHJvbm91c2x5IHByZXBhcmUgd2FzbTogXCIrcmVhc29uKTthYm9ydChyZWFzb24pfSkpfWZ1bmN0aW9uIGluc3RhbnRpYXRlQXN5bmMoYmluYXJ5LGJpbmFyeUZpbGUsaW1wb3J0cyxjYWxsYmFjayl7cmV0dXJuIGluc3RhbnRpYXRlQXJyYXlCdWZmZXIoYmluYXJ5RmlsZSxpbXBvcnRzLGNhbGxiYWNrKX1mdW5jdGlvbiBjcmVhdGVXYXNtKCl7dmFyIGluZm89e1wiYVwiOndhc21JbXBvcnRzfTtmdW5jdGlvbiByZWNlaXZlSW5zdGFuY2UoaW5zdGFuY2UsbW9kdWxlKXt2YXIgZXhwb3J0cz1pbnN0YW5jZS5leHBvcnRzO01vZHVsZVtcImFzbVwiXT1leHBvcnRzO3dhc21NZW1vcnk9TW9kdWxlW1wiYXNtXCJdW1wiY1wiXTt1cGRhdGVNZW1vcnlWaWV3cygpO3dhc21UYWJsZT1Nb2R1bGVbXCJhc21cIl1bXCJrXCJdO2FkZE9uSW5pdChNb2R1bGVbXCJhc21cIl1bXCJkXCJdKTtyZW1vdmVSdW5EZXBlbmRlbmN5KFwid2FzbS1pbnN0YW50aWF0ZVwiKTtyZXR1cm4gZXhwb3J0c31hZGRSdW5EZXBlbmRlbmN5KFwid2FzbS1pbnN0YW50aWF0ZVwiKTtmdW5jdGlvbiByZWNlaXZlSW5zdGFudGlhdGlvblJlc3VsdChyZXN1bHQpe3JlY2VpdmVJbnN0YW5jZShyZXN1bHRbXCJpbnN0YW5jZVwiXSl9aWYoTW9kdWxlW1wiaW5zdGFudGlhdGVXYXNtXCJdKXt0cnl7cmV0dXJuIE1vZHVsZVtcImluc3RhbnRpYXRlV2FzbVwiXShpbmZvLHJlY2VpdmVJbnN0YW5jZSl9Y2F0Y2goZSl7ZXJyKFwiTW9kdWxlLmluc3RhbnRpYXRlV2FzbSBjYWxsYmFjayBmYWlsZWQgd2l0aCBlcnJvcjogXCIrZSk7cmVhZHlQcm9taXNlUmVqZWN0KGUpfX1pbnN0YW50aWF0ZUFzeW5jKHdhc21CaW5hcnksd2FzbUJpbmFyeUZpbGUsaW5mbyxyZWNlaXZlSW5zdGFudGlhdGlvblJlc3VsdCkuY2F0Y2gocmVhZHlQcm9taXNlUmVqZWN0KTtyZXR1cm57fX12YXIgY2FsbFJ1bnRpbWVDYWxsYmFja3M9Y2FsbGJhY2tzPT57d2hpbGUoY2FsbGJhY2tzLmxlbmd0aD4wKXtjYWxsYmFja3Muc2hpZnQoKShNb2R1bGUpfX07ZnVuY3Rpb24gZ2V0VmFsdWUocHRyLHR5cGU9XCJpOFwiKXtpZih0eXBlLmVuZHNXaXRoKFwiKlwiKSl0eXBlPVwiKlwiO3N3aXRjaCh0eXBlKXtjYXNlXCJpMVwiOnJldHVybiBIRUFQOFtwdHI+PjBdO2Nhc2VcImk4XCI6cmV0dXJuIEhFQVA4W3B0cj4+MF07Y2FzZVwiaTE2XCI6cmV0dXJuIEhFQVAxNltwdHI+PjFdO2Nhc2VcImkzMlwiOnJldHVybiBIRUFQMzJbcHRyPj4yXTtjYXNlXCJpNjRcIjphYm9ydChcInRvIGRvIGdldFZhbHVlKGk2NCkgdXNlIFdBU01fQklHSU5UXCIpO2Nhc2VcImZsb2F0XCI6cmV0dXJuIEhFQVBGMzJbcHRyPj4yXTtjYXNlXCJkb3VibGVcIjpyZXR1cm4gSEVBUEY2NFtwdHI+PjNdO2Nhc2VcIipcIjpyZXR1cm4gSEVBUFUzMltwdHI+PjJdO2RlZmF1bHQ6YWJvcnQoYGludmFsaWQgdHlwZSBmb3IgZ2V0VmFsdWU6ICR7dHlwZX1gKX19ZnVuY3Rpb24gaW50QXJyYXlUb1N0cmluZyhhcnJheSl7dmFyIHJldD1bXTtmb3IodmFyIGk9MDtpPGFycmF5Lmxlbmd0aDtpKyspe3ZhciBjaHI9YXJyYXlbaV07aWYoY2hyPjI1NSl7Y2hyJj0yNTV9cmV0LnB1c2goU3RyaW5nLmZyb21DaGFyQ29kZShjaHIpKX1yZXR1cm4gcmV0LmpvaW4oXCJcIil9ZnVuY3Rpb24gc2V0VmFsdWUocHRyLHZhbHVlLHR5cGU9XCJpOFwiKXtpZih0eXBlLmVuZHNXaXRoKFwiKlwiKSl0eXBlPVwiKlwiO3N3aXRjaCh0eXBlKXtjYXNlXCJpMVwiOkhFQVA4W3B0cj4+MF09dmFsdWU7YnJlYWs7Y2FzZVwiaThcIjpIRUFQOFtwdHI+PjBdPXZhbHVlO2JyZWFrO2Nhc2VcImkxNlwiOkhFQVAxNltwdHI+PjFdPXZhbHVlO2JyZWFrO2Nhc2VcImkzMlwiOkhFQVAzMltwdHI+PjJdPXZhbHVlO2JyZWFrO2Nhc2VcImk2NFwiOmFib3J0KFwidG8gZG8gc2V0VmFsdWUoaTY0KSB1c2UgV0FTTV9CSUdJTlRcIik7Y2FzZVwiZmxvYXRcIjpIRUFQRjMyW3B0cj4+Ml09dmFsdWU7YnJlYWs7Y2FzZVwiZG91YmxlXCI6SEVBUEY2NFtwdHI+PjNdPXZhbHVlO2JyZWFrO2Nhc2VcIipcIjpIRUFQVTMyW3B0cj4+Ml09dmFsdWU7YnJlYWs7ZGVmYXVsdDphYm9ydChgaW52YWxpZCB0eXBlIGZvciBzZXRWYWx1ZTogJHt0eXBlfWApfX12YXIgX2Vtc2NyaXB0ZW5fbWVtY3B5X2JpZz0oZGVzdCxzcmMsbnVtKT0+SEVBUFU4LmNvcHlXaXRoaW4oZGVzdCxzcmMsc3JjK251bSk7dmFyIGdldEhlYXBNYXg9KCk9PjIxNDc0ODM2NDg7dmFyIGdyb3dNZW1vcnk9c2l6ZT0+e3ZhciBiPXdhc21NZW1vcnkuYnVmZmVyO3ZhciBwYWdlcz1zaXplLWIuYnl0ZUxlbmd0aCs2NTUzNT4+PjE2O3RyeXt3YXNtTWVtb3J5Lmdyb3cocGFnZXMpO3VwZGF0ZU1lbW9yeVZpZXdzKCk7cmV0dXJuIDF9Y2F0Y2goZSl7fX07dmFyIF9lbXNjcmlwdGVuX3Jlc2l6ZV9oZWFwPXJlcXVlc3RlZFNpemU9Pnt2YXIgb2xkU2l6ZT1IRUFQVTgubGVuZ3RoO3JlcXVlc3RlZFNpemU+Pj49MDt2YXIgbWF4SGVhcFNpemU9Z2V0SGVhcE1heCgpO2lmKHJlcXVlc3RlZFNpemU+bWF4SGVhcFNpemUpe3JldHVybiBmYWxzZX12YXIgYWxpZ25VcD0oeCxtdWx0aXBsZSk9PngrKG11bHRpcGxlLXglbXVsdGlwbGUpJW11bHRpcGxlO2Zvcih2YXIgY3V0RG93bj0xO2N1dERvd248PTQ7Y3V0RG93bio9Mil7dmFyIG92ZXJHcm93bkhlYXBTaXplPW9sZFNpemUqKDErLjIvY3V0RG93bik7b3Zlckdyb3duSGVhcFNpemU9TWF0aC5taW4ob3Zlckdyb3duSGVhcFNpemUscmVxdWVzdGVkU2l6ZSsxMDA2NjMyOTYpO3ZhciBuZXdTaXplPU1hdGgubWluKG1heEhlYXBTaXplLGFsaWduVXAoTWF0aC5tYXgocmVxdWVzdGVkU2l6ZSxvdmVyR3Jvd25IZWFwU2l6ZSksNjU1MzYpKTt2YXIgcmVwbGFjZW1lbnQ9Z3Jvd01lbW9yeShuZXdTaXplKTtpZihyZXBsYWNlbWVudCl7cmV0dXJuIHRydWV9fXJldHVybiBmYWxzZX07dmFyIEFzY2lpVG9TdHJpbmc9cHRyPT57dmFyIHN0cj1cIlwiO3doaWxlKDEpe3ZhciBjaD1IRUFQVThbcHRyKys+PjBdO2lmKCFjaClyZXR1cm4gc3RyO3N0cis9U3RyaW5nLmZyb21DaGFyQ29kZShjaCl9fTt2YXIgd2FzbUltcG9ydHM9e2E6X2Vtc2NyaXB0ZW5fbWVtY3B5X2JpZyxiOl9lbXNjcmlwdGVuX3Jlc2l6ZV9oZWFwfTt2YXIgYXNtPWNyZWF0ZVdhc20oKTt2YXIgX19fd2FzbV9jYWxsX2N0b3JzPWZ1bmN0aW9uKCl7cmV0dXJuKF9fX3dhc21fY2FsbF9jdG9ycz1Nb2R1bGVbXCJhc21cIl1bXCJkXCJdKS5hcHBseShudWxsLGFyZ3VtZW50cyl9O3ZhciBfc3BlZXhfcmVzYW1wbGVyX2luaXQ9TW9kdWxlW1wiX3NwZWV4X3Jlc2FtcGxlcl9pbml0XCJdPWZ1bmN0aW9uKCl7cmV0dXJuKF9zcGVleF9yZXNhbXBsZXJfaW5pdD1Nb2R1bGVbXCJfc3BlZXhfcmVzYW1wbGVyX2luaXRcIl09TW9kdWxlW1wiYXNtXCJdW1wiZVwiXSkuYXBwbHkobnVsbCxhcmd1bWVudHMpfTt2YXIgX2ZyZWU9TW9kdWxlW1wiX2ZyZWVcIl09ZnVuY3Rpb24oKXtyZXR1cm4oX2ZyZWU9TW9kdWxlW1wiX2ZyZWVcIl09TW9kdWxlW1wiYXNtXCJdW1wiZlwiXSkuYXBwbHkobnVsbCxhcmd1bWVudHMpfTt2YXIgX3NwZWV4X3Jlc2FtcGxlcl9kZXN0cm95PU1vZHVsZVtcIl9zcGVleF9yZXNhbXBsZXJfZGVzdHJveVwiXT1mdW5jdGlvbigpe3JldHVybihfc3BlZXhfcmVzYW1wbGVyX2Rlc3Ryb3k9TW9kdWxlW1wiX3NwZWV4X3Jlc2FtcGxlcl9kZXN0cm95XCJdPU1vZHVsZVtcImFzbVwiXVtcImdcIl0pLmFwcGx5KG51bGwsYXJndW1lbnRzKX07dmFyIF9zcGVleF9yZXNhbXBsZXJfcHJvY2Vzc19pbnRlcmxlYXZlZF9mbG9hdD1Nb2R1bGVbXCJfc3BlZXhfcmVzYW1wbGVyX3Byb2Nlc3NfaW50ZXJsZWF2ZWRfZmxvYXRcIl09ZnVuY3Rpb24oKXtyZXR1cm4oX3NwZWV4X3Jlc2FtcGxlcl9wcm9jZXNzX2ludGVybGVhdmVkX2Zsb2F0PU1vZHVsZVtcIl9zcGVleF9yZXNhbXBsZXJfcHJvY2Vzc19pbnRlcmxlYXZlZF9mbG9hdFwiXT1Nb2R1bGVbXCJhc21cIl1bXCJoXCJdKS5hcHBseShudWxsLGFyZ3VtZW50cyl9O3ZhciBfc3BlZXhfcmVzYW1wbGVyX2dldF9yYXRlPU1vZHVsZVtcIl9zcGVleF9yZXNhbXBsZXJfZ2V0X3JhdGVcIl09ZnVuY3Rpb24oKXtyZXR1cm4oX3NwZWV4X3Jlc2FtcGxlcl9nZXRfcmF0ZT1Nb2R1bGVbXCJfc3BlZXhfcmVzYW1wbGVyX2dldF9yYXRlXCJdPU1vZHVsZVtcImFzbVwiXVtcImlcIl0pLmFwcGx5KG51bGwsYXJndW1lbnRzKX07dmFyIF9zcGVleF9yZXNhbXBsZXJfc3RyZXJyb3I9TW9kdWxlW1wiX3NwZWV4X3Jlc2FtcGxlcl9zdHJlcnJvclwiXT1mdW5jdGlvbigpe3JldHVybihfc3BlZXhfcmVzYW1wbGVyX3N0cmVycm9yPU1vZHVsZVtcIl9zcGVleF9yZXNhbXBsZXJfc3RyZXJyb3JcIl09TW9kdWxlW1wiYXNtXCJdW1wialwiXSkuYXBwbHkobnVsbCxhcmd1bWVudHMpfTt2YXIgX19fZXJybm9fbG9jYXRpb249ZnVuY3Rpb24oKXtyZXR1cm4oX19fZXJybm9fbG9jYXRpb249TW9kdWxlW1wiYXNtXCJdW1wiX19lcnJub19sb2NhdGlvblwiXSkuYXBwbHkobnVsbCxhcmd1bWVudHMpfTt2YXIgX21hbGxvYz1Nb2R1bGVbXCJfbWFsbG9jXCJdPWZ1bmN0aW9uKCl7cmV0dXJuKF9tYWxsb2M9TW9kdWxlW1wiX21hbGxvY1wiXT1Nb2R1bGVbXCJhc21cIl1bXCJsXCJdKS5hcHBseShudWxsLGFyZ3VtZW50cyl9O2Z1bmN0aW9uIGludEFycmF5RnJvbUJhc2U2NChzKXt0cnl7dmFyIGRlY29kZWQ9YXRvYihzKTt2YXIgYnl0ZXM9bmV3IFVpbnQ4QXJyYXkoZGVjb2RlZC5sZW5ndGgpO2Zvcih2YXIgaT0wO2k8ZGVjb2RlZC5sZW5ndGg7KytpKXtieXRlc1tpXT1kZWNvZGVkLmNoYXJDb2RlQXQoaSl9cmV0dXJuIGJ5dGVzfWNhdGNoKF8pe3Rocm93IG5ldyBFcnJvcihcIkNvbnZlcnRpbmcgYmFzZTY0IHN0cmluZyB0byBieXRlcyBmYWlsZWQuXCIpfX1mdW5jdGlvbiB0cnlQYXJzZUFzRGF0YVVSSShmaWxlbmFtZSl7aWYoIWlzRGF0YVVSSShmaWxlbmFtZSkpe3JldHVybn1yZXR1cm4gaW50QXJyYXlGcm9tQmFzZTY0KGZpbGVuYW1lLnNsaWNlKGRhdGFVUklQcmVmaXgubGVuZ3RoKSl9TW9kdWxlW1wic2V0VmFsdWVcIl09c2V0VmFsdWU7TW9kdWxlW1wiZ2V0VmFsdWVcIl09Z2V0VmFsdWU7TW9kdWxlW1wiQXNjaWlUb1N0cmluZ1wiXT1Bc2NpaVRvU3RyaW5nO3ZhciBjYWxsZWRSdW47ZGVwZW5kZW5jaWVzRnVsZmlsbGVkPWZ1bmN0aW9uIHJ1bkNhbGxlcigpe2lmKCFjYWxsZWRSdW4pcnVuKCk7aWYoIWNhbGxlZFJ1bilkZXBlbmRlbmNpZXNGdWxmaWxsZWQ9cnVuQ2FsbGVyfTtmdW5jdGlvbiBydW4oKXtpZihydW5EZXBlbmRlbmNpZXM+MCl7cmV0dXJufXByZVJ1bigpO2lmKHJ1bkRlcGVuZGVuY2llcz4wKXtyZXR1cm59ZnVuY3Rpb24gZG9SdW4oKXtpZihjYWxsZWRSdW4pcmV0dXJuO2NhbGxlZFJ1bj10cnVlO01vZHVsZVtcImNhbGxlZFJ1blwiXT10cnVlO2lmKEFCT1JUKXJldHVybjtpbml0UnVudGltZSgpO3JlYWR5UHJvbWlzZVJlc29sdmUoTW9kdWxlKTtpZihNb2R1bGVbXCJvblJ1bnRpbWVJbml0aWFsaXplZFwiXSlNb2R1bGVbXCJvblJ1bnRpbWVJbml0aWFsaXplZFwiXSgpO3Bvc3RSdW4oKX1pZihNb2R1bGVbXCJzZXRTdGF0dXNcIl0pe01vZHVsZVtcInNldFN0YXR1c1wiXShcIlJ1bm5pbmcuLi5cIik7c2V0VGltZW91dCgoZnVuY3Rpb24oKXtzZXRUaW1lb3V0KChmdW5jdGlvbigpe01vZHVsZVtcInNldFN0YXR1c1wiXShcIlwiKX0pLDEpO2RvUnVuKCl9KSwxKX1lbHNle2RvUnVuKCl9fWlmKE1vZHVsZVtcInByZUluaXRcIl0pe2lmKHR5cGVvZiBNb2R1bGVbXCJwcmVJbml0XCJdPT1cImZ1bmN0aW9uXCIpTW9kdWxlW1wicHJlSW5pdFwiXT1bTW9kdWxlW1wicHJlSW5pdFwiXV07d2hpbGUoTW9kdWxlW1wicHJlSW5pdFwiXS5sZW5ndGg+MCl7TW9kdWxlW1wicHJlSW5pdFwiXS5wb3AoKSgpfX1ydW4oKTtcblxuXG4gIHJldHVybiBtb2R1bGVBcmcucmVhZHlcbn1cblxuKTtcbn0pKCk7XG5leHBvcnQgZGVmYXVsdCBTcGVleDsiXX0=
\ No newline at end of file
+if (typeof exports === "object" && typeof module === "object") {
+    module.exports = Speex;
+    module.exports.default = Speex;
+}
+else if (typeof define === "function" && define["amd"])
+    define([], () => Speex);
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3BlZXhfd2FzbS5qcyIsInNvdXJjZVJvb3QiOiIvIiwic291cmNlcyI6WyJzcGVleF93YXNtLmpzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLElBQUksS0FBSyxHQUFDLENBQUMsR0FBRSxFQUFFO0lBQUMsSUFBSSxXQUFXLEdBQUMsT0FBTyxRQUFRLEtBQUcsV0FBVyxJQUFFLFFBQVEsQ0FBQyxhQUFhLENBQUEsQ0FBQyxDQUFBLFFBQVEsQ0FBQyxhQUFhLENBQUMsR0FBRyxDQUFBLENBQUMsQ0FBQSxTQUFTLENBQUM7SUFBQSxPQUFPLEtBQUssV0FBVSxTQUFTLEdBQUMsRUFBRTtRQUFFLElBQUksU0FBUyxDQUFDO1FBQUEsSUFBSSxtQkFBbUIsRUFBQyxvQkFBb0IsQ0FBQztRQUFBLFNBQVMsZUFBZSxDQUFDLENBQUMsRUFBQyxDQUFDLEVBQUMsQ0FBQyxJQUFFLE9BQU0sQ0FBQyxDQUFDLEdBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUcsQ0FBQyxDQUFBLENBQUMsQ0FBQSxNQUFNLENBQUMsY0FBYyxDQUFDLENBQUMsRUFBQyxDQUFDLEVBQUMsRUFBQyxLQUFLLEVBQUMsQ0FBQyxFQUFDLFVBQVUsRUFBQyxDQUFDLENBQUMsRUFBQyxZQUFZLEVBQUMsQ0FBQyxDQUFDLEVBQUMsUUFBUSxFQUFDLENBQUMsQ0FBQyxFQUFDLENBQUMsQ0FBQSxDQUFDLENBQUEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFDLENBQUMsRUFBQyxDQUFDLENBQUEsQ0FBQSxDQUFDO1FBQUEsU0FBUyxjQUFjLENBQUMsQ0FBQyxJQUFFLElBQUksQ0FBQyxHQUFDLFlBQVksQ0FBQyxDQUFDLEVBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQSxPQUFNLFFBQVEsSUFBRSxPQUFPLENBQUMsQ0FBQSxDQUFDLENBQUEsQ0FBQyxDQUFBLENBQUMsQ0FBQSxDQUFDLEdBQUMsRUFBRSxDQUFBLENBQUEsQ0FBQztRQUFBLFNBQVMsWUFBWSxDQUFDLENBQUMsRUFBQyxDQUFDLElBQUUsSUFBRyxRQUFRLElBQUUsT0FBTyxDQUFDLElBQUUsQ0FBQyxDQUFDO1lBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQSxJQUFJLENBQUMsR0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUEsSUFBRyxLQUFLLENBQUMsS0FBRyxDQUFDLEVBQUM7WUFBQyxJQUFJLENBQUMsR0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsRUFBQyxDQUFDLElBQUUsU0FBUyxDQUFDLENBQUM7WUFBQSxJQUFHLFFBQVEsSUFBRSxPQUFPLENBQUM7Z0JBQUMsT0FBTyxDQUFDLENBQUM7WUFBQSxNQUFNLElBQUksU0FBUyxDQUFDLDhDQUE4QyxDQUFDLENBQUE7U0FBQyxDQUFBLE9BQU0sQ0FBQyxRQUFRLEtBQUcsQ0FBQyxDQUFBLENBQUMsQ0FBQSxNQUFNLENBQUEsQ0FBQyxDQUFBLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFBLENBQUEsQ0FBQztRQUFBLElBQUksTUFBTSxHQUFDLFNBQVMsQ0FBQztRQUFBLElBQUksa0JBQWtCLEdBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUM7UUFBQSxJQUFJLHFCQUFxQixHQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsaUJBQWlCLENBQUM7UUFBQSxJQUFJLG1CQUFtQixHQUFDLENBQUMsQ0FBQyxtQkFBbUIsR0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLEtBQUcsSUFBSSxJQUFFLG1CQUFtQixLQUFHLEtBQUssQ0FBQyxJQUFFLENBQUMsbUJBQW1CLEdBQUMsbUJBQW1CLENBQUMsUUFBUSxDQUFDLEtBQUcsSUFBSSxJQUFFLG1CQUFtQixLQUFHLEtBQUssQ0FBQyxDQUFBLENBQUMsQ0FBQSxLQUFLLENBQUMsQ0FBQSxDQUFDLENBQUEsbUJBQW1CLENBQUMsSUFBSSxDQUFDLElBQUUsQ0FBQyxDQUFDLG9CQUFvQixHQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsS0FBRyxJQUFJLElBQUUsb0JBQW9CLEtBQUcsS0FBSyxDQUFDLENBQUEsQ0FBQyxDQUFBLEtBQUssQ0FBQyxDQUFBLENBQUMsQ0FBQSxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsSUFBRSxVQUFVLENBQUM7UUFBQSxJQUFJLFVBQVUsR0FBQyxFQUFFLENBQUM7UUFBQSxJQUFJLFdBQVcsR0FBQyxnQkFBZ0IsQ0FBQztRQUFBLElBQUksS0FBSyxHQUFDLENBQUMsTUFBTSxFQUFDLE9BQU8sRUFBQyxFQUFFLEdBQUMsTUFBTSxPQUFPLENBQUEsQ0FBQSxDQUFDLENBQUM7UUFBQSxJQUFHLE9BQU8sVUFBVSxJQUFFLFdBQVcsRUFBQztZQUFDLFdBQVcsR0FBQyxVQUFVLENBQUE7U0FBQzthQUFLLElBQUcscUJBQXFCLEVBQUM7WUFBQyxXQUFXLEdBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUE7U0FBQztRQUFBLElBQUksZUFBZSxHQUFDLEVBQUUsQ0FBQztRQUFBLFNBQVMsVUFBVSxDQUFDLElBQUksSUFBRSxJQUFHLE1BQU0sQ0FBQyxZQUFZLENBQUMsRUFBQztZQUFDLE9BQU8sTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFDLElBQUksRUFBQyxlQUFlLENBQUMsQ0FBQTtTQUFDLENBQUEsT0FBTyxlQUFlLEdBQUMsSUFBSSxDQUFBLENBQUEsQ0FBQztRQUFBLElBQUksU0FBUyxFQUFDLFVBQVUsQ0FBQztRQUFBLElBQUcsbUJBQW1CLEVBQUM7WUFBQyxJQUFJLEVBQUUsR0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUM7WUFBQSxlQUFlLEdBQUMsU0FBUyxHQUFDLEdBQUcsQ0FBQztZQUFBLFVBQVUsR0FBQyxRQUFRLENBQUEsRUFBRSxHQUFDLFFBQVEsR0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUEsQ0FBQyxDQUFBLElBQUksR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFBLENBQUMsQ0FBQSxRQUFRLENBQUMsQ0FBQSxJQUFJLEdBQUcsR0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUEsT0FBTyxHQUFHLENBQUEsQ0FBQSxDQUFDLENBQUM7WUFBQSxTQUFTLEdBQUMsS0FBSyxXQUFVLFFBQVEsSUFBRSxJQUFJLE1BQU0sR0FBQyxTQUFTLENBQUMsTUFBTSxHQUFDLENBQUMsSUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLEtBQUcsU0FBUyxDQUFBLENBQUMsQ0FBQSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUEsQ0FBQyxDQUFBLElBQUksQ0FBQyxDQUFBLFFBQVEsR0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUEsQ0FBQyxDQUFBLElBQUksR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFBLENBQUMsQ0FBQSxRQUFRLENBQUMsQ0FBQSxJQUFJLEdBQUcsR0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsRUFBQyxNQUFNLENBQUEsQ0FBQyxDQUFBLFNBQVMsQ0FBQSxDQUFDLENBQUEsTUFBTSxDQUFDLENBQUMsQ0FBQSxPQUFPLEdBQUcsQ0FBQSxDQUFBLENBQUMsQ0FBQztZQUFBLElBQUcsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLEdBQUMsQ0FBQyxFQUFDO2dCQUFDLFdBQVcsR0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUMsR0FBRyxDQUFDLENBQUE7YUFBQztZQUFBLFVBQVUsR0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUFBLEtBQUssR0FBQyxDQUFDLE1BQU0sRUFBQyxPQUFPLEVBQUMsRUFBRSxHQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUMsTUFBTSxDQUFDLENBQUEsTUFBTSxPQUFPLENBQUEsQ0FBQSxDQUFDLENBQUE7U0FBQzthQUFLLElBQUcsa0JBQWtCLElBQUUscUJBQXFCLEVBQUM7WUFBQyxJQUFHO2dCQUFDLGVBQWUsR0FBQyxJQUFJLEdBQUcsQ0FBQyxHQUFHLEVBQUMsV0FBVyxDQUFDLENBQUMsSUFBSSxDQUFBO2FBQUM7WUFBQSxNQUFLLEdBQUU7WUFBQTtnQkFBQyxJQUFHLHFCQUFxQixFQUFDO29CQUFDLFVBQVUsR0FBQyxHQUFHLENBQUEsRUFBRSxHQUFDLElBQUksR0FBRyxHQUFDLElBQUksY0FBYyxDQUFDLENBQUEsR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLEVBQUMsR0FBRyxFQUFDLEtBQUssQ0FBQyxDQUFDLENBQUEsR0FBRyxDQUFDLFlBQVksR0FBQyxhQUFhLENBQUMsQ0FBQSxHQUFHLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUEsT0FBTyxJQUFJLFVBQVUsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUEsQ0FBQSxDQUFDLENBQUE7aUJBQUM7Z0JBQUEsU0FBUyxHQUFDLEtBQUssRUFBQyxHQUFHLEVBQUEsRUFBRSxHQUFDLElBQUcsU0FBUyxDQUFDLEdBQUcsQ0FBQyxFQUFDO29CQUFDLE9BQU8sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUMsTUFBTSxFQUFDLEVBQUUsR0FBQyxJQUFJLEdBQUcsR0FBQyxJQUFJLGNBQWMsQ0FBQyxDQUFBLEdBQUcsQ0FBQyxJQUFJLENBQUMsS0FBSyxFQUFDLEdBQUcsRUFBQyxJQUFJLENBQUMsQ0FBQyxDQUFBLEdBQUcsQ0FBQyxZQUFZLEdBQUMsYUFBYSxDQUFDLENBQUEsR0FBRyxDQUFDLE1BQU0sR0FBQyxHQUFFLEVBQUUsR0FBQyxJQUFHLEdBQUcsQ0FBQyxNQUFNLElBQUUsR0FBRyxJQUFFLEdBQUcsQ0FBQyxNQUFNLElBQUUsQ0FBQyxJQUFFLEdBQUcsQ0FBQyxRQUFRLEVBQUM7d0JBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQzt3QkFBQSxPQUFNO3FCQUFDLENBQUEsTUFBTSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQSxDQUFBLENBQUMsQ0FBQyxDQUFBLEdBQUcsQ0FBQyxPQUFPLEdBQUMsTUFBTSxDQUFDLENBQUEsR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQSxDQUFBLENBQUMsQ0FBQyxDQUFBO2lCQUFDLENBQUEsSUFBSSxRQUFRLEdBQUMsTUFBTSxLQUFLLENBQUMsR0FBRyxFQUFDLEVBQUMsV0FBVyxFQUFDLGFBQWEsRUFBQyxDQUFDLENBQUMsQ0FBQSxJQUFHLFFBQVEsQ0FBQyxFQUFFLEVBQUM7b0JBQUMsT0FBTyxRQUFRLENBQUMsV0FBVyxFQUFFLENBQUE7aUJBQUMsQ0FBQSxNQUFNLElBQUksS0FBSyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUMsS0FBSyxHQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQSxDQUFBLENBQUMsQ0FBQTthQUFDO1NBQUM7YUFBSSxHQUFFO1FBQUEsSUFBSSxHQUFHLEdBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7UUFBQSxJQUFJLEdBQUcsR0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUFBLElBQUksVUFBVSxDQUFDO1FBQUEsSUFBSSxLQUFLLEdBQUMsS0FBSyxDQUFDO1FBQUEsSUFBSSxTQUFTLEdBQUMsUUFBUSxDQUFBLEVBQUUsQ0FBQSxRQUFRLENBQUMsVUFBVSxDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBQUEsTUFBTSxZQUFZO1NBQUU7UUFBQSxNQUFNLGNBQWUsU0FBUSxZQUFZO1NBQUU7UUFBQSxJQUFJLG1CQUFtQixFQUFDLGtCQUFrQixDQUFDO1FBQUEsSUFBSSxrQkFBa0IsR0FBQyxLQUFLLENBQUM7UUFBQSxTQUFTLGlCQUFpQixLQUFHLElBQUksQ0FBQyxHQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQSxLQUFLLEdBQUMsSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQSxNQUFNLEdBQUMsSUFBSSxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQSxNQUFNLENBQUMsUUFBUSxDQUFDLEdBQUMsTUFBTSxHQUFDLElBQUksVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUEsT0FBTyxHQUFDLElBQUksV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUEsTUFBTSxDQUFDLFFBQVEsQ0FBQyxHQUFDLE1BQU0sR0FBQyxJQUFJLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFBLE1BQU0sQ0FBQyxTQUFTLENBQUMsR0FBQyxPQUFPLEdBQUMsSUFBSSxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQSxNQUFNLENBQUMsU0FBUyxDQUFDLEdBQUMsT0FBTyxHQUFDLElBQUksWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUEsT0FBTyxHQUFDLElBQUksWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFBLENBQUEsQ0FBQztRQUFBLFNBQVMsTUFBTSxLQUFHLElBQUcsTUFBTSxDQUFDLFFBQVEsQ0FBQyxFQUFDO1lBQUMsSUFBRyxPQUFPLE1BQU0sQ0FBQyxRQUFRLENBQUMsSUFBRSxVQUFVO2dCQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsR0FBQyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO1lBQUEsT0FBTSxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsTUFBTSxFQUFDO2dCQUFDLFdBQVcsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQTthQUFDO1NBQUMsQ0FBQSxvQkFBb0IsQ0FBQyxTQUFTLENBQUMsQ0FBQSxDQUFBLENBQUM7UUFBQSxTQUFTLFdBQVcsS0FBRyxrQkFBa0IsR0FBQyxJQUFJLENBQUMsQ0FBQSxXQUFXLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQSxDQUFBLENBQUM7UUFBQSxTQUFTLE9BQU8sS0FBRyxJQUFHLE1BQU0sQ0FBQyxTQUFTLENBQUMsRUFBQztZQUFDLElBQUcsT0FBTyxNQUFNLENBQUMsU0FBUyxDQUFDLElBQUUsVUFBVTtnQkFBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEdBQUMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztZQUFBLE9BQU0sTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLE1BQU0sRUFBQztnQkFBQyxZQUFZLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUE7YUFBQztTQUFDLENBQUEsb0JBQW9CLENBQUMsVUFBVSxDQUFDLENBQUEsQ0FBQSxDQUFDO1FBQUEsU0FBUyxLQUFLLENBQUMsSUFBSSxJQUFFLElBQUksZUFBZSxFQUFDLG1CQUFtQixDQUFDLENBQUEsQ0FBQyxlQUFlLEdBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEtBQUcsSUFBSSxJQUFFLGVBQWUsS0FBRyxLQUFLLENBQUMsSUFBRSxlQUFlLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBQyxJQUFJLENBQUMsQ0FBQyxDQUFBLElBQUksR0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLElBQUksRUFBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFBLEtBQUssR0FBQyxJQUFJLENBQUMsQ0FBQSxJQUFJLElBQUUsMENBQTBDLENBQUMsQ0FBQSxJQUFJLENBQUMsR0FBQyxJQUFJLFdBQVcsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQSxDQUFDLG1CQUFtQixHQUFDLGtCQUFrQixDQUFDLEtBQUcsSUFBSSxJQUFFLG1CQUFtQixLQUFHLEtBQUssQ0FBQyxJQUFFLG1CQUFtQixDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUEsTUFBTSxDQUFDLENBQUEsQ0FBQSxDQUFDO1FBQUEsSUFBSSxjQUFjLENBQUM7UUFBQSxTQUFTLGNBQWMsS0FBRyxPQUFPLFVBQVUsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFBLENBQUEsQ0FBQztRQUFBLFNBQVMsYUFBYSxDQUFDLElBQUksSUFBRSxJQUFHLElBQUksSUFBRSxjQUFjLElBQUUsVUFBVSxFQUFDO1lBQUMsT0FBTyxJQUFJLFVBQVUsQ0FBQyxVQUFVLENBQUMsQ0FBQTtTQUFDLENBQUEsSUFBRyxVQUFVLEVBQUM7WUFBQyxPQUFPLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQTtTQUFDLENBQUEsTUFBSyxpREFBaUQsQ0FBQSxDQUFBLENBQUM7UUFBQSxLQUFLLFVBQVUsYUFBYSxDQUFDLFVBQVUsSUFBRSxJQUFHLENBQUMsVUFBVSxFQUFDO1lBQUMsSUFBRztnQkFBQyxJQUFJLFFBQVEsR0FBQyxNQUFNLFNBQVMsQ0FBQyxVQUFVLENBQUMsQ0FBQztnQkFBQSxPQUFPLElBQUksVUFBVSxDQUFDLFFBQVEsQ0FBQyxDQUFBO2FBQUM7WUFBQSxNQUFLLEdBQUU7U0FBQyxDQUFBLE9BQU8sYUFBYSxDQUFDLFVBQVUsQ0FBQyxDQUFBLENBQUEsQ0FBQztRQUFBLEtBQUssVUFBVSxzQkFBc0IsQ0FBQyxVQUFVLEVBQUMsT0FBTyxJQUFFLElBQUc7WUFBQyxJQUFJLE1BQU0sR0FBQyxNQUFNLGFBQWEsQ0FBQyxVQUFVLENBQUMsQ0FBQztZQUFBLElBQUksUUFBUSxHQUFDLE1BQU0sV0FBVyxDQUFDLFdBQVcsQ0FBQyxNQUFNLEVBQUMsT0FBTyxDQUFDLENBQUM7WUFBQSxPQUFPLFFBQVEsQ0FBQTtTQUFDO1FBQUEsT0FBTSxNQUFNLEVBQUM7WUFBQyxHQUFHLENBQUMseUNBQXlDLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7WUFBQSxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUE7U0FBQyxDQUFBLENBQUM7UUFBQSxLQUFLLFVBQVUsZ0JBQWdCLENBQUMsTUFBTSxFQUFDLFVBQVUsRUFBQyxPQUFPLElBQUUsSUFBRyxDQUFDLE1BQU0sSUFBRSxXQUFXLENBQUMsb0JBQW9CLElBQUUsQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDLElBQUUsQ0FBQyxtQkFBbUIsRUFBQztZQUFDLElBQUc7Z0JBQUMsSUFBSSxRQUFRLEdBQUMsS0FBSyxDQUFDLFVBQVUsRUFBQyxFQUFDLFdBQVcsRUFBQyxhQUFhLEVBQUMsQ0FBQyxDQUFDO2dCQUFBLElBQUksbUJBQW1CLEdBQUMsTUFBTSxXQUFXLENBQUMsb0JBQW9CLENBQUMsUUFBUSxFQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUFBLE9BQU8sbUJBQW1CLENBQUE7YUFBQztZQUFBLE9BQU0sTUFBTSxFQUFDO2dCQUFDLEdBQUcsQ0FBQyxpQ0FBaUMsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztnQkFBQSxHQUFHLENBQUMsMkNBQTJDLENBQUMsQ0FBQTthQUFDO1NBQUMsQ0FBQSxPQUFPLHNCQUFzQixDQUFDLFVBQVUsRUFBQyxPQUFPLENBQUMsQ0FBQSxDQUFBLENBQUM7UUFBQSxTQUFTLGNBQWMsS0FBRyxJQUFJLE9BQU8sR0FBQyxFQUFDLENBQUMsRUFBQyxXQUFXLEVBQUMsQ0FBQyxDQUFBLE9BQU8sT0FBTyxDQUFBLENBQUEsQ0FBQztRQUFBLEtBQUssVUFBVSxVQUFVLEtBQUcsU0FBUyxlQUFlLENBQUMsUUFBUSxFQUFDLE1BQU0sSUFBRSxXQUFXLEdBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFBLGlCQUFpQixDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUEsaUJBQWlCLEVBQUUsQ0FBQyxDQUFBLE9BQU8sV0FBVyxDQUFBLENBQUEsQ0FBQyxDQUFBLFNBQVMsMEJBQTBCLENBQUMsTUFBTSxJQUFFLE9BQU8sZUFBZSxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFBLENBQUEsQ0FBQyxDQUFBLElBQUksSUFBSSxHQUFDLGNBQWMsRUFBRSxDQUFDLENBQUEsSUFBRyxNQUFNLENBQUMsaUJBQWlCLENBQUMsRUFBQztZQUFDLE9BQU8sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUMsTUFBTSxFQUFDLEVBQUUsR0FBQyxNQUFNLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxJQUFJLEVBQUMsQ0FBQyxJQUFJLEVBQUMsR0FBRyxFQUFDLEVBQUUsR0FBQyxPQUFPLENBQUMsZUFBZSxDQUFDLElBQUksRUFBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLENBQUEsQ0FBQyxDQUFDLENBQUEsQ0FBQSxDQUFDLENBQUMsQ0FBQTtTQUFDLENBQUEsY0FBYyxLQUFHLElBQUksSUFBRSxjQUFjLEtBQUcsS0FBSyxDQUFDLENBQUEsQ0FBQyxDQUFBLGNBQWMsQ0FBQSxDQUFDLENBQUEsY0FBYyxHQUFDLGNBQWMsRUFBRSxDQUFDLENBQUEsSUFBSSxNQUFNLEdBQUMsTUFBTSxnQkFBZ0IsQ0FBQyxVQUFVLEVBQUMsY0FBYyxFQUFDLElBQUksQ0FBQyxDQUFDLENBQUEsSUFBSSxPQUFPLEdBQUMsMEJBQTBCLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQSxPQUFPLE9BQU8sQ0FBQSxDQUFBLENBQUM7UUFBQSxNQUFNLFVBQVU7WUFBQyxZQUFZLE1BQU0sSUFBRSxlQUFlLENBQUMsSUFBSSxFQUFDLE1BQU0sRUFBQyxZQUFZLENBQUMsQ0FBQyxDQUFBLElBQUksQ0FBQyxPQUFPLEdBQUMsK0JBQStCLENBQUMsTUFBTSxDQUFDLE1BQU0sRUFBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLElBQUksQ0FBQyxNQUFNLEdBQUMsTUFBTSxDQUFBLENBQUEsQ0FBQztTQUFDO1FBQUEsSUFBSSxNQUFNLENBQUM7UUFBQSxJQUFJLE1BQU0sQ0FBQztRQUFBLElBQUksS0FBSyxDQUFDO1FBQUEsSUFBSSxPQUFPLENBQUM7UUFBQSxJQUFJLE9BQU8sQ0FBQztRQUFBLElBQUksT0FBTyxDQUFDO1FBQUEsSUFBSSxPQUFPLENBQUM7UUFBQSxJQUFJLE1BQU0sQ0FBQztRQUFBLElBQUksb0JBQW9CLEdBQUMsU0FBUyxDQUFBLEVBQUUsR0FBQyxPQUFNLFNBQVMsQ0FBQyxNQUFNLEdBQUMsQ0FBQyxFQUFDO1lBQUMsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDLE1BQU0sQ0FBQyxDQUFBO1NBQUMsQ0FBQSxDQUFDLENBQUM7UUFBQSxJQUFJLFVBQVUsR0FBQyxFQUFFLENBQUM7UUFBQSxJQUFJLFlBQVksR0FBQyxFQUFFLENBQUEsRUFBRSxDQUFBLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7UUFBQSxJQUFJLFNBQVMsR0FBQyxFQUFFLENBQUM7UUFBQSxJQUFJLFdBQVcsR0FBQyxFQUFFLENBQUEsRUFBRSxDQUFBLFNBQVMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7UUFBQSxTQUFTLFFBQVEsQ0FBQyxHQUFHLElBQUUsSUFBSSxJQUFJLEdBQUMsU0FBUyxDQUFDLE1BQU0sR0FBQyxDQUFDLElBQUUsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFHLFNBQVMsQ0FBQSxDQUFDLENBQUEsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFBLENBQUMsQ0FBQSxJQUFJLENBQUMsQ0FBQSxJQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDO1lBQUMsSUFBSSxHQUFDLEdBQUcsQ0FBQyxDQUFBLFFBQU8sSUFBSSxFQUFDO1lBQUMsS0FBSSxJQUFJLENBQUMsQ0FBQSxPQUFPLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUFBLEtBQUksSUFBSSxDQUFDLENBQUEsT0FBTyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7WUFBQSxLQUFJLEtBQUssQ0FBQyxDQUFBLE9BQU8sTUFBTSxDQUFDLEdBQUcsSUFBRSxDQUFDLENBQUMsQ0FBQztZQUFBLEtBQUksS0FBSyxDQUFDLENBQUEsT0FBTyxNQUFNLENBQUMsR0FBRyxJQUFFLENBQUMsQ0FBQyxDQUFDO1lBQUEsS0FBSSxLQUFLLENBQUMsQ0FBQSxLQUFLLENBQUMscUNBQXFDLENBQUMsQ0FBQztZQUFBLEtBQUksT0FBTyxDQUFDLENBQUEsT0FBTyxPQUFPLENBQUMsR0FBRyxJQUFFLENBQUMsQ0FBQyxDQUFDO1lBQUEsS0FBSSxRQUFRLENBQUMsQ0FBQSxPQUFPLE9BQU8sQ0FBQyxHQUFHLElBQUUsQ0FBQyxDQUFDLENBQUM7WUFBQSxLQUFJLEdBQUcsQ0FBQyxDQUFBLE9BQU8sT0FBTyxDQUFDLEdBQUcsSUFBRSxDQUFDLENBQUMsQ0FBQztZQUFBLE9BQU8sQ0FBQyxDQUFBLEtBQUssQ0FBQyw2QkFBNkIsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQTtTQUFDLENBQUEsQ0FBQztRQUFBLElBQUksYUFBYSxHQUFDLElBQUksQ0FBQztRQUFBLFNBQVMsUUFBUSxDQUFDLEdBQUcsRUFBQyxLQUFLLElBQUUsSUFBSSxJQUFJLEdBQUMsU0FBUyxDQUFDLE1BQU0sR0FBQyxDQUFDLElBQUUsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFHLFNBQVMsQ0FBQSxDQUFDLENBQUEsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFBLENBQUMsQ0FBQSxJQUFJLENBQUMsQ0FBQSxJQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDO1lBQUMsSUFBSSxHQUFDLEdBQUcsQ0FBQyxDQUFBLFFBQU8sSUFBSSxFQUFDO1lBQUMsS0FBSSxJQUFJO2dCQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsR0FBQyxLQUFLLENBQUM7Z0JBQUEsTUFBTTtZQUFBLEtBQUksSUFBSTtnQkFBQyxLQUFLLENBQUMsR0FBRyxDQUFDLEdBQUMsS0FBSyxDQUFDO2dCQUFBLE1BQU07WUFBQSxLQUFJLEtBQUs7Z0JBQUMsTUFBTSxDQUFDLEdBQUcsSUFBRSxDQUFDLENBQUMsR0FBQyxLQUFLLENBQUM7Z0JBQUEsTUFBTTtZQUFBLEtBQUksS0FBSztnQkFBQyxNQUFNLENBQUMsR0FBRyxJQUFFLENBQUMsQ0FBQyxHQUFDLEtBQUssQ0FBQztnQkFBQSxNQUFNO1lBQUEsS0FBSSxLQUFLLENBQUMsQ0FBQSxLQUFLLENBQUMscUNBQXFDLENBQUMsQ0FBQztZQUFBLEtBQUksT0FBTztnQkFBQyxPQUFPLENBQUMsR0FBRyxJQUFFLENBQUMsQ0FBQyxHQUFDLEtBQUssQ0FBQztnQkFBQSxNQUFNO1lBQUEsS0FBSSxRQUFRO2dCQUFDLE9BQU8sQ0FBQyxHQUFHLElBQUUsQ0FBQyxDQUFDLEdBQUMsS0FBSyxDQUFDO2dCQUFBLE1BQU07WUFBQSxLQUFJLEdBQUc7Z0JBQUMsT0FBTyxDQUFDLEdBQUcsSUFBRSxDQUFDLENBQUMsR0FBQyxLQUFLLENBQUM7Z0JBQUEsTUFBTTtZQUFBLE9BQU8sQ0FBQyxDQUFBLEtBQUssQ0FBQyw2QkFBNkIsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQTtTQUFDLENBQUEsQ0FBQztRQUFBLElBQUksVUFBVSxHQUFDLEdBQUUsRUFBRSxDQUFBLFVBQVUsQ0FBQztRQUFBLElBQUksV0FBVyxHQUFDLENBQUMsSUFBSSxFQUFDLFNBQVMsRUFBQyxFQUFFLENBQUEsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUMsU0FBUyxDQUFDLEdBQUMsU0FBUyxDQUFDO1FBQUEsSUFBSSxVQUFVLEdBQUMsSUFBSSxDQUFBLEVBQUUsR0FBQyxJQUFJLFdBQVcsR0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFBLElBQUksS0FBSyxHQUFDLENBQUMsSUFBSSxHQUFDLFdBQVcsR0FBQyxLQUFLLENBQUMsR0FBQyxLQUFLLEdBQUMsQ0FBQyxDQUFDLENBQUEsSUFBRztZQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7WUFBQSxpQkFBaUIsRUFBRSxDQUFDO1lBQUEsT0FBTyxDQUFDLENBQUE7U0FBQztRQUFBLE9BQU0sQ0FBQyxFQUFDLEdBQUUsQ0FBQSxDQUFDLENBQUM7UUFBQSxJQUFJLHVCQUF1QixHQUFDLGFBQWEsQ0FBQSxFQUFFLEdBQUMsSUFBSSxPQUFPLEdBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFBLGFBQWEsTUFBSSxDQUFDLENBQUMsQ0FBQSxJQUFJLFdBQVcsR0FBQyxVQUFVLEVBQUUsQ0FBQyxDQUFBLElBQUcsYUFBYSxHQUFDLFdBQVcsRUFBQztZQUFDLE9BQU8sS0FBSyxDQUFBO1NBQUMsQ0FBQSxLQUFJLElBQUksT0FBTyxHQUFDLENBQUMsRUFBQyxPQUFPLElBQUUsQ0FBQyxFQUFDLE9BQU8sSUFBRSxDQUFDLEVBQUM7WUFBQyxJQUFJLGlCQUFpQixHQUFDLE9BQU8sR0FBQyxDQUFDLENBQUMsR0FBQyxFQUFFLEdBQUMsT0FBTyxDQUFDLENBQUM7WUFBQSxpQkFBaUIsR0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLGlCQUFpQixFQUFDLGFBQWEsR0FBQyxTQUFTLENBQUMsQ0FBQztZQUFBLElBQUksT0FBTyxHQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsV0FBVyxFQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLGFBQWEsRUFBQyxpQkFBaUIsQ0FBQyxFQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7WUFBQSxJQUFJLFdBQVcsR0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUM7WUFBQSxJQUFHLFdBQVcsRUFBQztnQkFBQyxPQUFPLElBQUksQ0FBQTthQUFDO1NBQUMsQ0FBQSxPQUFPLEtBQUssQ0FBQSxDQUFBLENBQUMsQ0FBQztRQUFBLElBQUksYUFBYSxHQUFDLEdBQUcsQ0FBQSxFQUFFLEdBQUMsSUFBSSxHQUFHLEdBQUMsRUFBRSxDQUFDLENBQUEsT0FBTSxDQUFDLEVBQUM7WUFBQyxJQUFJLEVBQUUsR0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQztZQUFBLElBQUcsQ0FBQyxFQUFFO2dCQUFDLE9BQU8sR0FBRyxDQUFDO1lBQUEsR0FBRyxJQUFFLE1BQU0sQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLENBQUE7U0FBQyxDQUFBLENBQUMsQ0FBQztRQUFBO1lBQUMsSUFBRyxNQUFNLENBQUMsZUFBZSxDQUFDO2dCQUFDLGFBQWEsR0FBQyxNQUFNLENBQUMsZUFBZSxDQUFDLENBQUM7WUFBQSxJQUFHLE1BQU0sQ0FBQyxPQUFPLENBQUM7Z0JBQUMsR0FBRyxHQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUFBLElBQUcsTUFBTSxDQUFDLFVBQVUsQ0FBQztnQkFBQyxHQUFHLEdBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1lBQUEsSUFBRyxNQUFNLENBQUMsWUFBWSxDQUFDO2dCQUFDLFVBQVUsR0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUM7WUFBQSxJQUFHLE1BQU0sQ0FBQyxXQUFXLENBQUM7Z0JBQUMsVUFBVSxHQUFDLE1BQU0sQ0FBQyxXQUFXLENBQUMsQ0FBQztZQUFBLElBQUcsTUFBTSxDQUFDLGFBQWEsQ0FBQztnQkFBQyxXQUFXLEdBQUMsTUFBTSxDQUFDLGFBQWEsQ0FBQyxDQUFDO1lBQUEsSUFBRyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUM7Z0JBQUMsSUFBRyxPQUFPLE1BQU0sQ0FBQyxTQUFTLENBQUMsSUFBRSxVQUFVO29CQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsR0FBQyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO2dCQUFBLE9BQU0sTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLE1BQU0sR0FBQyxDQUFDLEVBQUM7b0JBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUE7aUJBQUM7YUFBQztTQUFDO1FBQUEsTUFBTSxDQUFDLFVBQVUsQ0FBQyxHQUFDLFFBQVEsQ0FBQztRQUFBLE1BQU0sQ0FBQyxVQUFVLENBQUMsR0FBQyxRQUFRLENBQUM7UUFBQSxNQUFNLENBQUMsZUFBZSxDQUFDLEdBQUMsYUFBYSxDQUFDO1FBQUEsSUFBSSxxQkFBcUIsRUFBQywwQkFBMEIsRUFBQyw4QkFBOEIsRUFBQyxLQUFLLEVBQUMsNEJBQTRCLEVBQUMsd0JBQXdCLEVBQUMsOEJBQThCLEVBQUMsMENBQTBDLEVBQUMsd0NBQXdDLEVBQUMseUJBQXlCLEVBQUMseUJBQXlCLEVBQUMsMEJBQTBCLEVBQUMsa0NBQWtDLEVBQUMsbUNBQW1DLEVBQUMsMkJBQTJCLEVBQUMsMEJBQTBCLEVBQUMseUJBQXlCLEVBQUMsT0FBTyxFQUFDLE1BQU0sRUFBQyx5QkFBeUIsRUFBQyxVQUFVLENBQUM7UUFBQSxTQUFTLGlCQUFpQixDQUFDLFdBQVcsSUFBRSxxQkFBcUIsR0FBQyxNQUFNLENBQUMsdUJBQXVCLENBQUMsR0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQSwwQkFBMEIsR0FBQyxNQUFNLENBQUMsNEJBQTRCLENBQUMsR0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQSw4QkFBOEIsR0FBQyxNQUFNLENBQUMsZ0NBQWdDLENBQUMsR0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQSxLQUFLLEdBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLDRCQUE0QixHQUFDLE1BQU0sQ0FBQyw4QkFBOEIsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLHdCQUF3QixHQUFDLE1BQU0sQ0FBQywwQkFBMEIsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLDhCQUE4QixHQUFDLE1BQU0sQ0FBQyxnQ0FBZ0MsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLDBDQUEwQyxHQUFDLE1BQU0sQ0FBQyw0Q0FBNEMsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLHdDQUF3QyxHQUFDLE1BQU0sQ0FBQywwQ0FBMEMsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLHlCQUF5QixHQUFDLE1BQU0sQ0FBQywyQkFBMkIsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLHlCQUF5QixHQUFDLE1BQU0sQ0FBQywyQkFBMkIsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLDBCQUEwQixHQUFDLE1BQU0sQ0FBQyw0QkFBNEIsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLGtDQUFrQyxHQUFDLE1BQU0sQ0FBQyxvQ0FBb0MsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLG1DQUFtQyxHQUFDLE1BQU0sQ0FBQyxxQ0FBcUMsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLDJCQUEyQixHQUFDLE1BQU0sQ0FBQyw2QkFBNkIsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLDBCQUEwQixHQUFDLE1BQU0sQ0FBQyw0QkFBNEIsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLHlCQUF5QixHQUFDLE1BQU0sQ0FBQywyQkFBMkIsQ0FBQyxHQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBLE9BQU8sR0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEdBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUEsTUFBTSxHQUFDLFVBQVUsR0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQSx5QkFBeUIsR0FBQyxXQUFXLENBQUMsMkJBQTJCLENBQUMsQ0FBQSxDQUFBLENBQUM7UUFBQSxJQUFJLFdBQVcsR0FBQyxFQUFDLENBQUMsRUFBQyx1QkFBdUIsRUFBQyxDQUFDO1FBQUEsU0FBUyxHQUFHLEtBQUcsTUFBTSxFQUFFLENBQUMsQ0FBQSxTQUFTLEtBQUssS0FBRyxJQUFJLG9CQUFvQixFQUFDLHFCQUFxQixDQUFDLENBQUEsTUFBTSxDQUFDLFdBQVcsQ0FBQyxHQUFDLElBQUksQ0FBQyxDQUFBLElBQUcsS0FBSztZQUFDLE9BQU8sQ0FBQSxXQUFXLEVBQUUsQ0FBQyxDQUFBLENBQUMsb0JBQW9CLEdBQUMsbUJBQW1CLENBQUMsS0FBRyxJQUFJLElBQUUsb0JBQW9CLEtBQUcsS0FBSyxDQUFDLElBQUUsb0JBQW9CLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQSxDQUFDLHFCQUFxQixHQUFDLE1BQU0sQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDLEtBQUcsSUFBSSxJQUFFLHFCQUFxQixLQUFHLEtBQUssQ0FBQyxJQUFFLHFCQUFxQixDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFBLE9BQU8sRUFBRSxDQUFBLENBQUEsQ0FBQyxDQUFBLElBQUcsTUFBTSxDQUFDLFdBQVcsQ0FBQyxFQUFDO1lBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDO1lBQUEsVUFBVSxDQUFDLEdBQUUsRUFBRSxHQUFDLFVBQVUsQ0FBQyxHQUFFLEVBQUUsQ0FBQSxNQUFNLENBQUMsV0FBVyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQSxLQUFLLEVBQUUsQ0FBQSxDQUFBLENBQUMsRUFBQyxDQUFDLENBQUMsQ0FBQTtTQUFDO2FBQUk7WUFBQyxLQUFLLEVBQUUsQ0FBQTtTQUFDLENBQUEsQ0FBQztRQUFBLElBQUksV0FBVyxDQUFDO1FBQUEsV0FBVyxHQUFDLE1BQU0sQ0FBQyxVQUFVLEVBQUUsQ0FBQyxDQUFDO1FBQUEsR0FBRyxFQUFFLENBQUM7UUFBQSxJQUFHLGtCQUFrQixFQUFDO1lBQUMsU0FBUyxHQUFDLE1BQU0sQ0FBQTtTQUFDO2FBQUk7WUFBQyxTQUFTLEdBQUMsSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUMsTUFBTSxFQUFDLEVBQUUsR0FBQyxtQkFBbUIsR0FBQyxPQUFPLENBQUMsQ0FBQSxrQkFBa0IsR0FBQyxNQUFNLENBQUEsQ0FBQSxDQUFDLENBQUMsQ0FBQTtTQUFDO1FBQy9oWSxDQUFDO1FBQUEsT0FBTyxTQUFTLENBQUE7SUFBQSxDQUFDLENBQUE7QUFBQSxDQUFDLENBQUMsRUFBRSxDQUFDO0FBQUEsSUFBRyxPQUFPLE9BQU8sS0FBRyxRQUFRLElBQUUsT0FBTyxNQUFNLEtBQUcsUUFBUSxFQUFDO0lBQUMsTUFBTSxDQUFDLE9BQU8sR0FBQyxLQUFLLENBQUM7SUFBQSxNQUFNLENBQUMsT0FBTyxDQUFDLE9BQU8sR0FBQyxLQUFLLENBQUE7Q0FBQztLQUFLLElBQUcsT0FBTyxNQUFNLEtBQUcsVUFBVSxJQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUM7SUFBQyxNQUFNLENBQUMsRUFBRSxFQUFDLEdBQUUsRUFBRSxDQUFBLEtBQUssQ0FBQyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsidmFyIFNwZWV4PSgoKT0+e3ZhciBfc2NyaXB0TmFtZT10eXBlb2YgZG9jdW1lbnQhPT1cInVuZGVmaW5lZFwiJiZkb2N1bWVudC5jdXJyZW50U2NyaXB0P2RvY3VtZW50LmN1cnJlbnRTY3JpcHQuc3JjOnVuZGVmaW5lZDtyZXR1cm4gYXN5bmMgZnVuY3Rpb24obW9kdWxlQXJnPXt9KXt2YXIgbW9kdWxlUnRuO3ZhciBfZ2xvYmFsVGhpcyRwcm9jZXNzLF9nbG9iYWxUaGlzJHByb2Nlc3MyO2Z1bmN0aW9uIF9kZWZpbmVQcm9wZXJ0eShlLHIsdCl7cmV0dXJuKHI9X3RvUHJvcGVydHlLZXkocikpaW4gZT9PYmplY3QuZGVmaW5lUHJvcGVydHkoZSxyLHt2YWx1ZTp0LGVudW1lcmFibGU6ITAsY29uZmlndXJhYmxlOiEwLHdyaXRhYmxlOiEwfSk6ZVtyXT10LGV9ZnVuY3Rpb24gX3RvUHJvcGVydHlLZXkodCl7dmFyIGk9X3RvUHJpbWl0aXZlKHQsXCJzdHJpbmdcIik7cmV0dXJuXCJzeW1ib2xcIj09dHlwZW9mIGk/aTppK1wiXCJ9ZnVuY3Rpb24gX3RvUHJpbWl0aXZlKHQscil7aWYoXCJvYmplY3RcIiE9dHlwZW9mIHR8fCF0KXJldHVybiB0O3ZhciBlPXRbU3ltYm9sLnRvUHJpbWl0aXZlXTtpZih2b2lkIDAhPT1lKXt2YXIgaT1lLmNhbGwodCxyfHxcImRlZmF1bHRcIik7aWYoXCJvYmplY3RcIiE9dHlwZW9mIGkpcmV0dXJuIGk7dGhyb3cgbmV3IFR5cGVFcnJvcihcIkBAdG9QcmltaXRpdmUgbXVzdCByZXR1cm4gYSBwcmltaXRpdmUgdmFsdWUuXCIpfXJldHVybihcInN0cmluZ1wiPT09cj9TdHJpbmc6TnVtYmVyKSh0KX12YXIgTW9kdWxlPW1vZHVsZUFyZzt2YXIgRU5WSVJPTk1FTlRfSVNfV0VCPSEhZ2xvYmFsVGhpcy53aW5kb3c7dmFyIEVOVklST05NRU5UX0lTX1dPUktFUj0hIWdsb2JhbFRoaXMuV29ya2VyR2xvYmFsU2NvcGU7dmFyIEVOVklST05NRU5UX0lTX05PREU9KChfZ2xvYmFsVGhpcyRwcm9jZXNzPWdsb2JhbFRoaXMucHJvY2Vzcyk9PT1udWxsfHxfZ2xvYmFsVGhpcyRwcm9jZXNzPT09dm9pZCAwfHwoX2dsb2JhbFRoaXMkcHJvY2Vzcz1fZ2xvYmFsVGhpcyRwcm9jZXNzLnZlcnNpb25zKT09PW51bGx8fF9nbG9iYWxUaGlzJHByb2Nlc3M9PT12b2lkIDA/dm9pZCAwOl9nbG9iYWxUaGlzJHByb2Nlc3Mubm9kZSkmJigoX2dsb2JhbFRoaXMkcHJvY2VzczI9Z2xvYmFsVGhpcy5wcm9jZXNzKT09PW51bGx8fF9nbG9iYWxUaGlzJHByb2Nlc3MyPT09dm9pZCAwP3ZvaWQgMDpfZ2xvYmFsVGhpcyRwcm9jZXNzMi50eXBlKSE9XCJyZW5kZXJlclwiO3ZhciBhcmd1bWVudHNfPVtdO3ZhciB0aGlzUHJvZ3JhbT1cIi4vdGhpcy5wcm9ncmFtXCI7dmFyIHF1aXRfPShzdGF0dXMsdG9UaHJvdyk9Pnt0aHJvdyB0b1Rocm93fTtpZih0eXBlb2YgX19maWxlbmFtZSE9XCJ1bmRlZmluZWRcIil7X3NjcmlwdE5hbWU9X19maWxlbmFtZX1lbHNlIGlmKEVOVklST05NRU5UX0lTX1dPUktFUil7X3NjcmlwdE5hbWU9c2VsZi5sb2NhdGlvbi5ocmVmfXZhciBzY3JpcHREaXJlY3Rvcnk9XCJcIjtmdW5jdGlvbiBsb2NhdGVGaWxlKHBhdGgpe2lmKE1vZHVsZVtcImxvY2F0ZUZpbGVcIl0pe3JldHVybiBNb2R1bGVbXCJsb2NhdGVGaWxlXCJdKHBhdGgsc2NyaXB0RGlyZWN0b3J5KX1yZXR1cm4gc2NyaXB0RGlyZWN0b3J5K3BhdGh9dmFyIHJlYWRBc3luYyxyZWFkQmluYXJ5O2lmKEVOVklST05NRU5UX0lTX05PREUpe3ZhciBmcz1yZXF1aXJlKFwibm9kZTpmc1wiKTtzY3JpcHREaXJlY3Rvcnk9X19kaXJuYW1lK1wiL1wiO3JlYWRCaW5hcnk9ZmlsZW5hbWU9PntmaWxlbmFtZT1pc0ZpbGVVUkkoZmlsZW5hbWUpP25ldyBVUkwoZmlsZW5hbWUpOmZpbGVuYW1lO3ZhciByZXQ9ZnMucmVhZEZpbGVTeW5jKGZpbGVuYW1lKTtyZXR1cm4gcmV0fTtyZWFkQXN5bmM9YXN5bmMgZnVuY3Rpb24oZmlsZW5hbWUpe2xldCBiaW5hcnk9YXJndW1lbnRzLmxlbmd0aD4xJiZhcmd1bWVudHNbMV0hPT11bmRlZmluZWQ/YXJndW1lbnRzWzFdOnRydWU7ZmlsZW5hbWU9aXNGaWxlVVJJKGZpbGVuYW1lKT9uZXcgVVJMKGZpbGVuYW1lKTpmaWxlbmFtZTt2YXIgcmV0PWZzLnJlYWRGaWxlU3luYyhmaWxlbmFtZSxiaW5hcnk/dW5kZWZpbmVkOlwidXRmOFwiKTtyZXR1cm4gcmV0fTtpZihwcm9jZXNzLmFyZ3YubGVuZ3RoPjEpe3RoaXNQcm9ncmFtPXByb2Nlc3MuYXJndlsxXS5yZXBsYWNlKC9cXFxcL2csXCIvXCIpfWFyZ3VtZW50c189cHJvY2Vzcy5hcmd2LnNsaWNlKDIpO3F1aXRfPShzdGF0dXMsdG9UaHJvdyk9Pntwcm9jZXNzLmV4aXRDb2RlPXN0YXR1czt0aHJvdyB0b1Rocm93fX1lbHNlIGlmKEVOVklST05NRU5UX0lTX1dFQnx8RU5WSVJPTk1FTlRfSVNfV09SS0VSKXt0cnl7c2NyaXB0RGlyZWN0b3J5PW5ldyBVUkwoXCIuXCIsX3NjcmlwdE5hbWUpLmhyZWZ9Y2F0Y2h7fXtpZihFTlZJUk9OTUVOVF9JU19XT1JLRVIpe3JlYWRCaW5hcnk9dXJsPT57dmFyIHhocj1uZXcgWE1MSHR0cFJlcXVlc3Q7eGhyLm9wZW4oXCJHRVRcIix1cmwsZmFsc2UpO3hoci5yZXNwb25zZVR5cGU9XCJhcnJheWJ1ZmZlclwiO3hoci5zZW5kKG51bGwpO3JldHVybiBuZXcgVWludDhBcnJheSh4aHIucmVzcG9uc2UpfX1yZWFkQXN5bmM9YXN5bmMgdXJsPT57aWYoaXNGaWxlVVJJKHVybCkpe3JldHVybiBuZXcgUHJvbWlzZSgocmVzb2x2ZSxyZWplY3QpPT57dmFyIHhocj1uZXcgWE1MSHR0cFJlcXVlc3Q7eGhyLm9wZW4oXCJHRVRcIix1cmwsdHJ1ZSk7eGhyLnJlc3BvbnNlVHlwZT1cImFycmF5YnVmZmVyXCI7eGhyLm9ubG9hZD0oKT0+e2lmKHhoci5zdGF0dXM9PTIwMHx8eGhyLnN0YXR1cz09MCYmeGhyLnJlc3BvbnNlKXtyZXNvbHZlKHhoci5yZXNwb25zZSk7cmV0dXJufXJlamVjdCh4aHIuc3RhdHVzKX07eGhyLm9uZXJyb3I9cmVqZWN0O3hoci5zZW5kKG51bGwpfSl9dmFyIHJlc3BvbnNlPWF3YWl0IGZldGNoKHVybCx7Y3JlZGVudGlhbHM6XCJzYW1lLW9yaWdpblwifSk7aWYocmVzcG9uc2Uub2spe3JldHVybiByZXNwb25zZS5hcnJheUJ1ZmZlcigpfXRocm93IG5ldyBFcnJvcihyZXNwb25zZS5zdGF0dXMrXCIgOiBcIityZXNwb25zZS51cmwpfX19ZWxzZXt9dmFyIG91dD1jb25zb2xlLmxvZy5iaW5kKGNvbnNvbGUpO3ZhciBlcnI9Y29uc29sZS5lcnJvci5iaW5kKGNvbnNvbGUpO3ZhciB3YXNtQmluYXJ5O3ZhciBBQk9SVD1mYWxzZTt2YXIgaXNGaWxlVVJJPWZpbGVuYW1lPT5maWxlbmFtZS5zdGFydHNXaXRoKFwiZmlsZTovL1wiKTtjbGFzcyBFbXNjcmlwdGVuRUh7fWNsYXNzIEVtc2NyaXB0ZW5TakxqIGV4dGVuZHMgRW1zY3JpcHRlbkVIe312YXIgcmVhZHlQcm9taXNlUmVzb2x2ZSxyZWFkeVByb21pc2VSZWplY3Q7dmFyIHJ1bnRpbWVJbml0aWFsaXplZD1mYWxzZTtmdW5jdGlvbiB1cGRhdGVNZW1vcnlWaWV3cygpe3ZhciBiPXdhc21NZW1vcnkuYnVmZmVyO0hFQVA4PW5ldyBJbnQ4QXJyYXkoYik7SEVBUDE2PW5ldyBJbnQxNkFycmF5KGIpO01vZHVsZVtcIkhFQVBVOFwiXT1IRUFQVTg9bmV3IFVpbnQ4QXJyYXkoYik7SEVBUFUxNj1uZXcgVWludDE2QXJyYXkoYik7TW9kdWxlW1wiSEVBUDMyXCJdPUhFQVAzMj1uZXcgSW50MzJBcnJheShiKTtNb2R1bGVbXCJIRUFQVTMyXCJdPUhFQVBVMzI9bmV3IFVpbnQzMkFycmF5KGIpO01vZHVsZVtcIkhFQVBGMzJcIl09SEVBUEYzMj1uZXcgRmxvYXQzMkFycmF5KGIpO0hFQVBGNjQ9bmV3IEZsb2F0NjRBcnJheShiKX1mdW5jdGlvbiBwcmVSdW4oKXtpZihNb2R1bGVbXCJwcmVSdW5cIl0pe2lmKHR5cGVvZiBNb2R1bGVbXCJwcmVSdW5cIl09PVwiZnVuY3Rpb25cIilNb2R1bGVbXCJwcmVSdW5cIl09W01vZHVsZVtcInByZVJ1blwiXV07d2hpbGUoTW9kdWxlW1wicHJlUnVuXCJdLmxlbmd0aCl7YWRkT25QcmVSdW4oTW9kdWxlW1wicHJlUnVuXCJdLnNoaWZ0KCkpfX1jYWxsUnVudGltZUNhbGxiYWNrcyhvblByZVJ1bnMpfWZ1bmN0aW9uIGluaXRSdW50aW1lKCl7cnVudGltZUluaXRpYWxpemVkPXRydWU7d2FzbUV4cG9ydHNbXCJjXCJdKCl9ZnVuY3Rpb24gcG9zdFJ1bigpe2lmKE1vZHVsZVtcInBvc3RSdW5cIl0pe2lmKHR5cGVvZiBNb2R1bGVbXCJwb3N0UnVuXCJdPT1cImZ1bmN0aW9uXCIpTW9kdWxlW1wicG9zdFJ1blwiXT1bTW9kdWxlW1wicG9zdFJ1blwiXV07d2hpbGUoTW9kdWxlW1wicG9zdFJ1blwiXS5sZW5ndGgpe2FkZE9uUG9zdFJ1bihNb2R1bGVbXCJwb3N0UnVuXCJdLnNoaWZ0KCkpfX1jYWxsUnVudGltZUNhbGxiYWNrcyhvblBvc3RSdW5zKX1mdW5jdGlvbiBhYm9ydCh3aGF0KXt2YXIgX01vZHVsZSRvbkFib3J0LF9yZWFkeVByb21pc2VSZWplY3Q7KF9Nb2R1bGUkb25BYm9ydD1Nb2R1bGVbXCJvbkFib3J0XCJdKT09PW51bGx8fF9Nb2R1bGUkb25BYm9ydD09PXZvaWQgMHx8X01vZHVsZSRvbkFib3J0LmNhbGwoTW9kdWxlLHdoYXQpO3doYXQ9XCJBYm9ydGVkKFwiLmNvbmNhdCh3aGF0LFwiKVwiKTtlcnIod2hhdCk7QUJPUlQ9dHJ1ZTt3aGF0Kz1cIi4gQnVpbGQgd2l0aCAtc0FTU0VSVElPTlMgZm9yIG1vcmUgaW5mby5cIjt2YXIgZT1uZXcgV2ViQXNzZW1ibHkuUnVudGltZUVycm9yKHdoYXQpOyhfcmVhZHlQcm9taXNlUmVqZWN0PXJlYWR5UHJvbWlzZVJlamVjdCk9PT1udWxsfHxfcmVhZHlQcm9taXNlUmVqZWN0PT09dm9pZCAwfHxfcmVhZHlQcm9taXNlUmVqZWN0KGUpO3Rocm93IGV9dmFyIHdhc21CaW5hcnlGaWxlO2Z1bmN0aW9uIGZpbmRXYXNtQmluYXJ5KCl7cmV0dXJuIGxvY2F0ZUZpbGUoXCJzcGVleF93YXNtLndhc21cIil9ZnVuY3Rpb24gZ2V0QmluYXJ5U3luYyhmaWxlKXtpZihmaWxlPT13YXNtQmluYXJ5RmlsZSYmd2FzbUJpbmFyeSl7cmV0dXJuIG5ldyBVaW50OEFycmF5KHdhc21CaW5hcnkpfWlmKHJlYWRCaW5hcnkpe3JldHVybiByZWFkQmluYXJ5KGZpbGUpfXRocm93XCJib3RoIGFzeW5jIGFuZCBzeW5jIGZldGNoaW5nIG9mIHRoZSB3YXNtIGZhaWxlZFwifWFzeW5jIGZ1bmN0aW9uIGdldFdhc21CaW5hcnkoYmluYXJ5RmlsZSl7aWYoIXdhc21CaW5hcnkpe3RyeXt2YXIgcmVzcG9uc2U9YXdhaXQgcmVhZEFzeW5jKGJpbmFyeUZpbGUpO3JldHVybiBuZXcgVWludDhBcnJheShyZXNwb25zZSl9Y2F0Y2h7fX1yZXR1cm4gZ2V0QmluYXJ5U3luYyhiaW5hcnlGaWxlKX1hc3luYyBmdW5jdGlvbiBpbnN0YW50aWF0ZUFycmF5QnVmZmVyKGJpbmFyeUZpbGUsaW1wb3J0cyl7dHJ5e3ZhciBiaW5hcnk9YXdhaXQgZ2V0V2FzbUJpbmFyeShiaW5hcnlGaWxlKTt2YXIgaW5zdGFuY2U9YXdhaXQgV2ViQXNzZW1ibHkuaW5zdGFudGlhdGUoYmluYXJ5LGltcG9ydHMpO3JldHVybiBpbnN0YW5jZX1jYXRjaChyZWFzb24pe2VycihcImZhaWxlZCB0byBhc3luY2hyb25vdXNseSBwcmVwYXJlIHdhc206IFwiLmNvbmNhdChyZWFzb24pKTthYm9ydChyZWFzb24pfX1hc3luYyBmdW5jdGlvbiBpbnN0YW50aWF0ZUFzeW5jKGJpbmFyeSxiaW5hcnlGaWxlLGltcG9ydHMpe2lmKCFiaW5hcnkmJldlYkFzc2VtYmx5Lmluc3RhbnRpYXRlU3RyZWFtaW5nJiYhaXNGaWxlVVJJKGJpbmFyeUZpbGUpJiYhRU5WSVJPTk1FTlRfSVNfTk9ERSl7dHJ5e3ZhciByZXNwb25zZT1mZXRjaChiaW5hcnlGaWxlLHtjcmVkZW50aWFsczpcInNhbWUtb3JpZ2luXCJ9KTt2YXIgaW5zdGFudGlhdGlvblJlc3VsdD1hd2FpdCBXZWJBc3NlbWJseS5pbnN0YW50aWF0ZVN0cmVhbWluZyhyZXNwb25zZSxpbXBvcnRzKTtyZXR1cm4gaW5zdGFudGlhdGlvblJlc3VsdH1jYXRjaChyZWFzb24pe2VycihcIndhc20gc3RyZWFtaW5nIGNvbXBpbGUgZmFpbGVkOiBcIi5jb25jYXQocmVhc29uKSk7ZXJyKFwiZmFsbGluZyBiYWNrIHRvIEFycmF5QnVmZmVyIGluc3RhbnRpYXRpb25cIil9fXJldHVybiBpbnN0YW50aWF0ZUFycmF5QnVmZmVyKGJpbmFyeUZpbGUsaW1wb3J0cyl9ZnVuY3Rpb24gZ2V0V2FzbUltcG9ydHMoKXt2YXIgaW1wb3J0cz17YTp3YXNtSW1wb3J0c307cmV0dXJuIGltcG9ydHN9YXN5bmMgZnVuY3Rpb24gY3JlYXRlV2FzbSgpe2Z1bmN0aW9uIHJlY2VpdmVJbnN0YW5jZShpbnN0YW5jZSxtb2R1bGUpe3dhc21FeHBvcnRzPWluc3RhbmNlLmV4cG9ydHM7YXNzaWduV2FzbUV4cG9ydHMod2FzbUV4cG9ydHMpO3VwZGF0ZU1lbW9yeVZpZXdzKCk7cmV0dXJuIHdhc21FeHBvcnRzfWZ1bmN0aW9uIHJlY2VpdmVJbnN0YW50aWF0aW9uUmVzdWx0KHJlc3VsdCl7cmV0dXJuIHJlY2VpdmVJbnN0YW5jZShyZXN1bHRbXCJpbnN0YW5jZVwiXSl9dmFyIGluZm89Z2V0V2FzbUltcG9ydHMoKTtpZihNb2R1bGVbXCJpbnN0YW50aWF0ZVdhc21cIl0pe3JldHVybiBuZXcgUHJvbWlzZSgocmVzb2x2ZSxyZWplY3QpPT57TW9kdWxlW1wiaW5zdGFudGlhdGVXYXNtXCJdKGluZm8sKGluc3QsbW9kKT0+e3Jlc29sdmUocmVjZWl2ZUluc3RhbmNlKGluc3QsbW9kKSl9KX0pfXdhc21CaW5hcnlGaWxlIT09bnVsbCYmd2FzbUJpbmFyeUZpbGUhPT12b2lkIDA/d2FzbUJpbmFyeUZpbGU6d2FzbUJpbmFyeUZpbGU9ZmluZFdhc21CaW5hcnkoKTt2YXIgcmVzdWx0PWF3YWl0IGluc3RhbnRpYXRlQXN5bmMod2FzbUJpbmFyeSx3YXNtQmluYXJ5RmlsZSxpbmZvKTt2YXIgZXhwb3J0cz1yZWNlaXZlSW5zdGFudGlhdGlvblJlc3VsdChyZXN1bHQpO3JldHVybiBleHBvcnRzfWNsYXNzIEV4aXRTdGF0dXN7Y29uc3RydWN0b3Ioc3RhdHVzKXtfZGVmaW5lUHJvcGVydHkodGhpcyxcIm5hbWVcIixcIkV4aXRTdGF0dXNcIik7dGhpcy5tZXNzYWdlPVwiUHJvZ3JhbSB0ZXJtaW5hdGVkIHdpdGggZXhpdChcIi5jb25jYXQoc3RhdHVzLFwiKVwiKTt0aGlzLnN0YXR1cz1zdGF0dXN9fXZhciBIRUFQMTY7dmFyIEhFQVAzMjt2YXIgSEVBUDg7dmFyIEhFQVBGMzI7dmFyIEhFQVBGNjQ7dmFyIEhFQVBVMTY7dmFyIEhFQVBVMzI7dmFyIEhFQVBVODt2YXIgY2FsbFJ1bnRpbWVDYWxsYmFja3M9Y2FsbGJhY2tzPT57d2hpbGUoY2FsbGJhY2tzLmxlbmd0aD4wKXtjYWxsYmFja3Muc2hpZnQoKShNb2R1bGUpfX07dmFyIG9uUG9zdFJ1bnM9W107dmFyIGFkZE9uUG9zdFJ1bj1jYj0+b25Qb3N0UnVucy5wdXNoKGNiKTt2YXIgb25QcmVSdW5zPVtdO3ZhciBhZGRPblByZVJ1bj1jYj0+b25QcmVSdW5zLnB1c2goY2IpO2Z1bmN0aW9uIGdldFZhbHVlKHB0cil7bGV0IHR5cGU9YXJndW1lbnRzLmxlbmd0aD4xJiZhcmd1bWVudHNbMV0hPT11bmRlZmluZWQ/YXJndW1lbnRzWzFdOlwiaThcIjtpZih0eXBlLmVuZHNXaXRoKFwiKlwiKSl0eXBlPVwiKlwiO3N3aXRjaCh0eXBlKXtjYXNlXCJpMVwiOnJldHVybiBIRUFQOFtwdHJdO2Nhc2VcImk4XCI6cmV0dXJuIEhFQVA4W3B0cl07Y2FzZVwiaTE2XCI6cmV0dXJuIEhFQVAxNltwdHI+PjFdO2Nhc2VcImkzMlwiOnJldHVybiBIRUFQMzJbcHRyPj4yXTtjYXNlXCJpNjRcIjphYm9ydChcInRvIGRvIGdldFZhbHVlKGk2NCkgdXNlIFdBU01fQklHSU5UXCIpO2Nhc2VcImZsb2F0XCI6cmV0dXJuIEhFQVBGMzJbcHRyPj4yXTtjYXNlXCJkb3VibGVcIjpyZXR1cm4gSEVBUEY2NFtwdHI+PjNdO2Nhc2VcIipcIjpyZXR1cm4gSEVBUFUzMltwdHI+PjJdO2RlZmF1bHQ6YWJvcnQoXCJpbnZhbGlkIHR5cGUgZm9yIGdldFZhbHVlOiBcIi5jb25jYXQodHlwZSkpfX12YXIgbm9FeGl0UnVudGltZT10cnVlO2Z1bmN0aW9uIHNldFZhbHVlKHB0cix2YWx1ZSl7bGV0IHR5cGU9YXJndW1lbnRzLmxlbmd0aD4yJiZhcmd1bWVudHNbMl0hPT11bmRlZmluZWQ/YXJndW1lbnRzWzJdOlwiaThcIjtpZih0eXBlLmVuZHNXaXRoKFwiKlwiKSl0eXBlPVwiKlwiO3N3aXRjaCh0eXBlKXtjYXNlXCJpMVwiOkhFQVA4W3B0cl09dmFsdWU7YnJlYWs7Y2FzZVwiaThcIjpIRUFQOFtwdHJdPXZhbHVlO2JyZWFrO2Nhc2VcImkxNlwiOkhFQVAxNltwdHI+PjFdPXZhbHVlO2JyZWFrO2Nhc2VcImkzMlwiOkhFQVAzMltwdHI+PjJdPXZhbHVlO2JyZWFrO2Nhc2VcImk2NFwiOmFib3J0KFwidG8gZG8gc2V0VmFsdWUoaTY0KSB1c2UgV0FTTV9CSUdJTlRcIik7Y2FzZVwiZmxvYXRcIjpIRUFQRjMyW3B0cj4+Ml09dmFsdWU7YnJlYWs7Y2FzZVwiZG91YmxlXCI6SEVBUEY2NFtwdHI+PjNdPXZhbHVlO2JyZWFrO2Nhc2VcIipcIjpIRUFQVTMyW3B0cj4+Ml09dmFsdWU7YnJlYWs7ZGVmYXVsdDphYm9ydChcImludmFsaWQgdHlwZSBmb3Igc2V0VmFsdWU6IFwiLmNvbmNhdCh0eXBlKSl9fXZhciBnZXRIZWFwTWF4PSgpPT4yMTQ3NDgzNjQ4O3ZhciBhbGlnbk1lbW9yeT0oc2l6ZSxhbGlnbm1lbnQpPT5NYXRoLmNlaWwoc2l6ZS9hbGlnbm1lbnQpKmFsaWdubWVudDt2YXIgZ3Jvd01lbW9yeT1zaXplPT57dmFyIG9sZEhlYXBTaXplPXdhc21NZW1vcnkuYnVmZmVyLmJ5dGVMZW5ndGg7dmFyIHBhZ2VzPShzaXplLW9sZEhlYXBTaXplKzY1NTM1KS82NTUzNnwwO3RyeXt3YXNtTWVtb3J5Lmdyb3cocGFnZXMpO3VwZGF0ZU1lbW9yeVZpZXdzKCk7cmV0dXJuIDF9Y2F0Y2goZSl7fX07dmFyIF9lbXNjcmlwdGVuX3Jlc2l6ZV9oZWFwPXJlcXVlc3RlZFNpemU9Pnt2YXIgb2xkU2l6ZT1IRUFQVTgubGVuZ3RoO3JlcXVlc3RlZFNpemU+Pj49MDt2YXIgbWF4SGVhcFNpemU9Z2V0SGVhcE1heCgpO2lmKHJlcXVlc3RlZFNpemU+bWF4SGVhcFNpemUpe3JldHVybiBmYWxzZX1mb3IodmFyIGN1dERvd249MTtjdXREb3duPD00O2N1dERvd24qPTIpe3ZhciBvdmVyR3Jvd25IZWFwU2l6ZT1vbGRTaXplKigxKy4yL2N1dERvd24pO292ZXJHcm93bkhlYXBTaXplPU1hdGgubWluKG92ZXJHcm93bkhlYXBTaXplLHJlcXVlc3RlZFNpemUrMTAwNjYzMjk2KTt2YXIgbmV3U2l6ZT1NYXRoLm1pbihtYXhIZWFwU2l6ZSxhbGlnbk1lbW9yeShNYXRoLm1heChyZXF1ZXN0ZWRTaXplLG92ZXJHcm93bkhlYXBTaXplKSw2NTUzNikpO3ZhciByZXBsYWNlbWVudD1ncm93TWVtb3J5KG5ld1NpemUpO2lmKHJlcGxhY2VtZW50KXtyZXR1cm4gdHJ1ZX19cmV0dXJuIGZhbHNlfTt2YXIgQXNjaWlUb1N0cmluZz1wdHI9Pnt2YXIgc3RyPVwiXCI7d2hpbGUoMSl7dmFyIGNoPUhFQVBVOFtwdHIrK107aWYoIWNoKXJldHVybiBzdHI7c3RyKz1TdHJpbmcuZnJvbUNoYXJDb2RlKGNoKX19O3tpZihNb2R1bGVbXCJub0V4aXRSdW50aW1lXCJdKW5vRXhpdFJ1bnRpbWU9TW9kdWxlW1wibm9FeGl0UnVudGltZVwiXTtpZihNb2R1bGVbXCJwcmludFwiXSlvdXQ9TW9kdWxlW1wicHJpbnRcIl07aWYoTW9kdWxlW1wicHJpbnRFcnJcIl0pZXJyPU1vZHVsZVtcInByaW50RXJyXCJdO2lmKE1vZHVsZVtcIndhc21CaW5hcnlcIl0pd2FzbUJpbmFyeT1Nb2R1bGVbXCJ3YXNtQmluYXJ5XCJdO2lmKE1vZHVsZVtcImFyZ3VtZW50c1wiXSlhcmd1bWVudHNfPU1vZHVsZVtcImFyZ3VtZW50c1wiXTtpZihNb2R1bGVbXCJ0aGlzUHJvZ3JhbVwiXSl0aGlzUHJvZ3JhbT1Nb2R1bGVbXCJ0aGlzUHJvZ3JhbVwiXTtpZihNb2R1bGVbXCJwcmVJbml0XCJdKXtpZih0eXBlb2YgTW9kdWxlW1wicHJlSW5pdFwiXT09XCJmdW5jdGlvblwiKU1vZHVsZVtcInByZUluaXRcIl09W01vZHVsZVtcInByZUluaXRcIl1dO3doaWxlKE1vZHVsZVtcInByZUluaXRcIl0ubGVuZ3RoPjApe01vZHVsZVtcInByZUluaXRcIl0uc2hpZnQoKSgpfX19TW9kdWxlW1wic2V0VmFsdWVcIl09c2V0VmFsdWU7TW9kdWxlW1wiZ2V0VmFsdWVcIl09Z2V0VmFsdWU7TW9kdWxlW1wiQXNjaWlUb1N0cmluZ1wiXT1Bc2NpaVRvU3RyaW5nO3ZhciBfc3BlZXhfcmVzYW1wbGVyX2luaXQsX3NwZWV4X3Jlc2FtcGxlcl9pbml0X2ZyYWMsX3NwZWV4X3Jlc2FtcGxlcl9zZXRfcmF0ZV9mcmFjLF9mcmVlLF9zcGVleF9yZXNhbXBsZXJfc2V0X3F1YWxpdHksX3NwZWV4X3Jlc2FtcGxlcl9kZXN0cm95LF9zcGVleF9yZXNhbXBsZXJfcHJvY2Vzc19mbG9hdCxfc3BlZXhfcmVzYW1wbGVyX3Byb2Nlc3NfaW50ZXJsZWF2ZWRfZmxvYXQsX3NwZWV4X3Jlc2FtcGxlcl9wcm9jZXNzX2ludGVybGVhdmVkX2ludCxfc3BlZXhfcmVzYW1wbGVyX3NldF9yYXRlLF9zcGVleF9yZXNhbXBsZXJfZ2V0X3JhdGUsX3NwZWV4X3Jlc2FtcGxlcl9nZXRfcmF0aW8sX3NwZWV4X3Jlc2FtcGxlcl9nZXRfaW5wdXRfbGF0ZW5jeSxfc3BlZXhfcmVzYW1wbGVyX2dldF9vdXRwdXRfbGF0ZW5jeSxfc3BlZXhfcmVzYW1wbGVyX3NraXBfemVyb3MsX3NwZWV4X3Jlc2FtcGxlcl9yZXNldF9tZW0sX3NwZWV4X3Jlc2FtcGxlcl9zdHJlcnJvcixfbWFsbG9jLG1lbW9yeSxfX2luZGlyZWN0X2Z1bmN0aW9uX3RhYmxlLHdhc21NZW1vcnk7ZnVuY3Rpb24gYXNzaWduV2FzbUV4cG9ydHMod2FzbUV4cG9ydHMpe19zcGVleF9yZXNhbXBsZXJfaW5pdD1Nb2R1bGVbXCJfc3BlZXhfcmVzYW1wbGVyX2luaXRcIl09d2FzbUV4cG9ydHNbXCJkXCJdO19zcGVleF9yZXNhbXBsZXJfaW5pdF9mcmFjPU1vZHVsZVtcIl9zcGVleF9yZXNhbXBsZXJfaW5pdF9mcmFjXCJdPXdhc21FeHBvcnRzW1wiZVwiXTtfc3BlZXhfcmVzYW1wbGVyX3NldF9yYXRlX2ZyYWM9TW9kdWxlW1wiX3NwZWV4X3Jlc2FtcGxlcl9zZXRfcmF0ZV9mcmFjXCJdPXdhc21FeHBvcnRzW1wiZlwiXTtfZnJlZT1Nb2R1bGVbXCJfZnJlZVwiXT13YXNtRXhwb3J0c1tcImdcIl07X3NwZWV4X3Jlc2FtcGxlcl9zZXRfcXVhbGl0eT1Nb2R1bGVbXCJfc3BlZXhfcmVzYW1wbGVyX3NldF9xdWFsaXR5XCJdPXdhc21FeHBvcnRzW1wiaFwiXTtfc3BlZXhfcmVzYW1wbGVyX2Rlc3Ryb3k9TW9kdWxlW1wiX3NwZWV4X3Jlc2FtcGxlcl9kZXN0cm95XCJdPXdhc21FeHBvcnRzW1wiaVwiXTtfc3BlZXhfcmVzYW1wbGVyX3Byb2Nlc3NfZmxvYXQ9TW9kdWxlW1wiX3NwZWV4X3Jlc2FtcGxlcl9wcm9jZXNzX2Zsb2F0XCJdPXdhc21FeHBvcnRzW1wialwiXTtfc3BlZXhfcmVzYW1wbGVyX3Byb2Nlc3NfaW50ZXJsZWF2ZWRfZmxvYXQ9TW9kdWxlW1wiX3NwZWV4X3Jlc2FtcGxlcl9wcm9jZXNzX2ludGVybGVhdmVkX2Zsb2F0XCJdPXdhc21FeHBvcnRzW1wia1wiXTtfc3BlZXhfcmVzYW1wbGVyX3Byb2Nlc3NfaW50ZXJsZWF2ZWRfaW50PU1vZHVsZVtcIl9zcGVleF9yZXNhbXBsZXJfcHJvY2Vzc19pbnRlcmxlYXZlZF9pbnRcIl09d2FzbUV4cG9ydHNbXCJsXCJdO19zcGVleF9yZXNhbXBsZXJfc2V0X3JhdGU9TW9kdWxlW1wiX3NwZWV4X3Jlc2FtcGxlcl9zZXRfcmF0ZVwiXT13YXNtRXhwb3J0c1tcIm1cIl07X3NwZWV4X3Jlc2FtcGxlcl9nZXRfcmF0ZT1Nb2R1bGVbXCJfc3BlZXhfcmVzYW1wbGVyX2dldF9yYXRlXCJdPXdhc21FeHBvcnRzW1wiblwiXTtfc3BlZXhfcmVzYW1wbGVyX2dldF9yYXRpbz1Nb2R1bGVbXCJfc3BlZXhfcmVzYW1wbGVyX2dldF9yYXRpb1wiXT13YXNtRXhwb3J0c1tcIm9cIl07X3NwZWV4X3Jlc2FtcGxlcl9nZXRfaW5wdXRfbGF0ZW5jeT1Nb2R1bGVbXCJfc3BlZXhfcmVzYW1wbGVyX2dldF9pbnB1dF9sYXRlbmN5XCJdPXdhc21FeHBvcnRzW1wicFwiXTtfc3BlZXhfcmVzYW1wbGVyX2dldF9vdXRwdXRfbGF0ZW5jeT1Nb2R1bGVbXCJfc3BlZXhfcmVzYW1wbGVyX2dldF9vdXRwdXRfbGF0ZW5jeVwiXT13YXNtRXhwb3J0c1tcInFcIl07X3NwZWV4X3Jlc2FtcGxlcl9za2lwX3plcm9zPU1vZHVsZVtcIl9zcGVleF9yZXNhbXBsZXJfc2tpcF96ZXJvc1wiXT13YXNtRXhwb3J0c1tcInJcIl07X3NwZWV4X3Jlc2FtcGxlcl9yZXNldF9tZW09TW9kdWxlW1wiX3NwZWV4X3Jlc2FtcGxlcl9yZXNldF9tZW1cIl09d2FzbUV4cG9ydHNbXCJzXCJdO19zcGVleF9yZXNhbXBsZXJfc3RyZXJyb3I9TW9kdWxlW1wiX3NwZWV4X3Jlc2FtcGxlcl9zdHJlcnJvclwiXT13YXNtRXhwb3J0c1tcInRcIl07X21hbGxvYz1Nb2R1bGVbXCJfbWFsbG9jXCJdPXdhc21FeHBvcnRzW1widVwiXTttZW1vcnk9d2FzbU1lbW9yeT13YXNtRXhwb3J0c1tcImJcIl07X19pbmRpcmVjdF9mdW5jdGlvbl90YWJsZT13YXNtRXhwb3J0c1tcIl9faW5kaXJlY3RfZnVuY3Rpb25fdGFibGVcIl19dmFyIHdhc21JbXBvcnRzPXthOl9lbXNjcmlwdGVuX3Jlc2l6ZV9oZWFwfTtmdW5jdGlvbiBydW4oKXtwcmVSdW4oKTtmdW5jdGlvbiBkb1J1bigpe3ZhciBfcmVhZHlQcm9taXNlUmVzb2x2ZSxfTW9kdWxlJG9uUnVudGltZUluaXQ7TW9kdWxlW1wiY2FsbGVkUnVuXCJdPXRydWU7aWYoQUJPUlQpcmV0dXJuO2luaXRSdW50aW1lKCk7KF9yZWFkeVByb21pc2VSZXNvbHZlPXJlYWR5UHJvbWlzZVJlc29sdmUpPT09bnVsbHx8X3JlYWR5UHJvbWlzZVJlc29sdmU9PT12b2lkIDB8fF9yZWFkeVByb21pc2VSZXNvbHZlKE1vZHVsZSk7KF9Nb2R1bGUkb25SdW50aW1lSW5pdD1Nb2R1bGVbXCJvblJ1bnRpbWVJbml0aWFsaXplZFwiXSk9PT1udWxsfHxfTW9kdWxlJG9uUnVudGltZUluaXQ9PT12b2lkIDB8fF9Nb2R1bGUkb25SdW50aW1lSW5pdC5jYWxsKE1vZHVsZSk7cG9zdFJ1bigpfWlmKE1vZHVsZVtcInNldFN0YXR1c1wiXSl7TW9kdWxlW1wic2V0U3RhdHVzXCJdKFwiUnVubmluZy4uLlwiKTtzZXRUaW1lb3V0KCgpPT57c2V0VGltZW91dCgoKT0+TW9kdWxlW1wic2V0U3RhdHVzXCJdKFwiXCIpLDEpO2RvUnVuKCl9LDEpfWVsc2V7ZG9SdW4oKX19dmFyIHdhc21FeHBvcnRzO3dhc21FeHBvcnRzPWF3YWl0IChjcmVhdGVXYXNtKCkpO3J1bigpO2lmKHJ1bnRpbWVJbml0aWFsaXplZCl7bW9kdWxlUnRuPU1vZHVsZX1lbHNle21vZHVsZVJ0bj1uZXcgUHJvbWlzZSgocmVzb2x2ZSxyZWplY3QpPT57cmVhZHlQcm9taXNlUmVzb2x2ZT1yZXNvbHZlO3JlYWR5UHJvbWlzZVJlamVjdD1yZWplY3R9KX1cbjtyZXR1cm4gbW9kdWxlUnRufX0pKCk7aWYodHlwZW9mIGV4cG9ydHM9PT1cIm9iamVjdFwiJiZ0eXBlb2YgbW9kdWxlPT09XCJvYmplY3RcIil7bW9kdWxlLmV4cG9ydHM9U3BlZXg7bW9kdWxlLmV4cG9ydHMuZGVmYXVsdD1TcGVleH1lbHNlIGlmKHR5cGVvZiBkZWZpbmU9PT1cImZ1bmN0aW9uXCImJmRlZmluZVtcImFtZFwiXSlkZWZpbmUoW10sKCk9PlNwZWV4KTtcbiJdfQ==
\ No newline at end of file
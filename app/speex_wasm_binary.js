@@ -0,0 +1,4 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = 'AGFzbQEAAAABbBBgAX8Bf2AGf39/f39/AX9gBX9/f39/AX9gAX8AYAJ/fwBgAn9/AX9gA39/fwBgAnx/AXxgA3x8fwF8YAF8AXxgAnx8AXxgB39/f39/f38Bf2AGf39/f39/AGAEf39/fwF/YAN/f38Bf2AAAAIHAQFhAWEAAAMlJAMEAAAABwACCAEEBQkKCwwNAQEBAQUAAAAAAAYGDgICAwECDwQFAXABBgYFBwEBwAKAgAIGCAF/AUHwsAQLB1EUAWICAAFjACQBZAAjAWUADwFmAAgBZwABAWgAFgFpACEBagAKAWsAIAFsAB8BbQAeAW4AHQFvABwBcAAbAXEAGgFyABkBcwAYAXQAFwF1AAUJCwEAQQELBRUUExIiCua0ASTfCwEIfwJAIABFDQAgAEEIayIDIABBBGsoAgAiAkF4cSIAaiEFAkAgAkEBcQ0AIAJBAnFFDQEgAyADKAIAIgRrIgNBiC0oAgBJDQEgACAEaiEAAkACQAJAQYwtKAIAIANHBEAgAygCDCEBIARB/wFNBEAgASADKAIIIgJHDQJB+CxB+CwoAgBBfiAEQQN2d3E2AgAMBQsgAygCGCEHIAEgA0cEQCADKAIIIgIgATYCDCABIAI2AggMBAsgAygCFCICBH8gA0EUagUgAygCECICRQ0DIANBEGoLIQQDQCAEIQYgAiIBQRRqIQQgASgCFCICDQAgAUEQaiEEIAEoAhAiAg0ACyAGQQA2AgAMAwsgBSgCBCICQQNxQQNHDQNBgC0gADYCACAFIAJBfnE2AgQgAyAAQQFyNgIEIAUgADYCAA8LIAIgATYCDCABIAI2AggMAgtBACEBCyAHRQ0AAkAgAygCHCIEQQJ0IgIoAqgvIANGBEAgAkGoL2ogATYCACABDQFB/CxB/CwoAgBBfiAEd3E2AgAMAgsCQCADIAcoAhBGBEAgByABNgIQDAELIAcgATYCFAsgAUUNAQsgASAHNgIYIAMoAhAiAgRAIAEgAjYCECACIAE2AhgLIAMoAhQiAkUNACABIAI2AhQgAiABNgIYCyADIAVPDQAgBSgCBCIEQQFxRQ0AAkACQAJAAkAgBEECcUUEQEGQLSgCACAFRgRAQZAtIAM2AgBBhC1BhC0oAgAgAGoiADYCACADIABBAXI2AgQgA0GMLSgCAEcNBkGALUEANgIAQYwtQQA2AgAPC0GMLSgCACIHIAVGBEBBjC0gAzYCAEGALUGALSgCACAAaiIANgIAIAMgAEEBcjYCBCAAIANqIAA2AgAPCyAEQXhxIABqIQAgBSgCDCEBIARB/wFNBEAgBSgCCCICIAFGBEBB+CxB+CwoAgBBfiAEQQN2d3E2AgAMBQsgAiABNgIMIAEgAjYCCAwECyAFKAIYIQggASAFRwRAIAUoAggiAiABNgIMIAEgAjYCCAwDCyAFKAIUIgIEfyAFQRRqBSAFKAIQIgJFDQIgBUEQagshBANAIAQhBiACIgFBFGohBCABKAIUIgINACABQRBqIQQgASgCECICDQALIAZBADYCAAwCCyAFIARBfnE2AgQgAyAAQQFyNgIEIAAgA2ogADYCAAwDC0EAIQELIAhFDQACQCAFKAIcIgRBAnQiAigCqC8gBUYEQCACQagvaiABNgIAIAENAUH8LEH8LCgCAEF+IAR3cTYCAAwCCwJAIAUgCCgCEEYEQCAIIAE2AhAMAQsgCCABNgIUCyABRQ0BCyABIAg2AhggBSgCECICBEAgASACNgIQIAIgATYCGAsgBSgCFCICRQ0AIAEgAjYCFCACIAE2AhgLIAMgAEEBcjYCBCAAIANqIAA2AgAgAyAHRw0AQYAtIAA2AgAPCyAAQf8BTQRAIABB+AFxQaAtaiECAn9B+CwoAgAiBEEBIABBA3Z0IgBxRQRAQfgsIAAgBHI2AgAgAgwBCyACKAIICyEAIAIgAzYCCCAAIAM2AgwgAyACNgIMIAMgADYCCA8LQR8hASAAQf///wdNBEAgAEEmIABBCHZnIgJrdkEBcSACQQF0ckE+cyEBCyADIAE2AhwgA0IANwIQIAFBAnRBqC9qIQQCfwJAAn9B/CwoAgAiBkEBIAF0IgJxRQRAQfwsIAIgBnI2AgAgBCADNgIAQRghAUEIDAELIABBGSABQQF2a0EAIAFBH0cbdCEBIAQoAgAhBANAIAQiAigCBEF4cSAARg0CIAFBHXYhBCABQQF0IQEgAiAEQQRxaiIGKAIQIgQNAAsgBiADNgIQQRghASACIQRBCAshACADIgIMAQsgAigCCCIEIAM2AgwgAiADNgIIQRghAEEIIQFBAAshBiABIANqIAQ2AgAgAyACNgIMIAAgA2ogBjYCAEGYLUGYLSgCAEEBayIAQX8gABs2AgALCyoAIAAgAWo/AEEQdEsEQAALA0AgAQRAIAFBAWsiASAAakEAOgAADAELCwtUAgF/AX4CQEHwLCgCACIBrSAArUIHfEL4////H4N8IgJC/////w9YBEAgAqciAD8AQRB0TQ0BIAAQAA0BC0H0LEEwNgIAQX8PC0HwLCAANgIAIAELkAMBA38CQAJ/QQAgAEUNABogACICIABBAXJBgIAESQ0AGiACCyIAEAUiAkUNACACQQRrLQAAQQNxRQ0AAkAgAEUNACACQQA6AAAgACACaiIBQQFrQQA6AAAgAEEDSQ0AIAJBADoAAiACQQA6AAEgAUEDa0EAOgAAIAFBAmtBADoAACAAQQdJDQAgAkEAOgADIAFBBGtBADoAACAAQQlJDQAgAkEAIAJrQQNxIgFqIgNBADYCACADIAAgAWtBfHEiAGoiAUEEa0EANgIAIABBCUkNACADQQA2AgggA0EANgIEIAFBCGtBADYCACABQQxrQQA2AgAgAEEZSQ0AIANBADYCGCADQQA2AhQgA0EANgIQIANBADYCDCABQRBrQQA2AgAgAUEUa0EANgIAIAFBGGtBADYCACABQRxrQQA2AgAgACADQQRxQRhyIgBrIgFBIEkNACAAIANqIQADQCAAQgA3AxggAEIANwMQIABCADcDCCAAQgA3AwAgAEEgaiEAIAFBIGsiAUEfSw0ACwsLIAILwScBC38jAEEQayIKJAACQAJAAkACQAJAAkACQAJAAkACQCAAQfQBTQRAQfgsKAIAIgRBECAAQQtqQfgDcSAAQQtJGyIGQQN2IgB2IgFBA3EEQAJAIAFBf3NBAXEgAGoiA0EDdCIBQaAtaiIAIAEoAqgtIgIoAggiBUYEQEH4LCAEQX4gA3dxNgIADAELIAUgADYCDCAAIAU2AggLIAJBCGohACACIAFBA3I2AgQgASACaiIBIAEoAgRBAXI2AgQMCwsgBkGALSgCACIITQ0BIAEEQAJAQQIgAHQiAkEAIAJrciABIAB0cWgiA0EDdCIBQaAtaiICIAEoAqgtIgAoAggiBUYEQEH4LCAEQX4gA3dxIgQ2AgAMAQsgBSACNgIMIAIgBTYCCAsgACAGQQNyNgIEIAAgBmoiByABIAZrIgVBAXI2AgQgACABaiAFNgIAIAgEQCAIQXhxQaAtaiEBQYwtKAIAIQICfyAEQQEgCEEDdnQiA3FFBEBB+CwgAyAEcjYCACABDAELIAEoAggLIQMgASACNgIIIAMgAjYCDCACIAE2AgwgAiADNgIICyAAQQhqIQBBjC0gBzYCAEGALSAFNgIADAsLQfwsKAIAIgtFDQEgC2hBAnQoAqgvIgEoAgRBeHEgBmshAyABIQIDQAJAIAEoAhAiAEUEQCABKAIUIgBFDQELIAAoAgRBeHEgBmsiASADIAEgA0kiARshAyAAIAIgARshAiAAIQEMAQsLIAIoAhghCSACIAIoAgwiAEcEQCACKAIIIgEgADYCDCAAIAE2AggMCgsgAigCFCIBBH8gAkEUagUgAigCECIBRQ0DIAJBEGoLIQUDQCAFIQcgASIAQRRqIQUgACgCFCIBDQAgAEEQaiEFIAAoAhAiAQ0ACyAHQQA2AgAMCQtBfyEGIABBv39LDQAgAEELaiIBQXhxIQZB/CwoAgAiB0UNAEEfIQhBACAGayEDIABB9P//B00EQCAGQSYgAUEIdmciAGt2QQFxIABBAXRrQT5qIQgLAkACQAJAIAhBAnQoAqgvIgFFBEBBACEADAELQQAhACAGQRkgCEEBdmtBACAIQR9HG3QhAgNAAkAgASgCBEF4cSAGayIEIANPDQAgASEFIAQiAw0AQQAhAyABIQAMAwsgACABKAIUIgQgBCABIAJBHXZBBHFqKAIQIgFGGyAAIAQbIQAgAkEBdCECIAENAAsLIAAgBXJFBEBBACEFQQIgCHQiAEEAIABrciAHcSIARQ0DIABoQQJ0KAKoLyEACyAARQ0BCwNAIAAoAgRBeHEgBmsiAiADSSEBIAIgAyABGyEDIAAgBSABGyEFIAAoAhAiAQR/IAEFIAAoAhQLIgANAAsLIAVFDQAgA0GALSgCACAGa08NACAFKAIYIQggBSAFKAIMIgBHBEAgBSgCCCIBIAA2AgwgACABNgIIDAgLIAUoAhQiAQR/IAVBFGoFIAUoAhAiAUUNAyAFQRBqCyECA0AgAiEEIAEiAEEUaiECIAAoAhQiAQ0AIABBEGohAiAAKAIQIgENAAsgBEEANgIADAcLIAZBgC0oAgAiBU0EQEGMLSgCACEAAkAgBSAGayIBQRBPBEAgACAGaiICIAFBAXI2AgQgACAFaiABNgIAIAAgBkEDcjYCBAwBCyAAIAVBA3I2AgQgACAFaiIBIAEoAgRBAXI2AgRBACEBQQAhAgtBgC0gATYCAEGMLSACNgIAIABBCGohAAwJCyAGQYQtKAIAIgJJBEBBhC0gAiAGayIBNgIAQZAtQZAtKAIAIgAgBmoiAjYCACACIAFBAXI2AgQgACAGQQNyNgIEIABBCGohAAwJC0EAIQAgBkEvaiIDAn9B0DAoAgAEQEHYMCgCAAwBC0HcMEJ/NwIAQdQwQoCggICAgAQ3AgBB0DAgCkEMakFwcUHYqtWqBXM2AgBB5DBBADYCAEG0MEEANgIAQYAgCyIBaiIEQQAgAWsiB3EiASAGTQ0IQbAwKAIAIgUEQEGoMCgCACIIIAFqIgkgCE0NCSAFIAlJDQkLAkBBtDAtAABBBHFFBEACQAJAAkACQEGQLSgCACIFBEBBuDAhAANAIAAoAgAiCCAFTQRAIAUgCCAAKAIEakkNAwsgACgCCCIADQALC0EAEAMiAkF/Rg0DIAEhBEHUMCgCACIAQQFrIgUgAnEEQCABIAJrIAIgBWpBACAAa3FqIQQLIAQgBk0NA0GwMCgCACIABEBBqDAoAgAiBSAEaiIHIAVNDQQgACAHSQ0ECyAEEAMiACACRw0BDAULIAQgAmsgB3EiBBADIgIgACgCACAAKAIEakYNASACIQALIABBf0YNASAGQTBqIARNBEAgACECDAQLQdgwKAIAIgIgAyAEa2pBACACa3EiAhADQX9GDQEgAiAEaiEEIAAhAgwDCyACQX9HDQILQbQwQbQwKAIAQQRyNgIACyABEAMhAkEAEAMhACACQX9GDQUgAEF/Rg0FIAAgAk0NBSAAIAJrIgQgBkEoak0NBQtBqDBBqDAoAgAgBGoiADYCAEGsMCgCACAASQRAQawwIAA2AgALAkBBkC0oAgAiAwRAQbgwIQADQCACIAAoAgAiASAAKAIEIgVqRg0CIAAoAggiAA0ACwwEC0GILSgCACIAQQAgACACTRtFBEBBiC0gAjYCAAtBACEAQbwwIAQ2AgBBuDAgAjYCAEGYLUF/NgIAQZwtQdAwKAIANgIAQcQwQQA2AgADQCAAQQN0IgEgAUGgLWoiBTYCqC0gASAFNgKsLSAAQQFqIgBBIEcNAAtBhC0gBEEoayIAQXggAmtBB3EiAWsiBTYCAEGQLSABIAJqIgE2AgAgASAFQQFyNgIEIAAgAmpBKDYCBEGULUHgMCgCADYCAAwECyACIANNDQIgASADSw0CIAAoAgxBCHENAiAAIAQgBWo2AgRBkC0gA0F4IANrQQdxIgBqIgE2AgBBhC1BhC0oAgAgBGoiAiAAayIANgIAIAEgAEEBcjYCBCACIANqQSg2AgRBlC1B4DAoAgA2AgAMAwtBACEADAYLQQAhAAwEC0GILSgCACACSwRAQYgtIAI2AgALIAIgBGohBUG4MCEAAkADQCAFIAAoAgAiAUcEQCAAKAIIIgANAQwCCwsgAC0ADEEIcUUNAwtBuDAhAANAAkAgACgCACIBIANNBEAgAyABIAAoAgRqIgVJDQELIAAoAgghAAwBCwtBhC0gBEEoayIAQXggAmtBB3EiAWsiBzYCAEGQLSABIAJqIgE2AgAgASAHQQFyNgIEIAAgAmpBKDYCBEGULUHgMCgCADYCACADIAVBJyAFa0EHcWpBL2siACAAIANBEGpJGyIBQRs2AgQgAUHAMCkCADcCECABQbgwKQIANwIIQcAwIAFBCGo2AgBBvDAgBDYCAEG4MCACNgIAQcQwQQA2AgAgAUEYaiEAA0AgAEEHNgIEIABBCGogAEEEaiEAIAVJDQALIAEgA0YNACABIAEoAgRBfnE2AgQgAyABIANrIgJBAXI2AgQgASACNgIAAn8gAkH/AU0EQCACQfgBcUGgLWohAAJ/QfgsKAIAIgFBASACQQN2dCICcUUEQEH4LCABIAJyNgIAIAAMAQsgACgCCAshASAAIAM2AgggASADNgIMQQwhAkEIDAELQR8hACACQf///wdNBEAgAkEmIAJBCHZnIgBrdkEBcSAAQQF0ckE+cyEACyADIAA2AhwgA0IANwIQIABBAnRBqC9qIQECQAJAQfwsKAIAIgVBASAAdCIEcUUEQEH8LCAEIAVyNgIAIAEgAzYCAAwBCyACQRkgAEEBdmtBACAAQR9HG3QhACABKAIAIQUDQCAFIgEoAgRBeHEgAkYNAiAAQR12IQUgAEEBdCEAIAEgBUEEcWoiBCgCECIFDQALIAQgAzYCEAsgAyABNgIYQQghAiADIgEhAEEMDAELIAEoAggiACADNgIMIAEgAzYCCCADIAA2AghBACEAQRghAkEMCyADaiABNgIAIAIgA2ogADYCAAtBhC0oAgAiACAGTQ0AQYQtIAAgBmsiATYCAEGQLUGQLSgCACIAIAZqIgI2AgAgAiABQQFyNgIEIAAgBkEDcjYCBCAAQQhqIQAMBAtB9CxBMDYCAEEAIQAMAwsgACACNgIAIAAgACgCBCAEajYCBCACQXggAmtBB3FqIgggBkEDcjYCBCABQXggAWtBB3FqIgQgBiAIaiIDayEHAkBBkC0oAgAgBEYEQEGQLSADNgIAQYQtQYQtKAIAIAdqIgA2AgAgAyAAQQFyNgIEDAELQYwtKAIAIARGBEBBjC0gAzYCAEGALUGALSgCACAHaiIANgIAIAMgAEEBcjYCBCAAIANqIAA2AgAMAQsgBCgCBCIAQQNxQQFGBEAgAEF4cSEJIAQoAgwhAgJAIABB/wFNBEAgBCgCCCIBIAJGBEBB+CxB+CwoAgBBfiAAQQN2d3E2AgAMAgsgASACNgIMIAIgATYCCAwBCyAEKAIYIQYCQCACIARHBEAgBCgCCCIAIAI2AgwgAiAANgIIDAELAkAgBCgCFCIABH8gBEEUagUgBCgCECIARQ0BIARBEGoLIQEDQCABIQUgACICQRRqIQEgACgCFCIADQAgAkEQaiEBIAIoAhAiAA0ACyAFQQA2AgAMAQtBACECCyAGRQ0AAkAgBCgCHCIAQQJ0IgEoAqgvIARGBEAgAUGoL2ogAjYCACACDQFB/CxB/CwoAgBBfiAAd3E2AgAMAgsCQCAEIAYoAhBGBEAgBiACNgIQDAELIAYgAjYCFAsgAkUNAQsgAiAGNgIYIAQoAhAiAARAIAIgADYCECAAIAI2AhgLIAQoAhQiAEUNACACIAA2AhQgACACNgIYCyAHIAlqIQcgBCAJaiIEKAIEIQALIAQgAEF+cTYCBCADIAdBAXI2AgQgAyAHaiAHNgIAIAdB/wFNBEAgB0H4AXFBoC1qIQACf0H4LCgCACIBQQEgB0EDdnQiAnFFBEBB+CwgASACcjYCACAADAELIAAoAggLIQEgACADNgIIIAEgAzYCDCADIAA2AgwgAyABNgIIDAELQR8hAiAHQf///wdNBEAgB0EmIAdBCHZnIgBrdkEBcSAAQQF0ckE+cyECCyADIAI2AhwgA0IANwIQIAJBAnRBqC9qIQACQAJAQfwsKAIAIgFBASACdCIFcUUEQEH8LCABIAVyNgIAIAAgAzYCAAwBCyAHQRkgAkEBdmtBACACQR9HG3QhAiAAKAIAIQEDQCABIgAoAgRBeHEgB0YNAiACQR12IQEgAkEBdCECIAAgAUEEcWoiBSgCECIBDQALIAUgAzYCEAsgAyAANgIYIAMgAzYCDCADIAM2AggMAQsgACgCCCIBIAM2AgwgACADNgIIIANBADYCGCADIAA2AgwgAyABNgIICyAIQQhqIQAMAgsCQCAIRQ0AAkAgBSgCHCIBQQJ0IgIoAqgvIAVGBEAgAkGoL2ogADYCACAADQFB/CwgB0F+IAF3cSIHNgIADAILAkAgBSAIKAIQRgRAIAggADYCEAwBCyAIIAA2AhQLIABFDQELIAAgCDYCGCAFKAIQIgEEQCAAIAE2AhAgASAANgIYCyAFKAIUIgFFDQAgACABNgIUIAEgADYCGAsCQCADQQ9NBEAgBSADIAZqIgBBA3I2AgQgACAFaiIAIAAoAgRBAXI2AgQMAQsgBSAGQQNyNgIEIAUgBmoiBCADQQFyNgIEIAMgBGogAzYCACADQf8BTQRAIANB+AFxQaAtaiEAAn9B+CwoAgAiAUEBIANBA3Z0IgJxRQRAQfgsIAEgAnI2AgAgAAwBCyAAKAIICyEBIAAgBDYCCCABIAQ2AgwgBCAANgIMIAQgATYCCAwBC0EfIQAgA0H///8HTQRAIANBJiADQQh2ZyIAa3ZBAXEgAEEBdHJBPnMhAAsgBCAANgIcIARCADcCECAAQQJ0QagvaiEBAkACQCAHQQEgAHQiAnFFBEBB/CwgAiAHcjYCACABIAQ2AgAgBCABNgIYDAELIANBGSAAQQF2a0EAIABBH0cbdCEAIAEoAgAhAQNAIAEiAigCBEF4cSADRg0CIABBHXYhASAAQQF0IQAgAiABQQRxaiIHKAIQIgENAAsgByAENgIQIAQgAjYCGAsgBCAENgIMIAQgBDYCCAwBCyACKAIIIgAgBDYCDCACIAQ2AgggBEEANgIYIAQgAjYCDCAEIAA2AggLIAVBCGohAAwBCwJAIAlFDQACQCACKAIcIgFBAnQiBSgCqC8gAkYEQCAFQagvaiAANgIAIAANAUH8LCALQX4gAXdxNgIADAILAkAgAiAJKAIQRgRAIAkgADYCEAwBCyAJIAA2AhQLIABFDQELIAAgCTYCGCACKAIQIgEEQCAAIAE2AhAgASAANgIYCyACKAIUIgFFDQAgACABNgIUIAEgADYCGAsCQCADQQ9NBEAgAiADIAZqIgBBA3I2AgQgACACaiIAIAAoAgRBAXI2AgQMAQsgAiAGQQNyNgIEIAIgBmoiBSADQQFyNgIEIAMgBWogAzYCACAIBEAgCEF4cUGgLWohAEGMLSgCACEBAn9BASAIQQN2dCIHIARxRQRAQfgsIAQgB3I2AgAgAAwBCyAAKAIICyEEIAAgATYCCCAEIAE2AgwgASAANgIMIAEgBDYCCAtBjC0gBTYCAEGALSADNgIACyACQQhqIQALIApBEGokACAAC6gBAAJAIAFBgAhOBEAgAEQAAAAAAADgf6IhACABQf8PSQRAIAFB/wdrIQEMAgsgAEQAAAAAAADgf6IhAEH9FyABIAFB/RdPG0H+D2shAQwBCyABQYF4Sg0AIABEAAAAAAAAYAOiIQAgAUG4cEsEQCABQckHaiEBDAELIABEAAAAAAAAYAOiIQBB8GggASABQfBoTRtBkg9qIQELIAAgAUH/B2qtQjSGv6ILiRYDE38JfAZ9IAAgACgCCCICIAAoAgwiAW4iBjYCJCAAIAAoAhBBFGwiA0G0CWooAgAiBDYCMCAAKAIYIQ0gACADQbAJaiIDKAIAIgU2AhggACACIAEgBmxrNgIoIAAoAhwhDwJAAkACQAJAIAEgAkkEQCAAIAMqAgggAbOUIAKzlTgCLCAFIAUgAW4iAyABbGsiBUF/IAJuIgZLDQIgAyAGSw0CIAIgA2wiAyACIAVsIAFuIgVBf3NLDQIgACADIAVqQQFrQXhxQQhqIgU2AhhBASAEIAFBAXQgAkkiA3YgAUECdCACSSIGdiABQQN0IAJJIgd2IAFBBHQgAkkiCHYiAiACQQFNGyEEAkAgBg0AIAJFDQAgAw0AIAcNACAIRQ0CCyAAIAQ2AjAMAQsgACADKgIMOAIsCwJ/AkAgASAFbCICIAQgBWxBCGoiA0sNAEH/////ASABbiAFSQ0AQQEMAQtB9////wEgBG4gBUkNASADIQJBAAshASACIAAoAlBLBEAgACgCTCACQQJ0EAwiA0UNASAAIAI2AlAgACADNgJMCwJAIAFFBEAgACgCECEDIAAoAhgiAiAAKAIwIgFsQQRqIgRBfU4EQCACtyIXRAAAAAAAAOA/oiEYIAJBAXazIR8gACgCTCEFIAGzISBBfCEBIANBFGxBwAlqKAIAIQYDQCAAKgIsIR4gBSABQQJ0agJ9IB4gAbIgIJUgH5MiIbsiFJkiFUSN7bWg98awPmMNABpDAAAAACAVIBhkDQAaIAYoAgAgFCAUoCAXo7aLIAYoAgSylCIdjiIii0MAAABPXQR/ICKoBUGAgICAeAsiB0EDdGoiAisDCCEZIAIrAwAhGiACKwMQIRYgAisDGCEUICEgHpS7RBgtRFT7IQlAoiIVEA0gHruiIBWjIBQgHSAHspMiHbsiFESVqGdVVVXFv6IgHSAdIB2UIh2UuyIVRJWoZ1VVVcU/oqAiG6IgFiAVRAAAAAAAAOC/oiAdu0QAAAAAAADgP6IiFiAUoKAiHKIgGiAVRJWoZ1VVVcW/oiAURLUrTFVVVdW/oiAWoKAiFKIgGUQAAAAAAADwPyAboSAcoSAUoaKgoKCitgs4AhAgAUEBaiIBIARHDQALCyADQQlOBEAgAEEBNgJUDAILIABBAjYCVAwBCwJAIAAoAgwiBkUEQCAAKAIQIQQMAQsgACgCGCICQX5tIAAoAhAhBCACRQ0AIAK3IhdEAAAAAAAA4D+iIRhBAWohByAGsyEfIAAoAkwhCEEAIQMgBEEUbEHACWooAgAhCwNAIAOzIB+VISAgCCACIANsQQJ0aiEJQQAhAQNAIAAqAiwhHiAJIAFBAnRqAn0gHiABIAdqsiAgkyIhuyIUmSIVRI3ttaD3xrA+Yw0AGkMAAAAAIBUgGGQNABogCygCACAUIBSgIBejtosgCygCBLKUIh2OIiKLQwAAAE9dBH8gIqgFQYCAgIB4CyIKQQN0aiIFKwMIIRkgBSsDACEaIAUrAxAhFiAFKwMYIRQgISAelLtEGC1EVPshCUCiIhUQDSAeu6IgFaMgFCAdIAqykyIduyIURJWoZ1VVVcW/oiAdIB0gHZQiHZS7IhVElahnVVVVxT+ioCIboiAWIBVEAAAAAAAA4L+iIB27RAAAAAAAAOA/oiIWIBSgoCIcoiAaIBVElahnVVVVxb+iIBREtStMVVVV1b+iIBagoCIUoiAZRAAAAAAAAPA/IBuhIByhIBShoqCgoKK2CzgCACABQQFqIgEgAkcNAAsgA0EBaiIDIAZHDQALCyAEQQlOBEAgAEEDNgJUDAELIABBBDYCVAsgACgCGCAAKAIgakEBayIDIAAoAhwiAksEQEH/////ASAAKAIUIgJuIANJDQEgACgCSCACIANsQQJ0EAwiAkUNASAAIAM2AhwgACACNgJIIAMhAgsgACgCOEUEQCACIAAoAhRsIgJFBEBBAA8LQQAhASACQQJ0IgJFDQMgACgCSCACEAJBAA8LIAAoAhgiAiANTQ0BIAAoAhQiAkUEQEEADwsgDUECayELIA1BAWshDiAAKAJEIRADQCAQIAJBAWsiAkECdCIRaiIHKAIAIgVBAXQhCQJAIAUgDmoiAUUNACAAKAJIIgQgACgCHCACbEECdGogBUECdGohAyAEIAIgD2xBAnRqIQZBACEEIAFBA3EiCARAA0AgAyABQQFrIgFBAnQiCmogBiAKaioCADgCACAEQQFqIgQgCEcNAAsLIAUgC2pBAk0NAANAIAMgAUECdCIEQQRrIghqIAYgCGoqAgA4AgAgAyAEQQhrIghqIAYgCGoqAgA4AgAgAyAEQQxrIgRqIAQgBmoqAgA4AgAgAyABQQRrIgFBAnQiBGogBCAGaioCADgCACABDQALCyAJIA1qIQMCQCAFRQ0AIAVBAnQiAUUNACAAKAJIIAAoAhwgAmxBAnRqIAEQAgsgB0EANgIAAkAgAyAAKAIYIgVJBEACQCADQQFrIghFDQAgACgCSCAAKAIcIAJsQQJ0aiIBIAVBAnRqQQhrIQYgASADQQJ0akEIayEHIAhBA3EhCkEAIQxBACEEQQAhASAJIAtqQQNPBEAgCEF8cSESQQAhCQNAIAYgBEECdCIEaiAEIAdqKgIAOAIAIAYgAUF/c0ECdCIEaiAEIAdqKgIAOAIAIAYgAUECdCIEQXhzIhNqIAcgE2oqAgA4AgAgBiAEQXRzIgRqIAQgB2oqAgA4AgAgAUF8cyEEIAFBBGohASAJQQRqIgkgEkcNAAsgCkUNAQsDQCAGIARBAnQiBGogBCAHaioCADgCACABQX9zIQQgAUEBaiEBIAxBAWoiDCAKRw0ACwsCQCAIIAVBAWtPDQAgBSADa0ECdCIBRQ0AIAAoAkggACgCHCACbEECdGogARACCyAAKAI8IBFqIgEgASgCACAFIANrQQF2ajYCAAwBCyAHIAMgBWtBAXYiBjYCACAGIAAoAhhqIgVBAWsiA0UNACADQQNxIQggACgCSCAAKAIcIAJsQQJ0aiEJQQAhBEEAIQEgBUECa0EDTwRAIANBfHEhCkEAIQMDQCAJIAFBAnRqIgUgBSAGQQJ0IgdqKgIAOAIAIAVBBGoiDCAHIAxqKgIAOAIAIAVBCGoiDCAHIAxqKgIAOAIAIAVBDGoiBSAFIAdqKgIAOAIAIAFBBGohASADQQRqIgMgCkcNAAsgCEUNAQsDQCAJIAFBAnRqIgMgAyAGQQJ0aioCADgCACABQQFqIQEgBEEBaiIEIAhHDQALCyACDQALQQAPCyAAIA02AhggAEEFNgJUQQEhAQwBC0EAIQEgAiANTw0AIAAoAhRFDQAgACgCRCEKQQAhAgNAIAogAkECdGoiCCgCACEDIAggDSAAKAIYa0EBdiIFNgIAAkAgAyAFaiIMIAAoAhgiB2pBAWsiBkUNACAGQQNxIQsgACgCSCAAKAIcIAJsQQJ0aiEJQQAhBCADIAdqIAVqQQJrQQNPBEAgBkF8cSEPQQAhAwNAIAkgAUECdGoiBiAGIAVBAnQiB2oqAgA4AgAgBkEEaiIOIAcgDmoqAgA4AgAgBkEIaiIOIAcgDmoqAgA4AgAgBkEMaiIGIAYgB2oqAgA4AgAgAUEEaiEBIANBBGoiAyAPRw0ACyALRQ0BCwNAIAkgAUECdGoiAyADIAVBAnRqKgIAOAIAIAFBAWohASAEQQFqIgQgC0cNAAsLIAggDDYCAEEAIQEgAkEBaiICIAAoAhRJDQALCyABC7MCAQV/QQMhBgJAIAFFDQAgAkUNAAJAIAAoAgAgA0cNACAAKAIEIARHDQAgACgCCCABRw0AIAAoAgwgAkcNAEEADwsgACAENgIEIAAgAzYCACAAKAIMIQUgASEEIAIhAwNAIAQgAyIEcCIDDQALIAAgAiAEbjYCDCAAIAEgBG42AggCQCAFRQ0AIAAoAhRFDQAgACgCQCEHQQAhAwNAQQUhBiAHIANBAnRqIgEoAgAiAiACIAVuIgIgBWxrIghBfyAAKAIMIgRuIglLDQIgAiAJSw0CIAIgBGwiAiAEIAhsIAVuIgRBf3NLDQIgASACIARqIgI2AgAgAiAAKAIMIgJPBEAgASACQQFrNgIACyADQQFqIgMgACgCFEkNAAsLIAAoAjRFBEBBAA8LIAAQByEGCyAGC5kBAQN8IAAgAKIiAyADIAOioiADRHzVz1o62eU9okTrnCuK5uVavqCiIAMgA0R9/rFX4x3HPqJE1WHBGaABKr+gokSm+BARERGBP6CgIQUgACADoiEEIAJFBEAgBCADIAWiRElVVVVVVcW/oKIgAKAPCyAAIAMgAUQAAAAAAADgP6IgBCAFoqGiIAGhIARESVVVVVVVxT+ioKEL+wYBEH8jAEEQayIHJAAgByAENgIMIAAoAhghBiAAKAIcIQQgACgCSCEMIAAoAlghDSAFKAIAIQogAygCACEOAkAgAUECdCIPIAAoAkRqKAIABEAgCiAAIAEgB0EMaiAKEBFrIQogACgCRCAPaigCAA0BCyAORQ0AIApFDQAgBCAGQQFrIgZrIRIgDCABIARsQQJ0aiAGQQJ0aiEMIAcoAgwhDwNAIAcgDiASIA4gEkkbIgY2AgggByAKNgIEAkAgAgRAIAZFDQEgBkEDcSEIQQAhC0EAIQQgBkEETwRAIAZBfHEhEEEAIQYDQCAMIARBAnRqIAIgBCANbEECdGoqAgA4AgAgDCAEQQFyIglBAnRqIAIgCSANbEECdGoqAgA4AgAgDCAEQQJyIglBAnRqIAIgCSANbEECdGoqAgA4AgAgDCAEQQNyIglBAnRqIAIgCSANbEECdGoqAgA4AgAgBEEEaiEEIAZBBGoiBiAQRw0ACyAIRQ0CCwNAIAwgBEECdGogAiAEIA1sQQJ0aioCADgCACAEQQFqIQQgC0EBaiILIAhHDQALDAELIAZFDQAgBkECdCIERQ0AIAwgBBACCyAAQQE2AjggACgCGCEIIAAgASAAKAJIIAAoAhwgAWxBAnRqIhAgB0EIaiAPIAdBBGogACgCVBEBACEJIAAoAjwgAUECdGoiCygCACIEIAcoAggiBkgEQCAHIAQ2AgggBCEGCyAHIAk2AgQgCyALKAIAIAZrNgIAIAcoAggiCyEEIAhBAk4EQCAIQQFrIgZBA3EhCUEAIRNBACEEAkAgCEECa0EDTwRAIAZBfHEhFUEAIRQDQCAQIARBAnRqIgYgBiALQQJ0IghqKgIAOAIAIAZBBGoiESAIIBFqKgIAOAIAIAZBCGoiESAIIBFqKgIAOAIAIAZBDGoiBiAGIAhqKgIAOAIAIARBBGohBCAUQQRqIhQgFUcNAAsgCUUNAQsDQCAQIARBAnRqIgYgBiALQQJ0aioCADgCACAEQQFqIQQgE0EBaiITIAlHDQALCyAHKAIIIQQLIAogBygCBCIGayEKIA4gC2siDkUNASACIAQgDWxBAnRqQQAgAhshAiAPIAAoAlwgBmxBAnRqIQ8gCg0ACwsgAyADKAIAIA5rNgIAIAUgBSgCACAKazYCACAAKAJUIAdBEGokAEEFRguNCwEHfyAAIAFqIQUCQAJAIAAoAgQiAkEBcQ0AIAJBAnFFDQEgACgCACICIAFqIQECQAJAAkAgACACayIAQYwtKAIARwRAIAAoAgwhAyACQf8BTQRAIAMgACgCCCIERw0CQfgsQfgsKAIAQX4gAkEDdndxNgIADAULIAAoAhghBiAAIANHBEAgACgCCCICIAM2AgwgAyACNgIIDAQLIAAoAhQiBAR/IABBFGoFIAAoAhAiBEUNAyAAQRBqCyECA0AgAiEHIAQiA0EUaiECIAMoAhQiBA0AIANBEGohAiADKAIQIgQNAAsgB0EANgIADAMLIAUoAgQiAkEDcUEDRw0DQYAtIAE2AgAgBSACQX5xNgIEIAAgAUEBcjYCBCAFIAE2AgAPCyAEIAM2AgwgAyAENgIIDAILQQAhAwsgBkUNAAJAIAAoAhwiAkECdCIEKAKoLyAARgRAIARBqC9qIAM2AgAgAw0BQfwsQfwsKAIAQX4gAndxNgIADAILAkAgACAGKAIQRgRAIAYgAzYCEAwBCyAGIAM2AhQLIANFDQELIAMgBjYCGCAAKAIQIgIEQCADIAI2AhAgAiADNgIYCyAAKAIUIgJFDQAgAyACNgIUIAIgAzYCGAsCQAJAAkACQCAFKAIEIgJBAnFFBEBBkC0oAgAgBUYEQEGQLSAANgIAQYQtQYQtKAIAIAFqIgE2AgAgACABQQFyNgIEIABBjC0oAgBHDQZBgC1BADYCAEGMLUEANgIADwtBjC0oAgAiCCAFRgRAQYwtIAA2AgBBgC1BgC0oAgAgAWoiATYCACAAIAFBAXI2AgQgACABaiABNgIADwsgAkF4cSABaiEBIAUoAgwhAyACQf8BTQRAIAUoAggiBCADRgRAQfgsQfgsKAIAQX4gAkEDdndxNgIADAULIAQgAzYCDCADIAQ2AggMBAsgBSgCGCEGIAMgBUcEQCAFKAIIIgIgAzYCDCADIAI2AggMAwsgBSgCFCIEBH8gBUEUagUgBSgCECIERQ0CIAVBEGoLIQIDQCACIQcgBCIDQRRqIQIgAygCFCIEDQAgA0EQaiECIAMoAhAiBA0ACyAHQQA2AgAMAgsgBSACQX5xNgIEIAAgAUEBcjYCBCAAIAFqIAE2AgAMAwtBACEDCyAGRQ0AAkAgBSgCHCICQQJ0IgQoAqgvIAVGBEAgBEGoL2ogAzYCACADDQFB/CxB/CwoAgBBfiACd3E2AgAMAgsCQCAFIAYoAhBGBEAgBiADNgIQDAELIAYgAzYCFAsgA0UNAQsgAyAGNgIYIAUoAhAiAgRAIAMgAjYCECACIAM2AhgLIAUoAhQiAkUNACADIAI2AhQgAiADNgIYCyAAIAFBAXI2AgQgACABaiABNgIAIAAgCEcNAEGALSABNgIADwsgAUH/AU0EQCABQfgBcUGgLWohAgJ/QfgsKAIAIgNBASABQQN2dCIBcUUEQEH4LCABIANyNgIAIAIMAQsgAigCCAshASACIAA2AgggASAANgIMIAAgAjYCDCAAIAE2AggPC0EfIQMgAUH///8HTQRAIAFBJiABQQh2ZyICa3ZBAXEgAkEBdHJBPnMhAwsgACADNgIcIABCADcCECADQQJ0QagvaiECAkACQEH8LCgCACIEQQEgA3QiB3FFBEBB/CwgBCAHcjYCACACIAA2AgAgACACNgIYDAELIAFBGSADQQF2a0EAIANBH0cbdCEDIAIoAgAhAgNAIAIiBCgCBEF4cSABRg0CIANBHXYhAiADQQF0IQMgBCACQQRxaiIHKAIQIgINAAsgByAANgIQIAAgBDYCGAsgACAANgIMIAAgADYCCA8LIAQoAggiASAANgIMIAQgADYCCCAAQQA2AhggACAENgIMIAAgATYCCAsLqwwBC38gAEUEQCABEAUPCyABQUBPBEBB9CxBMDYCAEEADwsCf0EQIAFBC2pBeHEgAUELSRshBiAAQQhrIgMoAgQiCEF4cSEEAkAgCEEDcUUEQCAGQYACSQ0BIAZBBGogBE0EQCADIQIgBCAGa0HYMCgCAEEBdE0NAgtBAAwCCyADIARqIQcCQCAEIAZPBEAgBCAGayICQRBJDQEgAyAGIAhBAXFyQQJyNgIEIAMgBmoiBCACQQNyNgIEIAcgBygCBEEBcjYCBCAEIAIQCwwBC0GQLSgCACAHRgRAQYQtKAIAIARqIgQgBk0NAiADIAYgCEEBcXJBAnI2AgQgAyAGaiICIAQgBmsiBEEBcjYCBEGELSAENgIAQZAtIAI2AgAMAQtBjC0oAgAgB0YEQEGALSgCACAEaiIEIAZJDQICQCAEIAZrIgJBEE8EQCADIAYgCEEBcXJBAnI2AgQgAyAGaiIFIAJBAXI2AgQgAyAEaiIEIAI2AgAgBCAEKAIEQX5xNgIEDAELIAMgCEEBcSAEckECcjYCBCADIARqIgIgAigCBEEBcjYCBEEAIQILQYwtIAU2AgBBgC0gAjYCAAwBCyAHKAIEIgVBAnENASAFQXhxIARqIgsgBkkNASALIAZrIQwgBygCDCEEAkAgBUH/AU0EQCAHKAIIIgIgBEYEQEH4LEH4LCgCAEF+IAVBA3Z3cTYCAAwCCyACIAQ2AgwgBCACNgIIDAELIAcoAhghCQJAIAQgB0cEQCAHKAIIIgIgBDYCDCAEIAI2AggMAQsCQCAHKAIUIgIEfyAHQRRqBSAHKAIQIgJFDQEgB0EQagshBQNAIAUhCiACIgRBFGohBSACKAIUIgINACAEQRBqIQUgBCgCECICDQALIApBADYCAAwBC0EAIQQLIAlFDQACQCAHKAIcIgJBAnQiBSgCqC8gB0YEQCAFQagvaiAENgIAIAQNAUH8LEH8LCgCAEF+IAJ3cTYCAAwCCwJAIAcgCSgCEEYEQCAJIAQ2AhAMAQsgCSAENgIUCyAERQ0BCyAEIAk2AhggBygCECICBEAgBCACNgIQIAIgBDYCGAsgBygCFCICRQ0AIAQgAjYCFCACIAQ2AhgLIAxBD00EQCADIAhBAXEgC3JBAnI2AgQgAyALaiICIAIoAgRBAXI2AgQMAQsgAyAGIAhBAXFyQQJyNgIEIAMgBmoiAiAMQQNyNgIEIAMgC2oiBCAEKAIEQQFyNgIEIAIgDBALCyADIQILIAILIgIEQCACQQhqDwsgARAFIgRFBEBBAA8LIAQhAgJAQXxBeCAAIgNBBGsoAgAiBUEDcRsgBUF4cWoiBSABIAEgBUsbIgFBgARPBEAgAQRAPwBBEHQiBSABIAJqSSABIANqIAVLcgRAAAsgAiADSwR/IAFBAWshBUF/IQFBfwVBACEFQQELIQoDQCABIAVHBEAgAiAFaiADIAVqLQAAOgAAIAUgCmohBQwBCwsLDAELIAEgAmohBQJAIAIgA3NBA3FFBEACQCACQQNxRQ0AIAFFDQADQCACIAMtAAA6AAAgA0EBaiEDIAJBAWoiAkEDcUUNASACIAVJDQALCyAFQXxxIQECQCAFQcAASQ0AIAIgAUFAaiIKSw0AA0AgAiADKAIANgIAIAIgAygCBDYCBCACIAMoAgg2AgggAiADKAIMNgIMIAIgAygCEDYCECACIAMoAhQ2AhQgAiADKAIYNgIYIAIgAygCHDYCHCACIAMoAiA2AiAgAiADKAIkNgIkIAIgAygCKDYCKCACIAMoAiw2AiwgAiADKAIwNgIwIAIgAygCNDYCNCACIAMoAjg2AjggAiADKAI8NgI8IANBQGshAyACQUBrIgIgCk0NAAsLIAEgAk0NAQNAIAIgAygCADYCACADQQRqIQMgAkEEaiICIAFJDQALDAELIAVBBEkNACABQQRJDQAgBUEEayEBA0AgAiADLQAAOgAAIAIgAy0AAToAASACIAMtAAI6AAIgAiADLQADOgADIANBBGohAyACQQRqIgIgAU0NAAsLIAIgBUkEQANAIAIgAy0AADoAACADQQFqIQMgAkEBaiICIAVHDQALCwsgABABIAQLwBkDE38EfAF+IwBBEGsiBCQAAkAgAL1CIIinQf////8HcSIBQfvDpP8DTQRAIAFBgIDA8gNJDQEgAEQAAAAAAAAAAEEAEAkhAAwBCyABQYCAwP8HTwRAIAAgAKEhAAwBCyMAQTBrIgkkAAJAAkACQCAAvSIYQiCIpyIBQf////8HcSIGQfrUvYAETQRAIAFB//8/cUH7wyRGDQEgBkH8souABE0EQCAYQgBZBEAgBCAARAAAQFT7Ifm/oCIARDFjYhphtNC9oCIUOQMAIAQgACAUoUQxY2IaYbTQvaA5AwhBASEBDAULIAQgAEQAAEBU+yH5P6AiAEQxY2IaYbTQPaAiFDkDACAEIAAgFKFEMWNiGmG00D2gOQMIQX8hAQwECyAYQgBZBEAgBCAARAAAQFT7IQnAoCIARDFjYhphtOC9oCIUOQMAIAQgACAUoUQxY2IaYbTgvaA5AwhBAiEBDAQLIAQgAEQAAEBU+yEJQKAiAEQxY2IaYbTgPaAiFDkDACAEIAAgFKFEMWNiGmG04D2gOQMIQX4hAQwDCyAGQbuM8YAETQRAIAZBvPvXgARNBEAgBkH8ssuABEYNAiAYQgBZBEAgBCAARAAAMH982RLAoCIARMqUk6eRDum9oCIUOQMAIAQgACAUoUTKlJOnkQ7pvaA5AwhBAyEBDAULIAQgAEQAADB/fNkSQKAiAETKlJOnkQ7pPaAiFDkDACAEIAAgFKFEypSTp5EO6T2gOQMIQX0hAQwECyAGQfvD5IAERg0BIBhCAFkEQCAEIABEAABAVPshGcCgIgBEMWNiGmG08L2gIhQ5AwAgBCAAIBShRDFjYhphtPC9oDkDCEEEIQEMBAsgBCAARAAAQFT7IRlAoCIARDFjYhphtPA9oCIUOQMAIAQgACAUoUQxY2IaYbTwPaA5AwhBfCEBDAMLIAZB+sPkiQRLDQELIABEg8jJbTBf5D+iRAAAAAAAADhDoEQAAAAAAAA4w6AiFiIUmUQAAMD////fQWMEfyAUqgVBgICAgHgLIQECQCAAIBZEAABAVPsh+b+ioCIUIBZEMWNiGmG00D2iIhehIhVEGC1EVPsh6b9jBEAgAUEBayEBIBZEAAAAAAAA8L+gIhZEMWNiGmG00D2iIRcgACAWRAAAQFT7Ifm/oqAhFAwBCyAVRBgtRFT7Iek/ZEUNACABQQFqIQEgFkQAAAAAAADwP6AiFkQxY2IaYbTQPaIhFyAAIBZEAABAVPsh+b+ioCEUCyAEIBQgF6EiFTkDAAJAIAZBFHYiAiAVvUI0iKdB/w9xa0ERSA0AIAQgFCAWRAAAYBphtNA9oiIVoSIAIBZEc3ADLooZozuiIBQgAKEgFaGhIhehIhU5AwAgAiAVvUI0iKdB/w9xa0EySARAIAAhFAwBCyAEIAAgFkQAAAAuihmjO6IiFaEiFCAWRMFJICWag3s5oiAAIBShIBWhoSIXoSIVOQMACyAEIBQgFaEgF6E5AwgMAQsgBkGAgMD/B08EQCAEIAAgAKEiADkDACAEIAA5AwhBACEBDAELIAlBEGoiAUEIciEDIBhC/////////weDQoCAgICAgICwwQCEvyEVQQEhAgNAIAEgFZlEAADA////30FjBH8gFaoFQYCAgIB4C7ciADkDACAVIAChRAAAAAAAAHBBoiEVIAJBACECIAMhAQ0ACyAJIBU5AyBBAiEBA0AgASICQQFrIQEgCUEQaiINIAJBA3RqKwMARAAAAAAAAAAAYQ0AC0EAIQMjAEGwBGsiBSQAIAZBFHZBlghrIgFBA2tBGG0iCEEAIAhBAEobIgdBaGwgAWohC0HUFigCACIIIAJBAWoiDkEBayIKakEATgRAIAggDmohASAHIAprIQIDQCAFQcACaiADQQN0aiACQQBIBHxEAAAAAAAAAAAFIAJBAnQoAuAWtws5AwAgAkEBaiECIANBAWoiAyABRw0ACwsgC0EYayEGQQAhASAIQQAgCEEAShshAyAOQQBMIQwDQAJAIAwEQEQAAAAAAAAAACEADAELIAEgCmohD0EAIQJEAAAAAAAAAAAhAANAIA0gAkEDdGorAwAgBUHAAmogDyACa0EDdGorAwCiIACgIQAgAkEBaiICIA5HDQALCyAFIAFBA3RqIAA5AwAgASADRiABQQFqIQFFDQALQS8gC2shEEEwIAtrIQ8gB0ECdEHgFmohESAIIQECQANAIAUgAUEDdGorAwAhAEEAIQIgASEDIAFBAEoEQANAIAVB4ANqIAJBAnRqIABEAAAAAAAAcD6iIhSZRAAAwP///99BYwR/IBSqBUGAgICAeAu3IhREAAAAAAAAcMGiIACgIgCZRAAAwP///99BYwR/IACqBUGAgICAeAs2AgAgBSADQQN0akEIaysDACAUoCEAIANBAWshAyACQQFqIgIgAUcNAAsLIAAgBhAGIgAgAEQAAAAAAADAP6KcRAAAAAAAACDAoqAiACAAmUQAAMD////fQWMEfyAAqgVBgICAgHgLIgy3oSEAAkACQAJAAn8gBkEATCISRQRAIAFBAnQgBWoiAiACKALcAyICIAIgD3UiAiAPdGsiAzYC3AMgAiAMaiEMIAMgEHUMAQsgBg0BIAFBAnQgBWooAtwDQRd1CyIKQQBMDQIMAQtBAiEKIABEAAAAAAAA4D9mDQBBACEKDAELQQAhAkEAIQdBASEDIAFBAEoEQANAIAVB4ANqIAJBAnRqIhMoAgAhAwJ/AkAgEyAHBH9B////BwUgA0UNAUGAgIAICyADazYCAEEBIQdBAAwBC0EAIQdBAQshAyACQQFqIgIgAUcNAAsLAkAgEg0AQf///wMhAgJAAkAgBkEBaw4CAQACC0H///8BIQILIAFBAnQgBWoiByAHKALcAyACcTYC3AMLIAxBAWohDCAKQQJHDQBEAAAAAAAA8D8gAKEhAEECIQogAw0AIABEAAAAAAAA8D8gBhAGoSEACyAARAAAAAAAAAAAYQRAQQAhAyABIQICQCABIAhMDQADQCAFQeADaiACQQFrIgJBAnRqKAIAIANyIQMgAiAISg0ACyADRQ0AA0AgBkEYayEGIAVB4ANqIAFBAWsiAUECdGooAgBFDQALDAMLQQEhAgNAIAIiA0EBaiECIAVB4ANqIAggA2tBAnRqKAIARQ0ACyABIANqIQMDQCAFQcACaiABIA5qIgdBA3RqIBEgAUEBaiIBQQJ0aigCALc5AwBBACECRAAAAAAAAAAAIQAgDkEASgRAA0AgDSACQQN0aisDACAFQcACaiAHIAJrQQN0aisDAKIgAKAhACACQQFqIgIgDkcNAAsLIAUgAUEDdGogADkDACABIANIDQALIAMhAQwBCwsCQCAAQRggC2sQBiIARAAAAAAAAHBBZgRAIAVB4ANqIAFBAnRqIABEAAAAAAAAcD6iIhSZRAAAwP///99BYwR/IBSqBUGAgICAeAsiArdEAAAAAAAAcMGiIACgIgCZRAAAwP///99BYwR/IACqBUGAgICAeAs2AgAgAUEBaiEBIAshBgwBCyAAmUQAAMD////fQWMEfyAAqgVBgICAgHgLIQILIAVB4ANqIAFBAnRqIAI2AgALRAAAAAAAAPA/IAYQBiEAIAFBAE4EQCABIQIDQCAFIAIiA0EDdGogACAFQeADaiACQQJ0aigCALeiOQMAIAJBAWshAiAARAAAAAAAAHA+oiEAIAMNAAsgASEHA0ACQCAIIAEgB2siAyADIAhKGyIGQQBIBEBEAAAAAAAAAAAhAAwBCyAFIAdBA3RqIQtBACECRAAAAAAAAAAAIQADQCACQQN0Ig0rA7AsIAsgDWorAwCiIACgIQAgAiAGRyACQQFqIQINAAsLIAVBoAFqIANBA3RqIAA5AwAgB0EASiAHQQFrIQcNAAsLRAAAAAAAAAAAIQAgAUEATgRAIAEhAgNAIAIiA0EBayECIAAgBUGgAWogA0EDdGorAwCgIQAgAw0ACwsgCSAAmiAAIAobOQMAIAUrA6ABIAChIQBBASECIAFBAEoEQANAIAAgBUGgAWogAkEDdGorAwCgIQAgASACRyACQQFqIQINAAsLIAkgAJogACAKGzkDCCAFQbAEaiQAIAxBB3EhASAJKwMAIQAgGEIAUwRAIAQgAJo5AwAgBCAJKwMImjkDCEEAIAFrIQEMAQsgBCAAOQMAIAQgCSsDCDkDCAsgCUEwaiQAIAQrAwghACAEKwMAIRQCQAJAAkACQCABQQNxQQFrDgMBAgMACyAUIABBARAJIQAMAwsgFCAAEA4hAAwCCyAUIABBARAJmiEADAELIBQgABAOmiEACyAEQRBqJAAgAAuSAQEDfEQAAAAAAADwPyAAIACiIgJEAAAAAAAA4D+iIgOhIgREAAAAAAAA8D8gBKEgA6EgAiACIAIgAkSQFcsZoAH6PqJEd1HBFmzBVr+gokRMVVVVVVWlP6CiIAIgAqIiAyADoiACIAJE1DiIvun6qL2iRMSxtL2e7iE+oKJErVKcgE9+kr6goqCiIAAgAaKhoKALvgIBBH8CQAJAAkAgAEUNACABRQ0AIAJFDQAgBUELSQ0BCyAGRQ0BIAZBAzYCAEEADwtB4AAQBCIHRQRAQQAhByAGRQ0BIAZBATYCAEEADwsgB0GAgID8AzYCLCAHQX82AhAgB0KBgICAEDcCWCAHIAA2AhQgB0GgATYCICAHIABBAnQiCBAEIgk2AjxBACEAAkAgCUUNACAHIAgQBCIKNgJEIApFDQAgByAIEAQiCDYCQCAKIQAgCEUNACAHIAU2AhAgByABIAIgAyAEEAgaAkAgBxAHIgBFBEAgB0EBNgI0DAELIAcoAkgQASAHKAJMEAEgBygCPBABIAcoAkQQASAHKAJAEAEgBxABQQAhBwsgBkUNASAGIAA2AgAgBw8LIAYEQCAGQQE2AgALIAkQASAAEAEgBxABQQAhBwsgBwuOCAMTfwF9AXwjAEGQIGsiCCQAIAUoAgAhCyADKAIAIQwgACgCXCETIAAoAlghDyAAKAJIIQYgACgCGCEJIAAoAhwhByAAQQE2AlwCQCAMRQ0AIAtFDQAgByAJa0EBaiEVIAYgASAHbCIHQQJ0aiEWIAYgB0ECdGpBBGshFwNAIAggCEEQajYCDCAIIAwgFSAMIBVJGzYCCCAIQYAIIAsgC0GACE8bIgY2AgQCQAJAAkAgAUECdCIOIAAoAkRqKAIARQRAQQAhEAwBCyAAIAEgCEEMaiAGEBEhECAIIAgoAgQgEGs2AgQgCyAQayELIAAoAkQgDmooAgANAQsgACgCGCEJIAgoAgghBgJAIAIEQCAGRQ0BIBYgCUECdGohCkEAIQcgBkEBRwRAIAZBAXEgBkF+cSENQQAhBgNAIAogB0ECdGpBBGsgAiAHIA9sQQF0ai4BALI4AgAgCiAHQQFyIhJBAnRqQQRrIAIgDyASbEEBdGouAQCyOAIAIAdBAmohByAGQQJqIgYgDUcNAAtFDQILIAogB0ECdGpBBGsgAiAHIA9sQQF0ai4BALI4AgAMAQsgBkUNACAGQQJ0IgZFDQAgFyAJQQJ0aiAGEAILIAgoAgwhBiAAQQE2AjggACABIAAoAkggACgCHCABbEECdGoiESAIQQhqIAYgCEEEaiAAKAJUEQEAIQ0gACgCPCAOaiIKKAIAIgcgCCgCCCIGSARAIAggBzYCCCAHIQYLIAggDTYCBCAKIAooAgAgBms2AgAgCCgCCCEGIAlBAkgNASAJQQFrIgpBA3EhDkEAIQ1BACEHIAlBAmtBA08EQCAKQXxxIRhBACESA0AgESAHQQJ0aiIJIAkgBkECdCIKaioCADgCACAJQQRqIhQgCiAUaioCADgCACAJQQhqIhQgCiAUaioCADgCACAJQQxqIgkgCSAKaioCADgCACAHQQRqIQcgEkEEaiISIBhHDQALIA5FDQILA0AgESAHQQJ0aiIJIAkgBkECdGoqAgA4AgAgB0EBaiEHIA1BAWoiDSAORw0ACwwBC0EAIQYgCEEANgIEC0EAIQcgECAIKAIEIgpqIgkEQANAIAQgByATbEEBdGoCf0GAgAIgCEEQaiAHQQJ0aioCACIZQwD//8ZdDQAaQf//ASAZQwD9/0ZeDQAaIBm7RAAAAAAAAOA/oJwiGplEAADA////30FjBH8gGqoFQYCAgIB4Cws7AQAgB0EBaiIHIAlHDQALCyALIAprIQsgDCAGayIMRQ0BIAIgBiAPbEEBdGpBACACGyECIAQgCSATbEEBdGohBCALDQALCyAAIBM2AlwgAyADKAIAIAxrNgIAIAUgBSgCACALazYCACAAKAJUGiAIQZAgaiQAC5QFAQt/IwBBEGsiBiQAIAYgAzYCDCAGIAFBAnQiAyAAKAJEaigCADYCCCACKAIAIQUgAEEBNgI4IAAoAhghCCAAIAEgACgCSCAAKAIcIAFsQQJ0aiIKIAZBCGogBSAGQQxqIAAoAlQRAQAhBCAAKAI8IANqIgcoAgAiAyAGKAIIIgVIBEAgBiADNgIIIAMhBQsgBiAENgIMIAcgBygCACAFazYCACAGKAIIIQUCQCAIQQJIDQAgCEEBayIEQQNxIQxBACEHQQAhAyAIQQJrQQNPBEAgBEF8cSEJA0AgCiADQQJ0aiIEIAQgBUECdCILaioCADgCACAEQQRqIg4gCyAOaioCADgCACAEQQhqIg4gCyAOaioCADgCACAEQQxqIgQgBCALaioCADgCACADQQRqIQMgDUEEaiINIAlHDQALIAxFDQELA0AgCiADQQJ0aiIEIAQgBUECdGoqAgA4AgAgA0EBaiEDIAdBAWoiByAMRw0ACwsgACgCRCABQQJ0aiIBIAEoAgAiASAFayIENgIAAkAgASAFRg0AIARBA3EhCyAKIAhBAnRqIgxBBGshCEEAIQcgBigCCCEKQQAhAyAFIAFrQXxNBEAgBEF8cSENQQAhBANAIAggA0ECdCIJaiIBIAEgCkECdCIFaioCADgCACAJIAxqIgkgBSAJaioCADgCACABQQhqIgkgBSAJaioCADgCACABQQxqIgEgASAFaioCADgCACADQQRqIQMgBEEEaiIEIA1HDQALIAtFDQELA0AgCCADQQJ0aiIBIAEgCkECdGoqAgA4AgAgA0EBaiEDIAdBAWoiByALRw0ACwsgAiACKAIAIAYoAgwiASAAKAJcbEECdGo2AgAgBkEQaiQAIAELwAQCEn8BfSABQQJ0IgEgACgCQGoiEygCACEGAkAgACgCPCABaiIUKAIAIgggAygCACIOTg0AIAAoAgwhCyAAKAIoIQ8gACgCJCEQIAAoAlwhEUEAIQEgBSgCACIDQQAgA0EAShshBwJAIAAoAhgiDEEATARAIANBAEwNAgwBCyADQQBMDQEgACgCTCEVIAxB/P///wdxIRYgDEEDcSESIAxBBEkhF0EAIQADQCACIAhBAnRqIQEgFSAGIAxsQQJ0aiEJQwAAAAAhGEEAIQVBACENQQAhAwJAIBdFBEADQCAJIAVBAnQiA0EMciIKaioCACABIApqKgIAlCAJIANBCHIiCmoqAgAgASAKaioCAJQgCSADQQRyIgpqKgIAIAEgCmoqAgCUIAMgCWoqAgAgASADaioCAJQgGJKSkpIhGCAFQQRqIQUgDUEEaiINIBZHDQALIAUhAyASRQ0BC0EAIQUDQCAJIANBAnQiDWoqAgAgASANaioCAJQgGJIhGCADQQFqIQMgBUEBaiIFIBJHDQALCyAEIAAgEWxBAnRqIBg4AgAgBiAPaiIBIAtBACABIAtPIgEbayEGIABBAWohACAOIAggEGogAWoiCEoEQCAAIAdGDQMMAQsLIAAhBwwBCwNAAkAgBCABIBFsQQJ0akEANgIAIAYgD2oiACALQQAgACALTyIAG2shBiABQQFqIQEgCCAQaiAAaiIIIA5ODQAgASAHRw0BDAILCyABIQcLIBQgCDYCACATIAY2AgAgBwvzAwIOfwR8IAFBAnQiASAAKAJAaiIPKAIAIQYCQCAAKAI8IAFqIhAoAgAiCCADKAIAIgpODQAgACgCDCEJIAAoAighCyAAKAIkIQwgACgCXCENQQAhASAFKAIAIgNBACADQQBKGyEHAkAgACgCGCIOQQBMBEAgA0EATA0CDAELIANBAEwNASAAKAJMIRFBACEAA0AgAiAIQQJ0aiESIBEgBiAObEECdGohE0QAAAAAAAAAACEUQQAhA0QAAAAAAAAAACEVRAAAAAAAAAAAIRZEAAAAAAAAAAAhFwNAIBQgEyADQQJ0IgVqIgEqAgwgBSASaiIFKgIMlLugIRQgFyABKgIIIAUqAgiUu6AhFyAWIAEqAgQgBSoCBJS7oCEWIBUgASoCACAFKgIAlLugIRUgA0EEaiIDIA5IDQALIAQgACANbEECdGogFSAWoCAXoCAUoLY4AgAgBiALaiIBIAlBACABIAlPIgEbayEGIABBAWohACAKIAggDGogAWoiCEoEQCAAIAdGDQMMAQsLIAAhBwwBCwNAAkAgBCABIA1sQQJ0akEANgIAIAYgC2oiACAJQQAgACAJTyIAG2shBiABQQFqIQEgCCAMaiAAaiIIIApODQAgASAHRw0BDAILCyABIQcLIBAgCDYCACAPIAY2AgAgBwuSBAIJfRB/IAFBAnQiASAAKAJAaiIUKAIAIQ8CQCAAKAI8IAFqIhUoAgAiESADKAIAIhZODQAgBSgCACIBQQAgAUEAShshECABQQBMDQAgACgCKCEXIAAoAiQhGCAAKAJcIRkgACgCDCIFsyEMIAAoAjAhEyAAKAIYIhpBAEwhG0EAIQMDQCAPIBNsIgEgASAFbiIcIAVsa7MgDJUhBgJAIBsEQEMAAAAAIQlDAAAAACEKQwAAAAAhC0MAAAAAIQcMAQsgAiARQQJ0aiEdIAAoAkwhHkEAIQFDAAAAACEHQwAAAAAhC0MAAAAAIQpDAAAAACEJA0AgHSABQQJ0aioCACIIIB4gAUEBaiIBIBNsIBxrQQJ0aiISKgIUlCAHkiEHIAggEioCEJQgC5IhCyAIIBIqAgyUIAqSIQogCCASKgIIlCAJkiEJIAEgGkcNAAsLIAQgAyAZbEECdGogBkM7qqq+lCAGQwAAAD+UIAaUIgiSIAYgBiAGQ4qrKj6UlJQiDZMiDiAHlEQAAAAAAADwPyAGQ4qrKr6UIA2SIge7oSAIIAaSIAggBpSTIga7oSAOu6G2IAuUIAcgCZQgBiAKlJKSkjgCACAPIBdqIgEgBUEAIAEgBU8iARtrIQ8gA0EBaiEDIBYgESAYaiABaiIRSgRAIAMgEEYNAgwBCwsgAyEQCyAVIBE2AgAgFCAPNgIAIBALugQDBH0GfBB/IAFBAnQiASAAKAJAaiIVKAIAIRACQCAAKAI8IAFqIhYoAgAiEiADKAIAIhdODQAgBSgCACIBQQAgAUEAShshESABQQBMDQAgACgCKCEYIAAoAiQhGSAAKAJcIRogACgCDCIFsyEIIAAoAjAhFCAAKAIYIhtBAEwhHEEAIQMDQCAQIBRsIgEgASAFbiIdIAVsa7MgCJUhBgJAIBwEQEQAAAAAAAAAACELRAAAAAAAAAAAIQxEAAAAAAAAAAAhDUQAAAAAAAAAACEKDAELIAIgEkECdGohHiAAKAJMIR9BACEBRAAAAAAAAAAAIQpEAAAAAAAAAAAhDUQAAAAAAAAAACEMRAAAAAAAAAAAIQsDQCAKIB4gAUECdGoqAgAiByAfIAFBAWoiASAUbCAda0ECdGoiEyoCFJS7oCEKIA0gByATKgIQlLugIQ0gDCAHIBMqAgyUu6AhDCALIAcgEyoCCJS7oCELIAEgG0cNAAsLIAQgAyAabEECdGogBkM7qqq+lCAGQwAAAD+UIAaUIgeSIAYgBiAGQ4qrKj6UlJQiCZO7Ig4gCqJEAAAAAAAA8D8gBkOKqyq+lCAJkrsiCqEgByAGkiAHIAaUk7siD6EgDqG2uyANoiAKIAuiIAwgD6KgoKC2OAIAIBAgGGoiASAFQQAgASAFTyIBG2shECADQQFqIQMgFyASIBlqIAFqIhJKBEAgAyARRg0CDAELCyADIRELIBYgEjYCACAVIBA2AgAgEQs3AQF/QQMhAgJAIAFBCksNAEEAIQIgACgCECABRg0AIAAgATYCECAAKAI0RQ0AIAAQByECCyACCx4BAX9BvQghASAAQQRNBH8gAEECdCgCsBYFQb0ICwuGAQEFfwJAIAAoAhRFBEAMAQsgACgCQCEDIAAoAkQhBCAAKAI8IQUDQCAFIAFBAnQiAmpBADYCACACIARqQQA2AgAgAiADakEANgIAIAFBAWoiASAAKAIUIgJJDQALCwJAIAAoAhhBAWsgAmwiAUUNACABQQJ0IgFFDQAgACgCSCABEAILQQALOgECfyAAKAIUBEAgACgCPCECA0AgAiABQQJ0aiAAKAIYQQF2NgIAIAFBAWoiASAAKAIUSQ0ACwtBAAseACAAKAIMIAAoAhhBAXZsIAAoAggiAEEBdmogAG4LCgAgACgCGEEBdgsWACABIAAoAgg2AgAgAiAAKAIMNgIACxYAIAEgACgCADYCACACIAAoAgQ2AgALDgAgACABIAIgASACEAgLywEBBn8gACgCXCEIIAIoAgAhBiAEKAIAIQcgACAAKAIUIgU2AlwgACgCWCEJIAAgBTYCWAJAIAVFDQBBACEFIAFFBEADQCAEIAc2AgAgAiAGNgIAIAAgBUEAIAIgAyAFQQF0aiAEEBAgBUEBaiIFIAAoAhRJDQAMAgsACwNAIAQgBzYCACACIAY2AgAgACAFIAEgBUEBdCIKaiACIAMgCmogBBAQIAVBAWoiBSAAKAIUSQ0ACwsgACAINgJcIAAgCTYCWCAAKAJUQQVGC80BAQZ/IAAoAlwhCCACKAIAIQYgBCgCACEHIAAgACgCFCIFNgJcIAAoAlghCSAAIAU2AlgCQCAFRQ0AQQAhBSABRQRAA0AgBCAHNgIAIAIgBjYCACAAIAVBACACIAMgBUECdGogBBAKGiAFQQFqIgUgACgCFEkNAAwCCwALA0AgBCAHNgIAIAIgBjYCACAAIAUgASAFQQJ0IgpqIAIgAyAKaiAEEAoaIAVBAWoiBSAAKAIUSQ0ACwsgACAINgJcIAAgCTYCWCAAKAJUQQVGCykAIAAoAkgQASAAKAJMEAEgACgCPBABIAAoAkQQASAAKAJAEAEgABABC88BAQd/IAFBAnQiASAAKAJAaiIIKAIAIQZBACECAkAgACgCPCABaiIJKAIAIgcgAygCACIKTg0AQQAhASAFKAIAIgNBACADQQBKGyECIANBAEwNACAAKAIMIQMgACgCKCEFIAAoAiQhCyAAKAJcIQADQAJAIAQgACABbEECdGpBADYCACAFIAZqIgYgA0EAIAMgBk0iDBtrIQYgAUEBaiEBIAcgC2ogDGoiByAKTg0AIAEgAkcNAQwCCwsgASECCyAJIAc2AgAgCCAGNgIAIAILEgAgACABIAIgASACIAMgBBAPCwIACwvoJAYAQYAIC6YBSW52YWxpZCBhcmd1bWVudC4AU3VjY2Vzcy4ASW5wdXQgYW5kIG91dHB1dCBidWZmZXJzIG92ZXJsYXAuAFVua25vd24gZXJyb3IuIEJhZCBlcnJvciBjb2RlIG9yIHN0cmFuZ2UgdmVyc2lvbiBtaXNtYXRjaC4AQmFkIHJlc2FtcGxlciBzdGF0ZS4ATWVtb3J5IGFsbG9jYXRpb24gZmFpbGVkLgBBsAkL0AgIAAAABAAAAOF6VD/2KFw/jAUAABAAAAAEAAAAmplZP65HYT+MBQAAIAAAAAQAAADBymE/w/VoP4wFAAAwAAAACAAAALgeZT+DwGo/lAUAAEAAAAAIAAAAqMZrP9ejcD+UBQAAUAAAABAAAAAxCGw/16NwP5wFAABgAAAAEAAAANejcD+F63E/nAUAAIAAAAAQAAAAMzNzPzMzcz+cBQAAoAAAABAAAACPwnU/j8J1P5wFAADAAAAAIAAAANnOdz/Zznc/pAUAAAABAAAgAAAAmpl5P5qZeT+kBQAAsAUAACAAAADQBgAAIAAAAPAHAAAgAAAAEAkAAEAAAAAAAAAAJZHguiDq7z8AAAAAAADwPyWR4Log6u8/3ksrz82o7z9aH/+a5jzvP1XPF7Xap+4/vqBk9qLr7T/XkG46uArtP4voz2UHCOw/td5vtOPm6j9YAHQU96rpPyJyVTQxWOg/UMWuabXy5j9Y5LYByH7lP5RFJ2y7AOQ/RytKS9184j+po+NqZPfgP6qpl6W+6N4/FsR6gkjv2z9LZsyPhQnZPz/p4VfuPdY/wmpufT+S0z+gvqdqaQvRPytyXzkIW80/J5liL5D3yD+hB8qvF/HEP8pirICMSsE/IsW+bFQKvD9hhQCFH0G2P4/ecB+5NbE/Q4TJnk7DqT8he3vfEXiiP/NHKOi855g/We0O5+l1jj8hAg6hSs1+PwAAAAAAAAAAwVNMzh7i7z8AAAAAAADwP8FTTM4e4u8/z0LImg2J7z8MbeeYf/buP4gSLXk8Le4/mk30twwx7T+1sMC6ngbsP8yZDhlms+o/3Hksx3U96T9RqyK7VqvnP5U2yU3cA+Y/davnpPdN5D93AJvei5DiPxOB6h9E0uA/xgDD0dky3j9TPgRVo9faP9kIYcE/ndc/qGoG4Z+M1D9uJH0YKa3RP1rvefZDCc4/GwBgK1cuyT9RlmsbkM7EP4vsWq3Z68A/6dYpXn4Kuz/fF/rUby61PwYNgUwAOLA/yr1E5fQvqD+mFfjtmHihP0v1U9J5Q5g/lM+f9I0BkD8Abjc9/6iDP95pGUbNmXU/4IWMy+EoYz/8qfHSTWJAPwAAAAAAAAAAuaajkCLa7z8AAAAAAADwP7mmo5Ai2u8/hQsW2ntp7z9ERs1417DuPyZTw4bAtO0/M9ouXVZ77D+pzhc5EwzrP6nqcSGHb+k/cuaRHgqv5z/W0WnEadTlP8CnpBSV6eM/OaAA5Ur44T/qgxvfzQngP1Vq1TJCTdw/Q13e+5+s2D8PWvbBhT7VPx8F28pDDdI/oGc3IxhBzj+Mi3rz4frIP/CuSIb7TMQ/dOMnH8w3wD/uYYrNIm+5PztOVcoAirM/6GEuyuhXrT8kM80qInmlP7tpbfnMgp4/Iix0b4/vlD8+Ed0W2YyLP13CX5umMoE/UAiy2AUHdD+ByCq+BBtlP9zuq5Ov21I/G8qaom1GNz8AQZASC7IEyFEM0oT07z8AAAAAAADwP8hRDNKE9O8/9pUH6SnS7z/a08TxMpnvP9T9ENkPSu8/fp+7blvl7j9hwT+d2WvuPx3X8SV13u0/an9v7Dw+7T/J6jXBYIzsP3ckRQEuyus/Hrx+2gv56j860L80dxrqP/UlI4D+L+k/8kBDgz076D8OB1Pe2D3nP/fyr6N5OeY/TMjFIMkv5T/OuHiRbCLkP/+ZWhkBE+M/L5wx7RcD4j9j2QbNMvTgP01ahnKBz98/zY9k+zW+3T8VxjeQBbfbP+AHrag9vNk/YDMKk/PP1z/zHfzEAfTVP0qFZ/gFKtQ/5808FGBz0j+NyjQ3MtHQP9jRevDBiM4/ryd4Eiqbyz/ISJPeedrIP7XPWyMfR8Y/PVdCFB/hwz+1zQFAHajBP026kLvGNr8/LgwmONRzuz9mkgUKxAS4P4BUFsd55rQ/YkhOJm4Vsj+kFYSXhRuvP+yy6yCnlqo/l6hBRZOTpj8+eC/vWAmjP9XnrEfI3Z8/bM9NFzl2mj/08djo/8mVPw8LtaZ5x5E/VRds+h67jD/+pLEosveGPzy3lup+JYI/pfu1zFROfD9nH1R3n8J1PwXEfxU7dXA/dH+znJ1vaD/T8PMAksBhP/dS2/qnI1k/P8Gs7XlAUT/xQgCR+sJGP3uyzVM+gDw/JlGSIvCPMD/HVG5gehQhP32Jfzcgqws/8WjjiLX45D4AAAAAAAAAABIEAACNBAAAeAQAAAAEAAAbBABB0BYL1xUDAAAABAAAAAQAAAAGAAAAg/miAERObgD8KRUA0VcnAN009QBi28AAPJmVAEGQQwBjUf4Au96rALdhxQA6biQA0k1CAEkG4AAJ6i4AHJLRAOsd/gApsRwA6D6nAPU1ggBEuy4AnOmEALQmcABBfl8A1pE5AFODOQCc9DkAi1+EACj5vQD4HzsA3v+XAA+YBQARL+8AClqLAG0fbQDPfjYACcsnAEZPtwCeZj8ALepfALondQDl68cAPXvxAPc5BwCSUooA+2vqAB+xXwAIXY0AMANWAHv8RgDwq2sAILzPADb0mgDjqR0AXmGRAAgb5gCFmWUAoBRfAI1AaACA2P8AJ3NNAAYGMQDKVhUAyahzAHviYABrjMAAGcRHAM1nwwAJ6NwAWYMqAIt2xACmHJYARK/dABlX0QClPgUABQf/ADN+PwDCMugAmE/eALt9MgAmPcMAHmvvAJ/4XgA1HzoAf/LKAPGHHQB8kCEAaiR8ANVu+gAwLXcAFTtDALUUxgDDGZ0ArcTCACxNQQAMAF0Ahn1GAONxLQCbxpoAM2IAALTSfAC0p5cAN1XVANc+9gCjEBgATXb8AGSdKgBw16sAY3z4AHqwVwAXFecAwElWADvW2QCnhDgAJCPLANaKdwBaVCMAAB+5APEKGwAZzt8AnzH/AGYeagCZV2EArPtHAH5/2AAiZbcAMuiJAOa/YADvxM0AbDYJAF0/1AAW3tcAWDveAN6bkgDSIigAKIboAOJYTQDGyjIACOMWAOB9ywAXwFAA8x2nABjgWwAuEzQAgxJiAINIAQD1jlsArbB/AB7p8gBISkMAEGfTAKrd2ACuX0IAamHOAAoopADTmbQABqbyAFx3fwCjwoMAYTyIAIpzeACvjFoAb9e9AC2mYwD0v8sAjYHvACbBZwBVykUAytk2ACio0gDCYY0AEsl3AAQmFAASRpsAxFnEAMjFRABNspEAABfzANRDrQApSeUA/dUQAAC+/AAelMwAcM7uABM+9QDs8YAAs+fDAMf4KACTBZQAwXE+AC4JswALRfMAiBKcAKsgewAutZ8AR5LCAHsyLwAMVW0AcqeQAGvnHwAxy5YAeRZKAEF54gD034kA6JSXAOLmhACZMZcAiO1rAF9fNgC7/Q4ASJq0AGekbABxckIAjV0yAJ8VuAC85QkAjTElAPd0OQAwBRwADQwBAEsIaAAs7lgAR6qQAHTnAgC91iQA932mAG5IcgCfFu8AjpSmALSR9gDRU1EAzwryACCYMwD1S34AsmNoAN0+XwBAXQMAhYl/AFVSKQA3ZMAAbdgQADJIMgBbTHUATnHUAEVUbgALCcEAKvVpABRm1QAnB50AXQRQALQ72wDqdsUAh/kXAElrfQAdJ7oAlmkpAMbMrACtFFQAkOJqAIjZiQAsclAABKS+AHcHlADzMHAAAPwnAOpxqABmwkkAZOA9AJfdgwCjP5cAQ5T9AA2GjAAxQd4AkjmdAN1wjAAXt+cACN87ABU3KwBcgKAAWoCTABARkgAP6NgAbICvANv/SwA4kA8AWRh2AGKlFQBhy7sAx4m5ABBAvQDS8gQASXUnAOu29gDbIrsAChSqAIkmLwBkg3YACTszAA6UGgBROqoAHaPCAK/trgBcJhIAbcJNAC16nADAVpcAAz+DAAnw9gArQIwAbTGZADm0BwAMIBUA2MNbAPWSxADGrUsATsqlAKc3zQDmqTYAq5KUAN1CaAAZY94AdozvAGiLUgD82zcArqGrAN8VMQAArqEADPvaAGRNZgDtBbcAKWUwAFdWvwBH/zoAavm5AHW+8wAok98Aq4AwAGaM9gAEyxUA+iIGANnkHQA9s6QAVxuPADbNCQBOQukAE76kADMjtQDwqhoAT2WoANLBpQALPw8AW3jNACP5dgB7iwQAiRdyAMamUwBvbuIA7+sAAJtKWADE2rcAqma6AHbPzwDRAh0AsfEtAIyZwQDDrXcAhkjaAPddoADGgPQArPAvAN3smgA/XLwA0N5tAJDHHwAq27YAoyU6AACvmgCtU5MAtlcEACkttABLgH4A2genAHaqDgB7WaEAFhIqANy3LQD65f0Aidv+AIm+/QDkdmwABqn8AD6AcACFbhUA/Yf/ACg+BwBhZzMAKhiGAE296gCz568Aj21uAJVnOQAxv1sAhNdIADDfFgDHLUMAJWE1AMlwzgAwy7gAv2z9AKQAogAFbOQAWt2gACFvRwBiEtIAuVyEAHBhSQBrVuAAmVIBAFBVNwAe1bcAM/HEABNuXwBdMOQAhS6pAB2ywwChMjYACLekAOqx1AAW9yEAj2nkACf/dwAMA4AAjUAtAE/NoAAgpZkAs6LTAC9dCgC0+UIAEdrLAH2+0ACb28EAqxe9AMqigQAIalwALlUXACcAVQB/FPAA4QeGABQLZACWQY0Ah77eANr9KgBrJbYAe4k0AAXz/gC5v54AaGpPAEoqqABPxFoALfi8ANdamAD0x5UADU2NACA6pgCkV18AFD+xAIA4lQDMIAEAcd2GAMnetgC/YPUATWURAAEHawCMsKwAssDQAFFVSAAe+w4AlXLDAKMGOwDAQDUABtx7AOBFzABOKfoA1srIAOjzQQB8ZN4Am2TYANm+MQCkl8MAd1jUAGnjxQDw2hMAujo8AEYYRgBVdV8A0r31AG6SxgCsLl0ADkTtABw+QgBhxIcAKf3pAOfW8wAifMoAb5E1AAjgxQD/140AbmriALD9xgCTCMEAfF10AGutsgDNbp0APnJ7AMYRagD3z6kAKXPfALXJugC3AFEA4rINAHS6JADlfWAAdNiKAA0VLACBGAwAfmaUAAEpFgCfenYA/f2+AFZF7wDZfjYA7NkTAIu6uQDEl/wAMagnAPFuwwCUxTYA2KhWALSotQDPzA4AEoktAG9XNAAsVokAmc7jANYguQBrXqoAPiqcABFfzAD9C0oA4fT7AI47bQDihiwA6dSEAPy0qQDv7tEALjXJAC85YQA4IUQAG9nIAIH8CgD7SmoALxzYAFO0hABOmYwAVCLMACpV3ADAxtYACxmWABpwuABplWQAJlpgAD9S7gB/EQ8A9LURAPzL9QA0vC0ANLzuAOhdzADdXmAAZ46bAJIz7wDJF7gAYVibAOFXvABRg8YA2D4QAN1xSAAtHN0ArxihACEsRgBZ89cA2XqYAJ5UwABPhvoAVgb8AOV5rgCJIjYAOK0iAGeT3ABV6KoAgiY4AMrnmwBRDaQAmTOxAKnXDgBpBUgAZbLwAH+IpwCITJcA+dE2ACGSswB7gkoAmM8hAECf3ADcR1UA4XQ6AGfrQgD+nd8AXtRfAHtnpAC6rHoAVfaiACuIIwBBulUAWW4IACEqhgA5R4MAiePmAOWe1ABJ+0AA/1bpABwPygDFWYoAlPorANPBxQAPxc8A21quAEfFhgCFQ2IAIYY7ACx5lAAQYYcAKkx7AIAsGgBDvxIAiCaQAHg8iQCoxOQA5dt7AMQ6wgAm9OoA92eKAA2SvwBloysAPZOxAL18CwCkUdwAJ91jAGnh3QCalBkAqCmVAGjOKAAJ7bQARJ8gAE6YygBwgmMAfnwjAA+5MgCn9Y4AFFbnACHxCAC1nSoAb35NAKUZUQC1+asAgt/WAJbdYQAWNgIAxDqfAIOioQBy7W0AOY16AIK4qQBrMlwARidbAAA07QDSAHcA/PRVAAFZTQDgcYAAQbMsCz1A+yH5PwAAAAAtRHQ+AAAAgJhG+DwAAABgUcx4OwAAAICDG/A5AAAAQCAlejgAAACAIoLjNgAAAAAd82k1AEHwLAsDcBgB';
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3BlZXhfd2FzbV9iaW5hcnkuanMiLCJzb3VyY2VSb290IjoiLyIsInNvdXJjZXMiOlsic3BlZXhfd2FzbV9iaW5hcnkuanMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7QUFBQSxrQkFBZSw4cHBDQUE4cHBDLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyJleHBvcnQgZGVmYXVsdCAnQUdGemJRRUFBQUFCYkJCZ0FYOEJmMkFHZjM5L2YzOS9BWDlnQlg5L2YzOS9BWDlnQVg4QVlBSi9md0JnQW45L0FYOWdBMzkvZndCZ0FueC9BWHhnQTN4OGZ3RjhZQUY4QVh4Z0FueDhBWHhnQjM5L2YzOS9mMzhCZjJBR2YzOS9mMzkvQUdBRWYzOS9md0YvWUFOL2YzOEJmMkFBQUFJSEFRRmhBV0VBQUFNbEpBTUVBQUFBQndBQ0NBRUVCUWtLQ3d3TkFRRUJBUVVBQUFBQUFBWUdEZ0lDQXdFQ0R3UUZBWEFCQmdZRkJ3RUJ3QUtBZ0FJR0NBRi9BVUh3c0FRTEIxRVVBV0lDQUFGakFDUUJaQUFqQVdVQUR3Rm1BQWdCWndBQkFXZ0FGZ0ZwQUNFQmFnQUtBV3NBSUFGc0FCOEJiUUFlQVc0QUhRRnZBQndCY0FBYkFYRUFHZ0Z5QUJrQmN3QVlBWFFBRndGMUFBVUpDd0VBUVFFTEJSVVVFeElpQ3VhMEFTVGZDd0VJZndKQUlBQkZEUUFnQUVFSWF5SURJQUJCQkdzb0FnQWlBa0Y0Y1NJQWFpRUZBa0FnQWtFQmNRMEFJQUpCQW5GRkRRRWdBeUFES0FJQUlnUnJJZ05CaUMwb0FnQkpEUUVnQUNBRWFpRUFBa0FDUUFKQVFZd3RLQUlBSUFOSEJFQWdBeWdDRENFQklBUkIvd0ZOQkVBZ0FTQURLQUlJSWdKSERRSkIrQ3hCK0N3b0FnQkJmaUFFUVFOMmQzRTJBZ0FNQlFzZ0F5Z0NHQ0VISUFFZ0EwY0VRQ0FES0FJSUlnSWdBVFlDRENBQklBSTJBZ2dNQkFzZ0F5Z0NGQ0lDQkg4Z0EwRVVhZ1VnQXlnQ0VDSUNSUTBESUFOQkVHb0xJUVFEUUNBRUlRWWdBaUlCUVJScUlRUWdBU2dDRkNJQ0RRQWdBVUVRYWlFRUlBRW9BaEFpQWcwQUN5QUdRUUEyQWdBTUF3c2dCU2dDQkNJQ1FRTnhRUU5IRFFOQmdDMGdBRFlDQUNBRklBSkJmbkUyQWdRZ0F5QUFRUUZ5TmdJRUlBVWdBRFlDQUE4TElBSWdBVFlDRENBQklBSTJBZ2dNQWd0QkFDRUJDeUFIUlEwQUFrQWdBeWdDSENJRVFRSjBJZ0lvQXFndklBTkdCRUFnQWtHb0wyb2dBVFlDQUNBQkRRRkIvQ3hCL0N3b0FnQkJmaUFFZDNFMkFnQU1BZ3NDUUNBRElBY29BaEJHQkVBZ0J5QUJOZ0lRREFFTElBY2dBVFlDRkFzZ0FVVU5BUXNnQVNBSE5nSVlJQU1vQWhBaUFnUkFJQUVnQWpZQ0VDQUNJQUUyQWhnTElBTW9BaFFpQWtVTkFDQUJJQUkyQWhRZ0FpQUJOZ0lZQ3lBRElBVlBEUUFnQlNnQ0JDSUVRUUZ4UlEwQUFrQUNRQUpBQWtBZ0JFRUNjVVVFUUVHUUxTZ0NBQ0FGUmdSQVFaQXRJQU0yQWdCQmhDMUJoQzBvQWdBZ0FHb2lBRFlDQUNBRElBQkJBWEkyQWdRZ0EwR01MU2dDQUVjTkJrR0FMVUVBTmdJQVFZd3RRUUEyQWdBUEMwR01MU2dDQUNJSElBVkdCRUJCakMwZ0F6WUNBRUdBTFVHQUxTZ0NBQ0FBYWlJQU5nSUFJQU1nQUVFQmNqWUNCQ0FBSUFOcUlBQTJBZ0FQQ3lBRVFYaHhJQUJxSVFBZ0JTZ0NEQ0VCSUFSQi93Rk5CRUFnQlNnQ0NDSUNJQUZHQkVCQitDeEIrQ3dvQWdCQmZpQUVRUU4yZDNFMkFnQU1CUXNnQWlBQk5nSU1JQUVnQWpZQ0NBd0VDeUFGS0FJWUlRZ2dBU0FGUndSQUlBVW9BZ2dpQWlBQk5nSU1JQUVnQWpZQ0NBd0RDeUFGS0FJVUlnSUVmeUFGUVJScUJTQUZLQUlRSWdKRkRRSWdCVUVRYWdzaEJBTkFJQVFoQmlBQ0lnRkJGR29oQkNBQktBSVVJZ0lOQUNBQlFSQnFJUVFnQVNnQ0VDSUNEUUFMSUFaQkFEWUNBQXdDQ3lBRklBUkJmbkUyQWdRZ0F5QUFRUUZ5TmdJRUlBQWdBMm9nQURZQ0FBd0RDMEVBSVFFTElBaEZEUUFDUUNBRktBSWNJZ1JCQW5RaUFpZ0NxQzhnQlVZRVFDQUNRYWd2YWlBQk5nSUFJQUVOQVVIOExFSDhMQ2dDQUVGK0lBUjNjVFlDQUF3Q0N3SkFJQVVnQ0NnQ0VFWUVRQ0FJSUFFMkFoQU1BUXNnQ0NBQk5nSVVDeUFCUlEwQkN5QUJJQWcyQWhnZ0JTZ0NFQ0lDQkVBZ0FTQUNOZ0lRSUFJZ0FUWUNHQXNnQlNnQ0ZDSUNSUTBBSUFFZ0FqWUNGQ0FDSUFFMkFoZ0xJQU1nQUVFQmNqWUNCQ0FBSUFOcUlBQTJBZ0FnQXlBSFJ3MEFRWUF0SUFBMkFnQVBDeUFBUWY4QlRRUkFJQUJCK0FGeFFhQXRhaUVDQW45QitDd29BZ0FpQkVFQklBQkJBM1owSWdCeFJRUkFRZmdzSUFBZ0JISTJBZ0FnQWd3QkN5QUNLQUlJQ3lFQUlBSWdBellDQ0NBQUlBTTJBZ3dnQXlBQ05nSU1JQU1nQURZQ0NBOExRUjhoQVNBQVFmLy8vd2ROQkVBZ0FFRW1JQUJCQ0habklnSnJka0VCY1NBQ1FRRjBja0UrY3lFQkN5QURJQUUyQWh3Z0EwSUFOd0lRSUFGQkFuUkJxQzlxSVFRQ2Z3SkFBbjlCL0N3b0FnQWlCa0VCSUFGMElnSnhSUVJBUWZ3c0lBSWdCbkkyQWdBZ0JDQUROZ0lBUVJnaEFVRUlEQUVMSUFCQkdTQUJRUUYyYTBFQUlBRkJIMGNiZENFQklBUW9BZ0FoQkFOQUlBUWlBaWdDQkVGNGNTQUFSZzBDSUFGQkhYWWhCQ0FCUVFGMElRRWdBaUFFUVFSeGFpSUdLQUlRSWdRTkFBc2dCaUFETmdJUVFSZ2hBU0FDSVFSQkNBc2hBQ0FESWdJTUFRc2dBaWdDQ0NJRUlBTTJBZ3dnQWlBRE5nSUlRUmdoQUVFSUlRRkJBQXNoQmlBQklBTnFJQVEyQWdBZ0F5QUNOZ0lNSUFBZ0Eyb2dCallDQUVHWUxVR1lMU2dDQUVFQmF5SUFRWDhnQUJzMkFnQUxDeW9BSUFBZ0FXby9BRUVRZEVzRVFBQUxBMEFnQVFSQUlBRkJBV3NpQVNBQWFrRUFPZ0FBREFFTEN3dFVBZ0YvQVg0Q1FFSHdMQ2dDQUNJQnJTQUFyVUlIZkVMNC8vLy9INE44SWdKQy8vLy8vdzlZQkVBZ0FxY2lBRDhBUVJCMFRRMEJJQUFRQUEwQkMwSDBMRUV3TmdJQVFYOFBDMEh3TENBQU5nSUFJQUVMa0FNQkEzOENRQUovUVFBZ0FFVU5BQm9nQUNJQ0lBQkJBWEpCZ0lBRVNRMEFHaUFDQ3lJQUVBVWlBa1VOQUNBQ1FRUnJMUUFBUVFOeFJRMEFBa0FnQUVVTkFDQUNRUUE2QUFBZ0FDQUNhaUlCUVFGclFRQTZBQUFnQUVFRFNRMEFJQUpCQURvQUFpQUNRUUE2QUFFZ0FVRURhMEVBT2dBQUlBRkJBbXRCQURvQUFDQUFRUWRKRFFBZ0FrRUFPZ0FESUFGQkJHdEJBRG9BQUNBQVFRbEpEUUFnQWtFQUlBSnJRUU54SWdGcUlnTkJBRFlDQUNBRElBQWdBV3RCZkhFaUFHb2lBVUVFYTBFQU5nSUFJQUJCQ1VrTkFDQURRUUEyQWdnZ0EwRUFOZ0lFSUFGQkNHdEJBRFlDQUNBQlFReHJRUUEyQWdBZ0FFRVpTUTBBSUFOQkFEWUNHQ0FEUVFBMkFoUWdBMEVBTmdJUUlBTkJBRFlDRENBQlFSQnJRUUEyQWdBZ0FVRVVhMEVBTmdJQUlBRkJHR3RCQURZQ0FDQUJRUnhyUVFBMkFnQWdBQ0FEUVFSeFFSaHlJZ0JySWdGQklFa05BQ0FBSUFOcUlRQURRQ0FBUWdBM0F4Z2dBRUlBTndNUUlBQkNBRGNEQ0NBQVFnQTNBd0FnQUVFZ2FpRUFJQUZCSUdzaUFVRWZTdzBBQ3dzTElBSUx3U2NCQzM4akFFRVFheUlLSkFBQ1FBSkFBa0FDUUFKQUFrQUNRQUpBQWtBQ1FDQUFRZlFCVFFSQVFmZ3NLQUlBSWdSQkVDQUFRUXRxUWZnRGNTQUFRUXRKR3lJR1FRTjJJZ0IySWdGQkEzRUVRQUpBSUFGQmYzTkJBWEVnQUdvaUEwRURkQ0lCUWFBdGFpSUFJQUVvQXFndElnSW9BZ2dpQlVZRVFFSDRMQ0FFUVg0Z0EzZHhOZ0lBREFFTElBVWdBRFlDRENBQUlBVTJBZ2dMSUFKQkNHb2hBQ0FDSUFGQkEzSTJBZ1FnQVNBQ2FpSUJJQUVvQWdSQkFYSTJBZ1FNQ3dzZ0JrR0FMU2dDQUNJSVRRMEJJQUVFUUFKQVFRSWdBSFFpQWtFQUlBSnJjaUFCSUFCMGNXZ2lBMEVEZENJQlFhQXRhaUlDSUFFb0FxZ3RJZ0FvQWdnaUJVWUVRRUg0TENBRVFYNGdBM2R4SWdRMkFnQU1BUXNnQlNBQ05nSU1JQUlnQlRZQ0NBc2dBQ0FHUVFOeU5nSUVJQUFnQm1vaUJ5QUJJQVpySWdWQkFYSTJBZ1FnQUNBQmFpQUZOZ0lBSUFnRVFDQUlRWGh4UWFBdGFpRUJRWXd0S0FJQUlRSUNmeUFFUVFFZ0NFRURkblFpQTNGRkJFQkIrQ3dnQXlBRWNqWUNBQ0FCREFFTElBRW9BZ2dMSVFNZ0FTQUNOZ0lJSUFNZ0FqWUNEQ0FDSUFFMkFnd2dBaUFETmdJSUN5QUFRUWhxSVFCQmpDMGdCellDQUVHQUxTQUZOZ0lBREFzTFFmd3NLQUlBSWd0RkRRRWdDMmhCQW5Rb0FxZ3ZJZ0VvQWdSQmVIRWdCbXNoQXlBQklRSURRQUpBSUFFb0FoQWlBRVVFUUNBQktBSVVJZ0JGRFFFTElBQW9BZ1JCZUhFZ0Jtc2lBU0FESUFFZ0Ewa2lBUnNoQXlBQUlBSWdBUnNoQWlBQUlRRU1BUXNMSUFJb0FoZ2hDU0FDSUFJb0Fnd2lBRWNFUUNBQ0tBSUlJZ0VnQURZQ0RDQUFJQUUyQWdnTUNnc2dBaWdDRkNJQkJIOGdBa0VVYWdVZ0FpZ0NFQ0lCUlEwRElBSkJFR29MSVFVRFFDQUZJUWNnQVNJQVFSUnFJUVVnQUNnQ0ZDSUJEUUFnQUVFUWFpRUZJQUFvQWhBaUFRMEFDeUFIUVFBMkFnQU1DUXRCZnlFR0lBQkJ2MzlMRFFBZ0FFRUxhaUlCUVhoeElRWkIvQ3dvQWdBaUIwVU5BRUVmSVFoQkFDQUdheUVESUFCQjlQLy9CMDBFUUNBR1FTWWdBVUVJZG1jaUFHdDJRUUZ4SUFCQkFYUnJRVDVxSVFnTEFrQUNRQUpBSUFoQkFuUW9BcWd2SWdGRkJFQkJBQ0VBREFFTFFRQWhBQ0FHUVJrZ0NFRUJkbXRCQUNBSVFSOUhHM1FoQWdOQUFrQWdBU2dDQkVGNGNTQUdheUlFSUFOUERRQWdBU0VGSUFRaUF3MEFRUUFoQXlBQklRQU1Bd3NnQUNBQktBSVVJZ1FnQkNBQklBSkJIWFpCQkhGcUtBSVFJZ0ZHR3lBQUlBUWJJUUFnQWtFQmRDRUNJQUVOQUFzTElBQWdCWEpGQkVCQkFDRUZRUUlnQ0hRaUFFRUFJQUJyY2lBSGNTSUFSUTBESUFCb1FRSjBLQUtvTHlFQUN5QUFSUTBCQ3dOQUlBQW9BZ1JCZUhFZ0Jtc2lBaUFEU1NFQklBSWdBeUFCR3lFRElBQWdCU0FCR3lFRklBQW9BaEFpQVFSL0lBRUZJQUFvQWhRTElnQU5BQXNMSUFWRkRRQWdBMEdBTFNnQ0FDQUdhMDhOQUNBRktBSVlJUWdnQlNBRktBSU1JZ0JIQkVBZ0JTZ0NDQ0lCSUFBMkFnd2dBQ0FCTmdJSURBZ0xJQVVvQWhRaUFRUi9JQVZCRkdvRklBVW9BaEFpQVVVTkF5QUZRUkJxQ3lFQ0EwQWdBaUVFSUFFaUFFRVVhaUVDSUFBb0FoUWlBUTBBSUFCQkVHb2hBaUFBS0FJUUlnRU5BQXNnQkVFQU5nSUFEQWNMSUFaQmdDMG9BZ0FpQlUwRVFFR01MU2dDQUNFQUFrQWdCU0FHYXlJQlFSQlBCRUFnQUNBR2FpSUNJQUZCQVhJMkFnUWdBQ0FGYWlBQk5nSUFJQUFnQmtFRGNqWUNCQXdCQ3lBQUlBVkJBM0kyQWdRZ0FDQUZhaUlCSUFFb0FnUkJBWEkyQWdSQkFDRUJRUUFoQWd0QmdDMGdBVFlDQUVHTUxTQUNOZ0lBSUFCQkNHb2hBQXdKQ3lBR1FZUXRLQUlBSWdKSkJFQkJoQzBnQWlBR2F5SUJOZ0lBUVpBdFFaQXRLQUlBSWdBZ0Jtb2lBallDQUNBQ0lBRkJBWEkyQWdRZ0FDQUdRUU55TmdJRUlBQkJDR29oQUF3SkMwRUFJUUFnQmtFdmFpSURBbjlCMERBb0FnQUVRRUhZTUNnQ0FBd0JDMEhjTUVKL053SUFRZFF3UW9DZ2dJQ0FnQVEzQWdCQjBEQWdDa0VNYWtGd2NVSFlxdFdxQlhNMkFnQkI1REJCQURZQ0FFRzBNRUVBTmdJQVFZQWdDeUlCYWlJRVFRQWdBV3NpQjNFaUFTQUdUUTBJUWJBd0tBSUFJZ1VFUUVHb01DZ0NBQ0lJSUFGcUlna2dDRTBOQ1NBRklBbEpEUWtMQWtCQnREQXRBQUJCQkhGRkJFQUNRQUpBQWtBQ1FFR1FMU2dDQUNJRkJFQkJ1REFoQUFOQUlBQW9BZ0FpQ0NBRlRRUkFJQVVnQ0NBQUtBSUVha2tOQXdzZ0FDZ0NDQ0lBRFFBTEMwRUFFQU1pQWtGL1JnMERJQUVoQkVIVU1DZ0NBQ0lBUVFGcklnVWdBbkVFUUNBQklBSnJJQUlnQldwQkFDQUFhM0ZxSVFRTElBUWdCazBOQTBHd01DZ0NBQ0lBQkVCQnFEQW9BZ0FpQlNBRWFpSUhJQVZORFFRZ0FDQUhTUTBFQ3lBRUVBTWlBQ0FDUncwQkRBVUxJQVFnQW1zZ0IzRWlCQkFESWdJZ0FDZ0NBQ0FBS0FJRWFrWU5BU0FDSVFBTElBQkJmMFlOQVNBR1FUQnFJQVJOQkVBZ0FDRUNEQVFMUWRnd0tBSUFJZ0lnQXlBRWEycEJBQ0FDYTNFaUFoQURRWDlHRFFFZ0FpQUVhaUVFSUFBaEFnd0RDeUFDUVg5SERRSUxRYlF3UWJRd0tBSUFRUVJ5TmdJQUN5QUJFQU1oQWtFQUVBTWhBQ0FDUVg5R0RRVWdBRUYvUmcwRklBQWdBazBOQlNBQUlBSnJJZ1FnQmtFb2FrME5CUXRCcURCQnFEQW9BZ0FnQkdvaUFEWUNBRUdzTUNnQ0FDQUFTUVJBUWF3d0lBQTJBZ0FMQWtCQmtDMG9BZ0FpQXdSQVFiZ3dJUUFEUUNBQ0lBQW9BZ0FpQVNBQUtBSUVJZ1ZxUmcwQ0lBQW9BZ2dpQUEwQUN3d0VDMEdJTFNnQ0FDSUFRUUFnQUNBQ1RSdEZCRUJCaUMwZ0FqWUNBQXRCQUNFQVFid3dJQVEyQWdCQnVEQWdBallDQUVHWUxVRi9OZ0lBUVp3dFFkQXdLQUlBTmdJQVFjUXdRUUEyQWdBRFFDQUFRUU4wSWdFZ0FVR2dMV29pQlRZQ3FDMGdBU0FGTmdLc0xTQUFRUUZxSWdCQklFY05BQXRCaEMwZ0JFRW9heUlBUVhnZ0FtdEJCM0VpQVdzaUJUWUNBRUdRTFNBQklBSnFJZ0UyQWdBZ0FTQUZRUUZ5TmdJRUlBQWdBbXBCS0RZQ0JFR1VMVUhnTUNnQ0FEWUNBQXdFQ3lBQ0lBTk5EUUlnQVNBRFN3MENJQUFvQWd4QkNIRU5BaUFBSUFRZ0JXbzJBZ1JCa0MwZ0EwRjRJQU5yUVFkeElnQnFJZ0UyQWdCQmhDMUJoQzBvQWdBZ0JHb2lBaUFBYXlJQU5nSUFJQUVnQUVFQmNqWUNCQ0FDSUFOcVFTZzJBZ1JCbEMxQjREQW9BZ0EyQWdBTUF3dEJBQ0VBREFZTFFRQWhBQXdFQzBHSUxTZ0NBQ0FDU3dSQVFZZ3RJQUkyQWdBTElBSWdCR29oQlVHNE1DRUFBa0FEUUNBRklBQW9BZ0FpQVVjRVFDQUFLQUlJSWdBTkFRd0NDd3NnQUMwQURFRUljVVVOQXd0QnVEQWhBQU5BQWtBZ0FDZ0NBQ0lCSUFOTkJFQWdBeUFCSUFBb0FnUnFJZ1ZKRFFFTElBQW9BZ2doQUF3QkN3dEJoQzBnQkVFb2F5SUFRWGdnQW10QkIzRWlBV3NpQnpZQ0FFR1FMU0FCSUFKcUlnRTJBZ0FnQVNBSFFRRnlOZ0lFSUFBZ0FtcEJLRFlDQkVHVUxVSGdNQ2dDQURZQ0FDQURJQVZCSnlBRmEwRUhjV3BCTDJzaUFDQUFJQU5CRUdwSkd5SUJRUnMyQWdRZ0FVSEFNQ2tDQURjQ0VDQUJRYmd3S1FJQU53SUlRY0F3SUFGQkNHbzJBZ0JCdkRBZ0JEWUNBRUc0TUNBQ05nSUFRY1F3UVFBMkFnQWdBVUVZYWlFQUEwQWdBRUVITmdJRUlBQkJDR29nQUVFRWFpRUFJQVZKRFFBTElBRWdBMFlOQUNBQklBRW9BZ1JCZm5FMkFnUWdBeUFCSUFOcklnSkJBWEkyQWdRZ0FTQUNOZ0lBQW44Z0FrSC9BVTBFUUNBQ1FmZ0JjVUdnTFdvaEFBSi9RZmdzS0FJQUlnRkJBU0FDUVFOMmRDSUNjVVVFUUVINExDQUJJQUp5TmdJQUlBQU1BUXNnQUNnQ0NBc2hBU0FBSUFNMkFnZ2dBU0FETmdJTVFRd2hBa0VJREFFTFFSOGhBQ0FDUWYvLy93ZE5CRUFnQWtFbUlBSkJDSFpuSWdCcmRrRUJjU0FBUVFGMGNrRStjeUVBQ3lBRElBQTJBaHdnQTBJQU53SVFJQUJCQW5SQnFDOXFJUUVDUUFKQVFmd3NLQUlBSWdWQkFTQUFkQ0lFY1VVRVFFSDhMQ0FFSUFWeU5nSUFJQUVnQXpZQ0FBd0JDeUFDUVJrZ0FFRUJkbXRCQUNBQVFSOUhHM1FoQUNBQktBSUFJUVVEUUNBRklnRW9BZ1JCZUhFZ0FrWU5BaUFBUVIxMklRVWdBRUVCZENFQUlBRWdCVUVFY1dvaUJDZ0NFQ0lGRFFBTElBUWdBellDRUFzZ0F5QUJOZ0lZUVFnaEFpQURJZ0VoQUVFTURBRUxJQUVvQWdnaUFDQUROZ0lNSUFFZ0F6WUNDQ0FESUFBMkFnaEJBQ0VBUVJnaEFrRU1DeUFEYWlBQk5nSUFJQUlnQTJvZ0FEWUNBQXRCaEMwb0FnQWlBQ0FHVFEwQVFZUXRJQUFnQm1zaUFUWUNBRUdRTFVHUUxTZ0NBQ0lBSUFacUlnSTJBZ0FnQWlBQlFRRnlOZ0lFSUFBZ0JrRURjallDQkNBQVFRaHFJUUFNQkF0QjlDeEJNRFlDQUVFQUlRQU1Bd3NnQUNBQ05nSUFJQUFnQUNnQ0JDQUVhallDQkNBQ1FYZ2dBbXRCQjNGcUlnZ2dCa0VEY2pZQ0JDQUJRWGdnQVd0QkIzRnFJZ1FnQmlBSWFpSURheUVIQWtCQmtDMG9BZ0FnQkVZRVFFR1FMU0FETmdJQVFZUXRRWVF0S0FJQUlBZHFJZ0EyQWdBZ0F5QUFRUUZ5TmdJRURBRUxRWXd0S0FJQUlBUkdCRUJCakMwZ0F6WUNBRUdBTFVHQUxTZ0NBQ0FIYWlJQU5nSUFJQU1nQUVFQmNqWUNCQ0FBSUFOcUlBQTJBZ0FNQVFzZ0JDZ0NCQ0lBUVFOeFFRRkdCRUFnQUVGNGNTRUpJQVFvQWd3aEFnSkFJQUJCL3dGTkJFQWdCQ2dDQ0NJQklBSkdCRUJCK0N4QitDd29BZ0JCZmlBQVFRTjJkM0UyQWdBTUFnc2dBU0FDTmdJTUlBSWdBVFlDQ0F3QkN5QUVLQUlZSVFZQ1FDQUNJQVJIQkVBZ0JDZ0NDQ0lBSUFJMkFnd2dBaUFBTmdJSURBRUxBa0FnQkNnQ0ZDSUFCSDhnQkVFVWFnVWdCQ2dDRUNJQVJRMEJJQVJCRUdvTElRRURRQ0FCSVFVZ0FDSUNRUlJxSVFFZ0FDZ0NGQ0lBRFFBZ0FrRVFhaUVCSUFJb0FoQWlBQTBBQ3lBRlFRQTJBZ0FNQVF0QkFDRUNDeUFHUlEwQUFrQWdCQ2dDSENJQVFRSjBJZ0VvQXFndklBUkdCRUFnQVVHb0wyb2dBallDQUNBQ0RRRkIvQ3hCL0N3b0FnQkJmaUFBZDNFMkFnQU1BZ3NDUUNBRUlBWW9BaEJHQkVBZ0JpQUNOZ0lRREFFTElBWWdBallDRkFzZ0FrVU5BUXNnQWlBR05nSVlJQVFvQWhBaUFBUkFJQUlnQURZQ0VDQUFJQUkyQWhnTElBUW9BaFFpQUVVTkFDQUNJQUEyQWhRZ0FDQUNOZ0lZQ3lBSElBbHFJUWNnQkNBSmFpSUVLQUlFSVFBTElBUWdBRUYrY1RZQ0JDQURJQWRCQVhJMkFnUWdBeUFIYWlBSE5nSUFJQWRCL3dGTkJFQWdCMEg0QVhGQm9DMXFJUUFDZjBINExDZ0NBQ0lCUVFFZ0IwRURkblFpQW5GRkJFQkIrQ3dnQVNBQ2NqWUNBQ0FBREFFTElBQW9BZ2dMSVFFZ0FDQUROZ0lJSUFFZ0F6WUNEQ0FESUFBMkFnd2dBeUFCTmdJSURBRUxRUjhoQWlBSFFmLy8vd2ROQkVBZ0IwRW1JQWRCQ0habklnQnJka0VCY1NBQVFRRjBja0UrY3lFQ0N5QURJQUkyQWh3Z0EwSUFOd0lRSUFKQkFuUkJxQzlxSVFBQ1FBSkFRZndzS0FJQUlnRkJBU0FDZENJRmNVVUVRRUg4TENBQklBVnlOZ0lBSUFBZ0F6WUNBQXdCQ3lBSFFSa2dBa0VCZG10QkFDQUNRUjlIRzNRaEFpQUFLQUlBSVFFRFFDQUJJZ0FvQWdSQmVIRWdCMFlOQWlBQ1FSMTJJUUVnQWtFQmRDRUNJQUFnQVVFRWNXb2lCU2dDRUNJQkRRQUxJQVVnQXpZQ0VBc2dBeUFBTmdJWUlBTWdBellDRENBRElBTTJBZ2dNQVFzZ0FDZ0NDQ0lCSUFNMkFnd2dBQ0FETmdJSUlBTkJBRFlDR0NBRElBQTJBZ3dnQXlBQk5nSUlDeUFJUVFocUlRQU1BZ3NDUUNBSVJRMEFBa0FnQlNnQ0hDSUJRUUowSWdJb0FxZ3ZJQVZHQkVBZ0FrR29MMm9nQURZQ0FDQUFEUUZCL0N3Z0IwRitJQUYzY1NJSE5nSUFEQUlMQWtBZ0JTQUlLQUlRUmdSQUlBZ2dBRFlDRUF3QkN5QUlJQUEyQWhRTElBQkZEUUVMSUFBZ0NEWUNHQ0FGS0FJUUlnRUVRQ0FBSUFFMkFoQWdBU0FBTmdJWUN5QUZLQUlVSWdGRkRRQWdBQ0FCTmdJVUlBRWdBRFlDR0FzQ1FDQURRUTlOQkVBZ0JTQURJQVpxSWdCQkEzSTJBZ1FnQUNBRmFpSUFJQUFvQWdSQkFYSTJBZ1FNQVFzZ0JTQUdRUU55TmdJRUlBVWdCbW9pQkNBRFFRRnlOZ0lFSUFNZ0JHb2dBellDQUNBRFFmOEJUUVJBSUFOQitBRnhRYUF0YWlFQUFuOUIrQ3dvQWdBaUFVRUJJQU5CQTNaMElnSnhSUVJBUWZnc0lBRWdBbkkyQWdBZ0FBd0JDeUFBS0FJSUN5RUJJQUFnQkRZQ0NDQUJJQVEyQWd3Z0JDQUFOZ0lNSUFRZ0FUWUNDQXdCQzBFZklRQWdBMEgvLy84SFRRUkFJQU5CSmlBRFFRaDJaeUlBYTNaQkFYRWdBRUVCZEhKQlBuTWhBQXNnQkNBQU5nSWNJQVJDQURjQ0VDQUFRUUowUWFndmFpRUJBa0FDUUNBSFFRRWdBSFFpQW5GRkJFQkIvQ3dnQWlBSGNqWUNBQ0FCSUFRMkFnQWdCQ0FCTmdJWURBRUxJQU5CR1NBQVFRRjJhMEVBSUFCQkgwY2JkQ0VBSUFFb0FnQWhBUU5BSUFFaUFpZ0NCRUY0Y1NBRFJnMENJQUJCSFhZaEFTQUFRUUYwSVFBZ0FpQUJRUVJ4YWlJSEtBSVFJZ0VOQUFzZ0J5QUVOZ0lRSUFRZ0FqWUNHQXNnQkNBRU5nSU1JQVFnQkRZQ0NBd0JDeUFDS0FJSUlnQWdCRFlDRENBQ0lBUTJBZ2dnQkVFQU5nSVlJQVFnQWpZQ0RDQUVJQUEyQWdnTElBVkJDR29oQUF3QkN3SkFJQWxGRFFBQ1FDQUNLQUljSWdGQkFuUWlCU2dDcUM4Z0FrWUVRQ0FGUWFndmFpQUFOZ0lBSUFBTkFVSDhMQ0FMUVg0Z0FYZHhOZ0lBREFJTEFrQWdBaUFKS0FJUVJnUkFJQWtnQURZQ0VBd0JDeUFKSUFBMkFoUUxJQUJGRFFFTElBQWdDVFlDR0NBQ0tBSVFJZ0VFUUNBQUlBRTJBaEFnQVNBQU5nSVlDeUFDS0FJVUlnRkZEUUFnQUNBQk5nSVVJQUVnQURZQ0dBc0NRQ0FEUVE5TkJFQWdBaUFESUFacUlnQkJBM0kyQWdRZ0FDQUNhaUlBSUFBb0FnUkJBWEkyQWdRTUFRc2dBaUFHUVFOeU5nSUVJQUlnQm1vaUJTQURRUUZ5TmdJRUlBTWdCV29nQXpZQ0FDQUlCRUFnQ0VGNGNVR2dMV29oQUVHTUxTZ0NBQ0VCQW45QkFTQUlRUU4yZENJSElBUnhSUVJBUWZnc0lBUWdCM0kyQWdBZ0FBd0JDeUFBS0FJSUN5RUVJQUFnQVRZQ0NDQUVJQUUyQWd3Z0FTQUFOZ0lNSUFFZ0JEWUNDQXRCakMwZ0JUWUNBRUdBTFNBRE5nSUFDeUFDUVFocUlRQUxJQXBCRUdva0FDQUFDNmdCQUFKQUlBRkJnQWhPQkVBZ0FFUUFBQUFBQUFEZ2Y2SWhBQ0FCUWY4UFNRUkFJQUZCL3dkcklRRU1BZ3NnQUVRQUFBQUFBQURnZjZJaEFFSDlGeUFCSUFGQi9SZFBHMEgrRDJzaEFRd0JDeUFCUVlGNFNnMEFJQUJFQUFBQUFBQUFZQU9pSVFBZ0FVRzRjRXNFUUNBQlFja0hhaUVCREFFTElBQkVBQUFBQUFBQVlBT2lJUUJCOEdnZ0FTQUJRZkJvVFJ0QmtnOXFJUUVMSUFBZ0FVSC9CMnF0UWpTR3Y2SUxpUllERTM4SmZBWjlJQUFnQUNnQ0NDSUNJQUFvQWd3aUFXNGlCallDSkNBQUlBQW9BaEJCRkd3aUEwRzBDV29vQWdBaUJEWUNNQ0FBS0FJWUlRMGdBQ0FEUWJBSmFpSURLQUlBSWdVMkFoZ2dBQ0FDSUFFZ0JteHJOZ0lvSUFBb0Fod2hEd0pBQWtBQ1FBSkFJQUVnQWtrRVFDQUFJQU1xQWdnZ0FiT1VJQUt6bFRnQ0xDQUZJQVVnQVc0aUF5QUJiR3NpQlVGL0lBSnVJZ1pMRFFJZ0F5QUdTdzBDSUFJZ0Eyd2lBeUFDSUFWc0lBRnVJZ1ZCZjNOTERRSWdBQ0FESUFWcVFRRnJRWGh4UVFocUlnVTJBaGhCQVNBRUlBRkJBWFFnQWtraUEzWWdBVUVDZENBQ1NTSUdkaUFCUVFOMElBSkpJZ2QySUFGQkJIUWdBa2tpQ0hZaUFpQUNRUUZOR3lFRUFrQWdCZzBBSUFKRkRRQWdBdzBBSUFjTkFDQUlSUTBDQ3lBQUlBUTJBakFNQVFzZ0FDQURLZ0lNT0FJc0N3Si9Ba0FnQVNBRmJDSUNJQVFnQld4QkNHb2lBMHNOQUVILy8vLy9BU0FCYmlBRlNRMEFRUUVNQVF0QjkvLy8vd0VnQkc0Z0JVa05BU0FESVFKQkFBc2hBU0FDSUFBb0FsQkxCRUFnQUNnQ1RDQUNRUUowRUF3aUEwVU5BU0FBSUFJMkFsQWdBQ0FETmdKTUN3SkFJQUZGQkVBZ0FDZ0NFQ0VESUFBb0FoZ2lBaUFBS0FJd0lnRnNRUVJxSWdSQmZVNEVRQ0FDdHlJWFJBQUFBQUFBQU9BL29pRVlJQUpCQVhheklSOGdBQ2dDVENFRklBR3pJU0JCZkNFQklBTkJGR3hCd0FscUtBSUFJUVlEUUNBQUtnSXNJUjRnQlNBQlFRSjBhZ0o5SUI0Z0FiSWdJSlVnSDVNaUlic2lGSmtpRlVTTjdiV2c5OGF3UG1NTkFCcERBQUFBQUNBVklCaGtEUUFhSUFZb0FnQWdGQ0FVb0NBWG83YUxJQVlvQWdTeWxDSWRqaUlpaTBNQUFBQlBYUVIvSUNLb0JVR0FnSUNBZUFzaUIwRURkR29pQWlzRENDRVpJQUlyQXdBaEdpQUNLd01RSVJZZ0Fpc0RHQ0VVSUNFZ0hwUzdSQmd0UkZUN0lRbEFvaUlWRUEwZ0hydWlJQldqSUJRZ0hTQUhzcE1pSGJzaUZFU1ZxR2RWVlZYRnY2SWdIU0FkSUIyVUloMlV1eUlWUkpXb1oxVlZWY1Uvb3FBaUc2SWdGaUFWUkFBQUFBQUFBT0Mvb2lBZHUwUUFBQUFBQUFEZ1A2SWlGaUFVb0tBaUhLSWdHaUFWUkpXb1oxVlZWY1cvb2lBVVJMVXJURlZWVmRXL29pQVdvS0FpRktJZ0dVUUFBQUFBQUFEd1B5QWJvU0Fjb1NBVW9hS2dvS0NpdGdzNEFoQWdBVUVCYWlJQklBUkhEUUFMQ3lBRFFRbE9CRUFnQUVFQk5nSlVEQUlMSUFCQkFqWUNWQXdCQ3dKQUlBQW9BZ3dpQmtVRVFDQUFLQUlRSVFRTUFRc2dBQ2dDR0NJQ1FYNXRJQUFvQWhBaEJDQUNSUTBBSUFLM0loZEVBQUFBQUFBQTREK2lJUmhCQVdvaEJ5QUdzeUVmSUFBb0Frd2hDRUVBSVFNZ0JFRVViRUhBQ1dvb0FnQWhDd05BSUFPeklCK1ZJU0FnQ0NBQ0lBTnNRUUowYWlFSlFRQWhBUU5BSUFBcUFpd2hIaUFKSUFGQkFuUnFBbjBnSGlBQklBZHFzaUFna3lJaHV5SVVtU0lWUkkzdHRhRDN4ckErWXcwQUdrTUFBQUFBSUJVZ0dHUU5BQm9nQ3lnQ0FDQVVJQlNnSUJlanRvc2dDeWdDQkxLVUloMk9JaUtMUXdBQUFFOWRCSDhnSXFnRlFZQ0FnSUI0Q3lJS1FRTjBhaUlGS3dNSUlSa2dCU3NEQUNFYUlBVXJBeEFoRmlBRkt3TVlJUlFnSVNBZWxMdEVHQzFFVlBzaENVQ2lJaFVRRFNBZXU2SWdGYU1nRkNBZElBcXlreUlkdXlJVVJKV29aMVZWVmNXL29pQWRJQjBnSFpRaUhaUzdJaFZFbGFoblZWVlZ4VCtpb0NJYm9pQVdJQlZFQUFBQUFBQUE0TCtpSUIyN1JBQUFBQUFBQU9BL29pSVdJQlNnb0NJY29pQWFJQlZFbGFoblZWVlZ4YitpSUJSRXRTdE1WVlZWMWIraUlCYWdvQ0lVb2lBWlJBQUFBQUFBQVBBL0lCdWhJQnloSUJTaG9xQ2dvS0syQ3pnQ0FDQUJRUUZxSWdFZ0FrY05BQXNnQTBFQmFpSURJQVpIRFFBTEN5QUVRUWxPQkVBZ0FFRUROZ0pVREFFTElBQkJCRFlDVkFzZ0FDZ0NHQ0FBS0FJZ2FrRUJheUlESUFBb0Fod2lBa3NFUUVILy8vLy9BU0FBS0FJVUlnSnVJQU5KRFFFZ0FDZ0NTQ0FDSUFOc1FRSjBFQXdpQWtVTkFTQUFJQU0yQWh3Z0FDQUNOZ0pJSUFNaEFnc2dBQ2dDT0VVRVFDQUNJQUFvQWhSc0lnSkZCRUJCQUE4TFFRQWhBU0FDUVFKMElnSkZEUU1nQUNnQ1NDQUNFQUpCQUE4TElBQW9BaGdpQWlBTlRRMEJJQUFvQWhRaUFrVUVRRUVBRHdzZ0RVRUNheUVMSUExQkFXc2hEaUFBS0FKRUlSQURRQ0FRSUFKQkFXc2lBa0VDZENJUmFpSUhLQUlBSWdWQkFYUWhDUUpBSUFVZ0Rtb2lBVVVOQUNBQUtBSklJZ1FnQUNnQ0hDQUNiRUVDZEdvZ0JVRUNkR29oQXlBRUlBSWdEMnhCQW5ScUlRWkJBQ0VFSUFGQkEzRWlDQVJBQTBBZ0F5QUJRUUZySWdGQkFuUWlDbW9nQmlBS2Fpb0NBRGdDQUNBRVFRRnFJZ1FnQ0VjTkFBc0xJQVVnQzJwQkFrME5BQU5BSUFNZ0FVRUNkQ0lFUVFScklnaHFJQVlnQ0dvcUFnQTRBZ0FnQXlBRVFRaHJJZ2hxSUFZZ0NHb3FBZ0E0QWdBZ0F5QUVRUXhySWdScUlBUWdCbW9xQWdBNEFnQWdBeUFCUVFScklnRkJBblFpQkdvZ0JDQUdhaW9DQURnQ0FDQUJEUUFMQ3lBSklBMXFJUU1DUUNBRlJRMEFJQVZCQW5RaUFVVU5BQ0FBS0FKSUlBQW9BaHdnQW14QkFuUnFJQUVRQWdzZ0IwRUFOZ0lBQWtBZ0F5QUFLQUlZSWdWSkJFQUNRQ0FEUVFGcklnaEZEUUFnQUNnQ1NDQUFLQUljSUFKc1FRSjBhaUlCSUFWQkFuUnFRUWhySVFZZ0FTQURRUUowYWtFSWF5RUhJQWhCQTNFaENrRUFJUXhCQUNFRVFRQWhBU0FKSUF0cVFRTlBCRUFnQ0VGOGNTRVNRUUFoQ1FOQUlBWWdCRUVDZENJRWFpQUVJQWRxS2dJQU9BSUFJQVlnQVVGL2MwRUNkQ0lFYWlBRUlBZHFLZ0lBT0FJQUlBWWdBVUVDZENJRVFYaHpJaE5xSUFjZ0Uyb3FBZ0E0QWdBZ0JpQUVRWFJ6SWdScUlBUWdCMm9xQWdBNEFnQWdBVUY4Y3lFRUlBRkJCR29oQVNBSlFRUnFJZ2tnRWtjTkFBc2dDa1VOQVFzRFFDQUdJQVJCQW5RaUJHb2dCQ0FIYWlvQ0FEZ0NBQ0FCUVg5eklRUWdBVUVCYWlFQklBeEJBV29pRENBS1J3MEFDd3NDUUNBSUlBVkJBV3RQRFFBZ0JTQURhMEVDZENJQlJRMEFJQUFvQWtnZ0FDZ0NIQ0FDYkVFQ2RHb2dBUkFDQ3lBQUtBSThJQkZxSWdFZ0FTZ0NBQ0FGSUFOclFRRjJhallDQUF3QkN5QUhJQU1nQld0QkFYWWlCallDQUNBR0lBQW9BaGhxSWdWQkFXc2lBMFVOQUNBRFFRTnhJUWdnQUNnQ1NDQUFLQUljSUFKc1FRSjBhaUVKUVFBaEJFRUFJUUVnQlVFQ2EwRURUd1JBSUFOQmZIRWhDa0VBSVFNRFFDQUpJQUZCQW5ScUlnVWdCU0FHUVFKMElnZHFLZ0lBT0FJQUlBVkJCR29pRENBSElBeHFLZ0lBT0FJQUlBVkJDR29pRENBSElBeHFLZ0lBT0FJQUlBVkJER29pQlNBRklBZHFLZ0lBT0FJQUlBRkJCR29oQVNBRFFRUnFJZ01nQ2tjTkFBc2dDRVVOQVFzRFFDQUpJQUZCQW5ScUlnTWdBeUFHUVFKMGFpb0NBRGdDQUNBQlFRRnFJUUVnQkVFQmFpSUVJQWhIRFFBTEN5QUNEUUFMUVFBUEN5QUFJQTAyQWhnZ0FFRUZOZ0pVUVFFaEFRd0JDMEVBSVFFZ0FpQU5UdzBBSUFBb0FoUkZEUUFnQUNnQ1JDRUtRUUFoQWdOQUlBb2dBa0VDZEdvaUNDZ0NBQ0VESUFnZ0RTQUFLQUlZYTBFQmRpSUZOZ0lBQWtBZ0F5QUZhaUlNSUFBb0FoZ2lCMnBCQVdzaUJrVU5BQ0FHUVFOeElRc2dBQ2dDU0NBQUtBSWNJQUpzUVFKMGFpRUpRUUFoQkNBRElBZHFJQVZxUVFKclFRTlBCRUFnQmtGOGNTRVBRUUFoQXdOQUlBa2dBVUVDZEdvaUJpQUdJQVZCQW5RaUIyb3FBZ0E0QWdBZ0JrRUVhaUlPSUFjZ0Rtb3FBZ0E0QWdBZ0JrRUlhaUlPSUFjZ0Rtb3FBZ0E0QWdBZ0JrRU1haUlHSUFZZ0Iyb3FBZ0E0QWdBZ0FVRUVhaUVCSUFOQkJHb2lBeUFQUncwQUN5QUxSUTBCQ3dOQUlBa2dBVUVDZEdvaUF5QURJQVZCQW5ScUtnSUFPQUlBSUFGQkFXb2hBU0FFUVFGcUlnUWdDMGNOQUFzTElBZ2dERFlDQUVFQUlRRWdBa0VCYWlJQ0lBQW9BaFJKRFFBTEN5QUJDN01DQVFWL1FRTWhCZ0pBSUFGRkRRQWdBa1VOQUFKQUlBQW9BZ0FnQTBjTkFDQUFLQUlFSUFSSERRQWdBQ2dDQ0NBQlJ3MEFJQUFvQWd3Z0FrY05BRUVBRHdzZ0FDQUVOZ0lFSUFBZ0F6WUNBQ0FBS0FJTUlRVWdBU0VFSUFJaEF3TkFJQVFnQXlJRWNDSUREUUFMSUFBZ0FpQUViallDRENBQUlBRWdCRzQyQWdnQ1FDQUZSUTBBSUFBb0FoUkZEUUFnQUNnQ1FDRUhRUUFoQXdOQVFRVWhCaUFISUFOQkFuUnFJZ0VvQWdBaUFpQUNJQVZ1SWdJZ0JXeHJJZ2hCZnlBQUtBSU1JZ1J1SWdsTERRSWdBaUFKU3cwQ0lBSWdCR3dpQWlBRUlBaHNJQVZ1SWdSQmYzTkxEUUlnQVNBQ0lBUnFJZ0kyQWdBZ0FpQUFLQUlNSWdKUEJFQWdBU0FDUVFGck5nSUFDeUFEUVFGcUlnTWdBQ2dDRkVrTkFBc0xJQUFvQWpSRkJFQkJBQThMSUFBUUJ5RUdDeUFHQzVrQkFRTjhJQUFnQUtJaUF5QURJQU9pb2lBRFJIelZ6MW82MmVVOW9rVHJuQ3VLNXVWYXZxQ2lJQU1nQTBSOS9yRlg0eDNIUHFKRTFXSEJHYUFCS3IrZ29rU20rQkFSRVJHQlA2Q2dJUVVnQUNBRG9pRUVJQUpGQkVBZ0JDQURJQVdpUkVsVlZWVlZWY1cvb0tJZ0FLQVBDeUFBSUFNZ0FVUUFBQUFBQUFEZ1A2SWdCQ0FGb3FHaUlBR2hJQVJFU1ZWVlZWVlZ4VCtpb0tFTCt3WUJFSDhqQUVFUWF5SUhKQUFnQnlBRU5nSU1JQUFvQWhnaEJpQUFLQUljSVFRZ0FDZ0NTQ0VNSUFBb0FsZ2hEU0FGS0FJQUlRb2dBeWdDQUNFT0FrQWdBVUVDZENJUElBQW9Ba1JxS0FJQUJFQWdDaUFBSUFFZ0IwRU1haUFLRUJGcklRb2dBQ2dDUkNBUGFpZ0NBQTBCQ3lBT1JRMEFJQXBGRFFBZ0JDQUdRUUZySWdacklSSWdEQ0FCSUFSc1FRSjBhaUFHUVFKMGFpRU1JQWNvQWd3aER3TkFJQWNnRGlBU0lBNGdFa2tiSWdZMkFnZ2dCeUFLTmdJRUFrQWdBZ1JBSUFaRkRRRWdCa0VEY1NFSVFRQWhDMEVBSVFRZ0JrRUVUd1JBSUFaQmZIRWhFRUVBSVFZRFFDQU1JQVJCQW5ScUlBSWdCQ0FOYkVFQ2RHb3FBZ0E0QWdBZ0RDQUVRUUZ5SWdsQkFuUnFJQUlnQ1NBTmJFRUNkR29xQWdBNEFnQWdEQ0FFUVFKeUlnbEJBblJxSUFJZ0NTQU5iRUVDZEdvcUFnQTRBZ0FnRENBRVFRTnlJZ2xCQW5ScUlBSWdDU0FOYkVFQ2RHb3FBZ0E0QWdBZ0JFRUVhaUVFSUFaQkJHb2lCaUFRUncwQUN5QUlSUTBDQ3dOQUlBd2dCRUVDZEdvZ0FpQUVJQTFzUVFKMGFpb0NBRGdDQUNBRVFRRnFJUVFnQzBFQmFpSUxJQWhIRFFBTERBRUxJQVpGRFFBZ0JrRUNkQ0lFUlEwQUlBd2dCQkFDQ3lBQVFRRTJBamdnQUNnQ0dDRUlJQUFnQVNBQUtBSklJQUFvQWh3Z0FXeEJBblJxSWhBZ0IwRUlhaUFQSUFkQkJHb2dBQ2dDVkJFQkFDRUpJQUFvQWp3Z0FVRUNkR29pQ3lnQ0FDSUVJQWNvQWdnaUJrZ0VRQ0FISUFRMkFnZ2dCQ0VHQ3lBSElBazJBZ1FnQ3lBTEtBSUFJQVpyTmdJQUlBY29BZ2dpQ3lFRUlBaEJBazRFUUNBSVFRRnJJZ1pCQTNFaENVRUFJUk5CQUNFRUFrQWdDRUVDYTBFRFR3UkFJQVpCZkhFaEZVRUFJUlFEUUNBUUlBUkJBblJxSWdZZ0JpQUxRUUowSWdocUtnSUFPQUlBSUFaQkJHb2lFU0FJSUJGcUtnSUFPQUlBSUFaQkNHb2lFU0FJSUJGcUtnSUFPQUlBSUFaQkRHb2lCaUFHSUFocUtnSUFPQUlBSUFSQkJHb2hCQ0FVUVFScUloUWdGVWNOQUFzZ0NVVU5BUXNEUUNBUUlBUkJBblJxSWdZZ0JpQUxRUUowYWlvQ0FEZ0NBQ0FFUVFGcUlRUWdFMEVCYWlJVElBbEhEUUFMQ3lBSEtBSUlJUVFMSUFvZ0J5Z0NCQ0lHYXlFS0lBNGdDMnNpRGtVTkFTQUNJQVFnRFd4QkFuUnFRUUFnQWhzaEFpQVBJQUFvQWx3Z0JteEJBblJxSVE4Z0NnMEFDd3NnQXlBREtBSUFJQTVyTmdJQUlBVWdCU2dDQUNBS2F6WUNBQ0FBS0FKVUlBZEJFR29rQUVFRlJndU5Dd0VIZnlBQUlBRnFJUVVDUUFKQUlBQW9BZ1FpQWtFQmNRMEFJQUpCQW5GRkRRRWdBQ2dDQUNJQ0lBRnFJUUVDUUFKQUFrQWdBQ0FDYXlJQVFZd3RLQUlBUndSQUlBQW9BZ3doQXlBQ1FmOEJUUVJBSUFNZ0FDZ0NDQ0lFUncwQ1FmZ3NRZmdzS0FJQVFYNGdBa0VEZG5keE5nSUFEQVVMSUFBb0FoZ2hCaUFBSUFOSEJFQWdBQ2dDQ0NJQ0lBTTJBZ3dnQXlBQ05nSUlEQVFMSUFBb0FoUWlCQVIvSUFCQkZHb0ZJQUFvQWhBaUJFVU5BeUFBUVJCcUN5RUNBMEFnQWlFSElBUWlBMEVVYWlFQ0lBTW9BaFFpQkEwQUlBTkJFR29oQWlBREtBSVFJZ1FOQUFzZ0IwRUFOZ0lBREFNTElBVW9BZ1FpQWtFRGNVRURSdzBEUVlBdElBRTJBZ0FnQlNBQ1FYNXhOZ0lFSUFBZ0FVRUJjallDQkNBRklBRTJBZ0FQQ3lBRUlBTTJBZ3dnQXlBRU5nSUlEQUlMUVFBaEF3c2dCa1VOQUFKQUlBQW9BaHdpQWtFQ2RDSUVLQUtvTHlBQVJnUkFJQVJCcUM5cUlBTTJBZ0FnQXcwQlFmd3NRZndzS0FJQVFYNGdBbmR4TmdJQURBSUxBa0FnQUNBR0tBSVFSZ1JBSUFZZ0F6WUNFQXdCQ3lBR0lBTTJBaFFMSUFORkRRRUxJQU1nQmpZQ0dDQUFLQUlRSWdJRVFDQURJQUkyQWhBZ0FpQUROZ0lZQ3lBQUtBSVVJZ0pGRFFBZ0F5QUNOZ0lVSUFJZ0F6WUNHQXNDUUFKQUFrQUNRQ0FGS0FJRUlnSkJBbkZGQkVCQmtDMG9BZ0FnQlVZRVFFR1FMU0FBTmdJQVFZUXRRWVF0S0FJQUlBRnFJZ0UyQWdBZ0FDQUJRUUZ5TmdJRUlBQkJqQzBvQWdCSERRWkJnQzFCQURZQ0FFR01MVUVBTmdJQUR3dEJqQzBvQWdBaUNDQUZSZ1JBUVl3dElBQTJBZ0JCZ0MxQmdDMG9BZ0FnQVdvaUFUWUNBQ0FBSUFGQkFYSTJBZ1FnQUNBQmFpQUJOZ0lBRHdzZ0FrRjRjU0FCYWlFQklBVW9BZ3doQXlBQ1FmOEJUUVJBSUFVb0FnZ2lCQ0FEUmdSQVFmZ3NRZmdzS0FJQVFYNGdBa0VEZG5keE5nSUFEQVVMSUFRZ0F6WUNEQ0FESUFRMkFnZ01CQXNnQlNnQ0dDRUdJQU1nQlVjRVFDQUZLQUlJSWdJZ0F6WUNEQ0FESUFJMkFnZ01Bd3NnQlNnQ0ZDSUVCSDhnQlVFVWFnVWdCU2dDRUNJRVJRMENJQVZCRUdvTElRSURRQ0FDSVFjZ0JDSURRUlJxSVFJZ0F5Z0NGQ0lFRFFBZ0EwRVFhaUVDSUFNb0FoQWlCQTBBQ3lBSFFRQTJBZ0FNQWdzZ0JTQUNRWDV4TmdJRUlBQWdBVUVCY2pZQ0JDQUFJQUZxSUFFMkFnQU1Bd3RCQUNFREN5QUdSUTBBQWtBZ0JTZ0NIQ0lDUVFKMElnUW9BcWd2SUFWR0JFQWdCRUdvTDJvZ0F6WUNBQ0FERFFGQi9DeEIvQ3dvQWdCQmZpQUNkM0UyQWdBTUFnc0NRQ0FGSUFZb0FoQkdCRUFnQmlBRE5nSVFEQUVMSUFZZ0F6WUNGQXNnQTBVTkFRc2dBeUFHTmdJWUlBVW9BaEFpQWdSQUlBTWdBallDRUNBQ0lBTTJBaGdMSUFVb0FoUWlBa1VOQUNBRElBSTJBaFFnQWlBRE5nSVlDeUFBSUFGQkFYSTJBZ1FnQUNBQmFpQUJOZ0lBSUFBZ0NFY05BRUdBTFNBQk5nSUFEd3NnQVVIL0FVMEVRQ0FCUWZnQmNVR2dMV29oQWdKL1FmZ3NLQUlBSWdOQkFTQUJRUU4yZENJQmNVVUVRRUg0TENBQklBTnlOZ0lBSUFJTUFRc2dBaWdDQ0FzaEFTQUNJQUEyQWdnZ0FTQUFOZ0lNSUFBZ0FqWUNEQ0FBSUFFMkFnZ1BDMEVmSVFNZ0FVSC8vLzhIVFFSQUlBRkJKaUFCUVFoMlp5SUNhM1pCQVhFZ0FrRUJkSEpCUG5NaEF3c2dBQ0FETmdJY0lBQkNBRGNDRUNBRFFRSjBRYWd2YWlFQ0FrQUNRRUg4TENnQ0FDSUVRUUVnQTNRaUIzRkZCRUJCL0N3Z0JDQUhjallDQUNBQ0lBQTJBZ0FnQUNBQ05nSVlEQUVMSUFGQkdTQURRUUYyYTBFQUlBTkJIMGNiZENFRElBSW9BZ0FoQWdOQUlBSWlCQ2dDQkVGNGNTQUJSZzBDSUFOQkhYWWhBaUFEUVFGMElRTWdCQ0FDUVFSeGFpSUhLQUlRSWdJTkFBc2dCeUFBTmdJUUlBQWdCRFlDR0FzZ0FDQUFOZ0lNSUFBZ0FEWUNDQThMSUFRb0FnZ2lBU0FBTmdJTUlBUWdBRFlDQ0NBQVFRQTJBaGdnQUNBRU5nSU1JQUFnQVRZQ0NBc0xxd3dCQzM4Z0FFVUVRQ0FCRUFVUEN5QUJRVUJQQkVCQjlDeEJNRFlDQUVFQUR3c0NmMEVRSUFGQkMycEJlSEVnQVVFTFNSc2hCaUFBUVFocklnTW9BZ1FpQ0VGNGNTRUVBa0FnQ0VFRGNVVUVRQ0FHUVlBQ1NRMEJJQVpCQkdvZ0JFMEVRQ0FESVFJZ0JDQUdhMEhZTUNnQ0FFRUJkRTBOQWd0QkFBd0NDeUFESUFScUlRY0NRQ0FFSUFaUEJFQWdCQ0FHYXlJQ1FSQkpEUUVnQXlBR0lBaEJBWEZ5UVFKeU5nSUVJQU1nQm1vaUJDQUNRUU55TmdJRUlBY2dCeWdDQkVFQmNqWUNCQ0FFSUFJUUN3d0JDMEdRTFNnQ0FDQUhSZ1JBUVlRdEtBSUFJQVJxSWdRZ0JrME5BaUFESUFZZ0NFRUJjWEpCQW5JMkFnUWdBeUFHYWlJQ0lBUWdCbXNpQkVFQmNqWUNCRUdFTFNBRU5nSUFRWkF0SUFJMkFnQU1BUXRCakMwb0FnQWdCMFlFUUVHQUxTZ0NBQ0FFYWlJRUlBWkpEUUlDUUNBRUlBWnJJZ0pCRUU4RVFDQURJQVlnQ0VFQmNYSkJBbkkyQWdRZ0F5QUdhaUlGSUFKQkFYSTJBZ1FnQXlBRWFpSUVJQUkyQWdBZ0JDQUVLQUlFUVg1eE5nSUVEQUVMSUFNZ0NFRUJjU0FFY2tFQ2NqWUNCQ0FESUFScUlnSWdBaWdDQkVFQmNqWUNCRUVBSVFJTFFZd3RJQVUyQWdCQmdDMGdBallDQUF3QkN5QUhLQUlFSWdWQkFuRU5BU0FGUVhoeElBUnFJZ3NnQmtrTkFTQUxJQVpySVF3Z0J5Z0NEQ0VFQWtBZ0JVSC9BVTBFUUNBSEtBSUlJZ0lnQkVZRVFFSDRMRUg0TENnQ0FFRitJQVZCQTNaM2NUWUNBQXdDQ3lBQ0lBUTJBZ3dnQkNBQ05nSUlEQUVMSUFjb0FoZ2hDUUpBSUFRZ0IwY0VRQ0FIS0FJSUlnSWdCRFlDRENBRUlBSTJBZ2dNQVFzQ1FDQUhLQUlVSWdJRWZ5QUhRUlJxQlNBSEtBSVFJZ0pGRFFFZ0IwRVFhZ3NoQlFOQUlBVWhDaUFDSWdSQkZHb2hCU0FDS0FJVUlnSU5BQ0FFUVJCcUlRVWdCQ2dDRUNJQ0RRQUxJQXBCQURZQ0FBd0JDMEVBSVFRTElBbEZEUUFDUUNBSEtBSWNJZ0pCQW5RaUJTZ0NxQzhnQjBZRVFDQUZRYWd2YWlBRU5nSUFJQVFOQVVIOExFSDhMQ2dDQUVGK0lBSjNjVFlDQUF3Q0N3SkFJQWNnQ1NnQ0VFWUVRQ0FKSUFRMkFoQU1BUXNnQ1NBRU5nSVVDeUFFUlEwQkN5QUVJQWsyQWhnZ0J5Z0NFQ0lDQkVBZ0JDQUNOZ0lRSUFJZ0JEWUNHQXNnQnlnQ0ZDSUNSUTBBSUFRZ0FqWUNGQ0FDSUFRMkFoZ0xJQXhCRDAwRVFDQURJQWhCQVhFZ0MzSkJBbkkyQWdRZ0F5QUxhaUlDSUFJb0FnUkJBWEkyQWdRTUFRc2dBeUFHSUFoQkFYRnlRUUp5TmdJRUlBTWdCbW9pQWlBTVFRTnlOZ0lFSUFNZ0Myb2lCQ0FFS0FJRVFRRnlOZ0lFSUFJZ0RCQUxDeUFESVFJTElBSUxJZ0lFUUNBQ1FRaHFEd3NnQVJBRklnUkZCRUJCQUE4TElBUWhBZ0pBUVh4QmVDQUFJZ05CQkdzb0FnQWlCVUVEY1JzZ0JVRjRjV29pQlNBQklBRWdCVXNiSWdGQmdBUlBCRUFnQVFSQVB3QkJFSFFpQlNBQklBSnFTU0FCSUFOcUlBVkxjZ1JBQUFzZ0FpQURTd1IvSUFGQkFXc2hCVUYvSVFGQmZ3VkJBQ0VGUVFFTElRb0RRQ0FCSUFWSEJFQWdBaUFGYWlBRElBVnFMUUFBT2dBQUlBVWdDbW9oQlF3QkN3c0xEQUVMSUFFZ0Ftb2hCUUpBSUFJZ0EzTkJBM0ZGQkVBQ1FDQUNRUU54UlEwQUlBRkZEUUFEUUNBQ0lBTXRBQUE2QUFBZ0EwRUJhaUVESUFKQkFXb2lBa0VEY1VVTkFTQUNJQVZKRFFBTEN5QUZRWHh4SVFFQ1FDQUZRY0FBU1EwQUlBSWdBVUZBYWlJS1N3MEFBMEFnQWlBREtBSUFOZ0lBSUFJZ0F5Z0NCRFlDQkNBQ0lBTW9BZ2cyQWdnZ0FpQURLQUlNTmdJTUlBSWdBeWdDRURZQ0VDQUNJQU1vQWhRMkFoUWdBaUFES0FJWU5nSVlJQUlnQXlnQ0hEWUNIQ0FDSUFNb0FpQTJBaUFnQWlBREtBSWtOZ0lrSUFJZ0F5Z0NLRFlDS0NBQ0lBTW9BaXcyQWl3Z0FpQURLQUl3TmdJd0lBSWdBeWdDTkRZQ05DQUNJQU1vQWpnMkFqZ2dBaUFES0FJOE5nSThJQU5CUUdzaEF5QUNRVUJySWdJZ0NrME5BQXNMSUFFZ0FrME5BUU5BSUFJZ0F5Z0NBRFlDQUNBRFFRUnFJUU1nQWtFRWFpSUNJQUZKRFFBTERBRUxJQVZCQkVrTkFDQUJRUVJKRFFBZ0JVRUVheUVCQTBBZ0FpQURMUUFBT2dBQUlBSWdBeTBBQVRvQUFTQUNJQU10QUFJNkFBSWdBaUFETFFBRE9nQURJQU5CQkdvaEF5QUNRUVJxSWdJZ0FVME5BQXNMSUFJZ0JVa0VRQU5BSUFJZ0F5MEFBRG9BQUNBRFFRRnFJUU1nQWtFQmFpSUNJQVZIRFFBTEN3c2dBQkFCSUFRTHdCa0RFMzhFZkFGK0l3QkJFR3NpQkNRQUFrQWdBTDFDSUlpblFmLy8vLzhIY1NJQlFmdkRwUDhEVFFSQUlBRkJnSURBOGdOSkRRRWdBRVFBQUFBQUFBQUFBRUVBRUFraEFBd0JDeUFCUVlDQXdQOEhUd1JBSUFBZ0FLRWhBQXdCQ3lNQVFUQnJJZ2trQUFKQUFrQUNRQ0FBdlNJWVFpQ0lweUlCUWYvLy8vOEhjU0lHUWZyVXZZQUVUUVJBSUFGQi8vOC9jVUg3d3lSR0RRRWdCa0g4c291QUJFMEVRQ0FZUWdCWkJFQWdCQ0FBUkFBQVFGVDdJZm0vb0NJQVJERmpZaHBodE5DOW9DSVVPUU1BSUFRZ0FDQVVvVVF4WTJJYVliVFF2YUE1QXdoQkFTRUJEQVVMSUFRZ0FFUUFBRUJVK3lINVA2QWlBRVF4WTJJYVliVFFQYUFpRkRrREFDQUVJQUFnRktGRU1XTmlHbUcwMEQyZ09RTUlRWDhoQVF3RUN5QVlRZ0JaQkVBZ0JDQUFSQUFBUUZUN0lRbkFvQ0lBUkRGallocGh0T0M5b0NJVU9RTUFJQVFnQUNBVW9VUXhZMklhWWJUZ3ZhQTVBd2hCQWlFQkRBUUxJQVFnQUVRQUFFQlUreUVKUUtBaUFFUXhZMklhWWJUZ1BhQWlGRGtEQUNBRUlBQWdGS0ZFTVdOaUdtRzA0RDJnT1FNSVFYNGhBUXdEQ3lBR1FidU04WUFFVFFSQUlBWkJ2UHZYZ0FSTkJFQWdCa0g4c3N1QUJFWU5BaUFZUWdCWkJFQWdCQ0FBUkFBQU1IOTgyUkxBb0NJQVJNcVVrNmVSRHVtOW9DSVVPUU1BSUFRZ0FDQVVvVVRLbEpPbmtRN3B2YUE1QXdoQkF5RUJEQVVMSUFRZ0FFUUFBREIvZk5rU1FLQWlBRVRLbEpPbmtRN3BQYUFpRkRrREFDQUVJQUFnRktGRXlwU1RwNUVPNlQyZ09RTUlRWDBoQVF3RUN5QUdRZnZENUlBRVJnMEJJQmhDQUZrRVFDQUVJQUJFQUFCQVZQc2hHY0NnSWdCRU1XTmlHbUcwOEwyZ0loUTVBd0FnQkNBQUlCU2hSREZqWWhwaHRQQzlvRGtEQ0VFRUlRRU1CQXNnQkNBQVJBQUFRRlQ3SVJsQW9DSUFSREZqWWhwaHRQQTlvQ0lVT1FNQUlBUWdBQ0FVb1VReFkySWFZYlR3UGFBNUF3aEJmQ0VCREFNTElBWkIrc1BraVFSTERRRUxJQUJFZzhqSmJUQmY1RCtpUkFBQUFBQUFBRGhEb0VRQUFBQUFBQUE0dzZBaUZpSVVtVVFBQU1ELy8vL2ZRV01FZnlBVXFnVkJnSUNBZ0hnTElRRUNRQ0FBSUJaRUFBQkFWUHNoK2IraW9DSVVJQlpFTVdOaUdtRzAwRDJpSWhlaEloVkVHQzFFVlBzaDZiOWpCRUFnQVVFQmF5RUJJQlpFQUFBQUFBQUE4TCtnSWhaRU1XTmlHbUcwMEQyaUlSY2dBQ0FXUkFBQVFGVDdJZm0vb3FBaEZBd0JDeUFWUkJndFJGVDdJZWsvWkVVTkFDQUJRUUZxSVFFZ0ZrUUFBQUFBQUFEd1A2QWlGa1F4WTJJYVliVFFQYUloRnlBQUlCWkVBQUJBVlBzaCtiK2lvQ0VVQ3lBRUlCUWdGNkVpRlRrREFBSkFJQVpCRkhZaUFpQVZ2VUkwaUtkQi93OXhhMEVSU0EwQUlBUWdGQ0FXUkFBQVlCcGh0TkE5b2lJVm9TSUFJQlpFYzNBRExvb1pvenVpSUJRZ0FLRWdGYUdoSWhlaEloVTVBd0FnQWlBVnZVSTBpS2RCL3c5eGEwRXlTQVJBSUFBaEZBd0JDeUFFSUFBZ0ZrUUFBQUF1aWhtak82SWlGYUVpRkNBV1JNRkpJQ1dhZzNzNW9pQUFJQlNoSUJXaG9TSVhvU0lWT1FNQUN5QUVJQlFnRmFFZ0Y2RTVBd2dNQVFzZ0JrR0FnTUQvQjA4RVFDQUVJQUFnQUtFaUFEa0RBQ0FFSUFBNUF3aEJBQ0VCREFFTElBbEJFR29pQVVFSWNpRURJQmhDLy8vLy8vLy8vd2VEUW9DQWdJQ0FnSUN3d1FDRXZ5RVZRUUVoQWdOQUlBRWdGWmxFQUFEQS8vLy8zMEZqQkg4Z0Zhb0ZRWUNBZ0lCNEM3Y2lBRGtEQUNBVklBQ2hSQUFBQUFBQUFIQkJvaUVWSUFKQkFDRUNJQU1oQVEwQUN5QUpJQlU1QXlCQkFpRUJBMEFnQVNJQ1FRRnJJUUVnQ1VFUWFpSU5JQUpCQTNScUt3TUFSQUFBQUFBQUFBQUFZUTBBQzBFQUlRTWpBRUd3QkdzaUJTUUFJQVpCRkhaQmxnaHJJZ0ZCQTJ0QkdHMGlDRUVBSUFoQkFFb2JJZ2RCYUd3Z0FXb2hDMEhVRmlnQ0FDSUlJQUpCQVdvaURrRUJheUlLYWtFQVRnUkFJQWdnRG1vaEFTQUhJQXBySVFJRFFDQUZRY0FDYWlBRFFRTjBhaUFDUVFCSUJIeEVBQUFBQUFBQUFBQUZJQUpCQW5Rb0F1QVd0d3M1QXdBZ0FrRUJhaUVDSUFOQkFXb2lBeUFCUncwQUN3c2dDMEVZYXlFR1FRQWhBU0FJUVFBZ0NFRUFTaHNoQXlBT1FRQk1JUXdEUUFKQUlBd0VRRVFBQUFBQUFBQUFBQ0VBREFFTElBRWdDbW9oRDBFQUlRSkVBQUFBQUFBQUFBQWhBQU5BSUEwZ0FrRURkR29yQXdBZ0JVSEFBbW9nRHlBQ2EwRURkR29yQXdDaUlBQ2dJUUFnQWtFQmFpSUNJQTVIRFFBTEN5QUZJQUZCQTNScUlBQTVBd0FnQVNBRFJpQUJRUUZxSVFGRkRRQUxRUzhnQzJzaEVFRXdJQXRySVE4Z0IwRUNkRUhnRm1vaEVTQUlJUUVDUUFOQUlBVWdBVUVEZEdvckF3QWhBRUVBSVFJZ0FTRURJQUZCQUVvRVFBTkFJQVZCNEFOcUlBSkJBblJxSUFCRUFBQUFBQUFBY0Q2aUloU1pSQUFBd1AvLy85OUJZd1IvSUJTcUJVR0FnSUNBZUF1M0loUkVBQUFBQUFBQWNNR2lJQUNnSWdDWlJBQUF3UC8vLzk5Qll3Ui9JQUNxQlVHQWdJQ0FlQXMyQWdBZ0JTQURRUU4wYWtFSWF5c0RBQ0FVb0NFQUlBTkJBV3NoQXlBQ1FRRnFJZ0lnQVVjTkFBc0xJQUFnQmhBR0lnQWdBRVFBQUFBQUFBREFQNktjUkFBQUFBQUFBQ0RBb3FBaUFDQUFtVVFBQU1ELy8vL2ZRV01FZnlBQXFnVkJnSUNBZ0hnTElneTNvU0VBQWtBQ1FBSkFBbjhnQmtFQVRDSVNSUVJBSUFGQkFuUWdCV29pQWlBQ0tBTGNBeUlDSUFJZ0QzVWlBaUFQZEdzaUF6WUMzQU1nQWlBTWFpRU1JQU1nRUhVTUFRc2dCZzBCSUFGQkFuUWdCV29vQXR3RFFSZDFDeUlLUVFCTURRSU1BUXRCQWlFS0lBQkVBQUFBQUFBQTREOW1EUUJCQUNFS0RBRUxRUUFoQWtFQUlRZEJBU0VESUFGQkFFb0VRQU5BSUFWQjRBTnFJQUpCQW5ScUloTW9BZ0FoQXdKL0FrQWdFeUFIQkg5Qi8vLy9Cd1VnQTBVTkFVR0FnSUFJQ3lBRGF6WUNBRUVCSVFkQkFBd0JDMEVBSVFkQkFRc2hBeUFDUVFGcUlnSWdBVWNOQUFzTEFrQWdFZzBBUWYvLy93TWhBZ0pBQWtBZ0JrRUJhdzRDQVFBQ0MwSC8vLzhCSVFJTElBRkJBblFnQldvaUJ5QUhLQUxjQXlBQ2NUWUMzQU1MSUF4QkFXb2hEQ0FLUVFKSERRQkVBQUFBQUFBQThEOGdBS0VoQUVFQ0lRb2dBdzBBSUFCRUFBQUFBQUFBOEQ4Z0JoQUdvU0VBQ3lBQVJBQUFBQUFBQUFBQVlRUkFRUUFoQXlBQklRSUNRQ0FCSUFoTURRQURRQ0FGUWVBRGFpQUNRUUZySWdKQkFuUnFLQUlBSUFOeUlRTWdBaUFJU2cwQUN5QURSUTBBQTBBZ0JrRVlheUVHSUFWQjRBTnFJQUZCQVdzaUFVRUNkR29vQWdCRkRRQUxEQU1MUVFFaEFnTkFJQUlpQTBFQmFpRUNJQVZCNEFOcUlBZ2dBMnRCQW5ScUtBSUFSUTBBQ3lBQklBTnFJUU1EUUNBRlFjQUNhaUFCSUE1cUlnZEJBM1JxSUJFZ0FVRUJhaUlCUVFKMGFpZ0NBTGM1QXdCQkFDRUNSQUFBQUFBQUFBQUFJUUFnRGtFQVNnUkFBMEFnRFNBQ1FRTjBhaXNEQUNBRlFjQUNhaUFISUFKclFRTjBhaXNEQUtJZ0FLQWhBQ0FDUVFGcUlnSWdEa2NOQUFzTElBVWdBVUVEZEdvZ0FEa0RBQ0FCSUFOSURRQUxJQU1oQVF3QkN3c0NRQ0FBUVJnZ0Myc1FCaUlBUkFBQUFBQUFBSEJCWmdSQUlBVkI0QU5xSUFGQkFuUnFJQUJFQUFBQUFBQUFjRDZpSWhTWlJBQUF3UC8vLzk5Qll3Ui9JQlNxQlVHQWdJQ0FlQXNpQXJkRUFBQUFBQUFBY01HaUlBQ2dJZ0NaUkFBQXdQLy8vOTlCWXdSL0lBQ3FCVUdBZ0lDQWVBczJBZ0FnQVVFQmFpRUJJQXNoQmd3QkN5QUFtVVFBQU1ELy8vL2ZRV01FZnlBQXFnVkJnSUNBZ0hnTElRSUxJQVZCNEFOcUlBRkJBblJxSUFJMkFnQUxSQUFBQUFBQUFQQS9JQVlRQmlFQUlBRkJBRTRFUUNBQklRSURRQ0FGSUFJaUEwRURkR29nQUNBRlFlQURhaUFDUVFKMGFpZ0NBTGVpT1FNQUlBSkJBV3NoQWlBQVJBQUFBQUFBQUhBK29pRUFJQU1OQUFzZ0FTRUhBMEFDUUNBSUlBRWdCMnNpQXlBRElBaEtHeUlHUVFCSUJFQkVBQUFBQUFBQUFBQWhBQXdCQ3lBRklBZEJBM1JxSVF0QkFDRUNSQUFBQUFBQUFBQUFJUUFEUUNBQ1FRTjBJZzByQTdBc0lBc2dEV29yQXdDaUlBQ2dJUUFnQWlBR1J5QUNRUUZxSVFJTkFBc0xJQVZCb0FGcUlBTkJBM1JxSUFBNUF3QWdCMEVBU2lBSFFRRnJJUWNOQUFzTFJBQUFBQUFBQUFBQUlRQWdBVUVBVGdSQUlBRWhBZ05BSUFJaUEwRUJheUVDSUFBZ0JVR2dBV29nQTBFRGRHb3JBd0NnSVFBZ0F3MEFDd3NnQ1NBQW1pQUFJQW9iT1FNQUlBVXJBNkFCSUFDaElRQkJBU0VDSUFGQkFFb0VRQU5BSUFBZ0JVR2dBV29nQWtFRGRHb3JBd0NnSVFBZ0FTQUNSeUFDUVFGcUlRSU5BQXNMSUFrZ0FKb2dBQ0FLR3prRENDQUZRYkFFYWlRQUlBeEJCM0VoQVNBSkt3TUFJUUFnR0VJQVV3UkFJQVFnQUpvNUF3QWdCQ0FKS3dNSW1qa0RDRUVBSUFGcklRRU1BUXNnQkNBQU9RTUFJQVFnQ1NzRENEa0RDQXNnQ1VFd2FpUUFJQVFyQXdnaEFDQUVLd01BSVJRQ1FBSkFBa0FDUUNBQlFRTnhRUUZyRGdNQkFnTUFDeUFVSUFCQkFSQUpJUUFNQXdzZ0ZDQUFFQTRoQUF3Q0N5QVVJQUJCQVJBSm1pRUFEQUVMSUJRZ0FCQU9taUVBQ3lBRVFSQnFKQUFnQUF1U0FRRURmRVFBQUFBQUFBRHdQeUFBSUFDaUlnSkVBQUFBQUFBQTREK2lJZ09oSWdSRUFBQUFBQUFBOEQ4Z0JLRWdBNkVnQWlBQ0lBSWdBa1NRRmNzWm9BSDZQcUpFZDFIQkZtekJWcitnb2tSTVZWVlZWVldsUDZDaUlBSWdBcUlpQXlBRG9pQUNJQUpFMURpSXZ1bjZxTDJpUk1TeHRMMmU3aUUrb0tKRXJWS2NnRTkra3I2Z29xQ2lJQUFnQWFLaG9LQUx2Z0lCQkg4Q1FBSkFBa0FnQUVVTkFDQUJSUTBBSUFKRkRRQWdCVUVMU1EwQkN5QUdSUTBCSUFaQkF6WUNBRUVBRHd0QjRBQVFCQ0lIUlFSQVFRQWhCeUFHUlEwQklBWkJBVFlDQUVFQUR3c2dCMEdBZ0lEOEF6WUNMQ0FIUVg4MkFoQWdCMEtCZ0lDQUVEY0NXQ0FISUFBMkFoUWdCMEdnQVRZQ0lDQUhJQUJCQW5RaUNCQUVJZ2syQWp4QkFDRUFBa0FnQ1VVTkFDQUhJQWdRQkNJS05nSkVJQXBGRFFBZ0J5QUlFQVFpQ0RZQ1FDQUtJUUFnQ0VVTkFDQUhJQVUyQWhBZ0J5QUJJQUlnQXlBRUVBZ2FBa0FnQnhBSElnQkZCRUFnQjBFQk5nSTBEQUVMSUFjb0FrZ1FBU0FIS0FKTUVBRWdCeWdDUEJBQklBY29Ba1FRQVNBSEtBSkFFQUVnQnhBQlFRQWhCd3NnQmtVTkFTQUdJQUEyQWdBZ0J3OExJQVlFUUNBR1FRRTJBZ0FMSUFrUUFTQUFFQUVnQnhBQlFRQWhCd3NnQnd1T0NBTVRmd0Y5QVh3akFFR1FJR3NpQ0NRQUlBVW9BZ0FoQ3lBREtBSUFJUXdnQUNnQ1hDRVRJQUFvQWxnaER5QUFLQUpJSVFZZ0FDZ0NHQ0VKSUFBb0Fod2hCeUFBUVFFMkFsd0NRQ0FNUlEwQUlBdEZEUUFnQnlBSmEwRUJhaUVWSUFZZ0FTQUhiQ0lIUVFKMGFpRVdJQVlnQjBFQ2RHcEJCR3NoRndOQUlBZ2dDRUVRYWpZQ0RDQUlJQXdnRlNBTUlCVkpHellDQ0NBSVFZQUlJQXNnQzBHQUNFOGJJZ1kyQWdRQ1FBSkFBa0FnQVVFQ2RDSU9JQUFvQWtScUtBSUFSUVJBUVFBaEVBd0JDeUFBSUFFZ0NFRU1haUFHRUJFaEVDQUlJQWdvQWdRZ0VHczJBZ1FnQ3lBUWF5RUxJQUFvQWtRZ0Rtb29BZ0FOQVFzZ0FDZ0NHQ0VKSUFnb0FnZ2hCZ0pBSUFJRVFDQUdSUTBCSUJZZ0NVRUNkR29oQ2tFQUlRY2dCa0VCUndSQUlBWkJBWEVnQmtGK2NTRU5RUUFoQmdOQUlBb2dCMEVDZEdwQkJHc2dBaUFISUE5c1FRRjBhaTRCQUxJNEFnQWdDaUFIUVFGeUloSkJBblJxUVFScklBSWdEeUFTYkVFQmRHb3VBUUN5T0FJQUlBZEJBbW9oQnlBR1FRSnFJZ1lnRFVjTkFBdEZEUUlMSUFvZ0IwRUNkR3BCQkdzZ0FpQUhJQTlzUVFGMGFpNEJBTEk0QWdBTUFRc2dCa1VOQUNBR1FRSjBJZ1pGRFFBZ0Z5QUpRUUowYWlBR0VBSUxJQWdvQWd3aEJpQUFRUUUyQWpnZ0FDQUJJQUFvQWtnZ0FDZ0NIQ0FCYkVFQ2RHb2lFU0FJUVFocUlBWWdDRUVFYWlBQUtBSlVFUUVBSVEwZ0FDZ0NQQ0FPYWlJS0tBSUFJZ2NnQ0NnQ0NDSUdTQVJBSUFnZ0J6WUNDQ0FISVFZTElBZ2dEVFlDQkNBS0lBb29BZ0FnQm1zMkFnQWdDQ2dDQ0NFR0lBbEJBa2dOQVNBSlFRRnJJZ3BCQTNFaERrRUFJUTFCQUNFSElBbEJBbXRCQTA4RVFDQUtRWHh4SVJoQkFDRVNBMEFnRVNBSFFRSjBhaUlKSUFrZ0JrRUNkQ0lLYWlvQ0FEZ0NBQ0FKUVFScUloUWdDaUFVYWlvQ0FEZ0NBQ0FKUVFocUloUWdDaUFVYWlvQ0FEZ0NBQ0FKUVF4cUlna2dDU0FLYWlvQ0FEZ0NBQ0FIUVFScUlRY2dFa0VFYWlJU0lCaEhEUUFMSUE1RkRRSUxBMEFnRVNBSFFRSjBhaUlKSUFrZ0JrRUNkR29xQWdBNEFnQWdCMEVCYWlFSElBMUJBV29pRFNBT1J3MEFDd3dCQzBFQUlRWWdDRUVBTmdJRUMwRUFJUWNnRUNBSUtBSUVJZ3BxSWdrRVFBTkFJQVFnQnlBVGJFRUJkR29DZjBHQWdBSWdDRUVRYWlBSFFRSjBhaW9DQUNJWlF3RC8vOFpkRFFBYVFmLy9BU0FaUXdEOS8wWmVEUUFhSUJtN1JBQUFBQUFBQU9BL29Kd2lHcGxFQUFEQS8vLy8zMEZqQkg4Z0dxb0ZRWUNBZ0lCNEN3czdBUUFnQjBFQmFpSUhJQWxIRFFBTEN5QUxJQXBySVFzZ0RDQUdheUlNUlEwQklBSWdCaUFQYkVFQmRHcEJBQ0FDR3lFQ0lBUWdDU0FUYkVFQmRHb2hCQ0FMRFFBTEN5QUFJQk0yQWx3Z0F5QURLQUlBSUF4ck5nSUFJQVVnQlNnQ0FDQUxhellDQUNBQUtBSlVHaUFJUVpBZ2FpUUFDNVFGQVF0L0l3QkJFR3NpQmlRQUlBWWdBellDRENBR0lBRkJBblFpQXlBQUtBSkVhaWdDQURZQ0NDQUNLQUlBSVFVZ0FFRUJOZ0k0SUFBb0FoZ2hDQ0FBSUFFZ0FDZ0NTQ0FBS0FJY0lBRnNRUUowYWlJS0lBWkJDR29nQlNBR1FReHFJQUFvQWxRUkFRQWhCQ0FBS0FJOElBTnFJZ2NvQWdBaUF5QUdLQUlJSWdWSUJFQWdCaUFETmdJSUlBTWhCUXNnQmlBRU5nSU1JQWNnQnlnQ0FDQUZhellDQUNBR0tBSUlJUVVDUUNBSVFRSklEUUFnQ0VFQmF5SUVRUU54SVF4QkFDRUhRUUFoQXlBSVFRSnJRUU5QQkVBZ0JFRjhjU0VKQTBBZ0NpQURRUUowYWlJRUlBUWdCVUVDZENJTGFpb0NBRGdDQUNBRVFRUnFJZzRnQ3lBT2Fpb0NBRGdDQUNBRVFRaHFJZzRnQ3lBT2Fpb0NBRGdDQUNBRVFReHFJZ1FnQkNBTGFpb0NBRGdDQUNBRFFRUnFJUU1nRFVFRWFpSU5JQWxIRFFBTElBeEZEUUVMQTBBZ0NpQURRUUowYWlJRUlBUWdCVUVDZEdvcUFnQTRBZ0FnQTBFQmFpRURJQWRCQVdvaUJ5QU1SdzBBQ3dzZ0FDZ0NSQ0FCUVFKMGFpSUJJQUVvQWdBaUFTQUZheUlFTmdJQUFrQWdBU0FGUmcwQUlBUkJBM0VoQ3lBS0lBaEJBblJxSWd4QkJHc2hDRUVBSVFjZ0JpZ0NDQ0VLUVFBaEF5QUZJQUZyUVh4TkJFQWdCRUY4Y1NFTlFRQWhCQU5BSUFnZ0EwRUNkQ0lKYWlJQklBRWdDa0VDZENJRmFpb0NBRGdDQUNBSklBeHFJZ2tnQlNBSmFpb0NBRGdDQUNBQlFRaHFJZ2tnQlNBSmFpb0NBRGdDQUNBQlFReHFJZ0VnQVNBRmFpb0NBRGdDQUNBRFFRUnFJUU1nQkVFRWFpSUVJQTFIRFFBTElBdEZEUUVMQTBBZ0NDQURRUUowYWlJQklBRWdDa0VDZEdvcUFnQTRBZ0FnQTBFQmFpRURJQWRCQVdvaUJ5QUxSdzBBQ3dzZ0FpQUNLQUlBSUFZb0Fnd2lBU0FBS0FKY2JFRUNkR28yQWdBZ0JrRVFhaVFBSUFFTHdBUUNFbjhCZlNBQlFRSjBJZ0VnQUNnQ1FHb2lFeWdDQUNFR0FrQWdBQ2dDUENBQmFpSVVLQUlBSWdnZ0F5Z0NBQ0lPVGcwQUlBQW9BZ3doQ3lBQUtBSW9JUThnQUNnQ0pDRVFJQUFvQWx3aEVVRUFJUUVnQlNnQ0FDSURRUUFnQTBFQVNoc2hCd0pBSUFBb0FoZ2lERUVBVEFSQUlBTkJBRXdOQWd3QkN5QURRUUJNRFFFZ0FDZ0NUQ0VWSUF4Qi9QLy8vd2R4SVJZZ0RFRURjU0VTSUF4QkJFa2hGMEVBSVFBRFFDQUNJQWhCQW5ScUlRRWdGU0FHSUF4c1FRSjBhaUVKUXdBQUFBQWhHRUVBSVFWQkFDRU5RUUFoQXdKQUlCZEZCRUFEUUNBSklBVkJBblFpQTBFTWNpSUthaW9DQUNBQklBcHFLZ0lBbENBSklBTkJDSElpQ21vcUFnQWdBU0FLYWlvQ0FKUWdDU0FEUVFSeUlncHFLZ0lBSUFFZ0Ntb3FBZ0NVSUFNZ0NXb3FBZ0FnQVNBRGFpb0NBSlFnR0pLU2twSWhHQ0FGUVFScUlRVWdEVUVFYWlJTklCWkhEUUFMSUFVaEF5QVNSUTBCQzBFQUlRVURRQ0FKSUFOQkFuUWlEV29xQWdBZ0FTQU5haW9DQUpRZ0dKSWhHQ0FEUVFGcUlRTWdCVUVCYWlJRklCSkhEUUFMQ3lBRUlBQWdFV3hCQW5ScUlCZzRBZ0FnQmlBUGFpSUJJQXRCQUNBQklBdFBJZ0ViYXlFR0lBQkJBV29oQUNBT0lBZ2dFR29nQVdvaUNFb0VRQ0FBSUFkR0RRTU1BUXNMSUFBaEJ3d0JDd05BQWtBZ0JDQUJJQkZzUVFKMGFrRUFOZ0lBSUFZZ0Qyb2lBQ0FMUVFBZ0FDQUxUeUlBRzJzaEJpQUJRUUZxSVFFZ0NDQVFhaUFBYWlJSUlBNU9EUUFnQVNBSFJ3MEJEQUlMQ3lBQklRY0xJQlFnQ0RZQ0FDQVRJQVkyQWdBZ0J3dnpBd0lPZndSOElBRkJBblFpQVNBQUtBSkFhaUlQS0FJQUlRWUNRQ0FBS0FJOElBRnFJaEFvQWdBaUNDQURLQUlBSWdwT0RRQWdBQ2dDRENFSklBQW9BaWdoQ3lBQUtBSWtJUXdnQUNnQ1hDRU5RUUFoQVNBRktBSUFJZ05CQUNBRFFRQktHeUVIQWtBZ0FDZ0NHQ0lPUVFCTUJFQWdBMEVBVEEwQ0RBRUxJQU5CQUV3TkFTQUFLQUpNSVJGQkFDRUFBMEFnQWlBSVFRSjBhaUVTSUJFZ0JpQU9iRUVDZEdvaEUwUUFBQUFBQUFBQUFDRVVRUUFoQTBRQUFBQUFBQUFBQUNFVlJBQUFBQUFBQUFBQUlSWkVBQUFBQUFBQUFBQWhGd05BSUJRZ0V5QURRUUowSWdWcUlnRXFBZ3dnQlNBU2FpSUZLZ0lNbEx1Z0lSUWdGeUFCS2dJSUlBVXFBZ2lVdTZBaEZ5QVdJQUVxQWdRZ0JTb0NCSlM3b0NFV0lCVWdBU29DQUNBRktnSUFsTHVnSVJVZ0EwRUVhaUlESUE1SURRQUxJQVFnQUNBTmJFRUNkR29nRlNBV29DQVhvQ0FVb0xZNEFnQWdCaUFMYWlJQklBbEJBQ0FCSUFsUElnRWJheUVHSUFCQkFXb2hBQ0FLSUFnZ0RHb2dBV29pQ0VvRVFDQUFJQWRHRFFNTUFRc0xJQUFoQnd3QkN3TkFBa0FnQkNBQklBMXNRUUowYWtFQU5nSUFJQVlnQzJvaUFDQUpRUUFnQUNBSlR5SUFHMnNoQmlBQlFRRnFJUUVnQ0NBTWFpQUFhaUlJSUFwT0RRQWdBU0FIUncwQkRBSUxDeUFCSVFjTElCQWdDRFlDQUNBUElBWTJBZ0FnQnd1U0JBSUpmUkIvSUFGQkFuUWlBU0FBS0FKQWFpSVVLQUlBSVE4Q1FDQUFLQUk4SUFGcUloVW9BZ0FpRVNBREtBSUFJaFpPRFFBZ0JTZ0NBQ0lCUVFBZ0FVRUFTaHNoRUNBQlFRQk1EUUFnQUNnQ0tDRVhJQUFvQWlRaEdDQUFLQUpjSVJrZ0FDZ0NEQ0lGc3lFTUlBQW9BakFoRXlBQUtBSVlJaHBCQUV3aEcwRUFJUU1EUUNBUElCTnNJZ0VnQVNBRmJpSWNJQVZzYTdNZ0RKVWhCZ0pBSUJzRVFFTUFBQUFBSVFsREFBQUFBQ0VLUXdBQUFBQWhDME1BQUFBQUlRY01BUXNnQWlBUlFRSjBhaUVkSUFBb0Frd2hIa0VBSVFGREFBQUFBQ0VIUXdBQUFBQWhDME1BQUFBQUlRcERBQUFBQUNFSkEwQWdIU0FCUVFKMGFpb0NBQ0lJSUI0Z0FVRUJhaUlCSUJOc0lCeHJRUUowYWlJU0tnSVVsQ0FIa2lFSElBZ2dFaW9DRUpRZ0M1SWhDeUFJSUJJcUFneVVJQXFTSVFvZ0NDQVNLZ0lJbENBSmtpRUpJQUVnR2tjTkFBc0xJQVFnQXlBWmJFRUNkR29nQmtNN3FxcStsQ0FHUXdBQUFEK1VJQWFVSWdpU0lBWWdCaUFHUTRxcktqNlVsSlFpRFpNaURpQUhsRVFBQUFBQUFBRHdQeUFHUTRxcktyNlVJQTJTSWdlN29TQUlJQWFTSUFnZ0JwU1RJZ2E3b1NBT3U2RzJJQXVVSUFjZ0NaUWdCaUFLbEpLU2tqZ0NBQ0FQSUJkcUlnRWdCVUVBSUFFZ0JVOGlBUnRySVE4Z0EwRUJhaUVESUJZZ0VTQVlhaUFCYWlJUlNnUkFJQU1nRUVZTkFnd0JDd3NnQXlFUUN5QVZJQkUyQWdBZ0ZDQVBOZ0lBSUJBTHVnUURCSDBHZkJCL0lBRkJBblFpQVNBQUtBSkFhaUlWS0FJQUlSQUNRQ0FBS0FJOElBRnFJaFlvQWdBaUVpQURLQUlBSWhkT0RRQWdCU2dDQUNJQlFRQWdBVUVBU2hzaEVTQUJRUUJNRFFBZ0FDZ0NLQ0VZSUFBb0FpUWhHU0FBS0FKY0lSb2dBQ2dDRENJRnN5RUlJQUFvQWpBaEZDQUFLQUlZSWh0QkFFd2hIRUVBSVFNRFFDQVFJQlJzSWdFZ0FTQUZiaUlkSUFWc2E3TWdDSlVoQmdKQUlCd0VRRVFBQUFBQUFBQUFBQ0VMUkFBQUFBQUFBQUFBSVF4RUFBQUFBQUFBQUFBaERVUUFBQUFBQUFBQUFDRUtEQUVMSUFJZ0VrRUNkR29oSGlBQUtBSk1JUjlCQUNFQlJBQUFBQUFBQUFBQUlRcEVBQUFBQUFBQUFBQWhEVVFBQUFBQUFBQUFBQ0VNUkFBQUFBQUFBQUFBSVFzRFFDQUtJQjRnQVVFQ2RHb3FBZ0FpQnlBZklBRkJBV29pQVNBVWJDQWRhMEVDZEdvaUV5b0NGSlM3b0NFS0lBMGdCeUFUS2dJUWxMdWdJUTBnRENBSElCTXFBZ3lVdTZBaERDQUxJQWNnRXlvQ0NKUzdvQ0VMSUFFZ0cwY05BQXNMSUFRZ0F5QWFiRUVDZEdvZ0JrTTdxcXErbENBR1F3QUFBRCtVSUFhVUlnZVNJQVlnQmlBR1E0cXJLajZVbEpRaUNaTzdJZzRnQ3FKRUFBQUFBQUFBOEQ4Z0JrT0txeXErbENBSmtyc2lDcUVnQnlBR2tpQUhJQWFVazdzaUQ2RWdEcUcydXlBTm9pQUtJQXVpSUF3Z0Q2S2dvS0MyT0FJQUlCQWdHR29pQVNBRlFRQWdBU0FGVHlJQkcyc2hFQ0FEUVFGcUlRTWdGeUFTSUJscUlBRnFJaEpLQkVBZ0F5QVJSZzBDREFFTEN5QURJUkVMSUJZZ0VqWUNBQ0FWSUJBMkFnQWdFUXMzQVFGL1FRTWhBZ0pBSUFGQkNrc05BRUVBSVFJZ0FDZ0NFQ0FCUmcwQUlBQWdBVFlDRUNBQUtBSTBSUTBBSUFBUUJ5RUNDeUFDQ3g0QkFYOUJ2UWdoQVNBQVFRUk5CSDhnQUVFQ2RDZ0NzQllGUWIwSUN3dUdBUUVGZndKQUlBQW9BaFJGQkVBTUFRc2dBQ2dDUUNFRElBQW9Ba1FoQkNBQUtBSThJUVVEUUNBRklBRkJBblFpQW1wQkFEWUNBQ0FDSUFScVFRQTJBZ0FnQWlBRGFrRUFOZ0lBSUFGQkFXb2lBU0FBS0FJVUlnSkpEUUFMQ3dKQUlBQW9BaGhCQVdzZ0Ftd2lBVVVOQUNBQlFRSjBJZ0ZGRFFBZ0FDZ0NTQ0FCRUFJTFFRQUxPZ0VDZnlBQUtBSVVCRUFnQUNnQ1BDRUNBMEFnQWlBQlFRSjBhaUFBS0FJWVFRRjJOZ0lBSUFGQkFXb2lBU0FBS0FJVVNRMEFDd3RCQUFzZUFDQUFLQUlNSUFBb0FoaEJBWFpzSUFBb0FnZ2lBRUVCZG1vZ0FHNExDZ0FnQUNnQ0dFRUJkZ3NXQUNBQklBQW9BZ2cyQWdBZ0FpQUFLQUlNTmdJQUN4WUFJQUVnQUNnQ0FEWUNBQ0FDSUFBb0FnUTJBZ0FMRGdBZ0FDQUJJQUlnQVNBQ0VBZ0x5d0VCQm44Z0FDZ0NYQ0VJSUFJb0FnQWhCaUFFS0FJQUlRY2dBQ0FBS0FJVUlnVTJBbHdnQUNnQ1dDRUpJQUFnQlRZQ1dBSkFJQVZGRFFCQkFDRUZJQUZGQkVBRFFDQUVJQWMyQWdBZ0FpQUdOZ0lBSUFBZ0JVRUFJQUlnQXlBRlFRRjBhaUFFRUJBZ0JVRUJhaUlGSUFBb0FoUkpEUUFNQWdzQUN3TkFJQVFnQnpZQ0FDQUNJQVkyQWdBZ0FDQUZJQUVnQlVFQmRDSUthaUFDSUFNZ0Ntb2dCQkFRSUFWQkFXb2lCU0FBS0FJVVNRMEFDd3NnQUNBSU5nSmNJQUFnQ1RZQ1dDQUFLQUpVUVFWR0M4MEJBUVovSUFBb0Fsd2hDQ0FDS0FJQUlRWWdCQ2dDQUNFSElBQWdBQ2dDRkNJRk5nSmNJQUFvQWxnaENTQUFJQVUyQWxnQ1FDQUZSUTBBUVFBaEJTQUJSUVJBQTBBZ0JDQUhOZ0lBSUFJZ0JqWUNBQ0FBSUFWQkFDQUNJQU1nQlVFQ2RHb2dCQkFLR2lBRlFRRnFJZ1VnQUNnQ0ZFa05BQXdDQ3dBTEEwQWdCQ0FITmdJQUlBSWdCallDQUNBQUlBVWdBU0FGUVFKMElncHFJQUlnQXlBS2FpQUVFQW9hSUFWQkFXb2lCU0FBS0FJVVNRMEFDd3NnQUNBSU5nSmNJQUFnQ1RZQ1dDQUFLQUpVUVFWR0N5a0FJQUFvQWtnUUFTQUFLQUpNRUFFZ0FDZ0NQQkFCSUFBb0FrUVFBU0FBS0FKQUVBRWdBQkFCQzg4QkFRZC9JQUZCQW5RaUFTQUFLQUpBYWlJSUtBSUFJUVpCQUNFQ0FrQWdBQ2dDUENBQmFpSUpLQUlBSWdjZ0F5Z0NBQ0lLVGcwQVFRQWhBU0FGS0FJQUlnTkJBQ0FEUVFCS0d5RUNJQU5CQUV3TkFDQUFLQUlNSVFNZ0FDZ0NLQ0VGSUFBb0FpUWhDeUFBS0FKY0lRQURRQUpBSUFRZ0FDQUJiRUVDZEdwQkFEWUNBQ0FGSUFacUlnWWdBMEVBSUFNZ0JrMGlEQnRySVFZZ0FVRUJhaUVCSUFjZ0Myb2dER29pQnlBS1RnMEFJQUVnQWtjTkFRd0NDd3NnQVNFQ0N5QUpJQWMyQWdBZ0NDQUdOZ0lBSUFJTEVnQWdBQ0FCSUFJZ0FTQUNJQU1nQkJBUEN3SUFDd3ZvSkFZQVFZQUlDNllCU1c1MllXeHBaQ0JoY21kMWJXVnVkQzRBVTNWalkyVnpjeTRBU1c1d2RYUWdZVzVrSUc5MWRIQjFkQ0JpZFdabVpYSnpJRzkyWlhKc1lYQXVBRlZ1YTI1dmQyNGdaWEp5YjNJdUlFSmhaQ0JsY25KdmNpQmpiMlJsSUc5eUlITjBjbUZ1WjJVZ2RtVnljMmx2YmlCdGFYTnRZWFJqYUM0QVFtRmtJSEpsYzJGdGNHeGxjaUJ6ZEdGMFpTNEFUV1Z0YjNKNUlHRnNiRzlqWVhScGIyNGdabUZwYkdWa0xnQkJzQWtMMEFnSUFBQUFCQUFBQU9GNlZELzJLRncvakFVQUFCQUFBQUFFQUFBQW1wbFpQNjVIWVQrTUJRQUFJQUFBQUFRQUFBREJ5bUUvdy9Wb1A0d0ZBQUF3QUFBQUNBQUFBTGdlWlQrRHdHby9sQVVBQUVBQUFBQUlBQUFBcU1aclA5ZWpjRCtVQlFBQVVBQUFBQkFBQUFBeENHdy8xNk53UDV3RkFBQmdBQUFBRUFBQUFOZWpjRCtGNjNFL25BVUFBSUFBQUFBUUFBQUFNek56UHpNemN6K2NCUUFBb0FBQUFCQUFBQUNQd25VL2o4SjFQNXdGQUFEQUFBQUFJQUFBQU5uT2R6L1p6bmMvcEFVQUFBQUJBQUFnQUFBQW1wbDVQNXFaZVQra0JRQUFzQVVBQUNBQUFBRFFCZ0FBSUFBQUFQQUhBQUFnQUFBQUVBa0FBRUFBQUFBQUFBQUFKWkhndWlEcTd6OEFBQUFBQUFEd1B5V1I0TG9nNnU4LzNrc3J6ODJvN3o5YUgvK2E1anp2UDFYUEY3WGFwKzQvdnFCazlxTHI3VC9Ya0c0NnVBcnRQNHZvejJVSENPdy90ZDV2dE9QbTZqOVlBSFFVOTZycFB5SnlWVFF4V09nL1VNV3VhYlh5NWo5WTVMWUJ5SDdsUDVSRkoyeTdBT1EvUnl0S1M5MTg0aitwbytOcVpQZmdQNnFwbDZXKzZONC9Gc1I2Z2tqdjJ6OUxac3lQaFFuWlB6L3A0VmZ1UGRZL3dtcHVmVCtTMHorZ3ZxZHFhUXZSUHl0eVh6a0lXODAvSjVsaUw1RDN5RCtoQjhxdkYvSEVQOHBpcklDTVNzRS9Jc1crYkZRS3ZEOWhoUUNGSDBHMlA0L2VjQis1TmJFL1E0VEpuazdEcVQ4aGUzdmZFWGlpUC9OSEtPaTg1NWcvV2UwTzUrbDFqajhoQWc2aFNzMStQd0FBQUFBQUFBQUF3Vk5Nemg3aTd6OEFBQUFBQUFEd1A4RlRUTTRlNHU4L3owTEltZzJKN3o4TWJlZVlmL2J1UDRnU0xYazhMZTQvbWszMHR3d3g3VCsxc01DNm5nYnNQOHlaRGhsbXMrby8zSGtzeDNVOTZUOVJxeUs3VnF2blA1VTJ5VTNjQStZL2Rhdm5wUGRONUQ5M0FKdmVpNURpUHhPQjZoOUUwdUEveGdERDBka3kzajlUUGdSVm85ZmFQOWtJWWNFL25kYy9xR29HNForTTFEOXVKSDBZS2EzUlAxcnZlZlpEQ2M0L0d3QmdLMWN1eVQ5Umxtc2JrTTdFUDR2c1dxM1o2OEEvNmRZcFhuNEt1ei9mRi9yVWJ5NjFQd1lOZ1V3QU9MQS95cjFFNWZRdnFEK21GZmp0bUhpaFAwdjFVOUo1UTVnL2xNK2Y5STBCa0Q4QWJqYzkvNmlEUDk1cEdVYk5tWFUvNElXTXkrRW9Zei84cWZIU1RXSkFQd0FBQUFBQUFBQUF1YWFqa0NMYTd6OEFBQUFBQUFEd1A3bW1vNUFpMnU4L2hRc1cybnRwN3o5RVJzMTQxN0R1UHlaVHc0YkF0TzAvTTlvdVhWWjc3RCtwemhjNUV3enJQNm5xY1NHSGIray9jdWFSSGdxdjV6L1cwV25FYWRUbFA4Q25wQlNWNmVNL09hQUE1VXI0NFQvcWd4dmZ6UW5nUDFWcTFUSkNUZHcvUTEzZSs1K3MyRDhQV3ZiQmhUN1ZQeDhGMjhwRERkSS9vR2MzSXhoQnpqK01pM3J6NGZySVAvQ3VTSWI3VE1RL2RPTW5IOHczd0QvdVlZck5JbSs1UHp0T1Zjb0Fpck0vNkdFdXl1aFhyVDhrTTgwcUlubWxQN3RwYmZuTWdwNC9JaXgwYjQvdmxEOCtFZDBXMll5TFAxM0NYNXVtTW9FL1VBaXkyQVVIZEQrQnlDcStCQnRsUDl6dXE1T3YyMUkvRzhxYW9tMUdOejhBUVpBU0M3SUV5RkVNMG9UMDd6OEFBQUFBQUFEd1A4aFJETktFOU84LzlwVUg2U25TN3ovYTA4VHhNcG52UDlUOUVOa1BTdTgvZnArN2Jsdmw3ajlod1QrZDJXdnVQeDNYOFNWMTN1MC9hbjl2N0R3KzdUL0o2alhCWUl6c1AzY2tSUUV1eXVzL0hyeCsyZ3Y1Nmo4NjBMODBkeHJxUC9VbEk0RCtMK2svOGtCRGd6MDc2RDhPQjFQZTJEM25QL2Z5cjZONU9lWS9UTWpGSU1rdjVUL091SGlSYkNMa1AvK1pXaGtCRStNL0w1d3g3UmNENGo5ajJRYk5NdlRnUDAxYWhuS0J6OTgvelk5ayt6VyszVDhWeGplUUJiZmJQK0FIcmFnOXZOay9ZRE1Lay9QUDF6L3pIZnpFQWZUVlAwcUZaL2dGS3RRLzU4MDhGR0J6MGorTnlqUTNNdEhRUDlqUmV2REJpTTQvcnlkNEVpcWJ5ei9JU0pQZWVkcklQN1hQV3lNZlI4WS9QVmRDRkIvaHd6KzF6UUZBSGFqQlAwMjZrTHZHTnI4L0xnd21PTlJ6dXo5bWtnVUt4QVM0UDRCVUZzZDU1clEvWWtoT0ptNFZzaitrRllTWGhSdXZQK3l5NnlDbmxxby9sNmhCUlpPVHBqOCtlQy92V0FtalA5WG5yRWZJM1o4L2JNOU5GemwybWovMDhkam8vOG1WUHc4THRhWjV4NUUvVlJkcytoNjdqRC8rcExFb3N2ZUdQenkzbHVwK0pZSS9wZnUxekZST2ZEOW5IMVIzbjhKMVB3WEVmeFU3ZFhBL2RIK3puSjF2YUQvVDhQTUFrc0JoUC9kUzIvcW5JMWsvUDhHczdYbEFVVC94UWdDUitzSkdQM3V5elZNK2dEdy9KbEdTSXZDUE1EL0hWRzVnZWhRaFAzMkpmemNncXdzLzhXamppTFg0NUQ0QUFBQUFBQUFBQUJJRUFBQ05CQUFBZUFRQUFBQUVBQUFiQkFCQjBCWUwxeFVEQUFBQUJBQUFBQVFBQUFBR0FBQUFnL21pQUVST2JnRDhLUlVBMFZjbkFOMDA5UUJpMjhBQVBKbVZBRUdRUXdCalVmNEF1OTZyQUxkaHhRQTZiaVFBMGsxQ0FFa0c0QUFKNmk0QUhKTFJBT3NkL2dBcHNSd0E2RDZuQVBVMWdnQkV1eTRBbk9tRUFMUW1jQUJCZmw4QTFwRTVBRk9ET1FDYzlEa0FpMStFQUNqNXZRRDRIenNBM3YrWEFBK1lCUUFSTCs4QUNscUxBRzBmYlFEUGZqWUFDY3NuQUVaUHR3Q2VaajhBTGVwZkFMb25kUURsNjhjQVBYdnhBUGM1QndDU1Vvb0ErMnZxQUIreFh3QUlYWTBBTUFOV0FIdjhSZ0R3cTJzQUlMelBBRGIwbWdEanFSMEFYbUdSQUFnYjVnQ0ZtV1VBb0JSZkFJMUFhQUNBMlA4QUozTk5BQVlHTVFES1ZoVUF5YWh6QUh2aVlBQnJqTUFBR2NSSEFNMW53d0FKNk53QVdZTXFBSXQyeEFDbUhKWUFSSy9kQUJsWDBRQ2xQZ1VBQlFmL0FETitQd0RDTXVnQW1FL2VBTHQ5TWdBbVBjTUFIbXZ2QUovNFhnQTFIem9BZi9MS0FQR0hIUUI4a0NFQWFpUjhBTlZ1K2dBd0xYY0FGVHREQUxVVXhnRERHWjBBcmNUQ0FDeE5RUUFNQUYwQWhuMUdBT054TFFDYnhwb0FNMklBQUxUU2ZBQzBwNWNBTjFYVkFOYys5Z0NqRUJnQVRYYjhBR1NkS2dCdzE2c0FZM3o0QUhxd1Z3QVhGZWNBd0VsV0FEdlcyUUNuaERnQUpDUExBTmFLZHdCYVZDTUFBQis1QVBFS0d3QVp6dDhBbnpIL0FHWWVhZ0NaVjJFQXJQdEhBSDUvMkFBaVpiY0FNdWlKQU9hL1lBRHZ4TTBBYkRZSkFGMC8xQUFXM3RjQVdEdmVBTjZia2dEU0lpZ0FLSWJvQU9KWVRRREd5aklBQ09NV0FPQjl5d0FYd0ZBQTh4Mm5BQmpnV3dBdUV6UUFneEppQUlOSUFRRDFqbHNBcmJCL0FCN3A4Z0JJU2tNQUVHZlRBS3JkMkFDdVgwSUFhbUhPQUFvb3BBRFRtYlFBQnFieUFGeDNmd0Nqd29NQVlUeUlBSXB6ZUFDdmpGb0FiOWU5QUMybVl3RDB2OHNBallIdkFDYkJad0JWeWtVQXl0azJBQ2lvMGdEQ1lZMEFFc2wzQUFRbUZBQVNScHNBeEZuRUFNakZSQUJOc3BFQUFCZnpBTlJEclFBcFNlVUEvZFVRQUFDKy9BQWVsTXdBY003dUFCTSs5UURzOFlBQXMrZkRBTWY0S0FDVEJaUUF3WEUrQUM0SnN3QUxSZk1BaUJLY0FLc2dld0F1dFo4QVI1TENBSHN5THdBTVZXMEFjcWVRQUd2bkh3QXh5NVlBZVJaS0FFRjU0Z0QwMzRrQTZKU1hBT0xtaEFDWk1aY0FpTzFyQUY5Zk5nQzcvUTRBU0pxMEFHZWtiQUJ4Y2tJQWpWMHlBSjhWdUFDODVRa0FqVEVsQVBkME9RQXdCUndBRFF3QkFFc0lhQUFzN2xnQVI2cVFBSFRuQWdDOTFpUUE5MzJtQUc1SWNnQ2ZGdThBanBTbUFMU1I5Z0RSVTFFQXp3cnlBQ0NZTXdEMVMzNEFzbU5vQU4wK1h3QkFYUU1BaFlsL0FGVlNLUUEzWk1BQWJkZ1FBREpJTWdCYlRIVUFUbkhVQUVWVWJnQUxDY0VBS3ZWcEFCUm0xUUFuQjUwQVhRUlFBTFE3MndEcWRzVUFoL2tYQUVscmZRQWRKN29BbG1rcEFNYk1yQUN0RkZRQWtPSnFBSWpaaVFBc2NsQUFCS1MrQUhjSGxBRHpNSEFBQVB3bkFPcHhxQUJtd2trQVpPQTlBSmZkZ3dDalA1Y0FRNVQ5QUEyR2pBQXhRZDRBa2ptZEFOMXdqQUFYdCtjQUNOODdBQlUzS3dCY2dLQUFXb0NUQUJBUmtnQVA2TmdBYklDdkFOdi9Td0E0a0E4QVdSaDJBR0tsRlFCaHk3c0F4NG01QUJCQXZRRFM4Z1FBU1hVbkFPdTI5Z0RiSXJzQUNoU3FBSWttTHdCa2czWUFDVHN6QUE2VUdnQlJPcW9BSGFQQ0FLL3RyZ0JjSmhJQWJjSk5BQzE2bkFEQVZwY0FBeitEQUFudzlnQXJRSXdBYlRHWkFEbTBCd0FNSUJVQTJNTmJBUFdTeEFER3JVc0FUc3FsQUtjM3pRRG1xVFlBcTVLVUFOMUNhQUFaWTk0QWRvenZBR2lMVWdEODJ6Y0FycUdyQU44Vk1RQUFycUVBRFB2YUFHUk5aZ0R0QmJjQUtXVXdBRmRXdndCSC96b0Fhdm01QUhXKzh3QW9rOThBcTRBd0FHYU05Z0FFeXhVQStpSUdBTm5rSFFBOXM2UUFWeHVQQURiTkNRQk9RdWtBRTc2a0FETWp0UUR3cWhvQVQyV29BTkxCcFFBTFB3OEFXM2pOQUNQNWRnQjdpd1FBaVJkeUFNYW1Vd0J2YnVJQTcrc0FBSnRLV0FERTJyY0FxbWE2QUhiUHp3RFJBaDBBc2ZFdEFJeVp3UUREclhjQWhramFBUGRkb0FER2dQUUFyUEF2QU4zc21nQS9YTHdBME41dEFKREhId0FxMjdZQW95VTZBQUN2bWdDdFU1TUF0bGNFQUNrdHRBQkxnSDRBMmdlbkFIYXFEZ0I3V2FFQUZoSXFBTnkzTFFENjVmMEFpZHYrQUltKy9RRGtkbXdBQnFuOEFENkFjQUNGYmhVQS9ZZi9BQ2crQndCaFp6TUFLaGlHQUUyOTZnQ3o1NjhBajIxdUFKVm5PUUF4djFzQWhOZElBRERmRmdESExVTUFKV0UxQU1sd3pnQXd5N2dBdjJ6OUFLUUFvZ0FGYk9RQVd0MmdBQ0Z2UndCaUV0SUF1VnlFQUhCaFNRQnJWdUFBbVZJQkFGQlZOd0FlMWJjQU0vSEVBQk51WHdCZE1PUUFoUzZwQUIyeXd3Q2hNallBQ0xla0FPcXgxQUFXOXlFQWoybmtBQ2YvZHdBTUE0QUFqVUF0QUUvTm9BQWdwWmtBczZMVEFDOWRDZ0MwK1VJQUVkckxBSDIrMEFDYjI4RUFxeGU5QU1xaWdRQUlhbHdBTGxVWEFDY0FWUUIvRlBBQTRRZUdBQlFMWkFDV1FZMEFoNzdlQU5yOUtnQnJKYllBZTRrMEFBWHovZ0M1djU0QWFHcFBBRW9xcUFCUHhGb0FMZmk4QU5kYW1BRDB4NVVBRFUyTkFDQTZwZ0NrVjE4QUZEK3hBSUE0bFFETUlBRUFjZDJHQU1uZXRnQy9ZUFVBVFdVUkFBRUhhd0NNc0t3QXNzRFFBRkZWU0FBZSt3NEFsWExEQUtNR093REFRRFVBQnR4N0FPQkZ6QUJPS2ZvQTFzcklBT2p6UVFCOFpONEFtMlRZQU5tK01RQ2tsOE1BZDFqVUFHbmp4UUR3MmhNQXVqbzhBRVlZUmdCVmRWOEEwcjMxQUc2U3hnQ3NMbDBBRGtUdEFCdytRZ0JoeEljQUtmM3BBT2ZXOHdBaWZNb0FiNUUxQUFqZ3hRRC8xNDBBYm1yaUFMRDl4Z0NUQ01FQWZGMTBBR3V0c2dETmJwMEFQbko3QU1ZUmFnRDN6NmtBS1hQZkFMWEp1Z0MzQUZFQTRySU5BSFM2SkFEbGZXQUFkTmlLQUEwVkxBQ0JHQXdBZm1hVUFBRXBGZ0NmZW5ZQS9mMitBRlpGN3dEWmZqWUE3TmtUQUl1NnVRREVsL3dBTWFnbkFQRnV3d0NVeFRZQTJLaFdBTFNvdFFEUHpBNEFFb2t0QUc5WE5BQXNWb2tBbWM3akFOWWd1UUJyWHFvQVBpcWNBQkZmekFEOUMwb0E0ZlQ3QUk0N2JRRGloaXdBNmRTRUFQeTBxUUR2N3RFQUxqWEpBQzg1WVFBNElVUUFHOW5JQUlIOENnRDdTbW9BTHh6WUFGTzBoQUJPbVl3QVZDTE1BQ3BWM0FEQXh0WUFDeG1XQUJwd3VBQnBsV1FBSmxwZ0FEOVM3Z0IvRVE4QTlMVVJBUHpMOVFBMHZDMEFOTHp1QU9oZHpBRGRYbUFBWjQ2YkFKSXo3d0RKRjdnQVlWaWJBT0ZYdkFCUmc4WUEyRDRRQU4xeFNBQXRITjBBcnhpaEFDRXNSZ0JaODljQTJYcVlBSjVVd0FCUGh2b0FWZ2I4QU9WNXJnQ0pJallBT0swaUFHZVQzQUJWNktvQWdpWTRBTXJubXdCUkRhUUFtVE94QUtuWERnQnBCVWdBWmJMd0FIK0lwd0NJVEpjQStkRTJBQ0dTc3dCN2drb0FtTThoQUVDZjNBRGNSMVVBNFhRNkFHZnJRZ0QrbmQ4QVh0UmZBSHRucEFDNnJIb0FWZmFpQUN1SUl3QkJ1bFVBV1c0SUFDRXFoZ0E1UjRNQWllUG1BT1dlMUFCSiswQUEvMWJwQUJ3UHlnREZXWW9BbFBvckFOUEJ4UUFQeGM4QTIxcXVBRWZGaGdDRlEySUFJWVk3QUN4NWxBQVFZWWNBS2t4N0FJQXNHZ0JEdnhJQWlDYVFBSGc4aVFDb3hPUUE1ZHQ3QU1RNndnQW05T29BOTJlS0FBMlN2d0Jsb3lzQVBaT3hBTDE4Q3dDa1Vkd0FKOTFqQUduaDNRQ2FsQmtBcUNtVkFHak9LQUFKN2JRQVJKOGdBRTZZeWdCd2dtTUFmbndqQUErNU1nQ245WTRBRkZibkFDSHhDQUMxblNvQWIzNU5BS1VaVVFDMSthc0FndC9XQUpiZFlRQVdOZ0lBeERxZkFJT2lvUUJ5N1cwQU9ZMTZBSUs0cVFCck1sd0FSaWRiQUFBMDdRRFNBSGNBL1BSVkFBRlpUUURnY1lBQVFiTXNDejFBK3lINVB3QUFBQUF0UkhRK0FBQUFnSmhHK0R3QUFBQmdVY3g0T3dBQUFJQ0RHL0E1QUFBQVFDQWxlamdBQUFDQUlvTGpOZ0FBQUFBZDgyazFBRUh3TEFzRGNCZ0InO1xuIl19
\ No newline at end of file
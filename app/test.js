@@ -23,10 +23,16 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
 };
 Object.defineProperty(exports, "__esModule", { value: true });
 const fs_1 = require("fs");
+const child_process_1 = require("child_process");
+const os_1 = __importDefault(require("os"));
 // const {promisify} = require('util');
 const perf_hooks_1 = require("perf_hooks");
 const path_1 = __importDefault(require("path"));
 const index_1 = __importStar(require("./index"));
+const stream_1 = require("stream");
+const formats_1 = require("./formats");
+const webStream_1 = require("./webStream");
+const errors_1 = require("./errors");
 const assert = (condition, message) => {
     if (!condition) {
         throw new Error(message);
@@ -40,23 +46,55 @@ const audioTests = [
     { inFile: path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 48000, channels: 2, quality: 10 },
     { inFile: path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 48000, channels: 2, quality: 1 },
     { inFile: path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 24000, channels: 2, quality: 5 },
+    { inFile: path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 48000, channels: 2, outFormat: 'float32' },
+    { inFile: path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 48000, channels: 2, outFormat: 'int24' },
+    { inFile: path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 16000, channels: 2, outFormat: 'int32' },
 ];
+const formatsOf = (audioTest) => ({
+    inFormat: audioTest.inFormat || 'int16',
+    outFormat: audioTest.outFormat || audioTest.inFormat || 'int16',
+});
+const durationsOf = (audioTest, input, output) => {
+    const { inFormat, outFormat } = formatsOf(audioTest);
+    return {
+        inputDuration: input.length / audioTest.inRate / formats_1.BYTES_PER_SAMPLE[inFormat] / audioTest.channels,
+        outputDuration: output.length / audioTest.outRate / formats_1.BYTES_PER_SAMPLE[outFormat] / audioTest.channels,
+    };
+};
+// the filter delay at the start of the output when the latency is not compensated
+const outputLatencyOf = (inRate, outRate, quality = 7) => {
+    const resampler = new index_1.default(1, inRate, outRate, quality);
+    const latency = resampler.outputLatency;
+    resampler.destroy();
+    return latency;
+};
+const assertFramesCount = (audioTest, input, output) => {
+    const { inFormat, outFormat } = formatsOf(audioTest);
+    const inFrames = input.length / formats_1.BYTES_PER_SAMPLE[inFormat] / audioTest.channels;
+    const outFrames = output.length / formats_1.BYTES_PER_SAMPLE[outFormat] / audioTest.channels;
+    const expectedOutFrames = Math.round(inFrames * audioTest.outRate / audioTest.inRate) + outputLatencyOf(audioTest.inRate, audioTest.outRate, audioTest.quality);
+    assert(outFrames === expectedOutFrames, `Output frames count not matching target, expected: ${expectedOutFrames} != out:${outFrames}`);
+};
+const describeTest = (audioTest) => {
+    const { inFormat, outFormat } = formatsOf(audioTest);
+    return `Resampling file ${audioTest.inFile} with ${audioTest.channels} channel(s) from ${audioTest.inRate}Hz to ${audioTest.outRate}Hz (quality: ${audioTest.quality || 7}, ${inFormat} -> ${outFormat})`;
+};
 const promiseBasedTest = async () => {
     await index_1.default.initPromise;
     for (const audioTest of audioTests) {
-        console.log(`Resampling file ${audioTest.inFile} with ${audioTest.channels} channel(s) from ${audioTest.inRate}Hz to ${audioTest.outRate}Hz (quality: ${audioTest.quality || 7})`);
-        const resampler = new index_1.default(audioTest.channels, audioTest.inRate, audioTest.outRate, audioTest.quality);
+        console.log(describeTest(audioTest));
+        const resampler = new index_1.default(audioTest.channels, audioTest.inRate, audioTest.outRate, audioTest.quality, formatsOf(audioTest));
         const filename = path_1.default.parse(audioTest.inFile).name;
         const pcmData = fs_1.readFileSync(audioTest.inFile);
         const start = perf_hooks_1.performance.now();
-        const res = await resampler.processChunk(pcmData);
+        const res = Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]);
         const end = perf_hooks_1.performance.now();
         console.log(`Resampled in ${Math.floor(end - start)}ms`);
-        console.log(`Input stream: ${pcmData.length} bytes, ${pcmData.length / audioTest.inRate / 2 / audioTest.channels}s`);
-        console.log(`Output stream: ${res.length} bytes, ${res.length / audioTest.outRate / 2 / audioTest.channels}s`);
-        const inputDuration = pcmData.length / audioTest.inRate / 2 / audioTest.channels;
-        const outputDuration = res.length / audioTest.outRate / 2 / audioTest.channels;
+        const { inputDuration, outputDuration } = durationsOf(audioTest, pcmData, res);
+        console.log(`Input stream: ${pcmData.length} bytes, ${inputDuration}s`);
+        console.log(`Output stream: ${res.length} bytes, ${outputDuration}s`);
         assert(Math.abs(inputDuration - outputDuration) < 0.01, `Stream duration not matching target, in: ${inputDuration}s != out:${outputDuration}`);
+        assertFramesCount(audioTest, pcmData, res);
         console.log();
         // writeFileSync(path.resolve(__dirname, `../resources/${filename}_${audioTest.outRate}_${audioTest.quality || 7}_output.pcm`), res);
     }
@@ -66,9 +104,9 @@ const streamBasedTest = async () => {
     console.log('Tranform Stream Test');
     console.log('=================');
     for (const audioTest of audioTests) {
-        console.log(`Resampling file ${audioTest.inFile} with ${audioTest.channels} channel(s) from ${audioTest.inRate}Hz to ${audioTest.outRate}Hz (quality: ${audioTest.quality || 7})`);
+        console.log(describeTest(audioTest));
         const readFileStream = fs_1.createReadStream(audioTest.inFile);
-        const transformStream = new index_1.SpeexResamplerTransform(audioTest.channels, audioTest.inRate, audioTest.outRate, audioTest.quality);
+        const transformStream = new index_1.SpeexResamplerTransform(audioTest.channels, audioTest.inRate, audioTest.outRate, audioTest.quality, formatsOf(audioTest));
         let pcmData = Buffer.alloc(0);
         readFileStream.on('data', (d) => {
             pcmData = Buffer.concat([pcmData, d]);
@@ -82,17 +120,971 @@ const streamBasedTest = async () => {
         await new Promise((r) => transformStream.on('end', r));
         const end = perf_hooks_1.performance.now();
         console.log(`Resampled in ${Math.floor(end - start)}ms`);
-        console.log(`Input stream: ${pcmData.length} bytes, ${pcmData.length / audioTest.inRate / 2 / audioTest.channels}s`);
-        console.log(`Output stream: ${res.length} bytes, ${res.length / audioTest.outRate / 2 / audioTest.channels}s`);
-        const inputDuration = pcmData.length / audioTest.inRate / 2 / audioTest.channels;
-        const outputDuration = res.length / audioTest.outRate / 2 / audioTest.channels;
+        const { inputDuration, outputDuration } = durationsOf(audioTest, pcmData, res);
+        console.log(`Input stream: ${pcmData.length} bytes, ${inputDuration}s`);
+        console.log(`Output stream: ${res.length} bytes, ${outputDuration}s`);
         assert(Math.abs(inputDuration - outputDuration) < 0.01, `Stream duration not matching target, in: ${inputDuration}s != out:${outputDuration}`);
+        assertFramesCount(audioTest, pcmData, res);
         console.log();
     }
 };
-promiseBasedTest()
-    .then(() => streamBasedTest()).catch((e) => {
+// signal to noise ratio in dB between two int16 buffers
+const int16Snr = (reference, output) => {
+    let signal = 0;
+    let noise = 0;
+    const samplesCount = Math.min(reference.length, output.length) / 2;
+    for (let i = 0; i < samplesCount; i++) {
+        const ref = reference.readInt16LE(i * 2);
+        signal += ref * ref;
+        noise += (ref - output.readInt16LE(i * 2)) ** 2;
+    }
+    return 10 * Math.log10(signal / noise);
+};
+const latencyCompensationTest = async () => {
+    console.log('=================');
+    console.log('Latency Compensation Test');
+    console.log('=================');
+    const pcmData = fs_1.readFileSync(path_1.default.resolve(__dirname, `../resources/24000hz_test.pcm`));
+    const resample = (compensateLatency) => {
+        const resampler = new index_1.default(2, 24000, 24000, 10, { format: 'int16', compensateLatency });
+        return {
+            res: Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]),
+            outputLatency: resampler.outputLatency,
+        };
+    };
+    const compensated = resample(true);
+    const delayed = resample(false);
+    console.log(`Output latency: ${delayed.outputLatency} frames`);
+    assert(delayed.outputLatency > 0, `Output latency should be positive, got ${delayed.outputLatency}`);
+    assert(compensated.res.length === pcmData.length, `Compensated output length not matching input, in: ${pcmData.length} != out:${compensated.res.length}`);
+    const compensatedSnr = int16Snr(pcmData, compensated.res);
+    const delayedSnr = int16Snr(pcmData, delayed.res);
+    console.log(`SNR against input with compensation: ${compensatedSnr.toFixed(2)}dB, without: ${delayedSnr.toFixed(2)}dB`);
+    assert(compensatedSnr > 20, `Compensated output is not aligned with input, SNR: ${compensatedSnr}dB`);
+    assert(compensatedSnr > delayedSnr, `Compensated output should be closer to input than delayed output`);
+    assert(delayed.res.length === pcmData.length + delayed.outputLatency * 4, 'Delayed output should be longer than input by the output latency');
+    // an impulse 10 frames before the end of the input should still be in the output after flush
+    for (const compensateLatency of [false, true]) {
+        const impulse = new Float32Array(4410);
+        impulse[impulse.length - 10] = 1;
+        const resampler = new index_1.default(1, 44100, 48000, 7, { compensateLatency });
+        const res = toFloat32Array(Buffer.concat([resampler.processChunk(impulse), resampler.flush()]));
+        const peak = res.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+        console.log(`Impulse peak at the end of the output with compensateLatency ${compensateLatency}: ${peak.toFixed(3)}`);
+        assert(peak > 0.5, `End of the input cut off by flush with compensateLatency ${compensateLatency}, peak: ${peak}`);
+    }
+    console.log();
+};
+const assertThrows = (fn, message) => {
+    let thrown = false;
+    try {
+        fn();
+    }
+    catch (e) {
+        thrown = true;
+    }
+    assert(thrown, message);
+};
+const lifecycleTest = async () => {
+    console.log('=================');
+    console.log('Lifecycle Test');
+    console.log('=================');
+    const resampler = new index_1.default(2, 44100, 48000, 7, { format: 'float32' });
+    resampler.processChunk(Buffer.alloc(44100 * 2 * 4));
+    resampler.destroy();
+    // destroying multiple times is allowed
+    resampler.destroy();
+    assertThrows(() => resampler.processChunk(Buffer.alloc(2 * 4)), 'processChunk should throw after destroy');
+    assertThrows(() => resampler.flush(), 'flush should throw after destroy');
+    assertThrows(() => resampler.outputLatency, 'outputLatency should throw after destroy');
+    const transformStream = new index_1.SpeexResamplerTransform(2, 44100, 48000, 7, { format: 'float32' });
+    transformStream.resume();
+    transformStream.end(Buffer.alloc(44100 * 2 * 4));
+    await new Promise((r) => transformStream.on('end', r));
+    assert(transformStream.resampler._destroyed, 'Transform stream should destroy its resampler when ended');
+    const destroyedStream = new index_1.SpeexResamplerTransform(2, 44100, 48000, 7, { format: 'float32' });
+    destroyedStream.destroy();
+    await new Promise((r) => destroyedStream.on('close', r));
+    assert(destroyedStream.resampler._destroyed, 'Transform stream should destroy its resampler when destroyed');
+    console.log('OK');
+    console.log();
+};
+const dynamicRateTest = async () => {
+    console.log('=================');
+    console.log('Dynamic Rate Test');
+    console.log('=================');
+    const pcmData = fs_1.readFileSync(path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`));
+    // splitting the file in two halves aligned on a stereo int16 frame
+    const halfLength = Math.floor(pcmData.length / 8) * 4;
+    const resampler = new index_1.default(2, 44100, 48000, 7, { format: 'int16' });
+    const firstHalf = resampler.processChunk(pcmData.slice(0, halfLength));
+    resampler.setRate(44100, 24000);
+    // lowering the quality shortens the filter, speex resamples the samples kept from the longer filter before the new input
+    resampler.setQuality(4);
+    const secondHalf = resampler.processChunk(pcmData.slice(halfLength));
+    // 1% faster than 44100Hz -> 24000Hz to simulate a clock drift correction
+    resampler.setRateFrac(441 * 101, 240 * 100);
+    const thirdPart = resampler.processChunk(pcmData.slice(0, halfLength));
+    // the end of the input in the output stream, including the filter delay
+    const endPosition = resampler.inputPositionToOutput(resampler.inputFramesConsumed);
+    const res = Buffer.concat([firstHalf, secondHalf, thirdPart, resampler.flush()]);
+    const halfFrames = halfLength / 4;
+    const secondHalfFrames = (pcmData.length - halfLength) / 4;
+    assert(resampler.inputFramesConsumed === halfFrames * 2 + secondHalfFrames, `Input frames lost, ${resampler.inputFramesConsumed} consumed`);
+    const expectedFrames = Math.round(endPosition);
+    console.log(`Output frames: ${res.length / 4}, expected: ${expectedFrames}`);
+    assert(res.length / 4 === expectedFrames, `Output frames count not matching target, expected: ${expectedFrames} != out:${res.length / 4}`);
+    assert(Math.abs(secondHalf.length / 4 - secondHalfFrames * 24000 / 44100) < 200, `Rate change not applied, got ${secondHalf.length / 4} frames for the second half`);
+    // speex keeps the delay of the stream when the filter length changes, an impulse 10 frames before the end of the
+    // input should be at its expected position and not cut off by flush
+    for (const [fromQuality, toQuality] of [[10, 4], [4, 10]]) {
+        const impulse = new Float32Array(44100);
+        const impulsePosition = impulse.length - 10;
+        impulse[impulsePosition] = 1;
+        const qualityResampler = new index_1.default(1, 44100, 48000, fromQuality);
+        // 10ms chunks as in a real time stream
+        const chunks = [];
+        for (let offset = 0; offset < impulse.length; offset += 441) {
+            if (offset === impulse.length / 2) {
+                qualityResampler.setQuality(toQuality);
+            }
+            chunks.push(qualityResampler.processChunk(impulse.subarray(offset, offset + 441)));
+        }
+        const expectedPosition = qualityResampler.inputPositionToOutput(impulsePosition);
+        const output = toFloat32Array(Buffer.concat([...chunks, qualityResampler.flush()]));
+        const peakPosition = output.reduce((peak, sample, i) => Math.abs(sample) > Math.abs(output[peak]) ? i : peak, 0);
+        console.log(`Quality ${fromQuality} -> ${toQuality}: impulse at ${peakPosition}, expected at ${expectedPosition.toFixed(1)}`);
+        assert(qualityResampler.inputFramesConsumed === impulse.length, `Input frames lost, ${qualityResampler.inputFramesConsumed} consumed`);
+        assert(Math.abs(peakPosition - expectedPosition) < 1 && Math.abs(output[peakPosition]) > 0.5, `Impulse not at its position after the quality change`);
+    }
+    console.log();
+};
+const planarTest = async () => {
+    console.log('=================');
+    console.log('Planar Test');
+    console.log('=================');
+    const pcmData = fs_1.readFileSync(path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`));
+    const framesCount = pcmData.length / 4;
+    const interleaved = Buffer.alloc(framesCount * 2 * 4);
+    const planar = [new Float32Array(framesCount), new Float32Array(framesCount)];
+    for (let i = 0; i < framesCount; i++) {
+        for (let channel = 0; channel < 2; channel++) {
+            const sample = pcmData.readInt16LE((i * 2 + channel) * 2) / 0x8000;
+            planar[channel][i] = sample;
+            interleaved.writeFloatLE(sample, (i * 2 + channel) * 4);
+        }
+    }
+    const interleavedResampler = new index_1.default(2, 44100, 48000, 7, { format: 'float32' });
+    const interleavedRes = Buffer.concat([interleavedResampler.processChunk(interleaved), interleavedResampler.flush()]);
+    const planarResampler = new index_1.default(2, 44100, 48000, 7);
+    const maxOutFramesCount = Math.ceil(framesCount * 48000 / 44100) + 1;
+    const output = [new Float32Array(maxOutFramesCount), new Float32Array(maxOutFramesCount)];
+    const planarRes = planarResampler.processPlanar(planar, output);
+    assert(planarRes[0].buffer === output[0].buffer, 'Planar output should be written in the provided arrays');
+    const planarTail = planarResampler.flushPlanar();
+    const planarFramesCount = planarRes[0].length + planarTail[0].length;
+    console.log(`Interleaved output: ${interleavedRes.length / 8} frames, planar output: ${planarFramesCount} frames`);
+    assert(planarFramesCount === interleavedRes.length / 8, `Planar output frames count not matching interleaved output`);
+    for (let i = 0; i < planarFramesCount; i++) {
+        for (let channel = 0; channel < 2; channel++) {
+            const planarSample = i < planarRes[channel].length ? planarRes[channel][i] : planarTail[channel][i - planarRes[channel].length];
+            const interleavedSample = interleavedRes.readFloatLE((i * 2 + channel) * 4);
+            assert(planarSample === interleavedSample, `Planar sample ${i} of channel ${channel} not matching interleaved output: ${planarSample} != ${interleavedSample}`);
+        }
+    }
+    assertThrows(() => planarResampler.processPlanar([planar[0]]), 'processPlanar should throw with a wrong number of channels');
+    console.log();
+};
+const zeroCopyTest = async () => {
+    console.log('=================');
+    console.log('Zero-copy Test');
+    console.log('=================');
+    // 10ms frames of 48kHz stereo float32
+    const frameLength = 480 * 2;
+    const framesCount = 100;
+    const input = new Float32Array(frameLength * framesCount);
+    for (let i = 0; i < input.length; i++) {
+        input[i] = Math.sin(i / 2 * 2 * Math.PI * 440 / 48000) * 0.5;
+    }
+    const frames = Array.from({ length: framesCount }, (_, i) => input.subarray(i * frameLength, (i + 1) * frameLength));
+    const output = new Float32Array(frameLength);
+    const processors = {
+        copy: (resampler, frame) => resampler.processChunk(Buffer.from(frame.buffer, frame.byteOffset, frame.byteLength)),
+        view: (resampler, frame) => resampler.processChunk(frame),
+        processInto: (resampler, frame) => {
+            const outFramesCount = resampler.processInto(frame, output);
+            return Buffer.from(output.buffer, 0, outFramesCount * 2 * Float32Array.BYTES_PER_ELEMENT);
+        },
+    };
+    const createResampler = (mode) => new index_1.default(2, 48000, 44100, 7, { returnView: mode === 'view' });
+    // checking that every mode outputs the same data
+    const referenceResampler = createResampler('copy');
+    const reference = Buffer.concat(frames.map((frame) => processors.copy(referenceResampler, frame)));
+    for (const mode of Object.keys(processors)) {
+        const resampler = createResampler(mode);
+        let offset = 0;
+        for (const frame of frames) {
+            const res = processors[mode](resampler, frame);
+            assert(res.equals(reference.slice(offset, offset + res.length)), `${mode} output not matching reference output`);
+            offset += res.length;
+        }
+        assert(offset === reference.length, `${mode} output length not matching reference output`);
+    }
+    // processInto only writes the resampled frames in the caller's array
+    const intoResampler = createResampler('processInto');
+    const sentinel = -2;
+    output.fill(sentinel);
+    const outFramesCount = intoResampler.processInto(frames[0], output);
+    assert(outFramesCount > 0 && output[outFramesCount * 2 - 1] !== sentinel, 'processInto should write the output in the given array');
+    assert(output.subarray(outFramesCount * 2).every((sample) => sample === sentinel), 'processInto should not write after the resampled frames');
+    // returnView always returns the same memory, overwritten by the next call
+    for (const format of ['float32', 'int16', 'int24']) {
+        const viewResampler = new index_1.default(2, 48000, 44100, 7, { returnView: true, inFormat: 'float32', outFormat: format });
+        const first = viewResampler.processChunk(frames[1]);
+        const firstCopy = Buffer.from(first);
+        const second = viewResampler.processChunk(frames[2]);
+        assert(first.buffer === second.buffer && first.byteOffset === second.byteOffset, `returnView should reuse the same ${format} output memory`);
+        assert(!first.equals(firstCopy), `returnView ${format} output should be overwritten by the next call`);
+        viewResampler.destroy();
+    }
+    console.log('OK');
+    console.log();
+};
+const initTest = async () => {
+    console.log('=================');
+    console.log('Init Test');
+    console.log('=================');
+    // in a new process to count the instantiations from the import, like in a pool worker
+    const instantiationsCount = child_process_1.execFileSync(process.execPath, ['-e', `
+    let count = 0;
+    const instantiate = WebAssembly.instantiate;
+    WebAssembly.instantiate = (...args) => { count++; return instantiate(...args); };
+    const SpeexResampler = require(${JSON.stringify(path_1.default.join(__dirname, 'resampler'))}).default;
+    SpeexResampler.initSync();
+    SpeexResampler.initPromise.then(() => console.log(count));
+  `]).toString().trim();
+    assert(instantiationsCount === '0', `initPromise should reuse the module of initSync, ${instantiationsCount} async instantiations`);
+    // called synchronously, before the async instantiation
+    index_1.default.initSync();
+    const resampler = new index_1.default(2, 44100, 48000, 7);
+    const res = resampler.processChunk(new Float32Array(441 * 2));
+    assert(res.length > 0, 'Resampler should be usable right after initSync');
+    // initPromise resolving later should not replace the module used by resampler
+    await index_1.default.initPromise;
+    resampler.processChunk(new Float32Array(441 * 2));
+    resampler.destroy();
+    const createdResampler = await index_1.default.create(2, 44100, 48000);
+    assert(createdResampler instanceof index_1.default, 'SpeexResampler.create should resolve to a SpeexResampler');
+    createdResampler.destroy();
+    const createdTransform = await index_1.SpeexResamplerTransform.create(2, 44100, 48000);
+    assert(createdTransform instanceof index_1.SpeexResamplerTransform, 'SpeexResamplerTransform.create should resolve to a SpeexResamplerTransform');
+    createdTransform.destroy();
+    console.log('OK');
+    console.log();
+};
+const audioWorkletTest = async () => {
+    console.log('=================');
+    console.log('AudioWorklet Test');
+    console.log('=================');
+    // stubbing the AudioWorkletGlobalScope before loading the processor
+    const registeredProcessors = {};
+    const scope = globalThis;
+    scope.sampleRate = 48000;
+    scope.AudioWorkletProcessor = class {
+        constructor() {
+            this.port = {
+                onmessage: null,
+                messages: [],
+                transfers: [],
+                postMessage(message, transfer) {
+                    this.messages.push(message);
+                    this.transfers.push(transfer);
+                },
+            };
+        }
+    };
+    scope.registerProcessor = (name, processorCtor) => registeredProcessors[name] = processorCtor;
+    const { SPEEX_RESAMPLER_PROCESSOR_NAME } = await Promise.resolve().then(() => __importStar(require('./worklet')));
+    const Processor = registeredProcessors[SPEEX_RESAMPLER_PROCESSOR_NAME];
+    assert(Processor, 'Processor should be registered');
+    const processor = new Processor({ processorOptions: { outRate: 16000, format: 'int16', frameSize: 320 } });
+    // 1s of stereo 440Hz sine in render quanta of 128 frames, the processor only keeps the first channel
+    const quantaCount = 375;
+    for (let quantum = 0; quantum < quantaCount; quantum++) {
+        const channel = new Float32Array(128);
+        for (let i = 0; i < 128; i++) {
+            channel[i] = Math.sin((quantum * 128 + i) * 2 * Math.PI * 440 / 48000) * 0.5;
+        }
+        assert(processor.process([[channel, channel]], [], {}) === true, 'process should keep the processor alive');
+    }
+    processor.port.onmessage({ data: { type: 'flush' } });
+    const messages = processor.port.messages;
+    const totalFrames = messages.reduce((frames, message) => frames + message.frames, 0);
+    console.log(`Received ${messages.length} messages, ${totalFrames} frames`);
+    assert(messages.slice(0, -1).every((message) => message.frames === 320 && message.data.byteLength === 320 * 2), 'Every message but the last should be 320 int16 frames');
+    assert(messages.every((message, i) => processor.port.transfers[i][0] === message.data), 'Frames data should be transferred');
+    // the filter delay is kept at the start of the output
+    const expectedFrames = 16000 + processor.resampler.outputLatency;
+    assert(totalFrames === expectedFrames, `Expected ${expectedFrames} frames, got ${totalFrames}`);
+    processor.port.onmessage({ data: { type: 'close' } });
+    assert(processor.process([[new Float32Array(128)]], [], {}) === false, 'process should stop the processor once closed');
+    console.log();
+};
+const wavTest = async () => {
+    console.log('=================');
+    console.log('WAV Test');
+    console.log('=================');
+    const pcmData = fs_1.readFileSync(path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`));
+    const inputHeader = index_1.createWavHeader({ format: 'int16', channels: 2, sampleRate: 44100 }, pcmData.length);
+    // adding a LIST chunk before the data chunk and some metadata after it, both should be ignored
+    const listChunk = Buffer.concat([Buffer.from('LIST'), Buffer.from([3, 0, 0, 0]), Buffer.from('abc'), Buffer.alloc(1)]);
+    const wavData = Buffer.concat([
+        inputHeader.slice(0, inputHeader.length - 8),
+        listChunk,
+        inputHeader.slice(inputHeader.length - 8),
+        pcmData,
+        Buffer.from('id3 '),
+        Buffer.alloc(4),
+    ]);
+    wavData.writeUInt32LE(wavData.readUInt32LE(4) + listChunk.length + 8, 4);
+    const expectedFrames = Math.round(pcmData.length / 4 * 48000 / 44100) + outputLatencyOf(44100, 48000);
+    // seekable destination, the header should be patched
+    const outputPath = path_1.default.join(os_1.default.tmpdir(), `speex-resampler-test-${process.pid}.wav`);
+    const fileTransform = new index_1.WavResamplerTransform(48000);
+    const input = new stream_1.PassThrough();
+    const output = fs_1.createWriteStream(outputPath);
+    input.pipe(fileTransform).pipe(output);
+    // sending the file in small chunks to split the header
+    for (let offset = 0; offset < wavData.length; offset += 1000) {
+        input.write(wavData.slice(offset, offset + 1000));
+    }
+    input.end();
+    await new Promise((r) => output.on('finish', r));
+    const outputFile = fs_1.readFileSync(outputPath);
+    fs_1.unlinkSync(outputPath);
+    const outputHeader = index_1.parseWavHeader(outputFile);
+    console.log(`File output: ${outputHeader.channels} channel(s) ${outputHeader.format} at ${outputHeader.sampleRate}Hz, ${outputHeader.dataLength} bytes`);
+    assert(outputHeader.format === 'int16' && outputHeader.channels === 2 && outputHeader.sampleRate === 48000, 'Output format not matching input format');
+    assert(outputHeader.dataLength === expectedFrames * 4, `Output data length not matching, expected: ${expectedFrames * 4} != out:${outputHeader.dataLength}`);
+    assert(outputFile.length === outputHeader.dataOffset + outputHeader.dataLength, 'Output file length not matching its header');
+    assert(outputFile.readUInt32LE(4) === outputFile.length - 8, 'RIFF chunk size not matching file length');
+    // non seekable destination, the header should have placeholder sizes
+    const streamTransform = new index_1.WavResamplerTransform(16000, 7, { format: 'float32' });
+    const chunks = [];
+    streamTransform.on('data', (d) => chunks.push(d));
+    streamTransform.end(wavData);
+    await new Promise((r) => streamTransform.on('end', r));
+    const streamOutput = Buffer.concat(chunks);
+    const streamHeader = index_1.parseWavHeader(streamOutput);
+    assert(streamHeader.format === 'float32' && streamHeader.sampleRate === 16000, 'Output format not matching requested format');
+    assert(streamHeader.dataLength === null, 'Streamed output should have an unknown data length');
+    const finalHeader = index_1.parseWavHeader(streamTransform.header);
+    assert(finalHeader.dataLength === streamOutput.length - streamHeader.dataOffset, 'Final header data length not matching output');
+    assert(streamTransform.header.length === streamHeader.dataOffset, 'Final header should have the same length as the placeholder header');
+    // invalid parameters only known once the header is parsed should be emitted as errors
+    const invalidTransforms = [
+        [new index_1.WavResamplerTransform(48000), Buffer.concat([index_1.createWavHeader({ format: 'int16', channels: 2, sampleRate: 0 }, 4), Buffer.alloc(4)])],
+        [new index_1.WavResamplerTransform(48000, 7, { outChannels: 3 }), wavData],
+    ];
+    for (const [transform, data] of invalidTransforms) {
+        const error = await new Promise((r) => {
+            transform.on('error', r);
+            transform.end(data);
+        });
+        assert(error instanceof errors_1.SpeexResamplerInvalidArgError, `Invalid WAV parameters should emit an error, got ${error}`);
+    }
+    console.log();
+};
+const poolTest = async () => {
+    console.log('=================');
+    console.log('Worker Pool Test');
+    console.log('=================');
+    const pcmData = fs_1.readFileSync(path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`));
+    const options = { channels: 2, inRate: 44100, outRate: 48000, format: 'int16' };
+    const resampler = new index_1.default(options.channels, options.inRate, options.outRate, 7, options);
+    const reference = Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]);
+    resampler.destroy();
+    const pool = new index_1.ResamplerPool({ size: 2 });
+    const start = perf_hooks_1.performance.now();
+    // input buffers are transferred to the workers so each job gets its own copy
+    const results = await Promise.all([0, 1, 2, 3].map(() => pool.resample(Buffer.from(pcmData), options)));
+    console.log(`Resampled ${results.length} files with ${pool.size} workers in ${Math.floor(perf_hooks_1.performance.now() - start)}ms`);
+    results.forEach((res) => assert(res.equals(reference), 'Pool output not matching main thread output'));
+    const stream = pool.createStream(options);
+    const chunks = [];
+    stream.on('data', (d) => chunks.push(d));
+    fs_1.createReadStream(path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`), { highWaterMark: 1001 }).pipe(stream);
+    await new Promise((r) => stream.on('end', r));
+    assert(Buffer.concat(chunks).equals(reference), 'Pool stream output not matching main thread output');
+    // errors thrown in the workers should keep their class
+    const workerError = await pool.resample(Buffer.from(pcmData), { ...options, channels: 0 }).catch((e) => e);
+    assert(workerError instanceof errors_1.SpeexResamplerInvalidArgError && workerError.code === 3, `Pool should reject with the worker error class, got ${workerError}`);
+    await pool.close();
+    const closedError = await pool.resample(Buffer.from(pcmData), options).catch((e) => e);
+    assert(closedError instanceof errors_1.SpeexResamplerBadStateError, `Pool should reject jobs once closed, got ${closedError}`);
+    console.log();
+};
+const cliTest = async () => {
+    console.log('=================');
+    console.log('CLI Test');
+    console.log('=================');
+    const cli = path_1.default.resolve(__dirname, 'cli.js');
+    const tmpDir = fs_1.mkdtempSync(path_1.default.join(os_1.default.tmpdir(), 'speex-resampler-cli-'));
+    // 1s of stereo 440Hz sine, the resources files cannot be used as raw PCM as they start with a WAV header
+    const pcmData = Buffer.alloc(24000 * 4);
+    for (let i = 0; i < 24000 * 2; i++) {
+        pcmData.writeInt16LE(Math.round(Math.sin(Math.floor(i / 2) * 2 * Math.PI * 440 / 24000) * 10000), i * 2);
+    }
+    const expectedFrames = 16000 + outputLatencyOf(24000, 16000);
+    // raw PCM from stdin to stdout
+    const rawOutput = child_process_1.execFileSync(process.execPath, [cli, '--in-rate', '24000', '--out-rate', '16000', '--channels', '2', '--quiet'], { input: pcmData });
+    assert(rawOutput.length === expectedFrames * 4, `Raw output length not matching, expected: ${expectedFrames * 4} != out:${rawOutput.length}`);
+    // WAV files, detected from their header
+    const wavData = Buffer.concat([index_1.createWavHeader({ format: 'int16', channels: 2, sampleRate: 24000 }, pcmData.length), pcmData]);
+    fs_1.writeFileSync(path_1.default.join(tmpDir, 'first.wav'), wavData);
+    fs_1.writeFileSync(path_1.default.join(tmpDir, 'second.wav'), wavData);
+    child_process_1.execFileSync(process.execPath, [cli, '--out-rate', '16000', '--out-format', 'f32', path_1.default.join(tmpDir, 'first.wav'), path_1.default.join(tmpDir, 'single.wav')], { stdio: 'pipe' });
+    const singleHeader = index_1.parseWavHeader(fs_1.readFileSync(path_1.default.join(tmpDir, 'single.wav')));
+    assert(singleHeader.format === 'float32' && singleHeader.sampleRate === 16000, 'CLI output format not matching the requested one');
+    assert(singleHeader.dataLength === expectedFrames * 8, `CLI output data length not matching, expected: ${expectedFrames * 8} != out:${singleHeader.dataLength}`);
+    // the summary durations should not include the headers, the input one is longer because of its LIST chunk
+    const inputHeader = index_1.createWavHeader({ format: 'int16', channels: 2, sampleRate: 24000 }, pcmData.length);
+    const listChunk = Buffer.concat([Buffer.from('LIST'), Buffer.from([0xd0, 0x07, 0, 0]), Buffer.alloc(2000)]);
+    const listWavData = Buffer.concat([inputHeader.slice(0, inputHeader.length - 8), listChunk, inputHeader.slice(inputHeader.length - 8), pcmData]);
+    listWavData.writeUInt32LE(listWavData.length - 8, 4);
+    fs_1.writeFileSync(path_1.default.join(tmpDir, 'list.wav'), listWavData);
+    const summary = child_process_1.spawnSync(process.execPath, [cli, '--out-rate', '16000', '--out-format', 'f32', path_1.default.join(tmpDir, 'list.wav'), path_1.default.join(tmpDir, 'list_out.wav')]).stderr.toString();
+    assert(summary.includes('1.00s resampled to 1.00s'), `CLI summary durations not matching: ${summary}`);
+    child_process_1.execFileSync(process.execPath, [
+        cli, '--out-rate', '16000', '--batch', path_1.default.join(tmpDir, '*d.wav'), '--out-dir', path_1.default.join(tmpDir, 'out'), '--jobs', '2',
+    ], { stdio: ['pipe', 'pipe', 'inherit'] });
+    assert(fs_1.readdirSync(path_1.default.join(tmpDir, 'out')).sort().join() === 'second.wav', 'Batch mode should resample the files matching the pattern');
+    const batchHeader = index_1.parseWavHeader(fs_1.readFileSync(path_1.default.join(tmpDir, 'out', 'second.wav')));
+    assert(batchHeader.dataLength === expectedFrames * 4, 'Batch output data length not matching');
+    // files with the same name in different directories should keep their directories, or be rejected when they can't
+    for (const dir of ['a', 'b']) {
+        fs_1.mkdirSync(path_1.default.join(tmpDir, 'tree', dir), { recursive: true });
+        fs_1.writeFileSync(path_1.default.join(tmpDir, 'tree', dir, 'same.wav'), wavData);
+    }
+    child_process_1.execFileSync(process.execPath, [cli, '--out-rate', '16000', '--quiet', '--batch', path_1.default.join(tmpDir, 'tree', '**', '*.wav'), '--out-dir', path_1.default.join(tmpDir, 'tree_out')]);
+    assert(['a', 'b'].every((dir) => fs_1.existsSync(path_1.default.join(tmpDir, 'tree_out', dir, 'same.wav'))), 'Batch mode should keep the input directories');
+    const collision = child_process_1.spawnSync(process.execPath, [
+        cli, '--out-rate', '16000', '--batch', path_1.default.join(tmpDir, 'tree', 'a', 'same.wav'), path_1.default.join(tmpDir, 'tree', 'b', 'same.wav'), '--out-dir', path_1.default.join(tmpDir, 'collision'),
+    ]);
+    assert(collision.status === 1 && collision.stderr.toString().includes('would both be resampled'), `Batch mode should reject outputs overwriting each other: ${collision.stderr}`);
+    assert(!fs_1.existsSync(path_1.default.join(tmpDir, 'collision')), 'Batch mode should not start when outputs overwrite each other');
+    let failed = false;
+    try {
+        child_process_1.execFileSync(process.execPath, [cli, '--out-rate', '16000', '--unknown'], { stdio: 'pipe' });
+    }
+    catch (e) {
+        failed = e.status === 1;
+    }
+    assert(failed, 'CLI should exit with an error on unknown options');
+    for (const [option, value] of [['--jobs', '0'], ['--jobs', '-2'], ['--channels', '1.5'], ['--quality', '11'], ['--in-rate', 'abc']]) {
+        const invalid = child_process_1.spawnSync(process.execPath, [cli, '--out-rate', '16000', option, value, '--batch', path_1.default.join(tmpDir, '*d.wav'), '--out-dir', path_1.default.join(tmpDir, 'invalid')]);
+        assert(invalid.status === 1 && invalid.stderr.toString().includes(`${option} should be`), `CLI should reject ${option} ${value}: ${invalid.stderr}`);
+    }
+    assert(!fs_1.readdirSync(tmpDir).includes('invalid'), 'CLI should not start a batch with invalid options');
+    // errors on the input should not create or truncate the output file
+    const missingInput = child_process_1.spawnSync(process.execPath, [cli, '--out-rate', '16000', path_1.default.join(tmpDir, 'missing.wav'), path_1.default.join(tmpDir, 'missing_out.wav')]);
+    assert(missingInput.status === 1, 'CLI should exit with an error when the input is missing');
+    assert(missingInput.stderr.toString().trim().split('\n').length === 1, `CLI should print a single line error for a missing input: ${missingInput.stderr}`);
+    assert(!fs_1.readdirSync(tmpDir).includes('missing_out.wav'), 'CLI should not create the output when the input is missing');
+    fs_1.writeFileSync(path_1.default.join(tmpDir, 'raw.pcm'), pcmData);
+    const noInRate = child_process_1.spawnSync(process.execPath, [cli, '--out-rate', '16000', path_1.default.join(tmpDir, 'raw.pcm'), path_1.default.join(tmpDir, 'single.wav')]);
+    assert(noInRate.status === 1 && noInRate.stderr.toString().includes('--in-rate is required'), 'CLI should require --in-rate for raw PCM');
+    assert(index_1.parseWavHeader(fs_1.readFileSync(path_1.default.join(tmpDir, 'single.wav'))).dataLength === expectedFrames * 8, 'CLI should not truncate the output on errors');
+    console.log();
+};
+const channelsTest = async () => {
+    console.log('=================');
+    console.log('Channels Mixing Test');
+    console.log('=================');
+    const pcmData = fs_1.readFileSync(path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`));
+    const framesCount = pcmData.length / 4;
+    const stereo = new Float32Array(framesCount * 2);
+    const mono = new Float32Array(framesCount);
+    for (let i = 0; i < framesCount; i++) {
+        stereo[i * 2] = pcmData.readInt16LE(i * 4) / 0x8000;
+        stereo[i * 2 + 1] = pcmData.readInt16LE(i * 4 + 2) / 0x8000;
+        mono[i] = (stereo[i * 2] + stereo[i * 2 + 1]) / 2;
+    }
+    const resampleAll = (resampler, input) => Buffer.concat([resampler.processChunk(input), resampler.flush()]);
+    // stereo to mono is mixed before resampling so it should match resampling the average of both channels
+    const downmixed = resampleAll(new index_1.default(2, 44100, 16000, 7, { inFormat: 'float32', outFormat: 'int16', outChannels: 1 }), stereo);
+    const monoReference = resampleAll(new index_1.default(1, 44100, 16000, 7, { inFormat: 'float32', outFormat: 'int16' }), mono);
+    console.log(`Stereo 44100Hz to mono 16000Hz: ${downmixed.length / 2} frames`);
+    assert(downmixed.equals(monoReference), 'Downmixed output not matching the resampled average of the channels');
+    // mono to stereo is mixed after resampling, both channels should be the resampled mono channel
+    const upmixed = resampleAll(new index_1.default(1, 44100, 48000, 7, { format: 'float32', outChannels: 2 }), mono);
+    const upmixReference = resampleAll(new index_1.default(1, 44100, 48000, 7, { format: 'float32' }), mono);
+    assert(upmixed.length === upmixReference.length * 2, 'Upmixed output should have twice the samples of the mono output');
+    for (let i = 0; i < upmixReference.length / 4; i++) {
+        const sample = upmixReference.readFloatLE(i * 4);
+        assert(upmixed.readFloatLE(i * 8) === sample && upmixed.readFloatLE(i * 8 + 4) === sample, `Upmixed frame ${i} not matching mono output`);
+    }
+    const swapped = resampleAll(new index_1.default(2, 44100, 48000, 7, { format: 'float32', channelMap: [1, 0] }), stereo);
+    const stereoReference = resampleAll(new index_1.default(2, 44100, 48000, 7, { format: 'float32' }), stereo);
+    for (let i = 0; i < stereoReference.length / 8; i++) {
+        assert(swapped.readFloatLE(i * 8) === stereoReference.readFloatLE(i * 8 + 4) && swapped.readFloatLE(i * 8 + 4) === stereoReference.readFloatLE(i * 8), `Channel map not applied on frame ${i}`);
+    }
+    const planarResampler = new index_1.default(1, 44100, 48000, 7, { outChannels: 2 });
+    const planarRes = planarResampler.processPlanar([mono]);
+    assert(planarRes.length === 2 && planarRes[0].every((sample, i) => sample === planarRes[1][i]), 'Planar upmix should output identical channels');
+    // 10ms of 5.1 audio
+    const surroundRes = resampleAll(new index_1.default(6, 48000, 44100, 7, { format: 'float32', outChannels: 2 }), new Float32Array(480 * 6));
+    assert(surroundRes.length === (441 + outputLatencyOf(48000, 44100)) * 2 * 4, '5.1 to stereo should output 2 channels');
+    assertThrows(() => new index_1.default(3, 44100, 48000, 7, { outChannels: 2 }), 'Mixing without default coefficients should throw');
+    assertThrows(() => new index_1.default(2, 44100, 48000, 7, { channelMap: [2] }), 'Channel map with an unknown input channel should throw');
+    assertThrows(() => new index_1.default(2, 44100, 48000, 7, { mixingMatrix: [[1]] }), 'Mixing matrix with a wrong number of gains should throw');
+    assertThrowsError(() => new index_1.default(2, 44100, 48000, 7, { channelMap: [] }), errors_1.SpeexResamplerInvalidArgError, 'Empty channel map should throw');
+    assertThrowsError(() => new index_1.default(2, 44100, 48000, 7, { mixingMatrix: [] }), errors_1.SpeexResamplerInvalidArgError, 'Empty mixing matrix should throw');
+    console.log();
+};
+const frameSizeTest = async () => {
+    console.log('=================');
+    console.log('Frame Size Test');
+    console.log('=================');
+    const inFile = path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`);
+    const pcmData = fs_1.readFileSync(inFile);
+    const resampler = new index_1.default(2, 44100, 48000, 7, { format: 'int16' });
+    const reference = Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]);
+    const readFrames = async (padLastFrame) => {
+        // 20ms frames at 48kHz
+        const transform = new index_1.SpeexResamplerTransform(2, 44100, 48000, 7, { format: 'int16', frameSize: 960, padLastFrame });
+        const frames = [];
+        transform.on('data', (frame) => frames.push(frame));
+        fs_1.createReadStream(inFile, { highWaterMark: 1001 }).pipe(transform);
+        await new Promise((r) => transform.on('end', r));
+        return frames;
+    };
+    const paddedFrames = await readFrames(true);
+    console.log(`${paddedFrames.length} frames of 20ms`);
+    assert(paddedFrames.length === Math.ceil(reference.length / 4 / 960), 'Frames count not matching the resampled length');
+    paddedFrames.forEach((frame, i) => {
+        assert(frame.frames === 960 && frame.data.length === 960 * 4, `Frame ${i} should have 960 frames, got ${frame.frames}`);
+        assert(frame.sampleIndex === i * 960, `Frame ${i} sample index not matching, expected: ${i * 960} != out:${frame.sampleIndex}`);
+        assert(Math.abs(frame.timestamp - i * 20) < 1e-6, `Frame ${i} timestamp not matching, expected: ${i * 20} != out:${frame.timestamp}`);
+    });
+    const lastFrame = paddedFrames[paddedFrames.length - 1];
+    assert(lastFrame.data.slice(reference.length - lastFrame.sampleIndex * 4).every((byte) => byte === 0), 'Last frame should be padded with silence');
+    const unpaddedFrames = await readFrames(false);
+    assert(Buffer.concat(unpaddedFrames.map((frame) => frame.data)).equals(reference), 'Frames without padding not matching the resampled output');
+    assertThrows(() => new index_1.SpeexResamplerTransform(2, 44100, 48000, 7, { frameSize: 0.5 }), 'frameSize should be an integer');
+    console.log();
+};
+const positionsTest = async () => {
+    console.log('=================');
+    console.log('Positions Test');
+    console.log('=================');
+    // impulse at a known input position
+    const impulsePosition = 10000;
+    const input = new Float32Array(44100);
+    input[impulsePosition] = 1;
+    const resampler = new index_1.default(1, 44100, 48000, 7);
+    const output = [];
+    for (let offset = 0; offset < input.length; offset += 1001) {
+        output.push(new Float32Array(resampler.processChunk(input.subarray(offset, offset + 1001)).buffer.slice(0)));
+    }
+    const resampled = Float32Array.from(output.flatMap((chunk) => Array.from(chunk)));
+    assert(resampler.inputFramesConsumed === input.length, `Consumed input frames not matching, expected: ${input.length} != out:${resampler.inputFramesConsumed}`);
+    assert(resampler.outputFramesProduced === resampled.length, `Produced output frames not matching, expected: ${resampled.length} != out:${resampler.outputFramesProduced}`);
+    const peakPosition = resampled.reduce((peak, sample, i) => sample > resampled[peak] ? i : peak, 0);
+    const expectedPeakPosition = resampler.inputPositionToOutput(impulsePosition);
+    console.log(`Impulse at input ${impulsePosition} found at output ${peakPosition}, expected at ${expectedPeakPosition.toFixed(2)}`);
+    assert(Math.abs(peakPosition - expectedPeakPosition) <= 1, 'Impulse position not matching the computed output position');
+    assert(Math.abs(resampler.outputPositionToInput(expectedPeakPosition) - impulsePosition) < 1e-6, 'outputPositionToInput should be the inverse of inputPositionToOutput');
+    const compensatedResampler = new index_1.default(1, 44100, 48000, 7, { compensateLatency: true });
+    compensatedResampler.processChunk(input);
+    assert(compensatedResampler.inputPositionToOutput(44100) === 48000, 'Compensated positions should only depend on the ratio');
+    const transform = new index_1.SpeexResamplerTransform(1, 44100, 48000, 7, { positions: true });
+    const frames = [];
+    transform.on('data', (frame) => frames.push(frame));
+    transform.end(Buffer.from(input.buffer));
+    await new Promise((r) => transform.on('end', r));
+    let sampleIndex = 0;
+    for (const frame of frames) {
+        assert(frame.sampleIndex === sampleIndex, 'Chunks sample index should follow the output length');
+        sampleIndex += frame.frames;
+    }
+    assert(frames[0].inputPosition < 0, 'First chunk should start before the input because of the filter delay');
+    console.log();
+};
+const webStreamTest = async () => {
+    console.log('=================');
+    console.log('Web Stream Test');
+    console.log('=================');
+    const pcmData = fs_1.readFileSync(path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`));
+    const resampler = new index_1.default(2, 44100, 48000, 7, { format: 'int16' });
+    const reference = Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]);
+    // chunks not aligned on frames, alternating between ArrayBuffer and typed arrays
+    let offset = 0;
+    let chunkIndex = 0;
+    const input = new ReadableStream({
+        pull: (controller) => {
+            if (offset >= pcmData.length) {
+                controller.close();
+                return;
+            }
+            const chunk = pcmData.slice(offset, offset + 1001);
+            offset += chunk.length;
+            controller.enqueue(chunkIndex++ % 2 ? new Uint8Array(chunk) : Uint8Array.from(chunk).buffer);
+        },
+    });
+    const stream = await webStream_1.SpeexResamplerStream.create(2, 44100, 48000, 7, { format: 'int16' });
+    const chunks = [];
+    const reader = input.pipeThrough(stream).getReader();
+    for (let res = await reader.read(); !res.done; res = await reader.read()) {
+        chunks.push(Buffer.from(res.value));
+    }
+    assert(Buffer.concat(chunks).equals(reference), 'Web stream output not matching processChunk output');
+    assert(stream.resampler._destroyed, 'Web stream should destroy its resampler when closed');
+    console.log();
+};
+const helpersTest = async () => {
+    console.log('=================');
+    console.log('Helpers Test');
+    console.log('=================');
+    const inFile = path_1.default.resolve(__dirname, `../resources/44100hz_test.pcm`);
+    const pcmData = fs_1.readFileSync(inFile);
+    const options = { channels: 2, inRate: 44100, outRate: 16000, format: 'int16' };
+    const resampler = new index_1.default(2, 44100, 16000, 7, { ...options, compensateLatency: true });
+    const reference = Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]);
+    const oneShot = await index_1.resampleBuffer(new Int16Array(pcmData.buffer, pcmData.byteOffset, pcmData.length / 2), options);
+    assert(oneShot.equals(reference), 'resampleBuffer output not matching processChunk output');
+    const chunks = [];
+    for await (const chunk of index_1.resampleIterable(fs_1.createReadStream(inFile, { highWaterMark: 1001 }), options)) {
+        chunks.push(chunk);
+    }
+    assert(Buffer.concat(chunks).equals(reference), 'resampleIterable output not matching processChunk output');
+    console.log();
+};
+const assertThrowsError = (fn, errorClass, message) => {
+    try {
+        fn();
+    }
+    catch (e) {
+        assert(e instanceof errorClass && e instanceof errors_1.SpeexResamplerError, `${message}, got ${e}`);
+        return e;
+    }
+    throw new Error(`${message}, nothing thrown`);
+};
+const errorsTest = async () => {
+    console.log('=================');
+    console.log('Errors Test');
+    console.log('=================');
+    assertThrowsError(() => new index_1.default(0, 44100, 48000), errors_1.SpeexResamplerInvalidArgError, 'Constructor should reject 0 channels');
+    assertThrowsError(() => new index_1.default(1.5, 44100, 48000), errors_1.SpeexResamplerInvalidArgError, 'Constructor should reject non integer channels');
+    assertThrowsError(() => new index_1.default(2, -44100, 48000), errors_1.SpeexResamplerInvalidArgError, 'Constructor should reject negative rates');
+    assertThrowsError(() => new index_1.default(2, 44100, NaN), errors_1.SpeexResamplerInvalidArgError, 'Constructor should reject NaN rates');
+    assertThrowsError(() => new index_1.default(2, 44100, 48000, 11), errors_1.SpeexResamplerInvalidArgError, 'Constructor should reject a quality above 10');
+    assertThrowsError(() => new index_1.default(2, 44100, 48000, 7, { format: 'int8' }), errors_1.SpeexResamplerInvalidArgError, 'Constructor should reject unknown formats');
+    assertThrowsError(() => new index_1.SpeexResamplerTransform(2, 44100, 0), errors_1.SpeexResamplerInvalidArgError, 'Transform constructor should validate its arguments');
+    assertThrowsError(() => new index_1.WavResamplerTransform(-1), errors_1.SpeexResamplerInvalidArgError, 'WAV transform constructor should validate its arguments');
+    assertThrowsError(() => index_1.parseWavHeader(Buffer.alloc(44)), errors_1.SpeexResamplerInvalidArgError, 'parseWavHeader should reject files that are not WAV');
+    new index_1.default(2, 44100, 48000, 0).destroy();
+    const resampler = new index_1.default(2, 44100, 48000, 7, { format: 'float32' });
+    // 2 channels of int16 but not of float32
+    const misalignedError = assertThrowsError(() => resampler.processChunk(Buffer.alloc(12)), errors_1.SpeexResamplerInvalidArgError, 'Misaligned chunk should throw');
+    assert(misalignedError.message.includes('4 bytes'), `Misaligned chunk error should use the sample width: ${misalignedError.message}`);
+    assert(misalignedError.code === 3, 'Invalid argument errors should have the RESAMPLER_ERR_INVALID_ARG code');
+    assertThrowsError(() => resampler.processInto(Buffer.alloc(8 * 100), Buffer.alloc(8)), errors_1.SpeexResamplerInvalidArgError, 'processInto should throw when output is too small');
+    assertThrowsError(() => resampler.processPlanar([new Float32Array(10)]), errors_1.SpeexResamplerInvalidArgError, 'processPlanar should throw with a wrong number of channels');
+    assertThrowsError(() => resampler.setQuality(-1), errors_1.SpeexResamplerInvalidArgError, 'setQuality should validate the quality');
+    assertThrowsError(() => resampler.setRate(44100, 0), errors_1.SpeexResamplerInvalidArgError, 'setRate should validate the rates');
+    assertThrowsError(() => resampler.setRateFrac(0, 1), errors_1.SpeexResamplerInvalidArgError, 'setRateFrac should validate the ratio');
+    // speex already changed the ratio when scaling the fractional position of the filter overflows
+    resampler.setRateFrac(1000003, 999983);
+    resampler.processChunk(Buffer.alloc(997 * 8));
+    assertThrowsError(() => resampler.setRateFrac(999979, 999961, 48000, 44100), errors_1.SpeexResamplerOverflowError, 'setRateFrac should throw when the position overflows');
+    const { ratioNum, ratioDen } = resampler.ratio;
+    assert(resampler._ratioNum === ratioNum && resampler._ratioDen === ratioDen, 'Ratio should match speex after a failed setRateFrac');
+    assert(resampler.inRate === 48000 && resampler.outRate === 44100, 'Rates should match speex after a failed setRateFrac');
+    resampler.destroy();
+    const destroyedError = assertThrowsError(() => resampler.processChunk(Buffer.alloc(8)), errors_1.SpeexResamplerBadStateError, 'Destroyed resampler should throw');
+    assert(destroyedError.code === 2, 'Bad state errors should have the RESAMPLER_ERR_BAD_STATE code');
+    // float32 chunks split in the middle of a sample should be realigned by the transform
+    const transform = new index_1.SpeexResamplerTransform(2, 44100, 48000, 7, { format: 'float32' });
+    const chunks = [];
+    transform.on('data', (d) => chunks.push(d));
+    const input = Buffer.alloc(44100 * 8);
+    for (let offset = 0; offset < input.length; offset += 1001) {
+        transform.write(input.slice(offset, offset + 1001));
+    }
+    transform.end();
+    await new Promise((r) => transform.on('end', r));
+    assert(Buffer.concat(chunks).length === (48000 + outputLatencyOf(44100, 48000)) * 8, 'Transform should realign float32 chunks');
+    [errors_1.SpeexResamplerAllocError, errors_1.SpeexResamplerBadStateError, errors_1.SpeexResamplerInvalidArgError, errors_1.SpeexResamplerPtrOverlapError, errors_1.SpeexResamplerOverflowError]
+        .forEach((ErrorClass, i) => {
+        const error = errors_1.errorFromCode(i + 1, 'error');
+        assert(error instanceof ErrorClass && error.code === i + 1 && error.name === ErrorClass.name, `Error code ${i + 1} should map to ${ErrorClass.name}`);
+    });
+    console.log('OK');
+    console.log();
+};
+const toDb = (ratio) => 20 * Math.log10(ratio);
+// deterministic pseudo random numbers between 0 and 1 (mulberry32) so that failures can be reproduced
+const seededRandom = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const generateSignal = (rate, duration, sampleAt) => (Float32Array.from({ length: Math.round(rate * duration) }, (_, i) => sampleAt(i / rate)));
+const sine = (frequency, amplitude) => (time) => amplitude * Math.sin(2 * Math.PI * frequency * time);
+// tones with different phases so that their peaks don't add up
+const multitone = (frequencies, amplitude) => (time) => frequencies.reduce((sample, frequency, i) => (sample + amplitude * Math.sin(2 * Math.PI * frequency * time + i)), 0);
+// exponential sweep from startFrequency to endFrequency over duration
+const sineSweep = (startFrequency, endFrequency, duration, amplitude) => {
+    const k = Math.log(endFrequency / startFrequency);
+    return (time) => amplitude * Math.sin(2 * Math.PI * startFrequency * duration / k * (Math.exp(time / duration * k) - 1));
+};
+// amplitude of the tone at `frequency` measured with a Hann window to limit the leakage of the other tones
+const toneAmplitude = (samples, frequency, rate) => {
+    let re = 0;
+    let im = 0;
+    let windowSum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const w = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (samples.length - 1));
+        const phase = 2 * Math.PI * frequency * i / rate;
+        re += w * samples[i] * Math.cos(phase);
+        im += w * samples[i] * Math.sin(phase);
+        windowSum += w;
+    }
+    return 2 * Math.sqrt(re * re + im * im) / windowSum;
+};
+// signal to noise and distortion ratio in dB: the sine at `frequency` is fitted with least squares and everything else is noise
+const sineSnr = (samples, frequency, rate) => {
+    let sinSin = 0, cosCos = 0, sinCos = 0, sampleSin = 0, sampleCos = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const sin = Math.sin(2 * Math.PI * frequency * i / rate);
+        const cos = Math.cos(2 * Math.PI * frequency * i / rate);
+        sinSin += sin * sin;
+        cosCos += cos * cos;
+        sinCos += sin * cos;
+        sampleSin += samples[i] * sin;
+        sampleCos += samples[i] * cos;
+    }
+    const determinant = sinSin * cosCos - sinCos * sinCos;
+    const a = (sampleSin * cosCos - sampleCos * sinCos) / determinant;
+    const b = (sampleCos * sinSin - sampleSin * sinCos) / determinant;
+    let signal = 0;
+    let noise = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const fitted = a * Math.sin(2 * Math.PI * frequency * i / rate) + b * Math.cos(2 * Math.PI * frequency * i / rate);
+        signal += fitted * fitted;
+        noise += (samples[i] - fitted) ** 2;
+    }
+    return 10 * Math.log10(signal / noise);
+};
+const toFloat32Array = (data) => new Float32Array(Uint8Array.from(data).buffer);
+// resamples the signal with SpeexResampler and SpeexResamplerTransform, both outputs should be identical
+const resampleSignal = async (signal, inRate, outRate, quality) => {
+    const options = { format: 'float32', compensateLatency: true };
+    const input = Buffer.from(signal.buffer, signal.byteOffset, signal.byteLength);
+    const resampler = new index_1.default(1, inRate, outRate, quality, options);
+    const res = Buffer.concat([resampler.processChunk(input), resampler.flush()]);
+    resampler.destroy();
+    const transform = new index_1.SpeexResamplerTransform(1, inRate, outRate, quality, options);
+    const chunks = [];
+    transform.on('data', (d) => chunks.push(d));
+    for (let offset = 0; offset < input.length; offset += 4096) {
+        transform.write(input.slice(offset, offset + 4096));
+    }
+    transform.end();
+    await new Promise((r) => transform.on('end', r));
+    assert(Buffer.concat(chunks).equals(res), `Transform output not matching SpeexResampler output with quality ${quality}`);
+    // the start and end of the output are not steady state so they are not measured
+    const margin = Math.round(outRate / 20);
+    return toFloat32Array(res).subarray(margin, res.length / 4 - margin);
+};
+const QUALITY_THRESHOLDS = {
+    1: { snr: 70, ripple: 0.05, passband: 10000, aliasingRejection: 65, thd: -100 },
+    4: { snr: 95, ripple: 0.01, passband: 16000, aliasingRejection: 85, thd: -120 },
+    7: { snr: 110, ripple: 0.01, passband: 18000, aliasingRejection: 110, thd: -130 },
+    10: { snr: 125, ripple: 0.01, passband: 19000, aliasingRejection: 120, thd: -140 },
+};
+const signalQualityTest = async () => {
+    console.log('=================');
+    console.log('Signal Quality Test');
+    console.log('=================');
+    const passbandFrequencies = [20, 100, 500, 1000, 2000, 4000, 6000, 8000, 10000, 12000, 14000, 16000, 17000, 18000, 19000];
+    // 10kHz, 12kHz and 14kHz are aliased to 6kHz, 4kHz and 2kHz at 16kHz
+    const stopbandFrequencies = [10000, 12000, 14000];
+    const amplitude = 0.5;
+    const sineSignal = generateSignal(44100, 1, sine(1000, amplitude));
+    for (const quality of Object.keys(QUALITY_THRESHOLDS).map(Number)) {
+        const thresholds = QUALITY_THRESHOLDS[quality];
+        const resampledSine = await resampleSignal(sineSignal, 44100, 48000, quality);
+        const snr = sineSnr(resampledSine, 1000, 48000);
+        const fundamental = toneAmplitude(resampledSine, 1000, 48000);
+        const harmonics = Math.sqrt([2, 3, 4, 5].reduce((sum, harmonic) => sum + toneAmplitude(resampledSine, 1000 * harmonic, 48000) ** 2, 0));
+        const thd = toDb(harmonics / fundamental);
+        const tones = passbandFrequencies.filter((frequency) => frequency <= thresholds.passband);
+        const tonesAmplitude = amplitude / tones.length;
+        const resampledTones = await resampleSignal(generateSignal(44100, 1, multitone(tones, tonesAmplitude)), 44100, 48000, quality);
+        const gains = tones.map((frequency) => toDb(toneAmplitude(resampledTones, frequency, 48000) / tonesAmplitude));
+        const ripple = Math.max(...gains) - Math.min(...gains);
+        const stopbandAmplitude = amplitude / stopbandFrequencies.length;
+        const resampledStopband = await resampleSignal(generateSignal(48000, 1, multitone(stopbandFrequencies, stopbandAmplitude)), 48000, 16000, quality);
+        const aliasingRejection = Math.min(...stopbandFrequencies.map((frequency) => (-toDb(toneAmplitude(resampledStopband, 16000 - frequency, 16000) / stopbandAmplitude))));
+        console.log(`Quality ${quality}: SNR ${snr.toFixed(1)}dB, THD ${thd.toFixed(1)}dB, ` +
+            `passband ripple ${ripple.toFixed(3)}dB up to ${thresholds.passband}Hz, aliasing rejection ${aliasingRejection.toFixed(1)}dB`);
+        assert(snr >= thresholds.snr, `SNR with quality ${quality} is too low: ${snr}dB < ${thresholds.snr}dB`);
+        assert(thd <= thresholds.thd, `THD with quality ${quality} is too high: ${thd}dB > ${thresholds.thd}dB`);
+        assert(ripple <= thresholds.ripple, `Passband ripple with quality ${quality} is too high: ${ripple}dB > ${thresholds.ripple}dB`);
+        assert(aliasingRejection >= thresholds.aliasingRejection, `Aliasing rejection with quality ${quality} is too low: ${aliasingRejection}dB < ${thresholds.aliasingRejection}dB`);
+    }
+    console.log();
+};
+const chunkedOutputTest = async () => {
+    console.log('=================');
+    console.log('Chunked Output Test');
+    console.log('=================');
+    const sweep = generateSignal(44100, 2, sineSweep(20, 20000, 2, 0.5));
+    const float32Input = Buffer.from(sweep.buffer);
+    const int16Input = Buffer.alloc(sweep.length * 2);
+    sweep.forEach((sample, i) => int16Input.writeInt16LE(Math.round(sample * 0x7FFF), i * 2));
+    for (const [format, input] of [['float32', float32Input], ['int16', int16Input]]) {
+        const frameLength = formats_1.BYTES_PER_SAMPLE[format];
+        const oneShotResampler = new index_1.default(1, 44100, 48000, 7, { format });
+        const oneShot = Buffer.concat([oneShotResampler.processChunk(input), oneShotResampler.flush()]);
+        for (let seed = 1; seed <= 5; seed++) {
+            const random = seededRandom(seed);
+            const resampler = new index_1.default(1, 44100, 48000, 7, { format });
+            const chunks = [];
+            let offset = 0;
+            while (offset < input.length) {
+                // from a single frame to around 100ms, empty chunks included
+                const chunkLength = Math.floor(random() ** 3 * 4410) * frameLength;
+                chunks.push(resampler.processChunk(input.slice(offset, offset + chunkLength)));
+                offset += chunkLength;
+            }
+            chunks.push(resampler.flush());
+            assert(Buffer.concat(chunks).equals(oneShot), `Chunked ${format} output with seed ${seed} not matching one-shot output`);
+        }
+        console.log(`${format}: chunked outputs identical to one-shot output`);
+    }
+    console.log();
+};
+const varispeedTest = async () => {
+    console.log('=================');
+    console.log('Varispeed Test');
+    console.log('=================');
+    const ratioResampler = index_1.default.fromRatio(1, 441, 480, 44100, 48000);
+    const { ratioNum, ratioDen } = ratioResampler.ratio;
+    assert(ratioNum === 147 && ratioDen === 160, `Ratio should be reduced to 147/160, got ${ratioNum}/${ratioDen}`);
+    ratioResampler.destroy();
+    // NTSC pull-down: 1001/1000 of the input rate with the same nominal rates
+    const pullDownResampler = index_1.default.fromRatio(1, 1001, 1000, 48000, 48000);
+    const pullDownInput = Buffer.from(generateSignal(48000, 1, sine(1000, 0.5)).buffer);
+    const pullDown = Buffer.concat([pullDownResampler.processChunk(pullDownInput), pullDownResampler.flush()]);
+    console.log(`Pull-down: ${pullDown.length / 4} frames from 48000`);
+    // speex outputs the last partial frame so the count can be rounded up
+    const pullDownFrames = 48000 * 1000 / 1001 + pullDownResampler.outputLatency;
+    assert(Math.abs(pullDown.length / 4 - pullDownFrames) < 1, `Pull-down output frames not matching, got ${pullDown.length / 4}`);
+    const [num, den] = index_1.approximateRatio(44100 * 1.0123 / 48000);
+    assert(den <= 0xFFFF && Math.abs(num / den - 44100 * 1.0123 / 48000) < 1e-6, `Ratio approximation not precise enough, got ${num}/${den}`);
+    assertThrowsError(() => index_1.approximateRatio(0), errors_1.SpeexResamplerInvalidArgError, 'A null ratio should throw');
+    const signal = generateSignal(44100, 1, sine(1000, 0.5));
+    const resampleWithSpeed = async (speed) => {
+        // without the filter delay so that the output duration only depends on the speed
+        const transform = new index_1.SpeexResamplerTransform(1, 44100, 44100, 7, { speed, compensateLatency: true });
+        const chunks = [];
+        transform.on('data', (chunk) => chunks.push(chunk));
+        const input = Buffer.from(signal.buffer);
+        // 100ms chunks so that the speed function is called multiple times
+        for (let offset = 0; offset < input.length; offset += 4410 * 4) {
+            transform.write(input.slice(offset, offset + 4410 * 4));
+        }
+        transform.end();
+        await new Promise((r) => transform.on('end', r));
+        return toFloat32Array(Buffer.concat(chunks));
+    };
+    for (const speed of [2, 0.5]) {
+        const output = await resampleWithSpeed(speed);
+        console.log(`Speed ${speed}: ${output.length} frames from ${signal.length}`);
+        assert(Math.abs(output.length - signal.length / speed) < 2, `Output duration not matching the speed ${speed}, got ${output.length} frames`);
+        const amplitude = toneAmplitude(output.slice(4410, -4410), 1000 * speed, 44100);
+        assert(Math.abs(amplitude - 0.5) < 0.01, `Tone not shifted to ${1000 * speed}Hz, amplitude: ${amplitude}`);
+    }
+    // the speed is ramped from 1 to 2 over the first half of the input then kept at 2
+    const inputPositions = [];
+    const ramped = await resampleWithSpeed((inputPosition) => {
+        inputPositions.push(inputPosition);
+        return inputPosition < 22050 ? 1 + inputPosition / 22050 : 2;
+    });
+    console.log(`Ramped speed: ${ramped.length} frames from ${signal.length}`);
+    assert(inputPositions[1] === 4410, `Speed function should get the input position of the chunk, got ${inputPositions[1]}`);
+    assert(ramped.length > signal.length / 2 && ramped.length < signal.length, `Ramped output duration not between the speeds, got ${ramped.length} frames`);
+    assert(Math.abs(toneAmplitude(ramped.slice(-8820, -2205), 2000, 44100) - 0.5) < 0.01, 'Ramped output should end at 2000Hz');
+    const transform = new index_1.SpeexResamplerTransform(1, 44100, 48000);
+    assertThrowsError(() => transform.setSpeed(0), errors_1.SpeexResamplerInvalidArgError, 'A null speed should throw');
+    assertThrowsError(() => new index_1.SpeexResamplerTransform(1, 44100, 48000, 7, { speed: -1 }), errors_1.SpeexResamplerInvalidArgError, 'A negative speed should throw');
+    transform.resampler.destroy();
+    console.log();
+};
+const snapshotTest = async () => {
+    console.log('=================');
+    console.log('Snapshot Test');
+    console.log('=================');
+    const signal = Buffer.from(generateSignal(44100, 1, multitone([440, 1000, 5000], 0.2)).buffer);
+    // aligned on a stereo float32 frame
+    const half = Math.floor(signal.length / 16) * 8;
+    const resampleAll = (resampler, input) => Buffer.concat([resampler.processChunk(input), resampler.flush()]);
+    // stereo so that the history of every channel has to be cleared
+    for (const compensateLatency of [false, true]) {
+        const reference = resampleAll(new index_1.default(2, 44100, 48000, 7, { compensateLatency }), signal.slice(half));
+        const resampler = new index_1.default(2, 44100, 48000, 7, { compensateLatency });
+        resampler.processChunk(signal.slice(0, half));
+        resampler.reset();
+        assert(resampler.inputFramesConsumed === 0 && resampler.outputFramesProduced === 0, 'Positions should be reset');
+        assert(resampleAll(resampler, signal.slice(half)).equals(reference), `Output after reset not matching a new resampler with compensateLatency: ${compensateLatency}`);
+    }
+    console.log('Output after reset identical to a new resampler');
+    const oneShot = resampleAll(new index_1.default(2, 44100, 48000, 7), Buffer.concat([signal, signal]));
+    const resampler = new index_1.default(2, 44100, 48000, 7);
+    const firstPart = resampler.processChunk(signal);
+    const snapshot = resampler.snapshot();
+    console.log(`Snapshot of ${snapshot.length} bytes`);
+    // created with other rates and quality, the snapshot replaces them
+    const restored = new index_1.default(2, 8000, 16000, 3);
+    restored.restore(new Uint8Array(snapshot));
+    assert(restored.inRate === 44100 && restored.outRate === 48000 && restored.quality === 7, 'Rates and quality should be restored');
+    assert(restored.inputFramesConsumed === resampler.inputFramesConsumed, 'Input position should be restored');
+    const secondPart = resampleAll(restored, signal);
+    assert(Buffer.concat([firstPart, secondPart]).equals(oneShot), 'Output of the restored resampler not matching the one-shot output');
+    assert(resampleAll(resampler, signal).equals(secondPart), 'Output of the restored resampler not matching the original one');
+    console.log('Output of the restored resampler identical to the original');
+    assertThrowsError(() => new index_1.default(1, 44100, 48000).restore(snapshot), errors_1.SpeexResamplerInvalidArgError, 'Restoring a snapshot with other channels should throw');
+    assertThrowsError(() => restored.restore(snapshot.slice(0, snapshot.length - 4)), errors_1.SpeexResamplerInvalidArgError, 'Restoring a truncated snapshot should throw');
+    assertThrowsError(() => restored.restore(Buffer.alloc(128)), errors_1.SpeexResamplerInvalidArgError, 'Restoring an invalid snapshot should throw');
+    console.log();
+};
+initTest()
+    .then(() => promiseBasedTest())
+    .then(() => streamBasedTest())
+    .then(() => latencyCompensationTest())
+    .then(() => lifecycleTest())
+    .then(() => dynamicRateTest())
+    .then(() => planarTest())
+    .then(() => zeroCopyTest())
+    .then(() => audioWorkletTest())
+    .then(() => wavTest())
+    .then(() => poolTest())
+    .then(() => cliTest())
+    .then(() => channelsTest())
+    .then(() => frameSizeTest())
+    .then(() => positionsTest())
+    .then(() => webStreamTest())
+    .then(() => helpersTest())
+    .then(() => errorsTest())
+    .then(() => signalQualityTest())
+    .then(() => chunkedOutputTest())
+    .then(() => varispeedTest())
+    .then(() => snapshotTest()).catch((e) => {
     console.error(e);
     process.exit(1);
 });
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidGVzdC5qcyIsInNvdXJjZVJvb3QiOiIvIiwic291cmNlcyI6WyJ0ZXN0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUFBLDJCQUFnRTtBQUNoRSx1Q0FBdUM7QUFDdkMsMkNBQXdDO0FBQ3hDLGdEQUF3QjtBQUV4QixpREFBZ0U7QUFFaEUsTUFBTSxNQUFNLEdBQUcsQ0FBQyxTQUFTLEVBQUUsT0FBTyxFQUFFLEVBQUU7SUFDcEMsSUFBSSxDQUFDLFNBQVMsRUFBRTtRQUNkLE1BQU0sSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7S0FDMUI7QUFDSCxDQUFDLENBQUE7QUFFRCxNQUFNLFVBQVUsR0FBRztJQUNqQixFQUFDLE1BQU0sRUFBRSxjQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxvQ0FBb0MsQ0FBQyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLE9BQU8sRUFBRSxDQUFDLEVBQUM7SUFDL0gsRUFBQyxNQUFNLEVBQUUsY0FBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsK0JBQStCLENBQUMsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFDO0lBQzFILEVBQUMsTUFBTSxFQUFFLGNBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLCtCQUErQixDQUFDLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUUsT0FBTyxFQUFFLEVBQUUsRUFBQztJQUMzSCxFQUFDLE1BQU0sRUFBRSxjQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSwrQkFBK0IsQ0FBQyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFDO0lBQzlHLEVBQUMsTUFBTSxFQUFFLGNBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLCtCQUErQixDQUFDLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUUsT0FBTyxFQUFFLEVBQUUsRUFBQztJQUMzSCxFQUFDLE1BQU0sRUFBRSxjQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSwrQkFBK0IsQ0FBQyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLE9BQU8sRUFBRSxDQUFDLEVBQUM7SUFDMUgsRUFBQyxNQUFNLEVBQUUsY0FBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsK0JBQStCLENBQUMsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFDO0NBQzNILENBQUM7QUFFRixNQUFNLGdCQUFnQixHQUFHLEtBQUssSUFBSSxFQUFFO0lBQ2xDLE1BQU0sZUFBYyxDQUFDLFdBQVcsQ0FBQTtJQUNoQyxLQUFLLE1BQU0sU0FBUyxJQUFJLFVBQVUsRUFBRTtRQUNsQyxPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixTQUFTLENBQUMsTUFBTSxTQUFTLFNBQVMsQ0FBQyxRQUFRLG9CQUFvQixTQUFTLENBQUMsTUFBTSxTQUFTLFNBQVMsQ0FBQyxPQUFPLGdCQUFnQixTQUFTLENBQUMsT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDbkwsTUFBTSxTQUFTLEdBQUcsSUFBSSxlQUFjLENBQUMsU0FBUyxDQUFDLFFBQVEsRUFBRSxTQUFTLENBQUMsTUFBTSxFQUFFLFNBQVMsQ0FBQyxPQUFPLEVBQUUsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ2pILE1BQU0sUUFBUSxHQUFHLGNBQUksQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLElBQUksQ0FBQztRQUNuRCxNQUFNLE9BQU8sR0FBRyxpQkFBWSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUUvQyxNQUFNLEtBQUssR0FBRyx3QkFBVyxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBQ2hDLE1BQU0sR0FBRyxHQUFHLE1BQU0sU0FBUyxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNsRCxNQUFNLEdBQUcsR0FBRyx3QkFBVyxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBQzlCLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN6RCxPQUFPLENBQUMsR0FBRyxDQUFDLGlCQUFpQixPQUFPLENBQUMsTUFBTSxXQUFXLE9BQU8sQ0FBQyxNQUFNLEdBQUcsU0FBUyxDQUFDLE1BQU0sR0FBRyxDQUFDLEdBQUcsU0FBUyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7UUFDckgsT0FBTyxDQUFDLEdBQUcsQ0FBQyxrQkFBa0IsR0FBRyxDQUFDLE1BQU0sV0FBVyxHQUFHLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxPQUFPLEdBQUcsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDO1FBRS9HLE1BQU0sYUFBYSxHQUFHLE9BQU8sQ0FBQyxNQUFNLEdBQUcsU0FBUyxDQUFDLE1BQU0sR0FBRyxDQUFDLEdBQUcsU0FBUyxDQUFDLFFBQVEsQ0FBQztRQUNqRixNQUFNLGNBQWMsR0FBRyxHQUFHLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxPQUFPLEdBQUcsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxRQUFRLENBQUM7UUFDL0UsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsYUFBYSxHQUFHLGNBQWMsQ0FBQyxHQUFHLElBQUksRUFBRSw0Q0FBNEMsYUFBYSxZQUFZLGNBQWMsRUFBRSxDQUFDLENBQUM7UUFDL0ksT0FBTyxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBQ2QscUlBQXFJO0tBQ3RJO0FBQ0gsQ0FBQyxDQUFBO0FBRUQsTUFBTSxlQUFlLEdBQUcsS0FBSyxJQUFJLEVBQUU7SUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBQ2pDLE9BQU8sQ0FBQyxHQUFHLENBQUMsc0JBQXNCLENBQUMsQ0FBQztJQUNwQyxPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFFakMsS0FBSyxNQUFNLFNBQVMsSUFBSSxVQUFVLEVBQUU7UUFDbEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsU0FBUyxDQUFDLE1BQU0sU0FBUyxTQUFTLENBQUMsUUFBUSxvQkFBb0IsU0FBUyxDQUFDLE1BQU0sU0FBUyxTQUFTLENBQUMsT0FBTyxnQkFBZ0IsU0FBUyxDQUFDLE9BQU8sSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ25MLE1BQU0sY0FBYyxHQUFHLHFCQUFnQixDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUMxRCxNQUFNLGVBQWUsR0FBRyxJQUFJLCtCQUF1QixDQUFDLFNBQVMsQ0FBQyxRQUFRLEVBQUUsU0FBUyxDQUFDLE1BQU0sRUFBRSxTQUFTLENBQUMsT0FBTyxFQUFFLFNBQVMsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUNoSSxJQUFJLE9BQU8sR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzlCLGNBQWMsQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUU7WUFDOUIsT0FBTyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBRSxPQUFPLEVBQUUsQ0FBVyxDQUFFLENBQUMsQ0FBQztRQUNwRCxDQUFDLENBQUMsQ0FBQztRQUNILElBQUksR0FBRyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDMUIsZUFBZSxDQUFDLEVBQUUsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLEVBQUUsRUFBRTtZQUMvQixHQUFHLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFFLEdBQUcsRUFBRSxDQUFXLENBQUUsQ0FBQyxDQUFDO1FBQzVDLENBQUMsQ0FBQyxDQUFDO1FBRUgsTUFBTSxLQUFLLEdBQUcsd0JBQVcsQ0FBQyxHQUFHLEVBQUUsQ0FBQztRQUNoQyxjQUFjLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO1FBQ3JDLE1BQU0sSUFBSSxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLGVBQWUsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdkQsTUFBTSxHQUFHLEdBQUcsd0JBQVcsQ0FBQyxHQUFHLEVBQUUsQ0FBQztRQUM5QixPQUFPLENBQUMsR0FBRyxDQUFDLGdCQUFnQixJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDekQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsT0FBTyxDQUFDLE1BQU0sV0FBVyxPQUFPLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDO1FBQ3JILE9BQU8sQ0FBQyxHQUFHLENBQUMsa0JBQWtCLEdBQUcsQ0FBQyxNQUFNLFdBQVcsR0FBRyxDQUFDLE1BQU0sR0FBRyxTQUFTLENBQUMsT0FBTyxHQUFHLENBQUMsR0FBRyxTQUFTLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztRQUUvRyxNQUFNLGFBQWEsR0FBRyxPQUFPLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxRQUFRLENBQUM7UUFDakYsTUFBTSxjQUFjLEdBQUcsR0FBRyxDQUFDLE1BQU0sR0FBRyxTQUFTLENBQUMsT0FBTyxHQUFHLENBQUMsR0FBRyxTQUFTLENBQUMsUUFBUSxDQUFDO1FBQy9FLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLGFBQWEsR0FBRyxjQUFjLENBQUMsR0FBRyxJQUFJLEVBQUUsNENBQTRDLGFBQWEsWUFBWSxjQUFjLEVBQUUsQ0FBQyxDQUFDO1FBQy9JLE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztLQUNmO0FBQ0gsQ0FBQyxDQUFBO0FBRUQsZ0JBQWdCLEVBQUU7S0FDakIsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLGVBQWUsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUU7SUFDekMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNqQixPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ2xCLENBQUMsQ0FBQyxDQUFBIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHtyZWFkRmlsZVN5bmMsIHdyaXRlRmlsZVN5bmMsY3JlYXRlUmVhZFN0cmVhbX0gZnJvbSAnZnMnO1xuLy8gY29uc3Qge3Byb21pc2lmeX0gPSByZXF1aXJlKCd1dGlsJyk7XG5pbXBvcnQgeyBwZXJmb3JtYW5jZSB9IGZyb20gJ3BlcmZfaG9va3MnXG5pbXBvcnQgcGF0aCBmcm9tICdwYXRoJztcblxuaW1wb3J0IFNwZWV4UmVzYW1wbGVyLCB7U3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm19IGZyb20gJy4vaW5kZXgnO1xuXG5jb25zdCBhc3NlcnQgPSAoY29uZGl0aW9uLCBtZXNzYWdlKSA9PiB7XG4gIGlmICghY29uZGl0aW9uKSB7XG4gICAgdGhyb3cgbmV3IEVycm9yKG1lc3NhZ2UpO1xuICB9XG59XG5cbmNvbnN0IGF1ZGlvVGVzdHMgPSBbXG4gIHtpbkZpbGU6IHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvMjQwMDBoel9tb25vX3Rlc3QucGNtYCksIGluUmF0ZTogMjQwMDAsIG91dFJhdGU6IDQ4MDAwLCBjaGFubmVsczogMSwgcXVhbGl0eTogNX0sXG4gIHtpbkZpbGU6IHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvMjQwMDBoel90ZXN0LnBjbWApLCBpblJhdGU6IDI0MDAwLCBvdXRSYXRlOiAyNDAwMCwgY2hhbm5lbHM6IDIsIHF1YWxpdHk6IDV9LFxuICB7aW5GaWxlOiBwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzI0MDAwaHpfdGVzdC5wY21gKSwgaW5SYXRlOiAyNDAwMCwgb3V0UmF0ZTogNDgwMDAsIGNoYW5uZWxzOiAyLCBxdWFsaXR5OiAxMH0sXG4gIHtpbkZpbGU6IHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvNDQxMDBoel90ZXN0LnBjbWApLCBpblJhdGU6IDQ0MTAwLCBvdXRSYXRlOiA0ODAwMCwgY2hhbm5lbHM6IDJ9LFxuICB7aW5GaWxlOiBwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzQ0MTAwaHpfdGVzdC5wY21gKSwgaW5SYXRlOiA0NDEwMCwgb3V0UmF0ZTogNDgwMDAsIGNoYW5uZWxzOiAyLCBxdWFsaXR5OiAxMH0sXG4gIHtpbkZpbGU6IHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvNDQxMDBoel90ZXN0LnBjbWApLCBpblJhdGU6IDQ0MTAwLCBvdXRSYXRlOiA0ODAwMCwgY2hhbm5lbHM6IDIsIHF1YWxpdHk6IDF9LFxuICB7aW5GaWxlOiBwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzQ0MTAwaHpfdGVzdC5wY21gKSwgaW5SYXRlOiA0NDEwMCwgb3V0UmF0ZTogMjQwMDAsIGNoYW5uZWxzOiAyLCBxdWFsaXR5OiA1fSxcbl07XG5cbmNvbnN0IHByb21pc2VCYXNlZFRlc3QgPSBhc3luYyAoKSA9PiB7XG4gIGF3YWl0IFNwZWV4UmVzYW1wbGVyLmluaXRQcm9taXNlXG4gIGZvciAoY29uc3QgYXVkaW9UZXN0IG9mIGF1ZGlvVGVzdHMpIHtcbiAgICBjb25zb2xlLmxvZyhgUmVzYW1wbGluZyBmaWxlICR7YXVkaW9UZXN0LmluRmlsZX0gd2l0aCAke2F1ZGlvVGVzdC5jaGFubmVsc30gY2hhbm5lbChzKSBmcm9tICR7YXVkaW9UZXN0LmluUmF0ZX1IeiB0byAke2F1ZGlvVGVzdC5vdXRSYXRlfUh6IChxdWFsaXR5OiAke2F1ZGlvVGVzdC5xdWFsaXR5IHx8IDd9KWApO1xuICAgIGNvbnN0IHJlc2FtcGxlciA9IG5ldyBTcGVleFJlc2FtcGxlcihhdWRpb1Rlc3QuY2hhbm5lbHMsIGF1ZGlvVGVzdC5pblJhdGUsIGF1ZGlvVGVzdC5vdXRSYXRlLCBhdWRpb1Rlc3QucXVhbGl0eSk7XG4gICAgY29uc3QgZmlsZW5hbWUgPSBwYXRoLnBhcnNlKGF1ZGlvVGVzdC5pbkZpbGUpLm5hbWU7XG4gICAgY29uc3QgcGNtRGF0YSA9IHJlYWRGaWxlU3luYyhhdWRpb1Rlc3QuaW5GaWxlKTtcblxuICAgIGNvbnN0IHN0YXJ0ID0gcGVyZm9ybWFuY2Uubm93KCk7XG4gICAgY29uc3QgcmVzID0gYXdhaXQgcmVzYW1wbGVyLnByb2Nlc3NDaHVuayhwY21EYXRhKTtcbiAgICBjb25zdCBlbmQgPSBwZXJmb3JtYW5jZS5ub3coKTtcbiAgICBjb25zb2xlLmxvZyhgUmVzYW1wbGVkIGluICR7TWF0aC5mbG9vcihlbmQgLSBzdGFydCl9bXNgKTtcbiAgICBjb25zb2xlLmxvZyhgSW5wdXQgc3RyZWFtOiAke3BjbURhdGEubGVuZ3RofSBieXRlcywgJHtwY21EYXRhLmxlbmd0aCAvIGF1ZGlvVGVzdC5pblJhdGUgLyAyIC8gYXVkaW9UZXN0LmNoYW5uZWxzfXNgKTtcbiAgICBjb25zb2xlLmxvZyhgT3V0cHV0IHN0cmVhbTogJHtyZXMubGVuZ3RofSBieXRlcywgJHtyZXMubGVuZ3RoIC8gYXVkaW9UZXN0Lm91dFJhdGUgLyAyIC8gYXVkaW9UZXN0LmNoYW5uZWxzfXNgKTtcblxuICAgIGNvbnN0IGlucHV0RHVyYXRpb24gPSBwY21EYXRhLmxlbmd0aCAvIGF1ZGlvVGVzdC5pblJhdGUgLyAyIC8gYXVkaW9UZXN0LmNoYW5uZWxzO1xuICAgIGNvbnN0IG91dHB1dER1cmF0aW9uID0gcmVzLmxlbmd0aCAvIGF1ZGlvVGVzdC5vdXRSYXRlIC8gMiAvIGF1ZGlvVGVzdC5jaGFubmVscztcbiAgICBhc3NlcnQoTWF0aC5hYnMoaW5wdXREdXJhdGlvbiAtIG91dHB1dER1cmF0aW9uKSA8IDAuMDEsIGBTdHJlYW0gZHVyYXRpb24gbm90IG1hdGNoaW5nIHRhcmdldCwgaW46ICR7aW5wdXREdXJhdGlvbn1zICE9IG91dDoke291dHB1dER1cmF0aW9ufWApO1xuICAgIGNvbnNvbGUubG9nKCk7XG4gICAgLy8gd3JpdGVGaWxlU3luYyhwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLyR7ZmlsZW5hbWV9XyR7YXVkaW9UZXN0Lm91dFJhdGV9XyR7YXVkaW9UZXN0LnF1YWxpdHkgfHwgN31fb3V0cHV0LnBjbWApLCByZXMpO1xuICB9XG59XG5cbmNvbnN0IHN0cmVhbUJhc2VkVGVzdCA9IGFzeW5jICgpID0+IHtcbiAgY29uc29sZS5sb2coJz09PT09PT09PT09PT09PT09Jyk7XG4gIGNvbnNvbGUubG9nKCdUcmFuZm9ybSBTdHJlYW0gVGVzdCcpO1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcblxuICBmb3IgKGNvbnN0IGF1ZGlvVGVzdCBvZiBhdWRpb1Rlc3RzKSB7XG4gICAgY29uc29sZS5sb2coYFJlc2FtcGxpbmcgZmlsZSAke2F1ZGlvVGVzdC5pbkZpbGV9IHdpdGggJHthdWRpb1Rlc3QuY2hhbm5lbHN9IGNoYW5uZWwocykgZnJvbSAke2F1ZGlvVGVzdC5pblJhdGV9SHogdG8gJHthdWRpb1Rlc3Qub3V0UmF0ZX1IeiAocXVhbGl0eTogJHthdWRpb1Rlc3QucXVhbGl0eSB8fCA3fSlgKTtcbiAgICBjb25zdCByZWFkRmlsZVN0cmVhbSA9IGNyZWF0ZVJlYWRTdHJlYW0oYXVkaW9UZXN0LmluRmlsZSk7XG4gICAgY29uc3QgdHJhbnNmb3JtU3RyZWFtID0gbmV3IFNwZWV4UmVzYW1wbGVyVHJhbnNmb3JtKGF1ZGlvVGVzdC5jaGFubmVscywgYXVkaW9UZXN0LmluUmF0ZSwgYXVkaW9UZXN0Lm91dFJhdGUsIGF1ZGlvVGVzdC5xdWFsaXR5KTtcbiAgICBsZXQgcGNtRGF0YSA9IEJ1ZmZlci5hbGxvYygwKTtcbiAgICByZWFkRmlsZVN0cmVhbS5vbignZGF0YScsIChkKSA9PiB7XG4gICAgICBwY21EYXRhID0gQnVmZmVyLmNvbmNhdChbIHBjbURhdGEsIGQgYXMgQnVmZmVyIF0pO1xuICAgIH0pO1xuICAgIGxldCByZXMgPSBCdWZmZXIuYWxsb2MoMCk7XG4gICAgdHJhbnNmb3JtU3RyZWFtLm9uKCdkYXRhJywgKGQpID0+IHtcbiAgICAgIHJlcyA9IEJ1ZmZlci5jb25jYXQoWyByZXMsIGQgYXMgQnVmZmVyIF0pO1xuICAgIH0pO1xuXG4gICAgY29uc3Qgc3RhcnQgPSBwZXJmb3JtYW5jZS5ub3coKTtcbiAgICByZWFkRmlsZVN0cmVhbS5waXBlKHRyYW5zZm9ybVN0cmVhbSk7XG4gICAgYXdhaXQgbmV3IFByb21pc2UoKHIpID0+IHRyYW5zZm9ybVN0cmVhbS5vbignZW5kJywgcikpO1xuICAgIGNvbnN0IGVuZCA9IHBlcmZvcm1hbmNlLm5vdygpO1xuICAgIGNvbnNvbGUubG9nKGBSZXNhbXBsZWQgaW4gJHtNYXRoLmZsb29yKGVuZCAtIHN0YXJ0KX1tc2ApO1xuICAgIGNvbnNvbGUubG9nKGBJbnB1dCBzdHJlYW06ICR7cGNtRGF0YS5sZW5ndGh9IGJ5dGVzLCAke3BjbURhdGEubGVuZ3RoIC8gYXVkaW9UZXN0LmluUmF0ZSAvIDIgLyBhdWRpb1Rlc3QuY2hhbm5lbHN9c2ApO1xuICAgIGNvbnNvbGUubG9nKGBPdXRwdXQgc3RyZWFtOiAke3Jlcy5sZW5ndGh9IGJ5dGVzLCAke3Jlcy5sZW5ndGggLyBhdWRpb1Rlc3Qub3V0UmF0ZSAvIDIgLyBhdWRpb1Rlc3QuY2hhbm5lbHN9c2ApO1xuXG4gICAgY29uc3QgaW5wdXREdXJhdGlvbiA9IHBjbURhdGEubGVuZ3RoIC8gYXVkaW9UZXN0LmluUmF0ZSAvIDIgLyBhdWRpb1Rlc3QuY2hhbm5lbHM7XG4gICAgY29uc3Qgb3V0cHV0RHVyYXRpb24gPSByZXMubGVuZ3RoIC8gYXVkaW9UZXN0Lm91dFJhdGUgLyAyIC8gYXVkaW9UZXN0LmNoYW5uZWxzO1xuICAgIGFzc2VydChNYXRoLmFicyhpbnB1dER1cmF0aW9uIC0gb3V0cHV0RHVyYXRpb24pIDwgMC4wMSwgYFN0cmVhbSBkdXJhdGlvbiBub3QgbWF0Y2hpbmcgdGFyZ2V0LCBpbjogJHtpbnB1dER1cmF0aW9ufXMgIT0gb3V0OiR7b3V0cHV0RHVyYXRpb259YCk7XG4gICAgY29uc29sZS5sb2coKTtcbiAgfVxufVxuXG5wcm9taXNlQmFzZWRUZXN0KClcbi50aGVuKCgpID0+IHN0cmVhbUJhc2VkVGVzdCgpKS5jYXRjaCgoZSkgPT4ge1xuICBjb25zb2xlLmVycm9yKGUpO1xuICBwcm9jZXNzLmV4aXQoMSk7XG59KVxuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidGVzdC5qcyIsInNvdXJjZVJvb3QiOiIvIiwic291cmNlcyI6WyJ0ZXN0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQUFBLDJCQUFpSjtBQUNqSixpREFBd0Q7QUFDeEQsNENBQW9CO0FBQ3BCLHVDQUF1QztBQUN2QywyQ0FBd0M7QUFDeEMsZ0RBQXdCO0FBRXhCLGlEQUFnTjtBQUNoTixtQ0FBcUM7QUFDckMsdUNBQTJEO0FBQzNELDJDQUFtRDtBQUNuRCxxQ0FRa0I7QUFFbEIsTUFBTSxNQUFNLEdBQUcsQ0FBQyxTQUFTLEVBQUUsT0FBTyxFQUFFLEVBQUU7SUFDcEMsSUFBSSxDQUFDLFNBQVMsRUFBRTtRQUNkLE1BQU0sSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7S0FDMUI7QUFDSCxDQUFDLENBQUE7QUFhRCxNQUFNLFVBQVUsR0FBZ0I7SUFDOUIsRUFBQyxNQUFNLEVBQUUsY0FBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsb0NBQW9DLENBQUMsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFDO0lBQy9ILEVBQUMsTUFBTSxFQUFFLGNBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLCtCQUErQixDQUFDLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUUsT0FBTyxFQUFFLENBQUMsRUFBQztJQUMxSCxFQUFDLE1BQU0sRUFBRSxjQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSwrQkFBK0IsQ0FBQyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUM7SUFDM0gsRUFBQyxNQUFNLEVBQUUsY0FBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsK0JBQStCLENBQUMsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBQztJQUM5RyxFQUFDLE1BQU0sRUFBRSxjQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSwrQkFBK0IsQ0FBQyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUM7SUFDM0gsRUFBQyxNQUFNLEVBQUUsY0FBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsK0JBQStCLENBQUMsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFDO0lBQzFILEVBQUMsTUFBTSxFQUFFLGNBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLCtCQUErQixDQUFDLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUUsT0FBTyxFQUFFLENBQUMsRUFBQztJQUMxSCxFQUFDLE1BQU0sRUFBRSxjQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSwrQkFBK0IsQ0FBQyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUM7SUFDcEksRUFBQyxNQUFNLEVBQUUsY0FBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsK0JBQStCLENBQUMsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsT0FBTyxFQUFDO0lBQ2xJLEVBQUMsTUFBTSxFQUFFLGNBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLCtCQUErQixDQUFDLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLE9BQU8sRUFBQztDQUNuSSxDQUFDO0FBRUYsTUFBTSxTQUFTLEdBQUcsQ0FBQyxTQUFvQixFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQzNDLFFBQVEsRUFBRSxTQUFTLENBQUMsUUFBUSxJQUFJLE9BQU87SUFDdkMsU0FBUyxFQUFFLFNBQVMsQ0FBQyxTQUFTLElBQUksU0FBUyxDQUFDLFFBQVEsSUFBSSxPQUFPO0NBQ2hFLENBQUMsQ0FBQztBQUVILE1BQU0sV0FBVyxHQUFHLENBQUMsU0FBb0IsRUFBRSxLQUFhLEVBQUUsTUFBYyxFQUFFLEVBQUU7SUFDMUUsTUFBTSxFQUFDLFFBQVEsRUFBRSxTQUFTLEVBQUMsR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDbkQsT0FBTztRQUNMLGFBQWEsRUFBRSxLQUFLLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxNQUFNLEdBQUcsMEJBQWdCLENBQUMsUUFBUSxDQUFDLEdBQUcsU0FBUyxDQUFDLFFBQVE7UUFDaEcsY0FBYyxFQUFFLE1BQU0sQ0FBQyxNQUFNLEdBQUcsU0FBUyxDQUFDLE9BQU8sR0FBRywwQkFBZ0IsQ0FBQyxTQUFTLENBQUMsR0FBRyxTQUFTLENBQUMsUUFBUTtLQUNyRyxDQUFDO0FBQ0osQ0FBQyxDQUFBO0FBRUQsa0ZBQWtGO0FBQ2xGLE1BQU0sZUFBZSxHQUFHLENBQUMsTUFBYyxFQUFFLE9BQWUsRUFBRSxPQUFPLEdBQUcsQ0FBQyxFQUFFLEVBQUU7SUFDdkUsTUFBTSxTQUFTLEdBQUcsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsT0FBTyxDQUFDLENBQUM7SUFDbEUsTUFBTSxPQUFPLEdBQUcsU0FBUyxDQUFDLGFBQWEsQ0FBQztJQUN4QyxTQUFTLENBQUMsT0FBTyxFQUFFLENBQUM7SUFDcEIsT0FBTyxPQUFPLENBQUM7QUFDakIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxpQkFBaUIsR0FBRyxDQUFDLFNBQW9CLEVBQUUsS0FBYSxFQUFFLE1BQWMsRUFBRSxFQUFFO0lBQ2hGLE1BQU0sRUFBQyxRQUFRLEVBQUUsU0FBUyxFQUFDLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQ25ELE1BQU0sUUFBUSxHQUFHLEtBQUssQ0FBQyxNQUFNLEdBQUcsMEJBQWdCLENBQUMsUUFBUSxDQUFDLEdBQUcsU0FBUyxDQUFDLFFBQVEsQ0FBQztJQUNoRixNQUFNLFNBQVMsR0FBRyxNQUFNLENBQUMsTUFBTSxHQUFHLDBCQUFnQixDQUFDLFNBQVMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxRQUFRLENBQUM7SUFDbkYsTUFBTSxpQkFBaUIsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLFFBQVEsR0FBRyxTQUFTLENBQUMsT0FBTyxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsR0FBRyxlQUFlLENBQUMsU0FBUyxDQUFDLE1BQU0sRUFBRSxTQUFTLENBQUMsT0FBTyxFQUFFLFNBQVMsQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUNoSyxNQUFNLENBQUMsU0FBUyxLQUFLLGlCQUFpQixFQUFFLHNEQUFzRCxpQkFBaUIsV0FBVyxTQUFTLEVBQUUsQ0FBQyxDQUFDO0FBQ3pJLENBQUMsQ0FBQTtBQUVELE1BQU0sWUFBWSxHQUFHLENBQUMsU0FBb0IsRUFBRSxFQUFFO0lBQzVDLE1BQU0sRUFBQyxRQUFRLEVBQUUsU0FBUyxFQUFDLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQ25ELE9BQU8sbUJBQW1CLFNBQVMsQ0FBQyxNQUFNLFNBQVMsU0FBUyxDQUFDLFFBQVEsb0JBQW9CLFNBQVMsQ0FBQyxNQUFNLFNBQVMsU0FBUyxDQUFDLE9BQU8sZ0JBQWdCLFNBQVMsQ0FBQyxPQUFPLElBQUksQ0FBQyxLQUFLLFFBQVEsT0FBTyxTQUFTLEdBQUcsQ0FBQztBQUM1TSxDQUFDLENBQUE7QUFFRCxNQUFNLGdCQUFnQixHQUFHLEtBQUssSUFBSSxFQUFFO0lBQ2xDLE1BQU0sZUFBYyxDQUFDLFdBQVcsQ0FBQTtJQUNoQyxLQUFLLE1BQU0sU0FBUyxJQUFJLFVBQVUsRUFBRTtRQUNsQyxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO1FBQ3JDLE1BQU0sU0FBUyxHQUFHLElBQUksZUFBYyxDQUFDLFNBQVMsQ0FBQyxRQUFRLEVBQUUsU0FBUyxDQUFDLE1BQU0sRUFBRSxTQUFTLENBQUMsT0FBTyxFQUFFLFNBQVMsQ0FBQyxPQUFPLEVBQUUsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7UUFDdkksTUFBTSxRQUFRLEdBQUcsY0FBSSxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxDQUFDO1FBQ25ELE1BQU0sT0FBTyxHQUFHLGlCQUFZLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBRS9DLE1BQU0sS0FBSyxHQUFHLHdCQUFXLENBQUMsR0FBRyxFQUFFLENBQUM7UUFDaEMsTUFBTSxHQUFHLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEVBQUUsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQztRQUNoRixNQUFNLEdBQUcsR0FBRyx3QkFBVyxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBQzlCLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN6RCxNQUFNLEVBQUMsYUFBYSxFQUFFLGNBQWMsRUFBQyxHQUFHLFdBQVcsQ0FBQyxTQUFTLEVBQUUsT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBQzdFLE9BQU8sQ0FBQyxHQUFHLENBQUMsaUJBQWlCLE9BQU8sQ0FBQyxNQUFNLFdBQVcsYUFBYSxHQUFHLENBQUMsQ0FBQztRQUN4RSxPQUFPLENBQUMsR0FBRyxDQUFDLGtCQUFrQixHQUFHLENBQUMsTUFBTSxXQUFXLGNBQWMsR0FBRyxDQUFDLENBQUM7UUFFdEUsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsYUFBYSxHQUFHLGNBQWMsQ0FBQyxHQUFHLElBQUksRUFBRSw0Q0FBNEMsYUFBYSxZQUFZLGNBQWMsRUFBRSxDQUFDLENBQUM7UUFDL0ksaUJBQWlCLENBQUMsU0FBUyxFQUFFLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQztRQUMzQyxPQUFPLENBQUMsR0FBRyxFQUFFLENBQUM7UUFDZCxxSUFBcUk7S0FDdEk7QUFDSCxDQUFDLENBQUE7QUFFRCxNQUFNLGVBQWUsR0FBRyxLQUFLLElBQUksRUFBRTtJQUNqQyxPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDO0lBQ3BDLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUVqQyxLQUFLLE1BQU0sU0FBUyxJQUFJLFVBQVUsRUFBRTtRQUNsQyxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO1FBQ3JDLE1BQU0sY0FBYyxHQUFHLHFCQUFnQixDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUMxRCxNQUFNLGVBQWUsR0FBRyxJQUFJLCtCQUF1QixDQUFDLFNBQVMsQ0FBQyxRQUFRLEVBQUUsU0FBUyxDQUFDLE1BQU0sRUFBRSxTQUFTLENBQUMsT0FBTyxFQUFFLFNBQVMsQ0FBQyxPQUFPLEVBQUUsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7UUFDdEosSUFBSSxPQUFPLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUM5QixjQUFjLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsRUFBRSxFQUFFO1lBQzlCLE9BQU8sR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUUsT0FBTyxFQUFFLENBQVcsQ0FBRSxDQUFDLENBQUM7UUFDcEQsQ0FBQyxDQUFDLENBQUM7UUFDSCxJQUFJLEdBQUcsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzFCLGVBQWUsQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUU7WUFDL0IsR0FBRyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBRSxHQUFHLEVBQUUsQ0FBVyxDQUFFLENBQUMsQ0FBQztRQUM1QyxDQUFDLENBQUMsQ0FBQztRQUVILE1BQU0sS0FBSyxHQUFHLHdCQUFXLENBQUMsR0FBRyxFQUFFLENBQUM7UUFDaEMsY0FBYyxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQztRQUNyQyxNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxlQUFlLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3ZELE1BQU0sR0FBRyxHQUFHLHdCQUFXLENBQUMsR0FBRyxFQUFFLENBQUM7UUFDOUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxHQUFHLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3pELE1BQU0sRUFBQyxhQUFhLEVBQUUsY0FBYyxFQUFDLEdBQUcsV0FBVyxDQUFDLFNBQVMsRUFBRSxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUM7UUFDN0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsT0FBTyxDQUFDLE1BQU0sV0FBVyxhQUFhLEdBQUcsQ0FBQyxDQUFDO1FBQ3hFLE9BQU8sQ0FBQyxHQUFHLENBQUMsa0JBQWtCLEdBQUcsQ0FBQyxNQUFNLFdBQVcsY0FBYyxHQUFHLENBQUMsQ0FBQztRQUV0RSxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxhQUFhLEdBQUcsY0FBYyxDQUFDLEdBQUcsSUFBSSxFQUFFLDRDQUE0QyxhQUFhLFlBQVksY0FBYyxFQUFFLENBQUMsQ0FBQztRQUMvSSxpQkFBaUIsQ0FBQyxTQUFTLEVBQUUsT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBQzNDLE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztLQUNmO0FBQ0gsQ0FBQyxDQUFBO0FBRUQsd0RBQXdEO0FBQ3hELE1BQU0sUUFBUSxHQUFHLENBQUMsU0FBaUIsRUFBRSxNQUFjLEVBQUUsRUFBRTtJQUNyRCxJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUM7SUFDZixJQUFJLEtBQUssR0FBRyxDQUFDLENBQUM7SUFDZCxNQUFNLFlBQVksR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNuRSxLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsWUFBWSxFQUFFLENBQUMsRUFBRSxFQUFFO1FBQ3JDLE1BQU0sR0FBRyxHQUFHLFNBQVMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ3pDLE1BQU0sSUFBSSxHQUFHLEdBQUcsR0FBRyxDQUFDO1FBQ3BCLEtBQUssSUFBSSxDQUFDLEdBQUcsR0FBRyxNQUFNLENBQUMsV0FBVyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQztLQUNqRDtJQUNELE9BQU8sRUFBRSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQyxDQUFDO0FBQ3pDLENBQUMsQ0FBQTtBQUVELE1BQU0sdUJBQXVCLEdBQUcsS0FBSyxJQUFJLEVBQUU7SUFDekMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBQ2pDLE9BQU8sQ0FBQyxHQUFHLENBQUMsMkJBQTJCLENBQUMsQ0FBQztJQUN6QyxPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFFakMsTUFBTSxPQUFPLEdBQUcsaUJBQVksQ0FBQyxjQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSwrQkFBK0IsQ0FBQyxDQUFDLENBQUM7SUFDdkYsTUFBTSxRQUFRLEdBQUcsQ0FBQyxpQkFBMEIsRUFBRSxFQUFFO1FBQzlDLE1BQU0sU0FBUyxHQUFHLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxFQUFDLE1BQU0sRUFBRSxPQUFPLEVBQUUsaUJBQWlCLEVBQUMsQ0FBQyxDQUFDO1FBQ2hHLE9BQU87WUFDTCxHQUFHLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEVBQUUsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUM7WUFDeEUsYUFBYSxFQUFFLFNBQVMsQ0FBQyxhQUFhO1NBQ3ZDLENBQUM7SUFDSixDQUFDLENBQUE7SUFDRCxNQUFNLFdBQVcsR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDbkMsTUFBTSxPQUFPLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ2hDLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLE9BQU8sQ0FBQyxhQUFhLFNBQVMsQ0FBQyxDQUFDO0lBQy9ELE1BQU0sQ0FBQyxPQUFPLENBQUMsYUFBYSxHQUFHLENBQUMsRUFBRSwwQ0FBMEMsT0FBTyxDQUFDLGFBQWEsRUFBRSxDQUFDLENBQUM7SUFDckcsTUFBTSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsTUFBTSxLQUFLLE9BQU8sQ0FBQyxNQUFNLEVBQUUscURBQXFELE9BQU8sQ0FBQyxNQUFNLFdBQVcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDO0lBRTFKLE1BQU0sY0FBYyxHQUFHLFFBQVEsQ0FBQyxPQUFPLEVBQUUsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzFELE1BQU0sVUFBVSxHQUFHLFFBQVEsQ0FBQyxPQUFPLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ2xELE9BQU8sQ0FBQyxHQUFHLENBQUMsd0NBQXdDLGNBQWMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLGdCQUFnQixVQUFVLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUN4SCxNQUFNLENBQUMsY0FBYyxHQUFHLEVBQUUsRUFBRSxzREFBc0QsY0FBYyxJQUFJLENBQUMsQ0FBQztJQUN0RyxNQUFNLENBQUMsY0FBYyxHQUFHLFVBQVUsRUFBRSxrRUFBa0UsQ0FBQyxDQUFDO0lBQ3hHLE1BQU0sQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sS0FBSyxPQUFPLENBQUMsTUFBTSxHQUFHLE9BQU8sQ0FBQyxhQUFhLEdBQUcsQ0FBQyxFQUFFLGtFQUFrRSxDQUFDLENBQUM7SUFFOUksNkZBQTZGO0lBQzdGLEtBQUssTUFBTSxpQkFBaUIsSUFBSSxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsRUFBRTtRQUM3QyxNQUFNLE9BQU8sR0FBRyxJQUFJLFlBQVksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN2QyxPQUFPLENBQUMsT0FBTyxDQUFDLE1BQU0sR0FBRyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDakMsTUFBTSxTQUFTLEdBQUcsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsaUJBQWlCLEVBQUMsQ0FBQyxDQUFDO1FBQzlFLE1BQU0sR0FBRyxHQUFHLGNBQWMsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsU0FBUyxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsRUFBRSxTQUFTLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDaEcsTUFBTSxJQUFJLEdBQUcsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUM3RSxPQUFPLENBQUMsR0FBRyxDQUFDLGdFQUFnRSxpQkFBaUIsS0FBSyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUNySCxNQUFNLENBQUMsSUFBSSxHQUFHLEdBQUcsRUFBRSw0REFBNEQsaUJBQWlCLFdBQVcsSUFBSSxFQUFFLENBQUMsQ0FBQztLQUNwSDtJQUNELE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztBQUNoQixDQUFDLENBQUE7QUFFRCxNQUFNLFlBQVksR0FBRyxDQUFDLEVBQWEsRUFBRSxPQUFlLEVBQUUsRUFBRTtJQUN0RCxJQUFJLE1BQU0sR0FBRyxLQUFLLENBQUM7SUFDbkIsSUFBSTtRQUNGLEVBQUUsRUFBRSxDQUFDO0tBQ047SUFBQyxPQUFPLENBQUMsRUFBRTtRQUNWLE1BQU0sR0FBRyxJQUFJLENBQUM7S0FDZjtJQUNELE1BQU0sQ0FBQyxNQUFNLEVBQUUsT0FBTyxDQUFDLENBQUM7QUFDMUIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxhQUFhLEdBQUcsS0FBSyxJQUFJLEVBQUU7SUFDL0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBQ2pDLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLENBQUMsQ0FBQztJQUM5QixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFFakMsTUFBTSxTQUFTLEdBQUcsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsTUFBTSxFQUFFLFNBQVMsRUFBQyxDQUFDLENBQUM7SUFDOUUsU0FBUyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNwRCxTQUFTLENBQUMsT0FBTyxFQUFFLENBQUM7SUFDcEIsdUNBQXVDO0lBQ3ZDLFNBQVMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztJQUNwQixZQUFZLENBQUMsR0FBRyxFQUFFLENBQUMsU0FBUyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLHlDQUF5QyxDQUFDLENBQUM7SUFDM0csWUFBWSxDQUFDLEdBQUcsRUFBRSxDQUFDLFNBQVMsQ0FBQyxLQUFLLEVBQUUsRUFBRSxrQ0FBa0MsQ0FBQyxDQUFDO0lBQzFFLFlBQVksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxTQUFTLENBQUMsYUFBYSxFQUFFLDBDQUEwQyxDQUFDLENBQUM7SUFFeEYsTUFBTSxlQUFlLEdBQUcsSUFBSSwrQkFBdUIsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxNQUFNLEVBQUUsU0FBUyxFQUFDLENBQUMsQ0FBQztJQUM3RixlQUFlLENBQUMsTUFBTSxFQUFFLENBQUM7SUFDekIsZUFBZSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNqRCxNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxlQUFlLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3ZELE1BQU0sQ0FBQyxlQUFlLENBQUMsU0FBUyxDQUFDLFVBQVUsRUFBRSwwREFBMEQsQ0FBQyxDQUFDO0lBRXpHLE1BQU0sZUFBZSxHQUFHLElBQUksK0JBQXVCLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsTUFBTSxFQUFFLFNBQVMsRUFBQyxDQUFDLENBQUM7SUFDN0YsZUFBZSxDQUFDLE9BQU8sRUFBRSxDQUFDO0lBQzFCLE1BQU0sSUFBSSxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLGVBQWUsQ0FBQyxFQUFFLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDekQsTUFBTSxDQUFDLGVBQWUsQ0FBQyxTQUFTLENBQUMsVUFBVSxFQUFFLDhEQUE4RCxDQUFDLENBQUM7SUFDN0csT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNsQixPQUFPLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDaEIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxlQUFlLEdBQUcsS0FBSyxJQUFJLEVBQUU7SUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBQ2pDLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUNqQyxPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFFakMsTUFBTSxPQUFPLEdBQUcsaUJBQVksQ0FBQyxjQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSwrQkFBK0IsQ0FBQyxDQUFDLENBQUM7SUFDdkYsbUVBQW1FO0lBQ25FLE1BQU0sVUFBVSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDdEQsTUFBTSxTQUFTLEdBQUcsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsTUFBTSxFQUFFLE9BQU8sRUFBQyxDQUFDLENBQUM7SUFDNUUsTUFBTSxTQUFTLEdBQUcsU0FBUyxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDO0lBQ3ZFLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQ2hDLHlIQUF5SDtJQUN6SCxTQUFTLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3hCLE1BQU0sVUFBVSxHQUFHLFNBQVMsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDO0lBQ3JFLHlFQUF5RTtJQUN6RSxTQUFTLENBQUMsV0FBVyxDQUFDLEdBQUcsR0FBRyxHQUFHLEVBQUUsR0FBRyxHQUFHLEdBQUcsQ0FBQyxDQUFDO0lBQzVDLE1BQU0sU0FBUyxHQUFHLFNBQVMsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQztJQUN2RSx3RUFBd0U7SUFDeEUsTUFBTSxXQUFXLEdBQUcsU0FBUyxDQUFDLHFCQUFxQixDQUFDLFNBQVMsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBQ25GLE1BQU0sR0FBRyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLEVBQUUsVUFBVSxFQUFFLFNBQVMsRUFBRSxTQUFTLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBRWpGLE1BQU0sVUFBVSxHQUFHLFVBQVUsR0FBRyxDQUFDLENBQUM7SUFDbEMsTUFBTSxnQkFBZ0IsR0FBRyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsVUFBVSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzNELE1BQU0sQ0FBQyxTQUFTLENBQUMsbUJBQW1CLEtBQUssVUFBVSxHQUFHLENBQUMsR0FBRyxnQkFBZ0IsRUFBRSxzQkFBc0IsU0FBUyxDQUFDLG1CQUFtQixXQUFXLENBQUMsQ0FBQztJQUM1SSxNQUFNLGNBQWMsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLFdBQVcsQ0FBQyxDQUFDO0lBQy9DLE9BQU8sQ0FBQyxHQUFHLENBQUMsa0JBQWtCLEdBQUcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxlQUFlLGNBQWMsRUFBRSxDQUFDLENBQUM7SUFDN0UsTUFBTSxDQUFDLEdBQUcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxLQUFLLGNBQWMsRUFBRSxzREFBc0QsY0FBYyxXQUFXLEdBQUcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUMzSSxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsR0FBRyxnQkFBZ0IsR0FBRyxLQUFLLEdBQUcsS0FBSyxDQUFDLEdBQUcsR0FBRyxFQUFFLGdDQUFnQyxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsNkJBQTZCLENBQUMsQ0FBQztJQUVySyxpSEFBaUg7SUFDakgsb0VBQW9FO0lBQ3BFLEtBQUssTUFBTSxDQUFDLFdBQVcsRUFBRSxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEVBQUU7UUFDekQsTUFBTSxPQUFPLEdBQUcsSUFBSSxZQUFZLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDeEMsTUFBTSxlQUFlLEdBQUcsT0FBTyxDQUFDLE1BQU0sR0FBRyxFQUFFLENBQUM7UUFDNUMsT0FBTyxDQUFDLGVBQWUsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUM3QixNQUFNLGdCQUFnQixHQUFHLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLFdBQVcsQ0FBQyxDQUFDO1FBQzFFLHVDQUF1QztRQUN2QyxNQUFNLE1BQU0sR0FBYSxFQUFFLENBQUM7UUFDNUIsS0FBSyxJQUFJLE1BQU0sR0FBRyxDQUFDLEVBQUUsTUFBTSxHQUFHLE9BQU8sQ0FBQyxNQUFNLEVBQUUsTUFBTSxJQUFJLEdBQUcsRUFBRTtZQUMzRCxJQUFJLE1BQU0sS0FBSyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtnQkFDakMsZ0JBQWdCLENBQUMsVUFBVSxDQUFDLFNBQVMsQ0FBQyxDQUFDO2FBQ3hDO1lBQ0QsTUFBTSxDQUFDLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUUsTUFBTSxHQUFHLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUNwRjtRQUNELE1BQU0sZ0JBQWdCLEdBQUcsZ0JBQWdCLENBQUMscUJBQXFCLENBQUMsZUFBZSxDQUFDLENBQUM7UUFDakYsTUFBTSxNQUFNLEdBQUcsY0FBYyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sRUFBRSxnQkFBZ0IsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNwRixNQUFNLFlBQVksR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDakgsT0FBTyxDQUFDLEdBQUcsQ0FBQyxXQUFXLFdBQVcsT0FBTyxTQUFTLGdCQUFnQixZQUFZLGlCQUFpQixnQkFBZ0IsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzlILE1BQU0sQ0FBQyxnQkFBZ0IsQ0FBQyxtQkFBbUIsS0FBSyxPQUFPLENBQUMsTUFBTSxFQUFFLHNCQUFzQixnQkFBZ0IsQ0FBQyxtQkFBbUIsV0FBVyxDQUFDLENBQUM7UUFDdkksTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsWUFBWSxHQUFHLGdCQUFnQixDQUFDLEdBQUcsQ0FBQyxJQUFJLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFDLEdBQUcsR0FBRyxFQUFFLHNEQUFzRCxDQUFDLENBQUM7S0FDdko7SUFDRCxPQUFPLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDaEIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxVQUFVLEdBQUcsS0FBSyxJQUFJLEVBQUU7SUFDNUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBQ2pDLE9BQU8sQ0FBQyxHQUFHLENBQUMsYUFBYSxDQUFDLENBQUM7SUFDM0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBRWpDLE1BQU0sT0FBTyxHQUFHLGlCQUFZLENBQUMsY0FBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsK0JBQStCLENBQUMsQ0FBQyxDQUFDO0lBQ3ZGLE1BQU0sV0FBVyxHQUFHLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO0lBQ3ZDLE1BQU0sV0FBVyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsV0FBVyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUN0RCxNQUFNLE1BQU0sR0FBRyxDQUFDLElBQUksWUFBWSxDQUFDLFdBQVcsQ0FBQyxFQUFFLElBQUksWUFBWSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUM7SUFDOUUsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFdBQVcsRUFBRSxDQUFDLEVBQUUsRUFBRTtRQUNwQyxLQUFLLElBQUksT0FBTyxHQUFHLENBQUMsRUFBRSxPQUFPLEdBQUcsQ0FBQyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQzVDLE1BQU0sTUFBTSxHQUFHLE9BQU8sQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQztZQUNuRSxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDO1lBQzVCLFdBQVcsQ0FBQyxZQUFZLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztTQUN6RDtLQUNGO0lBRUQsTUFBTSxvQkFBb0IsR0FBRyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxNQUFNLEVBQUUsU0FBUyxFQUFDLENBQUMsQ0FBQztJQUN6RixNQUFNLGNBQWMsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsb0JBQW9CLENBQUMsWUFBWSxDQUFDLFdBQVcsQ0FBQyxFQUFFLG9CQUFvQixDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQztJQUVySCxNQUFNLGVBQWUsR0FBRyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQztJQUMvRCxNQUFNLGlCQUFpQixHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxHQUFHLEtBQUssR0FBRyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDckUsTUFBTSxNQUFNLEdBQUcsQ0FBQyxJQUFJLFlBQVksQ0FBQyxpQkFBaUIsQ0FBQyxFQUFFLElBQUksWUFBWSxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQztJQUMxRixNQUFNLFNBQVMsR0FBRyxlQUFlLENBQUMsYUFBYSxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsQ0FBQztJQUNoRSxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sS0FBSyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFLHdEQUF3RCxDQUFDLENBQUM7SUFDM0csTUFBTSxVQUFVLEdBQUcsZUFBZSxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQ2pELE1BQU0saUJBQWlCLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO0lBRXJFLE9BQU8sQ0FBQyxHQUFHLENBQUMsdUJBQXVCLGNBQWMsQ0FBQyxNQUFNLEdBQUcsQ0FBQywyQkFBMkIsaUJBQWlCLFNBQVMsQ0FBQyxDQUFDO0lBQ25ILE1BQU0sQ0FBQyxpQkFBaUIsS0FBSyxjQUFjLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSw0REFBNEQsQ0FBQyxDQUFDO0lBQ3RILEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxpQkFBaUIsRUFBRSxDQUFDLEVBQUUsRUFBRTtRQUMxQyxLQUFLLElBQUksT0FBTyxHQUFHLENBQUMsRUFBRSxPQUFPLEdBQUcsQ0FBQyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQzVDLE1BQU0sWUFBWSxHQUFHLENBQUMsR0FBRyxTQUFTLENBQUMsT0FBTyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ2hJLE1BQU0saUJBQWlCLEdBQUcsY0FBYyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDNUUsTUFBTSxDQUFDLFlBQVksS0FBSyxpQkFBaUIsRUFBRSxpQkFBaUIsQ0FBQyxlQUFlLE9BQU8scUNBQXFDLFlBQVksT0FBTyxpQkFBaUIsRUFBRSxDQUFDLENBQUM7U0FDaks7S0FDRjtJQUNELFlBQVksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxlQUFlLENBQUMsYUFBYSxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSw0REFBNEQsQ0FBQyxDQUFDO0lBQzdILE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztBQUNoQixDQUFDLENBQUE7QUFFRCxNQUFNLFlBQVksR0FBRyxLQUFLLElBQUksRUFBRTtJQUM5QixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO0lBQzlCLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUVqQyxzQ0FBc0M7SUFDdEMsTUFBTSxXQUFXLEdBQUcsR0FBRyxHQUFHLENBQUMsQ0FBQztJQUM1QixNQUFNLFdBQVcsR0FBRyxHQUFHLENBQUM7SUFDeEIsTUFBTSxLQUFLLEdBQUcsSUFBSSxZQUFZLENBQUMsV0FBVyxHQUFHLFdBQVcsQ0FBQyxDQUFDO0lBQzFELEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxLQUFLLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFO1FBQ3JDLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxFQUFFLEdBQUcsR0FBRyxHQUFHLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQztLQUM5RDtJQUNELE1BQU0sTUFBTSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBQyxNQUFNLEVBQUUsV0FBVyxFQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUMsR0FBRyxXQUFXLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsV0FBVyxDQUFDLENBQUMsQ0FBQztJQUVuSCxNQUFNLE1BQU0sR0FBRyxJQUFJLFlBQVksQ0FBQyxXQUFXLENBQUMsQ0FBQztJQUM3QyxNQUFNLFVBQVUsR0FBRztRQUNqQixJQUFJLEVBQUUsQ0FBQyxTQUF5QixFQUFFLEtBQW1CLEVBQUUsRUFBRSxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxFQUFFLEtBQUssQ0FBQyxVQUFVLEVBQUUsS0FBSyxDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQy9JLElBQUksRUFBRSxDQUFDLFNBQXlCLEVBQUUsS0FBbUIsRUFBRSxFQUFFLENBQUMsU0FBUyxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUM7UUFDdkYsV0FBVyxFQUFFLENBQUMsU0FBeUIsRUFBRSxLQUFtQixFQUFFLEVBQUU7WUFDOUQsTUFBTSxjQUFjLEdBQUcsU0FBUyxDQUFDLFdBQVcsQ0FBQyxLQUFLLEVBQUUsTUFBTSxDQUFDLENBQUM7WUFDNUQsT0FBTyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLGNBQWMsR0FBRyxDQUFDLEdBQUcsWUFBWSxDQUFDLGlCQUFpQixDQUFDLENBQUM7UUFDNUYsQ0FBQztLQUNGLENBQUM7SUFDRixNQUFNLGVBQWUsR0FBRyxDQUFDLElBQVksRUFBRSxFQUFFLENBQUMsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsVUFBVSxFQUFFLElBQUksS0FBSyxNQUFNLEVBQUMsQ0FBQyxDQUFDO0lBRWhILGlEQUFpRDtJQUNqRCxNQUFNLGtCQUFrQixHQUFHLGVBQWUsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUNuRCxNQUFNLFNBQVMsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsa0JBQWtCLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ25HLEtBQUssTUFBTSxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsRUFBRTtRQUMxQyxNQUFNLFNBQVMsR0FBRyxlQUFlLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDeEMsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDO1FBQ2YsS0FBSyxNQUFNLEtBQUssSUFBSSxNQUFNLEVBQUU7WUFDMUIsTUFBTSxHQUFHLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDLFNBQVMsRUFBRSxLQUFLLENBQUMsQ0FBQztZQUMvQyxNQUFNLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLE1BQU0sRUFBRSxNQUFNLEdBQUcsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQUUsR0FBRyxJQUFJLHVDQUF1QyxDQUFDLENBQUM7WUFDakgsTUFBTSxJQUFJLEdBQUcsQ0FBQyxNQUFNLENBQUM7U0FDdEI7UUFDRCxNQUFNLENBQUMsTUFBTSxLQUFLLFNBQVMsQ0FBQyxNQUFNLEVBQUUsR0FBRyxJQUFJLDhDQUE4QyxDQUFDLENBQUM7S0FDNUY7SUFFRCxxRUFBcUU7SUFDckUsTUFBTSxhQUFhLEdBQUcsZUFBZSxDQUFDLGFBQWEsQ0FBQyxDQUFDO0lBQ3JELE1BQU0sUUFBUSxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3BCLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDdEIsTUFBTSxjQUFjLEdBQUcsYUFBYSxDQUFDLFdBQVcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFDcEUsTUFBTSxDQUFDLGNBQWMsR0FBRyxDQUFDLElBQUksTUFBTSxDQUFDLGNBQWMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssUUFBUSxFQUFFLHdEQUF3RCxDQUFDLENBQUM7SUFDcEksTUFBTSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsY0FBYyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLE1BQU0sRUFBRSxFQUFFLENBQUMsTUFBTSxLQUFLLFFBQVEsQ0FBQyxFQUFFLHlEQUF5RCxDQUFDLENBQUM7SUFFOUksMEVBQTBFO0lBQzFFLEtBQUssTUFBTSxNQUFNLElBQUksQ0FBQyxTQUFTLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBbUIsRUFBRTtRQUNwRSxNQUFNLGFBQWEsR0FBRyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxVQUFVLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBQyxDQUFDLENBQUM7UUFDekgsTUFBTSxLQUFLLEdBQUcsYUFBYSxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNwRCxNQUFNLFNBQVMsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3JDLE1BQU0sTUFBTSxHQUFHLGFBQWEsQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDckQsTUFBTSxDQUFDLEtBQUssQ0FBQyxNQUFNLEtBQUssTUFBTSxDQUFDLE1BQU0sSUFBSSxLQUFLLENBQUMsVUFBVSxLQUFLLE1BQU0sQ0FBQyxVQUFVLEVBQUUsb0NBQW9DLE1BQU0sZ0JBQWdCLENBQUMsQ0FBQztRQUM3SSxNQUFNLENBQUMsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxFQUFFLGNBQWMsTUFBTSxnREFBZ0QsQ0FBQyxDQUFDO1FBQ3ZHLGFBQWEsQ0FBQyxPQUFPLEVBQUUsQ0FBQztLQUN6QjtJQUNELE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDbEIsT0FBTyxDQUFDLEdBQUcsRUFBRSxDQUFDO0FBQ2hCLENBQUMsQ0FBQTtBQUVELE1BQU0sUUFBUSxHQUFHLEtBQUssSUFBSSxFQUFFO0lBQzFCLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUNqQyxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxDQUFDO0lBQ3pCLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUVqQyxzRkFBc0Y7SUFDdEYsTUFBTSxtQkFBbUIsR0FBRyw0QkFBWSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsQ0FBQyxJQUFJLEVBQUU7Ozs7cUNBSS9CLElBQUksQ0FBQyxTQUFTLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsV0FBVyxDQUFDLENBQUM7OztHQUduRixDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUN0QixNQUFNLENBQUMsbUJBQW1CLEtBQUssR0FBRyxFQUFFLG9EQUFvRCxtQkFBbUIsdUJBQXVCLENBQUMsQ0FBQztJQUVwSSx1REFBdUQ7SUFDdkQsZUFBYyxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQzFCLE1BQU0sU0FBUyxHQUFHLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ3pELE1BQU0sR0FBRyxHQUFHLFNBQVMsQ0FBQyxZQUFZLENBQUMsSUFBSSxZQUFZLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDOUQsTUFBTSxDQUFDLEdBQUcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLGlEQUFpRCxDQUFDLENBQUM7SUFDMUUsOEVBQThFO0lBQzlFLE1BQU0sZUFBYyxDQUFDLFdBQVcsQ0FBQztJQUNqQyxTQUFTLENBQUMsWUFBWSxDQUFDLElBQUksWUFBWSxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2xELFNBQVMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztJQUVwQixNQUFNLGdCQUFnQixHQUFHLE1BQU0sZUFBYyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQ3RFLE1BQU0sQ0FBQyxnQkFBZ0IsWUFBWSxlQUFjLEVBQUUsMERBQTBELENBQUMsQ0FBQztJQUMvRyxnQkFBZ0IsQ0FBQyxPQUFPLEVBQUUsQ0FBQztJQUMzQixNQUFNLGdCQUFnQixHQUFHLE1BQU0sK0JBQXVCLENBQUMsTUFBTSxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUM7SUFDL0UsTUFBTSxDQUFDLGdCQUFnQixZQUFZLCtCQUF1QixFQUFFLDRFQUE0RSxDQUFDLENBQUM7SUFDMUksZ0JBQWdCLENBQUMsT0FBTyxFQUFFLENBQUM7SUFDM0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNsQixPQUFPLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDaEIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxnQkFBZ0IsR0FBRyxLQUFLLElBQUksRUFBRTtJQUNsQyxPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBQ2pDLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUVqQyxvRUFBb0U7SUFDcEUsTUFBTSxvQkFBb0IsR0FBRyxFQUFFLENBQUM7SUFDaEMsTUFBTSxLQUFLLEdBQUcsVUFBaUIsQ0FBQztJQUNoQyxLQUFLLENBQUMsVUFBVSxHQUFHLEtBQUssQ0FBQztJQUN6QixLQUFLLENBQUMscUJBQXFCLEdBQUc7UUFBQTtZQUM1QixTQUFJLEdBQUc7Z0JBQ0wsU0FBUyxFQUFFLElBQUk7Z0JBQ2YsUUFBUSxFQUFFLEVBQUU7Z0JBQ1osU0FBUyxFQUFFLEVBQUU7Z0JBQ2IsV0FBVyxDQUFDLE9BQU8sRUFBRSxRQUFRO29CQUMzQixJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztvQkFDNUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7Z0JBQ2hDLENBQUM7YUFDRixDQUFDO1FBQ0osQ0FBQztLQUFBLENBQUM7SUFDRixLQUFLLENBQUMsaUJBQWlCLEdBQUcsQ0FBQyxJQUFJLEVBQUUsYUFBYSxFQUFFLEVBQUUsQ0FBQyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsR0FBRyxhQUFhLENBQUM7SUFDOUYsTUFBTSxFQUFFLDhCQUE4QixFQUFFLEdBQUcsd0RBQWEsV0FBVyxHQUFDLENBQUM7SUFDckUsTUFBTSxTQUFTLEdBQUcsb0JBQW9CLENBQUMsOEJBQThCLENBQUMsQ0FBQztJQUN2RSxNQUFNLENBQUMsU0FBUyxFQUFFLGdDQUFnQyxDQUFDLENBQUM7SUFFcEQsTUFBTSxTQUFTLEdBQUcsSUFBSSxTQUFTLENBQUMsRUFBQyxnQkFBZ0IsRUFBRSxFQUFDLE9BQU8sRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsR0FBRyxFQUFDLEVBQUMsQ0FBQyxDQUFDO0lBQ3ZHLHFHQUFxRztJQUNyRyxNQUFNLFdBQVcsR0FBRyxHQUFHLENBQUM7SUFDeEIsS0FBSyxJQUFJLE9BQU8sR0FBRyxDQUFDLEVBQUUsT0FBTyxHQUFHLFdBQVcsRUFBRSxPQUFPLEVBQUUsRUFBRTtRQUN0RCxNQUFNLE9BQU8sR0FBRyxJQUFJLFlBQVksQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUN0QyxLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsR0FBRyxFQUFFLENBQUMsRUFBRSxFQUFFO1lBQzVCLE9BQU8sQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsT0FBTyxHQUFHLEdBQUcsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLEVBQUUsR0FBRyxHQUFHLEdBQUcsS0FBSyxDQUFDLEdBQUcsR0FBRyxDQUFDO1NBQzlFO1FBQ0QsTUFBTSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLENBQUMsS0FBSyxJQUFJLEVBQUUseUNBQXlDLENBQUMsQ0FBQztLQUM3RztJQUNELFNBQVMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUMsSUFBSSxFQUFFLEVBQUMsSUFBSSxFQUFFLE9BQU8sRUFBQyxFQUFDLENBQUMsQ0FBQztJQUNsRCxNQUFNLFFBQVEsR0FBRyxTQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQztJQUN6QyxNQUFNLFdBQVcsR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxFQUFFLE9BQU8sRUFBRSxFQUFFLENBQUMsTUFBTSxHQUFHLE9BQU8sQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDckYsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLFFBQVEsQ0FBQyxNQUFNLGNBQWMsV0FBVyxTQUFTLENBQUMsQ0FBQztJQUMzRSxNQUFNLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEtBQUssR0FBRyxJQUFJLE9BQU8sQ0FBQyxJQUFJLENBQUMsVUFBVSxLQUFLLEdBQUcsR0FBRyxDQUFDLENBQUMsRUFBRSx1REFBdUQsQ0FBQyxDQUFDO0lBQ3pLLE1BQU0sQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsT0FBTyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLG1DQUFtQyxDQUFDLENBQUM7SUFDN0gsc0RBQXNEO0lBQ3RELE1BQU0sY0FBYyxHQUFHLEtBQUssR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLGFBQWEsQ0FBQztJQUNqRSxNQUFNLENBQUMsV0FBVyxLQUFLLGNBQWMsRUFBRSxZQUFZLGNBQWMsZ0JBQWdCLFdBQVcsRUFBRSxDQUFDLENBQUM7SUFFaEcsU0FBUyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBQyxJQUFJLEVBQUUsRUFBQyxJQUFJLEVBQUUsT0FBTyxFQUFDLEVBQUMsQ0FBQyxDQUFDO0lBQ2xELE1BQU0sQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLFlBQVksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBQyxLQUFLLEtBQUssRUFBRSwrQ0FBK0MsQ0FBQyxDQUFDO0lBQ3hILE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztBQUNoQixDQUFDLENBQUE7QUFFRCxNQUFNLE9BQU8sR0FBRyxLQUFLLElBQUksRUFBRTtJQUN6QixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUN4QixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFFakMsTUFBTSxPQUFPLEdBQUcsaUJBQVksQ0FBQyxjQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSwrQkFBK0IsQ0FBQyxDQUFDLENBQUM7SUFDdkYsTUFBTSxXQUFXLEdBQUcsdUJBQWUsQ0FBQyxFQUFDLE1BQU0sRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxVQUFVLEVBQUUsS0FBSyxFQUFDLEVBQUUsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ3ZHLCtGQUErRjtJQUMvRixNQUFNLFNBQVMsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3ZILE1BQU0sT0FBTyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUM7UUFDNUIsV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7UUFDNUMsU0FBUztRQUNULFdBQVcsQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7UUFDekMsT0FBTztRQUNQLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDO1FBQ25CLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO0tBQ2hCLENBQUMsQ0FBQztJQUNILE9BQU8sQ0FBQyxhQUFhLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUN6RSxNQUFNLGNBQWMsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxHQUFHLEtBQUssR0FBRyxLQUFLLENBQUMsR0FBRyxlQUFlLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBRXRHLHFEQUFxRDtJQUNyRCxNQUFNLFVBQVUsR0FBRyxjQUFJLENBQUMsSUFBSSxDQUFDLFlBQUUsQ0FBQyxNQUFNLEVBQUUsRUFBRSx3QkFBd0IsT0FBTyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUM7SUFDckYsTUFBTSxhQUFhLEdBQUcsSUFBSSw2QkFBcUIsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUN2RCxNQUFNLEtBQUssR0FBRyxJQUFJLG9CQUFXLEVBQUUsQ0FBQztJQUNoQyxNQUFNLE1BQU0sR0FBRyxzQkFBaUIsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUM3QyxLQUFLLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUN2Qyx1REFBdUQ7SUFDdkQsS0FBSyxJQUFJLE1BQU0sR0FBRyxDQUFDLEVBQUUsTUFBTSxHQUFHLE9BQU8sQ0FBQyxNQUFNLEVBQUUsTUFBTSxJQUFJLElBQUksRUFBRTtRQUM1RCxLQUFLLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsTUFBTSxFQUFFLE1BQU0sR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUFDO0tBQ25EO0lBQ0QsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ1osTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNqRCxNQUFNLFVBQVUsR0FBRyxpQkFBWSxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQzVDLGVBQVUsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUN2QixNQUFNLFlBQVksR0FBRyxzQkFBYyxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQ2hELE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLFlBQVksQ0FBQyxRQUFRLGVBQWUsWUFBWSxDQUFDLE1BQU0sT0FBTyxZQUFZLENBQUMsVUFBVSxPQUFPLFlBQVksQ0FBQyxVQUFVLFFBQVEsQ0FBQyxDQUFDO0lBQ3pKLE1BQU0sQ0FBQyxZQUFZLENBQUMsTUFBTSxLQUFLLE9BQU8sSUFBSSxZQUFZLENBQUMsUUFBUSxLQUFLLENBQUMsSUFBSSxZQUFZLENBQUMsVUFBVSxLQUFLLEtBQUssRUFBRSx5Q0FBeUMsQ0FBQyxDQUFDO0lBQ3ZKLE1BQU0sQ0FBQyxZQUFZLENBQUMsVUFBVSxLQUFLLGNBQWMsR0FBRyxDQUFDLEVBQUUsOENBQThDLGNBQWMsR0FBRyxDQUFDLFdBQVcsWUFBWSxDQUFDLFVBQVUsRUFBRSxDQUFDLENBQUM7SUFDN0osTUFBTSxDQUFDLFVBQVUsQ0FBQyxNQUFNLEtBQUssWUFBWSxDQUFDLFVBQVUsR0FBRyxZQUFZLENBQUMsVUFBVSxFQUFFLDRDQUE0QyxDQUFDLENBQUM7SUFDOUgsTUFBTSxDQUFDLFVBQVUsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLEtBQUssVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsMENBQTBDLENBQUMsQ0FBQztJQUV6RyxxRUFBcUU7SUFDckUsTUFBTSxlQUFlLEdBQUcsSUFBSSw2QkFBcUIsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsTUFBTSxFQUFFLFNBQVMsRUFBQyxDQUFDLENBQUM7SUFDakYsTUFBTSxNQUFNLEdBQWEsRUFBRSxDQUFDO0lBQzVCLGVBQWUsQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDbEQsZUFBZSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUM3QixNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxlQUFlLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3ZELE1BQU0sWUFBWSxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDM0MsTUFBTSxZQUFZLEdBQUcsc0JBQWMsQ0FBQyxZQUFZLENBQUMsQ0FBQztJQUNsRCxNQUFNLENBQUMsWUFBWSxDQUFDLE1BQU0sS0FBSyxTQUFTLElBQUksWUFBWSxDQUFDLFVBQVUsS0FBSyxLQUFLLEVBQUUsNkNBQTZDLENBQUMsQ0FBQztJQUM5SCxNQUFNLENBQUMsWUFBWSxDQUFDLFVBQVUsS0FBSyxJQUFJLEVBQUUsb0RBQW9ELENBQUMsQ0FBQztJQUMvRixNQUFNLFdBQVcsR0FBRyxzQkFBYyxDQUFDLGVBQWUsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUMzRCxNQUFNLENBQUMsV0FBVyxDQUFDLFVBQVUsS0FBSyxZQUFZLENBQUMsTUFBTSxHQUFHLFlBQVksQ0FBQyxVQUFVLEVBQUUsOENBQThDLENBQUMsQ0FBQztJQUNqSSxNQUFNLENBQUMsZUFBZSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEtBQUssWUFBWSxDQUFDLFVBQVUsRUFBRSxvRUFBb0UsQ0FBQyxDQUFDO0lBRXhJLHNGQUFzRjtJQUN0RixNQUFNLGlCQUFpQixHQUFHO1FBQ3hCLENBQUMsSUFBSSw2QkFBcUIsQ0FBQyxLQUFLLENBQUMsRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsdUJBQWUsQ0FBQyxFQUFDLE1BQU0sRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdkksQ0FBQyxJQUFJLDZCQUFxQixDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxXQUFXLEVBQUUsQ0FBQyxFQUFDLENBQUMsRUFBRSxPQUFPLENBQUM7S0FDNUIsQ0FBQztJQUN2QyxLQUFLLE1BQU0sQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLElBQUksaUJBQWlCLEVBQUU7UUFDakQsTUFBTSxLQUFLLEdBQUcsTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFO1lBQ3BDLFNBQVMsQ0FBQyxFQUFFLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDO1lBQ3pCLFNBQVMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDdEIsQ0FBQyxDQUFDLENBQUM7UUFDSCxNQUFNLENBQUMsS0FBSyxZQUFZLHNDQUE2QixFQUFFLG9EQUFvRCxLQUFLLEVBQUUsQ0FBQyxDQUFDO0tBQ3JIO0lBQ0QsT0FBTyxDQUFDLEdBQUcsRUFBRSxDQUFDO0FBQ2hCLENBQUMsQ0FBQTtBQUVELE1BQU0sUUFBUSxHQUFHLEtBQUssSUFBSSxFQUFFO0lBQzFCLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUNqQyxPQUFPLENBQUMsR0FBRyxDQUFDLGtCQUFrQixDQUFDLENBQUM7SUFDaEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBRWpDLE1BQU0sT0FBTyxHQUFHLGlCQUFZLENBQUMsY0FBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsK0JBQStCLENBQUMsQ0FBQyxDQUFDO0lBQ3ZGLE1BQU0sT0FBTyxHQUFHLEVBQUMsUUFBUSxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE9BQXVCLEVBQUMsQ0FBQztJQUM5RixNQUFNLFNBQVMsR0FBRyxJQUFJLGVBQWMsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLE9BQU8sQ0FBQyxNQUFNLEVBQUUsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLEVBQUUsT0FBTyxDQUFDLENBQUM7SUFDcEcsTUFBTSxTQUFTLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEVBQUUsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQztJQUN0RixTQUFTLENBQUMsT0FBTyxFQUFFLENBQUM7SUFFcEIsTUFBTSxJQUFJLEdBQUcsSUFBSSxxQkFBYSxDQUFDLEVBQUMsSUFBSSxFQUFFLENBQUMsRUFBQyxDQUFDLENBQUM7SUFDMUMsTUFBTSxLQUFLLEdBQUcsd0JBQVcsQ0FBQyxHQUFHLEVBQUUsQ0FBQztJQUNoQyw2RUFBNkU7SUFDN0UsTUFBTSxPQUFPLEdBQUcsTUFBTSxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDeEcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxhQUFhLE9BQU8sQ0FBQyxNQUFNLGVBQWUsSUFBSSxDQUFDLElBQUksZUFBZSxJQUFJLENBQUMsS0FBSyxDQUFDLHdCQUFXLENBQUMsR0FBRyxFQUFFLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ3pILE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxFQUFFLDZDQUE2QyxDQUFDLENBQUMsQ0FBQztJQUV2RyxNQUFNLE1BQU0sR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQzFDLE1BQU0sTUFBTSxHQUFhLEVBQUUsQ0FBQztJQUM1QixNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3pDLHFCQUFnQixDQUFDLGNBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLCtCQUErQixDQUFDLEVBQUUsRUFBQyxhQUFhLEVBQUUsSUFBSSxFQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDL0csTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM5QyxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUUsb0RBQW9ELENBQUMsQ0FBQztJQUV0Ryx1REFBdUQ7SUFDdkQsTUFBTSxXQUFXLEdBQUcsTUFBTSxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsRUFBQyxHQUFHLE9BQU8sRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3pHLE1BQU0sQ0FBQyxXQUFXLFlBQVksc0NBQTZCLElBQUksV0FBVyxDQUFDLElBQUksS0FBSyxDQUFDLEVBQUUsdURBQXVELFdBQVcsRUFBRSxDQUFDLENBQUM7SUFFN0osTUFBTSxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUM7SUFDbkIsTUFBTSxXQUFXLEdBQUcsTUFBTSxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsT0FBTyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN2RixNQUFNLENBQUMsV0FBVyxZQUFZLG9DQUEyQixFQUFFLDRDQUE0QyxXQUFXLEVBQUUsQ0FBQyxDQUFDO0lBQ3RILE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztBQUNoQixDQUFDLENBQUE7QUFFRCxNQUFNLE9BQU8sR0FBRyxLQUFLLElBQUksRUFBRTtJQUN6QixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUN4QixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFFakMsTUFBTSxHQUFHLEdBQUcsY0FBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsUUFBUSxDQUFDLENBQUM7SUFDOUMsTUFBTSxNQUFNLEdBQUcsZ0JBQVcsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLFlBQUUsQ0FBQyxNQUFNLEVBQUUsRUFBRSxzQkFBc0IsQ0FBQyxDQUFDLENBQUM7SUFDM0UseUdBQXlHO0lBQ3pHLE1BQU0sT0FBTyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3hDLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxLQUFLLEdBQUcsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFO1FBQ2xDLE9BQU8sQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsRUFBRSxHQUFHLEdBQUcsR0FBRyxLQUFLLENBQUMsR0FBRyxLQUFLLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7S0FDMUc7SUFDRCxNQUFNLGNBQWMsR0FBRyxLQUFLLEdBQUcsZUFBZSxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQztJQUU3RCwrQkFBK0I7SUFDL0IsTUFBTSxTQUFTLEdBQUcsNEJBQVksQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLENBQUMsR0FBRyxFQUFFLFdBQVcsRUFBRSxPQUFPLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSxZQUFZLEVBQUUsR0FBRyxFQUFFLFNBQVMsQ0FBQyxFQUFFLEVBQUMsS0FBSyxFQUFFLE9BQU8sRUFBQyxDQUFDLENBQUM7SUFDckosTUFBTSxDQUFDLFNBQVMsQ0FBQyxNQUFNLEtBQUssY0FBYyxHQUFHLENBQUMsRUFBRSw2Q0FBNkMsY0FBYyxHQUFHLENBQUMsV0FBVyxTQUFTLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQztJQUU5SSx3Q0FBd0M7SUFDeEMsTUFBTSxPQUFPLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLHVCQUFlLENBQUMsRUFBQyxNQUFNLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUUsVUFBVSxFQUFFLEtBQUssRUFBQyxFQUFFLE9BQU8sQ0FBQyxNQUFNLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDO0lBQzdILGtCQUFhLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsV0FBVyxDQUFDLEVBQUUsT0FBTyxDQUFDLENBQUM7SUFDdkQsa0JBQWEsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxZQUFZLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUN4RCw0QkFBWSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsQ0FBQyxHQUFHLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSxjQUFjLEVBQUUsS0FBSyxFQUFFLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLFdBQVcsQ0FBQyxFQUFFLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLFlBQVksQ0FBQyxDQUFDLEVBQUUsRUFBQyxLQUFLLEVBQUUsTUFBTSxFQUFDLENBQUMsQ0FBQztJQUN0SyxNQUFNLFlBQVksR0FBRyxzQkFBYyxDQUFDLGlCQUFZLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ25GLE1BQU0sQ0FBQyxZQUFZLENBQUMsTUFBTSxLQUFLLFNBQVMsSUFBSSxZQUFZLENBQUMsVUFBVSxLQUFLLEtBQUssRUFBRSxrREFBa0QsQ0FBQyxDQUFDO0lBQ25JLE1BQU0sQ0FBQyxZQUFZLENBQUMsVUFBVSxLQUFLLGNBQWMsR0FBRyxDQUFDLEVBQUUsa0RBQWtELGNBQWMsR0FBRyxDQUFDLFdBQVcsWUFBWSxDQUFDLFVBQVUsRUFBRSxDQUFDLENBQUM7SUFFakssMEdBQTBHO0lBQzFHLE1BQU0sV0FBVyxHQUFHLHVCQUFlLENBQUMsRUFBQyxNQUFNLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUUsVUFBVSxFQUFFLEtBQUssRUFBQyxFQUFFLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUN2RyxNQUFNLFNBQVMsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM1RyxNQUFNLFdBQVcsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsRUFBRSxTQUFTLEVBQUUsV0FBVyxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDakosV0FBVyxDQUFDLGFBQWEsQ0FBQyxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUNyRCxrQkFBYSxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLFVBQVUsQ0FBQyxFQUFFLFdBQVcsQ0FBQyxDQUFDO0lBQzFELE1BQU0sT0FBTyxHQUFHLHlCQUFTLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxDQUFDLEdBQUcsRUFBRSxZQUFZLEVBQUUsT0FBTyxFQUFFLGNBQWMsRUFBRSxLQUFLLEVBQUUsY0FBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsVUFBVSxDQUFDLEVBQUUsY0FBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUNyTCxNQUFNLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQywwQkFBMEIsQ0FBQyxFQUFFLHVDQUF1QyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0lBRXZHLDRCQUFZLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRTtRQUM3QixHQUFHLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsY0FBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsUUFBUSxDQUFDLEVBQUUsV0FBVyxFQUFFLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLEtBQUssQ0FBQyxFQUFFLFFBQVEsRUFBRSxHQUFHO0tBQ3pILEVBQUUsRUFBQyxLQUFLLEVBQUUsQ0FBQyxNQUFNLEVBQUUsTUFBTSxFQUFFLFNBQVMsQ0FBQyxFQUFDLENBQUMsQ0FBQztJQUN6QyxNQUFNLENBQUMsZ0JBQVcsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLElBQUksRUFBRSxLQUFLLFlBQVksRUFBRSwyREFBMkQsQ0FBQyxDQUFDO0lBQzFJLE1BQU0sV0FBVyxHQUFHLHNCQUFjLENBQUMsaUJBQVksQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3pGLE1BQU0sQ0FBQyxXQUFXLENBQUMsVUFBVSxLQUFLLGNBQWMsR0FBRyxDQUFDLEVBQUUsdUNBQXVDLENBQUMsQ0FBQztJQUUvRixrSEFBa0g7SUFDbEgsS0FBSyxNQUFNLEdBQUcsSUFBSSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsRUFBRTtRQUM1QixjQUFTLENBQUMsY0FBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsTUFBTSxFQUFFLEdBQUcsQ0FBQyxFQUFFLEVBQUMsU0FBUyxFQUFFLElBQUksRUFBQyxDQUFDLENBQUM7UUFDN0Qsa0JBQWEsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLFVBQVUsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0tBQ3BFO0lBQ0QsNEJBQVksQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLENBQUMsR0FBRyxFQUFFLFlBQVksRUFBRSxPQUFPLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxjQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLE9BQU8sQ0FBQyxFQUFFLFdBQVcsRUFBRSxjQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDekssTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFLENBQUMsZUFBVSxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLFVBQVUsRUFBRSxHQUFHLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQyxFQUFFLDhDQUE4QyxDQUFDLENBQUM7SUFDOUksTUFBTSxTQUFTLEdBQUcseUJBQVMsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFO1FBQzVDLEdBQUcsRUFBRSxZQUFZLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxjQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLFVBQVUsQ0FBQyxFQUFFLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsVUFBVSxDQUFDLEVBQUUsV0FBVyxFQUFFLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLFdBQVcsQ0FBQztLQUMzSyxDQUFDLENBQUM7SUFDSCxNQUFNLENBQUMsU0FBUyxDQUFDLE1BQU0sS0FBSyxDQUFDLElBQUksU0FBUyxDQUFDLE1BQU0sQ0FBQyxRQUFRLEVBQUUsQ0FBQyxRQUFRLENBQUMseUJBQXlCLENBQUMsRUFBRSw0REFBNEQsU0FBUyxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUM7SUFDbEwsTUFBTSxDQUFDLENBQUMsZUFBVSxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLFdBQVcsQ0FBQyxDQUFDLEVBQUUsK0RBQStELENBQUMsQ0FBQztJQUVySCxJQUFJLE1BQU0sR0FBRyxLQUFLLENBQUM7SUFDbkIsSUFBSTtRQUNGLDRCQUFZLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxDQUFDLEdBQUcsRUFBRSxZQUFZLEVBQUUsT0FBTyxFQUFFLFdBQVcsQ0FBQyxFQUFFLEVBQUMsS0FBSyxFQUFFLE1BQU0sRUFBQyxDQUFDLENBQUM7S0FDNUY7SUFBQyxPQUFPLENBQUMsRUFBRTtRQUNWLE1BQU0sR0FBRyxDQUFDLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQztLQUN6QjtJQUNELE1BQU0sQ0FBQyxNQUFNLEVBQUUsa0RBQWtELENBQUMsQ0FBQztJQUNuRSxLQUFLLE1BQU0sQ0FBQyxNQUFNLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsRUFBRSxDQUFDLFFBQVEsRUFBRSxJQUFJLENBQUMsRUFBRSxDQUFDLFlBQVksRUFBRSxLQUFLLENBQUMsRUFBRSxDQUFDLFdBQVcsRUFBRSxJQUFJLENBQUMsRUFBRSxDQUFDLFdBQVcsRUFBRSxLQUFLLENBQUMsQ0FBQyxFQUFFO1FBQ25JLE1BQU0sT0FBTyxHQUFHLHlCQUFTLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxDQUFDLEdBQUcsRUFBRSxZQUFZLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLFFBQVEsQ0FBQyxFQUFFLFdBQVcsRUFBRSxjQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDNUssTUFBTSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLE9BQU8sQ0FBQyxNQUFNLENBQUMsUUFBUSxFQUFFLENBQUMsUUFBUSxDQUFDLEdBQUcsTUFBTSxZQUFZLENBQUMsRUFBRSxxQkFBcUIsTUFBTSxJQUFJLEtBQUssS0FBSyxPQUFPLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQztLQUN0SjtJQUNELE1BQU0sQ0FBQyxDQUFDLGdCQUFXLENBQUMsTUFBTSxDQUFDLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxFQUFFLG1EQUFtRCxDQUFDLENBQUM7SUFFdEcsb0VBQW9FO0lBQ3BFLE1BQU0sWUFBWSxHQUFHLHlCQUFTLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxDQUFDLEdBQUcsRUFBRSxZQUFZLEVBQUUsT0FBTyxFQUFFLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLGFBQWEsQ0FBQyxFQUFFLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3ZKLE1BQU0sQ0FBQyxZQUFZLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSx5REFBeUQsQ0FBQyxDQUFDO0lBQzdGLE1BQU0sQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLFFBQVEsRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFLDZEQUE2RCxZQUFZLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQztJQUMzSixNQUFNLENBQUMsQ0FBQyxnQkFBVyxDQUFDLE1BQU0sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxpQkFBaUIsQ0FBQyxFQUFFLDREQUE0RCxDQUFDLENBQUM7SUFDdkgsa0JBQWEsQ0FBQyxjQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxTQUFTLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUNyRCxNQUFNLFFBQVEsR0FBRyx5QkFBUyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsQ0FBQyxHQUFHLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSxjQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxTQUFTLENBQUMsRUFBRSxjQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDMUksTUFBTSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLFFBQVEsQ0FBQyxNQUFNLENBQUMsUUFBUSxFQUFFLENBQUMsUUFBUSxDQUFDLHVCQUF1QixDQUFDLEVBQUUsMENBQTBDLENBQUMsQ0FBQztJQUMxSSxNQUFNLENBQUMsc0JBQWMsQ0FBQyxpQkFBWSxDQUFDLGNBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxVQUFVLEtBQUssY0FBYyxHQUFHLENBQUMsRUFBRSw4Q0FBOEMsQ0FBQyxDQUFDO0lBQ3hKLE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztBQUNoQixDQUFDLENBQUE7QUFFRCxNQUFNLFlBQVksR0FBRyxLQUFLLElBQUksRUFBRTtJQUM5QixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDO0lBQ3BDLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUVqQyxNQUFNLE9BQU8sR0FBRyxpQkFBWSxDQUFDLGNBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLCtCQUErQixDQUFDLENBQUMsQ0FBQztJQUN2RixNQUFNLFdBQVcsR0FBRyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztJQUN2QyxNQUFNLE1BQU0sR0FBRyxJQUFJLFlBQVksQ0FBQyxXQUFXLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDakQsTUFBTSxJQUFJLEdBQUcsSUFBSSxZQUFZLENBQUMsV0FBVyxDQUFDLENBQUM7SUFDM0MsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFdBQVcsRUFBRSxDQUFDLEVBQUUsRUFBRTtRQUNwQyxNQUFNLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxXQUFXLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQztRQUNwRCxNQUFNLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDO1FBQzVELElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7S0FDbkQ7SUFDRCxNQUFNLFdBQVcsR0FBRyxDQUFDLFNBQXlCLEVBQUUsS0FBbUIsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLEVBQUUsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQztJQUUxSSx1R0FBdUc7SUFDdkcsTUFBTSxTQUFTLEdBQUcsV0FBVyxDQUFDLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLFFBQVEsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLE9BQU8sRUFBRSxXQUFXLEVBQUUsQ0FBQyxFQUFDLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUN6SSxNQUFNLGFBQWEsR0FBRyxXQUFXLENBQUMsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsUUFBUSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsT0FBTyxFQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQztJQUMzSCxPQUFPLENBQUMsR0FBRyxDQUFDLG1DQUFtQyxTQUFTLENBQUMsTUFBTSxHQUFHLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDOUUsTUFBTSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLEVBQUUscUVBQXFFLENBQUMsQ0FBQztJQUUvRywrRkFBK0Y7SUFDL0YsTUFBTSxPQUFPLEdBQUcsV0FBVyxDQUFDLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLE1BQU0sRUFBRSxTQUFTLEVBQUUsV0FBVyxFQUFFLENBQUMsRUFBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUM7SUFDL0csTUFBTSxjQUFjLEdBQUcsV0FBVyxDQUFDLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLE1BQU0sRUFBRSxTQUFTLEVBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDO0lBQ3RHLE1BQU0sQ0FBQyxPQUFPLENBQUMsTUFBTSxLQUFLLGNBQWMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLGlFQUFpRSxDQUFDLENBQUM7SUFDeEgsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLGNBQWMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFO1FBQ2xELE1BQU0sTUFBTSxHQUFHLGNBQWMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ2pELE1BQU0sQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxNQUFNLElBQUksT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLE1BQU0sRUFBRSxpQkFBaUIsQ0FBQywyQkFBMkIsQ0FBQyxDQUFDO0tBQzNJO0lBRUQsTUFBTSxPQUFPLEdBQUcsV0FBVyxDQUFDLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLE1BQU0sRUFBRSxTQUFTLEVBQUUsVUFBVSxFQUFFLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFDLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUNySCxNQUFNLGVBQWUsR0FBRyxXQUFXLENBQUMsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsTUFBTSxFQUFFLFNBQVMsRUFBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFDekcsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLGVBQWUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFO1FBQ25ELE1BQU0sQ0FDSixPQUFPLENBQUMsV0FBVyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxlQUFlLENBQUMsV0FBVyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLGVBQWUsQ0FBQyxXQUFXLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUM5SSxvQ0FBb0MsQ0FBQyxFQUFFLENBQ3hDLENBQUM7S0FDSDtJQUVELE1BQU0sZUFBZSxHQUFHLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLFdBQVcsRUFBRSxDQUFDLEVBQUMsQ0FBQyxDQUFDO0lBQ2pGLE1BQU0sU0FBUyxHQUFHLGVBQWUsQ0FBQyxhQUFhLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBQ3hELE1BQU0sQ0FBQyxTQUFTLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsTUFBTSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLCtDQUErQyxDQUFDLENBQUM7SUFFakosb0JBQW9CO0lBQ3BCLE1BQU0sV0FBVyxHQUFHLFdBQVcsQ0FBQyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxNQUFNLEVBQUUsU0FBUyxFQUFFLFdBQVcsRUFBRSxDQUFDLEVBQUMsQ0FBQyxFQUFFLElBQUksWUFBWSxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3hJLE1BQU0sQ0FBQyxXQUFXLENBQUMsTUFBTSxLQUFLLENBQUMsR0FBRyxHQUFHLGVBQWUsQ0FBQyxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLHdDQUF3QyxDQUFDLENBQUM7SUFFdkgsWUFBWSxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLFdBQVcsRUFBRSxDQUFDLEVBQUMsQ0FBQyxFQUFFLGtEQUFrRCxDQUFDLENBQUM7SUFDakksWUFBWSxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLFVBQVUsRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFDLENBQUMsRUFBRSx3REFBd0QsQ0FBQyxDQUFDO0lBQ3hJLFlBQVksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxZQUFZLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUMsQ0FBQyxFQUFFLHlEQUF5RCxDQUFDLENBQUM7SUFDN0ksaUJBQWlCLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsVUFBVSxFQUFFLEVBQUUsRUFBQyxDQUFDLEVBQUUsc0NBQTZCLEVBQUUsZ0NBQWdDLENBQUMsQ0FBQztJQUNuSixpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxZQUFZLEVBQUUsRUFBRSxFQUFDLENBQUMsRUFBRSxzQ0FBNkIsRUFBRSxrQ0FBa0MsQ0FBQyxDQUFDO0lBQ3ZKLE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztBQUNoQixDQUFDLENBQUE7QUFFRCxNQUFNLGFBQWEsR0FBRyxLQUFLLElBQUksRUFBRTtJQUMvQixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO0lBQy9CLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUVqQyxNQUFNLE1BQU0sR0FBRyxjQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSwrQkFBK0IsQ0FBQyxDQUFDO0lBQ3hFLE1BQU0sT0FBTyxHQUFHLGlCQUFZLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDckMsTUFBTSxTQUFTLEdBQUcsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsTUFBTSxFQUFFLE9BQU8sRUFBQyxDQUFDLENBQUM7SUFDNUUsTUFBTSxTQUFTLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEVBQUUsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQztJQUV0RixNQUFNLFVBQVUsR0FBRyxLQUFLLEVBQUUsWUFBcUIsRUFBRSxFQUFFO1FBQ2pELHVCQUF1QjtRQUN2QixNQUFNLFNBQVMsR0FBRyxJQUFJLCtCQUF1QixDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLE1BQU0sRUFBRSxPQUFPLEVBQUUsU0FBUyxFQUFFLEdBQUcsRUFBRSxZQUFZLEVBQUMsQ0FBQyxDQUFDO1FBQ25ILE1BQU0sTUFBTSxHQUEwQixFQUFFLENBQUM7UUFDekMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNwRCxxQkFBZ0IsQ0FBQyxNQUFNLEVBQUUsRUFBQyxhQUFhLEVBQUUsSUFBSSxFQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDaEUsTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNqRCxPQUFPLE1BQU0sQ0FBQztJQUNoQixDQUFDLENBQUM7SUFFRixNQUFNLFlBQVksR0FBRyxNQUFNLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUM1QyxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsWUFBWSxDQUFDLE1BQU0saUJBQWlCLENBQUMsQ0FBQztJQUNyRCxNQUFNLENBQUMsWUFBWSxDQUFDLE1BQU0sS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxFQUFFLGdEQUFnRCxDQUFDLENBQUM7SUFDeEgsWUFBWSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBRTtRQUNoQyxNQUFNLENBQUMsS0FBSyxDQUFDLE1BQU0sS0FBSyxHQUFHLElBQUksS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLEtBQUssR0FBRyxHQUFHLENBQUMsRUFBRSxTQUFTLENBQUMsZ0NBQWdDLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDO1FBQ3hILE1BQU0sQ0FBQyxLQUFLLENBQUMsV0FBVyxLQUFLLENBQUMsR0FBRyxHQUFHLEVBQUUsU0FBUyxDQUFDLHlDQUF5QyxDQUFDLEdBQUcsR0FBRyxXQUFXLEtBQUssQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO1FBQ2hJLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxTQUFTLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxHQUFHLElBQUksRUFBRSxTQUFTLENBQUMsc0NBQXNDLENBQUMsR0FBRyxFQUFFLFdBQVcsS0FBSyxDQUFDLFNBQVMsRUFBRSxDQUFDLENBQUM7SUFDeEksQ0FBQyxDQUFDLENBQUM7SUFDSCxNQUFNLFNBQVMsR0FBRyxZQUFZLENBQUMsWUFBWSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztJQUN4RCxNQUFNLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLE1BQU0sR0FBRyxTQUFTLENBQUMsV0FBVyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsSUFBSSxLQUFLLENBQUMsQ0FBQyxFQUFFLDBDQUEwQyxDQUFDLENBQUM7SUFFbkosTUFBTSxjQUFjLEdBQUcsTUFBTSxVQUFVLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDL0MsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxFQUFFLDBEQUEwRCxDQUFDLENBQUM7SUFDL0ksWUFBWSxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksK0JBQXVCLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsU0FBUyxFQUFFLEdBQUcsRUFBQyxDQUFDLEVBQUUsZ0NBQWdDLENBQUMsQ0FBQztJQUN4SCxPQUFPLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDaEIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxhQUFhLEdBQUcsS0FBSyxJQUFJLEVBQUU7SUFDL0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBQ2pDLE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLENBQUMsQ0FBQztJQUM5QixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFFakMsb0NBQW9DO0lBQ3BDLE1BQU0sZUFBZSxHQUFHLEtBQUssQ0FBQztJQUM5QixNQUFNLEtBQUssR0FBRyxJQUFJLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUN0QyxLQUFLLENBQUMsZUFBZSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzNCLE1BQU0sU0FBUyxHQUFHLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ3pELE1BQU0sTUFBTSxHQUFtQixFQUFFLENBQUM7SUFDbEMsS0FBSyxJQUFJLE1BQU0sR0FBRyxDQUFDLEVBQUUsTUFBTSxHQUFHLEtBQUssQ0FBQyxNQUFNLEVBQUUsTUFBTSxJQUFJLElBQUksRUFBRTtRQUMxRCxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksWUFBWSxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUUsTUFBTSxHQUFHLElBQUksQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7S0FDOUc7SUFDRCxNQUFNLFNBQVMsR0FBRyxZQUFZLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2xGLE1BQU0sQ0FBQyxTQUFTLENBQUMsbUJBQW1CLEtBQUssS0FBSyxDQUFDLE1BQU0sRUFBRSxpREFBaUQsS0FBSyxDQUFDLE1BQU0sV0FBVyxTQUFTLENBQUMsbUJBQW1CLEVBQUUsQ0FBQyxDQUFDO0lBQ2hLLE1BQU0sQ0FBQyxTQUFTLENBQUMsb0JBQW9CLEtBQUssU0FBUyxDQUFDLE1BQU0sRUFBRSxrREFBa0QsU0FBUyxDQUFDLE1BQU0sV0FBVyxTQUFTLENBQUMsb0JBQW9CLEVBQUUsQ0FBQyxDQUFDO0lBRTNLLE1BQU0sWUFBWSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxJQUFJLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDbkcsTUFBTSxvQkFBb0IsR0FBRyxTQUFTLENBQUMscUJBQXFCLENBQUMsZUFBZSxDQUFDLENBQUM7SUFDOUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxvQkFBb0IsZUFBZSxvQkFBb0IsWUFBWSxpQkFBaUIsb0JBQW9CLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUNuSSxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxZQUFZLEdBQUcsb0JBQW9CLENBQUMsSUFBSSxDQUFDLEVBQUUsNERBQTRELENBQUMsQ0FBQztJQUN6SCxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMscUJBQXFCLENBQUMsb0JBQW9CLENBQUMsR0FBRyxlQUFlLENBQUMsR0FBRyxJQUFJLEVBQUUsc0VBQXNFLENBQUMsQ0FBQztJQUV6SyxNQUFNLG9CQUFvQixHQUFHLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLGlCQUFpQixFQUFFLElBQUksRUFBQyxDQUFDLENBQUM7SUFDL0Ysb0JBQW9CLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ3pDLE1BQU0sQ0FBQyxvQkFBb0IsQ0FBQyxxQkFBcUIsQ0FBQyxLQUFLLENBQUMsS0FBSyxLQUFLLEVBQUUsdURBQXVELENBQUMsQ0FBQztJQUU3SCxNQUFNLFNBQVMsR0FBRyxJQUFJLCtCQUF1QixDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLFNBQVMsRUFBRSxJQUFJLEVBQUMsQ0FBQyxDQUFDO0lBQ3JGLE1BQU0sTUFBTSxHQUEwQixFQUFFLENBQUM7SUFDekMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztJQUNwRCxTQUFTLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFDekMsTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNqRCxJQUFJLFdBQVcsR0FBRyxDQUFDLENBQUM7SUFDcEIsS0FBSyxNQUFNLEtBQUssSUFBSSxNQUFNLEVBQUU7UUFDMUIsTUFBTSxDQUFDLEtBQUssQ0FBQyxXQUFXLEtBQUssV0FBVyxFQUFFLHFEQUFxRCxDQUFDLENBQUM7UUFDakcsV0FBVyxJQUFJLEtBQUssQ0FBQyxNQUFNLENBQUM7S0FDN0I7SUFDRCxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLGFBQWEsR0FBRyxDQUFDLEVBQUUsdUVBQXVFLENBQUMsQ0FBQztJQUM3RyxPQUFPLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDaEIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxhQUFhLEdBQUcsS0FBSyxJQUFJLEVBQUU7SUFDL0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBQ2pDLE9BQU8sQ0FBQyxHQUFHLENBQUMsaUJBQWlCLENBQUMsQ0FBQztJQUMvQixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFFakMsTUFBTSxPQUFPLEdBQUcsaUJBQVksQ0FBQyxjQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSwrQkFBK0IsQ0FBQyxDQUFDLENBQUM7SUFDdkYsTUFBTSxTQUFTLEdBQUcsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsTUFBTSxFQUFFLE9BQU8sRUFBQyxDQUFDLENBQUM7SUFDNUUsTUFBTSxTQUFTLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLEVBQUUsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQztJQUV0RixpRkFBaUY7SUFDakYsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDO0lBQ2YsSUFBSSxVQUFVLEdBQUcsQ0FBQyxDQUFDO0lBQ25CLE1BQU0sS0FBSyxHQUFHLElBQUksY0FBYyxDQUFDO1FBQy9CLElBQUksRUFBRSxDQUFDLFVBQVUsRUFBRSxFQUFFO1lBQ25CLElBQUksTUFBTSxJQUFJLE9BQU8sQ0FBQyxNQUFNLEVBQUU7Z0JBQzVCLFVBQVUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztnQkFDbkIsT0FBTzthQUNSO1lBQ0QsTUFBTSxLQUFLLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxNQUFNLEVBQUUsTUFBTSxHQUFHLElBQUksQ0FBQyxDQUFDO1lBQ25ELE1BQU0sSUFBSSxLQUFLLENBQUMsTUFBTSxDQUFDO1lBQ3ZCLFVBQVUsQ0FBQyxPQUFPLENBQUMsVUFBVSxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLFVBQVUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUMvRixDQUFDO0tBQ0YsQ0FBQyxDQUFDO0lBQ0gsTUFBTSxNQUFNLEdBQUcsTUFBTSxnQ0FBb0IsQ0FBQyxNQUFNLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsTUFBTSxFQUFFLE9BQU8sRUFBQyxDQUFDLENBQUM7SUFDeEYsTUFBTSxNQUFNLEdBQWEsRUFBRSxDQUFDO0lBQzVCLE1BQU0sTUFBTSxHQUFHLEtBQUssQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUMsU0FBUyxFQUFFLENBQUM7SUFDckQsS0FBSyxJQUFJLEdBQUcsR0FBRyxNQUFNLE1BQU0sQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxJQUFJLEVBQUUsR0FBRyxHQUFHLE1BQU0sTUFBTSxDQUFDLElBQUksRUFBRSxFQUFFO1FBQ3hFLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztLQUNyQztJQUNELE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsRUFBRSxvREFBb0QsQ0FBQyxDQUFDO0lBQ3RHLE1BQU0sQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLFVBQVUsRUFBRSxxREFBcUQsQ0FBQyxDQUFDO0lBQzNGLE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztBQUNoQixDQUFDLENBQUE7QUFFRCxNQUFNLFdBQVcsR0FBRyxLQUFLLElBQUksRUFBRTtJQUM3QixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUMsQ0FBQztJQUM1QixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFFakMsTUFBTSxNQUFNLEdBQUcsY0FBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsK0JBQStCLENBQUMsQ0FBQztJQUN4RSxNQUFNLE9BQU8sR0FBRyxpQkFBWSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ3JDLE1BQU0sT0FBTyxHQUFHLEVBQUMsUUFBUSxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE9BQXVCLEVBQUMsQ0FBQztJQUM5RixNQUFNLFNBQVMsR0FBRyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxHQUFHLE9BQU8sRUFBRSxpQkFBaUIsRUFBRSxJQUFJLEVBQUMsQ0FBQyxDQUFDO0lBQ2hHLE1BQU0sU0FBUyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLENBQUMsWUFBWSxDQUFDLE9BQU8sQ0FBQyxFQUFFLFNBQVMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFFdEYsTUFBTSxPQUFPLEdBQUcsTUFBTSxzQkFBYyxDQUFDLElBQUksVUFBVSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsT0FBTyxDQUFDLFVBQVUsRUFBRSxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQ3RILE1BQU0sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxFQUFFLHdEQUF3RCxDQUFDLENBQUM7SUFFNUYsTUFBTSxNQUFNLEdBQWEsRUFBRSxDQUFDO0lBQzVCLElBQUksS0FBSyxFQUFFLE1BQU0sS0FBSyxJQUFJLHdCQUFnQixDQUFDLHFCQUFnQixDQUFDLE1BQU0sRUFBRSxFQUFDLGFBQWEsRUFBRSxJQUFJLEVBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxFQUFFO1FBQ3BHLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7S0FDcEI7SUFDRCxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUUsMERBQTBELENBQUMsQ0FBQztJQUM1RyxPQUFPLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDaEIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxpQkFBaUIsR0FBRyxDQUFDLEVBQWEsRUFBRSxVQUFvQixFQUFFLE9BQWUsRUFBRSxFQUFFO0lBQ2pGLElBQUk7UUFDRixFQUFFLEVBQUUsQ0FBQztLQUNOO0lBQUMsT0FBTyxDQUFDLEVBQUU7UUFDVixNQUFNLENBQUMsQ0FBQyxZQUFZLFVBQVUsSUFBSSxDQUFDLFlBQVksNEJBQW1CLEVBQUUsR0FBRyxPQUFPLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUM1RixPQUFPLENBQUMsQ0FBQztLQUNWO0lBQ0QsTUFBTSxJQUFJLEtBQUssQ0FBQyxHQUFHLE9BQU8sa0JBQWtCLENBQUMsQ0FBQztBQUNoRCxDQUFDLENBQUE7QUFFRCxNQUFNLFVBQVUsR0FBRyxLQUFLLElBQUksRUFBRTtJQUM1QixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxhQUFhLENBQUMsQ0FBQztJQUMzQixPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLENBQUM7SUFFakMsaUJBQWlCLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsRUFBRSxzQ0FBNkIsRUFBRSxzQ0FBc0MsQ0FBQyxDQUFDO0lBQ3BJLGlCQUFpQixDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksZUFBYyxDQUFDLEdBQUcsRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLEVBQUUsc0NBQTZCLEVBQUUsZ0RBQWdELENBQUMsQ0FBQztJQUNoSixpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsS0FBSyxDQUFDLEVBQUUsc0NBQTZCLEVBQUUsMENBQTBDLENBQUMsQ0FBQztJQUN6SSxpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEdBQUcsQ0FBQyxFQUFFLHNDQUE2QixFQUFFLHFDQUFxQyxDQUFDLENBQUM7SUFDakksaUJBQWlCLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLEVBQUUsc0NBQTZCLEVBQUUsOENBQThDLENBQUMsQ0FBQztJQUNoSixpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxNQUFNLEVBQUUsTUFBc0IsRUFBQyxDQUFDLEVBQUUsc0NBQTZCLEVBQUUsMkNBQTJDLENBQUMsQ0FBQztJQUM5SyxpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLCtCQUF1QixDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDLEVBQUUsc0NBQTZCLEVBQUUscURBQXFELENBQUMsQ0FBQztJQUN4SixpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLDZCQUFxQixDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsc0NBQTZCLEVBQUUseURBQXlELENBQUMsQ0FBQztJQUNqSixpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxzQkFBYyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxzQ0FBNkIsRUFBRSxxREFBcUQsQ0FBQyxDQUFDO0lBQ2hKLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLE9BQU8sRUFBRSxDQUFDO0lBRWpELE1BQU0sU0FBUyxHQUFHLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLE1BQU0sRUFBRSxTQUFTLEVBQUMsQ0FBQyxDQUFDO0lBQzlFLHlDQUF5QztJQUN6QyxNQUFNLGVBQWUsR0FBRyxpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxTQUFTLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxzQ0FBNkIsRUFBRSwrQkFBK0IsQ0FBQyxDQUFDO0lBQzFKLE1BQU0sQ0FBQyxlQUFlLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxTQUFTLENBQUMsRUFBRSx1REFBdUQsZUFBZSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7SUFDdEksTUFBTSxDQUFDLGVBQWUsQ0FBQyxJQUFJLEtBQUssQ0FBQyxFQUFFLHdFQUF3RSxDQUFDLENBQUM7SUFDN0csaUJBQWlCLENBQUMsR0FBRyxFQUFFLENBQUMsU0FBUyxDQUFDLFdBQVcsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsc0NBQTZCLEVBQUUsbURBQW1ELENBQUMsQ0FBQztJQUMzSyxpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxTQUFTLENBQUMsYUFBYSxDQUFDLENBQUMsSUFBSSxZQUFZLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFLHNDQUE2QixFQUFFLDREQUE0RCxDQUFDLENBQUM7SUFDdEssaUJBQWlCLENBQUMsR0FBRyxFQUFFLENBQUMsU0FBUyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLHNDQUE2QixFQUFFLHdDQUF3QyxDQUFDLENBQUM7SUFDM0gsaUJBQWlCLENBQUMsR0FBRyxFQUFFLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLEVBQUUsc0NBQTZCLEVBQUUsbUNBQW1DLENBQUMsQ0FBQztJQUN6SCxpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxzQ0FBNkIsRUFBRSx1Q0FBdUMsQ0FBQyxDQUFDO0lBQzdILCtGQUErRjtJQUMvRixTQUFTLENBQUMsV0FBVyxDQUFDLE9BQU8sRUFBRSxNQUFNLENBQUMsQ0FBQztJQUN2QyxTQUFTLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDOUMsaUJBQWlCLENBQUMsR0FBRyxFQUFFLENBQUMsU0FBUyxDQUFDLFdBQVcsQ0FBQyxNQUFNLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsRUFBRSxvQ0FBMkIsRUFBRSxzREFBc0QsQ0FBQyxDQUFDO0lBQ2xLLE1BQU0sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLEdBQUcsU0FBUyxDQUFDLEtBQUssQ0FBQztJQUMvQyxNQUFNLENBQUMsU0FBUyxDQUFDLFNBQVMsS0FBSyxRQUFRLElBQUksU0FBUyxDQUFDLFNBQVMsS0FBSyxRQUFRLEVBQUUscURBQXFELENBQUMsQ0FBQztJQUNwSSxNQUFNLENBQUMsU0FBUyxDQUFDLE1BQU0sS0FBSyxLQUFLLElBQUksU0FBUyxDQUFDLE9BQU8sS0FBSyxLQUFLLEVBQUUscURBQXFELENBQUMsQ0FBQztJQUN6SCxTQUFTLENBQUMsT0FBTyxFQUFFLENBQUM7SUFDcEIsTUFBTSxjQUFjLEdBQUcsaUJBQWlCLENBQUMsR0FBRyxFQUFFLENBQUMsU0FBUyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsb0NBQTJCLEVBQUUsa0NBQWtDLENBQUMsQ0FBQztJQUN6SixNQUFNLENBQUMsY0FBYyxDQUFDLElBQUksS0FBSyxDQUFDLEVBQUUsK0RBQStELENBQUMsQ0FBQztJQUVuRyxzRkFBc0Y7SUFDdEYsTUFBTSxTQUFTLEdBQUcsSUFBSSwrQkFBdUIsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxNQUFNLEVBQUUsU0FBUyxFQUFDLENBQUMsQ0FBQztJQUN2RixNQUFNLE1BQU0sR0FBYSxFQUFFLENBQUM7SUFDNUIsU0FBUyxDQUFDLEVBQUUsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM1QyxNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQztJQUN0QyxLQUFLLElBQUksTUFBTSxHQUFHLENBQUMsRUFBRSxNQUFNLEdBQUcsS0FBSyxDQUFDLE1BQU0sRUFBRSxNQUFNLElBQUksSUFBSSxFQUFFO1FBQzFELFNBQVMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxNQUFNLEVBQUUsTUFBTSxHQUFHLElBQUksQ0FBQyxDQUFDLENBQUM7S0FDckQ7SUFDRCxTQUFTLENBQUMsR0FBRyxFQUFFLENBQUM7SUFDaEIsTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNqRCxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxLQUFLLEdBQUcsZUFBZSxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSx5Q0FBeUMsQ0FBQyxDQUFDO0lBRWhJLENBQUMsaUNBQXdCLEVBQUUsb0NBQTJCLEVBQUUsc0NBQTZCLEVBQUUsc0NBQTZCLEVBQUUsb0NBQTJCLENBQUM7U0FDL0ksT0FBTyxDQUFDLENBQUMsVUFBVSxFQUFFLENBQUMsRUFBRSxFQUFFO1FBQ3pCLE1BQU0sS0FBSyxHQUFHLHNCQUFhLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUM1QyxNQUFNLENBQUMsS0FBSyxZQUFZLFVBQVUsSUFBSSxLQUFLLENBQUMsSUFBSSxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksS0FBSyxDQUFDLElBQUksS0FBSyxVQUFVLENBQUMsSUFBSSxFQUFFLGNBQWMsQ0FBQyxHQUFHLENBQUMsa0JBQWtCLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQ3hKLENBQUMsQ0FBQyxDQUFDO0lBQ0wsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNsQixPQUFPLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDaEIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxJQUFJLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRSxDQUFDLEVBQUUsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO0FBRXZELHNHQUFzRztBQUN0RyxNQUFNLFlBQVksR0FBRyxDQUFDLElBQVksRUFBRSxFQUFFLENBQUMsR0FBRyxFQUFFO0lBQzFDLElBQUksR0FBRyxDQUFDLElBQUksR0FBRyxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDL0IsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxJQUFJLEtBQUssRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO0lBQ2xELENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDL0MsT0FBTyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDO0FBQy9DLENBQUMsQ0FBQTtBQUVELE1BQU0sY0FBYyxHQUFHLENBQUMsSUFBWSxFQUFFLFFBQWdCLEVBQUUsUUFBa0MsRUFBRSxFQUFFLENBQUMsQ0FDN0YsWUFBWSxDQUFDLElBQUksQ0FBQyxFQUFDLE1BQU0sRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksR0FBRyxRQUFRLENBQUMsRUFBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUN2RixDQUFDO0FBRUYsTUFBTSxJQUFJLEdBQUcsQ0FBQyxTQUFpQixFQUFFLFNBQWlCLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBWSxFQUFFLEVBQUUsQ0FBQyxTQUFTLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLEVBQUUsR0FBRyxTQUFTLEdBQUcsSUFBSSxDQUFDLENBQUM7QUFFOUgsK0RBQStEO0FBQy9ELE1BQU0sU0FBUyxHQUFHLENBQUMsV0FBcUIsRUFBRSxTQUFpQixFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQVksRUFBRSxFQUFFLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU0sRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUM3SCxNQUFNLEdBQUcsU0FBUyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxFQUFFLEdBQUcsU0FBUyxHQUFHLElBQUksR0FBRyxDQUFDLENBQUMsQ0FDbEUsRUFBRSxDQUFDLENBQUMsQ0FBQztBQUVOLHNFQUFzRTtBQUN0RSxNQUFNLFNBQVMsR0FBRyxDQUFDLGNBQXNCLEVBQUUsWUFBb0IsRUFBRSxRQUFnQixFQUFFLFNBQWlCLEVBQUUsRUFBRTtJQUN0RyxNQUFNLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFlBQVksR0FBRyxjQUFjLENBQUMsQ0FBQztJQUNsRCxPQUFPLENBQUMsSUFBWSxFQUFFLEVBQUUsQ0FBQyxTQUFTLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLEVBQUUsR0FBRyxjQUFjLEdBQUcsUUFBUSxHQUFHLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsSUFBSSxHQUFHLFFBQVEsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ25JLENBQUMsQ0FBQTtBQUVELDJHQUEyRztBQUMzRyxNQUFNLGFBQWEsR0FBRyxDQUFDLE9BQXFCLEVBQUUsU0FBaUIsRUFBRSxJQUFZLEVBQUUsRUFBRTtJQUMvRSxJQUFJLEVBQUUsR0FBRyxDQUFDLENBQUM7SUFDWCxJQUFJLEVBQUUsR0FBRyxDQUFDLENBQUM7SUFDWCxJQUFJLFNBQVMsR0FBRyxDQUFDLENBQUM7SUFDbEIsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7UUFDdkMsTUFBTSxDQUFDLEdBQUcsR0FBRyxHQUFHLEdBQUcsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsRUFBRSxHQUFHLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN2RSxNQUFNLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLEVBQUUsR0FBRyxTQUFTLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQztRQUNqRCxFQUFFLElBQUksQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3ZDLEVBQUUsSUFBSSxDQUFDLEdBQUcsT0FBTyxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDdkMsU0FBUyxJQUFJLENBQUMsQ0FBQztLQUNoQjtJQUNELE9BQU8sQ0FBQyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxDQUFDLEdBQUcsU0FBUyxDQUFDO0FBQ3RELENBQUMsQ0FBQTtBQUVELGdJQUFnSTtBQUNoSSxNQUFNLE9BQU8sR0FBRyxDQUFDLE9BQXFCLEVBQUUsU0FBaUIsRUFBRSxJQUFZLEVBQUUsRUFBRTtJQUN6RSxJQUFJLE1BQU0sR0FBRyxDQUFDLEVBQUUsTUFBTSxHQUFHLENBQUMsRUFBRSxNQUFNLEdBQUcsQ0FBQyxFQUFFLFNBQVMsR0FBRyxDQUFDLEVBQUUsU0FBUyxHQUFHLENBQUMsQ0FBQztJQUNyRSxLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsT0FBTyxDQUFDLE1BQU0sRUFBRSxDQUFDLEVBQUUsRUFBRTtRQUN2QyxNQUFNLEdBQUcsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsRUFBRSxHQUFHLFNBQVMsR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7UUFDekQsTUFBTSxHQUFHLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLEVBQUUsR0FBRyxTQUFTLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO1FBQ3pELE1BQU0sSUFBSSxHQUFHLEdBQUcsR0FBRyxDQUFDO1FBQ3BCLE1BQU0sSUFBSSxHQUFHLEdBQUcsR0FBRyxDQUFDO1FBQ3BCLE1BQU0sSUFBSSxHQUFHLEdBQUcsR0FBRyxDQUFDO1FBQ3BCLFNBQVMsSUFBSSxPQUFPLENBQUMsQ0FBQyxDQUFDLEdBQUcsR0FBRyxDQUFDO1FBQzlCLFNBQVMsSUFBSSxPQUFPLENBQUMsQ0FBQyxDQUFDLEdBQUcsR0FBRyxDQUFDO0tBQy9CO0lBQ0QsTUFBTSxXQUFXLEdBQUcsTUFBTSxHQUFHLE1BQU0sR0FBRyxNQUFNLEdBQUcsTUFBTSxDQUFDO0lBQ3RELE1BQU0sQ0FBQyxHQUFHLENBQUMsU0FBUyxHQUFHLE1BQU0sR0FBRyxTQUFTLEdBQUcsTUFBTSxDQUFDLEdBQUcsV0FBVyxDQUFDO0lBQ2xFLE1BQU0sQ0FBQyxHQUFHLENBQUMsU0FBUyxHQUFHLE1BQU0sR0FBRyxTQUFTLEdBQUcsTUFBTSxDQUFDLEdBQUcsV0FBVyxDQUFDO0lBQ2xFLElBQUksTUFBTSxHQUFHLENBQUMsQ0FBQztJQUNmLElBQUksS0FBSyxHQUFHLENBQUMsQ0FBQztJQUNkLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFO1FBQ3ZDLE1BQU0sTUFBTSxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsRUFBRSxHQUFHLFNBQVMsR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxFQUFFLEdBQUcsU0FBUyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztRQUNuSCxNQUFNLElBQUksTUFBTSxHQUFHLE1BQU0sQ0FBQztRQUMxQixLQUFLLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDO0tBQ3JDO0lBQ0QsT0FBTyxFQUFFLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDLENBQUM7QUFDekMsQ0FBQyxDQUFBO0FBRUQsTUFBTSxjQUFjLEdBQUcsQ0FBQyxJQUFZLEVBQUUsRUFBRSxDQUFDLElBQUksWUFBWSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUM7QUFFeEYseUdBQXlHO0FBQ3pHLE1BQU0sY0FBYyxHQUFHLEtBQUssRUFBRSxNQUFvQixFQUFFLE1BQWMsRUFBRSxPQUFlLEVBQUUsT0FBZSxFQUFFLEVBQUU7SUFDdEcsTUFBTSxPQUFPLEdBQUcsRUFBQyxNQUFNLEVBQUUsU0FBeUIsRUFBRSxpQkFBaUIsRUFBRSxJQUFJLEVBQUMsQ0FBQztJQUM3RSxNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLFVBQVUsRUFBRSxNQUFNLENBQUMsVUFBVSxDQUFDLENBQUM7SUFDL0UsTUFBTSxTQUFTLEdBQUcsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQzNFLE1BQU0sR0FBRyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxFQUFFLFNBQVMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDOUUsU0FBUyxDQUFDLE9BQU8sRUFBRSxDQUFDO0lBRXBCLE1BQU0sU0FBUyxHQUFHLElBQUksK0JBQXVCLENBQUMsQ0FBQyxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQ3BGLE1BQU0sTUFBTSxHQUFhLEVBQUUsQ0FBQztJQUM1QixTQUFTLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzVDLEtBQUssSUFBSSxNQUFNLEdBQUcsQ0FBQyxFQUFFLE1BQU0sR0FBRyxLQUFLLENBQUMsTUFBTSxFQUFFLE1BQU0sSUFBSSxJQUFJLEVBQUU7UUFDMUQsU0FBUyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sRUFBRSxNQUFNLEdBQUcsSUFBSSxDQUFDLENBQUMsQ0FBQztLQUNyRDtJQUNELFNBQVMsQ0FBQyxHQUFHLEVBQUUsQ0FBQztJQUNoQixNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2pELE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxvRUFBb0UsT0FBTyxFQUFFLENBQUMsQ0FBQztJQUV6SCxnRkFBZ0Y7SUFDaEYsTUFBTSxNQUFNLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLEdBQUcsRUFBRSxDQUFDLENBQUM7SUFDeEMsT0FBTyxjQUFjLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRSxHQUFHLENBQUMsTUFBTSxHQUFHLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQztBQUN2RSxDQUFDLENBQUE7QUFjRCxNQUFNLGtCQUFrQixHQUEyQztJQUNqRSxDQUFDLEVBQUUsRUFBQyxHQUFHLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxpQkFBaUIsRUFBRSxFQUFFLEVBQUUsR0FBRyxFQUFFLENBQUMsR0FBRyxFQUFDO0lBQzdFLENBQUMsRUFBRSxFQUFDLEdBQUcsRUFBRSxFQUFFLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLGlCQUFpQixFQUFFLEVBQUUsRUFBRSxHQUFHLEVBQUUsQ0FBQyxHQUFHLEVBQUM7SUFDN0UsQ0FBQyxFQUFFLEVBQUMsR0FBRyxFQUFFLEdBQUcsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsaUJBQWlCLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxDQUFDLEdBQUcsRUFBQztJQUMvRSxFQUFFLEVBQUUsRUFBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxpQkFBaUIsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLENBQUMsR0FBRyxFQUFDO0NBQ2pGLENBQUM7QUFFRixNQUFNLGlCQUFpQixHQUFHLEtBQUssSUFBSSxFQUFFO0lBQ25DLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUNqQyxPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixDQUFDLENBQUM7SUFDbkMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBRWpDLE1BQU0sbUJBQW1CLEdBQUcsQ0FBQyxFQUFFLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQzFILHFFQUFxRTtJQUNyRSxNQUFNLG1CQUFtQixHQUFHLENBQUMsS0FBSyxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQztJQUNsRCxNQUFNLFNBQVMsR0FBRyxHQUFHLENBQUM7SUFFdEIsTUFBTSxVQUFVLEdBQUcsY0FBYyxDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLElBQUksRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQ25FLEtBQUssTUFBTSxPQUFPLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRTtRQUNqRSxNQUFNLFVBQVUsR0FBRyxrQkFBa0IsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUUvQyxNQUFNLGFBQWEsR0FBRyxNQUFNLGNBQWMsQ0FBQyxVQUFVLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxPQUFPLENBQUMsQ0FBQztRQUM5RSxNQUFNLEdBQUcsR0FBRyxPQUFPLENBQUMsYUFBYSxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQztRQUNoRCxNQUFNLFdBQVcsR0FBRyxhQUFhLENBQUMsYUFBYSxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQztRQUM5RCxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLFFBQVEsRUFBRSxFQUFFLENBQUMsR0FBRyxHQUFHLGFBQWEsQ0FBQyxhQUFhLEVBQUUsSUFBSSxHQUFHLFFBQVEsRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN4SSxNQUFNLEdBQUcsR0FBRyxJQUFJLENBQUMsU0FBUyxHQUFHLFdBQVcsQ0FBQyxDQUFDO1FBRTFDLE1BQU0sS0FBSyxHQUFHLG1CQUFtQixDQUFDLE1BQU0sQ0FBQyxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsU0FBUyxJQUFJLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUMxRixNQUFNLGNBQWMsR0FBRyxTQUFTLEdBQUcsS0FBSyxDQUFDLE1BQU0sQ0FBQztRQUNoRCxNQUFNLGNBQWMsR0FBRyxNQUFNLGNBQWMsQ0FBQyxjQUFjLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxTQUFTLENBQUMsS0FBSyxFQUFFLGNBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxPQUFPLENBQUMsQ0FBQztRQUMvSCxNQUFNLEtBQUssR0FBRyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLGNBQWMsRUFBRSxTQUFTLEVBQUUsS0FBSyxDQUFDLEdBQUcsY0FBYyxDQUFDLENBQUMsQ0FBQztRQUMvRyxNQUFNLE1BQU0sR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsS0FBSyxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQyxDQUFDO1FBRXZELE1BQU0saUJBQWlCLEdBQUcsU0FBUyxHQUFHLG1CQUFtQixDQUFDLE1BQU0sQ0FBQztRQUNqRSxNQUFNLGlCQUFpQixHQUFHLE1BQU0sY0FBYyxDQUFDLGNBQWMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxtQkFBbUIsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxPQUFPLENBQUMsQ0FBQztRQUNuSixNQUFNLGlCQUFpQixHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxtQkFBbUIsQ0FBQyxHQUFHLENBQUMsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLENBQzNFLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxpQkFBaUIsRUFBRSxLQUFLLEdBQUcsU0FBUyxFQUFFLEtBQUssQ0FBQyxHQUFHLGlCQUFpQixDQUFDLENBQ3RGLENBQUMsQ0FBQyxDQUFDO1FBRUosT0FBTyxDQUFDLEdBQUcsQ0FDVCxXQUFXLE9BQU8sU0FBUyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxXQUFXLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE1BQU07WUFDeEUsbUJBQW1CLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLFlBQVksVUFBVSxDQUFDLFFBQVEsMEJBQTBCLGlCQUFpQixDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUM5SCxDQUFDO1FBQ0YsTUFBTSxDQUFDLEdBQUcsSUFBSSxVQUFVLENBQUMsR0FBRyxFQUFFLG9CQUFvQixPQUFPLGdCQUFnQixHQUFHLFFBQVEsVUFBVSxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7UUFDeEcsTUFBTSxDQUFDLEdBQUcsSUFBSSxVQUFVLENBQUMsR0FBRyxFQUFFLG9CQUFvQixPQUFPLGlCQUFpQixHQUFHLFFBQVEsVUFBVSxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7UUFDekcsTUFBTSxDQUFDLE1BQU0sSUFBSSxVQUFVLENBQUMsTUFBTSxFQUFFLGdDQUFnQyxPQUFPLGlCQUFpQixNQUFNLFFBQVEsVUFBVSxDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUM7UUFDakksTUFBTSxDQUFDLGlCQUFpQixJQUFJLFVBQVUsQ0FBQyxpQkFBaUIsRUFBRSxtQ0FBbUMsT0FBTyxnQkFBZ0IsaUJBQWlCLFFBQVEsVUFBVSxDQUFDLGlCQUFpQixJQUFJLENBQUMsQ0FBQztLQUNoTDtJQUNELE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztBQUNoQixDQUFDLENBQUE7QUFFRCxNQUFNLGlCQUFpQixHQUFHLEtBQUssSUFBSSxFQUFFO0lBQ25DLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUNqQyxPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixDQUFDLENBQUM7SUFDbkMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBRWpDLE1BQU0sS0FBSyxHQUFHLGNBQWMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxFQUFFLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3JFLE1BQU0sWUFBWSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQy9DLE1BQU0sVUFBVSxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztJQUNsRCxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsVUFBVSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxNQUFNLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUUxRixLQUFLLE1BQU0sQ0FBQyxNQUFNLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLFNBQVMsRUFBRSxZQUFZLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxVQUFVLENBQUMsQ0FBNkIsRUFBRTtRQUM1RyxNQUFNLFdBQVcsR0FBRywwQkFBZ0IsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUM3QyxNQUFNLGdCQUFnQixHQUFHLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLE1BQU0sRUFBQyxDQUFDLENBQUM7UUFDMUUsTUFBTSxPQUFPLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLGdCQUFnQixDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsRUFBRSxnQkFBZ0IsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFFaEcsS0FBSyxJQUFJLElBQUksR0FBRyxDQUFDLEVBQUUsSUFBSSxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsRUFBRTtZQUNwQyxNQUFNLE1BQU0sR0FBRyxZQUFZLENBQUMsSUFBSSxDQUFDLENBQUM7WUFDbEMsTUFBTSxTQUFTLEdBQUcsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsTUFBTSxFQUFDLENBQUMsQ0FBQztZQUNuRSxNQUFNLE1BQU0sR0FBYSxFQUFFLENBQUM7WUFDNUIsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDO1lBQ2YsT0FBTyxNQUFNLEdBQUcsS0FBSyxDQUFDLE1BQU0sRUFBRTtnQkFDNUIsNkRBQTZEO2dCQUM3RCxNQUFNLFdBQVcsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sRUFBRSxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxXQUFXLENBQUM7Z0JBQ25FLE1BQU0sQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sRUFBRSxNQUFNLEdBQUcsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUMvRSxNQUFNLElBQUksV0FBVyxDQUFDO2FBQ3ZCO1lBQ0QsTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQztZQUMvQixNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsV0FBVyxNQUFNLHFCQUFxQixJQUFJLCtCQUErQixDQUFDLENBQUM7U0FDMUg7UUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsTUFBTSxnREFBZ0QsQ0FBQyxDQUFDO0tBQ3hFO0lBQ0QsT0FBTyxDQUFDLEdBQUcsRUFBRSxDQUFDO0FBQ2hCLENBQUMsQ0FBQTtBQUVELE1BQU0sYUFBYSxHQUFHLEtBQUssSUFBSSxFQUFFO0lBQy9CLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLENBQUMsQ0FBQztJQUNqQyxPQUFPLENBQUMsR0FBRyxDQUFDLGdCQUFnQixDQUFDLENBQUM7SUFDOUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBRWpDLE1BQU0sY0FBYyxHQUFHLGVBQWMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQzNFLE1BQU0sRUFBQyxRQUFRLEVBQUUsUUFBUSxFQUFDLEdBQUcsY0FBYyxDQUFDLEtBQUssQ0FBQztJQUNsRCxNQUFNLENBQUMsUUFBUSxLQUFLLEdBQUcsSUFBSSxRQUFRLEtBQUssR0FBRyxFQUFFLDJDQUEyQyxRQUFRLElBQUksUUFBUSxFQUFFLENBQUMsQ0FBQztJQUNoSCxjQUFjLENBQUMsT0FBTyxFQUFFLENBQUM7SUFFekIsMEVBQTBFO0lBQzFFLE1BQU0saUJBQWlCLEdBQUcsZUFBYyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUM7SUFDaEYsTUFBTSxhQUFhLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxJQUFJLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDcEYsTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLGlCQUFpQixDQUFDLFlBQVksQ0FBQyxhQUFhLENBQUMsRUFBRSxpQkFBaUIsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDM0csT0FBTyxDQUFDLEdBQUcsQ0FBQyxjQUFjLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxvQkFBb0IsQ0FBQyxDQUFDO0lBQ25FLHNFQUFzRTtJQUN0RSxNQUFNLGNBQWMsR0FBRyxLQUFLLEdBQUcsSUFBSSxHQUFHLElBQUksR0FBRyxpQkFBaUIsQ0FBQyxhQUFhLENBQUM7SUFDN0UsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEdBQUcsY0FBYyxDQUFDLEdBQUcsQ0FBQyxFQUFFLDZDQUE2QyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUM7SUFFL0gsTUFBTSxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsR0FBRyx3QkFBZ0IsQ0FBQyxLQUFLLEdBQUcsTUFBTSxHQUFHLEtBQUssQ0FBQyxDQUFDO0lBQzVELE1BQU0sQ0FBQyxHQUFHLElBQUksTUFBTSxJQUFJLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxHQUFHLEdBQUcsR0FBRyxLQUFLLEdBQUcsTUFBTSxHQUFHLEtBQUssQ0FBQyxHQUFHLElBQUksRUFBRSwrQ0FBK0MsR0FBRyxJQUFJLEdBQUcsRUFBRSxDQUFDLENBQUM7SUFDMUksaUJBQWlCLENBQUMsR0FBRyxFQUFFLENBQUMsd0JBQWdCLENBQUMsQ0FBQyxDQUFDLEVBQUUsc0NBQTZCLEVBQUUsMkJBQTJCLENBQUMsQ0FBQztJQUV6RyxNQUFNLE1BQU0sR0FBRyxjQUFjLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxJQUFJLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDekQsTUFBTSxpQkFBaUIsR0FBRyxLQUFLLEVBQUUsS0FBbUQsRUFBRSxFQUFFO1FBQ3RGLGlGQUFpRjtRQUNqRixNQUFNLFNBQVMsR0FBRyxJQUFJLCtCQUF1QixDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFDLEtBQUssRUFBRSxpQkFBaUIsRUFBRSxJQUFJLEVBQUMsQ0FBQyxDQUFDO1FBQ3BHLE1BQU0sTUFBTSxHQUFhLEVBQUUsQ0FBQztRQUM1QixTQUFTLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBQ3BELE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3pDLG1FQUFtRTtRQUNuRSxLQUFLLElBQUksTUFBTSxHQUFHLENBQUMsRUFBRSxNQUFNLEdBQUcsS0FBSyxDQUFDLE1BQU0sRUFBRSxNQUFNLElBQUksSUFBSSxHQUFHLENBQUMsRUFBRTtZQUM5RCxTQUFTLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsTUFBTSxFQUFFLE1BQU0sR0FBRyxJQUFJLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUN6RDtRQUNELFNBQVMsQ0FBQyxHQUFHLEVBQUUsQ0FBQztRQUNoQixNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2pELE9BQU8sY0FBYyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztJQUMvQyxDQUFDLENBQUM7SUFFRixLQUFLLE1BQU0sS0FBSyxJQUFJLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxFQUFFO1FBQzVCLE1BQU0sTUFBTSxHQUFHLE1BQU0saUJBQWlCLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDOUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLEtBQUssS0FBSyxNQUFNLENBQUMsTUFBTSxnQkFBZ0IsTUFBTSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUM7UUFDN0UsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLE1BQU0sR0FBRyxNQUFNLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRSwwQ0FBMEMsS0FBSyxTQUFTLE1BQU0sQ0FBQyxNQUFNLFNBQVMsQ0FBQyxDQUFDO1FBQzVJLE1BQU0sU0FBUyxHQUFHLGFBQWEsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksR0FBRyxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDaEYsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxHQUFHLEdBQUcsQ0FBQyxHQUFHLElBQUksRUFBRSx1QkFBdUIsSUFBSSxHQUFHLEtBQUssa0JBQWtCLFNBQVMsRUFBRSxDQUFDLENBQUM7S0FDNUc7SUFFRCxrRkFBa0Y7SUFDbEYsTUFBTSxjQUFjLEdBQWEsRUFBRSxDQUFDO0lBQ3BDLE1BQU0sTUFBTSxHQUFHLE1BQU0saUJBQWlCLENBQUMsQ0FBQyxhQUFhLEVBQUUsRUFBRTtRQUN2RCxjQUFjLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxDQUFDO1FBQ25DLE9BQU8sYUFBYSxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLGFBQWEsR0FBRyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUMvRCxDQUFDLENBQUMsQ0FBQztJQUNILE9BQU8sQ0FBQyxHQUFHLENBQUMsaUJBQWlCLE1BQU0sQ0FBQyxNQUFNLGdCQUFnQixNQUFNLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQztJQUMzRSxNQUFNLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxLQUFLLElBQUksRUFBRSxrRUFBa0UsY0FBYyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUMxSCxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU0sR0FBRyxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSSxNQUFNLENBQUMsTUFBTSxHQUFHLE1BQU0sQ0FBQyxNQUFNLEVBQUUsc0RBQXNELE1BQU0sQ0FBQyxNQUFNLFNBQVMsQ0FBQyxDQUFDO0lBQ3pKLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQyxHQUFHLElBQUksRUFBRSxvQ0FBb0MsQ0FBQyxDQUFDO0lBRTVILE1BQU0sU0FBUyxHQUFHLElBQUksK0JBQXVCLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQztJQUMvRCxpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxFQUFFLHNDQUE2QixFQUFFLDJCQUEyQixDQUFDLENBQUM7SUFDM0csaUJBQWlCLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSwrQkFBdUIsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLEVBQUMsQ0FBQyxFQUFFLHNDQUE2QixFQUFFLCtCQUErQixDQUFDLENBQUM7SUFDdEosU0FBUyxDQUFDLFNBQVMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztJQUM5QixPQUFPLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDaEIsQ0FBQyxDQUFBO0FBRUQsTUFBTSxZQUFZLEdBQUcsS0FBSyxJQUFJLEVBQUU7SUFDOUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBQ2pDLE9BQU8sQ0FBQyxHQUFHLENBQUMsZUFBZSxDQUFDLENBQUM7SUFDN0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBRWpDLE1BQU0sTUFBTSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsY0FBYyxDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUMsR0FBRyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQy9GLG9DQUFvQztJQUNwQyxNQUFNLElBQUksR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ2hELE1BQU0sV0FBVyxHQUFHLENBQUMsU0FBeUIsRUFBRSxLQUFhLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxFQUFFLFNBQVMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFFcEksZ0VBQWdFO0lBQ2hFLEtBQUssTUFBTSxpQkFBaUIsSUFBSSxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsRUFBRTtRQUM3QyxNQUFNLFNBQVMsR0FBRyxXQUFXLENBQUMsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUMsaUJBQWlCLEVBQUMsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUMvRyxNQUFNLFNBQVMsR0FBRyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBQyxpQkFBaUIsRUFBQyxDQUFDLENBQUM7UUFDOUUsU0FBUyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQzlDLFNBQVMsQ0FBQyxLQUFLLEVBQUUsQ0FBQztRQUNsQixNQUFNLENBQUMsU0FBUyxDQUFDLG1CQUFtQixLQUFLLENBQUMsSUFBSSxTQUFTLENBQUMsb0JBQW9CLEtBQUssQ0FBQyxFQUFFLDJCQUEyQixDQUFDLENBQUM7UUFDakgsTUFBTSxDQUFDLFdBQVcsQ0FBQyxTQUFTLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsRUFBRSwyRUFBMkUsaUJBQWlCLEVBQUUsQ0FBQyxDQUFDO0tBQ3RLO0lBQ0QsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpREFBaUQsQ0FBQyxDQUFDO0lBRS9ELE1BQU0sT0FBTyxHQUFHLFdBQVcsQ0FBQyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNyRyxNQUFNLFNBQVMsR0FBRyxJQUFJLGVBQWMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQztJQUN6RCxNQUFNLFNBQVMsR0FBRyxTQUFTLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ2pELE1BQU0sUUFBUSxHQUFHLFNBQVMsQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUN0QyxPQUFPLENBQUMsR0FBRyxDQUFDLGVBQWUsUUFBUSxDQUFDLE1BQU0sUUFBUSxDQUFDLENBQUM7SUFDcEQsbUVBQW1FO0lBQ25FLE1BQU0sUUFBUSxHQUFHLElBQUksZUFBYyxDQUFDLENBQUMsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ3ZELFFBQVEsQ0FBQyxPQUFPLENBQUMsSUFBSSxVQUFVLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztJQUMzQyxNQUFNLENBQUMsUUFBUSxDQUFDLE1BQU0sS0FBSyxLQUFLLElBQUksUUFBUSxDQUFDLE9BQU8sS0FBSyxLQUFLLElBQUksUUFBUSxDQUFDLE9BQU8sS0FBSyxDQUFDLEVBQUUsc0NBQXNDLENBQUMsQ0FBQztJQUNsSSxNQUFNLENBQUMsUUFBUSxDQUFDLG1CQUFtQixLQUFLLFNBQVMsQ0FBQyxtQkFBbUIsRUFBRSxtQ0FBbUMsQ0FBQyxDQUFDO0lBQzVHLE1BQU0sVUFBVSxHQUFHLFdBQVcsQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFDakQsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsbUVBQW1FLENBQUMsQ0FBQztJQUNwSSxNQUFNLENBQUMsV0FBVyxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUMsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLEVBQUUsZ0VBQWdFLENBQUMsQ0FBQztJQUM1SCxPQUFPLENBQUMsR0FBRyxDQUFDLDREQUE0RCxDQUFDLENBQUM7SUFFMUUsaUJBQWlCLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSxlQUFjLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLEVBQUUsc0NBQTZCLEVBQUUsdURBQXVELENBQUMsQ0FBQztJQUN2SyxpQkFBaUIsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxzQ0FBNkIsRUFBRSw2Q0FBNkMsQ0FBQyxDQUFDO0lBQ2hLLGlCQUFpQixDQUFDLEdBQUcsRUFBRSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLHNDQUE2QixFQUFFLDRDQUE0QyxDQUFDLENBQUM7SUFDMUksT0FBTyxDQUFDLEdBQUcsRUFBRSxDQUFDO0FBQ2hCLENBQUMsQ0FBQTtBQUVELFFBQVEsRUFBRTtLQUNULElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxnQkFBZ0IsRUFBRSxDQUFDO0tBQzlCLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxlQUFlLEVBQUUsQ0FBQztLQUM3QixJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsdUJBQXVCLEVBQUUsQ0FBQztLQUNyQyxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsYUFBYSxFQUFFLENBQUM7S0FDM0IsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLGVBQWUsRUFBRSxDQUFDO0tBQzdCLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxVQUFVLEVBQUUsQ0FBQztLQUN4QixJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsWUFBWSxFQUFFLENBQUM7S0FDMUIsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLGdCQUFnQixFQUFFLENBQUM7S0FDOUIsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLE9BQU8sRUFBRSxDQUFDO0tBQ3JCLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxRQUFRLEVBQUUsQ0FBQztLQUN0QixJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsT0FBTyxFQUFFLENBQUM7S0FDckIsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLFlBQVksRUFBRSxDQUFDO0tBQzFCLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxhQUFhLEVBQUUsQ0FBQztLQUMzQixJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsYUFBYSxFQUFFLENBQUM7S0FDM0IsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLGFBQWEsRUFBRSxDQUFDO0tBQzNCLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQztLQUN6QixJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsVUFBVSxFQUFFLENBQUM7S0FDeEIsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLGlCQUFpQixFQUFFLENBQUM7S0FDL0IsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLGlCQUFpQixFQUFFLENBQUM7S0FDL0IsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLGFBQWEsRUFBRSxDQUFDO0tBQzNCLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxZQUFZLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFO0lBQ3RDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDakIsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUNsQixDQUFDLENBQUMsQ0FBQSIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCB7cmVhZEZpbGVTeW5jLCB3cml0ZUZpbGVTeW5jLCBjcmVhdGVSZWFkU3RyZWFtLCBjcmVhdGVXcml0ZVN0cmVhbSwgdW5saW5rU3luYywgbWtkdGVtcFN5bmMsIHJlYWRkaXJTeW5jLCBta2RpclN5bmMsIGV4aXN0c1N5bmN9IGZyb20gJ2ZzJztcbmltcG9ydCB7IGV4ZWNGaWxlU3luYywgc3Bhd25TeW5jIH0gZnJvbSAnY2hpbGRfcHJvY2Vzcyc7XG5pbXBvcnQgb3MgZnJvbSAnb3MnO1xuLy8gY29uc3Qge3Byb21pc2lmeX0gPSByZXF1aXJlKCd1dGlsJyk7XG5pbXBvcnQgeyBwZXJmb3JtYW5jZSB9IGZyb20gJ3BlcmZfaG9va3MnXG5pbXBvcnQgcGF0aCBmcm9tICdwYXRoJztcblxuaW1wb3J0IFNwZWV4UmVzYW1wbGVyLCB7U3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm0sIFNwZWV4UmVzYW1wbGVyRnJhbWUsIFdhdlJlc2FtcGxlclRyYW5zZm9ybSwgUmVzYW1wbGVyUG9vbCwgcmVzYW1wbGVCdWZmZXIsIHJlc2FtcGxlSXRlcmFibGUsIHBhcnNlV2F2SGVhZGVyLCBjcmVhdGVXYXZIZWFkZXIsIGFwcHJveGltYXRlUmF0aW99IGZyb20gJy4vaW5kZXgnO1xuaW1wb3J0IHsgUGFzc1Rocm91Z2ggfSBmcm9tICdzdHJlYW0nO1xuaW1wb3J0IHsgQllURVNfUEVSX1NBTVBMRSwgU2FtcGxlRm9ybWF0IH0gZnJvbSAnLi9mb3JtYXRzJztcbmltcG9ydCB7IFNwZWV4UmVzYW1wbGVyU3RyZWFtIH0gZnJvbSAnLi93ZWJTdHJlYW0nO1xuaW1wb3J0IHtcbiAgU3BlZXhSZXNhbXBsZXJFcnJvcixcbiAgU3BlZXhSZXNhbXBsZXJBbGxvY0Vycm9yLFxuICBTcGVleFJlc2FtcGxlckJhZFN0YXRlRXJyb3IsXG4gIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLFxuICBTcGVleFJlc2FtcGxlclB0ck92ZXJsYXBFcnJvcixcbiAgU3BlZXhSZXNhbXBsZXJPdmVyZmxvd0Vycm9yLFxuICBlcnJvckZyb21Db2RlLFxufSBmcm9tICcuL2Vycm9ycyc7XG5cbmNvbnN0IGFzc2VydCA9IChjb25kaXRpb24sIG1lc3NhZ2UpID0+IHtcbiAgaWYgKCFjb25kaXRpb24pIHtcbiAgICB0aHJvdyBuZXcgRXJyb3IobWVzc2FnZSk7XG4gIH1cbn1cblxuaW50ZXJmYWNlIEF1ZGlvVGVzdCB7XG4gIGluRmlsZTogc3RyaW5nO1xuICBpblJhdGU6IG51bWJlcjtcbiAgb3V0UmF0ZTogbnVtYmVyO1xuICBjaGFubmVsczogbnVtYmVyO1xuICBxdWFsaXR5PzogbnVtYmVyO1xuICAvLyB0aGUgcmVzb3VyY2VzIGZpbGVzIGFyZSBpbiBzaWduZWQgMTYgYml0cyBpbnRcbiAgaW5Gb3JtYXQ/OiBTYW1wbGVGb3JtYXQ7XG4gIG91dEZvcm1hdD86IFNhbXBsZUZvcm1hdDtcbn1cblxuY29uc3QgYXVkaW9UZXN0czogQXVkaW9UZXN0W10gPSBbXG4gIHtpbkZpbGU6IHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvMjQwMDBoel9tb25vX3Rlc3QucGNtYCksIGluUmF0ZTogMjQwMDAsIG91dFJhdGU6IDQ4MDAwLCBjaGFubmVsczogMSwgcXVhbGl0eTogNX0sXG4gIHtpbkZpbGU6IHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvMjQwMDBoel90ZXN0LnBjbWApLCBpblJhdGU6IDI0MDAwLCBvdXRSYXRlOiAyNDAwMCwgY2hhbm5lbHM6IDIsIHF1YWxpdHk6IDV9LFxuICB7aW5GaWxlOiBwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzI0MDAwaHpfdGVzdC5wY21gKSwgaW5SYXRlOiAyNDAwMCwgb3V0UmF0ZTogNDgwMDAsIGNoYW5uZWxzOiAyLCBxdWFsaXR5OiAxMH0sXG4gIHtpbkZpbGU6IHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvNDQxMDBoel90ZXN0LnBjbWApLCBpblJhdGU6IDQ0MTAwLCBvdXRSYXRlOiA0ODAwMCwgY2hhbm5lbHM6IDJ9LFxuICB7aW5GaWxlOiBwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzQ0MTAwaHpfdGVzdC5wY21gKSwgaW5SYXRlOiA0NDEwMCwgb3V0UmF0ZTogNDgwMDAsIGNoYW5uZWxzOiAyLCBxdWFsaXR5OiAxMH0sXG4gIHtpbkZpbGU6IHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvNDQxMDBoel90ZXN0LnBjbWApLCBpblJhdGU6IDQ0MTAwLCBvdXRSYXRlOiA0ODAwMCwgY2hhbm5lbHM6IDIsIHF1YWxpdHk6IDF9LFxuICB7aW5GaWxlOiBwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzQ0MTAwaHpfdGVzdC5wY21gKSwgaW5SYXRlOiA0NDEwMCwgb3V0UmF0ZTogMjQwMDAsIGNoYW5uZWxzOiAyLCBxdWFsaXR5OiA1fSxcbiAge2luRmlsZTogcGF0aC5yZXNvbHZlKF9fZGlybmFtZSwgYC4uL3Jlc291cmNlcy80NDEwMGh6X3Rlc3QucGNtYCksIGluUmF0ZTogNDQxMDAsIG91dFJhdGU6IDQ4MDAwLCBjaGFubmVsczogMiwgb3V0Rm9ybWF0OiAnZmxvYXQzMid9LFxuICB7aW5GaWxlOiBwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzQ0MTAwaHpfdGVzdC5wY21gKSwgaW5SYXRlOiA0NDEwMCwgb3V0UmF0ZTogNDgwMDAsIGNoYW5uZWxzOiAyLCBvdXRGb3JtYXQ6ICdpbnQyNCd9LFxuICB7aW5GaWxlOiBwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzQ0MTAwaHpfdGVzdC5wY21gKSwgaW5SYXRlOiA0NDEwMCwgb3V0UmF0ZTogMTYwMDAsIGNoYW5uZWxzOiAyLCBvdXRGb3JtYXQ6ICdpbnQzMid9LFxuXTtcblxuY29uc3QgZm9ybWF0c09mID0gKGF1ZGlvVGVzdDogQXVkaW9UZXN0KSA9PiAoe1xuICBpbkZvcm1hdDogYXVkaW9UZXN0LmluRm9ybWF0IHx8ICdpbnQxNicsXG4gIG91dEZvcm1hdDogYXVkaW9UZXN0Lm91dEZvcm1hdCB8fCBhdWRpb1Rlc3QuaW5Gb3JtYXQgfHwgJ2ludDE2Jyxcbn0pO1xuXG5jb25zdCBkdXJhdGlvbnNPZiA9IChhdWRpb1Rlc3Q6IEF1ZGlvVGVzdCwgaW5wdXQ6IEJ1ZmZlciwgb3V0cHV0OiBCdWZmZXIpID0+IHtcbiAgY29uc3Qge2luRm9ybWF0LCBvdXRGb3JtYXR9ID0gZm9ybWF0c09mKGF1ZGlvVGVzdCk7XG4gIHJldHVybiB7XG4gICAgaW5wdXREdXJhdGlvbjogaW5wdXQubGVuZ3RoIC8gYXVkaW9UZXN0LmluUmF0ZSAvIEJZVEVTX1BFUl9TQU1QTEVbaW5Gb3JtYXRdIC8gYXVkaW9UZXN0LmNoYW5uZWxzLFxuICAgIG91dHB1dER1cmF0aW9uOiBvdXRwdXQubGVuZ3RoIC8gYXVkaW9UZXN0Lm91dFJhdGUgLyBCWVRFU19QRVJfU0FNUExFW291dEZvcm1hdF0gLyBhdWRpb1Rlc3QuY2hhbm5lbHMsXG4gIH07XG59XG5cbi8vIHRoZSBmaWx0ZXIgZGVsYXkgYXQgdGhlIHN0YXJ0IG9mIHRoZSBvdXRwdXQgd2hlbiB0aGUgbGF0ZW5jeSBpcyBub3QgY29tcGVuc2F0ZWRcbmNvbnN0IG91dHB1dExhdGVuY3lPZiA9IChpblJhdGU6IG51bWJlciwgb3V0UmF0ZTogbnVtYmVyLCBxdWFsaXR5ID0gNykgPT4ge1xuICBjb25zdCByZXNhbXBsZXIgPSBuZXcgU3BlZXhSZXNhbXBsZXIoMSwgaW5SYXRlLCBvdXRSYXRlLCBxdWFsaXR5KTtcbiAgY29uc3QgbGF0ZW5jeSA9IHJlc2FtcGxlci5vdXRwdXRMYXRlbmN5O1xuICByZXNhbXBsZXIuZGVzdHJveSgpO1xuICByZXR1cm4gbGF0ZW5jeTtcbn1cblxuY29uc3QgYXNzZXJ0RnJhbWVzQ291bnQgPSAoYXVkaW9UZXN0OiBBdWRpb1Rlc3QsIGlucHV0OiBCdWZmZXIsIG91dHB1dDogQnVmZmVyKSA9PiB7XG4gIGNvbnN0IHtpbkZvcm1hdCwgb3V0Rm9ybWF0fSA9IGZvcm1hdHNPZihhdWRpb1Rlc3QpO1xuICBjb25zdCBpbkZyYW1lcyA9IGlucHV0Lmxlbmd0aCAvIEJZVEVTX1BFUl9TQU1QTEVbaW5Gb3JtYXRdIC8gYXVkaW9UZXN0LmNoYW5uZWxzO1xuICBjb25zdCBvdXRGcmFtZXMgPSBvdXRwdXQubGVuZ3RoIC8gQllURVNfUEVSX1NBTVBMRVtvdXRGb3JtYXRdIC8gYXVkaW9UZXN0LmNoYW5uZWxzO1xuICBjb25zdCBleHBlY3RlZE91dEZyYW1lcyA9IE1hdGgucm91bmQoaW5GcmFtZXMgKiBhdWRpb1Rlc3Qub3V0UmF0ZSAvIGF1ZGlvVGVzdC5pblJhdGUpICsgb3V0cHV0TGF0ZW5jeU9mKGF1ZGlvVGVzdC5pblJhdGUsIGF1ZGlvVGVzdC5vdXRSYXRlLCBhdWRpb1Rlc3QucXVhbGl0eSk7XG4gIGFzc2VydChvdXRGcmFtZXMgPT09IGV4cGVjdGVkT3V0RnJhbWVzLCBgT3V0cHV0IGZyYW1lcyBjb3VudCBub3QgbWF0Y2hpbmcgdGFyZ2V0LCBleHBlY3RlZDogJHtleHBlY3RlZE91dEZyYW1lc30gIT0gb3V0OiR7b3V0RnJhbWVzfWApO1xufVxuXG5jb25zdCBkZXNjcmliZVRlc3QgPSAoYXVkaW9UZXN0OiBBdWRpb1Rlc3QpID0+IHtcbiAgY29uc3Qge2luRm9ybWF0LCBvdXRGb3JtYXR9ID0gZm9ybWF0c09mKGF1ZGlvVGVzdCk7XG4gIHJldHVybiBgUmVzYW1wbGluZyBmaWxlICR7YXVkaW9UZXN0LmluRmlsZX0gd2l0aCAke2F1ZGlvVGVzdC5jaGFubmVsc30gY2hhbm5lbChzKSBmcm9tICR7YXVkaW9UZXN0LmluUmF0ZX1IeiB0byAke2F1ZGlvVGVzdC5vdXRSYXRlfUh6IChxdWFsaXR5OiAke2F1ZGlvVGVzdC5xdWFsaXR5IHx8IDd9LCAke2luRm9ybWF0fSAtPiAke291dEZvcm1hdH0pYDtcbn1cblxuY29uc3QgcHJvbWlzZUJhc2VkVGVzdCA9IGFzeW5jICgpID0+IHtcbiAgYXdhaXQgU3BlZXhSZXNhbXBsZXIuaW5pdFByb21pc2VcbiAgZm9yIChjb25zdCBhdWRpb1Rlc3Qgb2YgYXVkaW9UZXN0cykge1xuICAgIGNvbnNvbGUubG9nKGRlc2NyaWJlVGVzdChhdWRpb1Rlc3QpKTtcbiAgICBjb25zdCByZXNhbXBsZXIgPSBuZXcgU3BlZXhSZXNhbXBsZXIoYXVkaW9UZXN0LmNoYW5uZWxzLCBhdWRpb1Rlc3QuaW5SYXRlLCBhdWRpb1Rlc3Qub3V0UmF0ZSwgYXVkaW9UZXN0LnF1YWxpdHksIGZvcm1hdHNPZihhdWRpb1Rlc3QpKTtcbiAgICBjb25zdCBmaWxlbmFtZSA9IHBhdGgucGFyc2UoYXVkaW9UZXN0LmluRmlsZSkubmFtZTtcbiAgICBjb25zdCBwY21EYXRhID0gcmVhZEZpbGVTeW5jKGF1ZGlvVGVzdC5pbkZpbGUpO1xuXG4gICAgY29uc3Qgc3RhcnQgPSBwZXJmb3JtYW5jZS5ub3coKTtcbiAgICBjb25zdCByZXMgPSBCdWZmZXIuY29uY2F0KFtyZXNhbXBsZXIucHJvY2Vzc0NodW5rKHBjbURhdGEpLCByZXNhbXBsZXIuZmx1c2goKV0pO1xuICAgIGNvbnN0IGVuZCA9IHBlcmZvcm1hbmNlLm5vdygpO1xuICAgIGNvbnNvbGUubG9nKGBSZXNhbXBsZWQgaW4gJHtNYXRoLmZsb29yKGVuZCAtIHN0YXJ0KX1tc2ApO1xuICAgIGNvbnN0IHtpbnB1dER1cmF0aW9uLCBvdXRwdXREdXJhdGlvbn0gPSBkdXJhdGlvbnNPZihhdWRpb1Rlc3QsIHBjbURhdGEsIHJlcyk7XG4gICAgY29uc29sZS5sb2coYElucHV0IHN0cmVhbTogJHtwY21EYXRhLmxlbmd0aH0gYnl0ZXMsICR7aW5wdXREdXJhdGlvbn1zYCk7XG4gICAgY29uc29sZS5sb2coYE91dHB1dCBzdHJlYW06ICR7cmVzLmxlbmd0aH0gYnl0ZXMsICR7b3V0cHV0RHVyYXRpb259c2ApO1xuXG4gICAgYXNzZXJ0KE1hdGguYWJzKGlucHV0RHVyYXRpb24gLSBvdXRwdXREdXJhdGlvbikgPCAwLjAxLCBgU3RyZWFtIGR1cmF0aW9uIG5vdCBtYXRjaGluZyB0YXJnZXQsIGluOiAke2lucHV0RHVyYXRpb259cyAhPSBvdXQ6JHtvdXRwdXREdXJhdGlvbn1gKTtcbiAgICBhc3NlcnRGcmFtZXNDb3VudChhdWRpb1Rlc3QsIHBjbURhdGEsIHJlcyk7XG4gICAgY29uc29sZS5sb2coKTtcbiAgICAvLyB3cml0ZUZpbGVTeW5jKHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvJHtmaWxlbmFtZX1fJHthdWRpb1Rlc3Qub3V0UmF0ZX1fJHthdWRpb1Rlc3QucXVhbGl0eSB8fCA3fV9vdXRwdXQucGNtYCksIHJlcyk7XG4gIH1cbn1cblxuY29uc3Qgc3RyZWFtQmFzZWRUZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ1RyYW5mb3JtIFN0cmVhbSBUZXN0Jyk7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuXG4gIGZvciAoY29uc3QgYXVkaW9UZXN0IG9mIGF1ZGlvVGVzdHMpIHtcbiAgICBjb25zb2xlLmxvZyhkZXNjcmliZVRlc3QoYXVkaW9UZXN0KSk7XG4gICAgY29uc3QgcmVhZEZpbGVTdHJlYW0gPSBjcmVhdGVSZWFkU3RyZWFtKGF1ZGlvVGVzdC5pbkZpbGUpO1xuICAgIGNvbnN0IHRyYW5zZm9ybVN0cmVhbSA9IG5ldyBTcGVleFJlc2FtcGxlclRyYW5zZm9ybShhdWRpb1Rlc3QuY2hhbm5lbHMsIGF1ZGlvVGVzdC5pblJhdGUsIGF1ZGlvVGVzdC5vdXRSYXRlLCBhdWRpb1Rlc3QucXVhbGl0eSwgZm9ybWF0c09mKGF1ZGlvVGVzdCkpO1xuICAgIGxldCBwY21EYXRhID0gQnVmZmVyLmFsbG9jKDApO1xuICAgIHJlYWRGaWxlU3RyZWFtLm9uKCdkYXRhJywgKGQpID0+IHtcbiAgICAgIHBjbURhdGEgPSBCdWZmZXIuY29uY2F0KFsgcGNtRGF0YSwgZCBhcyBCdWZmZXIgXSk7XG4gICAgfSk7XG4gICAgbGV0IHJlcyA9IEJ1ZmZlci5hbGxvYygwKTtcbiAgICB0cmFuc2Zvcm1TdHJlYW0ub24oJ2RhdGEnLCAoZCkgPT4ge1xuICAgICAgcmVzID0gQnVmZmVyLmNvbmNhdChbIHJlcywgZCBhcyBCdWZmZXIgXSk7XG4gICAgfSk7XG5cbiAgICBjb25zdCBzdGFydCA9IHBlcmZvcm1hbmNlLm5vdygpO1xuICAgIHJlYWRGaWxlU3RyZWFtLnBpcGUodHJhbnNmb3JtU3RyZWFtKTtcbiAgICBhd2FpdCBuZXcgUHJvbWlzZSgocikgPT4gdHJhbnNmb3JtU3RyZWFtLm9uKCdlbmQnLCByKSk7XG4gICAgY29uc3QgZW5kID0gcGVyZm9ybWFuY2Uubm93KCk7XG4gICAgY29uc29sZS5sb2coYFJlc2FtcGxlZCBpbiAke01hdGguZmxvb3IoZW5kIC0gc3RhcnQpfW1zYCk7XG4gICAgY29uc3Qge2lucHV0RHVyYXRpb24sIG91dHB1dER1cmF0aW9ufSA9IGR1cmF0aW9uc09mKGF1ZGlvVGVzdCwgcGNtRGF0YSwgcmVzKTtcbiAgICBjb25zb2xlLmxvZyhgSW5wdXQgc3RyZWFtOiAke3BjbURhdGEubGVuZ3RofSBieXRlcywgJHtpbnB1dER1cmF0aW9ufXNgKTtcbiAgICBjb25zb2xlLmxvZyhgT3V0cHV0IHN0cmVhbTogJHtyZXMubGVuZ3RofSBieXRlcywgJHtvdXRwdXREdXJhdGlvbn1zYCk7XG5cbiAgICBhc3NlcnQoTWF0aC5hYnMoaW5wdXREdXJhdGlvbiAtIG91dHB1dER1cmF0aW9uKSA8IDAuMDEsIGBTdHJlYW0gZHVyYXRpb24gbm90IG1hdGNoaW5nIHRhcmdldCwgaW46ICR7aW5wdXREdXJhdGlvbn1zICE9IG91dDoke291dHB1dER1cmF0aW9ufWApO1xuICAgIGFzc2VydEZyYW1lc0NvdW50KGF1ZGlvVGVzdCwgcGNtRGF0YSwgcmVzKTtcbiAgICBjb25zb2xlLmxvZygpO1xuICB9XG59XG5cbi8vIHNpZ25hbCB0byBub2lzZSByYXRpbyBpbiBkQiBiZXR3ZWVuIHR3byBpbnQxNiBidWZmZXJzXG5jb25zdCBpbnQxNlNuciA9IChyZWZlcmVuY2U6IEJ1ZmZlciwgb3V0cHV0OiBCdWZmZXIpID0+IHtcbiAgbGV0IHNpZ25hbCA9IDA7XG4gIGxldCBub2lzZSA9IDA7XG4gIGNvbnN0IHNhbXBsZXNDb3VudCA9IE1hdGgubWluKHJlZmVyZW5jZS5sZW5ndGgsIG91dHB1dC5sZW5ndGgpIC8gMjtcbiAgZm9yIChsZXQgaSA9IDA7IGkgPCBzYW1wbGVzQ291bnQ7IGkrKykge1xuICAgIGNvbnN0IHJlZiA9IHJlZmVyZW5jZS5yZWFkSW50MTZMRShpICogMik7XG4gICAgc2lnbmFsICs9IHJlZiAqIHJlZjtcbiAgICBub2lzZSArPSAocmVmIC0gb3V0cHV0LnJlYWRJbnQxNkxFKGkgKiAyKSkgKiogMjtcbiAgfVxuICByZXR1cm4gMTAgKiBNYXRoLmxvZzEwKHNpZ25hbCAvIG5vaXNlKTtcbn1cblxuY29uc3QgbGF0ZW5jeUNvbXBlbnNhdGlvblRlc3QgPSBhc3luYyAoKSA9PiB7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuICBjb25zb2xlLmxvZygnTGF0ZW5jeSBDb21wZW5zYXRpb24gVGVzdCcpO1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcblxuICBjb25zdCBwY21EYXRhID0gcmVhZEZpbGVTeW5jKHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvMjQwMDBoel90ZXN0LnBjbWApKTtcbiAgY29uc3QgcmVzYW1wbGUgPSAoY29tcGVuc2F0ZUxhdGVuY3k6IGJvb2xlYW4pID0+IHtcbiAgICBjb25zdCByZXNhbXBsZXIgPSBuZXcgU3BlZXhSZXNhbXBsZXIoMiwgMjQwMDAsIDI0MDAwLCAxMCwge2Zvcm1hdDogJ2ludDE2JywgY29tcGVuc2F0ZUxhdGVuY3l9KTtcbiAgICByZXR1cm4ge1xuICAgICAgcmVzOiBCdWZmZXIuY29uY2F0KFtyZXNhbXBsZXIucHJvY2Vzc0NodW5rKHBjbURhdGEpLCByZXNhbXBsZXIuZmx1c2goKV0pLFxuICAgICAgb3V0cHV0TGF0ZW5jeTogcmVzYW1wbGVyLm91dHB1dExhdGVuY3ksXG4gICAgfTtcbiAgfVxuICBjb25zdCBjb21wZW5zYXRlZCA9IHJlc2FtcGxlKHRydWUpO1xuICBjb25zdCBkZWxheWVkID0gcmVzYW1wbGUoZmFsc2UpO1xuICBjb25zb2xlLmxvZyhgT3V0cHV0IGxhdGVuY3k6ICR7ZGVsYXllZC5vdXRwdXRMYXRlbmN5fSBmcmFtZXNgKTtcbiAgYXNzZXJ0KGRlbGF5ZWQub3V0cHV0TGF0ZW5jeSA+IDAsIGBPdXRwdXQgbGF0ZW5jeSBzaG91bGQgYmUgcG9zaXRpdmUsIGdvdCAke2RlbGF5ZWQub3V0cHV0TGF0ZW5jeX1gKTtcbiAgYXNzZXJ0KGNvbXBlbnNhdGVkLnJlcy5sZW5ndGggPT09IHBjbURhdGEubGVuZ3RoLCBgQ29tcGVuc2F0ZWQgb3V0cHV0IGxlbmd0aCBub3QgbWF0Y2hpbmcgaW5wdXQsIGluOiAke3BjbURhdGEubGVuZ3RofSAhPSBvdXQ6JHtjb21wZW5zYXRlZC5yZXMubGVuZ3RofWApO1xuXG4gIGNvbnN0IGNvbXBlbnNhdGVkU25yID0gaW50MTZTbnIocGNtRGF0YSwgY29tcGVuc2F0ZWQucmVzKTtcbiAgY29uc3QgZGVsYXllZFNuciA9IGludDE2U25yKHBjbURhdGEsIGRlbGF5ZWQucmVzKTtcbiAgY29uc29sZS5sb2coYFNOUiBhZ2FpbnN0IGlucHV0IHdpdGggY29tcGVuc2F0aW9uOiAke2NvbXBlbnNhdGVkU25yLnRvRml4ZWQoMil9ZEIsIHdpdGhvdXQ6ICR7ZGVsYXllZFNuci50b0ZpeGVkKDIpfWRCYCk7XG4gIGFzc2VydChjb21wZW5zYXRlZFNuciA+IDIwLCBgQ29tcGVuc2F0ZWQgb3V0cHV0IGlzIG5vdCBhbGlnbmVkIHdpdGggaW5wdXQsIFNOUjogJHtjb21wZW5zYXRlZFNucn1kQmApO1xuICBhc3NlcnQoY29tcGVuc2F0ZWRTbnIgPiBkZWxheWVkU25yLCBgQ29tcGVuc2F0ZWQgb3V0cHV0IHNob3VsZCBiZSBjbG9zZXIgdG8gaW5wdXQgdGhhbiBkZWxheWVkIG91dHB1dGApO1xuICBhc3NlcnQoZGVsYXllZC5yZXMubGVuZ3RoID09PSBwY21EYXRhLmxlbmd0aCArIGRlbGF5ZWQub3V0cHV0TGF0ZW5jeSAqIDQsICdEZWxheWVkIG91dHB1dCBzaG91bGQgYmUgbG9uZ2VyIHRoYW4gaW5wdXQgYnkgdGhlIG91dHB1dCBsYXRlbmN5Jyk7XG5cbiAgLy8gYW4gaW1wdWxzZSAxMCBmcmFtZXMgYmVmb3JlIHRoZSBlbmQgb2YgdGhlIGlucHV0IHNob3VsZCBzdGlsbCBiZSBpbiB0aGUgb3V0cHV0IGFmdGVyIGZsdXNoXG4gIGZvciAoY29uc3QgY29tcGVuc2F0ZUxhdGVuY3kgb2YgW2ZhbHNlLCB0cnVlXSkge1xuICAgIGNvbnN0IGltcHVsc2UgPSBuZXcgRmxvYXQzMkFycmF5KDQ0MTApO1xuICAgIGltcHVsc2VbaW1wdWxzZS5sZW5ndGggLSAxMF0gPSAxO1xuICAgIGNvbnN0IHJlc2FtcGxlciA9IG5ldyBTcGVleFJlc2FtcGxlcigxLCA0NDEwMCwgNDgwMDAsIDcsIHtjb21wZW5zYXRlTGF0ZW5jeX0pO1xuICAgIGNvbnN0IHJlcyA9IHRvRmxvYXQzMkFycmF5KEJ1ZmZlci5jb25jYXQoW3Jlc2FtcGxlci5wcm9jZXNzQ2h1bmsoaW1wdWxzZSksIHJlc2FtcGxlci5mbHVzaCgpXSkpO1xuICAgIGNvbnN0IHBlYWsgPSByZXMucmVkdWNlKChtYXgsIHNhbXBsZSkgPT4gTWF0aC5tYXgobWF4LCBNYXRoLmFicyhzYW1wbGUpKSwgMCk7XG4gICAgY29uc29sZS5sb2coYEltcHVsc2UgcGVhayBhdCB0aGUgZW5kIG9mIHRoZSBvdXRwdXQgd2l0aCBjb21wZW5zYXRlTGF0ZW5jeSAke2NvbXBlbnNhdGVMYXRlbmN5fTogJHtwZWFrLnRvRml4ZWQoMyl9YCk7XG4gICAgYXNzZXJ0KHBlYWsgPiAwLjUsIGBFbmQgb2YgdGhlIGlucHV0IGN1dCBvZmYgYnkgZmx1c2ggd2l0aCBjb21wZW5zYXRlTGF0ZW5jeSAke2NvbXBlbnNhdGVMYXRlbmN5fSwgcGVhazogJHtwZWFrfWApO1xuICB9XG4gIGNvbnNvbGUubG9nKCk7XG59XG5cbmNvbnN0IGFzc2VydFRocm93cyA9IChmbjogKCkgPT4gYW55LCBtZXNzYWdlOiBzdHJpbmcpID0+IHtcbiAgbGV0IHRocm93biA9IGZhbHNlO1xuICB0cnkge1xuICAgIGZuKCk7XG4gIH0gY2F0Y2ggKGUpIHtcbiAgICB0aHJvd24gPSB0cnVlO1xuICB9XG4gIGFzc2VydCh0aHJvd24sIG1lc3NhZ2UpO1xufVxuXG5jb25zdCBsaWZlY3ljbGVUZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ0xpZmVjeWNsZSBUZXN0Jyk7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuXG4gIGNvbnN0IHJlc2FtcGxlciA9IG5ldyBTcGVleFJlc2FtcGxlcigyLCA0NDEwMCwgNDgwMDAsIDcsIHtmb3JtYXQ6ICdmbG9hdDMyJ30pO1xuICByZXNhbXBsZXIucHJvY2Vzc0NodW5rKEJ1ZmZlci5hbGxvYyg0NDEwMCAqIDIgKiA0KSk7XG4gIHJlc2FtcGxlci5kZXN0cm95KCk7XG4gIC8vIGRlc3Ryb3lpbmcgbXVsdGlwbGUgdGltZXMgaXMgYWxsb3dlZFxuICByZXNhbXBsZXIuZGVzdHJveSgpO1xuICBhc3NlcnRUaHJvd3MoKCkgPT4gcmVzYW1wbGVyLnByb2Nlc3NDaHVuayhCdWZmZXIuYWxsb2MoMiAqIDQpKSwgJ3Byb2Nlc3NDaHVuayBzaG91bGQgdGhyb3cgYWZ0ZXIgZGVzdHJveScpO1xuICBhc3NlcnRUaHJvd3MoKCkgPT4gcmVzYW1wbGVyLmZsdXNoKCksICdmbHVzaCBzaG91bGQgdGhyb3cgYWZ0ZXIgZGVzdHJveScpO1xuICBhc3NlcnRUaHJvd3MoKCkgPT4gcmVzYW1wbGVyLm91dHB1dExhdGVuY3ksICdvdXRwdXRMYXRlbmN5IHNob3VsZCB0aHJvdyBhZnRlciBkZXN0cm95Jyk7XG5cbiAgY29uc3QgdHJhbnNmb3JtU3RyZWFtID0gbmV3IFNwZWV4UmVzYW1wbGVyVHJhbnNmb3JtKDIsIDQ0MTAwLCA0ODAwMCwgNywge2Zvcm1hdDogJ2Zsb2F0MzInfSk7XG4gIHRyYW5zZm9ybVN0cmVhbS5yZXN1bWUoKTtcbiAgdHJhbnNmb3JtU3RyZWFtLmVuZChCdWZmZXIuYWxsb2MoNDQxMDAgKiAyICogNCkpO1xuICBhd2FpdCBuZXcgUHJvbWlzZSgocikgPT4gdHJhbnNmb3JtU3RyZWFtLm9uKCdlbmQnLCByKSk7XG4gIGFzc2VydCh0cmFuc2Zvcm1TdHJlYW0ucmVzYW1wbGVyLl9kZXN0cm95ZWQsICdUcmFuc2Zvcm0gc3RyZWFtIHNob3VsZCBkZXN0cm95IGl0cyByZXNhbXBsZXIgd2hlbiBlbmRlZCcpO1xuXG4gIGNvbnN0IGRlc3Ryb3llZFN0cmVhbSA9IG5ldyBTcGVleFJlc2FtcGxlclRyYW5zZm9ybSgyLCA0NDEwMCwgNDgwMDAsIDcsIHtmb3JtYXQ6ICdmbG9hdDMyJ30pO1xuICBkZXN0cm95ZWRTdHJlYW0uZGVzdHJveSgpO1xuICBhd2FpdCBuZXcgUHJvbWlzZSgocikgPT4gZGVzdHJveWVkU3RyZWFtLm9uKCdjbG9zZScsIHIpKTtcbiAgYXNzZXJ0KGRlc3Ryb3llZFN0cmVhbS5yZXNhbXBsZXIuX2Rlc3Ryb3llZCwgJ1RyYW5zZm9ybSBzdHJlYW0gc2hvdWxkIGRlc3Ryb3kgaXRzIHJlc2FtcGxlciB3aGVuIGRlc3Ryb3llZCcpO1xuICBjb25zb2xlLmxvZygnT0snKTtcbiAgY29uc29sZS5sb2coKTtcbn1cblxuY29uc3QgZHluYW1pY1JhdGVUZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ0R5bmFtaWMgUmF0ZSBUZXN0Jyk7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuXG4gIGNvbnN0IHBjbURhdGEgPSByZWFkRmlsZVN5bmMocGF0aC5yZXNvbHZlKF9fZGlybmFtZSwgYC4uL3Jlc291cmNlcy80NDEwMGh6X3Rlc3QucGNtYCkpO1xuICAvLyBzcGxpdHRpbmcgdGhlIGZpbGUgaW4gdHdvIGhhbHZlcyBhbGlnbmVkIG9uIGEgc3RlcmVvIGludDE2IGZyYW1lXG4gIGNvbnN0IGhhbGZMZW5ndGggPSBNYXRoLmZsb29yKHBjbURhdGEubGVuZ3RoIC8gOCkgKiA0O1xuICBjb25zdCByZXNhbXBsZXIgPSBuZXcgU3BlZXhSZXNhbXBsZXIoMiwgNDQxMDAsIDQ4MDAwLCA3LCB7Zm9ybWF0OiAnaW50MTYnfSk7XG4gIGNvbnN0IGZpcnN0SGFsZiA9IHJlc2FtcGxlci5wcm9jZXNzQ2h1bmsocGNtRGF0YS5zbGljZSgwLCBoYWxmTGVuZ3RoKSk7XG4gIHJlc2FtcGxlci5zZXRSYXRlKDQ0MTAwLCAyNDAwMCk7XG4gIC8vIGxvd2VyaW5nIHRoZSBxdWFsaXR5IHNob3J0ZW5zIHRoZSBmaWx0ZXIsIHNwZWV4IHJlc2FtcGxlcyB0aGUgc2FtcGxlcyBrZXB0IGZyb20gdGhlIGxvbmdlciBmaWx0ZXIgYmVmb3JlIHRoZSBuZXcgaW5wdXRcbiAgcmVzYW1wbGVyLnNldFF1YWxpdHkoNCk7XG4gIGNvbnN0IHNlY29uZEhhbGYgPSByZXNhbXBsZXIucHJvY2Vzc0NodW5rKHBjbURhdGEuc2xpY2UoaGFsZkxlbmd0aCkpO1xuICAvLyAxJSBmYXN0ZXIgdGhhbiA0NDEwMEh6IC0+IDI0MDAwSHogdG8gc2ltdWxhdGUgYSBjbG9jayBkcmlmdCBjb3JyZWN0aW9uXG4gIHJlc2FtcGxlci5zZXRSYXRlRnJhYyg0NDEgKiAxMDEsIDI0MCAqIDEwMCk7XG4gIGNvbnN0IHRoaXJkUGFydCA9IHJlc2FtcGxlci5wcm9jZXNzQ2h1bmsocGNtRGF0YS5zbGljZSgwLCBoYWxmTGVuZ3RoKSk7XG4gIC8vIHRoZSBlbmQgb2YgdGhlIGlucHV0IGluIHRoZSBvdXRwdXQgc3RyZWFtLCBpbmNsdWRpbmcgdGhlIGZpbHRlciBkZWxheVxuICBjb25zdCBlbmRQb3NpdGlvbiA9IHJlc2FtcGxlci5pbnB1dFBvc2l0aW9uVG9PdXRwdXQocmVzYW1wbGVyLmlucHV0RnJhbWVzQ29uc3VtZWQpO1xuICBjb25zdCByZXMgPSBCdWZmZXIuY29uY2F0KFtmaXJzdEhhbGYsIHNlY29uZEhhbGYsIHRoaXJkUGFydCwgcmVzYW1wbGVyLmZsdXNoKCldKTtcblxuICBjb25zdCBoYWxmRnJhbWVzID0gaGFsZkxlbmd0aCAvIDQ7XG4gIGNvbnN0IHNlY29uZEhhbGZGcmFtZXMgPSAocGNtRGF0YS5sZW5ndGggLSBoYWxmTGVuZ3RoKSAvIDQ7XG4gIGFzc2VydChyZXNhbXBsZXIuaW5wdXRGcmFtZXNDb25zdW1lZCA9PT0gaGFsZkZyYW1lcyAqIDIgKyBzZWNvbmRIYWxmRnJhbWVzLCBgSW5wdXQgZnJhbWVzIGxvc3QsICR7cmVzYW1wbGVyLmlucHV0RnJhbWVzQ29uc3VtZWR9IGNvbnN1bWVkYCk7XG4gIGNvbnN0IGV4cGVjdGVkRnJhbWVzID0gTWF0aC5yb3VuZChlbmRQb3NpdGlvbik7XG4gIGNvbnNvbGUubG9nKGBPdXRwdXQgZnJhbWVzOiAke3Jlcy5sZW5ndGggLyA0fSwgZXhwZWN0ZWQ6ICR7ZXhwZWN0ZWRGcmFtZXN9YCk7XG4gIGFzc2VydChyZXMubGVuZ3RoIC8gNCA9PT0gZXhwZWN0ZWRGcmFtZXMsIGBPdXRwdXQgZnJhbWVzIGNvdW50IG5vdCBtYXRjaGluZyB0YXJnZXQsIGV4cGVjdGVkOiAke2V4cGVjdGVkRnJhbWVzfSAhPSBvdXQ6JHtyZXMubGVuZ3RoIC8gNH1gKTtcbiAgYXNzZXJ0KE1hdGguYWJzKHNlY29uZEhhbGYubGVuZ3RoIC8gNCAtIHNlY29uZEhhbGZGcmFtZXMgKiAyNDAwMCAvIDQ0MTAwKSA8IDIwMCwgYFJhdGUgY2hhbmdlIG5vdCBhcHBsaWVkLCBnb3QgJHtzZWNvbmRIYWxmLmxlbmd0aCAvIDR9IGZyYW1lcyBmb3IgdGhlIHNlY29uZCBoYWxmYCk7XG5cbiAgLy8gc3BlZXgga2VlcHMgdGhlIGRlbGF5IG9mIHRoZSBzdHJlYW0gd2hlbiB0aGUgZmlsdGVyIGxlbmd0aCBjaGFuZ2VzLCBhbiBpbXB1bHNlIDEwIGZyYW1lcyBiZWZvcmUgdGhlIGVuZCBvZiB0aGVcbiAgLy8gaW5wdXQgc2hvdWxkIGJlIGF0IGl0cyBleHBlY3RlZCBwb3NpdGlvbiBhbmQgbm90IGN1dCBvZmYgYnkgZmx1c2hcbiAgZm9yIChjb25zdCBbZnJvbVF1YWxpdHksIHRvUXVhbGl0eV0gb2YgW1sxMCwgNF0sIFs0LCAxMF1dKSB7XG4gICAgY29uc3QgaW1wdWxzZSA9IG5ldyBGbG9hdDMyQXJyYXkoNDQxMDApO1xuICAgIGNvbnN0IGltcHVsc2VQb3NpdGlvbiA9IGltcHVsc2UubGVuZ3RoIC0gMTA7XG4gICAgaW1wdWxzZVtpbXB1bHNlUG9zaXRpb25dID0gMTtcbiAgICBjb25zdCBxdWFsaXR5UmVzYW1wbGVyID0gbmV3IFNwZWV4UmVzYW1wbGVyKDEsIDQ0MTAwLCA0ODAwMCwgZnJvbVF1YWxpdHkpO1xuICAgIC8vIDEwbXMgY2h1bmtzIGFzIGluIGEgcmVhbCB0aW1lIHN0cmVhbVxuICAgIGNvbnN0IGNodW5rczogQnVmZmVyW10gPSBbXTtcbiAgICBmb3IgKGxldCBvZmZzZXQgPSAwOyBvZmZzZXQgPCBpbXB1bHNlLmxlbmd0aDsgb2Zmc2V0ICs9IDQ0MSkge1xuICAgICAgaWYgKG9mZnNldCA9PT0gaW1wdWxzZS5sZW5ndGggLyAyKSB7XG4gICAgICAgIHF1YWxpdHlSZXNhbXBsZXIuc2V0UXVhbGl0eSh0b1F1YWxpdHkpO1xuICAgICAgfVxuICAgICAgY2h1bmtzLnB1c2gocXVhbGl0eVJlc2FtcGxlci5wcm9jZXNzQ2h1bmsoaW1wdWxzZS5zdWJhcnJheShvZmZzZXQsIG9mZnNldCArIDQ0MSkpKTtcbiAgICB9XG4gICAgY29uc3QgZXhwZWN0ZWRQb3NpdGlvbiA9IHF1YWxpdHlSZXNhbXBsZXIuaW5wdXRQb3NpdGlvblRvT3V0cHV0KGltcHVsc2VQb3NpdGlvbik7XG4gICAgY29uc3Qgb3V0cHV0ID0gdG9GbG9hdDMyQXJyYXkoQnVmZmVyLmNvbmNhdChbLi4uY2h1bmtzLCBxdWFsaXR5UmVzYW1wbGVyLmZsdXNoKCldKSk7XG4gICAgY29uc3QgcGVha1Bvc2l0aW9uID0gb3V0cHV0LnJlZHVjZSgocGVhaywgc2FtcGxlLCBpKSA9PiBNYXRoLmFicyhzYW1wbGUpID4gTWF0aC5hYnMob3V0cHV0W3BlYWtdKSA/IGkgOiBwZWFrLCAwKTtcbiAgICBjb25zb2xlLmxvZyhgUXVhbGl0eSAke2Zyb21RdWFsaXR5fSAtPiAke3RvUXVhbGl0eX06IGltcHVsc2UgYXQgJHtwZWFrUG9zaXRpb259LCBleHBlY3RlZCBhdCAke2V4cGVjdGVkUG9zaXRpb24udG9GaXhlZCgxKX1gKTtcbiAgICBhc3NlcnQocXVhbGl0eVJlc2FtcGxlci5pbnB1dEZyYW1lc0NvbnN1bWVkID09PSBpbXB1bHNlLmxlbmd0aCwgYElucHV0IGZyYW1lcyBsb3N0LCAke3F1YWxpdHlSZXNhbXBsZXIuaW5wdXRGcmFtZXNDb25zdW1lZH0gY29uc3VtZWRgKTtcbiAgICBhc3NlcnQoTWF0aC5hYnMocGVha1Bvc2l0aW9uIC0gZXhwZWN0ZWRQb3NpdGlvbikgPCAxICYmIE1hdGguYWJzKG91dHB1dFtwZWFrUG9zaXRpb25dKSA+IDAuNSwgYEltcHVsc2Ugbm90IGF0IGl0cyBwb3NpdGlvbiBhZnRlciB0aGUgcXVhbGl0eSBjaGFuZ2VgKTtcbiAgfVxuICBjb25zb2xlLmxvZygpO1xufVxuXG5jb25zdCBwbGFuYXJUZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ1BsYW5hciBUZXN0Jyk7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuXG4gIGNvbnN0IHBjbURhdGEgPSByZWFkRmlsZVN5bmMocGF0aC5yZXNvbHZlKF9fZGlybmFtZSwgYC4uL3Jlc291cmNlcy80NDEwMGh6X3Rlc3QucGNtYCkpO1xuICBjb25zdCBmcmFtZXNDb3VudCA9IHBjbURhdGEubGVuZ3RoIC8gNDtcbiAgY29uc3QgaW50ZXJsZWF2ZWQgPSBCdWZmZXIuYWxsb2MoZnJhbWVzQ291bnQgKiAyICogNCk7XG4gIGNvbnN0IHBsYW5hciA9IFtuZXcgRmxvYXQzMkFycmF5KGZyYW1lc0NvdW50KSwgbmV3IEZsb2F0MzJBcnJheShmcmFtZXNDb3VudCldO1xuICBmb3IgKGxldCBpID0gMDsgaSA8IGZyYW1lc0NvdW50OyBpKyspIHtcbiAgICBmb3IgKGxldCBjaGFubmVsID0gMDsgY2hhbm5lbCA8IDI7IGNoYW5uZWwrKykge1xuICAgICAgY29uc3Qgc2FtcGxlID0gcGNtRGF0YS5yZWFkSW50MTZMRSgoaSAqIDIgKyBjaGFubmVsKSAqIDIpIC8gMHg4MDAwO1xuICAgICAgcGxhbmFyW2NoYW5uZWxdW2ldID0gc2FtcGxlO1xuICAgICAgaW50ZXJsZWF2ZWQud3JpdGVGbG9hdExFKHNhbXBsZSwgKGkgKiAyICsgY2hhbm5lbCkgKiA0KTtcbiAgICB9XG4gIH1cblxuICBjb25zdCBpbnRlcmxlYXZlZFJlc2FtcGxlciA9IG5ldyBTcGVleFJlc2FtcGxlcigyLCA0NDEwMCwgNDgwMDAsIDcsIHtmb3JtYXQ6ICdmbG9hdDMyJ30pO1xuICBjb25zdCBpbnRlcmxlYXZlZFJlcyA9IEJ1ZmZlci5jb25jYXQoW2ludGVybGVhdmVkUmVzYW1wbGVyLnByb2Nlc3NDaHVuayhpbnRlcmxlYXZlZCksIGludGVybGVhdmVkUmVzYW1wbGVyLmZsdXNoKCldKTtcblxuICBjb25zdCBwbGFuYXJSZXNhbXBsZXIgPSBuZXcgU3BlZXhSZXNhbXBsZXIoMiwgNDQxMDAsIDQ4MDAwLCA3KTtcbiAgY29uc3QgbWF4T3V0RnJhbWVzQ291bnQgPSBNYXRoLmNlaWwoZnJhbWVzQ291bnQgKiA0ODAwMCAvIDQ0MTAwKSArIDE7XG4gIGNvbnN0IG91dHB1dCA9IFtuZXcgRmxvYXQzMkFycmF5KG1heE91dEZyYW1lc0NvdW50KSwgbmV3IEZsb2F0MzJBcnJheShtYXhPdXRGcmFtZXNDb3VudCldO1xuICBjb25zdCBwbGFuYXJSZXMgPSBwbGFuYXJSZXNhbXBsZXIucHJvY2Vzc1BsYW5hcihwbGFuYXIsIG91dHB1dCk7XG4gIGFzc2VydChwbGFuYXJSZXNbMF0uYnVmZmVyID09PSBvdXRwdXRbMF0uYnVmZmVyLCAnUGxhbmFyIG91dHB1dCBzaG91bGQgYmUgd3JpdHRlbiBpbiB0aGUgcHJvdmlkZWQgYXJyYXlzJyk7XG4gIGNvbnN0IHBsYW5hclRhaWwgPSBwbGFuYXJSZXNhbXBsZXIuZmx1c2hQbGFuYXIoKTtcbiAgY29uc3QgcGxhbmFyRnJhbWVzQ291bnQgPSBwbGFuYXJSZXNbMF0ubGVuZ3RoICsgcGxhbmFyVGFpbFswXS5sZW5ndGg7XG5cbiAgY29uc29sZS5sb2coYEludGVybGVhdmVkIG91dHB1dDogJHtpbnRlcmxlYXZlZFJlcy5sZW5ndGggLyA4fSBmcmFtZXMsIHBsYW5hciBvdXRwdXQ6ICR7cGxhbmFyRnJhbWVzQ291bnR9IGZyYW1lc2ApO1xuICBhc3NlcnQocGxhbmFyRnJhbWVzQ291bnQgPT09IGludGVybGVhdmVkUmVzLmxlbmd0aCAvIDgsIGBQbGFuYXIgb3V0cHV0IGZyYW1lcyBjb3VudCBub3QgbWF0Y2hpbmcgaW50ZXJsZWF2ZWQgb3V0cHV0YCk7XG4gIGZvciAobGV0IGkgPSAwOyBpIDwgcGxhbmFyRnJhbWVzQ291bnQ7IGkrKykge1xuICAgIGZvciAobGV0IGNoYW5uZWwgPSAwOyBjaGFubmVsIDwgMjsgY2hhbm5lbCsrKSB7XG4gICAgICBjb25zdCBwbGFuYXJTYW1wbGUgPSBpIDwgcGxhbmFyUmVzW2NoYW5uZWxdLmxlbmd0aCA/IHBsYW5hclJlc1tjaGFubmVsXVtpXSA6IHBsYW5hclRhaWxbY2hhbm5lbF1baSAtIHBsYW5hclJlc1tjaGFubmVsXS5sZW5ndGhdO1xuICAgICAgY29uc3QgaW50ZXJsZWF2ZWRTYW1wbGUgPSBpbnRlcmxlYXZlZFJlcy5yZWFkRmxvYXRMRSgoaSAqIDIgKyBjaGFubmVsKSAqIDQpO1xuICAgICAgYXNzZXJ0KHBsYW5hclNhbXBsZSA9PT0gaW50ZXJsZWF2ZWRTYW1wbGUsIGBQbGFuYXIgc2FtcGxlICR7aX0gb2YgY2hhbm5lbCAke2NoYW5uZWx9IG5vdCBtYXRjaGluZyBpbnRlcmxlYXZlZCBvdXRwdXQ6ICR7cGxhbmFyU2FtcGxlfSAhPSAke2ludGVybGVhdmVkU2FtcGxlfWApO1xuICAgIH1cbiAgfVxuICBhc3NlcnRUaHJvd3MoKCkgPT4gcGxhbmFyUmVzYW1wbGVyLnByb2Nlc3NQbGFuYXIoW3BsYW5hclswXV0pLCAncHJvY2Vzc1BsYW5hciBzaG91bGQgdGhyb3cgd2l0aCBhIHdyb25nIG51bWJlciBvZiBjaGFubmVscycpO1xuICBjb25zb2xlLmxvZygpO1xufVxuXG5jb25zdCB6ZXJvQ29weVRlc3QgPSBhc3luYyAoKSA9PiB7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuICBjb25zb2xlLmxvZygnWmVyby1jb3B5IFRlc3QnKTtcbiAgY29uc29sZS5sb2coJz09PT09PT09PT09PT09PT09Jyk7XG5cbiAgLy8gMTBtcyBmcmFtZXMgb2YgNDhrSHogc3RlcmVvIGZsb2F0MzJcbiAgY29uc3QgZnJhbWVMZW5ndGggPSA0ODAgKiAyO1xuICBjb25zdCBmcmFtZXNDb3VudCA9IDEwMDtcbiAgY29uc3QgaW5wdXQgPSBuZXcgRmxvYXQzMkFycmF5KGZyYW1lTGVuZ3RoICogZnJhbWVzQ291bnQpO1xuICBmb3IgKGxldCBpID0gMDsgaSA8IGlucHV0Lmxlbmd0aDsgaSsrKSB7XG4gICAgaW5wdXRbaV0gPSBNYXRoLnNpbihpIC8gMiAqIDIgKiBNYXRoLlBJICogNDQwIC8gNDgwMDApICogMC41O1xuICB9XG4gIGNvbnN0IGZyYW1lcyA9IEFycmF5LmZyb20oe2xlbmd0aDogZnJhbWVzQ291bnR9LCAoXywgaSkgPT4gaW5wdXQuc3ViYXJyYXkoaSAqIGZyYW1lTGVuZ3RoLCAoaSArIDEpICogZnJhbWVMZW5ndGgpKTtcblxuICBjb25zdCBvdXRwdXQgPSBuZXcgRmxvYXQzMkFycmF5KGZyYW1lTGVuZ3RoKTtcbiAgY29uc3QgcHJvY2Vzc29ycyA9IHtcbiAgICBjb3B5OiAocmVzYW1wbGVyOiBTcGVleFJlc2FtcGxlciwgZnJhbWU6IEZsb2F0MzJBcnJheSkgPT4gcmVzYW1wbGVyLnByb2Nlc3NDaHVuayhCdWZmZXIuZnJvbShmcmFtZS5idWZmZXIsIGZyYW1lLmJ5dGVPZmZzZXQsIGZyYW1lLmJ5dGVMZW5ndGgpKSxcbiAgICB2aWV3OiAocmVzYW1wbGVyOiBTcGVleFJlc2FtcGxlciwgZnJhbWU6IEZsb2F0MzJBcnJheSkgPT4gcmVzYW1wbGVyLnByb2Nlc3NDaHVuayhmcmFtZSksXG4gICAgcHJvY2Vzc0ludG86IChyZXNhbXBsZXI6IFNwZWV4UmVzYW1wbGVyLCBmcmFtZTogRmxvYXQzMkFycmF5KSA9PiB7XG4gICAgICBjb25zdCBvdXRGcmFtZXNDb3VudCA9IHJlc2FtcGxlci5wcm9jZXNzSW50byhmcmFtZSwgb3V0cHV0KTtcbiAgICAgIHJldHVybiBCdWZmZXIuZnJvbShvdXRwdXQuYnVmZmVyLCAwLCBvdXRGcmFtZXNDb3VudCAqIDIgKiBGbG9hdDMyQXJyYXkuQllURVNfUEVSX0VMRU1FTlQpO1xuICAgIH0sXG4gIH07XG4gIGNvbnN0IGNyZWF0ZVJlc2FtcGxlciA9IChtb2RlOiBzdHJpbmcpID0+IG5ldyBTcGVleFJlc2FtcGxlcigyLCA0ODAwMCwgNDQxMDAsIDcsIHtyZXR1cm5WaWV3OiBtb2RlID09PSAndmlldyd9KTtcblxuICAvLyBjaGVja2luZyB0aGF0IGV2ZXJ5IG1vZGUgb3V0cHV0cyB0aGUgc2FtZSBkYXRhXG4gIGNvbnN0IHJlZmVyZW5jZVJlc2FtcGxlciA9IGNyZWF0ZVJlc2FtcGxlcignY29weScpO1xuICBjb25zdCByZWZlcmVuY2UgPSBCdWZmZXIuY29uY2F0KGZyYW1lcy5tYXAoKGZyYW1lKSA9PiBwcm9jZXNzb3JzLmNvcHkocmVmZXJlbmNlUmVzYW1wbGVyLCBmcmFtZSkpKTtcbiAgZm9yIChjb25zdCBtb2RlIG9mIE9iamVjdC5rZXlzKHByb2Nlc3NvcnMpKSB7XG4gICAgY29uc3QgcmVzYW1wbGVyID0gY3JlYXRlUmVzYW1wbGVyKG1vZGUpO1xuICAgIGxldCBvZmZzZXQgPSAwO1xuICAgIGZvciAoY29uc3QgZnJhbWUgb2YgZnJhbWVzKSB7XG4gICAgICBjb25zdCByZXMgPSBwcm9jZXNzb3JzW21vZGVdKHJlc2FtcGxlciwgZnJhbWUpO1xuICAgICAgYXNzZXJ0KHJlcy5lcXVhbHMocmVmZXJlbmNlLnNsaWNlKG9mZnNldCwgb2Zmc2V0ICsgcmVzLmxlbmd0aCkpLCBgJHttb2RlfSBvdXRwdXQgbm90IG1hdGNoaW5nIHJlZmVyZW5jZSBvdXRwdXRgKTtcbiAgICAgIG9mZnNldCArPSByZXMubGVuZ3RoO1xuICAgIH1cbiAgICBhc3NlcnQob2Zmc2V0ID09PSByZWZlcmVuY2UubGVuZ3RoLCBgJHttb2RlfSBvdXRwdXQgbGVuZ3RoIG5vdCBtYXRjaGluZyByZWZlcmVuY2Ugb3V0cHV0YCk7XG4gIH1cblxuICAvLyBwcm9jZXNzSW50byBvbmx5IHdyaXRlcyB0aGUgcmVzYW1wbGVkIGZyYW1lcyBpbiB0aGUgY2FsbGVyJ3MgYXJyYXlcbiAgY29uc3QgaW50b1Jlc2FtcGxlciA9IGNyZWF0ZVJlc2FtcGxlcigncHJvY2Vzc0ludG8nKTtcbiAgY29uc3Qgc2VudGluZWwgPSAtMjtcbiAgb3V0cHV0LmZpbGwoc2VudGluZWwpO1xuICBjb25zdCBvdXRGcmFtZXNDb3VudCA9IGludG9SZXNhbXBsZXIucHJvY2Vzc0ludG8oZnJhbWVzWzBdLCBvdXRwdXQpO1xuICBhc3NlcnQob3V0RnJhbWVzQ291bnQgPiAwICYmIG91dHB1dFtvdXRGcmFtZXNDb3VudCAqIDIgLSAxXSAhPT0gc2VudGluZWwsICdwcm9jZXNzSW50byBzaG91bGQgd3JpdGUgdGhlIG91dHB1dCBpbiB0aGUgZ2l2ZW4gYXJyYXknKTtcbiAgYXNzZXJ0KG91dHB1dC5zdWJhcnJheShvdXRGcmFtZXNDb3VudCAqIDIpLmV2ZXJ5KChzYW1wbGUpID0+IHNhbXBsZSA9PT0gc2VudGluZWwpLCAncHJvY2Vzc0ludG8gc2hvdWxkIG5vdCB3cml0ZSBhZnRlciB0aGUgcmVzYW1wbGVkIGZyYW1lcycpO1xuXG4gIC8vIHJldHVyblZpZXcgYWx3YXlzIHJldHVybnMgdGhlIHNhbWUgbWVtb3J5LCBvdmVyd3JpdHRlbiBieSB0aGUgbmV4dCBjYWxsXG4gIGZvciAoY29uc3QgZm9ybWF0IG9mIFsnZmxvYXQzMicsICdpbnQxNicsICdpbnQyNCddIGFzIFNhbXBsZUZvcm1hdFtdKSB7XG4gICAgY29uc3Qgdmlld1Jlc2FtcGxlciA9IG5ldyBTcGVleFJlc2FtcGxlcigyLCA0ODAwMCwgNDQxMDAsIDcsIHtyZXR1cm5WaWV3OiB0cnVlLCBpbkZvcm1hdDogJ2Zsb2F0MzInLCBvdXRGb3JtYXQ6IGZvcm1hdH0pO1xuICAgIGNvbnN0IGZpcnN0ID0gdmlld1Jlc2FtcGxlci5wcm9jZXNzQ2h1bmsoZnJhbWVzWzFdKTtcbiAgICBjb25zdCBmaXJzdENvcHkgPSBCdWZmZXIuZnJvbShmaXJzdCk7XG4gICAgY29uc3Qgc2Vjb25kID0gdmlld1Jlc2FtcGxlci5wcm9jZXNzQ2h1bmsoZnJhbWVzWzJdKTtcbiAgICBhc3NlcnQoZmlyc3QuYnVmZmVyID09PSBzZWNvbmQuYnVmZmVyICYmIGZpcnN0LmJ5dGVPZmZzZXQgPT09IHNlY29uZC5ieXRlT2Zmc2V0LCBgcmV0dXJuVmlldyBzaG91bGQgcmV1c2UgdGhlIHNhbWUgJHtmb3JtYXR9IG91dHB1dCBtZW1vcnlgKTtcbiAgICBhc3NlcnQoIWZpcnN0LmVxdWFscyhmaXJzdENvcHkpLCBgcmV0dXJuVmlldyAke2Zvcm1hdH0gb3V0cHV0IHNob3VsZCBiZSBvdmVyd3JpdHRlbiBieSB0aGUgbmV4dCBjYWxsYCk7XG4gICAgdmlld1Jlc2FtcGxlci5kZXN0cm95KCk7XG4gIH1cbiAgY29uc29sZS5sb2coJ09LJyk7XG4gIGNvbnNvbGUubG9nKCk7XG59XG5cbmNvbnN0IGluaXRUZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ0luaXQgVGVzdCcpO1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcblxuICAvLyBpbiBhIG5ldyBwcm9jZXNzIHRvIGNvdW50IHRoZSBpbnN0YW50aWF0aW9ucyBmcm9tIHRoZSBpbXBvcnQsIGxpa2UgaW4gYSBwb29sIHdvcmtlclxuICBjb25zdCBpbnN0YW50aWF0aW9uc0NvdW50ID0gZXhlY0ZpbGVTeW5jKHByb2Nlc3MuZXhlY1BhdGgsIFsnLWUnLCBgXG4gICAgbGV0IGNvdW50ID0gMDtcbiAgICBjb25zdCBpbnN0YW50aWF0ZSA9IFdlYkFzc2VtYmx5Lmluc3RhbnRpYXRlO1xuICAgIFdlYkFzc2VtYmx5Lmluc3RhbnRpYXRlID0gKC4uLmFyZ3MpID0+IHsgY291bnQrKzsgcmV0dXJuIGluc3RhbnRpYXRlKC4uLmFyZ3MpOyB9O1xuICAgIGNvbnN0IFNwZWV4UmVzYW1wbGVyID0gcmVxdWlyZSgke0pTT04uc3RyaW5naWZ5KHBhdGguam9pbihfX2Rpcm5hbWUsICdyZXNhbXBsZXInKSl9KS5kZWZhdWx0O1xuICAgIFNwZWV4UmVzYW1wbGVyLmluaXRTeW5jKCk7XG4gICAgU3BlZXhSZXNhbXBsZXIuaW5pdFByb21pc2UudGhlbigoKSA9PiBjb25zb2xlLmxvZyhjb3VudCkpO1xuICBgXSkudG9TdHJpbmcoKS50cmltKCk7XG4gIGFzc2VydChpbnN0YW50aWF0aW9uc0NvdW50ID09PSAnMCcsIGBpbml0UHJvbWlzZSBzaG91bGQgcmV1c2UgdGhlIG1vZHVsZSBvZiBpbml0U3luYywgJHtpbnN0YW50aWF0aW9uc0NvdW50fSBhc3luYyBpbnN0YW50aWF0aW9uc2ApO1xuXG4gIC8vIGNhbGxlZCBzeW5jaHJvbm91c2x5LCBiZWZvcmUgdGhlIGFzeW5jIGluc3RhbnRpYXRpb25cbiAgU3BlZXhSZXNhbXBsZXIuaW5pdFN5bmMoKTtcbiAgY29uc3QgcmVzYW1wbGVyID0gbmV3IFNwZWV4UmVzYW1wbGVyKDIsIDQ0MTAwLCA0ODAwMCwgNyk7XG4gIGNvbnN0IHJlcyA9IHJlc2FtcGxlci5wcm9jZXNzQ2h1bmsobmV3IEZsb2F0MzJBcnJheSg0NDEgKiAyKSk7XG4gIGFzc2VydChyZXMubGVuZ3RoID4gMCwgJ1Jlc2FtcGxlciBzaG91bGQgYmUgdXNhYmxlIHJpZ2h0IGFmdGVyIGluaXRTeW5jJyk7XG4gIC8vIGluaXRQcm9taXNlIHJlc29sdmluZyBsYXRlciBzaG91bGQgbm90IHJlcGxhY2UgdGhlIG1vZHVsZSB1c2VkIGJ5IHJlc2FtcGxlclxuICBhd2FpdCBTcGVleFJlc2FtcGxlci5pbml0UHJvbWlzZTtcbiAgcmVzYW1wbGVyLnByb2Nlc3NDaHVuayhuZXcgRmxvYXQzMkFycmF5KDQ0MSAqIDIpKTtcbiAgcmVzYW1wbGVyLmRlc3Ryb3koKTtcblxuICBjb25zdCBjcmVhdGVkUmVzYW1wbGVyID0gYXdhaXQgU3BlZXhSZXNhbXBsZXIuY3JlYXRlKDIsIDQ0MTAwLCA0ODAwMCk7XG4gIGFzc2VydChjcmVhdGVkUmVzYW1wbGVyIGluc3RhbmNlb2YgU3BlZXhSZXNhbXBsZXIsICdTcGVleFJlc2FtcGxlci5jcmVhdGUgc2hvdWxkIHJlc29sdmUgdG8gYSBTcGVleFJlc2FtcGxlcicpO1xuICBjcmVhdGVkUmVzYW1wbGVyLmRlc3Ryb3koKTtcbiAgY29uc3QgY3JlYXRlZFRyYW5zZm9ybSA9IGF3YWl0IFNwZWV4UmVzYW1wbGVyVHJhbnNmb3JtLmNyZWF0ZSgyLCA0NDEwMCwgNDgwMDApO1xuICBhc3NlcnQoY3JlYXRlZFRyYW5zZm9ybSBpbnN0YW5jZW9mIFNwZWV4UmVzYW1wbGVyVHJhbnNmb3JtLCAnU3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm0uY3JlYXRlIHNob3VsZCByZXNvbHZlIHRvIGEgU3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm0nKTtcbiAgY3JlYXRlZFRyYW5zZm9ybS5kZXN0cm95KCk7XG4gIGNvbnNvbGUubG9nKCdPSycpO1xuICBjb25zb2xlLmxvZygpO1xufVxuXG5jb25zdCBhdWRpb1dvcmtsZXRUZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ0F1ZGlvV29ya2xldCBUZXN0Jyk7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuXG4gIC8vIHN0dWJiaW5nIHRoZSBBdWRpb1dvcmtsZXRHbG9iYWxTY29wZSBiZWZvcmUgbG9hZGluZyB0aGUgcHJvY2Vzc29yXG4gIGNvbnN0IHJlZ2lzdGVyZWRQcm9jZXNzb3JzID0ge307XG4gIGNvbnN0IHNjb3BlID0gZ2xvYmFsVGhpcyBhcyBhbnk7XG4gIHNjb3BlLnNhbXBsZVJhdGUgPSA0ODAwMDtcbiAgc2NvcGUuQXVkaW9Xb3JrbGV0UHJvY2Vzc29yID0gY2xhc3Mge1xuICAgIHBvcnQgPSB7XG4gICAgICBvbm1lc3NhZ2U6IG51bGwsXG4gICAgICBtZXNzYWdlczogW10sXG4gICAgICB0cmFuc2ZlcnM6IFtdLFxuICAgICAgcG9zdE1lc3NhZ2UobWVzc2FnZSwgdHJhbnNmZXIpIHtcbiAgICAgICAgdGhpcy5tZXNzYWdlcy5wdXNoKG1lc3NhZ2UpO1xuICAgICAgICB0aGlzLnRyYW5zZmVycy5wdXNoKHRyYW5zZmVyKTtcbiAgICAgIH0sXG4gICAgfTtcbiAgfTtcbiAgc2NvcGUucmVnaXN0ZXJQcm9jZXNzb3IgPSAobmFtZSwgcHJvY2Vzc29yQ3RvcikgPT4gcmVnaXN0ZXJlZFByb2Nlc3NvcnNbbmFtZV0gPSBwcm9jZXNzb3JDdG9yO1xuICBjb25zdCB7IFNQRUVYX1JFU0FNUExFUl9QUk9DRVNTT1JfTkFNRSB9ID0gYXdhaXQgaW1wb3J0KCcuL3dvcmtsZXQnKTtcbiAgY29uc3QgUHJvY2Vzc29yID0gcmVnaXN0ZXJlZFByb2Nlc3NvcnNbU1BFRVhfUkVTQU1QTEVSX1BST0NFU1NPUl9OQU1FXTtcbiAgYXNzZXJ0KFByb2Nlc3NvciwgJ1Byb2Nlc3NvciBzaG91bGQgYmUgcmVnaXN0ZXJlZCcpO1xuXG4gIGNvbnN0IHByb2Nlc3NvciA9IG5ldyBQcm9jZXNzb3Ioe3Byb2Nlc3Nvck9wdGlvbnM6IHtvdXRSYXRlOiAxNjAwMCwgZm9ybWF0OiAnaW50MTYnLCBmcmFtZVNpemU6IDMyMH19KTtcbiAgLy8gMXMgb2Ygc3RlcmVvIDQ0MEh6IHNpbmUgaW4gcmVuZGVyIHF1YW50YSBvZiAxMjggZnJhbWVzLCB0aGUgcHJvY2Vzc29yIG9ubHkga2VlcHMgdGhlIGZpcnN0IGNoYW5uZWxcbiAgY29uc3QgcXVhbnRhQ291bnQgPSAzNzU7XG4gIGZvciAobGV0IHF1YW50dW0gPSAwOyBxdWFudHVtIDwgcXVhbnRhQ291bnQ7IHF1YW50dW0rKykge1xuICAgIGNvbnN0IGNoYW5uZWwgPSBuZXcgRmxvYXQzMkFycmF5KDEyOCk7XG4gICAgZm9yIChsZXQgaSA9IDA7IGkgPCAxMjg7IGkrKykge1xuICAgICAgY2hhbm5lbFtpXSA9IE1hdGguc2luKChxdWFudHVtICogMTI4ICsgaSkgKiAyICogTWF0aC5QSSAqIDQ0MCAvIDQ4MDAwKSAqIDAuNTtcbiAgICB9XG4gICAgYXNzZXJ0KHByb2Nlc3Nvci5wcm9jZXNzKFtbY2hhbm5lbCwgY2hhbm5lbF1dLCBbXSwge30pID09PSB0cnVlLCAncHJvY2VzcyBzaG91bGQga2VlcCB0aGUgcHJvY2Vzc29yIGFsaXZlJyk7XG4gIH1cbiAgcHJvY2Vzc29yLnBvcnQub25tZXNzYWdlKHtkYXRhOiB7dHlwZTogJ2ZsdXNoJ319KTtcbiAgY29uc3QgbWVzc2FnZXMgPSBwcm9jZXNzb3IucG9ydC5tZXNzYWdlcztcbiAgY29uc3QgdG90YWxGcmFtZXMgPSBtZXNzYWdlcy5yZWR1Y2UoKGZyYW1lcywgbWVzc2FnZSkgPT4gZnJhbWVzICsgbWVzc2FnZS5mcmFtZXMsIDApO1xuICBjb25zb2xlLmxvZyhgUmVjZWl2ZWQgJHttZXNzYWdlcy5sZW5ndGh9IG1lc3NhZ2VzLCAke3RvdGFsRnJhbWVzfSBmcmFtZXNgKTtcbiAgYXNzZXJ0KG1lc3NhZ2VzLnNsaWNlKDAsIC0xKS5ldmVyeSgobWVzc2FnZSkgPT4gbWVzc2FnZS5mcmFtZXMgPT09IDMyMCAmJiBtZXNzYWdlLmRhdGEuYnl0ZUxlbmd0aCA9PT0gMzIwICogMiksICdFdmVyeSBtZXNzYWdlIGJ1dCB0aGUgbGFzdCBzaG91bGQgYmUgMzIwIGludDE2IGZyYW1lcycpO1xuICBhc3NlcnQobWVzc2FnZXMuZXZlcnkoKG1lc3NhZ2UsIGkpID0+IHByb2Nlc3Nvci5wb3J0LnRyYW5zZmVyc1tpXVswXSA9PT0gbWVzc2FnZS5kYXRhKSwgJ0ZyYW1lcyBkYXRhIHNob3VsZCBiZSB0cmFuc2ZlcnJlZCcpO1xuICAvLyB0aGUgZmlsdGVyIGRlbGF5IGlzIGtlcHQgYXQgdGhlIHN0YXJ0IG9mIHRoZSBvdXRwdXRcbiAgY29uc3QgZXhwZWN0ZWRGcmFtZXMgPSAxNjAwMCArIHByb2Nlc3Nvci5yZXNhbXBsZXIub3V0cHV0TGF0ZW5jeTtcbiAgYXNzZXJ0KHRvdGFsRnJhbWVzID09PSBleHBlY3RlZEZyYW1lcywgYEV4cGVjdGVkICR7ZXhwZWN0ZWRGcmFtZXN9IGZyYW1lcywgZ290ICR7dG90YWxGcmFtZXN9YCk7XG5cbiAgcHJvY2Vzc29yLnBvcnQub25tZXNzYWdlKHtkYXRhOiB7dHlwZTogJ2Nsb3NlJ319KTtcbiAgYXNzZXJ0KHByb2Nlc3Nvci5wcm9jZXNzKFtbbmV3IEZsb2F0MzJBcnJheSgxMjgpXV0sIFtdLCB7fSkgPT09IGZhbHNlLCAncHJvY2VzcyBzaG91bGQgc3RvcCB0aGUgcHJvY2Vzc29yIG9uY2UgY2xvc2VkJyk7XG4gIGNvbnNvbGUubG9nKCk7XG59XG5cbmNvbnN0IHdhdlRlc3QgPSBhc3luYyAoKSA9PiB7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuICBjb25zb2xlLmxvZygnV0FWIFRlc3QnKTtcbiAgY29uc29sZS5sb2coJz09PT09PT09PT09PT09PT09Jyk7XG5cbiAgY29uc3QgcGNtRGF0YSA9IHJlYWRGaWxlU3luYyhwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzQ0MTAwaHpfdGVzdC5wY21gKSk7XG4gIGNvbnN0IGlucHV0SGVhZGVyID0gY3JlYXRlV2F2SGVhZGVyKHtmb3JtYXQ6ICdpbnQxNicsIGNoYW5uZWxzOiAyLCBzYW1wbGVSYXRlOiA0NDEwMH0sIHBjbURhdGEubGVuZ3RoKTtcbiAgLy8gYWRkaW5nIGEgTElTVCBjaHVuayBiZWZvcmUgdGhlIGRhdGEgY2h1bmsgYW5kIHNvbWUgbWV0YWRhdGEgYWZ0ZXIgaXQsIGJvdGggc2hvdWxkIGJlIGlnbm9yZWRcbiAgY29uc3QgbGlzdENodW5rID0gQnVmZmVyLmNvbmNhdChbQnVmZmVyLmZyb20oJ0xJU1QnKSwgQnVmZmVyLmZyb20oWzMsIDAsIDAsIDBdKSwgQnVmZmVyLmZyb20oJ2FiYycpLCBCdWZmZXIuYWxsb2MoMSldKTtcbiAgY29uc3Qgd2F2RGF0YSA9IEJ1ZmZlci5jb25jYXQoW1xuICAgIGlucHV0SGVhZGVyLnNsaWNlKDAsIGlucHV0SGVhZGVyLmxlbmd0aCAtIDgpLFxuICAgIGxpc3RDaHVuayxcbiAgICBpbnB1dEhlYWRlci5zbGljZShpbnB1dEhlYWRlci5sZW5ndGggLSA4KSxcbiAgICBwY21EYXRhLFxuICAgIEJ1ZmZlci5mcm9tKCdpZDMgJyksXG4gICAgQnVmZmVyLmFsbG9jKDQpLFxuICBdKTtcbiAgd2F2RGF0YS53cml0ZVVJbnQzMkxFKHdhdkRhdGEucmVhZFVJbnQzMkxFKDQpICsgbGlzdENodW5rLmxlbmd0aCArIDgsIDQpO1xuICBjb25zdCBleHBlY3RlZEZyYW1lcyA9IE1hdGgucm91bmQocGNtRGF0YS5sZW5ndGggLyA0ICogNDgwMDAgLyA0NDEwMCkgKyBvdXRwdXRMYXRlbmN5T2YoNDQxMDAsIDQ4MDAwKTtcblxuICAvLyBzZWVrYWJsZSBkZXN0aW5hdGlvbiwgdGhlIGhlYWRlciBzaG91bGQgYmUgcGF0Y2hlZFxuICBjb25zdCBvdXRwdXRQYXRoID0gcGF0aC5qb2luKG9zLnRtcGRpcigpLCBgc3BlZXgtcmVzYW1wbGVyLXRlc3QtJHtwcm9jZXNzLnBpZH0ud2F2YCk7XG4gIGNvbnN0IGZpbGVUcmFuc2Zvcm0gPSBuZXcgV2F2UmVzYW1wbGVyVHJhbnNmb3JtKDQ4MDAwKTtcbiAgY29uc3QgaW5wdXQgPSBuZXcgUGFzc1Rocm91Z2goKTtcbiAgY29uc3Qgb3V0cHV0ID0gY3JlYXRlV3JpdGVTdHJlYW0ob3V0cHV0UGF0aCk7XG4gIGlucHV0LnBpcGUoZmlsZVRyYW5zZm9ybSkucGlwZShvdXRwdXQpO1xuICAvLyBzZW5kaW5nIHRoZSBmaWxlIGluIHNtYWxsIGNodW5rcyB0byBzcGxpdCB0aGUgaGVhZGVyXG4gIGZvciAobGV0IG9mZnNldCA9IDA7IG9mZnNldCA8IHdhdkRhdGEubGVuZ3RoOyBvZmZzZXQgKz0gMTAwMCkge1xuICAgIGlucHV0LndyaXRlKHdhdkRhdGEuc2xpY2Uob2Zmc2V0LCBvZmZzZXQgKyAxMDAwKSk7XG4gIH1cbiAgaW5wdXQuZW5kKCk7XG4gIGF3YWl0IG5ldyBQcm9taXNlKChyKSA9PiBvdXRwdXQub24oJ2ZpbmlzaCcsIHIpKTtcbiAgY29uc3Qgb3V0cHV0RmlsZSA9IHJlYWRGaWxlU3luYyhvdXRwdXRQYXRoKTtcbiAgdW5saW5rU3luYyhvdXRwdXRQYXRoKTtcbiAgY29uc3Qgb3V0cHV0SGVhZGVyID0gcGFyc2VXYXZIZWFkZXIob3V0cHV0RmlsZSk7XG4gIGNvbnNvbGUubG9nKGBGaWxlIG91dHB1dDogJHtvdXRwdXRIZWFkZXIuY2hhbm5lbHN9IGNoYW5uZWwocykgJHtvdXRwdXRIZWFkZXIuZm9ybWF0fSBhdCAke291dHB1dEhlYWRlci5zYW1wbGVSYXRlfUh6LCAke291dHB1dEhlYWRlci5kYXRhTGVuZ3RofSBieXRlc2ApO1xuICBhc3NlcnQob3V0cHV0SGVhZGVyLmZvcm1hdCA9PT0gJ2ludDE2JyAmJiBvdXRwdXRIZWFkZXIuY2hhbm5lbHMgPT09IDIgJiYgb3V0cHV0SGVhZGVyLnNhbXBsZVJhdGUgPT09IDQ4MDAwLCAnT3V0cHV0IGZvcm1hdCBub3QgbWF0Y2hpbmcgaW5wdXQgZm9ybWF0Jyk7XG4gIGFzc2VydChvdXRwdXRIZWFkZXIuZGF0YUxlbmd0aCA9PT0gZXhwZWN0ZWRGcmFtZXMgKiA0LCBgT3V0cHV0IGRhdGEgbGVuZ3RoIG5vdCBtYXRjaGluZywgZXhwZWN0ZWQ6ICR7ZXhwZWN0ZWRGcmFtZXMgKiA0fSAhPSBvdXQ6JHtvdXRwdXRIZWFkZXIuZGF0YUxlbmd0aH1gKTtcbiAgYXNzZXJ0KG91dHB1dEZpbGUubGVuZ3RoID09PSBvdXRwdXRIZWFkZXIuZGF0YU9mZnNldCArIG91dHB1dEhlYWRlci5kYXRhTGVuZ3RoLCAnT3V0cHV0IGZpbGUgbGVuZ3RoIG5vdCBtYXRjaGluZyBpdHMgaGVhZGVyJyk7XG4gIGFzc2VydChvdXRwdXRGaWxlLnJlYWRVSW50MzJMRSg0KSA9PT0gb3V0cHV0RmlsZS5sZW5ndGggLSA4LCAnUklGRiBjaHVuayBzaXplIG5vdCBtYXRjaGluZyBmaWxlIGxlbmd0aCcpO1xuXG4gIC8vIG5vbiBzZWVrYWJsZSBkZXN0aW5hdGlvbiwgdGhlIGhlYWRlciBzaG91bGQgaGF2ZSBwbGFjZWhvbGRlciBzaXplc1xuICBjb25zdCBzdHJlYW1UcmFuc2Zvcm0gPSBuZXcgV2F2UmVzYW1wbGVyVHJhbnNmb3JtKDE2MDAwLCA3LCB7Zm9ybWF0OiAnZmxvYXQzMid9KTtcbiAgY29uc3QgY2h1bmtzOiBCdWZmZXJbXSA9IFtdO1xuICBzdHJlYW1UcmFuc2Zvcm0ub24oJ2RhdGEnLCAoZCkgPT4gY2h1bmtzLnB1c2goZCkpO1xuICBzdHJlYW1UcmFuc2Zvcm0uZW5kKHdhdkRhdGEpO1xuICBhd2FpdCBuZXcgUHJvbWlzZSgocikgPT4gc3RyZWFtVHJhbnNmb3JtLm9uKCdlbmQnLCByKSk7XG4gIGNvbnN0IHN0cmVhbU91dHB1dCA9IEJ1ZmZlci5jb25jYXQoY2h1bmtzKTtcbiAgY29uc3Qgc3RyZWFtSGVhZGVyID0gcGFyc2VXYXZIZWFkZXIoc3RyZWFtT3V0cHV0KTtcbiAgYXNzZXJ0KHN0cmVhbUhlYWRlci5mb3JtYXQgPT09ICdmbG9hdDMyJyAmJiBzdHJlYW1IZWFkZXIuc2FtcGxlUmF0ZSA9PT0gMTYwMDAsICdPdXRwdXQgZm9ybWF0IG5vdCBtYXRjaGluZyByZXF1ZXN0ZWQgZm9ybWF0Jyk7XG4gIGFzc2VydChzdHJlYW1IZWFkZXIuZGF0YUxlbmd0aCA9PT0gbnVsbCwgJ1N0cmVhbWVkIG91dHB1dCBzaG91bGQgaGF2ZSBhbiB1bmtub3duIGRhdGEgbGVuZ3RoJyk7XG4gIGNvbnN0IGZpbmFsSGVhZGVyID0gcGFyc2VXYXZIZWFkZXIoc3RyZWFtVHJhbnNmb3JtLmhlYWRlcik7XG4gIGFzc2VydChmaW5hbEhlYWRlci5kYXRhTGVuZ3RoID09PSBzdHJlYW1PdXRwdXQubGVuZ3RoIC0gc3RyZWFtSGVhZGVyLmRhdGFPZmZzZXQsICdGaW5hbCBoZWFkZXIgZGF0YSBsZW5ndGggbm90IG1hdGNoaW5nIG91dHB1dCcpO1xuICBhc3NlcnQoc3RyZWFtVHJhbnNmb3JtLmhlYWRlci5sZW5ndGggPT09IHN0cmVhbUhlYWRlci5kYXRhT2Zmc2V0LCAnRmluYWwgaGVhZGVyIHNob3VsZCBoYXZlIHRoZSBzYW1lIGxlbmd0aCBhcyB0aGUgcGxhY2Vob2xkZXIgaGVhZGVyJyk7XG5cbiAgLy8gaW52YWxpZCBwYXJhbWV0ZXJzIG9ubHkga25vd24gb25jZSB0aGUgaGVhZGVyIGlzIHBhcnNlZCBzaG91bGQgYmUgZW1pdHRlZCBhcyBlcnJvcnNcbiAgY29uc3QgaW52YWxpZFRyYW5zZm9ybXMgPSBbXG4gICAgW25ldyBXYXZSZXNhbXBsZXJUcmFuc2Zvcm0oNDgwMDApLCBCdWZmZXIuY29uY2F0KFtjcmVhdGVXYXZIZWFkZXIoe2Zvcm1hdDogJ2ludDE2JywgY2hhbm5lbHM6IDIsIHNhbXBsZVJhdGU6IDB9LCA0KSwgQnVmZmVyLmFsbG9jKDQpXSldLFxuICAgIFtuZXcgV2F2UmVzYW1wbGVyVHJhbnNmb3JtKDQ4MDAwLCA3LCB7b3V0Q2hhbm5lbHM6IDN9KSwgd2F2RGF0YV0sXG4gIF0gYXMgW1dhdlJlc2FtcGxlclRyYW5zZm9ybSwgQnVmZmVyXVtdO1xuICBmb3IgKGNvbnN0IFt0cmFuc2Zvcm0sIGRhdGFdIG9mIGludmFsaWRUcmFuc2Zvcm1zKSB7XG4gICAgY29uc3QgZXJyb3IgPSBhd2FpdCBuZXcgUHJvbWlzZSgocikgPT4ge1xuICAgICAgdHJhbnNmb3JtLm9uKCdlcnJvcicsIHIpO1xuICAgICAgdHJhbnNmb3JtLmVuZChkYXRhKTtcbiAgICB9KTtcbiAgICBhc3NlcnQoZXJyb3IgaW5zdGFuY2VvZiBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciwgYEludmFsaWQgV0FWIHBhcmFtZXRlcnMgc2hvdWxkIGVtaXQgYW4gZXJyb3IsIGdvdCAke2Vycm9yfWApO1xuICB9XG4gIGNvbnNvbGUubG9nKCk7XG59XG5cbmNvbnN0IHBvb2xUZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ1dvcmtlciBQb29sIFRlc3QnKTtcbiAgY29uc29sZS5sb2coJz09PT09PT09PT09PT09PT09Jyk7XG5cbiAgY29uc3QgcGNtRGF0YSA9IHJlYWRGaWxlU3luYyhwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzQ0MTAwaHpfdGVzdC5wY21gKSk7XG4gIGNvbnN0IG9wdGlvbnMgPSB7Y2hhbm5lbHM6IDIsIGluUmF0ZTogNDQxMDAsIG91dFJhdGU6IDQ4MDAwLCBmb3JtYXQ6ICdpbnQxNicgYXMgU2FtcGxlRm9ybWF0fTtcbiAgY29uc3QgcmVzYW1wbGVyID0gbmV3IFNwZWV4UmVzYW1wbGVyKG9wdGlvbnMuY2hhbm5lbHMsIG9wdGlvbnMuaW5SYXRlLCBvcHRpb25zLm91dFJhdGUsIDcsIG9wdGlvbnMpO1xuICBjb25zdCByZWZlcmVuY2UgPSBCdWZmZXIuY29uY2F0KFtyZXNhbXBsZXIucHJvY2Vzc0NodW5rKHBjbURhdGEpLCByZXNhbXBsZXIuZmx1c2goKV0pO1xuICByZXNhbXBsZXIuZGVzdHJveSgpO1xuXG4gIGNvbnN0IHBvb2wgPSBuZXcgUmVzYW1wbGVyUG9vbCh7c2l6ZTogMn0pO1xuICBjb25zdCBzdGFydCA9IHBlcmZvcm1hbmNlLm5vdygpO1xuICAvLyBpbnB1dCBidWZmZXJzIGFyZSB0cmFuc2ZlcnJlZCB0byB0aGUgd29ya2VycyBzbyBlYWNoIGpvYiBnZXRzIGl0cyBvd24gY29weVxuICBjb25zdCByZXN1bHRzID0gYXdhaXQgUHJvbWlzZS5hbGwoWzAsIDEsIDIsIDNdLm1hcCgoKSA9PiBwb29sLnJlc2FtcGxlKEJ1ZmZlci5mcm9tKHBjbURhdGEpLCBvcHRpb25zKSkpO1xuICBjb25zb2xlLmxvZyhgUmVzYW1wbGVkICR7cmVzdWx0cy5sZW5ndGh9IGZpbGVzIHdpdGggJHtwb29sLnNpemV9IHdvcmtlcnMgaW4gJHtNYXRoLmZsb29yKHBlcmZvcm1hbmNlLm5vdygpIC0gc3RhcnQpfW1zYCk7XG4gIHJlc3VsdHMuZm9yRWFjaCgocmVzKSA9PiBhc3NlcnQocmVzLmVxdWFscyhyZWZlcmVuY2UpLCAnUG9vbCBvdXRwdXQgbm90IG1hdGNoaW5nIG1haW4gdGhyZWFkIG91dHB1dCcpKTtcblxuICBjb25zdCBzdHJlYW0gPSBwb29sLmNyZWF0ZVN0cmVhbShvcHRpb25zKTtcbiAgY29uc3QgY2h1bmtzOiBCdWZmZXJbXSA9IFtdO1xuICBzdHJlYW0ub24oJ2RhdGEnLCAoZCkgPT4gY2h1bmtzLnB1c2goZCkpO1xuICBjcmVhdGVSZWFkU3RyZWFtKHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvNDQxMDBoel90ZXN0LnBjbWApLCB7aGlnaFdhdGVyTWFyazogMTAwMX0pLnBpcGUoc3RyZWFtKTtcbiAgYXdhaXQgbmV3IFByb21pc2UoKHIpID0+IHN0cmVhbS5vbignZW5kJywgcikpO1xuICBhc3NlcnQoQnVmZmVyLmNvbmNhdChjaHVua3MpLmVxdWFscyhyZWZlcmVuY2UpLCAnUG9vbCBzdHJlYW0gb3V0cHV0IG5vdCBtYXRjaGluZyBtYWluIHRocmVhZCBvdXRwdXQnKTtcblxuICAvLyBlcnJvcnMgdGhyb3duIGluIHRoZSB3b3JrZXJzIHNob3VsZCBrZWVwIHRoZWlyIGNsYXNzXG4gIGNvbnN0IHdvcmtlckVycm9yID0gYXdhaXQgcG9vbC5yZXNhbXBsZShCdWZmZXIuZnJvbShwY21EYXRhKSwgey4uLm9wdGlvbnMsIGNoYW5uZWxzOiAwfSkuY2F0Y2goKGUpID0+IGUpO1xuICBhc3NlcnQod29ya2VyRXJyb3IgaW5zdGFuY2VvZiBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciAmJiB3b3JrZXJFcnJvci5jb2RlID09PSAzLCBgUG9vbCBzaG91bGQgcmVqZWN0IHdpdGggdGhlIHdvcmtlciBlcnJvciBjbGFzcywgZ290ICR7d29ya2VyRXJyb3J9YCk7XG5cbiAgYXdhaXQgcG9vbC5jbG9zZSgpO1xuICBjb25zdCBjbG9zZWRFcnJvciA9IGF3YWl0IHBvb2wucmVzYW1wbGUoQnVmZmVyLmZyb20ocGNtRGF0YSksIG9wdGlvbnMpLmNhdGNoKChlKSA9PiBlKTtcbiAgYXNzZXJ0KGNsb3NlZEVycm9yIGluc3RhbmNlb2YgU3BlZXhSZXNhbXBsZXJCYWRTdGF0ZUVycm9yLCBgUG9vbCBzaG91bGQgcmVqZWN0IGpvYnMgb25jZSBjbG9zZWQsIGdvdCAke2Nsb3NlZEVycm9yfWApO1xuICBjb25zb2xlLmxvZygpO1xufVxuXG5jb25zdCBjbGlUZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ0NMSSBUZXN0Jyk7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuXG4gIGNvbnN0IGNsaSA9IHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsICdjbGkuanMnKTtcbiAgY29uc3QgdG1wRGlyID0gbWtkdGVtcFN5bmMocGF0aC5qb2luKG9zLnRtcGRpcigpLCAnc3BlZXgtcmVzYW1wbGVyLWNsaS0nKSk7XG4gIC8vIDFzIG9mIHN0ZXJlbyA0NDBIeiBzaW5lLCB0aGUgcmVzb3VyY2VzIGZpbGVzIGNhbm5vdCBiZSB1c2VkIGFzIHJhdyBQQ00gYXMgdGhleSBzdGFydCB3aXRoIGEgV0FWIGhlYWRlclxuICBjb25zdCBwY21EYXRhID0gQnVmZmVyLmFsbG9jKDI0MDAwICogNCk7XG4gIGZvciAobGV0IGkgPSAwOyBpIDwgMjQwMDAgKiAyOyBpKyspIHtcbiAgICBwY21EYXRhLndyaXRlSW50MTZMRShNYXRoLnJvdW5kKE1hdGguc2luKE1hdGguZmxvb3IoaSAvIDIpICogMiAqIE1hdGguUEkgKiA0NDAgLyAyNDAwMCkgKiAxMDAwMCksIGkgKiAyKTtcbiAgfVxuICBjb25zdCBleHBlY3RlZEZyYW1lcyA9IDE2MDAwICsgb3V0cHV0TGF0ZW5jeU9mKDI0MDAwLCAxNjAwMCk7XG5cbiAgLy8gcmF3IFBDTSBmcm9tIHN0ZGluIHRvIHN0ZG91dFxuICBjb25zdCByYXdPdXRwdXQgPSBleGVjRmlsZVN5bmMocHJvY2Vzcy5leGVjUGF0aCwgW2NsaSwgJy0taW4tcmF0ZScsICcyNDAwMCcsICctLW91dC1yYXRlJywgJzE2MDAwJywgJy0tY2hhbm5lbHMnLCAnMicsICctLXF1aWV0J10sIHtpbnB1dDogcGNtRGF0YX0pO1xuICBhc3NlcnQocmF3T3V0cHV0Lmxlbmd0aCA9PT0gZXhwZWN0ZWRGcmFtZXMgKiA0LCBgUmF3IG91dHB1dCBsZW5ndGggbm90IG1hdGNoaW5nLCBleHBlY3RlZDogJHtleHBlY3RlZEZyYW1lcyAqIDR9ICE9IG91dDoke3Jhd091dHB1dC5sZW5ndGh9YCk7XG5cbiAgLy8gV0FWIGZpbGVzLCBkZXRlY3RlZCBmcm9tIHRoZWlyIGhlYWRlclxuICBjb25zdCB3YXZEYXRhID0gQnVmZmVyLmNvbmNhdChbY3JlYXRlV2F2SGVhZGVyKHtmb3JtYXQ6ICdpbnQxNicsIGNoYW5uZWxzOiAyLCBzYW1wbGVSYXRlOiAyNDAwMH0sIHBjbURhdGEubGVuZ3RoKSwgcGNtRGF0YV0pO1xuICB3cml0ZUZpbGVTeW5jKHBhdGguam9pbih0bXBEaXIsICdmaXJzdC53YXYnKSwgd2F2RGF0YSk7XG4gIHdyaXRlRmlsZVN5bmMocGF0aC5qb2luKHRtcERpciwgJ3NlY29uZC53YXYnKSwgd2F2RGF0YSk7XG4gIGV4ZWNGaWxlU3luYyhwcm9jZXNzLmV4ZWNQYXRoLCBbY2xpLCAnLS1vdXQtcmF0ZScsICcxNjAwMCcsICctLW91dC1mb3JtYXQnLCAnZjMyJywgcGF0aC5qb2luKHRtcERpciwgJ2ZpcnN0LndhdicpLCBwYXRoLmpvaW4odG1wRGlyLCAnc2luZ2xlLndhdicpXSwge3N0ZGlvOiAncGlwZSd9KTtcbiAgY29uc3Qgc2luZ2xlSGVhZGVyID0gcGFyc2VXYXZIZWFkZXIocmVhZEZpbGVTeW5jKHBhdGguam9pbih0bXBEaXIsICdzaW5nbGUud2F2JykpKTtcbiAgYXNzZXJ0KHNpbmdsZUhlYWRlci5mb3JtYXQgPT09ICdmbG9hdDMyJyAmJiBzaW5nbGVIZWFkZXIuc2FtcGxlUmF0ZSA9PT0gMTYwMDAsICdDTEkgb3V0cHV0IGZvcm1hdCBub3QgbWF0Y2hpbmcgdGhlIHJlcXVlc3RlZCBvbmUnKTtcbiAgYXNzZXJ0KHNpbmdsZUhlYWRlci5kYXRhTGVuZ3RoID09PSBleHBlY3RlZEZyYW1lcyAqIDgsIGBDTEkgb3V0cHV0IGRhdGEgbGVuZ3RoIG5vdCBtYXRjaGluZywgZXhwZWN0ZWQ6ICR7ZXhwZWN0ZWRGcmFtZXMgKiA4fSAhPSBvdXQ6JHtzaW5nbGVIZWFkZXIuZGF0YUxlbmd0aH1gKTtcblxuICAvLyB0aGUgc3VtbWFyeSBkdXJhdGlvbnMgc2hvdWxkIG5vdCBpbmNsdWRlIHRoZSBoZWFkZXJzLCB0aGUgaW5wdXQgb25lIGlzIGxvbmdlciBiZWNhdXNlIG9mIGl0cyBMSVNUIGNodW5rXG4gIGNvbnN0IGlucHV0SGVhZGVyID0gY3JlYXRlV2F2SGVhZGVyKHtmb3JtYXQ6ICdpbnQxNicsIGNoYW5uZWxzOiAyLCBzYW1wbGVSYXRlOiAyNDAwMH0sIHBjbURhdGEubGVuZ3RoKTtcbiAgY29uc3QgbGlzdENodW5rID0gQnVmZmVyLmNvbmNhdChbQnVmZmVyLmZyb20oJ0xJU1QnKSwgQnVmZmVyLmZyb20oWzB4ZDAsIDB4MDcsIDAsIDBdKSwgQnVmZmVyLmFsbG9jKDIwMDApXSk7XG4gIGNvbnN0IGxpc3RXYXZEYXRhID0gQnVmZmVyLmNvbmNhdChbaW5wdXRIZWFkZXIuc2xpY2UoMCwgaW5wdXRIZWFkZXIubGVuZ3RoIC0gOCksIGxpc3RDaHVuaywgaW5wdXRIZWFkZXIuc2xpY2UoaW5wdXRIZWFkZXIubGVuZ3RoIC0gOCksIHBjbURhdGFdKTtcbiAgbGlzdFdhdkRhdGEud3JpdGVVSW50MzJMRShsaXN0V2F2RGF0YS5sZW5ndGggLSA4LCA0KTtcbiAgd3JpdGVGaWxlU3luYyhwYXRoLmpvaW4odG1wRGlyLCAnbGlzdC53YXYnKSwgbGlzdFdhdkRhdGEpO1xuICBjb25zdCBzdW1tYXJ5ID0gc3Bhd25TeW5jKHByb2Nlc3MuZXhlY1BhdGgsIFtjbGksICctLW91dC1yYXRlJywgJzE2MDAwJywgJy0tb3V0LWZvcm1hdCcsICdmMzInLCBwYXRoLmpvaW4odG1wRGlyLCAnbGlzdC53YXYnKSwgcGF0aC5qb2luKHRtcERpciwgJ2xpc3Rfb3V0LndhdicpXSkuc3RkZXJyLnRvU3RyaW5nKCk7XG4gIGFzc2VydChzdW1tYXJ5LmluY2x1ZGVzKCcxLjAwcyByZXNhbXBsZWQgdG8gMS4wMHMnKSwgYENMSSBzdW1tYXJ5IGR1cmF0aW9ucyBub3QgbWF0Y2hpbmc6ICR7c3VtbWFyeX1gKTtcblxuICBleGVjRmlsZVN5bmMocHJvY2Vzcy5leGVjUGF0aCwgW1xuICAgIGNsaSwgJy0tb3V0LXJhdGUnLCAnMTYwMDAnLCAnLS1iYXRjaCcsIHBhdGguam9pbih0bXBEaXIsICcqZC53YXYnKSwgJy0tb3V0LWRpcicsIHBhdGguam9pbih0bXBEaXIsICdvdXQnKSwgJy0tam9icycsICcyJyxcbiAgXSwge3N0ZGlvOiBbJ3BpcGUnLCAncGlwZScsICdpbmhlcml0J119KTtcbiAgYXNzZXJ0KHJlYWRkaXJTeW5jKHBhdGguam9pbih0bXBEaXIsICdvdXQnKSkuc29ydCgpLmpvaW4oKSA9PT0gJ3NlY29uZC53YXYnLCAnQmF0Y2ggbW9kZSBzaG91bGQgcmVzYW1wbGUgdGhlIGZpbGVzIG1hdGNoaW5nIHRoZSBwYXR0ZXJuJyk7XG4gIGNvbnN0IGJhdGNoSGVhZGVyID0gcGFyc2VXYXZIZWFkZXIocmVhZEZpbGVTeW5jKHBhdGguam9pbih0bXBEaXIsICdvdXQnLCAnc2Vjb25kLndhdicpKSk7XG4gIGFzc2VydChiYXRjaEhlYWRlci5kYXRhTGVuZ3RoID09PSBleHBlY3RlZEZyYW1lcyAqIDQsICdCYXRjaCBvdXRwdXQgZGF0YSBsZW5ndGggbm90IG1hdGNoaW5nJyk7XG5cbiAgLy8gZmlsZXMgd2l0aCB0aGUgc2FtZSBuYW1lIGluIGRpZmZlcmVudCBkaXJlY3RvcmllcyBzaG91bGQga2VlcCB0aGVpciBkaXJlY3Rvcmllcywgb3IgYmUgcmVqZWN0ZWQgd2hlbiB0aGV5IGNhbid0XG4gIGZvciAoY29uc3QgZGlyIG9mIFsnYScsICdiJ10pIHtcbiAgICBta2RpclN5bmMocGF0aC5qb2luKHRtcERpciwgJ3RyZWUnLCBkaXIpLCB7cmVjdXJzaXZlOiB0cnVlfSk7XG4gICAgd3JpdGVGaWxlU3luYyhwYXRoLmpvaW4odG1wRGlyLCAndHJlZScsIGRpciwgJ3NhbWUud2F2JyksIHdhdkRhdGEpO1xuICB9XG4gIGV4ZWNGaWxlU3luYyhwcm9jZXNzLmV4ZWNQYXRoLCBbY2xpLCAnLS1vdXQtcmF0ZScsICcxNjAwMCcsICctLXF1aWV0JywgJy0tYmF0Y2gnLCBwYXRoLmpvaW4odG1wRGlyLCAndHJlZScsICcqKicsICcqLndhdicpLCAnLS1vdXQtZGlyJywgcGF0aC5qb2luKHRtcERpciwgJ3RyZWVfb3V0JyldKTtcbiAgYXNzZXJ0KFsnYScsICdiJ10uZXZlcnkoKGRpcikgPT4gZXhpc3RzU3luYyhwYXRoLmpvaW4odG1wRGlyLCAndHJlZV9vdXQnLCBkaXIsICdzYW1lLndhdicpKSksICdCYXRjaCBtb2RlIHNob3VsZCBrZWVwIHRoZSBpbnB1dCBkaXJlY3RvcmllcycpO1xuICBjb25zdCBjb2xsaXNpb24gPSBzcGF3blN5bmMocHJvY2Vzcy5leGVjUGF0aCwgW1xuICAgIGNsaSwgJy0tb3V0LXJhdGUnLCAnMTYwMDAnLCAnLS1iYXRjaCcsIHBhdGguam9pbih0bXBEaXIsICd0cmVlJywgJ2EnLCAnc2FtZS53YXYnKSwgcGF0aC5qb2luKHRtcERpciwgJ3RyZWUnLCAnYicsICdzYW1lLndhdicpLCAnLS1vdXQtZGlyJywgcGF0aC5qb2luKHRtcERpciwgJ2NvbGxpc2lvbicpLFxuICBdKTtcbiAgYXNzZXJ0KGNvbGxpc2lvbi5zdGF0dXMgPT09IDEgJiYgY29sbGlzaW9uLnN0ZGVyci50b1N0cmluZygpLmluY2x1ZGVzKCd3b3VsZCBib3RoIGJlIHJlc2FtcGxlZCcpLCBgQmF0Y2ggbW9kZSBzaG91bGQgcmVqZWN0IG91dHB1dHMgb3ZlcndyaXRpbmcgZWFjaCBvdGhlcjogJHtjb2xsaXNpb24uc3RkZXJyfWApO1xuICBhc3NlcnQoIWV4aXN0c1N5bmMocGF0aC5qb2luKHRtcERpciwgJ2NvbGxpc2lvbicpKSwgJ0JhdGNoIG1vZGUgc2hvdWxkIG5vdCBzdGFydCB3aGVuIG91dHB1dHMgb3ZlcndyaXRlIGVhY2ggb3RoZXInKTtcblxuICBsZXQgZmFpbGVkID0gZmFsc2U7XG4gIHRyeSB7XG4gICAgZXhlY0ZpbGVTeW5jKHByb2Nlc3MuZXhlY1BhdGgsIFtjbGksICctLW91dC1yYXRlJywgJzE2MDAwJywgJy0tdW5rbm93biddLCB7c3RkaW86ICdwaXBlJ30pO1xuICB9IGNhdGNoIChlKSB7XG4gICAgZmFpbGVkID0gZS5zdGF0dXMgPT09IDE7XG4gIH1cbiAgYXNzZXJ0KGZhaWxlZCwgJ0NMSSBzaG91bGQgZXhpdCB3aXRoIGFuIGVycm9yIG9uIHVua25vd24gb3B0aW9ucycpO1xuICBmb3IgKGNvbnN0IFtvcHRpb24sIHZhbHVlXSBvZiBbWyctLWpvYnMnLCAnMCddLCBbJy0tam9icycsICctMiddLCBbJy0tY2hhbm5lbHMnLCAnMS41J10sIFsnLS1xdWFsaXR5JywgJzExJ10sIFsnLS1pbi1yYXRlJywgJ2FiYyddXSkge1xuICAgIGNvbnN0IGludmFsaWQgPSBzcGF3blN5bmMocHJvY2Vzcy5leGVjUGF0aCwgW2NsaSwgJy0tb3V0LXJhdGUnLCAnMTYwMDAnLCBvcHRpb24sIHZhbHVlLCAnLS1iYXRjaCcsIHBhdGguam9pbih0bXBEaXIsICcqZC53YXYnKSwgJy0tb3V0LWRpcicsIHBhdGguam9pbih0bXBEaXIsICdpbnZhbGlkJyldKTtcbiAgICBhc3NlcnQoaW52YWxpZC5zdGF0dXMgPT09IDEgJiYgaW52YWxpZC5zdGRlcnIudG9TdHJpbmcoKS5pbmNsdWRlcyhgJHtvcHRpb259IHNob3VsZCBiZWApLCBgQ0xJIHNob3VsZCByZWplY3QgJHtvcHRpb259ICR7dmFsdWV9OiAke2ludmFsaWQuc3RkZXJyfWApO1xuICB9XG4gIGFzc2VydCghcmVhZGRpclN5bmModG1wRGlyKS5pbmNsdWRlcygnaW52YWxpZCcpLCAnQ0xJIHNob3VsZCBub3Qgc3RhcnQgYSBiYXRjaCB3aXRoIGludmFsaWQgb3B0aW9ucycpO1xuXG4gIC8vIGVycm9ycyBvbiB0aGUgaW5wdXQgc2hvdWxkIG5vdCBjcmVhdGUgb3IgdHJ1bmNhdGUgdGhlIG91dHB1dCBmaWxlXG4gIGNvbnN0IG1pc3NpbmdJbnB1dCA9IHNwYXduU3luYyhwcm9jZXNzLmV4ZWNQYXRoLCBbY2xpLCAnLS1vdXQtcmF0ZScsICcxNjAwMCcsIHBhdGguam9pbih0bXBEaXIsICdtaXNzaW5nLndhdicpLCBwYXRoLmpvaW4odG1wRGlyLCAnbWlzc2luZ19vdXQud2F2JyldKTtcbiAgYXNzZXJ0KG1pc3NpbmdJbnB1dC5zdGF0dXMgPT09IDEsICdDTEkgc2hvdWxkIGV4aXQgd2l0aCBhbiBlcnJvciB3aGVuIHRoZSBpbnB1dCBpcyBtaXNzaW5nJyk7XG4gIGFzc2VydChtaXNzaW5nSW5wdXQuc3RkZXJyLnRvU3RyaW5nKCkudHJpbSgpLnNwbGl0KCdcXG4nKS5sZW5ndGggPT09IDEsIGBDTEkgc2hvdWxkIHByaW50IGEgc2luZ2xlIGxpbmUgZXJyb3IgZm9yIGEgbWlzc2luZyBpbnB1dDogJHttaXNzaW5nSW5wdXQuc3RkZXJyfWApO1xuICBhc3NlcnQoIXJlYWRkaXJTeW5jKHRtcERpcikuaW5jbHVkZXMoJ21pc3Npbmdfb3V0LndhdicpLCAnQ0xJIHNob3VsZCBub3QgY3JlYXRlIHRoZSBvdXRwdXQgd2hlbiB0aGUgaW5wdXQgaXMgbWlzc2luZycpO1xuICB3cml0ZUZpbGVTeW5jKHBhdGguam9pbih0bXBEaXIsICdyYXcucGNtJyksIHBjbURhdGEpO1xuICBjb25zdCBub0luUmF0ZSA9IHNwYXduU3luYyhwcm9jZXNzLmV4ZWNQYXRoLCBbY2xpLCAnLS1vdXQtcmF0ZScsICcxNjAwMCcsIHBhdGguam9pbih0bXBEaXIsICdyYXcucGNtJyksIHBhdGguam9pbih0bXBEaXIsICdzaW5nbGUud2F2JyldKTtcbiAgYXNzZXJ0KG5vSW5SYXRlLnN0YXR1cyA9PT0gMSAmJiBub0luUmF0ZS5zdGRlcnIudG9TdHJpbmcoKS5pbmNsdWRlcygnLS1pbi1yYXRlIGlzIHJlcXVpcmVkJyksICdDTEkgc2hvdWxkIHJlcXVpcmUgLS1pbi1yYXRlIGZvciByYXcgUENNJyk7XG4gIGFzc2VydChwYXJzZVdhdkhlYWRlcihyZWFkRmlsZVN5bmMocGF0aC5qb2luKHRtcERpciwgJ3NpbmdsZS53YXYnKSkpLmRhdGFMZW5ndGggPT09IGV4cGVjdGVkRnJhbWVzICogOCwgJ0NMSSBzaG91bGQgbm90IHRydW5jYXRlIHRoZSBvdXRwdXQgb24gZXJyb3JzJyk7XG4gIGNvbnNvbGUubG9nKCk7XG59XG5cbmNvbnN0IGNoYW5uZWxzVGVzdCA9IGFzeW5jICgpID0+IHtcbiAgY29uc29sZS5sb2coJz09PT09PT09PT09PT09PT09Jyk7XG4gIGNvbnNvbGUubG9nKCdDaGFubmVscyBNaXhpbmcgVGVzdCcpO1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcblxuICBjb25zdCBwY21EYXRhID0gcmVhZEZpbGVTeW5jKHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvNDQxMDBoel90ZXN0LnBjbWApKTtcbiAgY29uc3QgZnJhbWVzQ291bnQgPSBwY21EYXRhLmxlbmd0aCAvIDQ7XG4gIGNvbnN0IHN0ZXJlbyA9IG5ldyBGbG9hdDMyQXJyYXkoZnJhbWVzQ291bnQgKiAyKTtcbiAgY29uc3QgbW9ubyA9IG5ldyBGbG9hdDMyQXJyYXkoZnJhbWVzQ291bnQpO1xuICBmb3IgKGxldCBpID0gMDsgaSA8IGZyYW1lc0NvdW50OyBpKyspIHtcbiAgICBzdGVyZW9baSAqIDJdID0gcGNtRGF0YS5yZWFkSW50MTZMRShpICogNCkgLyAweDgwMDA7XG4gICAgc3RlcmVvW2kgKiAyICsgMV0gPSBwY21EYXRhLnJlYWRJbnQxNkxFKGkgKiA0ICsgMikgLyAweDgwMDA7XG4gICAgbW9ub1tpXSA9IChzdGVyZW9baSAqIDJdICsgc3RlcmVvW2kgKiAyICsgMV0pIC8gMjtcbiAgfVxuICBjb25zdCByZXNhbXBsZUFsbCA9IChyZXNhbXBsZXI6IFNwZWV4UmVzYW1wbGVyLCBpbnB1dDogRmxvYXQzMkFycmF5KSA9PiBCdWZmZXIuY29uY2F0KFtyZXNhbXBsZXIucHJvY2Vzc0NodW5rKGlucHV0KSwgcmVzYW1wbGVyLmZsdXNoKCldKTtcblxuICAvLyBzdGVyZW8gdG8gbW9ubyBpcyBtaXhlZCBiZWZvcmUgcmVzYW1wbGluZyBzbyBpdCBzaG91bGQgbWF0Y2ggcmVzYW1wbGluZyB0aGUgYXZlcmFnZSBvZiBib3RoIGNoYW5uZWxzXG4gIGNvbnN0IGRvd25taXhlZCA9IHJlc2FtcGxlQWxsKG5ldyBTcGVleFJlc2FtcGxlcigyLCA0NDEwMCwgMTYwMDAsIDcsIHtpbkZvcm1hdDogJ2Zsb2F0MzInLCBvdXRGb3JtYXQ6ICdpbnQxNicsIG91dENoYW5uZWxzOiAxfSksIHN0ZXJlbyk7XG4gIGNvbnN0IG1vbm9SZWZlcmVuY2UgPSByZXNhbXBsZUFsbChuZXcgU3BlZXhSZXNhbXBsZXIoMSwgNDQxMDAsIDE2MDAwLCA3LCB7aW5Gb3JtYXQ6ICdmbG9hdDMyJywgb3V0Rm9ybWF0OiAnaW50MTYnfSksIG1vbm8pO1xuICBjb25zb2xlLmxvZyhgU3RlcmVvIDQ0MTAwSHogdG8gbW9ubyAxNjAwMEh6OiAke2Rvd25taXhlZC5sZW5ndGggLyAyfSBmcmFtZXNgKTtcbiAgYXNzZXJ0KGRvd25taXhlZC5lcXVhbHMobW9ub1JlZmVyZW5jZSksICdEb3dubWl4ZWQgb3V0cHV0IG5vdCBtYXRjaGluZyB0aGUgcmVzYW1wbGVkIGF2ZXJhZ2Ugb2YgdGhlIGNoYW5uZWxzJyk7XG5cbiAgLy8gbW9ubyB0byBzdGVyZW8gaXMgbWl4ZWQgYWZ0ZXIgcmVzYW1wbGluZywgYm90aCBjaGFubmVscyBzaG91bGQgYmUgdGhlIHJlc2FtcGxlZCBtb25vIGNoYW5uZWxcbiAgY29uc3QgdXBtaXhlZCA9IHJlc2FtcGxlQWxsKG5ldyBTcGVleFJlc2FtcGxlcigxLCA0NDEwMCwgNDgwMDAsIDcsIHtmb3JtYXQ6ICdmbG9hdDMyJywgb3V0Q2hhbm5lbHM6IDJ9KSwgbW9ubyk7XG4gIGNvbnN0IHVwbWl4UmVmZXJlbmNlID0gcmVzYW1wbGVBbGwobmV3IFNwZWV4UmVzYW1wbGVyKDEsIDQ0MTAwLCA0ODAwMCwgNywge2Zvcm1hdDogJ2Zsb2F0MzInfSksIG1vbm8pO1xuICBhc3NlcnQodXBtaXhlZC5sZW5ndGggPT09IHVwbWl4UmVmZXJlbmNlLmxlbmd0aCAqIDIsICdVcG1peGVkIG91dHB1dCBzaG91bGQgaGF2ZSB0d2ljZSB0aGUgc2FtcGxlcyBvZiB0aGUgbW9ubyBvdXRwdXQnKTtcbiAgZm9yIChsZXQgaSA9IDA7IGkgPCB1cG1peFJlZmVyZW5jZS5sZW5ndGggLyA0OyBpKyspIHtcbiAgICBjb25zdCBzYW1wbGUgPSB1cG1peFJlZmVyZW5jZS5yZWFkRmxvYXRMRShpICogNCk7XG4gICAgYXNzZXJ0KHVwbWl4ZWQucmVhZEZsb2F0TEUoaSAqIDgpID09PSBzYW1wbGUgJiYgdXBtaXhlZC5yZWFkRmxvYXRMRShpICogOCArIDQpID09PSBzYW1wbGUsIGBVcG1peGVkIGZyYW1lICR7aX0gbm90IG1hdGNoaW5nIG1vbm8gb3V0cHV0YCk7XG4gIH1cblxuICBjb25zdCBzd2FwcGVkID0gcmVzYW1wbGVBbGwobmV3IFNwZWV4UmVzYW1wbGVyKDIsIDQ0MTAwLCA0ODAwMCwgNywge2Zvcm1hdDogJ2Zsb2F0MzInLCBjaGFubmVsTWFwOiBbMSwgMF19KSwgc3RlcmVvKTtcbiAgY29uc3Qgc3RlcmVvUmVmZXJlbmNlID0gcmVzYW1wbGVBbGwobmV3IFNwZWV4UmVzYW1wbGVyKDIsIDQ0MTAwLCA0ODAwMCwgNywge2Zvcm1hdDogJ2Zsb2F0MzInfSksIHN0ZXJlbyk7XG4gIGZvciAobGV0IGkgPSAwOyBpIDwgc3RlcmVvUmVmZXJlbmNlLmxlbmd0aCAvIDg7IGkrKykge1xuICAgIGFzc2VydChcbiAgICAgIHN3YXBwZWQucmVhZEZsb2F0TEUoaSAqIDgpID09PSBzdGVyZW9SZWZlcmVuY2UucmVhZEZsb2F0TEUoaSAqIDggKyA0KSAmJiBzd2FwcGVkLnJlYWRGbG9hdExFKGkgKiA4ICsgNCkgPT09IHN0ZXJlb1JlZmVyZW5jZS5yZWFkRmxvYXRMRShpICogOCksXG4gICAgICBgQ2hhbm5lbCBtYXAgbm90IGFwcGxpZWQgb24gZnJhbWUgJHtpfWAsXG4gICAgKTtcbiAgfVxuXG4gIGNvbnN0IHBsYW5hclJlc2FtcGxlciA9IG5ldyBTcGVleFJlc2FtcGxlcigxLCA0NDEwMCwgNDgwMDAsIDcsIHtvdXRDaGFubmVsczogMn0pO1xuICBjb25zdCBwbGFuYXJSZXMgPSBwbGFuYXJSZXNhbXBsZXIucHJvY2Vzc1BsYW5hcihbbW9ub10pO1xuICBhc3NlcnQocGxhbmFyUmVzLmxlbmd0aCA9PT0gMiAmJiBwbGFuYXJSZXNbMF0uZXZlcnkoKHNhbXBsZSwgaSkgPT4gc2FtcGxlID09PSBwbGFuYXJSZXNbMV1baV0pLCAnUGxhbmFyIHVwbWl4IHNob3VsZCBvdXRwdXQgaWRlbnRpY2FsIGNoYW5uZWxzJyk7XG5cbiAgLy8gMTBtcyBvZiA1LjEgYXVkaW9cbiAgY29uc3Qgc3Vycm91bmRSZXMgPSByZXNhbXBsZUFsbChuZXcgU3BlZXhSZXNhbXBsZXIoNiwgNDgwMDAsIDQ0MTAwLCA3LCB7Zm9ybWF0OiAnZmxvYXQzMicsIG91dENoYW5uZWxzOiAyfSksIG5ldyBGbG9hdDMyQXJyYXkoNDgwICogNikpO1xuICBhc3NlcnQoc3Vycm91bmRSZXMubGVuZ3RoID09PSAoNDQxICsgb3V0cHV0TGF0ZW5jeU9mKDQ4MDAwLCA0NDEwMCkpICogMiAqIDQsICc1LjEgdG8gc3RlcmVvIHNob3VsZCBvdXRwdXQgMiBjaGFubmVscycpO1xuXG4gIGFzc2VydFRocm93cygoKSA9PiBuZXcgU3BlZXhSZXNhbXBsZXIoMywgNDQxMDAsIDQ4MDAwLCA3LCB7b3V0Q2hhbm5lbHM6IDJ9KSwgJ01peGluZyB3aXRob3V0IGRlZmF1bHQgY29lZmZpY2llbnRzIHNob3VsZCB0aHJvdycpO1xuICBhc3NlcnRUaHJvd3MoKCkgPT4gbmV3IFNwZWV4UmVzYW1wbGVyKDIsIDQ0MTAwLCA0ODAwMCwgNywge2NoYW5uZWxNYXA6IFsyXX0pLCAnQ2hhbm5lbCBtYXAgd2l0aCBhbiB1bmtub3duIGlucHV0IGNoYW5uZWwgc2hvdWxkIHRocm93Jyk7XG4gIGFzc2VydFRocm93cygoKSA9PiBuZXcgU3BlZXhSZXNhbXBsZXIoMiwgNDQxMDAsIDQ4MDAwLCA3LCB7bWl4aW5nTWF0cml4OiBbWzFdXX0pLCAnTWl4aW5nIG1hdHJpeCB3aXRoIGEgd3JvbmcgbnVtYmVyIG9mIGdhaW5zIHNob3VsZCB0aHJvdycpO1xuICBhc3NlcnRUaHJvd3NFcnJvcigoKSA9PiBuZXcgU3BlZXhSZXNhbXBsZXIoMiwgNDQxMDAsIDQ4MDAwLCA3LCB7Y2hhbm5lbE1hcDogW119KSwgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IsICdFbXB0eSBjaGFubmVsIG1hcCBzaG91bGQgdGhyb3cnKTtcbiAgYXNzZXJ0VGhyb3dzRXJyb3IoKCkgPT4gbmV3IFNwZWV4UmVzYW1wbGVyKDIsIDQ0MTAwLCA0ODAwMCwgNywge21peGluZ01hdHJpeDogW119KSwgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IsICdFbXB0eSBtaXhpbmcgbWF0cml4IHNob3VsZCB0aHJvdycpO1xuICBjb25zb2xlLmxvZygpO1xufVxuXG5jb25zdCBmcmFtZVNpemVUZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ0ZyYW1lIFNpemUgVGVzdCcpO1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcblxuICBjb25zdCBpbkZpbGUgPSBwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzQ0MTAwaHpfdGVzdC5wY21gKTtcbiAgY29uc3QgcGNtRGF0YSA9IHJlYWRGaWxlU3luYyhpbkZpbGUpO1xuICBjb25zdCByZXNhbXBsZXIgPSBuZXcgU3BlZXhSZXNhbXBsZXIoMiwgNDQxMDAsIDQ4MDAwLCA3LCB7Zm9ybWF0OiAnaW50MTYnfSk7XG4gIGNvbnN0IHJlZmVyZW5jZSA9IEJ1ZmZlci5jb25jYXQoW3Jlc2FtcGxlci5wcm9jZXNzQ2h1bmsocGNtRGF0YSksIHJlc2FtcGxlci5mbHVzaCgpXSk7XG5cbiAgY29uc3QgcmVhZEZyYW1lcyA9IGFzeW5jIChwYWRMYXN0RnJhbWU6IGJvb2xlYW4pID0+IHtcbiAgICAvLyAyMG1zIGZyYW1lcyBhdCA0OGtIelxuICAgIGNvbnN0IHRyYW5zZm9ybSA9IG5ldyBTcGVleFJlc2FtcGxlclRyYW5zZm9ybSgyLCA0NDEwMCwgNDgwMDAsIDcsIHtmb3JtYXQ6ICdpbnQxNicsIGZyYW1lU2l6ZTogOTYwLCBwYWRMYXN0RnJhbWV9KTtcbiAgICBjb25zdCBmcmFtZXM6IFNwZWV4UmVzYW1wbGVyRnJhbWVbXSA9IFtdO1xuICAgIHRyYW5zZm9ybS5vbignZGF0YScsIChmcmFtZSkgPT4gZnJhbWVzLnB1c2goZnJhbWUpKTtcbiAgICBjcmVhdGVSZWFkU3RyZWFtKGluRmlsZSwge2hpZ2hXYXRlck1hcms6IDEwMDF9KS5waXBlKHRyYW5zZm9ybSk7XG4gICAgYXdhaXQgbmV3IFByb21pc2UoKHIpID0+IHRyYW5zZm9ybS5vbignZW5kJywgcikpO1xuICAgIHJldHVybiBmcmFtZXM7XG4gIH07XG5cbiAgY29uc3QgcGFkZGVkRnJhbWVzID0gYXdhaXQgcmVhZEZyYW1lcyh0cnVlKTtcbiAgY29uc29sZS5sb2coYCR7cGFkZGVkRnJhbWVzLmxlbmd0aH0gZnJhbWVzIG9mIDIwbXNgKTtcbiAgYXNzZXJ0KHBhZGRlZEZyYW1lcy5sZW5ndGggPT09IE1hdGguY2VpbChyZWZlcmVuY2UubGVuZ3RoIC8gNCAvIDk2MCksICdGcmFtZXMgY291bnQgbm90IG1hdGNoaW5nIHRoZSByZXNhbXBsZWQgbGVuZ3RoJyk7XG4gIHBhZGRlZEZyYW1lcy5mb3JFYWNoKChmcmFtZSwgaSkgPT4ge1xuICAgIGFzc2VydChmcmFtZS5mcmFtZXMgPT09IDk2MCAmJiBmcmFtZS5kYXRhLmxlbmd0aCA9PT0gOTYwICogNCwgYEZyYW1lICR7aX0gc2hvdWxkIGhhdmUgOTYwIGZyYW1lcywgZ290ICR7ZnJhbWUuZnJhbWVzfWApO1xuICAgIGFzc2VydChmcmFtZS5zYW1wbGVJbmRleCA9PT0gaSAqIDk2MCwgYEZyYW1lICR7aX0gc2FtcGxlIGluZGV4IG5vdCBtYXRjaGluZywgZXhwZWN0ZWQ6ICR7aSAqIDk2MH0gIT0gb3V0OiR7ZnJhbWUuc2FtcGxlSW5kZXh9YCk7XG4gICAgYXNzZXJ0KE1hdGguYWJzKGZyYW1lLnRpbWVzdGFtcCAtIGkgKiAyMCkgPCAxZS02LCBgRnJhbWUgJHtpfSB0aW1lc3RhbXAgbm90IG1hdGNoaW5nLCBleHBlY3RlZDogJHtpICogMjB9ICE9IG91dDoke2ZyYW1lLnRpbWVzdGFtcH1gKTtcbiAgfSk7XG4gIGNvbnN0IGxhc3RGcmFtZSA9IHBhZGRlZEZyYW1lc1twYWRkZWRGcmFtZXMubGVuZ3RoIC0gMV07XG4gIGFzc2VydChsYXN0RnJhbWUuZGF0YS5zbGljZShyZWZlcmVuY2UubGVuZ3RoIC0gbGFzdEZyYW1lLnNhbXBsZUluZGV4ICogNCkuZXZlcnkoKGJ5dGUpID0+IGJ5dGUgPT09IDApLCAnTGFzdCBmcmFtZSBzaG91bGQgYmUgcGFkZGVkIHdpdGggc2lsZW5jZScpO1xuXG4gIGNvbnN0IHVucGFkZGVkRnJhbWVzID0gYXdhaXQgcmVhZEZyYW1lcyhmYWxzZSk7XG4gIGFzc2VydChCdWZmZXIuY29uY2F0KHVucGFkZGVkRnJhbWVzLm1hcCgoZnJhbWUpID0+IGZyYW1lLmRhdGEpKS5lcXVhbHMocmVmZXJlbmNlKSwgJ0ZyYW1lcyB3aXRob3V0IHBhZGRpbmcgbm90IG1hdGNoaW5nIHRoZSByZXNhbXBsZWQgb3V0cHV0Jyk7XG4gIGFzc2VydFRocm93cygoKSA9PiBuZXcgU3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm0oMiwgNDQxMDAsIDQ4MDAwLCA3LCB7ZnJhbWVTaXplOiAwLjV9KSwgJ2ZyYW1lU2l6ZSBzaG91bGQgYmUgYW4gaW50ZWdlcicpO1xuICBjb25zb2xlLmxvZygpO1xufVxuXG5jb25zdCBwb3NpdGlvbnNUZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ1Bvc2l0aW9ucyBUZXN0Jyk7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuXG4gIC8vIGltcHVsc2UgYXQgYSBrbm93biBpbnB1dCBwb3NpdGlvblxuICBjb25zdCBpbXB1bHNlUG9zaXRpb24gPSAxMDAwMDtcbiAgY29uc3QgaW5wdXQgPSBuZXcgRmxvYXQzMkFycmF5KDQ0MTAwKTtcbiAgaW5wdXRbaW1wdWxzZVBvc2l0aW9uXSA9IDE7XG4gIGNvbnN0IHJlc2FtcGxlciA9IG5ldyBTcGVleFJlc2FtcGxlcigxLCA0NDEwMCwgNDgwMDAsIDcpO1xuICBjb25zdCBvdXRwdXQ6IEZsb2F0MzJBcnJheVtdID0gW107XG4gIGZvciAobGV0IG9mZnNldCA9IDA7IG9mZnNldCA8IGlucHV0Lmxlbmd0aDsgb2Zmc2V0ICs9IDEwMDEpIHtcbiAgICBvdXRwdXQucHVzaChuZXcgRmxvYXQzMkFycmF5KHJlc2FtcGxlci5wcm9jZXNzQ2h1bmsoaW5wdXQuc3ViYXJyYXkob2Zmc2V0LCBvZmZzZXQgKyAxMDAxKSkuYnVmZmVyLnNsaWNlKDApKSk7XG4gIH1cbiAgY29uc3QgcmVzYW1wbGVkID0gRmxvYXQzMkFycmF5LmZyb20ob3V0cHV0LmZsYXRNYXAoKGNodW5rKSA9PiBBcnJheS5mcm9tKGNodW5rKSkpO1xuICBhc3NlcnQocmVzYW1wbGVyLmlucHV0RnJhbWVzQ29uc3VtZWQgPT09IGlucHV0Lmxlbmd0aCwgYENvbnN1bWVkIGlucHV0IGZyYW1lcyBub3QgbWF0Y2hpbmcsIGV4cGVjdGVkOiAke2lucHV0Lmxlbmd0aH0gIT0gb3V0OiR7cmVzYW1wbGVyLmlucHV0RnJhbWVzQ29uc3VtZWR9YCk7XG4gIGFzc2VydChyZXNhbXBsZXIub3V0cHV0RnJhbWVzUHJvZHVjZWQgPT09IHJlc2FtcGxlZC5sZW5ndGgsIGBQcm9kdWNlZCBvdXRwdXQgZnJhbWVzIG5vdCBtYXRjaGluZywgZXhwZWN0ZWQ6ICR7cmVzYW1wbGVkLmxlbmd0aH0gIT0gb3V0OiR7cmVzYW1wbGVyLm91dHB1dEZyYW1lc1Byb2R1Y2VkfWApO1xuXG4gIGNvbnN0IHBlYWtQb3NpdGlvbiA9IHJlc2FtcGxlZC5yZWR1Y2UoKHBlYWssIHNhbXBsZSwgaSkgPT4gc2FtcGxlID4gcmVzYW1wbGVkW3BlYWtdID8gaSA6IHBlYWssIDApO1xuICBjb25zdCBleHBlY3RlZFBlYWtQb3NpdGlvbiA9IHJlc2FtcGxlci5pbnB1dFBvc2l0aW9uVG9PdXRwdXQoaW1wdWxzZVBvc2l0aW9uKTtcbiAgY29uc29sZS5sb2coYEltcHVsc2UgYXQgaW5wdXQgJHtpbXB1bHNlUG9zaXRpb259IGZvdW5kIGF0IG91dHB1dCAke3BlYWtQb3NpdGlvbn0sIGV4cGVjdGVkIGF0ICR7ZXhwZWN0ZWRQZWFrUG9zaXRpb24udG9GaXhlZCgyKX1gKTtcbiAgYXNzZXJ0KE1hdGguYWJzKHBlYWtQb3NpdGlvbiAtIGV4cGVjdGVkUGVha1Bvc2l0aW9uKSA8PSAxLCAnSW1wdWxzZSBwb3NpdGlvbiBub3QgbWF0Y2hpbmcgdGhlIGNvbXB1dGVkIG91dHB1dCBwb3NpdGlvbicpO1xuICBhc3NlcnQoTWF0aC5hYnMocmVzYW1wbGVyLm91dHB1dFBvc2l0aW9uVG9JbnB1dChleHBlY3RlZFBlYWtQb3NpdGlvbikgLSBpbXB1bHNlUG9zaXRpb24pIDwgMWUtNiwgJ291dHB1dFBvc2l0aW9uVG9JbnB1dCBzaG91bGQgYmUgdGhlIGludmVyc2Ugb2YgaW5wdXRQb3NpdGlvblRvT3V0cHV0Jyk7XG5cbiAgY29uc3QgY29tcGVuc2F0ZWRSZXNhbXBsZXIgPSBuZXcgU3BlZXhSZXNhbXBsZXIoMSwgNDQxMDAsIDQ4MDAwLCA3LCB7Y29tcGVuc2F0ZUxhdGVuY3k6IHRydWV9KTtcbiAgY29tcGVuc2F0ZWRSZXNhbXBsZXIucHJvY2Vzc0NodW5rKGlucHV0KTtcbiAgYXNzZXJ0KGNvbXBlbnNhdGVkUmVzYW1wbGVyLmlucHV0UG9zaXRpb25Ub091dHB1dCg0NDEwMCkgPT09IDQ4MDAwLCAnQ29tcGVuc2F0ZWQgcG9zaXRpb25zIHNob3VsZCBvbmx5IGRlcGVuZCBvbiB0aGUgcmF0aW8nKTtcblxuICBjb25zdCB0cmFuc2Zvcm0gPSBuZXcgU3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm0oMSwgNDQxMDAsIDQ4MDAwLCA3LCB7cG9zaXRpb25zOiB0cnVlfSk7XG4gIGNvbnN0IGZyYW1lczogU3BlZXhSZXNhbXBsZXJGcmFtZVtdID0gW107XG4gIHRyYW5zZm9ybS5vbignZGF0YScsIChmcmFtZSkgPT4gZnJhbWVzLnB1c2goZnJhbWUpKTtcbiAgdHJhbnNmb3JtLmVuZChCdWZmZXIuZnJvbShpbnB1dC5idWZmZXIpKTtcbiAgYXdhaXQgbmV3IFByb21pc2UoKHIpID0+IHRyYW5zZm9ybS5vbignZW5kJywgcikpO1xuICBsZXQgc2FtcGxlSW5kZXggPSAwO1xuICBmb3IgKGNvbnN0IGZyYW1lIG9mIGZyYW1lcykge1xuICAgIGFzc2VydChmcmFtZS5zYW1wbGVJbmRleCA9PT0gc2FtcGxlSW5kZXgsICdDaHVua3Mgc2FtcGxlIGluZGV4IHNob3VsZCBmb2xsb3cgdGhlIG91dHB1dCBsZW5ndGgnKTtcbiAgICBzYW1wbGVJbmRleCArPSBmcmFtZS5mcmFtZXM7XG4gIH1cbiAgYXNzZXJ0KGZyYW1lc1swXS5pbnB1dFBvc2l0aW9uIDwgMCwgJ0ZpcnN0IGNodW5rIHNob3VsZCBzdGFydCBiZWZvcmUgdGhlIGlucHV0IGJlY2F1c2Ugb2YgdGhlIGZpbHRlciBkZWxheScpO1xuICBjb25zb2xlLmxvZygpO1xufVxuXG5jb25zdCB3ZWJTdHJlYW1UZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ1dlYiBTdHJlYW0gVGVzdCcpO1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcblxuICBjb25zdCBwY21EYXRhID0gcmVhZEZpbGVTeW5jKHBhdGgucmVzb2x2ZShfX2Rpcm5hbWUsIGAuLi9yZXNvdXJjZXMvNDQxMDBoel90ZXN0LnBjbWApKTtcbiAgY29uc3QgcmVzYW1wbGVyID0gbmV3IFNwZWV4UmVzYW1wbGVyKDIsIDQ0MTAwLCA0ODAwMCwgNywge2Zvcm1hdDogJ2ludDE2J30pO1xuICBjb25zdCByZWZlcmVuY2UgPSBCdWZmZXIuY29uY2F0KFtyZXNhbXBsZXIucHJvY2Vzc0NodW5rKHBjbURhdGEpLCByZXNhbXBsZXIuZmx1c2goKV0pO1xuXG4gIC8vIGNodW5rcyBub3QgYWxpZ25lZCBvbiBmcmFtZXMsIGFsdGVybmF0aW5nIGJldHdlZW4gQXJyYXlCdWZmZXIgYW5kIHR5cGVkIGFycmF5c1xuICBsZXQgb2Zmc2V0ID0gMDtcbiAgbGV0IGNodW5rSW5kZXggPSAwO1xuICBjb25zdCBpbnB1dCA9IG5ldyBSZWFkYWJsZVN0cmVhbSh7XG4gICAgcHVsbDogKGNvbnRyb2xsZXIpID0+IHtcbiAgICAgIGlmIChvZmZzZXQgPj0gcGNtRGF0YS5sZW5ndGgpIHtcbiAgICAgICAgY29udHJvbGxlci5jbG9zZSgpO1xuICAgICAgICByZXR1cm47XG4gICAgICB9XG4gICAgICBjb25zdCBjaHVuayA9IHBjbURhdGEuc2xpY2Uob2Zmc2V0LCBvZmZzZXQgKyAxMDAxKTtcbiAgICAgIG9mZnNldCArPSBjaHVuay5sZW5ndGg7XG4gICAgICBjb250cm9sbGVyLmVucXVldWUoY2h1bmtJbmRleCsrICUgMiA/IG5ldyBVaW50OEFycmF5KGNodW5rKSA6IFVpbnQ4QXJyYXkuZnJvbShjaHVuaykuYnVmZmVyKTtcbiAgICB9LFxuICB9KTtcbiAgY29uc3Qgc3RyZWFtID0gYXdhaXQgU3BlZXhSZXNhbXBsZXJTdHJlYW0uY3JlYXRlKDIsIDQ0MTAwLCA0ODAwMCwgNywge2Zvcm1hdDogJ2ludDE2J30pO1xuICBjb25zdCBjaHVua3M6IEJ1ZmZlcltdID0gW107XG4gIGNvbnN0IHJlYWRlciA9IGlucHV0LnBpcGVUaHJvdWdoKHN0cmVhbSkuZ2V0UmVhZGVyKCk7XG4gIGZvciAobGV0IHJlcyA9IGF3YWl0IHJlYWRlci5yZWFkKCk7ICFyZXMuZG9uZTsgcmVzID0gYXdhaXQgcmVhZGVyLnJlYWQoKSkge1xuICAgIGNodW5rcy5wdXNoKEJ1ZmZlci5mcm9tKHJlcy52YWx1ZSkpO1xuICB9XG4gIGFzc2VydChCdWZmZXIuY29uY2F0KGNodW5rcykuZXF1YWxzKHJlZmVyZW5jZSksICdXZWIgc3RyZWFtIG91dHB1dCBub3QgbWF0Y2hpbmcgcHJvY2Vzc0NodW5rIG91dHB1dCcpO1xuICBhc3NlcnQoc3RyZWFtLnJlc2FtcGxlci5fZGVzdHJveWVkLCAnV2ViIHN0cmVhbSBzaG91bGQgZGVzdHJveSBpdHMgcmVzYW1wbGVyIHdoZW4gY2xvc2VkJyk7XG4gIGNvbnNvbGUubG9nKCk7XG59XG5cbmNvbnN0IGhlbHBlcnNUZXN0ID0gYXN5bmMgKCkgPT4ge1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcbiAgY29uc29sZS5sb2coJ0hlbHBlcnMgVGVzdCcpO1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcblxuICBjb25zdCBpbkZpbGUgPSBwYXRoLnJlc29sdmUoX19kaXJuYW1lLCBgLi4vcmVzb3VyY2VzLzQ0MTAwaHpfdGVzdC5wY21gKTtcbiAgY29uc3QgcGNtRGF0YSA9IHJlYWRGaWxlU3luYyhpbkZpbGUpO1xuICBjb25zdCBvcHRpb25zID0ge2NoYW5uZWxzOiAyLCBpblJhdGU6IDQ0MTAwLCBvdXRSYXRlOiAxNjAwMCwgZm9ybWF0OiAnaW50MTYnIGFzIFNhbXBsZUZvcm1hdH07XG4gIGNvbnN0IHJlc2FtcGxlciA9IG5ldyBTcGVleFJlc2FtcGxlcigyLCA0NDEwMCwgMTYwMDAsIDcsIHsuLi5vcHRpb25zLCBjb21wZW5zYXRlTGF0ZW5jeTogdHJ1ZX0pO1xuICBjb25zdCByZWZlcmVuY2UgPSBCdWZmZXIuY29uY2F0KFtyZXNhbXBsZXIucHJvY2Vzc0NodW5rKHBjbURhdGEpLCByZXNhbXBsZXIuZmx1c2goKV0pO1xuXG4gIGNvbnN0IG9uZVNob3QgPSBhd2FpdCByZXNhbXBsZUJ1ZmZlcihuZXcgSW50MTZBcnJheShwY21EYXRhLmJ1ZmZlciwgcGNtRGF0YS5ieXRlT2Zmc2V0LCBwY21EYXRhLmxlbmd0aCAvIDIpLCBvcHRpb25zKTtcbiAgYXNzZXJ0KG9uZVNob3QuZXF1YWxzKHJlZmVyZW5jZSksICdyZXNhbXBsZUJ1ZmZlciBvdXRwdXQgbm90IG1hdGNoaW5nIHByb2Nlc3NDaHVuayBvdXRwdXQnKTtcblxuICBjb25zdCBjaHVua3M6IEJ1ZmZlcltdID0gW107XG4gIGZvciBhd2FpdCAoY29uc3QgY2h1bmsgb2YgcmVzYW1wbGVJdGVyYWJsZShjcmVhdGVSZWFkU3RyZWFtKGluRmlsZSwge2hpZ2hXYXRlck1hcms6IDEwMDF9KSwgb3B0aW9ucykpIHtcbiAgICBjaHVua3MucHVzaChjaHVuayk7XG4gIH1cbiAgYXNzZXJ0KEJ1ZmZlci5jb25jYXQoY2h1bmtzKS5lcXVhbHMocmVmZXJlbmNlKSwgJ3Jlc2FtcGxlSXRlcmFibGUgb3V0cHV0IG5vdCBtYXRjaGluZyBwcm9jZXNzQ2h1bmsgb3V0cHV0Jyk7XG4gIGNvbnNvbGUubG9nKCk7XG59XG5cbmNvbnN0IGFzc2VydFRocm93c0Vycm9yID0gKGZuOiAoKSA9PiBhbnksIGVycm9yQ2xhc3M6IEZ1bmN0aW9uLCBtZXNzYWdlOiBzdHJpbmcpID0+IHtcbiAgdHJ5IHtcbiAgICBmbigpO1xuICB9IGNhdGNoIChlKSB7XG4gICAgYXNzZXJ0KGUgaW5zdGFuY2VvZiBlcnJvckNsYXNzICYmIGUgaW5zdGFuY2VvZiBTcGVleFJlc2FtcGxlckVycm9yLCBgJHttZXNzYWdlfSwgZ290ICR7ZX1gKTtcbiAgICByZXR1cm4gZTtcbiAgfVxuICB0aHJvdyBuZXcgRXJyb3IoYCR7bWVzc2FnZX0sIG5vdGhpbmcgdGhyb3duYCk7XG59XG5cbmNvbnN0IGVycm9yc1Rlc3QgPSBhc3luYyAoKSA9PiB7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuICBjb25zb2xlLmxvZygnRXJyb3JzIFRlc3QnKTtcbiAgY29uc29sZS5sb2coJz09PT09PT09PT09PT09PT09Jyk7XG5cbiAgYXNzZXJ0VGhyb3dzRXJyb3IoKCkgPT4gbmV3IFNwZWV4UmVzYW1wbGVyKDAsIDQ0MTAwLCA0ODAwMCksIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLCAnQ29uc3RydWN0b3Igc2hvdWxkIHJlamVjdCAwIGNoYW5uZWxzJyk7XG4gIGFzc2VydFRocm93c0Vycm9yKCgpID0+IG5ldyBTcGVleFJlc2FtcGxlcigxLjUsIDQ0MTAwLCA0ODAwMCksIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLCAnQ29uc3RydWN0b3Igc2hvdWxkIHJlamVjdCBub24gaW50ZWdlciBjaGFubmVscycpO1xuICBhc3NlcnRUaHJvd3NFcnJvcigoKSA9PiBuZXcgU3BlZXhSZXNhbXBsZXIoMiwgLTQ0MTAwLCA0ODAwMCksIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLCAnQ29uc3RydWN0b3Igc2hvdWxkIHJlamVjdCBuZWdhdGl2ZSByYXRlcycpO1xuICBhc3NlcnRUaHJvd3NFcnJvcigoKSA9PiBuZXcgU3BlZXhSZXNhbXBsZXIoMiwgNDQxMDAsIE5hTiksIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLCAnQ29uc3RydWN0b3Igc2hvdWxkIHJlamVjdCBOYU4gcmF0ZXMnKTtcbiAgYXNzZXJ0VGhyb3dzRXJyb3IoKCkgPT4gbmV3IFNwZWV4UmVzYW1wbGVyKDIsIDQ0MTAwLCA0ODAwMCwgMTEpLCBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciwgJ0NvbnN0cnVjdG9yIHNob3VsZCByZWplY3QgYSBxdWFsaXR5IGFib3ZlIDEwJyk7XG4gIGFzc2VydFRocm93c0Vycm9yKCgpID0+IG5ldyBTcGVleFJlc2FtcGxlcigyLCA0NDEwMCwgNDgwMDAsIDcsIHtmb3JtYXQ6ICdpbnQ4JyBhcyBTYW1wbGVGb3JtYXR9KSwgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IsICdDb25zdHJ1Y3RvciBzaG91bGQgcmVqZWN0IHVua25vd24gZm9ybWF0cycpO1xuICBhc3NlcnRUaHJvd3NFcnJvcigoKSA9PiBuZXcgU3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm0oMiwgNDQxMDAsIDApLCBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciwgJ1RyYW5zZm9ybSBjb25zdHJ1Y3RvciBzaG91bGQgdmFsaWRhdGUgaXRzIGFyZ3VtZW50cycpO1xuICBhc3NlcnRUaHJvd3NFcnJvcigoKSA9PiBuZXcgV2F2UmVzYW1wbGVyVHJhbnNmb3JtKC0xKSwgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IsICdXQVYgdHJhbnNmb3JtIGNvbnN0cnVjdG9yIHNob3VsZCB2YWxpZGF0ZSBpdHMgYXJndW1lbnRzJyk7XG4gIGFzc2VydFRocm93c0Vycm9yKCgpID0+IHBhcnNlV2F2SGVhZGVyKEJ1ZmZlci5hbGxvYyg0NCkpLCBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciwgJ3BhcnNlV2F2SGVhZGVyIHNob3VsZCByZWplY3QgZmlsZXMgdGhhdCBhcmUgbm90IFdBVicpO1xuICBuZXcgU3BlZXhSZXNhbXBsZXIoMiwgNDQxMDAsIDQ4MDAwLCAwKS5kZXN0cm95KCk7XG5cbiAgY29uc3QgcmVzYW1wbGVyID0gbmV3IFNwZWV4UmVzYW1wbGVyKDIsIDQ0MTAwLCA0ODAwMCwgNywge2Zvcm1hdDogJ2Zsb2F0MzInfSk7XG4gIC8vIDIgY2hhbm5lbHMgb2YgaW50MTYgYnV0IG5vdCBvZiBmbG9hdDMyXG4gIGNvbnN0IG1pc2FsaWduZWRFcnJvciA9IGFzc2VydFRocm93c0Vycm9yKCgpID0+IHJlc2FtcGxlci5wcm9jZXNzQ2h1bmsoQnVmZmVyLmFsbG9jKDEyKSksIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLCAnTWlzYWxpZ25lZCBjaHVuayBzaG91bGQgdGhyb3cnKTtcbiAgYXNzZXJ0KG1pc2FsaWduZWRFcnJvci5tZXNzYWdlLmluY2x1ZGVzKCc0IGJ5dGVzJyksIGBNaXNhbGlnbmVkIGNodW5rIGVycm9yIHNob3VsZCB1c2UgdGhlIHNhbXBsZSB3aWR0aDogJHttaXNhbGlnbmVkRXJyb3IubWVzc2FnZX1gKTtcbiAgYXNzZXJ0KG1pc2FsaWduZWRFcnJvci5jb2RlID09PSAzLCAnSW52YWxpZCBhcmd1bWVudCBlcnJvcnMgc2hvdWxkIGhhdmUgdGhlIFJFU0FNUExFUl9FUlJfSU5WQUxJRF9BUkcgY29kZScpO1xuICBhc3NlcnRUaHJvd3NFcnJvcigoKSA9PiByZXNhbXBsZXIucHJvY2Vzc0ludG8oQnVmZmVyLmFsbG9jKDggKiAxMDApLCBCdWZmZXIuYWxsb2MoOCkpLCBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciwgJ3Byb2Nlc3NJbnRvIHNob3VsZCB0aHJvdyB3aGVuIG91dHB1dCBpcyB0b28gc21hbGwnKTtcbiAgYXNzZXJ0VGhyb3dzRXJyb3IoKCkgPT4gcmVzYW1wbGVyLnByb2Nlc3NQbGFuYXIoW25ldyBGbG9hdDMyQXJyYXkoMTApXSksIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLCAncHJvY2Vzc1BsYW5hciBzaG91bGQgdGhyb3cgd2l0aCBhIHdyb25nIG51bWJlciBvZiBjaGFubmVscycpO1xuICBhc3NlcnRUaHJvd3NFcnJvcigoKSA9PiByZXNhbXBsZXIuc2V0UXVhbGl0eSgtMSksIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLCAnc2V0UXVhbGl0eSBzaG91bGQgdmFsaWRhdGUgdGhlIHF1YWxpdHknKTtcbiAgYXNzZXJ0VGhyb3dzRXJyb3IoKCkgPT4gcmVzYW1wbGVyLnNldFJhdGUoNDQxMDAsIDApLCBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciwgJ3NldFJhdGUgc2hvdWxkIHZhbGlkYXRlIHRoZSByYXRlcycpO1xuICBhc3NlcnRUaHJvd3NFcnJvcigoKSA9PiByZXNhbXBsZXIuc2V0UmF0ZUZyYWMoMCwgMSksIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLCAnc2V0UmF0ZUZyYWMgc2hvdWxkIHZhbGlkYXRlIHRoZSByYXRpbycpO1xuICAvLyBzcGVleCBhbHJlYWR5IGNoYW5nZWQgdGhlIHJhdGlvIHdoZW4gc2NhbGluZyB0aGUgZnJhY3Rpb25hbCBwb3NpdGlvbiBvZiB0aGUgZmlsdGVyIG92ZXJmbG93c1xuICByZXNhbXBsZXIuc2V0UmF0ZUZyYWMoMTAwMDAwMywgOTk5OTgzKTtcbiAgcmVzYW1wbGVyLnByb2Nlc3NDaHVuayhCdWZmZXIuYWxsb2MoOTk3ICogOCkpO1xuICBhc3NlcnRUaHJvd3NFcnJvcigoKSA9PiByZXNhbXBsZXIuc2V0UmF0ZUZyYWMoOTk5OTc5LCA5OTk5NjEsIDQ4MDAwLCA0NDEwMCksIFNwZWV4UmVzYW1wbGVyT3ZlcmZsb3dFcnJvciwgJ3NldFJhdGVGcmFjIHNob3VsZCB0aHJvdyB3aGVuIHRoZSBwb3NpdGlvbiBvdmVyZmxvd3MnKTtcbiAgY29uc3QgeyByYXRpb051bSwgcmF0aW9EZW4gfSA9IHJlc2FtcGxlci5yYXRpbztcbiAgYXNzZXJ0KHJlc2FtcGxlci5fcmF0aW9OdW0gPT09IHJhdGlvTnVtICYmIHJlc2FtcGxlci5fcmF0aW9EZW4gPT09IHJhdGlvRGVuLCAnUmF0aW8gc2hvdWxkIG1hdGNoIHNwZWV4IGFmdGVyIGEgZmFpbGVkIHNldFJhdGVGcmFjJyk7XG4gIGFzc2VydChyZXNhbXBsZXIuaW5SYXRlID09PSA0ODAwMCAmJiByZXNhbXBsZXIub3V0UmF0ZSA9PT0gNDQxMDAsICdSYXRlcyBzaG91bGQgbWF0Y2ggc3BlZXggYWZ0ZXIgYSBmYWlsZWQgc2V0UmF0ZUZyYWMnKTtcbiAgcmVzYW1wbGVyLmRlc3Ryb3koKTtcbiAgY29uc3QgZGVzdHJveWVkRXJyb3IgPSBhc3NlcnRUaHJvd3NFcnJvcigoKSA9PiByZXNhbXBsZXIucHJvY2Vzc0NodW5rKEJ1ZmZlci5hbGxvYyg4KSksIFNwZWV4UmVzYW1wbGVyQmFkU3RhdGVFcnJvciwgJ0Rlc3Ryb3llZCByZXNhbXBsZXIgc2hvdWxkIHRocm93Jyk7XG4gIGFzc2VydChkZXN0cm95ZWRFcnJvci5jb2RlID09PSAyLCAnQmFkIHN0YXRlIGVycm9ycyBzaG91bGQgaGF2ZSB0aGUgUkVTQU1QTEVSX0VSUl9CQURfU1RBVEUgY29kZScpO1xuXG4gIC8vIGZsb2F0MzIgY2h1bmtzIHNwbGl0IGluIHRoZSBtaWRkbGUgb2YgYSBzYW1wbGUgc2hvdWxkIGJlIHJlYWxpZ25lZCBieSB0aGUgdHJhbnNmb3JtXG4gIGNvbnN0IHRyYW5zZm9ybSA9IG5ldyBTcGVleFJlc2FtcGxlclRyYW5zZm9ybSgyLCA0NDEwMCwgNDgwMDAsIDcsIHtmb3JtYXQ6ICdmbG9hdDMyJ30pO1xuICBjb25zdCBjaHVua3M6IEJ1ZmZlcltdID0gW107XG4gIHRyYW5zZm9ybS5vbignZGF0YScsIChkKSA9PiBjaHVua3MucHVzaChkKSk7XG4gIGNvbnN0IGlucHV0ID0gQnVmZmVyLmFsbG9jKDQ0MTAwICogOCk7XG4gIGZvciAobGV0IG9mZnNldCA9IDA7IG9mZnNldCA8IGlucHV0Lmxlbmd0aDsgb2Zmc2V0ICs9IDEwMDEpIHtcbiAgICB0cmFuc2Zvcm0ud3JpdGUoaW5wdXQuc2xpY2Uob2Zmc2V0LCBvZmZzZXQgKyAxMDAxKSk7XG4gIH1cbiAgdHJhbnNmb3JtLmVuZCgpO1xuICBhd2FpdCBuZXcgUHJvbWlzZSgocikgPT4gdHJhbnNmb3JtLm9uKCdlbmQnLCByKSk7XG4gIGFzc2VydChCdWZmZXIuY29uY2F0KGNodW5rcykubGVuZ3RoID09PSAoNDgwMDAgKyBvdXRwdXRMYXRlbmN5T2YoNDQxMDAsIDQ4MDAwKSkgKiA4LCAnVHJhbnNmb3JtIHNob3VsZCByZWFsaWduIGZsb2F0MzIgY2h1bmtzJyk7XG5cbiAgW1NwZWV4UmVzYW1wbGVyQWxsb2NFcnJvciwgU3BlZXhSZXNhbXBsZXJCYWRTdGF0ZUVycm9yLCBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciwgU3BlZXhSZXNhbXBsZXJQdHJPdmVybGFwRXJyb3IsIFNwZWV4UmVzYW1wbGVyT3ZlcmZsb3dFcnJvcl1cbiAgICAuZm9yRWFjaCgoRXJyb3JDbGFzcywgaSkgPT4ge1xuICAgICAgY29uc3QgZXJyb3IgPSBlcnJvckZyb21Db2RlKGkgKyAxLCAnZXJyb3InKTtcbiAgICAgIGFzc2VydChlcnJvciBpbnN0YW5jZW9mIEVycm9yQ2xhc3MgJiYgZXJyb3IuY29kZSA9PT0gaSArIDEgJiYgZXJyb3IubmFtZSA9PT0gRXJyb3JDbGFzcy5uYW1lLCBgRXJyb3IgY29kZSAke2kgKyAxfSBzaG91bGQgbWFwIHRvICR7RXJyb3JDbGFzcy5uYW1lfWApO1xuICAgIH0pO1xuICBjb25zb2xlLmxvZygnT0snKTtcbiAgY29uc29sZS5sb2coKTtcbn1cblxuY29uc3QgdG9EYiA9IChyYXRpbzogbnVtYmVyKSA9PiAyMCAqIE1hdGgubG9nMTAocmF0aW8pO1xuXG4vLyBkZXRlcm1pbmlzdGljIHBzZXVkbyByYW5kb20gbnVtYmVycyBiZXR3ZWVuIDAgYW5kIDEgKG11bGJlcnJ5MzIpIHNvIHRoYXQgZmFpbHVyZXMgY2FuIGJlIHJlcHJvZHVjZWRcbmNvbnN0IHNlZWRlZFJhbmRvbSA9IChzZWVkOiBudW1iZXIpID0+ICgpID0+IHtcbiAgc2VlZCA9IChzZWVkICsgMHg2RDJCNzlGNSkgfCAwO1xuICBsZXQgdCA9IE1hdGguaW11bChzZWVkIF4gKHNlZWQgPj4+IDE1KSwgMSB8IHNlZWQpO1xuICB0ID0gKHQgKyBNYXRoLmltdWwodCBeICh0ID4+PiA3KSwgNjEgfCB0KSkgXiB0O1xuICByZXR1cm4gKCh0IF4gKHQgPj4+IDE0KSkgPj4+IDApIC8gNDI5NDk2NzI5Njtcbn1cblxuY29uc3QgZ2VuZXJhdGVTaWduYWwgPSAocmF0ZTogbnVtYmVyLCBkdXJhdGlvbjogbnVtYmVyLCBzYW1wbGVBdDogKHRpbWU6IG51bWJlcikgPT4gbnVtYmVyKSA9PiAoXG4gIEZsb2F0MzJBcnJheS5mcm9tKHtsZW5ndGg6IE1hdGgucm91bmQocmF0ZSAqIGR1cmF0aW9uKX0sIChfLCBpKSA9PiBzYW1wbGVBdChpIC8gcmF0ZSkpXG4pO1xuXG5jb25zdCBzaW5lID0gKGZyZXF1ZW5jeTogbnVtYmVyLCBhbXBsaXR1ZGU6IG51bWJlcikgPT4gKHRpbWU6IG51bWJlcikgPT4gYW1wbGl0dWRlICogTWF0aC5zaW4oMiAqIE1hdGguUEkgKiBmcmVxdWVuY3kgKiB0aW1lKTtcblxuLy8gdG9uZXMgd2l0aCBkaWZmZXJlbnQgcGhhc2VzIHNvIHRoYXQgdGhlaXIgcGVha3MgZG9uJ3QgYWRkIHVwXG5jb25zdCBtdWx0aXRvbmUgPSAoZnJlcXVlbmNpZXM6IG51bWJlcltdLCBhbXBsaXR1ZGU6IG51bWJlcikgPT4gKHRpbWU6IG51bWJlcikgPT4gZnJlcXVlbmNpZXMucmVkdWNlKChzYW1wbGUsIGZyZXF1ZW5jeSwgaSkgPT4gKFxuICBzYW1wbGUgKyBhbXBsaXR1ZGUgKiBNYXRoLnNpbigyICogTWF0aC5QSSAqIGZyZXF1ZW5jeSAqIHRpbWUgKyBpKVxuKSwgMCk7XG5cbi8vIGV4cG9uZW50aWFsIHN3ZWVwIGZyb20gc3RhcnRGcmVxdWVuY3kgdG8gZW5kRnJlcXVlbmN5IG92ZXIgZHVyYXRpb25cbmNvbnN0IHNpbmVTd2VlcCA9IChzdGFydEZyZXF1ZW5jeTogbnVtYmVyLCBlbmRGcmVxdWVuY3k6IG51bWJlciwgZHVyYXRpb246IG51bWJlciwgYW1wbGl0dWRlOiBudW1iZXIpID0+IHtcbiAgY29uc3QgayA9IE1hdGgubG9nKGVuZEZyZXF1ZW5jeSAvIHN0YXJ0RnJlcXVlbmN5KTtcbiAgcmV0dXJuICh0aW1lOiBudW1iZXIpID0+IGFtcGxpdHVkZSAqIE1hdGguc2luKDIgKiBNYXRoLlBJICogc3RhcnRGcmVxdWVuY3kgKiBkdXJhdGlvbiAvIGsgKiAoTWF0aC5leHAodGltZSAvIGR1cmF0aW9uICogaykgLSAxKSk7XG59XG5cbi8vIGFtcGxpdHVkZSBvZiB0aGUgdG9uZSBhdCBgZnJlcXVlbmN5YCBtZWFzdXJlZCB3aXRoIGEgSGFubiB3aW5kb3cgdG8gbGltaXQgdGhlIGxlYWthZ2Ugb2YgdGhlIG90aGVyIHRvbmVzXG5jb25zdCB0b25lQW1wbGl0dWRlID0gKHNhbXBsZXM6IEZsb2F0MzJBcnJheSwgZnJlcXVlbmN5OiBudW1iZXIsIHJhdGU6IG51bWJlcikgPT4ge1xuICBsZXQgcmUgPSAwO1xuICBsZXQgaW0gPSAwO1xuICBsZXQgd2luZG93U3VtID0gMDtcbiAgZm9yIChsZXQgaSA9IDA7IGkgPCBzYW1wbGVzLmxlbmd0aDsgaSsrKSB7XG4gICAgY29uc3QgdyA9IDAuNSAtIDAuNSAqIE1hdGguY29zKDIgKiBNYXRoLlBJICogaSAvIChzYW1wbGVzLmxlbmd0aCAtIDEpKTtcbiAgICBjb25zdCBwaGFzZSA9IDIgKiBNYXRoLlBJICogZnJlcXVlbmN5ICogaSAvIHJhdGU7XG4gICAgcmUgKz0gdyAqIHNhbXBsZXNbaV0gKiBNYXRoLmNvcyhwaGFzZSk7XG4gICAgaW0gKz0gdyAqIHNhbXBsZXNbaV0gKiBNYXRoLnNpbihwaGFzZSk7XG4gICAgd2luZG93U3VtICs9IHc7XG4gIH1cbiAgcmV0dXJuIDIgKiBNYXRoLnNxcnQocmUgKiByZSArIGltICogaW0pIC8gd2luZG93U3VtO1xufVxuXG4vLyBzaWduYWwgdG8gbm9pc2UgYW5kIGRpc3RvcnRpb24gcmF0aW8gaW4gZEI6IHRoZSBzaW5lIGF0IGBmcmVxdWVuY3lgIGlzIGZpdHRlZCB3aXRoIGxlYXN0IHNxdWFyZXMgYW5kIGV2ZXJ5dGhpbmcgZWxzZSBpcyBub2lzZVxuY29uc3Qgc2luZVNuciA9IChzYW1wbGVzOiBGbG9hdDMyQXJyYXksIGZyZXF1ZW5jeTogbnVtYmVyLCByYXRlOiBudW1iZXIpID0+IHtcbiAgbGV0IHNpblNpbiA9IDAsIGNvc0NvcyA9IDAsIHNpbkNvcyA9IDAsIHNhbXBsZVNpbiA9IDAsIHNhbXBsZUNvcyA9IDA7XG4gIGZvciAobGV0IGkgPSAwOyBpIDwgc2FtcGxlcy5sZW5ndGg7IGkrKykge1xuICAgIGNvbnN0IHNpbiA9IE1hdGguc2luKDIgKiBNYXRoLlBJICogZnJlcXVlbmN5ICogaSAvIHJhdGUpO1xuICAgIGNvbnN0IGNvcyA9IE1hdGguY29zKDIgKiBNYXRoLlBJICogZnJlcXVlbmN5ICogaSAvIHJhdGUpO1xuICAgIHNpblNpbiArPSBzaW4gKiBzaW47XG4gICAgY29zQ29zICs9IGNvcyAqIGNvcztcbiAgICBzaW5Db3MgKz0gc2luICogY29zO1xuICAgIHNhbXBsZVNpbiArPSBzYW1wbGVzW2ldICogc2luO1xuICAgIHNhbXBsZUNvcyArPSBzYW1wbGVzW2ldICogY29zO1xuICB9XG4gIGNvbnN0IGRldGVybWluYW50ID0gc2luU2luICogY29zQ29zIC0gc2luQ29zICogc2luQ29zO1xuICBjb25zdCBhID0gKHNhbXBsZVNpbiAqIGNvc0NvcyAtIHNhbXBsZUNvcyAqIHNpbkNvcykgLyBkZXRlcm1pbmFudDtcbiAgY29uc3QgYiA9IChzYW1wbGVDb3MgKiBzaW5TaW4gLSBzYW1wbGVTaW4gKiBzaW5Db3MpIC8gZGV0ZXJtaW5hbnQ7XG4gIGxldCBzaWduYWwgPSAwO1xuICBsZXQgbm9pc2UgPSAwO1xuICBmb3IgKGxldCBpID0gMDsgaSA8IHNhbXBsZXMubGVuZ3RoOyBpKyspIHtcbiAgICBjb25zdCBmaXR0ZWQgPSBhICogTWF0aC5zaW4oMiAqIE1hdGguUEkgKiBmcmVxdWVuY3kgKiBpIC8gcmF0ZSkgKyBiICogTWF0aC5jb3MoMiAqIE1hdGguUEkgKiBmcmVxdWVuY3kgKiBpIC8gcmF0ZSk7XG4gICAgc2lnbmFsICs9IGZpdHRlZCAqIGZpdHRlZDtcbiAgICBub2lzZSArPSAoc2FtcGxlc1tpXSAtIGZpdHRlZCkgKiogMjtcbiAgfVxuICByZXR1cm4gMTAgKiBNYXRoLmxvZzEwKHNpZ25hbCAvIG5vaXNlKTtcbn1cblxuY29uc3QgdG9GbG9hdDMyQXJyYXkgPSAoZGF0YTogQnVmZmVyKSA9PiBuZXcgRmxvYXQzMkFycmF5KFVpbnQ4QXJyYXkuZnJvbShkYXRhKS5idWZmZXIpO1xuXG4vLyByZXNhbXBsZXMgdGhlIHNpZ25hbCB3aXRoIFNwZWV4UmVzYW1wbGVyIGFuZCBTcGVleFJlc2FtcGxlclRyYW5zZm9ybSwgYm90aCBvdXRwdXRzIHNob3VsZCBiZSBpZGVudGljYWxcbmNvbnN0IHJlc2FtcGxlU2lnbmFsID0gYXN5bmMgKHNpZ25hbDogRmxvYXQzMkFycmF5LCBpblJhdGU6IG51bWJlciwgb3V0UmF0ZTogbnVtYmVyLCBxdWFsaXR5OiBudW1iZXIpID0+IHtcbiAgY29uc3Qgb3B0aW9ucyA9IHtmb3JtYXQ6ICdmbG9hdDMyJyBhcyBTYW1wbGVGb3JtYXQsIGNvbXBlbnNhdGVMYXRlbmN5OiB0cnVlfTtcbiAgY29uc3QgaW5wdXQgPSBCdWZmZXIuZnJvbShzaWduYWwuYnVmZmVyLCBzaWduYWwuYnl0ZU9mZnNldCwgc2lnbmFsLmJ5dGVMZW5ndGgpO1xuICBjb25zdCByZXNhbXBsZXIgPSBuZXcgU3BlZXhSZXNhbXBsZXIoMSwgaW5SYXRlLCBvdXRSYXRlLCBxdWFsaXR5LCBvcHRpb25zKTtcbiAgY29uc3QgcmVzID0gQnVmZmVyLmNvbmNhdChbcmVzYW1wbGVyLnByb2Nlc3NDaHVuayhpbnB1dCksIHJlc2FtcGxlci5mbHVzaCgpXSk7XG4gIHJlc2FtcGxlci5kZXN0cm95KCk7XG5cbiAgY29uc3QgdHJhbnNmb3JtID0gbmV3IFNwZWV4UmVzYW1wbGVyVHJhbnNmb3JtKDEsIGluUmF0ZSwgb3V0UmF0ZSwgcXVhbGl0eSwgb3B0aW9ucyk7XG4gIGNvbnN0IGNodW5rczogQnVmZmVyW10gPSBbXTtcbiAgdHJhbnNmb3JtLm9uKCdkYXRhJywgKGQpID0+IGNodW5rcy5wdXNoKGQpKTtcbiAgZm9yIChsZXQgb2Zmc2V0ID0gMDsgb2Zmc2V0IDwgaW5wdXQubGVuZ3RoOyBvZmZzZXQgKz0gNDA5Nikge1xuICAgIHRyYW5zZm9ybS53cml0ZShpbnB1dC5zbGljZShvZmZzZXQsIG9mZnNldCArIDQwOTYpKTtcbiAgfVxuICB0cmFuc2Zvcm0uZW5kKCk7XG4gIGF3YWl0IG5ldyBQcm9taXNlKChyKSA9PiB0cmFuc2Zvcm0ub24oJ2VuZCcsIHIpKTtcbiAgYXNzZXJ0KEJ1ZmZlci5jb25jYXQoY2h1bmtzKS5lcXVhbHMocmVzKSwgYFRyYW5zZm9ybSBvdXRwdXQgbm90IG1hdGNoaW5nIFNwZWV4UmVzYW1wbGVyIG91dHB1dCB3aXRoIHF1YWxpdHkgJHtxdWFsaXR5fWApO1xuXG4gIC8vIHRoZSBzdGFydCBhbmQgZW5kIG9mIHRoZSBvdXRwdXQgYXJlIG5vdCBzdGVhZHkgc3RhdGUgc28gdGhleSBhcmUgbm90IG1lYXN1cmVkXG4gIGNvbnN0IG1hcmdpbiA9IE1hdGgucm91bmQob3V0UmF0ZSAvIDIwKTtcbiAgcmV0dXJuIHRvRmxvYXQzMkFycmF5KHJlcykuc3ViYXJyYXkobWFyZ2luLCByZXMubGVuZ3RoIC8gNCAtIG1hcmdpbik7XG59XG5cbmludGVyZmFjZSBRdWFsaXR5VGhyZXNob2xkcyB7XG4gIC8vIG1pbmltdW0gU05SIGluIGRCIG9mIGEgMWtIeiBzaW5lIHJlc2FtcGxlZCBmcm9tIDQ0MTAwSHogdG8gNDgwMDBIelxuICBzbnI6IG51bWJlcjtcbiAgLy8gbWF4aW11bSBwYXNzYmFuZCByaXBwbGUgaW4gZEIgZnJvbSAyMEh6IHRvIGBwYXNzYmFuZGAgd2hlbiByZXNhbXBsaW5nIGZyb20gNDQxMDBIeiB0byA0ODAwMEh6XG4gIHJpcHBsZTogbnVtYmVyO1xuICBwYXNzYmFuZDogbnVtYmVyO1xuICAvLyBtaW5pbXVtIGF0dGVudWF0aW9uIGluIGRCIG9mIHRvbmVzIGFib3ZlIHRoZSBvdXRwdXQgTnlxdWlzdCBmcmVxdWVuY3kgd2hlbiByZXNhbXBsaW5nIGZyb20gNDgwMDBIeiB0byAxNjAwMEh6XG4gIGFsaWFzaW5nUmVqZWN0aW9uOiBudW1iZXI7XG4gIC8vIG1heGltdW0gdG90YWwgaGFybW9uaWMgZGlzdG9ydGlvbiBpbiBkQiBvZiBhIDFrSHogc2luZSByZXNhbXBsZWQgZnJvbSA0NDEwMEh6IHRvIDQ4MDAwSHpcbiAgdGhkOiBudW1iZXI7XG59XG5cbmNvbnN0IFFVQUxJVFlfVEhSRVNIT0xEUzoge1txdWFsaXR5OiBudW1iZXJdOiBRdWFsaXR5VGhyZXNob2xkc30gPSB7XG4gIDE6IHtzbnI6IDcwLCByaXBwbGU6IDAuMDUsIHBhc3NiYW5kOiAxMDAwMCwgYWxpYXNpbmdSZWplY3Rpb246IDY1LCB0aGQ6IC0xMDB9LFxuICA0OiB7c25yOiA5NSwgcmlwcGxlOiAwLjAxLCBwYXNzYmFuZDogMTYwMDAsIGFsaWFzaW5nUmVqZWN0aW9uOiA4NSwgdGhkOiAtMTIwfSxcbiAgNzoge3NucjogMTEwLCByaXBwbGU6IDAuMDEsIHBhc3NiYW5kOiAxODAwMCwgYWxpYXNpbmdSZWplY3Rpb246IDExMCwgdGhkOiAtMTMwfSxcbiAgMTA6IHtzbnI6IDEyNSwgcmlwcGxlOiAwLjAxLCBwYXNzYmFuZDogMTkwMDAsIGFsaWFzaW5nUmVqZWN0aW9uOiAxMjAsIHRoZDogLTE0MH0sXG59O1xuXG5jb25zdCBzaWduYWxRdWFsaXR5VGVzdCA9IGFzeW5jICgpID0+IHtcbiAgY29uc29sZS5sb2coJz09PT09PT09PT09PT09PT09Jyk7XG4gIGNvbnNvbGUubG9nKCdTaWduYWwgUXVhbGl0eSBUZXN0Jyk7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuXG4gIGNvbnN0IHBhc3NiYW5kRnJlcXVlbmNpZXMgPSBbMjAsIDEwMCwgNTAwLCAxMDAwLCAyMDAwLCA0MDAwLCA2MDAwLCA4MDAwLCAxMDAwMCwgMTIwMDAsIDE0MDAwLCAxNjAwMCwgMTcwMDAsIDE4MDAwLCAxOTAwMF07XG4gIC8vIDEwa0h6LCAxMmtIeiBhbmQgMTRrSHogYXJlIGFsaWFzZWQgdG8gNmtIeiwgNGtIeiBhbmQgMmtIeiBhdCAxNmtIelxuICBjb25zdCBzdG9wYmFuZEZyZXF1ZW5jaWVzID0gWzEwMDAwLCAxMjAwMCwgMTQwMDBdO1xuICBjb25zdCBhbXBsaXR1ZGUgPSAwLjU7XG5cbiAgY29uc3Qgc2luZVNpZ25hbCA9IGdlbmVyYXRlU2lnbmFsKDQ0MTAwLCAxLCBzaW5lKDEwMDAsIGFtcGxpdHVkZSkpO1xuICBmb3IgKGNvbnN0IHF1YWxpdHkgb2YgT2JqZWN0LmtleXMoUVVBTElUWV9USFJFU0hPTERTKS5tYXAoTnVtYmVyKSkge1xuICAgIGNvbnN0IHRocmVzaG9sZHMgPSBRVUFMSVRZX1RIUkVTSE9MRFNbcXVhbGl0eV07XG5cbiAgICBjb25zdCByZXNhbXBsZWRTaW5lID0gYXdhaXQgcmVzYW1wbGVTaWduYWwoc2luZVNpZ25hbCwgNDQxMDAsIDQ4MDAwLCBxdWFsaXR5KTtcbiAgICBjb25zdCBzbnIgPSBzaW5lU25yKHJlc2FtcGxlZFNpbmUsIDEwMDAsIDQ4MDAwKTtcbiAgICBjb25zdCBmdW5kYW1lbnRhbCA9IHRvbmVBbXBsaXR1ZGUocmVzYW1wbGVkU2luZSwgMTAwMCwgNDgwMDApO1xuICAgIGNvbnN0IGhhcm1vbmljcyA9IE1hdGguc3FydChbMiwgMywgNCwgNV0ucmVkdWNlKChzdW0sIGhhcm1vbmljKSA9PiBzdW0gKyB0b25lQW1wbGl0dWRlKHJlc2FtcGxlZFNpbmUsIDEwMDAgKiBoYXJtb25pYywgNDgwMDApICoqIDIsIDApKTtcbiAgICBjb25zdCB0aGQgPSB0b0RiKGhhcm1vbmljcyAvIGZ1bmRhbWVudGFsKTtcblxuICAgIGNvbnN0IHRvbmVzID0gcGFzc2JhbmRGcmVxdWVuY2llcy5maWx0ZXIoKGZyZXF1ZW5jeSkgPT4gZnJlcXVlbmN5IDw9IHRocmVzaG9sZHMucGFzc2JhbmQpO1xuICAgIGNvbnN0IHRvbmVzQW1wbGl0dWRlID0gYW1wbGl0dWRlIC8gdG9uZXMubGVuZ3RoO1xuICAgIGNvbnN0IHJlc2FtcGxlZFRvbmVzID0gYXdhaXQgcmVzYW1wbGVTaWduYWwoZ2VuZXJhdGVTaWduYWwoNDQxMDAsIDEsIG11bHRpdG9uZSh0b25lcywgdG9uZXNBbXBsaXR1ZGUpKSwgNDQxMDAsIDQ4MDAwLCBxdWFsaXR5KTtcbiAgICBjb25zdCBnYWlucyA9IHRvbmVzLm1hcCgoZnJlcXVlbmN5KSA9PiB0b0RiKHRvbmVBbXBsaXR1ZGUocmVzYW1wbGVkVG9uZXMsIGZyZXF1ZW5jeSwgNDgwMDApIC8gdG9uZXNBbXBsaXR1ZGUpKTtcbiAgICBjb25zdCByaXBwbGUgPSBNYXRoLm1heCguLi5nYWlucykgLSBNYXRoLm1pbiguLi5nYWlucyk7XG5cbiAgICBjb25zdCBzdG9wYmFuZEFtcGxpdHVkZSA9IGFtcGxpdHVkZSAvIHN0b3BiYW5kRnJlcXVlbmNpZXMubGVuZ3RoO1xuICAgIGNvbnN0IHJlc2FtcGxlZFN0b3BiYW5kID0gYXdhaXQgcmVzYW1wbGVTaWduYWwoZ2VuZXJhdGVTaWduYWwoNDgwMDAsIDEsIG11bHRpdG9uZShzdG9wYmFuZEZyZXF1ZW5jaWVzLCBzdG9wYmFuZEFtcGxpdHVkZSkpLCA0ODAwMCwgMTYwMDAsIHF1YWxpdHkpO1xuICAgIGNvbnN0IGFsaWFzaW5nUmVqZWN0aW9uID0gTWF0aC5taW4oLi4uc3RvcGJhbmRGcmVxdWVuY2llcy5tYXAoKGZyZXF1ZW5jeSkgPT4gKFxuICAgICAgLXRvRGIodG9uZUFtcGxpdHVkZShyZXNhbXBsZWRTdG9wYmFuZCwgMTYwMDAgLSBmcmVxdWVuY3ksIDE2MDAwKSAvIHN0b3BiYW5kQW1wbGl0dWRlKVxuICAgICkpKTtcblxuICAgIGNvbnNvbGUubG9nKFxuICAgICAgYFF1YWxpdHkgJHtxdWFsaXR5fTogU05SICR7c25yLnRvRml4ZWQoMSl9ZEIsIFRIRCAke3RoZC50b0ZpeGVkKDEpfWRCLCBgICtcbiAgICAgIGBwYXNzYmFuZCByaXBwbGUgJHtyaXBwbGUudG9GaXhlZCgzKX1kQiB1cCB0byAke3RocmVzaG9sZHMucGFzc2JhbmR9SHosIGFsaWFzaW5nIHJlamVjdGlvbiAke2FsaWFzaW5nUmVqZWN0aW9uLnRvRml4ZWQoMSl9ZEJgXG4gICAgKTtcbiAgICBhc3NlcnQoc25yID49IHRocmVzaG9sZHMuc25yLCBgU05SIHdpdGggcXVhbGl0eSAke3F1YWxpdHl9IGlzIHRvbyBsb3c6ICR7c25yfWRCIDwgJHt0aHJlc2hvbGRzLnNucn1kQmApO1xuICAgIGFzc2VydCh0aGQgPD0gdGhyZXNob2xkcy50aGQsIGBUSEQgd2l0aCBxdWFsaXR5ICR7cXVhbGl0eX0gaXMgdG9vIGhpZ2g6ICR7dGhkfWRCID4gJHt0aHJlc2hvbGRzLnRoZH1kQmApO1xuICAgIGFzc2VydChyaXBwbGUgPD0gdGhyZXNob2xkcy5yaXBwbGUsIGBQYXNzYmFuZCByaXBwbGUgd2l0aCBxdWFsaXR5ICR7cXVhbGl0eX0gaXMgdG9vIGhpZ2g6ICR7cmlwcGxlfWRCID4gJHt0aHJlc2hvbGRzLnJpcHBsZX1kQmApO1xuICAgIGFzc2VydChhbGlhc2luZ1JlamVjdGlvbiA+PSB0aHJlc2hvbGRzLmFsaWFzaW5nUmVqZWN0aW9uLCBgQWxpYXNpbmcgcmVqZWN0aW9uIHdpdGggcXVhbGl0eSAke3F1YWxpdHl9IGlzIHRvbyBsb3c6ICR7YWxpYXNpbmdSZWplY3Rpb259ZEIgPCAke3RocmVzaG9sZHMuYWxpYXNpbmdSZWplY3Rpb259ZEJgKTtcbiAgfVxuICBjb25zb2xlLmxvZygpO1xufVxuXG5jb25zdCBjaHVua2VkT3V0cHV0VGVzdCA9IGFzeW5jICgpID0+IHtcbiAgY29uc29sZS5sb2coJz09PT09PT09PT09PT09PT09Jyk7XG4gIGNvbnNvbGUubG9nKCdDaHVua2VkIE91dHB1dCBUZXN0Jyk7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuXG4gIGNvbnN0IHN3ZWVwID0gZ2VuZXJhdGVTaWduYWwoNDQxMDAsIDIsIHNpbmVTd2VlcCgyMCwgMjAwMDAsIDIsIDAuNSkpO1xuICBjb25zdCBmbG9hdDMySW5wdXQgPSBCdWZmZXIuZnJvbShzd2VlcC5idWZmZXIpO1xuICBjb25zdCBpbnQxNklucHV0ID0gQnVmZmVyLmFsbG9jKHN3ZWVwLmxlbmd0aCAqIDIpO1xuICBzd2VlcC5mb3JFYWNoKChzYW1wbGUsIGkpID0+IGludDE2SW5wdXQud3JpdGVJbnQxNkxFKE1hdGgucm91bmQoc2FtcGxlICogMHg3RkZGKSwgaSAqIDIpKTtcblxuICBmb3IgKGNvbnN0IFtmb3JtYXQsIGlucHV0XSBvZiBbWydmbG9hdDMyJywgZmxvYXQzMklucHV0XSwgWydpbnQxNicsIGludDE2SW5wdXRdXSBhcyBbU2FtcGxlRm9ybWF0LCBCdWZmZXJdW10pIHtcbiAgICBjb25zdCBmcmFtZUxlbmd0aCA9IEJZVEVTX1BFUl9TQU1QTEVbZm9ybWF0XTtcbiAgICBjb25zdCBvbmVTaG90UmVzYW1wbGVyID0gbmV3IFNwZWV4UmVzYW1wbGVyKDEsIDQ0MTAwLCA0ODAwMCwgNywge2Zvcm1hdH0pO1xuICAgIGNvbnN0IG9uZVNob3QgPSBCdWZmZXIuY29uY2F0KFtvbmVTaG90UmVzYW1wbGVyLnByb2Nlc3NDaHVuayhpbnB1dCksIG9uZVNob3RSZXNhbXBsZXIuZmx1c2goKV0pO1xuXG4gICAgZm9yIChsZXQgc2VlZCA9IDE7IHNlZWQgPD0gNTsgc2VlZCsrKSB7XG4gICAgICBjb25zdCByYW5kb20gPSBzZWVkZWRSYW5kb20oc2VlZCk7XG4gICAgICBjb25zdCByZXNhbXBsZXIgPSBuZXcgU3BlZXhSZXNhbXBsZXIoMSwgNDQxMDAsIDQ4MDAwLCA3LCB7Zm9ybWF0fSk7XG4gICAgICBjb25zdCBjaHVua3M6IEJ1ZmZlcltdID0gW107XG4gICAgICBsZXQgb2Zmc2V0ID0gMDtcbiAgICAgIHdoaWxlIChvZmZzZXQgPCBpbnB1dC5sZW5ndGgpIHtcbiAgICAgICAgLy8gZnJvbSBhIHNpbmdsZSBmcmFtZSB0byBhcm91bmQgMTAwbXMsIGVtcHR5IGNodW5rcyBpbmNsdWRlZFxuICAgICAgICBjb25zdCBjaHVua0xlbmd0aCA9IE1hdGguZmxvb3IocmFuZG9tKCkgKiogMyAqIDQ0MTApICogZnJhbWVMZW5ndGg7XG4gICAgICAgIGNodW5rcy5wdXNoKHJlc2FtcGxlci5wcm9jZXNzQ2h1bmsoaW5wdXQuc2xpY2Uob2Zmc2V0LCBvZmZzZXQgKyBjaHVua0xlbmd0aCkpKTtcbiAgICAgICAgb2Zmc2V0ICs9IGNodW5rTGVuZ3RoO1xuICAgICAgfVxuICAgICAgY2h1bmtzLnB1c2gocmVzYW1wbGVyLmZsdXNoKCkpO1xuICAgICAgYXNzZXJ0KEJ1ZmZlci5jb25jYXQoY2h1bmtzKS5lcXVhbHMob25lU2hvdCksIGBDaHVua2VkICR7Zm9ybWF0fSBvdXRwdXQgd2l0aCBzZWVkICR7c2VlZH0gbm90IG1hdGNoaW5nIG9uZS1zaG90IG91dHB1dGApO1xuICAgIH1cbiAgICBjb25zb2xlLmxvZyhgJHtmb3JtYXR9OiBjaHVua2VkIG91dHB1dHMgaWRlbnRpY2FsIHRvIG9uZS1zaG90IG91dHB1dGApO1xuICB9XG4gIGNvbnNvbGUubG9nKCk7XG59XG5cbmNvbnN0IHZhcmlzcGVlZFRlc3QgPSBhc3luYyAoKSA9PiB7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuICBjb25zb2xlLmxvZygnVmFyaXNwZWVkIFRlc3QnKTtcbiAgY29uc29sZS5sb2coJz09PT09PT09PT09PT09PT09Jyk7XG5cbiAgY29uc3QgcmF0aW9SZXNhbXBsZXIgPSBTcGVleFJlc2FtcGxlci5mcm9tUmF0aW8oMSwgNDQxLCA0ODAsIDQ0MTAwLCA0ODAwMCk7XG4gIGNvbnN0IHtyYXRpb051bSwgcmF0aW9EZW59ID0gcmF0aW9SZXNhbXBsZXIucmF0aW87XG4gIGFzc2VydChyYXRpb051bSA9PT0gMTQ3ICYmIHJhdGlvRGVuID09PSAxNjAsIGBSYXRpbyBzaG91bGQgYmUgcmVkdWNlZCB0byAxNDcvMTYwLCBnb3QgJHtyYXRpb051bX0vJHtyYXRpb0Rlbn1gKTtcbiAgcmF0aW9SZXNhbXBsZXIuZGVzdHJveSgpO1xuXG4gIC8vIE5UU0MgcHVsbC1kb3duOiAxMDAxLzEwMDAgb2YgdGhlIGlucHV0IHJhdGUgd2l0aCB0aGUgc2FtZSBub21pbmFsIHJhdGVzXG4gIGNvbnN0IHB1bGxEb3duUmVzYW1wbGVyID0gU3BlZXhSZXNhbXBsZXIuZnJvbVJhdGlvKDEsIDEwMDEsIDEwMDAsIDQ4MDAwLCA0ODAwMCk7XG4gIGNvbnN0IHB1bGxEb3duSW5wdXQgPSBCdWZmZXIuZnJvbShnZW5lcmF0ZVNpZ25hbCg0ODAwMCwgMSwgc2luZSgxMDAwLCAwLjUpKS5idWZmZXIpO1xuICBjb25zdCBwdWxsRG93biA9IEJ1ZmZlci5jb25jYXQoW3B1bGxEb3duUmVzYW1wbGVyLnByb2Nlc3NDaHVuayhwdWxsRG93bklucHV0KSwgcHVsbERvd25SZXNhbXBsZXIuZmx1c2goKV0pO1xuICBjb25zb2xlLmxvZyhgUHVsbC1kb3duOiAke3B1bGxEb3duLmxlbmd0aCAvIDR9IGZyYW1lcyBmcm9tIDQ4MDAwYCk7XG4gIC8vIHNwZWV4IG91dHB1dHMgdGhlIGxhc3QgcGFydGlhbCBmcmFtZSBzbyB0aGUgY291bnQgY2FuIGJlIHJvdW5kZWQgdXBcbiAgY29uc3QgcHVsbERvd25GcmFtZXMgPSA0ODAwMCAqIDEwMDAgLyAxMDAxICsgcHVsbERvd25SZXNhbXBsZXIub3V0cHV0TGF0ZW5jeTtcbiAgYXNzZXJ0KE1hdGguYWJzKHB1bGxEb3duLmxlbmd0aCAvIDQgLSBwdWxsRG93bkZyYW1lcykgPCAxLCBgUHVsbC1kb3duIG91dHB1dCBmcmFtZXMgbm90IG1hdGNoaW5nLCBnb3QgJHtwdWxsRG93bi5sZW5ndGggLyA0fWApO1xuXG4gIGNvbnN0IFtudW0sIGRlbl0gPSBhcHByb3hpbWF0ZVJhdGlvKDQ0MTAwICogMS4wMTIzIC8gNDgwMDApO1xuICBhc3NlcnQoZGVuIDw9IDB4RkZGRiAmJiBNYXRoLmFicyhudW0gLyBkZW4gLSA0NDEwMCAqIDEuMDEyMyAvIDQ4MDAwKSA8IDFlLTYsIGBSYXRpbyBhcHByb3hpbWF0aW9uIG5vdCBwcmVjaXNlIGVub3VnaCwgZ290ICR7bnVtfS8ke2Rlbn1gKTtcbiAgYXNzZXJ0VGhyb3dzRXJyb3IoKCkgPT4gYXBwcm94aW1hdGVSYXRpbygwKSwgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IsICdBIG51bGwgcmF0aW8gc2hvdWxkIHRocm93Jyk7XG5cbiAgY29uc3Qgc2lnbmFsID0gZ2VuZXJhdGVTaWduYWwoNDQxMDAsIDEsIHNpbmUoMTAwMCwgMC41KSk7XG4gIGNvbnN0IHJlc2FtcGxlV2l0aFNwZWVkID0gYXN5bmMgKHNwZWVkOiBudW1iZXIgfCAoKGlucHV0UG9zaXRpb246IG51bWJlcikgPT4gbnVtYmVyKSkgPT4ge1xuICAgIC8vIHdpdGhvdXQgdGhlIGZpbHRlciBkZWxheSBzbyB0aGF0IHRoZSBvdXRwdXQgZHVyYXRpb24gb25seSBkZXBlbmRzIG9uIHRoZSBzcGVlZFxuICAgIGNvbnN0IHRyYW5zZm9ybSA9IG5ldyBTcGVleFJlc2FtcGxlclRyYW5zZm9ybSgxLCA0NDEwMCwgNDQxMDAsIDcsIHtzcGVlZCwgY29tcGVuc2F0ZUxhdGVuY3k6IHRydWV9KTtcbiAgICBjb25zdCBjaHVua3M6IEJ1ZmZlcltdID0gW107XG4gICAgdHJhbnNmb3JtLm9uKCdkYXRhJywgKGNodW5rKSA9PiBjaHVua3MucHVzaChjaHVuaykpO1xuICAgIGNvbnN0IGlucHV0ID0gQnVmZmVyLmZyb20oc2lnbmFsLmJ1ZmZlcik7XG4gICAgLy8gMTAwbXMgY2h1bmtzIHNvIHRoYXQgdGhlIHNwZWVkIGZ1bmN0aW9uIGlzIGNhbGxlZCBtdWx0aXBsZSB0aW1lc1xuICAgIGZvciAobGV0IG9mZnNldCA9IDA7IG9mZnNldCA8IGlucHV0Lmxlbmd0aDsgb2Zmc2V0ICs9IDQ0MTAgKiA0KSB7XG4gICAgICB0cmFuc2Zvcm0ud3JpdGUoaW5wdXQuc2xpY2Uob2Zmc2V0LCBvZmZzZXQgKyA0NDEwICogNCkpO1xuICAgIH1cbiAgICB0cmFuc2Zvcm0uZW5kKCk7XG4gICAgYXdhaXQgbmV3IFByb21pc2UoKHIpID0+IHRyYW5zZm9ybS5vbignZW5kJywgcikpO1xuICAgIHJldHVybiB0b0Zsb2F0MzJBcnJheShCdWZmZXIuY29uY2F0KGNodW5rcykpO1xuICB9O1xuXG4gIGZvciAoY29uc3Qgc3BlZWQgb2YgWzIsIDAuNV0pIHtcbiAgICBjb25zdCBvdXRwdXQgPSBhd2FpdCByZXNhbXBsZVdpdGhTcGVlZChzcGVlZCk7XG4gICAgY29uc29sZS5sb2coYFNwZWVkICR7c3BlZWR9OiAke291dHB1dC5sZW5ndGh9IGZyYW1lcyBmcm9tICR7c2lnbmFsLmxlbmd0aH1gKTtcbiAgICBhc3NlcnQoTWF0aC5hYnMob3V0cHV0Lmxlbmd0aCAtIHNpZ25hbC5sZW5ndGggLyBzcGVlZCkgPCAyLCBgT3V0cHV0IGR1cmF0aW9uIG5vdCBtYXRjaGluZyB0aGUgc3BlZWQgJHtzcGVlZH0sIGdvdCAke291dHB1dC5sZW5ndGh9IGZyYW1lc2ApO1xuICAgIGNvbnN0IGFtcGxpdHVkZSA9IHRvbmVBbXBsaXR1ZGUob3V0cHV0LnNsaWNlKDQ0MTAsIC00NDEwKSwgMTAwMCAqIHNwZWVkLCA0NDEwMCk7XG4gICAgYXNzZXJ0KE1hdGguYWJzKGFtcGxpdHVkZSAtIDAuNSkgPCAwLjAxLCBgVG9uZSBub3Qgc2hpZnRlZCB0byAkezEwMDAgKiBzcGVlZH1IeiwgYW1wbGl0dWRlOiAke2FtcGxpdHVkZX1gKTtcbiAgfVxuXG4gIC8vIHRoZSBzcGVlZCBpcyByYW1wZWQgZnJvbSAxIHRvIDIgb3ZlciB0aGUgZmlyc3QgaGFsZiBvZiB0aGUgaW5wdXQgdGhlbiBrZXB0IGF0IDJcbiAgY29uc3QgaW5wdXRQb3NpdGlvbnM6IG51bWJlcltdID0gW107XG4gIGNvbnN0IHJhbXBlZCA9IGF3YWl0IHJlc2FtcGxlV2l0aFNwZWVkKChpbnB1dFBvc2l0aW9uKSA9PiB7XG4gICAgaW5wdXRQb3NpdGlvbnMucHVzaChpbnB1dFBvc2l0aW9uKTtcbiAgICByZXR1cm4gaW5wdXRQb3NpdGlvbiA8IDIyMDUwID8gMSArIGlucHV0UG9zaXRpb24gLyAyMjA1MCA6IDI7XG4gIH0pO1xuICBjb25zb2xlLmxvZyhgUmFtcGVkIHNwZWVkOiAke3JhbXBlZC5sZW5ndGh9IGZyYW1lcyBmcm9tICR7c2lnbmFsLmxlbmd0aH1gKTtcbiAgYXNzZXJ0KGlucHV0UG9zaXRpb25zWzFdID09PSA0NDEwLCBgU3BlZWQgZnVuY3Rpb24gc2hvdWxkIGdldCB0aGUgaW5wdXQgcG9zaXRpb24gb2YgdGhlIGNodW5rLCBnb3QgJHtpbnB1dFBvc2l0aW9uc1sxXX1gKTtcbiAgYXNzZXJ0KHJhbXBlZC5sZW5ndGggPiBzaWduYWwubGVuZ3RoIC8gMiAmJiByYW1wZWQubGVuZ3RoIDwgc2lnbmFsLmxlbmd0aCwgYFJhbXBlZCBvdXRwdXQgZHVyYXRpb24gbm90IGJldHdlZW4gdGhlIHNwZWVkcywgZ290ICR7cmFtcGVkLmxlbmd0aH0gZnJhbWVzYCk7XG4gIGFzc2VydChNYXRoLmFicyh0b25lQW1wbGl0dWRlKHJhbXBlZC5zbGljZSgtODgyMCwgLTIyMDUpLCAyMDAwLCA0NDEwMCkgLSAwLjUpIDwgMC4wMSwgJ1JhbXBlZCBvdXRwdXQgc2hvdWxkIGVuZCBhdCAyMDAwSHonKTtcblxuICBjb25zdCB0cmFuc2Zvcm0gPSBuZXcgU3BlZXhSZXNhbXBsZXJUcmFuc2Zvcm0oMSwgNDQxMDAsIDQ4MDAwKTtcbiAgYXNzZXJ0VGhyb3dzRXJyb3IoKCkgPT4gdHJhbnNmb3JtLnNldFNwZWVkKDApLCBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciwgJ0EgbnVsbCBzcGVlZCBzaG91bGQgdGhyb3cnKTtcbiAgYXNzZXJ0VGhyb3dzRXJyb3IoKCkgPT4gbmV3IFNwZWV4UmVzYW1wbGVyVHJhbnNmb3JtKDEsIDQ0MTAwLCA0ODAwMCwgNywge3NwZWVkOiAtMX0pLCBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciwgJ0EgbmVnYXRpdmUgc3BlZWQgc2hvdWxkIHRocm93Jyk7XG4gIHRyYW5zZm9ybS5yZXNhbXBsZXIuZGVzdHJveSgpO1xuICBjb25zb2xlLmxvZygpO1xufVxuXG5jb25zdCBzbmFwc2hvdFRlc3QgPSBhc3luYyAoKSA9PiB7XG4gIGNvbnNvbGUubG9nKCc9PT09PT09PT09PT09PT09PScpO1xuICBjb25zb2xlLmxvZygnU25hcHNob3QgVGVzdCcpO1xuICBjb25zb2xlLmxvZygnPT09PT09PT09PT09PT09PT0nKTtcblxuICBjb25zdCBzaWduYWwgPSBCdWZmZXIuZnJvbShnZW5lcmF0ZVNpZ25hbCg0NDEwMCwgMSwgbXVsdGl0b25lKFs0NDAsIDEwMDAsIDUwMDBdLCAwLjIpKS5idWZmZXIpO1xuICAvLyBhbGlnbmVkIG9uIGEgc3RlcmVvIGZsb2F0MzIgZnJhbWVcbiAgY29uc3QgaGFsZiA9IE1hdGguZmxvb3Ioc2lnbmFsLmxlbmd0aCAvIDE2KSAqIDg7XG4gIGNvbnN0IHJlc2FtcGxlQWxsID0gKHJlc2FtcGxlcjogU3BlZXhSZXNhbXBsZXIsIGlucHV0OiBCdWZmZXIpID0+IEJ1ZmZlci5jb25jYXQoW3Jlc2FtcGxlci5wcm9jZXNzQ2h1bmsoaW5wdXQpLCByZXNhbXBsZXIuZmx1c2goKV0pO1xuXG4gIC8vIHN0ZXJlbyBzbyB0aGF0IHRoZSBoaXN0b3J5IG9mIGV2ZXJ5IGNoYW5uZWwgaGFzIHRvIGJlIGNsZWFyZWRcbiAgZm9yIChjb25zdCBjb21wZW5zYXRlTGF0ZW5jeSBvZiBbZmFsc2UsIHRydWVdKSB7XG4gICAgY29uc3QgcmVmZXJlbmNlID0gcmVzYW1wbGVBbGwobmV3IFNwZWV4UmVzYW1wbGVyKDIsIDQ0MTAwLCA0ODAwMCwgNywge2NvbXBlbnNhdGVMYXRlbmN5fSksIHNpZ25hbC5zbGljZShoYWxmKSk7XG4gICAgY29uc3QgcmVzYW1wbGVyID0gbmV3IFNwZWV4UmVzYW1wbGVyKDIsIDQ0MTAwLCA0ODAwMCwgNywge2NvbXBlbnNhdGVMYXRlbmN5fSk7XG4gICAgcmVzYW1wbGVyLnByb2Nlc3NDaHVuayhzaWduYWwuc2xpY2UoMCwgaGFsZikpO1xuICAgIHJlc2FtcGxlci5yZXNldCgpO1xuICAgIGFzc2VydChyZXNhbXBsZXIuaW5wdXRGcmFtZXNDb25zdW1lZCA9PT0gMCAmJiByZXNhbXBsZXIub3V0cHV0RnJhbWVzUHJvZHVjZWQgPT09IDAsICdQb3NpdGlvbnMgc2hvdWxkIGJlIHJlc2V0Jyk7XG4gICAgYXNzZXJ0KHJlc2FtcGxlQWxsKHJlc2FtcGxlciwgc2lnbmFsLnNsaWNlKGhhbGYpKS5lcXVhbHMocmVmZXJlbmNlKSwgYE91dHB1dCBhZnRlciByZXNldCBub3QgbWF0Y2hpbmcgYSBuZXcgcmVzYW1wbGVyIHdpdGggY29tcGVuc2F0ZUxhdGVuY3k6ICR7Y29tcGVuc2F0ZUxhdGVuY3l9YCk7XG4gIH1cbiAgY29uc29sZS5sb2coJ091dHB1dCBhZnRlciByZXNldCBpZGVudGljYWwgdG8gYSBuZXcgcmVzYW1wbGVyJyk7XG5cbiAgY29uc3Qgb25lU2hvdCA9IHJlc2FtcGxlQWxsKG5ldyBTcGVleFJlc2FtcGxlcigyLCA0NDEwMCwgNDgwMDAsIDcpLCBCdWZmZXIuY29uY2F0KFtzaWduYWwsIHNpZ25hbF0pKTtcbiAgY29uc3QgcmVzYW1wbGVyID0gbmV3IFNwZWV4UmVzYW1wbGVyKDIsIDQ0MTAwLCA0ODAwMCwgNyk7XG4gIGNvbnN0IGZpcnN0UGFydCA9IHJlc2FtcGxlci5wcm9jZXNzQ2h1bmsoc2lnbmFsKTtcbiAgY29uc3Qgc25hcHNob3QgPSByZXNhbXBsZXIuc25hcHNob3QoKTtcbiAgY29uc29sZS5sb2coYFNuYXBzaG90IG9mICR7c25hcHNob3QubGVuZ3RofSBieXRlc2ApO1xuICAvLyBjcmVhdGVkIHdpdGggb3RoZXIgcmF0ZXMgYW5kIHF1YWxpdHksIHRoZSBzbmFwc2hvdCByZXBsYWNlcyB0aGVtXG4gIGNvbnN0IHJlc3RvcmVkID0gbmV3IFNwZWV4UmVzYW1wbGVyKDIsIDgwMDAsIDE2MDAwLCAzKTtcbiAgcmVzdG9yZWQucmVzdG9yZShuZXcgVWludDhBcnJheShzbmFwc2hvdCkpO1xuICBhc3NlcnQocmVzdG9yZWQuaW5SYXRlID09PSA0NDEwMCAmJiByZXN0b3JlZC5vdXRSYXRlID09PSA0ODAwMCAmJiByZXN0b3JlZC5xdWFsaXR5ID09PSA3LCAnUmF0ZXMgYW5kIHF1YWxpdHkgc2hvdWxkIGJlIHJlc3RvcmVkJyk7XG4gIGFzc2VydChyZXN0b3JlZC5pbnB1dEZyYW1lc0NvbnN1bWVkID09PSByZXNhbXBsZXIuaW5wdXRGcmFtZXNDb25zdW1lZCwgJ0lucHV0IHBvc2l0aW9uIHNob3VsZCBiZSByZXN0b3JlZCcpO1xuICBjb25zdCBzZWNvbmRQYXJ0ID0gcmVzYW1wbGVBbGwocmVzdG9yZWQsIHNpZ25hbCk7XG4gIGFzc2VydChCdWZmZXIuY29uY2F0KFtmaXJzdFBhcnQsIHNlY29uZFBhcnRdKS5lcXVhbHMob25lU2hvdCksICdPdXRwdXQgb2YgdGhlIHJlc3RvcmVkIHJlc2FtcGxlciBub3QgbWF0Y2hpbmcgdGhlIG9uZS1zaG90IG91dHB1dCcpO1xuICBhc3NlcnQocmVzYW1wbGVBbGwocmVzYW1wbGVyLCBzaWduYWwpLmVxdWFscyhzZWNvbmRQYXJ0KSwgJ091dHB1dCBvZiB0aGUgcmVzdG9yZWQgcmVzYW1wbGVyIG5vdCBtYXRjaGluZyB0aGUgb3JpZ2luYWwgb25lJyk7XG4gIGNvbnNvbGUubG9nKCdPdXRwdXQgb2YgdGhlIHJlc3RvcmVkIHJlc2FtcGxlciBpZGVudGljYWwgdG8gdGhlIG9yaWdpbmFsJyk7XG5cbiAgYXNzZXJ0VGhyb3dzRXJyb3IoKCkgPT4gbmV3IFNwZWV4UmVzYW1wbGVyKDEsIDQ0MTAwLCA0ODAwMCkucmVzdG9yZShzbmFwc2hvdCksIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLCAnUmVzdG9yaW5nIGEgc25hcHNob3Qgd2l0aCBvdGhlciBjaGFubmVscyBzaG91bGQgdGhyb3cnKTtcbiAgYXNzZXJ0VGhyb3dzRXJyb3IoKCkgPT4gcmVzdG9yZWQucmVzdG9yZShzbmFwc2hvdC5zbGljZSgwLCBzbmFwc2hvdC5sZW5ndGggLSA0KSksIFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yLCAnUmVzdG9yaW5nIGEgdHJ1bmNhdGVkIHNuYXBzaG90IHNob3VsZCB0aHJvdycpO1xuICBhc3NlcnRUaHJvd3NFcnJvcigoKSA9PiByZXN0b3JlZC5yZXN0b3JlKEJ1ZmZlci5hbGxvYygxMjgpKSwgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IsICdSZXN0b3JpbmcgYW4gaW52YWxpZCBzbmFwc2hvdCBzaG91bGQgdGhyb3cnKTtcbiAgY29uc29sZS5sb2coKTtcbn1cblxuaW5pdFRlc3QoKVxuLnRoZW4oKCkgPT4gcHJvbWlzZUJhc2VkVGVzdCgpKVxuLnRoZW4oKCkgPT4gc3RyZWFtQmFzZWRUZXN0KCkpXG4udGhlbigoKSA9PiBsYXRlbmN5Q29tcGVuc2F0aW9uVGVzdCgpKVxuLnRoZW4oKCkgPT4gbGlmZWN5Y2xlVGVzdCgpKVxuLnRoZW4oKCkgPT4gZHluYW1pY1JhdGVUZXN0KCkpXG4udGhlbigoKSA9PiBwbGFuYXJUZXN0KCkpXG4udGhlbigoKSA9PiB6ZXJvQ29weVRlc3QoKSlcbi50aGVuKCgpID0+IGF1ZGlvV29ya2xldFRlc3QoKSlcbi50aGVuKCgpID0+IHdhdlRlc3QoKSlcbi50aGVuKCgpID0+IHBvb2xUZXN0KCkpXG4udGhlbigoKSA9PiBjbGlUZXN0KCkpXG4udGhlbigoKSA9PiBjaGFubmVsc1Rlc3QoKSlcbi50aGVuKCgpID0+IGZyYW1lU2l6ZVRlc3QoKSlcbi50aGVuKCgpID0+IHBvc2l0aW9uc1Rlc3QoKSlcbi50aGVuKCgpID0+IHdlYlN0cmVhbVRlc3QoKSlcbi50aGVuKCgpID0+IGhlbHBlcnNUZXN0KCkpXG4udGhlbigoKSA9PiBlcnJvcnNUZXN0KCkpXG4udGhlbigoKSA9PiBzaWduYWxRdWFsaXR5VGVzdCgpKVxuLnRoZW4oKCkgPT4gY2h1bmtlZE91dHB1dFRlc3QoKSlcbi50aGVuKCgpID0+IHZhcmlzcGVlZFRlc3QoKSlcbi50aGVuKCgpID0+IHNuYXBzaG90VGVzdCgpKS5jYXRjaCgoZSkgPT4ge1xuICBjb25zb2xlLmVycm9yKGUpO1xuICBwcm9jZXNzLmV4aXQoMSk7XG59KVxuIl19
\ No newline at end of file
@@ -0,0 +1,28 @@
+/// <reference types="node" />
+import { Buffer } from 'buffer';
+import { SampleFormat } from './formats';
+export interface WavFormat {
+    format: SampleFormat;
+    channels: number;
+    sampleRate: number;
+    /** speaker positions of the channels, only set for WAVE_FORMAT_EXTENSIBLE files */
+    channelMask?: number;
+}
+export interface WavHeader extends WavFormat {
+    /** offset of the audio data in the file */
+    dataOffset: number;
+    /** length in bytes of the audio data, null if unknown (file being streamed) */
+    dataLength: number | null;
+}
+export declare const WAV_UNKNOWN_SIZE = 4294967295;
+/**
+  * Parse the header of a RIFF/WAVE file, chunks other than `fmt ` before the `data` chunk are skipped.
+  * @param buffer start of the file
+  * @returns the header or null if buffer doesn't contain the full header yet
+  */
+export declare const parseWavHeader: (buffer: Buffer) => WavHeader | null;
+/**
+  * Create the header of a RIFF/WAVE file, WAVE_FORMAT_EXTENSIBLE is used for more than 2 channels or more than 16 bits
+  * @param dataLength length in bytes of the audio data, WAV_UNKNOWN_SIZE if not known yet
+  */
+export declare const createWavHeader: ({ format, channels, sampleRate, channelMask }: WavFormat, dataLength?: number) => Buffer;
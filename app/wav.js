@@ -0,0 +1,121 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createWavHeader = exports.parseWavHeader = exports.WAV_UNKNOWN_SIZE = void 0;
+const buffer_1 = require("buffer");
+const formats_1 = require("./formats");
+const errors_1 = require("./errors");
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+// size written in place of the RIFF and data chunks sizes when they are not known yet
+// this is what most tools write when streaming and what they expect when reading a stream
+exports.WAV_UNKNOWN_SIZE = 0xFFFFFFFF;
+const RIFF_HEADER_LENGTH = 12;
+const CHUNK_HEADER_LENGTH = 8;
+const EXTENSIBLE_FMT_LENGTH = 40;
+const PCM_FMT_LENGTH = 16;
+const sampleFormatOf = (formatCode, bitsPerSample) => {
+    if (formatCode === WAVE_FORMAT_PCM && bitsPerSample === 16) {
+        return 'int16';
+    }
+    if (formatCode === WAVE_FORMAT_PCM && bitsPerSample === 24) {
+        return 'int24';
+    }
+    if (formatCode === WAVE_FORMAT_PCM && bitsPerSample === 32) {
+        return 'int32';
+    }
+    if (formatCode === WAVE_FORMAT_IEEE_FLOAT && bitsPerSample === 32) {
+        return 'float32';
+    }
+    throw new errors_1.SpeexResamplerInvalidArgError(`Unsupported WAV format ${formatCode} with ${bitsPerSample} bits per sample`);
+};
+/**
+  * Parse the header of a RIFF/WAVE file, chunks other than `fmt ` before the `data` chunk are skipped.
+  * @param buffer start of the file
+  * @returns the header or null if buffer doesn't contain the full header yet
+  */
+exports.parseWavHeader = (buffer) => {
+    if (buffer.length < RIFF_HEADER_LENGTH) {
+        return null;
+    }
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new errors_1.SpeexResamplerInvalidArgError('Input is not a RIFF/WAVE file');
+    }
+    let format = null;
+    let offset = RIFF_HEADER_LENGTH;
+    while (offset + CHUNK_HEADER_LENGTH <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkLength = buffer.readUInt32LE(offset + 4);
+        const chunkOffset = offset + CHUNK_HEADER_LENGTH;
+        if (chunkId === 'data') {
+            if (!format) {
+                throw new errors_1.SpeexResamplerInvalidArgError('WAV data chunk found before the fmt chunk');
+            }
+            return {
+                ...format,
+                dataOffset: chunkOffset,
+                // 0 and 0xFFFFFFFF are written by tools streaming their output
+                dataLength: chunkLength === 0 || chunkLength === exports.WAV_UNKNOWN_SIZE ? null : chunkLength,
+            };
+        }
+        if (chunkId === 'fmt ') {
+            if (chunkOffset + chunkLength > buffer.length) {
+                return null;
+            }
+            let formatCode = buffer.readUInt16LE(chunkOffset);
+            const bitsPerSample = buffer.readUInt16LE(chunkOffset + 14);
+            let channelMask;
+            if (formatCode === WAVE_FORMAT_EXTENSIBLE) {
+                channelMask = buffer.readUInt32LE(chunkOffset + 20);
+                // the first two bytes of the sub format GUID are the format code
+                formatCode = buffer.readUInt16LE(chunkOffset + 24);
+            }
+            format = {
+                format: sampleFormatOf(formatCode, bitsPerSample),
+                channels: buffer.readUInt16LE(chunkOffset + 2),
+                sampleRate: buffer.readUInt32LE(chunkOffset + 4),
+                channelMask,
+            };
+        }
+        // chunks are padded to an even length
+        offset = chunkOffset + chunkLength + (chunkLength % 2);
+    }
+    return null;
+};
+/**
+  * Create the header of a RIFF/WAVE file, WAVE_FORMAT_EXTENSIBLE is used for more than 2 channels or more than 16 bits
+  * @param dataLength length in bytes of the audio data, WAV_UNKNOWN_SIZE if not known yet
+  */
+exports.createWavHeader = ({ format, channels, sampleRate, channelMask }, dataLength = exports.WAV_UNKNOWN_SIZE) => {
+    const bytesPerSample = formats_1.BYTES_PER_SAMPLE[format];
+    const formatCode = format === 'float32' ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM;
+    const extensible = channels > 2 || bytesPerSample > 2;
+    const fmtLength = extensible ? EXTENSIBLE_FMT_LENGTH : PCM_FMT_LENGTH;
+    const headerLength = RIFF_HEADER_LENGTH + CHUNK_HEADER_LENGTH + fmtLength + CHUNK_HEADER_LENGTH;
+    const header = buffer_1.Buffer.alloc(headerLength);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(dataLength === exports.WAV_UNKNOWN_SIZE ? exports.WAV_UNKNOWN_SIZE : headerLength - 8 + dataLength + (dataLength % 2), 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(fmtLength, 16);
+    header.writeUInt16LE(extensible ? WAVE_FORMAT_EXTENSIBLE : formatCode, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+    header.writeUInt16LE(channels * bytesPerSample, 32);
+    header.writeUInt16LE(bytesPerSample * 8, 34);
+    if (extensible) {
+        // extension size
+        header.writeUInt16LE(22, 36);
+        // valid bits per sample
+        header.writeUInt16LE(bytesPerSample * 8, 38);
+        header.writeUInt32LE(channelMask || 0, 40);
+        // sub format GUID: format code followed by 00000000-0010-8000-00AA00389B71
+        header.writeUInt16LE(formatCode, 44);
+        buffer_1.Buffer.from([0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71]).copy(header, 46);
+    }
+    header.write('data', headerLength - 8, 'ascii');
+    header.writeUInt32LE(dataLength, headerLength - 4);
+    return header;
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoid2F2LmpzIiwic291cmNlUm9vdCI6Ii8iLCJzb3VyY2VzIjpbIndhdi50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUFBQSxtQ0FBK0I7QUFDL0IsdUNBQTJEO0FBQzNELHFDQUF5RDtBQWlCekQsTUFBTSxlQUFlLEdBQUcsTUFBTSxDQUFDO0FBQy9CLE1BQU0sc0JBQXNCLEdBQUcsTUFBTSxDQUFDO0FBQ3RDLE1BQU0sc0JBQXNCLEdBQUcsTUFBTSxDQUFDO0FBRXRDLHNGQUFzRjtBQUN0RiwwRkFBMEY7QUFDN0UsUUFBQSxnQkFBZ0IsR0FBRyxVQUFVLENBQUM7QUFFM0MsTUFBTSxrQkFBa0IsR0FBRyxFQUFFLENBQUM7QUFDOUIsTUFBTSxtQkFBbUIsR0FBRyxDQUFDLENBQUM7QUFDOUIsTUFBTSxxQkFBcUIsR0FBRyxFQUFFLENBQUM7QUFDakMsTUFBTSxjQUFjLEdBQUcsRUFBRSxDQUFDO0FBRTFCLE1BQU0sY0FBYyxHQUFHLENBQUMsVUFBa0IsRUFBRSxhQUFxQixFQUFnQixFQUFFO0lBQ2pGLElBQUksVUFBVSxLQUFLLGVBQWUsSUFBSSxhQUFhLEtBQUssRUFBRSxFQUFFO1FBQzFELE9BQU8sT0FBTyxDQUFDO0tBQ2hCO0lBQ0QsSUFBSSxVQUFVLEtBQUssZUFBZSxJQUFJLGFBQWEsS0FBSyxFQUFFLEVBQUU7UUFDMUQsT0FBTyxPQUFPLENBQUM7S0FDaEI7SUFDRCxJQUFJLFVBQVUsS0FBSyxlQUFlLElBQUksYUFBYSxLQUFLLEVBQUUsRUFBRTtRQUMxRCxPQUFPLE9BQU8sQ0FBQztLQUNoQjtJQUNELElBQUksVUFBVSxLQUFLLHNCQUFzQixJQUFJLGFBQWEsS0FBSyxFQUFFLEVBQUU7UUFDakUsT0FBTyxTQUFTLENBQUM7S0FDbEI7SUFDRCxNQUFNLElBQUksc0NBQTZCLENBQUMsMEJBQTBCLFVBQVUsU0FBUyxhQUFhLGtCQUFrQixDQUFDLENBQUM7QUFDeEgsQ0FBQyxDQUFBO0FBRUQ7Ozs7SUFJSTtBQUNTLFFBQUEsY0FBYyxHQUFHLENBQUMsTUFBYyxFQUFvQixFQUFFO0lBQ2pFLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxrQkFBa0IsRUFBRTtRQUN0QyxPQUFPLElBQUksQ0FBQztLQUNiO0lBQ0QsSUFBSSxNQUFNLENBQUMsUUFBUSxDQUFDLE9BQU8sRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssTUFBTSxJQUFJLE1BQU0sQ0FBQyxRQUFRLENBQUMsT0FBTyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsS0FBSyxNQUFNLEVBQUU7UUFDM0YsTUFBTSxJQUFJLHNDQUE2QixDQUFDLCtCQUErQixDQUFDLENBQUM7S0FDMUU7SUFDRCxJQUFJLE1BQU0sR0FBcUIsSUFBSSxDQUFDO0lBQ3BDLElBQUksTUFBTSxHQUFHLGtCQUFrQixDQUFDO0lBQ2hDLE9BQU8sTUFBTSxHQUFHLG1CQUFtQixJQUFJLE1BQU0sQ0FBQyxNQUFNLEVBQUU7UUFDcEQsTUFBTSxPQUFPLEdBQUcsTUFBTSxDQUFDLFFBQVEsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztRQUM3RCxNQUFNLFdBQVcsR0FBRyxNQUFNLENBQUMsWUFBWSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNwRCxNQUFNLFdBQVcsR0FBRyxNQUFNLEdBQUcsbUJBQW1CLENBQUM7UUFDakQsSUFBSSxPQUFPLEtBQUssTUFBTSxFQUFFO1lBQ3RCLElBQUksQ0FBQyxNQUFNLEVBQUU7Z0JBQ1gsTUFBTSxJQUFJLHNDQUE2QixDQUFDLDJDQUEyQyxDQUFDLENBQUM7YUFDdEY7WUFDRCxPQUFPO2dCQUNMLEdBQUcsTUFBTTtnQkFDVCxVQUFVLEVBQUUsV0FBVztnQkFDdkIsK0RBQStEO2dCQUMvRCxVQUFVLEVBQUUsV0FBVyxLQUFLLENBQUMsSUFBSSxXQUFXLEtBQUssd0JBQWdCLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsV0FBVzthQUN2RixDQUFDO1NBQ0g7UUFDRCxJQUFJLE9BQU8sS0FBSyxNQUFNLEVBQUU7WUFDdEIsSUFBSSxXQUFXLEdBQUcsV0FBVyxHQUFHLE1BQU0sQ0FBQyxNQUFNLEVBQUU7Z0JBQzdDLE9BQU8sSUFBSSxDQUFDO2FBQ2I7WUFDRCxJQUFJLFVBQVUsR0FBRyxNQUFNLENBQUMsWUFBWSxDQUFDLFdBQVcsQ0FBQyxDQUFDO1lBQ2xELE1BQU0sYUFBYSxHQUFHLE1BQU0sQ0FBQyxZQUFZLENBQUMsV0FBVyxHQUFHLEVBQUUsQ0FBQyxDQUFDO1lBQzVELElBQUksV0FBK0IsQ0FBQztZQUNwQyxJQUFJLFVBQVUsS0FBSyxzQkFBc0IsRUFBRTtnQkFDekMsV0FBVyxHQUFHLE1BQU0sQ0FBQyxZQUFZLENBQUMsV0FBVyxHQUFHLEVBQUUsQ0FBQyxDQUFDO2dCQUNwRCxpRUFBaUU7Z0JBQ2pFLFVBQVUsR0FBRyxNQUFNLENBQUMsWUFBWSxDQUFDLFdBQVcsR0FBRyxFQUFFLENBQUMsQ0FBQzthQUNwRDtZQUNELE1BQU0sR0FBRztnQkFDUCxNQUFNLEVBQUUsY0FBYyxDQUFDLFVBQVUsRUFBRSxhQUFhLENBQUM7Z0JBQ2pELFFBQVEsRUFBRSxNQUFNLENBQUMsWUFBWSxDQUFDLFdBQVcsR0FBRyxDQUFDLENBQUM7Z0JBQzlDLFVBQVUsRUFBRSxNQUFNLENBQUMsWUFBWSxDQUFDLFdBQVcsR0FBRyxDQUFDLENBQUM7Z0JBQ2hELFdBQVc7YUFDWixDQUFDO1NBQ0g7UUFDRCxzQ0FBc0M7UUFDdEMsTUFBTSxHQUFHLFdBQVcsR0FBRyxXQUFXLEdBQUcsQ0FBQyxXQUFXLEdBQUcsQ0FBQyxDQUFDLENBQUM7S0FDeEQ7SUFDRCxPQUFPLElBQUksQ0FBQztBQUNkLENBQUMsQ0FBQTtBQUVEOzs7SUFHSTtBQUNTLFFBQUEsZUFBZSxHQUFHLENBQUMsRUFBQyxNQUFNLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRSxXQUFXLEVBQVksRUFBRSxVQUFVLEdBQUcsd0JBQWdCLEVBQUUsRUFBRTtJQUN2SCxNQUFNLGNBQWMsR0FBRywwQkFBZ0IsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUNoRCxNQUFNLFVBQVUsR0FBRyxNQUFNLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDLENBQUMsZUFBZSxDQUFDO0lBQ25GLE1BQU0sVUFBVSxHQUFHLFFBQVEsR0FBRyxDQUFDLElBQUksY0FBYyxHQUFHLENBQUMsQ0FBQztJQUN0RCxNQUFNLFNBQVMsR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDLHFCQUFxQixDQUFDLENBQUMsQ0FBQyxjQUFjLENBQUM7SUFDdEUsTUFBTSxZQUFZLEdBQUcsa0JBQWtCLEdBQUcsbUJBQW1CLEdBQUcsU0FBUyxHQUFHLG1CQUFtQixDQUFDO0lBQ2hHLE1BQU0sTUFBTSxHQUFHLGVBQU0sQ0FBQyxLQUFLLENBQUMsWUFBWSxDQUFDLENBQUM7SUFFMUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQ2pDLE1BQU0sQ0FBQyxhQUFhLENBQUMsVUFBVSxLQUFLLHdCQUFnQixDQUFDLENBQUMsQ0FBQyx3QkFBZ0IsQ0FBQyxDQUFDLENBQUMsWUFBWSxHQUFHLENBQUMsR0FBRyxVQUFVLEdBQUcsQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDL0gsTUFBTSxDQUFDLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBRWpDLE1BQU0sQ0FBQyxLQUFLLENBQUMsTUFBTSxFQUFFLEVBQUUsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUNsQyxNQUFNLENBQUMsYUFBYSxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUNwQyxNQUFNLENBQUMsYUFBYSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsc0JBQXNCLENBQUMsQ0FBQyxDQUFDLFVBQVUsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUMzRSxNQUFNLENBQUMsYUFBYSxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUNuQyxNQUFNLENBQUMsYUFBYSxDQUFDLFVBQVUsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUNyQyxNQUFNLENBQUMsYUFBYSxDQUFDLFVBQVUsR0FBRyxRQUFRLEdBQUcsY0FBYyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQ2pFLE1BQU0sQ0FBQyxhQUFhLENBQUMsUUFBUSxHQUFHLGNBQWMsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUNwRCxNQUFNLENBQUMsYUFBYSxDQUFDLGNBQWMsR0FBRyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7SUFDN0MsSUFBSSxVQUFVLEVBQUU7UUFDZCxpQkFBaUI7UUFDakIsTUFBTSxDQUFDLGFBQWEsQ0FBQyxFQUFFLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDN0Isd0JBQXdCO1FBQ3hCLE1BQU0sQ0FBQyxhQUFhLENBQUMsY0FBYyxHQUFHLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUM3QyxNQUFNLENBQUMsYUFBYSxDQUFDLFdBQVcsSUFBSSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDM0MsMkVBQTJFO1FBQzNFLE1BQU0sQ0FBQyxhQUFhLENBQUMsVUFBVSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ3JDLGVBQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDO0tBQ3BIO0lBRUQsTUFBTSxDQUFDLEtBQUssQ0FBQyxNQUFNLEVBQUUsWUFBWSxHQUFHLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUNoRCxNQUFNLENBQUMsYUFBYSxDQUFDLFVBQVUsRUFBRSxZQUFZLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDbkQsT0FBTyxNQUFNLENBQUM7QUFDaEIsQ0FBQyxDQUFBIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IHsgQnVmZmVyIH0gZnJvbSAnYnVmZmVyJ1xuaW1wb3J0IHsgU2FtcGxlRm9ybWF0LCBCWVRFU19QRVJfU0FNUExFIH0gZnJvbSAnLi9mb3JtYXRzJztcbmltcG9ydCB7IFNwZWV4UmVzYW1wbGVySW52YWxpZEFyZ0Vycm9yIH0gZnJvbSAnLi9lcnJvcnMnO1xuXG5leHBvcnQgaW50ZXJmYWNlIFdhdkZvcm1hdCB7XG4gIGZvcm1hdDogU2FtcGxlRm9ybWF0O1xuICBjaGFubmVsczogbnVtYmVyO1xuICBzYW1wbGVSYXRlOiBudW1iZXI7XG4gIC8qKiBzcGVha2VyIHBvc2l0aW9ucyBvZiB0aGUgY2hhbm5lbHMsIG9ubHkgc2V0IGZvciBXQVZFX0ZPUk1BVF9FWFRFTlNJQkxFIGZpbGVzICovXG4gIGNoYW5uZWxNYXNrPzogbnVtYmVyO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIFdhdkhlYWRlciBleHRlbmRzIFdhdkZvcm1hdCB7XG4gIC8qKiBvZmZzZXQgb2YgdGhlIGF1ZGlvIGRhdGEgaW4gdGhlIGZpbGUgKi9cbiAgZGF0YU9mZnNldDogbnVtYmVyO1xuICAvKiogbGVuZ3RoIGluIGJ5dGVzIG9mIHRoZSBhdWRpbyBkYXRhLCBudWxsIGlmIHVua25vd24gKGZpbGUgYmVpbmcgc3RyZWFtZWQpICovXG4gIGRhdGFMZW5ndGg6IG51bWJlciB8IG51bGw7XG59XG5cbmNvbnN0IFdBVkVfRk9STUFUX1BDTSA9IDB4MDAwMTtcbmNvbnN0IFdBVkVfRk9STUFUX0lFRUVfRkxPQVQgPSAweDAwMDM7XG5jb25zdCBXQVZFX0ZPUk1BVF9FWFRFTlNJQkxFID0gMHhGRkZFO1xuXG4vLyBzaXplIHdyaXR0ZW4gaW4gcGxhY2Ugb2YgdGhlIFJJRkYgYW5kIGRhdGEgY2h1bmtzIHNpemVzIHdoZW4gdGhleSBhcmUgbm90IGtub3duIHlldFxuLy8gdGhpcyBpcyB3aGF0IG1vc3QgdG9vbHMgd3JpdGUgd2hlbiBzdHJlYW1pbmcgYW5kIHdoYXQgdGhleSBleHBlY3Qgd2hlbiByZWFkaW5nIGEgc3RyZWFtXG5leHBvcnQgY29uc3QgV0FWX1VOS05PV05fU0laRSA9IDB4RkZGRkZGRkY7XG5cbmNvbnN0IFJJRkZfSEVBREVSX0xFTkdUSCA9IDEyO1xuY29uc3QgQ0hVTktfSEVBREVSX0xFTkdUSCA9IDg7XG5jb25zdCBFWFRFTlNJQkxFX0ZNVF9MRU5HVEggPSA0MDtcbmNvbnN0IFBDTV9GTVRfTEVOR1RIID0gMTY7XG5cbmNvbnN0IHNhbXBsZUZvcm1hdE9mID0gKGZvcm1hdENvZGU6IG51bWJlciwgYml0c1BlclNhbXBsZTogbnVtYmVyKTogU2FtcGxlRm9ybWF0ID0+IHtcbiAgaWYgKGZvcm1hdENvZGUgPT09IFdBVkVfRk9STUFUX1BDTSAmJiBiaXRzUGVyU2FtcGxlID09PSAxNikge1xuICAgIHJldHVybiAnaW50MTYnO1xuICB9XG4gIGlmIChmb3JtYXRDb2RlID09PSBXQVZFX0ZPUk1BVF9QQ00gJiYgYml0c1BlclNhbXBsZSA9PT0gMjQpIHtcbiAgICByZXR1cm4gJ2ludDI0JztcbiAgfVxuICBpZiAoZm9ybWF0Q29kZSA9PT0gV0FWRV9GT1JNQVRfUENNICYmIGJpdHNQZXJTYW1wbGUgPT09IDMyKSB7XG4gICAgcmV0dXJuICdpbnQzMic7XG4gIH1cbiAgaWYgKGZvcm1hdENvZGUgPT09IFdBVkVfRk9STUFUX0lFRUVfRkxPQVQgJiYgYml0c1BlclNhbXBsZSA9PT0gMzIpIHtcbiAgICByZXR1cm4gJ2Zsb2F0MzInO1xuICB9XG4gIHRocm93IG5ldyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvcihgVW5zdXBwb3J0ZWQgV0FWIGZvcm1hdCAke2Zvcm1hdENvZGV9IHdpdGggJHtiaXRzUGVyU2FtcGxlfSBiaXRzIHBlciBzYW1wbGVgKTtcbn1cblxuLyoqXG4gICogUGFyc2UgdGhlIGhlYWRlciBvZiBhIFJJRkYvV0FWRSBmaWxlLCBjaHVua3Mgb3RoZXIgdGhhbiBgZm10IGAgYmVmb3JlIHRoZSBgZGF0YWAgY2h1bmsgYXJlIHNraXBwZWQuXG4gICogQHBhcmFtIGJ1ZmZlciBzdGFydCBvZiB0aGUgZmlsZVxuICAqIEByZXR1cm5zIHRoZSBoZWFkZXIgb3IgbnVsbCBpZiBidWZmZXIgZG9lc24ndCBjb250YWluIHRoZSBmdWxsIGhlYWRlciB5ZXRcbiAgKi9cbmV4cG9ydCBjb25zdCBwYXJzZVdhdkhlYWRlciA9IChidWZmZXI6IEJ1ZmZlcik6IFdhdkhlYWRlciB8IG51bGwgPT4ge1xuICBpZiAoYnVmZmVyLmxlbmd0aCA8IFJJRkZfSEVBREVSX0xFTkdUSCkge1xuICAgIHJldHVybiBudWxsO1xuICB9XG4gIGlmIChidWZmZXIudG9TdHJpbmcoJ2FzY2lpJywgMCwgNCkgIT09ICdSSUZGJyB8fCBidWZmZXIudG9TdHJpbmcoJ2FzY2lpJywgOCwgMTIpICE9PSAnV0FWRScpIHtcbiAgICB0aHJvdyBuZXcgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IoJ0lucHV0IGlzIG5vdCBhIFJJRkYvV0FWRSBmaWxlJyk7XG4gIH1cbiAgbGV0IGZvcm1hdDogV2F2Rm9ybWF0IHwgbnVsbCA9IG51bGw7XG4gIGxldCBvZmZzZXQgPSBSSUZGX0hFQURFUl9MRU5HVEg7XG4gIHdoaWxlIChvZmZzZXQgKyBDSFVOS19IRUFERVJfTEVOR1RIIDw9IGJ1ZmZlci5sZW5ndGgpIHtcbiAgICBjb25zdCBjaHVua0lkID0gYnVmZmVyLnRvU3RyaW5nKCdhc2NpaScsIG9mZnNldCwgb2Zmc2V0ICsgNCk7XG4gICAgY29uc3QgY2h1bmtMZW5ndGggPSBidWZmZXIucmVhZFVJbnQzMkxFKG9mZnNldCArIDQpO1xuICAgIGNvbnN0IGNodW5rT2Zmc2V0ID0gb2Zmc2V0ICsgQ0hVTktfSEVBREVSX0xFTkdUSDtcbiAgICBpZiAoY2h1bmtJZCA9PT0gJ2RhdGEnKSB7XG4gICAgICBpZiAoIWZvcm1hdCkge1xuICAgICAgICB0aHJvdyBuZXcgU3BlZXhSZXNhbXBsZXJJbnZhbGlkQXJnRXJyb3IoJ1dBViBkYXRhIGNodW5rIGZvdW5kIGJlZm9yZSB0aGUgZm10IGNodW5rJyk7XG4gICAgICB9XG4gICAgICByZXR1cm4ge1xuICAgICAgICAuLi5mb3JtYXQsXG4gICAgICAgIGRhdGFPZmZzZXQ6IGNodW5rT2Zmc2V0LFxuICAgICAgICAvLyAwIGFuZCAweEZGRkZGRkZGIGFyZSB3cml0dGVuIGJ5IHRvb2xzIHN0cmVhbWluZyB0aGVpciBvdXRwdXRcbiAgICAgICAgZGF0YUxlbmd0aDogY2h1bmtMZW5ndGggPT09IDAgfHwgY2h1bmtMZW5ndGggPT09IFdBVl9VTktOT1dOX1NJWkUgPyBudWxsIDogY2h1bmtMZW5ndGgsXG4gICAgICB9O1xuICAgIH1cbiAgICBpZiAoY2h1bmtJZCA9PT0gJ2ZtdCAnKSB7XG4gICAgICBpZiAoY2h1bmtPZmZzZXQgKyBjaHVua0xlbmd0aCA+IGJ1ZmZlci5sZW5ndGgpIHtcbiAgICAgICAgcmV0dXJuIG51bGw7XG4gICAgICB9XG4gICAgICBsZXQgZm9ybWF0Q29kZSA9IGJ1ZmZlci5yZWFkVUludDE2TEUoY2h1bmtPZmZzZXQpO1xuICAgICAgY29uc3QgYml0c1BlclNhbXBsZSA9IGJ1ZmZlci5yZWFkVUludDE2TEUoY2h1bmtPZmZzZXQgKyAxNCk7XG4gICAgICBsZXQgY2hhbm5lbE1hc2s6IG51bWJlciB8IHVuZGVmaW5lZDtcbiAgICAgIGlmIChmb3JtYXRDb2RlID09PSBXQVZFX0ZPUk1BVF9FWFRFTlNJQkxFKSB7XG4gICAgICAgIGNoYW5uZWxNYXNrID0gYnVmZmVyLnJlYWRVSW50MzJMRShjaHVua09mZnNldCArIDIwKTtcbiAgICAgICAgLy8gdGhlIGZpcnN0IHR3byBieXRlcyBvZiB0aGUgc3ViIGZvcm1hdCBHVUlEIGFyZSB0aGUgZm9ybWF0IGNvZGVcbiAgICAgICAgZm9ybWF0Q29kZSA9IGJ1ZmZlci5yZWFkVUludDE2TEUoY2h1bmtPZmZzZXQgKyAyNCk7XG4gICAgICB9XG4gICAgICBmb3JtYXQgPSB7XG4gICAgICAgIGZvcm1hdDogc2FtcGxlRm9ybWF0T2YoZm9ybWF0Q29kZSwgYml0c1BlclNhbXBsZSksXG4gICAgICAgIGNoYW5uZWxzOiBidWZmZXIucmVhZFVJbnQxNkxFKGNodW5rT2Zmc2V0ICsgMiksXG4gICAgICAgIHNhbXBsZVJhdGU6IGJ1ZmZlci5yZWFkVUludDMyTEUoY2h1bmtPZmZzZXQgKyA0KSxcbiAgICAgICAgY2hhbm5lbE1hc2ssXG4gICAgICB9O1xuICAgIH1cbiAgICAvLyBjaHVua3MgYXJlIHBhZGRlZCB0byBhbiBldmVuIGxlbmd0aFxuICAgIG9mZnNldCA9IGNodW5rT2Zmc2V0ICsgY2h1bmtMZW5ndGggKyAoY2h1bmtMZW5ndGggJSAyKTtcbiAgfVxuICByZXR1cm4gbnVsbDtcbn1cblxuLyoqXG4gICogQ3JlYXRlIHRoZSBoZWFkZXIgb2YgYSBSSUZGL1dBVkUgZmlsZSwgV0FWRV9GT1JNQVRfRVhURU5TSUJMRSBpcyB1c2VkIGZvciBtb3JlIHRoYW4gMiBjaGFubmVscyBvciBtb3JlIHRoYW4gMTYgYml0c1xuICAqIEBwYXJhbSBkYXRhTGVuZ3RoIGxlbmd0aCBpbiBieXRlcyBvZiB0aGUgYXVkaW8gZGF0YSwgV0FWX1VOS05PV05fU0laRSBpZiBub3Qga25vd24geWV0XG4gICovXG5leHBvcnQgY29uc3QgY3JlYXRlV2F2SGVhZGVyID0gKHtmb3JtYXQsIGNoYW5uZWxzLCBzYW1wbGVSYXRlLCBjaGFubmVsTWFza306IFdhdkZvcm1hdCwgZGF0YUxlbmd0aCA9IFdBVl9VTktOT1dOX1NJWkUpID0+IHtcbiAgY29uc3QgYnl0ZXNQZXJTYW1wbGUgPSBCWVRFU19QRVJfU0FNUExFW2Zvcm1hdF07XG4gIGNvbnN0IGZvcm1hdENvZGUgPSBmb3JtYXQgPT09ICdmbG9hdDMyJyA/IFdBVkVfRk9STUFUX0lFRUVfRkxPQVQgOiBXQVZFX0ZPUk1BVF9QQ007XG4gIGNvbnN0IGV4dGVuc2libGUgPSBjaGFubmVscyA+IDIgfHwgYnl0ZXNQZXJTYW1wbGUgPiAyO1xuICBjb25zdCBmbXRMZW5ndGggPSBleHRlbnNpYmxlID8gRVhURU5TSUJMRV9GTVRfTEVOR1RIIDogUENNX0ZNVF9MRU5HVEg7XG4gIGNvbnN0IGhlYWRlckxlbmd0aCA9IFJJRkZfSEVBREVSX0xFTkdUSCArIENIVU5LX0hFQURFUl9MRU5HVEggKyBmbXRMZW5ndGggKyBDSFVOS19IRUFERVJfTEVOR1RIO1xuICBjb25zdCBoZWFkZXIgPSBCdWZmZXIuYWxsb2MoaGVhZGVyTGVuZ3RoKTtcblxuICBoZWFkZXIud3JpdGUoJ1JJRkYnLCAwLCAnYXNjaWknKTtcbiAgaGVhZGVyLndyaXRlVUludDMyTEUoZGF0YUxlbmd0aCA9PT0gV0FWX1VOS05PV05fU0laRSA/IFdBVl9VTktOT1dOX1NJWkUgOiBoZWFkZXJMZW5ndGggLSA4ICsgZGF0YUxlbmd0aCArIChkYXRhTGVuZ3RoICUgMiksIDQpO1xuICBoZWFkZXIud3JpdGUoJ1dBVkUnLCA4LCAnYXNjaWknKTtcblxuICBoZWFkZXIud3JpdGUoJ2ZtdCAnLCAxMiwgJ2FzY2lpJyk7XG4gIGhlYWRlci53cml0ZVVJbnQzMkxFKGZtdExlbmd0aCwgMTYpO1xuICBoZWFkZXIud3JpdGVVSW50MTZMRShleHRlbnNpYmxlID8gV0FWRV9GT1JNQVRfRVhURU5TSUJMRSA6IGZvcm1hdENvZGUsIDIwKTtcbiAgaGVhZGVyLndyaXRlVUludDE2TEUoY2hhbm5lbHMsIDIyKTtcbiAgaGVhZGVyLndyaXRlVUludDMyTEUoc2FtcGxlUmF0ZSwgMjQpO1xuICBoZWFkZXIud3JpdGVVSW50MzJMRShzYW1wbGVSYXRlICogY2hhbm5lbHMgKiBieXRlc1BlclNhbXBsZSwgMjgpO1xuICBoZWFkZXIud3JpdGVVSW50MTZMRShjaGFubmVscyAqIGJ5dGVzUGVyU2FtcGxlLCAzMik7XG4gIGhlYWRlci53cml0ZVVJbnQxNkxFKGJ5dGVzUGVyU2FtcGxlICogOCwgMzQpO1xuICBpZiAoZXh0ZW5zaWJsZSkge1xuICAgIC8vIGV4dGVuc2lvbiBzaXplXG4gICAgaGVhZGVyLndyaXRlVUludDE2TEUoMjIsIDM2KTtcbiAgICAvLyB2YWxpZCBiaXRzIHBlciBzYW1wbGVcbiAgICBoZWFkZXIud3JpdGVVSW50MTZMRShieXRlc1BlclNhbXBsZSAqIDgsIDM4KTtcbiAgICBoZWFkZXIud3JpdGVVSW50MzJMRShjaGFubmVsTWFzayB8fCAwLCA0MCk7XG4gICAgLy8gc3ViIGZvcm1hdCBHVUlEOiBmb3JtYXQgY29kZSBmb2xsb3dlZCBieSAwMDAwMDAwMC0wMDEwLTgwMDAtMDBBQTAwMzg5QjcxXG4gICAgaGVhZGVyLndyaXRlVUludDE2TEUoZm9ybWF0Q29kZSwgNDQpO1xuICAgIEJ1ZmZlci5mcm9tKFsweDAwLCAweDAwLCAweDAwLCAweDAwLCAweDEwLCAweDAwLCAweDgwLCAweDAwLCAweDAwLCAweEFBLCAweDAwLCAweDM4LCAweDlCLCAweDcxXSkuY29weShoZWFkZXIsIDQ2KTtcbiAgfVxuXG4gIGhlYWRlci53cml0ZSgnZGF0YScsIGhlYWRlckxlbmd0aCAtIDgsICdhc2NpaScpO1xuICBoZWFkZXIud3JpdGVVSW50MzJMRShkYXRhTGVuZ3RoLCBoZWFkZXJMZW5ndGggLSA0KTtcbiAgcmV0dXJuIGhlYWRlcjtcbn1cbiJdfQ==
\ No newline at end of file
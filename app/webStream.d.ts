@@ -0,0 +1,26 @@
+import SpeexResampler, { SpeexResamplerOptions } from './resampler';
+/**
+  * WHATWG TransformStream resampling interleaved PCM data, for runtimes without NodeJS streams (browsers, Deno, edge runtimes).
+  * It accepts ArrayBuffer or any typed array chunks and outputs Uint8Array chunks in the output sample format.
+  */
+export declare class SpeexResamplerStream extends TransformStream<ArrayBuffer | ArrayBufferView, Uint8Array> {
+    resampler: SpeexResampler;
+    channels: number;
+    inRate: number;
+    outRate: number;
+    quality: number;
+    /**
+      * Create a SpeexResamplerStream instance, the WASM module needs to be ready, see SpeexResamplerStream.create
+      * @param channels Number of channels, minimum is 1, no maximum
+      * @param inRate frequency in Hz for the input chunk
+      * @param outRate frequency in Hz for the target chunk
+      * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+      * @param options sample formats of the input and output chunks (default to float32), latency compensation and channels mixing
+      */
+    constructor(channels: number, inRate: number, outRate: number, quality?: number, options?: SpeexResamplerOptions);
+    /**
+      * Wait for the WASM module to be ready and create a SpeexResamplerStream, see constructor for the arguments
+      */
+    static create(channels: number, inRate: number, outRate: number, quality?: number, options?: SpeexResamplerOptions): Promise<SpeexResamplerStream>;
+}
+export default SpeexResamplerStream;
@@ -0,0 +1,89 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    Object.defineProperty(o, k2, { enumerable: true, get: function() { return m[k]; } });
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SpeexResamplerStream = void 0;
+const resampler_1 = __importStar(require("./resampler"));
+const formats_1 = require("./formats");
+/**
+  * WHATWG TransformStream resampling interleaved PCM data, for runtimes without NodeJS streams (browsers, Deno, edge runtimes).
+  * It accepts ArrayBuffer or any typed array chunks and outputs Uint8Array chunks in the output sample format.
+  */
+class SpeexResamplerStream extends TransformStream {
+    /**
+      * Create a SpeexResamplerStream instance, the WASM module needs to be ready, see SpeexResamplerStream.create
+      * @param channels Number of channels, minimum is 1, no maximum
+      * @param inRate frequency in Hz for the input chunk
+      * @param outRate frequency in Hz for the target chunk
+      * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+      * @param options sample formats of the input and output chunks (default to float32), latency compensation and channels mixing
+      */
+    constructor(channels, inRate, outRate, quality = 7, options = {}) {
+        // the transformer uses the resampler so it is created before calling super
+        // enqueued chunks are kept until they are read so they cannot be views on reused memory
+        const resampler = new resampler_1.default(channels, inRate, outRate, quality, { ...options, returnView: false });
+        const frameLength = channels * formats_1.BYTES_PER_SAMPLE[resampler.inFormat];
+        let alignementBuffer = resampler_1.EMPTY_BUFFER;
+        super({
+            transform: (chunk, controller) => {
+                // Speex needs chunks aligned to the frame size, the extraneous bytes are kept for the next chunk
+                const [chunkToProcess, remainder] = formats_1.alignChunk(alignementBuffer, formats_1.toBuffer(chunk), frameLength);
+                alignementBuffer = remainder;
+                const res = resampler.processChunk(chunkToProcess);
+                if (res.length > 0) {
+                    controller.enqueue(res);
+                }
+            },
+            flush: (controller) => {
+                // an incomplete frame left in the alignment buffer cannot be resampled so it is dropped
+                alignementBuffer = resampler_1.EMPTY_BUFFER;
+                try {
+                    const res = resampler.flush();
+                    if (res.length > 0) {
+                        controller.enqueue(res);
+                    }
+                }
+                finally {
+                    resampler.destroy();
+                }
+            },
+            // only called by runtimes implementing the transformer cancel algorithm, the WASM memory is released by
+            // the FinalizationRegistry on the others
+            cancel: () => {
+                resampler.destroy();
+            },
+        });
+        this.resampler = resampler;
+        this.channels = channels;
+        this.inRate = inRate;
+        this.outRate = outRate;
+        this.quality = quality;
+    }
+    /**
+      * Wait for the WASM module to be ready and create a SpeexResamplerStream, see constructor for the arguments
+      */
+    static async create(channels, inRate, outRate, quality = 7, options = {}) {
+        await resampler_1.default.initPromise;
+        return new SpeexResamplerStream(channels, inRate, outRate, quality, options);
+    }
+}
+exports.SpeexResamplerStream = SpeexResamplerStream;
+exports.default = SpeexResamplerStream;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoid2ViU3RyZWFtLmpzIiwic291cmNlUm9vdCI6Ii8iLCJzb3VyY2VzIjpbIndlYlN0cmVhbS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O0FBQUEseURBQWtGO0FBQ2xGLHVDQUFtRTtBQUVuRTs7O0lBR0k7QUFDSixNQUFhLG9CQUFxQixTQUFRLGVBQTBEO0lBT2xHOzs7Ozs7O1FBT0k7SUFDSixZQUFZLFFBQWdCLEVBQUUsTUFBYyxFQUFFLE9BQWUsRUFBRSxPQUFPLEdBQUcsQ0FBQyxFQUFFLFVBQWlDLEVBQUU7UUFDN0csMkVBQTJFO1FBQzNFLHdGQUF3RjtRQUN4RixNQUFNLFNBQVMsR0FBRyxJQUFJLG1CQUFjLENBQUMsUUFBUSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLEVBQUMsR0FBRyxPQUFPLEVBQUUsVUFBVSxFQUFFLEtBQUssRUFBQyxDQUFDLENBQUM7UUFDMUcsTUFBTSxXQUFXLEdBQUcsUUFBUSxHQUFHLDBCQUFnQixDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUNwRSxJQUFJLGdCQUFnQixHQUFHLHdCQUFZLENBQUM7UUFDcEMsS0FBSyxDQUFDO1lBQ0osU0FBUyxFQUFFLENBQUMsS0FBSyxFQUFFLFVBQVUsRUFBRSxFQUFFO2dCQUMvQixpR0FBaUc7Z0JBQ2pHLE1BQU0sQ0FBQyxjQUFjLEVBQUUsU0FBUyxDQUFDLEdBQUcsb0JBQVUsQ0FBQyxnQkFBZ0IsRUFBRSxrQkFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFLFdBQVcsQ0FBQyxDQUFDO2dCQUMvRixnQkFBZ0IsR0FBRyxTQUFTLENBQUM7Z0JBQzdCLE1BQU0sR0FBRyxHQUFHLFNBQVMsQ0FBQyxZQUFZLENBQUMsY0FBYyxDQUFDLENBQUM7Z0JBQ25ELElBQUksR0FBRyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7b0JBQ2xCLFVBQVUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUM7aUJBQ3pCO1lBQ0gsQ0FBQztZQUNELEtBQUssRUFBRSxDQUFDLFVBQVUsRUFBRSxFQUFFO2dCQUNwQix3RkFBd0Y7Z0JBQ3hGLGdCQUFnQixHQUFHLHdCQUFZLENBQUM7Z0JBQ2hDLElBQUk7b0JBQ0YsTUFBTSxHQUFHLEdBQUcsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDO29CQUM5QixJQUFJLEdBQUcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO3dCQUNsQixVQUFVLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO3FCQUN6QjtpQkFDRjt3QkFBUztvQkFDUixTQUFTLENBQUMsT0FBTyxFQUFFLENBQUM7aUJBQ3JCO1lBQ0gsQ0FBQztZQUNELHdHQUF3RztZQUN4Ryx5Q0FBeUM7WUFDekMsTUFBTSxFQUFFLEdBQUcsRUFBRTtnQkFDWCxTQUFTLENBQUMsT0FBTyxFQUFFLENBQUM7WUFDdEIsQ0FBQztTQUN3RCxDQUFDLENBQUM7UUFDN0QsSUFBSSxDQUFDLFNBQVMsR0FBRyxTQUFTLENBQUM7UUFDM0IsSUFBSSxDQUFDLFFBQVEsR0FBRyxRQUFRLENBQUM7UUFDekIsSUFBSSxDQUFDLE1BQU0sR0FBRyxNQUFNLENBQUM7UUFDckIsSUFBSSxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUM7UUFDdkIsSUFBSSxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUM7SUFDekIsQ0FBQztJQUVEOztRQUVJO0lBQ0osTUFBTSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsUUFBZ0IsRUFBRSxNQUFjLEVBQUUsT0FBZSxFQUFFLE9BQU8sR0FBRyxDQUFDLEVBQUUsVUFBaUMsRUFBRTtRQUNySCxNQUFNLG1CQUFjLENBQUMsV0FBVyxDQUFDO1FBQ2pDLE9BQU8sSUFBSSxvQkFBb0IsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxDQUFDLENBQUM7SUFDL0UsQ0FBQztDQUNGO0FBL0RELG9EQStEQztBQUVELGtCQUFlLG9CQUFvQixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiaW1wb3J0IFNwZWV4UmVzYW1wbGVyLCB7IFNwZWV4UmVzYW1wbGVyT3B0aW9ucywgRU1QVFlfQlVGRkVSIH0gZnJvbSAnLi9yZXNhbXBsZXInO1xuaW1wb3J0IHsgQllURVNfUEVSX1NBTVBMRSwgYWxpZ25DaHVuaywgdG9CdWZmZXIgfSBmcm9tICcuL2Zvcm1hdHMnO1xuXG4vKipcbiAgKiBXSEFUV0cgVHJhbnNmb3JtU3RyZWFtIHJlc2FtcGxpbmcgaW50ZXJsZWF2ZWQgUENNIGRhdGEsIGZvciBydW50aW1lcyB3aXRob3V0IE5vZGVKUyBzdHJlYW1zIChicm93c2VycywgRGVubywgZWRnZSBydW50aW1lcykuXG4gICogSXQgYWNjZXB0cyBBcnJheUJ1ZmZlciBvciBhbnkgdHlwZWQgYXJyYXkgY2h1bmtzIGFuZCBvdXRwdXRzIFVpbnQ4QXJyYXkgY2h1bmtzIGluIHRoZSBvdXRwdXQgc2FtcGxlIGZvcm1hdC5cbiAgKi9cbmV4cG9ydCBjbGFzcyBTcGVleFJlc2FtcGxlclN0cmVhbSBleHRlbmRzIFRyYW5zZm9ybVN0cmVhbTxBcnJheUJ1ZmZlciB8IEFycmF5QnVmZmVyVmlldywgVWludDhBcnJheT4ge1xuICByZXNhbXBsZXI6IFNwZWV4UmVzYW1wbGVyO1xuICBjaGFubmVsczogbnVtYmVyO1xuICBpblJhdGU6IG51bWJlcjtcbiAgb3V0UmF0ZTogbnVtYmVyO1xuICBxdWFsaXR5OiBudW1iZXI7XG5cbiAgLyoqXG4gICAgKiBDcmVhdGUgYSBTcGVleFJlc2FtcGxlclN0cmVhbSBpbnN0YW5jZSwgdGhlIFdBU00gbW9kdWxlIG5lZWRzIHRvIGJlIHJlYWR5LCBzZWUgU3BlZXhSZXNhbXBsZXJTdHJlYW0uY3JlYXRlXG4gICAgKiBAcGFyYW0gY2hhbm5lbHMgTnVtYmVyIG9mIGNoYW5uZWxzLCBtaW5pbXVtIGlzIDEsIG5vIG1heGltdW1cbiAgICAqIEBwYXJhbSBpblJhdGUgZnJlcXVlbmN5IGluIEh6IGZvciB0aGUgaW5wdXQgY2h1bmtcbiAgICAqIEBwYXJhbSBvdXRSYXRlIGZyZXF1ZW5jeSBpbiBIeiBmb3IgdGhlIHRhcmdldCBjaHVua1xuICAgICogQHBhcmFtIHF1YWxpdHkgbnVtYmVyIGZyb20gMSB0byAxMCwgZGVmYXVsdCB0byA3LCAxIGlzIGZhc3QgYnV0IG9mIGJhZCBxdWFsaXR5LCAxMCBpcyBzbG93IGJ1dCBiZXN0IHF1YWxpdHlcbiAgICAqIEBwYXJhbSBvcHRpb25zIHNhbXBsZSBmb3JtYXRzIG9mIHRoZSBpbnB1dCBhbmQgb3V0cHV0IGNodW5rcyAoZGVmYXVsdCB0byBmbG9hdDMyKSwgbGF0ZW5jeSBjb21wZW5zYXRpb24gYW5kIGNoYW5uZWxzIG1peGluZ1xuICAgICovXG4gIGNvbnN0cnVjdG9yKGNoYW5uZWxzOiBudW1iZXIsIGluUmF0ZTogbnVtYmVyLCBvdXRSYXRlOiBudW1iZXIsIHF1YWxpdHkgPSA3LCBvcHRpb25zOiBTcGVleFJlc2FtcGxlck9wdGlvbnMgPSB7fSkge1xuICAgIC8vIHRoZSB0cmFuc2Zvcm1lciB1c2VzIHRoZSByZXNhbXBsZXIgc28gaXQgaXMgY3JlYXRlZCBiZWZvcmUgY2FsbGluZyBzdXBlclxuICAgIC8vIGVucXVldWVkIGNodW5rcyBhcmUga2VwdCB1bnRpbCB0aGV5IGFyZSByZWFkIHNvIHRoZXkgY2Fubm90IGJlIHZpZXdzIG9uIHJldXNlZCBtZW1vcnlcbiAgICBjb25zdCByZXNhbXBsZXIgPSBuZXcgU3BlZXhSZXNhbXBsZXIoY2hhbm5lbHMsIGluUmF0ZSwgb3V0UmF0ZSwgcXVhbGl0eSwgey4uLm9wdGlvbnMsIHJldHVyblZpZXc6IGZhbHNlfSk7XG4gICAgY29uc3QgZnJhbWVMZW5ndGggPSBjaGFubmVscyAqIEJZVEVTX1BFUl9TQU1QTEVbcmVzYW1wbGVyLmluRm9ybWF0XTtcbiAgICBsZXQgYWxpZ25lbWVudEJ1ZmZlciA9IEVNUFRZX0JVRkZFUjtcbiAgICBzdXBlcih7XG4gICAgICB0cmFuc2Zvcm06IChjaHVuaywgY29udHJvbGxlcikgPT4ge1xuICAgICAgICAvLyBTcGVleCBuZWVkcyBjaHVua3MgYWxpZ25lZCB0byB0aGUgZnJhbWUgc2l6ZSwgdGhlIGV4dHJhbmVvdXMgYnl0ZXMgYXJlIGtlcHQgZm9yIHRoZSBuZXh0IGNodW5rXG4gICAgICAgIGNvbnN0IFtjaHVua1RvUHJvY2VzcywgcmVtYWluZGVyXSA9IGFsaWduQ2h1bmsoYWxpZ25lbWVudEJ1ZmZlciwgdG9CdWZmZXIoY2h1bmspLCBmcmFtZUxlbmd0aCk7XG4gICAgICAgIGFsaWduZW1lbnRCdWZmZXIgPSByZW1haW5kZXI7XG4gICAgICAgIGNvbnN0IHJlcyA9IHJlc2FtcGxlci5wcm9jZXNzQ2h1bmsoY2h1bmtUb1Byb2Nlc3MpO1xuICAgICAgICBpZiAocmVzLmxlbmd0aCA+IDApIHtcbiAgICAgICAgICBjb250cm9sbGVyLmVucXVldWUocmVzKTtcbiAgICAgICAgfVxuICAgICAgfSxcbiAgICAgIGZsdXNoOiAoY29udHJvbGxlcikgPT4ge1xuICAgICAgICAvLyBhbiBpbmNvbXBsZXRlIGZyYW1lIGxlZnQgaW4gdGhlIGFsaWdubWVudCBidWZmZXIgY2Fubm90IGJlIHJlc2FtcGxlZCBzbyBpdCBpcyBkcm9wcGVkXG4gICAgICAgIGFsaWduZW1lbnRCdWZmZXIgPSBFTVBUWV9CVUZGRVI7XG4gICAgICAgIHRyeSB7XG4gICAgICAgICAgY29uc3QgcmVzID0gcmVzYW1wbGVyLmZsdXNoKCk7XG4gICAgICAgICAgaWYgKHJlcy5sZW5ndGggPiAwKSB7XG4gICAgICAgICAgICBjb250cm9sbGVyLmVucXVldWUocmVzKTtcbiAgICAgICAgICB9XG4gICAgICAgIH0gZmluYWxseSB7XG4gICAgICAgICAgcmVzYW1wbGVyLmRlc3Ryb3koKTtcbiAgICAgICAgfVxuICAgICAgfSxcbiAgICAgIC8vIG9ubHkgY2FsbGVkIGJ5IHJ1bnRpbWVzIGltcGxlbWVudGluZyB0aGUgdHJhbnNmb3JtZXIgY2FuY2VsIGFsZ29yaXRobSwgdGhlIFdBU00gbWVtb3J5IGlzIHJlbGVhc2VkIGJ5XG4gICAgICAvLyB0aGUgRmluYWxpemF0aW9uUmVnaXN0cnkgb24gdGhlIG90aGVyc1xuICAgICAgY2FuY2VsOiAoKSA9PiB7XG4gICAgICAgIHJlc2FtcGxlci5kZXN0cm95KCk7XG4gICAgICB9LFxuICAgIH0gYXMgVHJhbnNmb3JtZXI8QXJyYXlCdWZmZXIgfCBBcnJheUJ1ZmZlclZpZXcsIFVpbnQ4QXJyYXk+KTtcbiAgICB0aGlzLnJlc2FtcGxlciA9IHJlc2FtcGxlcjtcbiAgICB0aGlzLmNoYW5uZWxzID0gY2hhbm5lbHM7XG4gICAgdGhpcy5pblJhdGUgPSBpblJhdGU7XG4gICAgdGhpcy5vdXRSYXRlID0gb3V0UmF0ZTtcbiAgICB0aGlzLnF1YWxpdHkgPSBxdWFsaXR5O1xuICB9XG5cbiAgLyoqXG4gICAgKiBXYWl0IGZvciB0aGUgV0FTTSBtb2R1bGUgdG8gYmUgcmVhZHkgYW5kIGNyZWF0ZSBhIFNwZWV4UmVzYW1wbGVyU3RyZWFtLCBzZWUgY29uc3RydWN0b3IgZm9yIHRoZSBhcmd1bWVudHNcbiAgICAqL1xuICBzdGF0aWMgYXN5bmMgY3JlYXRlKGNoYW5uZWxzOiBudW1iZXIsIGluUmF0ZTogbnVtYmVyLCBvdXRSYXRlOiBudW1iZXIsIHF1YWxpdHkgPSA3LCBvcHRpb25zOiBTcGVleFJlc2FtcGxlck9wdGlvbnMgPSB7fSkge1xuICAgIGF3YWl0IFNwZWV4UmVzYW1wbGVyLmluaXRQcm9taXNlO1xuICAgIHJldHVybiBuZXcgU3BlZXhSZXNhbXBsZXJTdHJlYW0oY2hhbm5lbHMsIGluUmF0ZSwgb3V0UmF0ZSwgcXVhbGl0eSwgb3B0aW9ucyk7XG4gIH1cbn1cblxuZXhwb3J0IGRlZmF1bHQgU3BlZXhSZXNhbXBsZXJTdHJlYW07XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,52 @@
+import SpeexResampler from './resampler';
+import { SampleFormat } from './formats';
+declare const AudioWorkletProcessor: any;
+export declare const SPEEX_RESAMPLER_PROCESSOR_NAME = "speex-resampler-processor";
+export interface SpeexResamplerProcessorOptions {
+    /** frequency in Hz of the posted frames */
+    outRate: number;
+    /** number of channels of the posted frames, missing input channels are filled with silence, default to 1 */
+    channels?: number;
+    /** number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality */
+    quality?: number;
+    /** sample format of the posted frames, default to float32 */
+    format?: SampleFormat;
+    /** number of frames (samples per channel) in each posted message, default to 128 */
+    frameSize?: number;
+}
+/**
+  * Message posted on the processor port for each resampled frame, `data` is transferred
+  */
+export interface SpeexResamplerProcessorMessage {
+    /** interleaved PCM data in `format` */
+    data: ArrayBuffer;
+    /** number of frames (samples per channel) in data, only less than frameSize when flushing */
+    frames: number;
+    channels: number;
+    sampleRate: number;
+    format: SampleFormat;
+}
+/**
+  * AudioWorkletProcessor resampling its input from the AudioContext rate to `outRate` and posting frames of `frameSize`
+  * over its MessagePort. Send `{type: 'flush'}` to the port to get the end of the audio and `{type: 'close'}` to stop it.
+  */
+export declare class SpeexResamplerProcessor extends AudioWorkletProcessor {
+    resampler: SpeexResampler;
+    channels: number;
+    outRate: number;
+    format: SampleFormat;
+    frameSize: number;
+    _pendingFrames: Float32Array;
+    _pendingFramesCount: number;
+    _inputChannels: Float32Array[];
+    _resampledChannels: Float32Array[];
+    _silence: Float32Array;
+    _closed: boolean;
+    constructor(options: {
+        processorOptions: SpeexResamplerProcessorOptions;
+    });
+    process(inputs: Float32Array[][]): boolean;
+    _pushResampled(resampled: Float32Array[]): void;
+    _postPendingFrames(): void;
+}
+export {};
@@ -0,0 +1,95 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SpeexResamplerProcessor = exports.SPEEX_RESAMPLER_PROCESSOR_NAME = void 0;
+const resampler_1 = __importDefault(require("./resampler"));
+const formats_1 = require("./formats");
+const errors_1 = require("./errors");
+exports.SPEEX_RESAMPLER_PROCESSOR_NAME = 'speex-resampler-processor';
+// Render quantum size of the Web Audio API
+const RENDER_QUANTUM_FRAMES = 128;
+/**
+  * AudioWorkletProcessor resampling its input from the AudioContext rate to `outRate` and posting frames of `frameSize`
+  * over its MessagePort. Send `{type: 'flush'}` to the port to get the end of the audio and `{type: 'close'}` to stop it.
+  */
+class SpeexResamplerProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this._pendingFramesCount = 0;
+        this._silence = new Float32Array(RENDER_QUANTUM_FRAMES);
+        this._closed = false;
+        const processorOptions = options && options.processorOptions;
+        if (!processorOptions || !processorOptions.outRate) {
+            throw new errors_1.SpeexResamplerInvalidArgError('processorOptions.outRate is required');
+        }
+        this.channels = processorOptions.channels || 1;
+        this.outRate = processorOptions.outRate;
+        this.format = formats_1.assertSampleFormat(processorOptions.format || 'float32');
+        this.frameSize = processorOptions.frameSize || RENDER_QUANTUM_FRAMES;
+        // sync compilation is allowed outside of the main thread
+        resampler_1.default.initSync();
+        this.resampler = new resampler_1.default(this.channels, sampleRate, this.outRate, processorOptions.quality);
+        this._pendingFrames = new Float32Array(this.frameSize * this.channels);
+        this._inputChannels = new Array(this.channels);
+        const maxResampledFramesCount = Math.ceil(RENDER_QUANTUM_FRAMES * this.outRate / sampleRate) + 1;
+        this._resampledChannels = Array.from({ length: this.channels }, () => new Float32Array(maxResampledFramesCount));
+        this.port.onmessage = (e) => {
+            if (e.data && e.data.type === 'flush') {
+                this._pushResampled(this.resampler.flushPlanar());
+                this._postPendingFrames();
+            }
+            if (e.data && e.data.type === 'close') {
+                this._closed = true;
+                this.resampler.destroy();
+            }
+        };
+    }
+    process(inputs) {
+        if (this._closed) {
+            return false;
+        }
+        const input = inputs[0];
+        // no input connected
+        if (!input || input.length === 0) {
+            return true;
+        }
+        for (let channel = 0; channel < this.channels; channel++) {
+            this._inputChannels[channel] = input[channel] || this._silence;
+        }
+        this._pushResampled(this.resampler.processPlanar(this._inputChannels, this._resampledChannels));
+        return true;
+    }
+    _pushResampled(resampled) {
+        const framesCount = resampled[0].length;
+        for (let i = 0; i < framesCount; i++) {
+            for (let channel = 0; channel < this.channels; channel++) {
+                this._pendingFrames[this._pendingFramesCount * this.channels + channel] = resampled[channel][i];
+            }
+            this._pendingFramesCount++;
+            if (this._pendingFramesCount === this.frameSize) {
+                this._postPendingFrames();
+            }
+        }
+    }
+    _postPendingFrames() {
+        if (this._pendingFramesCount === 0) {
+            return;
+        }
+        const data = new Uint8Array(this._pendingFramesCount * this.channels * formats_1.BYTES_PER_SAMPLE[this.format]);
+        formats_1.encodeSamples(this._pendingFrames.subarray(0, this._pendingFramesCount * this.channels), data, this.format);
+        const message = {
+            data: data.buffer,
+            frames: this._pendingFramesCount,
+            channels: this.channels,
+            sampleRate: this.outRate,
+            format: this.format,
+        };
+        this.port.postMessage(message, [data.buffer]);
+        this._pendingFramesCount = 0;
+    }
+}
+exports.SpeexResamplerProcessor = SpeexResamplerProcessor;
+registerProcessor(exports.SPEEX_RESAMPLER_PROCESSOR_NAME, SpeexResamplerProcessor);
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoid29ya2xldC5qcyIsInNvdXJjZVJvb3QiOiIvIiwic291cmNlcyI6WyJ3b3JrbGV0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7OztBQUFBLDREQUF5QztBQUN6Qyx1Q0FBOEY7QUFDOUYscUNBQXlEO0FBTzVDLFFBQUEsOEJBQThCLEdBQUcsMkJBQTJCLENBQUM7QUE0QjFFLDJDQUEyQztBQUMzQyxNQUFNLHFCQUFxQixHQUFHLEdBQUcsQ0FBQztBQUVsQzs7O0lBR0k7QUFDSixNQUFhLHVCQUF3QixTQUFRLHFCQUFxQjtJQWdCaEUsWUFBWSxPQUE2RDtRQUN2RSxLQUFLLEVBQUUsQ0FBQztRQVJWLHdCQUFtQixHQUFHLENBQUMsQ0FBQztRQUl4QixhQUFRLEdBQUcsSUFBSSxZQUFZLENBQUMscUJBQXFCLENBQUMsQ0FBQztRQUNuRCxZQUFPLEdBQUcsS0FBSyxDQUFDO1FBSWQsTUFBTSxnQkFBZ0IsR0FBRyxPQUFPLElBQUksT0FBTyxDQUFDLGdCQUFnQixDQUFDO1FBQzdELElBQUksQ0FBQyxnQkFBZ0IsSUFBSSxDQUFDLGdCQUFnQixDQUFDLE9BQU8sRUFBRTtZQUNsRCxNQUFNLElBQUksc0NBQTZCLENBQUMsc0NBQXNDLENBQUMsQ0FBQztTQUNqRjtRQUNELElBQUksQ0FBQyxRQUFRLEdBQUcsZ0JBQWdCLENBQUMsUUFBUSxJQUFJLENBQUMsQ0FBQztRQUMvQyxJQUFJLENBQUMsT0FBTyxHQUFHLGdCQUFnQixDQUFDLE9BQU8sQ0FBQztRQUN4QyxJQUFJLENBQUMsTUFBTSxHQUFHLDRCQUFrQixDQUFDLGdCQUFnQixDQUFDLE1BQU0sSUFBSSxTQUFTLENBQUMsQ0FBQztRQUN2RSxJQUFJLENBQUMsU0FBUyxHQUFHLGdCQUFnQixDQUFDLFNBQVMsSUFBSSxxQkFBcUIsQ0FBQztRQUVyRSx5REFBeUQ7UUFDekQsbUJBQWMsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUMxQixJQUFJLENBQUMsU0FBUyxHQUFHLElBQUksbUJBQWMsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLFVBQVUsRUFBRSxJQUFJLENBQUMsT0FBTyxFQUFFLGdCQUFnQixDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3ZHLElBQUksQ0FBQyxjQUFjLEdBQUcsSUFBSSxZQUFZLENBQUMsSUFBSSxDQUFDLFNBQVMsR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDdkUsSUFBSSxDQUFDLGNBQWMsR0FBRyxJQUFJLEtBQUssQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDL0MsTUFBTSx1QkFBdUIsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLHFCQUFxQixHQUFHLElBQUksQ0FBQyxPQUFPLEdBQUcsVUFBVSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ2pHLElBQUksQ0FBQyxrQkFBa0IsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxRQUFRLEVBQUMsRUFBRSxHQUFHLEVBQUUsQ0FBQyxJQUFJLFlBQVksQ0FBQyx1QkFBdUIsQ0FBQyxDQUFDLENBQUM7UUFFL0csSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEdBQUcsQ0FBQyxDQUFDLEVBQUUsRUFBRTtZQUMxQixJQUFJLENBQUMsQ0FBQyxJQUFJLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLEtBQUssT0FBTyxFQUFFO2dCQUNyQyxJQUFJLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztnQkFDbEQsSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7YUFDM0I7WUFDRCxJQUFJLENBQUMsQ0FBQyxJQUFJLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLEtBQUssT0FBTyxFQUFFO2dCQUNyQyxJQUFJLENBQUMsT0FBTyxHQUFHLElBQUksQ0FBQztnQkFDcEIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLEVBQUUsQ0FBQzthQUMxQjtRQUNILENBQUMsQ0FBQztJQUNKLENBQUM7SUFFRCxPQUFPLENBQUMsTUFBd0I7UUFDOUIsSUFBSSxJQUFJLENBQUMsT0FBTyxFQUFFO1lBQ2hCLE9BQU8sS0FBSyxDQUFDO1NBQ2Q7UUFDRCxNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDeEIscUJBQXFCO1FBQ3JCLElBQUksQ0FBQyxLQUFLLElBQUksS0FBSyxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7WUFDaEMsT0FBTyxJQUFJLENBQUM7U0FDYjtRQUNELEtBQUssSUFBSSxPQUFPLEdBQUcsQ0FBQyxFQUFFLE9BQU8sR0FBRyxJQUFJLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQ3hELElBQUksQ0FBQyxjQUFjLENBQUMsT0FBTyxDQUFDLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLElBQUksQ0FBQyxRQUFRLENBQUM7U0FDaEU7UUFDRCxJQUFJLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxjQUFjLEVBQUUsSUFBSSxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQztRQUNoRyxPQUFPLElBQUksQ0FBQztJQUNkLENBQUM7SUFFRCxjQUFjLENBQUMsU0FBeUI7UUFDdEMsTUFBTSxXQUFXLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQztRQUN4QyxLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsV0FBVyxFQUFFLENBQUMsRUFBRSxFQUFFO1lBQ3BDLEtBQUssSUFBSSxPQUFPLEdBQUcsQ0FBQyxFQUFFLE9BQU8sR0FBRyxJQUFJLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxFQUFFO2dCQUN4RCxJQUFJLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxtQkFBbUIsR0FBRyxJQUFJLENBQUMsUUFBUSxHQUFHLE9BQU8sQ0FBQyxHQUFHLFNBQVMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQzthQUNqRztZQUNELElBQUksQ0FBQyxtQkFBbUIsRUFBRSxDQUFDO1lBQzNCLElBQUksSUFBSSxDQUFDLG1CQUFtQixLQUFLLElBQUksQ0FBQyxTQUFTLEVBQUU7Z0JBQy9DLElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDO2FBQzNCO1NBQ0Y7SUFDSCxDQUFDO0lBRUQsa0JBQWtCO1FBQ2hCLElBQUksSUFBSSxDQUFDLG1CQUFtQixLQUFLLENBQUMsRUFBRTtZQUNsQyxPQUFPO1NBQ1I7UUFDRCxNQUFNLElBQUksR0FBRyxJQUFJLFVBQVUsQ0FBQyxJQUFJLENBQUMsbUJBQW1CLEdBQUcsSUFBSSxDQUFDLFFBQVEsR0FBRywwQkFBZ0IsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUN0Ryx1QkFBYSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsbUJBQW1CLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDNUcsTUFBTSxPQUFPLEdBQW1DO1lBQzlDLElBQUksRUFBRSxJQUFJLENBQUMsTUFBTTtZQUNqQixNQUFNLEVBQUUsSUFBSSxDQUFDLG1CQUFtQjtZQUNoQyxRQUFRLEVBQUUsSUFBSSxDQUFDLFFBQVE7WUFDdkIsVUFBVSxFQUFFLElBQUksQ0FBQyxPQUFPO1lBQ3hCLE1BQU0sRUFBRSxJQUFJLENBQUMsTUFBTTtTQUNwQixDQUFDO1FBQ0YsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsT0FBTyxFQUFFLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7UUFDOUMsSUFBSSxDQUFDLG1CQUFtQixHQUFHLENBQUMsQ0FBQztJQUMvQixDQUFDO0NBQ0Y7QUE1RkQsMERBNEZDO0FBRUQsaUJBQWlCLENBQUMsc0NBQThCLEVBQUUsdUJBQXVCLENBQUMsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbImltcG9ydCBTcGVleFJlc2FtcGxlciBmcm9tICcuL3Jlc2FtcGxlcic7XG5pbXBvcnQgeyBTYW1wbGVGb3JtYXQsIEJZVEVTX1BFUl9TQU1QTEUsIGFzc2VydFNhbXBsZUZvcm1hdCwgZW5jb2RlU2FtcGxlcyB9IGZyb20gJy4vZm9ybWF0cyc7XG5pbXBvcnQgeyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvciB9IGZyb20gJy4vZXJyb3JzJztcblxuLy8gR2xvYmFscyBvZiB0aGUgQXVkaW9Xb3JrbGV0R2xvYmFsU2NvcGVcbmRlY2xhcmUgY29uc3QgQXVkaW9Xb3JrbGV0UHJvY2Vzc29yOiBhbnk7XG5kZWNsYXJlIGNvbnN0IHJlZ2lzdGVyUHJvY2Vzc29yOiAobmFtZTogc3RyaW5nLCBwcm9jZXNzb3JDdG9yOiBhbnkpID0+IHZvaWQ7XG5kZWNsYXJlIGNvbnN0IHNhbXBsZVJhdGU6IG51bWJlcjtcblxuZXhwb3J0IGNvbnN0IFNQRUVYX1JFU0FNUExFUl9QUk9DRVNTT1JfTkFNRSA9ICdzcGVleC1yZXNhbXBsZXItcHJvY2Vzc29yJztcblxuZXhwb3J0IGludGVyZmFjZSBTcGVleFJlc2FtcGxlclByb2Nlc3Nvck9wdGlvbnMge1xuICAvKiogZnJlcXVlbmN5IGluIEh6IG9mIHRoZSBwb3N0ZWQgZnJhbWVzICovXG4gIG91dFJhdGU6IG51bWJlcjtcbiAgLyoqIG51bWJlciBvZiBjaGFubmVscyBvZiB0aGUgcG9zdGVkIGZyYW1lcywgbWlzc2luZyBpbnB1dCBjaGFubmVscyBhcmUgZmlsbGVkIHdpdGggc2lsZW5jZSwgZGVmYXVsdCB0byAxICovXG4gIGNoYW5uZWxzPzogbnVtYmVyO1xuICAvKiogbnVtYmVyIGZyb20gMSB0byAxMCwgZGVmYXVsdCB0byA3LCAxIGlzIGZhc3QgYnV0IG9mIGJhZCBxdWFsaXR5LCAxMCBpcyBzbG93IGJ1dCBiZXN0IHF1YWxpdHkgKi9cbiAgcXVhbGl0eT86IG51bWJlcjtcbiAgLyoqIHNhbXBsZSBmb3JtYXQgb2YgdGhlIHBvc3RlZCBmcmFtZXMsIGRlZmF1bHQgdG8gZmxvYXQzMiAqL1xuICBmb3JtYXQ/OiBTYW1wbGVGb3JtYXQ7XG4gIC8qKiBudW1iZXIgb2YgZnJhbWVzIChzYW1wbGVzIHBlciBjaGFubmVsKSBpbiBlYWNoIHBvc3RlZCBtZXNzYWdlLCBkZWZhdWx0IHRvIDEyOCAqL1xuICBmcmFtZVNpemU/OiBudW1iZXI7XG59XG5cbi8qKlxuICAqIE1lc3NhZ2UgcG9zdGVkIG9uIHRoZSBwcm9jZXNzb3IgcG9ydCBmb3IgZWFjaCByZXNhbXBsZWQgZnJhbWUsIGBkYXRhYCBpcyB0cmFuc2ZlcnJlZFxuICAqL1xuZXhwb3J0IGludGVyZmFjZSBTcGVleFJlc2FtcGxlclByb2Nlc3Nvck1lc3NhZ2Uge1xuICAvKiogaW50ZXJsZWF2ZWQgUENNIGRhdGEgaW4gYGZvcm1hdGAgKi9cbiAgZGF0YTogQXJyYXlCdWZmZXI7XG4gIC8qKiBudW1iZXIgb2YgZnJhbWVzIChzYW1wbGVzIHBlciBjaGFubmVsKSBpbiBkYXRhLCBvbmx5IGxlc3MgdGhhbiBmcmFtZVNpemUgd2hlbiBmbHVzaGluZyAqL1xuICBmcmFtZXM6IG51bWJlcjtcbiAgY2hhbm5lbHM6IG51bWJlcjtcbiAgc2FtcGxlUmF0ZTogbnVtYmVyO1xuICBmb3JtYXQ6IFNhbXBsZUZvcm1hdDtcbn1cblxuLy8gUmVuZGVyIHF1YW50dW0gc2l6ZSBvZiB0aGUgV2ViIEF1ZGlvIEFQSVxuY29uc3QgUkVOREVSX1FVQU5UVU1fRlJBTUVTID0gMTI4O1xuXG4vKipcbiAgKiBBdWRpb1dvcmtsZXRQcm9jZXNzb3IgcmVzYW1wbGluZyBpdHMgaW5wdXQgZnJvbSB0aGUgQXVkaW9Db250ZXh0IHJhdGUgdG8gYG91dFJhdGVgIGFuZCBwb3N0aW5nIGZyYW1lcyBvZiBgZnJhbWVTaXplYFxuICAqIG92ZXIgaXRzIE1lc3NhZ2VQb3J0LiBTZW5kIGB7dHlwZTogJ2ZsdXNoJ31gIHRvIHRoZSBwb3J0IHRvIGdldCB0aGUgZW5kIG9mIHRoZSBhdWRpbyBhbmQgYHt0eXBlOiAnY2xvc2UnfWAgdG8gc3RvcCBpdC5cbiAgKi9cbmV4cG9ydCBjbGFzcyBTcGVleFJlc2FtcGxlclByb2Nlc3NvciBleHRlbmRzIEF1ZGlvV29ya2xldFByb2Nlc3NvciB7XG4gIHJlc2FtcGxlcjogU3BlZXhSZXNhbXBsZXI7XG4gIGNoYW5uZWxzOiBudW1iZXI7XG4gIG91dFJhdGU6IG51bWJlcjtcbiAgZm9ybWF0OiBTYW1wbGVGb3JtYXQ7XG4gIGZyYW1lU2l6ZTogbnVtYmVyO1xuXG4gIC8vIGludGVybGVhdmVkIHJlc2FtcGxlZCBmcmFtZXMgd2FpdGluZyBmb3IgZnJhbWVTaXplIHRvIGJlIHJlYWNoZWRcbiAgX3BlbmRpbmdGcmFtZXM6IEZsb2F0MzJBcnJheTtcbiAgX3BlbmRpbmdGcmFtZXNDb3VudCA9IDA7XG4gIC8vIHJldXNlZCBmb3IgZXZlcnkgcmVuZGVyIHF1YW50dW0gdG8gYXZvaWQgYWxsb2NhdGluZyBpbiB0aGUgYXVkaW8gdGhyZWFkXG4gIF9pbnB1dENoYW5uZWxzOiBGbG9hdDMyQXJyYXlbXTtcbiAgX3Jlc2FtcGxlZENoYW5uZWxzOiBGbG9hdDMyQXJyYXlbXTtcbiAgX3NpbGVuY2UgPSBuZXcgRmxvYXQzMkFycmF5KFJFTkRFUl9RVUFOVFVNX0ZSQU1FUyk7XG4gIF9jbG9zZWQgPSBmYWxzZTtcblxuICBjb25zdHJ1Y3RvcihvcHRpb25zOiB7IHByb2Nlc3Nvck9wdGlvbnM6IFNwZWV4UmVzYW1wbGVyUHJvY2Vzc29yT3B0aW9ucyB9KSB7XG4gICAgc3VwZXIoKTtcbiAgICBjb25zdCBwcm9jZXNzb3JPcHRpb25zID0gb3B0aW9ucyAmJiBvcHRpb25zLnByb2Nlc3Nvck9wdGlvbnM7XG4gICAgaWYgKCFwcm9jZXNzb3JPcHRpb25zIHx8ICFwcm9jZXNzb3JPcHRpb25zLm91dFJhdGUpIHtcbiAgICAgIHRocm93IG5ldyBTcGVleFJlc2FtcGxlckludmFsaWRBcmdFcnJvcigncHJvY2Vzc29yT3B0aW9ucy5vdXRSYXRlIGlzIHJlcXVpcmVkJyk7XG4gICAgfVxuICAgIHRoaXMuY2hhbm5lbHMgPSBwcm9jZXNzb3JPcHRpb25zLmNoYW5uZWxzIHx8IDE7XG4gICAgdGhpcy5vdXRSYXRlID0gcHJvY2Vzc29yT3B0aW9ucy5vdXRSYXRlO1xuICAgIHRoaXMuZm9ybWF0ID0gYXNzZXJ0U2FtcGxlRm9ybWF0KHByb2Nlc3Nvck9wdGlvbnMuZm9ybWF0IHx8ICdmbG9hdDMyJyk7XG4gICAgdGhpcy5mcmFtZVNpemUgPSBwcm9jZXNzb3JPcHRpb25zLmZyYW1lU2l6ZSB8fCBSRU5ERVJfUVVBTlRVTV9GUkFNRVM7XG5cbiAgICAvLyBzeW5jIGNvbXBpbGF0aW9uIGlzIGFsbG93ZWQgb3V0c2lkZSBvZiB0aGUgbWFpbiB0aHJlYWRcbiAgICBTcGVleFJlc2FtcGxlci5pbml0U3luYygpO1xuICAgIHRoaXMucmVzYW1wbGVyID0gbmV3IFNwZWV4UmVzYW1wbGVyKHRoaXMuY2hhbm5lbHMsIHNhbXBsZVJhdGUsIHRoaXMub3V0UmF0ZSwgcHJvY2Vzc29yT3B0aW9ucy5xdWFsaXR5KTtcbiAgICB0aGlzLl9wZW5kaW5nRnJhbWVzID0gbmV3IEZsb2F0MzJBcnJheSh0aGlzLmZyYW1lU2l6ZSAqIHRoaXMuY2hhbm5lbHMpO1xuICAgIHRoaXMuX2lucHV0Q2hhbm5lbHMgPSBuZXcgQXJyYXkodGhpcy5jaGFubmVscyk7XG4gICAgY29uc3QgbWF4UmVzYW1wbGVkRnJhbWVzQ291bnQgPSBNYXRoLmNlaWwoUkVOREVSX1FVQU5UVU1fRlJBTUVTICogdGhpcy5vdXRSYXRlIC8gc2FtcGxlUmF0ZSkgKyAxO1xuICAgIHRoaXMuX3Jlc2FtcGxlZENoYW5uZWxzID0gQXJyYXkuZnJvbSh7bGVuZ3RoOiB0aGlzLmNoYW5uZWxzfSwgKCkgPT4gbmV3IEZsb2F0MzJBcnJheShtYXhSZXNhbXBsZWRGcmFtZXNDb3VudCkpO1xuXG4gICAgdGhpcy5wb3J0Lm9ubWVzc2FnZSA9IChlKSA9PiB7XG4gICAgICBpZiAoZS5kYXRhICYmIGUuZGF0YS50eXBlID09PSAnZmx1c2gnKSB7XG4gICAgICAgIHRoaXMuX3B1c2hSZXNhbXBsZWQodGhpcy5yZXNhbXBsZXIuZmx1c2hQbGFuYXIoKSk7XG4gICAgICAgIHRoaXMuX3Bvc3RQZW5kaW5nRnJhbWVzKCk7XG4gICAgICB9XG4gICAgICBpZiAoZS5kYXRhICYmIGUuZGF0YS50eXBlID09PSAnY2xvc2UnKSB7XG4gICAgICAgIHRoaXMuX2Nsb3NlZCA9IHRydWU7XG4gICAgICAgIHRoaXMucmVzYW1wbGVyLmRlc3Ryb3koKTtcbiAgICAgIH1cbiAgICB9O1xuICB9XG5cbiAgcHJvY2VzcyhpbnB1dHM6IEZsb2F0MzJBcnJheVtdW10pIHtcbiAgICBpZiAodGhpcy5fY2xvc2VkKSB7XG4gICAgICByZXR1cm4gZmFsc2U7XG4gICAgfVxuICAgIGNvbnN0IGlucHV0ID0gaW5wdXRzWzBdO1xuICAgIC8vIG5vIGlucHV0IGNvbm5lY3RlZFxuICAgIGlmICghaW5wdXQgfHwgaW5wdXQubGVuZ3RoID09PSAwKSB7XG4gICAgICByZXR1cm4gdHJ1ZTtcbiAgICB9XG4gICAgZm9yIChsZXQgY2hhbm5lbCA9IDA7IGNoYW5uZWwgPCB0aGlzLmNoYW5uZWxzOyBjaGFubmVsKyspIHtcbiAgICAgIHRoaXMuX2lucHV0Q2hhbm5lbHNbY2hhbm5lbF0gPSBpbnB1dFtjaGFubmVsXSB8fCB0aGlzLl9zaWxlbmNlO1xuICAgIH1cbiAgICB0aGlzLl9wdXNoUmVzYW1wbGVkKHRoaXMucmVzYW1wbGVyLnByb2Nlc3NQbGFuYXIodGhpcy5faW5wdXRDaGFubmVscywgdGhpcy5fcmVzYW1wbGVkQ2hhbm5lbHMpKTtcbiAgICByZXR1cm4gdHJ1ZTtcbiAgfVxuXG4gIF9wdXNoUmVzYW1wbGVkKHJlc2FtcGxlZDogRmxvYXQzMkFycmF5W10pIHtcbiAgICBjb25zdCBmcmFtZXNDb3VudCA9IHJlc2FtcGxlZFswXS5sZW5ndGg7XG4gICAgZm9yIChsZXQgaSA9IDA7IGkgPCBmcmFtZXNDb3VudDsgaSsrKSB7XG4gICAgICBmb3IgKGxldCBjaGFubmVsID0gMDsgY2hhbm5lbCA8IHRoaXMuY2hhbm5lbHM7IGNoYW5uZWwrKykge1xuICAgICAgICB0aGlzLl9wZW5kaW5nRnJhbWVzW3RoaXMuX3BlbmRpbmdGcmFtZXNDb3VudCAqIHRoaXMuY2hhbm5lbHMgKyBjaGFubmVsXSA9IHJlc2FtcGxlZFtjaGFubmVsXVtpXTtcbiAgICAgIH1cbiAgICAgIHRoaXMuX3BlbmRpbmdGcmFtZXNDb3VudCsrO1xuICAgICAgaWYgKHRoaXMuX3BlbmRpbmdGcmFtZXNDb3VudCA9PT0gdGhpcy5mcmFtZVNpemUpIHtcbiAgICAgICAgdGhpcy5fcG9zdFBlbmRpbmdGcmFtZXMoKTtcbiAgICAgIH1cbiAgICB9XG4gIH1cblxuICBfcG9zdFBlbmRpbmdGcmFtZXMoKSB7XG4gICAgaWYgKHRoaXMuX3BlbmRpbmdGcmFtZXNDb3VudCA9PT0gMCkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cbiAgICBjb25zdCBkYXRhID0gbmV3IFVpbnQ4QXJyYXkodGhpcy5fcGVuZGluZ0ZyYW1lc0NvdW50ICogdGhpcy5jaGFubmVscyAqIEJZVEVTX1BFUl9TQU1QTEVbdGhpcy5mb3JtYXRdKTtcbiAgICBlbmNvZGVTYW1wbGVzKHRoaXMuX3BlbmRpbmdGcmFtZXMuc3ViYXJyYXkoMCwgdGhpcy5fcGVuZGluZ0ZyYW1lc0NvdW50ICogdGhpcy5jaGFubmVscyksIGRhdGEsIHRoaXMuZm9ybWF0KTtcbiAgICBjb25zdCBtZXNzYWdlOiBTcGVleFJlc2FtcGxlclByb2Nlc3Nvck1lc3NhZ2UgPSB7XG4gICAgICBkYXRhOiBkYXRhLmJ1ZmZlcixcbiAgICAgIGZyYW1lczogdGhpcy5fcGVuZGluZ0ZyYW1lc0NvdW50LFxuICAgICAgY2hhbm5lbHM6IHRoaXMuY2hhbm5lbHMsXG4gICAgICBzYW1wbGVSYXRlOiB0aGlzLm91dFJhdGUsXG4gICAgICBmb3JtYXQ6IHRoaXMuZm9ybWF0LFxuICAgIH07XG4gICAgdGhpcy5wb3J0LnBvc3RNZXNzYWdlKG1lc3NhZ2UsIFtkYXRhLmJ1ZmZlcl0pO1xuICAgIHRoaXMuX3BlbmRpbmdGcmFtZXNDb3VudCA9IDA7XG4gIH1cbn1cblxucmVnaXN0ZXJQcm9jZXNzb3IoU1BFRVhfUkVTQU1QTEVSX1BST0NFU1NPUl9OQU1FLCBTcGVleFJlc2FtcGxlclByb2Nlc3Nvcik7XG4iXX0=
\ No newline at end of file
@@ -1,22 +1,30 @@
 #!/usr/bin/env bash
 set -eo pipefail
 
+mkdir -p build
+
+# The WASM binary is not embedded in the glue code (no SINGLE_FILE), it is instantiated by src/resampler.ts
+# from src/speex_wasm_binary.js so that it doesn't depend on fetch/atob and can be compiled synchronously
+# The MIN_*_VERSION flags target the oldest browsers supported by emscripten so that the glue code is transpiled
+# to a syntax that TypeScript can compile
 emcc \
   -s INITIAL_MEMORY=20MB \
   -s ALLOW_MEMORY_GROWTH=1 \
-  -O3 -o src/speex_wasm.js \
-  -s EXPORT_ES6=1 \
+  -O3 -o build/speex_wasm.js \
   -s MODULARIZE=1 \
-  -s SINGLE_FILE=1 \
   -s EXPORT_NAME="Speex" \
   -s NO_DYNAMIC_EXECUTION=1 \
-  -s USE_ES6_IMPORT_META=0 \
   -s FILESYSTEM=0 \
   -s ASSERTIONS=0 \
-  -s EXPORTED_RUNTIME_METHODS="['setValue', 'getValue', 'AsciiToString']" \
-  -s ENVIRONMENT=web \
+  -s EXPORTED_RUNTIME_METHODS="['setValue', 'getValue', 'AsciiToString', 'HEAPU8', 'HEAP32', 'HEAPU32', 'HEAPF32']" \
+  -s ENVIRONMENT=web,webview,worker,node \
+  -s MIN_CHROME_VERSION=74 \
+  -s MIN_FIREFOX_VERSION=68 \
+  -s MIN_SAFARI_VERSION=120200 \
   -D FLOATING_POINT=true \
   -D OUTSIDE_SPEEX=true \
-  -s EXPORTED_FUNCTIONS="['_malloc', '_free', '_speex_resampler_destroy','_speex_resampler_init','_speex_resampler_get_rate','_speex_resampler_process_interleaved_float','_speex_resampler_strerror']" \
-  --llvm-lto 1 \
+  -s EXPORTED_FUNCTIONS="['_malloc', '_free', '_speex_resampler_destroy','_speex_resampler_init','_speex_resampler_init_frac','_speex_resampler_get_rate','_speex_resampler_get_ratio','_speex_resampler_set_rate','_speex_resampler_set_rate_frac','_speex_resampler_set_quality','_speex_resampler_get_input_latency','_speex_resampler_get_output_latency','_speex_resampler_skip_zeros','_speex_resampler_reset_mem','_speex_resampler_process_float','_speex_resampler_process_interleaved_int','_speex_resampler_process_interleaved_float','_speex_resampler_strerror']" \
   ./deps/speex/resample.c
+
+cp build/speex_wasm.js src/speex_wasm.js
+echo "export default '$(base64 -w0 build/speex_wasm.wasm)';" > src/speex_wasm_binary.js
@@ -0,0 +1,118 @@
+import { SpeexResamplerInvalidArgError } from './errors';
+
+/**
+  * Gains applied to the input channels to get each output channel, `matrix[outChannel][inChannel]`
+  */
+export type MixingMatrix = number[][];
+
+// -3dB, used by ITU-R BS.775 for the center and surround channels
+const MINUS_3DB = Math.SQRT1_2;
+
+// 5.1 channels are expected in the WAV/SMPTE order: front left, front right, center, LFE, surround left, surround right
+// the LFE channel is dropped as it is usually not included in downmixes
+const DOWNMIX_5_1_TO_STEREO: MixingMatrix = [
+  [1, 0, MINUS_3DB, 0, MINUS_3DB, 0],
+  [0, 1, MINUS_3DB, 0, 0, MINUS_3DB],
+];
+
+const DOWNMIX_STEREO_TO_MONO: MixingMatrix = [
+  [0.5, 0.5],
+];
+
+/**
+  * Mixing matrix used when only the number of output channels is given:
+  * - same number of channels: channels are kept as is
+  * - mono to any: the channel is copied in every output channel
+  * - stereo to mono: average of both channels
+  * - 5.1 to stereo: ITU-R BS.775 coefficients, the LFE channel is dropped
+  * - 5.1 to mono: 5.1 to stereo then stereo to mono
+  * Other combinations need an explicit `mixingMatrix` or `channelMap`.
+  */
+export const defaultMixingMatrix = (inChannels: number, outChannels: number): MixingMatrix => {
+  if (inChannels === outChannels) {
+    return Array.from({length: outChannels}, (_, outChannel) => Array.from({length: inChannels}, (__, inChannel) => (inChannel === outChannel ? 1 : 0)));
+  }
+  if (inChannels === 1) {
+    return Array.from({length: outChannels}, () => [1]);
+  }
+  if (inChannels === 2 && outChannels === 1) {
+    return DOWNMIX_STEREO_TO_MONO;
+  }
+  if (inChannels === 6 && outChannels === 2) {
+    return DOWNMIX_5_1_TO_STEREO;
+  }
+  if (inChannels === 6 && outChannels === 1) {
+    return [DOWNMIX_5_1_TO_STEREO[0].map((gain, inChannel) => (gain + DOWNMIX_5_1_TO_STEREO[1][inChannel]) / 2)];
+  }
+  throw new SpeexResamplerInvalidArgError(`No default mixing from ${inChannels} to ${outChannels} channels, use the mixingMatrix or channelMap option`);
+}
+
+/**
+  * Convert a channel map to a mixing matrix
+  * @param channelMap for each output channel, the index of the input channel it is copied from or -1 for silence
+  */
+export const channelMapToMatrix = (channelMap: number[], inChannels: number): MixingMatrix => {
+  if (channelMap.length === 0) {
+    throw new SpeexResamplerInvalidArgError('Channel map should have at least one output channel');
+  }
+  return channelMap.map((inChannel) => {
+    if (!Number.isInteger(inChannel) || inChannel < -1 || inChannel >= inChannels) {
+      throw new SpeexResamplerInvalidArgError(`Invalid channel map entry ${inChannel}, should be -1 or an input channel between 0 and ${inChannels - 1}`);
+    }
+    return Array.from({length: inChannels}, (_, i) => (i === inChannel ? 1 : 0));
+  });
+}
+
+export const assertMixingMatrix = (matrix: MixingMatrix, inChannels: number) => {
+  if (matrix.length === 0) {
+    throw new SpeexResamplerInvalidArgError('Mixing matrix should have at least one output channel');
+  }
+  if (matrix.some((gains) => gains.length !== inChannels || gains.some((gain) => typeof gain !== 'number' || !Number.isFinite(gain)))) {
+    throw new SpeexResamplerInvalidArgError(`Mixing matrix should have one row of ${inChannels} gains per output channel`);
+  }
+  return matrix;
+}
+
+export const isIdentityMatrix = (matrix: MixingMatrix) => matrix.every((gains, outChannel) => (
+  gains.length === matrix.length && gains.every((gain, inChannel) => gain === (inChannel === outChannel ? 1 : 0))
+));
+
+/**
+  * Mix interleaved float samples from `input` with `matrix[0].length` channels into `output` with `matrix.length` channels
+  */
+export const mixInterleaved = (matrix: MixingMatrix, input: Float32Array, output: Float32Array) => {
+  const outChannels = matrix.length;
+  const inChannels = matrix[0].length;
+  const framesCount = input.length / inChannels;
+  for (let frame = 0; frame < framesCount; frame++) {
+    const inOffset = frame * inChannels;
+    for (let outChannel = 0; outChannel < outChannels; outChannel++) {
+      const gains = matrix[outChannel];
+      let sample = 0;
+      for (let inChannel = 0; inChannel < inChannels; inChannel++) {
+        sample += gains[inChannel] * input[inOffset + inChannel];
+      }
+      output[frame * outChannels + outChannel] = sample;
+    }
+  }
+}
+
+/**
+  * Mix planar float samples, one array per input channel, into `output`, one array per output channel
+  * @param framesCount number of frames to mix, arrays can be longer
+  */
+export const mixPlanar = (matrix: MixingMatrix, input: Float32Array[], output: Float32Array[], framesCount: number) => {
+  matrix.forEach((gains, outChannel) => {
+    const outSamples = output[outChannel];
+    outSamples.fill(0, 0, framesCount);
+    gains.forEach((gain, inChannel) => {
+      if (gain === 0) {
+        return;
+      }
+      const inSamples = input[inChannel];
+      for (let i = 0; i < framesCount; i++) {
+        outSamples[i] += gain * inSamples[i];
+      }
+    });
+  });
+}
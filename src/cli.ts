@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+import { createReadStream, createWriteStream, readdirSync, statSync, mkdirSync, Stats } from 'fs';
+import { Readable, Writable, pipeline } from 'stream';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { performance } from 'perf_hooks';
+import { cpus } from 'os';
+import path from 'path';
+import { Buffer } from 'buffer'
+import SpeexResampler, { SpeexResamplerTransform, WavResamplerTransform } from './index';
+import { SampleFormat, BYTES_PER_SAMPLE, assertSampleFormat } from './formats';
+import { createWavHeader } from './wav';
+
+const USAGE = `Usage: speex-resample [options] [input] [output]
+       speex-resample [options] --batch <glob...> --out-dir <dir>
+
+Resample a raw PCM or WAV file, input and output default to stdin and stdout ("-").
+WAV files are detected automatically, their header gives the input rate, channels and format.
+
+Options:
+  --in-rate <hz>       input rate, required for raw PCM
+  --out-rate <hz>      output rate, required
+  --channels <n>       number of channels of raw PCM, default to 1
+  --out-channels <n>   number of channels of the output, default to the input channels
+  --quality <0-10>     resampling quality, default to 7
+  --format <format>    sample format of raw PCM input: s16, s24, s32 or f32, default to s16
+  --out-format <fmt>   sample format of the output, default to the input format
+  --batch              resample every file matching the glob patterns into --out-dir
+  --out-dir <dir>      output directory of the batch mode, keeping the directories below the patterns
+  --jobs <n>           number of files resampled in parallel in batch mode, default to the number of CPUs
+  --quiet              don't print progress and summary
+  --help               show this help
+`;
+
+// sox/ffmpeg style names of the sample formats
+const FORMAT_ALIASES: {[alias: string]: SampleFormat} = {
+  s16: 'int16',
+  s24: 'int24',
+  s32: 'int32',
+  f32: 'float32',
+};
+
+export interface CliOptions {
+  inRate?: number;
+  outRate: number;
+  channels: number;
+  outChannels?: number;
+  quality: number;
+  format: SampleFormat;
+  outFormat?: SampleFormat;
+  batch: boolean;
+  outDir?: string;
+  jobs: number;
+  quiet: boolean;
+  // input and output paths, or glob patterns in batch mode
+  paths: string[];
+}
+
+interface ResampleSummary {
+  input: string;
+  output: string;
+  inputDuration: number;
+  outputDuration: number;
+  elapsed: number;
+}
+
+class UsageError extends Error {}
+
+const parseFormat = (format: string) => assertSampleFormat(FORMAT_ALIASES[format] || format);
+
+// rates, channels and jobs are positive integers, the quality is between 0 and 10
+const parseInteger = (name: string, value: string, range: [number, number] = [1, Infinity]) => {
+  const number = Number(value);
+  const [min, max] = range;
+  if (value === undefined || value.trim() === '' || !Number.isInteger(number) || number < min || number > max) {
+    throw new UsageError(max === Infinity ? `${name} should be a positive integer` : `${name} should be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+export const parseArgs = (argv: string[]): CliOptions | null => {
+  const options: Partial<CliOptions> = {
+    channels: 1,
+    quality: 7,
+    format: 'int16',
+    batch: false,
+    jobs: cpus().length,
+    quiet: false,
+    paths: [],
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--help':
+      case '-h':
+        return null;
+      case '--in-rate':
+        options.inRate = parseInteger(arg, argv[++i]);
+        break;
+      case '--out-rate':
+        options.outRate = parseInteger(arg, argv[++i]);
+        break;
+      case '--channels':
+        options.channels = parseInteger(arg, argv[++i]);
+        break;
+      case '--out-channels':
+        options.outChannels = parseInteger(arg, argv[++i]);
+        break;
+      case '--quality':
+        options.quality = parseInteger(arg, argv[++i], [0, 10]);
+        break;
+      case '--format':
+        options.format = parseFormat(argv[++i]);
+        break;
+      case '--out-format':
+        options.outFormat = parseFormat(argv[++i]);
+        break;
+      case '--batch':
+        options.batch = true;
+        break;
+      case '--out-dir':
+        options.outDir = argv[++i];
+        break;
+      case '--jobs':
+        options.jobs = parseInteger(arg, argv[++i]);
+        break;
+      case '--quiet':
+        options.quiet = true;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new UsageError(`Unknown option ${arg}`);
+        }
+        options.paths.push(arg);
+    }
+  }
+  if (!options.outRate) {
+    throw new UsageError('--out-rate is required');
+  }
+  if (options.batch && (!options.outDir || options.paths.length === 0)) {
+    throw new UsageError('--batch needs at least one glob pattern and --out-dir');
+  }
+  if (!options.batch && options.paths.length > 2) {
+    throw new UsageError('Too many arguments, use --batch to resample multiple files');
+  }
+  return options as CliOptions;
+}
+
+const globToRegExp = (pattern: string) => new RegExp('^' + pattern
+  .split(/(\*\*\/|\*|\?)/)
+  .map((part) => {
+    if (part === '**/') {
+      return '(?:.*/)?';
+    }
+    if (part === '*') {
+      return '[^/]*';
+    }
+    if (part === '?') {
+      return '[^/]';
+    }
+    return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  })
+  .join('') + '$');
+
+const listFiles = (dir: string): string[] => readdirSync(dir).flatMap((name) => {
+  const file = path.join(dir, name);
+  return statSync(file).isDirectory() ? listFiles(file) : [file];
+});
+
+/**
+  * Directory before the first wildcard of a glob pattern, the batch mode keeps the directories below it in --out-dir
+  */
+export const globBaseDir = (pattern: string) => {
+  const segments = pattern.split(path.sep).join('/').split('/');
+  const firstWildcardIndex = segments.findIndex((segment) => /[*?]/.test(segment));
+  if (firstWildcardIndex === -1) {
+    return path.dirname(pattern);
+  }
+  // an empty first segment is the root of an absolute pattern
+  return segments.slice(0, firstWildcardIndex).join('/') || (firstWildcardIndex > 0 ? '/' : '.');
+}
+
+/**
+  * Find the files matching a glob pattern, supports `*`, `?` and `**` for any number of directories
+  */
+export const glob = (pattern: string) => {
+  if (!/[*?]/.test(pattern)) {
+    return [pattern];
+  }
+  const regexp = globToRegExp(pattern.split(path.sep).join('/'));
+  return listFiles(globBaseDir(pattern))
+    .filter((file) => regexp.test(path.relative('.', file).split(path.sep).join('/')) || regexp.test(file.split(path.sep).join('/')))
+    .sort();
+}
+
+// Read the first chunk of the stream and put it back to detect the file type
+const peekFirstChunk = (stream: Readable) => new Promise<Buffer>((resolve, reject) => {
+  const onData = (chunk: Buffer) => {
+    cleanup();
+    stream.pause();
+    stream.unshift(chunk);
+    resolve(chunk);
+  };
+  const onEnd = () => {
+    cleanup();
+    resolve(Buffer.alloc(0));
+  };
+  const cleanup = () => {
+    stream.removeListener('data', onData);
+    stream.removeListener('end', onEnd);
+    stream.removeListener('error', reject);
+  };
+  stream.on('data', onData);
+  stream.on('end', onEnd);
+  stream.on('error', reject);
+});
+
+const formatDuration = (seconds: number) => `${seconds.toFixed(2)}s`;
+
+const createTransform = (options: CliOptions, head: Buffer): SpeexResamplerTransform => {
+  if (head.toString('ascii', 0, 4) === 'RIFF') {
+    return new WavResamplerTransform(options.outRate, options.quality, {format: options.outFormat, outChannels: options.outChannels});
+  }
+  if (!options.inRate) {
+    throw new UsageError('--in-rate is required for raw PCM input');
+  }
+  return new SpeexResamplerTransform(options.channels, options.inRate, options.outRate, options.quality, {
+    inFormat: options.format,
+    outFormat: options.outFormat || options.format,
+    outChannels: options.outChannels,
+  });
+}
+
+// Size of the input file, checked before opening any stream so that a missing input doesn't create an empty output
+const inputSizeOf = (input: string) => {
+  if (input === '-') {
+    return null;
+  }
+  let stats: Stats;
+  try {
+    stats = statSync(input);
+  } catch (e) {
+    throw new Error(e.code === 'ENOENT' ? `${input}: no such file` : `${input}: ${e.message}`);
+  }
+  if (stats.isDirectory()) {
+    throw new Error(`${input} is a directory`);
+  }
+  return stats.size;
+}
+
+const resampleFile = async (options: CliOptions, input: string, output: string, onProgress?: (progress: number) => void): Promise<ResampleSummary> => {
+  await SpeexResampler.initPromise;
+  const start = performance.now();
+  const inputSize = inputSizeOf(input);
+  const inputStream: Readable = input === '-' ? process.stdin : createReadStream(input);
+
+  let transform: SpeexResamplerTransform;
+  try {
+    const head = await peekFirstChunk(inputStream);
+    transform = createTransform(options, head);
+  } catch (e) {
+    if (inputStream !== process.stdin) {
+      inputStream.destroy();
+    }
+    throw e;
+  }
+  // only opened once the input is known to be valid so that an existing output file is not truncated on errors,
+  // its errors are handled by the pipeline
+  const outputStream: Writable = output === '-' ? process.stdout : createWriteStream(output);
+
+  let inputBytes = 0;
+  let outputBytes = 0;
+  inputStream.on('data', (d) => {
+    inputBytes += d.length;
+    if (onProgress && inputSize) {
+      onProgress(inputBytes / inputSize);
+    }
+  });
+  transform.on('data', (d) => outputBytes += d.length);
+
+  await new Promise<void>((resolve, reject) => {
+    // pipeline uses transform.pipe so WavResamplerTransform can patch the header of the output file
+    pipeline(inputStream, transform, outputStream, (err) => err ? reject(err) : resolve());
+  });
+
+  const wavTransform = transform instanceof WavResamplerTransform ? transform : null;
+  const inputHeaderLength = wavTransform ? wavTransform.inputHeader.dataOffset : 0;
+  // the output header can differ from the input one (format, skipped chunks)
+  const outputHeaderLength = wavTransform ? createWavHeader(wavTransform.outputFormat).length : 0;
+  const inBytesPerFrame = transform.channels * BYTES_PER_SAMPLE[transform.resampler.inFormat];
+  const outBytesPerFrame = transform.resampler.outChannels * BYTES_PER_SAMPLE[transform.resampler.outFormat];
+  return {
+    input,
+    output,
+    inputDuration: (inputBytes - inputHeaderLength) / inBytesPerFrame / transform.inRate,
+    outputDuration: (outputBytes - outputHeaderLength) / outBytesPerFrame / transform.outRate,
+    elapsed: (performance.now() - start) / 1000,
+  };
+}
+
+const printSummary = (summary: ResampleSummary) => {
+  process.stderr.write(
+    `${summary.input} -> ${summary.output}: ${formatDuration(summary.inputDuration)} resampled to ` +
+    `${formatDuration(summary.outputDuration)} in ${formatDuration(summary.elapsed)} ` +
+    `(${(summary.inputDuration / summary.elapsed).toFixed(1)}x realtime)\n`
+  );
+}
+
+// Each batch file is resampled in its own worker thread with its own WASM instance
+const resampleInWorker = (options: CliOptions, input: string, output: string) => new Promise<ResampleSummary>((resolve, reject) => {
+  const worker = new Worker(__filename, {workerData: {options, input, output}});
+  worker.once('message', ({summary, error}) => error ? reject(new Error(`${input}: ${error}`)) : resolve(summary));
+  worker.once('error', reject);
+  worker.once('exit', (code) => code !== 0 && reject(new Error(`Worker stopped with exit code ${code}`)));
+});
+
+// Output path of each batch input, keeping its directories below the pattern base dir so that files with the same
+// name in different directories don't overwrite each other
+const batchOutputs = (patterns: string[], outDir: string) => {
+  const outputs = new Map<string, string>();
+  const inputsByOutput = new Map<string, string>();
+  for (const pattern of patterns) {
+    const baseDir = globBaseDir(pattern);
+    for (const input of glob(pattern)) {
+      if (outputs.has(input)) {
+        continue;
+      }
+      const output = path.join(outDir, path.relative(baseDir, input));
+      if (inputsByOutput.has(output)) {
+        throw new UsageError(`${inputsByOutput.get(output)} and ${input} would both be resampled to ${output}`);
+      }
+      outputs.set(input, output);
+      inputsByOutput.set(output, input);
+    }
+  }
+  return outputs;
+}
+
+const runBatch = async (options: CliOptions) => {
+  const outputs = batchOutputs(options.paths, options.outDir);
+  const inputs = Array.from(outputs.keys());
+  if (inputs.length === 0) {
+    throw new UsageError('No file matching the batch patterns');
+  }
+  for (const output of outputs.values()) {
+    mkdirSync(path.dirname(output), {recursive: true});
+  }
+  const start = performance.now();
+  let nextIndex = 0;
+  let doneCount = 0;
+  let totalDuration = 0;
+  const runNext = async () => {
+    while (nextIndex < inputs.length) {
+      const input = inputs[nextIndex++];
+      const summary = await resampleInWorker(options, input, outputs.get(input));
+      doneCount++;
+      totalDuration += summary.inputDuration;
+      if (!options.quiet) {
+        process.stderr.write(`[${doneCount}/${inputs.length}] `);
+        printSummary(summary);
+      }
+    }
+  };
+  await Promise.all(Array.from({length: Math.min(options.jobs, inputs.length)}, runNext));
+  if (!options.quiet) {
+    const elapsed = (performance.now() - start) / 1000;
+    process.stderr.write(`${inputs.length} files, ${formatDuration(totalDuration)} of audio resampled in ${formatDuration(elapsed)}\n`);
+  }
+}
+
+const runSingle = async (options: CliOptions) => {
+  const [input = '-', output = '-'] = options.paths;
+  const showProgress = !options.quiet && process.stderr.isTTY;
+  const summary = await resampleFile(options, input, output, showProgress ? (progress) => {
+    process.stderr.write(`\r${Math.floor(progress * 100)}%`);
+  } : undefined);
+  if (showProgress) {
+    process.stderr.write('\r');
+  }
+  if (!options.quiet) {
+    printSummary(summary);
+  }
+}
+
+export const main = async (argv: string[]) => {
+  try {
+    const options = parseArgs(argv);
+    if (!options) {
+      process.stdout.write(USAGE);
+      return;
+    }
+    await (options.batch ? runBatch(options) : runSingle(options));
+  } catch (e) {
+    process.stderr.write(`speex-resample: ${e.message}\n`);
+    if (e instanceof UsageError) {
+      process.stderr.write(USAGE);
+    }
+    process.exitCode = 1;
+  }
+}
+
+if (!isMainThread && workerData && workerData.options) {
+  resampleFile(workerData.options, workerData.input, workerData.output).then(
+    (summary) => parentPort.postMessage({summary}),
+    (e) => parentPort.postMessage({error: e.message}),
+  );
+} else if (require.main === module) {
+  main(process.argv.slice(2));
+}
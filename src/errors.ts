@@ -0,0 +1,71 @@
+// error codes of speex_resampler.h
+export const RESAMPLER_ERR_SUCCESS = 0;
+export const RESAMPLER_ERR_ALLOC_FAILED = 1;
+export const RESAMPLER_ERR_BAD_STATE = 2;
+export const RESAMPLER_ERR_INVALID_ARG = 3;
+export const RESAMPLER_ERR_PTR_OVERLAP = 4;
+export const RESAMPLER_ERR_OVERFLOW = 5;
+
+/**
+  * Base class of the errors thrown by the resampler
+  */
+export class SpeexResamplerError extends Error {
+  /**
+    * @param code RESAMPLER_ERR_* code of speex_resampler.h matching the error, null if it doesn't come from speex
+    */
+  constructor(message: string, public code: number | null = null) {
+    super(message);
+    this.name = new.target.name;
+  }
+}
+
+/** Speex could not allocate its memory */
+export class SpeexResamplerAllocError extends SpeexResamplerError {
+  constructor(message: string) {
+    super(message, RESAMPLER_ERR_ALLOC_FAILED);
+  }
+}
+
+/** The resampler is not usable in its current state: WASM module not ready yet or resampler destroyed */
+export class SpeexResamplerBadStateError extends SpeexResamplerError {
+  constructor(message: string) {
+    super(message, RESAMPLER_ERR_BAD_STATE);
+  }
+}
+
+/** An argument or option is invalid: channels, rates, quality, formats, misaligned chunks, arrays too small... */
+export class SpeexResamplerInvalidArgError extends SpeexResamplerError {
+  constructor(message: string) {
+    super(message, RESAMPLER_ERR_INVALID_ARG);
+  }
+}
+
+/** The input and output buffers given to speex overlap */
+export class SpeexResamplerPtrOverlapError extends SpeexResamplerError {
+  constructor(message: string) {
+    super(message, RESAMPLER_ERR_PTR_OVERLAP);
+  }
+}
+
+/** The rates or ratio are too large for the speex integer arithmetic */
+export class SpeexResamplerOverflowError extends SpeexResamplerError {
+  constructor(message: string) {
+    super(message, RESAMPLER_ERR_OVERFLOW);
+  }
+}
+
+const ERROR_CLASSES: {[code: number]: new (message: string) => SpeexResamplerError} = {
+  [RESAMPLER_ERR_ALLOC_FAILED]: SpeexResamplerAllocError,
+  [RESAMPLER_ERR_BAD_STATE]: SpeexResamplerBadStateError,
+  [RESAMPLER_ERR_INVALID_ARG]: SpeexResamplerInvalidArgError,
+  [RESAMPLER_ERR_PTR_OVERLAP]: SpeexResamplerPtrOverlapError,
+  [RESAMPLER_ERR_OVERFLOW]: SpeexResamplerOverflowError,
+};
+
+/**
+  * Error matching a RESAMPLER_ERR_* code returned by speex
+  */
+export const errorFromCode = (code: number, message: string): SpeexResamplerError => {
+  const ErrorClass = ERROR_CLASSES[code];
+  return ErrorClass ? new ErrorClass(message) : new SpeexResamplerError(message, code);
+}
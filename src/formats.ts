@@ -0,0 +1,123 @@
+import { Buffer } from 'buffer'
+import { SpeexResamplerInvalidArgError } from './errors';
+
+/**
+  * Sample encoding of interleaved PCM data, always little-endian
+  * - int16: signed 16 bits integer
+  * - int24: signed 24 bits integer packed in 3 bytes
+  * - int32: signed 32 bits integer
+  * - float32: 32 bits float between -1 and 1
+  */
+export type SampleFormat = 'int16' | 'int24' | 'int32' | 'float32';
+
+export const BYTES_PER_SAMPLE: {[format in SampleFormat]: number} = {
+  int16: 2,
+  int24: 3,
+  int32: 4,
+  float32: 4,
+};
+
+const EMPTY_REMAINDER = Buffer.alloc(0);
+
+const INT_SCALE = {
+  int16: 0x8000,
+  int24: 0x800000,
+  int32: 0x80000000,
+};
+
+export const assertSampleFormat = (format: any): SampleFormat => {
+  if (!Object.prototype.hasOwnProperty.call(BYTES_PER_SAMPLE, format)) {
+    throw new SpeexResamplerInvalidArgError(`Unsupported sample format ${format}, should be one of ${Object.keys(BYTES_PER_SAMPLE).join(', ')}`);
+  }
+  return format;
+}
+
+const clamp = (value: number, min: number, max: number) => value < min ? min : (value > max ? max : value);
+
+/**
+  * Decode PCM samples in `format` from `input` into `output` as floats between -1 and 1
+  */
+export const decodeSamples = (input: Uint8Array, format: SampleFormat, output: Float32Array) => {
+  const view = new DataView(input.buffer, input.byteOffset, input.byteLength);
+  const samplesCount = input.byteLength / BYTES_PER_SAMPLE[format];
+  switch (format) {
+    case 'int16':
+      for (let i = 0; i < samplesCount; i++) {
+        output[i] = view.getInt16(i * 2, true) / INT_SCALE.int16;
+      }
+      break;
+    case 'int24':
+      for (let i = 0; i < samplesCount; i++) {
+        // reading the low 16 bits unsigned and the high 8 bits signed to keep the sign of the 24 bits integer
+        output[i] = (view.getUint16(i * 3, true) | (view.getInt8(i * 3 + 2) << 16)) / INT_SCALE.int24;
+      }
+      break;
+    case 'int32':
+      for (let i = 0; i < samplesCount; i++) {
+        output[i] = view.getInt32(i * 4, true) / INT_SCALE.int32;
+      }
+      break;
+    case 'float32':
+      for (let i = 0; i < samplesCount; i++) {
+        output[i] = view.getFloat32(i * 4, true);
+      }
+      break;
+  }
+}
+
+/**
+  * Encode floats between -1 and 1 from `input` into `output` as PCM samples in `format`, out of range values are clipped
+  */
+export const encodeSamples = (input: Float32Array, output: Uint8Array, format: SampleFormat) => {
+  const view = new DataView(output.buffer, output.byteOffset, output.byteLength);
+  switch (format) {
+    case 'int16':
+      for (let i = 0; i < input.length; i++) {
+        view.setInt16(i * 2, clamp(Math.round(input[i] * INT_SCALE.int16), -INT_SCALE.int16, INT_SCALE.int16 - 1), true);
+      }
+      break;
+    case 'int24':
+      for (let i = 0; i < input.length; i++) {
+        const sample = clamp(Math.round(input[i] * INT_SCALE.int24), -INT_SCALE.int24, INT_SCALE.int24 - 1);
+        view.setUint16(i * 3, sample & 0xFFFF, true);
+        view.setInt8(i * 3 + 2, sample >> 16);
+      }
+      break;
+    case 'int32':
+      for (let i = 0; i < input.length; i++) {
+        view.setInt32(i * 4, clamp(Math.round(input[i] * INT_SCALE.int32), -INT_SCALE.int32, INT_SCALE.int32 - 1), true);
+      }
+      break;
+    case 'float32':
+      for (let i = 0; i < input.length; i++) {
+        view.setFloat32(i * 4, input[i], true);
+      }
+      break;
+  }
+}
+
+/**
+  * Buffer sharing the memory of an ArrayBuffer or a typed array
+  */
+export const toBuffer = (chunk: ArrayBuffer | ArrayBufferView) => (
+  ArrayBuffer.isView(chunk) ? Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength) : Buffer.from(chunk)
+);
+
+/**
+  * Speex needs chunks aligned to the frame size (sample size times the number of channels),
+  * the extraneous bytes are kept to be prepended to the next chunk
+  * @param remainder extraneous bytes kept from the previous chunk
+  * @returns the aligned part of remainder + chunk and the new remainder
+  */
+export const alignChunk = (remainder: Buffer, chunk: Buffer, frameLength: number): [Buffer, Buffer] => {
+  const chunkToProcess = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+  const extraneousBytesCount = chunkToProcess.length % frameLength;
+  if (extraneousBytesCount === 0) {
+    return [chunkToProcess, EMPTY_REMAINDER];
+  }
+  return [
+    chunkToProcess.slice(0, chunkToProcess.length - extraneousBytesCount),
+    // copying as the chunk memory can be reused by its producer
+    Buffer.from(chunkToProcess.slice(chunkToProcess.length - extraneousBytesCount)),
+  ];
+}
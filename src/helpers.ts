@@ -0,0 +1,74 @@
+import { Buffer } from 'buffer'
+import SpeexResampler, { SpeexResamplerOptions, EMPTY_BUFFER } from './resampler';
+import { BYTES_PER_SAMPLE, alignChunk, toBuffer } from './formats';
+
+export interface ResampleOptions extends SpeexResamplerOptions {
+  channels: number;
+  inRate: number;
+  outRate: number;
+  /** number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality */
+  quality?: number;
+}
+
+type ResampleInput = ArrayBuffer | ArrayBufferView;
+
+// latency is compensated by default so that the output is aligned with the input
+const createResampler = async (options: ResampleOptions) => {
+  await SpeexResampler.initPromise;
+  return new SpeexResampler(options.channels, options.inRate, options.outRate, options.quality, {
+    compensateLatency: true,
+    ...options,
+    // the returned chunks are owned by the caller
+    returnView: false,
+  });
+}
+
+const frameLengthOf = (resampler: SpeexResampler) => resampler.channels * BYTES_PER_SAMPLE[resampler.inFormat];
+
+/**
+  * Resample a whole audio buffer, the WASM module is initialized if needed and the end of the audio is flushed.
+  * An incomplete frame at the end of the input is dropped.
+  * @param input interleaved PCM data in the input sample format
+  * @param options channels, rates, quality, sample formats (default to float32) and latency compensation (default to true)
+  * @returns interleaved PCM data in the output sample format
+  */
+export const resampleBuffer = async (input: ResampleInput, options: ResampleOptions) => {
+  const resampler = await createResampler(options);
+  try {
+    const [chunkToProcess] = alignChunk(EMPTY_BUFFER, toBuffer(input), frameLengthOf(resampler));
+    return Buffer.concat([resampler.processChunk(chunkToProcess), resampler.flush()]);
+  } finally {
+    resampler.destroy();
+  }
+}
+
+/**
+  * Resample the chunks of an iterable, like a NodeJS Readable, a ReadableStream or a file handle `readableWebStream()`.
+  * Chunks don't need to be aligned on frames and the end of the audio is flushed once the input ends.
+  * The resampler is released when the input ends or when the iteration is stopped.
+  * @param input sync or async iterable of interleaved PCM data in the input sample format
+  * @param options channels, rates, quality, sample formats (default to float32) and latency compensation (default to true)
+  * @returns async iterable of interleaved PCM data in the output sample format
+  */
+export async function* resampleIterable(input: AsyncIterable<ResampleInput> | Iterable<ResampleInput>, options: ResampleOptions): AsyncGenerator<Buffer> {
+  const resampler = await createResampler(options);
+  const frameLength = frameLengthOf(resampler);
+  let alignementBuffer = EMPTY_BUFFER;
+  try {
+    for await (const chunk of input) {
+      const [chunkToProcess, remainder] = alignChunk(alignementBuffer, toBuffer(chunk), frameLength);
+      alignementBuffer = remainder;
+      const res = resampler.processChunk(chunkToProcess);
+      if (res.length > 0) {
+        yield res;
+      }
+    }
+    // an incomplete frame left in the alignment buffer cannot be resampled so it is dropped
+    const tail = resampler.flush();
+    if (tail.length > 0) {
+      yield tail;
+    }
+  } finally {
+    resampler.destroy();
+  }
+}
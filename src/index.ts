@@ -1,165 +1,399 @@
-/// <reference types="emscripten" />
-
 import { Transform } from 'stream';
-import SpeexWasm from './speex_wasm';
+import { WriteStream, writeSync } from 'fs';
 import { Buffer } from 'buffer'
+import SpeexResampler, { SpeexResamplerOptions, MixingMatrix, EMPTY_BUFFER, approximateRatio } from './resampler';
+import { SampleFormat, BYTES_PER_SAMPLE, alignChunk } from './formats';
+import { WavFormat, WavHeader, parseWavHeader, createWavHeader } from './wav';
+import { SpeexResamplerInvalidArgError } from './errors';
+
+export { SampleFormat, SpeexResamplerOptions, MixingMatrix, WavFormat, WavHeader, parseWavHeader, createWavHeader, approximateRatio };
+export { ResamplerPool, ResamplerPoolStream, ResamplerPoolOptions, ResamplerPoolJobOptions } from './pool';
+export { ResampleOptions, resampleBuffer, resampleIterable } from './helpers';
+export {
+  SpeexResamplerError,
+  SpeexResamplerAllocError,
+  SpeexResamplerBadStateError,
+  SpeexResamplerInvalidArgError,
+  SpeexResamplerPtrOverlapError,
+  SpeexResamplerOverflowError,
+} from './errors';
 
-interface EmscriptenModuleOpusEncoder extends EmscriptenModule {
-  _speex_resampler_init(nbChannels: number, inRate: number, outRate: number, quality: number, errPointer: number): number;
-  _speex_resampler_destroy(resamplerPtr: number): void;
-  _speex_resampler_get_rate(resamplerPtr: number, inRatePtr: number, outRatePtr: number);
-  _speex_resampler_process_interleaved_int(resamplerPtr: number, inBufferPtr: number, inLenPtr: number, outBufferPtr: number, outLenPtr: number): number;
-  _speex_resampler_process_interleaved_float(resamplerPtr: number, inBufferPtr: number, inLenPtr: number, outBufferPtr: number, outLenPtr: number): number;
-  _speex_resampler_strerror(err: number): number;
-
-  getValue(ptr: number, type: string): any;
-  setValue(ptr: number, value: any, type: string): any;
-  AsciiToString(ptr: number): string;
+export interface SpeexResamplerTransformOptions extends SpeexResamplerOptions {
+  /**
+    * number of frames (samples per channel) in each output chunk, for example 960 for 20ms at 48kHz
+    * when set, the stream is in object mode and outputs SpeexResamplerFrame objects
+    */
+  frameSize?: number;
+  /** when frameSize is set, fill the last frame with silence up to frameSize when the stream ends, default to true */
+  padLastFrame?: boolean;
+  /**
+    * output SpeexResamplerFrame objects with the position of each chunk in the input and output streams, default to false
+    * it is always the case when frameSize is set
+    */
+  positions?: boolean;
+  /**
+    * playback speed factor (varispeed), 2 plays twice as fast with half the output duration and a higher pitch, default to 1
+    * can also be a function called for each chunk with the input position (in frames) of the chunk returning the speed,
+    * speed changes are ramped over the chunk
+    */
+  speed?: SpeedOption;
 }
 
-let speexModule: EmscriptenModuleOpusEncoder;
-let globalModulePromise = SpeexWasm().then((s) => speexModule = s);
+export type SpeedOption = number | ((inputPosition: number) => number);
+
+// duration in seconds of the steps used to ramp the ratio when the speed changes
+const VARISPEED_STEP_DURATION = 0.01;
 
-class SpeexResampler {
-  _resamplerPtr: number;
-  _inBufferPtr = -1;
-  _inBufferSize = -1;
-  _outBufferPtr = -1;
-  _outBufferSize = -1;
+/**
+  * Object pushed by SpeexResamplerTransform when `frameSize` or `positions` is set
+  */
+export interface SpeexResamplerFrame {
+  /** interleaved PCM data in the output sample format */
+  data: Buffer;
+  /** number of frames (samples per channel) in data, only less than frameSize for the last frame when padLastFrame is false */
+  frames: number;
+  /** index in the output stream of the first frame (sample per channel) of data */
+  sampleIndex: number;
+  /** time in milliseconds of the first frame of data from the start of the output stream */
+  timestamp: number;
+  /** position in the input stream of the first frame of data, can be fractional, see SpeexResampler.outputPositionToInput */
+  inputPosition: number;
+}
 
-  _inLengthPtr = -1;
-  _outLengthPtr = -1;
+export class SpeexResamplerTransform extends Transform {
+  resampler: SpeexResampler;
+  _alignementBuffer: Buffer;
 
-  static initPromise = globalModulePromise as Promise<any>;
+  frameSize: number | null;
+  padLastFrame: boolean;
+  positions: boolean;
+  // resampled data waiting for frameSize to be reached
+  _pendingOutput = EMPTY_BUFFER;
+  _outSampleIndex = 0;
+  _outTimestamp = 0;
+  // playback speed factor or function giving it for each chunk, null when varispeed is not used
+  _speed: SpeedOption | null;
+  _currentSpeed = 1;
 
   /**
-    * Create an SpeexResampler tranform stream.
+    * Create an SpeexResampler instance.
     * @param channels Number of channels, minimum is 1, no maximum
     * @param inRate frequency in Hz for the input chunk
     * @param outRate frequency in Hz for the target chunk
     * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+    * @param options sample formats of the input and output chunks (default to float32), latency compensation, channels mixing
+    *                size and positions of the output frames and playback speed
     */
-  constructor(
-    public channels,
-    public inRate,
-    public outRate,
-    public quality = 7) {}
-
-  /**
-    * Resample a chunk of audio.
-    * @param chunk interleaved PCM data in float32
-    */
-  processChunk(chunk: Buffer) {
-    if (!speexModule) {
-      throw new Error('You need to wait for SpeexResampler.initPromise before calling this method');
+  constructor(public channels, public inRate, public outRate, public quality = 7, options: SpeexResamplerTransformOptions = {}) {
+    super({readableObjectMode: !!options.frameSize || !!options.positions});
+    // chunks pushed in the stream are kept until they are consumed so they cannot be views on reused memory
+    this.resampler = new SpeexResampler(channels, inRate, outRate, quality, {...options, returnView: false});
+    this.channels = channels;
+    this._alignementBuffer = EMPTY_BUFFER;
+    if (options.frameSize !== undefined && (!Number.isInteger(options.frameSize) || options.frameSize <= 0)) {
+      throw new SpeexResamplerInvalidArgError('frameSize should be a positive integer');
     }
-    // We check that we have as many chunks for each channel and that the last chunk is full (2 bytes)
-    if (chunk.length % (this.channels * Float32Array.BYTES_PER_ELEMENT) !== 0) {
-      throw new Error('Chunk length should be a multiple of channels * 2 bytes');
+    this.frameSize = options.frameSize || null;
+    this.padLastFrame = options.padLastFrame !== false;
+    this.positions = !!options.frameSize || !!options.positions;
+    this._speed = options.speed === undefined ? null : options.speed;
+    if (typeof this._speed === 'number') {
+      this._applySpeed(this._speed);
     }
+  }
 
-    if (!this._resamplerPtr) {
-      const errPtr = speexModule._malloc(4);
-      this._resamplerPtr = speexModule._speex_resampler_init(this.channels, this.inRate, this.outRate, this.quality, errPtr);
-      const errNum = speexModule.getValue(errPtr, 'i32');
-      if (errNum !== 0) {
-        throw new Error(speexModule.AsciiToString(speexModule._speex_resampler_strerror(errNum)));
-      }
-      this._inLengthPtr = speexModule._malloc(Uint32Array.BYTES_PER_ELEMENT);
-      this._outLengthPtr = speexModule._malloc(Uint32Array.BYTES_PER_ELEMENT);
+  _transform(chunk, encoding, callback) {
+    // Speex needs a buffer aligned to the sample size times the number of channels
+    // so we keep the extraneous bytes in a buffer for next chunk
+    const [chunkToProcess, remainder] = alignChunk(this._alignementBuffer, chunk, this.channels * BYTES_PER_SAMPLE[this.resampler.inFormat]);
+    this._alignementBuffer = remainder;
+    try {
+      const res = this._speed === null ? this.resampler.processChunk(chunkToProcess) : this._processVarispeed(chunkToProcess);
+      callback(null, this._toOutput(res));
+    } catch (e) {
+      callback(e);
     }
+  }
 
-    // Resizing the input buffer in the WASM memory space to match what we need
-    if (this._inBufferSize < chunk.length) {
-      if (this._inBufferPtr !== -1) {
-        speexModule._free(this._inBufferPtr);
-      }
-      this._inBufferPtr = speexModule._malloc(chunk.length);
-      this._inBufferSize = chunk.length;
+  _applySpeed(speed: number) {
+    if (typeof speed !== 'number' || !(speed > 0) || !Number.isFinite(speed)) {
+      throw new SpeexResamplerInvalidArgError(`speed should be a positive number, got ${speed}`);
     }
+    const [ratioNum, ratioDen] = approximateRatio(this.inRate * speed / this.outRate);
+    this.resampler.setRateFrac(ratioNum, ratioDen, this.inRate, this.outRate);
+    this._currentSpeed = speed;
+  }
+
+  // the chunk is resampled in steps of VARISPEED_STEP_DURATION with the speed moving linearly to the target one
+  _processVarispeed(chunk: Buffer) {
+    const targetSpeed = typeof this._speed === 'function' ? this._speed(this.resampler.inputFramesConsumed) : this._speed;
+    if (targetSpeed === this._currentSpeed) {
+      return this.resampler.processChunk(chunk);
+    }
+    const frameLength = this.channels * BYTES_PER_SAMPLE[this.resampler.inFormat];
+    const stepLength = Math.max(1, Math.round(this.inRate * VARISPEED_STEP_DURATION)) * frameLength;
+    const stepsCount = Math.max(1, Math.ceil(chunk.length / stepLength));
+    const startSpeed = this._currentSpeed;
+    const chunks: Buffer[] = [];
+    for (let step = 0; step < stepsCount; step++) {
+      this._applySpeed(step === stepsCount - 1 ? targetSpeed : startSpeed + (targetSpeed - startSpeed) * (step + 1) / stepsCount);
+      chunks.push(this.resampler.processChunk(chunk.slice(step * stepLength, (step + 1) * stepLength)));
+    }
+    return Buffer.concat(chunks);
+  }
 
-    // Resizing the output buffer in the WASM memory space to match what we need
-    const outBufferLengthTarget = Math.ceil(chunk.length * this.outRate / this.inRate);
-    if (this._outBufferSize < outBufferLengthTarget) {
-      if (this._outBufferPtr !== -1) {
-        speexModule._free(this._outBufferPtr);
+  /**
+    * Push the resampled data as SpeexResamplerFrame objects if needed
+    * @returns the data to give to the transform callback, undefined if already pushed
+    */
+  _toOutput(res: Buffer, isLast = false): Buffer | undefined {
+    const frameLength = this.resampler.outChannels * BYTES_PER_SAMPLE[this.resampler.outFormat];
+    if (!this.positions) {
+      return res;
+    }
+    if (!this.frameSize) {
+      if (res.length > 0) {
+        this._pushFrame(res, frameLength);
       }
-      this._outBufferPtr = speexModule._malloc(outBufferLengthTarget);
-      this._outBufferSize = outBufferLengthTarget;
+      return;
     }
+    const output = this._pendingOutput.length > 0 ? Buffer.concat([this._pendingOutput, res]) : res;
+    let offset = 0;
+    for (; output.length - offset >= this.frameSize * frameLength; offset += this.frameSize * frameLength) {
+      this._pushFrame(output.slice(offset, offset + this.frameSize * frameLength), frameLength);
+    }
+    // copying to not keep the whole output in memory
+    this._pendingOutput = offset < output.length ? Buffer.from(output.slice(offset)) : EMPTY_BUFFER;
+    if (isLast && this._pendingOutput.length > 0) {
+      const lastFrame = this.padLastFrame
+        // silence is only zeros in every sample format
+        ? Buffer.concat([this._pendingOutput, Buffer.alloc(this.frameSize * frameLength - this._pendingOutput.length)])
+        : this._pendingOutput;
+      this._pushFrame(lastFrame, frameLength);
+      this._pendingOutput = EMPTY_BUFFER;
+    }
+  }
 
-    // number of samples per channel in input buffer
-    speexModule.setValue(this._inLengthPtr, chunk.length / this.channels / Float32Array.BYTES_PER_ELEMENT, 'i32');
-    // Copying the info from the input Buffer in the WASM memory space
-    speexModule.HEAPU8.set(chunk, this._inBufferPtr);
+  _pushFrame(data: Buffer, frameLength: number) {
+    const frame: SpeexResamplerFrame = {
+      data,
+      frames: data.length / frameLength,
+      sampleIndex: this._outSampleIndex,
+      timestamp: this._outTimestamp,
+      inputPosition: this.resampler.outputPositionToInput(this._outSampleIndex),
+    };
+    this._outSampleIndex += frame.frames;
+    // incremented frame by frame as the output rate can change in the middle of the stream
+    this._outTimestamp += frame.frames / this.outRate * 1000;
+    this.push(frame);
+  }
 
-    // number of samples per channels available in output buffer
-    speexModule.setValue(this._outLengthPtr, this._outBufferSize / this.channels / Float32Array.BYTES_PER_ELEMENT, 'i32');
-    const errNum = speexModule._speex_resampler_process_interleaved_float(
-      this._resamplerPtr,
-      this._inBufferPtr,
-      this._inLengthPtr,
-      this._outBufferPtr,
-      this._outLengthPtr,
-    );
+  /**
+    * Wait for the WASM module to be ready and create a SpeexResamplerTransform, see constructor for the arguments
+    */
+  static async create(channels: number, inRate: number, outRate: number, quality = 7, options: SpeexResamplerTransformOptions = {}) {
+    await SpeexResampler.initPromise;
+    return new SpeexResamplerTransform(channels, inRate, outRate, quality, options);
+  }
 
-    if (errNum !== 0) {
-      throw new Error(speexModule.AsciiToString(speexModule._speex_resampler_strerror(errNum)));
+  /**
+    * Change the input and output rates of the resampler, see SpeexResampler.setRate
+    */
+  setRate(inRate: number, outRate: number) {
+    this.resampler.setRate(inRate, outRate);
+    this.inRate = inRate;
+    this.outRate = outRate;
+    if (this._speed !== null) {
+      // the speed is kept with the new rates
+      this._applySpeed(this._currentSpeed);
     }
+  }
 
-    const outSamplesPerChannelsWritten = speexModule.getValue(this._outLengthPtr, 'i32');
+  /**
+    * Change the resampling ratio to an arbitrary fraction, see SpeexResampler.setRateFrac, this stops the varispeed
+    */
+  setRateFrac(ratioNum: number, ratioDen: number, inRate = this.inRate, outRate = this.outRate) {
+    this.resampler.setRateFrac(ratioNum, ratioDen, inRate, outRate);
+    this.inRate = inRate;
+    this.outRate = outRate;
+    this._speed = null;
+    this._currentSpeed = 1;
+  }
 
-    // we are copying the info in a new buffer here, we could just pass a buffer pointing to the same memory space if needed
-    return Buffer.from(
-      speexModule.HEAPU8.slice(
-        this._outBufferPtr,
-        this._outBufferPtr + outSamplesPerChannelsWritten * this.channels * Float32Array.BYTES_PER_ELEMENT
-      ).buffer);
+  /**
+    * Change the playback speed factor or function, the change is ramped over the next chunk, see the speed option
+    */
+  setSpeed(speed: SpeedOption) {
+    if (typeof speed !== 'function' && (typeof speed !== 'number' || !(speed > 0) || !Number.isFinite(speed))) {
+      throw new SpeexResamplerInvalidArgError(`speed should be a positive number or a function, got ${speed}`);
+    }
+    this._speed = speed;
+  }
+
+  /**
+    * Change the resampling quality, see SpeexResampler.setQuality
+    */
+  setQuality(quality: number) {
+    this.resampler.setQuality(quality);
+    this.quality = quality;
+  }
+
+  _flush(callback) {
+    // an incomplete frame left in the alignment buffer cannot be resampled so it is dropped
+    this._alignementBuffer = EMPTY_BUFFER;
+    try {
+      const res = this._toOutput(this.resampler.flush(), true);
+      // nothing will be written after this so we can release the WASM memory right away
+      this.resampler.destroy();
+      callback(null, res);
+    } catch (e) {
+      callback(e);
+    }
+  }
+
+  _destroy(err, callback) {
+    this.resampler.destroy();
+    callback(err);
   }
 }
 
-const EMPTY_BUFFER = Buffer.alloc(0);
+export interface WavResamplerTransformOptions {
+  /** sample format of the output file, default to the format of the input file */
+  format?: SampleFormat;
+  /** skip the leading filter delay so that the output is aligned with the input timeline, default to false */
+  compensateLatency?: boolean;
+  /** number of channels of the output file, default to the number of channels of the input file */
+  outChannels?: number;
+}
 
-export class SpeexResamplerTransform extends Transform {
-  resampler: SpeexResampler;
-  _alignementBuffer: Buffer;
+/**
+  * Transform stream resampling a RIFF/WAVE file, the channels, input rate and sample format are read from the input header.
+  * The sizes in the output header cannot be known before the end of the stream so they are written as unknown (0xFFFFFFFF),
+  * they are patched once finished when piped to a file write stream. For other destinations, `header` contains the final
+  * header once the stream ended.
+  */
+export class WavResamplerTransform extends SpeexResamplerTransform {
+  /** header of the input file, null until it has been received */
+  inputHeader: WavHeader | null = null;
+  /** header of the output file with the right sizes, null until the stream ended */
+  header: Buffer | null = null;
+  wavOptions: WavResamplerTransformOptions;
+
+  _headerBuffer = EMPTY_BUFFER;
+  // length of the input data chunk still to be received, null if the input doesn't specify it
+  _remainingDataLength: number | null = null;
+  _outDataLength = 0;
 
   /**
-    * Create an SpeexResampler instance.
-    * @param channels Number of channels, minimum is 1, no maximum
-    * @param inRate frequency in Hz for the input chunk
-    * @param outRate frequency in Hz for the target chunk
+    * Create a WavResamplerTransform instance.
+    * @param outRate frequency in Hz for the output file
     * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+    * @param options sample format and channels of the output file (default to the input ones) and latency compensation
     */
-  constructor(public channels, public inRate, public outRate, public quality = 7) {
-    super();
-    this.resampler = new SpeexResampler(channels, inRate, outRate, quality);
-    this.channels = channels;
-    this._alignementBuffer = EMPTY_BUFFER;
+  constructor(outRate: number, quality = 7, options: WavResamplerTransformOptions = {}) {
+    // the resampler is created again with the right parameters once the input header has been parsed
+    super(1, outRate, outRate, quality);
+    this.wavOptions = options;
+  }
+
+  get outputFormat(): WavFormat {
+    return {
+      format: this.resampler.outFormat,
+      channels: this.resampler.outChannels,
+      sampleRate: this.outRate,
+      // the speaker positions are only kept when the channels are not mixed
+      channelMask: this.inputHeader && this.resampler.outChannels === this.channels ? this.inputHeader.channelMask : undefined,
+    };
+  }
+
+  _initFromHeader(header: WavHeader) {
+    this.inputHeader = header;
+    this.channels = header.channels;
+    this.inRate = header.sampleRate;
+    this.resampler.destroy();
+    this.resampler = new SpeexResampler(header.channels, header.sampleRate, this.outRate, this.quality, {
+      inFormat: header.format,
+      outFormat: this.wavOptions.format || header.format,
+      compensateLatency: this.wavOptions.compensateLatency,
+      outChannels: this.wavOptions.outChannels,
+    });
+    this._remainingDataLength = header.dataLength;
+  }
+
+  // counting the resampled bytes to write the final header
+  _countingCallback(callback) {
+    return (err, res?: Buffer) => {
+      if (res) {
+        this._outDataLength += res.length;
+      }
+      callback(err, res);
+    };
   }
 
   _transform(chunk, encoding, callback) {
-    let chunkToProcess: Buffer = chunk;
-    if (this._alignementBuffer.length > 0) {
-      chunkToProcess = Buffer.concat([
-        this._alignementBuffer,
-        chunk,
-      ]);
-      this._alignementBuffer = EMPTY_BUFFER;
-    }
-    // Speex needs a buffer aligned to 16bits times the number of channels
-    // so we keep the extraneous bytes in a buffer for next chunk
-    const extraneousBytesCount = chunkToProcess.length % (this.channels * Uint16Array.BYTES_PER_ELEMENT);
-    if (extraneousBytesCount !== 0) {
-      this._alignementBuffer = Buffer.from(chunkToProcess.slice(chunkToProcess.length - extraneousBytesCount));
-      chunkToProcess = chunkToProcess.slice(0, chunkToProcess.length - extraneousBytesCount);
+    let data: Buffer = chunk;
+    if (!this.inputHeader) {
+      this._headerBuffer = Buffer.concat([this._headerBuffer, chunk]);
+      let header: WavHeader | null;
+      try {
+        header = parseWavHeader(this._headerBuffer);
+        if (!header) {
+          callback();
+          return;
+        }
+        // the resampler parameters are only validated here as they depend on the input file
+        this._initFromHeader(header);
+        this.push(createWavHeader(this.outputFormat));
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      data = this._headerBuffer.slice(header.dataOffset);
+      this._headerBuffer = EMPTY_BUFFER;
     }
-    try {
-      const res = this.resampler.processChunk(chunkToProcess);
-      callback(null, res);
-    } catch (e) {
-      callback(e);
+    if (this._remainingDataLength !== null) {
+      // chunks after the data chunk (metadata) are ignored
+      data = data.slice(0, this._remainingDataLength);
+      this._remainingDataLength -= data.length;
+    }
+    if (data.length === 0) {
+      callback();
+      return;
+    }
+    super._transform(data, encoding, this._countingCallback(callback));
+  }
+
+  _flush(callback) {
+    if (!this.inputHeader) {
+      callback(new SpeexResamplerInvalidArgError('Input ended before the end of the WAV header'));
+      return;
+    }
+    super._flush(this._countingCallback((err, res?: Buffer) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      this.header = createWavHeader(this.outputFormat, this._outDataLength);
+      // the data chunk needs to be padded to an even length
+      callback(null, this._outDataLength % 2 ? Buffer.concat([res, Buffer.alloc(1)]) : res);
+    }));
+  }
+
+  pipe<T extends NodeJS.WritableStream>(destination: T, options?: { end?: boolean; }): T {
+    if (destination instanceof WriteStream) {
+      // finish is emitted once everything has been written but before the file is closed
+      destination.once('finish', () => this._patchHeader(destination));
+    }
+    return super.pipe(destination, options);
+  }
+
+  _patchHeader(destination: WriteStream) {
+    const {fd, flags} = destination as any;
+    // files opened in append mode cannot be written at their start
+    if (!this.header || typeof fd !== 'number' || String(flags).includes('a')) {
+      return;
     }
+    writeSync(fd, this.header, 0, this.header.length, 0);
   }
 }
 
@@ -0,0 +1,196 @@
+import { Worker } from 'worker_threads';
+import { Transform } from 'stream';
+import { cpus } from 'os';
+import path from 'path';
+import { Buffer } from 'buffer'
+import { PoolRequest, PoolResponse, PoolError, ResamplerPoolJobOptions, toTransferable } from './poolProtocol';
+import { SpeexResamplerError, SpeexResamplerBadStateError, errorFromCode } from './errors';
+
+export { ResamplerPoolJobOptions };
+
+export interface ResamplerPoolOptions {
+  /** number of worker threads, default to the number of CPUs */
+  size?: number;
+}
+
+interface PendingRequest {
+  resolve: (data?: Buffer) => void;
+  reject: (err: Error) => void;
+}
+
+interface PoolWorker {
+  worker: Worker;
+  pending: Map<number, PendingRequest>;
+  // settled without error or value when the request is done, used to wait for them when closing
+  inFlight: Set<Promise<void>>;
+  // number of jobs and streams using this worker, used to pick the least busy one
+  load: number;
+}
+
+// PoolRequest without requestId, it is added by _request
+type PoolRequestWithoutId = PoolRequest extends infer R ? R extends any ? Omit<R, 'requestId'> : never : never;
+
+const toBuffer = (data?: Uint8Array) => data && Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+// create the error thrown in the worker again, with its SpeexResamplerError subclass when it has a speex code
+const toError = ({message, name, code}: PoolError): Error => {
+  if (code !== null) {
+    return errorFromCode(code, message);
+  }
+  const error = name === SpeexResamplerError.name ? new SpeexResamplerError(message) : new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+  * Pool of worker threads resampling audio, each one with its own WASM module instance.
+  * Input data is transferred to the workers, the Buffers given to the pool are not usable after this
+  * unless they are a view on a larger ArrayBuffer (in this case they are copied).
+  */
+export class ResamplerPool {
+  size: number;
+  _workers: PoolWorker[] = [];
+  _nextRequestId = 0;
+  _nextSessionId = 0;
+  _closed = false;
+
+  constructor(options: ResamplerPoolOptions = {}) {
+    this.size = options.size || cpus().length;
+    for (let i = 0; i < this.size; i++) {
+      this._workers.push(this._spawnWorker());
+    }
+  }
+
+  _spawnWorker(): PoolWorker {
+    const poolWorker: PoolWorker = {
+      worker: new Worker(path.join(__dirname, 'poolWorker.js')),
+      pending: new Map(),
+      inFlight: new Set(),
+      load: 0,
+    };
+    poolWorker.worker.on('message', ({requestId, data, error}: PoolResponse) => {
+      const request = poolWorker.pending.get(requestId);
+      poolWorker.pending.delete(requestId);
+      if (error) {
+        request.reject(toError(error));
+      } else {
+        request.resolve(toBuffer(data));
+      }
+    });
+    // a crashed worker is replaced, the requests it was handling are rejected
+    poolWorker.worker.on('error', (err) => {
+      poolWorker.pending.forEach(({reject}) => reject(err));
+      poolWorker.pending.clear();
+      const index = this._workers.indexOf(poolWorker);
+      if (index !== -1 && !this._closed) {
+        this._workers[index] = this._spawnWorker();
+      }
+    });
+    return poolWorker;
+  }
+
+  _leastBusyWorker() {
+    if (this._closed) {
+      throw new SpeexResamplerBadStateError('This ResamplerPool has been closed');
+    }
+    return this._workers.reduce((leastBusy, poolWorker) => poolWorker.load < leastBusy.load ? poolWorker : leastBusy);
+  }
+
+  _request(poolWorker: PoolWorker, request: PoolRequestWithoutId): Promise<Buffer | undefined> {
+    const requestId = this._nextRequestId++;
+    const response = new Promise<Buffer | undefined>((resolve, reject) => {
+      poolWorker.pending.set(requestId, {resolve, reject});
+      const transferList = 'data' in request ? [request.data.buffer] : [];
+      poolWorker.worker.postMessage({...request, requestId}, transferList as ArrayBuffer[]);
+    });
+    const settled = response.then(() => {}, () => {}).then(() => {
+      poolWorker.inFlight.delete(settled);
+    });
+    poolWorker.inFlight.add(settled);
+    return response;
+  }
+
+  /**
+    * Resample a whole audio buffer in a worker, the end of the audio is flushed
+    * @param data interleaved PCM data in the input sample format
+    * @returns interleaved PCM data in the output sample format
+    */
+  async resample(data: Uint8Array, options: ResamplerPoolJobOptions): Promise<Buffer> {
+    const poolWorker = this._leastBusyWorker();
+    poolWorker.load++;
+    try {
+      return await this._request(poolWorker, {type: 'resample', options, data: toTransferable(data)});
+    } finally {
+      poolWorker.load--;
+    }
+  }
+
+  /**
+    * Create a transform stream resampling its input in a worker, the same worker is used until the stream ends
+    */
+  createStream(options: ResamplerPoolJobOptions) {
+    const poolWorker = this._leastBusyWorker();
+    return new ResamplerPoolStream(this, poolWorker, this._nextSessionId++, options);
+  }
+
+  /**
+    * Stop accepting new jobs, wait for the running ones and stop the workers, streams should be ended before
+    */
+  async close() {
+    this._closed = true;
+    await Promise.all(this._workers.map(async (poolWorker) => {
+      await Promise.all(Array.from(poolWorker.inFlight));
+      await poolWorker.worker.terminate();
+    }));
+  }
+}
+
+/**
+  * Transform stream resampling its input in a worker of a ResamplerPool.
+  * Only one chunk is sent to the worker at a time so backpressure is propagated to the writer.
+  */
+export class ResamplerPoolStream extends Transform {
+  _opened: Promise<any>;
+  _finished = false;
+
+  constructor(public pool: ResamplerPool, public _poolWorker: PoolWorker, public sessionId: number, options: ResamplerPoolJobOptions) {
+    super();
+    _poolWorker.load++;
+    this._opened = pool._request(_poolWorker, {type: 'open', sessionId, options});
+    // the error is reported on the first write
+    this._opened.catch(() => {});
+  }
+
+  _release() {
+    if (!this._finished) {
+      this._finished = true;
+      this._poolWorker.load--;
+    }
+  }
+
+  _transform(chunk: Buffer, encoding, callback) {
+    this._opened
+      .then(() => this.pool._request(this._poolWorker, {type: 'process', sessionId: this.sessionId, data: toTransferable(chunk)}))
+      .then((res) => callback(null, res), callback);
+  }
+
+  _flush(callback) {
+    this._opened
+      .then(() => this.pool._request(this._poolWorker, {type: 'flush', sessionId: this.sessionId}))
+      .then((res) => {
+        this._release();
+        callback(null, res);
+      }, (err) => {
+        this._release();
+        callback(err);
+      });
+  }
+
+  _destroy(err, callback) {
+    if (!this._finished) {
+      this._release();
+      this.pool._request(this._poolWorker, {type: 'close', sessionId: this.sessionId}).catch(() => {});
+    }
+    callback(err);
+  }
+}
@@ -0,0 +1,88 @@
+import { parentPort } from 'worker_threads';
+import { Buffer } from 'buffer'
+import SpeexResampler from './resampler';
+import { SpeexResamplerBadStateError } from './errors';
+import { BYTES_PER_SAMPLE, alignChunk } from './formats';
+import { PoolRequest, PoolResponse, ResamplerPoolJobOptions, toTransferable } from './poolProtocol';
+
+// Each worker has its own WASM module instance, the main thread one is not shared
+SpeexResampler.initSync();
+
+interface Session {
+  resampler: SpeexResampler;
+  alignementBuffer: Buffer;
+}
+
+const sessions = new Map<number, Session>();
+
+const createResampler = (options: ResamplerPoolJobOptions) => new SpeexResampler(
+  options.channels,
+  options.inRate,
+  options.outRate,
+  options.quality,
+  options,
+);
+
+const processAligned = (session: Session, data: Buffer) => {
+  const {resampler} = session;
+  const [chunkToProcess, remainder] = alignChunk(session.alignementBuffer, data, resampler.channels * BYTES_PER_SAMPLE[resampler.inFormat]);
+  session.alignementBuffer = remainder;
+  return resampler.processChunk(chunkToProcess);
+}
+
+const closeSession = (sessionId: number) => {
+  const session = sessions.get(sessionId);
+  if (session) {
+    session.resampler.destroy();
+    sessions.delete(sessionId);
+  }
+}
+
+const handleRequest = (request: PoolRequest): Buffer | undefined => {
+  switch (request.type) {
+    case 'resample': {
+      const resampler = createResampler(request.options);
+      try {
+        const data = Buffer.from(request.data.buffer, request.data.byteOffset, request.data.byteLength);
+        return Buffer.concat([resampler.processChunk(data), resampler.flush()]);
+      } finally {
+        resampler.destroy();
+      }
+    }
+    case 'open':
+      sessions.set(request.sessionId, {resampler: createResampler(request.options), alignementBuffer: Buffer.alloc(0)});
+      return;
+    case 'process': {
+      const session = sessions.get(request.sessionId);
+      if (!session) {
+        throw new SpeexResamplerBadStateError(`Unknown session ${request.sessionId}`);
+      }
+      return processAligned(session, Buffer.from(request.data.buffer, request.data.byteOffset, request.data.byteLength));
+    }
+    case 'flush': {
+      const session = sessions.get(request.sessionId);
+      if (!session) {
+        throw new SpeexResamplerBadStateError(`Unknown session ${request.sessionId}`);
+      }
+      try {
+        return session.resampler.flush();
+      } finally {
+        closeSession(request.sessionId);
+      }
+    }
+    case 'close':
+      closeSession(request.sessionId);
+      return;
+  }
+}
+
+parentPort.on('message', (request: PoolRequest) => {
+  try {
+    const res = handleRequest(request);
+    const data = res && toTransferable(res);
+    parentPort.postMessage({requestId: request.requestId, data} as PoolResponse, data ? [data.buffer] : []);
+  } catch (e) {
+    const code = typeof e.code === 'number' ? e.code : null;
+    parentPort.postMessage({requestId: request.requestId, error: {message: e.message, name: e.name, code}} as PoolResponse);
+  }
+});
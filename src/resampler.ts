@@ -0,0 +1,1063 @@
+/// <reference types="emscripten" />
+
+import SpeexWasm from './speex_wasm';
+import speexWasmBinary from './speex_wasm_binary';
+import { Buffer } from 'buffer'
+import { SampleFormat, BYTES_PER_SAMPLE, assertSampleFormat, decodeSamples, encodeSamples, toBuffer } from './formats';
+import {
+  SpeexResamplerError,
+  SpeexResamplerBadStateError,
+  SpeexResamplerInvalidArgError,
+  RESAMPLER_ERR_SUCCESS,
+  errorFromCode,
+} from './errors';
+import { MixingMatrix, defaultMixingMatrix, channelMapToMatrix, assertMixingMatrix, isIdentityMatrix, mixInterleaved, mixPlanar } from './channels';
+
+export { SampleFormat, MixingMatrix };
+
+export interface SpeexResamplerOptions {
+  /** sample format of the input and output chunks, default to float32 */
+  format?: SampleFormat;
+  /** sample format of the input chunks, overrides `format` */
+  inFormat?: SampleFormat;
+  /** sample format of the output chunks, overrides `format` */
+  outFormat?: SampleFormat;
+  /** skip the leading filter delay so that the output is aligned with the input timeline, default to false */
+  compensateLatency?: boolean;
+  /**
+    * processChunk returns a view on memory owned by the resampler instead of a new Buffer, default to false
+    * the view is only valid until the next call to the resampler
+    */
+  returnView?: boolean;
+  /** number of channels of the output, default to the number of input channels, see defaultMixingMatrix for the mixing used */
+  outChannels?: number;
+  /** for each output channel, the index of the input channel it is copied from or -1 for silence, overrides outChannels */
+  channelMap?: number[];
+  /** gains applied to the input channels to get each output channel, `mixingMatrix[outChannel][inChannel]`, overrides channelMap */
+  mixingMatrix?: MixingMatrix;
+}
+
+interface EmscriptenModuleOpusEncoder extends EmscriptenModule {
+  _speex_resampler_init(nbChannels: number, inRate: number, outRate: number, quality: number, errPointer: number): number;
+  _speex_resampler_init_frac(
+    nbChannels: number, ratioNum: number, ratioDen: number, inRate: number, outRate: number, quality: number, errPointer: number
+  ): number;
+  _speex_resampler_destroy(resamplerPtr: number): void;
+  _speex_resampler_get_rate(resamplerPtr: number, inRatePtr: number, outRatePtr: number);
+  _speex_resampler_get_ratio(resamplerPtr: number, ratioNumPtr: number, ratioDenPtr: number);
+  _speex_resampler_set_rate(resamplerPtr: number, inRate: number, outRate: number): number;
+  _speex_resampler_set_rate_frac(resamplerPtr: number, ratioNum: number, ratioDen: number, inRate: number, outRate: number): number;
+  _speex_resampler_set_quality(resamplerPtr: number, quality: number): number;
+  _speex_resampler_process_float(resamplerPtr: number, channelIndex: number, inBufferPtr: number, inLenPtr: number, outBufferPtr: number, outLenPtr: number): number;
+  _speex_resampler_process_interleaved_int(resamplerPtr: number, inBufferPtr: number, inLenPtr: number, outBufferPtr: number, outLenPtr: number): number;
+  _speex_resampler_process_interleaved_float(resamplerPtr: number, inBufferPtr: number, inLenPtr: number, outBufferPtr: number, outLenPtr: number): number;
+  _speex_resampler_get_input_latency(resamplerPtr: number): number;
+  _speex_resampler_get_output_latency(resamplerPtr: number): number;
+  _speex_resampler_skip_zeros(resamplerPtr: number): number;
+  _speex_resampler_reset_mem(resamplerPtr: number): number;
+  _speex_resampler_strerror(err: number): number;
+
+  getValue(ptr: number, type: string): any;
+  setValue(ptr: number, value: any, type: string): any;
+  AsciiToString(ptr: number): string;
+}
+
+let speexModule: EmscriptenModuleOpusEncoder;
+
+export const EMPTY_BUFFER = Buffer.alloc(0);
+const MAX_FLUSH_ITERATIONS = 4;
+
+// The WASM binary is embedded as base64 in its own module and instantiated by us instead of the emscripten glue code
+// so that the same build works in NodeJS, browsers, workers and AudioWorklets (which have no fetch or atob)
+// and so that it can be compiled synchronously with initSync
+const instantiateWasmAsync = (imports, successCallback) => {
+  WebAssembly.instantiate(Buffer.from(speexWasmBinary, 'base64'), imports)
+    .then(({instance, module}) => successCallback(instance, module));
+  // empty exports tells emscripten that the instantiation is asynchronous
+  return {};
+}
+
+const instantiateWasmSync = (imports, successCallback) => {
+  const module = new WebAssembly.Module(Buffer.from(speexWasmBinary, 'base64'));
+  const instance = new WebAssembly.Instance(module, imports);
+  successCallback(instance, module);
+  return instance.exports;
+}
+
+let globalModulePromise: Promise<EmscriptenModuleOpusEncoder>;
+
+// the async instantiation is only started when initPromise is first used so that the pool workers and worklets which
+// call initSync don't instantiate the module twice, if initSync is called while it is pending we keep the first module
+// as resamplers already created are using its memory
+const loadModule = () => {
+  if (!globalModulePromise) {
+    globalModulePromise = speexModule ? Promise.resolve(speexModule) : SpeexWasm({instantiateWasm: instantiateWasmAsync}).then((s: EmscriptenModuleOpusEncoder) => {
+      speexModule = speexModule || s;
+      return speexModule;
+    });
+  }
+  return globalModulePromise;
+}
+
+interface WasmAllocations {
+  resamplerPtr: number;
+  // pointers allocated with malloc
+  pointers: number[];
+}
+
+const toUint8Array = (view: ArrayBufferView) => (
+  view instanceof Uint8Array ? view : new Uint8Array(view.buffer, view.byteOffset, view.byteLength)
+);
+
+const throwOnError = (errNum: number) => {
+  if (errNum !== RESAMPLER_ERR_SUCCESS) {
+    throw errorFromCode(errNum, speexModule.AsciiToString(speexModule._speex_resampler_strerror(errNum)));
+  }
+}
+
+// speex uses unsigned 32 bits integers for the channels, rates and ratio
+const MAX_UINT32 = 0xFFFFFFFF;
+const MAX_QUALITY = 10;
+
+const assertPositiveInteger = (name: string, value: any) => {
+  if (!Number.isInteger(value) || value <= 0 || value > MAX_UINT32) {
+    throw new SpeexResamplerInvalidArgError(`${name} should be a positive integer, got ${value}`);
+  }
+}
+
+// speex multiplies the fractional position of its filter (lower than the old ratio denominator) by the new denominator
+// when the ratio changes, both denominators need to be small enough for this to fit in an unsigned 32 bits integer
+export const MAX_RATIO_DENOMINATOR = 0xFFFF;
+
+/**
+  * Closest fraction to `value` with a denominator up to `maxDenominator`, computed with continued fractions
+  * @returns numerator and denominator
+  */
+export const approximateRatio = (value: number, maxDenominator = MAX_RATIO_DENOMINATOR): [number, number] => {
+  if (!(value > 0) || !Number.isFinite(value)) {
+    throw new SpeexResamplerInvalidArgError(`Ratio should be a positive number, got ${value}`);
+  }
+  // previous and current convergents
+  let [prevNum, num, prevDen, den] = [0, 1, 1, 0];
+  let remainder = value;
+  for (;;) {
+    const integerPart = Math.floor(remainder);
+    const nextNum = integerPart * num + prevNum;
+    const nextDen = integerPart * den + prevDen;
+    if (nextDen > maxDenominator || nextNum > MAX_UINT32) {
+      break;
+    }
+    [prevNum, num, prevDen, den] = [num, nextNum, den, nextDen];
+    if (remainder - integerPart < 1e-12) {
+      break;
+    }
+    remainder = 1 / (remainder - integerPart);
+  }
+  if (num === 0 || den === 0) {
+    throw new SpeexResamplerInvalidArgError(`Ratio ${value} cannot be represented with a denominator up to ${maxDenominator}`);
+  }
+  return [num, den];
+}
+
+const assertQuality = (quality: any) => {
+  if (!Number.isInteger(quality) || quality < 0 || quality > MAX_QUALITY) {
+    throw new SpeexResamplerInvalidArgError(`quality should be an integer between 0 and ${MAX_QUALITY}, got ${quality}`);
+  }
+}
+
+// offsets in 32 bits words of the SpeexResamplerState_ fields of deps/speex/resample.c read by the resampler or
+// saved in the snapshots, every field of the struct is 4 bytes long in wasm32
+const STATE_IN_RATE = 0;
+const STATE_OUT_RATE = 1;
+const STATE_NUM_RATE = 2;
+const STATE_DEN_RATE = 3;
+const STATE_QUALITY = 4;
+const STATE_FILT_LEN = 6;
+const STATE_MEM_ALLOC_SIZE = 7;
+const STATE_STARTED = 14;
+const STATE_LAST_SAMPLE = 15;
+const STATE_SAMP_FRAC_NUM = 16;
+const STATE_MAGIC_SAMPLES = 17;
+const STATE_MEM = 18;
+
+// "SPXR" in little endian, followed by the version of the snapshot layout
+const SNAPSHOT_MAGIC = 0x52585053;
+const SNAPSHOT_VERSION = 1;
+// magic, version, channels, filter length, ratio, rates, quality and started flag as uint32 then the frames counts
+// and the latency shift as float64
+const SNAPSHOT_COUNTS_OFFSET = 10 * 4;
+const SNAPSHOT_HEADER_LENGTH = SNAPSHOT_COUNTS_OFFSET + 4 * 8;
+// last sample, fractional position and magic samples count of each channel
+const SNAPSHOT_CHANNEL_LENGTH = 3 * 4;
+
+const releaseAllocations = ({resamplerPtr, pointers}: WasmAllocations) => {
+  speexModule._speex_resampler_destroy(resamplerPtr);
+  pointers.filter((ptr) => ptr !== -1).forEach((ptr) => speexModule._free(ptr));
+}
+
+// Safety net releasing the WASM memory of resamplers garbage collected without calling destroy()
+// FinalizationRegistry is not available on older runtimes, in this case destroy() needs to be called explicitly
+const FinalizationRegistryImpl = (globalThis as any).FinalizationRegistry;
+const finalizationRegistry = FinalizationRegistryImpl ? new FinalizationRegistryImpl(releaseAllocations) : null;
+// Symbol.dispose is used by the `using` declarations and is not available on every runtime yet
+const disposeSymbol: symbol = (Symbol as any).dispose || Symbol.for('Symbol.dispose');
+
+export class SpeexResampler {
+  _resamplerPtr: number;
+  _inBufferPtr = -1;
+  _inBufferSize = -1;
+  _outBufferPtr = -1;
+  _outBufferSize = -1;
+
+  _inLengthPtr = -1;
+  _outLengthPtr = -1;
+
+  // input to output ratio used by speex, can differ from inRate/outRate when set with setRateFrac
+  _ratioNum: number;
+  _ratioDen: number;
+
+  // number of frames (samples per channel) consumed and returned by the resampler, used to compute how much is left to flush
+  // and to convert positions between the input and output streams
+  _inFramesCount = 0;
+  _outFramesCount = 0;
+  // frames that should have been returned for the input given until now, not rounded as the ratio can change between chunks
+  _expectedOutFramesCount = 0;
+  // speex keeps the delay of the stream when setQuality changes the filter length in the middle of a stream, this is
+  // the difference between this delay and outputLatency, in output frames
+  _latencyShift = 0;
+
+  _destroyed = false;
+
+  inFormat: SampleFormat;
+  outFormat: SampleFormat;
+  compensateLatency: boolean;
+  returnView: boolean;
+  // reused to return converted samples when returnView is set
+  _outViewBuffer = EMPTY_BUFFER;
+
+  outChannels: number;
+  // null when the output channels are the input channels
+  _mixingMatrix: MixingMatrix | null;
+  // channels are mixed before resampling when it reduces the number of channels to resample, after otherwise
+  _mixBeforeResampling: boolean;
+  // number of channels going through the speex resampler
+  _resamplerChannels: number;
+  // interleaved float samples before or after mixing
+  _mixBuffer = new Float32Array(0);
+
+  /**
+    * Resolved once the WASM module has been compiled, the compilation starts the first time it is accessed
+    */
+  static get initPromise(): Promise<any> {
+    return loadModule();
+  }
+
+  /**
+    * Compile and instantiate the WASM module synchronously, after this the resampler can be used without waiting for initPromise.
+    * Browsers limit the size of modules compiled synchronously on the main thread, prefer initPromise there.
+    */
+  static initSync() {
+    if (speexModule) {
+      return;
+    }
+    const moduleArg = {instantiateWasm: instantiateWasmSync} as any;
+    // the promise is resolved asynchronously but the exports and memory views are set on moduleArg as soon as the
+    // synchronous instantiation calls back, the only step left is running the static constructors and there are none
+    SpeexWasm(moduleArg);
+    if (!moduleArg._speex_resampler_init || !moduleArg.HEAPU8) {
+      throw new SpeexResamplerError('Could not initialize the WASM module synchronously');
+    }
+    speexModule = moduleArg;
+  }
+
+  /**
+    * Wait for the WASM module to be ready and create a SpeexResampler, see constructor for the arguments
+    */
+  static async create(channels: number, inRate: number, outRate: number, quality = 7, options: SpeexResamplerOptions = {}) {
+    await SpeexResampler.initPromise;
+    return new SpeexResampler(channels, inRate, outRate, quality, options);
+  }
+
+  /**
+    * Create a resampler with an arbitrary input to output ratio, for example to correct a clock drift from the start
+    * @param ratioNum numerator of the input to output ratio
+    * @param ratioDen denominator of the input to output ratio
+    * @param inRate nominal frequency in Hz for the input chunk, used for the positions and the flush
+    * @param outRate nominal frequency in Hz for the target chunk, used for the positions and the flush
+    * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+    * @param options see constructor
+    */
+  static fromRatio(
+    channels: number,
+    ratioNum: number,
+    ratioDen: number,
+    inRate: number,
+    outRate: number,
+    quality = 7,
+    options: SpeexResamplerOptions = {},
+  ) {
+    const resampler = new SpeexResampler(channels, inRate, outRate, quality, options);
+    // the speex resampler is created lazily with speex_resampler_init_frac and this ratio
+    resampler.setRateFrac(ratioNum, ratioDen, inRate, outRate);
+    return resampler;
+  }
+
+  /**
+    * Create an SpeexResampler tranform stream.
+    * @param channels Number of channels, minimum is 1, no maximum
+    * @param inRate frequency in Hz for the input chunk
+    * @param outRate frequency in Hz for the target chunk
+    * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+    * @param options sample formats of the input and output chunks (default to float32), latency compensation and channels mixing
+    */
+  constructor(
+    public channels,
+    public inRate,
+    public outRate,
+    public quality = 7,
+    options: SpeexResamplerOptions = {}) {
+    assertPositiveInteger('channels', channels);
+    assertPositiveInteger('inRate', inRate);
+    assertPositiveInteger('outRate', outRate);
+    assertQuality(quality);
+    this.inFormat = assertSampleFormat(options.inFormat || options.format || 'float32');
+    this.outFormat = assertSampleFormat(options.outFormat || options.format || 'float32');
+    this.compensateLatency = !!options.compensateLatency;
+    this.returnView = !!options.returnView;
+    this._ratioNum = inRate;
+    this._ratioDen = outRate;
+    this._initMixing(options);
+  }
+
+  _initMixing(options: SpeexResamplerOptions) {
+    let matrix: MixingMatrix;
+    if (options.mixingMatrix) {
+      matrix = assertMixingMatrix(options.mixingMatrix, this.channels);
+    } else if (options.channelMap) {
+      matrix = channelMapToMatrix(options.channelMap, this.channels);
+    } else {
+      matrix = defaultMixingMatrix(this.channels, options.outChannels || this.channels);
+    }
+    if (options.outChannels && options.outChannels !== matrix.length) {
+      throw new SpeexResamplerInvalidArgError(`outChannels is ${options.outChannels} but the mixing gives ${matrix.length} channels`);
+    }
+    this.outChannels = matrix.length;
+    this._mixingMatrix = isIdentityMatrix(matrix) ? null : matrix;
+    // when downmixing, the dropped channels are never resampled, when upmixing, the copies are made after resampling
+    // with the same number of channels, the mixing is done on the side with fewer frames
+    this._mixBeforeResampling = !!this._mixingMatrix && (
+      this.outChannels < this.channels || (this.outChannels === this.channels && this.inRate <= this.outRate)
+    );
+    this._resamplerChannels = this._mixBeforeResampling ? this.outChannels : this.channels;
+  }
+
+  get _mixAfterResampling() {
+    return !!this._mixingMatrix && !this._mixBeforeResampling;
+  }
+
+  _mixBufferOf(samplesCount: number) {
+    if (this._mixBuffer.length < samplesCount) {
+      this._mixBuffer = new Float32Array(samplesCount);
+    }
+    return this._mixBuffer.subarray(0, samplesCount);
+  }
+
+  _assertNotDestroyed() {
+    if (this._destroyed) {
+      throw new SpeexResamplerBadStateError('This SpeexResampler has been destroyed and cannot be used anymore');
+    }
+  }
+
+  _initResampler() {
+    this._assertNotDestroyed();
+    if (!speexModule) {
+      throw new SpeexResamplerBadStateError('You need to wait for SpeexResampler.initPromise or call SpeexResampler.initSync before calling this method');
+    }
+    if (this._resamplerPtr) {
+      return;
+    }
+    const errPtr = speexModule._malloc(4);
+    // the ratio is inRate / outRate unless set with fromRatio or setRateFrac before the first chunk
+    this._resamplerPtr = speexModule._speex_resampler_init_frac(
+      this._resamplerChannels,
+      this._ratioNum,
+      this._ratioDen,
+      this.inRate,
+      this.outRate,
+      this.quality,
+      errPtr,
+    );
+    const errNum = speexModule.getValue(errPtr, 'i32');
+    speexModule._free(errPtr);
+    throwOnError(errNum);
+    this._inLengthPtr = speexModule._malloc(Uint32Array.BYTES_PER_ELEMENT);
+    this._outLengthPtr = speexModule._malloc(Uint32Array.BYTES_PER_ELEMENT);
+    this._registerAllocations();
+    if (this.compensateLatency) {
+      // the filter starts with its history filled with zeros, skipping them removes the leading delay from the output
+      speexModule._speex_resampler_skip_zeros(this._resamplerPtr);
+    }
+  }
+
+  _registerAllocations() {
+    if (!finalizationRegistry) {
+      return;
+    }
+    // the held value cannot reference this instance so we register a new copy of the pointers every time they change
+    finalizationRegistry.unregister(this);
+    finalizationRegistry.register(this, {
+      resamplerPtr: this._resamplerPtr,
+      pointers: [this._inLengthPtr, this._outLengthPtr, this._inBufferPtr, this._outBufferPtr],
+    } as WasmAllocations, this);
+  }
+
+  /**
+    * Release all the WASM memory used by this resampler, calling any method after this will throw.
+    * Calling it multiple times is a no-op.
+    */
+  destroy() {
+    if (this._destroyed) {
+      return;
+    }
+    this._destroyed = true;
+    if (!this._resamplerPtr) {
+      return;
+    }
+    if (finalizationRegistry) {
+      finalizationRegistry.unregister(this);
+    }
+    releaseAllocations({
+      resamplerPtr: this._resamplerPtr,
+      pointers: [this._inLengthPtr, this._outLengthPtr, this._inBufferPtr, this._outBufferPtr],
+    });
+    this._resamplerPtr = 0;
+    this._inLengthPtr = -1;
+    this._outLengthPtr = -1;
+    this._inBufferPtr = -1;
+    this._inBufferSize = -1;
+    this._outBufferPtr = -1;
+    this._outBufferSize = -1;
+  }
+
+  [disposeSymbol]() {
+    this.destroy();
+  }
+
+  /**
+    * Change the input and output rates without resetting the filter, can be used in the middle of a stream
+    * @param inRate frequency in Hz for the input chunk
+    * @param outRate frequency in Hz for the target chunk
+    */
+  setRate(inRate: number, outRate: number) {
+    this._assertNotDestroyed();
+    assertPositiveInteger('inRate', inRate);
+    assertPositiveInteger('outRate', outRate);
+    if (this._resamplerPtr) {
+      this._throwOnSetError(speexModule._speex_resampler_set_rate(this._resamplerPtr, inRate, outRate));
+    }
+    this.inRate = inRate;
+    this.outRate = outRate;
+    this._ratioNum = inRate;
+    this._ratioDen = outRate;
+  }
+
+  /**
+    * Change the resampling ratio to an arbitrary fraction without resetting the filter, can be used in the middle of a stream
+    * to correct a clock drift
+    * @param ratioNum numerator of the input to output ratio
+    * @param ratioDen denominator of the input to output ratio
+    * @param inRate nominal frequency in Hz for the input chunk, only used to choose the filter cutoff
+    * @param outRate nominal frequency in Hz for the target chunk, only used to choose the filter cutoff
+    */
+  setRateFrac(ratioNum: number, ratioDen: number, inRate = this.inRate, outRate = this.outRate) {
+    this._assertNotDestroyed();
+    assertPositiveInteger('ratioNum', ratioNum);
+    assertPositiveInteger('ratioDen', ratioDen);
+    assertPositiveInteger('inRate', inRate);
+    assertPositiveInteger('outRate', outRate);
+    if (this._resamplerPtr) {
+      this._throwOnSetError(speexModule._speex_resampler_set_rate_frac(this._resamplerPtr, ratioNum, ratioDen, inRate, outRate));
+    }
+    this.inRate = inRate;
+    this.outRate = outRate;
+    this._ratioNum = ratioNum;
+    this._ratioDen = ratioDen;
+  }
+
+  // speex can fail after it already changed some of its settings (an overflow while scaling the fractional
+  // position or an allocation failure of the new filter), the fields are read back so that they keep matching it
+  _throwOnSetError(errNum: number) {
+    if (errNum === RESAMPLER_ERR_SUCCESS) {
+      return;
+    }
+    const stateIndex = this._resamplerPtr >> 2;
+    this.inRate = speexModule.HEAPU32[stateIndex + STATE_IN_RATE];
+    this.outRate = speexModule.HEAPU32[stateIndex + STATE_OUT_RATE];
+    this._ratioNum = speexModule.HEAPU32[stateIndex + STATE_NUM_RATE];
+    this._ratioDen = speexModule.HEAPU32[stateIndex + STATE_DEN_RATE];
+    this.quality = speexModule.HEAPU32[stateIndex + STATE_QUALITY];
+    throwOnError(errNum);
+  }
+
+  /**
+    * Input to output ratio used by speex, reduced to its lowest terms
+    */
+  get ratio(): { ratioNum: number, ratioDen: number } {
+    this._initResampler();
+    // the length pointers are only used while processing so they can receive the ratio
+    speexModule._speex_resampler_get_ratio(this._resamplerPtr, this._inLengthPtr, this._outLengthPtr);
+    return {
+      ratioNum: speexModule.getValue(this._inLengthPtr, 'i32') >>> 0,
+      ratioDen: speexModule.getValue(this._outLengthPtr, 'i32') >>> 0,
+    };
+  }
+
+  /**
+    * Change the resampling quality without resetting the filter, can be used in the middle of a stream
+    * @param quality number from 1 to 10, 1 is fast but of bad quality, 10 is slow but best quality
+    */
+  setQuality(quality: number) {
+    this._assertNotDestroyed();
+    assertQuality(quality);
+    if (this._resamplerPtr) {
+      const latency = speexModule._speex_resampler_get_output_latency(this._resamplerPtr);
+      this._throwOnSetError(speexModule._speex_resampler_set_quality(this._resamplerPtr, quality));
+      // before the first chunk, speex clears the filter history instead of keeping the delay
+      if (speexModule.HEAPU32[(this._resamplerPtr >> 2) + STATE_STARTED]) {
+        this._latencyShift += latency - speexModule._speex_resampler_get_output_latency(this._resamplerPtr);
+      }
+    }
+    this.quality = quality;
+  }
+
+  /**
+    * Number of input frames (samples per channel) the resampler needs before the matching output is produced
+    */
+  get inputLatency(): number {
+    this._initResampler();
+    return speexModule._speex_resampler_get_input_latency(this._resamplerPtr);
+  }
+
+  /**
+    * Number of output frames (samples per channel) of delay added by the resampler filter,
+    * this delay is removed from the output when `compensateLatency` is set
+    */
+  get outputLatency(): number {
+    this._initResampler();
+    return speexModule._speex_resampler_get_output_latency(this._resamplerPtr);
+  }
+
+  // delay of the output stream in output frames, only the changes of filter length are kept when `compensateLatency` is set
+  get _streamLatency() {
+    return (this.compensateLatency ? 0 : this.outputLatency) + this._latencyShift;
+  }
+
+  /**
+    * Number of input frames (samples per channel) consumed since the resampler was created, the silence pushed by flush is not counted
+    */
+  get inputFramesConsumed() {
+    return this._inFramesCount;
+  }
+
+  /**
+    * Number of output frames (samples per channel) returned since the resampler was created
+    */
+  get outputFramesProduced() {
+    return this._outFramesCount;
+  }
+
+  /**
+    * Position in the output stream of the input frame at `position`, the filter latency is included unless `compensateLatency` is set.
+    * Computed from the frames resampled until now so it follows the rate changes, positions far from the current one
+    * use the current ratio.
+    * @param position index of a frame (sample per channel) in the input stream
+    * @returns index of the matching frame in the output stream, can be fractional
+    */
+  inputPositionToOutput(position: number) {
+    return this._expectedOutFramesCount + (position - this._inFramesCount) * this._ratioDen / this._ratioNum + this._streamLatency;
+  }
+
+  /**
+    * Position in the input stream of the output frame at `position`, inverse of inputPositionToOutput
+    * @param position index of a frame (sample per channel) in the output stream
+    * @returns index of the matching frame in the input stream, can be fractional and negative for the leading filter delay
+    */
+  outputPositionToInput(position: number) {
+    return this._inFramesCount + (position - this._streamLatency - this._expectedOutFramesCount) * this._ratioNum / this._ratioDen;
+  }
+
+  /**
+    * Resize the input and output buffers in the WASM memory space to match what we need for `inFramesCount` frames,
+    * both buffers are large enough for all the resampled channels, interleaved or one after the other
+    * @returns number of frames per channel available in the output buffer
+    */
+  _resizeBuffers(inFramesCount: number, bytesPerSample: number) {
+    const inBufferLengthTarget = inFramesCount * this._resamplerChannels * bytesPerSample;
+    if (this._inBufferSize < inBufferLengthTarget) {
+      if (this._inBufferPtr !== -1) {
+        speexModule._free(this._inBufferPtr);
+      }
+      this._inBufferPtr = speexModule._malloc(inBufferLengthTarget);
+      this._inBufferSize = inBufferLengthTarget;
+      this._registerAllocations();
+    }
+
+    const outBufferLengthTarget = this._maxOutFramesCount(inFramesCount) * this._resamplerChannels * bytesPerSample;
+    if (this._outBufferSize < outBufferLengthTarget) {
+      if (this._outBufferPtr !== -1) {
+        speexModule._free(this._outBufferPtr);
+      }
+      this._outBufferPtr = speexModule._malloc(outBufferLengthTarget);
+      this._outBufferSize = outBufferLengthTarget;
+      this._registerAllocations();
+    }
+    return Math.floor(this._outBufferSize / this._resamplerChannels / bytesPerSample);
+  }
+
+  /**
+    * Maximum number of frames speex can output for `inFramesCount` input frames: one more frame than the ratio gives
+    * as the filter phase can be ahead of the ratio after a rate change, and the input frames kept by speex when
+    * setQuality shortened the filter (its "magic samples") are resampled before the new input
+    */
+  _maxOutFramesCount(inFramesCount: number) {
+    let magicSamplesCount = 0;
+    if (this._resamplerPtr) {
+      const heap = speexModule.HEAPU32;
+      const magicSamplesPtr = heap[(this._resamplerPtr >> 2) + STATE_MAGIC_SAMPLES] >> 2;
+      for (let channel = 0; channel < this._resamplerChannels; channel++) {
+        magicSamplesCount = Math.max(magicSamplesCount, heap[magicSamplesPtr + channel]);
+      }
+    }
+    return Math.ceil((inFramesCount + magicSamplesCount) * this._ratioDen / this._ratioNum) + 1;
+  }
+
+  _countFrames(inFramesCount: number, outFramesCount: number) {
+    this._inFramesCount += inFramesCount;
+    this._outFramesCount += outFramesCount;
+    this._expectedOutFramesCount += inFramesCount * this._ratioDen / this._ratioNum;
+  }
+
+  // int16 to int16 is handled natively by speex, every other combination is resampled as float32
+  // and converted from/to the requested format when copying from/to the WASM memory space
+  // channels are mixed as float32 so mixing also uses the float32 path
+  get _useIntPath() {
+    return this.inFormat === 'int16' && this.outFormat === 'int16' && !this._mixingMatrix;
+  }
+
+  get _wasmBytesPerSample() {
+    return this._useIntPath ? Int16Array.BYTES_PER_ELEMENT : Float32Array.BYTES_PER_ELEMENT;
+  }
+
+  // true when the resampled samples in the WASM output buffer are already in the output format
+  get _isOutputNative() {
+    return !this._mixAfterResampling && (this._useIntPath || this.outFormat === 'float32');
+  }
+
+  _assertChunkAligned(chunk: ArrayBufferView) {
+    const inBytesPerSample = BYTES_PER_SAMPLE[this.inFormat];
+    // We check that we have as many chunks for each channel and that the last chunk is full
+    if (chunk.byteLength % (this.channels * inBytesPerSample) !== 0) {
+      throw new SpeexResamplerInvalidArgError(
+        `Chunk length should be a multiple of ${this.channels} channels * ${inBytesPerSample} bytes per ${this.inFormat} sample, got ${chunk.byteLength} bytes`
+      );
+    }
+  }
+
+  /**
+    * Resample interleaved input, the result is left in the WASM output buffer in the WASM sample format
+    * @returns number of frames written in the output buffer
+    */
+  _processInterleaved(chunk: Uint8Array) {
+    const useIntPath = this._useIntPath;
+    const inFramesCount = chunk.length / BYTES_PER_SAMPLE[this.inFormat] / this.channels;
+    const outBufferFramesCount = this._resizeBuffers(inFramesCount, this._wasmBytesPerSample);
+
+    // number of samples per channel in input buffer
+    speexModule.setValue(this._inLengthPtr, inFramesCount, 'i32');
+    // Copying the info from the input Buffer in the WASM memory space
+    const inSamples = speexModule.HEAPF32.subarray(this._inBufferPtr >> 2, (this._inBufferPtr >> 2) + inFramesCount * this._resamplerChannels);
+    if (this._mixBeforeResampling) {
+      const decoded = this._mixBufferOf(inFramesCount * this.channels);
+      decodeSamples(chunk, this.inFormat, decoded);
+      mixInterleaved(this._mixingMatrix, decoded, inSamples);
+    } else if (useIntPath || this.inFormat === 'float32') {
+      speexModule.HEAPU8.set(chunk, this._inBufferPtr);
+    } else {
+      decodeSamples(chunk, this.inFormat, inSamples);
+    }
+
+    // number of samples per channels available in output buffer
+    speexModule.setValue(this._outLengthPtr, outBufferFramesCount, 'i32');
+    const processFn = useIntPath ? speexModule._speex_resampler_process_interleaved_int : speexModule._speex_resampler_process_interleaved_float;
+    const errNum = processFn(
+      this._resamplerPtr,
+      this._inBufferPtr,
+      this._inLengthPtr,
+      this._outBufferPtr,
+      this._outLengthPtr,
+    );
+
+    throwOnError(errNum);
+
+    // speex writes back the number of frames it consumed and produced
+    const outSamplesPerChannelsWritten = speexModule.getValue(this._outLengthPtr, 'i32');
+    this._countFrames(speexModule.getValue(this._inLengthPtr, 'i32'), outSamplesPerChannelsWritten);
+    return outSamplesPerChannelsWritten;
+  }
+
+  /**
+    * Float samples of the last resampled frames with the output channels, mixed if needed after resampling.
+    * Only valid until the next call to the resampler.
+    */
+  _resampledSamples(outFramesCount: number) {
+    const resampled = speexModule.HEAPF32.subarray(this._outBufferPtr >> 2, (this._outBufferPtr >> 2) + outFramesCount * this._resamplerChannels);
+    if (!this._mixAfterResampling) {
+      return resampled;
+    }
+    const mixed = this._mixBufferOf(outFramesCount * this.outChannels);
+    mixInterleaved(this._mixingMatrix, resampled, mixed);
+    return mixed;
+  }
+
+  /**
+    * Resample a chunk of audio.
+    * @param chunk interleaved PCM data in the input sample format, can be a Buffer or any typed array
+    * @returns interleaved PCM data in the output sample format, a view valid until the next call if `returnView` is set
+    */
+  processChunk(chunk: ArrayBufferView) {
+    this._initResampler();
+    this._assertChunkAligned(chunk);
+    const outFramesCount = this._processInterleaved(toUint8Array(chunk));
+    const outSamplesCount = outFramesCount * this.outChannels;
+
+    if (this._isOutputNative) {
+      const outBytesCount = outSamplesCount * this._wasmBytesPerSample;
+      if (this.returnView) {
+        return Buffer.from(speexModule.HEAPU8.buffer, this._outBufferPtr, outBytesCount);
+      }
+      // we are copying the info in a new buffer here, use returnView to get a buffer pointing to the same memory space
+      return Buffer.from(
+        speexModule.HEAPU8.slice(
+          this._outBufferPtr,
+          this._outBufferPtr + outBytesCount
+        ).buffer);
+    }
+    const outBytesCount = outSamplesCount * BYTES_PER_SAMPLE[this.outFormat];
+    let res: Buffer;
+    if (this.returnView) {
+      if (this._outViewBuffer.length < outBytesCount) {
+        this._outViewBuffer = Buffer.alloc(outBytesCount);
+      }
+      res = this._outViewBuffer.slice(0, outBytesCount);
+    } else {
+      res = Buffer.alloc(outBytesCount);
+    }
+    encodeSamples(this._resampledSamples(outFramesCount), res, this.outFormat);
+    return res;
+  }
+
+  /**
+    * Resample a chunk of audio into an array you own instead of allocating a new Buffer for the output.
+    * @param chunk interleaved PCM data in the input sample format, can be a Buffer or any typed array
+    * @param output Buffer or typed array receiving the interleaved PCM data in the output sample format, it needs
+    *               to be large enough for (ceil(input frames * outRate / inRate) + 1) frames, more right after setQuality
+    *               lowered the quality
+    * @returns number of frames (samples per channel) written in `output`
+    */
+  processInto(chunk: ArrayBufferView, output: ArrayBufferView) {
+    this._initResampler();
+    this._assertChunkAligned(chunk);
+    const inFramesCount = chunk.byteLength / BYTES_PER_SAMPLE[this.inFormat] / this.channels;
+    const maxOutBytesCount = this._maxOutFramesCount(inFramesCount) * this.outChannels * BYTES_PER_SAMPLE[this.outFormat];
+    if (output.byteLength < maxOutBytesCount) {
+      throw new SpeexResamplerInvalidArgError(`Output is too small, ${maxOutBytesCount} bytes needed, got ${output.byteLength}`);
+    }
+    const outFramesCount = this._processInterleaved(toUint8Array(chunk));
+
+    if (this._isOutputNative) {
+      toUint8Array(output).set(speexModule.HEAPU8.subarray(this._outBufferPtr, this._outBufferPtr + outFramesCount * this.outChannels * this._wasmBytesPerSample));
+    } else {
+      encodeSamples(this._resampledSamples(outFramesCount), toUint8Array(output), this.outFormat);
+    }
+    return outFramesCount;
+  }
+
+  /**
+    * Push silence through the resampler until the total output matches the input duration, plus the leading filter delay
+    * when it is not compensated so that the end of the input is not cut off.
+    * @param processSilence resample `inFramesCount` frames of silence and keep at most `maxOutFramesCount` frames, returns the number of frames kept
+    */
+  _drainTail(processSilence: (inFramesCount: number, maxOutFramesCount: number) => number) {
+    const expectedOutFramesCount = Math.round(this._expectedOutFramesCount) + this._streamLatency;
+    const inFramesCount = this._inFramesCount;
+    const unroundedExpectedOutFramesCount = this._expectedOutFramesCount;
+    // input latency is the number of input frames needed to get the filter tail out
+    const silenceFramesCount = Math.max(1, speexModule._speex_resampler_get_input_latency(this._resamplerPtr));
+    let missingFramesCount = expectedOutFramesCount - this._outFramesCount;
+    // the filter has a fractional delay so we loop in case a single pass doesn't output enough frames
+    for (let i = 0; i < MAX_FLUSH_ITERATIONS && missingFramesCount > 0; i++) {
+      missingFramesCount -= processSilence(silenceFramesCount, missingFramesCount);
+    }
+    // the silence is not part of the stream so we don't count it
+    this._inFramesCount = inFramesCount;
+    this._expectedOutFramesCount = unroundedExpectedOutFramesCount;
+    this._outFramesCount = expectedOutFramesCount - missingFramesCount;
+  }
+
+  /**
+    * Drain the samples still kept in the resampler filter at the end of the stream.
+    * Silence is pushed through the resampler until the total output matches the input duration plus `outputLatency`
+    * (only the input duration with `compensateLatency`), after this call, the resampler shouldn't be used for the same stream anymore.
+    * @returns interleaved PCM data in the output sample format
+    */
+  flush() {
+    this._assertNotDestroyed();
+    if (!this._resamplerPtr) {
+      return EMPTY_BUFFER;
+    }
+    const inBytesPerFrame = this.channels * BYTES_PER_SAMPLE[this.inFormat];
+    const outBytesPerFrame = this.outChannels * BYTES_PER_SAMPLE[this.outFormat];
+    const chunks: Buffer[] = [];
+    this._drainTail((inFramesCount, maxOutFramesCount) => {
+      const res = this.processChunk(Buffer.alloc(inFramesCount * inBytesPerFrame));
+      const framesCount = Math.min(res.length / outBytesPerFrame, maxOutFramesCount);
+      // copying as res can be overwritten by the next call when returnView is set
+      chunks.push(Buffer.from(res.slice(0, framesCount * outBytesPerFrame)));
+      return framesCount;
+    });
+    return Buffer.concat(chunks);
+  }
+
+  /**
+    * Clear the filter history and the positions to start a new stream, for example after a seek, without reallocating
+    * the WASM memory. The rates, ratio and quality are kept.
+    */
+  reset() {
+    this._assertNotDestroyed();
+    this._inFramesCount = 0;
+    this._outFramesCount = 0;
+    this._expectedOutFramesCount = 0;
+    this._latencyShift = 0;
+    if (!this._resamplerPtr) {
+      return;
+    }
+    this._resetMem();
+    if (this.compensateLatency) {
+      speexModule._speex_resampler_skip_zeros(this._resamplerPtr);
+    }
+  }
+
+  _resetMem() {
+    throwOnError(speexModule._speex_resampler_reset_mem(this._resamplerPtr));
+    // speex only clears the first nb_channels*(filt_len-1) floats but each channel history starts every mem_alloc_size
+    // floats, the history of the other channels would be kept
+    const heap = speexModule.HEAPU32;
+    const statePtr = this._resamplerPtr >> 2;
+    const memPtr = heap[statePtr + STATE_MEM] >> 2;
+    speexModule.HEAPF32.fill(0, memPtr, memPtr + this._resamplerChannels * heap[statePtr + STATE_MEM_ALLOC_SIZE]);
+  }
+
+  /**
+    * Capture the state of the resampler: rates, ratio, quality, positions and filter history.
+    * The snapshot is an opaque buffer that can be stored or sent to another worker or process and given to restore
+    * to continue the stream with an identical output.
+    */
+  snapshot() {
+    this._initResampler();
+    const heap = speexModule.HEAPU32;
+    const statePtr = this._resamplerPtr >> 2;
+    const channels = this._resamplerChannels;
+    const filtLen = heap[statePtr + STATE_FILT_LEN];
+    const perChannel = (field: number) => Array.from({length: channels}, (_, channel) => heap[(heap[statePtr + field] >> 2) + channel]);
+    const lastSamples = perChannel(STATE_LAST_SAMPLE);
+    const sampFracNums = perChannel(STATE_SAMP_FRAC_NUM);
+    const magicSamples = perChannel(STATE_MAGIC_SAMPLES);
+    // each channel keeps the filter history followed by the magic samples left by a filter length change
+    const memLengths = magicSamples.map((count) => filtLen - 1 + count);
+
+    const snapshot = Buffer.alloc(SNAPSHOT_HEADER_LENGTH + channels * SNAPSHOT_CHANNEL_LENGTH + memLengths.reduce((sum, length) => sum + length, 0) * 4);
+    let offset = 0;
+    for (const value of [SNAPSHOT_MAGIC, SNAPSHOT_VERSION, channels, filtLen, this._ratioNum, this._ratioDen, this.inRate, this.outRate, this.quality, heap[statePtr + STATE_STARTED]]) {
+      offset = snapshot.writeUInt32LE(value, offset);
+    }
+    for (const value of [this._inFramesCount, this._outFramesCount, this._expectedOutFramesCount, this._latencyShift]) {
+      offset = snapshot.writeDoubleLE(value, offset);
+    }
+    for (let channel = 0; channel < channels; channel++) {
+      offset = snapshot.writeInt32LE(lastSamples[channel] | 0, offset);
+      offset = snapshot.writeUInt32LE(sampFracNums[channel], offset);
+      offset = snapshot.writeUInt32LE(magicSamples[channel], offset);
+    }
+    const memPtr = heap[statePtr + STATE_MEM] >> 2;
+    const memAllocSize = heap[statePtr + STATE_MEM_ALLOC_SIZE];
+    memLengths.forEach((length, channel) => {
+      const mem = speexModule.HEAPF32.subarray(memPtr + channel * memAllocSize, memPtr + channel * memAllocSize + length);
+      for (const sample of mem) {
+        offset = snapshot.writeFloatLE(sample, offset);
+      }
+    });
+    return snapshot;
+  }
+
+  /**
+    * Continue the stream captured by snapshot, the resampler needs to be created with the same number of channels
+    * and mixing options. The rates, ratio and quality of the snapshot replace the current ones.
+    * @param snapshot buffer returned by snapshot, possibly by another instance in another worker or process
+    */
+  restore(snapshot: ArrayBuffer | ArrayBufferView) {
+    this._assertNotDestroyed();
+    const data = toBuffer(snapshot);
+    if (data.length < SNAPSHOT_HEADER_LENGTH || data.readUInt32LE(0) !== SNAPSHOT_MAGIC) {
+      throw new SpeexResamplerInvalidArgError('Invalid resampler snapshot');
+    }
+    const [version, channels, filtLen, ratioNum, ratioDen, inRate, outRate, quality, started] = Array.from({length: 9}, (_, i) => data.readUInt32LE((i + 1) * 4));
+    if (version !== SNAPSHOT_VERSION) {
+      throw new SpeexResamplerInvalidArgError(`Unsupported resampler snapshot version ${version}`);
+    }
+    if (channels !== this._resamplerChannels) {
+      throw new SpeexResamplerInvalidArgError(`Snapshot of a resampler with ${channels} channels, expected ${this._resamplerChannels}`);
+    }
+    const memOffset = SNAPSHOT_HEADER_LENGTH + channels * SNAPSHOT_CHANNEL_LENGTH;
+    const memLengths = data.length < memOffset ? [] : Array.from({length: channels}, (_, channel) => (
+      filtLen - 1 + data.readUInt32LE(SNAPSHOT_HEADER_LENGTH + channel * SNAPSHOT_CHANNEL_LENGTH + 8)
+    ));
+    if (data.length !== memOffset + memLengths.reduce((sum, length) => sum + length, 0) * 4 || memLengths.length !== channels) {
+      throw new SpeexResamplerInvalidArgError('Invalid resampler snapshot length');
+    }
+
+    this.setQuality(quality);
+    this.setRateFrac(ratioNum, ratioDen, inRate, outRate);
+    this._initResampler();
+    this._resetMem();
+    const heap = speexModule.HEAPU32;
+    const statePtr = this._resamplerPtr >> 2;
+    const memAllocSize = heap[statePtr + STATE_MEM_ALLOC_SIZE];
+    if (heap[statePtr + STATE_FILT_LEN] !== filtLen || memLengths.some((length) => length > memAllocSize)) {
+      throw new SpeexResamplerBadStateError('Snapshot filter not matching this resampler, it was probably taken with another version of the module');
+    }
+    heap[statePtr + STATE_STARTED] = started;
+    this._inFramesCount = data.readDoubleLE(SNAPSHOT_COUNTS_OFFSET);
+    this._outFramesCount = data.readDoubleLE(SNAPSHOT_COUNTS_OFFSET + 8);
+    this._expectedOutFramesCount = data.readDoubleLE(SNAPSHOT_COUNTS_OFFSET + 16);
+    this._latencyShift = data.readDoubleLE(SNAPSHOT_COUNTS_OFFSET + 24);
+    let offset = SNAPSHOT_HEADER_LENGTH;
+    for (let channel = 0; channel < channels; channel++) {
+      speexModule.HEAP32[(heap[statePtr + STATE_LAST_SAMPLE] >> 2) + channel] = data.readInt32LE(offset);
+      heap[(heap[statePtr + STATE_SAMP_FRAC_NUM] >> 2) + channel] = data.readUInt32LE(offset + 4);
+      heap[(heap[statePtr + STATE_MAGIC_SAMPLES] >> 2) + channel] = data.readUInt32LE(offset + 8);
+      offset += SNAPSHOT_CHANNEL_LENGTH;
+    }
+    const memPtr = heap[statePtr + STATE_MEM] >> 2;
+    memLengths.forEach((length, channel) => {
+      const mem = speexModule.HEAPF32.subarray(memPtr + channel * memAllocSize, memPtr + channel * memAllocSize + length);
+      for (let i = 0; i < length; i++, offset += 4) {
+        mem[i] = data.readFloatLE(offset);
+      }
+    });
+  }
+
+  /**
+    * Resample non-interleaved audio, one Float32Array per channel.
+    * Planar data is always in float32, the input and output formats are only used by processChunk.
+    * @param input one Float32Array per input channel, all with the same length
+    * @param output optional Float32Array per output channel to write the resampled audio into, they need to be large enough
+    *               for the resampled audio (ceil(input length * outRate / inRate) + 1, more right after setQuality lowered the quality)
+    * @returns one Float32Array per output channel with the resampled audio, views on `output` if provided
+    */
+  processPlanar(input: Float32Array[], output?: Float32Array[]): Float32Array[] {
+    this._initResampler();
+    if (input.length !== this.channels) {
+      throw new SpeexResamplerInvalidArgError(`Expected ${this.channels} channels, got ${input.length}`);
+    }
+    if (output && output.length !== this.outChannels) {
+      throw new SpeexResamplerInvalidArgError(`Expected ${this.outChannels} output channels, got ${output.length}`);
+    }
+    const inFramesCount = input[0].length;
+    if (input.some((channel) => channel.length !== inFramesCount)) {
+      throw new SpeexResamplerInvalidArgError('All channels should have the same length');
+    }
+    const maxOutFramesCount = this._maxOutFramesCount(inFramesCount);
+    if (output && output.some((channel) => channel.length < maxOutFramesCount)) {
+      throw new SpeexResamplerInvalidArgError(`Output channels are too small, ${maxOutFramesCount} frames needed`);
+    }
+    const outBufferFramesCount = this._resizeBuffers(inFramesCount, Float32Array.BYTES_PER_ELEMENT);
+
+    // channels are resampled one after the other, each one in its own section of the WASM buffers
+    const inChannels = Array.from({length: this._resamplerChannels}, (_, channel) => {
+      const inChannelOffset = (this._inBufferPtr >> 2) + channel * inFramesCount;
+      return speexModule.HEAPF32.subarray(inChannelOffset, inChannelOffset + inFramesCount);
+    });
+    if (this._mixBeforeResampling) {
+      mixPlanar(this._mixingMatrix, input, inChannels, inFramesCount);
+    } else {
+      inChannels.forEach((inChannel, channel) => inChannel.set(input[channel]));
+    }
+
+    let consumedFramesCount = 0;
+    let outFramesCount = 0;
+    for (let channel = 0; channel < this._resamplerChannels; channel++) {
+      const inChannelPtr = this._inBufferPtr + channel * inFramesCount * Float32Array.BYTES_PER_ELEMENT;
+      const outChannelPtr = this._outBufferPtr + channel * outBufferFramesCount * Float32Array.BYTES_PER_ELEMENT;
+      speexModule.setValue(this._inLengthPtr, inFramesCount, 'i32');
+      speexModule.setValue(this._outLengthPtr, outBufferFramesCount, 'i32');
+      throwOnError(speexModule._speex_resampler_process_float(
+        this._resamplerPtr,
+        channel,
+        inChannelPtr,
+        this._inLengthPtr,
+        outChannelPtr,
+        this._outLengthPtr,
+      ));
+      // every channel has the same state so they all consume and output the same number of frames
+      consumedFramesCount = speexModule.getValue(this._inLengthPtr, 'i32');
+      outFramesCount = speexModule.getValue(this._outLengthPtr, 'i32');
+    }
+    this._countFrames(consumedFramesCount, outFramesCount);
+
+    const resampled = Array.from({length: this._resamplerChannels}, (_, channel) => {
+      const outChannelOffset = (this._outBufferPtr >> 2) + channel * outBufferFramesCount;
+      return speexModule.HEAPF32.subarray(outChannelOffset, outChannelOffset + outFramesCount);
+    });
+    if (this._mixAfterResampling) {
+      const mixed = output || Array.from({length: this.outChannels}, () => new Float32Array(outFramesCount));
+      mixPlanar(this._mixingMatrix, resampled, mixed, outFramesCount);
+      return mixed.map((channel) => channel.subarray(0, outFramesCount));
+    }
+    return resampled.map((channel, index) => {
+      if (output) {
+        output[index].set(channel);
+        return output[index].subarray(0, outFramesCount);
+      }
+      return channel.slice();
+    });
+  }
+
+  /**
+    * Drain the samples still kept in the resampler filter at the end of a planar stream, see flush
+    * @returns one Float32Array per output channel with the end of the resampled audio
+    */
+  flushPlanar(): Float32Array[] {
+    this._assertNotDestroyed();
+    const chunks: Float32Array[][] = [];
+    if (this._resamplerPtr) {
+      this._drainTail((inFramesCount, maxOutFramesCount) => {
+        const silence = new Float32Array(inFramesCount);
+        const res = this.processPlanar(Array.from({length: this.channels}, () => silence));
+        const framesCount = Math.min(res[0].length, maxOutFramesCount);
+        chunks.push(res.map((channel) => channel.subarray(0, framesCount)));
+        return framesCount;
+      });
+    }
+    return Array.from({length: this.outChannels}, (_, channel) => {
+      const res = new Float32Array(chunks.reduce((length, chunk) => length + chunk[channel].length, 0));
+      let offset = 0;
+      for (const chunk of chunks) {
+        res.set(chunk[channel], offset);
+        offset += chunk[channel].length;
+      }
+      return res;
+    });
+  }
+}
+
+export default SpeexResampler;
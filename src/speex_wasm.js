@@ -1,16 +1,2 @@
-
-var Speex = (() => {
-  var _scriptDir = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : undefined;
-  
-  return (
-function(moduleArg = {}) {
-
-var Module=moduleArg;var readyPromiseResolve,readyPromiseReject;Module["ready"]=new Promise(((resolve,reject)=>{readyPromiseResolve=resolve;readyPromiseReject=reject}));var moduleOverrides=Object.assign({},Module);var arguments_=[];var thisProgram="./this.program";var quit_=(status,toThrow)=>{throw toThrow};var ENVIRONMENT_IS_WEB=true;var ENVIRONMENT_IS_WORKER=false;var scriptDirectory="";function locateFile(path){if(Module["locateFile"]){return Module["locateFile"](path,scriptDirectory)}return scriptDirectory+path}var read_,readAsync,readBinary,setWindowTitle;if(ENVIRONMENT_IS_WEB||ENVIRONMENT_IS_WORKER){if(ENVIRONMENT_IS_WORKER){scriptDirectory=self.location.href}else if(typeof document!="undefined"&&document.currentScript){scriptDirectory=document.currentScript.src}if(_scriptDir){scriptDirectory=_scriptDir}if(scriptDirectory.indexOf("blob:")!==0){scriptDirectory=scriptDirectory.substr(0,scriptDirectory.replace(/[?#].*/,"").lastIndexOf("/")+1)}else{scriptDirectory=""}{read_=url=>{try{var xhr=new XMLHttpRequest;xhr.open("GET",url,false);xhr.send(null);return xhr.responseText}catch(err){var data=tryParseAsDataURI(url);if(data){return intArrayToString(data)}throw err}};if(ENVIRONMENT_IS_WORKER){readBinary=url=>{try{var xhr=new XMLHttpRequest;xhr.open("GET",url,false);xhr.responseType="arraybuffer";xhr.send(null);return new Uint8Array(xhr.response)}catch(err){var data=tryParseAsDataURI(url);if(data){return data}throw err}}}readAsync=(url,onload,onerror)=>{var xhr=new XMLHttpRequest;xhr.open("GET",url,true);xhr.responseType="arraybuffer";xhr.onload=()=>{if(xhr.status==200||xhr.status==0&&xhr.response){onload(xhr.response);return}var data=tryParseAsDataURI(url);if(data){onload(data.buffer);return}onerror()};xhr.onerror=onerror;xhr.send(null)}}setWindowTitle=title=>document.title=title}else{}var out=Module["print"]||console.log.bind(console);var err=Module["printErr"]||console.error.bind(console);Object.assign(Module,moduleOverrides);moduleOverrides=null;if(Module["arguments"])arguments_=Module["arguments"];if(Module["thisProgram"])thisProgram=Module["thisProgram"];if(Module["quit"])quit_=Module["quit"];var wasmBinary;if(Module["wasmBinary"])wasmBinary=Module["wasmBinary"];var noExitRuntime=Module["noExitRuntime"]||true;if(typeof WebAssembly!="object"){abort("no native wasm support detected")}var wasmMemory;var ABORT=false;var EXITSTATUS;var HEAP8,HEAPU8,HEAP16,HEAPU16,HEAP32,HEAPU32,HEAPF32,HEAPF64;function updateMemoryViews(){var b=wasmMemory.buffer;Module["HEAP8"]=HEAP8=new Int8Array(b);Module["HEAP16"]=HEAP16=new Int16Array(b);Module["HEAP32"]=HEAP32=new Int32Array(b);Module["HEAPU8"]=HEAPU8=new Uint8Array(b);Module["HEAPU16"]=HEAPU16=new Uint16Array(b);Module["HEAPU32"]=HEAPU32=new Uint32Array(b);Module["HEAPF32"]=HEAPF32=new Float32Array(b);Module["HEAPF64"]=HEAPF64=new Float64Array(b)}var wasmTable;var __ATPRERUN__=[];var __ATINIT__=[];var __ATPOSTRUN__=[];var runtimeInitialized=false;function preRun(){if(Module["preRun"]){if(typeof Module["preRun"]=="function")Module["preRun"]=[Module["preRun"]];while(Module["preRun"].length){addOnPreRun(Module["preRun"].shift())}}callRuntimeCallbacks(__ATPRERUN__)}function initRuntime(){runtimeInitialized=true;callRuntimeCallbacks(__ATINIT__)}function postRun(){if(Module["postRun"]){if(typeof Module["postRun"]=="function")Module["postRun"]=[Module["postRun"]];while(Module["postRun"].length){addOnPostRun(Module["postRun"].shift())}}callRuntimeCallbacks(__ATPOSTRUN__)}function addOnPreRun(cb){__ATPRERUN__.unshift(cb)}function addOnInit(cb){__ATINIT__.unshift(cb)}function addOnPostRun(cb){__ATPOSTRUN__.unshift(cb)}var runDependencies=0;var runDependencyWatcher=null;var dependenciesFulfilled=null;function addRunDependency(id){runDependencies++;if(Module["monitorRunDependencies"]){Module["monitorRunDependencies"](runDependencies)}}function removeRunDependency(id){runDependencies--;if(Module["monitorRunDependencies"]){Module["monitorRunDependencies"](runDependencies)}if(runDependencies==0){if(runDependencyWatcher!==null){clearInterval(runDependencyWatcher);runDependencyWatcher=null}if(dependenciesFulfilled){var callback=dependenciesFulfilled;dependenciesFulfilled=null;callback()}}}function abort(what){if(Module["onAbort"]){Module["onAbort"](what)}what="Aborted("+what+")";err(what);ABORT=true;EXITSTATUS=1;what+=". Build with -sASSERTIONS for more info.";var e=new WebAssembly.RuntimeError(what);readyPromiseReject(e);throw e}var dataURIPrefix="data:application/octet-stream;base64,";function isDataURI(filename){return filename.startsWith(dataURIPrefix)}var wasmBinaryFile;wasmBinaryFile="data:application/octet-stream;base64,AGFzbQEAAAABUg1gBn9/f39/fwF/YAF/AX9gA39/fwBgAX8AYAJ/fwBgBX9/f39/AX9gAnx/AXxgA3x8fwF8YAAAYAZ/f39/f38AYAJ/fwF/YAF8AXxgAnx8AXwCDQIBYQFhAAIBYQFiAAEDGRgDAQQBAQYHCAkECgELDAMAAAAAAAECBQUEBQFwAQYGBQcBAcACgIACBggBfwFB8LAECwcpCgFjAgABZAAJAWUAGQFmAAIBZwAQAWgAGAFpABcBagAWAWsBAAFsAAYJCwEAQQELBRUUExIRCsuoARjSCwEHfwJAIABFDQAgAEEIayICIABBBGsoAgAiAUF4cSIAaiEFAkAgAUEBcQ0AIAFBA3FFDQEgAiACKAIAIgFrIgJBiC0oAgBJDQEgACABaiEAAkACQEGMLSgCACACRwRAIAFB/wFNBEAgAUEDdiEEIAIoAgwiASACKAIIIgNGBEBB+CxB+CwoAgBBfiAEd3E2AgAMBQsgAyABNgIMIAEgAzYCCAwECyACKAIYIQYgAiACKAIMIgFHBEAgAigCCCIDIAE2AgwgASADNgIIDAMLIAJBFGoiBCgCACIDRQRAIAIoAhAiA0UNAiACQRBqIQQLA0AgBCEHIAMiAUEUaiIEKAIAIgMNACABQRBqIQQgASgCECIDDQALIAdBADYCAAwCCyAFKAIEIgFBA3FBA0cNAkGALSAANgIAIAUgAUF+cTYCBCACIABBAXI2AgQgBSAANgIADwtBACEBCyAGRQ0AAkAgAigCHCIDQQJ0QagvaiIEKAIAIAJGBEAgBCABNgIAIAENAUH8LEH8LCgCAEF+IAN3cTYCAAwCCyAGQRBBFCAGKAIQIAJGG2ogATYCACABRQ0BCyABIAY2AhggAigCECIDBEAgASADNgIQIAMgATYCGAsgAigCFCIDRQ0AIAEgAzYCFCADIAE2AhgLIAIgBU8NACAFKAIEIgFBAXFFDQACQAJAAkACQCABQQJxRQRAQZAtKAIAIAVGBEBBkC0gAjYCAEGELUGELSgCACAAaiIANgIAIAIgAEEBcjYCBCACQYwtKAIARw0GQYAtQQA2AgBBjC1BADYCAA8LQYwtKAIAIAVGBEBBjC0gAjYCAEGALUGALSgCACAAaiIANgIAIAIgAEEBcjYCBCAAIAJqIAA2AgAPCyABQXhxIABqIQAgAUH/AU0EQCABQQN2IQQgBSgCDCIBIAUoAggiA0YEQEH4LEH4LCgCAEF+IAR3cTYCAAwFCyADIAE2AgwgASADNgIIDAQLIAUoAhghBiAFIAUoAgwiAUcEQEGILSgCABogBSgCCCIDIAE2AgwgASADNgIIDAMLIAVBFGoiBCgCACIDRQRAIAUoAhAiA0UNAiAFQRBqIQQLA0AgBCEHIAMiAUEUaiIEKAIAIgMNACABQRBqIQQgASgCECIDDQALIAdBADYCAAwCCyAFIAFBfnE2AgQgAiAAQQFyNgIEIAAgAmogADYCAAwDC0EAIQELIAZFDQACQCAFKAIcIgNBAnRBqC9qIgQoAgAgBUYEQCAEIAE2AgAgAQ0BQfwsQfwsKAIAQX4gA3dxNgIADAILIAZBEEEUIAYoAhAgBUYbaiABNgIAIAFFDQELIAEgBjYCGCAFKAIQIgMEQCABIAM2AhAgAyABNgIYCyAFKAIUIgNFDQAgASADNgIUIAMgATYCGAsgAiAAQQFyNgIEIAAgAmogADYCACACQYwtKAIARw0AQYAtIAA2AgAPCyAAQf8BTQRAIABBeHFBoC1qIQECf0H4LCgCACIDQQEgAEEDdnQiAHFFBEBB+CwgACADcjYCACABDAELIAEoAggLIQAgASACNgIIIAAgAjYCDCACIAE2AgwgAiAANgIIDwtBHyEDIABB////B00EQCAAQSYgAEEIdmciAWt2QQFxIAFBAXRrQT5qIQMLIAIgAzYCHCACQgA3AhAgA0ECdEGoL2ohAQJAAkACQEH8LCgCACIEQQEgA3QiB3FFBEBB/CwgBCAHcjYCACABIAI2AgAgAiABNgIYDAELIABBGSADQQF2a0EAIANBH0cbdCEDIAEoAgAhAQNAIAEiBCgCBEF4cSAARg0CIANBHXYhASADQQF0IQMgBCABQQRxaiIHQRBqKAIAIgENAAsgByACNgIQIAIgBDYCGAsgAiACNgIMIAIgAjYCCAwBCyAEKAIIIgAgAjYCDCAEIAI2AgggAkEANgIYIAIgBDYCDCACIAA2AggLQZgtQZgtKAIAQQFrIgBBfyAAGzYCAAsLTwECf0HwLCgCACIBIABBB2pBeHEiAmohAAJAIAJBACAAIAFNGw0AIAA/AEEQdEsEQCAAEAFFDQELQfAsIAA2AgAgAQ8LQfQsQTA2AgBBfwvWAgEBfwJAIAFFDQAgAEEAOgAAIAAgAWoiAkEBa0EAOgAAIAFBA0kNACAAQQA6AAIgAEEAOgABIAJBA2tBADoAACACQQJrQQA6AAAgAUEHSQ0AIABBADoAAyACQQRrQQA6AAAgAUEJSQ0AIABBACAAa0EDcSICaiIAQQA2AgAgACABIAJrQXxxIgJqIgFBBGtBADYCACACQQlJDQAgAEEANgIIIABBADYCBCABQQhrQQA2AgAgAUEMa0EANgIAIAJBGUkNACAAQQA2AhggAEEANgIUIABBADYCECAAQQA2AgwgAUEQa0EANgIAIAFBFGtBADYCACABQRhrQQA2AgAgAUEca0EANgIAIAIgAEEEcUEYciICayIBQSBJDQAgACACaiEAA0AgAEIANwMYIABCADcDECAAQgA3AwggAEIANwMAIABBIGohACABQSBrIgFBH0sNAAsLC1MCAX8BfgJAAn9BACAARQ0AGiAArSICpyIBIABBAXJBgIAESQ0AGkF/IAEgAkIgiKcbCyIBEAYiAEUNACAAQQRrLQAAQQNxRQ0AIAAgARAECyAAC5woAQt/IwBBEGsiCyQAAkACQAJAAkACQAJAAkACQAJAAkACQAJAAkACQCAAQfQBTQRAQfgsKAIAIgZBECAAQQtqQXhxIABBC0kbIgVBA3YiAHYiAUEDcQRAAkAgAUF/c0EBcSAAaiICQQN0IgFBoC1qIgAgAUGoLWooAgAiASgCCCIERgRAQfgsIAZBfiACd3E2AgAMAQsgBCAANgIMIAAgBDYCCAsgAUEIaiEAIAEgAkEDdCICQQNyNgIEIAEgAmoiASABKAIEQQFyNgIEDA8LIAVBgC0oAgAiB00NASABBEACQEECIAB0IgJBACACa3IgASAAdHEiAEEAIABrcWgiAUEDdCIAQaAtaiICIABBqC1qKAIAIgAoAggiBEYEQEH4LCAGQX4gAXdxIgY2AgAMAQsgBCACNgIMIAIgBDYCCAsgACAFQQNyNgIEIAAgBWoiCCABQQN0IgEgBWsiBEEBcjYCBCAAIAFqIAQ2AgAgBwRAIAdBeHFBoC1qIQFBjC0oAgAhAgJ/IAZBASAHQQN2dCIDcUUEQEH4LCADIAZyNgIAIAEMAQsgASgCCAshAyABIAI2AgggAyACNgIMIAIgATYCDCACIAM2AggLIABBCGohAEGMLSAINgIAQYAtIAQ2AgAMDwtB/CwoAgAiCkUNASAKQQAgCmtxaEECdEGoL2ooAgAiAigCBEF4cSAFayEDIAIhAQNAAkAgASgCECIARQRAIAEoAhQiAEUNAQsgACgCBEF4cSAFayIBIAMgASADSSIBGyEDIAAgAiABGyECIAAhAQwBCwsgAigCGCEJIAIgAigCDCIERwRAQYgtKAIAGiACKAIIIgAgBDYCDCAEIAA2AggMDgsgAkEUaiIBKAIAIgBFBEAgAigCECIARQ0DIAJBEGohAQsDQCABIQggACIEQRRqIgEoAgAiAA0AIARBEGohASAEKAIQIgANAAsgCEEANgIADA0LQX8hBSAAQb9/Sw0AIABBC2oiAEF4cSEFQfwsKAIAIghFDQBBACAFayEDAkACQAJAAn9BACAFQYACSQ0AGkEfIAVB////B0sNABogBUEmIABBCHZnIgBrdkEBcSAAQQF0a0E+agsiB0ECdEGoL2ooAgAiAUUEQEEAIQAMAQtBACEAIAVBGSAHQQF2a0EAIAdBH0cbdCECA0ACQCABKAIEQXhxIAVrIgYgA08NACABIQQgBiIDDQBBACEDIAEhAAwDCyAAIAEoAhQiBiAGIAEgAkEddkEEcWooAhAiAUYbIAAgBhshACACQQF0IQIgAQ0ACwsgACAEckUEQEEAIQRBAiAHdCIAQQAgAGtyIAhxIgBFDQMgAEEAIABrcWhBAnRBqC9qKAIAIQALIABFDQELA0AgACgCBEF4cSAFayICIANJIQEgAiADIAEbIQMgACAEIAEbIQQgACgCECIBBH8gAQUgACgCFAsiAA0ACwsgBEUNACADQYAtKAIAIAVrTw0AIAQoAhghByAEIAQoAgwiAkcEQEGILSgCABogBCgCCCIAIAI2AgwgAiAANgIIDAwLIARBFGoiASgCACIARQRAIAQoAhAiAEUNAyAEQRBqIQELA0AgASEGIAAiAkEUaiIBKAIAIgANACACQRBqIQEgAigCECIADQALIAZBADYCAAwLCyAFQYAtKAIAIgRNBEBBjC0oAgAhAAJAIAQgBWsiAUEQTwRAIAAgBWoiAiABQQFyNgIEIAAgBGogATYCACAAIAVBA3I2AgQMAQsgACAEQQNyNgIEIAAgBGoiASABKAIEQQFyNgIEQQAhAkEAIQELQYAtIAE2AgBBjC0gAjYCACAAQQhqIQAMDQsgBUGELSgCACICSQRAQYQtIAIgBWsiATYCAEGQLUGQLSgCACIAIAVqIgI2AgAgAiABQQFyNgIEIAAgBUEDcjYCBCAAQQhqIQAMDQtBACEAIAVBL2oiAwJ/QdAwKAIABEBB2DAoAgAMAQtB3DBCfzcCAEHUMEKAoICAgIAENwIAQdAwIAtBDGpBcHFB2KrVqgVzNgIAQeQwQQA2AgBBtDBBADYCAEGAIAsiAWoiBkEAIAFrIghxIgEgBU0NDEGwMCgCACIEBEBBqDAoAgAiByABaiIJIAdNDQ0gBCAJSQ0NCwJAQbQwLQAAQQRxRQRAAkACQAJAAkBBkC0oAgAiBARAQbgwIQADQCAEIAAoAgAiB08EQCAHIAAoAgRqIARLDQMLIAAoAggiAA0ACwtBABADIgJBf0YNAyABIQZB1DAoAgAiAEEBayIEIAJxBEAgASACayACIARqQQAgAGtxaiEGCyAFIAZPDQNBsDAoAgAiAARAQagwKAIAIgQgBmoiCCAETQ0EIAAgCEkNBAsgBhADIgAgAkcNAQwFCyAGIAJrIAhxIgYQAyICIAAoAgAgACgCBGpGDQEgAiEACyAAQX9GDQEgBUEwaiAGTQRAIAAhAgwEC0HYMCgCACICIAMgBmtqQQAgAmtxIgIQA0F/Rg0BIAIgBmohBiAAIQIMAwsgAkF/Rw0CC0G0MEG0MCgCAEEEcjYCAAsgARADIQJBABADIQAgAkF/Rg0FIABBf0YNBSAAIAJNDQUgACACayIGIAVBKGpNDQULQagwQagwKAIAIAZqIgA2AgBBrDAoAgAgAEkEQEGsMCAANgIACwJAQZAtKAIAIgMEQEG4MCEAA0AgAiAAKAIAIgEgACgCBCIEakYNAiAAKAIIIgANAAsMBAtBiC0oAgAiAEEAIAAgAk0bRQRAQYgtIAI2AgALQQAhAEG8MCAGNgIAQbgwIAI2AgBBmC1BfzYCAEGcLUHQMCgCADYCAEHEMEEANgIAA0AgAEEDdCIBQagtaiABQaAtaiIENgIAIAFBrC1qIAQ2AgAgAEEBaiIAQSBHDQALQYQtIAZBKGsiAEF4IAJrQQdxQQAgAkEIakEHcRsiAWsiBDYCAEGQLSABIAJqIgE2AgAgASAEQQFyNgIEIAAgAmpBKDYCBEGULUHgMCgCADYCAAwECyACIANNDQIgASADSw0CIAAoAgxBCHENAiAAIAQgBmo2AgRBkC0gA0F4IANrQQdxQQAgA0EIakEHcRsiAGoiATYCAEGELUGELSgCACAGaiICIABrIgA2AgAgASAAQQFyNgIEIAIgA2pBKDYCBEGULUHgMCgCADYCAAwDC0EAIQQMCgtBACECDAgLQYgtKAIAIAJLBEBBiC0gAjYCAAsgAiAGaiEBQbgwIQACQAJAAkADQCABIAAoAgBHBEAgACgCCCIADQEMAgsLIAAtAAxBCHFFDQELQbgwIQADQCADIAAoAgAiAU8EQCABIAAoAgRqIgQgA0sNAwsgACgCCCEADAALAAsgACACNgIAIAAgACgCBCAGajYCBCACQXggAmtBB3FBACACQQhqQQdxG2oiByAFQQNyNgIEIAFBeCABa0EHcUEAIAFBCGpBB3EbaiIGIAUgB2oiBWshACADIAZGBEBBkC0gBTYCAEGELUGELSgCACAAaiIANgIAIAUgAEEBcjYCBAwIC0GMLSgCACAGRgRAQYwtIAU2AgBBgC1BgC0oAgAgAGoiADYCACAFIABBAXI2AgQgACAFaiAANgIADAgLIAYoAgQiA0EDcUEBRw0GIANBeHEhCSADQf8BTQRAIAYoAgwiASAGKAIIIgJGBEBB+CxB+CwoAgBBfiADQQN2d3E2AgAMBwsgAiABNgIMIAEgAjYCCAwGCyAGKAIYIQggBiAGKAIMIgJHBEAgBigCCCIBIAI2AgwgAiABNgIIDAULIAZBFGoiASgCACIDRQRAIAYoAhAiA0UNBCAGQRBqIQELA0AgASEEIAMiAkEUaiIBKAIAIgMNACACQRBqIQEgAigCECIDDQALIARBADYCAAwEC0GELSAGQShrIgBBeCACa0EHcUEAIAJBCGpBB3EbIgFrIgg2AgBBkC0gASACaiIBNgIAIAEgCEEBcjYCBCAAIAJqQSg2AgRBlC1B4DAoAgA2AgAgAyAEQScgBGtBB3FBACAEQSdrQQdxG2pBL2siACAAIANBEGpJGyIBQRs2AgQgAUHAMCkCADcCECABQbgwKQIANwIIQcAwIAFBCGo2AgBBvDAgBjYCAEG4MCACNgIAQcQwQQA2AgAgAUEYaiEAA0AgAEEHNgIEIABBCGohAiAAQQRqIQAgAiAESQ0ACyABIANGDQAgASABKAIEQX5xNgIEIAMgASADayICQQFyNgIEIAEgAjYCACACQf8BTQRAIAJBeHFBoC1qIQACf0H4LCgCACIBQQEgAkEDdnQiAnFFBEBB+CwgASACcjYCACAADAELIAAoAggLIQEgACADNgIIIAEgAzYCDCADIAA2AgwgAyABNgIIDAELQR8hACACQf///wdNBEAgAkEmIAJBCHZnIgBrdkEBcSAAQQF0a0E+aiEACyADIAA2AhwgA0IANwIQIABBAnRBqC9qIQECQAJAQfwsKAIAIgRBASAAdCIGcUUEQEH8LCAEIAZyNgIAIAEgAzYCAAwBCyACQRkgAEEBdmtBACAAQR9HG3QhACABKAIAIQQDQCAEIgEoAgRBeHEgAkYNAiAAQR12IQQgAEEBdCEAIAEgBEEEcWoiBigCECIEDQALIAYgAzYCEAsgAyABNgIYIAMgAzYCDCADIAM2AggMAQsgASgCCCIAIAM2AgwgASADNgIIIANBADYCGCADIAE2AgwgAyAANgIIC0GELSgCACIAIAVNDQBBhC0gACAFayIBNgIAQZAtQZAtKAIAIgAgBWoiAjYCACACIAFBAXI2AgQgACAFQQNyNgIEIABBCGohAAwIC0H0LEEwNgIAQQAhAAwHC0EAIQILIAhFDQACQCAGKAIcIgFBAnRBqC9qIgQoAgAgBkYEQCAEIAI2AgAgAg0BQfwsQfwsKAIAQX4gAXdxNgIADAILIAhBEEEUIAgoAhAgBkYbaiACNgIAIAJFDQELIAIgCDYCGCAGKAIQIgEEQCACIAE2AhAgASACNgIYCyAGKAIUIgFFDQAgAiABNgIUIAEgAjYCGAsgACAJaiEAIAYgCWoiBigCBCEDCyAGIANBfnE2AgQgBSAAQQFyNgIEIAAgBWogADYCACAAQf8BTQRAIABBeHFBoC1qIQECf0H4LCgCACICQQEgAEEDdnQiAHFFBEBB+CwgACACcjYCACABDAELIAEoAggLIQAgASAFNgIIIAAgBTYCDCAFIAE2AgwgBSAANgIIDAELQR8hAyAAQf///wdNBEAgAEEmIABBCHZnIgFrdkEBcSABQQF0a0E+aiEDCyAFIAM2AhwgBUIANwIQIANBAnRBqC9qIQECQAJAQfwsKAIAIgJBASADdCIEcUUEQEH8LCACIARyNgIAIAEgBTYCAAwBCyAAQRkgA0EBdmtBACADQR9HG3QhAyABKAIAIQIDQCACIgEoAgRBeHEgAEYNAiADQR12IQIgA0EBdCEDIAEgAkEEcWoiBCgCECICDQALIAQgBTYCEAsgBSABNgIYIAUgBTYCDCAFIAU2AggMAQsgASgCCCIAIAU2AgwgASAFNgIIIAVBADYCGCAFIAE2AgwgBSAANgIICyAHQQhqIQAMAgsCQCAHRQ0AAkAgBCgCHCIAQQJ0QagvaiIBKAIAIARGBEAgASACNgIAIAINAUH8LCAIQX4gAHdxIgg2AgAMAgsgB0EQQRQgBygCECAERhtqIAI2AgAgAkUNAQsgAiAHNgIYIAQoAhAiAARAIAIgADYCECAAIAI2AhgLIAQoAhQiAEUNACACIAA2AhQgACACNgIYCwJAIANBD00EQCAEIAMgBWoiAEEDcjYCBCAAIARqIgAgACgCBEEBcjYCBAwBCyAEIAVBA3I2AgQgBCAFaiICIANBAXI2AgQgAiADaiADNgIAIANB/wFNBEAgA0F4cUGgLWohAAJ/QfgsKAIAIgFBASADQQN2dCIDcUUEQEH4LCABIANyNgIAIAAMAQsgACgCCAshASAAIAI2AgggASACNgIMIAIgADYCDCACIAE2AggMAQtBHyEAIANB////B00EQCADQSYgA0EIdmciAGt2QQFxIABBAXRrQT5qIQALIAIgADYCHCACQgA3AhAgAEECdEGoL2ohAQJAAkAgCEEBIAB0IgZxRQRAQfwsIAYgCHI2AgAgASACNgIADAELIANBGSAAQQF2a0EAIABBH0cbdCEAIAEoAgAhBQNAIAUiASgCBEF4cSADRg0CIABBHXYhBiAAQQF0IQAgASAGQQRxaiIGKAIQIgUNAAsgBiACNgIQCyACIAE2AhggAiACNgIMIAIgAjYCCAwBCyABKAIIIgAgAjYCDCABIAI2AgggAkEANgIYIAIgATYCDCACIAA2AggLIARBCGohAAwBCwJAIAlFDQACQCACKAIcIgBBAnRBqC9qIgEoAgAgAkYEQCABIAQ2AgAgBA0BQfwsIApBfiAAd3E2AgAMAgsgCUEQQRQgCSgCECACRhtqIAQ2AgAgBEUNAQsgBCAJNgIYIAIoAhAiAARAIAQgADYCECAAIAQ2AhgLIAIoAhQiAEUNACAEIAA2AhQgACAENgIYCwJAIANBD00EQCACIAMgBWoiAEEDcjYCBCAAIAJqIgAgACgCBEEBcjYCBAwBCyACIAVBA3I2AgQgAiAFaiIEIANBAXI2AgQgAyAEaiADNgIAIAcEQCAHQXhxQaAtaiEAQYwtKAIAIQECf0EBIAdBA3Z0IgUgBnFFBEBB+CwgBSAGcjYCACAADAELIAAoAggLIQYgACABNgIIIAYgATYCDCABIAA2AgwgASAGNgIIC0GMLSAENgIAQYAtIAM2AgALIAJBCGohAAsgC0EQaiQAIAALqAEAAkAgAUGACE4EQCAARAAAAAAAAOB/oiEAIAFB/w9JBEAgAUH/B2shAQwCCyAARAAAAAAAAOB/oiEAQf0XIAEgAUH9F04bQf4PayEBDAELIAFBgXhKDQAgAEQAAAAAAABgA6IhACABQbhwSwRAIAFByQdqIQEMAQsgAEQAAAAAAABgA6IhAEHwaCABIAFB8GhMG0GSD2ohAQsgACABQf8Haq1CNIa/oguZAQEDfCAAIACiIgMgAyADoqIgA0R81c9aOtnlPaJE65wriublWr6goiADIANEff6xV+Mdxz6iRNVhwRmgASq/oKJEpvgQERERgT+goCEFIAMgAKIhBCACRQRAIAQgAyAFokRJVVVVVVXFv6CiIACgDwsgACADIAFEAAAAAAAA4D+iIAUgBKKhoiABoSAERElVVVVVVcU/oqChCwMAAQuFDQERfyMAQRBrIgwkACAMIAQ2AgwgACgCGCERIAAoAhwhECAAKAJIIQ4gACgCWCESIAUoAgAhCCADKAIAIRMCQCABQQJ0IhUgACgCRGooAgAEQCAIIRYjAEEQayILJAAgCyAINgIMIAsgAUECdCIEIAAoAkRqKAIANgIIIAwoAgwhBiAAQQE2AjggACgCGCENIAAgASAAKAJIIAAoAhwgAWxBAnRqIgcgC0EIaiAGIAtBDGogACgCVBEAACEJIAAoAjwgBGoiCCgCACIGIAsoAggiBEgEQCALIAY2AgggBiEECyALIAk2AgwgCCAIKAIAIARrNgIAIAsoAgghBAJAIA1BAkgNACANQQFrIghBA3EhCUEAIQYgDUECa0EDTwRAIAhBfHEhFEEAIQgDQCAHIAZBAnRqIAcgBCAGakECdGoqAgA4AgAgByAGQQFyIgpBAnRqIAcgBCAKakECdGoqAgA4AgAgByAGQQJyIgpBAnRqIAcgBCAKakECdGoqAgA4AgAgByAGQQNyIgpBAnRqIAcgBCAKakECdGoqAgA4AgAgBkEEaiEGIAhBBGoiCCAURw0ACwsgCUUNAANAIAcgBkECdGogByAEIAZqQQJ0aioCADgCACAGQQFqIQYgD0EBaiIPIAlHDQALCyAAKAJEIAFBAnRqIgYgBigCACIPIARrIhQ2AgACQCAEIA9GDQAgDUEBayENQQAhCCALKAIIIQlBACEGIA8gBEF/c2pBA08EQCAUQXxxIQ9BACEEA0AgByAGIA1qIgpBAnRqIAcgCSAKakECdGoqAgA4AgAgByANIAZBAXJqIgpBAnRqIAcgCSAKakECdGoqAgA4AgAgByANIAZBAnJqIgpBAnRqIAcgCSAKakECdGoqAgA4AgAgByANIAZBA3JqIgpBAnRqIAcgCSAKakECdGoqAgA4AgAgBkEEaiEGIARBBGoiBCAPRw0ACwsgFEEDcSIERQ0AA0AgByAGIA1qIg9BAnRqIAcgCSAPakECdGoqAgA4AgAgBkEBaiEGIAhBAWoiCCAERw0ACwsgDCAMKAIMIAsoAgwiBCAAKAJcbEECdGo2AgwgC0EQaiQAIBYgBGshCCAAKAJEIBVqKAIADQELIBNFDQAgCEUNACAQIBFBAWsiC2shDyAOIAEgEGwiBEECdGohDSAEIBFqQQJ0IA5qQQRrIRQgDCgCDCERA0AgDCATIA8gDyATSxsiBzYCCCAMIAg2AgQCQCACBEAgB0UNAUEAIQlBACEEIAdBBE8EQCAHQXxxIRBBACEGA0AgDSAEIAtqQQJ0aiACIAQgEmxBAnRqKgIAOAIAIA0gBEEBciIOIAtqQQJ0aiACIA4gEmxBAnRqKgIAOAIAIA0gBEECciIOIAtqQQJ0aiACIA4gEmxBAnRqKgIAOAIAIA0gBEEDciIOIAtqQQJ0aiACIA4gEmxBAnRqKgIAOAIAIARBBGohBCAGQQRqIgYgEEcNAAsLIAdBA3EiBkUNAQNAIA0gBCALakECdGogAiAEIBJsQQJ0aioCADgCACAEQQFqIQQgCUEBaiIJIAZHDQALDAELIAdFDQAgFCAHQQJ0EAQLIABBATYCOCAAKAIYIQkgACABIAAoAkggACgCHCABbEECdGoiByAMQQhqIBEgDEEEaiAAKAJUEQAAIQ4gACgCPCABQQJ0aiIQKAIAIgQgDCgCCCIGSARAIAwgBDYCCCAEIQYLIAwgDjYCBCAQIBAoAgAgBms2AgAgDCgCCCIGIQQgCUECTgRAIAlBAWsiFUEDcSEQQQAhDkEAIQQgCUECa0EDTwRAIBVBfHEhFUEAIQkDQCAHIARBAnRqIAcgBCAGakECdGoqAgA4AgAgByAEQQFyIgpBAnRqIAcgBiAKakECdGoqAgA4AgAgByAEQQJyIgpBAnRqIAcgBiAKakECdGoqAgA4AgAgByAEQQNyIgpBAnRqIAcgBiAKakECdGoqAgA4AgAgBEEEaiEEIAlBBGoiCSAVRw0ACwsgEARAA0AgByAEQQJ0aiAHIAQgBmpBAnRqKgIAOAIAIARBAWohBCAOQQFqIg4gEEcNAAsLIAwoAgghBAsgCCAMKAIEIgdrIQggEyAGayITRQ0BIAIgBCASbEECdGpBACACGyECIBEgACgCXCAHbEECdGohESAIDQALCyADIAMoAgAgE2s2AgAgBSAFKAIAIAhrNgIAIAAoAlQaIAxBEGokAAuVCwEGfyAAIAFqIQUCQAJAIAAoAgQiAkEBcQ0AIAJBA3FFDQEgACgCACICIAFqIQECQAJAAkAgACACayIAQYwtKAIARwRAIAJB/wFNBEAgAkEDdiEEIAAoAggiAyAAKAIMIgJHDQJB+CxB+CwoAgBBfiAEd3E2AgAMBQsgACgCGCEGIAAgACgCDCICRwRAQYgtKAIAGiAAKAIIIgMgAjYCDCACIAM2AggMBAsgAEEUaiIEKAIAIgNFBEAgACgCECIDRQ0DIABBEGohBAsDQCAEIQcgAyICQRRqIgQoAgAiAw0AIAJBEGohBCACKAIQIgMNAAsgB0EANgIADAMLIAUoAgQiAkEDcUEDRw0DQYAtIAE2AgAgBSACQX5xNgIEIAAgAUEBcjYCBCAFIAE2AgAPCyADIAI2AgwgAiADNgIIDAILQQAhAgsgBkUNAAJAIAAoAhwiA0ECdEGoL2oiBCgCACAARgRAIAQgAjYCACACDQFB/CxB/CwoAgBBfiADd3E2AgAMAgsgBkEQQRQgBigCECAARhtqIAI2AgAgAkUNAQsgAiAGNgIYIAAoAhAiAwRAIAIgAzYCECADIAI2AhgLIAAoAhQiA0UNACACIAM2AhQgAyACNgIYCwJAAkACQAJAIAUoAgQiAkECcUUEQEGQLSgCACAFRgRAQZAtIAA2AgBBhC1BhC0oAgAgAWoiATYCACAAIAFBAXI2AgQgAEGMLSgCAEcNBkGALUEANgIAQYwtQQA2AgAPC0GMLSgCACAFRgRAQYwtIAA2AgBBgC1BgC0oAgAgAWoiATYCACAAIAFBAXI2AgQgACABaiABNgIADwsgAkF4cSABaiEBIAJB/wFNBEAgAkEDdiEEIAUoAgwiAiAFKAIIIgNGBEBB+CxB+CwoAgBBfiAEd3E2AgAMBQsgAyACNgIMIAIgAzYCCAwECyAFKAIYIQYgBSAFKAIMIgJHBEBBiC0oAgAaIAUoAggiAyACNgIMIAIgAzYCCAwDCyAFQRRqIgQoAgAiA0UEQCAFKAIQIgNFDQIgBUEQaiEECwNAIAQhByADIgJBFGoiBCgCACIDDQAgAkEQaiEEIAIoAhAiAw0ACyAHQQA2AgAMAgsgBSACQX5xNgIEIAAgAUEBcjYCBCAAIAFqIAE2AgAMAwtBACECCyAGRQ0AAkAgBSgCHCIDQQJ0QagvaiIEKAIAIAVGBEAgBCACNgIAIAINAUH8LEH8LCgCAEF+IAN3cTYCAAwCCyAGQRBBFCAGKAIQIAVGG2ogAjYCACACRQ0BCyACIAY2AhggBSgCECIDBEAgAiADNgIQIAMgAjYCGAsgBSgCFCIDRQ0AIAIgAzYCFCADIAI2AhgLIAAgAUEBcjYCBCAAIAFqIAE2AgAgAEGMLSgCAEcNAEGALSABNgIADwsgAUH/AU0EQCABQXhxQaAtaiECAn9B+CwoAgAiA0EBIAFBA3Z0IgFxRQRAQfgsIAEgA3I2AgAgAgwBCyACKAIICyEBIAIgADYCCCABIAA2AgwgACACNgIMIAAgATYCCA8LQR8hAyABQf///wdNBEAgAUEmIAFBCHZnIgJrdkEBcSACQQF0a0E+aiEDCyAAIAM2AhwgAEIANwIQIANBAnRBqC9qIQICQAJAQfwsKAIAIgRBASADdCIHcUUEQEH8LCAEIAdyNgIAIAIgADYCACAAIAI2AhgMAQsgAUEZIANBAXZrQQAgA0EfRxt0IQMgAigCACECA0AgAiIEKAIEQXhxIAFGDQIgA0EddiECIANBAXQhAyAEIAJBBHFqIgdBEGooAgAiAg0ACyAHIAA2AhAgACAENgIYCyAAIAA2AgwgACAANgIIDwsgBCgCCCIBIAA2AgwgBCAANgIIIABBADYCGCAAIAQ2AgwgACABNgIICwvPCwELfyAARQRAIAEQBg8LIAFBQE8EQEH0LEEwNgIAQQAPCwJ/QRAgAUELakF4cSABQQtJGyEGIABBCGsiAygCBCIIQXhxIQQCQCAIQQNxRQRAQQAgBkGAAkkNAhogBkEEaiAETQRAIAMhAiAEIAZrQdgwKAIAQQF0TQ0CC0EADAILIAMgBGohBwJAIAQgBk8EQCAEIAZrIgJBEEkNASADIAhBAXEgBnJBAnI2AgQgAyAGaiIEIAJBA3I2AgQgByAHKAIEQQFyNgIEIAQgAhALDAELQZAtKAIAIAdGBEBBhC0oAgAgBGoiBCAGTQ0CIAMgCEEBcSAGckECcjYCBCADIAZqIgIgBCAGayIEQQFyNgIEQYQtIAQ2AgBBkC0gAjYCAAwBC0GMLSgCACAHRgRAQYAtKAIAIARqIgQgBkkNAgJAIAQgBmsiAkEQTwRAIAMgCEEBcSAGckECcjYCBCADIAZqIgUgAkEBcjYCBCADIARqIgQgAjYCACAEIAQoAgRBfnE2AgQMAQsgAyAIQQFxIARyQQJyNgIEIAMgBGoiAiACKAIEQQFyNgIEQQAhAgtBjC0gBTYCAEGALSACNgIADAELIAcoAgQiBUECcQ0BIAVBeHEgBGoiCSAGSQ0BIAkgBmshCwJAIAVB/wFNBEAgBygCDCICIAcoAggiBEYEQEH4LEH4LCgCAEF+IAVBA3Z3cTYCAAwCCyAEIAI2AgwgAiAENgIIDAELIAcoAhghCgJAIAcgBygCDCIERwRAQYgtKAIAGiAHKAIIIgIgBDYCDCAEIAI2AggMAQsCQCAHQRRqIgIoAgAiBUUEQCAHKAIQIgVFDQEgB0EQaiECCwNAIAIhDCAFIgRBFGoiAigCACIFDQAgBEEQaiECIAQoAhAiBQ0ACyAMQQA2AgAMAQtBACEECyAKRQ0AAkAgBygCHCICQQJ0QagvaiIFKAIAIAdGBEAgBSAENgIAIAQNAUH8LEH8LCgCAEF+IAJ3cTYCAAwCCyAKQRBBFCAKKAIQIAdGG2ogBDYCACAERQ0BCyAEIAo2AhggBygCECICBEAgBCACNgIQIAIgBDYCGAsgBygCFCICRQ0AIAQgAjYCFCACIAQ2AhgLIAtBD00EQCADIAhBAXEgCXJBAnI2AgQgAyAJaiICIAIoAgRBAXI2AgQMAQsgAyAIQQFxIAZyQQJyNgIEIAMgBmoiAiALQQNyNgIEIAMgCWoiBCAEKAIEQQFyNgIEIAIgCxALCyADIQILIAILIgIEQCACQQhqDwsgARAGIgRFBEBBAA8LIAQhAgJAQXxBeCAAIgNBBGsoAgAiBUEDcRsgBUF4cWoiBSABIAEgBUsbIgVBgARPBEAgAiADIAUQAAwBCyACIAVqIQECQCACIANzQQNxRQRAAkAgAkEDcUUNACAFRQ0AA0AgAiADLQAAOgAAIANBAWohAyACQQFqIgJBA3FFDQEgASACSw0ACwsCQCABQXxxIgVBwABJDQAgAiAFQUBqIgxLDQADQCACIAMoAgA2AgAgAiADKAIENgIEIAIgAygCCDYCCCACIAMoAgw2AgwgAiADKAIQNgIQIAIgAygCFDYCFCACIAMoAhg2AhggAiADKAIcNgIcIAIgAygCIDYCICACIAMoAiQ2AiQgAiADKAIoNgIoIAIgAygCLDYCLCACIAMoAjA2AjAgAiADKAI0NgI0IAIgAygCODYCOCACIAMoAjw2AjwgA0FAayEDIAJBQGsiAiAMTQ0ACwsgAiAFTw0BA0AgAiADKAIANgIAIANBBGohAyACQQRqIgIgBUkNAAsMAQsgAUEESQ0AIAIgAUEEayIFSw0AA0AgAiADLQAAOgAAIAIgAy0AAToAASACIAMtAAI6AAIgAiADLQADOgADIANBBGohAyACQQRqIgIgBU0NAAsLIAEgAksEQANAIAIgAy0AADoAACADQQFqIQMgAkEBaiICIAFHDQALCwsgABACIAQLixYDFX8JfAZ9IAAgACgCCCIBIAAoAgwiAm4iBTYCJCAAIAAoAhBBFGwiA0G0CWooAgAiBjYCMCAAKAIYIQ0gACADQbAJaigCACIENgIYIAAgASACIAVsazYCKCAAKAIcIRACQAJAAkACQCABIAJLBEAgACADQbgJaioCACACs5QgAbOVOAIsIAQgBCACbiIDIAJsayIEQX8gAW4iBUsNAiADIAVLDQIgASADbCIDIAEgBGwgAm4iBEF/c0sNAiAAIAMgBGpBAWtBeHFBCGoiBDYCGEEBIAYgAkEBdCABSSIDdiACQQJ0IAFJIgV2IAJBA3QgAUkiCXYgAkEEdCABSSIHdiIBIAFBAU0bIQYCQCAFDQAgAUUNACADDQAgCQ0AIAdFDQILIAAgBjYCMAwBCyAAIANBvAlqKgIAOAIsCwJAIAIgBGwiASAEIAZsQQhqIgNNBEBBASEFQf////8BIAJuIARPDQELQQAhBSADIQFB9////wEgBm4gBEkNAQsgASAAKAJQSwRAIAAoAkwgAUECdBAMIgNFDQEgACABNgJQIAAgAzYCTAsCQCAFRQRAIAAoAhAhAiAAKAIYIgEgACgCMCIDbEEEaiIEQX1OBEAgAbciGUQAAAAAAADgP6IhGiABQQF2syEiIAAoAkwhBSADsyEjQXwhASACQRRsQcAJaigCACEJA0AgACoCLCEgIAFBAnQgBWoCfSAgIAGyICOVICKTIiG7IhaZIhdEje21oPfGsD5jDQAaQwAAAAAgFyAaZA0AGiAhICCUIR8gCSgCAAJ/IBYgFqAgGaO2iyAJKAIEspQiIY4iJItDAAAAT10EQCAkqAwBC0GAgICAeAsiBkEDdGoiAysDCCEbIAMrAwAhHCADKwMQIRggAysDGCEWIB+7RBgtRFT7IQlAoiIXEA4gILuiIBejIBYgISAGspMiH7siFkSVqGdVVVXFv6IgHyAfIB+UIh+UuyIXRJWoZ1VVVcU/oqAiHaIgGCAXRAAAAAAAAOC/oiAfu0QAAAAAAADgP6IiGCAWoKAiHqIgHCAXRJWoZ1VVVcW/oiAWRLUrTFVVVdW/oiAYoKAiFqIgG0QAAAAAAADwPyAdoSAeoSAWoaKgoKCitgs4AhAgAUEBaiIBIARHDQALCyACQQlOBEAgAEEBNgJUDAILIABBAjYCVAwBCwJAIAAoAgwiBUUNACAAKAIYIgZBfm0hByAGRQ0AIAa3IhlEAAAAAAAA4D+iIRogBbMhIiAAKAJMIQhBACEJIAAoAhBBFGxBwAlqKAIAIQwDQCAGIAlsIQogCbMgIpUhI0EAIQEDQCAAKgIsISACfSAgIAEiA0EBaiIBIAdqsiAjkyIhuyIWmSIXRI3ttaD3xrA+Yw0AGkMAAAAAIBcgGmQNABogISAglCEfIAwoAgACfyAWIBagIBmjtosgDCgCBLKUIiGOIiSLQwAAAE9dBEAgJKgMAQtBgICAgHgLIgJBA3RqIgQrAwghGyAEKwMAIRwgBCsDECEYIAQrAxghFiAfu0QYLURU+yEJQKIiFxAOICC7oiAXoyAWICEgArKTIh+7IhZElahnVVVVxb+iIB8gHyAflCIflLsiF0SVqGdVVVXFP6KgIh2iIBggF0QAAAAAAADgv6IgH7tEAAAAAAAA4D+iIhggFqCgIh6iIBwgF0SVqGdVVVXFv6IgFkS1K0xVVVXVv6IgGKCgIhaiIBtEAAAAAAAA8D8gHaEgHqEgFqGioKCgorYLIR8gCCADIApqQQJ0aiAfOAIAIAEgBkcNAAsgCUEBaiIJIAVHDQALCyAAKAIQQQlOBEAgAEEDNgJUDAELIABBBDYCVAsgACgCGCAAKAIgakEBayIDIAAoAhwiAUsEQEH/////ASAAKAIUIgFuIANJDQEgACgCSCABIANsQQJ0EAwiAUUNASAAIAM2AhwgACABNgJIIAMhAQsgACgCOEUEQCABIAAoAhRsIgFFBEBBAA8LIAAoAkggAUECdBAEQQAPCyAAKAIYIgMgDU0NASAAKAIUIgNFBEBBAA8LIA1BAmshDiANQQFrIREgA0ECdEEEayESIAAoAkQhE0EAIQkDQCATIANBAWsiA0ECdCIUaiIIKAIAIgZBAXQhCwJAIAYgEWoiAUUNACADIBBsIQQgACgCHCADbCEFIAAoAkghAiABQQFxBEAgAiABQQFrIgEgBmogBWpBAnRqIAIgASAEakECdGoqAgA4AgALIA5BACAGa0YNAANAIAIgAUEBayIHIAZqIAVqQQJ0aiACIAQgB2pBAnRqKgIAOAIAIAIgAUECayIBIAZqIAVqQQJ0aiACIAEgBGpBAnRqKgIAOAIAIAENAAsLIBIgCUECdGshDyAGBEAgACgCSCAAKAIcIA9saiAGQQJ0EAQLIAhBADYCAAJAIAAoAhgiAiALIA1qIgdLBEACQCAHQQFrIghFDQAgAkECayEMIAdBAmshCiAAKAIcIANsIQFBACEFIAAoAkghBkEAIAtrIA5HBEAgCEF+cSEVQQAhBEEAIQsDQCAGIAUgDGogAWpBAnRqIAYgBSAKaiABakECdGoqAgA4AgAgBiAMIARBf3MiBWogAWpBAnRqIAYgBSAKaiABakECdGoqAgA4AgAgBEF+cyEFIARBAmohBCALQQJqIgsgFUcNAAsLIAhBAXFFDQAgBiAFIAxqIAFqQQJ0aiAGIAUgCmogAWpBAnRqKgIAOAIACyAIIAJBAWsiAUkEQCAAKAJIIAAoAhwgD2xqIAEgCGtBAnQQBAsgACgCPCAUaiIBIAEoAgAgAiAHa0EBdmo2AgAMAQsgCCAHIAJrQQF2IgQ2AgAgBCAAKAIYaiIHQQFrIghFDQAgACgCHCADbCEFIAAoAkghAkEAIQZBACEBIAdBAmtBA08EQCAIQXxxIQxBACEHA0AgAiABIAVqIgpBAnRqIAIgBCAKakECdGoqAgA4AgAgAiAFIAFBAXJqIgpBAnRqIAIgBCAKakECdGoqAgA4AgAgAiAFIAFBAnJqIgpBAnRqIAIgBCAKakECdGoqAgA4AgAgAiAFIAFBA3JqIgpBAnRqIAIgBCAKakECdGoqAgA4AgAgAUEEaiEBIAdBBGoiByAMRw0ACwsgCEEDcSIHRQ0AA0AgAiABIAVqIghBAnRqIAIgBCAIakECdGoqAgA4AgAgAUEBaiEBIAZBAWoiBiAHRw0ACwsgCUEBaiEJIAMNAAtBAA8LIAAgDTYCGCAAQQU2AlRBASEBDAELQQAhASADIA1PDQAgACgCFEUNACAAKAJEIQxBACEDA0AgDCADQQJ0aiIJKAIAIQcgCSANIAAoAhhrQQF2IgQ2AgACQCAEIAdqIgogACgCGCIOakEBayIIRQ0AIAAoAhwgA2whBSAAKAJIIQJBACEGIAcgDmogBGpBAmtBA08EQCAIQXxxIQ5BACEHA0AgAiABIAVqIgtBAnRqIAIgBCALakECdGoqAgA4AgAgAiAFIAFBAXJqIgtBAnRqIAIgBCALakECdGoqAgA4AgAgAiAFIAFBAnJqIgtBAnRqIAIgBCALakECdGoqAgA4AgAgAiAFIAFBA3JqIgtBAnRqIAIgBCALakECdGoqAgA4AgAgAUEEaiEBIAdBBGoiByAORw0ACwsgCEEDcSIHRQ0AA0AgAiABIAVqIghBAnRqIAIgBCAIakECdGoqAgA4AgAgAUEBaiEBIAZBAWoiBiAHRw0ACwsgCSAKNgIAQQAhASADQQFqIgMgACgCFEkNAAsLIAEL6RkDFX8EfAF+IwBBEGsiBCQAAkAgAL1CIIinQf////8HcSIBQfvDpP8DTQRAIAFBgIDA8gNJDQEgAEQAAAAAAAAAAEEAEAghAAwBCyABQYCAwP8HTwRAIAAgAKEhAAwBCyMAQTBrIggkAAJAAkACQCAAvSIaQiCIpyIBQf////8HcSIGQfrUvYAETQRAIAFB//8/cUH7wyRGDQEgBkH8souABE0EQCAaQgBZBEAgBCAARAAAQFT7Ifm/oCIARDFjYhphtNC9oCIWOQMAIAQgACAWoUQxY2IaYbTQvaA5AwhBASECDAULIAQgAEQAAEBU+yH5P6AiAEQxY2IaYbTQPaAiFjkDACAEIAAgFqFEMWNiGmG00D2gOQMIQX8hAgwECyAaQgBZBEAgBCAARAAAQFT7IQnAoCIARDFjYhphtOC9oCIWOQMAIAQgACAWoUQxY2IaYbTgvaA5AwhBAiECDAQLIAQgAEQAAEBU+yEJQKAiAEQxY2IaYbTgPaAiFjkDACAEIAAgFqFEMWNiGmG04D2gOQMIQX4hAgwDCyAGQbuM8YAETQRAIAZBvPvXgARNBEAgBkH8ssuABEYNAiAaQgBZBEAgBCAARAAAMH982RLAoCIARMqUk6eRDum9oCIWOQMAIAQgACAWoUTKlJOnkQ7pvaA5AwhBAyECDAULIAQgAEQAADB/fNkSQKAiAETKlJOnkQ7pPaAiFjkDACAEIAAgFqFEypSTp5EO6T2gOQMIQX0hAgwECyAGQfvD5IAERg0BIBpCAFkEQCAEIABEAABAVPshGcCgIgBEMWNiGmG08L2gIhY5AwAgBCAAIBahRDFjYhphtPC9oDkDCEEEIQIMBAsgBCAARAAAQFT7IRlAoCIARDFjYhphtPA9oCIWOQMAIAQgACAWoUQxY2IaYbTwPaA5AwhBfCECDAMLIAZB+sPkiQRLDQELIAAgAESDyMltMF/kP6JEAAAAAAAAOEOgRAAAAAAAADjDoCIYRAAAQFT7Ifm/oqAiFiAYRDFjYhphtNA9oiIZoSIXRBgtRFT7Iem/YyEBAn8gGJlEAAAAAAAA4EFjBEAgGKoMAQtBgICAgHgLIQICQCABBEAgAkEBayECIBhEAAAAAAAA8L+gIhhEMWNiGmG00D2iIRkgACAYRAAAQFT7Ifm/oqAhFgwBCyAXRBgtRFT7Iek/ZEUNACACQQFqIQIgGEQAAAAAAADwP6AiGEQxY2IaYbTQPaIhGSAAIBhEAABAVPsh+b+ioCEWCyAEIBYgGaEiFzkDAAJAIAZBFHYiASAXvUI0iKdB/w9xa0ERSA0AIAQgFiAYRAAAYBphtNA9oiIXoSIAIBhEc3ADLooZozuiIBYgAKEgF6GhIhmhIhc5AwAgASAXvUI0iKdB/w9xa0EySARAIAAhFgwBCyAEIAAgGEQAAAAuihmjO6IiF6EiFiAYRMFJICWag3s5oiAAIBahIBehoSIZoSIXOQMACyAEIBYgF6EgGaE5AwgMAQsgBkGAgMD/B08EQCAEIAAgAKEiADkDACAEIAA5AwgMAQsgGkL/////////B4NCgICAgICAgLDBAIS/IRdBASEBA0AgCEEQaiACQQN0agJ/IBeZRAAAAAAAAOBBYwRAIBeqDAELQYCAgIB4C7ciADkDACAXIAChRAAAAAAAAHBBoiEXQQEhAiABIQNBACEBIAMNAAsgCCAXOQMgQQIhAgNAIAIiAUEBayECIAhBEGogAUEDdGorAwBEAAAAAAAAAABhDQALIAhBEGohD0EAIQMjAEGwBGsiBSQAIAZBFHZBlghrIgJBA2tBGG0iBkEAIAZBAEobIhBBaGwgAmohBkHUFigCACIJIAFBAWoiCkEBayIHakEATgRAIAkgCmohAiAQIAdrIQEDQCAFQcACaiADQQN0aiABQQBIBHxEAAAAAAAAAAAFIAFBAnRB4BZqKAIAtws5AwAgAUEBaiEBIANBAWoiAyACRw0ACwsgBkEYayELQQAhAiAJQQAgCUEAShshAyAKQQBMIQwDQAJAIAwEQEQAAAAAAAAAACEADAELIAIgB2ohDkEAIQFEAAAAAAAAAAAhAANAIA8gAUEDdGorAwAgBUHAAmogDiABa0EDdGorAwCiIACgIQAgAUEBaiIBIApHDQALCyAFIAJBA3RqIAA5AwAgAiADRiEBIAJBAWohAiABRQ0AC0EvIAZrIRJBMCAGayEOIAZBGWshEyAJIQICQANAIAUgAkEDdGorAwAhAEEAIQEgAiEDIAJBAEwiDUUEQANAIAVB4ANqIAFBAnRqAn8CfyAARAAAAAAAAHA+oiIWmUQAAAAAAADgQWMEQCAWqgwBC0GAgICAeAu3IhZEAAAAAAAAcMGiIACgIgCZRAAAAAAAAOBBYwRAIACqDAELQYCAgIB4CzYCACAFIANBAWsiA0EDdGorAwAgFqAhACABQQFqIgEgAkcNAAsLAn8gACALEAciACAARAAAAAAAAMA/opxEAAAAAAAAIMCioCIAmUQAAAAAAADgQWMEQCAAqgwBC0GAgICAeAshByAAIAe3oSEAAkACQAJAAn8gC0EATCIURQRAIAJBAnQgBWoiASABKALcAyIBIAEgDnUiASAOdGsiAzYC3AMgASAHaiEHIAMgEnUMAQsgCw0BIAJBAnQgBWooAtwDQRd1CyIMQQBMDQIMAQtBAiEMIABEAAAAAAAA4D9mDQBBACEMDAELQQAhAUEAIQMgDUUEQANAIAVB4ANqIAFBAnRqIhUoAgAhDUH///8HIRECfwJAIAMNAEGAgIAIIREgDQ0AQQAMAQsgFSARIA1rNgIAQQELIQMgAUEBaiIBIAJHDQALCwJAIBQNAEH///8DIQECQAJAIBMOAgEAAgtB////ASEBCyACQQJ0IAVqIg0gDSgC3AMgAXE2AtwDCyAHQQFqIQcgDEECRw0ARAAAAAAAAPA/IAChIQBBAiEMIANFDQAgAEQAAAAAAADwPyALEAehIQALIABEAAAAAAAAAABhBEBBACEDAkAgCSACIgFODQADQCAFQeADaiABQQFrIgFBAnRqKAIAIANyIQMgASAJSg0ACyADRQ0AIAshBgNAIAZBGGshBiAFQeADaiACQQFrIgJBAnRqKAIARQ0ACwwDC0EBIQEDQCABIgNBAWohASAFQeADaiAJIANrQQJ0aigCAEUNAAsgAiADaiEDA0AgBUHAAmogAiAKaiIHQQN0aiACQQFqIgIgEGpBAnRB4BZqKAIAtzkDAEEAIQFEAAAAAAAAAAAhACAKQQBKBEADQCAPIAFBA3RqKwMAIAVBwAJqIAcgAWtBA3RqKwMAoiAAoCEAIAFBAWoiASAKRw0ACwsgBSACQQN0aiAAOQMAIAIgA0gNAAsgAyECDAELCwJAIABBGCAGaxAHIgBEAAAAAAAAcEFmBEAgBUHgA2ogAkECdGoCfwJ/IABEAAAAAAAAcD6iIhaZRAAAAAAAAOBBYwRAIBaqDAELQYCAgIB4CyIBt0QAAAAAAABwwaIgAKAiAJlEAAAAAAAA4EFjBEAgAKoMAQtBgICAgHgLNgIAIAJBAWohAgwBCwJ/IACZRAAAAAAAAOBBYwRAIACqDAELQYCAgIB4CyEBIAshBgsgBUHgA2ogAkECdGogATYCAAtEAAAAAAAA8D8gBhAHIQACQCACQQBIDQAgAiEBA0AgBSABIgNBA3RqIAAgBUHgA2ogAUECdGooAgC3ojkDACABQQFrIQEgAEQAAAAAAABwPqIhACADDQALIAJBAEgNACACIQMDQEQAAAAAAAAAACEAQQAhASAJIAIgA2siBiAGIAlKGyILQQBOBEADQCABQQN0QbAsaisDACAFIAEgA2pBA3RqKwMAoiAAoCEAIAEgC0chCiABQQFqIQEgCg0ACwsgBUGgAWogBkEDdGogADkDACADQQBKIQEgA0EBayEDIAENAAsLRAAAAAAAAAAAIQAgAkEATgRAIAIhAQNAIAEiA0EBayEBIAAgBUGgAWogA0EDdGorAwCgIQAgAw0ACwsgCCAAmiAAIAwbOQMAIAUrA6ABIAChIQBBASEBIAJBAEoEQANAIAAgBUGgAWogAUEDdGorAwCgIQAgASACRyEDIAFBAWohASADDQALCyAIIACaIAAgDBs5AwggBUGwBGokACAHQQdxIQIgCCsDACEAIBpCAFMEQCAEIACaOQMAIAQgCCsDCJo5AwhBACACayECDAELIAQgADkDACAEIAgrAwg5AwgLIAhBMGokAAJAAkACQAJAIAJBA3EOAwABAgMLIAQrAwAgBCsDCEEBEAghAAwDCyAEKwMAIAQrAwgQDyEADAILIAQrAwAgBCsDCEEBEAiaIQAMAQsgBCsDACAEKwMIEA+aIQALIARBEGokACAAC5IBAQN8RAAAAAAAAPA/IAAgAKIiAkQAAAAAAADgP6IiA6EiBEQAAAAAAADwPyAEoSADoSACIAIgAiACRJAVyxmgAfo+okR3UcEWbMFWv6CiRExVVVVVVaU/oKIgAiACoiIDIAOiIAIgAkTUOIi+6fqovaJExLG0vZ7uIT6gokStUpyAT36SvqCioKIgACABoqGgoAspACAAKAJIEAIgACgCTBACIAAoAjwQAiAAKAJEEAIgACgCQBACIAAQAgvCAQEHfyABQQJ0IgYgACgCQGoiBygCACECQQAhAQJAIAAoAjwgBmoiCCgCACIGIAMoAgAiCU4NACAAKAIMIQMgACgCKCEKIAAoAiQhCyAAKAJcIQwgBSgCACIAQQAgAEEAShshAANAIAAgAUYEQCAAIQEMAgsgBCABIAxsQQJ0akEANgIAIAIgCmoiAiADQQAgAiADTyIFG2shAiABQQFqIQEgBiALaiAFaiIGIAlIDQALCyAIIAY2AgAgByACNgIAIAELmQQCE38BfSABQQJ0IgYgACgCQGoiFCgCACEHQQAhAQJAIAAoAjwgBmoiFSgCACIGIAMoAgAiDU4NACAAKAIMIQsgACgCKCEOIAAoAiQhDyAAKAJcIRAgBSgCACIDQQAgA0EAShshAyAAKAIYIgxBAEwEQANAIAEgA0YEQCADIQEMAwsgBCABIBBsQQJ0akEANgIAIAcgDmoiACALQQAgACALTyIAG2shByABQQFqIQEgBiAPaiAAaiIGIA1IDQAMAgsACyAAKAJMIRYgDEF8cSEXIAxBA3EhESAMQQRJIRgDQCABIANGBEAgAyEBDAILIAIgBkECdGohBSAWIAcgDGxBAnRqIQlDAAAAACEZQQAhEkEAIQBBACETIBhFBEADQCAJIABBAnQiCEEMciIKaioCACAFIApqKgIAlCAJIAhBCHIiCmoqAgAgBSAKaioCAJQgCSAIQQRyIgpqKgIAIAUgCmoqAgCUIAggCWoqAgAgBSAIaioCAJQgGZKSkpIhGSAAQQRqIQAgE0EEaiITIBdHDQALCyARBEADQCAJIABBAnQiCGoqAgAgBSAIaioCAJQgGZIhGSAAQQFqIQAgEkEBaiISIBFHDQALCyAEIAEgEGxBAnRqIBk4AgAgByAOaiIAIAtBACAAIAtPIgAbayEHIAFBAWohASAGIA9qIABqIgYgDUgNAAsLIBUgBjYCACAUIAc2AgAgAQv3AwIOfwR8IAFBAnQiBiAAKAJAaiIRKAIAIQdBACEBAkAgACgCPCAGaiISKAIAIgYgAygCACIMTg0AIAAoAgwhCSAAKAIoIQ0gACgCJCEOIAAoAlwhDyAFKAIAIgNBACADQQBKGyEDIAAoAhgiEEEASgRAIAAoAkwhEwNAIAEgA0YEQCADIQEMAwsgAiAGQQJ0aiEAIBMgByAQbEECdGohCkEAIQVEAAAAAAAAAAAhFEQAAAAAAAAAACEVRAAAAAAAAAAAIRZEAAAAAAAAAAAhFwNAIBcgCiAFQQJ0IghqKgIAIAAgCGoqAgCUu6AhFyAUIAogCEEMciILaioCACAAIAtqKgIAlLugIRQgFSAKIAhBCHIiC2oqAgAgACALaioCAJS7oCEVIBYgCiAIQQRyIghqKgIAIAAgCGoqAgCUu6AhFiAFQQRqIgUgEEgNAAsgBCABIA9sQQJ0aiAXIBagIBWgIBSgtjgCACAHIA1qIgAgCUEAIAAgCU8iABtrIQcgAUEBaiEBIAYgDmogAGoiBiAMSA0ACwwBCwNAIAEgA0YEQCADIQEMAgsgBCABIA9sQQJ0akEANgIAIAcgDWoiACAJQQAgACAJTyIAG2shByABQQFqIQEgBiAOaiAAaiIGIAxIDQALCyASIAY2AgAgESAHNgIAIAELhQQCCX0QfyABQQJ0IgEgACgCQGoiEygCACEQAkAgACgCPCABaiIUKAIAIhEgAygCACIVTg0AIAAoAighFiAAKAIkIRcgACgCXCEYIAUoAgAiAUEAIAFBAEobIQMgACgCDCIFsyEMIAAoAhgiGUEATCEaA0AgAyAPRgRAIAMhDwwCCyAAKAIwIhsgEGwiASABIAVuIhwgBWxrsyAMlSEGAkAgGgRAQwAAAAAhCUMAAAAAIQpDAAAAACELQwAAAAAhBwwBCyACIBFBAnRqIR0gACgCTCEeQQAhAUMAAAAAIQdDAAAAACELQwAAAAAhCkMAAAAAIQkDQCAdIAFBAnRqKgIAIgggAUEBaiIBIBtsIBxrQQJ0IB5qIhIqAhSUIAeSIQcgCCASKgIQlCALkiELIAggEioCDJQgCpIhCiAIIBIqAgiUIAmSIQkgASAZRw0ACwsgBCAPIBhsQQJ0aiAGQzuqqr6UIAZDAAAAP5QgBpQiCJIgBiAGIAZDiqsqPpSUlCINkyIOIAeURAAAAAAAAPA/IAZDiqsqvpQgDZIiB7uhIAggBpIgCCAGlJMiBruhIA67obYgC5QgByAJlCAGIAqUkpKSOAIAIBAgFmoiASAFQQAgASAFTyIBG2shECAPQQFqIQ8gESAXaiABaiIRIBVIDQALCyAUIBE2AgAgEyAQNgIAIA8LrQQDBH0QfwZ8IAFBAnQiASAAKAJAaiIOKAIAIQsCQCAAKAI8IAFqIg8oAgAiDCADKAIAIhBODQAgACgCKCERIAAoAiQhEiAAKAJcIRMgBSgCACIBQQAgAUEAShshAyAAKAIMIgWzIQggACgCGCIUQQBMIRUDQCADIApGBEAgAyEKDAILIAAoAjAiFiALbCIBIAEgBW4iFyAFbGuzIAiVIQYCQCAVBEBEAAAAAAAAAAAhG0QAAAAAAAAAACEcRAAAAAAAAAAAIR1EAAAAAAAAAAAhGgwBCyACIAxBAnRqIRggACgCTCEZQQAhAUQAAAAAAAAAACEaRAAAAAAAAAAAIR1EAAAAAAAAAAAhHEQAAAAAAAAAACEbA0AgGiAYIAFBAnRqKgIAIgcgAUEBaiIBIBZsIBdrQQJ0IBlqIg0qAhSUu6AhGiAdIAcgDSoCEJS7oCEdIBwgByANKgIMlLugIRwgGyAHIA0qAgiUu6AhGyABIBRHDQALCyAEIAogE2xBAnRqIAZDO6qqvpQgBkMAAAA/lCAGlCIHkiAGIAYgBkOKqyo+lJSUIgmTuyIeIBqiRAAAAAAAAPA/IAZDiqsqvpQgCZK7IhqhIAcgBpIgByAGlJO7Ih+hIB6htrsgHaIgGiAboiAcIB+ioKCgtjgCACALIBFqIgEgBUEAIAEgBU8iARtrIQsgCkEBaiEKIAwgEmogAWoiDCAQSA0ACwsgDyAMNgIAIA4gCzYCACAKCyEBAX9BvQghASAAQQRNBH8gAEECdEGwFmooAgAFQb0ICwsWACABIAAoAgA2AgAgAiAAKAIENgIAC8sBAQZ/IAAoAlwhCCACKAIAIQYgBCgCACEHIAAgACgCFCIFNgJcIAAoAlghCSAAIAU2AlgCQCAFRQ0AQQAhBSABRQRAA0AgBCAHNgIAIAIgBjYCACAAIAVBACACIAMgBUECdGogBBAKIAVBAWoiBSAAKAIUSQ0ADAILAAsDQCAEIAc2AgAgAiAGNgIAIAAgBSABIAVBAnQiCmogAiADIApqIAQQCiAFQQFqIgUgACgCFEkNAAsLIAAgCDYCXCAAIAk2AlggACgCVEEFRgvYBAEFfwJ/AkACQAJAIABFDQAgAUUNACACRQ0AIANBC0kNAQsgBEUNASAEQQM2AgBBAAwCC0HgABAFIgVFBEBBACEFIARFDQEgBEEBNgIAQQAMAgsgBUGAgID8AzYCLCAFQX82AhAgBUKBgICAEDcCWCAFIAA2AhQgBUGgATYCICAFIABBAnQiBhAFIgc2AjxBACEAAkAgB0UNACAFIAYQBSIINgJEIAhFDQAgBSAGEAUiBjYCQCAIIQAgBkUNACAFIAM2AhAgAiEAAkAgAUUNACACRQ0AAkAgBSgCACABRw0AIAUoAgQgAEcNACAFKAIIIAFHDQAgBSgCDCACRg0BCyAFIAA2AgQgBSABNgIAIAUoAgwhCSABIQAgAiEDA0AgACADIgBwIgMNAAsgBSACIABuNgIMIAUgASAAbjYCCAJAIAlFDQAgBSgCFEUNACAFKAJAIQhBACEDA0AgCCADQQJ0aiIHKAIAIgAgACAJbiIBIAlsayICQX8gBSgCDCIGbiIASw0CIAAgAUkNAiABIAZsIgEgAiAGbCAJbiIAQX9zSw0CIAcgACABaiIBNgIAIAEgBSgCDCIATwRAIAcgAEEBazYCAAsgA0EBaiIDIAUoAhRJDQALCyAFKAI0RQ0AIAUQDRoLAkAgBRANIgBFBEAgBUEBNgI0DAELIAUoAkgQAiAFKAJMEAIgBSgCPBACIAUoAkQQAiAFKAJAEAIgBRACQQAhBQsgBEUNASAEIAA2AgAgBQwCCyAEBEAgBEEBNgIACyAHEAIgABACIAUQAkEAIQULIAULCwvoJAYAQYAIC6YBSW52YWxpZCBhcmd1bWVudC4AU3VjY2Vzcy4ASW5wdXQgYW5kIG91dHB1dCBidWZmZXJzIG92ZXJsYXAuAFVua25vd24gZXJyb3IuIEJhZCBlcnJvciBjb2RlIG9yIHN0cmFuZ2UgdmVyc2lvbiBtaXNtYXRjaC4AQmFkIHJlc2FtcGxlciBzdGF0ZS4ATWVtb3J5IGFsbG9jYXRpb24gZmFpbGVkLgBBsAkL0AgIAAAABAAAAOF6VD/2KFw/jAUAABAAAAAEAAAAmplZP65HYT+MBQAAIAAAAAQAAADBymE/w/VoP4wFAAAwAAAACAAAALgeZT+DwGo/lAUAAEAAAAAIAAAAqMZrP9ejcD+UBQAAUAAAABAAAAAxCGw/16NwP5wFAABgAAAAEAAAANejcD+F63E/nAUAAIAAAAAQAAAAMzNzPzMzcz+cBQAAoAAAABAAAACPwnU/j8J1P5wFAADAAAAAIAAAANnOdz/Zznc/pAUAAAABAAAgAAAAmpl5P5qZeT+kBQAAsAUAACAAAADQBgAAIAAAAPAHAAAgAAAAEAkAAEAAAAAAAAAAJZHguiDq7z8AAAAAAADwPyWR4Log6u8/3ksrz82o7z9aH/+a5jzvP1XPF7Xap+4/vqBk9qLr7T/XkG46uArtP4voz2UHCOw/td5vtOPm6j9YAHQU96rpPyJyVTQxWOg/UMWuabXy5j9Y5LYByH7lP5RFJ2y7AOQ/RytKS9184j+po+NqZPfgP6qpl6W+6N4/FsR6gkjv2z9LZsyPhQnZPz/p4VfuPdY/wmpufT+S0z+gvqdqaQvRPytyXzkIW80/J5liL5D3yD+hB8qvF/HEP8pirICMSsE/IsW+bFQKvD9hhQCFH0G2P4/ecB+5NbE/Q4TJnk7DqT8he3vfEXiiP/NHKOi855g/We0O5+l1jj8hAg6hSs1+PwAAAAAAAAAAwVNMzh7i7z8AAAAAAADwP8FTTM4e4u8/z0LImg2J7z8MbeeYf/buP4gSLXk8Le4/mk30twwx7T+1sMC6ngbsP8yZDhlms+o/3Hksx3U96T9RqyK7VqvnP5U2yU3cA+Y/davnpPdN5D93AJvei5DiPxOB6h9E0uA/xgDD0dky3j9TPgRVo9faP9kIYcE/ndc/qGoG4Z+M1D9uJH0YKa3RP1rvefZDCc4/GwBgK1cuyT9RlmsbkM7EP4vsWq3Z68A/6dYpXn4Kuz/fF/rUby61PwYNgUwAOLA/yr1E5fQvqD+mFfjtmHihP0v1U9J5Q5g/lM+f9I0BkD8Abjc9/6iDP95pGUbNmXU/4IWMy+EoYz/8qfHSTWJAPwAAAAAAAAAAuaajkCLa7z8AAAAAAADwP7mmo5Ai2u8/hQsW2ntp7z9ERs1417DuPyZTw4bAtO0/M9ouXVZ77D+pzhc5EwzrP6nqcSGHb+k/cuaRHgqv5z/W0WnEadTlP8CnpBSV6eM/OaAA5Ur44T/qgxvfzQngP1Vq1TJCTdw/Q13e+5+s2D8PWvbBhT7VPx8F28pDDdI/oGc3IxhBzj+Mi3rz4frIP/CuSIb7TMQ/dOMnH8w3wD/uYYrNIm+5PztOVcoAirM/6GEuyuhXrT8kM80qInmlP7tpbfnMgp4/Iix0b4/vlD8+Ed0W2YyLP13CX5umMoE/UAiy2AUHdD+ByCq+BBtlP9zuq5Ov21I/G8qaom1GNz8AQZASC7IEyFEM0oT07z8AAAAAAADwP8hRDNKE9O8/9pUH6SnS7z/a08TxMpnvP9T9ENkPSu8/fp+7blvl7j9hwT+d2WvuPx3X8SV13u0/an9v7Dw+7T/J6jXBYIzsP3ckRQEuyus/Hrx+2gv56j860L80dxrqP/UlI4D+L+k/8kBDgz076D8OB1Pe2D3nP/fyr6N5OeY/TMjFIMkv5T/OuHiRbCLkP/+ZWhkBE+M/L5wx7RcD4j9j2QbNMvTgP01ahnKBz98/zY9k+zW+3T8VxjeQBbfbP+AHrag9vNk/YDMKk/PP1z/zHfzEAfTVP0qFZ/gFKtQ/5808FGBz0j+NyjQ3MtHQP9jRevDBiM4/ryd4Eiqbyz/ISJPeedrIP7XPWyMfR8Y/PVdCFB/hwz+1zQFAHajBP026kLvGNr8/LgwmONRzuz9mkgUKxAS4P4BUFsd55rQ/YkhOJm4Vsj+kFYSXhRuvP+yy6yCnlqo/l6hBRZOTpj8+eC/vWAmjP9XnrEfI3Z8/bM9NFzl2mj/08djo/8mVPw8LtaZ5x5E/VRds+h67jD/+pLEosveGPzy3lup+JYI/pfu1zFROfD9nH1R3n8J1PwXEfxU7dXA/dH+znJ1vaD/T8PMAksBhP/dS2/qnI1k/P8Gs7XlAUT/xQgCR+sJGP3uyzVM+gDw/JlGSIvCPMD/HVG5gehQhP32Jfzcgqws/8WjjiLX45D4AAAAAAAAAABIEAACNBAAAeAQAAAAEAAAbBABB0BYL1xUDAAAABAAAAAQAAAAGAAAAg/miAERObgD8KRUA0VcnAN009QBi28AAPJmVAEGQQwBjUf4Au96rALdhxQA6biQA0k1CAEkG4AAJ6i4AHJLRAOsd/gApsRwA6D6nAPU1ggBEuy4AnOmEALQmcABBfl8A1pE5AFODOQCc9DkAi1+EACj5vQD4HzsA3v+XAA+YBQARL+8AClqLAG0fbQDPfjYACcsnAEZPtwCeZj8ALepfALondQDl68cAPXvxAPc5BwCSUooA+2vqAB+xXwAIXY0AMANWAHv8RgDwq2sAILzPADb0mgDjqR0AXmGRAAgb5gCFmWUAoBRfAI1AaACA2P8AJ3NNAAYGMQDKVhUAyahzAHviYABrjMAAGcRHAM1nwwAJ6NwAWYMqAIt2xACmHJYARK/dABlX0QClPgUABQf/ADN+PwDCMugAmE/eALt9MgAmPcMAHmvvAJ/4XgA1HzoAf/LKAPGHHQB8kCEAaiR8ANVu+gAwLXcAFTtDALUUxgDDGZ0ArcTCACxNQQAMAF0Ahn1GAONxLQCbxpoAM2IAALTSfAC0p5cAN1XVANc+9gCjEBgATXb8AGSdKgBw16sAY3z4AHqwVwAXFecAwElWADvW2QCnhDgAJCPLANaKdwBaVCMAAB+5APEKGwAZzt8AnzH/AGYeagCZV2EArPtHAH5/2AAiZbcAMuiJAOa/YADvxM0AbDYJAF0/1AAW3tcAWDveAN6bkgDSIigAKIboAOJYTQDGyjIACOMWAOB9ywAXwFAA8x2nABjgWwAuEzQAgxJiAINIAQD1jlsArbB/AB7p8gBISkMAEGfTAKrd2ACuX0IAamHOAAoopADTmbQABqbyAFx3fwCjwoMAYTyIAIpzeACvjFoAb9e9AC2mYwD0v8sAjYHvACbBZwBVykUAytk2ACio0gDCYY0AEsl3AAQmFAASRpsAxFnEAMjFRABNspEAABfzANRDrQApSeUA/dUQAAC+/AAelMwAcM7uABM+9QDs8YAAs+fDAMf4KACTBZQAwXE+AC4JswALRfMAiBKcAKsgewAutZ8AR5LCAHsyLwAMVW0AcqeQAGvnHwAxy5YAeRZKAEF54gD034kA6JSXAOLmhACZMZcAiO1rAF9fNgC7/Q4ASJq0AGekbABxckIAjV0yAJ8VuAC85QkAjTElAPd0OQAwBRwADQwBAEsIaAAs7lgAR6qQAHTnAgC91iQA932mAG5IcgCfFu8AjpSmALSR9gDRU1EAzwryACCYMwD1S34AsmNoAN0+XwBAXQMAhYl/AFVSKQA3ZMAAbdgQADJIMgBbTHUATnHUAEVUbgALCcEAKvVpABRm1QAnB50AXQRQALQ72wDqdsUAh/kXAElrfQAdJ7oAlmkpAMbMrACtFFQAkOJqAIjZiQAsclAABKS+AHcHlADzMHAAAPwnAOpxqABmwkkAZOA9AJfdgwCjP5cAQ5T9AA2GjAAxQd4AkjmdAN1wjAAXt+cACN87ABU3KwBcgKAAWoCTABARkgAP6NgAbICvANv/SwA4kA8AWRh2AGKlFQBhy7sAx4m5ABBAvQDS8gQASXUnAOu29gDbIrsAChSqAIkmLwBkg3YACTszAA6UGgBROqoAHaPCAK/trgBcJhIAbcJNAC16nADAVpcAAz+DAAnw9gArQIwAbTGZADm0BwAMIBUA2MNbAPWSxADGrUsATsqlAKc3zQDmqTYAq5KUAN1CaAAZY94AdozvAGiLUgD82zcArqGrAN8VMQAArqEADPvaAGRNZgDtBbcAKWUwAFdWvwBH/zoAavm5AHW+8wAok98Aq4AwAGaM9gAEyxUA+iIGANnkHQA9s6QAVxuPADbNCQBOQukAE76kADMjtQDwqhoAT2WoANLBpQALPw8AW3jNACP5dgB7iwQAiRdyAMamUwBvbuIA7+sAAJtKWADE2rcAqma6AHbPzwDRAh0AsfEtAIyZwQDDrXcAhkjaAPddoADGgPQArPAvAN3smgA/XLwA0N5tAJDHHwAq27YAoyU6AACvmgCtU5MAtlcEACkttABLgH4A2genAHaqDgB7WaEAFhIqANy3LQD65f0Aidv+AIm+/QDkdmwABqn8AD6AcACFbhUA/Yf/ACg+BwBhZzMAKhiGAE296gCz568Aj21uAJVnOQAxv1sAhNdIADDfFgDHLUMAJWE1AMlwzgAwy7gAv2z9AKQAogAFbOQAWt2gACFvRwBiEtIAuVyEAHBhSQBrVuAAmVIBAFBVNwAe1bcAM/HEABNuXwBdMOQAhS6pAB2ywwChMjYACLekAOqx1AAW9yEAj2nkACf/dwAMA4AAjUAtAE/NoAAgpZkAs6LTAC9dCgC0+UIAEdrLAH2+0ACb28EAqxe9AMqigQAIalwALlUXACcAVQB/FPAA4QeGABQLZACWQY0Ah77eANr9KgBrJbYAe4k0AAXz/gC5v54AaGpPAEoqqABPxFoALfi8ANdamAD0x5UADU2NACA6pgCkV18AFD+xAIA4lQDMIAEAcd2GAMnetgC/YPUATWURAAEHawCMsKwAssDQAFFVSAAe+w4AlXLDAKMGOwDAQDUABtx7AOBFzABOKfoA1srIAOjzQQB8ZN4Am2TYANm+MQCkl8MAd1jUAGnjxQDw2hMAujo8AEYYRgBVdV8A0r31AG6SxgCsLl0ADkTtABw+QgBhxIcAKf3pAOfW8wAifMoAb5E1AAjgxQD/140AbmriALD9xgCTCMEAfF10AGutsgDNbp0APnJ7AMYRagD3z6kAKXPfALXJugC3AFEA4rINAHS6JADlfWAAdNiKAA0VLACBGAwAfmaUAAEpFgCfenYA/f2+AFZF7wDZfjYA7NkTAIu6uQDEl/wAMagnAPFuwwCUxTYA2KhWALSotQDPzA4AEoktAG9XNAAsVokAmc7jANYguQBrXqoAPiqcABFfzAD9C0oA4fT7AI47bQDihiwA6dSEAPy0qQDv7tEALjXJAC85YQA4IUQAG9nIAIH8CgD7SmoALxzYAFO0hABOmYwAVCLMACpV3ADAxtYACxmWABpwuABplWQAJlpgAD9S7gB/EQ8A9LURAPzL9QA0vC0ANLzuAOhdzADdXmAAZ46bAJIz7wDJF7gAYVibAOFXvABRg8YA2D4QAN1xSAAtHN0ArxihACEsRgBZ89cA2XqYAJ5UwABPhvoAVgb8AOV5rgCJIjYAOK0iAGeT3ABV6KoAgiY4AMrnmwBRDaQAmTOxAKnXDgBpBUgAZbLwAH+IpwCITJcA+dE2ACGSswB7gkoAmM8hAECf3ADcR1UA4XQ6AGfrQgD+nd8AXtRfAHtnpAC6rHoAVfaiACuIIwBBulUAWW4IACEqhgA5R4MAiePmAOWe1ABJ+0AA/1bpABwPygDFWYoAlPorANPBxQAPxc8A21quAEfFhgCFQ2IAIYY7ACx5lAAQYYcAKkx7AIAsGgBDvxIAiCaQAHg8iQCoxOQA5dt7AMQ6wgAm9OoA92eKAA2SvwBloysAPZOxAL18CwCkUdwAJ91jAGnh3QCalBkAqCmVAGjOKAAJ7bQARJ8gAE6YygBwgmMAfnwjAA+5MgCn9Y4AFFbnACHxCAC1nSoAb35NAKUZUQC1+asAgt/WAJbdYQAWNgIAxDqfAIOioQBy7W0AOY16AIK4qQBrMlwARidbAAA07QDSAHcA/PRVAAFZTQDgcYAAQbMsCz1A+yH5PwAAAAAtRHQ+AAAAgJhG+DwAAABgUcx4OwAAAICDG/A5AAAAQCAlejgAAACAIoLjNgAAAAAd82k1AEHwLAsDcBgB";if(!isDataURI(wasmBinaryFile)){wasmBinaryFile=locateFile(wasmBinaryFile)}function getBinarySync(file){if(file==wasmBinaryFile&&wasmBinary){return new Uint8Array(wasmBinary)}var binary=tryParseAsDataURI(file);if(binary){return binary}if(readBinary){return readBinary(file)}throw"both async and sync fetching of the wasm failed"}function getBinaryPromise(binaryFile){return Promise.resolve().then((()=>getBinarySync(binaryFile)))}function instantiateArrayBuffer(binaryFile,imports,receiver){return getBinaryPromise(binaryFile).then((binary=>WebAssembly.instantiate(binary,imports))).then((instance=>instance)).then(receiver,(reason=>{err("failed to asynchronously prepare wasm: "+reason);abort(reason)}))}function instantiateAsync(binary,binaryFile,imports,callback){return instantiateArrayBuffer(binaryFile,imports,callback)}function createWasm(){var info={"a":wasmImports};function receiveInstance(instance,module){var exports=instance.exports;Module["asm"]=exports;wasmMemory=Module["asm"]["c"];updateMemoryViews();wasmTable=Module["asm"]["k"];addOnInit(Module["asm"]["d"]);removeRunDependency("wasm-instantiate");return exports}addRunDependency("wasm-instantiate");function receiveInstantiationResult(result){receiveInstance(result["instance"])}if(Module["instantiateWasm"]){try{return Module["instantiateWasm"](info,receiveInstance)}catch(e){err("Module.instantiateWasm callback failed with error: "+e);readyPromiseReject(e)}}instantiateAsync(wasmBinary,wasmBinaryFile,info,receiveInstantiationResult).catch(readyPromiseReject);return{}}var callRuntimeCallbacks=callbacks=>{while(callbacks.length>0){callbacks.shift()(Module)}};function getValue(ptr,type="i8"){if(type.endsWith("*"))type="*";switch(type){case"i1":return HEAP8[ptr>>0];case"i8":return HEAP8[ptr>>0];case"i16":return HEAP16[ptr>>1];case"i32":return HEAP32[ptr>>2];case"i64":abort("to do getValue(i64) use WASM_BIGINT");case"float":return HEAPF32[ptr>>2];case"double":return HEAPF64[ptr>>3];case"*":return HEAPU32[ptr>>2];default:abort(`invalid type for getValue: ${type}`)}}function intArrayToString(array){var ret=[];for(var i=0;i<array.length;i++){var chr=array[i];if(chr>255){chr&=255}ret.push(String.fromCharCode(chr))}return ret.join("")}function setValue(ptr,value,type="i8"){if(type.endsWith("*"))type="*";switch(type){case"i1":HEAP8[ptr>>0]=value;break;case"i8":HEAP8[ptr>>0]=value;break;case"i16":HEAP16[ptr>>1]=value;break;case"i32":HEAP32[ptr>>2]=value;break;case"i64":abort("to do setValue(i64) use WASM_BIGINT");case"float":HEAPF32[ptr>>2]=value;break;case"double":HEAPF64[ptr>>3]=value;break;case"*":HEAPU32[ptr>>2]=value;break;default:abort(`invalid type for setValue: ${type}`)}}var _emscripten_memcpy_big=(dest,src,num)=>HEAPU8.copyWithin(dest,src,src+num);var getHeapMax=()=>2147483648;var growMemory=size=>{var b=wasmMemory.buffer;var pages=size-b.byteLength+65535>>>16;try{wasmMemory.grow(pages);updateMemoryViews();return 1}catch(e){}};var _emscripten_resize_heap=requestedSize=>{var oldSize=HEAPU8.length;requestedSize>>>=0;var maxHeapSize=getHeapMax();if(requestedSize>maxHeapSize){return false}var alignUp=(x,multiple)=>x+(multiple-x%multiple)%multiple;for(var cutDown=1;cutDown<=4;cutDown*=2){var overGrownHeapSize=oldSize*(1+.2/cutDown);overGrownHeapSize=Math.min(overGrownHeapSize,requestedSize+100663296);var newSize=Math.min(maxHeapSize,alignUp(Math.max(requestedSize,overGrownHeapSize),65536));var replacement=growMemory(newSize);if(replacement){return true}}return false};var AsciiToString=ptr=>{var str="";while(1){var ch=HEAPU8[ptr++>>0];if(!ch)return str;str+=String.fromCharCode(ch)}};var wasmImports={a:_emscripten_memcpy_big,b:_emscripten_resize_heap};var asm=createWasm();var ___wasm_call_ctors=function(){return(___wasm_call_ctors=Module["asm"]["d"]).apply(null,arguments)};var _speex_resampler_init=Module["_speex_resampler_init"]=function(){return(_speex_resampler_init=Module["_speex_resampler_init"]=Module["asm"]["e"]).apply(null,arguments)};var _free=Module["_free"]=function(){return(_free=Module["_free"]=Module["asm"]["f"]).apply(null,arguments)};var _speex_resampler_destroy=Module["_speex_resampler_destroy"]=function(){return(_speex_resampler_destroy=Module["_speex_resampler_destroy"]=Module["asm"]["g"]).apply(null,arguments)};var _speex_resampler_process_interleaved_float=Module["_speex_resampler_process_interleaved_float"]=function(){return(_speex_resampler_process_interleaved_float=Module["_speex_resampler_process_interleaved_float"]=Module["asm"]["h"]).apply(null,arguments)};var _speex_resampler_get_rate=Module["_speex_resampler_get_rate"]=function(){return(_speex_resampler_get_rate=Module["_speex_resampler_get_rate"]=Module["asm"]["i"]).apply(null,arguments)};var _speex_resampler_strerror=Module["_speex_resampler_strerror"]=function(){return(_speex_resampler_strerror=Module["_speex_resampler_strerror"]=Module["asm"]["j"]).apply(null,arguments)};var ___errno_location=function(){return(___errno_location=Module["asm"]["__errno_location"]).apply(null,arguments)};var _malloc=Module["_malloc"]=function(){return(_malloc=Module["_malloc"]=Module["asm"]["l"]).apply(null,arguments)};function intArrayFromBase64(s){try{var decoded=atob(s);var bytes=new Uint8Array(decoded.length);for(var i=0;i<decoded.length;++i){bytes[i]=decoded.charCodeAt(i)}return bytes}catch(_){throw new Error("Converting base64 string to bytes failed.")}}function tryParseAsDataURI(filename){if(!isDataURI(filename)){return}return intArrayFromBase64(filename.slice(dataURIPrefix.length))}Module["setValue"]=setValue;Module["getValue"]=getValue;Module["AsciiToString"]=AsciiToString;var calledRun;dependenciesFulfilled=function runCaller(){if(!calledRun)run();if(!calledRun)dependenciesFulfilled=runCaller};function run(){if(runDependencies>0){return}preRun();if(runDependencies>0){return}function doRun(){if(calledRun)return;calledRun=true;Module["calledRun"]=true;if(ABORT)return;initRuntime();readyPromiseResolve(Module);if(Module["onRuntimeInitialized"])Module["onRuntimeInitialized"]();postRun()}if(Module["setStatus"]){Module["setStatus"]("Running...");setTimeout((function(){setTimeout((function(){Module["setStatus"]("")}),1);doRun()}),1)}else{doRun()}}if(Module["preInit"]){if(typeof Module["preInit"]=="function")Module["preInit"]=[Module["preInit"]];while(Module["preInit"].length>0){Module["preInit"].pop()()}}run();
-
-
-  return moduleArg.ready
-}
-
-);
-})();
-export default Speex;
\ No newline at end of file
+var Speex=(()=>{var _scriptName=typeof document!=="undefined"&&document.currentScript?document.currentScript.src:undefined;return async function(moduleArg={}){var moduleRtn;var _globalThis$process,_globalThis$process2;function _defineProperty(e,r,t){return(r=_toPropertyKey(r))in e?Object.defineProperty(e,r,{value:t,enumerable:!0,configurable:!0,writable:!0}):e[r]=t,e}function _toPropertyKey(t){var i=_toPrimitive(t,"string");return"symbol"==typeof i?i:i+""}function _toPrimitive(t,r){if("object"!=typeof t||!t)return t;var e=t[Symbol.toPrimitive];if(void 0!==e){var i=e.call(t,r||"default");if("object"!=typeof i)return i;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===r?String:Number)(t)}var Module=moduleArg;var ENVIRONMENT_IS_WEB=!!globalThis.window;var ENVIRONMENT_IS_WORKER=!!globalThis.WorkerGlobalScope;var ENVIRONMENT_IS_NODE=((_globalThis$process=globalThis.process)===null||_globalThis$process===void 0||(_globalThis$process=_globalThis$process.versions)===null||_globalThis$process===void 0?void 0:_globalThis$process.node)&&((_globalThis$process2=globalThis.process)===null||_globalThis$process2===void 0?void 0:_globalThis$process2.type)!="renderer";var arguments_=[];var thisProgram="./this.program";var quit_=(status,toThrow)=>{throw toThrow};if(typeof __filename!="undefined"){_scriptName=__filename}else if(ENVIRONMENT_IS_WORKER){_scriptName=self.location.href}var scriptDirectory="";function locateFile(path){if(Module["locateFile"]){return Module["locateFile"](path,scriptDirectory)}return scriptDirectory+path}var readAsync,readBinary;if(ENVIRONMENT_IS_NODE){var fs=require("node:fs");scriptDirectory=__dirname+"/";readBinary=filename=>{filename=isFileURI(filename)?new URL(filename):filename;var ret=fs.readFileSync(filename);return ret};readAsync=async function(filename){let binary=arguments.length>1&&arguments[1]!==undefined?arguments[1]:true;filename=isFileURI(filename)?new URL(filename):filename;var ret=fs.readFileSync(filename,binary?undefined:"utf8");return ret};if(process.argv.length>1){thisProgram=process.argv[1].replace(/\\/g,"/")}arguments_=process.argv.slice(2);quit_=(status,toThrow)=>{process.exitCode=status;throw toThrow}}else if(ENVIRONMENT_IS_WEB||ENVIRONMENT_IS_WORKER){try{scriptDirectory=new URL(".",_scriptName).href}catch{}{if(ENVIRONMENT_IS_WORKER){readBinary=url=>{var xhr=new XMLHttpRequest;xhr.open("GET",url,false);xhr.responseType="arraybuffer";xhr.send(null);return new Uint8Array(xhr.response)}}readAsync=async url=>{if(isFileURI(url)){return new Promise((resolve,reject)=>{var xhr=new XMLHttpRequest;xhr.open("GET",url,true);xhr.responseType="arraybuffer";xhr.onload=()=>{if(xhr.status==200||xhr.status==0&&xhr.response){resolve(xhr.response);return}reject(xhr.status)};xhr.onerror=reject;xhr.send(null)})}var response=await fetch(url,{credentials:"same-origin"});if(response.ok){return response.arrayBuffer()}throw new Error(response.status+" : "+response.url)}}}else{}var out=console.log.bind(console);var err=console.error.bind(console);var wasmBinary;var ABORT=false;var isFileURI=filename=>filename.startsWith("file://");class EmscriptenEH{}class EmscriptenSjLj extends EmscriptenEH{}var readyPromiseResolve,readyPromiseReject;var runtimeInitialized=false;function updateMemoryViews(){var b=wasmMemory.buffer;HEAP8=new Int8Array(b);HEAP16=new Int16Array(b);Module["HEAPU8"]=HEAPU8=new Uint8Array(b);HEAPU16=new Uint16Array(b);Module["HEAP32"]=HEAP32=new Int32Array(b);Module["HEAPU32"]=HEAPU32=new Uint32Array(b);Module["HEAPF32"]=HEAPF32=new Float32Array(b);HEAPF64=new Float64Array(b)}function preRun(){if(Module["preRun"]){if(typeof Module["preRun"]=="function")Module["preRun"]=[Module["preRun"]];while(Module["preRun"].length){addOnPreRun(Module["preRun"].shift())}}callRuntimeCallbacks(onPreRuns)}function initRuntime(){runtimeInitialized=true;wasmExports["c"]()}function postRun(){if(Module["postRun"]){if(typeof Module["postRun"]=="function")Module["postRun"]=[Module["postRun"]];while(Module["postRun"].length){addOnPostRun(Module["postRun"].shift())}}callRuntimeCallbacks(onPostRuns)}function abort(what){var _Module$onAbort,_readyPromiseReject;(_Module$onAbort=Module["onAbort"])===null||_Module$onAbort===void 0||_Module$onAbort.call(Module,what);what="Aborted(".concat(what,")");err(what);ABORT=true;what+=". Build with -sASSERTIONS for more info.";var e=new WebAssembly.RuntimeError(what);(_readyPromiseReject=readyPromiseReject)===null||_readyPromiseReject===void 0||_readyPromiseReject(e);throw e}var wasmBinaryFile;function findWasmBinary(){return locateFile("speex_wasm.wasm")}function getBinarySync(file){if(file==wasmBinaryFile&&wasmBinary){return new Uint8Array(wasmBinary)}if(readBinary){return readBinary(file)}throw"both async and sync fetching of the wasm failed"}async function getWasmBinary(binaryFile){if(!wasmBinary){try{var response=await readAsync(binaryFile);return new Uint8Array(response)}catch{}}return getBinarySync(binaryFile)}async function instantiateArrayBuffer(binaryFile,imports){try{var binary=await getWasmBinary(binaryFile);var instance=await WebAssembly.instantiate(binary,imports);return instance}catch(reason){err("failed to asynchronously prepare wasm: ".concat(reason));abort(reason)}}async function instantiateAsync(binary,binaryFile,imports){if(!binary&&WebAssembly.instantiateStreaming&&!isFileURI(binaryFile)&&!ENVIRONMENT_IS_NODE){try{var response=fetch(binaryFile,{credentials:"same-origin"});var instantiationResult=await WebAssembly.instantiateStreaming(response,imports);return instantiationResult}catch(reason){err("wasm streaming compile failed: ".concat(reason));err("falling back to ArrayBuffer instantiation")}}return instantiateArrayBuffer(binaryFile,imports)}function getWasmImports(){var imports={a:wasmImports};return imports}async function createWasm(){function receiveInstance(instance,module){wasmExports=instance.exports;assignWasmExports(wasmExports);updateMemoryViews();return wasmExports}function receiveInstantiationResult(result){return receiveInstance(result["instance"])}var info=getWasmImports();if(Module["instantiateWasm"]){return new Promise((resolve,reject)=>{Module["instantiateWasm"](info,(inst,mod)=>{resolve(receiveInstance(inst,mod))})})}wasmBinaryFile!==null&&wasmBinaryFile!==void 0?wasmBinaryFile:wasmBinaryFile=findWasmBinary();var result=await instantiateAsync(wasmBinary,wasmBinaryFile,info);var exports=receiveInstantiationResult(result);return exports}class ExitStatus{constructor(status){_defineProperty(this,"name","ExitStatus");this.message="Program terminated with exit(".concat(status,")");this.status=status}}var HEAP16;var HEAP32;var HEAP8;var HEAPF32;var HEAPF64;var HEAPU16;var HEAPU32;var HEAPU8;var callRuntimeCallbacks=callbacks=>{while(callbacks.length>0){callbacks.shift()(Module)}};var onPostRuns=[];var addOnPostRun=cb=>onPostRuns.push(cb);var onPreRuns=[];var addOnPreRun=cb=>onPreRuns.push(cb);function getValue(ptr){let type=arguments.length>1&&arguments[1]!==undefined?arguments[1]:"i8";if(type.endsWith("*"))type="*";switch(type){case"i1":return HEAP8[ptr];case"i8":return HEAP8[ptr];case"i16":return HEAP16[ptr>>1];case"i32":return HEAP32[ptr>>2];case"i64":abort("to do getValue(i64) use WASM_BIGINT");case"float":return HEAPF32[ptr>>2];case"double":return HEAPF64[ptr>>3];case"*":return HEAPU32[ptr>>2];default:abort("invalid type for getValue: ".concat(type))}}var noExitRuntime=true;function setValue(ptr,value){let type=arguments.length>2&&arguments[2]!==undefined?arguments[2]:"i8";if(type.endsWith("*"))type="*";switch(type){case"i1":HEAP8[ptr]=value;break;case"i8":HEAP8[ptr]=value;break;case"i16":HEAP16[ptr>>1]=value;break;case"i32":HEAP32[ptr>>2]=value;break;case"i64":abort("to do setValue(i64) use WASM_BIGINT");case"float":HEAPF32[ptr>>2]=value;break;case"double":HEAPF64[ptr>>3]=value;break;case"*":HEAPU32[ptr>>2]=value;break;default:abort("invalid type for setValue: ".concat(type))}}var getHeapMax=()=>2147483648;var alignMemory=(size,alignment)=>Math.ceil(size/alignment)*alignment;var growMemory=size=>{var oldHeapSize=wasmMemory.buffer.byteLength;var pages=(size-oldHeapSize+65535)/65536|0;try{wasmMemory.grow(pages);updateMemoryViews();return 1}catch(e){}};var _emscripten_resize_heap=requestedSize=>{var oldSize=HEAPU8.length;requestedSize>>>=0;var maxHeapSize=getHeapMax();if(requestedSize>maxHeapSize){return false}for(var cutDown=1;cutDown<=4;cutDown*=2){var overGrownHeapSize=oldSize*(1+.2/cutDown);overGrownHeapSize=Math.min(overGrownHeapSize,requestedSize+100663296);var newSize=Math.min(maxHeapSize,alignMemory(Math.max(requestedSize,overGrownHeapSize),65536));var replacement=growMemory(newSize);if(replacement){return true}}return false};var AsciiToString=ptr=>{var str="";while(1){var ch=HEAPU8[ptr++];if(!ch)return str;str+=String.fromCharCode(ch)}};{if(Module["noExitRuntime"])noExitRuntime=Module["noExitRuntime"];if(Module["print"])out=Module["print"];if(Module["printErr"])err=Module["printErr"];if(Module["wasmBinary"])wasmBinary=Module["wasmBinary"];if(Module["arguments"])arguments_=Module["arguments"];if(Module["thisProgram"])thisProgram=Module["thisProgram"];if(Module["preInit"]){if(typeof Module["preInit"]=="function")Module["preInit"]=[Module["preInit"]];while(Module["preInit"].length>0){Module["preInit"].shift()()}}}Module["setValue"]=setValue;Module["getValue"]=getValue;Module["AsciiToString"]=AsciiToString;var _speex_resampler_init,_speex_resampler_init_frac,_speex_resampler_set_rate_frac,_free,_speex_resampler_set_quality,_speex_resampler_destroy,_speex_resampler_process_float,_speex_resampler_process_interleaved_float,_speex_resampler_process_interleaved_int,_speex_resampler_set_rate,_speex_resampler_get_rate,_speex_resampler_get_ratio,_speex_resampler_get_input_latency,_speex_resampler_get_output_latency,_speex_resampler_skip_zeros,_speex_resampler_reset_mem,_speex_resampler_strerror,_malloc,memory,__indirect_function_table,wasmMemory;function assignWasmExports(wasmExports){_speex_resampler_init=Module["_speex_resampler_init"]=wasmExports["d"];_speex_resampler_init_frac=Module["_speex_resampler_init_frac"]=wasmExports["e"];_speex_resampler_set_rate_frac=Module["_speex_resampler_set_rate_frac"]=wasmExports["f"];_free=Module["_free"]=wasmExports["g"];_speex_resampler_set_quality=Module["_speex_resampler_set_quality"]=wasmExports["h"];_speex_resampler_destroy=Module["_speex_resampler_destroy"]=wasmExports["i"];_speex_resampler_process_float=Module["_speex_resampler_process_float"]=wasmExports["j"];_speex_resampler_process_interleaved_float=Module["_speex_resampler_process_interleaved_float"]=wasmExports["k"];_speex_resampler_process_interleaved_int=Module["_speex_resampler_process_interleaved_int"]=wasmExports["l"];_speex_resampler_set_rate=Module["_speex_resampler_set_rate"]=wasmExports["m"];_speex_resampler_get_rate=Module["_speex_resampler_get_rate"]=wasmExports["n"];_speex_resampler_get_ratio=Module["_speex_resampler_get_ratio"]=wasmExports["o"];_speex_resampler_get_input_latency=Module["_speex_resampler_get_input_latency"]=wasmExports["p"];_speex_resampler_get_output_latency=Module["_speex_resampler_get_output_latency"]=wasmExports["q"];_speex_resampler_skip_zeros=Module["_speex_resampler_skip_zeros"]=wasmExports["r"];_speex_resampler_reset_mem=Module["_speex_resampler_reset_mem"]=wasmExports["s"];_speex_resampler_strerror=Module["_speex_resampler_strerror"]=wasmExports["t"];_malloc=Module["_malloc"]=wasmExports["u"];memory=wasmMemory=wasmExports["b"];__indirect_function_table=wasmExports["__indirect_function_table"]}var wasmImports={a:_emscripten_resize_heap};function run(){preRun();function doRun(){var _readyPromiseResolve,_Module$onRuntimeInit;Module["calledRun"]=true;if(ABORT)return;initRuntime();(_readyPromiseResolve=readyPromiseResolve)===null||_readyPromiseResolve===void 0||_readyPromiseResolve(Module);(_Module$onRuntimeInit=Module["onRuntimeInitialized"])===null||_Module$onRuntimeInit===void 0||_Module$onRuntimeInit.call(Module);postRun()}if(Module["setStatus"]){Module["setStatus"]("Running...");setTimeout(()=>{setTimeout(()=>Module["setStatus"](""),1);doRun()},1)}else{doRun()}}var wasmExports;wasmExports=await (createWasm());run();if(runtimeInitialized){moduleRtn=Module}else{moduleRtn=new Promise((resolve,reject)=>{readyPromiseResolve=resolve;readyPromiseReject=reject})}
+;return moduleRtn}})();if(typeof exports==="object"&&typeof module==="object"){module.exports=Speex;module.exports.default=Speex}else if(typeof define==="function"&&define["amd"])define([],()=>Speex);
@@ -0,0 +1 @@
+export default 'AGFzbQEAAAABbBBgAX8Bf2AGf39/f39/AX9gBX9/f39/AX9gAX8AYAJ/fwBgAn9/AX9gA39/fwBgAnx/AXxgA3x8fwF8YAF8AXxgAnx8AXxgB39/f39/f38Bf2AGf39/f39/AGAEf39/fwF/YAN/f38Bf2AAAAIHAQFhAWEAAAMlJAMEAAAABwACCAEEBQkKCwwNAQEBAQUAAAAAAAYGDgICAwECDwQFAXABBgYFBwEBwAKAgAIGCAF/AUHwsAQLB1EUAWICAAFjACQBZAAjAWUADwFmAAgBZwABAWgAFgFpACEBagAKAWsAIAFsAB8BbQAeAW4AHQFvABwBcAAbAXEAGgFyABkBcwAYAXQAFwF1AAUJCwEAQQELBRUUExIiCua0ASTfCwEIfwJAIABFDQAgAEEIayIDIABBBGsoAgAiAkF4cSIAaiEFAkAgAkEBcQ0AIAJBAnFFDQEgAyADKAIAIgRrIgNBiC0oAgBJDQEgACAEaiEAAkACQAJAQYwtKAIAIANHBEAgAygCDCEBIARB/wFNBEAgASADKAIIIgJHDQJB+CxB+CwoAgBBfiAEQQN2d3E2AgAMBQsgAygCGCEHIAEgA0cEQCADKAIIIgIgATYCDCABIAI2AggMBAsgAygCFCICBH8gA0EUagUgAygCECICRQ0DIANBEGoLIQQDQCAEIQYgAiIBQRRqIQQgASgCFCICDQAgAUEQaiEEIAEoAhAiAg0ACyAGQQA2AgAMAwsgBSgCBCICQQNxQQNHDQNBgC0gADYCACAFIAJBfnE2AgQgAyAAQQFyNgIEIAUgADYCAA8LIAIgATYCDCABIAI2AggMAgtBACEBCyAHRQ0AAkAgAygCHCIEQQJ0IgIoAqgvIANGBEAgAkGoL2ogATYCACABDQFB/CxB/CwoAgBBfiAEd3E2AgAMAgsCQCADIAcoAhBGBEAgByABNgIQDAELIAcgATYCFAsgAUUNAQsgASAHNgIYIAMoAhAiAgRAIAEgAjYCECACIAE2AhgLIAMoAhQiAkUNACABIAI2AhQgAiABNgIYCyADIAVPDQAgBSgCBCIEQQFxRQ0AAkACQAJAAkAgBEECcUUEQEGQLSgCACAFRgRAQZAtIAM2AgBBhC1BhC0oAgAgAGoiADYCACADIABBAXI2AgQgA0GMLSgCAEcNBkGALUEANgIAQYwtQQA2AgAPC0GMLSgCACIHIAVGBEBBjC0gAzYCAEGALUGALSgCACAAaiIANgIAIAMgAEEBcjYCBCAAIANqIAA2AgAPCyAEQXhxIABqIQAgBSgCDCEBIARB/wFNBEAgBSgCCCICIAFGBEBB+CxB+CwoAgBBfiAEQQN2d3E2AgAMBQsgAiABNgIMIAEgAjYCCAwECyAFKAIYIQggASAFRwRAIAUoAggiAiABNgIMIAEgAjYCCAwDCyAFKAIUIgIEfyAFQRRqBSAFKAIQIgJFDQIgBUEQagshBANAIAQhBiACIgFBFGohBCABKAIUIgINACABQRBqIQQgASgCECICDQALIAZBADYCAAwCCyAFIARBfnE2AgQgAyAAQQFyNgIEIAAgA2ogADYCAAwDC0EAIQELIAhFDQACQCAFKAIcIgRBAnQiAigCqC8gBUYEQCACQagvaiABNgIAIAENAUH8LEH8LCgCAEF+IAR3cTYCAAwCCwJAIAUgCCgCEEYEQCAIIAE2AhAMAQsgCCABNgIUCyABRQ0BCyABIAg2AhggBSgCECICBEAgASACNgIQIAIgATYCGAsgBSgCFCICRQ0AIAEgAjYCFCACIAE2AhgLIAMgAEEBcjYCBCAAIANqIAA2AgAgAyAHRw0AQYAtIAA2AgAPCyAAQf8BTQRAIABB+AFxQaAtaiECAn9B+CwoAgAiBEEBIABBA3Z0IgBxRQRAQfgsIAAgBHI2AgAgAgwBCyACKAIICyEAIAIgAzYCCCAAIAM2AgwgAyACNgIMIAMgADYCCA8LQR8hASAAQf///wdNBEAgAEEmIABBCHZnIgJrdkEBcSACQQF0ckE+cyEBCyADIAE2AhwgA0IANwIQIAFBAnRBqC9qIQQCfwJAAn9B/CwoAgAiBkEBIAF0IgJxRQRAQfwsIAIgBnI2AgAgBCADNgIAQRghAUEIDAELIABBGSABQQF2a0EAIAFBH0cbdCEBIAQoAgAhBANAIAQiAigCBEF4cSAARg0CIAFBHXYhBCABQQF0IQEgAiAEQQRxaiIGKAIQIgQNAAsgBiADNgIQQRghASACIQRBCAshACADIgIMAQsgAigCCCIEIAM2AgwgAiADNgIIQRghAEEIIQFBAAshBiABIANqIAQ2AgAgAyACNgIMIAAgA2ogBjYCAEGYLUGYLSgCAEEBayIAQX8gABs2AgALCyoAIAAgAWo/AEEQdEsEQAALA0AgAQRAIAFBAWsiASAAakEAOgAADAELCwtUAgF/AX4CQEHwLCgCACIBrSAArUIHfEL4////H4N8IgJC/////w9YBEAgAqciAD8AQRB0TQ0BIAAQAA0BC0H0LEEwNgIAQX8PC0HwLCAANgIAIAELkAMBA38CQAJ/QQAgAEUNABogACICIABBAXJBgIAESQ0AGiACCyIAEAUiAkUNACACQQRrLQAAQQNxRQ0AAkAgAEUNACACQQA6AAAgACACaiIBQQFrQQA6AAAgAEEDSQ0AIAJBADoAAiACQQA6AAEgAUEDa0EAOgAAIAFBAmtBADoAACAAQQdJDQAgAkEAOgADIAFBBGtBADoAACAAQQlJDQAgAkEAIAJrQQNxIgFqIgNBADYCACADIAAgAWtBfHEiAGoiAUEEa0EANgIAIABBCUkNACADQQA2AgggA0EANgIEIAFBCGtBADYCACABQQxrQQA2AgAgAEEZSQ0AIANBADYCGCADQQA2AhQgA0EANgIQIANBADYCDCABQRBrQQA2AgAgAUEUa0EANgIAIAFBGGtBADYCACABQRxrQQA2AgAgACADQQRxQRhyIgBrIgFBIEkNACAAIANqIQADQCAAQgA3AxggAEIANwMQIABCADcDCCAAQgA3AwAgAEEgaiEAIAFBIGsiAUEfSw0ACwsLIAILwScBC38jAEEQayIKJAACQAJAAkACQAJAAkACQAJAAkACQCAAQfQBTQRAQfgsKAIAIgRBECAAQQtqQfgDcSAAQQtJGyIGQQN2IgB2IgFBA3EEQAJAIAFBf3NBAXEgAGoiA0EDdCIBQaAtaiIAIAEoAqgtIgIoAggiBUYEQEH4LCAEQX4gA3dxNgIADAELIAUgADYCDCAAIAU2AggLIAJBCGohACACIAFBA3I2AgQgASACaiIBIAEoAgRBAXI2AgQMCwsgBkGALSgCACIITQ0BIAEEQAJAQQIgAHQiAkEAIAJrciABIAB0cWgiA0EDdCIBQaAtaiICIAEoAqgtIgAoAggiBUYEQEH4LCAEQX4gA3dxIgQ2AgAMAQsgBSACNgIMIAIgBTYCCAsgACAGQQNyNgIEIAAgBmoiByABIAZrIgVBAXI2AgQgACABaiAFNgIAIAgEQCAIQXhxQaAtaiEBQYwtKAIAIQICfyAEQQEgCEEDdnQiA3FFBEBB+CwgAyAEcjYCACABDAELIAEoAggLIQMgASACNgIIIAMgAjYCDCACIAE2AgwgAiADNgIICyAAQQhqIQBBjC0gBzYCAEGALSAFNgIADAsLQfwsKAIAIgtFDQEgC2hBAnQoAqgvIgEoAgRBeHEgBmshAyABIQIDQAJAIAEoAhAiAEUEQCABKAIUIgBFDQELIAAoAgRBeHEgBmsiASADIAEgA0kiARshAyAAIAIgARshAiAAIQEMAQsLIAIoAhghCSACIAIoAgwiAEcEQCACKAIIIgEgADYCDCAAIAE2AggMCgsgAigCFCIBBH8gAkEUagUgAigCECIBRQ0DIAJBEGoLIQUDQCAFIQcgASIAQRRqIQUgACgCFCIBDQAgAEEQaiEFIAAoAhAiAQ0ACyAHQQA2AgAMCQtBfyEGIABBv39LDQAgAEELaiIBQXhxIQZB/CwoAgAiB0UNAEEfIQhBACAGayEDIABB9P//B00EQCAGQSYgAUEIdmciAGt2QQFxIABBAXRrQT5qIQgLAkACQAJAIAhBAnQoAqgvIgFFBEBBACEADAELQQAhACAGQRkgCEEBdmtBACAIQR9HG3QhAgNAAkAgASgCBEF4cSAGayIEIANPDQAgASEFIAQiAw0AQQAhAyABIQAMAwsgACABKAIUIgQgBCABIAJBHXZBBHFqKAIQIgFGGyAAIAQbIQAgAkEBdCECIAENAAsLIAAgBXJFBEBBACEFQQIgCHQiAEEAIABrciAHcSIARQ0DIABoQQJ0KAKoLyEACyAARQ0BCwNAIAAoAgRBeHEgBmsiAiADSSEBIAIgAyABGyEDIAAgBSABGyEFIAAoAhAiAQR/IAEFIAAoAhQLIgANAAsLIAVFDQAgA0GALSgCACAGa08NACAFKAIYIQggBSAFKAIMIgBHBEAgBSgCCCIBIAA2AgwgACABNgIIDAgLIAUoAhQiAQR/IAVBFGoFIAUoAhAiAUUNAyAFQRBqCyECA0AgAiEEIAEiAEEUaiECIAAoAhQiAQ0AIABBEGohAiAAKAIQIgENAAsgBEEANgIADAcLIAZBgC0oAgAiBU0EQEGMLSgCACEAAkAgBSAGayIBQRBPBEAgACAGaiICIAFBAXI2AgQgACAFaiABNgIAIAAgBkEDcjYCBAwBCyAAIAVBA3I2AgQgACAFaiIBIAEoAgRBAXI2AgRBACEBQQAhAgtBgC0gATYCAEGMLSACNgIAIABBCGohAAwJCyAGQYQtKAIAIgJJBEBBhC0gAiAGayIBNgIAQZAtQZAtKAIAIgAgBmoiAjYCACACIAFBAXI2AgQgACAGQQNyNgIEIABBCGohAAwJC0EAIQAgBkEvaiIDAn9B0DAoAgAEQEHYMCgCAAwBC0HcMEJ/NwIAQdQwQoCggICAgAQ3AgBB0DAgCkEMakFwcUHYqtWqBXM2AgBB5DBBADYCAEG0MEEANgIAQYAgCyIBaiIEQQAgAWsiB3EiASAGTQ0IQbAwKAIAIgUEQEGoMCgCACIIIAFqIgkgCE0NCSAFIAlJDQkLAkBBtDAtAABBBHFFBEACQAJAAkACQEGQLSgCACIFBEBBuDAhAANAIAAoAgAiCCAFTQRAIAUgCCAAKAIEakkNAwsgACgCCCIADQALC0EAEAMiAkF/Rg0DIAEhBEHUMCgCACIAQQFrIgUgAnEEQCABIAJrIAIgBWpBACAAa3FqIQQLIAQgBk0NA0GwMCgCACIABEBBqDAoAgAiBSAEaiIHIAVNDQQgACAHSQ0ECyAEEAMiACACRw0BDAULIAQgAmsgB3EiBBADIgIgACgCACAAKAIEakYNASACIQALIABBf0YNASAGQTBqIARNBEAgACECDAQLQdgwKAIAIgIgAyAEa2pBACACa3EiAhADQX9GDQEgAiAEaiEEIAAhAgwDCyACQX9HDQILQbQwQbQwKAIAQQRyNgIACyABEAMhAkEAEAMhACACQX9GDQUgAEF/Rg0FIAAgAk0NBSAAIAJrIgQgBkEoak0NBQtBqDBBqDAoAgAgBGoiADYCAEGsMCgCACAASQRAQawwIAA2AgALAkBBkC0oAgAiAwRAQbgwIQADQCACIAAoAgAiASAAKAIEIgVqRg0CIAAoAggiAA0ACwwEC0GILSgCACIAQQAgACACTRtFBEBBiC0gAjYCAAtBACEAQbwwIAQ2AgBBuDAgAjYCAEGYLUF/NgIAQZwtQdAwKAIANgIAQcQwQQA2AgADQCAAQQN0IgEgAUGgLWoiBTYCqC0gASAFNgKsLSAAQQFqIgBBIEcNAAtBhC0gBEEoayIAQXggAmtBB3EiAWsiBTYCAEGQLSABIAJqIgE2AgAgASAFQQFyNgIEIAAgAmpBKDYCBEGULUHgMCgCADYCAAwECyACIANNDQIgASADSw0CIAAoAgxBCHENAiAAIAQgBWo2AgRBkC0gA0F4IANrQQdxIgBqIgE2AgBBhC1BhC0oAgAgBGoiAiAAayIANgIAIAEgAEEBcjYCBCACIANqQSg2AgRBlC1B4DAoAgA2AgAMAwtBACEADAYLQQAhAAwEC0GILSgCACACSwRAQYgtIAI2AgALIAIgBGohBUG4MCEAAkADQCAFIAAoAgAiAUcEQCAAKAIIIgANAQwCCwsgAC0ADEEIcUUNAwtBuDAhAANAAkAgACgCACIBIANNBEAgAyABIAAoAgRqIgVJDQELIAAoAgghAAwBCwtBhC0gBEEoayIAQXggAmtBB3EiAWsiBzYCAEGQLSABIAJqIgE2AgAgASAHQQFyNgIEIAAgAmpBKDYCBEGULUHgMCgCADYCACADIAVBJyAFa0EHcWpBL2siACAAIANBEGpJGyIBQRs2AgQgAUHAMCkCADcCECABQbgwKQIANwIIQcAwIAFBCGo2AgBBvDAgBDYCAEG4MCACNgIAQcQwQQA2AgAgAUEYaiEAA0AgAEEHNgIEIABBCGogAEEEaiEAIAVJDQALIAEgA0YNACABIAEoAgRBfnE2AgQgAyABIANrIgJBAXI2AgQgASACNgIAAn8gAkH/AU0EQCACQfgBcUGgLWohAAJ/QfgsKAIAIgFBASACQQN2dCICcUUEQEH4LCABIAJyNgIAIAAMAQsgACgCCAshASAAIAM2AgggASADNgIMQQwhAkEIDAELQR8hACACQf///wdNBEAgAkEmIAJBCHZnIgBrdkEBcSAAQQF0ckE+cyEACyADIAA2AhwgA0IANwIQIABBAnRBqC9qIQECQAJAQfwsKAIAIgVBASAAdCIEcUUEQEH8LCAEIAVyNgIAIAEgAzYCAAwBCyACQRkgAEEBdmtBACAAQR9HG3QhACABKAIAIQUDQCAFIgEoAgRBeHEgAkYNAiAAQR12IQUgAEEBdCEAIAEgBUEEcWoiBCgCECIFDQALIAQgAzYCEAsgAyABNgIYQQghAiADIgEhAEEMDAELIAEoAggiACADNgIMIAEgAzYCCCADIAA2AghBACEAQRghAkEMCyADaiABNgIAIAIgA2ogADYCAAtBhC0oAgAiACAGTQ0AQYQtIAAgBmsiATYCAEGQLUGQLSgCACIAIAZqIgI2AgAgAiABQQFyNgIEIAAgBkEDcjYCBCAAQQhqIQAMBAtB9CxBMDYCAEEAIQAMAwsgACACNgIAIAAgACgCBCAEajYCBCACQXggAmtBB3FqIgggBkEDcjYCBCABQXggAWtBB3FqIgQgBiAIaiIDayEHAkBBkC0oAgAgBEYEQEGQLSADNgIAQYQtQYQtKAIAIAdqIgA2AgAgAyAAQQFyNgIEDAELQYwtKAIAIARGBEBBjC0gAzYCAEGALUGALSgCACAHaiIANgIAIAMgAEEBcjYCBCAAIANqIAA2AgAMAQsgBCgCBCIAQQNxQQFGBEAgAEF4cSEJIAQoAgwhAgJAIABB/wFNBEAgBCgCCCIBIAJGBEBB+CxB+CwoAgBBfiAAQQN2d3E2AgAMAgsgASACNgIMIAIgATYCCAwBCyAEKAIYIQYCQCACIARHBEAgBCgCCCIAIAI2AgwgAiAANgIIDAELAkAgBCgCFCIABH8gBEEUagUgBCgCECIARQ0BIARBEGoLIQEDQCABIQUgACICQRRqIQEgACgCFCIADQAgAkEQaiEBIAIoAhAiAA0ACyAFQQA2AgAMAQtBACECCyAGRQ0AAkAgBCgCHCIAQQJ0IgEoAqgvIARGBEAgAUGoL2ogAjYCACACDQFB/CxB/CwoAgBBfiAAd3E2AgAMAgsCQCAEIAYoAhBGBEAgBiACNgIQDAELIAYgAjYCFAsgAkUNAQsgAiAGNgIYIAQoAhAiAARAIAIgADYCECAAIAI2AhgLIAQoAhQiAEUNACACIAA2AhQgACACNgIYCyAHIAlqIQcgBCAJaiIEKAIEIQALIAQgAEF+cTYCBCADIAdBAXI2AgQgAyAHaiAHNgIAIAdB/wFNBEAgB0H4AXFBoC1qIQACf0H4LCgCACIBQQEgB0EDdnQiAnFFBEBB+CwgASACcjYCACAADAELIAAoAggLIQEgACADNgIIIAEgAzYCDCADIAA2AgwgAyABNgIIDAELQR8hAiAHQf///wdNBEAgB0EmIAdBCHZnIgBrdkEBcSAAQQF0ckE+cyECCyADIAI2AhwgA0IANwIQIAJBAnRBqC9qIQACQAJAQfwsKAIAIgFBASACdCIFcUUEQEH8LCABIAVyNgIAIAAgAzYCAAwBCyAHQRkgAkEBdmtBACACQR9HG3QhAiAAKAIAIQEDQCABIgAoAgRBeHEgB0YNAiACQR12IQEgAkEBdCECIAAgAUEEcWoiBSgCECIBDQALIAUgAzYCEAsgAyAANgIYIAMgAzYCDCADIAM2AggMAQsgACgCCCIBIAM2AgwgACADNgIIIANBADYCGCADIAA2AgwgAyABNgIICyAIQQhqIQAMAgsCQCAIRQ0AAkAgBSgCHCIBQQJ0IgIoAqgvIAVGBEAgAkGoL2ogADYCACAADQFB/CwgB0F+IAF3cSIHNgIADAILAkAgBSAIKAIQRgRAIAggADYCEAwBCyAIIAA2AhQLIABFDQELIAAgCDYCGCAFKAIQIgEEQCAAIAE2AhAgASAANgIYCyAFKAIUIgFFDQAgACABNgIUIAEgADYCGAsCQCADQQ9NBEAgBSADIAZqIgBBA3I2AgQgACAFaiIAIAAoAgRBAXI2AgQMAQsgBSAGQQNyNgIEIAUgBmoiBCADQQFyNgIEIAMgBGogAzYCACADQf8BTQRAIANB+AFxQaAtaiEAAn9B+CwoAgAiAUEBIANBA3Z0IgJxRQRAQfgsIAEgAnI2AgAgAAwBCyAAKAIICyEBIAAgBDYCCCABIAQ2AgwgBCAANgIMIAQgATYCCAwBC0EfIQAgA0H///8HTQRAIANBJiADQQh2ZyIAa3ZBAXEgAEEBdHJBPnMhAAsgBCAANgIcIARCADcCECAAQQJ0QagvaiEBAkACQCAHQQEgAHQiAnFFBEBB/CwgAiAHcjYCACABIAQ2AgAgBCABNgIYDAELIANBGSAAQQF2a0EAIABBH0cbdCEAIAEoAgAhAQNAIAEiAigCBEF4cSADRg0CIABBHXYhASAAQQF0IQAgAiABQQRxaiIHKAIQIgENAAsgByAENgIQIAQgAjYCGAsgBCAENgIMIAQgBDYCCAwBCyACKAIIIgAgBDYCDCACIAQ2AgggBEEANgIYIAQgAjYCDCAEIAA2AggLIAVBCGohAAwBCwJAIAlFDQACQCACKAIcIgFBAnQiBSgCqC8gAkYEQCAFQagvaiAANgIAIAANAUH8LCALQX4gAXdxNgIADAILAkAgAiAJKAIQRgRAIAkgADYCEAwBCyAJIAA2AhQLIABFDQELIAAgCTYCGCACKAIQIgEEQCAAIAE2AhAgASAANgIYCyACKAIUIgFFDQAgACABNgIUIAEgADYCGAsCQCADQQ9NBEAgAiADIAZqIgBBA3I2AgQgACACaiIAIAAoAgRBAXI2AgQMAQsgAiAGQQNyNgIEIAIgBmoiBSADQQFyNgIEIAMgBWogAzYCACAIBEAgCEF4cUGgLWohAEGMLSgCACEBAn9BASAIQQN2dCIHIARxRQRAQfgsIAQgB3I2AgAgAAwBCyAAKAIICyEEIAAgATYCCCAEIAE2AgwgASAANgIMIAEgBDYCCAtBjC0gBTYCAEGALSADNgIACyACQQhqIQALIApBEGokACAAC6gBAAJAIAFBgAhOBEAgAEQAAAAAAADgf6IhACABQf8PSQRAIAFB/wdrIQEMAgsgAEQAAAAAAADgf6IhAEH9FyABIAFB/RdPG0H+D2shAQwBCyABQYF4Sg0AIABEAAAAAAAAYAOiIQAgAUG4cEsEQCABQckHaiEBDAELIABEAAAAAAAAYAOiIQBB8GggASABQfBoTRtBkg9qIQELIAAgAUH/B2qtQjSGv6ILiRYDE38JfAZ9IAAgACgCCCICIAAoAgwiAW4iBjYCJCAAIAAoAhBBFGwiA0G0CWooAgAiBDYCMCAAKAIYIQ0gACADQbAJaiIDKAIAIgU2AhggACACIAEgBmxrNgIoIAAoAhwhDwJAAkACQAJAIAEgAkkEQCAAIAMqAgggAbOUIAKzlTgCLCAFIAUgAW4iAyABbGsiBUF/IAJuIgZLDQIgAyAGSw0CIAIgA2wiAyACIAVsIAFuIgVBf3NLDQIgACADIAVqQQFrQXhxQQhqIgU2AhhBASAEIAFBAXQgAkkiA3YgAUECdCACSSIGdiABQQN0IAJJIgd2IAFBBHQgAkkiCHYiAiACQQFNGyEEAkAgBg0AIAJFDQAgAw0AIAcNACAIRQ0CCyAAIAQ2AjAMAQsgACADKgIMOAIsCwJ/AkAgASAFbCICIAQgBWxBCGoiA0sNAEH/////ASABbiAFSQ0AQQEMAQtB9////wEgBG4gBUkNASADIQJBAAshASACIAAoAlBLBEAgACgCTCACQQJ0EAwiA0UNASAAIAI2AlAgACADNgJMCwJAIAFFBEAgACgCECEDIAAoAhgiAiAAKAIwIgFsQQRqIgRBfU4EQCACtyIXRAAAAAAAAOA/oiEYIAJBAXazIR8gACgCTCEFIAGzISBBfCEBIANBFGxBwAlqKAIAIQYDQCAAKgIsIR4gBSABQQJ0agJ9IB4gAbIgIJUgH5MiIbsiFJkiFUSN7bWg98awPmMNABpDAAAAACAVIBhkDQAaIAYoAgAgFCAUoCAXo7aLIAYoAgSylCIdjiIii0MAAABPXQR/ICKoBUGAgICAeAsiB0EDdGoiAisDCCEZIAIrAwAhGiACKwMQIRYgAisDGCEUICEgHpS7RBgtRFT7IQlAoiIVEA0gHruiIBWjIBQgHSAHspMiHbsiFESVqGdVVVXFv6IgHSAdIB2UIh2UuyIVRJWoZ1VVVcU/oqAiG6IgFiAVRAAAAAAAAOC/oiAdu0QAAAAAAADgP6IiFiAUoKAiHKIgGiAVRJWoZ1VVVcW/oiAURLUrTFVVVdW/oiAWoKAiFKIgGUQAAAAAAADwPyAboSAcoSAUoaKgoKCitgs4AhAgAUEBaiIBIARHDQALCyADQQlOBEAgAEEBNgJUDAILIABBAjYCVAwBCwJAIAAoAgwiBkUEQCAAKAIQIQQMAQsgACgCGCICQX5tIAAoAhAhBCACRQ0AIAK3IhdEAAAAAAAA4D+iIRhBAWohByAGsyEfIAAoAkwhCEEAIQMgBEEUbEHACWooAgAhCwNAIAOzIB+VISAgCCACIANsQQJ0aiEJQQAhAQNAIAAqAiwhHiAJIAFBAnRqAn0gHiABIAdqsiAgkyIhuyIUmSIVRI3ttaD3xrA+Yw0AGkMAAAAAIBUgGGQNABogCygCACAUIBSgIBejtosgCygCBLKUIh2OIiKLQwAAAE9dBH8gIqgFQYCAgIB4CyIKQQN0aiIFKwMIIRkgBSsDACEaIAUrAxAhFiAFKwMYIRQgISAelLtEGC1EVPshCUCiIhUQDSAeu6IgFaMgFCAdIAqykyIduyIURJWoZ1VVVcW/oiAdIB0gHZQiHZS7IhVElahnVVVVxT+ioCIboiAWIBVEAAAAAAAA4L+iIB27RAAAAAAAAOA/oiIWIBSgoCIcoiAaIBVElahnVVVVxb+iIBREtStMVVVV1b+iIBagoCIUoiAZRAAAAAAAAPA/IBuhIByhIBShoqCgoKK2CzgCACABQQFqIgEgAkcNAAsgA0EBaiIDIAZHDQALCyAEQQlOBEAgAEEDNgJUDAELIABBBDYCVAsgACgCGCAAKAIgakEBayIDIAAoAhwiAksEQEH/////ASAAKAIUIgJuIANJDQEgACgCSCACIANsQQJ0EAwiAkUNASAAIAM2AhwgACACNgJIIAMhAgsgACgCOEUEQCACIAAoAhRsIgJFBEBBAA8LQQAhASACQQJ0IgJFDQMgACgCSCACEAJBAA8LIAAoAhgiAiANTQ0BIAAoAhQiAkUEQEEADwsgDUECayELIA1BAWshDiAAKAJEIRADQCAQIAJBAWsiAkECdCIRaiIHKAIAIgVBAXQhCQJAIAUgDmoiAUUNACAAKAJIIgQgACgCHCACbEECdGogBUECdGohAyAEIAIgD2xBAnRqIQZBACEEIAFBA3EiCARAA0AgAyABQQFrIgFBAnQiCmogBiAKaioCADgCACAEQQFqIgQgCEcNAAsLIAUgC2pBAk0NAANAIAMgAUECdCIEQQRrIghqIAYgCGoqAgA4AgAgAyAEQQhrIghqIAYgCGoqAgA4AgAgAyAEQQxrIgRqIAQgBmoqAgA4AgAgAyABQQRrIgFBAnQiBGogBCAGaioCADgCACABDQALCyAJIA1qIQMCQCAFRQ0AIAVBAnQiAUUNACAAKAJIIAAoAhwgAmxBAnRqIAEQAgsgB0EANgIAAkAgAyAAKAIYIgVJBEACQCADQQFrIghFDQAgACgCSCAAKAIcIAJsQQJ0aiIBIAVBAnRqQQhrIQYgASADQQJ0akEIayEHIAhBA3EhCkEAIQxBACEEQQAhASAJIAtqQQNPBEAgCEF8cSESQQAhCQNAIAYgBEECdCIEaiAEIAdqKgIAOAIAIAYgAUF/c0ECdCIEaiAEIAdqKgIAOAIAIAYgAUECdCIEQXhzIhNqIAcgE2oqAgA4AgAgBiAEQXRzIgRqIAQgB2oqAgA4AgAgAUF8cyEEIAFBBGohASAJQQRqIgkgEkcNAAsgCkUNAQsDQCAGIARBAnQiBGogBCAHaioCADgCACABQX9zIQQgAUEBaiEBIAxBAWoiDCAKRw0ACwsCQCAIIAVBAWtPDQAgBSADa0ECdCIBRQ0AIAAoAkggACgCHCACbEECdGogARACCyAAKAI8IBFqIgEgASgCACAFIANrQQF2ajYCAAwBCyAHIAMgBWtBAXYiBjYCACAGIAAoAhhqIgVBAWsiA0UNACADQQNxIQggACgCSCAAKAIcIAJsQQJ0aiEJQQAhBEEAIQEgBUECa0EDTwRAIANBfHEhCkEAIQMDQCAJIAFBAnRqIgUgBSAGQQJ0IgdqKgIAOAIAIAVBBGoiDCAHIAxqKgIAOAIAIAVBCGoiDCAHIAxqKgIAOAIAIAVBDGoiBSAFIAdqKgIAOAIAIAFBBGohASADQQRqIgMgCkcNAAsgCEUNAQsDQCAJIAFBAnRqIgMgAyAGQQJ0aioCADgCACABQQFqIQEgBEEBaiIEIAhHDQALCyACDQALQQAPCyAAIA02AhggAEEFNgJUQQEhAQwBC0EAIQEgAiANTw0AIAAoAhRFDQAgACgCRCEKQQAhAgNAIAogAkECdGoiCCgCACEDIAggDSAAKAIYa0EBdiIFNgIAAkAgAyAFaiIMIAAoAhgiB2pBAWsiBkUNACAGQQNxIQsgACgCSCAAKAIcIAJsQQJ0aiEJQQAhBCADIAdqIAVqQQJrQQNPBEAgBkF8cSEPQQAhAwNAIAkgAUECdGoiBiAGIAVBAnQiB2oqAgA4AgAgBkEEaiIOIAcgDmoqAgA4AgAgBkEIaiIOIAcgDmoqAgA4AgAgBkEMaiIGIAYgB2oqAgA4AgAgAUEEaiEBIANBBGoiAyAPRw0ACyALRQ0BCwNAIAkgAUECdGoiAyADIAVBAnRqKgIAOAIAIAFBAWohASAEQQFqIgQgC0cNAAsLIAggDDYCAEEAIQEgAkEBaiICIAAoAhRJDQALCyABC7MCAQV/QQMhBgJAIAFFDQAgAkUNAAJAIAAoAgAgA0cNACAAKAIEIARHDQAgACgCCCABRw0AIAAoAgwgAkcNAEEADwsgACAENgIEIAAgAzYCACAAKAIMIQUgASEEIAIhAwNAIAQgAyIEcCIDDQALIAAgAiAEbjYCDCAAIAEgBG42AggCQCAFRQ0AIAAoAhRFDQAgACgCQCEHQQAhAwNAQQUhBiAHIANBAnRqIgEoAgAiAiACIAVuIgIgBWxrIghBfyAAKAIMIgRuIglLDQIgAiAJSw0CIAIgBGwiAiAEIAhsIAVuIgRBf3NLDQIgASACIARqIgI2AgAgAiAAKAIMIgJPBEAgASACQQFrNgIACyADQQFqIgMgACgCFEkNAAsLIAAoAjRFBEBBAA8LIAAQByEGCyAGC5kBAQN8IAAgAKIiAyADIAOioiADRHzVz1o62eU9okTrnCuK5uVavqCiIAMgA0R9/rFX4x3HPqJE1WHBGaABKr+gokSm+BARERGBP6CgIQUgACADoiEEIAJFBEAgBCADIAWiRElVVVVVVcW/oKIgAKAPCyAAIAMgAUQAAAAAAADgP6IgBCAFoqGiIAGhIARESVVVVVVVxT+ioKEL+wYBEH8jAEEQayIHJAAgByAENgIMIAAoAhghBiAAKAIcIQQgACgCSCEMIAAoAlghDSAFKAIAIQogAygCACEOAkAgAUECdCIPIAAoAkRqKAIABEAgCiAAIAEgB0EMaiAKEBFrIQogACgCRCAPaigCAA0BCyAORQ0AIApFDQAgBCAGQQFrIgZrIRIgDCABIARsQQJ0aiAGQQJ0aiEMIAcoAgwhDwNAIAcgDiASIA4gEkkbIgY2AgggByAKNgIEAkAgAgRAIAZFDQEgBkEDcSEIQQAhC0EAIQQgBkEETwRAIAZBfHEhEEEAIQYDQCAMIARBAnRqIAIgBCANbEECdGoqAgA4AgAgDCAEQQFyIglBAnRqIAIgCSANbEECdGoqAgA4AgAgDCAEQQJyIglBAnRqIAIgCSANbEECdGoqAgA4AgAgDCAEQQNyIglBAnRqIAIgCSANbEECdGoqAgA4AgAgBEEEaiEEIAZBBGoiBiAQRw0ACyAIRQ0CCwNAIAwgBEECdGogAiAEIA1sQQJ0aioCADgCACAEQQFqIQQgC0EBaiILIAhHDQALDAELIAZFDQAgBkECdCIERQ0AIAwgBBACCyAAQQE2AjggACgCGCEIIAAgASAAKAJIIAAoAhwgAWxBAnRqIhAgB0EIaiAPIAdBBGogACgCVBEBACEJIAAoAjwgAUECdGoiCygCACIEIAcoAggiBkgEQCAHIAQ2AgggBCEGCyAHIAk2AgQgCyALKAIAIAZrNgIAIAcoAggiCyEEIAhBAk4EQCAIQQFrIgZBA3EhCUEAIRNBACEEAkAgCEECa0EDTwRAIAZBfHEhFUEAIRQDQCAQIARBAnRqIgYgBiALQQJ0IghqKgIAOAIAIAZBBGoiESAIIBFqKgIAOAIAIAZBCGoiESAIIBFqKgIAOAIAIAZBDGoiBiAGIAhqKgIAOAIAIARBBGohBCAUQQRqIhQgFUcNAAsgCUUNAQsDQCAQIARBAnRqIgYgBiALQQJ0aioCADgCACAEQQFqIQQgE0EBaiITIAlHDQALCyAHKAIIIQQLIAogBygCBCIGayEKIA4gC2siDkUNASACIAQgDWxBAnRqQQAgAhshAiAPIAAoAlwgBmxBAnRqIQ8gCg0ACwsgAyADKAIAIA5rNgIAIAUgBSgCACAKazYCACAAKAJUIAdBEGokAEEFRguNCwEHfyAAIAFqIQUCQAJAIAAoAgQiAkEBcQ0AIAJBAnFFDQEgACgCACICIAFqIQECQAJAAkAgACACayIAQYwtKAIARwRAIAAoAgwhAyACQf8BTQRAIAMgACgCCCIERw0CQfgsQfgsKAIAQX4gAkEDdndxNgIADAULIAAoAhghBiAAIANHBEAgACgCCCICIAM2AgwgAyACNgIIDAQLIAAoAhQiBAR/IABBFGoFIAAoAhAiBEUNAyAAQRBqCyECA0AgAiEHIAQiA0EUaiECIAMoAhQiBA0AIANBEGohAiADKAIQIgQNAAsgB0EANgIADAMLIAUoAgQiAkEDcUEDRw0DQYAtIAE2AgAgBSACQX5xNgIEIAAgAUEBcjYCBCAFIAE2AgAPCyAEIAM2AgwgAyAENgIIDAILQQAhAwsgBkUNAAJAIAAoAhwiAkECdCIEKAKoLyAARgRAIARBqC9qIAM2AgAgAw0BQfwsQfwsKAIAQX4gAndxNgIADAILAkAgACAGKAIQRgRAIAYgAzYCEAwBCyAGIAM2AhQLIANFDQELIAMgBjYCGCAAKAIQIgIEQCADIAI2AhAgAiADNgIYCyAAKAIUIgJFDQAgAyACNgIUIAIgAzYCGAsCQAJAAkACQCAFKAIEIgJBAnFFBEBBkC0oAgAgBUYEQEGQLSAANgIAQYQtQYQtKAIAIAFqIgE2AgAgACABQQFyNgIEIABBjC0oAgBHDQZBgC1BADYCAEGMLUEANgIADwtBjC0oAgAiCCAFRgRAQYwtIAA2AgBBgC1BgC0oAgAgAWoiATYCACAAIAFBAXI2AgQgACABaiABNgIADwsgAkF4cSABaiEBIAUoAgwhAyACQf8BTQRAIAUoAggiBCADRgRAQfgsQfgsKAIAQX4gAkEDdndxNgIADAULIAQgAzYCDCADIAQ2AggMBAsgBSgCGCEGIAMgBUcEQCAFKAIIIgIgAzYCDCADIAI2AggMAwsgBSgCFCIEBH8gBUEUagUgBSgCECIERQ0CIAVBEGoLIQIDQCACIQcgBCIDQRRqIQIgAygCFCIEDQAgA0EQaiECIAMoAhAiBA0ACyAHQQA2AgAMAgsgBSACQX5xNgIEIAAgAUEBcjYCBCAAIAFqIAE2AgAMAwtBACEDCyAGRQ0AAkAgBSgCHCICQQJ0IgQoAqgvIAVGBEAgBEGoL2ogAzYCACADDQFB/CxB/CwoAgBBfiACd3E2AgAMAgsCQCAFIAYoAhBGBEAgBiADNgIQDAELIAYgAzYCFAsgA0UNAQsgAyAGNgIYIAUoAhAiAgRAIAMgAjYCECACIAM2AhgLIAUoAhQiAkUNACADIAI2AhQgAiADNgIYCyAAIAFBAXI2AgQgACABaiABNgIAIAAgCEcNAEGALSABNgIADwsgAUH/AU0EQCABQfgBcUGgLWohAgJ/QfgsKAIAIgNBASABQQN2dCIBcUUEQEH4LCABIANyNgIAIAIMAQsgAigCCAshASACIAA2AgggASAANgIMIAAgAjYCDCAAIAE2AggPC0EfIQMgAUH///8HTQRAIAFBJiABQQh2ZyICa3ZBAXEgAkEBdHJBPnMhAwsgACADNgIcIABCADcCECADQQJ0QagvaiECAkACQEH8LCgCACIEQQEgA3QiB3FFBEBB/CwgBCAHcjYCACACIAA2AgAgACACNgIYDAELIAFBGSADQQF2a0EAIANBH0cbdCEDIAIoAgAhAgNAIAIiBCgCBEF4cSABRg0CIANBHXYhAiADQQF0IQMgBCACQQRxaiIHKAIQIgINAAsgByAANgIQIAAgBDYCGAsgACAANgIMIAAgADYCCA8LIAQoAggiASAANgIMIAQgADYCCCAAQQA2AhggACAENgIMIAAgATYCCAsLqwwBC38gAEUEQCABEAUPCyABQUBPBEBB9CxBMDYCAEEADwsCf0EQIAFBC2pBeHEgAUELSRshBiAAQQhrIgMoAgQiCEF4cSEEAkAgCEEDcUUEQCAGQYACSQ0BIAZBBGogBE0EQCADIQIgBCAGa0HYMCgCAEEBdE0NAgtBAAwCCyADIARqIQcCQCAEIAZPBEAgBCAGayICQRBJDQEgAyAGIAhBAXFyQQJyNgIEIAMgBmoiBCACQQNyNgIEIAcgBygCBEEBcjYCBCAEIAIQCwwBC0GQLSgCACAHRgRAQYQtKAIAIARqIgQgBk0NAiADIAYgCEEBcXJBAnI2AgQgAyAGaiICIAQgBmsiBEEBcjYCBEGELSAENgIAQZAtIAI2AgAMAQtBjC0oAgAgB0YEQEGALSgCACAEaiIEIAZJDQICQCAEIAZrIgJBEE8EQCADIAYgCEEBcXJBAnI2AgQgAyAGaiIFIAJBAXI2AgQgAyAEaiIEIAI2AgAgBCAEKAIEQX5xNgIEDAELIAMgCEEBcSAEckECcjYCBCADIARqIgIgAigCBEEBcjYCBEEAIQILQYwtIAU2AgBBgC0gAjYCAAwBCyAHKAIEIgVBAnENASAFQXhxIARqIgsgBkkNASALIAZrIQwgBygCDCEEAkAgBUH/AU0EQCAHKAIIIgIgBEYEQEH4LEH4LCgCAEF+IAVBA3Z3cTYCAAwCCyACIAQ2AgwgBCACNgIIDAELIAcoAhghCQJAIAQgB0cEQCAHKAIIIgIgBDYCDCAEIAI2AggMAQsCQCAHKAIUIgIEfyAHQRRqBSAHKAIQIgJFDQEgB0EQagshBQNAIAUhCiACIgRBFGohBSACKAIUIgINACAEQRBqIQUgBCgCECICDQALIApBADYCAAwBC0EAIQQLIAlFDQACQCAHKAIcIgJBAnQiBSgCqC8gB0YEQCAFQagvaiAENgIAIAQNAUH8LEH8LCgCAEF+IAJ3cTYCAAwCCwJAIAcgCSgCEEYEQCAJIAQ2AhAMAQsgCSAENgIUCyAERQ0BCyAEIAk2AhggBygCECICBEAgBCACNgIQIAIgBDYCGAsgBygCFCICRQ0AIAQgAjYCFCACIAQ2AhgLIAxBD00EQCADIAhBAXEgC3JBAnI2AgQgAyALaiICIAIoAgRBAXI2AgQMAQsgAyAGIAhBAXFyQQJyNgIEIAMgBmoiAiAMQQNyNgIEIAMgC2oiBCAEKAIEQQFyNgIEIAIgDBALCyADIQILIAILIgIEQCACQQhqDwsgARAFIgRFBEBBAA8LIAQhAgJAQXxBeCAAIgNBBGsoAgAiBUEDcRsgBUF4cWoiBSABIAEgBUsbIgFBgARPBEAgAQRAPwBBEHQiBSABIAJqSSABIANqIAVLcgRAAAsgAiADSwR/IAFBAWshBUF/IQFBfwVBACEFQQELIQoDQCABIAVHBEAgAiAFaiADIAVqLQAAOgAAIAUgCmohBQwBCwsLDAELIAEgAmohBQJAIAIgA3NBA3FFBEACQCACQQNxRQ0AIAFFDQADQCACIAMtAAA6AAAgA0EBaiEDIAJBAWoiAkEDcUUNASACIAVJDQALCyAFQXxxIQECQCAFQcAASQ0AIAIgAUFAaiIKSw0AA0AgAiADKAIANgIAIAIgAygCBDYCBCACIAMoAgg2AgggAiADKAIMNgIMIAIgAygCEDYCECACIAMoAhQ2AhQgAiADKAIYNgIYIAIgAygCHDYCHCACIAMoAiA2AiAgAiADKAIkNgIkIAIgAygCKDYCKCACIAMoAiw2AiwgAiADKAIwNgIwIAIgAygCNDYCNCACIAMoAjg2AjggAiADKAI8NgI8IANBQGshAyACQUBrIgIgCk0NAAsLIAEgAk0NAQNAIAIgAygCADYCACADQQRqIQMgAkEEaiICIAFJDQALDAELIAVBBEkNACABQQRJDQAgBUEEayEBA0AgAiADLQAAOgAAIAIgAy0AAToAASACIAMtAAI6AAIgAiADLQADOgADIANBBGohAyACQQRqIgIgAU0NAAsLIAIgBUkEQANAIAIgAy0AADoAACADQQFqIQMgAkEBaiICIAVHDQALCwsgABABIAQLwBkDE38EfAF+IwBBEGsiBCQAAkAgAL1CIIinQf////8HcSIBQfvDpP8DTQRAIAFBgIDA8gNJDQEgAEQAAAAAAAAAAEEAEAkhAAwBCyABQYCAwP8HTwRAIAAgAKEhAAwBCyMAQTBrIgkkAAJAAkACQCAAvSIYQiCIpyIBQf////8HcSIGQfrUvYAETQRAIAFB//8/cUH7wyRGDQEgBkH8souABE0EQCAYQgBZBEAgBCAARAAAQFT7Ifm/oCIARDFjYhphtNC9oCIUOQMAIAQgACAUoUQxY2IaYbTQvaA5AwhBASEBDAULIAQgAEQAAEBU+yH5P6AiAEQxY2IaYbTQPaAiFDkDACAEIAAgFKFEMWNiGmG00D2gOQMIQX8hAQwECyAYQgBZBEAgBCAARAAAQFT7IQnAoCIARDFjYhphtOC9oCIUOQMAIAQgACAUoUQxY2IaYbTgvaA5AwhBAiEBDAQLIAQgAEQAAEBU+yEJQKAiAEQxY2IaYbTgPaAiFDkDACAEIAAgFKFEMWNiGmG04D2gOQMIQX4hAQwDCyAGQbuM8YAETQRAIAZBvPvXgARNBEAgBkH8ssuABEYNAiAYQgBZBEAgBCAARAAAMH982RLAoCIARMqUk6eRDum9oCIUOQMAIAQgACAUoUTKlJOnkQ7pvaA5AwhBAyEBDAULIAQgAEQAADB/fNkSQKAiAETKlJOnkQ7pPaAiFDkDACAEIAAgFKFEypSTp5EO6T2gOQMIQX0hAQwECyAGQfvD5IAERg0BIBhCAFkEQCAEIABEAABAVPshGcCgIgBEMWNiGmG08L2gIhQ5AwAgBCAAIBShRDFjYhphtPC9oDkDCEEEIQEMBAsgBCAARAAAQFT7IRlAoCIARDFjYhphtPA9oCIUOQMAIAQgACAUoUQxY2IaYbTwPaA5AwhBfCEBDAMLIAZB+sPkiQRLDQELIABEg8jJbTBf5D+iRAAAAAAAADhDoEQAAAAAAAA4w6AiFiIUmUQAAMD////fQWMEfyAUqgVBgICAgHgLIQECQCAAIBZEAABAVPsh+b+ioCIUIBZEMWNiGmG00D2iIhehIhVEGC1EVPsh6b9jBEAgAUEBayEBIBZEAAAAAAAA8L+gIhZEMWNiGmG00D2iIRcgACAWRAAAQFT7Ifm/oqAhFAwBCyAVRBgtRFT7Iek/ZEUNACABQQFqIQEgFkQAAAAAAADwP6AiFkQxY2IaYbTQPaIhFyAAIBZEAABAVPsh+b+ioCEUCyAEIBQgF6EiFTkDAAJAIAZBFHYiAiAVvUI0iKdB/w9xa0ERSA0AIAQgFCAWRAAAYBphtNA9oiIVoSIAIBZEc3ADLooZozuiIBQgAKEgFaGhIhehIhU5AwAgAiAVvUI0iKdB/w9xa0EySARAIAAhFAwBCyAEIAAgFkQAAAAuihmjO6IiFaEiFCAWRMFJICWag3s5oiAAIBShIBWhoSIXoSIVOQMACyAEIBQgFaEgF6E5AwgMAQsgBkGAgMD/B08EQCAEIAAgAKEiADkDACAEIAA5AwhBACEBDAELIAlBEGoiAUEIciEDIBhC/////////weDQoCAgICAgICwwQCEvyEVQQEhAgNAIAEgFZlEAADA////30FjBH8gFaoFQYCAgIB4C7ciADkDACAVIAChRAAAAAAAAHBBoiEVIAJBACECIAMhAQ0ACyAJIBU5AyBBAiEBA0AgASICQQFrIQEgCUEQaiINIAJBA3RqKwMARAAAAAAAAAAAYQ0AC0EAIQMjAEGwBGsiBSQAIAZBFHZBlghrIgFBA2tBGG0iCEEAIAhBAEobIgdBaGwgAWohC0HUFigCACIIIAJBAWoiDkEBayIKakEATgRAIAggDmohASAHIAprIQIDQCAFQcACaiADQQN0aiACQQBIBHxEAAAAAAAAAAAFIAJBAnQoAuAWtws5AwAgAkEBaiECIANBAWoiAyABRw0ACwsgC0EYayEGQQAhASAIQQAgCEEAShshAyAOQQBMIQwDQAJAIAwEQEQAAAAAAAAAACEADAELIAEgCmohD0EAIQJEAAAAAAAAAAAhAANAIA0gAkEDdGorAwAgBUHAAmogDyACa0EDdGorAwCiIACgIQAgAkEBaiICIA5HDQALCyAFIAFBA3RqIAA5AwAgASADRiABQQFqIQFFDQALQS8gC2shEEEwIAtrIQ8gB0ECdEHgFmohESAIIQECQANAIAUgAUEDdGorAwAhAEEAIQIgASEDIAFBAEoEQANAIAVB4ANqIAJBAnRqIABEAAAAAAAAcD6iIhSZRAAAwP///99BYwR/IBSqBUGAgICAeAu3IhREAAAAAAAAcMGiIACgIgCZRAAAwP///99BYwR/IACqBUGAgICAeAs2AgAgBSADQQN0akEIaysDACAUoCEAIANBAWshAyACQQFqIgIgAUcNAAsLIAAgBhAGIgAgAEQAAAAAAADAP6KcRAAAAAAAACDAoqAiACAAmUQAAMD////fQWMEfyAAqgVBgICAgHgLIgy3oSEAAkACQAJAAn8gBkEATCISRQRAIAFBAnQgBWoiAiACKALcAyICIAIgD3UiAiAPdGsiAzYC3AMgAiAMaiEMIAMgEHUMAQsgBg0BIAFBAnQgBWooAtwDQRd1CyIKQQBMDQIMAQtBAiEKIABEAAAAAAAA4D9mDQBBACEKDAELQQAhAkEAIQdBASEDIAFBAEoEQANAIAVB4ANqIAJBAnRqIhMoAgAhAwJ/AkAgEyAHBH9B////BwUgA0UNAUGAgIAICyADazYCAEEBIQdBAAwBC0EAIQdBAQshAyACQQFqIgIgAUcNAAsLAkAgEg0AQf///wMhAgJAAkAgBkEBaw4CAQACC0H///8BIQILIAFBAnQgBWoiByAHKALcAyACcTYC3AMLIAxBAWohDCAKQQJHDQBEAAAAAAAA8D8gAKEhAEECIQogAw0AIABEAAAAAAAA8D8gBhAGoSEACyAARAAAAAAAAAAAYQRAQQAhAyABIQICQCABIAhMDQADQCAFQeADaiACQQFrIgJBAnRqKAIAIANyIQMgAiAISg0ACyADRQ0AA0AgBkEYayEGIAVB4ANqIAFBAWsiAUECdGooAgBFDQALDAMLQQEhAgNAIAIiA0EBaiECIAVB4ANqIAggA2tBAnRqKAIARQ0ACyABIANqIQMDQCAFQcACaiABIA5qIgdBA3RqIBEgAUEBaiIBQQJ0aigCALc5AwBBACECRAAAAAAAAAAAIQAgDkEASgRAA0AgDSACQQN0aisDACAFQcACaiAHIAJrQQN0aisDAKIgAKAhACACQQFqIgIgDkcNAAsLIAUgAUEDdGogADkDACABIANIDQALIAMhAQwBCwsCQCAAQRggC2sQBiIARAAAAAAAAHBBZgRAIAVB4ANqIAFBAnRqIABEAAAAAAAAcD6iIhSZRAAAwP///99BYwR/IBSqBUGAgICAeAsiArdEAAAAAAAAcMGiIACgIgCZRAAAwP///99BYwR/IACqBUGAgICAeAs2AgAgAUEBaiEBIAshBgwBCyAAmUQAAMD////fQWMEfyAAqgVBgICAgHgLIQILIAVB4ANqIAFBAnRqIAI2AgALRAAAAAAAAPA/IAYQBiEAIAFBAE4EQCABIQIDQCAFIAIiA0EDdGogACAFQeADaiACQQJ0aigCALeiOQMAIAJBAWshAiAARAAAAAAAAHA+oiEAIAMNAAsgASEHA0ACQCAIIAEgB2siAyADIAhKGyIGQQBIBEBEAAAAAAAAAAAhAAwBCyAFIAdBA3RqIQtBACECRAAAAAAAAAAAIQADQCACQQN0Ig0rA7AsIAsgDWorAwCiIACgIQAgAiAGRyACQQFqIQINAAsLIAVBoAFqIANBA3RqIAA5AwAgB0EASiAHQQFrIQcNAAsLRAAAAAAAAAAAIQAgAUEATgRAIAEhAgNAIAIiA0EBayECIAAgBUGgAWogA0EDdGorAwCgIQAgAw0ACwsgCSAAmiAAIAobOQMAIAUrA6ABIAChIQBBASECIAFBAEoEQANAIAAgBUGgAWogAkEDdGorAwCgIQAgASACRyACQQFqIQINAAsLIAkgAJogACAKGzkDCCAFQbAEaiQAIAxBB3EhASAJKwMAIQAgGEIAUwRAIAQgAJo5AwAgBCAJKwMImjkDCEEAIAFrIQEMAQsgBCAAOQMAIAQgCSsDCDkDCAsgCUEwaiQAIAQrAwghACAEKwMAIRQCQAJAAkACQCABQQNxQQFrDgMBAgMACyAUIABBARAJIQAMAwsgFCAAEA4hAAwCCyAUIABBARAJmiEADAELIBQgABAOmiEACyAEQRBqJAAgAAuSAQEDfEQAAAAAAADwPyAAIACiIgJEAAAAAAAA4D+iIgOhIgREAAAAAAAA8D8gBKEgA6EgAiACIAIgAkSQFcsZoAH6PqJEd1HBFmzBVr+gokRMVVVVVVWlP6CiIAIgAqIiAyADoiACIAJE1DiIvun6qL2iRMSxtL2e7iE+oKJErVKcgE9+kr6goqCiIAAgAaKhoKALvgIBBH8CQAJAAkAgAEUNACABRQ0AIAJFDQAgBUELSQ0BCyAGRQ0BIAZBAzYCAEEADwtB4AAQBCIHRQRAQQAhByAGRQ0BIAZBATYCAEEADwsgB0GAgID8AzYCLCAHQX82AhAgB0KBgICAEDcCWCAHIAA2AhQgB0GgATYCICAHIABBAnQiCBAEIgk2AjxBACEAAkAgCUUNACAHIAgQBCIKNgJEIApFDQAgByAIEAQiCDYCQCAKIQAgCEUNACAHIAU2AhAgByABIAIgAyAEEAgaAkAgBxAHIgBFBEAgB0EBNgI0DAELIAcoAkgQASAHKAJMEAEgBygCPBABIAcoAkQQASAHKAJAEAEgBxABQQAhBwsgBkUNASAGIAA2AgAgBw8LIAYEQCAGQQE2AgALIAkQASAAEAEgBxABQQAhBwsgBwuOCAMTfwF9AXwjAEGQIGsiCCQAIAUoAgAhCyADKAIAIQwgACgCXCETIAAoAlghDyAAKAJIIQYgACgCGCEJIAAoAhwhByAAQQE2AlwCQCAMRQ0AIAtFDQAgByAJa0EBaiEVIAYgASAHbCIHQQJ0aiEWIAYgB0ECdGpBBGshFwNAIAggCEEQajYCDCAIIAwgFSAMIBVJGzYCCCAIQYAIIAsgC0GACE8bIgY2AgQCQAJAAkAgAUECdCIOIAAoAkRqKAIARQRAQQAhEAwBCyAAIAEgCEEMaiAGEBEhECAIIAgoAgQgEGs2AgQgCyAQayELIAAoAkQgDmooAgANAQsgACgCGCEJIAgoAgghBgJAIAIEQCAGRQ0BIBYgCUECdGohCkEAIQcgBkEBRwRAIAZBAXEgBkF+cSENQQAhBgNAIAogB0ECdGpBBGsgAiAHIA9sQQF0ai4BALI4AgAgCiAHQQFyIhJBAnRqQQRrIAIgDyASbEEBdGouAQCyOAIAIAdBAmohByAGQQJqIgYgDUcNAAtFDQILIAogB0ECdGpBBGsgAiAHIA9sQQF0ai4BALI4AgAMAQsgBkUNACAGQQJ0IgZFDQAgFyAJQQJ0aiAGEAILIAgoAgwhBiAAQQE2AjggACABIAAoAkggACgCHCABbEECdGoiESAIQQhqIAYgCEEEaiAAKAJUEQEAIQ0gACgCPCAOaiIKKAIAIgcgCCgCCCIGSARAIAggBzYCCCAHIQYLIAggDTYCBCAKIAooAgAgBms2AgAgCCgCCCEGIAlBAkgNASAJQQFrIgpBA3EhDkEAIQ1BACEHIAlBAmtBA08EQCAKQXxxIRhBACESA0AgESAHQQJ0aiIJIAkgBkECdCIKaioCADgCACAJQQRqIhQgCiAUaioCADgCACAJQQhqIhQgCiAUaioCADgCACAJQQxqIgkgCSAKaioCADgCACAHQQRqIQcgEkEEaiISIBhHDQALIA5FDQILA0AgESAHQQJ0aiIJIAkgBkECdGoqAgA4AgAgB0EBaiEHIA1BAWoiDSAORw0ACwwBC0EAIQYgCEEANgIEC0EAIQcgECAIKAIEIgpqIgkEQANAIAQgByATbEEBdGoCf0GAgAIgCEEQaiAHQQJ0aioCACIZQwD//8ZdDQAaQf//ASAZQwD9/0ZeDQAaIBm7RAAAAAAAAOA/oJwiGplEAADA////30FjBH8gGqoFQYCAgIB4Cws7AQAgB0EBaiIHIAlHDQALCyALIAprIQsgDCAGayIMRQ0BIAIgBiAPbEEBdGpBACACGyECIAQgCSATbEEBdGohBCALDQALCyAAIBM2AlwgAyADKAIAIAxrNgIAIAUgBSgCACALazYCACAAKAJUGiAIQZAgaiQAC5QFAQt/IwBBEGsiBiQAIAYgAzYCDCAGIAFBAnQiAyAAKAJEaigCADYCCCACKAIAIQUgAEEBNgI4IAAoAhghCCAAIAEgACgCSCAAKAIcIAFsQQJ0aiIKIAZBCGogBSAGQQxqIAAoAlQRAQAhBCAAKAI8IANqIgcoAgAiAyAGKAIIIgVIBEAgBiADNgIIIAMhBQsgBiAENgIMIAcgBygCACAFazYCACAGKAIIIQUCQCAIQQJIDQAgCEEBayIEQQNxIQxBACEHQQAhAyAIQQJrQQNPBEAgBEF8cSEJA0AgCiADQQJ0aiIEIAQgBUECdCILaioCADgCACAEQQRqIg4gCyAOaioCADgCACAEQQhqIg4gCyAOaioCADgCACAEQQxqIgQgBCALaioCADgCACADQQRqIQMgDUEEaiINIAlHDQALIAxFDQELA0AgCiADQQJ0aiIEIAQgBUECdGoqAgA4AgAgA0EBaiEDIAdBAWoiByAMRw0ACwsgACgCRCABQQJ0aiIBIAEoAgAiASAFayIENgIAAkAgASAFRg0AIARBA3EhCyAKIAhBAnRqIgxBBGshCEEAIQcgBigCCCEKQQAhAyAFIAFrQXxNBEAgBEF8cSENQQAhBANAIAggA0ECdCIJaiIBIAEgCkECdCIFaioCADgCACAJIAxqIgkgBSAJaioCADgCACABQQhqIgkgBSAJaioCADgCACABQQxqIgEgASAFaioCADgCACADQQRqIQMgBEEEaiIEIA1HDQALIAtFDQELA0AgCCADQQJ0aiIBIAEgCkECdGoqAgA4AgAgA0EBaiEDIAdBAWoiByALRw0ACwsgAiACKAIAIAYoAgwiASAAKAJcbEECdGo2AgAgBkEQaiQAIAELwAQCEn8BfSABQQJ0IgEgACgCQGoiEygCACEGAkAgACgCPCABaiIUKAIAIgggAygCACIOTg0AIAAoAgwhCyAAKAIoIQ8gACgCJCEQIAAoAlwhEUEAIQEgBSgCACIDQQAgA0EAShshBwJAIAAoAhgiDEEATARAIANBAEwNAgwBCyADQQBMDQEgACgCTCEVIAxB/P///wdxIRYgDEEDcSESIAxBBEkhF0EAIQADQCACIAhBAnRqIQEgFSAGIAxsQQJ0aiEJQwAAAAAhGEEAIQVBACENQQAhAwJAIBdFBEADQCAJIAVBAnQiA0EMciIKaioCACABIApqKgIAlCAJIANBCHIiCmoqAgAgASAKaioCAJQgCSADQQRyIgpqKgIAIAEgCmoqAgCUIAMgCWoqAgAgASADaioCAJQgGJKSkpIhGCAFQQRqIQUgDUEEaiINIBZHDQALIAUhAyASRQ0BC0EAIQUDQCAJIANBAnQiDWoqAgAgASANaioCAJQgGJIhGCADQQFqIQMgBUEBaiIFIBJHDQALCyAEIAAgEWxBAnRqIBg4AgAgBiAPaiIBIAtBACABIAtPIgEbayEGIABBAWohACAOIAggEGogAWoiCEoEQCAAIAdGDQMMAQsLIAAhBwwBCwNAAkAgBCABIBFsQQJ0akEANgIAIAYgD2oiACALQQAgACALTyIAG2shBiABQQFqIQEgCCAQaiAAaiIIIA5ODQAgASAHRw0BDAILCyABIQcLIBQgCDYCACATIAY2AgAgBwvzAwIOfwR8IAFBAnQiASAAKAJAaiIPKAIAIQYCQCAAKAI8IAFqIhAoAgAiCCADKAIAIgpODQAgACgCDCEJIAAoAighCyAAKAIkIQwgACgCXCENQQAhASAFKAIAIgNBACADQQBKGyEHAkAgACgCGCIOQQBMBEAgA0EATA0CDAELIANBAEwNASAAKAJMIRFBACEAA0AgAiAIQQJ0aiESIBEgBiAObEECdGohE0QAAAAAAAAAACEUQQAhA0QAAAAAAAAAACEVRAAAAAAAAAAAIRZEAAAAAAAAAAAhFwNAIBQgEyADQQJ0IgVqIgEqAgwgBSASaiIFKgIMlLugIRQgFyABKgIIIAUqAgiUu6AhFyAWIAEqAgQgBSoCBJS7oCEWIBUgASoCACAFKgIAlLugIRUgA0EEaiIDIA5IDQALIAQgACANbEECdGogFSAWoCAXoCAUoLY4AgAgBiALaiIBIAlBACABIAlPIgEbayEGIABBAWohACAKIAggDGogAWoiCEoEQCAAIAdGDQMMAQsLIAAhBwwBCwNAAkAgBCABIA1sQQJ0akEANgIAIAYgC2oiACAJQQAgACAJTyIAG2shBiABQQFqIQEgCCAMaiAAaiIIIApODQAgASAHRw0BDAILCyABIQcLIBAgCDYCACAPIAY2AgAgBwuSBAIJfRB/IAFBAnQiASAAKAJAaiIUKAIAIQ8CQCAAKAI8IAFqIhUoAgAiESADKAIAIhZODQAgBSgCACIBQQAgAUEAShshECABQQBMDQAgACgCKCEXIAAoAiQhGCAAKAJcIRkgACgCDCIFsyEMIAAoAjAhEyAAKAIYIhpBAEwhG0EAIQMDQCAPIBNsIgEgASAFbiIcIAVsa7MgDJUhBgJAIBsEQEMAAAAAIQlDAAAAACEKQwAAAAAhC0MAAAAAIQcMAQsgAiARQQJ0aiEdIAAoAkwhHkEAIQFDAAAAACEHQwAAAAAhC0MAAAAAIQpDAAAAACEJA0AgHSABQQJ0aioCACIIIB4gAUEBaiIBIBNsIBxrQQJ0aiISKgIUlCAHkiEHIAggEioCEJQgC5IhCyAIIBIqAgyUIAqSIQogCCASKgIIlCAJkiEJIAEgGkcNAAsLIAQgAyAZbEECdGogBkM7qqq+lCAGQwAAAD+UIAaUIgiSIAYgBiAGQ4qrKj6UlJQiDZMiDiAHlEQAAAAAAADwPyAGQ4qrKr6UIA2SIge7oSAIIAaSIAggBpSTIga7oSAOu6G2IAuUIAcgCZQgBiAKlJKSkjgCACAPIBdqIgEgBUEAIAEgBU8iARtrIQ8gA0EBaiEDIBYgESAYaiABaiIRSgRAIAMgEEYNAgwBCwsgAyEQCyAVIBE2AgAgFCAPNgIAIBALugQDBH0GfBB/IAFBAnQiASAAKAJAaiIVKAIAIRACQCAAKAI8IAFqIhYoAgAiEiADKAIAIhdODQAgBSgCACIBQQAgAUEAShshESABQQBMDQAgACgCKCEYIAAoAiQhGSAAKAJcIRogACgCDCIFsyEIIAAoAjAhFCAAKAIYIhtBAEwhHEEAIQMDQCAQIBRsIgEgASAFbiIdIAVsa7MgCJUhBgJAIBwEQEQAAAAAAAAAACELRAAAAAAAAAAAIQxEAAAAAAAAAAAhDUQAAAAAAAAAACEKDAELIAIgEkECdGohHiAAKAJMIR9BACEBRAAAAAAAAAAAIQpEAAAAAAAAAAAhDUQAAAAAAAAAACEMRAAAAAAAAAAAIQsDQCAKIB4gAUECdGoqAgAiByAfIAFBAWoiASAUbCAda0ECdGoiEyoCFJS7oCEKIA0gByATKgIQlLugIQ0gDCAHIBMqAgyUu6AhDCALIAcgEyoCCJS7oCELIAEgG0cNAAsLIAQgAyAabEECdGogBkM7qqq+lCAGQwAAAD+UIAaUIgeSIAYgBiAGQ4qrKj6UlJQiCZO7Ig4gCqJEAAAAAAAA8D8gBkOKqyq+lCAJkrsiCqEgByAGkiAHIAaUk7siD6EgDqG2uyANoiAKIAuiIAwgD6KgoKC2OAIAIBAgGGoiASAFQQAgASAFTyIBG2shECADQQFqIQMgFyASIBlqIAFqIhJKBEAgAyARRg0CDAELCyADIRELIBYgEjYCACAVIBA2AgAgEQs3AQF/QQMhAgJAIAFBCksNAEEAIQIgACgCECABRg0AIAAgATYCECAAKAI0RQ0AIAAQByECCyACCx4BAX9BvQghASAAQQRNBH8gAEECdCgCsBYFQb0ICwuGAQEFfwJAIAAoAhRFBEAMAQsgACgCQCEDIAAoAkQhBCAAKAI8IQUDQCAFIAFBAnQiAmpBADYCACACIARqQQA2AgAgAiADakEANgIAIAFBAWoiASAAKAIUIgJJDQALCwJAIAAoAhhBAWsgAmwiAUUNACABQQJ0IgFFDQAgACgCSCABEAILQQALOgECfyAAKAIUBEAgACgCPCECA0AgAiABQQJ0aiAAKAIYQQF2NgIAIAFBAWoiASAAKAIUSQ0ACwtBAAseACAAKAIMIAAoAhhBAXZsIAAoAggiAEEBdmogAG4LCgAgACgCGEEBdgsWACABIAAoAgg2AgAgAiAAKAIMNgIACxYAIAEgACgCADYCACACIAAoAgQ2AgALDgAgACABIAIgASACEAgLywEBBn8gACgCXCEIIAIoAgAhBiAEKAIAIQcgACAAKAIUIgU2AlwgACgCWCEJIAAgBTYCWAJAIAVFDQBBACEFIAFFBEADQCAEIAc2AgAgAiAGNgIAIAAgBUEAIAIgAyAFQQF0aiAEEBAgBUEBaiIFIAAoAhRJDQAMAgsACwNAIAQgBzYCACACIAY2AgAgACAFIAEgBUEBdCIKaiACIAMgCmogBBAQIAVBAWoiBSAAKAIUSQ0ACwsgACAINgJcIAAgCTYCWCAAKAJUQQVGC80BAQZ/IAAoAlwhCCACKAIAIQYgBCgCACEHIAAgACgCFCIFNgJcIAAoAlghCSAAIAU2AlgCQCAFRQ0AQQAhBSABRQRAA0AgBCAHNgIAIAIgBjYCACAAIAVBACACIAMgBUECdGogBBAKGiAFQQFqIgUgACgCFEkNAAwCCwALA0AgBCAHNgIAIAIgBjYCACAAIAUgASAFQQJ0IgpqIAIgAyAKaiAEEAoaIAVBAWoiBSAAKAIUSQ0ACwsgACAINgJcIAAgCTYCWCAAKAJUQQVGCykAIAAoAkgQASAAKAJMEAEgACgCPBABIAAoAkQQASAAKAJAEAEgABABC88BAQd/IAFBAnQiASAAKAJAaiIIKAIAIQZBACECAkAgACgCPCABaiIJKAIAIgcgAygCACIKTg0AQQAhASAFKAIAIgNBACADQQBKGyECIANBAEwNACAAKAIMIQMgACgCKCEFIAAoAiQhCyAAKAJcIQADQAJAIAQgACABbEECdGpBADYCACAFIAZqIgYgA0EAIAMgBk0iDBtrIQYgAUEBaiEBIAcgC2ogDGoiByAKTg0AIAEgAkcNAQwCCwsgASECCyAJIAc2AgAgCCAGNgIAIAILEgAgACABIAIgASACIAMgBBAPCwIACwvoJAYAQYAIC6YBSW52YWxpZCBhcmd1bWVudC4AU3VjY2Vzcy4ASW5wdXQgYW5kIG91dHB1dCBidWZmZXJzIG92ZXJsYXAuAFVua25vd24gZXJyb3IuIEJhZCBlcnJvciBjb2RlIG9yIHN0cmFuZ2UgdmVyc2lvbiBtaXNtYXRjaC4AQmFkIHJlc2FtcGxlciBzdGF0ZS4ATWVtb3J5IGFsbG9jYXRpb24gZmFpbGVkLgBBsAkL0AgIAAAABAAAAOF6VD/2KFw/jAUAABAAAAAEAAAAmplZP65HYT+MBQAAIAAAAAQAAADBymE/w/VoP4wFAAAwAAAACAAAALgeZT+DwGo/lAUAAEAAAAAIAAAAqMZrP9ejcD+UBQAAUAAAABAAAAAxCGw/16NwP5wFAABgAAAAEAAAANejcD+F63E/nAUAAIAAAAAQAAAAMzNzPzMzcz+cBQAAoAAAABAAAACPwnU/j8J1P5wFAADAAAAAIAAAANnOdz/Zznc/pAUAAAABAAAgAAAAmpl5P5qZeT+kBQAAsAUAACAAAADQBgAAIAAAAPAHAAAgAAAAEAkAAEAAAAAAAAAAJZHguiDq7z8AAAAAAADwPyWR4Log6u8/3ksrz82o7z9aH/+a5jzvP1XPF7Xap+4/vqBk9qLr7T/XkG46uArtP4voz2UHCOw/td5vtOPm6j9YAHQU96rpPyJyVTQxWOg/UMWuabXy5j9Y5LYByH7lP5RFJ2y7AOQ/RytKS9184j+po+NqZPfgP6qpl6W+6N4/FsR6gkjv2z9LZsyPhQnZPz/p4VfuPdY/wmpufT+S0z+gvqdqaQvRPytyXzkIW80/J5liL5D3yD+hB8qvF/HEP8pirICMSsE/IsW+bFQKvD9hhQCFH0G2P4/ecB+5NbE/Q4TJnk7DqT8he3vfEXiiP/NHKOi855g/We0O5+l1jj8hAg6hSs1+PwAAAAAAAAAAwVNMzh7i7z8AAAAAAADwP8FTTM4e4u8/z0LImg2J7z8MbeeYf/buP4gSLXk8Le4/mk30twwx7T+1sMC6ngbsP8yZDhlms+o/3Hksx3U96T9RqyK7VqvnP5U2yU3cA+Y/davnpPdN5D93AJvei5DiPxOB6h9E0uA/xgDD0dky3j9TPgRVo9faP9kIYcE/ndc/qGoG4Z+M1D9uJH0YKa3RP1rvefZDCc4/GwBgK1cuyT9RlmsbkM7EP4vsWq3Z68A/6dYpXn4Kuz/fF/rUby61PwYNgUwAOLA/yr1E5fQvqD+mFfjtmHihP0v1U9J5Q5g/lM+f9I0BkD8Abjc9/6iDP95pGUbNmXU/4IWMy+EoYz/8qfHSTWJAPwAAAAAAAAAAuaajkCLa7z8AAAAAAADwP7mmo5Ai2u8/hQsW2ntp7z9ERs1417DuPyZTw4bAtO0/M9ouXVZ77D+pzhc5EwzrP6nqcSGHb+k/cuaRHgqv5z/W0WnEadTlP8CnpBSV6eM/OaAA5Ur44T/qgxvfzQngP1Vq1TJCTdw/Q13e+5+s2D8PWvbBhT7VPx8F28pDDdI/oGc3IxhBzj+Mi3rz4frIP/CuSIb7TMQ/dOMnH8w3wD/uYYrNIm+5PztOVcoAirM/6GEuyuhXrT8kM80qInmlP7tpbfnMgp4/Iix0b4/vlD8+Ed0W2YyLP13CX5umMoE/UAiy2AUHdD+ByCq+BBtlP9zuq5Ov21I/G8qaom1GNz8AQZASC7IEyFEM0oT07z8AAAAAAADwP8hRDNKE9O8/9pUH6SnS7z/a08TxMpnvP9T9ENkPSu8/fp+7blvl7j9hwT+d2WvuPx3X8SV13u0/an9v7Dw+7T/J6jXBYIzsP3ckRQEuyus/Hrx+2gv56j860L80dxrqP/UlI4D+L+k/8kBDgz076D8OB1Pe2D3nP/fyr6N5OeY/TMjFIMkv5T/OuHiRbCLkP/+ZWhkBE+M/L5wx7RcD4j9j2QbNMvTgP01ahnKBz98/zY9k+zW+3T8VxjeQBbfbP+AHrag9vNk/YDMKk/PP1z/zHfzEAfTVP0qFZ/gFKtQ/5808FGBz0j+NyjQ3MtHQP9jRevDBiM4/ryd4Eiqbyz/ISJPeedrIP7XPWyMfR8Y/PVdCFB/hwz+1zQFAHajBP026kLvGNr8/LgwmONRzuz9mkgUKxAS4P4BUFsd55rQ/YkhOJm4Vsj+kFYSXhRuvP+yy6yCnlqo/l6hBRZOTpj8+eC/vWAmjP9XnrEfI3Z8/bM9NFzl2mj/08djo/8mVPw8LtaZ5x5E/VRds+h67jD/+pLEosveGPzy3lup+JYI/pfu1zFROfD9nH1R3n8J1PwXEfxU7dXA/dH+znJ1vaD/T8PMAksBhP/dS2/qnI1k/P8Gs7XlAUT/xQgCR+sJGP3uyzVM+gDw/JlGSIvCPMD/HVG5gehQhP32Jfzcgqws/8WjjiLX45D4AAAAAAAAAABIEAACNBAAAeAQAAAAEAAAbBABB0BYL1xUDAAAABAAAAAQAAAAGAAAAg/miAERObgD8KRUA0VcnAN009QBi28AAPJmVAEGQQwBjUf4Au96rALdhxQA6biQA0k1CAEkG4AAJ6i4AHJLRAOsd/gApsRwA6D6nAPU1ggBEuy4AnOmEALQmcABBfl8A1pE5AFODOQCc9DkAi1+EACj5vQD4HzsA3v+XAA+YBQARL+8AClqLAG0fbQDPfjYACcsnAEZPtwCeZj8ALepfALondQDl68cAPXvxAPc5BwCSUooA+2vqAB+xXwAIXY0AMANWAHv8RgDwq2sAILzPADb0mgDjqR0AXmGRAAgb5gCFmWUAoBRfAI1AaACA2P8AJ3NNAAYGMQDKVhUAyahzAHviYABrjMAAGcRHAM1nwwAJ6NwAWYMqAIt2xACmHJYARK/dABlX0QClPgUABQf/ADN+PwDCMugAmE/eALt9MgAmPcMAHmvvAJ/4XgA1HzoAf/LKAPGHHQB8kCEAaiR8ANVu+gAwLXcAFTtDALUUxgDDGZ0ArcTCACxNQQAMAF0Ahn1GAONxLQCbxpoAM2IAALTSfAC0p5cAN1XVANc+9gCjEBgATXb8AGSdKgBw16sAY3z4AHqwVwAXFecAwElWADvW2QCnhDgAJCPLANaKdwBaVCMAAB+5APEKGwAZzt8AnzH/AGYeagCZV2EArPtHAH5/2AAiZbcAMuiJAOa/YADvxM0AbDYJAF0/1AAW3tcAWDveAN6bkgDSIigAKIboAOJYTQDGyjIACOMWAOB9ywAXwFAA8x2nABjgWwAuEzQAgxJiAINIAQD1jlsArbB/AB7p8gBISkMAEGfTAKrd2ACuX0IAamHOAAoopADTmbQABqbyAFx3fwCjwoMAYTyIAIpzeACvjFoAb9e9AC2mYwD0v8sAjYHvACbBZwBVykUAytk2ACio0gDCYY0AEsl3AAQmFAASRpsAxFnEAMjFRABNspEAABfzANRDrQApSeUA/dUQAAC+/AAelMwAcM7uABM+9QDs8YAAs+fDAMf4KACTBZQAwXE+AC4JswALRfMAiBKcAKsgewAutZ8AR5LCAHsyLwAMVW0AcqeQAGvnHwAxy5YAeRZKAEF54gD034kA6JSXAOLmhACZMZcAiO1rAF9fNgC7/Q4ASJq0AGekbABxckIAjV0yAJ8VuAC85QkAjTElAPd0OQAwBRwADQwBAEsIaAAs7lgAR6qQAHTnAgC91iQA932mAG5IcgCfFu8AjpSmALSR9gDRU1EAzwryACCYMwD1S34AsmNoAN0+XwBAXQMAhYl/AFVSKQA3ZMAAbdgQADJIMgBbTHUATnHUAEVUbgALCcEAKvVpABRm1QAnB50AXQRQALQ72wDqdsUAh/kXAElrfQAdJ7oAlmkpAMbMrACtFFQAkOJqAIjZiQAsclAABKS+AHcHlADzMHAAAPwnAOpxqABmwkkAZOA9AJfdgwCjP5cAQ5T9AA2GjAAxQd4AkjmdAN1wjAAXt+cACN87ABU3KwBcgKAAWoCTABARkgAP6NgAbICvANv/SwA4kA8AWRh2AGKlFQBhy7sAx4m5ABBAvQDS8gQASXUnAOu29gDbIrsAChSqAIkmLwBkg3YACTszAA6UGgBROqoAHaPCAK/trgBcJhIAbcJNAC16nADAVpcAAz+DAAnw9gArQIwAbTGZADm0BwAMIBUA2MNbAPWSxADGrUsATsqlAKc3zQDmqTYAq5KUAN1CaAAZY94AdozvAGiLUgD82zcArqGrAN8VMQAArqEADPvaAGRNZgDtBbcAKWUwAFdWvwBH/zoAavm5AHW+8wAok98Aq4AwAGaM9gAEyxUA+iIGANnkHQA9s6QAVxuPADbNCQBOQukAE76kADMjtQDwqhoAT2WoANLBpQALPw8AW3jNACP5dgB7iwQAiRdyAMamUwBvbuIA7+sAAJtKWADE2rcAqma6AHbPzwDRAh0AsfEtAIyZwQDDrXcAhkjaAPddoADGgPQArPAvAN3smgA/XLwA0N5tAJDHHwAq27YAoyU6AACvmgCtU5MAtlcEACkttABLgH4A2genAHaqDgB7WaEAFhIqANy3LQD65f0Aidv+AIm+/QDkdmwABqn8AD6AcACFbhUA/Yf/ACg+BwBhZzMAKhiGAE296gCz568Aj21uAJVnOQAxv1sAhNdIADDfFgDHLUMAJWE1AMlwzgAwy7gAv2z9AKQAogAFbOQAWt2gACFvRwBiEtIAuVyEAHBhSQBrVuAAmVIBAFBVNwAe1bcAM/HEABNuXwBdMOQAhS6pAB2ywwChMjYACLekAOqx1AAW9yEAj2nkACf/dwAMA4AAjUAtAE/NoAAgpZkAs6LTAC9dCgC0+UIAEdrLAH2+0ACb28EAqxe9AMqigQAIalwALlUXACcAVQB/FPAA4QeGABQLZACWQY0Ah77eANr9KgBrJbYAe4k0AAXz/gC5v54AaGpPAEoqqABPxFoALfi8ANdamAD0x5UADU2NACA6pgCkV18AFD+xAIA4lQDMIAEAcd2GAMnetgC/YPUATWURAAEHawCMsKwAssDQAFFVSAAe+w4AlXLDAKMGOwDAQDUABtx7AOBFzABOKfoA1srIAOjzQQB8ZN4Am2TYANm+MQCkl8MAd1jUAGnjxQDw2hMAujo8AEYYRgBVdV8A0r31AG6SxgCsLl0ADkTtABw+QgBhxIcAKf3pAOfW8wAifMoAb5E1AAjgxQD/140AbmriALD9xgCTCMEAfF10AGutsgDNbp0APnJ7AMYRagD3z6kAKXPfALXJugC3AFEA4rINAHS6JADlfWAAdNiKAA0VLACBGAwAfmaUAAEpFgCfenYA/f2+AFZF7wDZfjYA7NkTAIu6uQDEl/wAMagnAPFuwwCUxTYA2KhWALSotQDPzA4AEoktAG9XNAAsVokAmc7jANYguQBrXqoAPiqcABFfzAD9C0oA4fT7AI47bQDihiwA6dSEAPy0qQDv7tEALjXJAC85YQA4IUQAG9nIAIH8CgD7SmoALxzYAFO0hABOmYwAVCLMACpV3ADAxtYACxmWABpwuABplWQAJlpgAD9S7gB/EQ8A9LURAPzL9QA0vC0ANLzuAOhdzADdXmAAZ46bAJIz7wDJF7gAYVibAOFXvABRg8YA2D4QAN1xSAAtHN0ArxihACEsRgBZ89cA2XqYAJ5UwABPhvoAVgb8AOV5rgCJIjYAOK0iAGeT3ABV6KoAgiY4AMrnmwBRDaQAmTOxAKnXDgBpBUgAZbLwAH+IpwCITJcA+dE2ACGSswB7gkoAmM8hAECf3ADcR1UA4XQ6AGfrQgD+nd8AXtRfAHtnpAC6rHoAVfaiACuIIwBBulUAWW4IACEqhgA5R4MAiePmAOWe1ABJ+0AA/1bpABwPygDFWYoAlPorANPBxQAPxc8A21quAEfFhgCFQ2IAIYY7ACx5lAAQYYcAKkx7AIAsGgBDvxIAiCaQAHg8iQCoxOQA5dt7AMQ6wgAm9OoA92eKAA2SvwBloysAPZOxAL18CwCkUdwAJ91jAGnh3QCalBkAqCmVAGjOKAAJ7bQARJ8gAE6YygBwgmMAfnwjAA+5MgCn9Y4AFFbnACHxCAC1nSoAb35NAKUZUQC1+asAgt/WAJbdYQAWNgIAxDqfAIOioQBy7W0AOY16AIK4qQBrMlwARidbAAA07QDSAHcA/PRVAAFZTQDgcYAAQbMsCz1A+yH5PwAAAAAtRHQ+AAAAgJhG+DwAAABgUcx4OwAAAICDG/A5AAAAQCAlejgAAACAIoLjNgAAAAAd82k1AEHwLAsDcBgB';
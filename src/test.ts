@@ -1,9 +1,23 @@
-import {readFileSync, writeFileSync,createReadStream} from 'fs';
+import {readFileSync, writeFileSync, createReadStream, createWriteStream, unlinkSync, mkdtempSync, readdirSync, mkdirSync, existsSync} from 'fs';
+import { execFileSync, spawnSync } from 'child_process';
+import os from 'os';
 // const {promisify} = require('util');
 import { performance } from 'perf_hooks'
 import path from 'path';
 
-import SpeexResampler, {SpeexResamplerTransform} from './index';
+import SpeexResampler, {SpeexResamplerTransform, SpeexResamplerFrame, WavResamplerTransform, ResamplerPool, resampleBuffer, resampleIterable, parseWavHeader, createWavHeader, approximateRatio} from './index';
+import { PassThrough } from 'stream';
+import { BYTES_PER_SAMPLE, SampleFormat } from './formats';
+import { SpeexResamplerStream } from './webStream';
+import {
+  SpeexResamplerError,
+  SpeexResamplerAllocError,
+  SpeexResamplerBadStateError,
+  SpeexResamplerInvalidArgError,
+  SpeexResamplerPtrOverlapError,
+  SpeexResamplerOverflowError,
+  errorFromCode,
+} from './errors';
 
 const assert = (condition, message) => {
   if (!condition) {
@@ -11,7 +25,18 @@ const assert = (condition, message) => {
   }
 }
 
-const audioTests = [
+interface AudioTest {
+  inFile: string;
+  inRate: number;
+  outRate: number;
+  channels: number;
+  quality?: number;
+  // the resources files are in signed 16 bits int
+  inFormat?: SampleFormat;
+  outFormat?: SampleFormat;
+}
+
+const audioTests: AudioTest[] = [
   {inFile: path.resolve(__dirname, `../resources/24000hz_mono_test.pcm`), inRate: 24000, outRate: 48000, channels: 1, quality: 5},
   {inFile: path.resolve(__dirname, `../resources/24000hz_test.pcm`), inRate: 24000, outRate: 24000, channels: 2, quality: 5},
   {inFile: path.resolve(__dirname, `../resources/24000hz_test.pcm`), inRate: 24000, outRate: 48000, channels: 2, quality: 10},
@@ -19,26 +44,63 @@ const audioTests = [
   {inFile: path.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 48000, channels: 2, quality: 10},
   {inFile: path.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 48000, channels: 2, quality: 1},
   {inFile: path.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 24000, channels: 2, quality: 5},
+  {inFile: path.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 48000, channels: 2, outFormat: 'float32'},
+  {inFile: path.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 48000, channels: 2, outFormat: 'int24'},
+  {inFile: path.resolve(__dirname, `../resources/44100hz_test.pcm`), inRate: 44100, outRate: 16000, channels: 2, outFormat: 'int32'},
 ];
 
+const formatsOf = (audioTest: AudioTest) => ({
+  inFormat: audioTest.inFormat || 'int16',
+  outFormat: audioTest.outFormat || audioTest.inFormat || 'int16',
+});
+
+const durationsOf = (audioTest: AudioTest, input: Buffer, output: Buffer) => {
+  const {inFormat, outFormat} = formatsOf(audioTest);
+  return {
+    inputDuration: input.length / audioTest.inRate / BYTES_PER_SAMPLE[inFormat] / audioTest.channels,
+    outputDuration: output.length / audioTest.outRate / BYTES_PER_SAMPLE[outFormat] / audioTest.channels,
+  };
+}
+
+// the filter delay at the start of the output when the latency is not compensated
+const outputLatencyOf = (inRate: number, outRate: number, quality = 7) => {
+  const resampler = new SpeexResampler(1, inRate, outRate, quality);
+  const latency = resampler.outputLatency;
+  resampler.destroy();
+  return latency;
+}
+
+const assertFramesCount = (audioTest: AudioTest, input: Buffer, output: Buffer) => {
+  const {inFormat, outFormat} = formatsOf(audioTest);
+  const inFrames = input.length / BYTES_PER_SAMPLE[inFormat] / audioTest.channels;
+  const outFrames = output.length / BYTES_PER_SAMPLE[outFormat] / audioTest.channels;
+  const expectedOutFrames = Math.round(inFrames * audioTest.outRate / audioTest.inRate) + outputLatencyOf(audioTest.inRate, audioTest.outRate, audioTest.quality);
+  assert(outFrames === expectedOutFrames, `Output frames count not matching target, expected: ${expectedOutFrames} != out:${outFrames}`);
+}
+
+const describeTest = (audioTest: AudioTest) => {
+  const {inFormat, outFormat} = formatsOf(audioTest);
+  return `Resampling file ${audioTest.inFile} with ${audioTest.channels} channel(s) from ${audioTest.inRate}Hz to ${audioTest.outRate}Hz (quality: ${audioTest.quality || 7}, ${inFormat} -> ${outFormat})`;
+}
+
 const promiseBasedTest = async () => {
   await SpeexResampler.initPromise
   for (const audioTest of audioTests) {
-    console.log(`Resampling file ${audioTest.inFile} with ${audioTest.channels} channel(s) from ${audioTest.inRate}Hz to ${audioTest.outRate}Hz (quality: ${audioTest.quality || 7})`);
-    const resampler = new SpeexResampler(audioTest.channels, audioTest.inRate, audioTest.outRate, audioTest.quality);
+    console.log(describeTest(audioTest));
+    const resampler = new SpeexResampler(audioTest.channels, audioTest.inRate, audioTest.outRate, audioTest.quality, formatsOf(audioTest));
     const filename = path.parse(audioTest.inFile).name;
     const pcmData = readFileSync(audioTest.inFile);
 
     const start = performance.now();
-    const res = await resampler.processChunk(pcmData);
+    const res = Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]);
     const end = performance.now();
     console.log(`Resampled in ${Math.floor(end - start)}ms`);
-    console.log(`Input stream: ${pcmData.length} bytes, ${pcmData.length / audioTest.inRate / 2 / audioTest.channels}s`);
-    console.log(`Output stream: ${res.length} bytes, ${res.length / audioTest.outRate / 2 / audioTest.channels}s`);
+    const {inputDuration, outputDuration} = durationsOf(audioTest, pcmData, res);
+    console.log(`Input stream: ${pcmData.length} bytes, ${inputDuration}s`);
+    console.log(`Output stream: ${res.length} bytes, ${outputDuration}s`);
 
-    const inputDuration = pcmData.length / audioTest.inRate / 2 / audioTest.channels;
-    const outputDuration = res.length / audioTest.outRate / 2 / audioTest.channels;
     assert(Math.abs(inputDuration - outputDuration) < 0.01, `Stream duration not matching target, in: ${inputDuration}s != out:${outputDuration}`);
+    assertFramesCount(audioTest, pcmData, res);
     console.log();
     // writeFileSync(path.resolve(__dirname, `../resources/${filename}_${audioTest.outRate}_${audioTest.quality || 7}_output.pcm`), res);
   }
@@ -50,9 +112,9 @@ const streamBasedTest = async () => {
   console.log('=================');
 
   for (const audioTest of audioTests) {
-    console.log(`Resampling file ${audioTest.inFile} with ${audioTest.channels} channel(s) from ${audioTest.inRate}Hz to ${audioTest.outRate}Hz (quality: ${audioTest.quality || 7})`);
+    console.log(describeTest(audioTest));
     const readFileStream = createReadStream(audioTest.inFile);
-    const transformStream = new SpeexResamplerTransform(audioTest.channels, audioTest.inRate, audioTest.outRate, audioTest.quality);
+    const transformStream = new SpeexResamplerTransform(audioTest.channels, audioTest.inRate, audioTest.outRate, audioTest.quality, formatsOf(audioTest));
     let pcmData = Buffer.alloc(0);
     readFileStream.on('data', (d) => {
       pcmData = Buffer.concat([ pcmData, d as Buffer ]);
@@ -67,18 +129,1111 @@ const streamBasedTest = async () => {
     await new Promise((r) => transformStream.on('end', r));
     const end = performance.now();
     console.log(`Resampled in ${Math.floor(end - start)}ms`);
-    console.log(`Input stream: ${pcmData.length} bytes, ${pcmData.length / audioTest.inRate / 2 / audioTest.channels}s`);
-    console.log(`Output stream: ${res.length} bytes, ${res.length / audioTest.outRate / 2 / audioTest.channels}s`);
+    const {inputDuration, outputDuration} = durationsOf(audioTest, pcmData, res);
+    console.log(`Input stream: ${pcmData.length} bytes, ${inputDuration}s`);
+    console.log(`Output stream: ${res.length} bytes, ${outputDuration}s`);
 
-    const inputDuration = pcmData.length / audioTest.inRate / 2 / audioTest.channels;
-    const outputDuration = res.length / audioTest.outRate / 2 / audioTest.channels;
     assert(Math.abs(inputDuration - outputDuration) < 0.01, `Stream duration not matching target, in: ${inputDuration}s != out:${outputDuration}`);
+    assertFramesCount(audioTest, pcmData, res);
     console.log();
   }
 }
 
-promiseBasedTest()
-.then(() => streamBasedTest()).catch((e) => {
+// signal to noise ratio in dB between two int16 buffers
+const int16Snr = (reference: Buffer, output: Buffer) => {
+  let signal = 0;
+  let noise = 0;
+  const samplesCount = Math.min(reference.length, output.length) / 2;
+  for (let i = 0; i < samplesCount; i++) {
+    const ref = reference.readInt16LE(i * 2);
+    signal += ref * ref;
+    noise += (ref - output.readInt16LE(i * 2)) ** 2;
+  }
+  return 10 * Math.log10(signal / noise);
+}
+
+const latencyCompensationTest = async () => {
+  console.log('=================');
+  console.log('Latency Compensation Test');
+  console.log('=================');
+
+  const pcmData = readFileSync(path.resolve(__dirname, `../resources/24000hz_test.pcm`));
+  const resample = (compensateLatency: boolean) => {
+    const resampler = new SpeexResampler(2, 24000, 24000, 10, {format: 'int16', compensateLatency});
+    return {
+      res: Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]),
+      outputLatency: resampler.outputLatency,
+    };
+  }
+  const compensated = resample(true);
+  const delayed = resample(false);
+  console.log(`Output latency: ${delayed.outputLatency} frames`);
+  assert(delayed.outputLatency > 0, `Output latency should be positive, got ${delayed.outputLatency}`);
+  assert(compensated.res.length === pcmData.length, `Compensated output length not matching input, in: ${pcmData.length} != out:${compensated.res.length}`);
+
+  const compensatedSnr = int16Snr(pcmData, compensated.res);
+  const delayedSnr = int16Snr(pcmData, delayed.res);
+  console.log(`SNR against input with compensation: ${compensatedSnr.toFixed(2)}dB, without: ${delayedSnr.toFixed(2)}dB`);
+  assert(compensatedSnr > 20, `Compensated output is not aligned with input, SNR: ${compensatedSnr}dB`);
+  assert(compensatedSnr > delayedSnr, `Compensated output should be closer to input than delayed output`);
+  assert(delayed.res.length === pcmData.length + delayed.outputLatency * 4, 'Delayed output should be longer than input by the output latency');
+
+  // an impulse 10 frames before the end of the input should still be in the output after flush
+  for (const compensateLatency of [false, true]) {
+    const impulse = new Float32Array(4410);
+    impulse[impulse.length - 10] = 1;
+    const resampler = new SpeexResampler(1, 44100, 48000, 7, {compensateLatency});
+    const res = toFloat32Array(Buffer.concat([resampler.processChunk(impulse), resampler.flush()]));
+    const peak = res.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+    console.log(`Impulse peak at the end of the output with compensateLatency ${compensateLatency}: ${peak.toFixed(3)}`);
+    assert(peak > 0.5, `End of the input cut off by flush with compensateLatency ${compensateLatency}, peak: ${peak}`);
+  }
+  console.log();
+}
+
+const assertThrows = (fn: () => any, message: string) => {
+  let thrown = false;
+  try {
+    fn();
+  } catch (e) {
+    thrown = true;
+  }
+  assert(thrown, message);
+}
+
+const lifecycleTest = async () => {
+  console.log('=================');
+  console.log('Lifecycle Test');
+  console.log('=================');
+
+  const resampler = new SpeexResampler(2, 44100, 48000, 7, {format: 'float32'});
+  resampler.processChunk(Buffer.alloc(44100 * 2 * 4));
+  resampler.destroy();
+  // destroying multiple times is allowed
+  resampler.destroy();
+  assertThrows(() => resampler.processChunk(Buffer.alloc(2 * 4)), 'processChunk should throw after destroy');
+  assertThrows(() => resampler.flush(), 'flush should throw after destroy');
+  assertThrows(() => resampler.outputLatency, 'outputLatency should throw after destroy');
+
+  const transformStream = new SpeexResamplerTransform(2, 44100, 48000, 7, {format: 'float32'});
+  transformStream.resume();
+  transformStream.end(Buffer.alloc(44100 * 2 * 4));
+  await new Promise((r) => transformStream.on('end', r));
+  assert(transformStream.resampler._destroyed, 'Transform stream should destroy its resampler when ended');
+
+  const destroyedStream = new SpeexResamplerTransform(2, 44100, 48000, 7, {format: 'float32'});
+  destroyedStream.destroy();
+  await new Promise((r) => destroyedStream.on('close', r));
+  assert(destroyedStream.resampler._destroyed, 'Transform stream should destroy its resampler when destroyed');
+  console.log('OK');
+  console.log();
+}
+
+const dynamicRateTest = async () => {
+  console.log('=================');
+  console.log('Dynamic Rate Test');
+  console.log('=================');
+
+  const pcmData = readFileSync(path.resolve(__dirname, `../resources/44100hz_test.pcm`));
+  // splitting the file in two halves aligned on a stereo int16 frame
+  const halfLength = Math.floor(pcmData.length / 8) * 4;
+  const resampler = new SpeexResampler(2, 44100, 48000, 7, {format: 'int16'});
+  const firstHalf = resampler.processChunk(pcmData.slice(0, halfLength));
+  resampler.setRate(44100, 24000);
+  // lowering the quality shortens the filter, speex resamples the samples kept from the longer filter before the new input
+  resampler.setQuality(4);
+  const secondHalf = resampler.processChunk(pcmData.slice(halfLength));
+  // 1% faster than 44100Hz -> 24000Hz to simulate a clock drift correction
+  resampler.setRateFrac(441 * 101, 240 * 100);
+  const thirdPart = resampler.processChunk(pcmData.slice(0, halfLength));
+  // the end of the input in the output stream, including the filter delay
+  const endPosition = resampler.inputPositionToOutput(resampler.inputFramesConsumed);
+  const res = Buffer.concat([firstHalf, secondHalf, thirdPart, resampler.flush()]);
+
+  const halfFrames = halfLength / 4;
+  const secondHalfFrames = (pcmData.length - halfLength) / 4;
+  assert(resampler.inputFramesConsumed === halfFrames * 2 + secondHalfFrames, `Input frames lost, ${resampler.inputFramesConsumed} consumed`);
+  const expectedFrames = Math.round(endPosition);
+  console.log(`Output frames: ${res.length / 4}, expected: ${expectedFrames}`);
+  assert(res.length / 4 === expectedFrames, `Output frames count not matching target, expected: ${expectedFrames} != out:${res.length / 4}`);
+  assert(Math.abs(secondHalf.length / 4 - secondHalfFrames * 24000 / 44100) < 200, `Rate change not applied, got ${secondHalf.length / 4} frames for the second half`);
+
+  // speex keeps the delay of the stream when the filter length changes, an impulse 10 frames before the end of the
+  // input should be at its expected position and not cut off by flush
+  for (const [fromQuality, toQuality] of [[10, 4], [4, 10]]) {
+    const impulse = new Float32Array(44100);
+    const impulsePosition = impulse.length - 10;
+    impulse[impulsePosition] = 1;
+    const qualityResampler = new SpeexResampler(1, 44100, 48000, fromQuality);
+    // 10ms chunks as in a real time stream
+    const chunks: Buffer[] = [];
+    for (let offset = 0; offset < impulse.length; offset += 441) {
+      if (offset === impulse.length / 2) {
+        qualityResampler.setQuality(toQuality);
+      }
+      chunks.push(qualityResampler.processChunk(impulse.subarray(offset, offset + 441)));
+    }
+    const expectedPosition = qualityResampler.inputPositionToOutput(impulsePosition);
+    const output = toFloat32Array(Buffer.concat([...chunks, qualityResampler.flush()]));
+    const peakPosition = output.reduce((peak, sample, i) => Math.abs(sample) > Math.abs(output[peak]) ? i : peak, 0);
+    console.log(`Quality ${fromQuality} -> ${toQuality}: impulse at ${peakPosition}, expected at ${expectedPosition.toFixed(1)}`);
+    assert(qualityResampler.inputFramesConsumed === impulse.length, `Input frames lost, ${qualityResampler.inputFramesConsumed} consumed`);
+    assert(Math.abs(peakPosition - expectedPosition) < 1 && Math.abs(output[peakPosition]) > 0.5, `Impulse not at its position after the quality change`);
+  }
+  console.log();
+}
+
+const planarTest = async () => {
+  console.log('=================');
+  console.log('Planar Test');
+  console.log('=================');
+
+  const pcmData = readFileSync(path.resolve(__dirname, `../resources/44100hz_test.pcm`));
+  const framesCount = pcmData.length / 4;
+  const interleaved = Buffer.alloc(framesCount * 2 * 4);
+  const planar = [new Float32Array(framesCount), new Float32Array(framesCount)];
+  for (let i = 0; i < framesCount; i++) {
+    for (let channel = 0; channel < 2; channel++) {
+      const sample = pcmData.readInt16LE((i * 2 + channel) * 2) / 0x8000;
+      planar[channel][i] = sample;
+      interleaved.writeFloatLE(sample, (i * 2 + channel) * 4);
+    }
+  }
+
+  const interleavedResampler = new SpeexResampler(2, 44100, 48000, 7, {format: 'float32'});
+  const interleavedRes = Buffer.concat([interleavedResampler.processChunk(interleaved), interleavedResampler.flush()]);
+
+  const planarResampler = new SpeexResampler(2, 44100, 48000, 7);
+  const maxOutFramesCount = Math.ceil(framesCount * 48000 / 44100) + 1;
+  const output = [new Float32Array(maxOutFramesCount), new Float32Array(maxOutFramesCount)];
+  const planarRes = planarResampler.processPlanar(planar, output);
+  assert(planarRes[0].buffer === output[0].buffer, 'Planar output should be written in the provided arrays');
+  const planarTail = planarResampler.flushPlanar();
+  const planarFramesCount = planarRes[0].length + planarTail[0].length;
+
+  console.log(`Interleaved output: ${interleavedRes.length / 8} frames, planar output: ${planarFramesCount} frames`);
+  assert(planarFramesCount === interleavedRes.length / 8, `Planar output frames count not matching interleaved output`);
+  for (let i = 0; i < planarFramesCount; i++) {
+    for (let channel = 0; channel < 2; channel++) {
+      const planarSample = i < planarRes[channel].length ? planarRes[channel][i] : planarTail[channel][i - planarRes[channel].length];
+      const interleavedSample = interleavedRes.readFloatLE((i * 2 + channel) * 4);
+      assert(planarSample === interleavedSample, `Planar sample ${i} of channel ${channel} not matching interleaved output: ${planarSample} != ${interleavedSample}`);
+    }
+  }
+  assertThrows(() => planarResampler.processPlanar([planar[0]]), 'processPlanar should throw with a wrong number of channels');
+  console.log();
+}
+
+const zeroCopyTest = async () => {
+  console.log('=================');
+  console.log('Zero-copy Test');
+  console.log('=================');
+
+  // 10ms frames of 48kHz stereo float32
+  const frameLength = 480 * 2;
+  const framesCount = 100;
+  const input = new Float32Array(frameLength * framesCount);
+  for (let i = 0; i < input.length; i++) {
+    input[i] = Math.sin(i / 2 * 2 * Math.PI * 440 / 48000) * 0.5;
+  }
+  const frames = Array.from({length: framesCount}, (_, i) => input.subarray(i * frameLength, (i + 1) * frameLength));
+
+  const output = new Float32Array(frameLength);
+  const processors = {
+    copy: (resampler: SpeexResampler, frame: Float32Array) => resampler.processChunk(Buffer.from(frame.buffer, frame.byteOffset, frame.byteLength)),
+    view: (resampler: SpeexResampler, frame: Float32Array) => resampler.processChunk(frame),
+    processInto: (resampler: SpeexResampler, frame: Float32Array) => {
+      const outFramesCount = resampler.processInto(frame, output);
+      return Buffer.from(output.buffer, 0, outFramesCount * 2 * Float32Array.BYTES_PER_ELEMENT);
+    },
+  };
+  const createResampler = (mode: string) => new SpeexResampler(2, 48000, 44100, 7, {returnView: mode === 'view'});
+
+  // checking that every mode outputs the same data
+  const referenceResampler = createResampler('copy');
+  const reference = Buffer.concat(frames.map((frame) => processors.copy(referenceResampler, frame)));
+  for (const mode of Object.keys(processors)) {
+    const resampler = createResampler(mode);
+    let offset = 0;
+    for (const frame of frames) {
+      const res = processors[mode](resampler, frame);
+      assert(res.equals(reference.slice(offset, offset + res.length)), `${mode} output not matching reference output`);
+      offset += res.length;
+    }
+    assert(offset === reference.length, `${mode} output length not matching reference output`);
+  }
+
+  // processInto only writes the resampled frames in the caller's array
+  const intoResampler = createResampler('processInto');
+  const sentinel = -2;
+  output.fill(sentinel);
+  const outFramesCount = intoResampler.processInto(frames[0], output);
+  assert(outFramesCount > 0 && output[outFramesCount * 2 - 1] !== sentinel, 'processInto should write the output in the given array');
+  assert(output.subarray(outFramesCount * 2).every((sample) => sample === sentinel), 'processInto should not write after the resampled frames');
+
+  // returnView always returns the same memory, overwritten by the next call
+  for (const format of ['float32', 'int16', 'int24'] as SampleFormat[]) {
+    const viewResampler = new SpeexResampler(2, 48000, 44100, 7, {returnView: true, inFormat: 'float32', outFormat: format});
+    const first = viewResampler.processChunk(frames[1]);
+    const firstCopy = Buffer.from(first);
+    const second = viewResampler.processChunk(frames[2]);
+    assert(first.buffer === second.buffer && first.byteOffset === second.byteOffset, `returnView should reuse the same ${format} output memory`);
+    assert(!first.equals(firstCopy), `returnView ${format} output should be overwritten by the next call`);
+    viewResampler.destroy();
+  }
+  console.log('OK');
+  console.log();
+}
+
+const initTest = async () => {
+  console.log('=================');
+  console.log('Init Test');
+  console.log('=================');
+
+  // in a new process to count the instantiations from the import, like in a pool worker
+  const instantiationsCount = execFileSync(process.execPath, ['-e', `
+    let count = 0;
+    const instantiate = WebAssembly.instantiate;
+    WebAssembly.instantiate = (...args) => { count++; return instantiate(...args); };
+    const SpeexResampler = require(${JSON.stringify(path.join(__dirname, 'resampler'))}).default;
+    SpeexResampler.initSync();
+    SpeexResampler.initPromise.then(() => console.log(count));
+  `]).toString().trim();
+  assert(instantiationsCount === '0', `initPromise should reuse the module of initSync, ${instantiationsCount} async instantiations`);
+
+  // called synchronously, before the async instantiation
+  SpeexResampler.initSync();
+  const resampler = new SpeexResampler(2, 44100, 48000, 7);
+  const res = resampler.processChunk(new Float32Array(441 * 2));
+  assert(res.length > 0, 'Resampler should be usable right after initSync');
+  // initPromise resolving later should not replace the module used by resampler
+  await SpeexResampler.initPromise;
+  resampler.processChunk(new Float32Array(441 * 2));
+  resampler.destroy();
+
+  const createdResampler = await SpeexResampler.create(2, 44100, 48000);
+  assert(createdResampler instanceof SpeexResampler, 'SpeexResampler.create should resolve to a SpeexResampler');
+  createdResampler.destroy();
+  const createdTransform = await SpeexResamplerTransform.create(2, 44100, 48000);
+  assert(createdTransform instanceof SpeexResamplerTransform, 'SpeexResamplerTransform.create should resolve to a SpeexResamplerTransform');
+  createdTransform.destroy();
+  console.log('OK');
+  console.log();
+}
+
+const audioWorkletTest = async () => {
+  console.log('=================');
+  console.log('AudioWorklet Test');
+  console.log('=================');
+
+  // stubbing the AudioWorkletGlobalScope before loading the processor
+  const registeredProcessors = {};
+  const scope = globalThis as any;
+  scope.sampleRate = 48000;
+  scope.AudioWorkletProcessor = class {
+    port = {
+      onmessage: null,
+      messages: [],
+      transfers: [],
+      postMessage(message, transfer) {
+        this.messages.push(message);
+        this.transfers.push(transfer);
+      },
+    };
+  };
+  scope.registerProcessor = (name, processorCtor) => registeredProcessors[name] = processorCtor;
+  const { SPEEX_RESAMPLER_PROCESSOR_NAME } = await import('./worklet');
+  const Processor = registeredProcessors[SPEEX_RESAMPLER_PROCESSOR_NAME];
+  assert(Processor, 'Processor should be registered');
+
+  const processor = new Processor({processorOptions: {outRate: 16000, format: 'int16', frameSize: 320}});
+  // 1s of stereo 440Hz sine in render quanta of 128 frames, the processor only keeps the first channel
+  const quantaCount = 375;
+  for (let quantum = 0; quantum < quantaCount; quantum++) {
+    const channel = new Float32Array(128);
+    for (let i = 0; i < 128; i++) {
+      channel[i] = Math.sin((quantum * 128 + i) * 2 * Math.PI * 440 / 48000) * 0.5;
+    }
+    assert(processor.process([[channel, channel]], [], {}) === true, 'process should keep the processor alive');
+  }
+  processor.port.onmessage({data: {type: 'flush'}});
+  const messages = processor.port.messages;
+  const totalFrames = messages.reduce((frames, message) => frames + message.frames, 0);
+  console.log(`Received ${messages.length} messages, ${totalFrames} frames`);
+  assert(messages.slice(0, -1).every((message) => message.frames === 320 && message.data.byteLength === 320 * 2), 'Every message but the last should be 320 int16 frames');
+  assert(messages.every((message, i) => processor.port.transfers[i][0] === message.data), 'Frames data should be transferred');
+  // the filter delay is kept at the start of the output
+  const expectedFrames = 16000 + processor.resampler.outputLatency;
+  assert(totalFrames === expectedFrames, `Expected ${expectedFrames} frames, got ${totalFrames}`);
+
+  processor.port.onmessage({data: {type: 'close'}});
+  assert(processor.process([[new Float32Array(128)]], [], {}) === false, 'process should stop the processor once closed');
+  console.log();
+}
+
+const wavTest = async () => {
+  console.log('=================');
+  console.log('WAV Test');
+  console.log('=================');
+
+  const pcmData = readFileSync(path.resolve(__dirname, `../resources/44100hz_test.pcm`));
+  const inputHeader = createWavHeader({format: 'int16', channels: 2, sampleRate: 44100}, pcmData.length);
+  // adding a LIST chunk before the data chunk and some metadata after it, both should be ignored
+  const listChunk = Buffer.concat([Buffer.from('LIST'), Buffer.from([3, 0, 0, 0]), Buffer.from('abc'), Buffer.alloc(1)]);
+  const wavData = Buffer.concat([
+    inputHeader.slice(0, inputHeader.length - 8),
+    listChunk,
+    inputHeader.slice(inputHeader.length - 8),
+    pcmData,
+    Buffer.from('id3 '),
+    Buffer.alloc(4),
+  ]);
+  wavData.writeUInt32LE(wavData.readUInt32LE(4) + listChunk.length + 8, 4);
+  const expectedFrames = Math.round(pcmData.length / 4 * 48000 / 44100) + outputLatencyOf(44100, 48000);
+
+  // seekable destination, the header should be patched
+  const outputPath = path.join(os.tmpdir(), `speex-resampler-test-${process.pid}.wav`);
+  const fileTransform = new WavResamplerTransform(48000);
+  const input = new PassThrough();
+  const output = createWriteStream(outputPath);
+  input.pipe(fileTransform).pipe(output);
+  // sending the file in small chunks to split the header
+  for (let offset = 0; offset < wavData.length; offset += 1000) {
+    input.write(wavData.slice(offset, offset + 1000));
+  }
+  input.end();
+  await new Promise((r) => output.on('finish', r));
+  const outputFile = readFileSync(outputPath);
+  unlinkSync(outputPath);
+  const outputHeader = parseWavHeader(outputFile);
+  console.log(`File output: ${outputHeader.channels} channel(s) ${outputHeader.format} at ${outputHeader.sampleRate}Hz, ${outputHeader.dataLength} bytes`);
+  assert(outputHeader.format === 'int16' && outputHeader.channels === 2 && outputHeader.sampleRate === 48000, 'Output format not matching input format');
+  assert(outputHeader.dataLength === expectedFrames * 4, `Output data length not matching, expected: ${expectedFrames * 4} != out:${outputHeader.dataLength}`);
+  assert(outputFile.length === outputHeader.dataOffset + outputHeader.dataLength, 'Output file length not matching its header');
+  assert(outputFile.readUInt32LE(4) === outputFile.length - 8, 'RIFF chunk size not matching file length');
+
+  // non seekable destination, the header should have placeholder sizes
+  const streamTransform = new WavResamplerTransform(16000, 7, {format: 'float32'});
+  const chunks: Buffer[] = [];
+  streamTransform.on('data', (d) => chunks.push(d));
+  streamTransform.end(wavData);
+  await new Promise((r) => streamTransform.on('end', r));
+  const streamOutput = Buffer.concat(chunks);
+  const streamHeader = parseWavHeader(streamOutput);
+  assert(streamHeader.format === 'float32' && streamHeader.sampleRate === 16000, 'Output format not matching requested format');
+  assert(streamHeader.dataLength === null, 'Streamed output should have an unknown data length');
+  const finalHeader = parseWavHeader(streamTransform.header);
+  assert(finalHeader.dataLength === streamOutput.length - streamHeader.dataOffset, 'Final header data length not matching output');
+  assert(streamTransform.header.length === streamHeader.dataOffset, 'Final header should have the same length as the placeholder header');
+
+  // invalid parameters only known once the header is parsed should be emitted as errors
+  const invalidTransforms = [
+    [new WavResamplerTransform(48000), Buffer.concat([createWavHeader({format: 'int16', channels: 2, sampleRate: 0}, 4), Buffer.alloc(4)])],
+    [new WavResamplerTransform(48000, 7, {outChannels: 3}), wavData],
+  ] as [WavResamplerTransform, Buffer][];
+  for (const [transform, data] of invalidTransforms) {
+    const error = await new Promise((r) => {
+      transform.on('error', r);
+      transform.end(data);
+    });
+    assert(error instanceof SpeexResamplerInvalidArgError, `Invalid WAV parameters should emit an error, got ${error}`);
+  }
+  console.log();
+}
+
+const poolTest = async () => {
+  console.log('=================');
+  console.log('Worker Pool Test');
+  console.log('=================');
+
+  const pcmData = readFileSync(path.resolve(__dirname, `../resources/44100hz_test.pcm`));
+  const options = {channels: 2, inRate: 44100, outRate: 48000, format: 'int16' as SampleFormat};
+  const resampler = new SpeexResampler(options.channels, options.inRate, options.outRate, 7, options);
+  const reference = Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]);
+  resampler.destroy();
+
+  const pool = new ResamplerPool({size: 2});
+  const start = performance.now();
+  // input buffers are transferred to the workers so each job gets its own copy
+  const results = await Promise.all([0, 1, 2, 3].map(() => pool.resample(Buffer.from(pcmData), options)));
+  console.log(`Resampled ${results.length} files with ${pool.size} workers in ${Math.floor(performance.now() - start)}ms`);
+  results.forEach((res) => assert(res.equals(reference), 'Pool output not matching main thread output'));
+
+  const stream = pool.createStream(options);
+  const chunks: Buffer[] = [];
+  stream.on('data', (d) => chunks.push(d));
+  createReadStream(path.resolve(__dirname, `../resources/44100hz_test.pcm`), {highWaterMark: 1001}).pipe(stream);
+  await new Promise((r) => stream.on('end', r));
+  assert(Buffer.concat(chunks).equals(reference), 'Pool stream output not matching main thread output');
+
+  // errors thrown in the workers should keep their class
+  const workerError = await pool.resample(Buffer.from(pcmData), {...options, channels: 0}).catch((e) => e);
+  assert(workerError instanceof SpeexResamplerInvalidArgError && workerError.code === 3, `Pool should reject with the worker error class, got ${workerError}`);
+
+  await pool.close();
+  const closedError = await pool.resample(Buffer.from(pcmData), options).catch((e) => e);
+  assert(closedError instanceof SpeexResamplerBadStateError, `Pool should reject jobs once closed, got ${closedError}`);
+  console.log();
+}
+
+const cliTest = async () => {
+  console.log('=================');
+  console.log('CLI Test');
+  console.log('=================');
+
+  const cli = path.resolve(__dirname, 'cli.js');
+  const tmpDir = mkdtempSync(path.join(os.tmpdir(), 'speex-resampler-cli-'));
+  // 1s of stereo 440Hz sine, the resources files cannot be used as raw PCM as they start with a WAV header
+  const pcmData = Buffer.alloc(24000 * 4);
+  for (let i = 0; i < 24000 * 2; i++) {
+    pcmData.writeInt16LE(Math.round(Math.sin(Math.floor(i / 2) * 2 * Math.PI * 440 / 24000) * 10000), i * 2);
+  }
+  const expectedFrames = 16000 + outputLatencyOf(24000, 16000);
+
+  // raw PCM from stdin to stdout
+  const rawOutput = execFileSync(process.execPath, [cli, '--in-rate', '24000', '--out-rate', '16000', '--channels', '2', '--quiet'], {input: pcmData});
+  assert(rawOutput.length === expectedFrames * 4, `Raw output length not matching, expected: ${expectedFrames * 4} != out:${rawOutput.length}`);
+
+  // WAV files, detected from their header
+  const wavData = Buffer.concat([createWavHeader({format: 'int16', channels: 2, sampleRate: 24000}, pcmData.length), pcmData]);
+  writeFileSync(path.join(tmpDir, 'first.wav'), wavData);
+  writeFileSync(path.join(tmpDir, 'second.wav'), wavData);
+  execFileSync(process.execPath, [cli, '--out-rate', '16000', '--out-format', 'f32', path.join(tmpDir, 'first.wav'), path.join(tmpDir, 'single.wav')], {stdio: 'pipe'});
+  const singleHeader = parseWavHeader(readFileSync(path.join(tmpDir, 'single.wav')));
+  assert(singleHeader.format === 'float32' && singleHeader.sampleRate === 16000, 'CLI output format not matching the requested one');
+  assert(singleHeader.dataLength === expectedFrames * 8, `CLI output data length not matching, expected: ${expectedFrames * 8} != out:${singleHeader.dataLength}`);
+
+  // the summary durations should not include the headers, the input one is longer because of its LIST chunk
+  const inputHeader = createWavHeader({format: 'int16', channels: 2, sampleRate: 24000}, pcmData.length);
+  const listChunk = Buffer.concat([Buffer.from('LIST'), Buffer.from([0xd0, 0x07, 0, 0]), Buffer.alloc(2000)]);
+  const listWavData = Buffer.concat([inputHeader.slice(0, inputHeader.length - 8), listChunk, inputHeader.slice(inputHeader.length - 8), pcmData]);
+  listWavData.writeUInt32LE(listWavData.length - 8, 4);
+  writeFileSync(path.join(tmpDir, 'list.wav'), listWavData);
+  const summary = spawnSync(process.execPath, [cli, '--out-rate', '16000', '--out-format', 'f32', path.join(tmpDir, 'list.wav'), path.join(tmpDir, 'list_out.wav')]).stderr.toString();
+  assert(summary.includes('1.00s resampled to 1.00s'), `CLI summary durations not matching: ${summary}`);
+
+  execFileSync(process.execPath, [
+    cli, '--out-rate', '16000', '--batch', path.join(tmpDir, '*d.wav'), '--out-dir', path.join(tmpDir, 'out'), '--jobs', '2',
+  ], {stdio: ['pipe', 'pipe', 'inherit']});
+  assert(readdirSync(path.join(tmpDir, 'out')).sort().join() === 'second.wav', 'Batch mode should resample the files matching the pattern');
+  const batchHeader = parseWavHeader(readFileSync(path.join(tmpDir, 'out', 'second.wav')));
+  assert(batchHeader.dataLength === expectedFrames * 4, 'Batch output data length not matching');
+
+  // files with the same name in different directories should keep their directories, or be rejected when they can't
+  for (const dir of ['a', 'b']) {
+    mkdirSync(path.join(tmpDir, 'tree', dir), {recursive: true});
+    writeFileSync(path.join(tmpDir, 'tree', dir, 'same.wav'), wavData);
+  }
+  execFileSync(process.execPath, [cli, '--out-rate', '16000', '--quiet', '--batch', path.join(tmpDir, 'tree', '**', '*.wav'), '--out-dir', path.join(tmpDir, 'tree_out')]);
+  assert(['a', 'b'].every((dir) => existsSync(path.join(tmpDir, 'tree_out', dir, 'same.wav'))), 'Batch mode should keep the input directories');
+  const collision = spawnSync(process.execPath, [
+    cli, '--out-rate', '16000', '--batch', path.join(tmpDir, 'tree', 'a', 'same.wav'), path.join(tmpDir, 'tree', 'b', 'same.wav'), '--out-dir', path.join(tmpDir, 'collision'),
+  ]);
+  assert(collision.status === 1 && collision.stderr.toString().includes('would both be resampled'), `Batch mode should reject outputs overwriting each other: ${collision.stderr}`);
+  assert(!existsSync(path.join(tmpDir, 'collision')), 'Batch mode should not start when outputs overwrite each other');
+
+  let failed = false;
+  try {
+    execFileSync(process.execPath, [cli, '--out-rate', '16000', '--unknown'], {stdio: 'pipe'});
+  } catch (e) {
+    failed = e.status === 1;
+  }
+  assert(failed, 'CLI should exit with an error on unknown options');
+  for (const [option, value] of [['--jobs', '0'], ['--jobs', '-2'], ['--channels', '1.5'], ['--quality', '11'], ['--in-rate', 'abc']]) {
+    const invalid = spawnSync(process.execPath, [cli, '--out-rate', '16000', option, value, '--batch', path.join(tmpDir, '*d.wav'), '--out-dir', path.join(tmpDir, 'invalid')]);
+    assert(invalid.status === 1 && invalid.stderr.toString().includes(`${option} should be`), `CLI should reject ${option} ${value}: ${invalid.stderr}`);
+  }
+  assert(!readdirSync(tmpDir).includes('invalid'), 'CLI should not start a batch with invalid options');
+
+  // errors on the input should not create or truncate the output file
+  const missingInput = spawnSync(process.execPath, [cli, '--out-rate', '16000', path.join(tmpDir, 'missing.wav'), path.join(tmpDir, 'missing_out.wav')]);
+  assert(missingInput.status === 1, 'CLI should exit with an error when the input is missing');
+  assert(missingInput.stderr.toString().trim().split('\n').length === 1, `CLI should print a single line error for a missing input: ${missingInput.stderr}`);
+  assert(!readdirSync(tmpDir).includes('missing_out.wav'), 'CLI should not create the output when the input is missing');
+  writeFileSync(path.join(tmpDir, 'raw.pcm'), pcmData);
+  const noInRate = spawnSync(process.execPath, [cli, '--out-rate', '16000', path.join(tmpDir, 'raw.pcm'), path.join(tmpDir, 'single.wav')]);
+  assert(noInRate.status === 1 && noInRate.stderr.toString().includes('--in-rate is required'), 'CLI should require --in-rate for raw PCM');
+  assert(parseWavHeader(readFileSync(path.join(tmpDir, 'single.wav'))).dataLength === expectedFrames * 8, 'CLI should not truncate the output on errors');
+  console.log();
+}
+
+const channelsTest = async () => {
+  console.log('=================');
+  console.log('Channels Mixing Test');
+  console.log('=================');
+
+  const pcmData = readFileSync(path.resolve(__dirname, `../resources/44100hz_test.pcm`));
+  const framesCount = pcmData.length / 4;
+  const stereo = new Float32Array(framesCount * 2);
+  const mono = new Float32Array(framesCount);
+  for (let i = 0; i < framesCount; i++) {
+    stereo[i * 2] = pcmData.readInt16LE(i * 4) / 0x8000;
+    stereo[i * 2 + 1] = pcmData.readInt16LE(i * 4 + 2) / 0x8000;
+    mono[i] = (stereo[i * 2] + stereo[i * 2 + 1]) / 2;
+  }
+  const resampleAll = (resampler: SpeexResampler, input: Float32Array) => Buffer.concat([resampler.processChunk(input), resampler.flush()]);
+
+  // stereo to mono is mixed before resampling so it should match resampling the average of both channels
+  const downmixed = resampleAll(new SpeexResampler(2, 44100, 16000, 7, {inFormat: 'float32', outFormat: 'int16', outChannels: 1}), stereo);
+  const monoReference = resampleAll(new SpeexResampler(1, 44100, 16000, 7, {inFormat: 'float32', outFormat: 'int16'}), mono);
+  console.log(`Stereo 44100Hz to mono 16000Hz: ${downmixed.length / 2} frames`);
+  assert(downmixed.equals(monoReference), 'Downmixed output not matching the resampled average of the channels');
+
+  // mono to stereo is mixed after resampling, both channels should be the resampled mono channel
+  const upmixed = resampleAll(new SpeexResampler(1, 44100, 48000, 7, {format: 'float32', outChannels: 2}), mono);
+  const upmixReference = resampleAll(new SpeexResampler(1, 44100, 48000, 7, {format: 'float32'}), mono);
+  assert(upmixed.length === upmixReference.length * 2, 'Upmixed output should have twice the samples of the mono output');
+  for (let i = 0; i < upmixReference.length / 4; i++) {
+    const sample = upmixReference.readFloatLE(i * 4);
+    assert(upmixed.readFloatLE(i * 8) === sample && upmixed.readFloatLE(i * 8 + 4) === sample, `Upmixed frame ${i} not matching mono output`);
+  }
+
+  const swapped = resampleAll(new SpeexResampler(2, 44100, 48000, 7, {format: 'float32', channelMap: [1, 0]}), stereo);
+  const stereoReference = resampleAll(new SpeexResampler(2, 44100, 48000, 7, {format: 'float32'}), stereo);
+  for (let i = 0; i < stereoReference.length / 8; i++) {
+    assert(
+      swapped.readFloatLE(i * 8) === stereoReference.readFloatLE(i * 8 + 4) && swapped.readFloatLE(i * 8 + 4) === stereoReference.readFloatLE(i * 8),
+      `Channel map not applied on frame ${i}`,
+    );
+  }
+
+  const planarResampler = new SpeexResampler(1, 44100, 48000, 7, {outChannels: 2});
+  const planarRes = planarResampler.processPlanar([mono]);
+  assert(planarRes.length === 2 && planarRes[0].every((sample, i) => sample === planarRes[1][i]), 'Planar upmix should output identical channels');
+
+  // 10ms of 5.1 audio
+  const surroundRes = resampleAll(new SpeexResampler(6, 48000, 44100, 7, {format: 'float32', outChannels: 2}), new Float32Array(480 * 6));
+  assert(surroundRes.length === (441 + outputLatencyOf(48000, 44100)) * 2 * 4, '5.1 to stereo should output 2 channels');
+
+  assertThrows(() => new SpeexResampler(3, 44100, 48000, 7, {outChannels: 2}), 'Mixing without default coefficients should throw');
+  assertThrows(() => new SpeexResampler(2, 44100, 48000, 7, {channelMap: [2]}), 'Channel map with an unknown input channel should throw');
+  assertThrows(() => new SpeexResampler(2, 44100, 48000, 7, {mixingMatrix: [[1]]}), 'Mixing matrix with a wrong number of gains should throw');
+  assertThrowsError(() => new SpeexResampler(2, 44100, 48000, 7, {channelMap: []}), SpeexResamplerInvalidArgError, 'Empty channel map should throw');
+  assertThrowsError(() => new SpeexResampler(2, 44100, 48000, 7, {mixingMatrix: []}), SpeexResamplerInvalidArgError, 'Empty mixing matrix should throw');
+  console.log();
+}
+
+const frameSizeTest = async () => {
+  console.log('=================');
+  console.log('Frame Size Test');
+  console.log('=================');
+
+  const inFile = path.resolve(__dirname, `../resources/44100hz_test.pcm`);
+  const pcmData = readFileSync(inFile);
+  const resampler = new SpeexResampler(2, 44100, 48000, 7, {format: 'int16'});
+  const reference = Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]);
+
+  const readFrames = async (padLastFrame: boolean) => {
+    // 20ms frames at 48kHz
+    const transform = new SpeexResamplerTransform(2, 44100, 48000, 7, {format: 'int16', frameSize: 960, padLastFrame});
+    const frames: SpeexResamplerFrame[] = [];
+    transform.on('data', (frame) => frames.push(frame));
+    createReadStream(inFile, {highWaterMark: 1001}).pipe(transform);
+    await new Promise((r) => transform.on('end', r));
+    return frames;
+  };
+
+  const paddedFrames = await readFrames(true);
+  console.log(`${paddedFrames.length} frames of 20ms`);
+  assert(paddedFrames.length === Math.ceil(reference.length / 4 / 960), 'Frames count not matching the resampled length');
+  paddedFrames.forEach((frame, i) => {
+    assert(frame.frames === 960 && frame.data.length === 960 * 4, `Frame ${i} should have 960 frames, got ${frame.frames}`);
+    assert(frame.sampleIndex === i * 960, `Frame ${i} sample index not matching, expected: ${i * 960} != out:${frame.sampleIndex}`);
+    assert(Math.abs(frame.timestamp - i * 20) < 1e-6, `Frame ${i} timestamp not matching, expected: ${i * 20} != out:${frame.timestamp}`);
+  });
+  const lastFrame = paddedFrames[paddedFrames.length - 1];
+  assert(lastFrame.data.slice(reference.length - lastFrame.sampleIndex * 4).every((byte) => byte === 0), 'Last frame should be padded with silence');
+
+  const unpaddedFrames = await readFrames(false);
+  assert(Buffer.concat(unpaddedFrames.map((frame) => frame.data)).equals(reference), 'Frames without padding not matching the resampled output');
+  assertThrows(() => new SpeexResamplerTransform(2, 44100, 48000, 7, {frameSize: 0.5}), 'frameSize should be an integer');
+  console.log();
+}
+
+const positionsTest = async () => {
+  console.log('=================');
+  console.log('Positions Test');
+  console.log('=================');
+
+  // impulse at a known input position
+  const impulsePosition = 10000;
+  const input = new Float32Array(44100);
+  input[impulsePosition] = 1;
+  const resampler = new SpeexResampler(1, 44100, 48000, 7);
+  const output: Float32Array[] = [];
+  for (let offset = 0; offset < input.length; offset += 1001) {
+    output.push(new Float32Array(resampler.processChunk(input.subarray(offset, offset + 1001)).buffer.slice(0)));
+  }
+  const resampled = Float32Array.from(output.flatMap((chunk) => Array.from(chunk)));
+  assert(resampler.inputFramesConsumed === input.length, `Consumed input frames not matching, expected: ${input.length} != out:${resampler.inputFramesConsumed}`);
+  assert(resampler.outputFramesProduced === resampled.length, `Produced output frames not matching, expected: ${resampled.length} != out:${resampler.outputFramesProduced}`);
+
+  const peakPosition = resampled.reduce((peak, sample, i) => sample > resampled[peak] ? i : peak, 0);
+  const expectedPeakPosition = resampler.inputPositionToOutput(impulsePosition);
+  console.log(`Impulse at input ${impulsePosition} found at output ${peakPosition}, expected at ${expectedPeakPosition.toFixed(2)}`);
+  assert(Math.abs(peakPosition - expectedPeakPosition) <= 1, 'Impulse position not matching the computed output position');
+  assert(Math.abs(resampler.outputPositionToInput(expectedPeakPosition) - impulsePosition) < 1e-6, 'outputPositionToInput should be the inverse of inputPositionToOutput');
+
+  const compensatedResampler = new SpeexResampler(1, 44100, 48000, 7, {compensateLatency: true});
+  compensatedResampler.processChunk(input);
+  assert(compensatedResampler.inputPositionToOutput(44100) === 48000, 'Compensated positions should only depend on the ratio');
+
+  const transform = new SpeexResamplerTransform(1, 44100, 48000, 7, {positions: true});
+  const frames: SpeexResamplerFrame[] = [];
+  transform.on('data', (frame) => frames.push(frame));
+  transform.end(Buffer.from(input.buffer));
+  await new Promise((r) => transform.on('end', r));
+  let sampleIndex = 0;
+  for (const frame of frames) {
+    assert(frame.sampleIndex === sampleIndex, 'Chunks sample index should follow the output length');
+    sampleIndex += frame.frames;
+  }
+  assert(frames[0].inputPosition < 0, 'First chunk should start before the input because of the filter delay');
+  console.log();
+}
+
+const webStreamTest = async () => {
+  console.log('=================');
+  console.log('Web Stream Test');
+  console.log('=================');
+
+  const pcmData = readFileSync(path.resolve(__dirname, `../resources/44100hz_test.pcm`));
+  const resampler = new SpeexResampler(2, 44100, 48000, 7, {format: 'int16'});
+  const reference = Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]);
+
+  // chunks not aligned on frames, alternating between ArrayBuffer and typed arrays
+  let offset = 0;
+  let chunkIndex = 0;
+  const input = new ReadableStream({
+    pull: (controller) => {
+      if (offset >= pcmData.length) {
+        controller.close();
+        return;
+      }
+      const chunk = pcmData.slice(offset, offset + 1001);
+      offset += chunk.length;
+      controller.enqueue(chunkIndex++ % 2 ? new Uint8Array(chunk) : Uint8Array.from(chunk).buffer);
+    },
+  });
+  const stream = await SpeexResamplerStream.create(2, 44100, 48000, 7, {format: 'int16'});
+  const chunks: Buffer[] = [];
+  const reader = input.pipeThrough(stream).getReader();
+  for (let res = await reader.read(); !res.done; res = await reader.read()) {
+    chunks.push(Buffer.from(res.value));
+  }
+  assert(Buffer.concat(chunks).equals(reference), 'Web stream output not matching processChunk output');
+  assert(stream.resampler._destroyed, 'Web stream should destroy its resampler when closed');
+  console.log();
+}
+
+const helpersTest = async () => {
+  console.log('=================');
+  console.log('Helpers Test');
+  console.log('=================');
+
+  const inFile = path.resolve(__dirname, `../resources/44100hz_test.pcm`);
+  const pcmData = readFileSync(inFile);
+  const options = {channels: 2, inRate: 44100, outRate: 16000, format: 'int16' as SampleFormat};
+  const resampler = new SpeexResampler(2, 44100, 16000, 7, {...options, compensateLatency: true});
+  const reference = Buffer.concat([resampler.processChunk(pcmData), resampler.flush()]);
+
+  const oneShot = await resampleBuffer(new Int16Array(pcmData.buffer, pcmData.byteOffset, pcmData.length / 2), options);
+  assert(oneShot.equals(reference), 'resampleBuffer output not matching processChunk output');
+
+  const chunks: Buffer[] = [];
+  for await (const chunk of resampleIterable(createReadStream(inFile, {highWaterMark: 1001}), options)) {
+    chunks.push(chunk);
+  }
+  assert(Buffer.concat(chunks).equals(reference), 'resampleIterable output not matching processChunk output');
+  console.log();
+}
+
+const assertThrowsError = (fn: () => any, errorClass: Function, message: string) => {
+  try {
+    fn();
+  } catch (e) {
+    assert(e instanceof errorClass && e instanceof SpeexResamplerError, `${message}, got ${e}`);
+    return e;
+  }
+  throw new Error(`${message}, nothing thrown`);
+}
+
+const errorsTest = async () => {
+  console.log('=================');
+  console.log('Errors Test');
+  console.log('=================');
+
+  assertThrowsError(() => new SpeexResampler(0, 44100, 48000), SpeexResamplerInvalidArgError, 'Constructor should reject 0 channels');
+  assertThrowsError(() => new SpeexResampler(1.5, 44100, 48000), SpeexResamplerInvalidArgError, 'Constructor should reject non integer channels');
+  assertThrowsError(() => new SpeexResampler(2, -44100, 48000), SpeexResamplerInvalidArgError, 'Constructor should reject negative rates');
+  assertThrowsError(() => new SpeexResampler(2, 44100, NaN), SpeexResamplerInvalidArgError, 'Constructor should reject NaN rates');
+  assertThrowsError(() => new SpeexResampler(2, 44100, 48000, 11), SpeexResamplerInvalidArgError, 'Constructor should reject a quality above 10');
+  assertThrowsError(() => new SpeexResampler(2, 44100, 48000, 7, {format: 'int8' as SampleFormat}), SpeexResamplerInvalidArgError, 'Constructor should reject unknown formats');
+  assertThrowsError(() => new SpeexResamplerTransform(2, 44100, 0), SpeexResamplerInvalidArgError, 'Transform constructor should validate its arguments');
+  assertThrowsError(() => new WavResamplerTransform(-1), SpeexResamplerInvalidArgError, 'WAV transform constructor should validate its arguments');
+  assertThrowsError(() => parseWavHeader(Buffer.alloc(44)), SpeexResamplerInvalidArgError, 'parseWavHeader should reject files that are not WAV');
+  new SpeexResampler(2, 44100, 48000, 0).destroy();
+
+  const resampler = new SpeexResampler(2, 44100, 48000, 7, {format: 'float32'});
+  // 2 channels of int16 but not of float32
+  const misalignedError = assertThrowsError(() => resampler.processChunk(Buffer.alloc(12)), SpeexResamplerInvalidArgError, 'Misaligned chunk should throw');
+  assert(misalignedError.message.includes('4 bytes'), `Misaligned chunk error should use the sample width: ${misalignedError.message}`);
+  assert(misalignedError.code === 3, 'Invalid argument errors should have the RESAMPLER_ERR_INVALID_ARG code');
+  assertThrowsError(() => resampler.processInto(Buffer.alloc(8 * 100), Buffer.alloc(8)), SpeexResamplerInvalidArgError, 'processInto should throw when output is too small');
+  assertThrowsError(() => resampler.processPlanar([new Float32Array(10)]), SpeexResamplerInvalidArgError, 'processPlanar should throw with a wrong number of channels');
+  assertThrowsError(() => resampler.setQuality(-1), SpeexResamplerInvalidArgError, 'setQuality should validate the quality');
+  assertThrowsError(() => resampler.setRate(44100, 0), SpeexResamplerInvalidArgError, 'setRate should validate the rates');
+  assertThrowsError(() => resampler.setRateFrac(0, 1), SpeexResamplerInvalidArgError, 'setRateFrac should validate the ratio');
+  // speex already changed the ratio when scaling the fractional position of the filter overflows
+  resampler.setRateFrac(1000003, 999983);
+  resampler.processChunk(Buffer.alloc(997 * 8));
+  assertThrowsError(() => resampler.setRateFrac(999979, 999961, 48000, 44100), SpeexResamplerOverflowError, 'setRateFrac should throw when the position overflows');
+  const { ratioNum, ratioDen } = resampler.ratio;
+  assert(resampler._ratioNum === ratioNum && resampler._ratioDen === ratioDen, 'Ratio should match speex after a failed setRateFrac');
+  assert(resampler.inRate === 48000 && resampler.outRate === 44100, 'Rates should match speex after a failed setRateFrac');
+  resampler.destroy();
+  const destroyedError = assertThrowsError(() => resampler.processChunk(Buffer.alloc(8)), SpeexResamplerBadStateError, 'Destroyed resampler should throw');
+  assert(destroyedError.code === 2, 'Bad state errors should have the RESAMPLER_ERR_BAD_STATE code');
+
+  // float32 chunks split in the middle of a sample should be realigned by the transform
+  const transform = new SpeexResamplerTransform(2, 44100, 48000, 7, {format: 'float32'});
+  const chunks: Buffer[] = [];
+  transform.on('data', (d) => chunks.push(d));
+  const input = Buffer.alloc(44100 * 8);
+  for (let offset = 0; offset < input.length; offset += 1001) {
+    transform.write(input.slice(offset, offset + 1001));
+  }
+  transform.end();
+  await new Promise((r) => transform.on('end', r));
+  assert(Buffer.concat(chunks).length === (48000 + outputLatencyOf(44100, 48000)) * 8, 'Transform should realign float32 chunks');
+
+  [SpeexResamplerAllocError, SpeexResamplerBadStateError, SpeexResamplerInvalidArgError, SpeexResamplerPtrOverlapError, SpeexResamplerOverflowError]
+    .forEach((ErrorClass, i) => {
+      const error = errorFromCode(i + 1, 'error');
+      assert(error instanceof ErrorClass && error.code === i + 1 && error.name === ErrorClass.name, `Error code ${i + 1} should map to ${ErrorClass.name}`);
+    });
+  console.log('OK');
+  console.log();
+}
+
+const toDb = (ratio: number) => 20 * Math.log10(ratio);
+
+// deterministic pseudo random numbers between 0 and 1 (mulberry32) so that failures can be reproduced
+const seededRandom = (seed: number) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+const generateSignal = (rate: number, duration: number, sampleAt: (time: number) => number) => (
+  Float32Array.from({length: Math.round(rate * duration)}, (_, i) => sampleAt(i / rate))
+);
+
+const sine = (frequency: number, amplitude: number) => (time: number) => amplitude * Math.sin(2 * Math.PI * frequency * time);
+
+// tones with different phases so that their peaks don't add up
+const multitone = (frequencies: number[], amplitude: number) => (time: number) => frequencies.reduce((sample, frequency, i) => (
+  sample + amplitude * Math.sin(2 * Math.PI * frequency * time + i)
+), 0);
+
+// exponential sweep from startFrequency to endFrequency over duration
+const sineSweep = (startFrequency: number, endFrequency: number, duration: number, amplitude: number) => {
+  const k = Math.log(endFrequency / startFrequency);
+  return (time: number) => amplitude * Math.sin(2 * Math.PI * startFrequency * duration / k * (Math.exp(time / duration * k) - 1));
+}
+
+// amplitude of the tone at `frequency` measured with a Hann window to limit the leakage of the other tones
+const toneAmplitude = (samples: Float32Array, frequency: number, rate: number) => {
+  let re = 0;
+  let im = 0;
+  let windowSum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const w = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (samples.length - 1));
+    const phase = 2 * Math.PI * frequency * i / rate;
+    re += w * samples[i] * Math.cos(phase);
+    im += w * samples[i] * Math.sin(phase);
+    windowSum += w;
+  }
+  return 2 * Math.sqrt(re * re + im * im) / windowSum;
+}
+
+// signal to noise and distortion ratio in dB: the sine at `frequency` is fitted with least squares and everything else is noise
+const sineSnr = (samples: Float32Array, frequency: number, rate: number) => {
+  let sinSin = 0, cosCos = 0, sinCos = 0, sampleSin = 0, sampleCos = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const sin = Math.sin(2 * Math.PI * frequency * i / rate);
+    const cos = Math.cos(2 * Math.PI * frequency * i / rate);
+    sinSin += sin * sin;
+    cosCos += cos * cos;
+    sinCos += sin * cos;
+    sampleSin += samples[i] * sin;
+    sampleCos += samples[i] * cos;
+  }
+  const determinant = sinSin * cosCos - sinCos * sinCos;
+  const a = (sampleSin * cosCos - sampleCos * sinCos) / determinant;
+  const b = (sampleCos * sinSin - sampleSin * sinCos) / determinant;
+  let signal = 0;
+  let noise = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const fitted = a * Math.sin(2 * Math.PI * frequency * i / rate) + b * Math.cos(2 * Math.PI * frequency * i / rate);
+    signal += fitted * fitted;
+    noise += (samples[i] - fitted) ** 2;
+  }
+  return 10 * Math.log10(signal / noise);
+}
+
+const toFloat32Array = (data: Buffer) => new Float32Array(Uint8Array.from(data).buffer);
+
+// resamples the signal with SpeexResampler and SpeexResamplerTransform, both outputs should be identical
+const resampleSignal = async (signal: Float32Array, inRate: number, outRate: number, quality: number) => {
+  const options = {format: 'float32' as SampleFormat, compensateLatency: true};
+  const input = Buffer.from(signal.buffer, signal.byteOffset, signal.byteLength);
+  const resampler = new SpeexResampler(1, inRate, outRate, quality, options);
+  const res = Buffer.concat([resampler.processChunk(input), resampler.flush()]);
+  resampler.destroy();
+
+  const transform = new SpeexResamplerTransform(1, inRate, outRate, quality, options);
+  const chunks: Buffer[] = [];
+  transform.on('data', (d) => chunks.push(d));
+  for (let offset = 0; offset < input.length; offset += 4096) {
+    transform.write(input.slice(offset, offset + 4096));
+  }
+  transform.end();
+  await new Promise((r) => transform.on('end', r));
+  assert(Buffer.concat(chunks).equals(res), `Transform output not matching SpeexResampler output with quality ${quality}`);
+
+  // the start and end of the output are not steady state so they are not measured
+  const margin = Math.round(outRate / 20);
+  return toFloat32Array(res).subarray(margin, res.length / 4 - margin);
+}
+
+interface QualityThresholds {
+  // minimum SNR in dB of a 1kHz sine resampled from 44100Hz to 48000Hz
+  snr: number;
+  // maximum passband ripple in dB from 20Hz to `passband` when resampling from 44100Hz to 48000Hz
+  ripple: number;
+  passband: number;
+  // minimum attenuation in dB of tones above the output Nyquist frequency when resampling from 48000Hz to 16000Hz
+  aliasingRejection: number;
+  // maximum total harmonic distortion in dB of a 1kHz sine resampled from 44100Hz to 48000Hz
+  thd: number;
+}
+
+const QUALITY_THRESHOLDS: {[quality: number]: QualityThresholds} = {
+  1: {snr: 70, ripple: 0.05, passband: 10000, aliasingRejection: 65, thd: -100},
+  4: {snr: 95, ripple: 0.01, passband: 16000, aliasingRejection: 85, thd: -120},
+  7: {snr: 110, ripple: 0.01, passband: 18000, aliasingRejection: 110, thd: -130},
+  10: {snr: 125, ripple: 0.01, passband: 19000, aliasingRejection: 120, thd: -140},
+};
+
+const signalQualityTest = async () => {
+  console.log('=================');
+  console.log('Signal Quality Test');
+  console.log('=================');
+
+  const passbandFrequencies = [20, 100, 500, 1000, 2000, 4000, 6000, 8000, 10000, 12000, 14000, 16000, 17000, 18000, 19000];
+  // 10kHz, 12kHz and 14kHz are aliased to 6kHz, 4kHz and 2kHz at 16kHz
+  const stopbandFrequencies = [10000, 12000, 14000];
+  const amplitude = 0.5;
+
+  const sineSignal = generateSignal(44100, 1, sine(1000, amplitude));
+  for (const quality of Object.keys(QUALITY_THRESHOLDS).map(Number)) {
+    const thresholds = QUALITY_THRESHOLDS[quality];
+
+    const resampledSine = await resampleSignal(sineSignal, 44100, 48000, quality);
+    const snr = sineSnr(resampledSine, 1000, 48000);
+    const fundamental = toneAmplitude(resampledSine, 1000, 48000);
+    const harmonics = Math.sqrt([2, 3, 4, 5].reduce((sum, harmonic) => sum + toneAmplitude(resampledSine, 1000 * harmonic, 48000) ** 2, 0));
+    const thd = toDb(harmonics / fundamental);
+
+    const tones = passbandFrequencies.filter((frequency) => frequency <= thresholds.passband);
+    const tonesAmplitude = amplitude / tones.length;
+    const resampledTones = await resampleSignal(generateSignal(44100, 1, multitone(tones, tonesAmplitude)), 44100, 48000, quality);
+    const gains = tones.map((frequency) => toDb(toneAmplitude(resampledTones, frequency, 48000) / tonesAmplitude));
+    const ripple = Math.max(...gains) - Math.min(...gains);
+
+    const stopbandAmplitude = amplitude / stopbandFrequencies.length;
+    const resampledStopband = await resampleSignal(generateSignal(48000, 1, multitone(stopbandFrequencies, stopbandAmplitude)), 48000, 16000, quality);
+    const aliasingRejection = Math.min(...stopbandFrequencies.map((frequency) => (
+      -toDb(toneAmplitude(resampledStopband, 16000 - frequency, 16000) / stopbandAmplitude)
+    )));
+
+    console.log(
+      `Quality ${quality}: SNR ${snr.toFixed(1)}dB, THD ${thd.toFixed(1)}dB, ` +
+      `passband ripple ${ripple.toFixed(3)}dB up to ${thresholds.passband}Hz, aliasing rejection ${aliasingRejection.toFixed(1)}dB`
+    );
+    assert(snr >= thresholds.snr, `SNR with quality ${quality} is too low: ${snr}dB < ${thresholds.snr}dB`);
+    assert(thd <= thresholds.thd, `THD with quality ${quality} is too high: ${thd}dB > ${thresholds.thd}dB`);
+    assert(ripple <= thresholds.ripple, `Passband ripple with quality ${quality} is too high: ${ripple}dB > ${thresholds.ripple}dB`);
+    assert(aliasingRejection >= thresholds.aliasingRejection, `Aliasing rejection with quality ${quality} is too low: ${aliasingRejection}dB < ${thresholds.aliasingRejection}dB`);
+  }
+  console.log();
+}
+
+const chunkedOutputTest = async () => {
+  console.log('=================');
+  console.log('Chunked Output Test');
+  console.log('=================');
+
+  const sweep = generateSignal(44100, 2, sineSweep(20, 20000, 2, 0.5));
+  const float32Input = Buffer.from(sweep.buffer);
+  const int16Input = Buffer.alloc(sweep.length * 2);
+  sweep.forEach((sample, i) => int16Input.writeInt16LE(Math.round(sample * 0x7FFF), i * 2));
+
+  for (const [format, input] of [['float32', float32Input], ['int16', int16Input]] as [SampleFormat, Buffer][]) {
+    const frameLength = BYTES_PER_SAMPLE[format];
+    const oneShotResampler = new SpeexResampler(1, 44100, 48000, 7, {format});
+    const oneShot = Buffer.concat([oneShotResampler.processChunk(input), oneShotResampler.flush()]);
+
+    for (let seed = 1; seed <= 5; seed++) {
+      const random = seededRandom(seed);
+      const resampler = new SpeexResampler(1, 44100, 48000, 7, {format});
+      const chunks: Buffer[] = [];
+      let offset = 0;
+      while (offset < input.length) {
+        // from a single frame to around 100ms, empty chunks included
+        const chunkLength = Math.floor(random() ** 3 * 4410) * frameLength;
+        chunks.push(resampler.processChunk(input.slice(offset, offset + chunkLength)));
+        offset += chunkLength;
+      }
+      chunks.push(resampler.flush());
+      assert(Buffer.concat(chunks).equals(oneShot), `Chunked ${format} output with seed ${seed} not matching one-shot output`);
+    }
+    console.log(`${format}: chunked outputs identical to one-shot output`);
+  }
+  console.log();
+}
+
+const varispeedTest = async () => {
+  console.log('=================');
+  console.log('Varispeed Test');
+  console.log('=================');
+
+  const ratioResampler = SpeexResampler.fromRatio(1, 441, 480, 44100, 48000);
+  const {ratioNum, ratioDen} = ratioResampler.ratio;
+  assert(ratioNum === 147 && ratioDen === 160, `Ratio should be reduced to 147/160, got ${ratioNum}/${ratioDen}`);
+  ratioResampler.destroy();
+
+  // NTSC pull-down: 1001/1000 of the input rate with the same nominal rates
+  const pullDownResampler = SpeexResampler.fromRatio(1, 1001, 1000, 48000, 48000);
+  const pullDownInput = Buffer.from(generateSignal(48000, 1, sine(1000, 0.5)).buffer);
+  const pullDown = Buffer.concat([pullDownResampler.processChunk(pullDownInput), pullDownResampler.flush()]);
+  console.log(`Pull-down: ${pullDown.length / 4} frames from 48000`);
+  // speex outputs the last partial frame so the count can be rounded up
+  const pullDownFrames = 48000 * 1000 / 1001 + pullDownResampler.outputLatency;
+  assert(Math.abs(pullDown.length / 4 - pullDownFrames) < 1, `Pull-down output frames not matching, got ${pullDown.length / 4}`);
+
+  const [num, den] = approximateRatio(44100 * 1.0123 / 48000);
+  assert(den <= 0xFFFF && Math.abs(num / den - 44100 * 1.0123 / 48000) < 1e-6, `Ratio approximation not precise enough, got ${num}/${den}`);
+  assertThrowsError(() => approximateRatio(0), SpeexResamplerInvalidArgError, 'A null ratio should throw');
+
+  const signal = generateSignal(44100, 1, sine(1000, 0.5));
+  const resampleWithSpeed = async (speed: number | ((inputPosition: number) => number)) => {
+    // without the filter delay so that the output duration only depends on the speed
+    const transform = new SpeexResamplerTransform(1, 44100, 44100, 7, {speed, compensateLatency: true});
+    const chunks: Buffer[] = [];
+    transform.on('data', (chunk) => chunks.push(chunk));
+    const input = Buffer.from(signal.buffer);
+    // 100ms chunks so that the speed function is called multiple times
+    for (let offset = 0; offset < input.length; offset += 4410 * 4) {
+      transform.write(input.slice(offset, offset + 4410 * 4));
+    }
+    transform.end();
+    await new Promise((r) => transform.on('end', r));
+    return toFloat32Array(Buffer.concat(chunks));
+  };
+
+  for (const speed of [2, 0.5]) {
+    const output = await resampleWithSpeed(speed);
+    console.log(`Speed ${speed}: ${output.length} frames from ${signal.length}`);
+    assert(Math.abs(output.length - signal.length / speed) < 2, `Output duration not matching the speed ${speed}, got ${output.length} frames`);
+    const amplitude = toneAmplitude(output.slice(4410, -4410), 1000 * speed, 44100);
+    assert(Math.abs(amplitude - 0.5) < 0.01, `Tone not shifted to ${1000 * speed}Hz, amplitude: ${amplitude}`);
+  }
+
+  // the speed is ramped from 1 to 2 over the first half of the input then kept at 2
+  const inputPositions: number[] = [];
+  const ramped = await resampleWithSpeed((inputPosition) => {
+    inputPositions.push(inputPosition);
+    return inputPosition < 22050 ? 1 + inputPosition / 22050 : 2;
+  });
+  console.log(`Ramped speed: ${ramped.length} frames from ${signal.length}`);
+  assert(inputPositions[1] === 4410, `Speed function should get the input position of the chunk, got ${inputPositions[1]}`);
+  assert(ramped.length > signal.length / 2 && ramped.length < signal.length, `Ramped output duration not between the speeds, got ${ramped.length} frames`);
+  assert(Math.abs(toneAmplitude(ramped.slice(-8820, -2205), 2000, 44100) - 0.5) < 0.01, 'Ramped output should end at 2000Hz');
+
+  const transform = new SpeexResamplerTransform(1, 44100, 48000);
+  assertThrowsError(() => transform.setSpeed(0), SpeexResamplerInvalidArgError, 'A null speed should throw');
+  assertThrowsError(() => new SpeexResamplerTransform(1, 44100, 48000, 7, {speed: -1}), SpeexResamplerInvalidArgError, 'A negative speed should throw');
+  transform.resampler.destroy();
+  console.log();
+}
+
+const snapshotTest = async () => {
+  console.log('=================');
+  console.log('Snapshot Test');
+  console.log('=================');
+
+  const signal = Buffer.from(generateSignal(44100, 1, multitone([440, 1000, 5000], 0.2)).buffer);
+  // aligned on a stereo float32 frame
+  const half = Math.floor(signal.length / 16) * 8;
+  const resampleAll = (resampler: SpeexResampler, input: Buffer) => Buffer.concat([resampler.processChunk(input), resampler.flush()]);
+
+  // stereo so that the history of every channel has to be cleared
+  for (const compensateLatency of [false, true]) {
+    const reference = resampleAll(new SpeexResampler(2, 44100, 48000, 7, {compensateLatency}), signal.slice(half));
+    const resampler = new SpeexResampler(2, 44100, 48000, 7, {compensateLatency});
+    resampler.processChunk(signal.slice(0, half));
+    resampler.reset();
+    assert(resampler.inputFramesConsumed === 0 && resampler.outputFramesProduced === 0, 'Positions should be reset');
+    assert(resampleAll(resampler, signal.slice(half)).equals(reference), `Output after reset not matching a new resampler with compensateLatency: ${compensateLatency}`);
+  }
+  console.log('Output after reset identical to a new resampler');
+
+  const oneShot = resampleAll(new SpeexResampler(2, 44100, 48000, 7), Buffer.concat([signal, signal]));
+  const resampler = new SpeexResampler(2, 44100, 48000, 7);
+  const firstPart = resampler.processChunk(signal);
+  const snapshot = resampler.snapshot();
+  console.log(`Snapshot of ${snapshot.length} bytes`);
+  // created with other rates and quality, the snapshot replaces them
+  const restored = new SpeexResampler(2, 8000, 16000, 3);
+  restored.restore(new Uint8Array(snapshot));
+  assert(restored.inRate === 44100 && restored.outRate === 48000 && restored.quality === 7, 'Rates and quality should be restored');
+  assert(restored.inputFramesConsumed === resampler.inputFramesConsumed, 'Input position should be restored');
+  const secondPart = resampleAll(restored, signal);
+  assert(Buffer.concat([firstPart, secondPart]).equals(oneShot), 'Output of the restored resampler not matching the one-shot output');
+  assert(resampleAll(resampler, signal).equals(secondPart), 'Output of the restored resampler not matching the original one');
+  console.log('Output of the restored resampler identical to the original');
+
+  assertThrowsError(() => new SpeexResampler(1, 44100, 48000).restore(snapshot), SpeexResamplerInvalidArgError, 'Restoring a snapshot with other channels should throw');
+  assertThrowsError(() => restored.restore(snapshot.slice(0, snapshot.length - 4)), SpeexResamplerInvalidArgError, 'Restoring a truncated snapshot should throw');
+  assertThrowsError(() => restored.restore(Buffer.alloc(128)), SpeexResamplerInvalidArgError, 'Restoring an invalid snapshot should throw');
+  console.log();
+}
+
+initTest()
+.then(() => promiseBasedTest())
+.then(() => streamBasedTest())
+.then(() => latencyCompensationTest())
+.then(() => lifecycleTest())
+.then(() => dynamicRateTest())
+.then(() => planarTest())
+.then(() => zeroCopyTest())
+.then(() => audioWorkletTest())
+.then(() => wavTest())
+.then(() => poolTest())
+.then(() => cliTest())
+.then(() => channelsTest())
+.then(() => frameSizeTest())
+.then(() => positionsTest())
+.then(() => webStreamTest())
+.then(() => helpersTest())
+.then(() => errorsTest())
+.then(() => signalQualityTest())
+.then(() => chunkedOutputTest())
+.then(() => varispeedTest())
+.then(() => snapshotTest()).catch((e) => {
   console.error(e);
   process.exit(1);
 })
@@ -0,0 +1,141 @@
+import { Buffer } from 'buffer'
+import { SampleFormat, BYTES_PER_SAMPLE } from './formats';
+import { SpeexResamplerInvalidArgError } from './errors';
+
+export interface WavFormat {
+  format: SampleFormat;
+  channels: number;
+  sampleRate: number;
+  /** speaker positions of the channels, only set for WAVE_FORMAT_EXTENSIBLE files */
+  channelMask?: number;
+}
+
+export interface WavHeader extends WavFormat {
+  /** offset of the audio data in the file */
+  dataOffset: number;
+  /** length in bytes of the audio data, null if unknown (file being streamed) */
+  dataLength: number | null;
+}
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// size written in place of the RIFF and data chunks sizes when they are not known yet
+// this is what most tools write when streaming and what they expect when reading a stream
+export const WAV_UNKNOWN_SIZE = 0xFFFFFFFF;
+
+const RIFF_HEADER_LENGTH = 12;
+const CHUNK_HEADER_LENGTH = 8;
+const EXTENSIBLE_FMT_LENGTH = 40;
+const PCM_FMT_LENGTH = 16;
+
+const sampleFormatOf = (formatCode: number, bitsPerSample: number): SampleFormat => {
+  if (formatCode === WAVE_FORMAT_PCM && bitsPerSample === 16) {
+    return 'int16';
+  }
+  if (formatCode === WAVE_FORMAT_PCM && bitsPerSample === 24) {
+    return 'int24';
+  }
+  if (formatCode === WAVE_FORMAT_PCM && bitsPerSample === 32) {
+    return 'int32';
+  }
+  if (formatCode === WAVE_FORMAT_IEEE_FLOAT && bitsPerSample === 32) {
+    return 'float32';
+  }
+  throw new SpeexResamplerInvalidArgError(`Unsupported WAV format ${formatCode} with ${bitsPerSample} bits per sample`);
+}
+
+/**
+  * Parse the header of a RIFF/WAVE file, chunks other than `fmt ` before the `data` chunk are skipped.
+  * @param buffer start of the file
+  * @returns the header or null if buffer doesn't contain the full header yet
+  */
+export const parseWavHeader = (buffer: Buffer): WavHeader | null => {
+  if (buffer.length < RIFF_HEADER_LENGTH) {
+    return null;
+  }
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new SpeexResamplerInvalidArgError('Input is not a RIFF/WAVE file');
+  }
+  let format: WavFormat | null = null;
+  let offset = RIFF_HEADER_LENGTH;
+  while (offset + CHUNK_HEADER_LENGTH <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkLength = buffer.readUInt32LE(offset + 4);
+    const chunkOffset = offset + CHUNK_HEADER_LENGTH;
+    if (chunkId === 'data') {
+      if (!format) {
+        throw new SpeexResamplerInvalidArgError('WAV data chunk found before the fmt chunk');
+      }
+      return {
+        ...format,
+        dataOffset: chunkOffset,
+        // 0 and 0xFFFFFFFF are written by tools streaming their output
+        dataLength: chunkLength === 0 || chunkLength === WAV_UNKNOWN_SIZE ? null : chunkLength,
+      };
+    }
+    if (chunkId === 'fmt ') {
+      if (chunkOffset + chunkLength > buffer.length) {
+        return null;
+      }
+      let formatCode = buffer.readUInt16LE(chunkOffset);
+      const bitsPerSample = buffer.readUInt16LE(chunkOffset + 14);
+      let channelMask: number | undefined;
+      if (formatCode === WAVE_FORMAT_EXTENSIBLE) {
+        channelMask = buffer.readUInt32LE(chunkOffset + 20);
+        // the first two bytes of the sub format GUID are the format code
+        formatCode = buffer.readUInt16LE(chunkOffset + 24);
+      }
+      format = {
+        format: sampleFormatOf(formatCode, bitsPerSample),
+        channels: buffer.readUInt16LE(chunkOffset + 2),
+        sampleRate: buffer.readUInt32LE(chunkOffset + 4),
+        channelMask,
+      };
+    }
+    // chunks are padded to an even length
+    offset = chunkOffset + chunkLength + (chunkLength % 2);
+  }
+  return null;
+}
+
+/**
+  * Create the header of a RIFF/WAVE file, WAVE_FORMAT_EXTENSIBLE is used for more than 2 channels or more than 16 bits
+  * @param dataLength length in bytes of the audio data, WAV_UNKNOWN_SIZE if not known yet
+  */
+export const createWavHeader = ({format, channels, sampleRate, channelMask}: WavFormat, dataLength = WAV_UNKNOWN_SIZE) => {
+  const bytesPerSample = BYTES_PER_SAMPLE[format];
+  const formatCode = format === 'float32' ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM;
+  const extensible = channels > 2 || bytesPerSample > 2;
+  const fmtLength = extensible ? EXTENSIBLE_FMT_LENGTH : PCM_FMT_LENGTH;
+  const headerLength = RIFF_HEADER_LENGTH + CHUNK_HEADER_LENGTH + fmtLength + CHUNK_HEADER_LENGTH;
+  const header = Buffer.alloc(headerLength);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(dataLength === WAV_UNKNOWN_SIZE ? WAV_UNKNOWN_SIZE : headerLength - 8 + dataLength + (dataLength % 2), 4);
+  header.write('WAVE', 8, 'ascii');
+
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(fmtLength, 16);
+  header.writeUInt16LE(extensible ? WAVE_FORMAT_EXTENSIBLE : formatCode, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+  header.writeUInt16LE(channels * bytesPerSample, 32);
+  header.writeUInt16LE(bytesPerSample * 8, 34);
+  if (extensible) {
+    // extension size
+    header.writeUInt16LE(22, 36);
+    // valid bits per sample
+    header.writeUInt16LE(bytesPerSample * 8, 38);
+    header.writeUInt32LE(channelMask || 0, 40);
+    // sub format GUID: format code followed by 00000000-0010-8000-00AA00389B71
+    header.writeUInt16LE(formatCode, 44);
+    Buffer.from([0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71]).copy(header, 46);
+  }
+
+  header.write('data', headerLength - 8, 'ascii');
+  header.writeUInt32LE(dataLength, headerLength - 4);
+  return header;
+}
@@ -0,0 +1,73 @@
+import SpeexResampler, { SpeexResamplerOptions, EMPTY_BUFFER } from './resampler';
+import { BYTES_PER_SAMPLE, alignChunk, toBuffer } from './formats';
+
+/**
+  * WHATWG TransformStream resampling interleaved PCM data, for runtimes without NodeJS streams (browsers, Deno, edge runtimes).
+  * It accepts ArrayBuffer or any typed array chunks and outputs Uint8Array chunks in the output sample format.
+  */
+export class SpeexResamplerStream extends TransformStream<ArrayBuffer | ArrayBufferView, Uint8Array> {
+  resampler: SpeexResampler;
+  channels: number;
+  inRate: number;
+  outRate: number;
+  quality: number;
+
+  /**
+    * Create a SpeexResamplerStream instance, the WASM module needs to be ready, see SpeexResamplerStream.create
+    * @param channels Number of channels, minimum is 1, no maximum
+    * @param inRate frequency in Hz for the input chunk
+    * @param outRate frequency in Hz for the target chunk
+    * @param quality number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality
+    * @param options sample formats of the input and output chunks (default to float32), latency compensation and channels mixing
+    */
+  constructor(channels: number, inRate: number, outRate: number, quality = 7, options: SpeexResamplerOptions = {}) {
+    // the transformer uses the resampler so it is created before calling super
+    // enqueued chunks are kept until they are read so they cannot be views on reused memory
+    const resampler = new SpeexResampler(channels, inRate, outRate, quality, {...options, returnView: false});
+    const frameLength = channels * BYTES_PER_SAMPLE[resampler.inFormat];
+    let alignementBuffer = EMPTY_BUFFER;
+    super({
+      transform: (chunk, controller) => {
+        // Speex needs chunks aligned to the frame size, the extraneous bytes are kept for the next chunk
+        const [chunkToProcess, remainder] = alignChunk(alignementBuffer, toBuffer(chunk), frameLength);
+        alignementBuffer = remainder;
+        const res = resampler.processChunk(chunkToProcess);
+        if (res.length > 0) {
+          controller.enqueue(res);
+        }
+      },
+      flush: (controller) => {
+        // an incomplete frame left in the alignment buffer cannot be resampled so it is dropped
+        alignementBuffer = EMPTY_BUFFER;
+        try {
+          const res = resampler.flush();
+          if (res.length > 0) {
+            controller.enqueue(res);
+          }
+        } finally {
+          resampler.destroy();
+        }
+      },
+      // only called by runtimes implementing the transformer cancel algorithm, the WASM memory is released by
+      // the FinalizationRegistry on the others
+      cancel: () => {
+        resampler.destroy();
+      },
+    } as Transformer<ArrayBuffer | ArrayBufferView, Uint8Array>);
+    this.resampler = resampler;
+    this.channels = channels;
+    this.inRate = inRate;
+    this.outRate = outRate;
+    this.quality = quality;
+  }
+
+  /**
+    * Wait for the WASM module to be ready and create a SpeexResamplerStream, see constructor for the arguments
+    */
+  static async create(channels: number, inRate: number, outRate: number, quality = 7, options: SpeexResamplerOptions = {}) {
+    await SpeexResampler.initPromise;
+    return new SpeexResamplerStream(channels, inRate, outRate, quality, options);
+  }
+}
+
+export default SpeexResamplerStream;
@@ -0,0 +1,139 @@
+import SpeexResampler from './resampler';
+import { SampleFormat, BYTES_PER_SAMPLE, assertSampleFormat, encodeSamples } from './formats';
+import { SpeexResamplerInvalidArgError } from './errors';
+
+// Globals of the AudioWorkletGlobalScope
+declare const AudioWorkletProcessor: any;
+declare const registerProcessor: (name: string, processorCtor: any) => void;
+declare const sampleRate: number;
+
+export const SPEEX_RESAMPLER_PROCESSOR_NAME = 'speex-resampler-processor';
+
+export interface SpeexResamplerProcessorOptions {
+  /** frequency in Hz of the posted frames */
+  outRate: number;
+  /** number of channels of the posted frames, missing input channels are filled with silence, default to 1 */
+  channels?: number;
+  /** number from 1 to 10, default to 7, 1 is fast but of bad quality, 10 is slow but best quality */
+  quality?: number;
+  /** sample format of the posted frames, default to float32 */
+  format?: SampleFormat;
+  /** number of frames (samples per channel) in each posted message, default to 128 */
+  frameSize?: number;
+}
+
+/**
+  * Message posted on the processor port for each resampled frame, `data` is transferred
+  */
+export interface SpeexResamplerProcessorMessage {
+  /** interleaved PCM data in `format` */
+  data: ArrayBuffer;
+  /** number of frames (samples per channel) in data, only less than frameSize when flushing */
+  frames: number;
+  channels: number;
+  sampleRate: number;
+  format: SampleFormat;
+}
+
+// Render quantum size of the Web Audio API
+const RENDER_QUANTUM_FRAMES = 128;
+
+/**
+  * AudioWorkletProcessor resampling its input from the AudioContext rate to `outRate` and posting frames of `frameSize`
+  * over its MessagePort. Send `{type: 'flush'}` to the port to get the end of the audio and `{type: 'close'}` to stop it.
+  */
+export class SpeexResamplerProcessor extends AudioWorkletProcessor {
+  resampler: SpeexResampler;
+  channels: number;
+  outRate: number;
+  format: SampleFormat;
+  frameSize: number;
+
+  // interleaved resampled frames waiting for frameSize to be reached
+  _pendingFrames: Float32Array;
+  _pendingFramesCount = 0;
+  // reused for every render quantum to avoid allocating in the audio thread
+  _inputChannels: Float32Array[];
+  _resampledChannels: Float32Array[];
+  _silence = new Float32Array(RENDER_QUANTUM_FRAMES);
+  _closed = false;
+
+  constructor(options: { processorOptions: SpeexResamplerProcessorOptions }) {
+    super();
+    const processorOptions = options && options.processorOptions;
+    if (!processorOptions || !processorOptions.outRate) {
+      throw new SpeexResamplerInvalidArgError('processorOptions.outRate is required');
+    }
+    this.channels = processorOptions.channels || 1;
+    this.outRate = processorOptions.outRate;
+    this.format = assertSampleFormat(processorOptions.format || 'float32');
+    this.frameSize = processorOptions.frameSize || RENDER_QUANTUM_FRAMES;
+
+    // sync compilation is allowed outside of the main thread
+    SpeexResampler.initSync();
+    this.resampler = new SpeexResampler(this.channels, sampleRate, this.outRate, processorOptions.quality);
+    this._pendingFrames = new Float32Array(this.frameSize * this.channels);
+    this._inputChannels = new Array(this.channels);
+    const maxResampledFramesCount = Math.ceil(RENDER_QUANTUM_FRAMES * this.outRate / sampleRate) + 1;
+    this._resampledChannels = Array.from({length: this.channels}, () => new Float32Array(maxResampledFramesCount));
+
+    this.port.onmessage = (e) => {
+      if (e.data && e.data.type === 'flush') {
+        this._pushResampled(this.resampler.flushPlanar());
+        this._postPendingFrames();
+      }
+      if (e.data && e.data.type === 'close') {
+        this._closed = true;
+        this.resampler.destroy();
+      }
+    };
+  }
+
+  process(inputs: Float32Array[][]) {
+    if (this._closed) {
+      return false;
+    }
+    const input = inputs[0];
+    // no input connected
+    if (!input || input.length === 0) {
+      return true;
+    }
+    for (let channel = 0; channel < this.channels; channel++) {
+      this._inputChannels[channel] = input[channel] || this._silence;
+    }
+    this._pushResampled(this.resampler.processPlanar(this._inputChannels, this._resampledChannels));
+    return true;
+  }
+
+  _pushResampled(resampled: Float32Array[]) {
+    const framesCount = resampled[0].length;
+    for (let i = 0; i < framesCount; i++) {
+      for (let channel = 0; channel < this.channels; channel++) {
+        this._pendingFrames[this._pendingFramesCount * this.channels + channel] = resampled[channel][i];
+      }
+      this._pendingFramesCount++;
+      if (this._pendingFramesCount === this.frameSize) {
+        this._postPendingFrames();
+      }
+    }
+  }
+
+  _postPendingFrames() {
+    if (this._pendingFramesCount === 0) {
+      return;
+    }
+    const data = new Uint8Array(this._pendingFramesCount * this.channels * BYTES_PER_SAMPLE[this.format]);
+    encodeSamples(this._pendingFrames.subarray(0, this._pendingFramesCount * this.channels), data, this.format);
+    const message: SpeexResamplerProcessorMessage = {
+      data: data.buffer,
+      frames: this._pendingFramesCount,
+      channels: this.channels,
+      sampleRate: this.outRate,
+      format: this.format,
+    };
+    this.port.postMessage(message, [data.buffer]);
+    this._pendingFramesCount = 0;
+  }
+}
+
+registerProcessor(SPEEX_RESAMPLER_PROCESSOR_NAME, SpeexResamplerProcessor);